@@ -1 +1,323 @@
-(function(_0x1c5e45,_0x104e6b){function _0x282d9d(_0x82a258,_0x4a7e13,_0x529c92,_0x56a774,_0x30624f){return _0x28e2(_0x82a258- -0x123,_0x30624f);}function _0x4adbc6(_0x4ab679,_0x1e9605,_0x116a5c,_0x113aab,_0x1219bb){return _0x28e2(_0x116a5c-0x306,_0x1219bb);}function _0x4fede8(_0x568af4,_0x1d70db,_0x4a56cb,_0x2e9a5a,_0x2dd04c){return _0x28e2(_0x2dd04c-0x1dc,_0x568af4);}function _0x4338c7(_0x4644b5,_0x256040,_0x2334a3,_0xb2e1f9,_0x3bc796){return _0x28e2(_0x3bc796- -0x2b3,_0x2334a3);}function _0x526dd5(_0x555bda,_0x421eee,_0x227cc7,_0x1a5333,_0x350891){return _0x28e2(_0x1a5333-0x2ad,_0x227cc7);}const _0x20dced=_0x1c5e45();while(!![]){try{const _0x2e309e=-parseInt(_0x4adbc6(0x7be,0xb65,0xb13,0xb69,'s%Er'))/(-0x2613+0x4c*0x30+0x3d*0x64)*(parseInt(_0x4adbc6(0xaa8,0xa46,0xbe0,0xb34,'H%dH'))/(-0x26e1+-0x71*0x4f+0x49c2))+parseInt(_0x526dd5(0x7e5,0x724,'kRV9',0x4d1,0x787))/(-0x2d*0x84+-0x2513+0x3c4a)*(-parseInt(_0x4adbc6(0x38a,0x709,0x524,0x40e,'H%dH'))/(-0x9*-0xa2+-0x84a*-0x2+-0x1642))+parseInt(_0x526dd5(0xf08,0xb0f,')Ts9',0xaef,0xb7c))/(0x81f+0x1*-0x1373+-0x7*-0x19f)*(-parseInt(_0x4adbc6(0x865,0xb5b,0xa6b,0x790,'$LsF'))/(0xe11*0x1+0x243d+0x3248*-0x1))+-parseInt(_0x526dd5(0x4e2,0x895,'q)^3',0x5a5,0x4a8))/(-0x17e8+-0x49*-0x83+-0x35b*0x4)*(-parseInt(_0x282d9d(0x8ed,0xc06,0x6d3,0x6ce,'(S8W'))/(-0x7*-0x119+-0x1657+-0xbc*-0x14))+parseInt(_0x4adbc6(0x9d3,0xc7e,0xc70,0xfcc,'6iN9'))/(-0x12a0+0x3*-0xa0b+-0x4e1*-0xa)*(-parseInt(_0x526dd5(0x806,0xd56,'nVTy',0xa5d,0x742))/(0x1af9*0x1+0x1*-0x983+0x116c*-0x1))+parseInt(_0x4338c7(0x4e9,-0x2c,'#!y]',0x225,0x221))/(0x194*0xa+0x139c+0x1*-0x2359)*(-parseInt(_0x282d9d(0x72d,0x5a6,0x341,0x704,'t!vW'))/(0x784+-0x2200+0x1a88))+parseInt(_0x4adbc6(0x6c4,0xa41,0x84c,0x4c8,'Obck'))/(-0x38b+-0x2572+0x290a);if(_0x2e309e===_0x104e6b)break;else _0x20dced['push'](_0x20dced['shift']());}catch(_0xf82990){_0x20dced['push'](_0x20dced['shift']());}}}(_0x866f,-0x1*0x161ef+-0xc0006+-0x11*-0x17249));const _0x287d93=(function(){function _0x435c77(_0x54ff8a,_0x5c5f0d,_0x3713f8,_0x368481,_0x4b4793){return _0x28e2(_0x4b4793-0x2c7,_0x5c5f0d);}function _0x4267a3(_0x210726,_0x1ca196,_0x3970bd,_0x115bc3,_0x3a5622){return _0x28e2(_0x210726- -0x1d4,_0x3970bd);}function _0x512fba(_0x4c2c5e,_0x210f46,_0x369912,_0x28c0e3,_0x3c779a){return _0x28e2(_0x3c779a- -0x3bc,_0x210f46);}function _0xbf7d2(_0x2e8d34,_0x5ad143,_0x207aa7,_0x20d909,_0x368c61){return _0x28e2(_0x5ad143- -0x261,_0x368c61);}const _0x71bc9e={'MyZqp':_0x512fba(0x464,'$yXu',0x336,-0x101,0xa9)+_0x4267a3(0x6fc,0x733,'(S8W',0xa80,0x79f)+_0x512fba(0x271,'7o7K',0x83,-0x4bd,-0xce)+_0x512fba(-0x37d,'8v[!',0x32,-0x225,-0x2d)+_0x4267a3(0x54c,0x699,'eNip',0x3c4,0x1ef)+_0x512fba(-0x481,'8v[!',0x277,0x2de,-0x132)+_0x4267a3(0x654,0x307,'q999',0x634,0x976)+_0x435c77(0x848,'n0y(',0xbb9,0xda4,0xa95),'POzJv':function(_0x1e7c8a,_0x10ebcf){return _0x1e7c8a+_0x10ebcf;},'CgOoi':_0x4267a3(0x7bf,0x79c,'n0y(',0x586,0x739),'HkypS':_0x4267a3(0x364,0x795,'s%Er',0x256,-0x4a),'SexaV':_0x435c77(0x3d7,'0Wdk',0x877,0x51c,0x6a4)+'n','rROTn':function(_0x1e98b9,_0x1f20ab){return _0x1e98b9===_0x1f20ab;},'sZMbA':_0x512fba(0x42,'7bmR',0x166,0x515,0x30e),'fxgNH':_0xe1ac9b(0x421,'$yXu',0x4eb,0x518,0x734),'ZnXrO':function(_0x1c8727,_0x4a23cc){return _0x1c8727===_0x4a23cc;},'Csbbk':_0x435c77(0x8cb,'#OTn',0x1bb,0x5d8,0x4dd),'gEmap':_0x435c77(0x935,'eNip',0x37a,0x312,0x5c4),'QRizy':function(_0x573912){return _0x573912();},'zTmGS':function(_0x428cdd,_0x581c6a){return _0x428cdd!==_0x581c6a;},'Tkpyi':_0xbf7d2(0x352,0x27,-0x1af,0x227,'#biS'),'hbnes':_0x4267a3(0x85b,0x807,'Tbru',0x581,0x660)};function _0xe1ac9b(_0x5769d7,_0xedc2bf,_0x1e7bc2,_0x32cf24,_0x471a3a){return _0x28e2(_0x5769d7- -0x1fd,_0xedc2bf);}let _0x528ee8=!![];return function(_0x4a4463,_0x8f6a11){function _0x1c7987(_0x4e0118,_0x4b4952,_0x377d66,_0x50fda,_0x247c0b){return _0xbf7d2(_0x4e0118-0x176,_0x4b4952-0x45e,_0x377d66-0x42,_0x50fda-0x1c8,_0x377d66);}const _0xa66b07={'cLBSd':_0x71bc9e[_0x1c7987(0x942,0x9fc,'rFm5',0xaed,0x6a2)],'LeQTt':function(_0x3c70ac,_0x4721f3){function _0x575a7e(_0x35696f,_0x692d5e,_0x4a80ab,_0x3df0ee,_0x1ed733){return _0x1c7987(_0x35696f-0x132,_0x4a80ab- -0x145,_0x692d5e,_0x3df0ee-0x129,_0x1ed733-0x52);}return _0x71bc9e[_0x575a7e(0x9ab,'9p%n',0x789,0x9a3,0x4aa)](_0x3c70ac,_0x4721f3);},'loxik':_0x71bc9e[_0x1c7987(0xe75,0xb09,'Tbru',0x8d4,0xe5d)],'tntXC':_0x71bc9e[_0x1c7987(0x398,0x3f3,'kRV9',0x30a,0x2b7)],'rivUw':_0x71bc9e[_0x2d8e7f(0x3a3,0x320,0x476,0xd7,'7bmR')],'UncXs':function(_0x42a706,_0x4579ce){function _0x5b912f(_0x191ea6,_0x19f961,_0x387505,_0x54ba71,_0x1fb042){return _0x303406(_0x191ea6-0xf0,_0x19f961,_0x387505-0x1db,_0x54ba71- -0x19a,_0x1fb042-0x4);}return _0x71bc9e[_0x5b912f(0xe4a,'#!y]',0x852,0xbdb,0x9d9)](_0x42a706,_0x4579ce);},'lcoby':_0x71bc9e[_0xd9dbf5(0x810,'G9tM',0x93a,0xa39,0xcb2)],'OMEJD':_0x71bc9e[_0xd9dbf5(0x5f6,'a@Ys',0x76d,0x8f6,0xa94)],'oMCDF':function(_0x217719,_0xefc55d){function _0x174d24(_0x567162,_0x5a6628,_0x3040ba,_0x273d4c,_0x5f2162){return _0x1c7987(_0x567162-0xbf,_0x5a6628- -0x268,_0x273d4c,_0x273d4c-0xe9,_0x5f2162-0x12d);}return _0x71bc9e[_0x174d24(0x463,0x3a3,0x1b4,'%4lb',-0x90)](_0x217719,_0xefc55d);},'ojIrj':_0x71bc9e[_0xd9dbf5(0x6b6,'L%gx',0x5f6,0x4be,0x769)],'ffnzX':_0x71bc9e[_0xd9dbf5(0x448,'3&tB',0x6a8,0x77d,0x564)],'AMknJ':function(_0x3e6070){function _0x5d0624(_0x39fbc5,_0x390ad6,_0x2c990f,_0x4255f4,_0xa79467){return _0x53b7be(_0x39fbc5-0x1ce,_0x390ad6-0xc5,_0xa79467- -0x33,_0x4255f4-0x147,_0x2c990f);}return _0x71bc9e[_0x5d0624(0x881,0xabe,'56Yu',0x851,0x751)](_0x3e6070);}};function _0x303406(_0x38c57b,_0x3848e2,_0xc0ec5c,_0x58a9a6,_0x5b3d08){return _0xbf7d2(_0x38c57b-0x2f,_0x58a9a6-0x61a,_0xc0ec5c-0x3d,_0x58a9a6-0x18e,_0x3848e2);}function _0x53b7be(_0x247f89,_0x2ff9d2,_0x3302b1,_0xb9beeb,_0x5d222f){return _0x4267a3(_0x3302b1-0x415,_0x2ff9d2-0x1b7,_0x5d222f,_0xb9beeb-0x52,_0x5d222f-0x149);}function _0x2d8e7f(_0x303772,_0x3f20d7,_0x140a0f,_0x48bc95,_0x2c1c1a){return _0x435c77(_0x303772-0x5b,_0x2c1c1a,_0x140a0f-0xf5,_0x48bc95-0xa8,_0x3f20d7- -0x401);}function _0xd9dbf5(_0x1422bb,_0x12b1f6,_0x596bd2,_0x54b317,_0x579912){return _0x512fba(_0x1422bb-0xa7,_0x12b1f6,_0x596bd2-0x107,_0x54b317-0x34,_0x596bd2-0x640);}if(_0x71bc9e[_0x2d8e7f(-0x66,0x10f,0x336,-0x284,')Ts9')](_0x71bc9e[_0x2d8e7f(0x37d,0x3e7,0x25,0x5be,'H%dH')],_0x71bc9e[_0xd9dbf5(0x97c,'n0y(',0x59f,0x561,0x291)])){const _0x20ba75=_0x528ee8?function(){const _0x5e27d6={'ucBNy':function(_0x1bf9b3,_0x4e0786){function _0x543d4a(_0x35c81a,_0x42f16d,_0x4e06fc,_0x11a9bf,_0x496951){return _0x28e2(_0x4e06fc- -0x1c9,_0x42f16d);}return _0xa66b07[_0x543d4a(0x45a,'cQ5[',0x5d,0x70,0x442)](_0x1bf9b3,_0x4e0786);},'DzouY':_0xa66b07[_0x4a19b3(0x3f5,'s%Er',0x62e,0x622,0x812)],'qmhmP':_0xa66b07[_0x4cb543(0x406,'qO4[',0x2d6,0x289,0x5c2)],'XdsKm':_0xa66b07[_0x4a19b3(0x2a0,'t!vW',-0xfd,0x3a0,0x630)]};function _0x5d4dfe(_0x294fa2,_0x2a0962,_0x59e9ef,_0x52bef3,_0xa5cd01){return _0x53b7be(_0x294fa2-0x8d,_0x2a0962-0x82,_0x294fa2- -0x2b7,_0x52bef3-0x106,_0x59e9ef);}function _0x4a19b3(_0x3f4ee8,_0x1a7c05,_0x5666c6,_0x4a67dc,_0x2bcfd5){return _0x2d8e7f(_0x3f4ee8-0x172,_0x3f4ee8- -0x13b,_0x5666c6-0x181,_0x4a67dc-0x1d2,_0x1a7c05);}function _0x1695e6(_0x1f53f8,_0x3ec9c1,_0x2373d2,_0x55f5ec,_0x35e410){return _0x53b7be(_0x1f53f8-0x19d,_0x3ec9c1-0x126,_0x3ec9c1- -0x317,_0x55f5ec-0x10e,_0x2373d2);}function _0x4ee433(_0x1f8759,_0x138f6c,_0x4ce641,_0x682805,_0x33c014){return _0xd9dbf5(_0x1f8759-0x15e,_0x682805,_0x33c014- -0x354,_0x682805-0x88,_0x33c014-0x62);}function _0x4cb543(_0x3ecfd5,_0x412eeb,_0x5e7bf4,_0x975a02,_0x4e06e2){return _0x1c7987(_0x3ecfd5-0x1e2,_0x5e7bf4- -0x41e,_0x412eeb,_0x975a02-0x111,_0x4e06e2-0x2c);}if(_0xa66b07[_0x1695e6(0x75c,0x490,'Obck',0x6c4,0x51a)](_0xa66b07[_0x4a19b3(0xed,'rFm5',-0x2f2,0x37a,0x140)],_0xa66b07[_0x4cb543(0x313,'n0y(',0x4cd,0x1a1,0x60e)]))_0x3b3ae6[_0x5d4dfe(0x6a2,0x2c4,'ty5G',0x73a,0x653)](_0xa66b07[_0x4ee433(0x37,0x422,0x45c,'2vRU',0x3f0)],_0x15cd17),_0x1e9d79[_0x4ee433(0x599,0x150,0x6ae,'4nvN',0x4ea)](-0x1*0x76+-0x1*0x202f+0x2*0x1053);else{if(_0x8f6a11){if(_0xa66b07[_0x5d4dfe(0x41b,0x587,'GNZn',0x73a,0x2d2)](_0xa66b07[_0x4cb543(0x3c2,'n0y(',0x19c,0x310,-0xbd)],_0xa66b07[_0x4ee433(0x2d2,0x583,0x7ae,'bmzy',0x38f)]))(function(){return!![];}[_0x4ee433(-0xac,0x5bd,0x37e,'GNZn',0x1a9)+_0x4a19b3(0x7d8,'GNZn',0xab9,0x4e9,0x5a2)+'r'](_0x5e27d6[_0x4cb543(0x77a,'bmzy',0x798,0x683,0x40e)](_0x5e27d6[_0x5d4dfe(0x357,0x55d,'r]C$',0x62a,0x650)],_0x5e27d6[_0x1695e6(0x37c,0x127,'56Yu',0x2d3,0x539)]))[_0x4ee433(0x2c8,0x755,0x542,'n0y(',0x4e9)](_0x5e27d6[_0x4ee433(0x127,0x23b,0xd2,'H%dH',0x304)]));else{const _0x308576=_0x8f6a11[_0x5d4dfe(0x379,0x45c,'ahjT',0x69d,0x4c1)](_0x4a4463,arguments);return _0x8f6a11=null,_0x308576;}}}}:function(){};return _0x528ee8=![],_0x20ba75;}else _0xa66b07[_0x2d8e7f(0x659,0x738,0x5a3,0x8cf,'$yXu')](_0x230b2d);};}()),_0x432e46=_0x287d93(this,function(){function _0xb0aa82(_0x2f3002,_0x17f55a,_0x3287cc,_0x74492b,_0x1022ec){return _0x28e2(_0x17f55a-0x3a7,_0x2f3002);}function _0x563c74(_0x51e704,_0x30525d,_0x101c7b,_0x5ce395,_0x5b974e){return _0x28e2(_0x5b974e- -0x255,_0x30525d);}const _0x2aaf98={};_0x2aaf98[_0x14a705(0x866,0x400,'DKZH',0x935,0x567)]=_0xb0aa82('@)%1',0xd8e,0x11b1,0xef4,0xf97)+_0x14a705(0x440,0x4bf,'a@Ys',0x15b,0x542)+'+$';function _0x565f47(_0x53db90,_0x20b6eb,_0x3b1fd7,_0x279371,_0x5efc49){return _0x28e2(_0x20b6eb-0x34f,_0x5efc49);}const _0x93d142=_0x2aaf98;function _0x1d72b4(_0x475a9d,_0x5ecf2a,_0x53f230,_0x4448ad,_0x4e1d0f){return _0x28e2(_0x475a9d- -0x38c,_0x4e1d0f);}function _0x14a705(_0x57523e,_0x3dcd90,_0xef5c71,_0x2286e9,_0x58ce8b){return _0x28e2(_0x58ce8b-0x247,_0xef5c71);}return _0x432e46[_0x14a705(0x53c,0x439,'8v[!',0x97,0x4c2)+_0x1d72b4(0x661,0x6ea,0x87b,0x5e3,'7bmR')]()[_0x563c74(0x5f3,'9p%n',0xa4a,0x9f3,0x796)+'h'](_0x93d142[_0x565f47(0x81d,0xbca,0xd03,0xf31,'%4lb')])[_0x563c74(0x93,'(S8W',0x293,-0x52,0x102)+_0x1d72b4(-0x13a,0x1a1,-0x41b,-0x28d,'s%Er')]()[_0x563c74(-0x10b,'56Yu',0x208,-0x22f,0x1f1)+_0x565f47(0x45d,0x839,0x667,0xaad,'bmzy')+'r'](_0x432e46)[_0x563c74(0x75c,'GNZn',0x2d0,0x728,0x4f6)+'h'](_0x93d142[_0xb0aa82('bmzy',0xb83,0xa5d,0xcff,0xc6a)]);});_0x432e46();const _0x1b254e=(function(){function _0x253b61(_0x40e34b,_0x5de905,_0x5bc76b,_0x352836,_0x586962){return _0x28e2(_0x586962-0x17d,_0x5de905);}function _0x58e5bc(_0x2caec1,_0x31418c,_0x3e13a0,_0x477e27,_0x215000){return _0x28e2(_0x477e27-0xbb,_0x3e13a0);}function _0x1c69c8(_0x22b0bd,_0x544f0c,_0x179b00,_0x1b4924,_0x23b82a){return _0x28e2(_0x179b00-0x200,_0x1b4924);}function _0x1b7929(_0x3212a6,_0x29af43,_0x12e0d3,_0x4e0282,_0x4f4073){return _0x28e2(_0x3212a6- -0x214,_0x12e0d3);}function _0x11c7f5(_0x90e6b1,_0x2add27,_0x2cea6b,_0x1f3ea8,_0x1189df){return _0x28e2(_0x1f3ea8- -0x1c6,_0x90e6b1);}const _0x334f84={'IIYgk':_0x11c7f5('qO4[',-0x260,0x375,0x1c7,0x5ea)+_0x11c7f5('r]C$',0x40a,0x6cb,0x787,0x40c)+_0x253b61(0x85b,'rFm5',0x4ae,0x4c6,0x829)+'ed','OHpRy':function(_0x535706,_0x4d2187){return _0x535706(_0x4d2187);},'nYEkM':function(_0x5db11e,_0x342c35){return _0x5db11e instanceof _0x342c35;},'kyKXb':function(_0x15b1cf,_0x35e39b){return _0x15b1cf!==_0x35e39b;},'GoEZe':_0x1c69c8(0x6bb,0x684,0x451,'q999',0x1f8)+_0x1c69c8(0x578,0x91e,0x712,')Ts9',0x6dd)+_0x11c7f5('cQ5[',0x22d,0x94d,0x579,0x761)+_0x58e5bc(0x880,0x710,'If&w',0x8cb,0x821)+_0x1c69c8(0x21a,0x621,0x5b8,'H%dH',0x4f2),'PKgAk':_0x11c7f5('#!y]',0x14c,0x210,0x54f,0x7c7)+_0x253b61(0xee8,'nVTy',0xe15,0x746,0xb4d)+_0x58e5bc(0xa25,0xd2b,'s%Er',0x8fb,0xc2f),'YTynV':function(_0x30dccf){return _0x30dccf();},'GTEMm':function(_0x33ac44){return _0x33ac44();},'psSug':function(_0x474912,_0x199181){return _0x474912===_0x199181;},'VFuhn':_0x1c69c8(0x706,0xa14,0x723,'wp1z',0x93c),'WlPJQ':_0x253b61(0x603,'@)%1',0x49b,0x9f1,0x74f),'JVMXU':_0x58e5bc(0x627,0x595,'If&w',0x99e,0xcdb),'PNngj':_0x253b61(0x84a,'t!vW',0x5c9,0x9c9,0x62f),'YgUVk':function(_0x343e76,_0x2e9f6e){return _0x343e76===_0x2e9f6e;},'QRajz':_0x1b7929(0x388,0x52c,'q)^3',0x1ea,0xe9)};let _0x1313ec=!![];return function(_0x588cd6,_0x51cbc8){const _0x36fc53={'FAsgD':function(_0x34377e,_0x3d324d){function _0x1c58ea(_0x49c499,_0x55f46e,_0x4b82c1,_0x1a2113,_0x4aafab){return _0x28e2(_0x4aafab-0x15d,_0x49c499);}return _0x334f84[_0x1c58ea('@)%1',0x6a3,0x6a7,0x356,0x5cd)](_0x34377e,_0x3d324d);},'onOzh':function(_0x24ec9f,_0x9c9df){function _0x44dd48(_0x300aa0,_0x4bfdf3,_0x13e128,_0x665daf,_0x15d665){return _0x28e2(_0x15d665-0x22,_0x4bfdf3);}return _0x334f84[_0x44dd48(0x534,'H%dH',0x3c5,0x39,0x39c)](_0x24ec9f,_0x9c9df);},'jLDku':_0x334f84[_0x1f4461(-0xbe,0x2b9,0x406,0x58e,'wp1z')],'Xrlmy':_0x334f84[_0x16c69d(0x1ca,0x280,-0x21d,'r]C$',0x234)],'wkrsL':function(_0x28bde1){function _0x4d0ab7(_0xd81ac,_0x56c2f1,_0x36bf2a,_0x4bd034,_0x4966f0){return _0x1f4461(_0xd81ac-0x15f,_0xd81ac-0x92,_0x36bf2a-0x6e,_0x4bd034-0xa2,_0x4966f0);}return _0x334f84[_0x4d0ab7(0x4ed,0x6fc,0x282,0x24a,'#OTn')](_0x28bde1);},'zTlkk':function(_0x26bf4f,_0x36fc4a){function _0x720328(_0x4ebaa6,_0x2b7a27,_0x20fe47,_0x42f1da,_0x57f18d){return _0x1f4461(_0x4ebaa6-0x1bf,_0x42f1da- -0x43,_0x20fe47-0x136,_0x42f1da-0x1ca,_0x20fe47);}return _0x334f84[_0x720328(-0x33f,0x485,'G9tM',0xaa,0xc9)](_0x26bf4f,_0x36fc4a);},'HisDs':function(_0x5d92dc){function _0x3fb185(_0x176319,_0x5b6fac,_0x155fca,_0x3e8bb4,_0x3b6d5c){return _0x16c69d(_0x3b6d5c- -0x44,_0x5b6fac-0x1a6,_0x155fca-0x19e,_0x176319,_0x3b6d5c-0x136);}return _0x334f84[_0x3fb185('7bmR',0x7ae,0x8a8,0x3bb,0x723)](_0x5d92dc);},'aYemO':function(_0x29dc82,_0x5253eb){function _0x2fbf27(_0x48762f,_0x469d4b,_0x20e28b,_0x1d4fa1,_0x1ddc91){return _0x1f4461(_0x48762f-0x15c,_0x469d4b-0x292,_0x20e28b-0xab,_0x1d4fa1-0xd2,_0x48762f);}return _0x334f84[_0x2fbf27('DKZH',0x590,0x2c6,0x3e4,0x4d0)](_0x29dc82,_0x5253eb);},'PvAEh':_0x334f84[_0x16c69d(0x5cc,0x4f6,0x513,'H%dH',0x7ad)],'ilVyF':_0x334f84[_0x2686ed(0x555,-0xa5,0x28e,'7o7K',0x186)],'TnLQR':function(_0x1b2513,_0x45bb3a){function _0x3ea729(_0x2e2cb7,_0x177269,_0x105ec1,_0x3ffd34,_0xf51903){return _0x16c69d(_0x177269-0x314,_0x177269-0x1da,_0x105ec1-0xf2,_0x2e2cb7,_0xf51903-0x1c2);}return _0x334f84[_0x3ea729('Vimc',0x666,0xa8b,0x527,0x338)](_0x1b2513,_0x45bb3a);},'SxfSf':_0x334f84[_0x3b1300(0x919,0x593,'ty5G',0xa3d,0x6b7)],'pynfr':_0x334f84[_0x16c69d(0x489,0x2c9,0x4fa,'cQ5[',0x388)]};function _0x5ea686(_0x323507,_0x43dac2,_0x43b57d,_0x45503,_0x5c75ef){return _0x1b7929(_0x323507-0x254,_0x43dac2-0x11,_0x5c75ef,_0x45503-0x13e,_0x5c75ef-0xcc);}function _0x3b1300(_0xa67577,_0x2ffc75,_0x5badb7,_0x2eef96,_0x5f0e60){return _0x11c7f5(_0x5badb7,_0x2ffc75-0xda,_0x5badb7-0x18c,_0x5f0e60- -0x23,_0x5f0e60-0x11d);}function _0x16c69d(_0x17f796,_0xdfbee0,_0x33443a,_0x1a5ffd,_0x1fd1e7){return _0x1b7929(_0x17f796- -0xc,_0xdfbee0-0x12b,_0x1a5ffd,_0x1a5ffd-0x13e,_0x1fd1e7-0x1ba);}function _0x1f4461(_0x299c13,_0x1bf045,_0x3648d5,_0x4246ff,_0x43a729){return _0x1b7929(_0x1bf045-0x2d,_0x1bf045-0xcb,_0x43a729,_0x4246ff-0xfb,_0x43a729-0x9);}function _0x2686ed(_0x2f7ad1,_0x55b3f8,_0x19a68c,_0x3f044c,_0xdcbecc){return _0x58e5bc(_0x2f7ad1-0x152,_0x55b3f8-0x1b2,_0x3f044c,_0x19a68c- -0x5b,_0xdcbecc-0x3e);}if(_0x334f84[_0x5ea686(0x6a9,0x839,0x770,0x6ca,'2vRU')](_0x334f84[_0x5ea686(0x947,0x752,0xa5a,0x7b0,'8v[!')],_0x334f84[_0x3b1300(0x5e8,0x34e,'(fcp',0x811,0x4fc)])){const _0x4c1d4c=_0x1313ec?function(){function _0x1a27e1(_0x3a9697,_0x3c2ff4,_0xe364ac,_0x54e8ac,_0x255730){return _0x2686ed(_0x3a9697-0x7d,_0x3c2ff4-0x136,_0xe364ac-0x9b,_0x54e8ac,_0x255730-0x167);}function _0x478386(_0x5a58ff,_0x5c671e,_0x481259,_0x5f0262,_0x205aeb){return _0x3b1300(_0x5a58ff-0x6c,_0x5c671e-0x14f,_0x5a58ff,_0x5f0262-0x1b9,_0x481259-0x484);}function _0x271705(_0x56da81,_0x21ad14,_0x28f4c8,_0x20854b,_0x4b7b9b){return _0x2686ed(_0x56da81-0x1b3,_0x21ad14-0x194,_0x28f4c8-0xee,_0x4b7b9b,_0x4b7b9b-0xda);}const _0x46641e={'kTkvI':function(_0x4bbb5f,_0x43b3a9){function _0x2490c3(_0x46904f,_0x769fcf,_0x5b3f32,_0x1ed0db,_0x1e236e){return _0x28e2(_0x1e236e-0xe5,_0x1ed0db);}return _0x36fc53[_0x2490c3(0xa66,0x9c0,0x821,'L%gx',0x68c)](_0x4bbb5f,_0x43b3a9);},'WSkGD':function(_0x736e85,_0x3a3c08){function _0x2e1e0a(_0x47a52c,_0x161074,_0x47a646,_0x237abb,_0x338480){return _0x28e2(_0x47a646- -0x33,_0x338480);}return _0x36fc53[_0x2e1e0a(-0xf6,0x501,0x240,0x1ac,'(fcp')](_0x736e85,_0x3a3c08);},'uewil':_0x36fc53[_0x1a27e1(0x96d,0xb87,0x8f1,'s%Er',0x8f4)],'otqAX':_0x36fc53[_0x271705(0x473,0x6ed,0x83f,0xa18,'#OTn')],'ejKoz':function(_0x12412a){function _0x40c118(_0xa9c259,_0x19ec99,_0x5cbee9,_0x1518d6,_0x19b905){return _0x1a27e1(_0xa9c259-0x20,_0x19ec99-0x1c,_0x19ec99- -0x480,_0x5cbee9,_0x19b905-0x1ea);}return _0x36fc53[_0x40c118(0x2b3,0x6c7,'#OTn',0x849,0x6e8)](_0x12412a);}};function _0x1cf211(_0x42356e,_0x57292c,_0x4bc2da,_0x57a1c7,_0x5547a9){return _0x3b1300(_0x42356e-0x191,_0x57292c-0x16c,_0x4bc2da,_0x57a1c7-0x73,_0x57292c-0x1b);}function _0x861c34(_0x223fb8,_0x3d4b7d,_0x311dd4,_0x5202fa,_0x42f1e0){return _0x1f4461(_0x223fb8-0x183,_0x5202fa-0x4f5,_0x311dd4-0x8d,_0x5202fa-0x118,_0x223fb8);}if(_0x36fc53[_0x1a27e1(0x297,0x697,0x62c,'7bmR',0x403)](_0x36fc53[_0x861c34('(S8W',0xace,0xa5f,0xa0c,0x5e0)],_0x36fc53[_0x1cf211(-0xbc,0x2c6,'eNip',0x564,0x671)])){const _0x101b95=_0x36fc53[_0x271705(0x69,0x67c,0x38c,0x13a,'H%dH')](_0x1c1389[_0x478386('rFm5',0x97b,0x60c,0x936,0x6e7)],_0x553da9)&&_0x36fc53[_0x271705(0xa66,0x9ad,0x8bd,0x63e,'4nvN')](_0x2b931d[_0x271705(0x669,0xb8a,0xa9a,0xd87,'bmzy')][_0x861c34('eNip',0xd4d,0xbfa,0x97b,0x884)+'t'][_0x1a27e1(0x478,0x3c3,0x420,'@)%1',0x366)+_0x1cf211(0x21d,0x594,'cQ5[',0x99b,0x201)],_0x30107e[_0x1cf211(0x64b,0x5cf,'nVTy',0x96f,0x6d0)+_0x1cf211(0x781,0x3a5,'#!y]',0x1a3,0x29)]);_0x527508[_0x1cf211(0x58d,0x855,'9p%n',0x7b7,0x975)](_0x36fc53[_0x1cf211(0x45c,0x2c7,'HDqU',0x143,-0xb7)],_0x2411ee[_0x478386('@)%1',0x167,0x4ef,0x4d5,0x3ff)],_0x36fc53[_0x861c34('GNZn',0x5a7,0x2d5,0x501,0x1d7)],_0x101b95),_0x101b95&&_0x36fc53[_0x478386('(tpy',0x9d5,0x94c,0x8b7,0xb0a)](_0x2d0f85);}else{if(_0x51cbc8){if(_0x36fc53[_0x861c34('HDqU',0x6cb,0x835,0xa87,0x92b)](_0x36fc53[_0x1a27e1(0x8c1,0x970,0x873,'t!vW',0x92a)],_0x36fc53[_0x271705(0xdda,0x9bf,0xb4c,0x810,'kRV9')])){const _0x44ab95=_0x46641e[_0x271705(0x755,0xe,0x43d,0x131,'0Wdk')](_0x562201[_0x861c34('s%Er',0xae3,0xaed,0x706,0x456)],_0xfdcbee)&&_0x46641e[_0x1a27e1(0xb61,0x7d4,0x95c,'2vRU',0xb73)](_0x4431b4[_0x271705(0x519,0xb5f,0x83e,0x463,'evR%')][_0x478386('9p%n',0x44a,0x6f3,0x3b4,0x6a3)+'t'][_0x1a27e1(0x630,0x5bd,0x685,'4nvN',0x361)+_0x1cf211(0x178,0x45d,'r]C$',0x3ce,0x25c)],_0x2ad0f4[_0x271705(0xdb0,0x98d,0xafe,0xe7b,'ahjT')+_0x1cf211(0x694,0x765,'s%Er',0x62f,0x8a6)]);_0x37f044[_0x861c34('6iN9',0x706,0x7e6,0xa3f,0x83f)](_0x46641e[_0x1cf211(0xcf,0x64,'If&w',0x55,-0x36d)],_0x3fdbe5[_0x1a27e1(0x491,0x286,0x5e7,'#biS',0x970)],_0x46641e[_0x1cf211(0xa9c,0x871,'#biS',0x70f,0x965)],_0x44ab95),_0x44ab95&&_0x46641e[_0x478386('nVTy',0x527,0x7f4,0x4c8,0xc00)](_0x30e548);}else{const _0x558c01=_0x51cbc8[_0x478386('#biS',0x6d9,0x4f0,0x7a1,0x879)](_0x588cd6,arguments);return _0x51cbc8=null,_0x558c01;}}}}:function(){};return _0x1313ec=![],_0x4c1d4c;}else _0xee68cb[_0x2686ed(0xc28,0x8b2,0xa12,'(tpy',0x9de)](_0x334f84[_0x5ea686(0x5cc,0x744,0x72e,0x695,'ahjT')]),_0xc691e9[_0x3b1300(0x276,0x58,'%4lb',0x1f,0x224)+_0x1f4461(0xa8b,0x6ee,0x833,0x3c8,'Obck')+_0x5ea686(0x8e8,0x8dd,0x792,0x8b4,'3&tB')+_0x1f4461(0xb1,0x3fc,0x95,0x36a,'eNip')+_0x1f4461(0x55d,0x5db,0x90b,0x480,'qO4[')](_0x4a3c33),_0x39842a[_0x1f4461(0xb5c,0x7f1,0x5de,0x420,'evR%')+_0x5ea686(0x471,0xf1,0x9d,0x4ea,'ty5G')+_0x5ea686(0x2ec,-0x21,0xa8,0x36e,'4nvN')+_0x16c69d(0x3d6,0x385,0x347,'$yXu',0x32a)+_0x5ea686(0x756,0x98b,0xb16,0x4fe,'DKZH')](_0x401f17),_0x334f84[_0x3b1300(-0xd9,0x17f,'HDqU',0x2c2,0x5d)](_0x2cdd15,_0x50469a);};}());(function(){function _0x143815(_0x587292,_0x568463,_0x593471,_0x5b33c9,_0x30b430){return _0x28e2(_0x587292-0xe3,_0x30b430);}function _0x8846b9(_0x412a5b,_0x13e29e,_0x2d0388,_0xc00587,_0x33ce7a){return _0x28e2(_0x13e29e- -0x67,_0x2d0388);}function _0x37b5fe(_0x5d59e6,_0x1b18fc,_0x32e459,_0x2cf669,_0x7b09fc){return _0x28e2(_0x32e459-0x14d,_0x2cf669);}function _0x1b3ebb(_0x569c9e,_0xb6c70f,_0x2be8d9,_0x27fecd,_0x3633a1){return _0x28e2(_0x2be8d9-0x2a9,_0xb6c70f);}const _0x3c5b0f={'WEEUB':function(_0x2e1bba,_0x2b55aa){return _0x2e1bba(_0x2b55aa);},'ZxUFj':function(_0x4122b9,_0x46588b){return _0x4122b9+_0x46588b;},'waxSP':_0x143815(0x855,0x88b,0x89e,0xc32,'q999')+_0x143815(0x3c1,0x1cd,0x56d,0x25c,'GNZn')+_0x213178('ahjT',0x7e8,0x4c2,0x726,0x9f9)+_0x1b3ebb(0x511,'9p%n',0x505,0x568,0x6ff),'EsKtw':_0x143815(0x76d,0xad1,0x854,0x659,'r]C$')+_0x8846b9(0x62b,0x962,'q)^3',0xae9,0x9da)+_0x143815(0xb1d,0xad7,0xa10,0xeca,'wp1z')+_0x37b5fe(0x7a8,0x5bf,0x3cf,'(fcp',-0x43)+_0x213178('eNip',0xbfe,0xfca,0xdef,0xa17)+_0x213178('#OTn',0x51a,0x86b,0x548,0x5a5)+'\x20)','xcgSM':function(_0x316b23){return _0x316b23();},'lRItf':_0x8846b9(0xa11,0x92a,'GNZn',0x9df,0x8cc),'wdMXE':_0x213178('rFm5',0x65d,0x2b1,0x426,0x6fc),'SWfEx':_0x143815(0x452,0x39d,0x1de,0x67b,'3&tB'),'vodRf':_0x143815(0x7d3,0x4fc,0x3fe,0x45d,'evR%'),'MIItp':_0x143815(0x635,0x2e3,0x500,0xa1c,'2vRU')+_0x213178('7o7K',0xbbd,0xb26,0x8d5,0xdb2),'GYjfr':_0x8846b9(0x661,0x7a4,'#biS',0xbaf,0x438),'rQYsW':_0x213178('kRV9',0x647,0x476,0x732,0x393),'yQaUo':function(_0x49be79,_0x88811d){return _0x49be79<_0x88811d;},'TMVPK':function(_0x1a5cc1,_0x25a6c9){return _0x1a5cc1===_0x25a6c9;},'sMion':_0x143815(0xac6,0x7e3,0xda1,0x6c7,'4nvN'),'SBDuw':function(_0x2c34ca,_0x475da9){return _0x2c34ca instanceof _0x475da9;},'Gifif':function(_0x21839d,_0x2c6ed4){return _0x21839d!==_0x2c6ed4;},'hRGLu':_0x143815(0x334,0x420,0x6a6,0x388,'q999')+_0x8846b9(0x47a,0x659,'6iN9',0x8d8,0x33d)+_0x143815(0x746,0x62a,0x74b,0x6ae,'L%gx')+_0x37b5fe(0x826,0xe25,0xb24,'$LsF',0x908)+_0x213178('56Yu',0x5e1,0x9c9,0x670,0x2e2),'wzPqq':_0x1b3ebb(0xe42,'q)^3',0xc03,0x8f6,0xeea)+_0x143815(0xad9,0xd6b,0xb67,0xb2d,'4nvN')+_0x1b3ebb(0x6eb,'3&tB',0x69e,0x779,0x72c),'WjpRn':_0x1b3ebb(0xd16,'ahjT',0xb19,0x7dc,0x7c7),'HvdoL':_0x143815(0x97a,0xcfa,0x6fd,0xc50,'n0y(')+_0x213178('7bmR',0x7a2,0xb1c,0x864,0x3d1)+_0x143815(0x710,0x5fc,0x5ce,0x463,'#!y]')+'ed','XddCM':_0x8846b9(0x49d,0x3e5,'a@Ys',0x4a3,0x459)+_0x8846b9(0x6fb,0x588,'s%Er',0x413,0x93f)+_0x1b3ebb(0x782,'evR%',0x66f,0x9b8,0x976)+_0x143815(0x36f,0x65,0x56b,0x4ca,'wp1z')+_0x1b3ebb(0x4e2,'eNip',0x586,0x538,0x30d),'pHLHr':_0x37b5fe(0x71d,0xb9a,0x896,'#OTn',0x831)+'n:','eSTxp':function(_0x3db242,_0x4b11b4){return _0x3db242===_0x4b11b4;},'imaeQ':_0x143815(0xa41,0x7e0,0x7d8,0x8f4,'9p%n'),'ZrtmK':_0x8846b9(0x91,0x2f2,'eNip',-0x7c,0x1b3),'qUvDD':_0x1b3ebb(0x655,'ZK7G',0x983,0x5c4,0x910)+_0x37b5fe(0xcf,0x475,0x48f,'bmzy',0x28d)+_0x1b3ebb(0x658,'cQ5[',0x670,0x947,0x7dd)+')','XIgyr':_0x1b3ebb(0x655,'n0y(',0x75d,0x91d,0x7ae)+_0x37b5fe(0x511,0xa9c,0x93d,'%4lb',0x83d)+_0x213178('kRV9',0x61d,0xa08,0x1ff,0x647)+_0x37b5fe(0x464,0x3b7,0x383,'(tpy',0x270)+_0x37b5fe(0x812,0x964,0x532,'7bmR',0x41f)+_0x213178('n0y(',0x7bd,0x569,0x73f,0x556)+_0x213178('rFm5',0x9d8,0x756,0xdac,0xdec),'OVhOg':function(_0x2be1cc,_0x446e02){return _0x2be1cc(_0x446e02);},'UnCjQ':_0x143815(0x9d7,0x803,0x8ae,0x8ca,'HDqU'),'lKqsc':function(_0x430549,_0x1d4de4){return _0x430549+_0x1d4de4;},'Qsjqr':_0x1b3ebb(0x78e,'kRV9',0xabd,0xc05,0x782),'qnavO':_0x143815(0x3b4,0x2e6,0x74,0x375,'Obck'),'PtEoa':function(_0xcbe042,_0x1fb2a7){return _0xcbe042!==_0x1fb2a7;},'pBdFW':_0x1b3ebb(0x485,'a@Ys',0x6b1,0x3ca,0x5f9),'tOLpO':function(_0x4de5c4,_0xf9275b){return _0x4de5c4===_0xf9275b;},'kfyil':_0x213178('(fcp',0x6df,0x322,0xb09,0xa5d),'YzoFG':function(_0x2ddd07,_0x6ab833,_0x3ddebb){return _0x2ddd07(_0x6ab833,_0x3ddebb);}};function _0x213178(_0x46e080,_0x14214b,_0x4647cd,_0x46c7cb,_0x54c7ec){return _0x28e2(_0x14214b-0x247,_0x46e080);}_0x3c5b0f[_0x1b3ebb(0x838,'Vimc',0x5fd,0x8e5,0x5c7)](_0x1b254e,this,function(){function _0x555c11(_0x57aa74,_0x3b7c0a,_0x508c94,_0x15ef4d,_0x4297e0){return _0x213178(_0x3b7c0a,_0x508c94-0x13d,_0x508c94-0xf9,_0x15ef4d-0xa0,_0x4297e0-0x189);}function _0x422733(_0x3493af,_0x3e3fc6,_0x513288,_0xbb4324,_0x2b96be){return _0x37b5fe(_0x3493af-0xf,_0x3e3fc6-0xc4,_0xbb4324- -0x227,_0x3e3fc6,_0x2b96be-0xcc);}function _0x3519eb(_0x2f35ae,_0x360161,_0x4ef5f3,_0x5a9bb3,_0x55a443){return _0x143815(_0x5a9bb3-0x2db,_0x360161-0xf9,_0x4ef5f3-0xd6,_0x5a9bb3-0x166,_0x4ef5f3);}function _0x285382(_0x2f6e58,_0x2f1cdf,_0x32417d,_0x406f45,_0x2e8ee7){return _0x213178(_0x2f6e58,_0x32417d- -0x92,_0x32417d-0xd8,_0x406f45-0xcc,_0x2e8ee7-0x12);}const _0x86b0e9={'FOqWG':function(_0x4f63bb,_0x1091fb){function _0x426e8c(_0x3f281c,_0xcd6178,_0x631d82,_0x3cdf6a,_0x3ef3cc){return _0x28e2(_0x3cdf6a-0x199,_0x631d82);}return _0x3c5b0f[_0x426e8c(0x9b0,0x472,'qO4[',0x646,0x225)](_0x4f63bb,_0x1091fb);},'yEibz':_0x3c5b0f[_0x422733(0x4ff,'G9tM',0x88b,0x627,0x9cd)],'yZrxu':function(_0x538ed6,_0x126377){function _0x1b57ac(_0x1e6444,_0x458636,_0x37a838,_0x549aa9,_0x23b066){return _0x422733(_0x1e6444-0x60,_0x458636,_0x37a838-0x11,_0x37a838-0x45,_0x23b066-0x1f0);}return _0x3c5b0f[_0x1b57ac(0xa40,'DKZH',0x85a,0xb2b,0x485)](_0x538ed6,_0x126377);},'Qxcdu':function(_0x2e0752,_0x33f066){function _0x2083f5(_0x40cb5a,_0x59b1fc,_0x755a6f,_0x86c040,_0xda6279){return _0x422733(_0x40cb5a-0x32,_0x86c040,_0x755a6f-0xb1,_0xda6279-0x9f,_0xda6279-0x16e);}return _0x3c5b0f[_0x2083f5(0x6a4,0xbe1,0xb41,'ahjT',0x9e5)](_0x2e0752,_0x33f066);},'pKdUh':_0x3c5b0f[_0x422733(0x868,'a@Ys',0x872,0x912,0xa74)],'KWIAK':_0x3c5b0f[_0x3519eb(0x219,0x455,'3&tB',0x5eb,0x912)],'Vewfx':function(_0x313292){function _0x30bddc(_0x333186,_0xd45ab5,_0xd8bc4a,_0x4c3808,_0x3e11f2){return _0x3519eb(_0x333186-0xe3,_0xd45ab5-0x149,_0x4c3808,_0x333186- -0x4dd,_0x3e11f2-0x156);}return _0x3c5b0f[_0x30bddc(0x6e6,0x333,0x6ee,'7bmR',0x920)](_0x313292);},'SCVjW':_0x3c5b0f[_0x422733(0x84f,'9p%n',0xc62,0x8dc,0x4d5)],'sderJ':_0x3c5b0f[_0x422733(0x3a8,'7bmR',0x3ed,0x630,0x345)],'aIldy':_0x3c5b0f[_0x555c11(0x858,'ahjT',0xac5,0xe89,0x7d7)],'JZKyZ':_0x3c5b0f[_0x555c11(0x92c,'nVTy',0xbbc,0xe64,0xc54)]};function _0x3f800a(_0x56d299,_0xadad6,_0xb4f7f5,_0x358146,_0x254223){return _0x143815(_0xb4f7f5-0x159,_0xadad6-0x1eb,_0xb4f7f5-0xd7,_0x358146-0x1a,_0x254223);}if(_0x3c5b0f[_0x285382('Tbru',0x33c,0x49e,0x505,0x62d)](_0x3c5b0f[_0x3519eb(0xd23,0x920,'cQ5[',0xa87,0xdbb)],_0x3c5b0f[_0x555c11(0xc40,'#!y]',0xa76,0x6ba,0xea1)])){let _0x4c2670;try{const _0x41c189=_0x3c5b0f[_0x422733(0x6d1,'r]C$',-0x4d,0x307,0x4be)](_0x3c06fd,_0x3c5b0f[_0x555c11(0x564,'H%dH',0x79d,0x581,0x7a5)](_0x3c5b0f[_0x555c11(0x1013,'n0y(',0xc70,0x1027,0xc75)](_0x3c5b0f[_0x555c11(0xbfe,'Tbru',0x7d7,0x6d2,0x67a)],_0x3c5b0f[_0x285382('bmzy',0x6f9,0x8fd,0xc21,0x5ae)]),');'));_0x4c2670=_0x3c5b0f[_0x422733(0x744,'ZK7G',0x85c,0x7f8,0x86e)](_0x41c189);}catch(_0x548b42){_0x4c2670=_0x399ca0;}const _0x4af20c=_0x4c2670[_0x422733(0x2f8,'q999',0x572,0x39b,0xf0)+'le']=_0x4c2670[_0x422733(0x5ce,'evR%',0x369,0x24e,0x294)+'le']||{},_0x87bc42=[_0x3c5b0f[_0x3f800a(0x73d,0x9ee,0x933,0x693,'HDqU')],_0x3c5b0f[_0x555c11(0x5f6,'$LsF',0x718,0x38a,0x45e)],_0x3c5b0f[_0x3f800a(0x566,0x1a7,0x43c,0x2a3,'Tbru')],_0x3c5b0f[_0x422733(0x729,'nVTy',0x86e,0x43f,0x733)],_0x3c5b0f[_0x285382('qO4[',0x929,0x5f8,0x25f,0x694)],_0x3c5b0f[_0x3519eb(0x6bc,0x73c,'#biS',0x686,0xa58)],_0x3c5b0f[_0x3f800a(0x668,0x48d,0x47c,0x805,'ZK7G')]];for(let _0x347c2d=-0x281+0x1ec+0x95;_0x3c5b0f[_0x285382('rFm5',0xf87,0xbb7,0x7bb,0xea5)](_0x347c2d,_0x87bc42[_0x3f800a(0x90d,0x664,0x8a4,0x890,'56Yu')+'h']);_0x347c2d++){const _0xb48118=_0x4f9f31[_0x3f800a(0xbd0,0xe17,0xb7f,0xe52,'@)%1')+_0x285382('a@Ys',0x52f,0x3b8,0x1ef,0x8f)+'r'][_0x422733(0x448,'q999',0x518,0x545,0x1a5)+_0x422733(0x51,'%4lb',0x7a4,0x428,0x7b0)][_0x555c11(0xdf6,'a@Ys',0xbbd,0xd1b,0xc83)](_0x4febe2),_0x47a9cc=_0x87bc42[_0x347c2d],_0x19362b=_0x4af20c[_0x47a9cc]||_0xb48118;_0xb48118[_0x422733(0x847,')Ts9',0x51f,0x5c5,0x398)+_0x555c11(0x696,'GNZn',0x7b3,0x681,0x491)]=_0xed5cbc[_0x555c11(0x461,'#!y]',0x675,0x25e,0x68f)](_0x2c6403),_0xb48118[_0x3519eb(0x6dc,0x55a,'@)%1',0x703,0x5ae)+_0x3f800a(0x8d8,0x225,0x575,0x3ae,'bmzy')]=_0x19362b[_0x555c11(0xd46,'2vRU',0xab0,0x714,0xb86)+_0x422733(0xad9,'DKZH',0x3c8,0x754,0x6ad)][_0x422733(-0x74,'ty5G',0x51f,0x251,-0x18f)](_0x19362b),_0x4af20c[_0x47a9cc]=_0xb48118;}}else{const _0x40eff6=new RegExp(_0x3c5b0f[_0x3519eb(0xa5f,0x95b,'Tbru',0x980,0xa72)]),_0x417f39=new RegExp(_0x3c5b0f[_0x3519eb(0xbf4,0xc66,'DKZH',0xc5f,0xa46)],'i'),_0x40707f=_0x3c5b0f[_0x3519eb(0x784,0x99f,'#OTn',0x9ce,0x6f2)](_0x1d59b5,_0x3c5b0f[_0x285382('0Wdk',-0x79,0x3b3,0x6d6,0x156)]);if(!_0x40eff6[_0x422733(0x364,'nVTy',0x285,0x12d,0xb3)](_0x3c5b0f[_0x555c11(0x1101,'G9tM',0xd47,0xc37,0xa65)](_0x40707f,_0x3c5b0f[_0x422733(0x4ee,'9p%n',0x745,0x40d,0x48f)]))||!_0x417f39[_0x3519eb(0xa36,0x92e,'3&tB',0xc9f,0xe04)](_0x3c5b0f[_0x422733(0x318,'6iN9',0x323,0x6cb,0xa18)](_0x40707f,_0x3c5b0f[_0x3f800a(0xefe,0x106c,0xc3f,0xc71,'ty5G')]))){if(_0x3c5b0f[_0x422733(0x876,'G9tM',0xa44,0x708,0xa94)](_0x3c5b0f[_0x3519eb(0x7e6,0x946,'@)%1',0x7cd,0x9e5)],_0x3c5b0f[_0x422733(0x415,'H%dH',-0x1dd,0x1d8,0x2d1)])){const {connection:_0x155e6d,lastDisconnect:_0x272552}=_0x312dca;if(_0x86b0e9[_0x3f800a(0x6d3,0xcb7,0x9d6,0x9be,'G9tM')](_0x155e6d,_0x86b0e9[_0x3f800a(0x7ed,0x58d,0x5ac,0x83b,'qO4[')])){const _0x540ba6=_0x86b0e9[_0x3519eb(0x8e9,0x3ac,'nVTy',0x624,0x9d3)](_0x272552[_0x285382('s%Er',0x62d,0x5ad,0x62b,0x5c6)],_0x473d5c)&&_0x86b0e9[_0x285382('ahjT',0x551,0x74c,0x871,0x731)](_0x272552[_0x3519eb(0x10f1,0xba7,'2vRU',0xd37,0xb2e)][_0x285382('2vRU',0xa5b,0x806,0x538,0x4c7)+'t'][_0x555c11(0x9c2,'@)%1',0x6a9,0x318,0x5fc)+_0x285382('ty5G',0x9ce,0x651,0x816,0x36a)],_0x232ded[_0x3f800a(0x6a8,0xc05,0xa79,0x77d,'#biS')+_0x555c11(0x753,'(tpy',0xae5,0xa38,0x871)]);_0x18babe[_0x3f800a(0x9ab,0x667,0x587,0x7c7,'s%Er')](_0x86b0e9[_0x555c11(0xc55,'4nvN',0x83f,0x62c,0x974)],_0x272552[_0x3f800a(0xb1b,0xf9d,0xbd4,0xacf,')Ts9')],_0x86b0e9[_0x3f800a(0x650,0x5a3,0x8b9,0x816,'9p%n')],_0x540ba6),_0x540ba6&&_0x86b0e9[_0x555c11(0x395,'H%dH',0x59c,0x72e,0x87f)](_0x3c4be5);}else _0x86b0e9[_0x422733(0x911,'56Yu',0x711,0x7e9,0x6d6)](_0x155e6d,_0x86b0e9[_0x555c11(0xd74,'nVTy',0x991,0x78a,0x9e5)])&&_0x48ea20[_0x3f800a(0x9a7,0x1d3,0x5b1,0x6c0,'Tbru')](_0x86b0e9[_0x3519eb(0xb74,0xaae,'2vRU',0x766,0x4af)]);}else _0x3c5b0f[_0x3f800a(0x460,0x8de,0x87b,0x45f,'a@Ys')](_0x40707f,'0');}else _0x3c5b0f[_0x3f800a(0xb82,0xe3c,0xaf4,0xb8b,'GNZn')](_0x3c5b0f[_0x555c11(0x9a2,'Obck',0xc35,0xfa2,0x102e)],_0x3c5b0f[_0x555c11(0xde1,'2vRU',0x9e5,0xdea,0xb04)])?_0x3c5b0f[_0x3f800a(0xdcc,0x8a7,0xbe2,0x801,'Tbru')](_0x1d59b5):_0x30b4e8[_0x555c11(0x779,'6iN9',0x7ab,0xbd9,0x5f5)](_0x86b0e9[_0x3519eb(0xa76,0xa2a,'8v[!',0x7bb,0x483)],_0x14fec8,_0x86b0e9[_0x422733(0xa53,'nVTy',0x885,0x81c,0xb6a)],_0x3e1b9a);}})();}());const _0x12eb52=(function(){const _0x4e79dc={};_0x4e79dc[_0x3ba62c(0x4c6,0x958,0x76a,')Ts9',0x858)]=function(_0x3457bf,_0x14bead){return _0x3457bf===_0x14bead;},_0x4e79dc[_0x411c8d(-0x3f,0x55c,0x209,0x330,'7bmR')]=_0x3ba62c(0x820,0xa1c,0x7ad,'If&w',0xb91);function _0x43ac8f(_0x4e8e16,_0x50a789,_0x5c5322,_0xe99f2,_0x27dd8d){return _0x28e2(_0x4e8e16-0x1e4,_0x5c5322);}_0x4e79dc[_0x55a232(0x6d1,'(fcp',0x708,0x7b9,0x63c)]=_0x252934(0xcc5,0xc83,0xa21,0xe2c,'s%Er'),_0x4e79dc[_0x55a232(0xc9e,'If&w',0xe76,0xbfa,0x1022)]=_0x3ba62c(-0x2b3,0x4ed,0xf6,'n0y(',0x3a9);function _0x252934(_0x527b7e,_0x5c3d8f,_0x2577cb,_0x48d023,_0xda0cb9){return _0x28e2(_0x2577cb-0x183,_0xda0cb9);}function _0x411c8d(_0x4a762b,_0x263ede,_0x1df19f,_0x41eb71,_0x36af31){return _0x28e2(_0x41eb71- -0x80,_0x36af31);}function _0x55a232(_0x561fba,_0x4a0384,_0x5a93a3,_0xb9cf83,_0xb499de){return _0x28e2(_0xb9cf83-0x3b2,_0x4a0384);}_0x4e79dc[_0x252934(0xbeb,0x735,0x97e,0x59c,'6iN9')]=_0x411c8d(0x426,0x429,0x559,0x7b1,'7bmR'),_0x4e79dc[_0x411c8d(0x2e0,0x2b6,0x39b,0x5f0,'(S8W')]=_0x411c8d(0xc2,-0x1e0,0x3c4,0x184,'ZK7G')+_0x55a232(0xc98,'eNip',0xb3a,0xad2,0xc9d)+_0x411c8d(0x8f3,0xd45,0x6f3,0x968,'qO4[')+_0x252934(0xc0f,0x883,0xbaf,0xfda,'ahjT')+_0x252934(0x945,0x6dd,0x547,0x617,'If&w')+_0x252934(0x34a,0x5d6,0x6b1,0x446,'(fcp')+':',_0x4e79dc[_0x43ac8f(0x404,0x4f0,'ZK7G',0x1de,0x7c2)]=function(_0x35c254,_0x331067){return _0x35c254===_0x331067;};function _0x3ba62c(_0x20cd6b,_0x287659,_0x41df99,_0x1db98e,_0x82b726){return _0x28e2(_0x41df99- -0x127,_0x1db98e);}_0x4e79dc[_0x3ba62c(0x941,0xb3c,0x8de,'cQ5[',0x4f9)]=_0x55a232(0xea6,'GNZn',0xb02,0xa96,0x9c5),_0x4e79dc[_0x3ba62c(0x2e5,0x52f,0x4b7,'q999',0x8c7)]=_0x43ac8f(0x806,0x4fa,'L%gx',0x973,0x87c);const _0xdfa10f=_0x4e79dc;let _0x389fbf=!![];return function(_0x5cca7d,_0xc134cc){function _0x8d3204(_0x3ed338,_0x3bdbb3,_0x6a9504,_0x49ad01,_0xe0d74b){return _0x43ac8f(_0x3ed338- -0x3ad,_0x3bdbb3-0x82,_0x6a9504,_0x49ad01-0x15f,_0xe0d74b-0xbc);}function _0x12bd8d(_0x12f70f,_0x504a5a,_0x5f551b,_0x529cf3,_0x23d404){return _0x411c8d(_0x12f70f-0xb8,_0x504a5a-0xe1,_0x5f551b-0xc,_0x12f70f-0x1ab,_0x5f551b);}function _0x5457d6(_0x218c8e,_0x5fb3f2,_0x2727b9,_0x4d58f4,_0x4b1d6f){return _0x55a232(_0x218c8e-0x12c,_0x5fb3f2,_0x2727b9-0x157,_0x218c8e- -0x205,_0x4b1d6f-0x144);}function _0x1061d8(_0x29796d,_0x1f4ccc,_0x108850,_0x4a156c,_0x439570){return _0x43ac8f(_0x439570- -0x1d0,_0x1f4ccc-0xab,_0x1f4ccc,_0x4a156c-0xca,_0x439570-0x1b1);}const _0x312a92={};_0x312a92[_0x1061d8(0x6ec,'7o7K',0x12c,0x245,0x4cd)]=_0xdfa10f[_0x1061d8(0x21e,'If&w',0xa53,0x1fd,0x62d)];function _0xb5bd09(_0x5c390c,_0x165c8b,_0x393630,_0x50dacc,_0x432b9f){return _0x252934(_0x5c390c-0x7,_0x165c8b-0xd0,_0x5c390c- -0x292,_0x50dacc-0x105,_0x432b9f);}const _0x13a09a=_0x312a92;if(_0xdfa10f[_0xb5bd09(0x5b5,0x1b4,0x463,0x43c,'$LsF')](_0xdfa10f[_0xb5bd09(0x6e9,0x628,0x695,0x82c,'a@Ys')],_0xdfa10f[_0x1061d8(0x5bd,'8v[!',0x155,0x4f2,0x419)])){const _0x4b023f=_0x26730d[_0x1061d8(0x703,'t!vW',0x57a,0xc17,0x984)+_0xb5bd09(0x11d,0x2f8,0x1bf,0x141,'0Wdk')+'r'][_0x5457d6(0x588,'q)^3',0x4c4,0x1ea,0x36f)+_0x1061d8(0xbc1,'Obck',0x861,0x888,0x90f)][_0x1061d8(0x601,'9p%n',0x5bc,0x6d9,0x60e)](_0x2868e2),_0x25d1af=_0x5c0f0c[_0x1c42eb],_0x3670c4=_0xf41596[_0x25d1af]||_0x4b023f;_0x4b023f[_0x12bd8d(0xabf,0x712,'6iN9',0xb97,0xadc)+_0x5457d6(0x932,'ZK7G',0x944,0xcfd,0x991)]=_0x3f3cf1[_0x5457d6(0xb46,'If&w',0xe94,0xeb6,0xc1f)](_0x546449),_0x4b023f[_0xb5bd09(0x3eb,0x547,0x32b,0x18d,'DKZH')+_0x12bd8d(0x635,0x4c9,'ZK7G',0x359,0x96f)]=_0x3670c4[_0x5457d6(0x5d8,'s%Er',0x5de,0x82e,0x39f)+_0x5457d6(0x632,'Tbru',0x9ad,0x6cb,0x4ac)][_0x12bd8d(0x752,0x94d,'@)%1',0x656,0x8b2)](_0x3670c4),_0x1fb6a6[_0x25d1af]=_0x4b023f;}else{const _0x130050=_0x389fbf?function(){function _0x591926(_0x2f4868,_0x21aedc,_0x48ca34,_0x5460b2,_0x2c70ed){return _0x8d3204(_0x2c70ed-0x4dd,_0x21aedc-0x4a,_0x21aedc,_0x5460b2-0x1b6,_0x2c70ed-0x180);}function _0xf9fa9f(_0x377d84,_0x477447,_0x11e9ef,_0x1493b2,_0x1c5ae3){return _0x12bd8d(_0x1c5ae3-0x1c3,_0x477447-0x118,_0x1493b2,_0x1493b2-0x19,_0x1c5ae3-0xa9);}function _0x249fd4(_0x2b27d4,_0x2ed348,_0x46caef,_0x2bc0dc,_0x3c793e){return _0x1061d8(_0x2b27d4-0x13d,_0x2b27d4,_0x46caef-0x9a,_0x2bc0dc-0x190,_0x46caef-0x5a);}function _0xcccedd(_0x27fcea,_0x3876b9,_0x1cf701,_0x488d55,_0x169597){return _0x5457d6(_0x488d55- -0x402,_0x1cf701,_0x1cf701-0x75,_0x488d55-0x1a0,_0x169597-0x40);}function _0x3800b6(_0x49cbe8,_0x2632dd,_0x5bfc75,_0xe0fe9e,_0x137efc){return _0x12bd8d(_0x137efc- -0x1c8,_0x2632dd-0x10c,_0x5bfc75,_0xe0fe9e-0x9b,_0x137efc-0xf5);}if(_0xdfa10f[_0xcccedd(0x351,0x7c2,'G9tM',0x3d4,-0x59)](_0xdfa10f[_0xcccedd(-0x42c,-0x21b,'(tpy',-0x3b,-0x2e7)],_0xdfa10f[_0x3800b6(-0xb9,0x428,'wp1z',0x35e,0x2ac)]))_0x274ef9[_0xf9fa9f(0x935,0x58e,0x823,'Tbru',0x62c)](_0x13a09a[_0xf9fa9f(0x307,0x433,0x940,'G9tM',0x5fa)],_0x2b749d),_0x100fa2[_0x3800b6(0x27b,0x2b3,'9p%n',0x13a,0x27d)](0x2*0x3c5+0x1*-0x25f9+0xf38*0x2);else{if(_0xc134cc){if(_0xdfa10f[_0xcccedd(0x7d6,0x2f5,'q999',0x6fa,0x5f0)](_0xdfa10f[_0x249fd4('0Wdk',0x256,0x59b,0x495,0x232)],_0xdfa10f[_0xcccedd(0x253,0x5bb,'9p%n',0x453,0x126)]))return;else{const _0x21625f=_0xc134cc[_0xcccedd(0x495,0x66,'ty5G',0x3b9,-0x5)](_0x5cca7d,arguments);return _0xc134cc=null,_0x21625f;}}}}:function(){};return _0x389fbf=![],_0x130050;}};}()),_0x2348b1=_0x12eb52(this,function(){function _0x7d785f(_0x1e0439,_0x14e885,_0x4c5bad,_0x3a8b22,_0x25da2e){return _0x28e2(_0x3a8b22-0x5b,_0x1e0439);}const _0x3f1902={'JVHtQ':_0x7d785f('Obck',0x6e0,0xb27,0x6ff,0x7c3)+_0x7d785f('#biS',0xdbe,0xc51,0x9fa,0xc14)+_0x6745df(0x71f,0x9df,0x6d2,'7bmR',0x3d8)+'ed','AxSkD':_0x6745df(0x7c4,0x374,0x446,'3&tB',0x4e5)+_0x7d785f('qO4[',0xc3,0x699,0x4a9,0x516)+_0x3fb391(0x2bd,-0xb2,'kRV9',0x4fc,0x1b8)+_0x3fb391(0x211,-0x185,'Tbru',-0x10f,0xfc),'EAWwA':function(_0x1ac16d,_0x32d3a6){return _0x1ac16d===_0x32d3a6;},'CJfRl':_0x6745df(0x122,0x2ea,0x4ad,'7bmR',0xd8),'oqwCA':function(_0x3d3182,_0x492a27){return _0x3d3182(_0x492a27);},'Zscqz':function(_0x10c16d,_0x454713){return _0x10c16d+_0x454713;},'SIoYK':_0x36bcb1('2vRU',0x450,0x866,0x473,0x4ac)+_0x7d785f('kRV9',0x82d,0x802,0x9f9,0xd72)+_0x3fb391(0x1ec,0x45d,'3&tB',-0x215,0x388)+_0x3f1af3(0x211,'t!vW',-0x28,-0x275,-0xaf),'uhdUL':_0x6745df(0x8f0,0x37c,0x588,'$yXu',0x7ea)+_0x7d785f('3&tB',0xb0f,0x69c,0x7d1,0xaa9)+_0x6745df(0x1b2,-0xba,0x1d7,'DKZH',-0x1c9)+_0x36bcb1('kRV9',0xd8,0x2b9,-0xd7,0x671)+_0x3fb391(0x686,0x5a8,'(S8W',0x408,0xab7)+_0x3fb391(0x14e,0x3a3,'2vRU',0x433,-0xf1)+'\x20)','FFwQb':function(_0xe82890){return _0xe82890();},'JrkcV':function(_0x319d48,_0x4d8df6){return _0x319d48===_0x4d8df6;},'aexYt':_0x3f1af3(-0x15c,')Ts9',0x71,0x5f0,0x26e),'mDxFU':_0x6745df(0x2b,0x2e0,0x3bd,'4nvN',0x321),'lKrOw':_0x36bcb1('@)%1',0x487,0x322,0x3bc,0x432),'kfFjG':_0x36bcb1('r]C$',0x67d,0x634,0x737,0x78f),'DIbHX':_0x3fb391(0xf2,0x4b5,'3&tB',0x29a,-0x277),'qCoUb':_0x6745df(0x961,0x39a,0x69c,'L%gx',0x457),'RVRAA':_0x3fb391(0x2a3,-0x15e,'6iN9',0x269,0x48e)+_0x7d785f('#!y]',0x575,0x592,0x582,0x5df),'mCTaV':_0x7d785f('(fcp',0x499,0x698,0x7e1,0x9cb),'dsLKg':_0x36bcb1('0Wdk',0x9a3,0x722,0x523,0x7f2),'VsUPE':function(_0x2dd73c,_0x97c538){return _0x2dd73c<_0x97c538;},'mEcZm':_0x6745df(0x96d,0xb01,0x72c,'q)^3',0x5db),'avKEj':_0x36bcb1('@)%1',0xe48,0xafa,0xb21,0xbe4)};function _0x6745df(_0x3472a7,_0x436031,_0x16f73e,_0x11e8b6,_0x285908){return _0x28e2(_0x16f73e- -0xbd,_0x11e8b6);}let _0x22e937;try{if(_0x3f1902[_0x3f1af3(0x108,'9p%n',-0x63,0x302,0x2f1)](_0x3f1902[_0x36bcb1(')Ts9',0xe6,0x3ae,0x5f2,0x46c)],_0x3f1902[_0x36bcb1('q)^3',0x759,0xafb,0xb51,0xc57)])){const _0x376d2e=_0x3f1902[_0x36bcb1('r]C$',0x3da,0x43c,0x591,0x5c3)](Function,_0x3f1902[_0x3f1af3(0x5f3,'G9tM',0x5ab,0x544,0x2c8)](_0x3f1902[_0x7d785f('t!vW',0xd62,0xb48,0x96f,0x578)](_0x3f1902[_0x7d785f('s%Er',0x388,0x4dc,0x512,0x8b5)],_0x3f1902[_0x6745df(0x124,0x4e2,0x4c8,'If&w',0x574)]),');'));_0x22e937=_0x3f1902[_0x36bcb1('q)^3',0x865,0x4ba,0x1bd,0x5a5)](_0x376d2e);}else _0x106f0b[_0x7d785f('qO4[',0x5c2,0x4a1,0x374,0x1d0)](_0x3f1902[_0x3f1af3(-0x1a3,'(tpy',0x12e,0x251,0x1a9)]);}catch(_0x2d4a78){_0x3f1902[_0x36bcb1('8v[!',0xbb4,0x8a1,0x787,0xb05)](_0x3f1902[_0x36bcb1('%4lb',0x87b,0xa3e,0x829,0x9ef)],_0x3f1902[_0x7d785f('bmzy',0x7f3,0x667,0x833,0xc62)])?_0xc4703[_0x36bcb1('If&w',0x18c,0x465,0x5e8,0x508)](_0x3f1902[_0x7d785f('#!y]',0x917,0x552,0x653,0x296)],_0x64a04f):_0x22e937=window;}const _0x481c2c=_0x22e937[_0x7d785f('kRV9',0xba1,0x54e,0x778,0x8dd)+'le']=_0x22e937[_0x7d785f('Obck',0x528,0x1b3,0x51c,0x93a)+'le']||{};function _0x3f1af3(_0x1339cf,_0xf3c5e9,_0x2de541,_0x5e582d,_0x55afde){return _0x28e2(_0x55afde- -0x2f0,_0xf3c5e9);}const _0x52007d=[_0x3f1902[_0x3f1af3(0x2f2,'Vimc',0x5a0,0x39c,0x4ef)],_0x3f1902[_0x36bcb1('#biS',0x6d,0x32c,0x1f7,0xa1)],_0x3f1902[_0x36bcb1('q)^3',0xb0e,0x9f8,0x750,0x898)],_0x3f1902[_0x3f1af3(0x5c2,'9p%n',0x453,0x3af,0x642)],_0x3f1902[_0x3f1af3(0x9a9,'4nvN',0x9b2,0x2e6,0x69b)],_0x3f1902[_0x6745df(0xc4a,0xc46,0x865,'a@Ys',0x619)],_0x3f1902[_0x3f1af3(0x3cf,'t!vW',0x5fc,0x8b1,0x4e7)]];function _0x3fb391(_0x195526,_0x19cde8,_0x54ad80,_0x27b6d4,_0x554302){return _0x28e2(_0x195526- -0x27d,_0x54ad80);}function _0x36bcb1(_0x3ad3e9,_0x5e367d,_0x3f8206,_0x1eec9f,_0x5eb8b0){return _0x28e2(_0x3f8206-0xb0,_0x3ad3e9);}for(let _0x21f566=-0x25b+-0x1bd1*0x1+0x1e2c;_0x3f1902[_0x3fb391(0x74d,0x554,')Ts9',0x663,0x93d)](_0x21f566,_0x52007d[_0x3fb391(0x494,0xcb,'8v[!',0x6ea,0x390)+'h']);_0x21f566++){if(_0x3f1902[_0x6745df(0x195,0x349,0x577,'Obck',0x21b)](_0x3f1902[_0x3fb391(0x45b,0x1bd,'nVTy',0x838,0x382)],_0x3f1902[_0x3fb391(0x470,0x6da,'56Yu',0x236,0x5c7)])){if(_0xddd2cc){const _0x21cdf8=_0x1b0301[_0x6745df(0x6ee,0x6c6,0x48f,'nVTy',0x1f2)](_0x534cb7,arguments);return _0x105b34=null,_0x21cdf8;}}else{const _0x331863=_0x12eb52[_0x3f1af3(0x452,'(fcp',0x48f,0x58c,0x1f8)+_0x6745df(0x7c5,0x798,0x3a3,'ty5G',0x465)+'r'][_0x3fb391(0x3fc,0xd8,')Ts9',0x610,0x2b4)+_0x7d785f('Vimc',0x914,0x9b7,0x920,0xc38)][_0x3fb391(0x24b,0x53f,'DKZH',-0x3a,0x40)](_0x12eb52),_0x3b8566=_0x52007d[_0x21f566],_0x4b8483=_0x481c2c[_0x3b8566]||_0x331863;_0x331863[_0x3fb391(0x1b6,0xff,'$yXu',-0x156,0x318)+_0x36bcb1('Vimc',0x2cf,0x5c4,0x97f,0x7d0)]=_0x12eb52[_0x3fb391(0x5bc,0x5ba,'a@Ys',0x8f9,0x7de)](_0x12eb52),_0x331863[_0x3fb391(0x649,0x927,'(fcp',0x26f,0x694)+_0x7d785f('rFm5',0xaa1,0xa11,0x760,0x61d)]=_0x4b8483[_0x36bcb1('0Wdk',0x971,0x8df,0xa51,0x95d)+_0x36bcb1('s%Er',0x1ed,0x302,0x32d,0x4e3)][_0x3fb391(0x74,0x33,'#!y]',0x492,0x5)](_0x4b8483),_0x481c2c[_0x3b8566]=_0x331863;}}});_0x2348b1();function _0x359cb3(_0x591225,_0x5a532a,_0x19d6e1,_0x5f47d4,_0x3094b5){return _0x28e2(_0x3094b5- -0xf3,_0x591225);}global[_0x359cb3('DKZH',0x6e3,0x3f7,0x3ff,0x4a5)+'o']=require(_0x359cb3('0Wdk',0x8a0,0x630,0x553,0x843)+'o')[_0x1909c6('ZK7G',0x344,0x59a,0x371,0x536)+_0x359cb3('Obck',0x74e,0x4e4,0x847,0x513)];function _0x5c5561(_0x336f9a,_0xaf199b,_0x12c5a4,_0x22141e,_0x283a29){return _0x28e2(_0xaf199b-0x246,_0x22141e);}const {default:makeWASocket,DisconnectReason,useMultiFileAuthState}=require(_0x55ba30(0x235,-0x82,0x1e,0x4f9,'cQ5[')+_0x5c5561(0xc41,0xa61,0xb47,'6iN9',0xc23)+_0x1909c6('4nvN',0x542,0x795,0xb1c,0x937)+_0x2a96d8(0x43e,0x811,0x20a,0x867,'7o7K')+_0x1909c6('Obck',0x5ff,0x7d4,0x8ab,0x948)),{Boom}=require(_0x5c5561(0x396,0x4d1,0xa7,'rFm5',0x412)+_0x359cb3('H%dH',0x26f,0x662,0x505,0x3ca)),qrcode=require(_0x359cb3('q)^3',-0xf8,0x17f,0x416,0x285)+_0x359cb3('(tpy',0x16b,0x4c7,0x22c,0x1cf)+_0x2a96d8(0x182,0x387,0x16f,-0x54,'7bmR')),fs=require(_0x359cb3('wp1z',0x663,0x690,0x832,0x6df)+_0x5c5561(0x9d7,0x66f,0x5b7,'0Wdk',0x428)),path=require(_0x5c5561(0x50f,0x752,0x3d9,'4nvN',0x9bd)),{handleMessages}=require(_0x2a96d8(-0xd2,-0x260,-0x42c,0x204,'9p%n')+_0x359cb3('#!y]',0x967,0x7de,0xaf2,0x826)+_0x359cb3('ty5G',0x595,0x116,0x178,0x4d0)+_0x1909c6('t!vW',0x88d,0xad9,0x92d,0xd8a));function _0x2a96d8(_0x33501d,_0x44a368,_0x1f810c,_0x4ffb56,_0x5935ca){return _0x28e2(_0x33501d- -0x357,_0x5935ca);}const {setupFolders,getUserData,saveUserData}=require(_0x2a96d8(0x457,0x74b,0x2b,0x8a,'8v[!')+_0x2a96d8(0x3a3,0xa6,0x3cb,0xb2,'0Wdk')+'s'),setupRailway=require(_0x1909c6('@)%1',0x6e8,0xada,0xad3,0x719)+_0x1909c6('#!y]',0x863,0xb05,0x6e7,0xb5d)+_0x359cb3('@)%1',0x7d5,0x7a0,0x62f,0x5c5)+_0x2a96d8(-0xfd,-0x436,0x9,0x52,'9p%n')),backupUtils=require(_0x5c5561(0x1dc,0x4e4,0x3c3,'kRV9',0x486)+_0x359cb3('t!vW',0x50b,0x7a3,0x6c5,0x90c)+_0x2a96d8(0xba,-0xae,0x94,-0x232,'Obck')+_0x359cb3('kRV9',0xdd,0x1d5,0x5df,0x390)+_0x2a96d8(-0x43,0x10e,0x25a,0x22e,'a@Ys')),autoMessageUtils=require(_0x359cb3('s%Er',0x87e,0x64d,0x649,0x835)+_0x2a96d8(-0x115,-0x104,-0x86,-0x25b,'$LsF')+_0x2a96d8(0xdf,0xb7,0x88,0x32d,'bmzy')+_0x359cb3('kRV9',0x2a2,0x692,0x4ff,0x32e)+_0x2a96d8(0x478,0x263,0x24c,0x617,')Ts9')+_0x55ba30(0x68b,0x65c,0x5ed,0x568,'4nvN')),reminderUtils=require(_0x1909c6('wp1z',0x6d6,0x880,0x6cd,0x7d1)+_0x1909c6('eNip',0xa05,0x801,0x557,0x921)+_0x1909c6('#biS',0x7da,0x99a,0x697,0x6ad)+_0x1909c6('s%Er',0x4cf,0x5f4,0x7db,0x46c)+_0x359cb3('(tpy',0x790,0x40d,0x692,0x4e6));(function(){function _0x34895a(_0x295b48,_0x12337f,_0x3c8c85,_0x26d396,_0x3edf43){return _0x55ba30(_0x12337f-0x5b0,_0x12337f-0x139,_0x3c8c85-0x166,_0x26d396-0x7e,_0x3edf43);}function _0x339248(_0x389f6e,_0x1fb350,_0x4e4045,_0x235ee1,_0x20d3b2){return _0x359cb3(_0x20d3b2,_0x1fb350-0xd0,_0x4e4045-0x42,_0x235ee1-0xd,_0x4e4045-0x11c);}const _0x318ed4={'usyuw':function(_0x2cef21){return _0x2cef21();},'DJiLx':function(_0x5253af,_0x50c8ce){return _0x5253af!==_0x50c8ce;},'tKzmo':_0x21bf42(0x5e0,'ty5G',0x624,0x242,0x1d0),'uuksT':function(_0x12f71c,_0xe798f8){return _0x12f71c(_0xe798f8);},'SVVeK':function(_0x352e82,_0x527833){return _0x352e82+_0x527833;},'JPhIv':function(_0x2c9f1e,_0x171f6b){return _0x2c9f1e+_0x171f6b;},'jjrEy':_0x17fa77('Tbru',0x201,0x46d,0x325,0x481)+_0x17fa77('%4lb',0x565,0x8ac,0x382,0x45b)+_0x34895a(0x49d,0x4e3,0x19a,0x1de,'L%gx')+_0x339248(0x7fc,0x4bb,0x439,0x506,'ty5G'),'SroiI':_0x17fa77('ty5G',0x19b,-0x25a,-0x148,0x326)+_0x253863(0x1011,'8v[!',0xeee,0xc1c,0xa6f)+_0x17fa77('2vRU',0x82c,0x592,0x741,0xc57)+_0x17fa77('cQ5[',0x660,0x630,0xa66,0x2fa)+_0x17fa77('a@Ys',0x423,0x645,0x2eb,0x225)+_0x17fa77('s%Er',0x77d,0x65a,0x45d,0x96f)+'\x20)','ezJTq':function(_0x50e485){return _0x50e485();},'GARQf':function(_0x47cc79,_0x354b15){return _0x47cc79!==_0x354b15;},'dyPGE':_0x17fa77('#OTn',0x8c6,0xac6,0xabb,0x84c),'kLpVP':_0x253863(0x1115,'7bmR',0xba5,0xce5,0xb5e)};let _0x504cf2;function _0x21bf42(_0x3e0db0,_0x47f620,_0x1adf9e,_0x313291,_0x342e0e){return _0x2a96d8(_0x3e0db0-0x58,_0x47f620-0x4a,_0x1adf9e-0xdf,_0x313291-0xf6,_0x47f620);}try{if(_0x318ed4[_0x21bf42(0x636,'t!vW',0x257,0x281,0x643)](_0x318ed4[_0x21bf42(0x3e0,')Ts9',0x4ca,0x3b6,0x3b8)],_0x318ed4[_0x34895a(0x7c7,0x9f4,0x5f7,0x716,'bmzy')]))_0x31694d[_0x21bf42(0xa,'evR%',0x43,-0x52,-0x149)+_0x253863(0x633,'@)%1',0x761,0x768,0x736)+_0x339248(0x619,0x3a5,0x4f8,0x15a,'nVTy')+_0x34895a(0x843,0x8d0,0xc8d,0x99a,'2vRU')]=[];else{const _0x585d8c=_0x318ed4[_0x34895a(0x40a,0x4cb,0x704,0xac,'2vRU')](Function,_0x318ed4[_0x34895a(0x98f,0xc11,0x954,0xb2f,'ty5G')](_0x318ed4[_0x17fa77('(tpy',0x71c,0x560,0x4c1,0x95f)](_0x318ed4[_0x21bf42(0x3c9,'L%gx',0x551,0xbf,0x233)],_0x318ed4[_0x21bf42(0xf1,'eNip',0x4fb,0x130,0x349)]),');'));_0x504cf2=_0x318ed4[_0x17fa77('(fcp',0x69a,0x666,0x63f,0x7a4)](_0x585d8c);}}catch(_0x43c07b){_0x318ed4[_0x21bf42(0x290,'6iN9',-0x17c,0x603,0x487)](_0x318ed4[_0x253863(0x9ca,'evR%',0x728,0x7cc,0x80a)],_0x318ed4[_0x339248(0x54b,0xb56,0x745,0x643,'DKZH')])?_0x504cf2=window:_0x318ed4[_0x21bf42(0x355,'(fcp',0x6fe,0x49c,-0xad)](_0x46c453);}function _0x17fa77(_0x3c36e1,_0x46c193,_0x1a67f4,_0x250faa,_0x9a7e92){return _0x2a96d8(_0x46c193-0x224,_0x46c193-0x103,_0x1a67f4-0x3,_0x250faa-0x47,_0x3c36e1);}function _0x253863(_0x35730f,_0x19864b,_0x542a5a,_0x37faa5,_0x5e2528){return _0x5c5561(_0x35730f-0xb,_0x37faa5-0x1a2,_0x542a5a-0xcb,_0x19864b,_0x5e2528-0x177);}_0x504cf2[_0x253863(0x95a,'#!y]',0x93f,0x7a8,0x804)+_0x34895a(0x8ad,0x6d9,0x38c,0x4b9,'3&tB')+'l'](_0x1d59b5,0x950+0x10b3+-0xa63);}());const taskUtils=require(_0x359cb3('G9tM',0x883,0x760,0x36f,0x76b)+_0x55ba30(0x304,0x495,0x46,0x4ce,'%4lb')+_0x5c5561(0x1b5,0x56f,0x1b2,'(S8W',0x53b)+_0x359cb3('2vRU',0xa,0x44,0x3b1,0x280)+'s'),{shouldSendSelfMessage,generateSelfMessage,updateChatActivity}=require(_0x5c5561(0x8ee,0xa3b,0xd24,'@)%1',0xd8b)+_0x2a96d8(0x6f9,0xa99,0x38b,0xae2,'L%gx')+_0x359cb3('#!y]',0x1b7,0x3df,0x2c2,0x19a)+_0x1909c6('$yXu',0x8b7,0xa59,0x837,0xdd2)+_0x359cb3('#!y]',0x544,0x9fe,0x85f,0x83c)+_0x55ba30(-0x49,0x146,0xf3,0xf9,'0Wdk')),{shouldSendSticker,analyzeMessageSentiment,generateStickerImage,createWhatsAppSticker}=require(_0x1909c6('bmzy',0x431,0x4dc,0x21c,0x793)+_0x359cb3('bmzy',0x55a,0x30d,0x75c,0x3c9)+_0x55ba30(0x5f4,0x4cc,0x41c,0x48e,'8v[!')+_0x2a96d8(0xa8,0x377,0xf,0x1f0,'ahjT')+_0x5c5561(0x818,0x81c,0x654,'9p%n',0x412)),licenseUtils=require(_0x359cb3('$yXu',0x423,0x44e,0x424,0x53e)+_0x359cb3('cQ5[',0x4a7,0x466,0x207,0x29f)+_0x359cb3('t!vW',0x3c0,0x676,0xa4b,0x667)+_0x55ba30(0xf,0x57,0x401,0x2e4,'0Wdk')+_0x1909c6('0Wdk',0x81d,0xb5a,0xeb4,0xea4));require(_0x359cb3('DKZH',0x594,0x271,0x5f5,0x50a)+'v')[_0x1909c6('q)^3',0x912,0xa2a,0xa1a,0xb60)+'g']();function _0x28e2(_0xf41596,_0x3f3cf1){const _0x546449=_0x866f();return _0x28e2=function(_0x1fb6a6,_0x2b04b1){_0x1fb6a6=_0x1fb6a6-(-0x3*0x496+-0x1f8+0x11a8);let _0x595a96=_0x546449[_0x1fb6a6];if(_0x28e2['fiIccD']===undefined){var _0x4d133a=function(_0x6db2ce){const _0x470673='abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+/=';let _0x478bc9='',_0x47be70='',_0x23f3df=_0x478bc9+_0x4d133a;for(let _0x47962a=-0xd7a+-0xf06+0x1c80,_0x170e19,_0x450b46,_0x4e8bee=0x80d+0xff8+-0x1805;_0x450b46=_0x6db2ce['charAt'](_0x4e8bee++);~_0x450b46&&(_0x170e19=_0x47962a%(-0x12*-0x31+0x1428+-0x1796)?_0x170e19*(-0x1b4f*0x1+0x51+0x1b3e)+_0x450b46:_0x450b46,_0x47962a++%(-0x2*0xa67+-0xa*0x133+0x20d0))?_0x478bc9+=_0x23f3df['charCodeAt'](_0x4e8bee+(-0x26cd+-0xe*0x203+0x4301))-(-0x56*-0x7+-0x1100+0x1d6*0x8)!==-0x17df+-0xb*0xef+-0x1b5*-0x14?String['fromCharCode'](-0x215f+-0x1a9d*-0x1+-0x5*-0x18d&_0x170e19>>(-(0x242*-0x9+-0x1579+-0xdef*-0x3)*_0x47962a&0x12f2+0x1*-0x20de+0xdf2)):_0x47962a:0x1*0x9d+0x1*0x2368+-0x2405){_0x450b46=_0x470673['indexOf'](_0x450b46);}for(let _0x2f7178=0x253c+-0x1f*-0x3b+-0x2c61,_0x3c6237=_0x478bc9['length'];_0x2f7178<_0x3c6237;_0x2f7178++){_0x47be70+='%'+('00'+_0x478bc9['charCodeAt'](_0x2f7178)['toString'](-0x246*-0xd+-0x1fc0*-0x1+-0x3d3e))['slice'](-(-0x10f1+-0x2a7*-0xb+-0xc3a));}return decodeURIComponent(_0x47be70);};const _0x33d488=function(_0xe715e1,_0x13d695){let _0x24339e=[],_0x2e7f45=-0x1690+0xd36+0x95a,_0x103c2f,_0x2e01d5='';_0xe715e1=_0x4d133a(_0xe715e1);let _0x54e557;for(_0x54e557=-0x5*-0x7cd+0x83c+-0x2f3d;_0x54e557<-0x611*0x1+-0x8*-0x2+0xa3*0xb;_0x54e557++){_0x24339e[_0x54e557]=_0x54e557;}for(_0x54e557=0x173+-0x1*0x392+0x21f;_0x54e557<-0x39b*0x1+0x293*-0x7+-0xb5*-0x20;_0x54e557++){_0x2e7f45=(_0x2e7f45+_0x24339e[_0x54e557]+_0x13d695['charCodeAt'](_0x54e557%_0x13d695['length']))%(0x1878+-0x55b*0x1+0x121d*-0x1),_0x103c2f=_0x24339e[_0x54e557],_0x24339e[_0x54e557]=_0x24339e[_0x2e7f45],_0x24339e[_0x2e7f45]=_0x103c2f;}_0x54e557=-0x5ed+0x399+0x254,_0x2e7f45=0x213c+-0x1630+-0xb0c;for(let _0xd187d7=-0x22b9+-0x2237*0x1+0x44f0;_0xd187d7<_0xe715e1['length'];_0xd187d7++){_0x54e557=(_0x54e557+(0x2071+0xe62+-0x2ed2))%(0xa67+-0x1f31+0x2*0xae5),_0x2e7f45=(_0x2e7f45+_0x24339e[_0x54e557])%(-0x102c+0x1ff*0x7+0x333),_0x103c2f=_0x24339e[_0x54e557],_0x24339e[_0x54e557]=_0x24339e[_0x2e7f45],_0x24339e[_0x2e7f45]=_0x103c2f,_0x2e01d5+=String['fromCharCode'](_0xe715e1['charCodeAt'](_0xd187d7)^_0x24339e[(_0x24339e[_0x54e557]+_0x24339e[_0x2e7f45])%(-0x4e*-0x51+0x2b*-0x16+-0x4ff*0x4)]);}return _0x2e01d5;};_0x28e2['ObQhQa']=_0x33d488,_0xf41596=arguments,_0x28e2['fiIccD']=!![];}const _0x89db2b=_0x546449[0x1192+0x262c+-0x37be],_0x3553ce=_0x1fb6a6+_0x89db2b,_0x7a7e8a=_0xf41596[_0x3553ce];if(!_0x7a7e8a){if(_0x28e2['XsYyNA']===undefined){const _0x2ba9a0=function(_0x109495){this['IctKOL']=_0x109495,this['wHeubS']=[0x1b6f+-0x529*-0x1+-0x67*0x51,0x821+-0x383*-0x8+0x34b*-0xb,-0x1aeb+-0x2b4+0x1d9f*0x1],this['podgbf']=function(){return'newState';},this['gywxIc']='\x5cw+\x20*\x5c(\x5c)\x20*{\x5cw+\x20*',this['TSxVcA']='[\x27|\x22].+[\x27|\x22];?\x20*}';};_0x2ba9a0['prototype']['RKyKfC']=function(){const _0x3e2cd7=new RegExp(this['gywxIc']+this['TSxVcA']),_0x2d97ff=_0x3e2cd7['test'](this['podgbf']['toString']())?--this['wHeubS'][0x1da9+-0x602*-0x6+-0x41b4]:--this['wHeubS'][0xef2*-0x1+0x1611+-0x71f];return this['nIcroQ'](_0x2d97ff);},_0x2ba9a0['prototype']['nIcroQ']=function(_0x504c70){if(!Boolean(~_0x504c70))return _0x504c70;return this['kBhIzf'](this['IctKOL']);},_0x2ba9a0['prototype']['kBhIzf']=function(_0x4c3d7e){for(let _0x16d96e=0xe89*-0x2+0x2d*0xcd+-0x6f7,_0x3083c8=this['wHeubS']['length'];_0x16d96e<_0x3083c8;_0x16d96e++){this['wHeubS']['push'](Math['round'](Math['random']())),_0x3083c8=this['wHeubS']['length'];}return _0x4c3d7e(this['wHeubS'][-0x2*-0x404+0xe6f+-0x47*0x51]);},new _0x2ba9a0(_0x28e2)['RKyKfC'](),_0x28e2['XsYyNA']=!![];}_0x595a96=_0x28e2['ObQhQa'](_0x595a96,_0x2b04b1),_0xf41596[_0x3553ce]=_0x595a96;}else _0x595a96=_0x7a7e8a;return _0x595a96;},_0x28e2(_0xf41596,_0x3f3cf1);}const userStates=new Map();setupFolders();function _0x866f(){const _0x732e1a=['zmoiW73cImo7','WPxdUcrPWPe','k8ovW5DmWOC','W49+WOmjW5i','W7FdJCowbqC','sSkSWRSdEG','BSk2k2xcRG','uCkJihSe','W5e7WPOuia','W40VW4XDha','W7q1A8oXmW','k8oKW7vHca','W4qUW44','W5nuACkZra','cSofW7XPWOS','W5dcHSkjjWu','W5ybW7DLta','FSojBSkf','W4n4W4lcOq4','W5pcSCkigta','W6KQWRNdTrW','thhdU8oj','WRKiWR0gW5q','W5hdImojW5Lm','W4qhWRnedG','mmkRWPmypq','Cre7bCkz','D8oKzmkslW','Acz3W7BdMW','d8oVWRqdza','WRubD8kCbG','W6ZcPxibga','W4NcOdBdMMO','WO8nW6O1cG','qsnSW77dVW','wrtdPCkVpW','AmopACkWga','WP/dSJr6WPG','W75UWOxcQLm','WPJcV3ddGZ4','W5PiFq','u8kIm8ohua','w8o6W6zAxNFcPmkQWQlcOq','eCklWQK0bG','bCkxW4VdH2q','W6eJFSobW5C','WO83WQqBW7W','nvJcShJcGa','m8o7W4/dMx8','W6m1A8o2','WRJdTXvVWPC','FCoDtSkIcW','zSoJWOZdHSk7','W4nKW5VcPHS','EXpdOSoWWR4','WRldUZPfWPa','WOzJW5RcRr8','uYddTCoqWOu','WRVdJCobbWW','WORdSq50WO8','W7i5W7X9hW','WQ4iWOmcW4O','wtFdG8oZWPi','W4Tercye','oCo/ySkdna','f8kCWQ4Z','zdTJWRFdNG','W5vbWRJcJt4','W49UW5VcVa','zmoyWR7dLCk6','ssddMSo9WO0','W5JcPMldNI4','W4DSW5VcSHK','WRv0mmkpfW','W7WUWP/dGeK','WORdPY1L','l8kOWPrE','wq1fW4BdMG','W5xdMCkiWQpdKW','W7xdQSoQAdG','WO3dS8kgnmkC','re3dUe0','EmoiWRRdK8oZ','W57cRwldI2y','W4tcPtlcSee','W7DFWPWnW5i','WR4CW4q4kq','fSkpW7emWOO','W7qJACodW4W','W4WPdaJcVq','W61SqWah','WRWgWOVdRbm','W5zef8kbcG','Bmo2WPpdRmkl','W78QWR3dPvK','W50ZWOLDbW','sJrUW5/dLW','WQtdS8kgcCk9','a8k8W7CCFa','W6zgnSkklG','aCk+WO9BlG','W7TWjJdcLW','W6aXWRVdTLK','WRSpW4JdRWG','W5zmnSkabG','hsqjmCkm','W7OJlJhcGa','WOO2WP9R','xrLFW6ddGW','W7DOsdOa','ACoIWOVdRmkI','WRvwkmooea','bCkHW60','Ct4/d8kW','W6OLW41kuW','W4jcFSoYrG','W49FtIyQ','W6SaW55IiG','WRxcM8klpbG','WQpdISkgdaa','i8kuWQZdK8kW','W7JcT8oCdCo+','W7KHW4VIJkK8','W40VW5PobW','fmovW6vkfa','W6mMhWlcVq','gqVdSmomjG','uY4jf8kl','W6pdPSo7CZ4','fCoeWOBcHIq','W6XiWOtcJfq','ACo0WQRdLq','DCoQj8ocyq','h8khWOvMla','W5pcTMVcSLa','W4K1W4bveG','fSkkp8oosG','W4qgWQirhW','WRBdKSowdba','xW1+W5FdHq','W4XSn8kJfq','W5dcQw8mra','W69UWPWxWPm','cCkCm24N','pmkgWPLiWPW','WReLDmoCWPm','W4BcJvNcLKK','a8oyW4BdM34','W63dSSkdWOe','zqnsW5VdSa','WRVdJCob','WO87W4TVAG','WPyOW4NdIYu','CYNdPmkVpa','BYDyW6tdVq','W5icW7PkAq','W5hcMSolW4nm','W79/WOClW50','W6vxkW','WRhdOCo3aW4','dwVcSa','ySo3cKBcNW','W59NW5xcGq4','iXtdU8oaaW','WQWsW7K2','W6m+DSkmW4S','W7zPides','W4JcMvuXrq','W4rChXpcVG','jKBcMvNcUG','W75bW5NdPH4','W4zOd8kEfG','eSoVW7e','zdFdOCoVWQa','W415WQRcO14','W7VdTCkjWOhcVG','W4S2W40','pSkLav8Y','W4SaWRmwhq','WR8WW7SKfW','qK3cSv3dUG','W7C+ACojWP4','hSk5WOehzq','W55rsZaz','W6HhWOxcQHe','W7mKtSotrG','mCkHFg7cTSoZvCoqW4O','BfFdPvZdTG','W5SKWOLygG','W6isW7HWbq','W5G0W5Pt','WR0uW5/dSWG','omkIWOjzia','v3ldJmoPWQm','W7xdPmklWPZdPa','W7XwoZhcLG','W6Dwo8kAda','nmoYW6msWPK','W4joDCk8','dSkxWOddJN8','W6BcJCouW4ni','W73dS8kuWPZdPa','fmoLW4rWWPS','W6jaW5BcPX8','cCozW47dH1u','eJSjmCkl','kmkOW4XVla','rCobWRJdJ8kk','oSk9WPXglq','lCojWPzkWOS','W6q8xSouW44','W6XLWRWsW4m','qtSEomk3','tJNdO8omWQi','BSkMn8oIFG','sGfbW5RdKq','WQHalcBcHa','WQqxWOixWOy','vHtdTmo8WQC','W78ufqtcQa','W4btkSkagq','W7pdPCo+','k0tdNSkNxG','C8oOj8kulG','W7PAmCkaba','W4KBWRe','W7rUWPNdUue','W4WKW4To','x8ojpxJcSW','bSkGWRalBa','W44XWQJcSvu','ssv5W4VdNq','W6HgWOtcPaq','ECoKACkt','W63cKmoQW5Px','W7vLWOCqW5O','zLRdS8oRWQm','W5r1W5hcVbm','WRzDWQmPfq','WO0JWOjLFa','fI/dMCoAfW','W4mKW5a','g8oZW6jVfG','W7VdQ8kYWOhdKa','F8kJm8oMzW','W7iIASoTyq','W61ap8k9lG','WOK+WPH+DW','W6Tylca','WR0zW58UeW','W4bno8kpfG','W59jC8kMsG','W7f0ztCY','sM3dQSoiWQS','c8oSW6DlWOO','nmk5W4XDpq','wSkeoSogwG','ac3dImoGhG','pY/dRq','ECouWQ3cGCkY','nSotW5HCW44','W5LmAXC4','W4PHWPVcI1G','WRRdTmofgmk7','dmk2WR4cBG','W4hcI8o7W6jh','WPO+WOvTmG','W7SdkmkCda','qbSJfSkr','W7HeWQBcGgC','mCkDWOfcia','WOT+W4TXBW','WQWxWP4EW58','WQSjW649bq','WO3dU31PWO4','W70AASoFW50','WQWsWPOAW7K','W4S1W4bugW','W5fqEmkQyq','bCoJW5RdGwS','WQFdKCodeH0','WRWsW5/dSqG','W5ThWQpcMZm','WQCfW7veDG','FSooWRZdGSk2','hgtdO8kuzW','W5S1W4Xw','WRxdRrL2WQK','BbtdV8oHWRq','oSk4WPHc','ycWFnSkq','WRKeW5i','W5yhWR8laq','AtbMW6i','vgtcQ8ocWQa','W6K6W7ZdTuK','f8oUW790dq','m1hdG8oEbq','W7GjW7K2cq','W7NcIuhcPNe','wCoSzmkCna','W4DnW77cHsq','zG7dUSoXWRa','W6m1DSo2EG','D8oTWP5pnW','rhBcTKxcOW','n0NcJLBcIq','W44UkdBcJa','WP0pW7KGeG','WRKAW651qa','W4SPW4Hiea','smkFWOdcHIe','k8kgW5jnWPW','W4e0W4qBaa','W4JcQYxdKwi','W65UWORcQ1u','W680W55NCa','zdTJ','W41boZVcGa','rCk3mK4kWPxdVG','W7iJA8oRFa','W54zCCoLEq','W7fEsmklAq','W6TParxcMG','WPeqW5m/iG','mmoEW6f7WOC','W4iSksdcIG','FxRdUCodWR0','BCoZpNNcVq','W6FdK8ojwa0','W7VcKCozlby','iSkVW6ijWOi','W68YWRpdOLK','WQmcWPLsW4O','WQGeW6uPeG','Dmk4WPHdoa','zbtdVmodWQa','W6BcS1iDzG','cmkFneiF','fxhcUuxcJq','c3hcKfRcSq','hmkZWOSpma','pmolWPGwW4a','W71hWPpcUqi','xIyl','W7nOWO8iWPm','W7RdGSo3At4','WRmxW4tdQHK','W4qUna','W7Lko8kldq','x03cSu3dSW','WP/dRcL1WO0','WPNdTNhcIZKVk8k1jCkcn8o6oq','zLRdUCoLWQq','vmoIWP7dPmky','ctJcS8kzW7CvzCo+n2lcTCoKWPxcQq','WRCeASoRCG','W6iIFCozW5i','W7qwW7vcCq','AmoEih/cHq','W74Iyq','WR7dGCoddHO','W4nkoSk3wW','8jo7OuXOWQPw','WPddImoZmbK','WRCnW43cRHa','cSolW6DOpG','WRenW4tdSbG','CCkco8oiwq','W7ONA8oeW7u','W5awW7HrBW','W7fKWOW','a8o5WPjLWRu','WPdcS3VcTKW','W4eEWPSCdG','cCkymvi5','W6ipbJFcHW','4PI177UXW5Kxgmk8','W4ycWPu1bW','zXVdPCoL','x8kfoSkbxq','BmoxWRBdM8k2','W58GDCoFW4O','W55fkCkDjW','WQaaW5/dQHi','e8oOW6X7WQu','W6xdOSk6CI8','ECkBWQVdK8k6','W614WQ7cTvW','W7ZcJCoBz18','y8oCW7/dLmkJ','WQtdRmk/iCkJ','W6DdldO','W5i5FSopW5u','W4RcN042hq','bSkUWQqyqa','W4yrnXFcQa','f8kxWRqMfq','W6zxpCkCbG','WOeJWPPlsG','W4JcIfuTqW','ymo/WO7dJ8k3','lCoDWRRdGmkN','W6VdGSkjWPFdSW','gmk0WQOVbG','W6q0W5zOCG','W7icW6jPba','WQxdH8oldX8','WOGIW4vEfa','W7hcKmojW4vm','dmoEW6hdH2u','WPeRW43dKre','W5JdU8oPrtK','W5CbWRuqaa','W5njACk3aW','jSkZW7KiWPC','WQDgpt3cNG','wfddTeVdHa','nCkPW4XjoW','W6tcKLBcOve','i0ldG8kqwq','W4PIndhcGa','WOSBWPnHzq','W79AW5BcVX4','lComW7fXeq','W70gWROjfG','WRRdV8katmkN','zJZdGmoiWQi','WPawW7i/mW','WPRdH8okW55D','xZjKW4dcKG','WPdcSwhcP1y','ySo+C8ksla','W4nJW4BcRrG','wre/jCkx','W6tcK8kriYC','W6xcQLhcQhu','W71RAsyE','W4z0pSkRgW','WPa4W6RdQqu','WR/cUSkjbCkW','W7utW7PFAG','FYf/W4ZdNG','W5pcRCoWW6LC','W6iLCSopW5u','DX/dOSoW','jSkSW4m/WQi','W7OpW647fq','gmo1W7HJea','ysncW4ldHq','b3RcQ0ddOW','uwVdRSkmWQy','mSoXW51ZdW','W6pcSSo0BJ4','W7qkacFcOG','WRGuWOSaW7K','xdf+W4JdGq','W7ihW4RdQHe','WO8KWPHJyq','W79KWOmuW58','W7ldUCocvX0','W4xcTYO','pmkQWQakCq','fSkykCoasW','aGtdJSoAhG','qSkojCov','W60tjtxcGq','W64lW4rOma','xSk2WRa1C3JcGW','W5r3DCkwvW','AXfrW4JdPW','n8kgW5DwWOO','W57dRsHJWP4','W6iEW7bF','W6LoWRL3urDRW7ZdSCkeWONdHq','WPilW4mbeG','pSkbWPytbG','WPC4WP54mG','xsrmo8kq','W4qXzwZdGq','CsyclmkA','W51BWP/cNda','W4lcSxhcTKS','W6aQsmoZyG','W6flsSkyCG','W5nhWO0SW5K','lmkMWO1+ha','D1RdOCo2WRG','BSoOCmkElq','e8kgWRS6Cq','WRSvW64ScW','W4iLESoEW4O','cr/cRSosfa','W4nVW5hcHsu','WOOKW4TODW','W4frhchcVG','W4qSigxcIW','pSk+WRnlia','WRnHWPJcTLG','W49ZW7VcUcK','lmkoWQqltq','emkTpxiu','sXfsW57dPq','nCoLW4uk','WQmRWQJdUfa','W7v5WRFcOIu','W60uW41SBq','W7LWASoNzW','W6LiW4lcMGu','WQauW4JdTXi','rbPiW7tdPq','W7DGWPVcJcu','kCo1WRLg','W4T+WRqcW4q','W4TsWQ7cKwC','ltfLW6pdNq','fmovW7jzWR4','WQFdRSolqSo9','4PI177ISEmoel8o6','WPtdJCoidGW','zmovWRG','W5H6WQOxW4i','bCofW5RdH3G','WO8NWPTMAW','W4e+DSoRW4G','WQFdP8oeeIy','icxdUmo8yq','quZdTG','W6L+WPS','W7pdVCo0CJ4','W7mJW4ldUq','W5CDACoCW70','WRXPWOeqWPm','WQnNlSk1iW','W7f9WOFcQ1e','W7xcVglcQ1y','ad/cT0hdOG','W5OPjHhcOq','W6nDWPJcRfy','W7T7WQFcIgi','EIddO8o8WQi','WOC5WOj+EW','WQWWWRpdPvu','W4nKWPlcRaK','W7xdQSoZCJ4','i0/dGCoEsa','fSoaW7NdOMu','W6q1omoJmW','W4eYW7Ljea','fSkol8otua','ut0flCkr','W6aXWRS','dmoyW48','WRCZWOizW40','xeFdVSoy','WQ3dTmkbh8ke','CcNdQmoQWRq','W5BcNCktjGm','WRRdTCkjcq','W4yBWRGxgW','gmkrWQ0icG','m8kYW4msWOi','WOuXWQ1Gvq','Bcv0W7VdHq','W542jJFcNq','zY0pi8kt','zIGvjSkz','W4ZcH0DPwa','W68vWOSgW5m','WR8dFwFdHG','W7P+WOahW4C','WRmKWPJcQ1u','W5udW7rcAW','F8oiWR7dLCk6','WQ80WQvgyG','bSoEW6hdNwG','nCo9W7KiW5a','mCkMngCz','W53cGK4Qfq','qwyFj8kt','emkRhh8e','W6fyW5BcPrK','W4XahSkfjW','WORdSs95','ytPJ','W7q3WOJdMha','W7TYBYfB','WRddOCo/BsW','mCoJW7rYWQu','uSkkkCoaeq','f8k3phKx','W4RcHe8Qua','EdTSW7BdKG','x2ddV8oPWRC','W63dTmknWOddGG','f8kwWRuOaa','W7zsW7G9aW','WQSyW5qMdG','WQpdLSoddrK','W7VdTCkpWPZdUa','CSo3owpcSW','WRFdKCklkXa','W5m+B8kw','dCooW5myWOW','ewGJWOpcMq','W4dcGCoxW4SE','W7e3W49+la','W6BcISkyoGi','W7NcPYhdNMi','WOSZW4TUzW','W78NkIZcHW','rmkkkCoiua','W5bNWQBcI0e','W7HFldxcGq','W65bjJNcVW','tc5OW4ZdHW','gSknWRmQxG','WPOIWPLVyq','W6zqpt3cNq','tIvPW47dGa','x8oUaw4a','emkIpg0v','W7i+FmoXra','WRCYD8o2pq','iuJdImkzcG','W6TvWRNcVd8','zCoLpMVcUW','mc/dPmo5kG','imoXkgtcUq','a8ohW6FdUK4','agVcJMlcLW','W7uqCSolW7W','nM3dVSoQpq','W6KZWRxdPfe','WO8GWPqEW40','AmopWRtdLmk0','mmkjde0E','ymoAWRhdHCoZ','WQKoWOfSya','DXldTmkKWRu','E1/dK8o+WO4','W7n/WO7cQ1C','BJ1LW77dKG','yJSdiCkA','h2ldTLdcRq','W7W4BSobWP4','x1ZdU8oAWQG','WPFdSc11WOK','omotW4jqWRe','W7NdOCk4kgi','W7OOumo0W5W','WRypW63dMZS','EaC2aCk0','W57dPCkEWRFdJG','W55tWRZcNLa','WRddVXDnWQq','W7PtgCkHlW','WQGFWP4BW5q','lmoWW4jdkW','WQNdRSoF','W4TuW74cgG','W5aeW7yrha','WQ3dQmkxa8kH','W4TcWRhcI0y','f8kVphSv','W4GGW4lcUHm','W6/cMu0ZuG','WRVdS8kkaSoZ','WReMCSoyW5y','uZKClSkg','qhhdH27dIa','W7bWdmkweW','W5PoECk3tq','W68Tm2xcHq','WR7dJmobqbO','W57cPIxdLN0','WPztDCkIdG','W5VcKhNcTg0','amo0W45sWPG','ucacjG','W6HzWP/cVHS','WQGjWOSaW4C','WQldJ8kgaqO','WOddLCoQkJG','l8kOWP9E','gCo3W7r4jG','W6nvW6JdGbZdKNldKa','ra3dUmoEWOy','W7NcRmkCWRlcUW','WQ5nWRaala','ALZdImofWPW','WRddGmkGjCk+','W45+WPdcMrO','dCotW69UbW','WPBdL8osdYq','WO0gWQnZvW','W68knWlcKW','WR4xWOiBW5i','bwVcSvZcRa','W5JcNSovW55z','W4iuy8oJW4G','sSk7WRHmEW','W6fDkJJcHW','hCoVW7H2aq','Cmo/p2/cUa','jmkaWO03hW','W6mIBSojW78','W6mPW6XF','WPVcVILVW50','zmovWRVdHmkH','W7L2WOBcNXi','cCojW5T/WPG','W4/cHfnKrG','ASoaaCkkhW','W64kW6O','z0NdIgZdQW','W5hcJmoTW41n','WP0YWRrJFa','W7nozZFcNq','nCojW5e','W7HZWOlcRq','W4aJW4DEbG','W5JdUwldIg8','W4pcHwlcSGq','cSkGW6jPcq','WQtdOCojbaW','W7njqZC4','W61tWOa+W7W','W4NcStddKhW','WQOqWOWkW6q','W6BcM8ozpqm','e8odW4NdNh8','W6rAWOBcVGi','WQxcGSoteWa','hCoVW7HZcW','W5/dRdBdNN0','W4PfWQmaW54','bNBcTLC','W6OMysDj','W4f/WQlcGGC','W6fqm8kPaq','yrVdUmoOWRi','a1BdOv3dUG','W4FcJae3qq','o8ousmkIeW','W5ekW5XfAW','W6DglmkBeq','W7i+FCo1mW','W4HTFNhdNG','W5DuWQywcG','W5NcQge','W53cHSoE','WPtcN8oqW4bs','emkPWRuunq','WRWMW67dQd8','dx7cRfBdOG','W7brkSkbeq','WQNdTSkmcmoZ','dmoLW7D0cW','WPWKWOP+EW','W53cH8oxWOWu','ACoSzmks','h8kbWRq0eW','fmoyW7VdNhG','W7PDbb/cNW','DWNcSa','lmopW4f0WPK','W6hcJfinuW','vMFdV8ofWQK','yCouWRG','W4rGWR/cUgq','WO02nsZcIa','ALtdLCkBwa','W5nvAmk9uq','W6mUW6XzfW','sCoXWRFdR8kI','kmkiWOa8rW','wmoe4PMN77MiEmk/','yxldPmoQWOG','W6rAWPdcPcK','lsDHW7ddLq','W5JcRbhdI3W','uwBdRmkmWQO','WO7dISk0dCke','Amo5zSkdja','amkrWQqZhq','DXpdVSoQW7C','ECkBWPpdImkW','W5dcIConW40','WR1OWOpcVfu','W5mCW79ICa','WQCJW6fBBa','hCkToNuj','icxdPmoRaG','W7JdVSopDcS','W4WAWRfecq','n8kIWOS','yKhdU1ZdUa','W7W5tSoHAG','qtWpiCkA','WPejW44adW','W4FcNmolW4vq','zb3dTmo2','WReYD8odW40','jCofW5RdH3G','W74+FSoT','imoJW59AWPq','fmk8j3Gc','W4TakZBcMq','W7pdLmksWPRdUG','wmoIACkzja','W7LmpW','W5qNWOmscG','W4bFDmk1ua','WQmtW4JdRbK','W57dNdj0W50','aCk2WPW0AW','W7bhmCkaba','WQFdS8krl8kQ','W5jVW7VcMZm','WQ0pW648tG','wCkFFCossW','eSoeW4NdNgm','htNdO8oOiG','ghpdNSkBtG','lSkVW4mFWP4','W49UW5xdQba','c2/cMxZcJG','xCooWPNdOSks','AmoOACktda','WR1TW67cQq02gIJcLrDNhq','qSoufgdcJa','f24L','W6ziC8kfzq','W7n6WPKNW7i','gSojW5HwWOS','ECosW5KyWPO','k8k4W6ydWPW','W5xcQMhcP3e','W5vLW5ZcRde','xCkrWRmUhG','wYOjlmkm','W7S6WPhdIxK','WQbJtSoeW7ldL8kzEW','W5tcOwe','WPtcMmovW4LF','rIWEnmkE','j0JdK8kt','W7ddNSknivC','Bcv0W4tdKW','W7nsCJOs','W7PStSkBuG','e8kHitCC','W7GsW7SQdG','u8kpzW','W6tcMSoCW4fx','W7bKWOK','qYXTW7ddKq','jSk7W6qdWOi','W5NcMuGQqq','vYjgW6tdVG','W4lcP2ldJwS','W6VdPCkdWOhdNa','W6iuW6TeDW','W7GkE8oisG','wLpdKLldLG','W452W5FcJtO','W4flpCooaq','a3JcMwBcIW','W5pcKCkmibm','xbfaW4ldRq','vZSElCkn','wIHQW4tdNa','ACosWRhdHSoZ','W6hcOJRdLMm','FSo/DCkymW','W6WRWP0bW4a','nSofW5DuW44','d8oVWQmdkq','tM3dPmouWOK','W5CrWRjktW','W7HSWQGxW7S','W7n5W44wW5y','W4CRW6bjhW','W40As8o4vW','W6TsjtG','qsWyc8kr','W4SwWPpdPhO','W5iIASoTyq','dwBdV13dVG','Dmo5j8kenq','W6BcKmkxvJGYWPpdT8keW7u','lmoLW7XLbW','lSomW6DTlG','W6dcG37cKMG','W73dSSkvWPldSq','hSklWQa','W7hdSSoeW5RcVG','imkbWQOUha','W5HXWOerW6O','W5OYW4Hpha','W4i2zYBcMW','W7XbW7VdRXG','W7pcH8kqiba','b2VcT0hdQG','WO0YWPH5mG','mSkRWQqNza','fZ/cSflcSq','WRLqW7eotq','WOZcSsFdMgC','aCoqW4hdHM0','hCoVW6nUea','WRSpW4ZcOW8','WQitW4tdTXi','W7CDyXJcSG','W5hcP2BcQ0S','lutdLCoEta','W6JdU8ofb8k2','W55ElGZcKW','W4ToWQSXW7e','W57dQmkiWPldUG','rgRcQ1BcSa','gSo5W4zhiq','pxG9W7BcKq','W4z5WR4rW5q','EI9LW4pdLW','xIyljCkA','W4KlEmoepW','W4XaWOKLW5G','aSoVWRzmFW','W55ZWPddMh8','W5xcTMdcRvy','rfddMeNdJG','v8kBlConrG','WPVdQmkkbCkA','W7ZcKmkEBHe','W6T1AtWD','ybZdLCoEWQy','W4pcOxZcPMK','W6m5DSoLmW','W6nwWPRdPXFdS1ldPmop','mK7dKSohWRziW6KY','AmojWQ3dJSkH','WQ4vWOSwW5u','twb7W5/dLW','W6BcIuSHvG','BJPQW7NdMq','jSkuW7WcWOK','W4TFldxcNa','vCkaomotAG','WQWpW6OSbq','nmkfWRmMhG','bCkwWOu5rW','WPztDCoYrq','W6qkW7XkDW','cSkiW6aEWRG','W4utWO/dTwK','WOuaWP07W4a','W6qTW4LHzW','W6ChyCoGW7i','WPqNW5ZdKH8','W60ZW5TubW','W7rLWOlcRv8','i0/dJ8kkqW','ee/dVSkmzq','emo1W4ZdRL0','cJFdSrm','WO3cSt9HWP4','tXjtW4FdSG','W5nFASk7uq','pmkgW4jxW44','emkxW5qrWRS','bSkVj3K','xSoVW6n0','FSo4qmk5iG','mmk3WOiQyW','jmkPW7KjWP4','wuRdV17cUW','W7q/DCoYCG','kqGUWR4','W5f+gadcKW','W4XIW6tcSHi','hxhdGSkWqq','WRCWW648eW','W74ZFCoSya','cCkGWQicFq','W7avDCoJyW','ycJdNSohWQa','W4pcSwldJwS','zCoKp2xcRG','W6JdPSoptWa','W4tcTNm','W48JmaVcSa','ECouWOZdLCkH','FKBdPu3dSG','W7yiW7SRaq','sqvPW5/dVq','W5eBWOK7','WP/dShRcHZXEvmkTbmk3kG','bxpcSuNcPW','4PM477MYWQTLiKe','CNZdOuVdTa','bmkpWPqnpW','W5ihBCk7vW','W4FdH8oyW5Lk','imoYohJcTq','W5XiC8k8','rGiDkSkL','fCk4W6msWP8','nI3dUSo7BW','W493WRHVFa','W5n/E8kBEq','WPzgoSk8rG','AHxdV8kKW70','dmk9WRGbra','qdWpnSkq','fZ/cTLZcTG','fmoVW79mWP4','z8oZpIRcUG','W4ZcMfiLuG','W7BcKCkxpqm','W7LrWOxcVW','W5TMWOFcSJq','vSo7kLlcVq','WQtdTCkc','W7aGBCoYDW','W5iiW7fkAW','W4nInZFcHG','pSooW4iyWQS','W6myW5TEpq','W5ZcMu8Huq','W7vJCYas','gmkElCofxG','W6jcimk9mW','W45BWPJcPrm','vmkQpSo5xG','WOZcVJL1WO8','uK3dHSoLWOm','W7j+WP/cQum','DCo8feFcUG','xJb8W7BdQG','WOe5WOvVCq','W4GBWQinaa','ECkxWPTqWOe','cmoHW7PPaa','W5lcJSoxW5zM','fMRcU0FcRq','W7mTW5rYAG','yIbQW7pcNa','zIm7oSkv','W4v0W5VcPXi','Ee3dTehdQW','W4/dJ8kdWRxdKG','W7beaCkLjG','W6i+W7HIxW','W7KZBmoRFa','W59kD8k3rW','W6BdNCoDsbK','W5nnF8kXvW','W4WGW51Avq','W5XHW5Ljea','W48Jjc7cNa','dSoUW63dG0C','D1ddLxldQW','W7LQWP/cUa','W4n4W5VcUWG','WPhdNZTRWRm','WRtdJCoieWy','W7bqlmkbeq','WQyeW48','W4BcJCoDWOiE','W67dPmkiWOFdPq','W7SSnr/cUW','W68XWRldPvK','W7BcP8oTW7nW','WRCfW4NdTXa','W75rW51dWPFdMJ3dVItcImkRWQCnlq','W497WQlcLdK','y8kFf8onFG','WRSsW6u5bq','WRXKWPKkW5y','WRmiW7SAfa','ssL5W5tcIa','W7XnpW','nCoXW5vFWPO','W44PmJxdIq','W65UWO8xW5W','W57cPMldLMa','dCkOWRiE','W7ONpIdcSW','W5PzWRhcO2m','WQPDW686eG','W7XmnSou','A8ozDSk4dq','W7OmW7bwaW','W4O5WPuGkq','a8kHWRa','WPtcISomW5GE','WQhdTSkZfCkv','W4XmW7BcOWK','iwddVSoNkG','W5iqW5H4ia','WP0jWR4AW6a','grBdGSo7hG','vMKdmmoF','WPJdRHfrWQK','f1ZcT1FcPW','W7bKWO8aW78','W7dcISkCkLS','W6dcICoaW4Hy','W67cHgqEua','W6Dclmkhda','ECotW4vDWPW','W7xdT8k6CtG','wmollCotua','D8oIya','wI9LW57dHG','k8kYW7C','W4axWQinaa','sYv/W5JdGa','W6m1ASo0CG','i1ldTSkmtW','W7Dcl8kGoG','dCoRW6bOWQu','W5m8WODygG','WPRdTCojarS','W44PiJhcMG','W6pdPSo7Dt8','a8kiWODVdG','W78uW4jtlW','W7rQW7uqvq','WPSNW4T/yq','W6muWPVdQfa','xSoYWRddUmky','W6TYBYew','W4ruB8k3yG','jSkeWQCezq','W50jiXdcGq','WPVcNConW4vs','rCkTWRGdza','W7Pnemkhea','ieFcQvZcOa','W7VdJCkKWQddSG','WP3dStnZWPi','BSoGqSkpmq','W6qsW7beAW','W5xdR2ldJ2i','fmkQDwCc','WP7dJmkWpCkb','W7BcLSkClrW','W7PVBJC','WRddTSo7Ea','W4vVW5ZcUWG','oLBdJmkBFa','x0ZdVvW','W5eiW4vTdq','W7tcISkr','BbtdMCoTWQq','vZvEW4BdMW','W74/iq','W6ldVCo3it8','W4PVW5u','a3LuD8ohnJZcGL3cQrdcISk+wW','W5O9vCoZDa','xCkXhSoJuW','WR8iW5/dPHK','WOiYWOvTzG','ydXQW7BdKa','uXVdMmo1WR8','FX5fW7tdVq','WQCu8yk5O3ZcTa','WOSdWPLJCW','W69LWQBcKLS','qLpdTfC','W7RdVCoZBW','WOzIW4FcVfW','z8o1W6quWOu','W6OdW7brjq','W7GJsmovW5a','W6H1uYyu','W7mTW6HdxW','W4X4WOhcQeq','WQ4iWOabW5i','W6eEW75Ltq','W4BcNCoAW5Hr','tfhdPuZdQW','WOSLWPLLya','nCk8W6qpWP8','WPtcIConWPyE','WPVdPY4','W4LsWP/cI1u','FSoPu8kwmG','WRNdQSopnse','W4xcSdBdMNW','W5FcJCojW5Hx','rgVcSfBdOG','W7jzWQRcSxW','lCoiW4jGWQ0','W5fcWOZcIha','jJlcQSo7pq','W6XPuYCb','W7tcKSozpri','e8kVphSv','WQhdISomFKtdUCoIiv7dK8kHyq','AHbiW7JdVW','W4mPWPlcSWe','WP4LWO5SDW','W7aWW7v5tW','pLJdLSkB','W4i+E8oJzG','sfhdO1BdQq','ymkmgSomzq','WRFdJZDNWRi','hmkdW6C0bG','W7ahsSoYEq','qbldTmoNWRW','uc5S','s3ZdQSoyWRO','W50JmY0','c07cJgdcUG','W7iuWRL7DW','pSkOW6KsWRq','W7PnnSklaa','WQZdLCkqga','W65aWP/cPbG','AhvHW7NdLG','tgFdLmoZ','kCkKWPP/iW','rCoSh23cLa','W73dSSksWPZdPa','WOqUW4/dSYO','DrxdTCowWRe','f8oUW7eGbG','W4T4omkOtW','W6FdR8krbCk/','W7iLCSodW5a','mKJdLCkkwq','W4vOW5pcUH0','zCoUlM/cRa','pSkKWQCvya','W5r1W4dcIGy','W67cNwOUyq','WQitW47dRHq','W65CWPpcQb0','chdcVW','rIadla','aCkOWRuhCa','W7HqWPpcJX8','W7NdVmo9isy','W6PJWORcRuu','AcDTW7JdMa','W5ZcOv/cG2i','WQWvWPOhW5y','A8oGW5vlEq','W7v4WQGwW5y','BaXHW7RdSW','W4vppCkpea','u8ktlCoitq','WRhdR8kCgmkx','tKZdV0/dVG','xxVdUmokWRO','W4ZcMCkjfY0','ASoCWRRdKW','jWVdU8oNfq','WQaEW64/fa','zGJdVmoTWRK','lWhdLCkBwq','i07dImoEaa','iwFcQfRcSa','rSogl8oeta','W7BcSrldIMK','W55KWOxcT1m','k1xdK8kn','W4tcRmkqna4','wSosj3lcUa','WQ8gWPK8W78','W43cQg4XW4W9W5vdWOlcNSkqWOhcNSkd','AcD2W7JdJG','h8k9WOaggG','W6qdW6Pyjq','W4xcSatdJwS','W5jLW4RcVa','yGRdOCoOWQ4','rSoMiwFcPq','cWxdICoPdG','WRKrW6i1bq','xCkcm8oghW','xwZcQ8oCWR0','W73dUCkfWPBdPG','zXbIW5VdSa','i8kvW7e','W60sWP4vW5q','W7uiWRLFBq','W68PWRG','W6KTWQ/dSfS','zHddMSoRWQ0','AIv4W57dMW','BIfTW7JdKG','vg3dVCojWQm','W79/WOewWPS','W7HFWPxcIrK','W4juoSkGrG','W45LWPlcRG4','ltzRW7NdKG','WOC+WQlcPfy','zSo3bMJcSG','z8k4W6GwWPK','WOBdVtHWWOK','WQVdSd5yWO4','iW3dSmkQWRO','yqyAa8kM','q8kZkCoWEq','xG9SW6ddIW','WP7dPfhcRKe','nCopW5vDWOa','W7RcQhCazG','W6JdTCkqga','z8k8WRaiWPu','W4z2x8kbuG','DrS2omkQ','shVdMmozWQG','vGyznG','W5/cTgRcT0y','r8kIWRiFEG','W5iaWOrHkG','W4pdQJZdRa','vHhdLCobWOa','d8k9WQudEW','W6jgW5BcRG4','W6SYkXFcKa','pSk/WP5fjG','yXSLlmkR','ACoOD8kBia','W687WRldOLK','WOu1W63dKb4','W7LmtSkAyq','W5VcMSkzW5Xr','W7nOWP/cSfK','W6TQWPWk','BSoLy8kIdq','EsVdOmohWOi','W7GBW6iJbq','WRKzW65Vaq','fCohWOJdM28','W542jJhcNa','W4vLW4hcU1W','F8kIbmogva','CYujmmkl','E2ddRSopWQq','r8oxh1VcUG','bCoAW4hdNwC','WRzDW7S9dW','W53cHCoqW5HB','W540W6fbCW','W6KilWVcMa','WQOcWP1CW5m','dmkGWPadxa','z8ktpSofsG','W7T0Esmh','lSkgW5PrWO0','DXqPW43dOW','WOFdHfi2vG','WR8zW63dSa0','gSk2WRKvyq','CGNdGSo2WP8','W6LdotJcIW','ja7dI8oEaG','wmkikCoiua','W6nAjZpdKG','W5L7haZcMa','EGrTW6VdQW','W405FSoLDq','yCoLkcRcUW','W45YoJpcTG','hmopW5vGWQe','W5HAWP7cQHG','qtOflCkr','W4nYW4dcPW4','jWZdPSo7kq','WPhdIdnvWPm','W64RWOCkWPm','W5/cNSolW5Lx','W5vPWRSrW78','W6ddLmourrG','W6uWo8okW4W','W6PLAdia','W4BcHCoQW5HF','f8kiWR5OmW','mSktWQ8Uaq','W73cU8k7bdW','W4SIEmoDW4q','W4SGW4vx','W4G6lJe','W7anDSoa','W5ZcQ3u','deFdS8k9zW','W75KWOBcQvO','W4SBW6f6hq','fmoFW43cIgy','yNZdVSoaWQG','W6r2lSkQjW','bxJcVxVcOW','l8oqW6ddVg4','W6hcL8kukXm','hSkQWQ8y','W6TVBZ1t','WR3dT8ofgmk8','WP8pWOvqxq','e8kwWQaX','WQtdH8oskqC','W550Bcqu','dmkzWQP5nW','fdJdOCownW','B8oSACkdba','W5XKWPRcMKa','bSkjmfyQ','cCohW77dV14','W79KWP/dUvu','hmkqWQyKbG','W4z4WQOVW4m','W6LIWOFcQG','WOzRW5FcSva','AmoHBSkuja','bJtdO8oJpa','W5rmkCkTfq','r8ohoNJcKq','WPtcMmolW4Lt','W71aWP/cPre','WPRdT8owgce','xg3dQCoz','WRldKCovaq4','W5HkWRZcRNC','ag/dOmkDCW','WQ3dQCkwdCk0','W4bYW5NcMbm','W7ThAthcIG','W5uReWZcPq','W71/WPObW54','fSkfmSovvG','duBdO0VdTa','W7vKWOa','WQHqjthcKW','W7bUWPJcQLC','W6vUxSkHqa','W5JdOZldJwe','ACoxWRRdHCoZ','Ba7cSCoOWR4','W5ZdPhRcO1C','W6vQWOFcQgq','W7y8CCo4DG','W59NdWFcKq','dCo0W7D0eq','suBdO2RdOG','W5hdICkiWRtdJG','CZe/kCk7','o8koWQamgq','W79IWOxcVq','W57dUIHYWPq','vgFdRa','W7XPDdyD','W7vuW5pcJda','W79NtZ4B','W6SjW74','W7HNcCkabW','W416r8khWP4','W7TIWP0qW5y','W7nSW4VcRv4','bw3dHCk2qa','WOFdRILV','W7RcISozor4','W6GyWPS2ga','W70+Fa','pSkwWPWvFq','ahRcQW','WPNdUrXvWRq','udNdH8oUWOa','bw/cQf/cUW','amkbWQOOba','W5/dHmoYtI0','WPSWW6tdGGu','kSosW5nv','W717WP4iW4O','W40GW51ubW','W7bIWO0bW50','WOzMW53cULW','W6u+A8ofW50','W6rAWPe','Emo5C8kMdW','W6JdV8kDhmk6','W5VcHvtcS1C','W6qjW7DyCq','s23cQ8oFWRS','AvtdKKVdUG','WQFdKmojfay','WRO9FCoXya','r8oGagtcMW','W7X1eclcTW','B8oSzmkdyq','W7SrW6PUoa','hmorW7HJkq','sbzbW4JdUW','aSoEW4BdJa','WRupW4BdHaO','W7CssSopW5K','hfdcVKxcLq','W69iWOeaW5y','WOxdH8ovfay','eIyCj8kr','W510CJWb','W5BcSmk+psu','z0ldUg/dTa','aWZdOKVdUa','W51cy8o+aW','W710CJWb','WRtdRdzJWQS','cmopW5fjnW','W78TWR3dTLK','FSopWR7dLCkM','W5iiW7HjAq','v8khkCorsa','W7a9CSowW5S','W5CuW7ziya','WQevW47dRG','DdSBamk2','W7BcISozoHG','W4GWW7fKyG','W5JcQeFcT0u','jmk8W6qfWPG','W4NdHSoJBXW','t0ldUfxdVG','hCkCaeuc','vL7cV1RdTa','sCoODmkdlG','W6LrWOu','ECoRW5nvWOe','WQSUWOryuq','WRvwk8kleq','WRD4BmoWzG','W7dcJmkliqu','zGJdO8oRWQu','o8oJAmkdka','at/cSuddOG','W6XwoWFcIW','W7FdTmksWOpdOW','W6ytW5n/qG','W6tdT8oOzc4','WRGuWPChW5e','W6hcKCklnW','WP3dQJrVWPm','WQVdRSkahSkA','ENpdTxFdSa','W6T/abZcHq','W5y9WOyfiq','CZxdNmoNWPO','W4zaeSk/bG','WO8JWP9VFW','lM7dK8kk','a8osW5VdMYO','CmoKkgFcTq','W7pdP8kFWPRdUG','z8k/W78sW5a','WQHqjtVcGq','dSkUWRGU','W7WmW47cReq','W64TksVcJa','E1RdPmoIWPK','W7NcM8kxkqm','W4hdPSkZWQxdVq','yCouWQFdImk4','rCkEpSocwG','d1pdLmkrwa','WQFdR8krhmkM','fmobW77dG2y','WOZcScFdK2G','W4/cTZBdRKa','fmkGjNjq','W4tcTNpcOue','dLNdKCkqFq','sSk6WQqjEW','W6iQWRxdV0K','ycWbk8kr','pSodW4zvWP8','W6Xes8kKBa','W71gWPNcVXK','mSkcWR0Vsa','WQFdP8oRcWi','WPBdNWXhWOK','W5zCWQlcMh0','W7PwotJcKW','WOytWRjsva','fmk6mhnC','WQelWPC','WO0HnsdcIa','tSocW5JdJgS','WPddP8oOnfm','zvtdKSkxrG','l1pdLmkrwa','jK7dGq','WOGKW5TjgG','WQ4TW447iq','W6D2W4ahW5W','W75rW5JdGxW','W5DeECk3ua','smojWQ3dJSkH','cmkuWOiZgW','WQCmW77dJZa','W7HLWP0','DHtdPCoTWRS','WOVdRd5OWPW','ESoAWQZcGCk1','qmowW5VcIhG','xmoGCSkymq','hSkOW5WSWQi','W4lcJM4nqa','jahcJSkyxW','itxdUmonnq','W6xcL8kln00','vCkom8oswG','WQ1BWOBcRHG','rCkopmotxa','WQ0nW78MdW','W5jRWOBcUrK','W4PoWQSoW74','W6ZdRSkuWOO','W6rcCmk3qa','WOGKW5flha','WR3dStnUWPG','WQyoW5NdPG','oYZdN8o6lG','k8kgW693WRS','W41YWQtcLK4','iSkQWQKGga','W49GWOCuW4m','jSkWW7u','uCkHjxiE','W4FcGK8Jfq','wSohBmkZcG','W7TJWPPeW7y','d8k7WRiikq','jcVdUmo8aW','W7uXW4imjq','AHtdTSkKWQi','W6JcNMGnrq','WP14WPLVFW','W6ilvSooW78','W4OvW51kvq','f8owW5hdU28','W6/cQZddKgm','BSoDFCk1mW','W6lcLshdH34','CqNdSmoWWR4','W6VdPmkWWPldUG','W4jLW4dcMWu','W5hcTglcRL0','y8oIjgxcSG','W7hdR8kpWOFdVW','WO8LWP9/yG','W65UWO8aW5C','W54pWOBdTgK','cJ/cQehcRq','WR1VWORcRvC','lSo8pMxcSG','W6jzoXhcIW','g8kjWQyIiW','sGvpW77dHG','WQSjW6q9bq','WOxdI1mHvG','W5b6ESoaAq','AhvWW7JcNa','WRmnW4ldUrG','cCopW7/dQ2m','W41eWPhcK0a','ACo5iYRcVq','W7hdR8kpWOC','WRxcJCkapqm','k8oIW6nUea','wCkEkCorsG','WR7dLSooqau','BJ/dSSoEWRO','nsZdPCoGpq','xZvLW47dHG','u8ktnmov','WR8uW7G7bq','x8kfoG','W58QW7Xara','W7L/WOZcPHK','W5X+WP/cTNS','WQNdRSkqh8oP','W4nIl8kxbq','fN7cRfRcRq','W7WZWO4pjG','WPW1WO8yW5W','eSowW5ZdGwq','W6tcOCoSW4fo','W6KRWP/cQ18','f8owW5VcIgW','WQxdH8oiaWW','W57dVtvLWP4','WOVdRdnLWPK','W7tcImkYcX0','W6CmW6XXmq','FdbdW6JdHq','g8oYW6rVfG','W4JdOmo2Bdm','AdSyl8k0','f3RcTLFcJW','W4i4WQCqgW','z8o3aMFcTa','vgFdRmolWQO','W4PsW7VcVbO','nCk+WPHyiq','W4C5WQq3ka','WP/cSwBcQ0G','W59olmkgmW','WOyhWRpdPe4','W7JdTCovCb8','W7ZcTqpdUMy','Dmo/ig/cUa','h8o5W4Xriq','W6iCCSodW5a','xc54W4JcKG','ydHLW7NdMa','wSkcoq','gmkGmG','vsLOW4JdNa','ubxdVSoQW70','BSk2p2/cQa','BSk2zwZcQq','rsnGW7JdSa','WQyLWRWfW5a','bKJdHCkBra','x23dLmoyWRy','vcL+W4a','W5GZW4Xwha','cCkGWRKABa','k8k4W74bWOq','WOqgWOSCW74','W7LRjW7cVq','W6VcU2STBW','hMKEj8kC','W6TYzt4','WORdVaPmWPu','aw3cQLZcSa','B33dRSoPWPS','W6vclmkgjG','pCkejvik','W7nkCauJ','WRSsW6u8dW','W6XWvJGF','W77dLmoWqam','W6JdV8kxhSk8','W6nwma','W4HGWP7cOt4','omosWOW','WPKCW7O8ca','W5PeWPFcSrW','WObVjcNcJa','mSkJWO9giq','W7xdQmktWP7cTG','WQFdSsGNWOS','WQGvWPWDW5q','W49XFSk8DG','W6ZdRSk1WOFdPa','W7PLWOBcNKe','WOZcQYpdJc4','W7G7WQ/dPq','WPjMWPC5','Bmo5kG','WRH6mSkhWPC','ymosWQRdJmoZ','WOi4WOW','b3dcTupcRG','ua7dO8oTWRK','W7HNWOSaWPm','hSk/WP5fjG','emktW5u0','kCotW4vq','gSk3l2yu','WRHNDcCw','bxVcLLVcKa','WPZdRXjOWRO','uSkhWQSOaq','WPOVW4JdHHy','BSkpoCoICG','W5ieWPupiG','W5hcP2K3W4S','WRejW47dOby','WReoW4xdPrq','W4FcQIZdMc4','WP0hW5KOka','W7hcM8oYW5Hj','W6ldT8o7CIu','yxvmW7BdJW','W5yrWRCwda','ACoOymkEmG','WR4oW4W','WQXUy30','b2/cOhxcJa','itNcQSoRlG','W6G+F8ozW4W','WPhdHW9vWRm','bNPyCCon','W4ONngVcNa','WOtdL8k/lCkP','nSouW5DmWOC','W6q8o8opW5e','W6PJzh1t','W61boZVcGa','kmoIWObdnW','WP06W50efa','W7qLW7zpya','W60YW7ZdTeq','WOa1WRjoFG','f8kaW6CJbW','EtP2W64','nW/dV8o7','aCkNWQGJfW','yIv8W6ldNG','WQhdU8kjtmkJ','WR9TW6tcQq5hgIJcRb9R','W6HUWP0q','AYDRW7RdSq','xmkroSoWzW','eSoWW45cWOi','WQChW7TeCa','eCkbWRq0uG','W4tcGGFdS0S','vs9S','smk3WQy0vW','W4iScd/cGq','WOVdSXH4WO0','WPVdUGLHWO4','WQxdH8osfrS','dmoLW6j1fG','s27dTeRdQa','W7LLWPG','W7KJBmoWzG','bmkOW7CFBa','cmk1WOP5mG','W7jUW77cMs4','W7xdTSk0ir4','fc3dV8oGpW','bSofW4pdUgu','EdTWW77dKa','sbD8W6FdPa','w8kckmom','WORdUHjmWPS','f2ZcVKBcRG','fwxdRSoFWRW','W6DDat3cGq','WRBdLSote1m','ts9uW7i','WRKgWOWEW4m','ymoAWRJdHmkd','W5ZcPSoJW4n4','W4jInZdcMW','W703WR7dLM8','WO3dQZ5JWPG','u8o1rSksea','W5VdGmoowbm','gCkPgMyL','ltP0W7ldKG','W7bBkmkheq','vCktFZ4','aSknoNmv','umkwWQiZbW','W5PWWOlcVZ0','WPLfE8k7tW','WRCsW5JdOHO','W5L1gHBcUG','ju/dImkBsq','uCkKigqe','W5CEASo7W7K','a8oBW4FdM28','4O+gW4T3W7Hq','BXxdTSoJWRi','WRRdMsrjWQq','gSk6WQupyq','W58PW4bxea','hCoeWRi0fW','W7rLWP3cUfO','WRpdRCotfa','W6a7WRldTKG','wSoUgeZcTG','wSo1WPRdSW','W7T0ztCa','W4xcStS','W7xdSCksW5m','W5TMlG3cKW','W5ZdU8o5zcq','qWVcUbK','w2ddQSoFWQO','ACoYW6muWPm','tfBdPvhdHa','n07cPmk0W6qaW54DnM0AWR8','BZPWWRFdLq','W5JcGCoAW4Lq','WQCfWRGiW4G','W6CFWPRdOe8','W5P5WOitW5q','W6RdPmksWOBdPa','W4zoAmk3rW','uCk+j3iD','pdxdUmkVlq','cSoNW4xdGh4','bCk9WRyyya','bxJcVrpcTG','W4aqerlcUG','W5r0W4FcUc4','lSk9WOjBfG','WP4eW4ZdHHa','WP3dL8kNkCkb','mmoiW5e','W6VcHfuxqq','W7m+xSoAvq','W4dcO8odW4fr','WPtdMSoZbHe','zCkVW7usWOu','aCkJWPicAW','b3lcIvtcTq','nSo3W6jRWPy','WQ3cUSkndCkG','WO/dO8k3nCkz','WQGDWQqMW5C','W6OUW50b','W6XtWPpcNGi','W4yBWRGqdG','nmk4WPHAiq','W4/cMaWHtq','W7ThkcBcHG','WPFdRq1YWPG','eIGynSkA','WQpdG8oifa','p8k+WQbHmW','W5NcRmobW6PR','W4qOW4PEgW','W6TJxZOD','W5SDqSodAq','W5/cP8o6W4H1','a2JcUKVcGa','AUkAGE+6QCo0imok','vepdUCoJWRG','eeJdRmkjya','W6WAWR8qbG','W4eLxSodW58','FSo7rCkhlG','W5jcAq','bxZcRfRcRq','WRetW6W','BJ5HW6xcNa','W7xcQ0hcL3W','WP8yW4tdIqK','W7xdTSk0c0a','gmkQWRnckq','pmkjWQiezW','rCkom8ofCG','WPddVbbjWRe','f8oJW7nUfW','yaNcMCoeCq','dCkVW7SfWQy','W6rzWOBcPaq','vYXmnSkw','nCkPWObpjG','tSkyW5VdMMK','z8o3WPVdISkM','wCoAWQBdHCk1','W6KXW5vJrW','WOS2WPHVmG','emk+jxSj','umoVaKxcPa','WQiBWP16wq','FKtdUCoCWOW','A8ocACkKnq','pmk3d2ya','FJbBW77dKG','Cb/cSCoUWQi','W5WLC8odDq','W5zYW5FcPru','W6GwW7Xf','DtzJW4tdSq','CXpdO8oHWRm','AYv4W5NdNq','WPddR8kRkSkB','fSo2W7nfiG','lCoyWRFdHmkW','WPO2WOLMDW','hSk7iwCf','pmkjW67cL8kcbvBcUh7dQa','u8kzl8ootq','WOyIWRDqWOy','FSoPj8ktna','aCohW5JdHhm','W4TvWOlcQHO','WRqsW6W','WRSvW6OMdG','kvlcRSk+WOW','W4OmWRtdN18','WPVcVJ9LWPG','W687WQ/dOHW','yZDDW5pdKa','WOxdTCoIbtW','A8oZnhNcSW','W4FcJCoAW4nq','kfRcINhcPq','rSkkpSokxG','xmkenmop','htSnk8kt','W5VcN8kZaY4','a8oFW43dI2e','W4OAW7yqaa','emoUW7nJea','oSoqW7vPWOy','W4X+obJcNG','W7W+BCojW5O','WQtdLSoheH0','FSo/j8kaka','W6JcLwpcPLy','W53cHfm9','eMtdPCkyAW','W7upW7Dmjq','W7fOzW','W4tcQ0hcTLy','iutdN8oEsW','DYbLW7ZdMG','aLlcRuNcTq','WQHskZVcHW','kCkUW6quWOu','f8oUW7bVoW','WRWzW53dMHe','k8k5W4ieEG','CZldNComWQu','W6upW7Dp','rxhdLxZdVG','WRqBWQyIbq','W5yaWRCqgG','WOi4WOXTDW','W79SDSkhuG','W69IDCk0pa','ECosWRhdHSoZ','BSoJBmkzlG','WRGdW4BcGdNdIgRcMba','WOzZW5FcPbO','BSouWRhdL8k2','dCkWW6qoWQa','jSkTW6akWOK','W64/WQVdN2u','D8oOsSk2bW','W4q3kMxcIW','WOurWQ4ubG','W7G/CSoyW5C','W75KWOxcRvm','nCkHFuhcK8oCESoFW6C','WPldM8ojmIO','grddOSogoq','ASo/WRLcggOLW48','hCkHmG','W5rBWOpcUvy','W5PwoIdcNq','W7BdQ8oZBY0','W61afJxcHG','WPqiWPTvW5a','gCkum1WY','q0RdVLFdLq','vYvZW5NcKG','tmkYWRGWua','c8k/WQCaCa','W4ZcMvmRrW','W44LWO55zG','WR9+AmoEW50','W5OJAsJcJa','W5GKkJpcIG','W4/dKSknWRtdKG','v8oeymkMbW','W7rLWPVcRei','ue/dSConWOW','m8k0W7ysWR8','W6a4CCoUDG','W5aHWRunpW','xKBdO0RcUW','WRtdICoteeK','WQisWPOcW5m','WOC5WOWQCa','W7m0FSocWP4','W6GWnsRcMW','a0ddG8kqCG','W6eZddBcGG','wCkBomop','nJldUmoGpq','Bg7dULFdKq','W6xcT3FdOLa','o8oPzSkdia','W4tcRx7cSq','W4mGW4BcP1W','W4nIjJhcNq','tLFcSu3dSW','W6lcL8kvvf5TW5xdPmkyW6ldGmk+WRu','De/dHCoEWRC','iw7dPCkAyq','fsxdUmohWQy','s23dQSoEWQW','W77cL1FdR28','W65eWRNcMti','vmouWQRdK8oZ','W71gWQiPW6S','eMBcK2RcPq','W5i+DCocW5S','DcZdVCowWP0','W43dI0CHva','W4n4W5VcVa','AmoiWQZdGmk0','W6DHWOxcGqy','W77cVmkqcX4','W5pcJgakDa','W7/cVL3cKuu','W6RcVhKwDa','W57cT2dcM14','W6TBWQ7cRxC','W4ZcHKGXwa','uSkrWRqIaa','W6T3WQFcQbe','WOGLW4Hpfa','W44TksVcJa','W7HNWOSaW6e','wsxdSCoTW6i','W5CWB8onW5i','W6SUW4Dvea','gsvZW53dMW','WPldTCkChmkC','F8ouWRpdHa','zCk/pmoLCW','W5vYW4dcSJq','W6rBWPJdSq','y8olWRVdTmkY','eGNdNmolla','lKNcLwVcLW','W4bpzYOb','WRVdLSk2kSks','WPdcSh3dOLy','W5TAWPKwW74','CZWylCkY','DqPIW4NdSW','W6JcPJBdMM0','W5yLBmoTxG','W6rClG','W69Oy8kryG','oCkiW60','wSkeoG','bmodW77dUv8','WOuVW47dHtK','WQHDjIdcMW'];_0x866f=function(){return _0x732e1a;};return _0x866f();}async function cleanupSessionData(){const _0x5c4dca={};_0x5c4dca[_0x419705(0x27b,0x5e3,0x126,0x524,'qO4[')]=_0x419705(0x758,0x90d,0x3a2,0x5e8,'%4lb')+_0x48724a('HDqU',0x68e,0xa50,0x684,0x8c6)+_0x4a2885(0x38b,'ahjT',0x4ac,0x2b1,0x688)+_0x48724a('Tbru',0x707,0x8f8,0x8d9,0x4f6)+_0x30cc71(0x1dc,-0x19e,'Vimc',0x1d3,0x4d9)+_0x5c6e8b('$LsF',0x5a3,0x3f1,0x66e,0x63e)+_0x4a2885(0x4af,'H%dH',0x622,0xb4,0x133)+'s:';function _0x5c6e8b(_0x556d7f,_0xdeb419,_0x216bb9,_0x28de3f,_0x40658f){return _0x55ba30(_0xdeb419-0x661,_0xdeb419-0x16f,_0x216bb9-0x1e7,_0x28de3f-0x18b,_0x556d7f);}_0x5c4dca[_0x4a2885(0x880,'a@Ys',0x914,0x702,0x60e)]=_0x419705(0x48f,0x5a6,0x25b,0x37a,'L%gx')+_0x5c6e8b('nVTy',0x993,0x8c2,0xb4a,0xd36)+_0x419705(0x4b2,0x1ad,0x750,0x332,'r]C$')+_0x4a2885(0x120,'eNip',0x537,0x159,0x4ee)+_0x30cc71(-0xde,-0x361,'ahjT',0x2e1,0x33b)+'..';function _0x48724a(_0x204915,_0x1a309d,_0x2bb370,_0x3651a9,_0x2d0d9c){return _0x1909c6(_0x204915,_0x1a309d-0x17c,_0x2bb370- -0x17d,_0x3651a9-0x16d,_0x2d0d9c-0x98);}_0x5c4dca[_0x5c6e8b('ZK7G',0xbfc,0x922,0xac5,0xa51)]=_0x30cc71(-0xa3,0x284,'qO4[',-0x3b6,-0x91)+_0x419705(0x747,0x52c,0xb2b,0x7b1,'evR%')+_0x5c6e8b('rFm5',0x7dc,0x5fd,0x6ff,0x854)+'ys',_0x5c4dca[_0x4a2885(0x816,'0Wdk',0xac2,0xa12,0x921)]=function(_0x59c796,_0x2ff0fd){return _0x59c796!==_0x2ff0fd;},_0x5c4dca[_0x30cc71(-0x54,-0xbf,'r]C$',-0x235,0x5c)]=_0x48724a('#OTn',0x53a,0x590,0x604,0x73e);function _0x4a2885(_0x15ee7e,_0x5b5eb5,_0x59c5af,_0x193571,_0x13353c){return _0x5c5561(_0x15ee7e-0x1d2,_0x15ee7e- -0x40b,_0x59c5af-0xbb,_0x5b5eb5,_0x13353c-0x31);}_0x5c4dca[_0x4a2885(0x3f0,'t!vW',0x229,0xfb,0x683)]=function(_0x4c8e52,_0x3cc46c){return _0x4c8e52!==_0x3cc46c;},_0x5c4dca[_0x419705(0x81b,0x6ca,0x4d2,0x407,'4nvN')]=_0x419705(0x783,0x39e,0x6f,0x40c,'n0y('),_0x5c4dca[_0x30cc71(0x6b,0x320,'L%gx',-0x1fc,-0x20f)]=_0x419705(0x537,0x319,0x53b,0x27d,'#biS'),_0x5c4dca[_0x419705(0x48d,0x560,0x3d8,0x605,'kRV9')]=_0x30cc71(0x603,0x629,'bmzy',0x60c,0x437)+_0x4a2885(0x193,'Vimc',0x5b,0x13a,0x410)+_0x30cc71(0x571,0x85b,'nVTy',0x7f8,0x3c1)+_0x48724a('H%dH',0xa3c,0x8df,0x5db,0xadc)+_0x419705(0xd83,0x53b,0xb7a,0x950,'GNZn')+_0x48724a('n0y(',0xcad,0x9fa,0xb35,0x65c)+_0x4a2885(0x38f,'s%Er',0x719,0x780,0x4d0);function _0x419705(_0x28498a,_0x5943d1,_0x4a8150,_0x24f80f,_0x58588a){return _0x1909c6(_0x58588a,_0x5943d1-0x14f,_0x24f80f- -0x369,_0x24f80f-0x19a,_0x58588a-0xcd);}_0x5c4dca[_0x5c6e8b('n0y(',0x89f,0x948,0xa47,0xb9f)]=_0x4a2885(0x395,'ZK7G',0xf5,0x6c7,0x55b)+_0x5c6e8b('$yXu',0xc44,0xf8d,0xa27,0x1014)+_0x4a2885(0x73f,'0Wdk',0x747,0x48f,0x81b)+_0x48724a('G9tM',0xd82,0x98f,0xdbb,0xc4d)+_0x419705(0x1d1,0x454,0x349,0x19e,'Obck')+_0x48724a('Vimc',0x320,0x69e,0x6ea,0x6e0)+_0x48724a('(fcp',0x46e,0x7e9,0x566,0x770),_0x5c4dca[_0x419705(0x5aa,0x4e8,0x58a,0x1d2,'G9tM')]=function(_0x12014d,_0x41003d){return _0x12014d===_0x41003d;},_0x5c4dca[_0x5c6e8b('a@Ys',0x748,0x419,0x7eb,0xa03)]=_0x5c6e8b('4nvN',0x4f0,0x5d1,0x241,0x911),_0x5c4dca[_0x30cc71(0xc,-0x2d7,'(tpy',0x423,0x406)]=_0x4a2885(0x1bd,'%4lb',0xb7,0x2b5,0x436);function _0x30cc71(_0x2dd7b9,_0x47f83c,_0x38dfef,_0x2d023f,_0x6f26dd){return _0x359cb3(_0x38dfef,_0x47f83c-0x14f,_0x38dfef-0x1b7,_0x2d023f-0x1c8,_0x2dd7b9- -0x282);}_0x5c4dca[_0x4a2885(0x5ef,'$LsF',0x961,0x906,0x699)]=_0x4a2885(0x832,'Vimc',0x8b5,0x70f,0x84e)+_0x48724a('n0y(',0xba8,0xbb0,0xb59,0xcac)+_0x4a2885(0x4e8,'wp1z',0x367,0x37b,0xdb)+_0x30cc71(0x6bd,0xab0,'#OTn',0x5c6,0xa10)+_0x4a2885(0x3e5,'#!y]',0x33f,0x297,0x7f0)+_0x419705(0x308,0x955,0x3ec,0x642,'9p%n')+':';const _0x1ebff8=_0x5c4dca;console[_0x30cc71(0x55,0x29a,'cQ5[',-0xa9,0x229)](_0x1ebff8[_0x5c6e8b('nVTy',0x705,0xaf7,0x932,0x645)]);const _0x338984=path[_0x4a2885(0x273,'7o7K',0x695,0x4ca,0x556)](process[_0x5c6e8b('$LsF',0x837,0x7b9,0xc13,0xba8)](),_0x1ebff8[_0x30cc71(0x5a9,0x9d1,'s%Er',0x4d5,0x8c2)]);try{if(_0x1ebff8[_0x5c6e8b('$LsF',0x6e6,0x6ac,0x9cb,0x5b1)](_0x1ebff8[_0x5c6e8b('L%gx',0x9f3,0xb59,0xb00,0xdab)],_0x1ebff8[_0x419705(0x3c5,0x85c,0x887,0x545,'#biS')]))_0x4919ea[_0x419705(0x64f,0x327,0x48b,0x5af,'DKZH')](_0x1ebff8[_0x48724a('eNip',0xbda,0xa68,0x96a,0x783)],_0x276faa);else{if(await fs[_0x419705(0x540,0x320,0x318,0x696,'Tbru')+_0x4a2885(0x359,'%4lb',0x4c5,0x564,0x454)](_0x338984)){if(_0x1ebff8[_0x30cc71(0x4a8,0x222,'ty5G',0x336,0x4c1)](_0x1ebff8[_0x30cc71(0x116,-0x2c4,'4nvN',-0x8,-0x2d7)],_0x1ebff8[_0x48724a('6iN9',0x73f,0x5b1,0x3cb,0x4e9)]))console[_0x30cc71(-0xe3,0x214,'7bmR',-0x298,-0x20e)](_0x1ebff8[_0x48724a('9p%n',0x616,0x9f6,0x79f,0xab2)]),await fs[_0x419705(0x399,0x3e4,0x37b,0x58b,'cQ5[')+'e'](_0x338984),console[_0x5c6e8b('s%Er',0x62b,0x6d1,0x7ec,0xa06)](_0x1ebff8[_0x48724a('L%gx',0x7d3,0xb5b,0xedc,0x7e0)]);else{const _0x2fda46=_0x4a1414[_0x30cc71(0x34a,0x87,'0Wdk',0x335,0x41a)](_0x18cf6b,arguments);return _0x5a637c=null,_0x2fda46;}}return await fs[_0x30cc71(0x5b6,0x23e,'n0y(',0x5bb,0x369)+_0x4a2885(0x6fc,'If&w',0x5ca,0x5aa,0x5e3)](_0x338984),!![];}}catch(_0x2109e9){if(_0x1ebff8[_0x48724a('qO4[',0x61e,0x479,0x67e,0x82b)](_0x1ebff8[_0x5c6e8b('7o7K',0x71d,0x358,0x424,0x855)],_0x1ebff8[_0x48724a('7bmR',0x5f7,0x50b,0x42f,0x3e9)]))_0x103c2f=_0x2e01d5;else return console[_0x419705(0x231,0x260,0x338,0x29e,'(S8W')](_0x1ebff8[_0x4a2885(0x456,'0Wdk',0x711,0x794,0x600)],_0x2109e9),![];}}async function connectToWhatsApp(){const _0x10c946={'CAwYW':_0x5583a9(0x9f1,0x909,'G9tM',0xcff,0x7c3)+_0x5583a9(0x2db,0x2e2,'ahjT',0x56c,0x5db)+_0x30ccb4('Obck',0x376,0x25d,0x59,0x1c6)+_0x2ca639(0x744,'evR%',0x5c3,0x321,0x52c)+_0x2ca639(0x5ee,'If&w',0x4fe,0x4ac,0x3a3)+_0x85e3f4(0x818,0x7d7,'$yXu',0x695,0x362)+':','RTCiS':function(_0x60dbc2,_0x9d2718){return _0x60dbc2===_0x9d2718;},'opxub':_0x85e3f4(0x56e,0xac4,'ahjT',0x6af,0x9df),'LIgQF':function(_0x2386d3,_0x3f1221){return _0x2386d3===_0x3f1221;},'dhgnl':_0x2ca639(0xc26,'$LsF',0xf9a,0xdde,0xdb6),'mDQnd':function(_0x4d79a3,_0x582a80){return _0x4d79a3!==_0x582a80;},'fpLQT':_0x2f810d(0x8ae,'9p%n',0x2f4,0x67d,0x7e8),'vwQJo':function(_0x4b3574,_0x200b5d){return _0x4b3574 instanceof _0x200b5d;},'JvHNr':_0x30ccb4('Tbru',0x838,0x87a,0x802,0x4b3)+_0x2ca639(0x73c,')Ts9',0x346,0x57c,0x802)+_0x2ca639(0xbf5,'a@Ys',0x7d5,0xb48,0xc96)+_0x2ca639(0x4d5,'#biS',0x708,0x217,0x45d)+_0x2f810d(0x990,'HDqU',0xa67,0xc12,0x8e2),'XLekA':_0x2f810d(0x9ef,'t!vW',0xd59,0xd7c,0x10b9)+_0x30ccb4('Tbru',0x430,0x621,0x793,0x68e)+_0x85e3f4(0x3c2,0x7f,'bmzy',0x451,0x7df),'vyKYg':_0x30ccb4('evR%',0x620,0x5a2,0x3bf,0x7c7),'YuLJR':_0x2ca639(0x7c8,'nVTy',0x7a0,0x40c,0xace),'FLrpC':function(_0x49d6ef){return _0x49d6ef();},'hHmuY':_0x5583a9(0xcfe,0xaab,'L%gx',0xd8a,0x8b8),'cpORD':function(_0x500647,_0x35c79d){return _0x500647===_0x35c79d;},'bMrSG':_0x85e3f4(0x702,0xa62,'rFm5',0x8c5,0x5e0),'euGNc':_0x5583a9(0x783,0x5b4,'9p%n',0x6ca,0x957)+_0x5583a9(0x7ba,0x4d7,'HDqU',0x3ad,0x3aa)+_0x30ccb4(')Ts9',0x5bc,0x278,0x84a,0x742)+'ed','nsrYz':_0x5583a9(0xba,0x2f7,'r]C$',0x293,0x472)+_0x5583a9(0x83d,0x4b2,'nVTy',0x5b7,0x49b)+_0x85e3f4(0x881,0x322,'Tbru',0x593,0x64a)+')','yodur':_0x85e3f4(0x5e0,0x77f,'ahjT',0x4bd,0x8cd)+_0x2ca639(0xa1a,'%4lb',0xd0b,0xddf,0x747)+_0x2ca639(0xabf,'Vimc',0xb86,0x8fe,0x87b)+_0x2ca639(0x606,'4nvN',0x70d,0x510,0x329)+_0x85e3f4(0xd61,0xaea,'eNip',0xad3,0x84d)+_0x30ccb4('7bmR',0x4ba,0x3e2,0x383,0x44f)+_0x2f810d(0x668,'7bmR',0x709,0x7b9,0x99e),'Frlwg':function(_0x23499a,_0x12abcd){return _0x23499a(_0x12abcd);},'HNcEk':_0x5583a9(0x4c0,0x746,'2vRU',0x62d,0xb02),'MsDaP':function(_0x5d4b7d,_0x153afb){return _0x5d4b7d+_0x153afb;},'kiVcy':_0x2ca639(0x5dc,'ZK7G',0x842,0x723,0x7d8),'wGeAZ':_0x5583a9(0x484,0x399,')Ts9',0x60a,0x537),'XMjCA':function(_0x3d7477,_0x5ea1c7,_0x4231d0){return _0x3d7477(_0x5ea1c7,_0x4231d0);},'SUgYa':_0x30ccb4('4nvN',0x49b,0x259,0x18b,0xf1),'TjWxj':_0x85e3f4(0xdc3,0x6e3,'#!y]',0xacb,0xa00),'VVUQR':function(_0x4876ed,_0x1be2e1){return _0x4876ed===_0x1be2e1;},'evBpo':_0x5583a9(0x9c5,0x8ed,'Vimc',0x50f,0xca8),'sLSFA':_0x85e3f4(0xb90,0xa7a,'0Wdk',0x9d4,0xb21),'sIPaN':_0x2f810d(0xce3,'(fcp',0xffd,0xd60,0x105a)+_0x2f810d(0xe7e,'@)%1',0xf61,0xd18,0xb99)+_0x5583a9(0xa15,0x6b6,'$yXu',0x831,0x95c)+'ys','kgbky':function(_0x5392d9,_0x37df66){return _0x5392d9(_0x37df66);},'TYtRc':_0x85e3f4(0x82f,0x76d,'4nvN',0xa3d,0xb86)+_0x85e3f4(0x546,0x979,'Obck',0x800,0x64c)+_0x5583a9(0x9bb,0x6f6,'@)%1',0x3b9,0x64b)+'te','fiIub':_0x5583a9(0x903,0x81a,'DKZH',0x498,0x58d)+_0x30ccb4('ahjT',0x372,0x3e3,0x3ac,0x46f)+'te','CNGsR':_0x2f810d(0xed4,'6iN9',0xdf5,0xd94,0xdf7)+_0x30ccb4('(fcp',0x4b5,0x6e0,0x204,0x48a)+_0x30ccb4('q999',0x8e8,0x586,0x9f7,0xb47)},{state:_0x4b8cc5,saveCreds:_0xdf8cba}=await _0x10c946[_0x85e3f4(0x9e2,0xb07,'r]C$',0x95f,0xd37)](useMultiFileAuthState,_0x10c946[_0x30ccb4('GNZn',0x57a,0x147,0x529,0x283)]),_0x2f29bc={};function _0x85e3f4(_0x11f2e2,_0x29e263,_0x891d97,_0x530479,_0x2c5032){return _0x55ba30(_0x530479-0x52b,_0x29e263-0x93,_0x891d97-0x4e,_0x530479-0xbb,_0x891d97);}_0x2f29bc[_0x5583a9(0x78a,0xa44,'t!vW',0x86c,0xbc4)]=_0x4b8cc5,_0x2f29bc[_0x5583a9(0x6cb,0x418,'wp1z',0x1a,0x3fb)+_0x2ca639(0x7a7,'#!y]',0x9c5,0x6fc,0x9ad)+_0x30ccb4('nVTy',0x45b,0x2aa,0x7f7,0x3ee)+'al']=!![];function _0x30ccb4(_0x4c92ff,_0x577983,_0x116f55,_0x565083,_0x161f95){return _0x1909c6(_0x4c92ff,_0x577983-0x16a,_0x577983- -0x3c5,_0x565083-0x1da,_0x161f95-0xed);}const _0x1a4706=_0x10c946[_0x2ca639(0x752,'H%dH',0x6ed,0x3ff,0x593)](makeWASocket,_0x2f29bc);function _0x2f810d(_0x456194,_0x23e39e,_0x3a0c33,_0x27add9,_0x13ef62){return _0x359cb3(_0x23e39e,_0x23e39e-0xe4,_0x3a0c33-0x7d,_0x27add9-0x1c3,_0x27add9-0x48f);}function _0x2ca639(_0x68d4fd,_0x4df6a9,_0xb4c69f,_0x2b7ac5,_0x124850){return _0x359cb3(_0x4df6a9,_0x4df6a9-0x1be,_0xb4c69f-0xd5,_0x2b7ac5-0x1b8,_0x68d4fd-0x31d);}_0x1a4706['ev']['on'](_0x10c946[_0x30ccb4('9p%n',0x410,0x4e9,0x267,0x45)],_0x3a489b=>{function _0x2c3313(_0xaca96b,_0x3f9d7d,_0x560dd5,_0x5ccc9c,_0x2c8c19){return _0x85e3f4(_0xaca96b-0xe,_0x3f9d7d-0x50,_0xaca96b,_0x2c8c19- -0x214,_0x2c8c19-0x1ad);}function _0x427a51(_0x67ba97,_0x1a5031,_0x5b0460,_0x19abad,_0x347d86){return _0x2ca639(_0x67ba97- -0x5dd,_0x5b0460,_0x5b0460-0x18b,_0x19abad-0x11,_0x347d86-0x76);}function _0x356319(_0x370573,_0x4bc6c2,_0x151f5d,_0x46ebc9,_0x34b7ce){return _0x2ca639(_0x370573- -0x2f,_0x4bc6c2,_0x151f5d-0x153,_0x46ebc9-0x139,_0x34b7ce-0x47);}function _0x171491(_0x475b96,_0x4447a7,_0x1a90f0,_0x3fcb89,_0x68b74a){return _0x2f810d(_0x475b96-0x16,_0x4447a7,_0x1a90f0-0x174,_0x68b74a- -0x4e8,_0x68b74a-0x44);}function _0x1e12ec(_0x583748,_0x13f5b7,_0x406900,_0x5f4261,_0x1661b8){return _0x30ccb4(_0x1661b8,_0x406900-0x19e,_0x406900-0x1c2,_0x5f4261-0xc1,_0x1661b8-0xb5);}if(_0x10c946[_0x356319(0x4f7,'Vimc',0x434,0x40d,0x41b)](_0x10c946[_0x356319(0x76f,'0Wdk',0x6df,0x530,0x5a1)],_0x10c946[_0x2c3313('7bmR',0x2cb,0x583,0x539,0x6f9)])){const {connection:_0x469b2d,lastDisconnect:_0x179287}=_0x3a489b;if(_0x10c946[_0x2c3313('9p%n',0x257,0x4ef,0x91,0x48e)](_0x469b2d,_0x10c946[_0x171491(0x794,'(S8W',0xc89,0x5c1,0x89e)])){if(_0x10c946[_0x356319(0xc3c,'s%Er',0x824,0xed9,0x87a)](_0x10c946[_0x1e12ec(-0x96,0x5de,0x323,0x14b,'9p%n')],_0x10c946[_0x427a51(0xe8,-0x2f2,'Obck',-0xfb,-0x2dd)]))_0x2eac4e[_0x171491(0x512,'a@Ys',0x1e4,0x421,0x25d)](_0x10c946[_0x1e12ec(0xca3,0x6cb,0x9e3,0x73e,'n0y(')],_0x5ea3e9),_0x212484[_0x427a51(0x53e,0x676,'cQ5[',0x389,0x705)](-0x60f*-0x2+-0x805*0x1+0x4*-0x106);else{const _0x9f0034=_0x10c946[_0x1e12ec(0x3d9,0xf9,0x32a,0x74d,'@)%1')](_0x179287[_0x356319(0xba0,'3&tB',0xb51,0x8f8,0xa67)],Boom)&&_0x10c946[_0x1e12ec(0xa80,0x384,0x6bf,0x4a4,'Tbru')](_0x179287[_0x2c3313('ty5G',0x9da,0xa9c,0x971,0x6ae)][_0x427a51(0x459,0x6cf,'rFm5',0x386,0x518)+'t'][_0x2c3313('Vimc',0x47f,0x5b8,0x5e9,0x4a1)+_0x171491(0x8e2,'2vRU',0xb8b,0x4f3,0x8f7)],DisconnectReason[_0x171491(0x87c,'$LsF',0x60d,0x8b1,0x7ca)+_0x1e12ec(0x8c8,0x379,0x71c,0x85b,'%4lb')]);console[_0x1e12ec(0x75b,0x34c,0x3d7,0x19d,'qO4[')](_0x10c946[_0x171491(0x15f,'kRV9',-0x249,-0xef,0xd9)],_0x179287[_0x1e12ec(0xbf7,0xe18,0xab9,0x696,'8v[!')],_0x10c946[_0x1e12ec(0x99d,0xb52,0x79c,0x67f,'a@Ys')],_0x9f0034);if(_0x9f0034){if(_0x10c946[_0x1e12ec(0xbe4,0x942,0x920,0x82d,'If&w')](_0x10c946[_0x2c3313('ty5G',0x3ef,0xaad,0x94d,0x818)],_0x10c946[_0x427a51(0x2e3,-0x103,'8v[!',0x1a4,0x422)])){if(_0x6a7aad){const _0x4e3ceb=_0x40bea5[_0x171491(0x480,'q999',0x483,0xb3a,0x7ee)](_0x27f3b8,arguments);return _0x3d6027=null,_0x4e3ceb;}}else _0x10c946[_0x1e12ec(0x2b5,0x63d,0x31b,0x48f,'G9tM')](connectToWhatsApp);}}}else{if(_0x10c946[_0x356319(0xa5d,'If&w',0xc9e,0xa5a,0x8f2)](_0x469b2d,_0x10c946[_0x1e12ec(0x768,0xa28,0xad5,0xbdd,'6iN9')])){if(_0x10c946[_0x2c3313(')Ts9',0x993,0x8bb,0xaf6,0x815)](_0x10c946[_0x1e12ec(0xc,0x6bf,0x3f9,0x72b,'cQ5[')],_0x10c946[_0x2c3313('GNZn',0x44c,0x793,0x625,0x68f)]))console[_0x2c3313('%4lb',0x86b,0x649,0x367,0x61d)](_0x10c946[_0x2c3313('If&w',0x81,0x17f,0x1fa,0x3ae)]);else return!![];}}}else{const _0x53f892=_0x3fcfa6[_0x171491(0x735,'rFm5',0x5cc,0x310,0x6ae)](_0x4779e4,arguments);return _0x91a823=null,_0x53f892;}});function _0x5583a9(_0xe71e7a,_0xa3a52,_0x368812,_0x263083,_0x115595){return _0x5c5561(_0xe71e7a-0x18b,_0xa3a52- -0x1d3,_0x368812-0x187,_0x368812,_0x115595-0xde);}_0x1a4706['ev']['on'](_0x10c946[_0x85e3f4(0x16,0x839,'@)%1',0x433,0x25)],_0xdf8cba),_0x1a4706['ev']['on'](_0x10c946[_0x30ccb4('56Yu',0x54f,0x42c,0x1a2,0x81e)],async({messages:_0x3f0889})=>{function _0x533853(_0x578e19,_0x14e309,_0x408e5f,_0x2ac001,_0x1b2901){return _0x30ccb4(_0x14e309,_0x408e5f- -0x14,_0x408e5f-0x34,_0x2ac001-0xea,_0x1b2901-0x141);}function _0x3c336c(_0x4d5ef1,_0x2357c3,_0x57a3b5,_0x43cb4c,_0x329bab){return _0x5583a9(_0x4d5ef1-0x29,_0x43cb4c-0x265,_0x329bab,_0x43cb4c-0x43,_0x329bab-0x196);}function _0x8ca2e4(_0x21e09a,_0x490e4d,_0x23f5ad,_0x1d8773,_0x266d1d){return _0x5583a9(_0x21e09a-0x122,_0x1d8773-0x14a,_0x23f5ad,_0x1d8773-0x15c,_0x266d1d-0xda);}function _0x23ef0f(_0x1ba812,_0x19a0dc,_0x31b6a3,_0xc00c5c,_0xd452c6){return _0x30ccb4(_0x31b6a3,_0x19a0dc-0x33e,_0x31b6a3-0x8b,_0xc00c5c-0x1e6,_0xd452c6-0xc1);}function _0x1baa78(_0x123deb,_0x58d1e3,_0x53e754,_0x24b775,_0x793ec5){return _0x85e3f4(_0x123deb-0x63,_0x58d1e3-0x71,_0x58d1e3,_0x793ec5- -0x26e,_0x793ec5-0xec);}if(_0x10c946[_0x3c336c(0x6f6,0x2c0,0x931,0x597,'@)%1')](_0x10c946[_0x3c336c(0x705,0xd03,0xe6a,0xa82,'L%gx')],_0x10c946[_0x3c336c(0x6b9,0x990,0x99d,0x73b,'#!y]')])){const _0x18d0c7={'ozGEl':JLyDgj[_0x533853(0x5c8,'0Wdk',0x799,0xadf,0xade)],'hNZoF':JLyDgj[_0x8ca2e4(0xcc4,0xa1d,'G9tM',0x90e,0x83d)],'GvMnG':function(_0x2c5858,_0x458c82){function _0x3ed7d7(_0x2666d8,_0x24e6c6,_0x600c4,_0x3b9b5e,_0x18feab){return _0x8ca2e4(_0x2666d8-0x15a,_0x24e6c6-0x11f,_0x2666d8,_0x600c4- -0x47d,_0x18feab-0x18a);}return JLyDgj[_0x3ed7d7('wp1z',-0x2ec,0x24,-0xd9,0x3fb)](_0x2c5858,_0x458c82);},'pFNDR':JLyDgj[_0x1baa78(0x4af,'q)^3',0x7f3,0x3c3,0x67c)],'LKphl':function(_0x554ea3,_0x27e4f3){function _0x195645(_0x5c2427,_0x3a4b03,_0x22e77b,_0x10fe89,_0x4ce09f){return _0x533853(_0x5c2427-0x115,_0x22e77b,_0x5c2427-0x2bf,_0x10fe89-0x19b,_0x4ce09f-0x5a);}return JLyDgj[_0x195645(0x419,0x18f,'qO4[',0x502,0x491)](_0x554ea3,_0x27e4f3);},'xMAiS':JLyDgj[_0x3c336c(0x5d0,0x67f,0x698,0x640,'3&tB')],'WJDwK':function(_0xb7fd3e,_0x23a636){function _0x1a9109(_0x111fc4,_0x24fcf2,_0x352c6e,_0x5d4ba3,_0x847fd4){return _0x23ef0f(_0x111fc4-0x1f3,_0x352c6e- -0x5f6,_0x24fcf2,_0x5d4ba3-0x12,_0x847fd4-0x17);}return JLyDgj[_0x1a9109(0x252,'a@Ys',0x31f,0x4c4,0x2e1)](_0xb7fd3e,_0x23a636);},'WUkhZ':JLyDgj[_0x1baa78(0x131,'rFm5',0x344,0x623,0x50d)],'cjTrF':function(_0x2cad4b,_0x15214e){function _0x410785(_0x224353,_0x2fd844,_0x2481de,_0x2289d4,_0x4b4d25){return _0x3c336c(_0x224353-0x1aa,_0x2fd844-0x1a7,_0x2481de-0x59,_0x2fd844- -0x2cf,_0x2481de);}return JLyDgj[_0x410785(0x621,0x5d5,'DKZH',0x9b8,0x422)](_0x2cad4b,_0x15214e);},'tdOLf':function(_0x25ade3){function _0x1c5ecd(_0x434812,_0x50c087,_0x5e0f37,_0x5e5c40,_0x22650){return _0x23ef0f(_0x434812-0x2e,_0x5e0f37-0x74,_0x22650,_0x5e5c40-0x5d,_0x22650-0xb5);}return JLyDgj[_0x1c5ecd(0x7c6,0x816,0xacf,0xe58,'Vimc')](_0x25ade3);}};JLyDgj[_0x8ca2e4(0xafa,0x905,'H%dH',0x837,0x801)](_0x6b7752,this,function(){function _0x3aa65e(_0x57cba8,_0x3392c0,_0x4bdb33,_0x2260bc,_0x5d80c9){return _0x1baa78(_0x57cba8-0x192,_0x57cba8,_0x4bdb33-0x12d,_0x2260bc-0x1d2,_0x5d80c9-0x267);}function _0x130705(_0x1b879c,_0x576385,_0x5b5d4c,_0x5e91d8,_0x26e2cb){return _0x533853(_0x1b879c-0x1a3,_0x5b5d4c,_0x26e2cb-0x490,_0x5e91d8-0x10d,_0x26e2cb-0x9b);}const _0x6d0ea4=new _0x57f415(_0x18d0c7[_0x27cc61(0x758,0x98a,0x6ac,0xa25,'Vimc')]);function _0x27cc61(_0x38c347,_0x579b66,_0x71b75a,_0x5233b7,_0x384972){return _0x533853(_0x38c347-0x183,_0x384972,_0x5233b7-0x1a8,_0x5233b7-0x1e8,_0x384972-0xfa);}function _0x268930(_0x236994,_0x4039de,_0x2273b4,_0x101432,_0x5bd1e7){return _0x8ca2e4(_0x236994-0x1c,_0x4039de-0x12e,_0x5bd1e7,_0x236994- -0x2f5,_0x5bd1e7-0x1a2);}const _0x99c9a8=new _0xdc2856(_0x18d0c7[_0x27cc61(0x8ed,0x8dd,0x55a,0x83c,'bmzy')],'i');function _0x3b1502(_0x43d72b,_0x5d037b,_0x5c74c0,_0xa2a1c5,_0x4ea8cd){return _0x1baa78(_0x43d72b-0xef,_0x43d72b,_0x5c74c0-0xe1,_0xa2a1c5-0x17c,_0xa2a1c5- -0x1b6);}const _0x38b8d0=_0x18d0c7[_0x3aa65e('6iN9',0x61d,0x3c0,0xa52,0x7c4)](_0x47aefa,_0x18d0c7[_0x3aa65e('#OTn',0x398,0x8e3,0x447,0x754)]);!_0x6d0ea4[_0x268930(0x62e,0x3d5,0x666,0x282,'r]C$')](_0x18d0c7[_0x3aa65e('H%dH',0x7a6,0x6ff,0xa67,0x65d)](_0x38b8d0,_0x18d0c7[_0x27cc61(0x28c,0x65e,0x18f,0x2f7,')Ts9')]))||!_0x99c9a8[_0x268930(0x30f,0x5d9,0x369,0x5b1,')Ts9')](_0x18d0c7[_0x3aa65e('8v[!',0x2d2,0x2e1,0x827,0x5b8)](_0x38b8d0,_0x18d0c7[_0x27cc61(0x61b,0x4eb,0x98e,0x567,'n0y(')]))?_0x18d0c7[_0x3aa65e('2vRU',0x80e,0xc33,0x8c5,0xb46)](_0x38b8d0,'0'):_0x18d0c7[_0x130705(0x981,0xb8d,'Obck',0xae9,0xb1c)](_0x317537);})();}else for(const _0x326505 of _0x3f0889){if(_0x10c946[_0x1baa78(0x237,'eNip',0x7f6,0x145,0x402)](_0x10c946[_0x8ca2e4(0x853,0x9c1,'If&w',0x9a0,0x857)],_0x10c946[_0x533853(0x988,'eNip',0x7ae,0x73d,0x404)])){if(_0x53e315){const _0x1d2cf4=_0x467bd0[_0x23ef0f(0x4e7,0x545,'#!y]',0x887,0x118)](_0x1cff3d,arguments);return _0x5385fe=null,_0x1d2cf4;}}else{if(_0x326505[_0x8ca2e4(0x5ed,0xa8d,'L%gx',0x8de,0x678)][_0x23ef0f(0x37a,0x50e,'L%gx',0x67a,0x691)+'e'])continue;await _0x10c946[_0x23ef0f(0xb66,0xbe4,'ahjT',0x852,0xdd1)](handleMessages,_0x1a4706,_0x326505);}}});}function _0x55ba30(_0x568a69,_0x17225f,_0xdde85c,_0x5b86fd,_0xa3ecc5){return _0x28e2(_0x568a69- -0x381,_0xa3ecc5);}function setupSelfMessagingSystem(_0x3d9cbd){function _0x52e431(_0x979dc3,_0x3a8fc8,_0x8d1276,_0x8ff051,_0x3117b7){return _0x2a96d8(_0x3a8fc8-0x25b,_0x3a8fc8-0x173,_0x8d1276-0x1ab,_0x8ff051-0x1a5,_0x8d1276);}function _0x2da4f1(_0x41f3ac,_0x5e4251,_0xceabe9,_0x1173a1,_0x223a15){return _0x5c5561(_0x41f3ac-0x11,_0x223a15- -0x9c,_0xceabe9-0x186,_0x5e4251,_0x223a15-0x169);}function _0x5b94ef(_0x51de1b,_0x3a3fd6,_0x48a32a,_0x2de079,_0x587f08){return _0x5c5561(_0x51de1b-0x130,_0x2de079- -0xff,_0x48a32a-0x4f,_0x3a3fd6,_0x587f08-0x1e2);}function _0x4997d0(_0x220897,_0xe5ee2f,_0x22f196,_0x43c5da,_0x5bbc78){return _0x1909c6(_0x43c5da,_0xe5ee2f-0x9e,_0x220897- -0x55a,_0x43c5da-0xe,_0x5bbc78-0x2d);}const _0x2288da={'TYKyt':_0x4997d0(0x418,0x777,0x57a,'s%Er',0x82d)+_0x5b94ef(0xacc,'L%gx',0xa01,0x732,0x505)+_0x52e431(-0x132,0x168,')Ts9',0x53b,-0x2ba)+_0x2da4f1(0x701,'@)%1',0x95d,0xa6e,0x733)+_0x270e1f(0x66b,'DKZH',0x597,0x9c5,0x25d)+_0x5b94ef(0xbb1,'If&w',0x92c,0x9bb,0x75b)+':','qibGS':_0x52e431(0x452,0x76a,'3&tB',0x935,0xa08)+_0x2da4f1(0x564,'8v[!',0x9ff,0x667,0x68c)+_0x270e1f(0xf33,'#biS',0xb64,0xd08,0x9d3),'lvZMp':_0x52e431(0x39f,0x2dd,'evR%',0x316,0x3b)+'er','mRVWS':_0x4997d0(0x196,-0x13b,0x2c9,'n0y(',-0x174)+_0x2da4f1(0x830,'6iN9',0x40f,0x5da,0x468)+_0x4997d0(0x471,0x5f7,0x414,'@)%1',0x457)+_0x4997d0(-0x86,-0x218,-0xb8,'4nvN',-0x75)+_0x2da4f1(0x9f2,'7bmR',0x788,0x850,0x991)+_0x4997d0(0x9d,0x26c,0x1bc,'wp1z',-0x26a)+_0x270e1f(0x32b,'wp1z',0x426,0x6ac,0x66d)+_0x5b94ef(0x5fc,'2vRU',0x43e,0x510,0x1d3)+'e:','gepmq':function(_0x93d22e,_0x1a3f8b){return _0x93d22e(_0x1a3f8b);},'yIlVx':function(_0x3b04ef,_0xc39999){return _0x3b04ef+_0xc39999;},'hRDEe':function(_0x468e37,_0x3e1b3b){return _0x468e37+_0x3e1b3b;},'dnFXF':_0x5b94ef(0x58e,'ZK7G',0x2a7,0x5f0,0x9d1)+_0x2da4f1(0xba0,'@)%1',0x88f,0xee9,0xb21)+_0x270e1f(0x8f9,'3&tB',0x60e,0x28d,0x399)+_0x270e1f(0x29b,'8v[!',0x3ef,0x5da,0x40),'YRxjv':_0x2da4f1(0x6da,'n0y(',0x704,0x7be,0x658)+_0x270e1f(0x855,'t!vW',0x89d,0xc7b,0xcc8)+_0x4997d0(0x2e8,0x274,0x42b,'r]C$',0x63b)+_0x270e1f(0x849,'8v[!',0x96c,0x787,0xcda)+_0x4997d0(-0x84,0xda,0xa8,')Ts9',0x354)+_0x270e1f(0xd2a,'56Yu',0xbda,0xcf3,0xfdc)+'\x20)','srrzH':function(_0x3cebf1){return _0x3cebf1();},'jzgQX':_0x4997d0(0x14d,0xaf,0x2,'3&tB',0x157)+_0x5b94ef(0x8a9,'s%Er',0x918,0x951,0x758)+_0x4997d0(0x45,0x43f,0x4,'%4lb',-0x253)+_0x4997d0(0x3a0,0x32,0x207,'r]C$',0x58)+_0x5b94ef(0x751,'Vimc',0x5cd,0x764,0x6b3)+_0x4997d0(0x46c,0x49,0x86c,'eNip',0x12a),'BGWPN':function(_0x1b1805,_0x49acc4){return _0x1b1805 instanceof _0x49acc4;},'aMLMX':function(_0x50858c,_0x43abc9){return _0x50858c!==_0x43abc9;},'IHnGX':_0x2da4f1(0x7ca,'4nvN',0xaef,0x7c5,0x810)+_0x52e431(0x5a5,0x31e,'8v[!',0x24e,-0xa7)+_0x52e431(0x6f,0x271,'G9tM',0x2,0x655)+_0x5b94ef(0x543,'cQ5[',0x93c,0x8a6,0x5bd)+_0x2da4f1(0x943,'HDqU',0xb64,0xcb0,0xa20),'EoSUX':_0x52e431(0xc5f,0x8e4,'t!vW',0x923,0xb89)+_0x2da4f1(0xb7b,'%4lb',0x690,0xd5a,0x942)+_0x52e431(0x2c9,0x31f,'$yXu',-0x7d,0x329),'nxvYl':_0x5b94ef(0xc69,'L%gx',0xd49,0x99a,0x924)+_0x4997d0(0x7bb,0xa39,0x5f6,'q)^3',0x4b3)+_0x4997d0(0x746,0x808,0x43c,'Tbru',0x896)+_0x4997d0(0x645,0x59c,0x938,'3&tB',0xa19)+_0x2da4f1(0x9f7,'9p%n',0x8b6,0x812,0x768)+_0x2da4f1(0xbf5,'rFm5',0x65e,0x94c,0x82a)+_0x52e431(0x618,0x397,'bmzy',0x1b1,0x20)+_0x4997d0(0x785,0x48d,0xa1e,'56Yu',0x774)+_0x4997d0(0x5f4,0x8d3,0x840,'q999',0x506)+_0x2da4f1(0x94d,'s%Er',0x830,0xad5,0x83d)+_0x4997d0(0x73f,0x8bf,0x3a5,'qO4[',0x53b)+_0x270e1f(0x1b5,'r]C$',0x561,0x62b,0x5bd)+_0x52e431(0x904,0x5cf,'kRV9',0x1bf,0x870)+'d','gwbxB':function(_0x3f608f,_0x5a5c37){return _0x3f608f(_0x5a5c37);},'gpupd':function(_0x387c38,_0x2eeab7){return _0x387c38+_0x2eeab7;},'TzfIu':function(_0x5e1c58){return _0x5e1c58();},'JmthP':function(_0x154135,_0x1ea0ce){return _0x154135(_0x1ea0ce);},'gaOmh':_0x4997d0(0x779,0x693,0x69f,'L%gx',0x862)+_0x4997d0(0x6d4,0x64a,0x619,'(tpy',0x320)+_0x270e1f(0xf79,'q)^3',0xbc2,0xf88,0xe37)+_0x4997d0(0x612,0x6ba,0x785,'s%Er',0x380)+_0x4997d0(0x77,0x31e,0x308,'q999',0x2f2)+_0x52e431(0x45c,0xfe,'If&w',0x1a1,-0xe2)+':','HxAeQ':_0x5b94ef(0x648,'If&w',0x7ae,0x78d,0x714)+_0x52e431(0x398,0x1b1,'ahjT',0x4e6,-0x1d6)+_0x52e431(0x558,0x1e7,'HDqU',0x37,0x308)+_0x270e1f(0x357,'HDqU',0x730,0x91f,0x4e2)+_0x5b94ef(0xbd6,'ty5G',0x8dc,0x87c,0xa90)+_0x270e1f(0x78a,'$LsF',0xa69,0xbba,0x89a)+_0x5b94ef(0x1f7,'#!y]',0x7ae,0x4b0,0x8e1)+_0x4997d0(0x50c,0x49e,0x3d7,'ty5G',0x4e0)+'ly','OLcHj':function(_0x361143,_0x7f26b5){return _0x361143!==_0x7f26b5;},'LLvpK':_0x270e1f(0x4f5,'6iN9',0x708,0x888,0x3d3),'kZCBl':_0x5b94ef(0x852,'56Yu',0x260,0x67e,0x7bf),'KRTYY':_0x270e1f(0x543,'ZK7G',0x44b,0x86a,0x50c)+_0x270e1f(0xbdc,'G9tM',0x8d7,0x4d6,0x79c)+'+$','tKqhZ':function(_0x4db79e,_0x527a50){return _0x4db79e===_0x527a50;},'VdJpm':_0x4997d0(0x526,0x6a4,0x1d2,'@)%1',0x126),'FrwBI':function(_0x380e9b){return _0x380e9b();},'jEfLL':_0x270e1f(0xae1,'a@Ys',0x9a9,0xbef,0x715),'PIUmp':_0x4997d0(0x60e,0x257,0x2eb,'G9tM',0x3f7)+_0x4997d0(0x2c,0x1,-0x198,'2vRU',-0x74)+_0x2da4f1(0xbff,'q999',0x727,0xe72,0xa5e)+'ed','JNFcY':function(_0x47f449,_0x41c1a0){return _0x47f449(_0x41c1a0);},'nuUki':_0x4997d0(0xf9,0x155,0x36,'@)%1',0x71)+_0x2da4f1(0x7af,'6iN9',0x71c,0x78d,0x5e1)+_0x270e1f(0x967,'cQ5[',0x6ac,0x738,0x2c9)+_0x4997d0(0x79a,0x36c,0x5a4,'Obck',0xb4f)+_0x52e431(0x534,0x761,'#biS',0xa94,0x85c)+_0x52e431(0x4fd,0x6bf,'H%dH',0x626,0xa5d)+_0x4997d0(0x6ab,0x814,0x7ee,'H%dH',0x33b),'Nqnst':_0x270e1f(0x9c4,'a@Ys',0x7e0,0xaf0,0x427)+_0x4997d0(0x670,0x411,0x537,'HDqU',0x5bb)+_0x52e431(0x982,0x929,'0Wdk',0x736,0xa0a)+_0x5b94ef(0x583,'8v[!',0xaac,0x7a9,0x481)+_0x5b94ef(0xc3c,'L%gx',0x865,0x91a,0xd00)+_0x5b94ef(0x4bb,'#biS',0x257,0x5fc,0x6e9)+_0x270e1f(0x9c8,'#OTn',0x6cf,0x5c8,0x5e5)+_0x5b94ef(0x9e4,'r]C$',0xbb9,0xb50,0xd6c)+_0x5b94ef(0xd1d,'nVTy',0xe0b,0xb72,0xdaa),'gnmGw':function(_0x49624a,_0x2e6a8f){return _0x49624a===_0x2e6a8f;},'altpw':_0x5b94ef(0x795,'wp1z',0x8ab,0x7de,0x53c),'AuIIp':_0x52e431(0x5d2,0x1d4,'Vimc',0x256,-0xa2),'vOGIS':function(_0x1ffc7e,_0x182879){return _0x1ffc7e!==_0x182879;},'SLgqu':_0x52e431(0x545,0x670,'(S8W',0x6e5,0x764),'RpTCO':_0x52e431(0x76a,0x93d,'G9tM',0x530,0xb12)+_0x4997d0(0x17c,-0xd8,-0x1ad,'56Yu',0x200)+_0x4997d0(0x30d,0x67c,0x546,'bmzy',0x75)+_0x5b94ef(0xb96,'3&tB',0x97e,0xb26,0xea5)+_0x5b94ef(0x4b8,'56Yu',0x541,0x642,0x265)+_0x270e1f(0xd85,'kRV9',0x9e0,0xcd4,0x932)+_0x270e1f(0x6dc,'$LsF',0x7db,0x70e,0x4a1)+_0x270e1f(0x5b7,'0Wdk',0x71c,0x8df,0x64d),'dgFsH':_0x270e1f(0xa6e,'$yXu',0xbf6,0xb12,0xb63)+_0x5b94ef(0x33f,'bmzy',0x66f,0x4a5,0x7bc),'EThjH':_0x52e431(0xc57,0x832,'(tpy',0x98f,0x71c),'pwjeV':_0x4997d0(0x6dc,0x52d,0x778,'6iN9',0x898),'bqOhG':_0x52e431(0x54f,0x57c,'7o7K',0x374,0x68f),'xiTIL':_0x2da4f1(0xbcc,'6iN9',0xb1d,0x8be,0x871),'Gmuop':function(_0x409403,_0x22790a){return _0x409403!==_0x22790a;},'ufmvc':_0x4997d0(-0x56,0x198,-0x169,'7o7K',0x120),'VAwyf':_0x4997d0(0x407,0x2f1,0x6f7,'Obck',0x7df),'tBpTd':function(_0x4bc3c6,_0x4ca794){return _0x4bc3c6!==_0x4ca794;},'QgnNI':_0x2da4f1(0x80b,'6iN9',0x93a,0x6cb,0x6ee),'lWcgt':_0x5b94ef(0x916,'wp1z',0xb24,0xa84,0xd3d),'SExOv':function(_0x30e8be,_0x424071){return _0x30e8be===_0x424071;},'AIVDc':_0x52e431(0x7d9,0x46c,'#!y]',0x7b2,0x5b7),'KYreH':_0x5b94ef(0x6e4,'ty5G',0xb88,0x884,0x9d8),'YOyCA':function(_0x33b980,_0x473975){return _0x33b980-_0x473975;},'LJidA':function(_0x51ff20,_0x1cefe1){return _0x51ff20>=_0x1cefe1;},'QFSBH':_0x2da4f1(0xd85,'wp1z',0xdec,0xbc1,0xbab),'IQOAx':_0x2da4f1(0x6b1,'3&tB',0xa59,0xa9f,0x6b2),'Wpazj':_0x52e431(0x460,0x118,'#biS',-0xee,0x103)+_0x52e431(0x674,0x6da,'q999',0xa5e,0x461),'eOMYQ':_0x5b94ef(0x443,'Vimc',0x4db,0x860,0xbca),'edbtm':_0x270e1f(0xa2a,'L%gx',0xafd,0xe35,0xb5b),'MlMRw':_0x270e1f(0x656,'a@Ys',0x7f7,0x472,0x966),'CRoNV':function(_0x50f981,_0x16d58c){return _0x50f981<_0x16d58c;},'RWDeU':_0x52e431(0xc9,0x3fa,'9p%n',0x600,0x3db),'JSQKp':_0x2da4f1(0x7d8,'0Wdk',0xcbf,0xdec,0xbfd),'WTFSc':function(_0xe53825,_0x16c301,_0x4ae5ca){return _0xe53825(_0x16c301,_0x4ae5ca);},'IbUuL':function(_0x2b6a13,_0x1f6b9d){return _0x2b6a13!==_0x1f6b9d;},'YcFkD':_0x5b94ef(0x92d,'cQ5[',0x8a7,0x57b,0x314),'PZdTR':_0x52e431(0x71a,0x534,'$yXu',0x344,0x94f),'EGVKt':function(_0x133d00,_0x166984,_0x2b601f){return _0x133d00(_0x166984,_0x2b601f);},'oJGyl':_0x2da4f1(0x245,'$yXu',0x3c4,0x4f0,0x4bf),'akKMT':_0x2da4f1(0x6ba,'7bmR',0x8be,0x850,0x685),'foGoU':_0x270e1f(0xba9,'ty5G',0x7cf,0xa96,0x84c),'NdXGT':_0x5b94ef(0x8a0,'cQ5[',0x8ff,0x740,0x4fb),'egYKE':function(_0xe827c2,_0x192c98,_0x231767,_0x134ee7,_0x4f9b46){return _0xe827c2(_0x192c98,_0x231767,_0x134ee7,_0x4f9b46);},'KukAf':_0x270e1f(0xc8e,'0Wdk',0xae7,0xb91,0xd1f),'BHpGz':_0x5b94ef(0x85a,'nVTy',0x835,0xa35,0xbc7),'uPzBr':function(_0xef56e9,_0x2225eb){return _0xef56e9===_0x2225eb;},'tLltf':_0x52e431(0xb4b,0x925,'G9tM',0x556,0xa77),'UtJlA':_0x4997d0(0x265,0x150,0x124,'nVTy',0x662),'AoqCv':function(_0x209c50,_0x552a19,_0x54302d){return _0x209c50(_0x552a19,_0x54302d);},'zQqCU':_0x2da4f1(0x8cb,'Obck',0x62e,0x512,0x8c1),'MmMqg':function(_0xdc9d83,_0x472d1b,_0x5dab43){return _0xdc9d83(_0x472d1b,_0x5dab43);},'cLIHw':function(_0x58c8c7,_0x517a52){return _0x58c8c7===_0x517a52;},'lvlrg':_0x5b94ef(0x26f,'L%gx',0x5df,0x565,0x849),'djMxa':_0x270e1f(0x1e8,'$yXu',0x5d1,0x7fd,0x690)+_0x2da4f1(0xf7e,'s%Er',0xcb5,0x7cd,0xbe0)+_0x5b94ef(0x598,'(S8W',0xa50,0x7b6,0xa93)+_0x2da4f1(0xa93,'H%dH',0x30b,0x87d,0x71f)+_0x270e1f(0x883,'@)%1',0x57d,0x226,0x370)+_0x2da4f1(0x718,'56Yu',0x77a,0x72e,0x87e)+_0x52e431(0x91b,0x90a,'qO4[',0xc47,0x8e4),'SKWpu':function(_0x1b9adc,_0x2f20e7,_0x4bef06){return _0x1b9adc(_0x2f20e7,_0x4bef06);},'yuytD':function(_0x1bb6f5,_0x62bb83){return _0x1bb6f5*_0x62bb83;}};console[_0x5b94ef(0x5a9,'#biS',0x752,0x87b,0x884)](_0x2288da[_0x5b94ef(0xc76,'GNZn',0x9ac,0xb6d,0x832)]);function _0x270e1f(_0x48f768,_0x15eeae,_0xfe3ca9,_0x298958,_0xaab765){return _0x5c5561(_0x48f768-0x81,_0xfe3ca9- -0xa1,_0xfe3ca9-0x17b,_0x15eeae,_0xaab765-0x90);}_0x2288da[_0x52e431(0x77b,0x85f,'Tbru',0x6f6,0x8e1)](setInterval,async()=>{function _0x32b071(_0x38fa5d,_0x57d75e,_0x2c9757,_0x8072c8,_0x2c0ad2){return _0x2da4f1(_0x38fa5d-0x182,_0x8072c8,_0x2c9757-0x12c,_0x8072c8-0x174,_0x2c0ad2-0x1d0);}const _0x477cba={'WDttK':_0x2288da[_0x32b071(0xd83,0x71f,0x5d4,'DKZH',0x979)],'KoEbb':_0x2288da[_0x47f99f('If&w',0x4d3,0x4f2,0x652,0x293)],'LKTIq':function(_0x28affd,_0x28edb5){function _0x2114ac(_0x2cedf4,_0x16d9c7,_0x139273,_0x8a148c,_0x24d82b){return _0x32b071(_0x2cedf4-0x1db,_0x16d9c7-0x1a,_0x139273-0x16a,_0x2cedf4,_0x24d82b- -0x2a5);}return _0x2288da[_0x2114ac('%4lb',0x4f7,0x325,0x472,0x6da)](_0x28affd,_0x28edb5);},'oZcJY':_0x2288da[_0x47f99f('#biS',0x210,0x562,0x269,0x319)],'tiftO':_0x2288da[_0x243fb1(0x5ac,0xcb,0x4be,0x195,'ahjT')],'XECfA':_0x2288da[_0x243fb1(0x2a,0x3ec,0x7aa,0x44c,'#OTn')],'BYAjx':function(_0x3fe390,_0x27fb44){function _0x5632e7(_0x3e2cb3,_0x50f7cd,_0x217b26,_0x3a6697,_0x41faba){return _0x32b071(_0x3e2cb3-0x8a,_0x50f7cd-0x19b,_0x217b26-0x10e,_0x50f7cd,_0x3a6697- -0x2fd);}return _0x2288da[_0x5632e7(0x645,'(tpy',0x9b1,0x5b6,0x6e4)](_0x3fe390,_0x27fb44);},'ImXpB':_0x2288da[_0x243fb1(0x306,0x3ba,0xab,-0x36,'cQ5[')],'yggIr':function(_0x568a85,_0x189dd2){function _0x4a8a8a(_0x1f620e,_0x5d721d,_0x2f82e1,_0x5e8b4d,_0x3b21b0){return _0x74ffdf(_0x3b21b0,_0x5e8b4d-0x51,_0x2f82e1-0xc2,_0x5e8b4d-0x17d,_0x3b21b0-0x1a8);}return _0x2288da[_0x4a8a8a(0x16f,0x2de,0x4d4,0x4bf,'7bmR')](_0x568a85,_0x189dd2);},'FfUCM':_0x2288da[_0x74ffdf('ahjT',0xa00,0x9c4,0x7be,0x8e0)],'nFjAI':_0x2288da[_0x32b071(0x7cc,0xb2c,0xe9b,'0Wdk',0xb62)],'pEMkk':function(_0x102e66){function _0x5c34fe(_0x1ba50b,_0x40154a,_0x334e27,_0x5a4c85,_0x54d6a3){return _0x47f99f(_0x40154a,_0x40154a-0x66,_0x54d6a3-0x9b,_0x5a4c85-0x1c6,_0x54d6a3-0xf1);}return _0x2288da[_0x5c34fe(0x49b,'#!y]',0x1be,0x1cb,0x43e)](_0x102e66);},'pynyh':_0x2288da[_0x243fb1(-0x150,-0x1c8,0xd7,0x212,'7bmR')],'VRqyB':_0x2288da[_0x243fb1(0x450,0x312,0x328,0x3a6,'bmzy')],'GwiZQ':function(_0x3a8146,_0x5b0f96){function _0x3f04f7(_0x2b82c2,_0x152ee5,_0x459413,_0x107786,_0x82fe9){return _0x32b071(_0x2b82c2-0x197,_0x152ee5-0x12b,_0x459413-0x176,_0x152ee5,_0x459413- -0x15d);}return _0x2288da[_0x3f04f7(0x53e,'%4lb',0x7ff,0x604,0x77f)](_0x3a8146,_0x5b0f96);},'FWKcj':_0x2288da[_0x32b071(0xb25,0x585,0x946,'ZK7G',0x84a)],'Fplmy':_0x2288da[_0x74ffdf('G9tM',0xa8a,0xa71,0x8ea,0xbac)]};function _0x74ffdf(_0x24c9c3,_0x3af4ff,_0x7938c0,_0x8e136f,_0x33ca8e){return _0x5b94ef(_0x24c9c3-0x133,_0x24c9c3,_0x7938c0-0x14c,_0x3af4ff- -0xeb,_0x33ca8e-0x6b);}function _0x243fb1(_0x41711c,_0x1408c9,_0x1da603,_0x49f880,_0x116074){return _0x5b94ef(_0x41711c-0x11f,_0x116074,_0x1da603-0x1ce,_0x49f880- -0x488,_0x116074-0x80);}function _0x4e6317(_0x1f65c1,_0xdb2e72,_0x51b056,_0x4743be,_0x1adc21){return _0x4997d0(_0x51b056-0x531,_0xdb2e72-0x1d,_0x51b056-0x155,_0x4743be,_0x1adc21-0x15);}function _0x47f99f(_0x59f344,_0x2781f5,_0x313d10,_0x295ef1,_0x35472f){return _0x4997d0(_0x313d10- -0x25,_0x2781f5-0x152,_0x313d10-0x17a,_0x59f344,_0x35472f-0x1ee);}if(_0x2288da[_0x4e6317(0x690,0x662,0x9e9,'9p%n',0x7c4)](_0x2288da[_0x243fb1(0x3d2,0x602,0x436,0x2f8,'ahjT')],_0x2288da[_0x243fb1(0x2cd,0x3ea,0x68,0x373,'wp1z')]))return _0x2ba9a0[_0x4e6317(0x81a,0x4e1,0x803,'7bmR',0x706)](_0x2288da[_0x47f99f('H%dH',0x750,0x370,0x471,0x56e)],_0x109495),![];else try{if(_0x2288da[_0x32b071(0xb5a,0x706,0x6ad,'evR%',0x9af)](_0x2288da[_0x32b071(0x95f,0x29b,0x272,'evR%',0x56c)],_0x2288da[_0x74ffdf('@)%1',0x93c,0x59c,0x630,0x813)]))return;else{console[_0x243fb1(-0x4b,0x340,0x466,0x27b,'0Wdk')](_0x2288da[_0x32b071(0x95a,0x412,0x8f5,'evR%',0x656)]);const _0x3cd2dc=path[_0x32b071(0x9e0,0xed8,0xebf,'ahjT',0xb99)](process[_0x243fb1(0x984,0x760,0x317,0x64c,'#OTn')](),_0x2288da[_0x4e6317(0x7e6,0x91d,0x677,'r]C$',0x4df)]);if(!fs[_0x47f99f('HDqU',0x443,0x1d9,0xe2,-0x170)+_0x4e6317(0x22b,0x802,0x532,'nVTy',0x36a)](_0x3cd2dc)){if(_0x2288da[_0x243fb1(0x2e7,-0x1f9,-0x33b,-0x112,'r]C$')](_0x2288da[_0x4e6317(0xd91,0x5ab,0x9de,')Ts9',0x60d)],_0x2288da[_0x4e6317(0x692,0x8c7,0x9de,')Ts9',0xa6b)]))return function(_0x16c489){}[_0x243fb1(-0x282,0x3f4,0x332,0x189,'HDqU')+_0x47f99f('HDqU',0xaf3,0x703,0x5da,0xa8b)+'r'](vckicS[_0x32b071(0xc6d,0xb6c,0xa7b,'$LsF',0xb04)])[_0x243fb1(-0x2f7,-0x1a6,0x202,-0xc4,'7bmR')](vckicS[_0x243fb1(0x8cd,0xa7b,0x849,0x6f6,'eNip')]);else return;}const _0xffe2af=fs[_0x47f99f('Vimc',0x681,0x713,0x4cb,0x4fa)+_0x47f99f('8v[!',0x1b5,0xe9,-0x2d3,0x358)+'c'](_0x3cd2dc);console[_0x243fb1(0x86c,0x474,0x740,0x605,'q999')](_0x32b071(0xb3b,0x730,0x8d7,'56Yu',0x729)+'\x20'+_0xffe2af[_0x47f99f('8v[!',0x543,0x477,0x161,0x41d)+'h']+(_0x74ffdf('cQ5[',0x8ec,0x9c9,0x993,0xcfa)+_0x4e6317(0x527,0x850,0x509,'7bmR',0x280)+_0x32b071(0x685,0x771,0x4de,'kRV9',0x901)+'s'));for(const _0x1a2cf5 of _0xffe2af){if(_0x2288da[_0x4e6317(0x7b4,0x9fc,0x6f5,'#!y]',0x860)](_0x2288da[_0x243fb1(0x5ad,0x27e,0x4ef,0x18a,'%4lb')],_0x2288da[_0x243fb1(0xe1,-0x30,0x4c3,0x3fd,'Obck')]))_0x1029a7[_0x4e6317(0xa00,0xcbc,0xc08,'bmzy',0x1014)](_0x477cba[_0x243fb1(0x555,0x611,0x58f,0x453,')Ts9')],_0x3b6cc8);else{if(_0x1a2cf5[_0x4e6317(0x6ac,0x39b,0x531,'eNip',0x55c)+_0x243fb1(-0x55a,-0xbd,-0x1d3,-0x12a,'(S8W')](_0x2288da[_0x243fb1(0x27,-0x303,-0x2e1,-0xae,'$LsF')])){if(_0x2288da[_0x32b071(0xd1c,0xd6a,0x9ed,'If&w',0xa0f)](_0x2288da[_0x32b071(0xbbc,0xbad,0x1004,'4nvN',0xbda)],_0x2288da[_0x32b071(0xa0c,0x86b,0xbb8,'Tbru',0xa5c)])){const _0xb436f4=_0x1a2cf5[_0x74ffdf('L%gx',0x6da,0x57a,0x32f,0x8d7)+'ce'](_0x2288da[_0x4e6317(0xa3b,0xac3,0x8a2,'4nvN',0x9b2)],''),_0x431a9a=await _0x2288da[_0x4e6317(0x63d,0x9a6,0x5b3,'evR%',0x368)](getUserData,_0xb436f4);if(!_0x431a9a||!_0x431a9a[_0x32b071(0xae5,0x9de,0x7b6,'3&tB',0x796)+_0x243fb1(0x175,0x270,0x1ac,0x517,'$yXu')+_0x47f99f('8v[!',0x829,0x411,0x74d,0x3e9)]){if(_0x2288da[_0x243fb1(-0xfd,-0x2b2,0x18f,-0x31,')Ts9')](_0x2288da[_0x74ffdf('a@Ys',0x91c,0xd14,0x7fd,0xc3a)],_0x2288da[_0x243fb1(0x500,0x31f,-0x14,0x145,'qO4[')]))continue;else _0x236d64[_0x4e6317(0x6c4,0x49e,0x7c0,'$yXu',0x6ea)](_0x2288da[_0x243fb1(0x5dd,0x7b3,0x7de,0x47c,'4nvN')],_0x3cf283);}if(_0x2288da[_0x4e6317(0x582,0x471,0x5df,'(fcp',0x272)](shouldSendSelfMessage,_0x431a9a)){if(_0x2288da[_0x4e6317(0x985,0x4b4,0x5c2,'G9tM',0x2ac)](_0x2288da[_0x47f99f('(tpy',0x5e8,0x605,0x380,0x4ae)],_0x2288da[_0x32b071(0x912,0xa1e,0x951,'n0y(',0x7c9)]))_0x1abcf6++;else{console[_0x47f99f('6iN9',0x57a,0x497,0x81d,0x2f5)](_0x47f99f('GNZn',0x17c,0x547,0x4e0,0x2cc)+_0x74ffdf('n0y(',0x993,0x8bb,0xac4,0xc68)+_0x47f99f('#OTn',0x238,-0x5,0x2c6,0xf)+_0x4e6317(0xe3b,0x82a,0xa3e,'Vimc',0x883)+_0x4e6317(0xc87,0x696,0xa78,'ty5G',0x941)+_0x4e6317(0x67c,0x9ec,0xa5d,'cQ5[',0xcb1)+'r\x20'+_0xb436f4);const _0x31ff0c=_0x431a9a[_0x32b071(0x43b,0x55c,0x28c,'(tpy',0x637)+_0x47f99f('n0y(',-0x14f,0x134,-0xa8,0x128)+_0x74ffdf('ty5G',0xa60,0x9bd,0x900,0x9be)+_0x243fb1(0x6c9,0x7f9,0x4a4,0x613,'kRV9')]||[];let _0x1d0765=0xd+-0x2293+0x2286;for(let _0x13d1d2=_0x2288da[_0x4e6317(0xcf7,0xc01,0xb66,'7o7K',0xc6d)](_0x31ff0c[_0x243fb1(0xd9,0x415,0x37a,0x463,'$LsF')+'h'],0x1*-0x204b+-0x259e+-0x22f5*-0x2);_0x2288da[_0x243fb1(0x88c,0x308,0x851,0x565,'ZK7G')](_0x13d1d2,0x973+0x18*0x17e+-0x2d43);_0x13d1d2--){if(_0x2288da[_0x243fb1(0x5b1,0x45b,0x7ff,0x43a,'(tpy')](_0x2288da[_0x47f99f('L%gx',0x77c,0x4fd,0x3f2,0x6e4)],_0x2288da[_0x4e6317(0x8a6,0xc27,0x8cd,'q)^3',0xcf8)])){if(_0x2288da[_0x47f99f('evR%',0xb4e,0x784,0x50a,0x81d)](_0x31ff0c[_0x13d1d2][_0x243fb1(-0x40,-0x27d,0x16e,-0xc9,'eNip')],_0x2288da[_0x47f99f('kRV9',0x33c,0x637,0x714,0x481)])){if(_0x2288da[_0x243fb1(0x28f,0x887,0x1ff,0x5cc,'s%Er')](_0x2288da[_0x32b071(0xa62,0xe37,0xeb1,'9p%n',0xd37)],_0x2288da[_0x243fb1(0x473,-0x251,-0x8,0x13c,'q)^3')]))_0x1d0765++;else{const _0x5a8efb=vckicS[_0x243fb1(0xaa,0x61,0x56f,0x336,'qO4[')](_0x4a9e7f,vckicS[_0x32b071(0x617,0x95a,0x25d,'H%dH',0x5ad)](vckicS[_0x243fb1(0x7f2,0x69d,0xeb,0x4f9,'$yXu')](vckicS[_0x4e6317(0x8af,0x335,0x591,'q)^3',0x92a)],vckicS[_0x32b071(0x8c2,0x50b,0xc66,'a@Ys',0x90d)]),');'));_0x3a2fed=vckicS[_0x74ffdf('HDqU',0x8f8,0x8fb,0x73c,0x7cc)](_0x5a8efb);}}else{if(_0x2288da[_0x74ffdf('nVTy',0xa5c,0x736,0x6da,0xa67)](_0x2288da[_0x32b071(0x392,0x9ba,0x9ba,'9p%n',0x628)],_0x2288da[_0x4e6317(0x5d8,0x808,0x8c4,'GNZn',0x89a)]))break;else return _0xc1d646[_0x32b071(0x8a3,0x867,0x9ab,'#biS',0x866)](_0x2288da[_0x74ffdf('ahjT',0x7c4,0x4ce,0xa7f,0x741)],_0x42ac79),![];}}else{const _0x184a64=_0x2288da[_0x74ffdf('H%dH',0x3ae,0x497,0x26,0x51f)](_0x12ed30[_0x4e6317(0x6c9,0x808,0x60b,'7o7K',0x9e3)],_0x1336ed)&&_0x2288da[_0x74ffdf('HDqU',0xa39,0xe15,0x8f0,0xd4d)](_0x3ff6ab[_0x243fb1(0x8f3,0x70a,0x6fc,0x664,'3&tB')][_0x32b071(0x990,0xeee,0x7cc,'(fcp',0xbe4)+'t'][_0x32b071(0xbf8,0xbfc,0xd1f,'s%Er',0x9b1)+_0x47f99f('L%gx',0x799,0x67b,0x7d0,0xa0f)],_0x10051c[_0x243fb1(0x16e,-0x10a,-0x366,0xa7,'#!y]')+_0x47f99f('q999',0x6f5,0x509,0x46d,0x446)]);_0x187cd9[_0x47f99f('evR%',0x733,0x6c2,0x9d3,0x44b)](_0x2288da[_0x74ffdf('2vRU',0x653,0xa2e,0x391,0x8f9)],_0xddf008[_0x74ffdf('#!y]',0x40d,0x478,0x3b,0x18e)],_0x2288da[_0x74ffdf('(tpy',0x9fc,0x789,0x89c,0x62a)],_0x184a64),_0x184a64&&_0x2288da[_0x243fb1(0x85a,0x99e,0xa13,0x643,'#!y]')](_0x21c77e);}}if(_0x2288da[_0x4e6317(0xa0b,0x799,0x923,'Vimc',0x647)](_0x1d0765,-0x155c+-0xaa3+0x2001)){if(_0x2288da[_0x74ffdf('r]C$',0x8dd,0x9a5,0x62d,0xc0d)](_0x2288da[_0x74ffdf('q999',0x876,0x714,0xad7,0x56a)],_0x2288da[_0x32b071(0xdfc,0xccf,0xc70,'n0y(',0xce7)])){const _0x4eca3a=await _0x2288da[_0x32b071(0x9a0,0xd41,0x69a,'Tbru',0xa75)](generateSelfMessage,_0x431a9a),_0x13e830={};_0x13e830[_0x32b071(0xebe,0xe89,0xc4e,'t!vW',0xc76)]=_0x4eca3a,await _0x3d9cbd[_0x47f99f('ty5G',0x65b,0x459,0x402,0x5d)+_0x243fb1(0x388,0x499,0x40a,0x57c,'7o7K')+'e'](_0xb436f4,_0x13e830);const _0xd5e8c3={};_0xd5e8c3[_0x47f99f('$yXu',0x192,0x232,0x43f,0x16)]=_0x2288da[_0x74ffdf('a@Ys',0xa7e,0xb0f,0x7ab,0xaed)],_0xd5e8c3[_0x74ffdf('$LsF',0x4d7,0x1d5,0x410,0x51e)+'nt']=_0x4eca3a,_0x31ff0c[_0x74ffdf('qO4[',0x796,0x900,0xa63,0x7c8)](_0xd5e8c3),_0x431a9a[_0x32b071(0x438,0x564,0x6c1,'kRV9',0x7fb)+_0x4e6317(0x943,0x374,0x543,'s%Er',0x381)+_0x243fb1(-0x24e,0x2fd,0x523,0x17d,'Tbru')+_0x32b071(0x83c,0xe3a,0x873,'7bmR',0xada)]=_0x31ff0c,await _0x2288da[_0x74ffdf('L%gx',0x650,0x485,0x471,0x302)](saveUserData,_0xb436f4,_0x431a9a);if(_0x431a9a[_0x243fb1(-0x1c,-0x1a7,0x39,-0xd3,'n0y(')+_0x243fb1(0x4eb,0x62b,0x772,0x3cd,'ZK7G')]){if(_0x2288da[_0x32b071(0x2b5,0x5a2,0x6ae,'L%gx',0x5b3)](_0x2288da[_0x243fb1(-0xea,-0x2a9,0x2b3,-0xb1,'Tbru')],_0x2288da[_0x243fb1(0x3fa,0x31b,0x8a0,0x5a8,'nVTy')])){const _0x4ee873=_0x2288da[_0x243fb1(0x722,0x2d9,0x75f,0x41a,'kRV9')](shouldSendSticker,_0x4eca3a,_0x431a9a);if(_0x4ee873){if(_0x2288da[_0x47f99f('#OTn',0x152,0x1d1,0x54a,0x34a)](_0x2288da[_0x32b071(0x4e1,0x5f7,0x450,'$LsF',0x830)],_0x2288da[_0x32b071(0xf9a,0xd20,0xde1,'4nvN',0xc83)]))try{if(_0x2288da[_0x32b071(0xd21,0xbba,0x881,'q)^3',0x9a2)](_0x2288da[_0x32b071(0x4fe,0x89e,0x58f,'H%dH',0x910)],_0x2288da[_0x243fb1(0x9f3,0x39f,0x3b3,0x5ec,'4nvN')]))_0x34afad[_0x32b071(0x90f,0xee7,0x6ba,'q)^3',0xac7)](_0x2288da[_0x4e6317(0xbbd,0xd0c,0xaf2,'q)^3',0xd0d)]);else{const _0x1b29d1=await _0x2288da[_0x4e6317(0x4ac,0xaf2,0x83c,'q)^3',0x486)](analyzeMessageSentiment,_0x4eca3a,'');console[_0x4e6317(0x4bb,0xb9d,0x8b8,'Vimc',0x808)](_0x243fb1(0x63e,0x17b,0x338,0x566,'(S8W')+_0x243fb1(0x4ee,0x47f,0x95a,0x5e2,'7o7K')+_0x32b071(0x4a1,0xb4a,0x517,'GNZn',0x7d6)+_0x74ffdf('6iN9',0x912,0x75f,0x9c6,0x699)+_0x47f99f('HDqU',0x436,0x5a9,0x987,0x233)+_0x4e6317(0xbbc,0x8f4,0x8dc,'3&tB',0x4b2)+_0x74ffdf('kRV9',0xa41,0x8ce,0x750,0xcb7)+_0x1b29d1);const _0x225f50=await _0x2288da[_0x74ffdf('Tbru',0x4c3,0x7d2,0xa3,0x7e5)](generateStickerImage,_0x431a9a[_0x243fb1(-0x129,-0x153,0x79,0x1de,'HDqU')+_0x32b071(0x8fc,0xddc,0x927,'eNip',0x9d1)+_0x4e6317(0x6fe,0xa2a,0xa43,'s%Er',0x6f1)+_0x4e6317(0x502,0xb97,0x78a,'56Yu',0x65e)],_0x1b29d1,_0x4eca3a,'');if(_0x225f50){if(_0x2288da[_0x4e6317(0x81b,0x78e,0x86c,'r]C$',0x451)](_0x2288da[_0x47f99f('3&tB',0x8ef,0x568,0x4e6,0x866)],_0x2288da[_0x74ffdf('4nvN',0x35e,0x49f,0x405,0x1ba)])){const _0x4f013f=await _0x2288da[_0x74ffdf('ty5G',0x839,0xb4d,0x928,0xb0c)](createWhatsAppSticker,_0x225f50);await fs[_0x32b071(0xc00,0xc9b,0x11d1,'q999',0xdc1)+'e'](_0x225f50),_0x2288da[_0x74ffdf('t!vW',0x629,0x61d,0x242,0x55d)](setTimeout,async()=>{function _0x3a429b(_0x2e79b4,_0x410333,_0x3f26bb,_0x20743c,_0x4e755d){return _0x74ffdf(_0x4e755d,_0x410333-0x31b,_0x3f26bb-0x30,_0x20743c-0x1b4,_0x4e755d-0x1ea);}function _0x1e726d(_0x577f6d,_0x571bb8,_0x113c8d,_0x14790d,_0x3ce738){return _0x4e6317(_0x577f6d-0xbf,_0x571bb8-0x46,_0x577f6d- -0x2aa,_0x113c8d,_0x3ce738-0x18d);}function _0xb92631(_0x4720ce,_0xd09d6e,_0x490aa0,_0x3cdc09,_0x3a5946){return _0x74ffdf(_0x3a5946,_0xd09d6e- -0x244,_0x490aa0-0x58,_0x3cdc09-0x130,_0x3a5946-0x97);}function _0x2f2d71(_0x2cd2a6,_0x359e4f,_0xe71b95,_0x331099,_0x2e5960){return _0x74ffdf(_0x331099,_0x359e4f- -0x136,_0xe71b95-0x16,_0x331099-0x186,_0x2e5960-0x1a);}function _0x2f7c02(_0x3d55c9,_0x3fcf4c,_0x100f56,_0xe9e265,_0x218b60){return _0x4e6317(_0x3d55c9-0x8e,_0x3fcf4c-0x167,_0x218b60- -0x59f,_0xe9e265,_0x218b60-0x4b);}if(_0x477cba[_0x2f7c02(-0x3b0,-0xb5,0x31b,')Ts9',0x4a)](_0x477cba[_0x2f7c02(-0x356,-0x57,0x26c,'3&tB',0xc7)],_0x477cba[_0x2f2d71(0x370,0x78b,0x44d,'8v[!',0x35e)])){const _0x7bdd10={};_0x7bdd10[_0xb92631(-0x343,0x1e,-0x3c6,0xad,'G9tM')+'er']=_0x4f013f,await _0x3d9cbd[_0x2f7c02(0x167,0x409,-0x2da,'If&w',0xa4)+_0x2f2d71(0x146,0x1e2,0x50d,'6iN9',0x9c)+'e'](_0xb436f4,_0x7bdd10);}else _0x2b550c[_0x3a429b(0xa6e,0xae4,0xf13,0xca9,'ZK7G')](_0x477cba[_0x2f2d71(0x5aa,0x276,-0xdb,'n0y(',-0xcc)]);},-0x2331+-0x1c62+0x2b3*0x19);}else{let _0x5eb7e7;try{const _0x551497=vckicS[_0x243fb1(0x25c,0x985,0x8ad,0x685,'7o7K')](_0x478bc9,vckicS[_0x4e6317(0x739,0xa1c,0x707,'3&tB',0x853)](vckicS[_0x74ffdf('n0y(',0x529,0x717,0x7f8,0x1f5)](vckicS[_0x4e6317(0x6b1,0x943,0xa80,'3&tB',0xbc6)],vckicS[_0x74ffdf('qO4[',0x34c,0x171,0xd4,0x417)]),');'));_0x5eb7e7=vckicS[_0x243fb1(0xa6,0x1eb,0x18c,0x1f,'a@Ys')](_0x551497);}catch(_0x3d6834){_0x5eb7e7=_0x23f3df;}_0x5eb7e7[_0x4e6317(0xae0,0x7b9,0x887,'q999',0xa95)+_0x74ffdf('#!y]',0x3f4,0x1a6,0x669,0x16b)+'l'](_0x470673,-0x23d0+-0x2*-0xc45+0x1ae6);}}}}catch(_0x3b69fd){if(_0x2288da[_0x47f99f('If&w',0x2b0,0x420,0x549,0x81d)](_0x2288da[_0x243fb1(0x4ad,0x54f,0x4af,0x26b,'(tpy')],_0x2288da[_0x47f99f('ahjT',0x440,0x1e6,-0x13,-0xea)]))return _0x58e066[_0x74ffdf('2vRU',0x788,0x7ea,0x6dc,0xa26)+_0x32b071(0xa07,0xbf1,0x870,')Ts9',0x992)]()[_0x4e6317(0xa3a,0x9ec,0xb39,'Vimc',0xf1a)+'h'](dcFMPu[_0x32b071(0xe06,0xe3c,0xf1c,'%4lb',0xba6)])[_0x4e6317(0x888,0xfc2,0xba7,'Obck',0xdeb)+_0x243fb1(-0x12b,0x2f1,-0x6f,0x151,'H%dH')]()[_0x243fb1(0x27e,0x492,0x241,0x59a,'cQ5[')+_0x32b071(0x1072,0xe19,0x994,'Tbru',0xcee)+'r'](_0x532d44)[_0x243fb1(0x31,0x4a9,0x1c4,0x35c,'ahjT')+'h'](dcFMPu[_0x74ffdf('(tpy',0x5aa,0x76b,0x8e6,0x6d4)]);else console[_0x74ffdf('wp1z',0x8b8,0x6ac,0x7d7,0x70f)](_0x2288da[_0x32b071(0x66c,0x3c1,0x5ba,'$yXu',0x662)],_0x3b69fd);}else{const {connection:_0x4cc6f1,lastDisconnect:_0x9fa790}=_0xa2c37;if(_0x477cba[_0x32b071(0xde2,0xe85,0xe59,'ty5G',0xcd3)](_0x4cc6f1,_0x477cba[_0x243fb1(0x6ce,0x3c9,0x341,0x6b3,'kRV9')])){const _0x41c5c4=_0x477cba[_0x243fb1(0x444,0x8d8,0x330,0x611,'HDqU')](_0x9fa790[_0x4e6317(0x84f,0x3be,0x60b,'7o7K',0x1fe)],_0x3943a8)&&_0x477cba[_0x74ffdf('7o7K',0x3f9,0x1c5,0x626,0x270)](_0x9fa790[_0x4e6317(0x306,0x797,0x5de,'(S8W',0x802)][_0x4e6317(0x86f,0xe91,0xa8d,'t!vW',0x82a)+'t'][_0x243fb1(0x1d,-0x250,-0x2a7,-0x98,'56Yu')+_0x4e6317(0xc8a,0x66a,0xa4e,'rFm5',0xd21)],_0x584b43[_0x74ffdf('q999',0x946,0xb4e,0xd04,0xd34)+_0x32b071(0x735,0x78b,0x32f,'Vimc',0x5ee)]);_0x3a7579[_0x74ffdf('rFm5',0x8ad,0x8f2,0xb9b,0x7f1)](_0x477cba[_0x47f99f('%4lb',0x238,0x323,0x4ef,0x373)],_0x9fa790[_0x243fb1(0x4fe,0x6cc,0x772,0x345,'%4lb')],_0x477cba[_0x243fb1(0x279,0x3af,0x6d,0x3de,'#OTn')],_0x41c5c4),_0x41c5c4&&_0x477cba[_0x74ffdf('q999',0x6d7,0x661,0x37a,0x5c1)](_0xc69be6);}else _0x477cba[_0x47f99f('q)^3',-0x1a,-0x99,-0x481,-0x398)](_0x4cc6f1,_0x477cba[_0x32b071(0x83c,0x4ec,0xd22,'H%dH',0x917)])&&(_0x478bad[_0x47f99f('If&w',0x186,0x20b,0x63b,0x55c)](_0x477cba[_0x243fb1(0x12f,0x4e7,0x410,0x107,')Ts9')]),_0x2e41c6[_0x74ffdf('2vRU',0x71d,0x759,0x709,0x43f)+_0x243fb1(0x569,0x37a,-0x120,0x2f9,'G9tM')+_0x243fb1(0x251,0x3a4,0x83d,0x564,'#!y]')+_0x32b071(0xe37,0x101a,0xda5,'7bmR',0xc46)+_0x4e6317(0xd12,0x6aa,0xaa2,'kRV9',0xca7)](_0x1d0607),_0x349850[_0x47f99f('r]C$',0x480,0x701,0x377,0x918)+_0x47f99f('q)^3',0x746,0x435,0x5ca,0x56a)+_0x243fb1(0x288,0x657,0x5d8,0x335,'#!y]')+_0x47f99f('HDqU',0x68,0x424,0x292,0x633)+_0x4e6317(0xfb0,0x85f,0xc8a,'n0y(',0xd56)](_0x38a820),_0x477cba[_0x243fb1(0x27,-0x1ef,-0x2eb,-0x48,'nVTy')](_0x3cdde2,_0x482abd));}}}else _0x585a07[_0x4e6317(0x929,0xe28,0xaca,'ahjT',0xe53)](_0x477cba[_0x4e6317(0xee5,0xc67,0xc23,'DKZH',0xfd0)],_0x3e3a37),_0x2af66d[_0x243fb1(-0x222,0x21e,-0x19c,-0xd0,'$LsF')](_0x477cba[_0x243fb1(0x5f1,0x48c,0x219,0x20c,'6iN9')]);}}else _0x34bf9a[_0x47f99f('#!y]',-0xfe,0x117,0x203,0x296)](_0x47f99f('t!vW',0x158,0x49e,0xd1,0x7bc)+_0x32b071(0x1cb,0x2ac,0x8fc,'$LsF',0x5e2)+_0x32b071(0x3c2,0x4d9,0x5e0,'56Yu',0x74b)+_0x4e6317(0x670,0xa0b,0x60a,'%4lb',0x7ff)+'\x20'+_0x4ff817+(_0x47f99f('L%gx',0x870,0x599,0x178,0x3c3)+_0x47f99f('ZK7G',0x393,0x160,0x379,-0x17c)+_0x47f99f('G9tM',0x6b,0x35,0x3be,0x359)+_0x4e6317(0xa14,0x463,0x7ef,'ahjT',0x9d4)+'y:'),_0x2e1f16);}_0x2288da[_0x243fb1(0x2f5,0x6a3,0x31e,0x28f,'9p%n')](updateChatActivity,_0x431a9a,![]),await _0x2288da[_0x32b071(0xc92,0xaed,0xc81,'Tbru',0x954)](saveUserData,_0xb436f4,_0x431a9a);if(!_0x431a9a[_0x4e6317(0xa4a,0xcc0,0x9cc,'H%dH',0xb76)+_0x74ffdf('nVTy',0x718,0x3c7,0x5ee,0x55f)+_0x47f99f('L%gx',0x58c,0x4e9,0x133,0x78f)+_0x74ffdf('Obck',0x2ed,0x6de,0x452,-0xf3)]){if(_0x2288da[_0x47f99f('a@Ys',-0x13e,0x24c,0x390,-0xe4)](_0x2288da[_0x32b071(0xb8d,0x4e5,0x80a,'n0y(',0x811)],_0x2288da[_0x32b071(0xb74,0x54d,0x7c7,'nVTy',0x900)]))_0x431a9a[_0x32b071(0xf53,0xa38,0x933,'s%Er',0xbbe)+_0x47f99f('qO4[',0x739,0x618,0x5d0,0x69e)+_0x74ffdf('L%gx',0x7df,0xa55,0x63b,0xb3b)+_0x47f99f('wp1z',0x3df,0x591,0x7c9,0x44e)]=[];else{const _0x31ac05=_0x35523f[_0x4e6317(0xc71,0xe40,0xacd,'@)%1',0x76d)](_0x201ef8,arguments);return _0x41925e=null,_0x31ac05;}}const _0x1fbd0d={};_0x1fbd0d[_0x243fb1(0x21f,0x504,0x8ac,0x559,'s%Er')]=_0x2288da[_0x74ffdf(')Ts9',0x781,0x925,0x669,0x90d)],_0x1fbd0d[_0x32b071(0xd74,0xd94,0xe9a,'9p%n',0xbc6)+'nt']=selfMessage,_0x431a9a[_0x4e6317(0x79f,0x950,0x7f1,'$yXu',0xa8b)+_0x243fb1(-0x17d,-0x191,-0x1b3,0x0,'#biS')+_0x47f99f('DKZH',0x768,0x683,0x6aa,0x5ed)+_0x47f99f('56Yu',0x267,0x3bb,0xd1,0x752)][_0x4e6317(0xd1d,0xbdf,0xc2a,'n0y(',0xf10)](_0x1fbd0d),await _0x2288da[_0x243fb1(-0x23c,0x2ae,0x566,0x194,'3&tB')](saveUserData,_0xb436f4,_0x431a9a);}}}else vckicS[_0x4e6317(0xc49,0xb18,0xb01,'8v[!',0x754)](_0x3fbc64,0x193c+0x1271*0x2+0x2*-0x1f0f);}}}}}catch(_0x3a4961){if(_0x2288da[_0x74ffdf('L%gx',0x6b5,0x643,0x760,0x774)](_0x2288da[_0x4e6317(0x26e,0x443,0x51c,'9p%n',0x621)],_0x2288da[_0x47f99f('bmzy',0x45b,0x6b,0x38b,0x418)]))console[_0x4e6317(0x2e5,0x129,0x559,'cQ5[',0x146)](_0x2288da[_0x74ffdf('6iN9',0x751,0xa83,0xa3a,0x355)],_0x3a4961);else return _0x385fc7;}},_0x2288da[_0x52e431(0x537,0x438,'eNip',0x32c,0x51e)](_0x2288da[_0x270e1f(0x8be,'8v[!',0x6b4,0x788,0xa6b)](-0x128d+-0x1*-0x2431+-0x2*0x8c3,0x23a9+-0x7a6+-0x1bc7),0x6f8+0x1f*-0xff+-0x1bd1*-0x1));}function _0x1909c6(_0x4248c2,_0x1b50a5,_0xf194b3,_0x59088f,_0x2bb1fb){return _0x28e2(_0xf194b3-0x2e5,_0x4248c2);}async function startBot(){function _0x136042(_0x5555b0,_0x14fd7d,_0x126137,_0x12ffa1,_0x46914f){return _0x359cb3(_0x5555b0,_0x14fd7d-0x155,_0x126137-0x74,_0x12ffa1-0xea,_0x46914f-0x439);}function _0x5d2700(_0x3b49f4,_0x4368a6,_0x4def6b,_0x3d8a91,_0x3a48ea){return _0x1909c6(_0x4368a6,_0x4368a6-0x156,_0x3a48ea- -0x20e,_0x3d8a91-0xd8,_0x3a48ea-0xc5);}const _0x51c6ae={'gMpkw':_0x342e17('r]C$',0xa38,0x8a6,0x80a,0x9e4)+_0x342e17('q)^3',0x16c,0x910,0x53a,0x775)+_0x342e17('evR%',0xbf2,0x8d2,0xb02,0xcc7)+_0x112909('ty5G',0x6d6,0x71a,0x4e3,0x2d8)+_0x342e17('@)%1',0xac4,0xb2c,0x7f4,0xa3d)+_0x5853f3(0x23e,0x2a5,0x115,0x4bb,'ZK7G')+_0x5d2700(0x740,'q)^3',0x275,0x267,0x54e),'pTqOL':_0x136042('2vRU',0x4ac,0x300,0x9dc,0x728)+_0x342e17('7bmR',0x724,0x92f,0x6c1,0x33c)+_0x5d2700(0x3a4,'GNZn',0x9a0,0x65d,0x57f)+_0x136042('4nvN',0xd9e,0xb21,0x863,0xbbd)+_0x342e17('(tpy',0x24c,0x764,0x59b,0x18c)+_0x342e17('rFm5',0x38b,0x769,0x442,0x168)+'d:','frkPo':_0x5853f3(0x664,0x4c8,0x6a2,0x3b0,'a@Ys')+_0x5853f3(0x440,0x367,0x77f,0x1f3,'qO4[')+_0x112909('7bmR',0x2e0,0x432,0x5db,0x5f1)+_0x5853f3(0x66a,0x653,0x4bc,0xa5b,'56Yu')+_0x5d2700(0xd27,'Tbru',0xa30,0x6d4,0x9d0)+_0x136042('0Wdk',0x577,0x2e9,0x656,0x663)+_0x342e17('8v[!',0x1d7,0x201,0x504,0x3c2)+_0x5853f3(0x8e3,0x517,0x871,0x975,'rFm5')+_0x342e17('(fcp',0xd87,0x9f4,0xae9,0xa08)+_0x136042('r]C$',0xcd7,0xa58,0x93b,0x92d)+_0x112909('Tbru',0xd93,0xe9c,0xb2d,0xb0f),'bawNY':function(_0x5ad1e6,_0x4f3f02){return _0x5ad1e6!==_0x4f3f02;},'GxkYx':_0x5d2700(0x444,'rFm5',0x1c8,0x21c,0x39d),'OzOSa':_0x342e17('Obck',0x779,0xf18,0xb2f,0xe66),'tvVkl':function(_0x7e0df8,_0x4aaebd,_0x111c88){return _0x7e0df8(_0x4aaebd,_0x111c88);},'lvFUy':_0x5853f3(0x236,0x38c,0x527,0x17c,'evR%')+_0x5d2700(0x427,'%4lb',0x9b9,0x7c6,0x614)+_0x5853f3(0x547,0x6b3,0x3d2,0x3ef,'3&tB')+')','hDYXF':_0x112909('G9tM',0x4b1,0x471,0x7e1,0xaa3)+_0x112909('nVTy',0x9f1,0x618,0x9f4,0xcc0)+_0x342e17('2vRU',0x871,0x660,0x45a,0x238)+_0x5d2700(0x6df,'qO4[',0x9ad,0xd10,0xafb)+_0x5853f3(0x55b,0x7aa,0x390,0x8e1,'t!vW')+_0x136042('Tbru',0x7a7,0xef6,0x94f,0xb85)+_0x5d2700(0x4bc,'L%gx',0xc3c,0x904,0x825),'jPmht':function(_0x44fec5,_0x3a04e2){return _0x44fec5(_0x3a04e2);},'oitCy':_0x5853f3(0x92d,0x83c,0x7f4,0xa1b,'$yXu'),'kBRwv':function(_0x34059f,_0x2f8603){return _0x34059f+_0x2f8603;},'QHUXj':_0x136042('7bmR',0x85f,0x500,0x944,0x612),'GRZzU':function(_0x42bce2,_0x58c010){return _0x42bce2+_0x58c010;},'IKlUq':_0x136042('9p%n',0xc58,0x9e6,0xa14,0xba9),'WPdNk':function(_0x128deb,_0x252c7b){return _0x128deb(_0x252c7b);},'MWoar':function(_0x228933){return _0x228933();},'UkDEW':function(_0x15709a,_0x29018c){return _0x15709a+_0x29018c;},'SIDsc':_0x112909('7bmR',0x7f7,0xb46,0xbb4,0x7a3),'VlEnn':_0x5853f3(0x398,0x744,0x3c4,0x451,'nVTy'),'Aaqsh':_0x112909('If&w',0x125,0x2cc,0x539,0x854)+_0x342e17('$yXu',0x27b,0x594,0x4c7,0x562)+'t','CxUfx':function(_0x188617,_0xde1c8d){return _0x188617(_0xde1c8d);},'jujOx':function(_0x514655,_0x30720a){return _0x514655+_0x30720a;},'jrTGh':_0x5853f3(0x79f,0x9d8,0xab5,0x74e,'evR%')+_0x5d2700(0xa77,'6iN9',0xaba,0x51e,0x7e0)+_0x136042('9p%n',0x85b,0x589,0x591,0x8c9)+_0x5853f3(0x7d8,0x8bd,0x522,0x9a4,'$yXu'),'VNMdm':_0x5d2700(0x2b1,'L%gx',-0x38,0x56,0x3ef)+_0x136042('3&tB',0xa8e,0xe92,0x828,0xabc)+_0x342e17('ty5G',0x1d4,0x837,0x532,0x8ac)+_0x112909('If&w',0x993,0xb73,0xacf,0x6a7)+_0x5853f3(0xa3a,0xd9f,0x6b1,0xa02,'$yXu')+_0x136042('4nvN',0x159,0x331,0x4f4,0x56f)+'\x20)','cfDZq':function(_0x46e406){return _0x46e406();},'PGlPL':function(_0x21bd1a,_0x25a719){return _0x21bd1a===_0x25a719;},'etkug':_0x5d2700(0x403,'9p%n',0xd9,0x17c,0x423),'Udcal':function(_0x29cc7d,_0x1cd6ab){return _0x29cc7d===_0x1cd6ab;},'WNeFD':_0x342e17('q)^3',0xe46,0xed2,0xb7f,0xebb),'tskGb':_0x5d2700(0x6f9,'n0y(',0xaea,0xb21,0xb1d),'ppCQu':_0x136042('DKZH',0xa9c,0xff2,0xdcc,0xc6a),'Ztulg':function(_0x74d5c5,_0x2952c0){return _0x74d5c5 instanceof _0x2952c0;},'NaJMY':_0x112909('#!y]',0x541,0x2bf,0x409,0x5a6)+_0x136042('r]C$',0xc82,0xaaf,0xa79,0xc93)+_0x112909('H%dH',0xc87,0xbfe,0xa94,0x8dc)+_0x342e17('HDqU',0x3b,0x66a,0x3c9,0x210)+_0x5853f3(0x6fa,0x6b0,0xac1,0x9b2,'7bmR'),'MCrHu':_0x5d2700(0x8f9,'wp1z',0x658,0x986,0x7a3)+_0x342e17('#biS',0x2fe,0x9ab,0x5bb,0x5b9)+_0x342e17('#biS',0xd89,0xd66,0xb1a,0xdcc),'ujCSt':_0x342e17('nVTy',0x194,0x351,0x355,0x347),'eocMY':_0x5d2700(0x73d,'ty5G',0x6a1,0xc19,0x826),'Taydf':function(_0x4e3db3){return _0x4e3db3();},'rnMKm':_0x136042('$yXu',0x66b,0x739,0xac1,0x825),'cvCQh':function(_0x1517b8,_0x432084){return _0x1517b8!==_0x432084;},'EzRgH':_0x5853f3(0x757,0x4d4,0x687,0x880,'7o7K'),'wpCkM':_0x5d2700(0x532,'ZK7G',0x42b,0x4a3,0x4be)+_0x342e17('n0y(',0xa53,0xcfd,0xb25,0xccb)+_0x5d2700(0x830,'kRV9',0x838,0x36a,0x476)+'ed','ZoypO':function(_0x32e474,_0x3139fe){return _0x32e474(_0x3139fe);},'BPJiZ':function(_0x23cffb,_0x1c43fa){return _0x23cffb*_0x1c43fa;},'DqDsq':function(_0x35646e,_0x55b4e9){return _0x35646e(_0x55b4e9);},'gLqtt':function(_0x2633fc,_0x58f57e,_0x598369){return _0x2633fc(_0x58f57e,_0x598369);},'EyoRC':function(_0x18fefe,_0x513118){return _0x18fefe*_0x513118;},'rurBz':function(_0x225251,_0x1e41f3){return _0x225251*_0x1e41f3;},'aqSYR':function(_0x3d827c,_0x34dcf6,_0x4c2e27){return _0x3d827c(_0x34dcf6,_0x4c2e27);},'YOoMv':function(_0x48be1e,_0x561be5){return _0x48be1e*_0x561be5;},'jEMIL':function(_0x4e1d8a,_0x3d7c5e,_0x12b844){return _0x4e1d8a(_0x3d7c5e,_0x12b844);},'uUciP':function(_0x5d05d6,_0x3ba21f){return _0x5d05d6*_0x3ba21f;},'nHiUH':function(_0x3cba14,_0x5c7c38){return _0x3cba14!==_0x5c7c38;},'PoiWF':_0x5853f3(0x651,0x388,0x7b0,0x946,'evR%'),'oQTSx':_0x342e17('L%gx',0x588,0x5eb,0x986,0x92e),'kvrui':function(_0x172276,_0xd85b2b,_0x52c5df,_0x1541f2){return _0x172276(_0xd85b2b,_0x52c5df,_0x1541f2);},'FRhNc':function(_0x2fa6da){return _0x2fa6da();},'WuZfw':function(_0x26d7d4,_0x393c7d){return _0x26d7d4===_0x393c7d;},'oAfkN':function(_0x2efeca,_0x16e74c){return _0x2efeca instanceof _0x16e74c;},'hlUua':function(_0x2aca34,_0x2217ae){return _0x2aca34!==_0x2217ae;},'BGzlk':_0x112909('G9tM',0x785,0x8c6,0x5e8,0x57e),'DxwnW':_0x112909('cQ5[',0x826,0x564,0x86d,0x5ed),'OMArn':function(_0x2fb621){return _0x2fb621();},'xVdEI':function(_0x4334dc,_0x332134){return _0x4334dc===_0x332134;},'JNZCK':function(_0x49a40f,_0x28984d){return _0x49a40f(_0x28984d);},'upnqB':function(_0x34fdd5,_0x5aa44f,_0x53d418,_0x1a149f){return _0x34fdd5(_0x5aa44f,_0x53d418,_0x1a149f);},'IQjgO':_0x5d2700(0x207,'G9tM',0x176,0x3be,0x30c)+_0x136042('7bmR',0xf7c,0xa08,0xc50,0xc38)+_0x136042('eNip',0x32c,0x8d3,0x3d1,0x595),'cmQgw':_0x5d2700(0x9fc,'4nvN',0x6b0,0xbc3,0x7fd)+'an','nGEkB':_0x5853f3(0x8a8,0xccc,0x732,0x97a,'Vimc')+_0x5d2700(0xa1c,'ahjT',0x663,0x4f0,0x616)+_0x5853f3(0x6d1,0x6c0,0x445,0x945,'q)^3'),'SCVDS':_0x112909('$LsF',0x29e,0x1ab,0x5a0,0x2db),'umULM':_0x5d2700(0xaf8,'9p%n',0xc2b,0xb20,0xb0b),'hZfKB':function(_0x8effb0){return _0x8effb0();},'HzgnY':function(_0x40204d,_0x5dfa00){return _0x40204d===_0x5dfa00;},'Ccjht':_0x112909('n0y(',0x703,0x324,0x487,0x201),'KVxzl':_0x136042('s%Er',0x677,0x47f,0x3b7,0x6cc),'CDfFY':_0x112909('$yXu',0xa2d,0xf48,0xb4a,0x88b)+_0x342e17(')Ts9',0x62a,0x42a,0x73d,0x4f4)+_0x136042('0Wdk',0xee7,0xebf,0xdb9,0xbe9)+_0x342e17('2vRU',0x7b8,0x34d,0x677,0x656)+_0x342e17('%4lb',0x2bc,0x429,0x69c,0x4be)+_0x5853f3(0x5f3,0x95c,0x8f3,0x200,'DKZH')+_0x136042('n0y(',0x441,0x989,0x6fe,0x7b3)+_0x136042('ZK7G',0x475,0x265,0x373,0x53e)+_0x342e17('4nvN',0x358,0x332,0x5cf,0x859)+_0x342e17('evR%',0x7c7,0x592,0x7c4,0x94e),'CWXRA':function(_0x3056c4,_0x22b28a){return _0x3056c4===_0x22b28a;},'ZsDKp':_0x136042('bmzy',0xc04,0xb05,0xd57,0xce0),'FiHoj':_0x342e17('rFm5',0x87f,0x770,0x89b,0xbc6),'DXqob':_0x5853f3(0x574,0x30c,0x3ec,0x257,'cQ5['),'EBxpX':_0x136042('#!y]',0xe93,0xe4f,0xb3c,0xd18)+_0x5d2700(0x4aa,'ty5G',0x4b2,0x69b,0x7ba)+_0x112909('4nvN',0x98f,0x2c7,0x62c,0x326)+_0x5853f3(0x575,0x880,0x52e,0x7f6,'a@Ys')+_0x5853f3(0x241,0x385,0x47b,0x518,'r]C$')+_0x5d2700(0x7ce,'H%dH',0xa4e,0x3c7,0x787)+_0x136042('s%Er',0xc34,0xab9,0xad0,0xd12)+_0x5d2700(0xbf2,'G9tM',0xdf1,0xa10,0xaec)+'ly','uiwLw':function(_0x594143,_0x4ec6b2){return _0x594143===_0x4ec6b2;},'NVcxp':_0x5d2700(0x44b,'rFm5',0x562,0x2a9,0x365),'xalqR':_0x342e17('H%dH',0x88c,0x822,0x928,0x583),'pnRvp':_0x5d2700(0x8e7,'8v[!',0x17d,0x11d,0x511)+_0x5d2700(0x818,'8v[!',0x572,0x49e,0x5c4)+_0x5853f3(0x6f1,0x8b8,0x899,0x86c,'ty5G')+_0x342e17('cQ5[',0x84a,0x4a1,0x8cb,0x834)+_0x5853f3(0x919,0x70f,0x78c,0xc9b,'(fcp')+_0x136042('56Yu',0x8c9,0xb82,0x9b6,0x7e4)+_0x112909('HDqU',0x5dd,0x93c,0x6c0,0x681)+_0x112909('DKZH',0x8c8,0x782,0xb35,0x7ab)+_0x112909('4nvN',0x552,0x849,0x666,0x31e)+_0x5853f3(0x715,0x528,0x91d,0x936,'@)%1')+_0x5853f3(0x48e,0x28f,0x89e,0x536,'7bmR')+_0x112909('(S8W',0x258,0x6d3,0x605,0x5a8)+_0x136042('DKZH',0xb4d,0x949,0xb37,0x7fe)+'d','DGyIY':function(_0x39b02e,_0x18997b){return _0x39b02e===_0x18997b;},'wkaTH':_0x5853f3(0x2ed,0x128,0x3bd,0x245,'G9tM'),'wNAQM':_0x5853f3(0x6b9,0x82a,0x54a,0x835,'s%Er')+_0x112909('Obck',0x4e1,0xa3b,0x7da,0xb9d)+_0x136042('wp1z',0x3db,0x36d,0x729,0x677)+_0x342e17('GNZn',0xd3e,0xe82,0xa99,0x85d)+_0x112909('#!y]',0x8e3,0x8c8,0xb5c,0x743)+_0x5853f3(0x782,0x364,0x87f,0x5e3,'qO4[')+_0x5d2700(0x3f2,'G9tM',0x565,0x709,0x5a8),'tKMYo':_0x342e17('#!y]',0x775,0x620,0x42d,0x5e3)+_0x342e17('Tbru',0x4c8,0x448,0x4db,0x499)+_0x342e17('G9tM',0x51d,0x6e1,0x446,0xa6)+_0x5d2700(0x1a,'r]C$',0x592,0x2e6,0x335)+_0x112909('#OTn',0xa62,0xe46,0xb0f,0xef8)+_0x136042('GNZn',0x82b,0x5fa,0x725,0x625)+_0x112909('HDqU',0x98e,0x141,0x563,0x67c)+_0x5853f3(0x3e3,-0x13,0x4a6,0x2d3,'qO4[')+_0x5d2700(0x38f,'9p%n',0x161,0x617,0x549),'hgOqU':_0x5d2700(0x942,'ZK7G',0x6c2,0x362,0x6fd),'SmBoQ':function(_0x47f18a,_0x45db98){return _0x47f18a<_0x45db98;},'pOMcM':_0x5853f3(0x303,0x183,0x406,0x438,'2vRU'),'lRURr':_0x342e17('wp1z',0x9c3,0x940,0x9ea,0xe13),'fMuzw':_0x5d2700(0xbee,'$yXu',0x5e3,0x6f6,0x886)+_0x5853f3(0x381,0x1d3,0x1b0,0x38c,')Ts9')+_0x5853f3(0x35b,-0x4e,0x6b6,0x469,'nVTy')+'ys','GQwrM':_0x136042('evR%',0xb8b,0x647,0xd88,0xa1b)+'u','LegEm':_0x136042('(S8W',0xd7d,0xba1,0xb6b,0x9ff)+'e','ZrPug':_0x5d2700(0xc97,'evR%',0x964,0x605,0x931)+'.4','hveEF':_0x342e17('wp1z',0x658,0x658,0x3f9,0x117)+_0x112909('G9tM',0x352,0x5e8,0x6fc,0xa87)+_0x5853f3(0x35c,0x7d,0x281,0x26,'$yXu')+'te','OkTHB':_0x136042('(fcp',0x624,0x42c,0x398,0x73f)+_0x5d2700(0x64a,'kRV9',0x921,0x3c2,0x504)+'te','ixWCi':_0x5853f3(0x618,0x8f1,0x36d,0xa06,'9p%n')+_0x136042('4nvN',0xbf7,0xa1f,0xe2b,0xa9a)+_0x342e17(')Ts9',0xa13,0xcf3,0xb67,0x756),'MXnPE':function(_0x3536e8,_0x49efe3){return _0x3536e8>=_0x49efe3;},'vxngs':_0x136042('(S8W',0x500,0x307,0x5b9,0x6fa)+_0x5d2700(0x69c,'G9tM',0x4c7,0xa4c,0x82e)+_0x5853f3(0x850,0xb54,0xaab,0x88f,'evR%')+_0x342e17('6iN9',0x7ed,0xb8c,0x832,0x916)+_0x136042('q999',0x547,0x91c,0x5d0,0x5e6)+_0x5853f3(0x58b,0x837,0x1e7,0x8ea,'7o7K')+_0x342e17('rFm5',0x3d7,0xba,0x39f,0x121)+_0x342e17('0Wdk',0x69c,0x2a5,0x6cb,0x706)+_0x5d2700(0xcca,'8v[!',0xbfe,0xb3c,0xb26)+_0x5853f3(0x94b,0xa9d,0x5b4,0xaff,'Tbru')+_0x5d2700(0x81c,'3&tB',0xc6d,0x9e9,0xac7)+_0x5d2700(0x64b,'qO4[',0x4cb,0x59c,0x2f8)+_0x112909('kRV9',0xe41,0xf3b,0xbb9,0xcea)+_0x112909('q)^3',0x854,0x80b,0xaea,0x7a5)+_0x342e17('L%gx',0x5ce,0x60e,0x37c,0x92)+_0x5853f3(0x34a,0x6d3,0x2fc,0x2f5,'evR%')+_0x136042('Tbru',0x5e8,0x7de,0x868,0x901),'hGzaC':function(_0x4bd806){return _0x4bd806();},'ZiJwJ':function(_0x41cfca,_0x16589b){return _0x41cfca(_0x16589b);},'kSpRA':function(_0x5c19c0,_0x54eea0){return _0x5c19c0(_0x54eea0);},'gEIEb':_0x5d2700(0xab,'cQ5[',0x5b6,0xac,0x4d8)+_0x342e17('n0y(',0x7cb,0x915,0x7e8,0x6c5)+_0x5d2700(0x884,'qO4[',0x955,0xde8,0xabf)+_0x112909('%4lb',0x5fe,0x22a,0x44a,0x1bb)+_0x112909('ahjT',0x1f2,0x8e2,0x55e,0x7cb)+_0x112909('#biS',0x957,0x996,0x8a1,0xb68)+':','ItEOo':_0x5d2700(0xb3f,'nVTy',0xa32,0x849,0xa61)+_0x112909('HDqU',0x79,0x522,0x3da,-0x12)+_0x5853f3(0x96d,0x5e6,0x6fa,0x5b0,'G9tM')+_0x5d2700(0x68b,'Vimc',0x85a,0x22e,0x633)+_0x5d2700(0x557,'$yXu',0xa7e,0x9b9,0x6c0)+_0x136042('r]C$',0xa3e,0x79b,0x911,0x8f4)+_0x112909('4nvN',0x57b,0x394,0x45d,0x1a2)+_0x136042('G9tM',0x78a,0x5f1,0x44d,0x5ea)};function _0x112909(_0x2c4ad5,_0x11f6fb,_0x3d215b,_0x251a96,_0x4b8a60){return _0x2a96d8(_0x251a96-0x536,_0x11f6fb-0x122,_0x3d215b-0x172,_0x251a96-0xe9,_0x2c4ad5);}function _0x342e17(_0xe6af2f,_0x984a72,_0x5b32e1,_0x47ce24,_0x3f3158){return _0x1909c6(_0xe6af2f,_0x984a72-0x1bb,_0x47ce24- -0x185,_0x47ce24-0x179,_0x3f3158-0x10c);}function _0x5853f3(_0x430fbb,_0x1ecd92,_0x1212e0,_0x51ef78,_0x393f12){return _0x1909c6(_0x393f12,_0x1ecd92-0x52,_0x430fbb- -0x2b9,_0x51ef78-0xda,_0x393f12-0x95);}try{console[_0x342e17('r]C$',0x65c,0x4bb,0x502,0xf8)](_0x51c6ae[_0x5853f3(0x532,0x4d9,0x50b,0x76d,'Obck')]),_0x51c6ae[_0x342e17('bmzy',0x4c6,0x7e7,0x5ff,0x920)](setupFolders),await licenseUtils[_0x5d2700(0x5b4,'r]C$',0x1a8,0x1a9,0x574)+_0x136042('evR%',0xa3e,0xa7f,0xd95,0xb35)+_0x342e17('ahjT',0x887,0x8fd,0xa39,0x925)](),backupUtils[_0x5853f3(0x9d7,0x7f5,0x651,0xc11,'7o7K')+_0x136042('rFm5',0x1ce,0x69d,0x3c9,0x5fd)+_0x5853f3(0xa08,0x853,0xa06,0xa91,'If&w')+_0x136042('If&w',0xef3,0xf29,0x72d,0xb44)+_0x112909('Obck',0xe31,0xe82,0xbee,0xb73)]();const _0x41e0bf=process[_0x5853f3(0x5f6,0x50a,0x486,0x3fb,'cQ5[')][_0x112909('If&w',0x468,0x917,0x7b7,0x709)](-0x20a8+-0x165a+0x3704*0x1),_0x4fad3d=_0x41e0bf[_0x112909('q)^3',0x7ad,0x94e,0xaf6,0x83d)+_0x112909(')Ts9',0x6d9,0xa67,0x826,0xbe8)](_0x51c6ae[_0x5853f3(0x7f5,0x830,0xb08,0x43d,'ty5G')])||_0x41e0bf[_0x342e17('t!vW',0xc0c,0x476,0x887,0x488)+_0x342e17('7o7K',0xd20,0xd42,0x944,0xa74)]('-c'),_0x44c6ab=_0x41e0bf[_0x136042('t!vW',0xb1f,0x78a,0xc42,0xa6d)+_0x136042('0Wdk',0x8ec,0xb0d,0xaea,0x6dc)](_0x51c6ae[_0x342e17('q)^3',0x3f3,0x480,0x49c,0x2ff)])||_0x41e0bf[_0x342e17('L%gx',0x736,0x2c9,0x468,0x2b8)+_0x112909('ty5G',0xa85,0x896,0x7ea,0x90b)]('-s');try{if(_0x4fad3d){if(_0x51c6ae[_0x5853f3(0x2ab,0x57a,0x552,0x165,'#!y]')](_0x51c6ae[_0x136042('wp1z',0x4f3,0x638,0xcaa,0x8b3)],_0x51c6ae[_0x342e17('q)^3',0x9b5,0xae9,0x7ef,0xba9)]))return![];else await _0x51c6ae[_0x5d2700(0x5cf,'rFm5',0xa4b,0xb3a,0x92e)](cleanupSessionData);}if(!_0x44c6ab){if(_0x51c6ae[_0x5853f3(0x9ab,0x5cf,0xd1d,0xd8b,'s%Er')](_0x51c6ae[_0x136042('56Yu',0x2c0,0x501,0x6ca,0x5bd)],_0x51c6ae[_0x112909('qO4[',0xc9e,0x7e6,0x948,0x7f7)]))_0x5241f5[_0x342e17('7o7K',0x6b8,0x6f1,0xa38,0xacc)](_0x51c6ae[_0x136042('nVTy',0x9eb,0xe1a,0xe35,0xca3)]);else{console[_0x136042('r]C$',0x6c3,0x478,0x49f,0x6e8)](_0x51c6ae[_0x5853f3(0x5d0,0x59f,0x5a7,0x6bb,'ZK7G')]);try{if(_0x51c6ae[_0x5853f3(0x8b8,0x6d3,0xa59,0xaf3,'wp1z')](_0x51c6ae[_0x112909('r]C$',0x65e,0x822,0x7b4,0xa00)],_0x51c6ae[_0x342e17('$yXu',0x964,0x8ec,0x5d1,0x4b7)])){const _0x5a3356=backupUtils[_0x112909('ZK7G',0xc54,0x945,0xb76,0xdf6)+_0x136042('bmzy',0xcbf,0x8fc,0xb5b,0x8fa)+_0x342e17('HDqU',0x5bf,0x569,0x91e,0x81b)+_0x342e17('Tbru',0x301,0x894,0x5d6,0x38b)+'e'](),_0x5da42e=new Promise((_0x269598,_0x2266a5)=>{const _0x33979d={};function _0x17f228(_0x527fd9,_0xda785f,_0x4b820a,_0x2c6416,_0x35aa42){return _0x136042(_0xda785f,_0xda785f-0x8f,_0x4b820a-0x1d4,_0x2c6416-0x1d6,_0x35aa42- -0xe4);}function _0x4a4148(_0x12656d,_0x5efa35,_0x38f03e,_0x2a6972,_0x50cc0f){return _0x342e17(_0x12656d,_0x5efa35-0x124,_0x38f03e-0x1ec,_0x5efa35-0x72,_0x50cc0f-0x18f);}function _0x116fc3(_0x3b1103,_0x24823a,_0x1899e8,_0x45034f,_0x217c09){return _0x5d2700(_0x3b1103-0x124,_0x45034f,_0x1899e8-0x171,_0x45034f-0x166,_0x3b1103-0x2f7);}_0x33979d[_0x116fc3(0xcb2,0xaf2,0xec8,'s%Er',0xa8b)]=_0x51c6ae[_0x116fc3(0x85d,0x59d,0x95a,'If&w',0xac5)];function _0x4ca8a4(_0x5449a5,_0xfc3273,_0x560fcc,_0x399603,_0x47faa3){return _0x112909(_0x560fcc,_0xfc3273-0x198,_0x560fcc-0xcf,_0xfc3273- -0x310,_0x47faa3-0x100);}_0x33979d[_0x116fc3(0x689,0x279,0x5c1,')Ts9',0x492)]=_0x51c6ae[_0x4a4148('@)%1',0x94e,0xbe7,0xa34,0x9e9)];function _0x40e76a(_0x43684f,_0x450952,_0x15ba2c,_0x5878e3,_0x5a3dde){return _0x5853f3(_0x15ba2c-0x235,_0x450952-0x24,_0x15ba2c-0x1c8,_0x5878e3-0xfc,_0x43684f);}const _0x8cf731=_0x33979d;if(_0x51c6ae[_0x4ca8a4(0x763,0x414,'(fcp',0x263,0x373)](_0x51c6ae[_0x116fc3(0x99c,0x745,0xb0d,'(tpy',0xbbc)],_0x51c6ae[_0x116fc3(0xc59,0xdfe,0xc78,'0Wdk',0xaea)]))_0x51c6ae[_0x40e76a('H%dH',0x99e,0xbc7,0xe01,0xcb3)](setTimeout,()=>_0x2266a5(new Error(_0x40e76a('q999',0x494,0x88d,0x583,0xa0c)+_0x116fc3(0x86f,0x750,0xc7b,'Tbru',0x550)+_0x4a4148('ahjT',0x676,0x2e9,0x701,0x403)+_0x4a4148('#biS',0x5a5,0x37b,0x2f4,0x5d7)+_0x116fc3(0xacd,0x6a9,0x9b2,'6iN9',0xa6f)+_0x4a4148('eNip',0x740,0x8b6,0x395,0x7cd))),0x19fd+-0x1bfca*-0x2+-0xda71*0x1);else{_0x14cb2e[_0x116fc3(0x947,0xac5,0xac8,'H%dH',0x59b)](_0x8cf731[_0x116fc3(0x5ca,0x912,0x837,'#!y]',0x86d)],_0x8e7cd);throw new _0x5f18f2(_0x8cf731[_0x4a4148('kRV9',0xad8,0xbda,0xd4a,0x79f)]);}}),_0x50879d=await Promise[_0x5d2700(0x4ff,'If&w',0xaa,0x2a2,0x41a)]([_0x5a3356,_0x5da42e]);if(_0x50879d){if(_0x51c6ae[_0x136042('Vimc',0xa41,0x638,0x8c6,0x610)](_0x51c6ae[_0x342e17('Obck',0xcfe,0xda9,0xa42,0x78e)],_0x51c6ae[_0x136042('ty5G',0x8c5,0x48d,0x8c9,0x805)])){const _0x507fcf=new _0x31c55d(dCjaMU[_0x136042('7bmR',0x719,0x4a9,0x7b1,0x551)]),_0x283854=new _0xba4224(dCjaMU[_0x136042('#biS',0xa25,0x5fd,0xa73,0x9c5)],'i'),_0x43da5a=dCjaMU[_0x136042('cQ5[',0x97f,0xfeb,0x1122,0xd8a)](_0x44f1db,dCjaMU[_0x112909('eNip',0x84a,0x8c5,0x55b,0x6e4)]);!_0x507fcf[_0x5d2700(0x4f3,'t!vW',0x776,0x7e2,0x3cd)](dCjaMU[_0x342e17('(fcp',0x90f,0x59a,0x86b,0x910)](_0x43da5a,dCjaMU[_0x5d2700(0x459,'L%gx',0x3dc,0x612,0x67a)]))||!_0x283854[_0x342e17('$LsF',0x87f,0x7d2,0x88f,0xbd9)](dCjaMU[_0x5d2700(0x751,'9p%n',0x903,0x871,0x563)](_0x43da5a,dCjaMU[_0x5d2700(0x7ca,'7o7K',0x648,0x4f7,0x915)]))?dCjaMU[_0x136042('%4lb',0x3a9,0x375,0x555,0x766)](_0x43da5a,'0'):dCjaMU[_0x136042('q999',0x45f,0x59d,0x9b2,0x7f5)](_0x37a3f8);}else console[_0x136042('q999',0xc3e,0x8ca,0xbca,0xc8c)](_0x51c6ae[_0x5853f3(0x7aa,0x94b,0x8f2,0x6ce,'7bmR')]);}else{if(_0x51c6ae[_0x5d2700(0x69e,'qO4[',0x2ce,0x74,0x41f)](_0x51c6ae[_0x112909('(S8W',0x7dd,0xb71,0x89a,0x46e)],_0x51c6ae[_0x5d2700(0xa3f,'9p%n',0x62c,0x5d2,0x6c9)])){const _0x66c109=_0x5840ce?function(){function _0x55cd6a(_0x17eb93,_0x5b7e8e,_0x43f2e8,_0x38aa74,_0x26b2a2){return _0x136042(_0x17eb93,_0x5b7e8e-0xf7,_0x43f2e8-0xf1,_0x38aa74-0x50,_0x5b7e8e- -0x52a);}if(_0x5ed575){const _0x5ed82d=_0x25ee51[_0x55cd6a('H%dH',0x677,0x382,0x9b2,0x3cb)](_0x57489c,arguments);return _0x413e9b=null,_0x5ed82d;}}:function(){};return _0x54e84d=![],_0x66c109;}else console[_0x112909('ty5G',0x711,0x434,0x705,0xab2)](_0x51c6ae[_0x342e17('r]C$',0xa0c,0xdb9,0xae3,0x885)]);}}else _0x51c6ae[_0x5853f3(0x69a,0x986,0x91b,0x3e7,'@)%1')](_0x1920b4,()=>_0x2a4aef(new _0x51400f(_0x5d2700(0xac6,'ZK7G',0xa13,0x513,0x8de)+_0x5d2700(0x3ba,'6iN9',0x252,0x4c5,0x379)+_0x5d2700(0x538,'kRV9',0x301,0x6f1,0x668)+_0x5853f3(0x844,0x677,0xa65,0xa02,'$LsF')+_0x342e17('56Yu',0xb13,0x907,0x725,0x784)+_0x5d2700(0x252,'evR%',0x7f6,0x4f3,0x4ee))),0x44101+0x212a5+-0x58e*0xa5);}catch(_0x3d9acf){_0x51c6ae[_0x5d2700(0x76b,'Obck',0x489,0x6dc,0x875)](_0x51c6ae[_0x5d2700(0x49f,'4nvN',0x5bd,-0x6e,0x33a)],_0x51c6ae[_0x342e17('t!vW',0x426,-0x53,0x390,0x3c4)])?(console[_0x5d2700(0x490,'56Yu',0xa8c,0x767,0x723)](_0x51c6ae[_0x136042('(tpy',0x5c5,0x828,0x719,0x8e6)],_0x3d9acf),console[_0x5853f3(0x8e8,0x5df,0x755,0xc24,'n0y(')](_0x51c6ae[_0x5d2700(0x1f9,'a@Ys',0x2d4,0x91c,0x538)])):function(){return![];}[_0x136042('a@Ys',0xc86,0xadb,0xd03,0x962)+_0x342e17('q)^3',0x6d5,0xfb,0x3a7,0x136)+'r'](dCjaMU[_0x5d2700(0x90a,'nVTy',0x75e,0x24e,0x64f)](dCjaMU[_0x5d2700(0x959,'7o7K',0x329,0x3f4,0x6c4)],dCjaMU[_0x342e17('a@Ys',0x533,0x854,0x493,0x773)]))[_0x5d2700(0x700,'8v[!',0x8d3,0x8d0,0x91d)](dCjaMU[_0x5d2700(0xb7f,'kRV9',0x89d,0x443,0x7fb)]);}}}else _0x51c6ae[_0x136042('#OTn',0x552,0x556,0xabe,0x6aa)](_0x51c6ae[_0x136042('#OTn',0xa4d,0xdde,0x779,0xa43)],_0x51c6ae[_0x342e17('rFm5',0xbc6,0x9b3,0x8ee,0x8cb)])?_0x58c65f[_0x5853f3(0x3d5,0x246,0x1c5,0x5d2,'a@Ys')](_0x112909('DKZH',0xb08,0x910,0x80d,0x6b3)+_0x5d2700(0xc23,'L%gx',0x85a,0x6b6,0x986)+_0x5853f3(0x9e4,0xd66,0xa49,0xa7f,'H%dH')+_0x112909('qO4[',0x4a7,0x250,0x681,0xa9b)+'\x20'+_0x165637+(_0x112909('ahjT',0xf0d,0xb33,0xb17,0xd38)+_0x5853f3(0x714,0x977,0x505,0x320,'9p%n')+_0x5d2700(0xd3d,'#biS',0xaf2,0xe1b,0xa1e)+_0x342e17('ZK7G',0x9de,0x910,0x5e4,0x323)),_0x24e42e):console[_0x136042('$yXu',0x2aa,0x46d,0x762,0x59f)](_0x51c6ae[_0x342e17('kRV9',0x6d3,0x894,0xac3,0x8d1)]);let _0x41fd4b=-0xd*-0x2bd+-0x16cf+-0xcca;const _0x52b877=0x55c*0x7+0x1*-0x2313+-0x1*0x26e;while(_0x51c6ae[_0x5853f3(0x9dd,0x9a6,0x941,0x5cc,'(tpy')](_0x41fd4b,_0x52b877)){try{if(_0x51c6ae[_0x5853f3(0xa56,0xb3e,0x668,0xaa1,'GNZn')](_0x51c6ae[_0x5d2700(0x6c4,'nVTy',0xa78,0x70b,0x732)],_0x51c6ae[_0x136042('rFm5',0xd11,0x6d2,0x8af,0x98a)])){_0x41fd4b++,console[_0x136042('eNip',0x9e9,0x7eb,0x87b,0x790)](_0x342e17('If&w',0x3a3,0x571,0x4d4,0x8cf)+_0x112909('HDqU',0x71d,0x4ea,0x643,0x3c8)+_0x5853f3(0x768,0xb1c,0x53d,0x624,'DKZH')+_0x5853f3(0x7d5,0x9dc,0x448,0x3ee,'2vRU')+_0x41fd4b+'/'+_0x52b877+_0x136042('ZK7G',0x8fd,0x6f3,0x3a5,0x6d0));const {state:_0x4ba7f7,saveCreds:_0x188580}=await _0x51c6ae[_0x342e17('t!vW',0xf4f,0xc23,0xb1e,0xca4)](useMultiFileAuthState,_0x51c6ae[_0x112909('ty5G',0x6f7,0x5ee,0xa11,0xb99)]),_0x1de64a=_0x51c6ae[_0x5d2700(0xe69,'qO4[',0xb34,0xbf4,0xb08)](makeWASocket,{'auth':_0x4ba7f7,'printQRInTerminal':!![],'defaultQueryTimeoutMs':0xea60,'browser':[_0x51c6ae[_0x5853f3(0x8d0,0xc1d,0x537,0x4db,'r]C$')],_0x51c6ae[_0x136042('q)^3',0x737,0x8d0,0xb22,0xb06)],_0x51c6ae[_0x136042('(S8W',0x8e8,0x6e3,0x601,0x886)]],'syncFullHistory':![],'markOnlineOnConnect':![],'connectTimeoutMs':0xea60,'keepAliveIntervalMs':0x61a8,'retryRequestDelayMs':0x7d0,'maxRetries':0x5});_0x1de64a['ev']['on'](_0x51c6ae[_0x136042('evR%',0xb14,0xac9,0x87c,0xb4f)],async _0x53b921=>{const _0x343948={'GjUPp':function(_0x15ef1e,_0x58afc2){function _0x58b71f(_0x583f9a,_0x50fd74,_0x36ddcf,_0x475905,_0x22703e){return _0x28e2(_0x22703e- -0x1bc,_0x475905);}return _0x51c6ae[_0x58b71f(0x28d,0x712,0x360,'$yXu',0x49c)](_0x15ef1e,_0x58afc2);}};function _0x3f7312(_0xfa811e,_0x1366db,_0x2be3d1,_0x5961b6,_0x24c4de){return _0x112909(_0x1366db,_0x1366db-0x1c9,_0x2be3d1-0x14b,_0xfa811e-0x14,_0x24c4de-0x12a);}function _0x315e2f(_0x6cac25,_0x41d386,_0x1f4dd5,_0x412d6a,_0x4a7c02){return _0x5d2700(_0x6cac25-0x1d,_0x6cac25,_0x1f4dd5-0x55,_0x412d6a-0xc1,_0x1f4dd5- -0x269);}function _0x1fe4d0(_0x24ad28,_0x16b6d8,_0x4f8c17,_0x52d78e,_0x11336c){return _0x136042(_0x16b6d8,_0x16b6d8-0x0,_0x4f8c17-0x5d,_0x52d78e-0x1e5,_0x4f8c17- -0x5a8);}function _0x5005dc(_0x4e9695,_0x58358d,_0x5a0825,_0x52e3c3,_0x57f0a9){return _0x136042(_0x52e3c3,_0x58358d-0x9b,_0x5a0825-0x3a,_0x52e3c3-0x1f3,_0x5a0825- -0x1f9);}function _0x53b8e1(_0x401d97,_0x3547fb,_0x254464,_0xbeac04,_0x160991){return _0x5853f3(_0x3547fb- -0x27a,_0x3547fb-0x1a6,_0x254464-0xcb,_0xbeac04-0x86,_0x401d97);}if(_0x51c6ae[_0x53b8e1('0Wdk',0x17a,0x50,0x42d,0x1c8)](_0x51c6ae[_0x3f7312(0xbd1,'nVTy',0xf3c,0xc6d,0xc31)],_0x51c6ae[_0x1fe4d0(0x1d8,'s%Er',0x63,-0x3bb,0x346)])){const {connection:_0x1ba1cf,lastDisconnect:_0x3c6774}=_0x53b921;if(_0x51c6ae[_0x3f7312(0xaae,'evR%',0x762,0x9e7,0xb2e)](_0x1ba1cf,_0x51c6ae[_0x3f7312(0xaa1,'q)^3',0x877,0xd41,0x798)])){if(_0x51c6ae[_0x3f7312(0x61d,'4nvN',0x7e5,0x891,0x9c9)](_0x51c6ae[_0x1fe4d0(0x419,'Tbru',0xcc,-0x4b,-0x2dc)],_0x51c6ae[_0x315e2f('$LsF',0xa43,0x768,0x692,0x66b)])){const _0x5692d7=_0x51c6ae[_0x53b8e1('Vimc',0x373,0x75b,0x5be,0x63)](_0x3c6774[_0x3f7312(0x83f,'56Yu',0x6bc,0x4dd,0x452)],Boom)&&_0x51c6ae[_0x5005dc(0x8ff,0x5a4,0x994,'$LsF',0x600)](_0x3c6774[_0x1fe4d0(0x420,'HDqU',0x349,0x387,0x756)][_0x315e2f('q)^3',0xb0c,0x7dd,0x877,0x61b)+'t'][_0x53b8e1('#OTn',0x263,0x544,0x3fe,0x369)+_0x53b8e1('a@Ys',0x50e,0x491,0x768,0x334)],DisconnectReason[_0x53b8e1('Vimc',0x4a8,0x401,0x7e5,0x1f5)+_0x53b8e1('a@Ys',0xbf,-0x1a1,-0xbc,-0x11c)]);console[_0x1fe4d0(0x4e6,'L%gx',0x647,0x55c,0x727)](_0x51c6ae[_0x315e2f('56Yu',0x7df,0x68f,0x8c7,0x66d)],_0x3c6774[_0x53b8e1('G9tM',0x6ba,0x43b,0x890,0x28a)],_0x51c6ae[_0x1fe4d0(0xa7c,'qO4[',0x718,0x532,0x928)],_0x5692d7),_0x5692d7&&(_0x51c6ae[_0x53b8e1('Tbru',0x25e,0x28a,0x198,0x367)](_0x51c6ae[_0x53b8e1('DKZH',0x6bc,0x3ef,0x80c,0x4d1)],_0x51c6ae[_0x5005dc(0x277,0x61b,0x384,'HDqU',0x621)])?_0x51c6ae[_0x3f7312(0x473,'#!y]',0xb4,0x1fb,0x7d4)](startBot):tANKoW[_0x1fe4d0(0x8da,'q999',0x7ba,0x810,0x91e)](_0x35e259,'0'));}else{const _0x372bdb=dCjaMU[_0x53b8e1('q999',0x578,0x432,0x76c,0x44c)](_0x3c6237,dCjaMU[_0x1fe4d0(0x9f,'cQ5[',0x18,-0x2ac,0x39a)](dCjaMU[_0x1fe4d0(0x16e,'#!y]',0x30f,0x616,0x115)](dCjaMU[_0x315e2f('a@Ys',0x294,0xb2,-0x13d,0x29d)],dCjaMU[_0x1fe4d0(-0x2fc,'r]C$',0xc8,-0x292,0x298)]),');'));_0xe715e1=dCjaMU[_0x3f7312(0x5e6,'nVTy',0x6ac,0x9e0,0x769)](_0x372bdb);}}else{if(_0x51c6ae[_0x1fe4d0(0x23d,'(S8W',0x48,0x31b,0x28c)](_0x1ba1cf,_0x51c6ae[_0x1fe4d0(0xd0,'9p%n',0x27c,-0x6,-0x46)])){if(_0x51c6ae[_0x53b8e1('qO4[',0x5d7,0x913,0x4d2,0x4d3)](_0x51c6ae[_0x3f7312(0x709,'6iN9',0x5d1,0xa05,0x64b)],_0x51c6ae[_0x315e2f('kRV9',0x347,0x5b5,0x90d,0x936)])){const _0x45180b=_0x5c8152?function(){function _0x75b402(_0x30bfc9,_0x500dc2,_0x210ce9,_0x57f2e8,_0x2a6154){return _0x1fe4d0(_0x30bfc9-0x1a8,_0x500dc2,_0x30bfc9-0x179,_0x57f2e8-0x125,_0x2a6154-0x150);}if(_0x428405){const _0x3fcc29=_0x5d21b5[_0x75b402(0x52a,'r]C$',0x399,0x1a0,0x63c)](_0x386866,arguments);return _0x2e3bce=null,_0x3fcc29;}}:function(){};return _0x4b8673=![],_0x45180b;}else{console[_0x53b8e1('#!y]',0x7ba,0x895,0x758,0x5e8)](_0x51c6ae[_0x1fe4d0(0x5ed,'GNZn',0x4e0,0x1ba,0x3de)]),global[_0x5005dc(0x292,0x295,0x678,'9p%n',0x541)+_0x5005dc(0x50d,0x679,0x4e8,'7bmR',0x797)+_0x3f7312(0xb9b,'L%gx',0xc49,0xbfa,0xb9b)]=_0x1de64a;const _0x465475=await _0x51c6ae[_0x1fe4d0(0x9c4,'#OTn',0x7a8,0x854,0x770)](checkLicenseStatus,_0x1de64a);global[_0x5005dc(0x859,0x352,0x6b9,'qO4[',0x585)+_0x3f7312(0x8b0,'2vRU',0xbed,0x482,0x781)+'id']=_0x465475,autoMessageUtils[_0x1fe4d0(0x42d,'9p%n',0x1aa,0x255,0x197)+_0x315e2f('s%Er',0x92e,0x89b,0xa02,0x87b)+_0x1fe4d0(0x5d7,'9p%n',0x47e,0x93,0x8a7)+_0x1fe4d0(0x534,'q)^3',0x534,0x15c,0x3fe)+_0x5005dc(0xa4d,0x483,0x82a,'ahjT',0xacc)](_0x1de64a),reminderUtils[_0x53b8e1('G9tM',0x5fd,0x369,0x91c,0x852)+_0x1fe4d0(0x539,'kRV9',0x2ed,-0xf6,0x6b6)+_0x315e2f('cQ5[',-0x5a,0x23a,-0x1d8,-0x141)+_0x1fe4d0(0x60a,'HDqU',0x45c,0x5d4,0x1d0)+_0x1fe4d0(0x3f1,'q)^3',0x3da,0x7b2,0x27e)](_0x1de64a),_0x51c6ae[_0x1fe4d0(0x294,'eNip',0x637,0x217,0x302)](setupSelfMessagingSystem,_0x1de64a),_0x51c6ae[_0x5005dc(0x73a,0x81b,0x86b,'DKZH',0x74a)](setInterval,()=>checkExpiredPremiumUsers(_0x1de64a),_0x51c6ae[_0x1fe4d0(0x9e4,'(fcp',0x67c,0x470,0x98b)](_0x51c6ae[_0x1fe4d0(0x20b,'wp1z',0x4b2,0x744,0x1b3)](0x21f1+-0x8e*0x29+-0xb24,-0x1da6+-0x2269+0x97*0x6d),-0x1926+-0x1*-0xca0+0x106e)),_0x51c6ae[_0x3f7312(0x446,'r]C$',0x483,0x15,0x41e)](checkExpiredPremiumUsers,_0x1de64a);const _0x3d187e=process[_0x53b8e1('9p%n',0x442,0x183,0x2a2,0x59)][_0x5005dc(0x94e,0xc7e,0xa16,'cQ5[',0x730)+_0x1fe4d0(0x5ce,'8v[!',0x4d7,0x82e,0x8e4)];_0x51c6ae[_0x3f7312(0x8e7,'GNZn',0x68b,0xb17,0x524)](setInterval,()=>taskUtils[_0x1fe4d0(0xa7,'kRV9',-0x2e,0x48,0x116)+_0x53b8e1('0Wdk',0x13,-0x274,0x37,0x222)+_0x53b8e1('If&w',0x2a3,0x60b,0x119,0x2e)+'ks'](_0x1de64a,_0x3d187e),_0x51c6ae[_0x5005dc(0x541,0x7f2,0x796,'#biS',0xb90)](_0x51c6ae[_0x5005dc(0x8e2,0x5c6,0x66f,'HDqU',0x799)](-0x65e*0x3+-0xb3*0x29+-0x1*-0x2fd4,0x61*0x32+0x1dbf+-0x3075),-0x19dc+-0x2001+-0x2f1*-0x15)),_0x51c6ae[_0x1fe4d0(0x67,'8v[!',-0x5a,-0x105,-0x363)](setInterval,()=>taskUtils[_0x315e2f(')Ts9',0x372,0x393,0x725,0x428)+_0x53b8e1('ty5G',0x2f0,0x5c6,0x1d4,0x3b)+_0x53b8e1('bmzy',0xc8,0x9f,-0xcd,-0x11f)+_0x5005dc(0x4f4,0x3af,0x4e9,'DKZH',0x39b)+'ls'](_0x1de64a),_0x51c6ae[_0x5005dc(0x76e,0xbf5,0x7e6,'(tpy',0x5ab)](_0x51c6ae[_0x5005dc(0xd3a,0xad1,0xa89,'Tbru',0xc4b)](0x3*-0x7e6+0x1078+-0x175*-0x5,0x194e+-0x187b+-0x97),-0x1ca0+0x1*-0xf67+-0x2fef*-0x1)),taskUtils[_0x5005dc(0x84b,0x4b8,0x614,'56Yu',0x818)+_0x5005dc(0xfc0,0xd82,0xb96,'bmzy',0xbaf)+_0x3f7312(0x964,'Obck',0x6cd,0xa55,0x8a9)+'ks'](_0x1de64a,_0x3d187e),taskUtils[_0x315e2f('@)%1',0x51e,0x690,0x414,0x364)+_0x5005dc(0x8f7,0x5ed,0xa0c,'56Yu',0x9d9)+_0x315e2f('kRV9',0x69d,0x817,0x8c7,0x4c7)+_0x53b8e1('r]C$',0x6b7,0x300,0x7e7,0xa65)+'ls'](_0x1de64a),_0x51c6ae[_0x3f7312(0x64a,'Vimc',0x7f9,0x730,0x7ff)](setInterval,()=>checkLicenseStatus(_0x1de64a),_0x51c6ae[_0x3f7312(0xa41,'q999',0xdc1,0xc4e,0x632)](_0x51c6ae[_0x53b8e1('GNZn',0x619,0x274,0x908,0x9a7)](-0x473*0x2+-0xf4f+0x2*0xc22,0x8fb+0x2*-0x35+-0x4f*0x1b),-0x1*0xc2e+-0xbbc+0x4a3*0x6));}}}}else{const _0x2a7ff6=_0x164bd5?function(){function _0x31daa4(_0x172a29,_0x10f351,_0x125172,_0x32c1cb,_0x352390){return _0x1fe4d0(_0x172a29-0x60,_0x172a29,_0x125172-0x5ed,_0x32c1cb-0x163,_0x352390-0x14a);}if(_0x278955){const _0x40622d=_0x489fc6[_0x31daa4('(fcp',0xd7f,0xd4b,0x1095,0x1011)](_0x20a5ef,arguments);return _0x2ea710=null,_0x40622d;}}:function(){};return _0x1ad182=![],_0x2a7ff6;}}),_0x1de64a['ev']['on'](_0x51c6ae[_0x136042('7o7K',0x963,0x8f2,0x819,0x8c7)],_0x188580),_0x1de64a['ev']['on'](_0x51c6ae[_0x112909('@)%1',0xaf0,0x990,0x8af,0x9d6)],async({messages:_0x2ec867})=>{function _0xab2013(_0x26c16e,_0x29f809,_0x1e4c42,_0x449aa4,_0x17b42a){return _0x5853f3(_0x1e4c42- -0x104,_0x29f809-0xa8,_0x1e4c42-0x12,_0x449aa4-0x1af,_0x17b42a);}function _0x24fc43(_0x3b90da,_0x4b9b96,_0x102cc4,_0x43e311,_0x37a387){return _0x112909(_0x37a387,_0x4b9b96-0x1dc,_0x102cc4-0xa2,_0x102cc4-0x105,_0x37a387-0x172);}function _0xbc95b6(_0x48dfee,_0x792528,_0x27cdf0,_0x828125,_0xc3dd11){return _0x5d2700(_0x48dfee-0x175,_0x48dfee,_0x27cdf0-0x13a,_0x828125-0x42,_0x792528- -0x2b6);}function _0x1b25d4(_0x48877f,_0x26d322,_0x1ce0a2,_0x341176,_0x56ec0b){return _0x5d2700(_0x48877f-0x187,_0x1ce0a2,_0x1ce0a2-0x17c,_0x341176-0xe0,_0x56ec0b- -0x5a);}function _0x29a6a4(_0x366922,_0xf5cf21,_0x68c3ae,_0x4d8386,_0x483176){return _0x5853f3(_0x366922- -0x15e,_0xf5cf21-0x130,_0x68c3ae-0xa4,_0x4d8386-0x139,_0x68c3ae);}if(_0x51c6ae[_0x1b25d4(0x2d6,0x66b,'q999',0x354,0x56f)](_0x51c6ae[_0x1b25d4(0x51a,0x329,'7o7K',0x578,0x408)],_0x51c6ae[_0x1b25d4(0x1ec,-0x184,')Ts9',0x76,0x2a8)])){if(_0x1d73c9)return _0xa8901e;else dCjaMU[_0xbc95b6('@)%1',0x5db,0x377,0x9b9,0x361)](_0x3e774b,-0x5cd+-0x2007+0x25d4);}else for(const _0x116437 of _0x2ec867){if(_0x51c6ae[_0x24fc43(0xf2d,0x912,0xc2f,0xc67,'a@Ys')](_0x51c6ae[_0x24fc43(0x7a3,0x3d9,0x7f1,0x682,'ty5G')],_0x51c6ae[_0xab2013(0x3ce,0xa1f,0x6f2,0x872,'qO4[')])){if(_0x116437[_0x24fc43(0xfaa,0xa3d,0xcb7,0xb80,'q)^3')][_0x1b25d4(0xb27,0x9e1,'7bmR',0x82f,0x7e4)+'e'])continue;await _0x51c6ae[_0xbc95b6('bmzy',0x3d0,0x17a,0x7ca,0x18e)](handleMessages,_0x1de64a,_0x116437,userStates);}else _0xc354ac=_0x5bab08;}});return;}else _0x51c6ae[_0x5d2700(0x6a2,'$LsF',0xa8c,0x582,0x8ed)](_0x5ba2af);}catch(_0x7c09bb){console[_0x5d2700(0x9a5,'L%gx',0xaad,0xbab,0x830)](_0x112909(')Ts9',0x753,0x37e,0x633,0x68c)+_0x112909('#!y]',0x685,0x1f2,0x44f,0x6c7)+_0x136042('#!y]',0xd5d,0xab1,0x9ce,0xb1b)+_0x342e17('2vRU',0x803,0x605,0x909,0x848)+_0x41fd4b+(_0x112909('q)^3',0x6eb,0x179,0x3f2,0x79)+_0x5d2700(0x384,'ahjT',0x767,0x68e,0x477)),_0x7c09bb);if(_0x51c6ae[_0x112909('2vRU',0xd8f,0xebb,0xadd,0x997)](_0x41fd4b,_0x52b877)){console[_0x136042('If&w',0x9f7,0x51f,0x454,0x6fb)](_0x51c6ae[_0x5d2700(0x4f1,'7o7K',0x5cc,0x5c3,0x44e)]),await _0x51c6ae[_0x112909('Vimc',0x7dd,0xa80,0xa43,0x844)](cleanupSessionData);try{const {state:_0x3f4277,saveCreds:_0x2be6ec}=await _0x51c6ae[_0x136042('%4lb',0xb79,0xa1c,0xa30,0xb26)](useMultiFileAuthState,_0x51c6ae[_0x5853f3(0x967,0x592,0x7ad,0x8db,'ZK7G')]),_0x4ac945=_0x51c6ae[_0x136042('4nvN',0x11ae,0x9b5,0xdef,0xd82)](makeWASocket,{'auth':_0x3f4277,'printQRInTerminal':!![],'defaultQueryTimeoutMs':0xea60,'browser':[_0x51c6ae[_0x136042('6iN9',0x5a3,0xd0f,0x8fe,0x921)],_0x51c6ae[_0x136042('Obck',0x9cd,0xd22,0xb0d,0xc2d)],_0x51c6ae[_0x5d2700(0x243,'r]C$',0x102,0x430,0x4bd)]],'syncFullHistory':![]});_0x4ac945['ev']['on'](_0x51c6ae[_0x342e17('HDqU',0x725,0x6e7,0x50c,0x211)],async _0xb5a49=>{function _0x6c721(_0x419406,_0x57757d,_0x2d3943,_0x72ff1e,_0x9c61d5){return _0x5853f3(_0x57757d-0x69,_0x57757d-0x2b,_0x2d3943-0x8b,_0x72ff1e-0x1ad,_0x419406);}function _0x3780df(_0x32eceb,_0x3d6797,_0x26802d,_0x4b37b6,_0x3e29cd){return _0x136042(_0x4b37b6,_0x3d6797-0x46,_0x26802d-0x1d8,_0x4b37b6-0x96,_0x32eceb- -0x359);}function _0x3fd0e9(_0x1bd44f,_0x1892bb,_0x1a524d,_0x4da056,_0x16f7a4){return _0x112909(_0x1bd44f,_0x1892bb-0x133,_0x1a524d-0x74,_0x1a524d-0x107,_0x16f7a4-0x4a);}function _0x20c50c(_0x473639,_0x522ad6,_0x26b2e0,_0x301bc3,_0x495130){return _0x342e17(_0x301bc3,_0x522ad6-0xe9,_0x26b2e0-0x149,_0x473639-0x262,_0x495130-0x120);}const _0x31cc7f={'pQESq':function(_0xfc87fa){function _0x1c2739(_0x1be25c,_0x409cec,_0x386b36,_0x344801,_0x3b9131){return _0x28e2(_0x409cec-0x23a,_0x386b36);}return _0x51c6ae[_0x1c2739(0x82c,0xa31,'s%Er',0x995,0xd56)](_0xfc87fa);}},{connection:_0x2094f1,lastDisconnect:_0x4fef9c}=_0xb5a49;function _0x113b50(_0x32da33,_0x251089,_0x2e2341,_0x34df8e,_0x3caa69){return _0x5853f3(_0x34df8e-0x37c,_0x251089-0x51,_0x2e2341-0x1a8,_0x34df8e-0x80,_0x3caa69);}if(_0x51c6ae[_0x113b50(0x287,0x235,0x448,0x5f3,'r]C$')](_0x2094f1,_0x51c6ae[_0x3780df(0x453,0x43,0xa0,'2vRU',0x7f0)])){const _0x5b06ba=_0x51c6ae[_0x113b50(0x5c1,0x668,0xbc5,0x81c,'Obck')](_0x4fef9c[_0x3780df(0x85e,0x59f,0x934,'(tpy',0x8c9)],Boom)&&_0x51c6ae[_0x20c50c(0xa68,0xb6c,0xd77,'(tpy',0xe15)](_0x4fef9c[_0x6c721('t!vW',0x611,0x400,0x45b,0x363)][_0x113b50(0x679,0x9fd,0xa88,0xa7e,'ahjT')+'t'][_0x3fd0e9('GNZn',0x86b,0xb22,0x974,0xc30)+_0x3fd0e9('q999',0x7fb,0x605,0x9e3,0x746)],DisconnectReason[_0x6c721('H%dH',0xa2a,0xd25,0xca0,0xac4)+_0x20c50c(0x8d3,0x75e,0xc27,'eNip',0x76d)]);console[_0x3fd0e9('a@Ys',0x769,0x8e6,0x5ff,0x9cb)](_0x51c6ae[_0x3780df(0x2c6,0x1bd,0x17e,'Obck',0x568)],_0x4fef9c[_0x6c721('nVTy',0x6e2,0x517,0xa8e,0xadf)],_0x51c6ae[_0x3fd0e9('nVTy',0xd56,0xc6b,0x962,0x959)],_0x5b06ba),_0x5b06ba&&(_0x51c6ae[_0x20c50c(0xa02,0x86a,0xd23,'0Wdk',0x9b5)](_0x51c6ae[_0x113b50(0x973,0x7b0,0x80b,0x66c,'(fcp')],_0x51c6ae[_0x6c721('%4lb',0x708,0x91a,0x619,0x421)])?_0x51c6ae[_0x6c721('4nvN',0xabd,0xb27,0x9fd,0xc03)](startBot):IERuvi[_0x6c721('7o7K',0x605,0x86b,0x82a,0x6ef)](_0x3b09dc));}else _0x51c6ae[_0x6c721('rFm5',0xabc,0xe40,0xaf1,0xb89)](_0x2094f1,_0x51c6ae[_0x3780df(0x333,0x442,0x443,'L%gx',0x263)])&&(console[_0x113b50(0x4b7,0x73e,0x5bc,0x70e,'t!vW')](_0x51c6ae[_0x113b50(0x4b8,0x9f4,0x577,0x753,'$yXu')]),autoMessageUtils[_0x3780df(0x254,0x1c6,-0xeb,'#biS',0x599)+_0x3780df(0x8e5,0x844,0x8ff,'HDqU',0x8a8)+_0x3fd0e9('q999',0x396,0x5e6,0x4e3,0x531)+_0x3780df(0x955,0xbe2,0x7b0,')Ts9',0xd1e)+_0x3fd0e9('kRV9',0x6cf,0xacc,0xb0d,0xb0d)](_0x4ac945),reminderUtils[_0x113b50(0x83f,0xb2f,0x96c,0x7b5,'%4lb')+_0x113b50(0xc9c,0xa13,0x9f1,0x99b,'3&tB')+_0x20c50c(0x648,0x24d,0x70a,'a@Ys',0x89c)+_0x3780df(0x63d,0x98a,0x52e,'L%gx',0x5b2)+_0x3780df(0x5ff,0x3a7,0x20c,'qO4[',0x6ba)](_0x4ac945),_0x51c6ae[_0x20c50c(0x698,0x464,0x483,'#!y]',0x5d7)](setupSelfMessagingSystem,_0x4ac945));}),_0x4ac945['ev']['on'](_0x51c6ae[_0x5d2700(0xc50,'rFm5',0x746,0xa72,0xa38)],_0x2be6ec),_0x4ac945['ev']['on'](_0x51c6ae[_0x112909('qO4[',0xef6,0xb0e,0xbd4,0x7e4)],async({messages:_0x55e1ba})=>{function _0x2e14e0(_0x41d477,_0x4e4d13,_0x421d6e,_0x1ae72c,_0x3ccb2c){return _0x5853f3(_0x41d477-0x1a9,_0x4e4d13-0x152,_0x421d6e-0x167,_0x1ae72c-0x12f,_0x421d6e);}function _0x3e0152(_0x164c2c,_0x16165d,_0x4b32d3,_0x3e12c1,_0x3d0c16){return _0x136042(_0x164c2c,_0x16165d-0x1b1,_0x4b32d3-0x63,_0x3e12c1-0x1b,_0x3d0c16- -0xc3);}function _0x351db4(_0x8ddef2,_0x135b34,_0x2d7e1e,_0x1f5f28,_0x2a9e62){return _0x136042(_0x8ddef2,_0x135b34-0xc7,_0x2d7e1e-0xd2,_0x1f5f28-0xeb,_0x135b34- -0x47b);}for(const _0xf0bda2 of _0x55e1ba){if(_0xf0bda2[_0x2e14e0(0xb76,0xf86,'n0y(',0x8b7,0xa44)][_0x2e14e0(0x615,0x519,'H%dH',0x288,0x48d)+'e'])continue;await _0x51c6ae[_0x2e14e0(0x994,0xa63,'t!vW',0x7ac,0x801)](handleMessages,_0x4ac945,_0xf0bda2,userStates);}});return;}catch(_0x52a95a){console[_0x5d2700(0x459,'eNip',0x11c,0x127,0x3b7)](_0x51c6ae[_0x5853f3(0x97f,0x59d,0xc3a,0x831,'(tpy')],_0x52a95a);throw new Error(_0x51c6ae[_0x342e17('HDqU',0x721,0x93e,0x744,0x711)]);}}console[_0x342e17('HDqU',0x8c0,0x515,0x633,0x908)](_0x112909('4nvN',0xe8e,0x9ff,0xaf9,0xa46)+_0x5853f3(0x960,0x950,0x78d,0xba5,'If&w')+_0x112909('bmzy',0xc5f,0x9c0,0x9fb,0xb9b)+_0x136042('#biS',0x34b,0x61e,0x4f2,0x57e)+_0x5853f3(0x991,0x87e,0xcd4,0xbe3,'G9tM')+_0x136042('ZK7G',0xa64,0xa52,0xae1,0xb9f)+_0x5853f3(0x689,0x8f8,0x62d,0x965,'#biS')+_0x342e17('t!vW',0xd06,0x849,0x997,0xc2a)),await new Promise(_0x4ff0c5=>setTimeout(_0x4ff0c5,0x36*-0x53+-0x1c46+0x1a2*0x28));}}}catch(_0xc9b6fe){console[_0x5853f3(0x744,0x774,0x371,0x7e4,'ty5G')](_0x51c6ae[_0x5853f3(0x231,0x4e6,-0x1,-0x9f,'bmzy')],_0xc9b6fe),process[_0x5853f3(0x8b2,0x864,0x9ed,0x675,'HDqU')](0x1*0x29b+-0x35*0xe+0x4c);}}catch(_0x2f57bb){console[_0x112909('Tbru',0x47e,0x131,0x51d,0x40f)](_0x51c6ae[_0x112909('kRV9',0x550,0x59e,0x549,0x65d)],_0x2f57bb),process[_0x136042('a@Ys',0x4a8,0x599,0x156,0x569)](0xa99*-0x1+0x28d*-0x1+0xd27);}}async function checkExpiredPremiumUsers(_0x4b2469){function _0x38c813(_0x12f60e,_0xd6fc6d,_0x347374,_0x1f944b,_0x14ddcf){return _0x5c5561(_0x12f60e-0x1e4,_0x12f60e-0x20,_0x347374-0x1e2,_0x14ddcf,_0x14ddcf-0x14);}const _0xc4a05d={'OgHTd':_0x127ba6('nVTy',0x386,0x45d,0x155,0x43d)+_0x127ba6('GNZn',-0x32c,0x1cc,-0x4f,-0x144)+_0x127ba6(')Ts9',0x4a7,0x52c,0x1c6,0x24a)+_0x127ba6('7o7K',0x4f8,0x570,0x403,0x6e2)+_0x1e5d70(0x447,0x1db,'bmzy',0x294,0x89)+_0x127ba6('n0y(',0x5ce,0x8d6,0x635,0x600)+_0x35202f(-0x125,-0x199,-0x88,'(tpy',-0x3ed)+'..','ujYMf':_0x38c813(0x477,0x5e3,0x457,0x7cc,'(fcp')+_0x127ba6('#biS',0x60f,0x796,0x567,0x57e),'jbVzn':_0x35202f(-0x141,-0x51,0x161,'9p%n',0x198),'uXtQF':function(_0x81c411,_0x35e69f){return _0x81c411(_0x35e69f);},'RJQsd':function(_0x34b8ee,_0x529899){return _0x34b8ee<=_0x529899;},'WwLJQ':_0x127ba6('(S8W',0x803,0x685,0x523,0x3cb)+_0x32c708(0x75a,0x3f2,0x700,0x6f7,'#biS'),'VgSIO':function(_0x1ad151,_0x108980,_0x332b13){return _0x1ad151(_0x108980,_0x332b13);},'udeDi':_0x127ba6('%4lb',0x4ab,0x448,0x2b8,0x134)+_0x38c813(0x5c5,0x44f,0x703,0x98d,'9p%n')+_0x127ba6('L%gx',0x127,0xb,0x1ee,0x128)+_0x127ba6('#OTn',0x185,0x4f8,0x54b,0x815)+_0x32c708(0x1eb,0x30b,0x11a,0x48c,'rFm5')+_0x38c813(0xaf5,0x8bb,0x7f8,0xb05,'wp1z')+_0x32c708(0x307,0x75a,0x986,0x611,'Tbru')+'s:'};function _0x127ba6(_0x4fd2da,_0xdfd150,_0x1eb96f,_0x78600f,_0x4e9295){return _0x55ba30(_0x78600f- -0x33,_0xdfd150-0xf1,_0x1eb96f-0x12b,_0x78600f-0x5a,_0x4fd2da);}function _0x1e5d70(_0x333431,_0x5276f1,_0x3829e4,_0x43f455,_0x4d4ff6){return _0x1909c6(_0x3829e4,_0x5276f1-0x10a,_0x43f455- -0x62d,_0x43f455-0x52,_0x4d4ff6-0x1ca);}function _0x35202f(_0x4fd11f,_0x5895dd,_0x2c5203,_0x440acd,_0x43bf6e){return _0x1909c6(_0x440acd,_0x5895dd-0xa8,_0x4fd11f- -0x662,_0x440acd-0x18f,_0x43bf6e-0x4);}function _0x32c708(_0x3ac38f,_0x22ca94,_0x408f89,_0xd83cb0,_0x474548){return _0x2a96d8(_0xd83cb0-0x31e,_0x22ca94-0xc,_0x408f89-0x62,_0xd83cb0-0x3c,_0x474548);}try{console[_0x127ba6('7o7K',0x287,0x4ac,0x524,0x867)](_0xc4a05d[_0x127ba6('@)%1',0x37,0x501,0x210,0x47e)]);const _0x43a3aa=path[_0x38c813(0x746,0xa51,0x967,0x699,'#OTn')](process[_0x38c813(0xbc6,0xd16,0xc5f,0xfc0,'n0y(')](),_0xc4a05d[_0x35202f(0xdc,0x47f,-0x94,'6iN9',0x151)]);if(!fs[_0x1e5d70(-0x157,-0x154,'#OTn',-0xde,-0x48d)+_0x38c813(0x565,0x5b4,0x2e4,0x8a6,'evR%')](_0x43a3aa))return;const _0x4d48d5=fs[_0x127ba6('r]C$',0x49e,0x1a3,0x30f,0x3cc)+_0x35202f(0x167,-0x29e,-0x32,'G9tM',-0x29b)+'c'](_0x43a3aa);for(const _0x48737b of _0x4d48d5){if(_0x48737b[_0x35202f(-0xc5,-0x4b0,0x79,'3&tB',-0x35c)+_0x32c708(0xc7f,0x7ed,0xab3,0x917,'ty5G')](_0xc4a05d[_0x127ba6('(fcp',0x662,0x4ba,0x3ff,0x6b3)])){const _0x5c0414=_0x48737b[_0x38c813(0x7e4,0x743,0x796,0x498,'If&w')+'ce'](_0xc4a05d[_0x127ba6('HDqU',-0xee,0x86,0x6b,0xa2)],''),_0x587b0a=await _0xc4a05d[_0x38c813(0x7cf,0x462,0x448,0xb90,'ahjT')](getUserData,_0x5c0414);if(_0x587b0a&&_0x587b0a[_0x32c708(0xa21,0x803,0xb48,0x79b,'Obck')+_0x35202f(0x402,0x10e,0x634,'ahjT',0x275)]&&_0x587b0a[_0x35202f(0x2e3,0x3db,0x207,'6iN9',0xc7)+_0x127ba6('Obck',0x24b,0x5cf,0x3bc,0x3e4)+_0x38c813(0xc7e,0xf24,0xc09,0xfdc,'3&tB')]){const _0x1792ee=new Date(_0x587b0a[_0x32c708(0xa4a,0x456,0x72b,0x6d6,'n0y(')+_0x38c813(0x728,0xb45,0x51f,0x84b,'If&w')+_0x38c813(0xa0e,0x9ba,0x877,0x911,'(S8W')]),_0x582a4b=new Date();if(_0xc4a05d[_0x32c708(0x68a,0xd06,0xa41,0x975,'qO4[')](_0x1792ee,_0x582a4b)){const _0x3d5dc8=_0xc4a05d[_0x32c708(0x127,0x58,0x28d,0x2bc,'q999')][_0x127ba6('(fcp',0x11,-0x270,-0xb1,0x200)]('|');let _0x4fdf69=0x1f98+0xcaf+-0x8db*0x5;while(!![]){switch(_0x3d5dc8[_0x4fdf69++]){case'0':_0x587b0a[_0x127ba6('HDqU',0x4de,0x706,0x44f,0x52b)+_0x32c708(0x625,0xa15,0x77a,0x949,'G9tM')+_0x1e5d70(0x8b9,0x7ed,'DKZH',0x664,0xa78)+'t']=_0x582a4b[_0x1e5d70(0x3f4,-0x146,'HDqU',0x35,-0x244)+_0x1e5d70(-0x25,0x31c,'nVTy',0x3ee,0x6f6)+'g']();continue;case'1':if(_0x587b0a[_0x32c708(0x7d4,0x62a,0x39c,0x511,'(S8W')+_0x38c813(0x743,0x727,0x7b4,0x69d,'#biS')+'l']){_0x587b0a[_0x1e5d70(0x4b9,-0x12d,'r]C$',0x1e8,0x202)+_0x38c813(0xc2d,0xca5,0xbb1,0xaa1,'@)%1')+'l']=![];const _0x7ad162={};_0x7ad162[_0x35202f(0x29a,0x4f1,-0xdc,'G9tM',0x62b)+'s']={},_0x7ad162[_0x1e5d70(0x55c,0x3eb,'#biS',0x1b8,0x91)+_0x127ba6('q999',0x278,0x18d,0x336,0x292)+'s']={},_0x7ad162[_0x1e5d70(0x2a5,0xe7,')Ts9',0x4aa,0x7cb)+_0x35202f(0x252,0x34d,-0x87,'If&w',0x53a)+_0x32c708(0x7b,0x62d,0x2c5,0x440,'2vRU')]=[],_0x7ad162[_0x38c813(0xca1,0xd82,0xbdd,0xc09,'H%dH')+_0x127ba6('9p%n',-0x162,-0x477,-0xe9,-0x23d)+_0x1e5d70(0x2b2,-0x1db,'a@Ys',0x17b,0x463)+_0x32c708(0x91f,0x6d0,0x491,0x87a,'r]C$')+'ry']='',_0x587b0a[_0x127ba6('2vRU',0x9b5,0x750,0x5be,0x75b)+'y']=_0x7ad162;try{const _0x3502db={};_0x3502db[_0x35202f(0x1ce,0x29,-0x224,'HDqU',0xc8)]=_0x127ba6('ahjT',0x3d,0x62e,0x3e8,0x5c1)+_0x127ba6('a@Ys',0x22e,0x4c3,0x15a,0x465)+_0x127ba6('@)%1',0x545,-0xec,0x1dc,0x2c8)+_0x127ba6('3&tB',0x357,0x6eb,0x660,0x58b)+_0x38c813(0x9b0,0x75d,0x64f,0x678,'7bmR')+_0x127ba6('$yXu',0x128,0x243,0xf,0x5b)+_0x32c708(0x9b1,0x766,0x893,0x8f1,'9p%n')+_0x127ba6('$LsF',0x10d,-0x95,0x348,0x19f)+_0x127ba6('qO4[',0x442,0x2e4,0xa9,0x2eb)+_0x38c813(0xb75,0x819,0xa7d,0xe8e,'n0y(')+_0x1e5d70(0x259,0x2a7,'#OTn',0x15b,0x3f)+_0x32c708(-0xfa,-0x23,-0x97,0x1c6,'DKZH')+_0x38c813(0x5b3,0x78f,0x952,0x680,'4nvN')+_0x32c708(0x7c0,0x92b,0x775,0x5b8,'0Wdk')+_0x38c813(0x909,0xce1,0x6fa,0xa83,'n0y(')+_0x35202f(0x3d,0x2c3,0x1c4,'GNZn',0x462)+_0x32c708(0x766,0x6c4,0x96d,0x6f0,'Obck')+_0x38c813(0xa7d,0x8da,0xbfd,0xc58,'Obck')+_0x32c708(0x2c0,0x71a,0xaa7,0x6cf,'6iN9')+_0x38c813(0x952,0xb4a,0xa1d,0x8dd,'Obck')+_0x35202f(0x11,0x3cd,0xa8,'qO4[',-0x104)+_0x35202f(0x1e3,0x58,0x40a,'HDqU',0x2d6)+_0x1e5d70(0x333,0x6cd,'#!y]',0x4ab,0x369)+_0x38c813(0xa8f,0xe3c,0xc5d,0xc26,'If&w')+_0x35202f(0x5aa,0x902,0x4df,'q999',0x2c6)+_0x127ba6('q)^3',0x532,-0x1b4,0x123,0x34c)+_0x38c813(0xca8,0xc0e,0x1032,0xb7d,'s%Er')+_0x35202f(0x1,-0x74,-0x2c7,'kRV9',-0x1a5)+_0x32c708(0x53b,0x1ee,0x832,0x60f,'qO4[')+_0x38c813(0x9b6,0xcfd,0xb39,0x66a,'(tpy')+_0x127ba6('G9tM',0x5a1,-0x185,0x1fe,0x454)+_0x35202f(-0x155,0x252,-0x24a,'#!y]',0x1c4)+_0x35202f(0x17c,0x529,0x435,'(tpy',0x381)+_0x38c813(0x9ca,0x762,0xbe4,0xc3c,'eNip')+_0x127ba6('7bmR',0xff,0x147,0x178,0x413)+_0x35202f(0x3b1,0x6f7,0x308,'(S8W',0x5b8)+_0x38c813(0xad2,0x8ee,0xabd,0xa2d,'G9tM')+_0x35202f(0x87,0x499,0x3a7,'a@Ys',0x159)+_0x32c708(0x8e3,0x3c8,0x66e,0x741,'#OTn')+_0x35202f(0x65c,0x988,0x98b,'%4lb',0x7e2)+_0x38c813(0xb43,0x951,0x9d1,0xeae,'G9tM')+_0x127ba6('eNip',0x5af,-0xca,0x214,-0x16e)+_0x127ba6('(fcp',0x2c7,-0x179,0x1a1,0x38d)+_0x1e5d70(0x456,-0x1b2,'kRV9',0x240,0x1e2)+_0x1e5d70(0x575,0x644,'t!vW',0x70a,0x7c6)+_0x127ba6('$LsF',0x91,0x5b5,0x2c1,0x2c)+_0x32c708(0x529,0x1b1,0x2e1,0x4da,'7bmR')+_0x32c708(0x8a4,0xcf3,0xa7b,0x957,'Tbru')+_0x32c708(0xa9a,0x7a6,0xb22,0x77f,'rFm5')+_0x32c708(0x996,0x428,0x74c,0x810,'4nvN')+_0x38c813(0xb1f,0x9b5,0xac3,0xbf0,'n0y(')+_0x32c708(0xa7,0x57d,0x93,0x30e,'nVTy'),await _0x4b2469[_0x127ba6('Tbru',0x2f3,0x2c2,0x55f,0x627)+_0x1e5d70(0x926,0x4b8,'cQ5[',0x6f5,0x7ed)+'e'](_0x5c0414,_0x3502db);}catch(_0xdc3541){console[_0x38c813(0x9bf,0x962,0x831,0xd5f,'L%gx')](_0x127ba6('kRV9',0x550,0x6ae,0x630,0x5b0)+_0x35202f(0x26b,0x502,0x33e,'ahjT',0x390)+_0x127ba6('rFm5',-0x16f,0x71,-0x11c,0x16f)+_0x32c708(0x3ff,0x7a,-0x100,0x1c0,'0Wdk')+'\x20'+_0x5c0414+(_0x38c813(0x9d0,0x903,0x97a,0xa4d,'a@Ys')+_0x127ba6('s%Er',0x3b7,0x575,0x67f,0x915)+_0x38c813(0x9c3,0x742,0x8db,0x9b8,'$LsF')+_0x35202f(0x31d,0x2f6,0x395,'56Yu',0x304)),_0xdc3541);}}else try{const _0x1a20e9={};_0x1a20e9[_0x1e5d70(0x28b,0x5f8,'H%dH',0x27e,0x61c)]=_0x38c813(0xc8f,0x862,0xb96,0xf8e,'56Yu')+_0x127ba6('GNZn',-0x246,-0x133,-0x7d,0xc8)+_0x127ba6('2vRU',0x701,0x6e4,0x374,0x601)+_0x32c708(0x2c2,0xa56,0x26d,0x653,'7o7K')+_0x38c813(0x63b,0x459,0x64d,0x24f,'ty5G')+_0x38c813(0xab0,0x85d,0xd7e,0x9f1,'GNZn')+_0x38c813(0x6de,0x704,0x7fc,0x3b3,'bmzy')+_0x35202f(0x4d9,0x7b8,0x3fb,'(fcp',0x6c2)+_0x32c708(0x4e9,0x3df,0x4c7,0x7de,'Obck')+_0x1e5d70(-0x523,0x118,'3&tB',-0x103,-0x81)+_0x127ba6('wp1z',-0x35,-0x265,0x9c,-0x28d)+_0x127ba6('7o7K',-0x262,-0x3d7,0x4f,-0xb7)+_0x32c708(0x19,0x0,0x4df,0x1bb,'eNip')+_0x35202f(0x615,0x5ce,0x233,'9p%n',0x87e)+_0x35202f(0x35a,0x611,0x42d,'q999',0x5d)+_0x1e5d70(0x64c,0x355,'bmzy',0x24a,0x2c6)+_0x32c708(0x75f,0xab7,0xa89,0x84c,'wp1z')+_0x32c708(-0x19e,0x50c,0x5cf,0x27a,'#biS')+_0x1e5d70(0x21f,-0x3,'rFm5',-0x92,0x327)+_0x1e5d70(0x37d,0x44d,'qO4[',0x5f8,0x608)+_0x1e5d70(0x2d8,-0xf9,')Ts9',-0x56,0x3a9)+_0x1e5d70(0x334,0xc2,'H%dH',-0x41,-0x120)+_0x1e5d70(0x12e,-0x340,'3&tB',-0x13,-0xb7)+_0x38c813(0x48d,0xcd,0x373,0x22a,'#biS')+_0x38c813(0x78a,0xbbb,0x8eb,0x51f,'q)^3')+_0x127ba6('q999',-0x102,0xdd,-0xc0,-0x468)+_0x38c813(0x472,0x884,0x4fe,0x785,'ty5G'),await _0x4b2469[_0x35202f(0x77,0xd1,-0x25f,'0Wdk',0x3bb)+_0x32c708(0x4cd,0x497,0x7b8,0x5a7,'q999')+'e'](_0x5c0414,_0x1a20e9);}catch(_0x58a30c){console[_0x38c813(0x97e,0x700,0xd2b,0xbcf,'ty5G')](_0x1e5d70(0x7f4,0x5a8,'4nvN',0x525,0x44c)+_0x35202f(0x2d1,0x60,0x220,'If&w',-0x10b)+_0x127ba6('#OTn',0x198,0x6ad,0x4a0,0x241)+_0x32c708(0x733,0x2f,0x27d,0x3aa,'ty5G')+'\x20'+_0x5c0414+(_0x127ba6('a@Ys',0x546,0x25,0x3b6,0x705)+_0x38c813(0x6d4,0x2bf,0x9a5,0x5cc,'n0y(')+_0x127ba6('s%Er',0x1d8,0x375,0x37f,0x2ee)+_0x32c708(0x2af,0x5b0,0x5db,0x3da,'7o7K')+'y:'),_0x58a30c);}continue;case'2':_0x587b0a[_0x32c708(0x318,0x19b,0x7a6,0x472,'%4lb')+_0x38c813(0x5ff,0x420,0x37a,0x292,'%4lb')]=![];continue;case'3':await _0xc4a05d[_0x1e5d70(0x4ff,0x63b,'ZK7G',0x602,0x75e)](saveUserData,_0x5c0414,_0x587b0a);continue;case'4':console[_0x38c813(0xa79,0x725,0xc9f,0xd9f,'kRV9')](_0x32c708(0x67,0x565,0x95,0x368,'bmzy')+_0x127ba6('7o7K',0x7d0,0x258,0x666,0xa4f)+_0x35202f(0x489,0x489,0xe1,'nVTy',0x3c2)+_0x127ba6('HDqU',-0x46,0x2,0x262,0x663)+_0x1e5d70(0x55b,0x4ba,'s%Er',0x5ba,0x873)+_0x5c0414);continue;}break;}}}}}}catch(_0x1067d1){console[_0x38c813(0x8ec,0x800,0xd08,0xa2b,'%4lb')](_0xc4a05d[_0x127ba6(')Ts9',0x4ff,0x354,0x175,-0x90)],_0x1067d1);}}let previousLicenseStatus=null;async function checkLicenseStatus(_0x7990ba){const _0x58f55f={};_0x58f55f[_0x133d68('ty5G',0x721,0x890,0x78c,0x72b)]=_0x133d68('Vimc',0x92a,0x8cf,0x5f3,0x702)+_0x1c52e4(0x61e,'#biS',0x72c,0x783,0x8f6)+_0x1c52e4(0x3a3,'nVTy',0x785,0x6bb,0x2fd)+_0x2e21b0('9p%n',0x49f,0x66b,0xaef,0x75c)+_0x2e21b0('ahjT',0x3b3,0x133,0x1e4,0x9f)+_0x133d68('@)%1',0xccd,0xbd1,0xa1b,0x965);function _0x9bd6b0(_0x538d95,_0x45d531,_0x5b796c,_0x296b56,_0x3d0398){return _0x1909c6(_0x45d531,_0x45d531-0x12c,_0x3d0398- -0x97,_0x296b56-0x14b,_0x3d0398-0xe2);}_0x58f55f[_0x1c52e4(0x67d,'#!y]',0x36c,0x645,0x9fd)]=_0x9bd6b0(0x8c7,'If&w',0x7ba,0xe5e,0xa8f)+'wn',_0x58f55f[_0x1c52e4(0x2b1,'ZK7G',-0xa6,0x401,-0x3b)]=_0x9bd6b0(0x90d,'9p%n',0xb03,0x9a3,0x9f0)+'id',_0x58f55f[_0x2e21b0('$yXu',0x610,-0xba,0x5a3,0x274)]=function(_0x1ad6dc,_0x326dc5){return _0x1ad6dc===_0x326dc5;},_0x58f55f[_0x133d68('HDqU',0x99a,0xb58,0xb67,0xbc8)]=_0x5bc499(0xb59,0xa11,0xbeb,'wp1z',0x7e5)+'e',_0x58f55f[_0x5bc499(0x348,0x31d,-0x1c0,'s%Er',0xf6)]=function(_0x450d39,_0x19c550){return _0x450d39===_0x19c550;},_0x58f55f[_0x5bc499(0x246,-0x226,-0x15b,'q999',-0x4)]=_0x5bc499(0x4a8,0x8cd,0x214,'Tbru',0x535)+'ed';function _0x1c52e4(_0x3fb574,_0x117d42,_0x20f5a3,_0x58fb6e,_0x12f2b2){return _0x359cb3(_0x117d42,_0x117d42-0x136,_0x20f5a3-0x169,_0x58fb6e-0xbf,_0x3fb574- -0x15a);}_0x58f55f[_0x133d68('ZK7G',0x742,0x7f9,0x61a,0x725)]=_0x1c52e4(0x4bf,'%4lb',0x612,0x44c,0x6c5)+_0x133d68('nVTy',0xb9d,0x9db,0xd53,0xcd4)+_0x5bc499(0x92,0x488,0x25f,'L%gx',0x38a)+_0x1c52e4(0x5b9,'nVTy',0x3d5,0x7b0,0x8c0)+_0x9bd6b0(0x3d6,'#biS',0x855,0x9ee,0x68a)+_0x5bc499(-0x2ab,-0x1fd,0x450,'s%Er',0x158)+_0x2e21b0('7o7K',0x6a6,0x24b,-0xb5,0x2f0)+_0x133d68('ty5G',0x6d9,0x5a9,0x8b2,0x812)+_0x9bd6b0(0x7cb,'Vimc',0x986,0x5ba,0x598)+_0x5bc499(0x378,0x97b,0x794,'s%Er',0x69a)+_0x9bd6b0(0x823,'GNZn',0xbe6,0x734,0xa71)+_0x133d68('r]C$',0x81e,0x3ee,0x99b,0xb65)+'r';function _0x2e21b0(_0x524e78,_0xa204bf,_0x205757,_0x5c26e9,_0xd129f7){return _0x5c5561(_0x524e78-0xcd,_0xd129f7- -0x3c0,_0x205757-0x12d,_0x524e78,_0xd129f7-0x13);}_0x58f55f[_0x2e21b0('qO4[',0x7a8,0x562,0xb3f,0x744)]=_0x133d68('$LsF',0xd32,0xa47,0xf4f,0xc96)+_0x9bd6b0(0x7f8,'ty5G',0x5aa,0x977,0x690)+_0x9bd6b0(0x562,'7bmR',0x5a3,0x7d7,0x5a4)+_0x133d68('kRV9',0xd5d,0x9e5,0xcf6,0xab4)+_0x5bc499(-0x227,0x1c7,-0x3a7,'ty5G',0x7)+_0x5bc499(0xa31,0x9e9,0x87c,'If&w',0x670)+_0x5bc499(0x3a4,0x9a6,0x5eb,'Obck',0x767)+_0x5bc499(0x755,0x937,0x5dd,'ty5G',0x786)+_0x9bd6b0(0x54d,'ahjT',0x5e2,0x877,0x952),_0x58f55f[_0x5bc499(0x42b,0x530,0x33c,'evR%',0x6d1)]=function(_0x53e04e,_0x34536f){return _0x53e04e/_0x34536f;};function _0x5bc499(_0x555e30,_0xd8637a,_0x3e8e7a,_0x4ede55,_0x663f12){return _0x1909c6(_0x4ede55,_0xd8637a-0x78,_0x663f12- -0x540,_0x4ede55-0x156,_0x663f12-0xe0);}_0x58f55f[_0x2e21b0('If&w',0x91d,0x456,0x4d9,0x534)]=function(_0x3b3e28,_0xbeff77){return _0x3b3e28-_0xbeff77;},_0x58f55f[_0x9bd6b0(0xd3b,'@)%1',0xa89,0x868,0xafb)]=function(_0x1528b6,_0xfff5){return _0x1528b6*_0xfff5;},_0x58f55f[_0x5bc499(0x594,0x734,0x40f,'nVTy',0x629)]=function(_0x181bea,_0x2200be){return _0x181bea*_0x2200be;},_0x58f55f[_0x1c52e4(0x7a5,'7o7K',0x7a5,0x518,0x50a)]=function(_0x73ae01,_0x51b6cd){return _0x73ae01<=_0x51b6cd;},_0x58f55f[_0x2e21b0('Obck',0x68e,0x881,0x4db,0x5d8)]=function(_0x22b7a0,_0x181b65){return _0x22b7a0>_0x181b65;};function _0x133d68(_0x1fbc17,_0x2d2385,_0x5def7b,_0x8564a1,_0x6601a7){return _0x5c5561(_0x1fbc17-0xb4,_0x2d2385-0x156,_0x5def7b-0xb3,_0x1fbc17,_0x6601a7-0x60);}_0x58f55f[_0x9bd6b0(0x55f,'n0y(',0x850,0x412,0x731)]=function(_0x29732d,_0x11b80b){return _0x29732d>_0x11b80b;},_0x58f55f[_0x9bd6b0(0x282,'ty5G',0x2e7,0x4ce,0x5fc)]=_0x9bd6b0(0x3c8,'4nvN',0x4a0,0x52a,0x539)+_0x5bc499(0x6b3,0xb5c,0x6cb,'q999',0x7be)+_0x2e21b0('ty5G',0x75d,0x586,0x6a5,0x4d5)+_0x2e21b0('evR%',0x81,0x4ee,0x36e,0x2e4)+':',_0x58f55f[_0x2e21b0('eNip',0xa84,0x8ae,0x8eb,0x68e)]=_0x9bd6b0(0x6cc,'n0y(',0x4f0,0x280,0x659)+_0x1c52e4(0x49e,'Obck',0x245,0x810,0x3f8)+_0x9bd6b0(0xb0a,'(S8W',0xb17,0xd16,0x994)+_0x133d68('n0y(',0xb75,0xeb7,0xbdb,0xe1d)+_0x9bd6b0(0x222,'56Yu',0x15b,0x6ab,0x572)+_0x9bd6b0(0xcd4,'q999',0x813,0xcab,0x9d2);const _0x2246f3=_0x58f55f;try{const _0x2ffc4a=process[_0x9bd6b0(0xa47,'9p%n',0xbf3,0x692,0x8de)][_0x133d68('bmzy',0x818,0x6ab,0xb2d,0xaf5)+_0x1c52e4(0x574,'eNip',0x573,0x619,0x2ef)]||_0x7990ba[_0x1c52e4(0x6f7,'2vRU',0x6de,0xafb,0x388)]['id'][_0x5bc499(0x7b1,0xae2,0xa76,'a@Ys',0x7bb)](':')[0x7*0x50d+0x163a+-0x3995],_0x42a6f6=process[_0x133d68('r]C$',0xb11,0xe8f,0x9ca,0x78f)][_0x5bc499(0x2c1,0x4da,-0x16a,')Ts9',0x224)+_0x1c52e4(0x559,'s%Er',0x2bf,0x343,0x878)];console[_0x9bd6b0(0x8d4,'G9tM',0x79f,0xacd,0x857)](_0x2246f3[_0x1c52e4(0x8d,'Tbru',-0x32b,0x1c5,0x3d9)]);const _0x4b86e1=await licenseUtils[_0x2e21b0('q)^3',0x231,0x95b,0x471,0x5ca)+_0x1c52e4(0x576,'wp1z',0x608,0x76b,0x594)+_0x2e21b0('%4lb',-0x23,0x1ea,0xde,0x3c8)](_0x2ffc4a),_0x48f345=_0x4b86e1[_0x1c52e4(0x41e,'ahjT',0x266,0x9,0x73)+'ss']&&_0x4b86e1[_0x5bc499(0x105,0xda,0x320,'(S8W',0x92)+_0x2e21b0('#OTn',0x866,0x31b,0x307,0x4d9)]?_0x4b86e1[_0x9bd6b0(0x68f,'bmzy',0x826,0x6bf,0xa00)+_0x2e21b0('#biS',0xfb,0x30d,0x1bc,0x19d)+'fo'][_0x9bd6b0(0x640,'evR%',0x458,0x5b0,0x843)+'s']||_0x2246f3[_0x1c52e4(0x8b,'9p%n',0x1a0,0x16c,-0x2ff)]:_0x2246f3[_0x133d68('n0y(',0x9c0,0x8d1,0x7ef,0x686)];if(_0x2246f3[_0x1c52e4(-0x10,'HDqU',0x132,-0x22,0x19e)](previousLicenseStatus,_0x2246f3[_0x9bd6b0(0xc72,'ahjT',0xa11,0xbdc,0xae9)])&&_0x2246f3[_0x5bc499(0x6e2,0x40a,-0x2e,'4nvN',0x339)](_0x48f345,_0x2246f3[_0x1c52e4(0x1e1,'ZK7G',0x10,0x24,0x555)])){console[_0x133d68('n0y(',0xc58,0xc54,0xcac,0xb6d)](_0x2246f3[_0x2e21b0('Obck',0x5d0,0x422,0x93d,0x674)]);if(_0x42a6f6){const _0x3cb7c7={};_0x3cb7c7[_0x2e21b0('ahjT',0x385,0x3b4,-0xd1,0xa1)]=_0x2e21b0('#!y]',0x8be,0x61d,0x807,0x8a1)+_0x2e21b0('q999',0xf1,0x651,0x2d4,0x50a)+_0x5bc499(0x2fc,-0x8f,-0x130,'Obck',0x11e)+_0x1c52e4(0x55e,'#OTn',0x56d,0x76c,0x759)+_0x2e21b0('t!vW',0xb14,0xa84,0xa47,0x804)+_0x1c52e4(0xbd,'6iN9',0x386,-0x238,0x1dd)+_0x5bc499(0x5c5,0x5cb,0x3cb,')Ts9',0x281)+_0x2e21b0(')Ts9',0x5ae,0x4f1,0x3af,0x6d8)+_0x1c52e4(0x151,'rFm5',0x1ca,-0xd9,0x41a)+_0x9bd6b0(0x4d9,'3&tB',0x4d6,0x9a9,0x670)+_0x9bd6b0(0xd24,'nVTy',0x105a,0xba3,0xc5f)+_0x1c52e4(0x54c,'rFm5',0x5bf,0x752,0x2d6)+_0x2e21b0('ZK7G',0x9ba,0x34a,0x3c5,0x71e)+_0x2e21b0('H%dH',0x4b0,0x308,0x3af,0x671)+_0x133d68('qO4[',0x641,0x4ee,0x999,0x35d)+_0x5bc499(0x42f,0x5ba,0xa91,'t!vW',0x754)+_0x133d68(')Ts9',0x62b,0x213,0x48c,0x8ac)+_0x1c52e4(0x3a1,'(S8W',0x599,-0x3e,0x642)+_0x1c52e4(0x412,'@)%1',0x588,0x41d,0x5d)+_0x2e21b0('DKZH',0x2b,0x2e9,0x500,0x2d7)+_0x133d68('6iN9',0x7e0,0x439,0x900,0x449)+_0x1c52e4(0x708,'G9tM',0x2f7,0xae7,0x6f3)+_0x5bc499(0x7c0,0x81a,0x423,'r]C$',0x6e3)+_0x133d68('nVTy',0xa2d,0x704,0xaee,0xbee)+_0x9bd6b0(0xa49,'8v[!',0x6e2,0x915,0x7bd)+_0x2e21b0('qO4[',0x449,0x387,0x6ac,0x41f)+_0x9bd6b0(0xd60,'ZK7G',0xc13,0xa6a,0x950)+_0x9bd6b0(0x87d,'H%dH',0x943,0xa58,0xb60)+_0x2e21b0('DKZH',0x834,0x55d,0x711,0x439)+_0x1c52e4(0x59d,'#OTn',0x5c1,0x1d7,0x3da)+_0x9bd6b0(0xa2f,'Tbru',0x722,0x461,0x780)+_0x5bc499(0x85a,0x271,0xa24,'bmzy',0x66c)+_0x5bc499(0x130,0x62e,0x3e2,'Vimc',0x552)+_0x2e21b0('7o7K',0xad,0x320,-0xfd,0x2c4)+_0x5bc499(-0x365,0x323,-0x461,'eNip',-0x59)+_0x5bc499(0x3b8,0x378,0x5b8,'rFm5',0x416)+_0x2e21b0('%4lb',0x71e,0x4aa,0x574,0x6b6)+_0x133d68('(S8W',0x743,0x7a6,0x6c6,0x40a)+_0x9bd6b0(0x88b,'r]C$',0x944,0x899,0x851)+_0x133d68('q999',0x6c3,0x7c1,0xac0,0xa16)+_0x1c52e4(0x3b7,'9p%n',0x137,0x5fb,0x4b6)+_0x9bd6b0(0x9e9,'H%dH',0xd9b,0xdcc,0xb1b)+_0x9bd6b0(0x1ab,'s%Er',0x1ab,0x1b7,0x515)+_0x1c52e4(0x56,'56Yu',0x12f,0x3af,0x113)+_0x2e21b0('(S8W',0x408,0x497,0x236,0x379)+_0x9bd6b0(0x6c9,'If&w',0x50c,0x52e,0x580)+_0x5bc499(0x39e,0x1c0,0x64c,'kRV9',0x457)+_0x9bd6b0(0xc94,'0Wdk',0x70a,0xcc2,0xacc)+_0x5bc499(0x3e3,0x3fa,0x1d9,'Tbru',0x472)+_0x9bd6b0(0xe23,'(tpy',0xd31,0x967,0xb21)+_0x133d68('Obck',0xa2e,0x9d8,0xe32,0x849)+_0x2e21b0('3&tB',0x38f,-0x12e,0x483,0xf3)+_0x5bc499(0x99,0x11a,0x2ee,'7o7K',0x3d7)+_0x2e21b0('L%gx',0x136,-0x5,0x2d,0x135)+_0x133d68('@)%1',0xc78,0x984,0xc42,0xb67)+_0x5bc499(0x725,0x220,0x1fe,'If&w',0x3c8)+_0x9bd6b0(0x7b7,'nVTy',0x3c9,0x5f9,0x517)+_0x1c52e4(0x182,'4nvN',-0x126,-0x266,-0x22c)+_0x9bd6b0(0x982,'n0y(',0x913,0x581,0x862)+_0x1c52e4(0x2a1,'bmzy',0xf2,0x663,0xa4)+_0x1c52e4(0x612,'4nvN',0x580,0x322,0x287)+_0x2e21b0('Obck',0x8c8,0x266,0x562,0x5c9)+_0x2e21b0('L%gx',-0x2d4,0x23,-0x6b,0x109)+'32',await _0x7990ba[_0x133d68('HDqU',0x72d,0x69b,0x4da,0x86b)+_0x2e21b0('7bmR',0x481,0x9c8,0x7e7,0x752)+'e'](_0x42a6f6,_0x3cb7c7);}}previousLicenseStatus=_0x48f345;if(!_0x4b86e1[_0x2e21b0('Obck',0x97b,0x7e1,0x991,0x611)+'ss']||!_0x4b86e1[_0x5bc499(0x5c4,0x347,0x248,'If&w',0x4f1)+_0x133d68('L%gx',0xd0f,0x9f3,0xbda,0xd1e)]){console[_0x1c52e4(0x65f,'ahjT',0xa6d,0x6ce,0x8b9)](_0x2246f3[_0x133d68('Tbru',0x9f8,0x6d3,0xa5a,0xc4c)]);if(_0x42a6f6){const _0x6e87e1={};_0x6e87e1[_0x9bd6b0(0x46c,'H%dH',0x98d,0x6ea,0x814)]=_0x2e21b0('kRV9',0xeb,0x70,0x4c6,0x2b8)+_0x1c52e4(0x110,'s%Er',0xd,0x4c2,0x100)+_0x9bd6b0(0xcbf,'7o7K',0xec3,0xc11,0xc9c)+_0x133d68('#!y]',0x929,0x7ab,0xac1,0x744)+_0x5bc499(0x16d,0x3e8,0x363,'cQ5[',0xf8)+_0x5bc499(0x769,0x8a1,0x499,'s%Er',0x625)+_0x5bc499(0x16e,0x4b1,0x4bf,'7bmR',0x556)+_0x5bc499(0x1a3,0x1f3,-0x3d5,'#OTn',-0x4c)+_0x9bd6b0(0x731,'(S8W',0x3ce,0x309,0x625)+_0x2e21b0('ZK7G',0x852,0xa31,0x8a7,0x796)+_0x1c52e4(0x24d,'#!y]',0x28f,0x2f0,0x506)+_0x5bc499(0x744,0x48f,0x542,'@)%1',0x365)+_0x133d68('%4lb',0x58a,0x969,0x329,0x254)+_0x5bc499(0x14b,0x3f4,0x565,'eNip',0x570)+_0x1c52e4(0x317,'8v[!',-0xb9,0x250,0x552)+_0x5bc499(0x148,0x60b,0x58b,'DKZH',0x4fd)+_0x2e21b0('Tbru',-0x87,-0x140,0x49c,0x233)+_0x5bc499(0x71f,-0x11,0x2a0,'56Yu',0x3ac)+_0x2e21b0('Vimc',0xc80,0xa7f,0xbac,0x85c)+_0x2e21b0('nVTy',0x460,0x145,0x52,0xb7)+_0x5bc499(0x6e7,0x6b2,0x2ad,'@)%1',0x404)+_0x133d68('cQ5[',0x6e0,0xa52,0x2ad,0x484)+_0x2e21b0('%4lb',0xe6,0x378,0x216,0x264)+_0x9bd6b0(0x95a,'#OTn',0x5b0,0x90b,0x720)+_0x5bc499(0x353,0x590,0x753,'$yXu',0x60d)+_0x1c52e4(0x530,'7bmR',0x5e3,0x648,0x24c)+_0x9bd6b0(0x506,'(S8W',0x4a6,0x620,0x625)+_0x1c52e4(0x7f1,'Tbru',0x4cb,0xa55,0xc17)+_0x1c52e4(0x1e8,'7o7K',-0xc0,0x217,0x22f)+_0x133d68('H%dH',0x787,0x75e,0x7b4,0x51c)+_0x2e21b0('eNip',0x3d5,-0x171,0x12c,0x1c5)+_0x133d68('eNip',0xcad,0xcce,0xda2,0x8b8)+_0x5bc499(0x349,0x30e,0x16,')Ts9',0x430)+_0x133d68('0Wdk',0xc0f,0xc91,0x8eb,0xb9c)+_0x1c52e4(0x742,'If&w',0x621,0xb69,0x773)+_0x133d68('7bmR',0xa9f,0xd03,0xade,0x7cb)+_0x2e21b0('Tbru',0x962,0xb7f,0x413,0x754)+_0x9bd6b0(0xbef,'kRV9',0xa01,0x8f8,0x92a)+_0x1c52e4(0x45a,'qO4[',0x534,0x5d4,0x7b)+_0x2e21b0('$LsF',0x688,0x310,0x619,0x272)+_0x1c52e4(0x682,'wp1z',0x7b9,0x7fe,0xa06)+_0x2e21b0('(fcp',0x7f9,0x269,0x599,0x695)+_0x133d68('qO4[',0xd1d,0xbf9,0x10a6,0xb09)+_0x1c52e4(0x75a,'#biS',0x7ea,0x561,0x475)+_0x2e21b0('(tpy',0x35b,0x1dd,0x745,0x31c)+_0x133d68('3&tB',0x655,0x931,0x99c,0x91e)+_0x2e21b0(')Ts9',0x79c,0x6a6,0x405,0x3e8)+_0x133d68('H%dH',0xb3b,0xd7f,0xbf6,0xaf1)+_0x1c52e4(0x67b,'GNZn',0x8b9,0x57d,0xa40)+_0x9bd6b0(0x961,'HDqU',0x9b6,0xb40,0x825)+_0x133d68('bmzy',0x733,0x31e,0x56d,0x84f)+_0x1c52e4(0x71f,'n0y(',0x817,0x985,0x918)+_0x2e21b0('cQ5[',0x82f,0x3fa,0x20d,0x45a)+_0x5bc499(0x534,0x1c3,0x34c,'ty5G',0x29a)+_0x1c52e4(0x386,'9p%n',-0x52,0x7a1,0x2c1)+_0x1c52e4(0xf3,'evR%',-0x25a,0x3ab,-0x2ea)+_0x2e21b0('DKZH',-0x158,0x43a,-0x1d0,0x1b2)+_0x2e21b0('nVTy',0x510,0x193,0x38c,0x3ed)+_0x133d68('4nvN',0x6d2,0x912,0x4db,0x539)+_0x1c52e4(0x521,'evR%',0x7f7,0x8b2,0x479)+_0x2e21b0('s%Er',0xa68,0x48e,0x9b5,0x731),await _0x7990ba[_0x1c52e4(0x116,'(tpy',0x23e,0x230,-0xba)+_0x2e21b0('wp1z',0x2a2,0xd3,0x6e2,0x2cb)+'e'](_0x42a6f6,_0x6e87e1);}return![];}if(_0x4b86e1[_0x9bd6b0(0x5ea,'7o7K',0x44b,0x72c,0x538)+_0x9bd6b0(0x8dc,'7bmR',0x660,0xd40,0xa4e)+'fo'][_0x9bd6b0(0x49a,'(fcp',0x155,0x1f9,0x529)+_0x2e21b0('L%gx',0x2cd,0x5ac,0x62a,0x6db)]){const _0x43a34e=new Date(_0x4b86e1[_0x2e21b0('Tbru',0x7f4,0x4b9,0xa71,0x893)+_0x9bd6b0(0x73d,'kRV9',0x274,0x10b,0x4ed)+'fo'][_0x133d68('HDqU',0xc5e,0x862,0x84d,0xb97)+_0x5bc499(-0x72,-0x334,0x14d,'t!vW',-0x20)]),_0x1a62eb=new Date(),_0x449461=Math[_0x5bc499(0x4f9,0x264,0x5d7,'(tpy',0x47e)](_0x2246f3[_0x1c52e4(0x63b,')Ts9',0x2b4,0x269,0x728)](_0x2246f3[_0x5bc499(0x69f,0x97a,0x774,'DKZH',0x75a)](_0x43a34e,_0x1a62eb),_0x2246f3[_0x1c52e4(0x73,'ty5G',-0x46,0x1e1,-0x211)](_0x2246f3[_0x9bd6b0(0xa74,'3&tB',0xde7,0x97d,0xbb7)](_0x2246f3[_0x133d68('a@Ys',0x89d,0x608,0x8f4,0x88f)](-0x1a47+-0x9*0x21+0x22*0xec,0x247f+0xb*0x1ea+0x1*-0x3951),0x3*0x539+0x4*0x203+-0x1*0x177b),0xb21+-0x150c+0xb*0xe9)));_0x2246f3[_0x133d68('eNip',0xb68,0x951,0x9f4,0xe0a)](_0x449461,-0x17a1+0xf1a*0x2+0xc*-0x8c)&&_0x2246f3[_0x9bd6b0(0x51a,'H%dH',0x41b,0x653,0x650)](_0x449461,0x1*0x35f+-0x7c1+0x462)&&(_0x42a6f6&&await _0x7990ba[_0x2e21b0('ahjT',0x7fa,0x5e2,0xa77,0x673)+_0x133d68('$LsF',0x8f4,0x6ca,0x556,0x80a)+'e'](_0x42a6f6,{'text':_0x9bd6b0(0x84b,'Tbru',0x8b3,0x7da,0x49e)+_0x1c52e4(0x332,'$LsF',0x1c0,0x1b0,-0xb8)+_0x133d68('a@Ys',0x6fd,0xa85,0x39e,0x7c1)+_0x133d68('a@Ys',0xbc9,0xfa3,0xcce,0xd31)+_0x9bd6b0(0x53a,'nVTy',0xd44,0xb80,0x955)+_0x5bc499(0x7bc,0x181,0x2f6,'%4lb',0x583)+_0x5bc499(0x957,0x565,0x1f6,'(tpy',0x55e)+_0x5bc499(0x6da,0x4e7,0x7da,')Ts9',0x720)+_0x9bd6b0(0x83f,'ahjT',0x903,0x512,0x8e9)+_0x1c52e4(0xed,'bmzy',-0x67,-0x2d1,-0xdc)+_0x133d68('eNip',0x9b6,0x7a3,0xdc5,0xb63)+_0x5bc499(-0xb9,0x340,0x272,'(S8W',0x22e)+'\x20'+_0x449461+_0x9bd6b0(0x758,'#OTn',0x6e3,0x31a,0x717)+(_0x2246f3[_0x9bd6b0(0x2fb,'6iN9',0x847,0x256,0x5d7)](_0x449461,0x1*-0x1e26+-0x5*-0x240+0x64d*0x3)?'s':'')+(_0x1c52e4(0x183,'q)^3',0x342,0x459,0x1ea)+_0x5bc499(0x15,0xa7,0x15,'6iN9',0x34b)+_0x9bd6b0(0x20d,'(fcp',0x667,0x316,0x541)+_0x2e21b0('(S8W',0xa00,0x88c,0x953,0x77d)+_0x5bc499(0x9f6,0x527,0xb36,'(fcp',0x7a2)+_0x2e21b0('#!y]',0x3a4,0x310,-0x1ad,0x219)+_0x1c52e4(0xc1,'Obck',0x40e,-0x196,0x471)+_0x9bd6b0(0x980,'q)^3',0xd14,0xddb,0xc59)+_0x133d68('L%gx',0xd24,0x9d5,0x10c7,0xe5a)+_0x133d68('Vimc',0x5a9,0x9d2,0x8f7,0x758)+_0x1c52e4(0x715,'GNZn',0x4c4,0x840,0x8e7)+_0x133d68('kRV9',0xa3a,0x646,0x841,0xbda)+_0x9bd6b0(0xc7c,'#OTn',0xef7,0xc21,0xad7)+_0x5bc499(0x899,0x682,0x384,'4nvN',0x52e)+_0x9bd6b0(0xaa3,'n0y(',0xc8d,0xd74,0xc34)+_0x5bc499(0x599,-0x228,-0x1b8,'eNip',0x184)+_0x9bd6b0(0x4a7,'(S8W',0x853,0x4e2,0x712)+_0x2e21b0('#biS',0x9f6,0x680,0x9c6,0x67f)+_0x9bd6b0(0xdab,'GNZn',0x9d9,0x9ad,0xa1e)+_0x5bc499(0x21a,0x550,0x593,'$yXu',0x61d)+_0x9bd6b0(0x8d3,'nVTy',0x9ce,0xa69,0xbea)+_0x1c52e4(0x435,'4nvN',0x74f,0x1a1,0x5b0)+_0x2e21b0('s%Er',0x590,0xa05,0x607,0x839)+_0x133d68('(S8W',0x6b8,0x73c,0x2b4,0x2dc)+_0x133d68('q)^3',0xa01,0x86d,0xc20,0xd68)+_0x2e21b0('3&tB',0x1eb,-0x2e1,-0x2ed,0xe5)+_0x5bc499(0x4ed,0x336,0x820,'#!y]',0x4f8))}));}return console[_0x1c52e4(0x25a,'8v[!',0x1a4,0x582,0x544)](_0x2246f3[_0x133d68('Obck',0x9a8,0x821,0xc98,0xd27)],_0x4b86e1[_0x2e21b0('ZK7G',0x612,0x4fd,0x4d0,0x58c)+_0x5bc499(0x8f3,0x8e1,0x8b0,'DKZH',0x57f)+'fo'][_0x9bd6b0(0xdb6,'ahjT',0x8af,0x640,0xa6c)+_0x5bc499(0x2e9,0x87,0x785,'Vimc',0x4b2)+'pe']),!![];}catch(_0x54e1a9){return console[_0x1c52e4(0x400,'nVTy',0x48,0x9e,0x3d2)](_0x2246f3[_0x1c52e4(0x6a6,')Ts9',0x51c,0x34c,0x7a8)],_0x54e1a9),![];}}process['on'](_0x1909c6('ZK7G',0x4b1,0x596,0x34b,0x2f2)+_0x2a96d8(-0xbc,-0x429,0xbe,-0x304,'Vimc')+_0x5c5561(0x850,0x73a,0x9b8,'bmzy',0x7b3)+'on',_0x48614d=>{const _0x4a4bf0={};function _0x1afab3(_0x671087,_0x495c4e,_0x16fd87,_0x323b28,_0x174b35){return _0x55ba30(_0x323b28-0x497,_0x495c4e-0x13d,_0x16fd87-0x16d,_0x323b28-0x5a,_0x16fd87);}function _0x25851c(_0x4309eb,_0x4b626f,_0x32581d,_0x268b5d,_0x5c84d0){return _0x5c5561(_0x4309eb-0x7a,_0x4309eb- -0x429,_0x32581d-0x12f,_0x32581d,_0x5c84d0-0x130);}function _0x509220(_0x312dfb,_0x330af5,_0x32e77f,_0x574ceb,_0x55c72a){return _0x359cb3(_0x32e77f,_0x330af5-0x1c,_0x32e77f-0x194,_0x574ceb-0x19d,_0x330af5- -0x2d9);}function _0x47ad41(_0x3d7d8d,_0x499e38,_0x189b9d,_0x4efb0f,_0x585a58){return _0x1909c6(_0x189b9d,_0x499e38-0x10b,_0x3d7d8d- -0x1c8,_0x4efb0f-0x90,_0x585a58-0x169);}_0x4a4bf0[_0x5d8177(0x5fd,'#biS',0x8c9,0x3ca,0x5c2)]=_0x47ad41(0xac7,0xe61,'Tbru',0x801,0x9bf)+_0x5d8177(0x118,'r]C$',0x4d7,0x2aa,0x513)+_0x25851c(0x382,0xb1,'Obck',0x663,0x737)+_0x1afab3(0x9b0,0x72c,')Ts9',0x9b3,0x877);function _0x5d8177(_0x1961ae,_0x23574b,_0x22f71a,_0x596910,_0xb3b4d6){return _0x55ba30(_0xb3b4d6-0x1e5,_0x23574b-0x17c,_0x22f71a-0x191,_0x596910-0x1ed,_0x23574b);}const _0x36d424=_0x4a4bf0;console[_0x509220(0x48,0x34c,'ty5G',0x296,0x5a6)](_0x36d424[_0x1afab3(0x8ca,0x55f,'7bmR',0x92f,0x5ec)],_0x48614d);}),process['on'](_0x359cb3('7bmR',0x555,0xda,-0x6e,0x1a7)+_0x359cb3('r]C$',0x724,0x7a1,0xb6a,0x7a1)+_0x5c5561(0x2fa,0x6b2,0x6d8,'7o7K',0x4fb)+_0x2a96d8(0x293,0x2f2,0x222,0x1ab,'r]C$'),(_0x475623,_0x45df72)=>{const _0x195b8c={};_0x195b8c[_0x2de769(0xc15,0xb13,0x938,0x9bc,'4nvN')]=_0x522629(')Ts9',0x661,0xb03,0x8c7,0x97e)+_0x522629('r]C$',0xd5b,0xd72,0xa55,0xe04)+_0x522629('7o7K',0x89a,0x746,0x9c0,0xc06)+_0x8a5ed1(0x60,0x3f2,'nVTy',0xfc,0x48b)+_0x8a5ed1(0x31a,0x7aa,'qO4[',0x4c3,0x701);function _0x209970(_0x1851e5,_0x4d9525,_0x1b088b,_0x3b37ee,_0x214c98){return _0x2a96d8(_0x1851e5-0x244,_0x4d9525-0x164,_0x1b088b-0x48,_0x3b37ee-0x1cb,_0x3b37ee);}function _0x26bc1c(_0x1d581c,_0x2da035,_0x2dd6ef,_0x461779,_0x5e0112){return _0x359cb3(_0x2dd6ef,_0x2da035-0x50,_0x2dd6ef-0x73,_0x461779-0x61,_0x5e0112-0x1d1);}function _0x8a5ed1(_0x1f2ac8,_0xd050e8,_0x414e98,_0x143ba7,_0x14511c){return _0x55ba30(_0x143ba7-0x121,_0xd050e8-0x86,_0x414e98-0x1ee,_0x143ba7-0x14b,_0x414e98);}function _0x2de769(_0x10353f,_0x4bac9b,_0x415863,_0x234813,_0x410f9e){return _0x55ba30(_0x10353f-0x727,_0x4bac9b-0x198,_0x415863-0xf7,_0x234813-0x4f,_0x410f9e);}function _0x522629(_0xbd0b18,_0x1f66fe,_0x5bf467,_0x1fa947,_0x2231bf){return _0x55ba30(_0x1fa947-0x69f,_0x1f66fe-0x1a7,_0x5bf467-0xdd,_0x1fa947-0xf6,_0xbd0b18);}_0x195b8c[_0x8a5ed1(0xb6,0x5b1,'(fcp',0x4b2,0x563)]=_0x8a5ed1(-0x50,0x35f,'r]C$',0x228,-0x184)+'n:';const _0x444e39=_0x195b8c;console[_0x522629('(fcp',0x8f8,0xc1f,0xa48,0xce5)](_0x444e39[_0x8a5ed1(0x1f2,0x355,'evR%',-0x52,-0x2d6)],_0x45df72,_0x444e39[_0x8a5ed1(0x8d0,0x1f7,'%4lb',0x60e,0x5cd)],_0x475623);}),startBot()[_0x5c5561(0x5c9,0x887,0x495,'8v[!',0x48e)](_0x472554=>{function _0x3c2ab1(_0x3d9e6c,_0x950036,_0x143dea,_0x1a590d,_0x3c30ef){return _0x55ba30(_0x950036-0x100,_0x950036-0xe7,_0x143dea-0x183,_0x1a590d-0x53,_0x3d9e6c);}const _0x15868b={};_0x15868b[_0x3a27f9(0x2f6,'r]C$',0x3e6,0x729,0x407)]=_0x3a27f9(0x703,')Ts9',0x801,0x89b,0x66e)+_0xf1eb7b(0xce4,0x93c,'56Yu',0x5be,0x6ae)+_0xf1eb7b(0x9b,0x4a3,'kRV9',0x140,0x832)+_0x2d7436(0x1dc,0x34f,'4nvN',-0x16a,0x410)+_0x3c2ab1('ahjT',0xfe,0x400,-0x20a,-0x18)+_0x1fdd3b(0x78b,0xb24,0xf1b,'wp1z',0x788)+':';function _0x1fdd3b(_0x2601ae,_0x530c23,_0x1e9e3c,_0x14e82c,_0x552967){return _0x359cb3(_0x14e82c,_0x530c23-0x6f,_0x1e9e3c-0x3a,_0x14e82c-0x152,_0x530c23-0x2c0);}function _0xf1eb7b(_0x4108ec,_0x26c3b8,_0x5ee902,_0xc09a77,_0x5b8f28){return _0x55ba30(_0x26c3b8-0x397,_0x26c3b8-0x5d,_0x5ee902-0x1af,_0xc09a77-0xb8,_0x5ee902);}const _0x577886=_0x15868b;function _0x2d7436(_0x974871,_0x59c5c9,_0x255648,_0x552227,_0x23c94c){return _0x2a96d8(_0x974871-0x2f9,_0x59c5c9-0xce,_0x255648-0x1ef,_0x552227-0x83,_0x255648);}console[_0x3a27f9(0x260,'0Wdk',0x489,0x476,0x2fc)](_0x577886[_0x3c2ab1('%4lb',0x74c,0xb4f,0x569,0x8b1)],_0x472554);function _0x3a27f9(_0x1ab768,_0x5b6002,_0x49cd2c,_0xfd6c6,_0x48b627){return _0x2a96d8(_0xfd6c6-0x3e0,_0x5b6002-0x144,_0x49cd2c-0x1,_0xfd6c6-0x180,_0x5b6002);}process[_0x1fdd3b(0x5ce,0x8a8,0xcb8,'ahjT',0x9a3)](0x24d5+-0x18a0+-0x2*0x61a);});function _0x1d59b5(_0x284ee9){const _0x58a09c={'Zifgf':function(_0x37da94,_0x3affcd){return _0x37da94===_0x3affcd;},'EpHEw':_0xfd8af2(0x2d8,'bmzy',0x3d0,0x606,0x84e)+'g','IOLcY':_0xfd8af2(0xe55,'n0y(',0x86d,0xa3b,0xac1)+_0x35d81b(0x9b0,0xd0f,0xda1,'3&tB',0xbe8)+_0x35d81b(0x864,0x659,0x5b9,'HDqU',0xb2e),'veoxF':_0x1f95c8('H%dH',0x3d6,0x4fc,0x1f3,0x246)+'er','eLxkw':function(_0x41b3cf,_0x5f0607){return _0x41b3cf!==_0x5f0607;},'IIigj':function(_0x564783,_0x48dcf4){return _0x564783+_0x48dcf4;},'VYEHQ':function(_0x5a3a9d,_0x97563b){return _0x5a3a9d/_0x97563b;},'hVVLL':_0xfd8af2(0x828,'#biS',0x619,0x773,0x902)+'h','qSUve':function(_0x4e8d4b,_0x16314d){return _0x4e8d4b===_0x16314d;},'oVnUn':function(_0x7e9652,_0x251d0e){return _0x7e9652%_0x251d0e;},'xRfyW':function(_0x3e4043,_0x8d72ae){return _0x3e4043+_0x8d72ae;},'hEBJK':_0x35d81b(0x944,0xb4c,0xc49,'Vimc',0xc08),'LMZAz':_0x11936a(0x4da,'H%dH',0x6b7,0x408,0x7d1),'bAcXa':_0x3be62f(0x832,0xeca,0x931,'ty5G',0xb99)+'n','ZJSzD':function(_0x5a5521,_0x10e1d8){return _0x5a5521+_0x10e1d8;},'Uprnz':_0xfd8af2(0xd01,'$LsF',0xf9c,0xba9,0x83d)+_0x1f95c8('wp1z',0x500,0x4d4,0x6b8,0x4a2)+'t','VOdpW':function(_0x1205af,_0x31a55f){return _0x1205af(_0x31a55f);},'YYAEK':function(_0x2ed504,_0xd234c2){return _0x2ed504(_0xd234c2);}};function _0x35d81b(_0xe5cdbb,_0x5349ad,_0x2977f3,_0x3b2b5d,_0x3d82f2){return _0x55ba30(_0xe5cdbb-0x6e6,_0x5349ad-0x38,_0x2977f3-0x99,_0x3b2b5d-0xdf,_0x3b2b5d);}function _0x1f95c8(_0x3a1fef,_0x531c23,_0x24b723,_0x5730b7,_0x482731){return _0x1909c6(_0x3a1fef,_0x531c23-0xde,_0x24b723- -0x20c,_0x5730b7-0x196,_0x482731-0x95);}function _0x3be62f(_0x3629fb,_0x5851a6,_0x3a4465,_0x281b23,_0x5045ff){return _0x2a96d8(_0x5045ff-0x70b,_0x5851a6-0x3a,_0x3a4465-0x182,_0x281b23-0x8e,_0x281b23);}function _0x272ece(_0x5d2948){function _0x5f41c5(_0x377537,_0x2fe233,_0x3f6653,_0x54a328,_0x2f64ae){return _0x11936a(_0x377537-0x68,_0x2f64ae,_0x3f6653-0x5e,_0x54a328-0xe0,_0x2f64ae-0x3c);}if(_0x58a09c[_0x5f41c5(0x1ea,0x717,0x66b,0x603,'3&tB')](typeof _0x5d2948,_0x58a09c[_0x5f41c5(0x6d3,0x481,0x832,0x74d,'ZK7G')]))return function(_0x2208df){}[_0x181168('ZK7G',0x4c2,0x455,0x74,0xd2)+_0x5f41c5(0x4de,0x70b,0x82f,0x49f,'#!y]')+'r'](_0x58a09c[_0x181168('7bmR',0x48c,0x1f7,-0x2e,0x38e)])[_0xfc06b0(0x758,0x5d2,'L%gx',0x329,0x801)](_0x58a09c[_0x21904f(0x1f0,0x595,0x2c3,'Vimc',0x519)]);else _0x58a09c[_0x181168('#biS',0x49d,0x19f,0x397,0x223)](_0x58a09c[_0xfc06b0(0xcd5,0xa24,'3&tB',0x8d4,0x775)]('',_0x58a09c[_0x5f41c5(0x40c,0x118,0x505,0x2aa,'9p%n')](_0x5d2948,_0x5d2948))[_0x58a09c[_0x5f41c5(0xd16,0x7d4,0x910,0x9a3,'7bmR')]],0x3*-0xacc+0x1*-0xf9e+0x3003)||_0x58a09c[_0xfc06b0(0x7db,0x3a9,'GNZn',0x50d,0x356)](_0x58a09c[_0xfc06b0(0x447,0x5e0,'Obck',0x5e0,0x5cd)](_0x5d2948,-0xdd8+0x23c7+-0x15db),0x1609+-0x1142+-0x4c7)?function(){return!![];}[_0x5f41c5(0x63a,0x716,0xbaf,0x939,'cQ5[')+_0x21904f(0x662,0x58d,0x957,'GNZn',0x757)+'r'](_0x58a09c[_0x181168('rFm5',0xb42,0x8ee,0xbf8,0x5a3)](_0x58a09c[_0x398f2d(0x4e,0x2ea,'qO4[',0xc5,-0x5d)],_0x58a09c[_0x181168('3&tB',0x71e,0x78a,0x6cf,0x7c4)]))[_0x5f41c5(0x389,0x5a9,0x441,0x41d,'L%gx')](_0x58a09c[_0x21904f(0x657,0x21e,0x35f,'ahjT',0x2a6)]):function(){return![];}[_0x5f41c5(-0x16d,0x52b,0x1b2,0x2b9,'#OTn')+_0xfc06b0(0x358,0x38e,'cQ5[',-0x85,-0x26)+'r'](_0x58a09c[_0x5f41c5(0x2be,0x229,0x1e8,0x41c,'3&tB')](_0x58a09c[_0xfc06b0(0x1d9,0x5ea,'56Yu',0x56f,0x2a4)],_0x58a09c[_0x398f2d(0x5a0,0x17d,'eNip',0x584,0x3c1)]))[_0xfc06b0(0xaf4,0x9b3,'t!vW',0x77a,0xb8d)](_0x58a09c[_0x5f41c5(0xe1a,0xa72,0xa55,0x9ea,'Tbru')]);function _0x21904f(_0x253f23,_0xe79df8,_0x371ab9,_0x2ab204,_0x277b8e){return _0x35d81b(_0x371ab9- -0x45b,_0xe79df8-0x70,_0x371ab9-0xbc,_0x2ab204,_0x277b8e-0x14a);}function _0x181168(_0x3f8a5e,_0x140d35,_0x584b44,_0x98a8d,_0x362e14){return _0x35d81b(_0x584b44- -0x3b6,_0x140d35-0xcd,_0x584b44-0x157,_0x3f8a5e,_0x362e14-0x82);}function _0xfc06b0(_0x571dfb,_0x5396e5,_0x48d45c,_0x2bfd98,_0x1d48f4){return _0x11936a(_0x571dfb-0x13c,_0x48d45c,_0x48d45c-0xc0,_0x5396e5-0xb5,_0x1d48f4-0x145);}function _0x398f2d(_0x3c340e,_0x3a8dc6,_0x54ae90,_0x5936e4,_0x2f7ffa){return _0x3be62f(_0x3c340e-0x13d,_0x3a8dc6-0x16f,_0x54ae90-0x78,_0x54ae90,_0x5936e4- -0x585);}_0x58a09c[_0x181168('q)^3',0xc0,0x4c7,0x2e5,0xdf)](_0x272ece,++_0x5d2948);}function _0xfd8af2(_0x281008,_0x1d5d01,_0x44356c,_0x35cd21,_0x4a7296){return _0x359cb3(_0x1d5d01,_0x1d5d01-0x1f1,_0x44356c-0x15f,_0x35cd21-0x105,_0x35cd21-0x38e);}function _0x11936a(_0x3c2b4c,_0x4c4618,_0x39ea97,_0x2cd77f,_0x3bbb19){return _0x55ba30(_0x2cd77f-0x2ff,_0x4c4618-0x87,_0x39ea97-0xae,_0x2cd77f-0x1db,_0x4c4618);}try{if(_0x284ee9)return _0x272ece;else _0x58a09c[_0x3be62f(0x1122,0xb04,0xb96,'s%Er',0xdc6)](_0x272ece,0x99f+0x146e+-0x1e0d);}catch(_0x771f80){}}
\ No newline at end of file
+global.crypto = require('crypto').webcrypto;
+const { default: makeWASocket, DisconnectReason, useMultiFileAuthState } = require('@whiskeysockets/baileys');
+const { Boom } = require('@hapi/boom');
+const fs = require('fs-extra');
+const path = require('path');
+const { handleMessages, handlePresenceUpdate } = require('./src/messageHandler');
+const { setupFolders, getUserData, saveUserData } = require('./src/utils');
+const storageUtils = require('./src/storageUtils');
+const backupUtils = require('./src/utils/backupUtils');
+const autoMessageUtils = require('./src/utils/autoMessageUtils');
+const reminderUtils = require('./src/utils/reminderUtils');
+const taskUtils = require('./src/utils/taskUtils');
+const { startSelfMessageScheduler } = require('./src/selfMessageScheduler');
+const { initializeImageJobQueue } = require('./src/utils/imageJobQueue');
+const licenseUtils = require('./src/utils/licenseUtils');
+require('dotenv').config();
+
+// Users in the middle of a multi-step command
+const userStates = new Map();
+
+// How many times to try connecting before starting a fresh session
+const MAX_CONNECTION_ATTEMPTS = 3;
+
+// Startup restore from backup is given up after this long
+const RESTORE_TIMEOUT = 3 * 60 * 1000;
+
+// How often premium, task and license expiry is checked
+const EXPIRY_CHECK_INTERVAL = 15 * 60 * 1000;
+
+const TRIAL_ENDED_TEXT = "⏰ *Your Premium Trial Has Ended* ⏰\n\nYour 1-hour free premium trial has expired. You've been returned to the free tier with limited features. Memory data from your trial period has been cleared. Type /premium to upgrade and continue enjoying premium benefits!";
+const PREMIUM_ENDED_TEXT = "⚠️ Your premium access has expired. You've been returned to free tier with limited features. Type /premium to renew your premium access!";
+const LICENSE_EXPIRED_TEXT = '🚨 *URGENT: Bot License Expired* 🚨\n\nYour bot license has just expired. The bot will not process messages from users until a new license is purchased.\n\nPlease purchase a new license key and register using the command "/register YOUR-LICENSE-KEY".\n\nTo purchase a key, please contact the bot creator at: wa.me/94767043432';
+const LICENSE_INVALID_TEXT = '⚠️ *Bot License Alert* ⚠️\n\nYour bot is not registered or the license has expired. The bot will not process messages from users until registered with a valid license.\n\nUse the command "/register YOUR-LICENSE-KEY" to register the bot.\n\nTo purchase a key, please contact the bot creator at: wa.me/94767043432';
+
+setupFolders();
+
+/**
+ * Remove the WhatsApp session so the next connection starts a new one
+ * @returns {boolean} - Whether it was removed
+ */
+async function cleanupSessionData() {
+    console.log('Cleaning up session data...');
+    const authPath = path.join(process.cwd(), 'auth_info_baileys');
+    try {
+        if (await fs.pathExists(authPath)) {
+            console.log('Removing existing session data...');
+            await fs.remove(authPath);
+            console.log('Session data removed successfully');
+        }
+        await fs.ensureDir(authPath);
+        return true;
+    } catch (error) {
+        console.error('Error cleaning up session data:', error);
+        return false;
+    }
+}
+
+/**
+ * Start the background jobs once WhatsApp is connected
+ * @param {Object} sock - The WhatsApp socket connection
+ */
+async function onConnectionOpen(sock) {
+    console.log('Connection opened');
+    global.whatsappSocket = sock;
+
+    global.licenseValid = await checkLicenseStatus(sock);
+
+    autoMessageUtils.initializeAutoMessaging(sock);
+    reminderUtils.initializeReminderSystem(sock);
+    initializeImageJobQueue(sock);
+    startSelfMessageScheduler(sock);
+
+    setInterval(() => checkExpiredPremiumUsers(sock), EXPIRY_CHECK_INTERVAL);
+    checkExpiredPremiumUsers(sock);
+
+    const ownerId = process.env.BOT_OWNER;
+    setInterval(() => taskUtils.checkExpiredTasks(sock, ownerId), EXPIRY_CHECK_INTERVAL);
+    setInterval(() => taskUtils.checkExpiredTaskTrials(sock), EXPIRY_CHECK_INTERVAL);
+    taskUtils.checkExpiredTasks(sock, ownerId);
+    taskUtils.checkExpiredTaskTrials(sock);
+
+    setInterval(() => checkLicenseStatus(sock), EXPIRY_CHECK_INTERVAL);
+}
+
+/**
+ * Connect to WhatsApp and pass incoming messages to the message handler
+ * @param {Object} socketOptions - Options for makeWASocket besides auth
+ * @param {Function} onOpen - Called with the socket once connected
+ */
+async function connect(socketOptions, onOpen) {
+    const { state, saveCreds } = await useMultiFileAuthState('auth_info_baileys');
+    const sock = makeWASocket({ auth: state, printQRInTerminal: true, ...socketOptions });
+
+    sock.ev.on('connection.update', async (update) => {
+        const { connection, lastDisconnect } = update;
+        if (connection === 'close') {
+            const shouldReconnect = lastDisconnect.error instanceof Boom &&
+                lastDisconnect.error.output.statusCode !== DisconnectReason.loggedOut;
+            console.log('Connection closed due to ', lastDisconnect.error, ', reconnecting ', shouldReconnect);
+            if (shouldReconnect) {
+                startBot();
+            }
+        } else if (connection === 'open') {
+            await onOpen(sock);
+        }
+    });
+
+    sock.ev.on('creds.update', saveCreds);
+
+    sock.ev.on('messages.upsert', async ({ messages }) => {
+        for (const message of messages) {
+            if (message.key.fromMe) {
+                continue;
+            }
+            await handleMessages(sock, message, userStates);
+        }
+    });
+
+    // Keep a user's batch of messages open while they are still typing
+    sock.ev.on('presence.update', handlePresenceUpdate);
+}
+
+async function startBot() {
+    try {
+        console.log('Starting bot...');
+        setupFolders();
+        await storageUtils.initialize();
+        await licenseUtils.loadLicenseInfo();
+        backupUtils.initializeBackupOnStartup();
+
+        const args = process.argv.slice(2);
+        const clean = args.includes('--clean') || args.includes('-c');
+        const skipRestore = args.includes('--skip-restore') || args.includes('-s');
+
+        try {
+            if (clean) {
+                await cleanupSessionData();
+            }
+
+            if (!skipRestore) {
+                console.log('Attempting to restore session data from backup...');
+                try {
+                    const timeout = new Promise((resolve, reject) => {
+                        setTimeout(() => reject(new Error('Restoration process timed out')), RESTORE_TIMEOUT);
+                    });
+                    const restored = await Promise.race([backupUtils.performStartupRestore(), timeout]);
+                    if (restored) {
+                        console.log('Restoration process completed successfully');
+                    } else {
+                        console.log('Restoration process completed, but no backup was found or restored');
+                    }
+                } catch (error) {
+                    console.error('Error during startup restoration:', error);
+                    console.log('Proceeding with bot startup using local data');
+                }
+            } else {
+                console.log('Skipping restoration as requested');
+            }
+
+            for (let attempt = 1; attempt <= MAX_CONNECTION_ATTEMPTS; attempt++) {
+                try {
+                    console.log(`Connection attempt ${attempt}/${MAX_CONNECTION_ATTEMPTS}...`);
+                    await connect({
+                        defaultQueryTimeoutMs: 60000,
+                        browser: ['Ubuntu', 'Chrome', '22.04.4'],
+                        syncFullHistory: false,
+                        markOnlineOnConnect: false,
+                        connectTimeoutMs: 60000,
+                        keepAliveIntervalMs: 25000,
+                        retryRequestDelayMs: 2000,
+                        maxRetries: 5
+                    }, onConnectionOpen);
+                    return;
+                } catch (error) {
+                    console.error(`Connection attempt ${attempt} failed:`, error);
+                    if (attempt < MAX_CONNECTION_ATTEMPTS) {
+                        console.log('Waiting 5 seconds before next attempt...');
+                        await new Promise(resolve => setTimeout(resolve, 5000));
+                    }
+                }
+            }
+
+            console.error('Maximum connection attempts reached. Cleaning up session and trying one last time...');
+            await cleanupSessionData();
+            try {
+                await connect({
+                    defaultQueryTimeoutMs: 60000,
+                    browser: ['Ubuntu', 'Chrome', '22.04.4'],
+                    syncFullHistory: false
+                }, async (sock) => {
+                    console.log('Connection opened');
+                    autoMessageUtils.initializeAutoMessaging(sock);
+                    reminderUtils.initializeReminderSystem(sock);
+                    startSelfMessageScheduler(sock);
+                });
+            } catch (error) {
+                console.error('Final connection attempt failed:', error);
+                throw new Error('Unable to connect to WhatsApp after multiple attempts');
+            }
+        } catch (error) {
+            console.error('Fatal error during bot startup:', error);
+            process.exit(1);
+        }
+    } catch (error) {
+        console.error('Unexpected top-level error in startBot:', error);
+        process.exit(1);
+    }
+}
+
+/**
+ * Move users whose premium (or premium trial) has run out back to the free tier
+ * @param {Object} sock - The WhatsApp socket connection
+ */
+async function checkExpiredPremiumUsers(sock) {
+    try {
+        console.log('Checking for expired premium users...');
+        const userIds = await storageUtils.listUserIds();
+        for (const userId of userIds) {
+            const userData = await getUserData(userId);
+            if (!userData || !userData.isPremium || !userData.premiumExpiry) {
+                continue;
+            }
+
+            const now = new Date();
+            if (new Date(userData.premiumExpiry) > now) {
+                continue;
+            }
+
+            console.log(`Premium expired for user ${userId}`);
+            userData.isPremium = false;
+            userData.premiumExpiredAt = now.toISOString();
+
+            if (userData.isFreeTrial) {
+                userData.isFreeTrial = false;
+                userData.memory = {
+                    topics: {},
+                    preferences: {},
+                    importantEvents: [],
+                    lastInteractionSummary: ''
+                };
+                try {
+                    await sock.sendMessage(userId, { text: TRIAL_ENDED_TEXT });
+                } catch (error) {
+                    console.error(`Error notifying user ${userId} about trial expiry:`, error);
+                }
+            } else {
+                try {
+                    await sock.sendMessage(userId, { text: PREMIUM_ENDED_TEXT });
+                } catch (error) {
+                    console.error(`Error notifying user ${userId} about premium expiry:`, error);
+                }
+            }
+
+            await saveUserData(userId, userData);
+        }
+    } catch (error) {
+        console.error('Error checking expired premium users:', error);
+    }
+}
+
+let previousLicenseStatus = null;
+
+/**
+ * Check the bot's license and warn the owner when it is invalid or about to expire
+ * @param {Object} sock - The WhatsApp socket connection
+ * @returns {boolean} - Whether the license is valid
+ */
+async function checkLicenseStatus(sock) {
+    try {
+        const botNumber = process.env.BOT_NUMBER || sock.user.id.split(':')[0];
+        const ownerId = process.env.BOT_OWNER;
+
+        console.log('Checking bot license status...');
+        const licenseStatus = await licenseUtils.checkBotStatus(botNumber);
+        const status = licenseStatus.success && licenseStatus.registered
+            ? licenseStatus.license_info.status || 'unknown'
+            : 'invalid';
+
+        if (previousLicenseStatus === 'active' && status === 'expired') {
+            console.log('License just expired! Sending immediate notification to owner');
+            if (ownerId) {
+                await sock.sendMessage(ownerId, { text: LICENSE_EXPIRED_TEXT });
+            }
+        }
+        previousLicenseStatus = status;
+
+        if (!licenseStatus.success || !licenseStatus.registered) {
+            console.log('Bot is not registered or license is invalid');
+            if (ownerId) {
+                await sock.sendMessage(ownerId, { text: LICENSE_INVALID_TEXT });
+            }
+            return false;
+        }
+
+        if (licenseStatus.license_info.expires_at) {
+            const daysLeft = Math.floor((new Date(licenseStatus.license_info.expires_at) - new Date()) / (24 * 60 * 60 * 1000));
+            if (daysLeft <= 3 && daysLeft > 0 && ownerId) {
+                await sock.sendMessage(ownerId, {
+                    text: `⚠️ *License Expiring Soon* ⚠️\n\nYour bot license will expire in ${daysLeft} day${daysLeft > 1 ? 's' : ''}. Please generate a new license to avoid service interruption.\n\nTo purchase a key, please contact the bot creator at: wa.me/94767043432`
+                });
+            }
+        }
+
+        console.log('Bot license is valid:', licenseStatus.license_info.package_type);
+        return true;
+    } catch (error) {
+        console.error('Error checking license status:', error);
+        return false;
+    }
+}
+
+process.on('uncaughtException', (error) => {
+    console.error('Uncaught Exception:', error);
+});
+
+process.on('unhandledRejection', (reason, promise) => {
+    console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+});
+
+startBot().catch(error => {
+    console.error('Fatal error during bot startup:', error);
+    process.exit(1);
+});
@@ -0,0 +1,194 @@
+/**
+ * Benchmark for the self-message scheduler's due-time index.
+ *
+ * For growing user counts it stores that many users as JSON files in a
+ * temporary directory and measures one scheduler tick two ways:
+ *   - scan:  load every user and check whether they are due
+ *            (what the scheduler used to do)
+ *   - index: runSelfMessageTick, which only loads the users due in the index
+ *
+ * Every user has been quiet long enough to get a self-message, and the index
+ * makes the same number of them due on every tick, so the index cost should
+ * stay flat while the scan cost grows with the user count. Replies come from
+ * the mock AI provider. Exits with an error if the index tick at the largest
+ * size is more than MAX_GROWTH times slower than at the smallest.
+ *
+ * Usage:
+ *   node scripts/benchmarkScheduler.js [userCounts]
+ *   npm run benchmark:scheduler -- 1000,5000,20000
+ */
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// Some of the bot's modules turn console output off when they load
+const print = console.log.bind(console);
+const printError = console.error.bind(console);
+
+// Keep the benchmark's users, logs and AI calls away from the real bot
+const workDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-benchmark-'));
+process.chdir(workDirectory);
+process.env.STORAGE_DRIVER = 'json';
+process.env.AI_PROVIDER = 'mock';
+process.env.REPLY_MIN_TYPING_DELAY_MS = '0';
+process.env.REPLY_MAX_TYPING_DELAY_MS = '0';
+
+const storageUtils = require('../src/storageUtils');
+const { runSelfMessageTick, buildSelfMessageIndex } = require('../src/selfMessageScheduler');
+const { selfMessageIndex, getNextSelfMessageTime } = require('../src/utils/selfMessageUtils');
+
+const DEFAULT_USER_COUNTS = [1000, 5000, 20000];
+
+// Users that become due on each simulated tick (the scheduler's per-tick maximum)
+const DUE_PER_TICK = 50;
+
+// Ticks measured for each user count, in rounds; the fastest round counts
+// so a garbage collection pause doesn't skew the result
+const TICKS = 10;
+const ROUNDS = 3;
+
+// Allowed slow-down of an index tick between the smallest and largest user count
+const MAX_GROWTH = 4;
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Stands in for the WhatsApp socket
+const sock = {
+    sendMessage: async () => ({}),
+    sendPresenceUpdate: async () => {},
+    presenceSubscribe: async () => {}
+};
+
+/**
+ * Store users who have been quiet for a day, with the companion's last
+ * self-message even longer ago
+ * @param {number} count - Number of users
+ * @param {number} now - Current timestamp
+ * @returns {Array<string>} - The user IDs
+ */
+async function createUsers(count, now) {
+    const userIds = [];
+    for (let i = 0; i < count; i++) {
+        const userId = `${94770000000 + i}@s.whatsapp.net`;
+        await storageUtils.saveUserData(userId, {
+            userId,
+            userName: 'User',
+            companionName: 'Bot',
+            companionGender: 'female',
+            conversationHistory: [],
+            chatActivity: {
+                lastUserMessageTime: now - 24 * HOUR - Math.floor(Math.random() * 24 * HOUR),
+                lastBotInitiatedTime: now - 48 * HOUR - Math.floor(Math.random() * 24 * HOUR),
+                activeHours: Array(24).fill(1),
+                messageCount: 10,
+                selfMessagesSent: 0
+            }
+        });
+        userIds.push(userId);
+    }
+    return userIds;
+}
+
+/**
+ * Time an async function over several ticks
+ * @param {Function} tick - Runs one tick
+ * @param {number} ticks - Number of ticks to run
+ * @returns {number} - Average milliseconds per tick
+ */
+async function timeTicks(tick, ticks) {
+    const start = process.hrtime.bigint();
+    for (let i = 0; i < ticks; i++) {
+        await tick();
+    }
+    return Number(process.hrtime.bigint() - start) / 1e6 / ticks;
+}
+
+/**
+ * Measure the scan and index tick cost for one user count
+ * @param {number} count - Number of users
+ * @returns {Object} - { count, scanMs, indexMs }
+ */
+async function benchmark(count) {
+    const now = Date.now();
+    await fs.emptyDir(path.join(workDirectory, 'user_data'));
+    const userIds = await createUsers(count, now);
+
+    // Full scan: load and check every user on every tick
+    const scanMs = await timeTicks(async () => {
+        let due = 0;
+        for (const userId of await storageUtils.listUserIds()) {
+            const userData = await storageUtils.getUserData(userId);
+            if (userData && getNextSelfMessageTime(userData) <= now) {
+                due++;
+            }
+        }
+        return due;
+    }, 1);
+
+    // Index: before each round the users are lined up so DUE_PER_TICK of them
+    // come up each simulated minute, the way they would after a day of chatting
+    await buildSelfMessageIndex();
+    const ticks = Math.max(1, Math.min(TICKS, Math.floor(count / DUE_PER_TICK)));
+    let tickTime = now;
+    let indexMs = Infinity;
+    for (let round = 0; round < ROUNDS; round++) {
+        userIds.forEach((userId, i) => {
+            selfMessageIndex.schedule(userId, tickTime + Math.floor(i / DUE_PER_TICK) * MINUTE);
+        });
+        indexMs = Math.min(indexMs, await timeTicks(async () => {
+            await runSelfMessageTick(sock, tickTime);
+            tickTime += MINUTE;
+        }, ticks));
+    }
+
+    return { count, scanMs, indexMs };
+}
+
+/**
+ * Run the benchmark for each user count and check the index cost stays flat
+ */
+async function main() {
+    const counts = process.argv[2]
+        ? process.argv[2].split(',').map(value => parseInt(value))
+        : DEFAULT_USER_COUNTS;
+
+    print(`Self-message scheduler tick cost (${DUE_PER_TICK} users due per tick)\n`);
+    print('users'.padStart(10) + 'scan ms/tick'.padStart(16) + 'index ms/tick'.padStart(16));
+
+    await storageUtils.initialize();
+
+    // Warm up the JIT so the first size isn't measured cold
+    await benchmark(counts[0]);
+
+    const results = [];
+    for (const count of counts) {
+        const result = await benchmark(count);
+        print(
+            String(result.count).padStart(10) +
+            result.scanMs.toFixed(3).padStart(16) +
+            result.indexMs.toFixed(3).padStart(16)
+        );
+        results.push(result);
+    }
+
+    const growth = results[results.length - 1].indexMs / results[0].indexMs;
+    print(`\nIndex tick growth from ${results[0].count} to ${results[results.length - 1].count} users: ${growth.toFixed(2)}x`);
+
+    if (growth > MAX_GROWTH) {
+        printError(`Index tick cost grew more than ${MAX_GROWTH}x with the user count`);
+        return 1;
+    }
+    return 0;
+}
+
+main()
+    .catch(error => {
+        printError('Benchmark failed:', error);
+        return 1;
+    })
+    .then(async exitCode => {
+        // Retried, as the AI usage and engagement logs may still be writing
+        await fs.rm(workDirectory, { recursive: true, force: true, maxRetries: 5 });
+        process.exit(exitCode);
+    });
@@ -0,0 +1,30 @@
+/**
+ * One-shot migration of user data between storage drivers.
+ *
+ * Usage:
+ *   node scripts/migrateUserData.js [from] [to]
+ *
+ * Defaults to importing the user_data/*.json files into SQLite:
+ *   npm run migrate:storage
+ */
+const storageUtils = require('../src/storageUtils');
+
+async function main() {
+    const [from = 'json', to = 'sqlite'] = process.argv.slice(2);
+    
+    console.log(`Migrating user data from ${from} to ${to}...`);
+    const result = await storageUtils.migrateUserData(from, to, {
+        filePath: process.env.SQLITE_PATH
+    });
+    
+    console.log(`Migrated ${result.migrated} users`);
+    if (result.failed.length > 0) {
+        console.warn(`Skipped ${result.failed.length} unreadable profiles: ${result.failed.join(', ')}`);
+    }
+    console.log(`Set STORAGE_DRIVER=${to} to start using the new storage`);
+}
+
+main().catch(error => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,401 @@
+const fs = require('fs-extra');
+const path = require('path');
+const GeminiProvider = require('./providers/geminiProvider');
+const OpenAICompatibleProvider = require('./providers/openAICompatibleProvider');
+const MockProvider = require('./providers/mockProvider');
+const { getErrorStatus, getRetryAfterMs } = require('./providers/providerErrors');
+const { JsonLineLog } = require('./utils/jsonLineLog');
+
+// Optional config file with extra providers and per-feature models
+const AI_CONFIG_PATH = path.join(process.cwd(), 'config', 'ai_providers.json');
+
+// Available provider types
+const PROVIDER_TYPES = {
+    gemini: GeminiProvider,
+    openai: OpenAICompatibleProvider,
+    mock: MockProvider
+};
+
+// Providers available without any configuration. The Gemini and OpenRouter
+// ones take their keys from the API key manager (/addkey).
+const DEFAULT_PROVIDERS = {
+    gemini: { type: 'gemini', keyService: 'gemini' },
+    gemini_flash: { type: 'gemini', keyService: 'gemini_flash' },
+    openrouter: {
+        type: 'openai',
+        baseUrl: 'https://openrouter.ai/api/v1',
+        keyService: 'openrouter',
+        imageEndpoint: 'chat',
+        headers: {
+            'HTTP-Referer': 'https://whatsapp-ai-companion.com',
+            'X-Title': 'WhatsApp AI Companion'
+        }
+    },
+    openai: {
+        type: 'openai',
+        baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        apiKey: process.env.OPENAI_API_KEY
+    },
+    // A local Whisper-compatible server (e.g. faster-whisper-server / speaches)
+    // with OpenAI style /audio/transcriptions and /audio/speech endpoints
+    local_whisper: {
+        type: 'openai',
+        baseUrl: process.env.LOCAL_WHISPER_URL || 'http://localhost:8000/v1'
+    },
+    mock: { type: 'mock' }
+};
+
+// The models each feature tries, in order, as "provider:model". Providers
+// without a key are skipped; callers fall back to a canned reply at the end.
+const DEFAULT_FEATURE_MODELS = {
+    chat: ['gemini_flash:gemini-2.0-flash-lite', 'gemini:gemini-2.0-flash-lite', 'openrouter:google/gemini-2.0-flash-exp:free'],
+    summary: ['gemini_flash:gemini-2.0-flash-lite', 'gemini:gemini-2.0-flash-lite', 'openrouter:google/gemini-2.0-flash-exp:free'],
+    sentiment: ['gemini:gemini-1.5-flash', 'gemini_flash:gemini-1.5-flash', 'openrouter:google/gemini-2.0-flash-exp:free'],
+    intent: ['gemini:gemini-1.5-flash', 'gemini_flash:gemini-1.5-flash', 'openrouter:google/gemini-2.0-flash-exp:free'],
+    vision: ['gemini:gemini-1.5-flash', 'gemini_flash:gemini-1.5-flash', 'openrouter:google/gemini-2.0-flash-exp:free'],
+    image: ['gemini:gemini-2.0-flash-exp-image-generation', 'gemini_flash:gemini-2.0-flash-exp-image-generation'],
+    sticker_image: ['gemini:gemini-2.0-flash-exp-image-generation', 'gemini_flash:gemini-2.0-flash-exp-image-generation'],
+    transcription: ['openai:whisper-1', 'local_whisper:whisper-1'],
+    speech: ['openai:tts-1', 'local_whisper:tts-1']
+};
+
+// Rate limits (429) and server errors (5xx) are retried on the same model
+// this many times, waiting AI_RETRY_BASE_DELAY_MS, then twice as long, ...
+const MAX_RETRIES = parseInt(process.env.AI_MAX_RETRIES || '2');
+const RETRY_BASE_DELAY_MS = parseInt(process.env.AI_RETRY_BASE_DELAY_MS || '1000');
+
+// A model that asks us to wait longer than this is skipped instead
+const MAX_RETRY_DELAY_MS = 30 * 1000;
+
+// Which provider and model served each request, for later review
+const USAGE_LOG_PATH = process.env.AI_USAGE_LOG_PATH || path.join(process.cwd(), 'config', 'ai_usage_log.jsonl');
+const usageLog = new JsonLineLog(USAGE_LOG_PATH);
+
+// Loaded configuration and provider instances, created on first use
+let aiConfig = null;
+const providers = new Map();
+
+/**
+ * Load the provider configuration: the defaults, then config/ai_providers.json,
+ * then environment variables (AI_MODEL_<FEATURE>, and AI_PROVIDER to send
+ * every feature to one provider)
+ * @returns {Object} - { providers, features }
+ */
+function loadConfig() {
+    const config = {
+        providers: { ...DEFAULT_PROVIDERS },
+        features: { ...DEFAULT_FEATURE_MODELS }
+    };
+
+    try {
+        if (fs.existsSync(AI_CONFIG_PATH)) {
+            const fileConfig = fs.readJsonSync(AI_CONFIG_PATH);
+            Object.assign(config.providers, fileConfig.providers || {});
+            Object.assign(config.features, fileConfig.features || {});
+        }
+    } catch (error) {
+        console.error('Error loading AI provider config:', error);
+    }
+
+    for (const feature of Object.keys(config.features)) {
+        const envModels = process.env[`AI_MODEL_${feature.toUpperCase()}`];
+        if (envModels) {
+            config.features[feature] = envModels;
+        }
+        config.features[feature] = parseModelChain(config.features[feature]);
+    }
+
+    // e.g. AI_PROVIDER=mock to run offline
+    const forcedProvider = process.env.AI_PROVIDER;
+    if (forcedProvider) {
+        for (const feature of Object.keys(config.features)) {
+            config.features[feature] = [`${forcedProvider}:${parseModelSpec(config.features[feature][0]).model}`];
+        }
+    }
+
+    return config;
+}
+
+/**
+ * Get the provider configuration, loading it on first use
+ * @returns {Object} - { providers, features }
+ */
+function getConfig() {
+    if (!aiConfig) {
+        aiConfig = loadConfig();
+    }
+    return aiConfig;
+}
+
+/**
+ * Forget the loaded configuration and providers so they are read again
+ */
+function reloadConfig() {
+    aiConfig = null;
+    providers.clear();
+}
+
+/**
+ * Split "provider:model" into its parts. Model names can contain colons
+ * (e.g. "openrouter:google/gemini-2.0-flash-exp:free").
+ * @param {string} spec - The model spec
+ * @returns {Object} - { provider, model }
+ */
+function parseModelSpec(spec) {
+    const separator = spec.indexOf(':');
+    if (separator === -1) {
+        return { provider: spec.trim(), model: 'default' };
+    }
+    return { provider: spec.substring(0, separator).trim(), model: spec.substring(separator + 1).trim() };
+}
+
+/**
+ * Turn a feature's model setting into a list of "provider:model" specs
+ * @param {string|Array<string>} value - A spec, comma separated specs, or a list of specs
+ * @returns {Array<string>} - The specs in order
+ */
+function parseModelChain(value) {
+    const specs = Array.isArray(value) ? value : String(value || '').split(',');
+    return specs.map(spec => spec.trim()).filter(Boolean);
+}
+
+/**
+ * Get a provider by the name it is configured under
+ * @param {string} name - Provider name (e.g. 'gemini', 'openrouter', 'mock')
+ * @returns {Object} - The provider
+ */
+function getProvider(name) {
+    if (!providers.has(name)) {
+        const options = getConfig().providers[name];
+        if (!options) {
+            throw new Error(`Unknown AI provider: ${name}. Configured providers: ${Object.keys(getConfig().providers).join(', ')}`);
+        }
+        const Provider = PROVIDER_TYPES[options.type];
+        if (!Provider) {
+            throw new Error(`Unknown AI provider type: ${options.type}. Available types: ${Object.keys(PROVIDER_TYPES).join(', ')}`);
+        }
+        providers.set(name, new Provider({ ...options, name }));
+    }
+    return providers.get(name);
+}
+
+/**
+ * Get the providers and models a feature tries, in order
+ * @param {string} feature - Feature name (chat, summary, sentiment, intent, vision, sticker_image, transcription, speech)
+ * @returns {Array<Object>} - { provider, model } for each entry of the chain
+ */
+function getFeatureChain(feature) {
+    const specs = getConfig().features[feature];
+    if (!specs || specs.length === 0) {
+        throw new Error(`No AI model configured for ${feature}`);
+    }
+    return specs.map(spec => {
+        const { provider, model } = parseModelSpec(spec);
+        return { provider: getProvider(provider), model };
+    });
+}
+
+/**
+ * Check whether any provider in a feature's chain can be used (e.g. has an API key)
+ * @param {string} [feature] - Feature name
+ * @returns {boolean} - Whether a request can be attempted
+ */
+async function isFeatureAvailable(feature = 'chat') {
+    try {
+        for (const { provider } of getFeatureChain(feature)) {
+            if (await provider.isAvailable()) {
+                return true;
+            }
+        }
+        return false;
+    } catch (error) {
+        console.error(`Error checking AI providers for ${feature}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Work out how long to wait before retrying a failed request
+ * @param {Error} error - The error
+ * @param {number} attempt - The attempt that failed, starting at 1
+ * @returns {number|null} - Milliseconds to wait, or null if it shouldn't be retried
+ */
+function getRetryDelay(error, attempt) {
+    const status = getErrorStatus(error);
+    if (attempt > MAX_RETRIES || !(status === 429 || status >= 500)) {
+        return null;
+    }
+
+    // Honour the wait the server asks for, if any
+    const delay = getRetryAfterMs(error) ||
+        RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1) * (1 + Math.random() * 0.25);
+
+    return delay <= MAX_RETRY_DELAY_MS ? delay : null;
+}
+
+/**
+ * Run a request against each provider in a feature's chain until one succeeds.
+ * Rate limits and server errors are retried with backoff before moving on,
+ * and key errors are retried at once with the provider's next key.
+ * The provider that served the request (or every failure) is logged.
+ * @param {string} feature - Feature name
+ * @param {string} capability - 'chat', 'vision', 'image', 'transcription' or 'speech'
+ * @param {Function} request - Called with (provider, model), returns the result
+ * @param {Object} [options] - { userId } to note in the usage log
+ * @returns {*} - The result from the first provider that succeeded
+ */
+async function runWithFailover(feature, capability, request, options = {}) {
+    const startedAt = Date.now();
+    const failures = [];
+
+    for (const { provider, model } of getFeatureChain(feature)) {
+        if (!provider.capabilities.includes(capability) || !await provider.isAvailable()) {
+            continue;
+        }
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const result = await request(provider, model);
+                usageLog.append({
+                    time: new Date().toISOString(),
+                    feature,
+                    provider: provider.name,
+                    model,
+                    attempts: attempt,
+                    failures,
+                    durationMs: Date.now() - startedAt,
+                    userId: options.userId || null
+                });
+                return result;
+            } catch (error) {
+                let delay = getRetryDelay(error, attempt);
+
+                // A rate limited or rejected key is benched by the key pool,
+                // so try the provider's next key straight away
+                const status = getErrorStatus(error);
+                if ([401, 403, 429].includes(status) && provider.keyService && attempt <= MAX_RETRIES &&
+                    await provider.isAvailable()) {
+                    delay = 0;
+                }
+
+                if (delay === null) {
+                    console.error(`Error with ${provider.name} (${model}) for ${feature}:`, error.message);
+                    failures.push({ provider: provider.name, model, status: getErrorStatus(error), error: error.message });
+                    break;
+                }
+                console.log(`${provider.name} (${model}) returned ${getErrorStatus(error)}, retrying in ${Math.round(delay)}ms`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    usageLog.append({
+        time: new Date().toISOString(),
+        feature,
+        provider: null,
+        failures,
+        durationMs: Date.now() - startedAt,
+        userId: options.userId || null
+    });
+
+    const error = new Error(failures.length > 0
+        ? `Every AI provider failed for ${feature}`
+        : `No AI provider is available for ${feature}`);
+    error.failures = failures;
+    throw error;
+}
+
+/**
+ * Generate text with the models configured for a feature
+ * @param {string} feature - Feature name
+ * @param {Array<Object>} messages - Chat messages ({ role, content }), where content is
+ *        a string or a list of { text } and { image: { mimeType, data } } parts
+ * @param {Object} [options] - { temperature, maxTokens, userId }
+ * @returns {string} - The generated text
+ */
+async function generateText(feature, messages, options = {}) {
+    const { userId, ...requestOptions } = options;
+    // Messages with images need a provider that can see them
+    const hasImages = messages.some(message => Array.isArray(message.content) && message.content.some(part => part.image));
+    const capability = hasImages ? 'vision' : 'chat';
+    return runWithFailover(feature, capability, (provider, model) => provider.chat({ ...requestOptions, model, messages }), { userId });
+}
+
+/**
+ * Generate an image with the models configured for a feature
+ * @param {string} feature - Feature name
+ * @param {string} prompt - What to draw
+ * @param {Object} [options] - { images, temperature, topP, topK, userId }, images as { mimeType, data } (base64)
+ * @returns {Object} - { mimeType, data } with the image as a Buffer
+ */
+async function generateImage(feature, prompt, options = {}) {
+    const { userId, ...requestOptions } = options;
+    return runWithFailover(feature, 'image', (provider, model) => provider.generateImage({ ...requestOptions, model, prompt }), { userId });
+}
+
+/**
+ * Transcribe speech with the models configured for a feature
+ * @param {string} feature - Feature name
+ * @param {Object} audio - { mimeType, data, filename } with the audio as a Buffer
+ * @param {Object} [options] - { language, userId }
+ * @returns {string} - What was said
+ */
+async function transcribeAudio(feature, audio, options = {}) {
+    const { userId, ...requestOptions } = options;
+    return runWithFailover(feature, 'transcription', (provider, model) => provider.transcribe({ ...requestOptions, model, audio }), { userId });
+}
+
+/**
+ * Read text out loud with the models configured for a feature
+ * @param {string} feature - Feature name
+ * @param {string} text - What to say
+ * @param {Object} [options] - { voice, userId }
+ * @returns {Object} - { mimeType, data } with the audio as a Buffer
+ */
+async function synthesizeSpeech(feature, text, options = {}) {
+    const { userId, ...requestOptions } = options;
+    return runWithFailover(feature, 'speech', (provider, model) => provider.speak({ ...requestOptions, model, text }), { userId });
+}
+
+/**
+ * Generate a companion message, without throwing
+ * @param {Array<Object>} messages - Chat messages
+ * @param {Object} [options] - { feature } (default 'chat') plus generateText options
+ * @returns {string|null} - The reply, or null if no provider could answer
+ */
+async function generateChatResponse(messages, options = {}) {
+    const { feature = 'chat', ...generateOptions } = options;
+    try {
+        const text = await generateText(feature, messages, generateOptions);
+        return text && text.trim() ? text.trim() : null;
+    } catch (error) {
+        console.error(`Error generating ${feature} response:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Read the most recent entries of the provider usage log
+ * @param {Object} [options] - { feature, limit }
+ * @returns {Array<Object>} - Entries, oldest first
+ */
+async function getProviderUsageLog(options = {}) {
+    const { feature, limit = 20 } = options;
+    return usageLog.read({ filter: feature ? entry => entry.feature === feature : null, limit });
+}
+
+module.exports = {
+    PROVIDER_TYPES,
+    DEFAULT_FEATURE_MODELS,
+    parseModelSpec,
+    getProvider,
+    getFeatureChain,
+    reloadConfig,
+    isFeatureAvailable,
+    generateText,
+    generateImage,
+    transcribeAudio,
+    synthesizeSpeech,
+    generateChatResponse,
+    getProviderUsageLog
+};
@@ -0,0 +1,96 @@
+const { DAILY_REQUEST_QUOTA, DAILY_TOKEN_QUOTA, enableKey, getKeyPoolStatus } = require('../utils/apiKeyPool');
+
+const STATE_LABELS = {
+    ok: '✅',
+    cooldown: '⏳ cooling down',
+    quota: '📊 daily quota reached',
+    disabled: '⛔ disabled'
+};
+
+/**
+ * Describe how long ago something happened
+ * @param {string} time - ISO timestamp
+ * @returns {string} - e.g. "5m ago"
+ */
+function formatAgo(time) {
+    const minutes = Math.round((Date.now() - new Date(time).getTime()) / 60000);
+    if (minutes < 60) {
+        return `${minutes}m ago`;
+    }
+    return minutes < 24 * 60 ? `${Math.round(minutes / 60)}h ago` : `${Math.round(minutes / (24 * 60))}d ago`;
+}
+
+/**
+ * Describe one key's health and today's usage
+ * @param {Object} entry - Entry from getKeyPoolStatus
+ * @returns {string} - The key's lines
+ */
+function describeKey(entry) {
+    let state = STATE_LABELS[entry.state];
+    if (entry.state === 'cooldown') {
+        const minutes = Math.ceil((new Date(entry.cooldownUntil).getTime() - Date.now()) / 60000);
+        state += ` (${minutes}m left)`;
+    } else if (entry.state === 'disabled' && entry.disabledReason) {
+        state += `: ${entry.disabledReason}`;
+    }
+
+    let text = `${entry.index}. ${entry.maskedKey} ${state}\n`;
+    text += `   Today: ${entry.usage.requests} requests, ${entry.usage.tokens} tokens | Total: ${entry.successes} ok, ${entry.failures} failed\n`;
+    if (entry.lastError) {
+        text += `   Last error: ${entry.lastError.status || 'no status'} ${entry.lastError.message} (${formatAgo(entry.lastError.time)})\n`;
+    }
+    return text;
+}
+
+/**
+ * Handle /listkeys command: show every API key's health and usage (bot owner only)
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} message - Message object
+ * @param {Array<string>} args - Command arguments
+ */
+async function handleListKeysCommand(sock, message, args) {
+    const userId = message.key.remoteJid;
+    if (userId !== process.env.BOT_OWNER) {
+        return;
+    }
+
+    try {
+        if ((args[0] || '').toLowerCase() === 'enable') {
+            const service = (args[1] || '').toLowerCase();
+            const index = parseInt(args[2]);
+            const maskedKey = service && index ? await enableKey(service, index) : null;
+            await sock.sendMessage(userId, {
+                text: maskedKey
+                    ? `✅ ${service} key ${maskedKey} is enabled again.`
+                    : `⚠️ No such key. Use /listkeys enable [service] [number], with the number shown by /listkeys.`
+            });
+            return;
+        }
+
+        const status = await getKeyPoolStatus();
+        let text = `*API Keys*\n`;
+
+        for (const [service, keys] of Object.entries(status)) {
+            const usable = keys.filter(entry => entry.state === 'ok').length;
+            text += `\n*${service}* (${usable}/${keys.length} usable)\n`;
+            text += keys.length > 0 ? keys.map(describeKey).join('') : `   No keys\n`;
+        }
+
+        if (DAILY_REQUEST_QUOTA > 0 || DAILY_TOKEN_QUOTA > 0) {
+            text += `\nDaily quota per key: ${DAILY_REQUEST_QUOTA || 'unlimited'} requests, ${DAILY_TOKEN_QUOTA || 'unlimited'} tokens (UTC)\n`;
+        }
+        text += `\nTo turn a disabled or cooling down key back on: /listkeys enable [service] [number]`;
+
+        await sock.sendMessage(userId, { text });
+    } catch (error) {
+        console.error('Error handling listkeys command:', error);
+        await sock.sendMessage(userId, { text: 'Sorry, there was an error reading the API keys. Please try again.' });
+    }
+}
+
+module.exports = {
+    commandHandlers: {
+        '/listkeys': handleListKeysCommand
+    },
+    handleListKeysCommand
+};
@@ -1 +1,120 @@
-(function(_0x44ae06,_0x536a1d){function _0x4ecb79(_0x2cb20b,_0x7b6fa,_0x2b3aaa,_0x2a0dd,_0x3ca6fe){return _0x2f44(_0x2cb20b-0x252,_0x2a0dd);}function _0x480c70(_0xf9d261,_0x263e26,_0x66f00a,_0x1f2676,_0x4a614a){return _0x2f44(_0x4a614a-0x26c,_0xf9d261);}function _0x3f4832(_0x458920,_0x47ce5f,_0x1dcd8e,_0x90d7e0,_0x48d834){return _0x2f44(_0x90d7e0-0x2a4,_0x458920);}const _0x5b7b44=_0x44ae06();function _0x3d6fac(_0x382969,_0x43a894,_0x2e7714,_0x1f44eb,_0x18422b){return _0x2f44(_0x382969- -0x99,_0x18422b);}function _0x301350(_0x398bcd,_0x17c1f7,_0x306208,_0x5dd079,_0x24805c){return _0x2f44(_0x5dd079-0x349,_0x398bcd);}while(!![]){try{const _0x375343=-parseInt(_0x4ecb79(0x696,0x5d3,0x7c5,0x525,0x709))/(-0x173*0xb+-0x8*-0x2cc+0x2*-0x337)*(-parseInt(_0x3f4832(0x540,0x619,0x483,0x46c,0x5a4))/(-0x14*0x1af+0xe3e*0x2+-0x26*-0x23))+parseInt(_0x3f4832(0x556,0x214,0x36f,0x3ed,0x278))/(0x1596+0x23c6+0x3959*-0x1)+-parseInt(_0x4ecb79(0x65b,0x83e,0x792,0x6b8,0x505))/(-0x10bd+0x374*-0x8+0x2c61)*(-parseInt(_0x3f4832(0x5ee,0x295,0x4f1,0x469,0x4f5))/(0x1*0x1537+0x1*0x61d+-0x1b4f))+parseInt(_0x480c70(0x608,0x495,0x478,0x43f,0x624))/(0x4a*-0x5f+0x3c*-0x86+0x3ae4)*(parseInt(_0x3f4832(0x787,0x785,0x86f,0x7d2,0x9f4))/(0x2*-0xf4e+0x845*-0x4+0x3fb7))+parseInt(_0x3f4832(0x72a,0x4fa,0x556,0x670,0x508))/(0x1*-0x14c2+-0x1cb0+0x317a)+-parseInt(_0x4ecb79(0x702,0x658,0x761,0x621,0x8ab))/(0x11ed*0x2+-0x114+-0x22bd*0x1)+-parseInt(_0x480c70(0x3ef,0x597,0x71e,0x46c,0x5b4))/(-0x1e99+-0x11c1+0x3064)*(parseInt(_0x480c70(0x5bd,0x49e,0x819,0x550,0x5ee))/(0x1751+0x22*0xf1+-0x3748));if(_0x375343===_0x536a1d)break;else _0x5b7b44['push'](_0x5b7b44['shift']());}catch(_0x2db84e){_0x5b7b44['push'](_0x5b7b44['shift']());}}}(_0x19a6,-0x1334c+-0x7bbd*0x1+-0x10917*-0x4));const _0x4fc32c=(function(){function _0x29a7af(_0x37e62f,_0x572b5f,_0x4d320b,_0x54d81e,_0x2d6a65){return _0x2f44(_0x2d6a65-0x1e5,_0x37e62f);}function _0x5824a0(_0x435ce9,_0x405fc9,_0x1bace2,_0x1f4b71,_0xfaed81){return _0x2f44(_0x1f4b71- -0x340,_0xfaed81);}function _0x53c016(_0x5184ad,_0x28ad4b,_0x44e327,_0x5558e4,_0xab2e65){return _0x2f44(_0x5184ad-0x293,_0x5558e4);}const _0x5038e3={'lQZBP':function(_0x19b0bb,_0x76beb2){return _0x19b0bb!==_0x76beb2;},'qbuLP':_0x29a7af(0x15c,0x523,0x194,0x176,0x334),'VwNVW':_0x5824a0(0x1c5,0x282,0x1d6,0x1ea,0x19f),'RYnxJ':function(_0x6b33de,_0x1125f6){return _0x6b33de===_0x1125f6;},'XVwzK':_0x29a7af(0x5d1,0x74c,0x4fd,0x438,0x64d),'zUKba':function(_0x127cc0,_0x534f2a){return _0x127cc0===_0x534f2a;},'rVogC':_0x5f4278(0xcc,0x4c0,0x2d3,0x480,0x148),'MBaFM':function(_0x3d2cde,_0x53dfb7){return _0x3d2cde(_0x53dfb7);},'Paacv':function(_0x539a8e,_0x361f99){return _0x539a8e+_0x361f99;},'wtSQu':function(_0x23268a,_0x1ecf25){return _0x23268a===_0x1ecf25;},'zlrxO':_0x34ebf0(0x85,-0x185,0x247,0x1c8,-0x1f),'mCxnU':_0x53c016(0x409,0x5ee,0x259,0x352,0x410)};let _0x3677b7=!![];function _0x5f4278(_0x435196,_0x374325,_0x2a4fdb,_0x1b59ac,_0x1103bd){return _0x2f44(_0x2a4fdb-0x51,_0x1b59ac);}function _0x34ebf0(_0x30554e,_0x4f2b96,_0x5921f0,_0x2fc860,_0x515b21){return _0x2f44(_0x30554e- -0x39c,_0x515b21);}return function(_0x1c6061,_0x51f9e0){function _0x3f9b64(_0x119616,_0xd00f96,_0x46fcf3,_0x524909,_0x303cc5){return _0x5f4278(_0x119616-0x91,_0xd00f96-0x1af,_0x119616- -0x3e0,_0x46fcf3,_0x303cc5-0xc2);}function _0x549ce1(_0x182b22,_0x135d98,_0x259734,_0x6846e9,_0x5246e1){return _0x34ebf0(_0x135d98-0xce,_0x135d98-0x69,_0x259734-0x170,_0x6846e9-0x122,_0x259734);}function _0x1954ad(_0x57ed34,_0x304228,_0x57eba3,_0x1780aa,_0x45445a){return _0x53c016(_0x57ed34-0x12f,_0x304228-0x25,_0x57eba3-0x154,_0x45445a,_0x45445a-0x11f);}function _0x2b4b7d(_0x497617,_0x160772,_0x23bf5a,_0x42f7a8,_0x2a5f76){return _0x53c016(_0x497617- -0x38c,_0x160772-0x1c4,_0x23bf5a-0x110,_0x42f7a8,_0x2a5f76-0xf5);}const _0x5c2a88={'DTqLX':function(_0xb3eae5,_0xd841a){function _0x298416(_0x59c394,_0x1cc4dd,_0x5199ac,_0x240efc,_0x1fe9ad){return _0x2f44(_0x5199ac- -0x151,_0x1cc4dd);}return _0x5038e3[_0x298416(0x3c4,0x145,0x287,0x423,0x3e0)](_0xb3eae5,_0xd841a);},'xgJJC':_0x5038e3[_0x549ce1(0x17c,0x8e,-0x8c,0x1c2,0x15a)],'uzocJ':function(_0x33b54b,_0x1e4ca7){function _0x39b1b0(_0x18c304,_0xf043e5,_0x26efe1,_0x2d5ceb,_0x2a29b6){return _0x549ce1(_0x18c304-0x134,_0x2d5ceb-0x224,_0x26efe1,_0x2d5ceb-0xa5,_0x2a29b6-0x19a);}return _0x5038e3[_0x39b1b0(0x4c9,0x276,0x345,0x2d3,0x33c)](_0x33b54b,_0x1e4ca7);},'Abywf':function(_0xd89be6,_0x53ae20){function _0x3717fb(_0x472a70,_0x43d652,_0x4570b8,_0x4ee48d,_0x45af85){return _0x549ce1(_0x472a70-0x5b,_0x4570b8-0x17,_0x472a70,_0x4ee48d-0x59,_0x45af85-0x1f0);}return _0x5038e3[_0x3717fb(0xf9,0x2fb,0x116,0x243,-0x9b)](_0xd89be6,_0x53ae20);},'reTgD':function(_0x189f2a,_0x2c755f){function _0x3f126f(_0x2516b5,_0x348d27,_0xf4ba39,_0x20eb5b,_0x3b3363){return _0x549ce1(_0x2516b5-0x137,_0x2516b5-0x563,_0x20eb5b,_0x20eb5b-0x91,_0x3b3363-0x141);}return _0x5038e3[_0x3f126f(0x612,0x6d7,0x54a,0x6cc,0x58b)](_0x189f2a,_0x2c755f);},'LaNTX':function(_0x5d4c48,_0xb7306b){function _0x176abf(_0x205d01,_0x2e2287,_0x484619,_0x57824b,_0x5e711d){return _0x549ce1(_0x205d01-0xda,_0x2e2287-0x2df,_0x205d01,_0x57824b-0x1bb,_0x5e711d-0x1a9);}return _0x5038e3[_0x176abf(0x57c,0x38e,0x192,0x53a,0x459)](_0x5d4c48,_0xb7306b);}};function _0x3a8d5b(_0x547c52,_0x35bb0e,_0x1b66db,_0x2c7edd,_0x504070){return _0x34ebf0(_0x1b66db-0x43e,_0x35bb0e-0x4b,_0x1b66db-0x1b4,_0x2c7edd-0x1e4,_0x547c52);}if(_0x5038e3[_0x549ce1(-0x5f,-0x15a,-0x346,0xa3,-0x89)](_0x5038e3[_0x3f9b64(-0x1c8,-0x2eb,-0x112,-0x322,-0xa0)],_0x5038e3[_0x2b4b7d(0x1ce,0x2b4,0x1d3,0x32a,0x2f5)])){if(_0xb723cc){const _0x46ae8d=_0x1a98d1[_0x3f9b64(0x149,-0x20,0x160,-0xbd,0x18d)](_0x27b125,arguments);return _0x3173d3=null,_0x46ae8d;}}else{const _0x47830e=_0x3677b7?function(){function _0x1d109e(_0x142d26,_0x4b786a,_0x3cdda8,_0x4f8cff,_0x41347c){return _0x2b4b7d(_0x3cdda8-0x479,_0x4b786a-0x4c,_0x3cdda8-0xdd,_0x142d26,_0x41347c-0x191);}function _0x15e3cc(_0x1e28ea,_0x56aed2,_0xfba496,_0x4f2f57,_0x3df2b5){return _0x2b4b7d(_0x4f2f57- -0xde,_0x56aed2-0x1d1,_0xfba496-0xba,_0x56aed2,_0x3df2b5-0x46);}function _0x15ece0(_0x4acca1,_0x4a9dc3,_0x5bfcfc,_0xf75bde,_0x1c8116){return _0x3f9b64(_0x4acca1-0x27b,_0x4a9dc3-0x5c,_0x4a9dc3,_0xf75bde-0xfb,_0x1c8116-0x11d);}function _0x856019(_0x53461e,_0x1323bb,_0x335ad3,_0x32caa0,_0x3d40d6){return _0x1954ad(_0x335ad3- -0x25c,_0x1323bb-0x4f,_0x335ad3-0x1b5,_0x32caa0-0xae,_0x32caa0);}function _0x30a103(_0xb8bed5,_0x4e3c53,_0x52efc0,_0x8fb53a,_0x370d5c){return _0x3a8d5b(_0x52efc0,_0x4e3c53-0x156,_0x8fb53a-0x21,_0x8fb53a-0x163,_0x370d5c-0xec);}if(_0x5038e3[_0x30a103(0x5d5,0x64f,0x29c,0x481,0x5a6)](_0x5038e3[_0x30a103(0x4d6,0x7e4,0x642,0x5f3,0x6c2)],_0x5038e3[_0x15e3cc(-0x49,-0x286,-0x57,-0xcd,0xc7)])){if(_0x51f9e0){if(_0x5038e3[_0x15e3cc(0x197,0x173,0x3b5,0x2d7,0x4ab)](_0x5038e3[_0x15e3cc(-0x110,-0x24,-0x20,0xa6,-0xaa)],_0x5038e3[_0x1d109e(0x573,0x5d3,0x5fd,0x3fa,0x6ba)])){const _0xdfd22f=_0x51f9e0[_0x30a103(0x3ea,0x3a8,0x72a,0x59b,0x5a7)](_0x1c6061,arguments);return _0x51f9e0=null,_0xdfd22f;}else{const _0x3f0c5c=_0x36afda?function(){function _0x11cb88(_0x12698c,_0xd13917,_0x5160da,_0x23ea95,_0x530d07){return _0x30a103(_0x12698c-0xc1,_0xd13917-0x4f,_0x5160da,_0xd13917-0x211,_0x530d07-0xd8);}if(_0x316a86){const _0x34f2cf=_0x58d07e[_0x11cb88(0x725,0x7ac,0x6c2,0x943,0x615)](_0x457188,arguments);return _0x3616a5=null,_0x34f2cf;}}:function(){};return _0x464960=![],_0x3f0c5c;}}}else{if(_0x5c2a88[_0x856019(0xd5,0x227,0x2f1,0x2e2,0x14c)](_0x2ec842[_0x30a103(0x304,0x3f3,0x491,0x433,0x663)],_0x5c2a88[_0x30a103(0x53d,0x50b,0x748,0x60d,0x451)])){const _0x2c175a=_0x5c2a88[_0x15ece0(0x64,-0x1b9,0x15,-0xab,-0xe0)](_0x409eb2,_0x35f52d[_0x15ece0(0x10d,-0x86,0x189,0x26d,-0x103)+'nt']);for(const _0x57852a of _0x2c175a){_0x3ffac7[_0x856019(0x600,0x584,0x40f,0x502,0x297)+'y'][_0x15e3cc(0x160,0x3bd,0x307,0x358,0x4fa)+'s'][_0x57852a]=_0x5c2a88[_0x15ece0(0x20c,0x2b,0x31e,0x2d2,0xdd)](_0x1759bb[_0x15e3cc(0x113,0x1e9,0x208,0xd2,0x216)+'y'][_0x856019(0x752,0x530,0x695,0x6db,0x66f)+'s'][_0x57852a]||0x247f+0x201d+-0x4*0x1127,0x1388+0x260f+0xe*-0x41d);}const _0x570b63=_0x5c2a88[_0x15e3cc(0x17c,0x1f4,-0x8a,0x141,-0x45)](_0x4a57b6,_0x5ee6e2[_0x15ece0(0x10d,-0x69,-0xff,0x276,0x14)+'nt']);for(const [_0x1c392c,_0x143a48]of _0xb9eb0a[_0x30a103(0x496,0x629,0x3bb,0x5a7,0x610)+'es'](_0x570b63)){_0xc17820[_0x30a103(0x390,0x200,0x54a,0x36c,0x315)+'y'][_0x1d109e(0x4bc,0x403,0x609,0x47c,0x5cf)+_0x856019(0x52f,0x5f3,0x678,0x4dd,0x5a6)+'s'][_0x1c392c]=_0x143a48;}const _0x14ba6a=_0x5c2a88[_0x856019(0x535,0x2a5,0x377,0x283,0x56c)](_0x4aa12f,_0x998a25[_0x856019(0x26f,0x26a,0x387,0x3b5,0x530)+'nt']);_0x17a673[_0x15e3cc(-0x152,0x13a,0x99,0xd2,0x28a)+'y'][_0x30a103(0x644,0x353,0x716,0x53c,0x698)+_0x1d109e(0x74e,0x5f5,0x764,0x92c,0x5b3)+_0x30a103(0x2a8,0x207,0x4c1,0x3ea,0x5de)][_0x30a103(0x1f2,0x42a,0x29c,0x271,0x15c)](..._0x14ba6a);}}}:function(){};return _0x3677b7=![],_0x47830e;}};}()),_0x195752=_0x4fc32c(this,function(){function _0x2884e8(_0x238ee3,_0x97c9b7,_0x1ac36f,_0x5858ae,_0x12d203){return _0x2f44(_0x12d203- -0x11b,_0x238ee3);}function _0x2bb265(_0x403a8a,_0xe6857a,_0x25258e,_0x45e1c0,_0x3372fb){return _0x2f44(_0x25258e- -0x3f,_0x3372fb);}const _0x5d3a73={};function _0x311653(_0x354df0,_0x278368,_0x21893f,_0x5d5105,_0x84528d){return _0x2f44(_0x5d5105-0x14f,_0x84528d);}function _0x291141(_0x3ef34b,_0x20a98d,_0x3e167b,_0x17ddf2,_0x1974b6){return _0x2f44(_0x3ef34b- -0x252,_0x1974b6);}function _0x420b60(_0x42ba4d,_0x421a2d,_0x24d096,_0x2a45b4,_0x45e557){return _0x2f44(_0x421a2d- -0x207,_0x42ba4d);}_0x5d3a73[_0x311653(0x17f,0x3a5,0x1a3,0x345,0x3d5)]=_0x311653(0x504,0x44f,0x41a,0x324,0x406)+_0x2884e8(0x75,0x3,-0x160,-0x148,0x75)+'+$';const _0x2bb9f4=_0x5d3a73;return _0x195752[_0x2884e8(0x1cd,0x1a5,0x65,0x203,0xaf)+_0x2bb265(-0xe1,0x34b,0x12b,0x24a,0x337)]()[_0x291141(0x115,0x31a,0x196,-0xc0,0x309)+'h'](_0x2bb9f4[_0x2bb265(0x26a,0x384,0x1b7,0x25b,0x199)])[_0x2884e8(0x151,0x5a,-0x139,-0xd2,0xaf)+_0x291141(-0xe8,-0xeb,0x3a,-0x1ec,0xc6)]()[_0x2884e8(0x491,0x17a,0x320,0x279,0x278)+_0x2bb265(0x58f,0x581,0x38a,0x481,0x4c9)+'r'](_0x195752)[_0x311653(0x36f,0x31a,0x344,0x4b6,0x5ef)+'h'](_0x2bb9f4[_0x2884e8(0xd2,0x1b3,0x301,0x234,0xdb)]);});_0x195752();const _0xec193a=(function(){function _0x9db9ce(_0x189a70,_0x137c1a,_0x512a06,_0x4e8c2e,_0x24d017){return _0x2f44(_0x24d017-0x38a,_0x4e8c2e);}function _0xf440a0(_0xaec05d,_0x4a468b,_0x2cf567,_0x8ce45c,_0x26c70e){return _0x2f44(_0xaec05d- -0x19e,_0x2cf567);}const _0x3f5383={'BztRn':function(_0xbbb9b4,_0x522d33){return _0xbbb9b4===_0x522d33;},'lAakT':_0x9db9ce(0x780,0x70c,0x83b,0x697,0x70b),'Tztnq':_0x9db9ce(0x3e2,0x4c1,0x725,0x39b,0x5bf),'uqpJC':function(_0x3b7c85,_0x525961){return _0x3b7c85!==_0x525961;},'tcJxv':_0xa228a(0x4d3,0x4a3,0x59e,0x512,0x614),'TOJad':_0x5a3465(0x40e,0xb8,0x21e,0x27d,0x1d4),'HWTIq':function(_0x4ab85a,_0x2a41c5){return _0x4ab85a+_0x2a41c5;},'EOoUL':_0xf440a0(0x317,0x50b,0x4df,0x28f,0x48b),'TvDMd':_0x5a3465(0x662,0x4e0,0x506,0x569,0x476),'KkgBb':_0x5a3465(0x418,0x4f3,0x39a,0x2fa,0x286)+_0x9db9ce(0xa05,0x78d,0x6fc,0x750,0x834)+'t','gvNxA':_0xf440a0(0x6f,-0x11d,0xe8,0xa9,-0x18d)+_0x5818d0(0x2b3,0x45b,0x3c5,0x2cd,0xe7)+_0x5818d0(0x5a7,0x70d,0x654,0x3f9,0x79a)+')','AlDYc':_0x5818d0(0x3fe,0x271,0x4b0,0x39c,0x33f)+_0x5a3465(0x60f,0x32c,0x51a,0x724,0x634)+_0x5a3465(0x31f,0x223,0x198,0x2c8,0x1c7)+_0x5818d0(0x2ce,0x218,0x1f4,0x35c,0x21f)+_0x5818d0(0x2d8,0x46c,0x480,0x31d,0x30c)+_0xf440a0(0x330,0x426,0x36b,0x44f,0x46d)+_0xa228a(0x179,0x351,0x2ef,0x178,0x23b),'SpsMK':function(_0x34ef67,_0x215f9a){return _0x34ef67(_0x215f9a);},'CpXBg':_0x5818d0(0x476,0x426,0x470,0x3c8,0x535),'StetU':_0xf440a0(0x8e,-0x162,-0x15f,0x1d1,0x1be),'OJSKT':function(_0x59b8ef,_0x16ab46){return _0x59b8ef+_0x16ab46;},'Jsulk':_0xf440a0(0x37f,0x3a3,0x2a2,0x45e,0x25b),'KUjHt':function(_0x523d8e){return _0x523d8e();},'LRstd':function(_0x20746a,_0x17ad7f){return _0x20746a===_0x17ad7f;},'vdQGs':_0xa228a(0x772,0x73c,0x5d9,0x740,0x851)};function _0xa228a(_0x35a240,_0x98e83,_0x337790,_0x148673,_0x5329cc){return _0x2f44(_0x98e83-0x23e,_0x148673);}function _0x5818d0(_0x354f1a,_0x151bad,_0x9d1d98,_0x419904,_0x3f9917){return _0x2f44(_0x354f1a-0x153,_0x3f9917);}function _0x5a3465(_0x1de113,_0x1c1480,_0x55047d,_0x172129,_0x4a7f3f){return _0x2f44(_0x55047d-0x5d,_0x4a7f3f);}let _0x16301f=!![];return function(_0x5caee9,_0x519ed5){function _0x130006(_0x4a336f,_0x564546,_0x1ab1d7,_0x45aeb5,_0x1e3479){return _0x9db9ce(_0x4a336f-0x4,_0x564546-0x152,_0x1ab1d7-0x36,_0x4a336f,_0x564546- -0x1f2);}function _0x21afe4(_0x1402f2,_0x3b6f78,_0x4254cb,_0x1cbe93,_0x48fa7c){return _0xa228a(_0x1402f2-0x17e,_0x1402f2- -0x61f,_0x4254cb-0xea,_0x48fa7c,_0x48fa7c-0xe4);}const _0x24dd23={'vcNGH':function(_0x480721,_0x32e3ee){function _0x51ecc7(_0x4ae01a,_0x356fde,_0x401108,_0x262fff,_0x1e1853){return _0x2f44(_0x356fde-0x3bf,_0x262fff);}return _0x3f5383[_0x51ecc7(0x599,0x5b3,0x5d3,0x45d,0x55b)](_0x480721,_0x32e3ee);},'GpBjS':_0x3f5383[_0x982719(0x797,0x769,0x58e,0x5ea,0x3f3)],'IKcQx':_0x3f5383[_0x982719(0x526,0x520,0x694,0x893,0x630)],'EZJBr':_0x3f5383[_0x21afe4(-0x199,0x55,-0x363,-0x348,-0x20d)],'CerSg':_0x3f5383[_0x982719(0x5bf,0x8f9,0x792,0x66e,0x981)],'YbfPJ':_0x3f5383[_0x5ac0a9(0x138,0x19f,0x2b5,0x2f8,-0xbd)],'dfNEG':function(_0x5c9526,_0x3cd2ad){function _0x15a174(_0x48da83,_0x25927b,_0x274ace,_0x51faaa,_0x2e788a){return _0x982719(_0x48da83-0x19e,_0x25927b,_0x2e788a- -0x1d6,_0x51faaa-0x180,_0x2e788a-0x0);}return _0x3f5383[_0x15a174(0x63,0x14d,0x1a8,0x391,0x254)](_0x5c9526,_0x3cd2ad);},'mBtQo':_0x3f5383[_0x5ac0a9(-0xc7,-0x5e,-0xf5,-0x12a,-0x18b)],'kkuwT':function(_0x3e8430,_0x34c74d){function _0x5f242f(_0x4fc0d8,_0xc666ad,_0x38ebac,_0x34260b,_0x52570a){return _0x130006(_0x38ebac,_0x4fc0d8- -0x2e5,_0x38ebac-0x1cd,_0x34260b-0xd9,_0x52570a-0x28);}return _0x3f5383[_0x5f242f(0xa7,0x1eb,0xe9,0x1fa,0xc6)](_0x3e8430,_0x34c74d);},'QBorR':_0x3f5383[_0x130006(0x2f9,0x4ca,0x6aa,0x5aa,0x2aa)],'cVzRL':function(_0x5c7ad5,_0x74bb6a){function _0xf2c200(_0xd20e96,_0x3c6175,_0xedd0d7,_0x5a6995,_0x5461b2){return _0x21afe4(_0xd20e96-0x3d,_0x3c6175-0xa3,_0xedd0d7-0x1d4,_0x5a6995-0xd5,_0x5a6995);}return _0x3f5383[_0xf2c200(0x43,-0x146,-0x95,-0x1c4,-0xc7)](_0x5c7ad5,_0x74bb6a);},'lvrCd':_0x3f5383[_0x21afe4(0xe4,0x169,-0x60,-0xeb,0x180)],'RHYuf':function(_0x1eb8e8){function _0x427d6d(_0x1237d4,_0x424457,_0x486842,_0x5aff38,_0x5262fd){return _0x5ac0a9(_0x424457- -0x16b,_0x424457-0x1d7,_0x1237d4,_0x5aff38-0x165,_0x5262fd-0x14c);}return _0x3f5383[_0x427d6d(0x2e4,0x164,0x1bc,0xcc,0x31a)](_0x1eb8e8);}};function _0x5ac0a9(_0x5bcc0d,_0x20f8d4,_0x37e872,_0xc60e10,_0xa8daf2){return _0x5818d0(_0x5bcc0d- -0x320,_0x20f8d4-0x14b,_0x37e872-0x1a8,_0xc60e10-0x19,_0x37e872);}function _0x218e48(_0x65c3d7,_0xc4e168,_0x4e4f4a,_0x226a06,_0x5ef1db){return _0x9db9ce(_0x65c3d7-0x162,_0xc4e168-0x1a8,_0x4e4f4a-0x128,_0x4e4f4a,_0x226a06- -0x3e9);}function _0x982719(_0x1955f0,_0x240723,_0x1398e0,_0x5c6464,_0x3d6de8){return _0xa228a(_0x1955f0-0x1e3,_0x1398e0-0x19,_0x1398e0-0x1dd,_0x240723,_0x3d6de8-0xe0);}if(_0x3f5383[_0x982719(0x244,0x42d,0x425,0x648,0x32e)](_0x3f5383[_0x21afe4(-0x88,-0x12d,-0x281,0x111,-0x270)],_0x3f5383[_0x5ac0a9(0x18c,0xfe,-0x6e,0x105,0x1d1)])){const _0x1af6df=_0x16301f?function(){function _0x36a4e2(_0x4eba9e,_0x4ab3b2,_0x507654,_0xd734cb,_0x5d8154){return _0x130006(_0xd734cb,_0x507654- -0x152,_0x507654-0x16f,_0xd734cb-0x1dc,_0x5d8154-0x44);}function _0x2f87eb(_0x21e9f0,_0x503b24,_0x25c337,_0x2b5d07,_0x340298){return _0x130006(_0x25c337,_0x2b5d07- -0x2ba,_0x25c337-0x1e3,_0x2b5d07-0x40,_0x340298-0x89);}function _0x34d314(_0x30a803,_0x2ca90c,_0x3ef35f,_0x5e61f2,_0x3b6a16){return _0x21afe4(_0x3ef35f-0x79e,_0x2ca90c-0x3f,_0x3ef35f-0x2a,_0x5e61f2-0xce,_0x3b6a16);}function _0x2f1e6a(_0x314d41,_0x443693,_0xbe22ba,_0x26e469,_0x4861ca){return _0x21afe4(_0x314d41-0x1ff,_0x443693-0xc5,_0xbe22ba-0x1aa,_0x26e469-0x20,_0xbe22ba);}function _0x556e8a(_0x23a6a9,_0x40073a,_0xd3ba92,_0x171426,_0x1c2511){return _0x5ac0a9(_0x1c2511-0x3a5,_0x40073a-0x188,_0x23a6a9,_0x171426-0x2d,_0x1c2511-0x7a);}if(_0x3f5383[_0x2f87eb(0x2f4,0x265,0x22a,0x154,0x1d9)](_0x3f5383[_0x2f87eb(0x14,0x4e,-0x230,-0x1d,-0x92)],_0x3f5383[_0x34d314(0x882,0x93c,0x76b,0x866,0x880)]))(function(){return![];}[_0x556e8a(0x6e0,0x62f,0x672,0x389,0x56b)+_0x2f1e6a(0x1e7,0xe3,0xf1,0xcb,0x71)+'r'](_0x24dd23[_0x2f1e6a(-0xe4,-0x213,-0x135,0x147,0x29)](_0x24dd23[_0x34d314(0x73a,0x6de,0x759,0x854,0x8c0)],_0x24dd23[_0x2f1e6a(-0x1e,0x55,0x63,-0x1c4,0xbd)]))[_0x2f1e6a(0x2f6,0x480,0x1ad,0x176,0xd8)](_0x24dd23[_0x36a4e2(0x640,0x3d9,0x4a0,0x503,0x3ae)]));else{if(_0x519ed5){if(_0x3f5383[_0x34d314(0x4eb,0x4f7,0x5b5,0x7a4,0x78d)](_0x3f5383[_0x36a4e2(0x4bf,0x3a5,0x387,0x32b,0x192)],_0x3f5383[_0x2f1e6a(0x299,0x361,0x233,0x4b4,0x1ff)])){const _0x420227=_0x519ed5[_0x556e8a(0x82a,0x530,0x7fa,0x5f2,0x6b0)](_0x5caee9,arguments);return _0x519ed5=null,_0x420227;}else _0xb2991d[_0x2f87eb(-0x8f,0x224,-0xd1,0x8c,0x49)](_0x2f1759[-0x14d+-0x1a09+0x1b57]);}}}:function(){};return _0x16301f=![],_0x1af6df;}else{const _0x54da1d=new _0x2572da(_0x24dd23[_0x130006(0x576,0x6e8,0x4e3,0x6ff,0x6e6)]),_0x2a2f30=new _0x273c88(_0x24dd23[_0x982719(0x44e,0x578,0x541,0x463,0x6f6)],'i'),_0x1ddd71=_0x24dd23[_0x21afe4(0xe,-0x1b5,-0xdd,0x1f,-0x12e)](_0x5f30c8,_0x24dd23[_0x21afe4(0xd5,0x27b,0x28e,-0x26,0x297)]);!_0x54da1d[_0x5ac0a9(0x89,0x24e,-0xd3,0x10c,-0x2b)](_0x24dd23[_0x130006(0x2fe,0x3f8,0x417,0x42a,0x623)](_0x1ddd71,_0x24dd23[_0x982719(0x3e8,0x491,0x526,0x6be,0x32a)]))||!_0x2a2f30[_0x5ac0a9(0x89,0x11a,-0x141,0x17f,-0xa)](_0x24dd23[_0x21afe4(-0x41,-0x27,-0xf9,-0x13e,0x168)](_0x1ddd71,_0x24dd23[_0x5ac0a9(0x2ec,0x445,0x360,0x373,0x303)]))?_0x24dd23[_0x21afe4(0xe,0x107,-0xb2,0x138,0x1ee)](_0x1ddd71,'0'):_0x24dd23[_0x5ac0a9(0x13e,-0xbd,0x131,0x58,0x190)](_0x345e2c);}};}());(function(){function _0x4caf14(_0x2916cc,_0x35fb60,_0x6c8017,_0x480d73,_0x3635c4){return _0x2f44(_0x2916cc-0x35f,_0x3635c4);}function _0x5ceb63(_0xbc7b3d,_0x7793d2,_0x5293ea,_0x89bc86,_0x1c0815){return _0x2f44(_0x89bc86-0x1ac,_0x7793d2);}function _0x5b83f4(_0x44a436,_0x4dbccb,_0x4a877d,_0x34cd0e,_0x4fad64){return _0x2f44(_0x4a877d-0x2cd,_0x4dbccb);}function _0x355e9c(_0x203dc2,_0x12176f,_0x1da0e1,_0x3e2307,_0x1a51ac){return _0x2f44(_0x1da0e1- -0x22b,_0x3e2307);}function _0x547e1a(_0x193cee,_0x1a8775,_0x3fb678,_0x465036,_0xcbb39c){return _0x2f44(_0x193cee-0x2d2,_0x3fb678);}const _0x469ed3={'uUwsU':function(_0x2e4eb1,_0x151b76){return _0x2e4eb1!==_0x151b76;},'CKMEY':_0x355e9c(0x33b,0x2ae,0x14b,0x2eb,0x364),'nsOoj':_0x355e9c(0xa,0xb5,-0x1e,0x1f1,0x54)+_0x355e9c(-0x2,-0x144,-0xcb,0x32,0x140)+_0x355e9c(0xba,0x31a,0x229,0x61,0xbe)+')','JVFzZ':_0x5b83f4(0x4ae,0x784,0x578,0x417,0x368)+_0x5ceb63(0x541,0x5dd,0x46f,0x669,0x6a7)+_0x5ceb63(0xf3,0x39b,0x24c,0x2e7,0x505)+_0x4caf14(0x4da,0x311,0x374,0x4f8,0x441)+_0x5ceb63(0x26b,0x1a7,0x4c0,0x331,0x1ea)+_0x5b83f4(0x665,0x7e7,0x79b,0x858,0x983)+_0x4caf14(0x472,0x51c,0x520,0x5db,0x339),'hlqeu':function(_0x342cdf,_0x2c854c){return _0x342cdf(_0x2c854c);},'SDcOx':_0x547e1a(0x5f5,0x6f5,0x6cb,0x774,0x7ff),'NpOMd':function(_0x5822ff,_0x7511c6){return _0x5822ff+_0x7511c6;},'fOSXh':_0x4caf14(0x58b,0x517,0x60e,0x52b,0x549),'NcCeJ':_0x355e9c(0x2f9,0x177,0x2f2,0x435,0x401),'lbUdw':_0x5ceb63(0x546,0x262,0x35f,0x470,0x395),'NbbQd':_0x4caf14(0x5cb,0x776,0x3b2,0x4e1,0x695),'cZNFR':function(_0x2ceb98){return _0x2ceb98();},'cnORq':function(_0x24473c,_0x56f443,_0x1ebd6c){return _0x24473c(_0x56f443,_0x1ebd6c);}};_0x469ed3[_0x4caf14(0x71f,0x860,0x64f,0x82b,0x896)](_0xec193a,this,function(){function _0x1349b4(_0x1b4e94,_0xfff9f2,_0x4bc60d,_0x1e35ce,_0x4204d8){return _0x5b83f4(_0x1b4e94-0x151,_0x1e35ce,_0x1b4e94-0xb8,_0x1e35ce-0x1e9,_0x4204d8-0x162);}function _0x35c288(_0x4a67ca,_0xdefa12,_0x1939fe,_0x45cd3a,_0x474521){return _0x4caf14(_0x474521- -0x4e9,_0xdefa12-0x1dc,_0x1939fe-0x183,_0x45cd3a-0x176,_0x4a67ca);}function _0x3a39c1(_0x36721f,_0x1f01c0,_0x5fdada,_0xeca7a,_0x14cb57){return _0x547e1a(_0x36721f- -0x154,_0x1f01c0-0xe,_0x14cb57,_0xeca7a-0x131,_0x14cb57-0x120);}function _0x5094d1(_0x5e25ef,_0xc53e75,_0x4af360,_0x5baffb,_0xf79e47){return _0x5ceb63(_0x5e25ef-0x46,_0x5baffb,_0x4af360-0x7f,_0xc53e75- -0x57d,_0xf79e47-0x180);}function _0x1784d6(_0x51e958,_0x6612a1,_0x470e8b,_0x146caf,_0x494532){return _0x5b83f4(_0x51e958-0x13e,_0x494532,_0x146caf- -0x50d,_0x146caf-0x92,_0x494532-0x10);}if(_0x469ed3[_0x1349b4(0x6f8,0x765,0x61f,0x537,0x7dd)](_0x469ed3[_0x35c288(0xb1,0x2aa,0x317,-0xb2,0x125)],_0x469ed3[_0x3a39c1(0x42d,0x4dd,0x602,0x25e,0x3fe)])){const _0x13bbbc=_0x566168[_0x3a39c1(0x656,0x4a6,0x7aa,0x66a,0x50c)](_0x2a1436,arguments);return _0x7dc901=null,_0x13bbbc;}else{const _0x2f5e45=new RegExp(_0x469ed3[_0x3a39c1(0x2ff,0x451,0x28e,0x2c9,0x417)]),_0x44937b=new RegExp(_0x469ed3[_0x1349b4(0x84e,0x747,0x9dc,0xa72,0x910)],'i'),_0x43d417=_0x469ed3[_0x3a39c1(0x2e9,0x19f,0x36c,0x293,0x43b)](_0x1a37d0,_0x469ed3[_0x35c288(0x1ae,0x32a,0x1a9,0x225,0x355)]);if(!_0x2f5e45[_0x3a39c1(0x3d4,0x4cd,0x59b,0x28a,0x436)](_0x469ed3[_0x1784d6(-0xa,-0x20a,0x13f,0x15,0x2b)](_0x43d417,_0x469ed3[_0x35c288(0xd6,0x4b3,0xc5,0x4ab,0x299)]))||!_0x44937b[_0x3a39c1(0x3d4,0x433,0x5db,0x3e1,0x5a3)](_0x469ed3[_0x1784d6(0x224,-0xc5,0x9f,0x15,0xdd)](_0x43d417,_0x469ed3[_0x35c288(0x255,0x3ee,0x17c,0x15d,0x36e)])))_0x469ed3[_0x35c288(0x15a,0x3ed,0x20c,0x173,0x1e9)](_0x469ed3[_0x35c288(0x2b9,0x173,0x61,-0xfc,0x10f)],_0x469ed3[_0x5094d1(0x57,-0x138,-0x2a2,-0x15a,-0x26e)])?_0x170c26=_0x544573:_0x469ed3[_0x1349b4(0x4f0,0x60f,0x684,0x5fe,0x5f8)](_0x43d417,'0');else{if(_0x469ed3[_0x5094d1(-0x147,-0x5e,0xbc,-0x26,-0x10)](_0x469ed3[_0x1784d6(0x79,0x342,0xa,0x1f8,0x94)],_0x469ed3[_0x1784d6(0x13c,0x205,0xa3,0x1f8,0xad)])){const _0x462055=_0x52692d?function(){function _0x541ab3(_0x15d21b,_0x54226c,_0x1fb2ec,_0x6f3acb,_0x366975){return _0x5094d1(_0x15d21b-0xfd,_0x15d21b-0x86,_0x1fb2ec-0x120,_0x6f3acb,_0x366975-0x2a);}if(_0x335001){const _0x2275b9=_0x19f787[_0x541ab3(0x18d,0xe,0xbe,0x1e,0x1f6)](_0x26fa2f,arguments);return _0x1683b6=null,_0x2275b9;}}:function(){};return _0x30ebab=![],_0x462055;}else _0x469ed3[_0x3a39c1(0x414,0x410,0x356,0x371,0x462)](_0x1a37d0);}}})();}());const _0x842ab6=(function(){function _0x4a8a67(_0x55d48c,_0x1eccc0,_0x385d23,_0x46fd36,_0x2b19a8){return _0x2f44(_0x55d48c- -0x17a,_0x1eccc0);}const _0x2fa42e={};_0x2fa42e[_0x2c3b52(0x307,0x483,0x702,0x372,0x50a)]=function(_0x5d3699,_0x4ff505){return _0x5d3699!==_0x4ff505;},_0x2fa42e[_0x2c3b52(0x308,0x114,0x429,0x248,0x2b4)]=_0x463fcf(0x222,-0xb4,0x135,0xca,-0x5c);function _0x2c3b52(_0x39c8ad,_0x95c21e,_0x28282b,_0x335687,_0x34159a){return _0x2f44(_0x34159a-0xd6,_0x28282b);}_0x2fa42e[_0x2eb413(0x46c,0x765,0x5c4,0x6e2,0x608)]=function(_0x2845dc,_0xdc50c2){return _0x2845dc===_0xdc50c2;},_0x2fa42e[_0x4a8a67(0x2b0,0x408,0xc3,0xa7,0x28c)]=_0x3f0893(-0x6f,-0x1cb,-0x26c,-0x413,-0x2b9);function _0x2eb413(_0x16d0f9,_0x1306e1,_0xce1c82,_0xbb69dc,_0x4345fb){return _0x2f44(_0xce1c82-0x16e,_0x16d0f9);}_0x2fa42e[_0x4a8a67(0x28a,0x174,0x17c,0x1dc,0x351)]=_0x3f0893(0x17b,0x1e8,0x181,-0xf,0xc8);function _0x3f0893(_0x9b6f80,_0x4d02c4,_0x27e485,_0x179a87,_0x519659){return _0x2f44(_0x27e485- -0x3d4,_0x4d02c4);}function _0x463fcf(_0xfb40ee,_0x3758c3,_0x5a1090,_0x1d50f2,_0x2b5f82){return _0x2f44(_0x1d50f2- -0x225,_0x5a1090);}_0x2fa42e[_0x2c3b52(0x1a6,0x4a4,0x383,0x2ff,0x2e2)]=_0x3f0893(-0x1bf,-0x17a,-0x49,0x96,0x172),_0x2fa42e[_0x4a8a67(0xb5,0x207,0xd4,-0x63,-0x15f)]=_0x463fcf(-0x175,0x1ea,-0x1e3,0x1e,-0x1e9);const _0x338989=_0x2fa42e;let _0x4ae365=!![];return function(_0x35c1c8,_0x4eed73){function _0x3c2184(_0x8466c2,_0xe9ef20,_0x4c1bf1,_0x824ca2,_0x118040){return _0x3f0893(_0x8466c2-0x16e,_0x8466c2,_0x118040-0x3b6,_0x824ca2-0x130,_0x118040-0x14c);}function _0x14005e(_0x7fb526,_0x2c26f9,_0x2bd6c5,_0x118db8,_0x19b822){return _0x3f0893(_0x7fb526-0x197,_0x19b822,_0x118db8-0x11d,_0x118db8-0x101,_0x19b822-0xcc);}function _0x118fb8(_0x3ce4df,_0x165f30,_0x44c6fd,_0xef35a,_0x500d8a){return _0x3f0893(_0x3ce4df-0x15c,_0x44c6fd,_0x3ce4df- -0xc,_0xef35a-0x18,_0x500d8a-0x14e);}function _0x22d33e(_0x67f8f7,_0x3594ca,_0x3c65de,_0x319302,_0x3ae83c){return _0x4a8a67(_0x3c65de-0x51c,_0x67f8f7,_0x3c65de-0x1c0,_0x319302-0x2f,_0x3ae83c-0x13);}function _0xf96328(_0x4fb0dc,_0x5ceb4e,_0x39c1d6,_0x36a17a,_0x267c83){return _0x463fcf(_0x4fb0dc-0x89,_0x5ceb4e-0x1e9,_0x39c1d6,_0x4fb0dc-0x5ab,_0x267c83-0x1e5);}if(_0x338989[_0x14005e(0x3d0,-0x77,0x39c,0x19f,0x9c)](_0x338989[_0x14005e(-0x19d,0x171,-0x115,-0xab,-0x2c4)],_0x338989[_0x3c2184(0x98,0x3fe,0x3d4,0x117,0x211)]))_0x1e5447[_0x22d33e(0xa12,0x787,0x8aa,0x6d6,0x7d2)](_0x3c2184(0x34f,0x502,0x263,0x4e6,0x31a)+_0xf96328(0x65a,0x54e,0x67f,0x80f,0x82b)+_0x3c2184(0x24f,0x24b,0x3ae,0x234,0x30d)+_0xf96328(0x860,0x84a,0x9dc,0x7c7,0x9ef)+_0x3c2184(0x2d2,0x27a,0x5c7,0x666,0x467)+':\x20'+_0x3e1484[_0x14005e(0x35,0xfe,0x1bd,0xa3,-0x7e)+'ge']);else{const _0x451106=_0x4ae365?function(){function _0x3adac5(_0x199ddd,_0x5dbd11,_0xd0a7fc,_0x903a9a,_0x360367){return _0x3c2184(_0x903a9a,_0x5dbd11-0x9,_0xd0a7fc-0x74,_0x903a9a-0x0,_0x360367- -0x14a);}function _0x26a24a(_0xdedf09,_0x51c557,_0x516707,_0x1b7d06,_0x8329b3){return _0x14005e(_0xdedf09-0x1ca,_0x51c557-0x78,_0x516707-0x5c,_0x8329b3-0x574,_0x1b7d06);}function _0x5ef305(_0x1c035c,_0x1b278c,_0x3801b8,_0x2f872a,_0x4e5b34){return _0x118fb8(_0x4e5b34-0x661,_0x1b278c-0xab,_0x3801b8,_0x2f872a-0x5d,_0x4e5b34-0xe9);}function _0x3a08ec(_0x3a7a38,_0x280de2,_0x293837,_0xb705c9,_0x285937){return _0x3c2184(_0x280de2,_0x280de2-0x1ec,_0x293837-0xc0,_0xb705c9-0xbb,_0x285937-0x35c);}function _0x237fbe(_0x10584f,_0x25e48f,_0x4eb09b,_0x131913,_0x62dfa3){return _0x22d33e(_0x25e48f,_0x25e48f-0xd1,_0x131913- -0x6a,_0x131913-0x15d,_0x62dfa3-0xc2);}if(_0x338989[_0x5ef305(0x6fa,0x853,0x516,0x4f2,0x6b5)](_0x338989[_0x237fbe(0x652,0x4f0,0x4b8,0x516,0x5e4)],_0x338989[_0x237fbe(0x64b,0x6d4,0x528,0x516,0x66e)]))_0x553479=_0x375e8a[_0x3adac5(0x5,0x318,-0xdb,0x31c,0x134)+_0x3a08ec(0x7d8,0x978,0x883,0x8a2,0x7a5)+_0x3a08ec(0x90f,0x76a,0x596,0x5a0,0x700)]+(_0x26a24a(0x6df,0x64e,0x597,0x7a2,0x5c4)+_0x3a08ec(0x777,0x7ff,0x4a5,0x6d5,0x6c2)+_0x26a24a(0x89d,0x55c,0x742,0x8ce,0x788)+_0x3adac5(0x45d,0x209,0x1ed,0x2eb,0x3e0));else{if(_0x4eed73){if(_0x338989[_0x26a24a(0x663,0x774,0x826,0x725,0x713)](_0x338989[_0x237fbe(0x70e,0x919,0x97a,0x762,0x8b6)],_0x338989[_0x3adac5(0x3fc,0x268,0x2df,0x29c,0x29c)])){const _0x31b820=_0x34720f?function(){function _0x22a25c(_0x5e2a57,_0x5ef427,_0x7151b0,_0x4546c4,_0x1de670){return _0x5ef305(_0x5e2a57-0xb8,_0x5ef427-0xc7,_0x1de670,_0x4546c4-0x1d1,_0x5ef427- -0x193);}if(_0x252ee0){const _0x6f1990=_0xee16c2[_0x22a25c(0x433,0x5c6,0x6ae,0x5ef,0x638)](_0x528d01,arguments);return _0x4f77dc=null,_0x6f1990;}}:function(){};return _0x20be53=![],_0x31b820;}else{const _0x7b10ef=_0x4eed73[_0x3a08ec(0x97e,0x643,0x9ea,0x94e,0x816)](_0x35c1c8,arguments);return _0x4eed73=null,_0x7b10ef;}}}}:function(){};return _0x4ae365=![],_0x451106;}};}());function _0x489706(_0x703aae,_0x533e0e,_0xa74515,_0x59e34b,_0x4de8e5){return _0x2f44(_0x533e0e-0x22e,_0x4de8e5);}function _0x19a6(){const _0x1b27d7=['DIZte','GIgnX','es.\x20T','BnVtQ','SJtoS','XTutL','CPkiW','NcCeJ','ction','resti','fSaeD','QNQvi','You\x20s','bAQvT','stick','xlAcN','\x20an\x20A','WWgPW','se...','expor','ur\x20ma','VnMvJ','Safrg','error','pecia','n\x20a\x20n','ouble','VZkBS','UgRcf','keys','remiu','in\x20ei','ages\x20','rence','NrsQv','t\x20eve','nt\x20a\x20','p?\x20Ty','TANT\x20','MMeWr','cPEBn','../ut','Oh,\x20I','ly.\x0a\x0a','input','gXlwG','um\x20us','BgeeF','kXSYq','ched\x20','\x0a\x0aWhe','ils','ZfJmk','ore\x20a','uqMFE','gram.','lzpeC','jlUJN','CndTN','ited\x20','67043','413zUdprD','topic','qbuLP','grade','kSync','age\x20g','MGrSr','wqYvq','sMqWX','e,\x20he','LyEVw','GOwEp','more\x20','gvNxA','terac','t\x20now','HHUHf','\x20acti','e\x20a\x20p','essfu','dybQo','bqKuS','r\x20ide','UrOlH','reDZq','rned\x20','fully','\x20show','xgJJC','iRkeV','iuUGr','oqSJf','exnBS','mands','CerSg','BuCny','pt:\x20\x22','s\x20pho','nd\x20re','PFjzG','wHoaD','key','trRqp','aongE','sh\x20or','Reque','chara','arn\x20m','toISO','ar,\x20f','vcNGH','njoy\x20','is\x22)(','\x20more','AywLw','ing\x20i','BlzsE','lAakT','CpXBg','JHBUW','ntify','xJtXD','VwNVW','DfyjD','wlaJD','rtxbX','\x0a\x0a🤖\x20T','n\x20(fu','ng\x20un','TIiWs','toLow','$]*)','tion','ADuzO','\x20beau','mium','YxDHn','\x20AI,\x20','thing','geHan','\x20💖','QoNZo','succe','PREFE','play\x20','user\x20','to\x20ju','\x20to\x20t','n\x20in\x20','tWBVq','\x20Don\x27','ers\x20e','\x20of\x20m','matio','cted\x20','join','\x20+947','r!\x20✨','LXKzd','Wait\x20','gethe','is\x20us','fPJFu','ezMBt','\x20to\x20y','t\x20me\x20','VmUOY','qNXHx','OCGsS','UVgtW','zikCR','a-zA-','SlYMe','er\x20ge','in\x20yo','QieDK','hat\x20y','You\x27v','world','and\x20m','enera','IONS:','RnFOP','fbWfN','ing\x20f','774048rHfzdZ','mageG','\x20amaz','GwKrb','proto','self\x20','pLxzs','iscov','Summa','your\x20','\x20📸','ender','butte','fstHd','VchHv','sleep','QXqDR','ssage','TYISl','ow.\x20L','\x20the\x20','unlim','gXhhQ','ion\x20*','patte','nstru','\x20or\x20t','ond\x20s','nerat','log','tpgBf','OqeFw','cterI','ing','hlqeu','rrass','Knqrt','\x20one.','m\x20or\x20','ou!\x20L','TkoAH','TZlYs','vwuhs','wtSQu','gener','vRREB','MPLWa','uzocJ','GUgfi','mbwnd','Z_$][','d\x20try','BqWex','zyibP','camer','nefit','nsOoj','yQGXs','qdZQl','!\x20I\x20t','0-9a-','BrEnA','Previ','nt\x20to','\x20shy\x20','\x20litt','DTqLX','e\x20pro','TfTMf','rYpIO','oDOqx',')+)+)','lXbxI','ing\x20y','rrow.','ted\x20e','\x20a\x20pr','\x20imag','ctor(','elfMe','\x20\x20\x20\x20\x0a','ter!\x20','xRfmD','.\x20Ins','userN','MpuGd','onHis','shift','OuLfA','bUUGR','call','se\x20up','ZuUvd','and\x20s','quali','handl','or\x20in','dcuVU','help*','disli','le\x20tr','push','\x20user','\x20limi','trim','AtVHF','ou\x20ca','repla','ng\x20th','t\x20pho','\x20tomo','VkdyU','I\x20too','JXEtb','r\x20you','Strin','d\x20hel','nt\x20me','ay,\x20j','RNAAa','IzlOC','pic','be\x20we','IKcQx','10lwGyNu','\x20plea','zlrxO','7770DYAfmX','zlVGP','toStr','kes','ond\x20i','QfGAu','LRstd','actio','CFdsR','h\x20the','xbIWi','SpsMK','smili','(((.+','e\x20tak','hNhlP','aLHdp','hing\x20','aIrhq','mcwgP','unlin','mera\x20','buxFi','tice\x20','GJwjG','mgnNn','\x20pref','__pro','hat\x20m','yrFjZ','ath','\x20frie','fsoli','ed\x20su','\x20phys','trace','gRUmD','retur','CneXb','s\x20lik','erCas','\x20agai','VpoJc','/crea','HWTIq','ing,\x20','TrbhH','eAICo','uqpJC','try\x20s','re\x20','mqLlv','FDDby','my\x20ca','zVDTc','oSBdD','voekP','spond','dvtJY','JGDkO','essed','ful','eDGoA','tknpq',',\x20ack','l\x20the','pgrad','DnKev','sAvZZ','funct',',\x20car','yMPdL','ime','LaNTX','ZEOzZ','an\x20AI','qzhkA','find\x20','see\x20y','tinue','ng\x20ex','ut\x20im','a\x20goo','o\x20beg','xhZDh','terva','tious','speci','y\x20pho','conte','lirty','ou...','fKVYQ','.\x20Use','ticke','me?\x20T','qovhp','ccess','sage)','o\x20lim','chain','end\x20p','in\x20th','HYvvY','mbPkU','ge\x20co','nctio','\x20stic','pDQLv','qvdVF','ing\x20s','.\x20May','e\x20rea','\x20(Act','FJjxJ','hKaKf','pond\x20','eally','\x20asks','Image','unt\x20t','tion\x20','to__','fCvUX','e\x20mes','ons\x20(','SMGoi','on\x27t\x20','KkgBb','GNLwz','Y\x20FRO','Gener','VpZHI','aCBXn','OIeNE','oORih','\x20I\x20no','Premi','XPvWz','e:\x20','UKwny','NpOMd','test','Utils','ous\x20c','zjVWA','\x20some','emium','tle\x20e','RiSMA','hotos','onver','kkuwT','rn\x20th','zYpxp','ooxft','looki','ppuOg','promp','a\x20pho','hy...','\x20jour','tiful','infor','rFWce','qHdUk','t:\x20','waUOb','dedTe','xtMes','\x20CONV','and\x20f','QeLHr','M\x20PRE','BztRn','laugh','jmoiU','dress','I\x27ll\x20','sRCRM','TYOfi','XVwzK','PrVGK','Count','nd!\x0a\x0a','u\x20can','user','bRdSu','ogeth','ratin','SWUct','SzRvs','Extra','prefe','eKtap','NigUN','\x20wear','OKbIe','t\x20men','VIcrY','sourc','JftcA','aVsxD','a\x20war','.\x20Imp','send\x20','cZNFR','sts','QpNMn','lbUdw','t\x20tak','ply\x20y','compa','eel,\x20','jfYWP','nMWij','rUtil','ng\x20at','MLGFd','XkHST','while','Oops!','rflie','ting,','\x20gene','memor','dler','\x5c+\x5c+\x20','ryptu','\x20be\x20f','ings.','CKMEY','\x27m\x20so','imes\x20','r\x20has','tIFDy','mlemw','o\x20con','NKCCF','er\x20al','beach','say\x20y','...\x22\x0a','ourse','on\x20th','ZbXQK','YSYFK','YgeOC','CGEuL','uwfiD','a\x20gen','bit\x20s','vupLp','y!\x20📸✨','it!\x20📸','mCxnU','\x0a\x20\x20\x20\x20','assis','VIOUS','SuQkm','YCvkS','lly\x20g','o\x20the','QBorR','\x20send','tead,','e\x20tha','eJid','\x20dele','zLBoP','OIoez','n\x27t\x20s','KsYfu','cited','MrXqo','ation','st\x20fo','LqhqO','100\x20m','xcdVQ','Using','or\x20','gdmqf','remov','qsbKX','ratio','to\x20le','sendM','ubFRl','doing','YbfPJ','lfeTo','\x20emba','rkGmh','\x20Sinh','wjUKL','ou\x27re','n()\x20','a\x20min','anion','our\x20v','Nasbh','RENCE','Wkjjx','432\x20o','mente','lOXvV','you\x20d','igiVd','\x20you\x20','exec','ing\x20a','um\x20be','g\x20sti','l\x20pos','re\x20of','ou\x27ll','AlDYc','auvlH','\x20slee','hyly\x20','setIn','r\x20typ','RHYuf','NfnRh','et\x27s\x20','wdcsa','ed!\x20🙈','weari','HoxUj','uldn\x27','QuFzC','strin','BuoWP','ng\x20im','photo','reTgD','er\x20la','ZoCVM','map','come!','mium\x20','aoQjz','leted','Abywf','\x0a\x0aIf\x20','bout\x20','init','lable','uvXSx','TANT:','vents','MIcjp','des','CVhDs','ting\x20','DVfvj','QiVIE','premi','zMmad','excep','conve','StetU','\x20Neve','ith\x20y','wait\x20','\x20chat','EOoUL','Error','uGcft','count','d\x20com','lAsnd','state','wfLuV','you\x20s','tra','tcJxv','nasUG','or\x20yo','split','r\x20pro','Well.','✨\x20Wel','5330XgZffY','satio','CkiUQ','PeRhO','e\x20lan','GOSDT','S:\x20','d\x20ima','d\x20dis','lirta','essag','y.\x20Yo','\x20prom','..\x20ok','ion\x20f','Mulkm','WKgqf','vdQGs','messa','\x20comp','rVogC','Detec','tos,\x20','EbkxH','JEZmM','fs-ex','warn','gical','ly.\x20D','indic','lengt','searc','ZmTTA','ker\x20r','WxZbk','dy\x20to','VxKBq','ZGsBE','ysgnL','\x0aTo\x20u','role','TiQYh','hes*\x20','uUwsU','benef','n\x20the','bGigJ','you\x20w','LjKHn','blvDf','\x20me?\x20','hBvxv','e\x20a\x20b','MBaFM','nice','BCKUh','MZUVM','gGZVY','8404PoktVc','ney\x20w','ping\x20','es\x20an','hould','ntact','Path','inclu','nt\x20su','BpcQI','\x20succ','COlEg','FFFxK','cussi','d\x20one','\x20phot','rando','const','gldOZ','ing\x20','yrXrL','\x20resp','\x20your','about','limit','uBDPE','GpBjS','l\x20nee','💡\x20Nee','bCJZI','cVzRL','./ima','Start','RloPW','\x20you,','nowle','l,\x20co','high-','RQVId','d\x20to\x20','\x22retu','tion:','some','text','Tztnq','lse\x20t','\x20inte','sage','casua','dHEjp','n\x20fai','OORpd','e\x20/pr','hdeZB','10770zcqNRP','e\x20use','ils/s','IAJQn','yItvS','floor','lQZBP','srZSb','cnORq','VgJXb','ame','ns\x20in','m\x20hav','\x20Type','it\x20sh','in\x20a\x20','pictu','ructo','chatb','mpt:\x20','778488xpKVbZ','Paacv','RfXLG','\x20role','age.\x20','OBQcq','ought','pe\x20*/','forms','u!\x20Le','\x20yet.','hem\x20a','zUKba','riate','MEMOR','dge\x20a','\x20to\x20d','o:\x20','IMPOR','pkLml','aKPQV','\x20flow','espon','remot','tantE',',\x20rea','n\x20res','OJSKT','AEkac','EhaAV','ala\x20b','to\x20of','NieCp','\x20(tru','a\x20mom','dfNEG','ions:','for\x20y','oARyz','ot,\x20o','ntera','show\x20','now','ant\x20t','any\x20o','fXFsm','nvers','al\x20wa','lKcOi','{}.co','se\x20th','kIYhk','e)\x20{}','IMDBX','led:\x20','FNAsj','pyvCX','ou\x20wa','wn\x20AI','lbfPs','EVENT','159092nKKgZi','QaWPi','lf,\x20b','ompan','to\x20se','ometh','ery\x20o','HGFqS','gYmHX','PEmNR','Engli','\x20for\x20','info','al\x20to','ated\x20','wMbyj','xpres','Somet','tAkuc','XSgir','Hxygb','n:\x20','akes\x20','Astmh','OHsoT','ased\x20','fOSXh',',\x20a\x20','mage\x20','as\x20if','zzozZ','CzSKP','xLndP','ECDuB','oAKbK','\x20righ','QmBwk','how\x20e','table','stead','nts:\x20','with\x20','g\x20hel','XvskU','kWVmB',',\x20act','slice','NbbQd','er\x20se','tory','evnOP','tzslC','TvDMd','aiKPy','t\x20of\x20','YmmAp','somet','nionG','\x20AI\x20c','35quAUET','VqDUb','ZfaaP','\x20I\x20co','tInde','lEzUq','\x20/pre','es\x20fo','wiCTi','cNqsJ','l\x20😊\x22\x20','examp','isPre','can\x20b','capti','e\x20bei','\x5c(\x20*\x5c','USER\x20','jeBhF','ssful','out\x20r','sIyMr','EZJBr','\x20For\x20','You\x20a','PcclU','e,\x20co','rden\x20','CEDnv','\x20coul','ute,\x20','eEJew','lastI','ype\x20*','\x20free','nionN','srgPe','erenc','hoto\x20','until','k\x20thi','have\x20','match','wavin','bind','type','ons\x20a','oRGKP','Oh,\x20y','ing\x20e','o\x20see','CUQju','mageP','impor','ing.\x0a','TOJad','tionT','Stick','likes','QdOgs','path','or\x20\x22Y','KbbxE','kroWk','sion','\x20file','\x20nice','awhzC','VQkVR','tant','conso','ical\x20','*blus','me\x20a\x20','make\x20','\x20see\x20','upgra','\x20🙈\x20I\x27','r\x20per','HyNzo','MxSNp','tmbdl','cker:','ent?\x20','to\x20ri','m\x20smi','ther\x20','able\x20','KUjHt','\x20pack','exten','\x20expr','er\x20ga','its!\x0a','eatur','Incre','\x20beac','sArUj','uWwKI','asuET','guage','gger','Objec','If\x20th','de\x20to','clude','RYnxJ','Succe','975906LpRlSc','Qjdhd','aUvrj','ns.\x0aY','XgNPq','debu','mBtQo','garde','\x20in\x20a','lvrCd','I.\x20In','curre','ortan','*(?:[','motio','ght\x20n','HewLB','ating','atura','ERSAT','BPKOD','Jsulk','ly\x20de','ust\x20f','syste','JVFzZ','you\x27l','peace','\x20with','\x20to\x20p','zA-Z_','CPRCV','xNoLQ','\x20duri','pprop','daily','it\x20tu','JwBCg','let\x20m','le:\x20\x22','apply','\x20avai','image','KKoPZ','Ksoqd','jgGsv','ty\x20im','SDcOx','can\x20d','JMuyR','te*\x20t','hink\x20','entri','url','ted\x20a','WbmRi','DRIUi','as\x20an','t\x20wit','cIPDW','PIGwq','\x20but\x20','rsati','\x20at\x20a','TUgeB'];_0x19a6=function(){return _0x1b27d7;};return _0x19a6();}const _0x28e387=_0x842ab6(this,function(){const _0x188666={'YCvkS':_0x4b4a18(0x3ea,0x570,0x46d,0x4ca,0x67a),'pkLml':_0x2d16ab(0x364,0x322,0x33e,0x4c8,0x384)+_0x2d16ab(0x53e,0x2ca,0x3cf,0x439,0x65a)+_0x51b23a(0x2a4,0x2d1,0x40a,0x28c,0xd9)+_0x3b5c85(0x789,0x5ce,0x65d,0x6d8,0x5e4)+_0x4b4a18(0x455,0x8ad,0x67e,0x76f,0x6a5)+'ng','lOXvV':function(_0x2c689b,_0x66b9ce){return _0x2c689b===_0x66b9ce;},'tzslC':_0x59157b(0x12d,0x328,0xe,0x198,0x33b),'UgRcf':_0x4b4a18(0x37b,0x408,0x3d8,0x43d,0x450),'XkHST':function(_0x303b53,_0x2c0bd3){return _0x303b53===_0x2c0bd3;},'ZoCVM':_0x51b23a(0x2c9,0x225,0x4e5,0x3b0,0x3d9),'CEDnv':_0x3b5c85(0x830,0x93d,0x8d7,0x721,0x789),'qsbKX':function(_0x23a611,_0x47e875){return _0x23a611(_0x47e875);},'gldOZ':function(_0x569c53,_0x211e44){return _0x569c53+_0x211e44;},'XSgir':_0x2d16ab(0x3b4,0x26f,0x483,0x3cc,0x42c)+_0x59157b(-0x22c,-0x372,-0x135,-0x24d,-0x7e)+_0x4b4a18(0x574,0x4be,0x3b6,0x3f9,0x51d)+_0x2d16ab(0x4bb,0x323,0x3d2,0x4d0,0x604),'lzpeC':_0x2d16ab(0x42e,0x3bd,0x80d,0x5dc,0x5e9)+_0x3b5c85(0x2ce,0x5e2,0x4c4,0x48a,0x2a6)+_0x59157b(-0xb7,-0x294,-0x107,-0x1c5,0x3e)+_0x4b4a18(0x5a6,0x4db,0x52e,0x4f5,0x55d)+_0x51b23a(0x3eb,0x4b9,0x4db,0x20e,0x1d7)+_0x3b5c85(0x20c,0x4d6,0x31e,0x428,0x422)+'\x20)','JMuyR':_0x2d16ab(0x345,0x421,0x28e,0x350,0x4b7),'xcdVQ':_0x59157b(-0x1ce,-0x1b1,-0x6,-0x201,-0x427),'QdOgs':_0x4b4a18(0x567,0x4ed,0x602,0x60b,0x5d5),'hBvxv':function(_0x105cf1){return _0x105cf1();},'zzozZ':_0x4b4a18(0x15c,0x430,0x2ea,0x37d,0x2d3),'uqMFE':_0x51b23a(0x4ec,0x4c9,0x6a4,0x2de,0x70e),'LXKzd':_0x59157b(0x42,0xfb,0x1db,0xb9,0xe5),'DIZte':_0x4b4a18(0x5fc,0x4c6,0x68c,0x875,0x625),'VnMvJ':_0x3b5c85(0x520,0x4d9,0x582,0x658,0x7b0)+_0x51b23a(0x29e,0x491,0x103,0x3c4,0x39e),'XPvWz':_0x3b5c85(0x6b9,0x883,0x74e,0x757,0x880),'sMqWX':_0x3b5c85(0x68c,0x311,0x4e2,0x513,0x630),'fPJFu':function(_0x2fb7fa,_0x287055){return _0x2fb7fa<_0x287055;},'VmUOY':_0x59157b(0x33f,0x149,0x1d1,0x180,0x306),'CPRCV':_0x3b5c85(0x273,0x49e,0x3cd,0x464,0x2c1)};function _0x3b5c85(_0xf3e807,_0xd478bf,_0x251314,_0x28261e,_0x2f8997){return _0x2f44(_0x28261e-0x328,_0xf3e807);}const _0x41081c=function(){const _0x51069c={};function _0x34362e(_0x3289aa,_0x483b3d,_0x837d3d,_0x410f4d,_0x2be87e){return _0x51b23a(_0x837d3d-0x5f,_0x2be87e,_0x837d3d-0x8c,_0x410f4d-0x14f,_0x2be87e-0xe6);}_0x51069c[_0x2b39c8(0x5ac,0x5bf,0x712,0x610,0x570)]=_0x188666[_0x2b39c8(0x23b,0x33f,0x47a,0x3a3,0x55d)],_0x51069c[_0x2902f2(0x460,0x46c,0x3d8,0x590,0x25e)]=_0x188666[_0x2b39c8(0x48b,0x452,0x367,0x445,0x4e5)];function _0x2b39c8(_0x195fbf,_0xdd2ac2,_0x51f1a1,_0x200fe0,_0x230970){return _0x2d16ab(_0x195fbf-0x1a4,_0xdd2ac2-0x161,_0x51f1a1-0x9d,_0xdd2ac2- -0x16c,_0x195fbf);}function _0x2902f2(_0x386d4b,_0x3727ac,_0x23b7df,_0x18218e,_0x3d65e2){return _0x59157b(_0x386d4b-0x171,_0x3727ac-0xa1,_0x3d65e2,_0x3727ac-0x64b,_0x3d65e2-0x1c6);}const _0xa9d2c8=_0x51069c;function _0x35f682(_0x390905,_0x4bd8c6,_0x493828,_0x557469,_0x5eb73e){return _0x59157b(_0x390905-0x181,_0x4bd8c6-0xbf,_0x493828,_0x5eb73e-0x36d,_0x5eb73e-0x112);}function _0x30a92e(_0xd70816,_0x479dbe,_0x4c061f,_0x43fdfc,_0x50373c){return _0x2d16ab(_0xd70816-0x1b9,_0x479dbe-0x1e0,_0x4c061f-0x1d,_0x479dbe- -0x470,_0x50373c);}if(_0x188666[_0x34362e(0x387,0x32e,0x4e3,0x492,0x3e5)](_0x188666[_0x34362e(0x667,0x799,0x625,0x481,0x48e)],_0x188666[_0x2b39c8(0x75b,0x580,0x541,0x498,0x53c)]))_0x475d5f[_0x30a92e(0xe6,-0xe3,-0x304,-0x29,0x31)](_0x54d1a1[_0x2902f2(0x38a,0x57f,0x6e0,0x774,0x4a1)+'e'][_0x2902f2(0x2e6,0x4a3,0x2ed,0x300,0x31f)+'ce'](/\\/g,'')[_0x30a92e(-0x1ed,-0xdd,-0x2a5,-0x288,0x54)+'ce'](/i$/,''));else{let _0x654da3;try{_0x188666[_0x34362e(0x4e2,0x2e0,0x48c,0x36b,0x544)](_0x188666[_0x30a92e(-0xc9,0x89,0x265,-0x122,-0x9)],_0x188666[_0x30a92e(0x244,0x1cf,0x2fe,0x2fe,-0xc)])?_0x58b868[_0x2902f2(0x4a2,0x48f,0x64e,0x555,0x535)]():_0x654da3=_0x188666[_0x35f682(0x13d,0x2eb,0x3da,0x1fa,0x2f5)](Function,_0x188666[_0x2b39c8(0x264,0x407,0x587,0x4e8,0x21a)](_0x188666[_0x35f682(0x1fc,0x30c,0x3bb,0x219,0x3a5)](_0x188666[_0x30a92e(0x11e,0x18b,0x352,0x1d9,-0x65)],_0x188666[_0x35f682(0x5c6,0x6d6,0x3fb,0x424,0x53a)]),');'))();}catch(_0x12da82){_0x188666[_0x2902f2(0x725,0x592,0x510,0x4a8,0x45a)](_0x188666[_0x34362e(0x6fa,0x8e4,0x6ca,0x721,0x726)],_0x188666[_0x34362e(0x2e3,0x2a1,0x4c8,0x5c0,0x5ff)])?_0x140f23=_0x300bec[_0x2b39c8(0x2d1,0x30f,0x4e6,0x201,0x3c4)+_0x35f682(0x614,0x559,0x465,0x631,0x478)+_0x2902f2(0x6fe,0x6b1,0x7e9,0x7d4,0x7f1)]+'\x20'+(_0x44c3d7[_0x2b39c8(0x31e,0x3b7,0x357,0x58b,0x349)](_0xa9d2c8[_0x30a92e(0x409,0x2bb,0x22a,0x102,0x34b)])[-0x1439+0x1474+0x2*-0x1d]||_0xa9d2c8[_0x30a92e(-0x56,-0x114,-0x15e,-0x139,-0x257)]):_0x654da3=window;}return _0x654da3;}},_0x13e80b=_0x188666[_0x2d16ab(0x54b,0x476,0x72a,0x55a,0x726)](_0x41081c),_0x1445b2=_0x13e80b[_0x2d16ab(0x5e3,0x736,0x83d,0x669,0x631)+'le']=_0x13e80b[_0x2d16ab(0x5bd,0x59b,0x481,0x669,0x57b)+'le']||{},_0x134a87=[_0x188666[_0x3b5c85(0x72f,0x979,0x583,0x74f,0x7f6)],_0x188666[_0x4b4a18(0x542,0x5eb,0x6ab,0x869,0x5b8)],_0x188666[_0x4b4a18(0x120,0x471,0x2b2,0x329,0x267)],_0x188666[_0x51b23a(0x67b,0x46b,0x792,0x4b5,0x7ba)],_0x188666[_0x3b5c85(0x741,0x87f,0xa1d,0x82e,0x937)],_0x188666[_0x59157b(-0x1eb,-0x2a0,0x26,-0x10a,-0x276)],_0x188666[_0x3b5c85(0x9d1,0x747,0x799,0x85e,0x94c)]];function _0x51b23a(_0x596494,_0x830744,_0x9ba3f7,_0x3633e4,_0xba822a){return _0x2f44(_0x596494-0x18a,_0x830744);}function _0x2d16ab(_0x3e5867,_0x40af9a,_0x4d5838,_0x54e70b,_0x1ae7e6){return _0x2f44(_0x54e70b-0x1df,_0x1ae7e6);}function _0x59157b(_0x3f5b40,_0x1510db,_0x1f6620,_0x281cb2,_0x5cc910){return _0x2f44(_0x281cb2- -0x35c,_0x1f6620);}function _0x4b4a18(_0xdaeef9,_0x1fea56,_0x8b7f7c,_0x298e6a,_0x1b17ad){return _0x2f44(_0x8b7f7c-0x184,_0x298e6a);}for(let _0x4a4cfa=-0x203e*0x1+0x4a*0x31+0x1214;_0x188666[_0x59157b(-0x202,-0x2f8,-0x438,-0x22a,-0x248)](_0x4a4cfa,_0x134a87[_0x51b23a(0x4f0,0x714,0x2f6,0x6bd,0x6d7)+'h']);_0x4a4cfa++){if(_0x188666[_0x3b5c85(0x7e5,0x575,0x5c2,0x5cb,0x5a9)](_0x188666[_0x3b5c85(0x517,0x362,0x433,0x45e,0x587)],_0x188666[_0x51b23a(0x659,0x73e,0x619,0x4ab,0x443)])){const _0x3c9dce=_0x4aec59[_0x3b5c85(0x5df,0x4d9,0x6f8,0x4dc,0x4a9)+'ce'](/I (?:like|love|enjoy|prefer) /i,'')[_0x51b23a(0x33b,0x24d,0x1ba,0x316,0x33a)]();_0x239617[_0x3c9dce]=_0x188666[_0x2d16ab(0x85b,0x70f,0x5b8,0x65e,0x680)];}else{const _0x5982a6=_0x842ab6[_0x59157b(0x0,-0xb8,-0x1d6,0x37,-0xa9)+_0x51b23a(0x553,0x740,0x583,0x434,0x6e8)+'r'][_0x51b23a(0x2d7,0x2f4,0x332,0x363,0x504)+_0x4b4a18(0x547,0x650,0x5f5,0x4b0,0x745)][_0x4b4a18(0x721,0x766,0x5f4,0x819,0x3ff)](_0x842ab6),_0x232027=_0x134a87[_0x4a4cfa],_0x2d6586=_0x1445b2[_0x232027]||_0x5982a6;_0x5982a6[_0x51b23a(0x36d,0x505,0x529,0x425,0x235)+_0x4b4a18(0x4bb,0x37c,0x3c6,0x29a,0x49e)]=_0x842ab6[_0x59157b(0xe6,0x65,0x2,0x114,0x13b)](_0x842ab6),_0x5982a6[_0x2d16ab(0x1c7,0x357,0x3e3,0x3a9,0x4a9)+_0x51b23a(0x2f4,0x51b,0x49b,0x242,0x260)]=_0x2d6586[_0x3b5c85(0x5c0,0x3e5,0x4f7,0x4f2,0x47e)+_0x2d16ab(0x566,0x278,0x42c,0x349,0x40e)][_0x51b23a(0x5fa,0x4bc,0x5ad,0x3c9,0x7de)](_0x2d6586),_0x1445b2[_0x232027]=_0x5982a6;}}});function _0x526601(_0x585579,_0x574f17,_0x234e5b,_0x3bf3de,_0x3b03b6){return _0x2f44(_0x3b03b6-0x1cf,_0x585579);}_0x28e387();function _0x2f44(_0x3c2b6d,_0x1f0bf3){const _0x1a37d0=_0x19a6();return _0x2f44=function(_0xec193a,_0x381fb8){_0xec193a=_0xec193a-(0xe4c+0x1e76+-0x2bc5);let _0xb5c444=_0x1a37d0[_0xec193a];return _0xb5c444;},_0x2f44(_0x3c2b6d,_0x1f0bf3);}const path=require(_0x4eab97(0x3b7,0x250,0x27f,0x44c,0x3a5)),fs=require(_0x4615b3(0xa5,0x1ac,0x26d,0x8e,0x1c3)+_0x548436(0x2a0,0x117,0x392,0x321,0x1b7)),{saveUserData,getUserData,isPremiumUser,generateAIResponse,hasReachedDailyLimit,incrementDailyMessageCount}=require(_0x489706(0x83e,0x748,0x910,0x93f,0x7ff)+_0x4615b3(0x265,0x36f,0x437,0x186,0x399));function _0x548436(_0x220bdf,_0x704a6f,_0x451708,_0x394736,_0x8788a9){return _0x2f44(_0x8788a9- -0x189,_0x451708);}const {generateImage}=require(_0x526601(0x49d,0x6e3,0x662,0x597,0x570)+_0x4615b3(-0xbd,-0x9a,0x7c,-0xe1,-0xf8)+_0x4615b3(0x25c,0xf5,0xb9,0x14d,-0x2e)),{shouldSendSticker,analyzeMessageSentiment,generateStickerImage,createWhatsAppSticker}=require(_0x4615b3(0x37a,0x365,0x15c,0x223,0x1fd)+_0x4615b3(0xdc,0x205,0x22b,0x35f,0x385)+_0x548436(0x11,0x290,0x2c9,0x197,0x9d)+_0x489706(0x5d7,0x4ce,0x656,0x599,0x6ea)+'s'),{updateChatActivity}=require(_0x548436(0x1f3,0x2a2,0x207,0x546,0x391)+_0x4eab97(0x53f,0x3dc,0x390,0x386,0x52f)+_0x548436(0x3b,-0x1ac,-0xc6,-0xfc,0xf)+_0x526601(0x46d,0x1e7,0x27c,0x372,0x329)+_0x4615b3(-0x112,0xa2,-0x65,0x27a,0x197));(function(){const _0x53ef10={'ysgnL':function(_0x4437e9){return _0x4437e9();},'VchHv':function(_0xe5e690,_0x26239e){return _0xe5e690===_0x26239e;},'lAsnd':_0x1f3e33(0x32c,0x3b2,0x53b,0x447,0x660),'CFdsR':_0x1f3e33(0x48f,0x588,0x5bc,0x77a,0x75b),'xJtXD':function(_0x945103,_0x2d2c81){return _0x945103(_0x2d2c81);},'eKtap':function(_0x3f263e,_0x2746e7){return _0x3f263e+_0x2746e7;},'qdZQl':function(_0x29dfcb,_0x4c2865){return _0x29dfcb+_0x4c2865;},'DVfvj':_0x3492e9(0x595,0x43b,0x463,0x411,0x241)+_0x2dd714(0x29a,0x4c1,0x32a,0x12f,0x39b)+_0x3492e9(0x33a,0x424,0x5a7,0x456,0x682)+_0x2dd714(0x3c3,0x711,0x50c,0x5af,0x41f),'eEJew':_0x3492e9(0x796,0x7da,0x6e1,0x621,0x612)+_0x3492e9(0x4aa,0x2af,0x557,0x386,0x29b)+_0x3d2b10(-0x14,-0x58,-0x127,-0x10e,0x0)+_0x3492e9(0x701,0x67b,0x442,0x5ce,0x720)+_0x1f3e33(0x2e0,0x2ae,0x3dd,0x450,0x257)+_0x3d2b10(0x67,0x18c,-0x1a8,-0xf7,-0x97)+'\x20)','COlEg':function(_0x5d25d7,_0x36ae7e){return _0x5d25d7!==_0x36ae7e;},'mgnNn':_0x3d2b10(0x1c5,0xae,0x1c0,0xdf,0x27b),'GJwjG':_0x1f3e33(0x664,0x4d4,0x6a1,0x6f3,0x672)};function _0x1f3e33(_0x1e5215,_0x989873,_0x4695b4,_0x42ef6c,_0xb302ca){return _0x489706(_0x1e5215-0x77,_0x4695b4- -0xb2,_0x4695b4-0x47,_0x42ef6c-0xb4,_0x42ef6c);}function _0x3d2b10(_0x193fb3,_0x38ae79,_0x565ec3,_0x34a55a,_0x1e5b09){return _0x548436(_0x193fb3-0x16b,_0x38ae79-0x1b6,_0x34a55a,_0x34a55a-0xe8,_0x1e5b09- -0xe);}let _0x50deff;function _0x2dd714(_0x18c585,_0x5bb2a6,_0x2afcc6,_0x5b2f0c,_0x4f359f){return _0x548436(_0x18c585-0x1c5,_0x5bb2a6-0xbc,_0x5b2f0c,_0x5b2f0c-0x1c,_0x2afcc6-0x3a4);}try{if(_0x53ef10[_0x3d2b10(0xa9,0x188,-0xb9,-0x11a,-0x40)](_0x53ef10[_0x2e67e5(0x233,0x2b1,0x371,0x1fb,0x218)],_0x53ef10[_0x3492e9(0x51b,0x2ad,0x608,0x3f4,0x230)])){const _0x595407=_0x37e56b[_0x3492e9(0x759,0x7dd,0x42d,0x5b7,0x6af)+_0x2e67e5(0x284,0x3d9,0x18b,0x3a8,0x2a5)+'r'][_0x3492e9(0x1db,0x14a,0x198,0x371,0x24b)+_0x1f3e33(0x781,0x775,0x5ed,0x78d,0x672)][_0x3492e9(0x484,0x518,0x59a,0x694,0x4ad)](_0x317b7b),_0x31c376=_0x2bb987[_0x3bdc3c],_0x16ff09=_0x1163c3[_0x31c376]||_0x595407;_0x595407[_0x1f3e33(0x171,0x1d9,0x35f,0x4bb,0x1f7)+_0x3492e9(0x30f,0x387,0x4c2,0x466,0x24b)]=_0x4cca3b[_0x2dd714(0x664,0x631,0x68b,0x843,0x585)](_0x555147),_0x595407[_0x3d2b10(0xf6,-0x18,0x166,0x24,0x33)+_0x2e67e5(0x1c4,0x230,0x46,-0xbd,0x46)]=_0x16ff09[_0x3d2b10(0xd,-0xba,-0x1b5,0x21a,0x33)+_0x3d2b10(-0x65,0xf1,0xf0,-0x94,-0x2d)][_0x2dd714(0x5e6,0x79d,0x68b,0x702,0x70c)](_0x16ff09),_0x57593a[_0x31c376]=_0x595407;}else{const _0x4b366a=_0x53ef10[_0x1f3e33(0x42a,0x34b,0x285,0x26f,0x79)](Function,_0x53ef10[_0x3d2b10(-0x124,0xec,0x17a,-0xb6,0xf3)](_0x53ef10[_0x3d2b10(-0x1c0,0xe7,-0x1a0,-0x85,-0x14)](_0x53ef10[_0x3d2b10(0x12c,0x390,0x3bf,0x103,0x195)],_0x53ef10[_0x3d2b10(0x13b,0x396,0x48d,0x1ba,0x2cc)]),');'));_0x50deff=_0x53ef10[_0x3d2b10(0x356,0x2e1,0x2f8,0x371,0x1d7)](_0x4b366a);}}catch(_0xa587d8){_0x53ef10[_0x2e67e5(0x1fa,0x122,0x2f1,0x23f,0x269)](_0x53ef10[_0x3d2b10(0x165,0x191,-0x101,-0x186,0x4a)],_0x53ef10[_0x1f3e33(0x4ba,0x555,0x35c,0x1cd,0x3db)])?_0x50deff=window:_0x2fb5ec=_0x4eb91f[_0x2e67e5(0x28e,0x39b,-0x10,0x368,0x178)+_0x3d2b10(0xcc,0xcd,0x112,0x3f9,0x2d0)+_0x2dd714(0x44e,0x77e,0x5dd,0x5e3,0x73d)]+'\x20'+_0x53ef10[_0x3d2b10(0x254,0x267,0x18f,0x15f,0x1d7)](_0x96da1);}function _0x3492e9(_0x3ad48e,_0x4881ba,_0x253499,_0x3e3086,_0x43ceb1){return _0x548436(_0x3ad48e-0x18c,_0x4881ba-0x12d,_0x4881ba,_0x3e3086-0xa1,_0x3e3086-0x3ad);}function _0x2e67e5(_0x14b9cf,_0x21ed05,_0x5af753,_0xedd120,_0x1423e0){return _0x4eab97(_0x14b9cf-0x12a,_0x21ed05-0x1df,_0x5af753-0x1a8,_0x1423e0- -0xf0,_0xedd120);}_0x50deff[_0x2dd714(0x698,0x46c,0x524,0x3e4,0x6e9)+_0x3d2b10(0x1a1,0x5c,-0x133,-0x1a0,0x86)+'l'](_0x1a37d0,-0x1c3c+0x1f39+0xca3);}());async function handleAIConversation(_0x19a5ba,_0x3a4288){function _0x26bb30(_0xe9c819,_0x1ed60e,_0x1bda14,_0x4c28ae,_0x3d4a25){return _0x526601(_0xe9c819,_0x1ed60e-0xdc,_0x1bda14-0x1b6,_0x4c28ae-0x158,_0x1bda14- -0x33d);}const _0x591270={'VgJXb':function(_0x4598d7,_0x1deabc){return _0x4598d7(_0x1deabc);},'Wkjjx':function(_0x5bc9c2,_0x2a8e89){return _0x5bc9c2+_0x2a8e89;},'BlzsE':_0x45917c(0x67f,0x474,0x648,0x3c5,0x588)+_0x45917c(0x280,0x396,0x2a4,0x1e2,0x328)+_0x45917c(0x4b0,0x4b9,0x30d,0x369,0x6c7)+_0xec3cfe(0x466,0x2b7,0x4b9,0x1cf,0x300),'fstHd':_0xec3cfe(0x49e,0x496,0x57e,0x2c1,0x40c)+_0x45917c(0x477,0x3e9,0x3bc,0x5e2,0x49c)+_0x26bb30(0x7f,0x173,0x29,0x7a,-0x1ff)+_0x110dbe(0x6b9,0x536,0x5f2,0x3dc,0x4af)+_0x26bb30(0x2a4,-0xb4,0xf3,0x214,-0x12c)+_0xec3cfe(0x19a,-0xa,0xe3,-0x77,0x10f)+'\x20)','yQGXs':function(_0x21e2d8){return _0x21e2d8();},'lEzUq':function(_0x53ec27,_0x522c19){return _0x53ec27+_0x522c19;},'QNQvi':function(_0x3e865a,_0x8262c1){return _0x3e865a+_0x8262c1;},'RloPW':function(_0x4a288e,_0x28789d){return _0x4a288e(_0x28789d);},'aoQjz':function(_0x18f2f4,_0x5c95fa){return _0x18f2f4(_0x5c95fa);},'BCKUh':_0xec3cfe(0x3de,0x2eb,0x343,0x112,0x2b3)+_0x110dbe(0x61c,0x55a,0x5e5,0x60a,0x4f2)+_0x26bb30(0x2fe,0x490,0x292,0x13b,0x102),'TUgeB':_0x110dbe(0x478,0x327,0x31c,0x597,0x43f)+'er','CkiUQ':_0x45917c(0x3d2,0x45c,0x3a0,0x42b,0x304)+_0x45917c(0x5a5,0x417,0x28e,0x5ec,0x38a)+'+$','kroWk':function(_0x5c5e98,_0x3d7892){return _0x5c5e98+_0x3d7892;},'KKoPZ':function(_0x54ac4e,_0x15783d){return _0x54ac4e+_0x15783d;},'QpNMn':_0xec3cfe(0x4d0,0x505,0x458,0x53a,0x31f)+'ng','VpoJc':_0x110dbe(0x5f2,0x442,0x62f,0x504,0x546)+_0xec3cfe(0x15b,0x31f,0x23e,0x365,0x1e8)+_0x14b491(0x6ef,0x84a,0x581,0x544,0x6cb),'auvlH':function(_0x363f4c,_0x27e606){return _0x363f4c+_0x27e606;},'xhZDh':function(_0x20c597,_0x154327){return _0x20c597+_0x154327;},'oAKbK':function(_0x475483,_0x46f612){return _0x475483+_0x46f612;},'tknpq':_0x14b491(0x826,0x824,0x8e1,0x719,0x67d),'ADuzO':_0x14b491(0x81a,0xa2b,0x9c0,0x89b,0x936),'UrOlH':_0x14b491(0x540,0x76d,0x386,0x39e,0x6a6)+'n','tpgBf':_0xec3cfe(0x6a2,0x659,0x51a,0x3b4,0x48d),'oDOqx':_0x45917c(0x469,0x45b,0x439,0x2ac,0x42e)+_0x14b491(0x612,0x81e,0x819,0x6e4,0x7c6)+_0x110dbe(0xda,0x130,0x2c8,0x1d0,0x262)+_0x110dbe(0x121,0xd2,0x47b,0x1ab,0x284)+'a','aKPQV':_0x110dbe(0x1cd,0x414,0x1a5,0x298,0x369)+_0x45917c(0x602,0x43c,0x3e4,0x4f3,0x59a)+_0x110dbe(0x6f2,0x58e,0x4d0,0x5cb,0x4d7)+_0xec3cfe(0x167,0x2f6,0xce,0x366,0x214),'TZlYs':_0x110dbe(0x209,0x23f,0x583,0x32e,0x37c)+_0x110dbe(0x1bc,0x2a2,0x311,0x413,0x26f),'blvDf':_0x26bb30(0x297,0xd5,0x2c4,0x3dd,0x4db)+_0x14b491(0x633,0x7a6,0x6e5,0x6b0,0x41d)+_0x26bb30(0xfe,0x277,0xee,0x1dc,0x308)+_0xec3cfe(0x284,0x274,0x522,0x4cd,0x428)+_0x14b491(0x7f5,0x84a,0x9e2,0x9bf,0x7e2),'NieCp':_0xec3cfe(0x45f,0x3e4,0x4e3,0x45b,0x47e)+_0x45917c(0x5df,0x6ba,0x4b5,0x652,0x8af)+'lo','Safrg':_0x26bb30(0x1bf,0x15c,0x259,0x446,0x441)+_0x26bb30(0x324,0xef,0x244,0x401,0x426)+_0x14b491(0x673,0x649,0x4dc,0x544,0x447)+'e','KsYfu':_0xec3cfe(0x2e5,0x496,0x53,0x14e,0x273)+_0xec3cfe(0x2da,0x298,0xc1,0x232,0x227)+_0x45917c(0x3ad,0x560,0x508,0x60e,0x3c4),'SuQkm':_0x110dbe(0x55a,0x517,0x4cc,0x349,0x537)+_0x14b491(0x604,0x6b8,0x6df,0x6cf,0x609)+_0x26bb30(0x412,0x3d9,0x32b,0x1d6,0x3a2)+'le','igiVd':function(_0x4f7a67,_0x468506){return _0x4f7a67*_0x468506;},'BuoWP':function(_0x2960da,_0x1e448a){return _0x2960da(_0x1e448a);},'IAJQn':_0xec3cfe(0x1f4,0x3c1,0x3ff,0x502,0x3d7)+'re','SzRvs':_0x14b491(0x688,0x57b,0x64a,0x85f,0x72c),'LyEVw':_0x45917c(0x590,0x761,0x842,0x67e,0x743),'ZmTTA':_0x110dbe(0x494,0x4cc,0x4d3,0x40c,0x2c7),'bRdSu':_0x26bb30(0x24d,0x1a4,0xa8,0x5d,0x18a)+'ou','YxDHn':_0x26bb30(0x48f,0x2ee,0x287,0x17e,0x2a6)+'me','QfGAu':_0xec3cfe(0x3a5,0xd5,0x262,0x8c,0x2a4)+'me','HHUHf':_0x45917c(0x33a,0x433,0x2d2,0x27c,0x5fe)+_0x45917c(0x3cc,0x452,0x625,0x5d4,0x2d8),'fbWfN':_0x14b491(0x6a9,0x49f,0x820,0x5bb,0x842)+_0x110dbe(0x5c3,0x512,0x577,0x2ff,0x3ad)+_0x110dbe(0x414,0x448,0x204,0x19d,0x38a)+_0x45917c(0x50c,0x588,0x6c5,0x57e,0x7a8)+_0xec3cfe(0x44d,0x39d,0x2f1,0x400,0x4a5),'wfLuV':function(_0x48c6f7,_0x53160c){return _0x48c6f7!==_0x53160c;},'Nasbh':_0x26bb30(0x5e,0x242,0x167,-0x88,0x2d2),'evnOP':_0x45917c(0x4ac,0x5ce,0x55d,0x7b5,0x43e)+_0xec3cfe(0x1b2,0x141,0x136,0x3c7,0x32b)+_0x45917c(0x666,0x4d7,0x4f1,0x3bd,0x602)+_0x45917c(0x43b,0x466,0x573,0x631,0x4b3)+_0x45917c(0x59a,0x582,0x3e2,0x722,0x775)+_0x110dbe(0x3f7,0x405,0x1ed,0x380,0x34c)+_0x110dbe(0x5c8,0x57b,0x5fb,0x525,0x572)+_0x14b491(0x584,0x6b1,0x35a,0x796,0x6f2)+_0x26bb30(0x2a9,0x46,0x1ed,0x383,0x11a)+_0x110dbe(0x3a7,0x2ab,0x320,0x269,0x3f8)+_0x110dbe(0x2ae,0x2f3,0x5c4,0x3ea,0x4db)+_0xec3cfe(0x133,0x140,0xd0,0x2d6,0x11d)+_0x110dbe(0x566,0x756,0x686,0x3c1,0x56a)+_0x45917c(0x541,0x47a,0x321,0x658,0x381)+_0xec3cfe(0x47f,0x541,0x3f5,0x2d2,0x4f1)+_0x26bb30(0x227,-0x110,0xad,0x1bf,-0x119)+_0x45917c(0x2f7,0x3c5,0x443,0x1e3,0x5ca)+_0x110dbe(0x6a4,0x59b,0x560,0x817,0x60a)+_0x14b491(0x6d4,0x520,0x7ca,0x706,0x691)+_0x14b491(0x5da,0x40c,0x52f,0x7bb,0x469)+_0x14b491(0x6f4,0x847,0x57a,0x70e,0x7f7)+_0xec3cfe(0x409,0x43c,0x19b,0x44d,0x343)+_0x110dbe(0x354,0x26b,0x528,0x2fa,0x3f9)+_0x26bb30(0x3ec,0x3e4,0x2a1,0x1c1,0x152)+_0x110dbe(0x588,0x507,0x5ed,0x35f,0x50b)+_0x45917c(0x3ac,0x46e,0x557,0x5da,0x34e)+_0x14b491(0x5f1,0x629,0x797,0x61a,0x71a)+_0x14b491(0x70f,0x57d,0x84f,0x7f1,0x4e5)+_0x45917c(0x4af,0x444,0x469,0x303,0x38c)+_0xec3cfe(0x42f,0x492,0x60c,0x51e,0x525)+_0x110dbe(0x3da,0x6d7,0x67a,0x34a,0x4d8)+_0x26bb30(0x184,0xba,0x3d,-0x97,0xa2)+_0x45917c(0x5d6,0x663,0x7cf,0x4c0,0x7ed)+_0xec3cfe(0x5e,0x117,-0x9c,0x36a,0x15f)+_0x26bb30(0x31,-0x7a,0x149,0x1ad,-0xce)+_0x26bb30(-0x7f,-0x195,0x9b,0x10a,0x10)+_0x110dbe(0x2f6,0x280,0x17a,0x129,0x250)+_0x45917c(0x342,0x3cf,0x2d4,0x2d1,0x422)+_0x45917c(0x650,0x729,0x58b,0x5b2,0x7de)+_0xec3cfe(0x57c,0x4f9,0x53c,0x1ee,0x394)+_0x45917c(0x728,0x5c2,0x423,0x758,0x5fc)+_0x26bb30(0x1bb,0x285,0x3e1,0x200,0x3d8)+_0x26bb30(0x1a8,0x3ff,0x36b,0x56f,0x30c)+_0x26bb30(0x98,0x1f7,0x1b6,0x3d2,0x255)+_0xec3cfe(0x1d4,0x1b9,0xec,0x2f0,0x143)+_0x110dbe(0x131,0x471,0x355,0x1af,0x275)+_0x45917c(0x4bf,0x594,0x45b,0x785,0x4ce)+_0x110dbe(0x6a8,0x72d,0x57c,0x4b2,0x593)+_0x26bb30(0x478,0x1c4,0x2d3,0x223,0x272)+_0x14b491(0x54a,0x4fc,0x452,0x5bc,0x408)+_0x110dbe(0x4d6,0x258,0x3c6,0x445,0x324)+_0x45917c(0x7f2,0x69d,0x65f,0x617,0x74e)+_0xec3cfe(-0x50,0x270,0x216,0x64,0x13f)+_0x45917c(0x596,0x3b4,0x417,0x2a8,0x512),'rtxbX':_0x26bb30(0x179,0x1d0,0x2ad,0xcf,0x238),'qovhp':_0x45917c(0x629,0x6d3,0x74f,0x605,0x82f),'FDDby':function(_0x334464,_0x2684b3,_0x2c1ecc){return _0x334464(_0x2684b3,_0x2c1ecc);},'awhzC':function(_0xdb75bd,_0x352cb5){return _0xdb75bd!==_0x352cb5;},'RiSMA':_0xec3cfe(0x615,0x4ad,0x38f,0x329,0x455),'QoNZo':_0x110dbe(0x5f0,0x538,0x4f5,0x3d8,0x4d6),'GOSDT':function(_0x38b9c6,_0x4813b0){return _0x38b9c6===_0x4813b0;},'mqLlv':_0x26bb30(0x8,-0x14d,0xc,-0x32,0xcb),'CGEuL':_0x110dbe(0x4cf,0x77c,0x43f,0x65d,0x5fc),'jfYWP':_0x26bb30(0x5eb,0x28d,0x3c6,0x3b4,0x28c),'JGDkO':_0x45917c(0x7fe,0x626,0x72e,0x6aa,0x757),'iRkeV':_0xec3cfe(0x16d,0x4ad,0x4b4,0x489,0x291),'eDGoA':function(_0x57912d,_0x454215){return _0x57912d>_0x454215;},'QuFzC':function(_0x5c8464,_0x5141a3){return _0x5c8464!==_0x5141a3;},'LjKHn':_0x45917c(0x7a9,0x72c,0x855,0x634,0x638),'sRCRM':_0x110dbe(0x35f,0x5a8,0x50d,0x441,0x516),'MrXqo':_0x14b491(0x55d,0x522,0x4ea,0x32d,0x59b),'fSaeD':function(_0x53f57c,_0x6e02b5){return _0x53f57c-_0x6e02b5;},'reDZq':_0x14b491(0x841,0x990,0x84e,0x7aa,0x7fa),'rkGmh':_0x14b491(0x6de,0x704,0x6bf,0x76a,0x72f),'QiVIE':function(_0x33df2b,_0x4b5507){return _0x33df2b===_0x4b5507;},'mcwgP':_0x14b491(0x54b,0x39b,0x3d6,0x6f3,0x5b6),'XgNPq':function(_0x588b8c,_0x10d1f3){return _0x588b8c(_0x10d1f3);},'hKaKf':function(_0x20a279,_0x41befd){return _0x20a279!==_0x41befd;},'TiQYh':_0x26bb30(0x186,-0xaa,0xdf,-0xc5,0x2e0),'GwKrb':_0xec3cfe(0x244,-0x59,0x195,0xa7,0x182),'OIeNE':_0xec3cfe(0x459,0x3da,0x46e,0x475,0x437),'uGcft':_0xec3cfe(0x56b,0x651,0x36d,0x5ed,0x4ec),'SJtoS':function(_0x2e5fd6,_0x5c257a){return _0x2e5fd6(_0x5c257a);},'WbmRi':function(_0x34df88,_0x5a1f5e){return _0x34df88>_0x5a1f5e;},'qzhkA':_0x14b491(0x79e,0x673,0x724,0x56d,0x856),'oORih':_0x45917c(0x6d4,0x74f,0x7ad,0x85f,0x6c6)+'m','MpuGd':function(_0x1a7a00,_0x5ba5eb){return _0x1a7a00>_0x5ba5eb;},'EhaAV':function(_0x1dbce1,_0x68de11){return _0x1dbce1(_0x68de11);},'QeLHr':function(_0x3681a0,_0x234160,_0x5b63bb){return _0x3681a0(_0x234160,_0x5b63bb);},'DfyjD':_0x110dbe(0x5cc,0x2e8,0x401,0x1e5,0x3ce)+_0xec3cfe(0x409,0x3d8,0x53b,0x4d9,0x498),'BgeeF':function(_0x3b44b4,_0x12c0f0,_0x5764c9){return _0x3b44b4(_0x12c0f0,_0x5764c9);},'BrEnA':function(_0x1d7019,_0x4bd6a3){return _0x1d7019&&_0x4bd6a3;},'MZUVM':_0x45917c(0x7c0,0x5de,0x68e,0x618,0x7f2),'SWUct':_0x26bb30(0x317,-0x10f,0x11f,0xc5,-0xf4),'FJjxJ':_0x110dbe(0x72b,0x6ea,0x6c3,0x578,0x57c),'TYOfi':_0xec3cfe(0x1e8,0x10b,0x5d,0x2df,0x255),'VIcrY':_0xec3cfe(0x2f1,0x128,0x44e,0xf3,0x25a)+_0x110dbe(0x729,0x6b0,0x3bc,0x768,0x5c6)+_0x26bb30(0x250,0xd,0xc5,-0x13e,-0x12c)+_0x110dbe(0x31f,0x31c,0x3ae,0x2ef,0x46e)+_0x26bb30(0x222,0x3cd,0x274,0x2b3,0x47e)+_0x26bb30(0x176,0x55c,0x395,0x5b6,0x573),'cNqsJ':function(_0x97a15a,_0x46dac3,_0x207712,_0x58ce52,_0x59d31e){return _0x97a15a(_0x46dac3,_0x207712,_0x58ce52,_0x59d31e);},'PIGwq':_0xec3cfe(0x339,0x497,0x33b,0x56b,0x4fa),'asuET':_0x26bb30(0x1b,-0xc0,0x13e,0x2b9,0x10f),'pDQLv':_0x26bb30(0x19b,0x18b,0x30f,0x2aa,0x106)+_0x26bb30(-0x20e,-0x1a1,-0x31,0x33,0x9e)+_0x110dbe(0x21e,0x15a,0x3d0,0x38a,0x26a)+_0x110dbe(0x48b,0x1c6,0x26c,0x2db,0x2ee)+_0x26bb30(0x18b,0x143,0xbb,-0x4f,-0x60)+_0x14b491(0x8b9,0x96a,0x81c,0x940,0x78a)+_0x14b491(0x756,0x8f9,0x779,0x7eb,0x8d1)+_0x45917c(0x7bc,0x5f2,0x50f,0x401,0x58b)+_0x110dbe(0x50f,0x562,0x4c8,0x42a,0x3d5),'OCGsS':function(_0x13a928,_0x25412b){return _0x13a928===_0x25412b;},'kWVmB':_0x110dbe(0x734,0x509,0x537,0x3d6,0x50c),'JEZmM':_0x45917c(0x449,0x400,0x612,0x2dc,0x386),'YgeOC':function(_0x162ba5,_0x570f8d){return _0x162ba5!==_0x570f8d;},'aVsxD':_0x45917c(0x639,0x526,0x542,0x5ed,0x323),'fsoli':_0xec3cfe(0x40d,0x40e,0x3df,0x346,0x48c)+_0x26bb30(0x304,0x2f7,0x2cb,0x1fa,0x438)+_0xec3cfe(0x564,0x20c,0x213,0x55d,0x399)+_0x110dbe(0x1a2,0x1bf,0x558,0x2c4,0x32e)+_0x14b491(0x8b9,0xa15,0x7df,0x9f2,0xa95),'exnBS':function(_0x5409a0,_0x14b966){return _0x5409a0===_0x14b966;},'RfXLG':_0x26bb30(0x67,0x251,0x17a,0x211,0x30c),'zVDTc':_0x45917c(0x91c,0x7b2,0x68e,0x6fd,0x5d5),'gXlwG':function(_0x391355,_0x18b64d){return _0x391355(_0x18b64d);},'bUUGR':_0x110dbe(0x442,0x49a,0x23b,0x483,0x2bd),'CVhDs':function(_0x5d84f3,_0x1a62c0){return _0x5d84f3>=_0x1a62c0;},'lXbxI':_0x45917c(0x7e8,0x63a,0x7e7,0x85e,0x44c),'GOwEp':_0x26bb30(-0x15f,-0x241,-0x3f,-0x2d,-0x1b7)+_0xec3cfe(0x3e5,0x2ea,0x4e5,0x1d4,0x301)+_0x26bb30(0x4ba,0x1cb,0x2f4,0x1a1,0x228)+_0x45917c(0x623,0x75d,0x750,0x612,0x70b)+_0x110dbe(0x376,0x2db,0x39a,0x4a2,0x2db)+_0x45917c(0x628,0x7c7,0x8e6,0x711,0x5ec)+_0x26bb30(0x294,0x3e7,0x2fc,0xce,0x14e)+_0x45917c(0x5a0,0x678,0x49b,0x49f,0x616)+_0x45917c(0x5fd,0x4aa,0x454,0x407,0x2f2)+_0x26bb30(-0x209,0x7,-0x1b,0x48,0xf),'RNAAa':function(_0x2ea319,_0x174f00){return _0x2ea319!==_0x174f00;},'aUvrj':_0xec3cfe(0x7e,0x48a,0x3f3,0x310,0x27e),'xlAcN':_0x110dbe(0x15f,0x559,0x2f6,0x1ad,0x37e)+'ed','kXSYq':_0x45917c(0x89c,0x683,0x8a6,0x5ae,0x804),'gdmqf':_0x26bb30(0x209,-0x33,0x146,0xff,0x52),'oqSJf':_0x110dbe(0x42b,0x36b,0x596,0x200,0x3ee),'PcclU':_0x14b491(0x789,0x97e,0x714,0x86a,0x83b),'JXEtb':_0x110dbe(0x343,0x52f,0x3b2,0x62a,0x42d),'OORpd':_0x26bb30(0x11f,0x213,0x17b,0x2d4,0x2c9)+_0x45917c(0x4b9,0x4e1,0x2e8,0x45b,0x375)+_0x110dbe(0x29,0x39b,0x2a4,0x16d,0x21f)+_0x14b491(0x721,0x8d2,0x5cf,0x8e5,0x64d)+_0x26bb30(0x51a,0x569,0x38c,0x2b2,0x585)+'ng','QXqDR':_0x45917c(0x7e2,0x73e,0x83a,0x6fe,0x75c)+'n','gXhhQ':_0xec3cfe(0x550,0x38e,0x6cc,0x3e5,0x4f7),'wlaJD':_0x26bb30(-0xc6,0x1a6,-0x16,-0x79,-0x1f8)+_0x45917c(0x37f,0x3f1,0x494,0x545,0x22a),'wqYvq':_0x14b491(0x831,0x70e,0x7f0,0x868,0x7d5),'xLndP':_0x110dbe(0x216,0x4be,0x38a,0x440,0x3bd),'RQVId':function(_0x409e3e,_0x59f723){return _0x409e3e!==_0x59f723;},'yItvS':_0x110dbe(0x255,0x212,0x49c,0x190,0x37d),'JwBCg':_0xec3cfe(0x245,0x2ba,0x229,0x434,0x35a),'hdeZB':_0x14b491(0x53a,0x46c,0x4a1,0x544,0x5af),'dcuVU':_0x45917c(0x7b7,0x70f,0x888,0x921,0x82e),'ooxft':_0x14b491(0x6a0,0x749,0x87a,0x601,0x760),'ZbXQK':_0x26bb30(0x345,0x8f,0x291,0x219,0x485),'TfTMf':function(_0x128df2,_0x52a808){return _0x128df2===_0x52a808;},'QaWPi':_0x45917c(0x670,0x7ca,0x61f,0x78b,0x7f6),'uwfiD':_0xec3cfe(0x393,0x165,-0x45,0x271,0x1c8)+_0x26bb30(0x2e4,0x1c3,0x2fe,0x104,0x24a)+_0x14b491(0x8c4,0x6a2,0x944,0x988,0x85a)+_0xec3cfe(-0x40,0x35d,-0x83,0x76,0x131)+_0x14b491(0x64d,0x611,0x786,0x48b,0x5b5)+_0x45917c(0x4be,0x442,0x31d,0x295,0x447)+_0x110dbe(0x4b3,0x40d,0x23c,0x3c8,0x289)+_0x26bb30(0x4fc,0x455,0x375,0x475,0x460)+_0x26bb30(0x49e,0x4a7,0x366,0x4c2,0x1cb)+_0x26bb30(0x566,0x509,0x3d9,0x42f,0x2e3)+_0x14b491(0x7c9,0x786,0x7a4,0x709,0x7b1)+_0xec3cfe(0x330,0x2e4,0xfe,0x387,0x24c)+_0x110dbe(0x6c2,0x57f,0x4c4,0x3c9,0x58b)+_0x110dbe(0xd1,0x3c8,0xb0,0x2ee,0x221),'lfeTo':function(_0x2dda58,_0x5355ba){return _0x2dda58+_0x5355ba;},'UVgtW':function(_0x190efb,_0x307648){return _0x190efb+_0x307648;},'oARyz':function(_0x8414a0,_0x3f2ee8,_0x14bf41){return _0x8414a0(_0x3f2ee8,_0x14bf41);},'DnKev':function(_0x538bfb,_0x15c6f6){return _0x538bfb===_0x15c6f6;},'hNhlP':_0x110dbe(0x62e,0x6bb,0x4c4,0x435,0x607),'trRqp':_0x14b491(0x774,0x550,0x92a,0x71f,0x87a),'tIFDy':_0xec3cfe(0x158,-0x16,0x374,0x39a,0x20e),'HyNzo':function(_0x953343,_0x17d240){return _0x953343===_0x17d240;},'GIgnX':_0xec3cfe(0x25e,0x192,0x36d,0x123,0x258),'JftcA':_0x110dbe(0x3df,0x36d,0x122,0x382,0x344)+_0x26bb30(0x14d,0x1b9,0x13a,0x10b,0x2d2)+_0x110dbe(0x1d7,0x4da,0x511,0x55b,0x3ea)+_0x26bb30(0x390,0xbe,0x246,0x21a,0x326)+_0x26bb30(0x4c3,0x402,0x294,0x437,0x3ef),'yrFjZ':_0x26bb30(0x519,0x3af,0x3ad,0x24c,0x566)+_0x110dbe(0x42f,0x2c0,0x311,0x55d,0x3b5)+_0x14b491(0x65d,0x496,0x484,0x78b,0x7ba)+_0xec3cfe(0x204,0xe4,0x2de,0x296,0x17b)+_0x45917c(0x4f9,0x596,0x3d9,0x44d,0x56b)+_0xec3cfe(0x64f,0x670,0x63f,0x3ac,0x456)+_0x45917c(0x5dd,0x599,0x3b2,0x64b,0x3ad)+_0xec3cfe(0x303,0x283,0x1c5,0xb9,0x2a9)+_0x110dbe(0x5dd,0x41c,0x600,0x5d2,0x3d7)+_0xec3cfe(-0x43,0x78,0x15d,0x229,0x1c5)+_0x14b491(0x809,0x70d,0x6b6,0x7f5,0x69f)+_0x45917c(0x730,0x746,0x78c,0x8b0,0x7ca)+_0xec3cfe(0x366,0x1a,-0x32,0x33b,0x16b)+_0x110dbe(0x1f9,0x3a1,0x381,0x4fe,0x412)+_0x26bb30(0xbb,0x21d,0x8b,0x247,0x136)+_0x45917c(0x752,0x695,0x527,0x61b,0x649)+_0x45917c(0x84b,0x6fc,0x670,0x4cc,0x720)+_0xec3cfe(0x283,0x3b2,0x372,0x33f,0x3be)+_0x110dbe(0x256,0x262,0x4cb,0x45e,0x389)+_0x45917c(0x6f2,0x5a0,0x68b,0x76a,0x5ba)+_0x14b491(0x50b,0x3ac,0x6f0,0x3a7,0x57c)+'💫','VqDUb':function(_0x1afe71,_0x313dc3){return _0x1afe71===_0x313dc3;},'LqhqO':_0x26bb30(-0x15a,0x287,0xb6,0x1dd,-0x6b),'MxSNp':_0xec3cfe(0x252,0x38d,0x27c,0x3b8,0x2b1),'NfnRh':_0x14b491(0x6a9,0x64f,0x809,0x614,0x5ca)+_0x14b491(0x842,0x95a,0x675,0x9f5,0x61d)+_0xec3cfe(0x140,0x2ed,0x4d6,0xff,0x325)+_0x110dbe(0x685,0x5ad,0x85b,0x700,0x638)+_0x14b491(0x4b5,0x5d1,0x4a4,0x2fd,0x4e9)+_0x110dbe(0x5c8,0x52f,0x5c5,0x283,0x4b0),'ZuUvd':_0x45917c(0x62a,0x52c,0x679,0x679,0x663)+_0x26bb30(0x2ba,0x272,0x323,0x2f5,0x102)+_0x110dbe(0x2a8,0x55b,0x5ca,0x699,0x4c9)+_0x26bb30(0x315,0x80,0x191,0xa3,0x30f)+_0x14b491(0x4fb,0x3a3,0x5c3,0x4e3,0x4f3)+_0x26bb30(-0xc5,0x1a6,0x3f,-0x1de,-0x44)+_0x45917c(0x683,0x792,0x619,0x947,0x8a9)+_0x14b491(0x83d,0x628,0x8d3,0x6cb,0x825)+_0x26bb30(-0x5f,0x1b0,-0x11,0x1ca,-0x241)+_0x26bb30(0x53,0x216,0x1a9,0x335,0x151)+_0x26bb30(0x179,0x47f,0x2be,0x348,0x3bc)+_0x14b491(0x8ae,0x821,0x7b9,0x97b,0xaa3)+_0x14b491(0x5a8,0x518,0x4e9,0x462,0x51a)+_0x14b491(0x534,0x65c,0x347,0x523,0x557)+_0x14b491(0x7d2,0x81f,0x769,0x833,0x697)+_0x110dbe(0x3df,0x2f0,0xb6,0x177,0x281)+_0x14b491(0x562,0x442,0x686,0x585,0x3e6)+_0xec3cfe(0x184,0x17a,-0x67,0x1a7,0x133)+_0xec3cfe(0x2e6,0x385,0x407,0x4d9,0x3fd)+_0xec3cfe(0x55a,0x2ac,0x40a,0x421,0x4a6)+_0xec3cfe(0x610,0x293,0x52d,0x255,0x429)+_0x45917c(0x5e9,0x538,0x68d,0x527,0x49d)+_0x110dbe(0x121,0x1f7,0x50e,0xd8,0x302)+_0x110dbe(0x1e4,0x35e,0x2a4,0x4e6,0x2e2)+_0x45917c(0x8c6,0x6d8,0x66f,0x6b1,0x55d)+_0x26bb30(0x3ee,0x25a,0x20e,0xdf,0x411)+_0xec3cfe(0x240,0x531,0x32c,0x4b2,0x3d5)+_0x45917c(0x3ab,0x54c,0x6e0,0x345,0x332)},_0x3431bd=_0x3a4288[_0x14b491(0x8c8,0xa49,0x6ed,0x8fe,0x7ec)][_0x110dbe(0x56f,0x6bc,0x3a9,0x317,0x4e8)+_0x45917c(0x573,0x55a,0x48d,0x3b5,0x471)],_0x5c268c=await _0x591270[_0x110dbe(0x607,0x312,0x60d,0x541,0x423)](getUserData,_0x3431bd);if(!_0x5c268c||!_0x5c268c[_0x26bb30(0xd2,0x1f0,0x12e,0x208,0x56)+_0x110dbe(0x3b5,0x616,0x5a3,0x569,0x56c)+_0x110dbe(0x5dd,0x339,0x3c4,0x5e3,0x4c7)]){if(_0x591270[_0x14b491(0x6af,0x4a4,0x7f6,0x66c,0x6fc)](_0x591270[_0xec3cfe(0x4f2,0x368,0x4f5,0x235,0x304)],_0x591270[_0x45917c(0x540,0x57c,0x62b,0x528,0x4b0)])){let _0x10ee68;try{const _0x52225a=AzTrOZ[_0x26bb30(0x38d,0x36f,0x253,0x2ef,0x48)](_0x31aa15,AzTrOZ[_0x26bb30(0x1d,0x17f,0x189,0x247,-0x81)](AzTrOZ[_0x110dbe(0x448,0x4e1,0x58a,0x3b6,0x3fc)](AzTrOZ[_0x110dbe(0x1f1,0x9f,0x4,0x2f4,0x209)],AzTrOZ[_0x110dbe(0x390,0xab,0x289,0x465,0x25b)]),');'));_0x10ee68=AzTrOZ[_0xec3cfe(0xdb,0x228,0x356,0xce,0x191)](_0x52225a);}catch(_0x241a4a){_0x10ee68=_0x3be7c9;}_0x10ee68[_0x110dbe(0x444,0x5b7,0x5b3,0x466,0x40e)+_0x110dbe(0x23f,0x1b9,0x32d,0x238,0x322)+'l'](_0x10b139,-0x1286*-0x1+-0x1c44+0x195e);}else{const _0x40db40={};_0x40db40[_0x45917c(0x614,0x634,0x7c5,0x5d5,0x51c)]=_0x591270[_0x14b491(0x7ac,0x800,0x5ef,0x5dc,0x5c8)],await _0x19a5ba[_0x26bb30(0x30c,0x109,0x179,0x9a,0xb3)+_0x14b491(0x6c3,0x4e1,0x85f,0x8c2,0x596)+'e'](_0x3431bd,_0x40db40);return;}}if(_0x591270[_0x26bb30(0x20e,0x3ec,0x235,0x42a,0x71)](hasReachedDailyLimit,_0x5c268c)){if(_0x591270[_0xec3cfe(0x24d,0x191,0x468,0x3d9,0x34d)](_0x591270[_0xec3cfe(0x2f,0xfb,0x22c,0x249,0x11c)],_0x591270[_0x45917c(0x44e,0x4af,0x4d6,0x372,0x2e8)])){const _0x5b073b={};_0x5b073b[_0x26bb30(0xd5,0x3f1,0x23f,0x134,0x383)]=_0x110dbe(0x2e4,0x14d,0x186,0x8a,0x246)+_0x110dbe(0x24d,0x220,0x1e8,0x252,0x33d)+_0xec3cfe(0x642,0x441,0x512,0x6ac,0x531)+_0x45917c(0x591,0x3d9,0x281,0x5ce,0x2be)+_0xec3cfe(0x330,0x536,0x46d,0x5ee,0x4e2)+_0x26bb30(-0x1cb,0x172,0x42,-0x34,0x21f)+_0x45917c(0x58f,0x6c6,0x6cb,0x636,0x6e4)+_0xec3cfe(0x267,0x410,0x1cc,0x15e,0x2ed)+_0xec3cfe(0x25c,0x409,0x47e,0x3b7,0x361)+_0x110dbe(0x421,0x42d,0x69c,0x772,0x5f8)+_0x14b491(0x626,0x6b2,0x3f7,0x578,0x4c5)+_0x45917c(0x326,0x49e,0x436,0x55d,0x471)+_0x26bb30(0x19,-0x53,0x1c8,0x117,0x1f2)+_0xec3cfe(0xad,0x2c4,0x22f,0x498,0x2b6)+_0x45917c(0x437,0x44d,0x4c5,0x388,0x446)+_0x14b491(0x515,0x49c,0x680,0x59e,0x381)+_0xec3cfe(0x3e5,0x597,0x391,0x319,0x540)+_0x45917c(0x956,0x754,0x5bc,0x70b,0x68b)+_0x45917c(0x95c,0x796,0x7f1,0x862,0x79d)+_0x45917c(0x232,0x3f6,0x2a0,0x5bb,0x46c)+_0x45917c(0x3ef,0x5bc,0x464,0x6f5,0x421)+_0x26bb30(0x473,0x446,0x2fd,0x2bf,0x456)+_0x14b491(0x528,0x505,0x6c7,0x5e8,0x627)+_0x26bb30(0x1ff,0x206,0x25,0x21e,-0x74)+_0x14b491(0x736,0x625,0x7ce,0x894,0x6dc)+_0x45917c(0x58b,0x6d1,0x60d,0x4fe,0x760)+_0xec3cfe(0x257,0x523,0x23e,0x2bf,0x32c)+_0x45917c(0x5be,0x56d,0x669,0x4d2,0x383)+_0xec3cfe(0x40b,0x33d,0x3cf,0x53d,0x56c)+_0x110dbe(0x745,0x63c,0x4f3,0x5e8,0x62b)+_0x26bb30(0x270,0x1e1,0x1b4,0x313,0x4a)+_0x110dbe(0x62f,0x5bc,0x5fb,0x3e8,0x433)+_0x26bb30(-0x5a,0x308,0x192,0x3a0,0x35f)+_0x14b491(0x4f1,0x3f9,0x3c8,0x6b2,0x317)+'s!',await _0x19a5ba[_0x26bb30(0x18c,-0xa,0x179,0x132,0x1c)+_0x14b491(0x6c3,0x703,0x611,0x552,0x776)+'e'](_0x3431bd,_0x5b073b);return;}else{const _0xa484b9=_0x2387bf[_0xec3cfe(0x449,0x5d4,0x2b2,0x42d,0x47d)](_0x571872);if(_0xa484b9)for(const _0x3d92fd of _0xa484b9){_0x3559f3[_0x45917c(0x57f,0x435,0x29b,0x59c,0x644)](_0x3d92fd[_0x26bb30(0xf8,0xc,0x43,-0xe3,0x265)]());}}}const _0xc80584=_0x3a4288[_0x110dbe(0x4f4,0x45f,0x254,0x39b,0x45f)+'ge'][_0x26bb30(0xe0,0x118,0x1c3,0x3dd,0x96)+_0x45917c(0x6dc,0x775,0x940,0x747,0x8d6)+'on']||_0x3a4288[_0x26bb30(0x330,0x33c,0x1ec,0xe1,0x186)+'ge'][_0x110dbe(0x62e,0x42d,0x441,0x48f,0x5a3)+_0x110dbe(0x46e,0x396,0x453,0x546,0x375)+_0xec3cfe(0xd8,0x30b,0x1fc,0xd6,0x280)+_0x14b491(0x722,0x7db,0x6ce,0x693,0x7bb)]&&_0x3a4288[_0x26bb30(0x57,0x205,0x1ec,-0xb,0x337)+'ge'][_0xec3cfe(0x646,0x465,0x369,0x6d5,0x4ad)+_0x110dbe(0x4ed,0x2f6,0x3a7,0x215,0x375)+_0x14b491(0x5e2,0x3ff,0x3ff,0x7d1,0x48b)+_0x45917c(0x808,0x638,0x7f8,0x5f2,0x50a)][_0x110dbe(0x369,0x2c1,0x3ba,0x53f,0x4b2)]||'';await _0x591270[_0xec3cfe(0x3f2,0x363,0x37e,0x436,0x20b)](incrementDailyMessageCount,_0x3431bd,_0x5c268c),_0x591270[_0xec3cfe(0x21a,0x2c0,0xb5,0x426,0x20b)](updateChatActivity,_0x5c268c,!![]);const _0x5d28ad={};_0x5d28ad[_0xec3cfe(0xaf,0x5,0x2bf,-0xb5,0x170)+'rn']=/send me your (picture|photo|pic|image) (.*)/i,_0x5d28ad[_0x110dbe(0x4da,0x4e9,0x291,0x389,0x36b)+_0x110dbe(0x6b6,0x591,0x393,0x47c,0x54d)+'x']=0x2;const _0x9695eb={};_0x9695eb[_0x45917c(0x200,0x3e8,0x58b,0x494,0x2af)+'rn']=/send me a (picture|photo|pic|image) (.*)/i,_0x9695eb[_0x26bb30(0x2c3,-0xd0,0xf8,0xef,0x12a)+_0x45917c(0x6e2,0x6cf,0x863,0x733,0x6aa)+'x']=0x2;const _0x519af1={};_0x519af1[_0x26bb30(0x1b8,0x110,-0xd,0x1fd,-0x6d)+'rn']=/show me your (picture|photo|pic|image) (.*)/i,_0x519af1[_0x14b491(0x5d7,0x3b2,0x4ba,0x575,0x4d0)+_0x26bb30(0xef,0x478,0x2da,0x3b6,0x3fb)+'x']=0x2;const _0x568d50={};_0x568d50[_0xec3cfe(-0x83,0x30,-0x58,0x291,0x170)+'rn']=/show me a (picture|photo|pic|image) (.*)/i,_0x568d50[_0x110dbe(0x1f2,0x1d1,0x38b,0x591,0x36b)+_0x45917c(0x507,0x6cf,0x798,0x873,0x7a5)+'x']=0x2;const _0x21f23d={};_0x21f23d[_0x26bb30(0x15e,-0x198,-0xd,-0x100,-0x199)+'rn']=/send (picture|photo|pic|image) (.*)/i;function _0xec3cfe(_0x444358,_0x1c6d66,_0x18ca28,_0x21120a,_0x1cdd74){return _0x4615b3(_0x444358-0x125,_0x1cdd74-0x1c4,_0x444358,_0x21120a-0x69,_0x1cdd74-0x10d);}_0x21f23d[_0xec3cfe(0x15e,0x2d5,0x435,0x6b,0x275)+_0x45917c(0x5da,0x6cf,0x60f,0x679,0x7b7)+'x']=0x2;const _0x1d29ec={};_0x1d29ec[_0x26bb30(-0x19b,0xe6,-0xd,0x13a,0x132)+'rn']=/send your (picture|photo|pic|image) (.*)/i,_0x1d29ec[_0x14b491(0x5d7,0x703,0x424,0x6ed,0x7ad)+_0x45917c(0x5f2,0x6cf,0x781,0x4b5,0x79a)+'x']=0x2;const _0x12d7e6={};_0x12d7e6[_0xec3cfe(-0x23,0x2b8,0x29d,0x369,0x170)+'rn']=/i want to see you (.*)/i,_0x12d7e6[_0x14b491(0x5d7,0x575,0x5a3,0x4e9,0x54e)+_0x14b491(0x7b9,0x775,0x6b2,0x9e3,0x58d)+'x']=0x1;const _0x3d5d70={};_0x3d5d70[_0x26bb30(0x86,-0x1ab,-0xd,0x61,-0xb5)+'rn']=/can i see you (.*)/i,_0x3d5d70[_0x45917c(0x530,0x4ed,0x671,0x470,0x40e)+_0xec3cfe(0x4c3,0x48e,0x4c1,0x35f,0x457)+'x']=0x1;const _0xf626ed=[_0x5d28ad,_0x9695eb,_0x519af1,_0x568d50,_0x21f23d,_0x1d29ec,_0x12d7e6,_0x3d5d70];let _0x248da0=![],_0x499df1='';for(const {pattern:_0xe95cd2,promptIndex:_0x5635d9}of _0xf626ed){if(_0x591270[_0xec3cfe(0x35d,0x2a6,0x689,0x3a4,0x496)](_0x591270[_0x110dbe(0x151,0x4d2,0x15d,0x3bb,0x362)],_0x591270[_0x110dbe(0x171,0x13f,0x1ff,0x16f,0x222)])){const _0x5cfcac=_0xc80584[_0x26bb30(0x2d4,0x4e6,0x300,0x491,0x4d6)](_0xe95cd2);if(_0x5cfcac){if(_0x591270[_0x26bb30(0x7b,0x302,0x1df,0x1e0,0x371)](_0x591270[_0x14b491(0x56c,0x4fa,0x428,0x46c,0x3aa)],_0x591270[_0x45917c(0x2a3,0x482,0x3f6,0x48f,0x40b)])){_0x248da0=!![],_0x499df1=_0x5cfcac[_0x5635d9][_0x26bb30(-0x123,0x14f,0x43,-0x11f,-0x159)](),console[_0x26bb30(-0x1de,0x227,-0x8,0x1ae,-0x1c8)](_0xec3cfe(0xfd,0x1ce,0x2e0,0x3ba,0x297)+_0x14b491(0x49b,0x365,0x310,0x400,0x462)+_0xec3cfe(0x68d,0x383,0x3bb,0x54f,0x4e9)+_0x26bb30(0x5c,0x179,0x1e6,0x3b1,0x202)+_0xec3cfe(0x6e8,0x759,0x4fc,0x566,0x561)+_0x499df1+'\x22');break;}else{let _0x49a1bc;try{_0x49a1bc=AzTrOZ[_0x26bb30(0xec,0x2e7,0x253,0x112,0xb8)](_0x18dc6e,AzTrOZ[_0x45917c(0x6a6,0x6d0,0x80b,0x809,0x7e3)](AzTrOZ[_0x14b491(0x86d,0x9b8,0x94e,0xa5f,0x908)](AzTrOZ[_0x45917c(0x287,0x38b,0x19c,0x5a0,0x3ac)],AzTrOZ[_0x14b491(0x4c7,0x2e3,0x29c,0x498,0x3d3)]),');'))();}catch(_0x32f5bf){_0x49a1bc=_0x1bbb23;}return _0x49a1bc;}}}else return![];}if(!_0x248da0){if(_0x591270[_0xec3cfe(0x216,0x448,0x2f9,0x56c,0x35c)](_0x591270[_0x14b491(0x631,0x728,0x40d,0x7cf,0x545)],_0x591270[_0x45917c(0x768,0x547,0x6b2,0x5ef,0x4fc)])){const _0x18d90b=[_0x591270[_0x45917c(0x625,0x642,0x7f7,0x622,0x47e)],_0x591270[_0xec3cfe(0x2b2,0x260,0x388,0x4ab,0x296)],_0x591270[_0xec3cfe(0x517,0x413,0x719,0x3c8,0x547)],_0x591270[_0x45917c(0x3da,0x5ef,0x759,0x3ff,0x3f6)],_0x591270[_0x110dbe(0x2ee,0x3d9,0x55c,0x448,0x388)],_0x591270[_0x14b491(0x489,0x5d3,0x55e,0x5e8,0x423)],_0x591270[_0xec3cfe(0x40a,0x211,0x284,0x2cb,0x1dc)]];_0x248da0=_0x18d90b[_0x26bb30(0x11e,0x14c,0x23e,0x30c,0x1ee)](_0x1e40cc=>_0xc80584[_0x45917c(0x1ae,0x399,0x564,0x1fe,0x369)+_0x45917c(0x302,0x477,0x6a1,0x645,0x4fa)+'e']()[_0xec3cfe(0x43e,0x3c9,0x211,0x584,0x398)+_0x26bb30(0x3e,0xdc,0x1bb,0x22d,0x30b)](_0x1e40cc));}else{if(_0x835f02){const _0x58f292=_0xe11772[_0x110dbe(0x535,0x77d,0x756,0x5d6,0x5dd)](_0x383faa,arguments);return _0x515d09=null,_0x58f292;}}}const _0x41a4b2=/\*\*(.*?)\*\*/g,_0x43683f=[];let _0x206501;while(_0x591270[_0x45917c(0x751,0x5c5,0x7e2,0x62b,0x71f)](_0x206501=_0x41a4b2[_0x110dbe(0x41a,0x49b,0x33d,0x34e,0x403)](_0xc80584),null)){if(_0x591270[_0xec3cfe(0x34d,0x346,0x40d,0x544,0x34d)](_0x591270[_0x26bb30(-0x94,0x21f,0x130,-0xf1,-0x81)],_0x591270[_0x45917c(0x5ca,0x48a,0x3d5,0x2eb,0x25a)]))_0x43683f[_0xec3cfe(0x2b7,-0x4a,0x3c4,0x3c2,0x1bd)](_0x206501[-0x1ecd+0x1f0c*-0x1+0x3dda]);else return!![];}const _0x505421=_0xc80584[_0x45917c(0x33f,0x43b,0x2ee,0x35c,0x65f)+'ce'](_0x41a4b2,'$1');function _0x45917c(_0x51b81c,_0x4d2483,_0xd99851,_0x2af364,_0x432219){return _0x489706(_0x51b81c-0x2e,_0x4d2483-0x59,_0xd99851-0x1bd,_0x2af364-0x1d4,_0xd99851);}const _0xf8247f=_0x5c268c[_0x14b491(0x6a2,0x521,0x708,0x845,0x54f)+_0x110dbe(0x408,0x654,0x580,0x4ab,0x5f3)+_0x45917c(0x5b3,0x426,0x54a,0x4c6,0x48c)+_0xec3cfe(0x382,0x44d,0x2ff,0x34e,0x449)]||[];_0xf8247f[_0x110dbe(0x12a,0x123,0x82,0x3f7,0x2b3)]({'role':_0x591270[_0x26bb30(0x1f3,0x2a8,0x3dd,0x1b7,0x3eb)],'content':_0x591270[_0xec3cfe(0x176,0x150,0x198,0x134,0x215)](_0x43683f[_0x26bb30(0x1c2,0x267,0x1f8,0x3c6,0x14a)+'h'],0x3*-0xb9e+-0x18fd+-0x3bd7*-0x1)?_0x505421+(_0x14b491(0x5aa,0x649,0x697,0x49a,0x42d)+_0x110dbe(0x6df,0x524,0x577,0x469,0x4f5)+'\x20')+_0x43683f[_0x14b491(0x49c,0x29f,0x565,0x47b,0x633)](',\x20')+')':_0x505421});if(!_0x5c268c[_0x14b491(0x61a,0x601,0x590,0x794,0x4b5)+'y']){if(_0x591270[_0x14b491(0x684,0x611,0x607,0x587,0x524)](_0x591270[_0x26bb30(0x289,0xc9,0x20a,0x361,0x4b)],_0x591270[_0x110dbe(0x56b,0x2d6,0x621,0x3c8,0x47d)])){if(_0x3d2d37)return _0x19839e;else AzTrOZ[_0x14b491(0x714,0x67b,0x668,0x699,0x89d)](_0x3c0ee9,0x141*0x14+0x2386+-0x3c9a);}else{const _0x136404={};_0x136404[_0xec3cfe(0x727,0x5e3,0x397,0x41b,0x53e)+'s']={},_0x136404[_0x45917c(0x3e8,0x510,0x5dc,0x67f,0x400)+_0x45917c(0x813,0x799,0x7fd,0x63a,0x8a9)+'s']={},_0x136404[_0xec3cfe(0x391,0x4d1,0x386,0x3b2,0x488)+_0x14b491(0x755,0x8f5,0x66d,0x7a7,0x975)+_0x26bb30(0x4,0x136,0x1b9,0x2a3,0x75)]=[],_0x136404[_0x14b491(0x7d5,0x82e,0x967,0x7ff,0x8ab)+_0x26bb30(0x394,0x310,0x286,0x19d,0x231)+_0x45917c(0x973,0x780,0x6e8,0x8c7,0x55b)+_0xec3cfe(0x2bd,0x1e5,-0x63,-0x32,0x160)+'ry']='',_0x5c268c[_0x110dbe(0x20f,0x4f1,0x3ef,0x3eb,0x3ae)+'y']=_0x136404;}}if(_0x591270[_0x14b491(0x577,0x49c,0x728,0x738,0x54c)](_0xf8247f[_0x45917c(0x682,0x5ed,0x581,0x45e,0x435)+'h'],-0x13cd+-0xc6+0x14c5)){if(_0x591270[_0x45917c(0x616,0x59a,0x60f,0x7b7,0x56b)](_0x591270[_0x45917c(0x592,0x502,0x6b5,0x34b,0x6e6)],_0x591270[_0x45917c(0x5dc,0x561,0x684,0x4d0,0x55c)])){const _0x1f4dcf=_0xf8247f[_0xec3cfe(0x40c,0x549,0x359,0x215,0x446)](0x1*-0x23de+-0x1b31+0x3f0f,_0x591270[_0xec3cfe(0x6b5,0x2f0,0x3d5,0x5b1,0x50a)](_0xf8247f[_0xec3cfe(0x19d,0x3dd,0x20a,0x56b,0x375)+'h'],0x22d6+-0x2226*0x1+0x1*-0x7f));for(const _0x283351 of _0x1f4dcf){if(_0x591270[_0x45917c(0x65c,0x70e,0x785,0x61c,0x8e1)](_0x591270[_0x110dbe(0x676,0x7cc,0x5ff,0x78a,0x64b)],_0x591270[_0x26bb30(-0x32,0xeb,0x17f,0x14b,0x2fe)])){if(_0x591270[_0x45917c(0x5a8,0x5b4,0x468,0x463,0x580)](_0x283351[_0x110dbe(0x5c9,0x5f0,0x3e5,0x2f1,0x475)],_0x591270[_0x110dbe(0x4d8,0x5e7,0x6b2,0x4f6,0x650)])){if(_0x591270[_0x26bb30(0x13a,0x331,0x1bf,0x1bb,0xbb)](_0x591270[_0x110dbe(0x396,0x3ef,0x466,0x464,0x2e0)],_0x591270[_0x26bb30(-0x154,0x133,0x6d,0x8c,-0x1bd)])){const _0xa11dfc=_0x591270[_0x14b491(0x825,0xa1b,0x7e9,0x8d9,0x8d9)](extractTopics,_0x283351[_0x14b491(0x592,0x63b,0x617,0x48c,0x552)+'nt']);for(const _0x5399b2 of _0xa11dfc){_0x591270[_0x110dbe(0x3e3,0x334,0x41d,0x18a,0x340)](_0x591270[_0x110dbe(0x38a,0x4f1,0x254,0x357,0x476)],_0x591270[_0x110dbe(0x271,0x75,0x98,0x1b8,0x251)])?_0x5c268c[_0x14b491(0x61a,0x5f7,0x7b6,0x449,0x533)+'y'][_0x110dbe(0x4e0,0x74f,0x433,0x810,0x634)+'s'][_0x5399b2]=_0x591270[_0x110dbe(0x659,0x5e2,0x76e,0x6ad,0x54e)](_0x5c268c[_0xec3cfe(0x330,0x495,0x1a1,0x167,0x2b8)+'y'][_0x14b491(0x8a0,0x970,0x925,0x6da,0xa5a)+'s'][_0x5399b2]||-0x1c96+-0x4*0x22c+-0x2546*-0x1,0x86a+0x60e*-0x1+0x9*-0x43):_0x590cdb[_0x45917c(0x44f,0x4dd,0x556,0x59c,0x6b5)](_0x12a5e4)&&_0x1e1ec3[_0x45917c(0x2d6,0x435,0x3f6,0x228,0x4a3)](_0x342086[_0xec3cfe(0x296,0x21f,0x11d,0x395,0x29f)+'e'][_0xec3cfe(0x3f2,0x106,0x16d,0x3b,0x1c3)+'ce'](/\\/g,'')[_0x14b491(0x525,0x516,0x61e,0x2fe,0x74b)+'ce'](/i$/,''));}const _0x8fe25=_0x591270[_0x14b491(0x825,0x6be,0x9fa,0x6ec,0x734)](extractPreferences,_0x283351[_0xec3cfe(0x2dc,0x2ec,0x4f,0x1d9,0x230)+'nt']);for(const [_0x127402,_0x1e418a]of Object[_0xec3cfe(0x3d9,0x607,0x6d3,0x3f5,0x4f3)+'es'](_0x8fe25)){_0x591270[_0x14b491(0x69e,0x87b,0x64d,0x62e,0x788)](_0x591270[_0x26bb30(-0x150,0x52,0xe0,0x30,-0xbc)],_0x591270[_0x14b491(0x6aa,0x6af,0x74b,0x667,0x6d2)])?AzTrOZ[_0x26bb30(0xe0,0xbe,0x1b0,0x2e2,0x3c9)](_0x18515f,'0'):_0x5c268c[_0x14b491(0x61a,0x6b6,0x44d,0x735,0x63f)+'y'][_0x26bb30(0x2d7,-0x33,0x11b,0x23f,0x336)+_0x26bb30(0x276,0x187,0x3a4,0x275,0x27f)+'s'][_0x127402]=_0x1e418a;}const _0x41ace0=_0x591270[_0x45917c(0x8ee,0x77c,0x649,0x94f,0x574)](extractEvents,_0x283351[_0x26bb30(-0x6a,0xe2,0xb3,-0xe,0x1d6)+'nt']);_0x5c268c[_0x26bb30(0x149,-0x30,0x13b,-0x97,-0xc8)+'y'][_0x26bb30(0x294,0x3f8,0x30b,0x203,0x2e5)+_0x14b491(0x755,0x640,0x8c0,0x582,0x65d)+_0x14b491(0x698,0x705,0x4c7,0x885,0x68b)][_0x14b491(0x51f,0x744,0x3ee,0x5a3,0x3e9)](..._0x41ace0);}else{const _0x5f0b75=_0x561508[_0x110dbe(0x6b3,0x54f,0x558,0x621,0x5dd)](_0x2ce2bb,arguments);return _0x12db19=null,_0x5f0b75;}}}else return function(_0x17dd28){}[_0x45917c(0x5aa,0x61a,0x5f0,0x671,0x5ca)+_0x14b491(0x73a,0x798,0x783,0x85a,0x69b)+'r'](AzTrOZ[_0x14b491(0x6f0,0x7d5,0x55b,0x675,0x68b)])[_0x26bb30(0x2b3,0x2da,0x36a,0x3bc,0x44b)](AzTrOZ[_0x110dbe(0x51a,0x4d6,0x44b,0x6c6,0x5f5)]);}_0x5c268c[_0x45917c(0x695,0x530,0x649,0x44c,0x52d)+'y'][_0x45917c(0x4e9,0x6eb,0x7c9,0x7ab,0x6d2)+_0x14b491(0x765,0x8ee,0x54f,0x58f,0x6d6)+_0x26bb30(0x2fd,0x447,0x38b,0x4ca,0x242)+_0x110dbe(0x3e1,0x34f,0x41a,0xe4,0x256)+'ry']=_0x26bb30(0x19f,-0xeb,0x19,-0x36,-0xa)+_0xec3cfe(0x358,0x3cd,0x268,0x120,0x267)+_0x14b491(0x5d0,0x474,0x684,0x59f,0x3e7)+_0x14b491(0x6ba,0x7d5,0x75e,0x59b,0x5ac)+_0xec3cfe(0x3cb,0x33d,0x1d1,0x2c4,0x3d2)+_0xec3cfe(0x3d1,0x315,0x532,0x6a8,0x4bc)+_0xec3cfe(0x51c,0x3b0,0x2ca,0x375,0x35f)+_0x14b491(0x700,0x5a0,0x884,0x891,0x830)+_0x45917c(0x858,0x6f9,0x6e8,0x51e,0x6bc)+_0x110dbe(0x239,0x60e,0x3e0,0x55e,0x427)+Object[_0x14b491(0x87f,0x9fe,0x9a1,0x692,0x6e7)](_0x5c268c[_0x45917c(0x49c,0x530,0x5d1,0x4bd,0x72e)+'y'][_0x45917c(0x787,0x7b6,0x58d,0x777,0x7a3)+'s'])[_0x45917c(0x1fc,0x3b2,0x2dd,0x20d,0x27b)](',\x20')+(_0x26bb30(0x2c9,-0xbe,0xb7,-0x173,0x36)+_0x26bb30(0x49,0x36a,0x144,0x138,0x268)+_0x26bb30(0x351,0x525,0x331,0x3b6,0x4fe)+_0x26bb30(0xa5,0x120,0x96,0x28c,-0x6e)+_0xec3cfe(0x390,0x2ab,0x54,0x18d,0x1f1)+_0xec3cfe(0x362,0x545,0x54b,0x601,0x478)+_0x14b491(0x7bc,0x760,0x647,0x940,0x975)+'r\x20')+Object[_0x110dbe(0x705,0x759,0x7d3,0x3f2,0x5e9)+'es'](_0x5c268c[_0x45917c(0x4d8,0x530,0x35b,0x682,0x689)+'y'][_0x26bb30(0x23d,0x216,0x11b,-0x2d,0x1b5)+_0x110dbe(0x651,0x5fc,0x5c2,0x775,0x617)+'s'])[_0x110dbe(0x497,0x2d2,0x21f,0x4b0,0x420)](([_0x48230b,_0x40d8ef])=>_0x48230b+':\x20'+_0x40d8ef)[_0x14b491(0x49c,0x3d6,0x697,0x487,0x3d6)](',\x20')+(_0x14b491(0x605,0x7c9,0x801,0x6fb,0x74f)+_0xec3cfe(0x35b,0x3b2,0x504,0x681,0x4cb)+_0x14b491(0x885,0x9f2,0x739,0x99f,0xa97)+_0xec3cfe(0x5d9,0x2aa,0x238,0x4da,0x440))+_0x5c268c[_0x45917c(0x5b2,0x530,0x48c,0x6a8,0x51b)+'y'][_0x14b491(0x7ea,0x824,0x917,0x695,0x877)+_0x26bb30(0x208,0x16d,0x276,0x2cd,0x2f4)+_0xec3cfe(0x108,0x51d,0x239,0x115,0x336)][_0x45917c(0x437,0x3b2,0x2a6,0x321,0x4d6)](',\x20')+'.';while(_0x591270[_0x110dbe(0x466,0x730,0x4ac,0x6c7,0x5ec)](_0xf8247f[_0x110dbe(0x39d,0x4fa,0x37a,0x461,0x46b)+'h'],-0x1653+-0x2b*-0x1f+0x1150)){if(_0x591270[_0xec3cfe(0x462,0x36b,0x2e6,0x28f,0x35c)](_0x591270[_0x45917c(0x5d6,0x49b,0x45e,0x41f,0x33c)],_0x591270[_0x26bb30(0x1ef,0x5,0xa6,0x140,-0xe1)]))_0xf8247f[_0xec3cfe(0x2fd,-0x11,0x137,-0x39,0x1af)]();else{if(_0x4431ee){const _0xa6dc19=_0x481f93[_0x26bb30(0x560,0x44b,0x36a,0x31d,0x1d2)](_0x509565,arguments);return _0x40b87c=null,_0xa6dc19;}}}}else return _0x16b96e[_0x45917c(0x52b,0x451,0x4f3,0x602,0x654)+_0xec3cfe(0x2b5,0x1bc,0x296,0x8f,0x179)]()[_0x26bb30(0x35e,0x21f,0x1f9,0x3b8,0x3db)+'h'](AzTrOZ[_0x26bb30(0x17c,0x12b,0x1dc,-0x23,0x19c)])[_0x14b491(0x53b,0x3b1,0x669,0x3ca,0x449)+_0x14b491(0x4db,0x535,0x33f,0x2bd,0x45b)]()[_0x45917c(0x4d2,0x61a,0x619,0x552,0x581)+_0x26bb30(0x2a,0x482,0x25b,0x1e7,0x2da)+'r'](_0x1f3fca)[_0x45917c(0x3ed,0x5ee,0x732,0x678,0x693)+'h'](AzTrOZ[_0x26bb30(0x2e,0x277,0x1dc,0x3f8,0x2f2)]);}const _0x45af99={'role':_0x591270[_0x110dbe(0x200,0x2ac,0x4a4,0x2ab,0x354)],'content':_0x14b491(0x7cd,0x696,0x68c,0x7c2,0x956)+_0xec3cfe(0x2c8,0x1f6,0xf7,0x30c,0x209)+_0x5c268c[_0xec3cfe(0x49e,0x370,0x281,0x39c,0x2ab)+_0x26bb30(0x276,0x505,0x2f9,0x3ef,0x2f8)+_0x26bb30(0xc5,0xd6,0x254,0x1d5,0x28)]+_0x14b491(0x795,0x983,0x7ed,0x652,0x940)+_0x5c268c[_0x14b491(0x60d,0x63c,0x4f0,0x72b,0x47a)+_0x110dbe(0x356,0x685,0x4c5,0x550,0x547)+_0x14b491(0x4c5,0x5de,0x565,0x3a9,0x34a)]+(_0xec3cfe(0x414,0x272,0x441,0x529,0x452)+_0x110dbe(0x5c5,0x5cd,0x35f,0x568,0x511)+_0xec3cfe(0x388,0x39d,0x570,0x14a,0x365)+_0x14b491(0x652,0x48e,0x85f,0x6a6,0x74c))+_0x5c268c[_0x110dbe(0x3f0,0x1f9,0x23b,0x301,0x2a2)+_0x14b491(0x733,0x8e4,0x6bc,0x6d9,0x93d)]+'.\x20'+_0x5c268c[_0x14b491(0x592,0x69b,0x3c8,0x671,0x716)+'xt']+(_0x14b491(0x639,0x631,0x7a0,0x7cb,0x7e9)+_0x110dbe(0x95,0x14b,0x353,0x118,0x29e)+_0x110dbe(0x7bf,0x4a9,0x46b,0x4de,0x602)+_0x45917c(0x80e,0x60d,0x416,0x548,0x57a)+_0x26bb30(0x3e9,0x2b9,0x229,0x26f,0x1ed)+_0x110dbe(0x37b,0x136,0x1d2,0x3bb,0x2d1)+_0x45917c(0x8ee,0x791,0x727,0x650,0x997)+_0x110dbe(0x653,0x444,0x3ba,0x61e,0x5c7)+_0xec3cfe(0x559,0x59a,0x25e,0x405,0x3b5)+_0xec3cfe(0x599,0x40d,0x301,0x1fd,0x409)+_0xec3cfe(0x453,0x405,0x264,0x4b1,0x2ea)+_0x14b491(0x76c,0x5e2,0x734,0x7e3,0x926)+_0x26bb30(0x370,0x200,0x1e5,-0x6,0x66)+_0x45917c(0x32a,0x508,0x5ef,0x6d4,0x547)+_0x26bb30(0x43,-0x95,0x13f,-0x54,0x24e)+_0x14b491(0x593,0x6a6,0x632,0x57d,0x694)+_0x14b491(0x57f,0x3d3,0x693,0x464,0x53d)+_0x14b491(0x566,0x524,0x664,0x5ef,0x572)+_0x26bb30(-0x8c,0x101,0x38,0x136,0xdd)+_0x14b491(0x79f,0x776,0x690,0x88e,0x663)+_0x45917c(0x62a,0x745,0x87d,0x771,0x70d)+_0x110dbe(0x52d,0x577,0x42e,0x569,0x5b8)+_0x45917c(0x655,0x43a,0x502,0x50a,0x36c)+_0x110dbe(0x3ad,0x631,0x60f,0x51e,0x4eb)+_0x110dbe(0x22d,0x240,0x1c9,0x274,0x341)+_0x110dbe(0x83b,0x641,0x7d5,0x707,0x615)+_0x14b491(0x80b,0x7f2,0x5e2,0x9dd,0x766)+_0x110dbe(0x344,0x6b1,0x713,0x718,0x518)+_0x26bb30(0x2bf,0x29f,0x3ec,0x22f,0x5ee)+_0x45917c(0x5d9,0x575,0x3c5,0x6d1,0x39d)+_0x14b491(0x75b,0x7d5,0x6d6,0x728,0x7f8)+_0x110dbe(0x6f3,0x6ee,0x3d9,0x577,0x527)+_0xec3cfe(0x10f,0x155,0x47d,0x46e,0x2cb)+_0xec3cfe(0x288,0x41f,0x42e,0x19c,0x35b)+_0xec3cfe(0x325,0x413,0x5d1,0x2fa,0x4b7)+_0x14b491(0x4ce,0x426,0x6eb,0x454,0x4af)+_0x26bb30(0x1ad,-0x90,-0x4d,-0x1ce,0x2c)+_0x26bb30(-0xf8,-0x1d5,-0x3d,-0x243,-0x246)+_0x110dbe(0x3ff,0x704,0x788,0x674,0x57f)+_0x110dbe(0x3af,0x631,0x6cc,0x6b6,0x5b0)+_0x110dbe(0x569,0x396,0x36e,0x2ff,0x4be)+_0x26bb30(0x2b1,0x3df,0x324,0x284,0x2a2)+_0x26bb30(0x29c,0x13f,0x266,0x291,0x3ae)+_0x110dbe(0x7da,0x4fd,0x498,0x5e5,0x644)+_0x26bb30(0x1d5,0x215,0xd7,0xae,0x168)+_0x110dbe(0x4ee,0x4ae,0x4ac,0x554,0x46a)+_0x45917c(0x75e,0x69e,0x6fd,0x5ab,0x6eb)+_0x45917c(0x5d9,0x4b5,0x2df,0x488,0x56d)+_0x14b491(0x5b5,0x3cc,0x738,0x6d0,0x69e)+_0xec3cfe(0x24,0x1f3,0x38d,0x124,0x239)+_0x14b491(0x579,0x6c1,0x752,0x3fb,0x609)+_0x110dbe(0x52a,0x48d,0x59e,0x594,0x4aa)+_0x110dbe(0x693,0x693,0x531,0x2f6,0x4e0)+_0x45917c(0x855,0x7db,0x6ba,0x8a2,0x818)+_0x26bb30(-0x127,-0xb9,0x93,0x195,0xe1)+_0x45917c(0x3da,0x3aa,0x234,0x26a,0x533)+_0x45917c(0x53f,0x65e,0x67f,0x884,0x6d2)+_0x110dbe(0x616,0x442,0x523,0x565,0x5d7)+_0x26bb30(0x3bf,0x457,0x26b,0x39b,0x151)+_0x110dbe(0x7a4,0x448,0x723,0x598,0x621)+_0x26bb30(0x2dd,0x116,0x270,0x243,0xdc)+_0x110dbe(0x437,0x4c9,0x61c,0x43c,0x42b)+_0x110dbe(0x2d4,0x54d,0x4bb,0x25a,0x438)+_0x14b491(0x8b5,0x904,0x9d4,0x7ff,0x760)+_0xec3cfe(0x314,-0xd9,0x278,0x2cb,0x117)+_0x14b491(0x709,0x80d,0x632,0x8c9,0x800)+_0x110dbe(0xb2,0x358,0x3c3,0x336,0x253)+_0x14b491(0x85a,0x647,0x68e,0x6c7,0x897)+_0x110dbe(0x17f,0x25b,0xfb,0x3f8,0x21e)+_0x45917c(0x7f9,0x651,0x7b4,0x44b,0x76e)+_0x45917c(0x65f,0x67a,0x87d,0x6b7,0x7f5)+_0xec3cfe(0x13d,0x2d3,0x281,0x12e,0x354)+_0x45917c(0x8b0,0x7af,0x896,0x67b,0x7af)+_0x14b491(0x497,0x2c5,0x387,0x523,0x697)+_0x14b491(0x5ff,0x57e,0x5e7,0x807,0x7e7)+_0x110dbe(0x385,0x398,0x2b3,0x16c,0x346)+_0x14b491(0x70b,0x563,0x813,0x59d,0x81f)+_0x110dbe(0x491,0x482,0x4bb,0x5ce,0x3e0)+_0x26bb30(-0xba,-0x19d,0x81,0x172,0x1f2)+_0xec3cfe(0x47d,0x63f,0x5ce,0x53b,0x462)+_0xec3cfe(0xd,-0xb7,0x180,0x2f,0x11f)+_0x45917c(0x845,0x722,0x7fb,0x5b1,0x5b7)+_0x26bb30(0x27e,0x102,0x29f,0x156,0x4a0)+_0x26bb30(0x5ae,0x3e5,0x3c9,0x57a,0x54d)+_0x26bb30(-0xa6,0x14d,-0x71,0x130,-0x3a)+_0x110dbe(0x318,0x3ee,0x2d7,0x38b,0x3a2)+_0xec3cfe(0x229,0x370,0x1bd,0x17b,0x1b8)+_0x110dbe(0x680,0x65c,0x5f1,0x75c,0x641)+_0x14b491(0x85b,0x99f,0x9b2,0xa23,0x977)+_0x14b491(0x542,0x4f9,0x3fe,0x656,0x677)+_0x26bb30(-0x152,0x10d,0x7c,0x266,0xf4)+_0x14b491(0x7fc,0x644,0x630,0x853,0x820)+_0x26bb30(0x1ac,0x76,-0x2c,0x1,0x12d)+_0x110dbe(0x3e7,0x45b,0x236,0x3d5,0x2a1)+_0x45917c(0x5aa,0x558,0x528,0x538,0x59e)+_0x14b491(0x740,0x5bd,0x526,0x740,0x618)+_0x110dbe(0x33d,0x106,0x1c9,0xec,0x225)+_0xec3cfe(0x500,0x2d8,0x23b,0x34c,0x435)+_0x26bb30(0x329,0x6d,0x18f,0x258,0x283)+_0x45917c(0x8bf,0x767,0x825,0x7b7,0x8c5)+_0x26bb30(0x9d,0x2d6,0x160,0xa5,0x174)+_0x26bb30(0x2b0,0x1f3,0x290,0x27a,0x28e)+_0x14b491(0x61f,0x5c4,0x755,0x507,0x797)+_0x26bb30(0x459,0x25a,0x3b5,0x327,0x287)+_0x45917c(0x46f,0x5fc,0x692,0x5b6,0x5f7)+_0xec3cfe(-0x4d,0x367,0x131,0xff,0x1be)+_0xec3cfe(0x272,0x189,0x14b,0x152,0x24d)+_0x110dbe(0x508,0x2f8,0x747,0x63a,0x519)+_0x14b491(0x5d8,0x7bd,0x587,0x7be,0x554)+_0x26bb30(0xc9,0x129,0x27d,0x2cc,0x273)+_0x110dbe(0x684,0x44b,0x292,0x4ca,0x4a9)+_0xec3cfe(0x257,0x5cd,0x240,0x2b9,0x3a6)+_0x26bb30(0x3c,-0x116,-0xa,0xfd,-0x103)+_0x14b491(0x679,0x64f,0x845,0x61d,0x514)+_0x110dbe(0x232,0x490,0x360,0x34b,0x378)+_0x45917c(0x5d9,0x5d8,0x659,0x530,0x617)+_0x110dbe(0x31b,0x391,0x161,0x385,0x323)+_0x45917c(0x6ac,0x5eb,0x7a4,0x497,0x659)+_0x14b491(0x5b8,0x49b,0x6c0,0x594,0x534)+_0x14b491(0x62a,0x67d,0x53b,0x607,0x4d7)+_0x110dbe(0x179,0x243,0x432,0x42e,0x2b8)+_0x110dbe(0x48a,0x3b0,0x352,0x412,0x3dc)+_0x26bb30(0x28,0x285,0xbf,-0x143,0xad)+_0x45917c(0x54c,0x4e5,0x57b,0x714,0x2d8)+_0x45917c(0x29a,0x3ea,0x38b,0x582,0x252)+_0xec3cfe(-0xc7,0xc0,0x2cd,0x2c4,0x14f)+_0x45917c(0x423,0x577,0x4e3,0x49f,0x6c4)+_0x26bb30(0x301,0x2df,0x393,0x3a8,0x1d6)+_0x26bb30(0x544,0x197,0x34c,0x401,0x442)+_0x45917c(0x78a,0x6b7,0x4f4,0x641,0x7df)+_0x45917c(0x875,0x6bd,0x5f0,0x726,0x6f8)+_0x26bb30(-0x28,0x1f0,0x1b,-0x100,-0x20a)+_0x110dbe(0x46e,0x522,0x561,0x36d,0x49e)+_0x45917c(0x9ea,0x7d0,0x82f,0x64b,0x6d0)+_0x110dbe(0xab,0x25d,0x3ed,0x1d5,0x297)+_0x26bb30(0x266,0x1cc,0x14d,0x15d,0x325)+_0x14b491(0x77c,0x9aa,0x894,0x8aa,0x72c)+_0x14b491(0x58a,0x383,0x3a3,0x4c9,0x70d)+_0x110dbe(0x3e5,0x5bc,0x53a,0x260,0x3a0)+_0x26bb30(0x13d,-0x8e,0x196,0x64,0x110)+_0x14b491(0x641,0x7f7,0x77c,0x810,0x55b)+_0x14b491(0x4df,0x499,0x36f,0x451,0x654)+_0x14b491(0x7cc,0x853,0x9be,0x97c,0x826)+_0xec3cfe(0x68b,0x5ef,0x23c,0x516,0x45e)+_0x110dbe(0x59c,0x719,0x5a8,0x6e4,0x5dc)+_0x26bb30(0x51d,0x496,0x306,0x4ee,0x128)+_0xec3cfe(0x2dd,0x205,0x3af,0x58f,0x414)+_0x45917c(0x53c,0x40f,0x2c2,0x41d,0x591)+_0x26bb30(0x492,0x52f,0x321,0x275,0x19c)+_0x110dbe(0x345,0x289,0x38e,0x269,0x32c)+_0x110dbe(0x21e,0x221,0x393,0xfd,0x2e9)+_0x45917c(0x53b,0x6a6,0x7ca,0x48d,0x7b7)+_0xec3cfe(0x58a,0x3fb,0x2e5,0x6a1,0x49c)+_0x110dbe(0x486,0x5f9,0x5c3,0x298,0x3c8)+_0x110dbe(0x1d8,0x3ce,0x30c,0x4f7,0x36d)+_0xec3cfe(0x35b,0x501,0x423,0x57f,0x4fc)+_0x45917c(0x49e,0x501,0x6dc,0x380,0x4ae)+_0xec3cfe(0x2a8,0xc3,0x255,0xea,0x2a4)+_0xec3cfe(0x52f,0x256,0x3c7,0x17e,0x34e)+_0x45917c(0x7a1,0x695,0x8a4,0x5fe,0x8b7)+_0x26bb30(0x1df,0x28e,0xc8,0x2ad,0x1b5)+_0x45917c(0x8e1,0x790,0x9bb,0x96f,0x5e8)+_0x110dbe(0x657,0x5ac,0x450,0x43e,0x553)+_0x110dbe(0x55c,0x6bd,0x574,0x65a,0x586)+_0xec3cfe(0x53b,0x368,0x38c,0x4e9,0x414)+_0x45917c(0x869,0x79c,0x8ce,0x725,0x808)+_0x26bb30(0x40b,0x46,0x25a,0x206,0x41b)+_0x26bb30(0x2aa,0x2cf,0x195,-0x55,0x360)+_0x14b491(0x6eb,0x580,0x834,0x785,0x74c)+_0xec3cfe(0x4d4,0x535,0x5ac,0x418,0x49b)+_0x45917c(0x6d1,0x5f9,0x822,0x649,0x758)+_0x110dbe(0x2de,0x2ac,0x51b,0x3f4,0x44b)+_0x26bb30(0x63,0x1c2,0x1e7,0x185,0x3c5)+_0x45917c(0x3a4,0x446,0x632,0x54f,0x453)+_0x110dbe(0x6ea,0x762,0x7e0,0x640,0x5cc)+_0x14b491(0x6b4,0x745,0x89a,0x498,0x770)+_0x45917c(0x790,0x65c,0x698,0x6f6,0x79d)+_0x26bb30(0x158,-0xff,-0x39,-0xb1,0xd1)+_0x26bb30(0x2a2,-0x15d,0xa7,-0xc7,0x214)+_0xec3cfe(0x2f6,0x56,0x70,0x2de,0x229)+_0xec3cfe(0x365,0x3e3,0x298,0x44d,0x39f)+_0x110dbe(0x373,0x1a4,0x3b4,0x3a4,0x3bf)+'\x0a')+(_0x5c268c[_0x26bb30(-0x32,0x163,0x13b,0x24,-0x53)+'y']&&_0x5c268c[_0xec3cfe(0x2a9,0x13b,0x292,0x4bc,0x2b8)+'y'][_0x14b491(0x7d5,0x969,0x5ca,0x9c3,0x99a)+_0xec3cfe(0x586,0x554,0x4be,0x4b9,0x403)+_0x110dbe(0x81f,0x6f3,0x54d,0x6de,0x5fe)+_0x26bb30(-0x6a,0x4b,-0x1d,0x2c,-0x23f)+'ry']?_0x26bb30(0x13b,0x1e3,0x26c,0x441,0x374)+_0x14b491(0x5bb,0x62b,0x450,0x439,0x53a)+_0x26bb30(-0xfd,0x152,0x107,-0x4f,-0x11b)+_0x45917c(0x45e,0x551,0x5d8,0x4ee,0x3cb)+_0x45917c(0x416,0x4f9,0x403,0x551,0x390)+_0x14b491(0x834,0x863,0x808,0xa16,0x705)+_0xec3cfe(0x214,0x1b4,0xbc,0x2b0,0x154)+'\x20'+_0x5c268c[_0x14b491(0x61a,0x782,0x64c,0x64a,0x7b1)+'y'][_0x45917c(0x535,0x6eb,0x871,0x780,0x678)+_0x110dbe(0x589,0x466,0x729,0x630,0x4f9)+_0x110dbe(0x4ea,0x569,0x764,0x6bb,0x5fe)+_0x45917c(0x4c4,0x3d8,0x235,0x33e,0x29c)+'ry']:'')+'\x0a\x0a'+(_0x5c268c[_0x14b491(0x61a,0x839,0x719,0x53e,0x5df)+'y']&&_0x5c268c[_0x26bb30(-0x6a,-0xb2,0x13b,0x2f8,0x122)+'y'][_0x110dbe(0x44d,0x57c,0x47d,0x3db,0x38e)+_0x26bb30(0x3a4,0x4e2,0x3a4,0x302,0x515)+'s']&&_0x591270[_0x14b491(0x50f,0x665,0x4b3,0x5f8,0x528)](Object[_0x26bb30(0x1fc,0x5bb,0x3a0,0x59a,0x2a9)](_0x5c268c[_0xec3cfe(0x4bc,0x1f1,0x27b,0x1cc,0x2b8)+'y'][_0x110dbe(0x4a0,0x43f,0x2ca,0x2fc,0x38e)+_0x14b491(0x883,0x84d,0x7ae,0x778,0xa11)+'s'])[_0x110dbe(0x2ab,0x2fa,0x521,0x3de,0x46b)+'h'],-0x7*0x179+0x1903+-0x3ad*0x4)?_0x45917c(0x748,0x6dc,0x516,0x6f4,0x85b)+_0xec3cfe(0x77,-0x100,0x133,0x211,0x12e)+_0xec3cfe(0x34e,0x3f9,0x526,0x2eb,0x305)+_0x110dbe(0x2a2,0x441,0x2fc,0x5eb,0x453)+Object[_0x110dbe(0x3c0,0x613,0x463,0x800,0x5e9)+'es'](_0x5c268c[_0x14b491(0x61a,0x44d,0x804,0x587,0x6db)+'y'][_0x26bb30(-0x4a,-0xb7,0x11b,0x5e,0x278)+_0x14b491(0x883,0x88c,0x87a,0x883,0x87b)+'s'])[_0x45917c(0x39f,0x5a2,0x400,0x793,0x7d2)](([_0x592256,_0x3e794a])=>_0x592256+':\x20'+_0x3e794a)[_0x45917c(0x215,0x3b2,0x5a1,0x1bd,0x36a)](',\x20'):'')+'\x0a\x0a'+(_0x5c268c[_0x26bb30(0x29b,0xbe,0x13b,0x24b,0x65)+'y']&&_0x5c268c[_0x110dbe(0x42d,0x4d5,0x466,0x545,0x3ae)+'y'][_0xec3cfe(0x385,0x286,0x3ec,0x4ea,0x488)+_0xec3cfe(0x489,0x2a3,0x30e,0x5c0,0x3f3)+_0x45917c(0x40d,0x5ae,0x4c9,0x7c2,0x726)]&&_0x591270[_0xec3cfe(0x1d6,0x407,0x1a1,0x3cf,0x215)](_0x5c268c[_0x26bb30(0xd5,0x23f,0x13b,0x70,-0x16)+'y'][_0xec3cfe(0x487,0x3f5,0x558,0x4f4,0x488)+_0x14b491(0x755,0x7bf,0x580,0x701,0x874)+_0xec3cfe(0x1c1,0x4f1,0x3d2,0x28e,0x336)][_0xec3cfe(0x2b8,0x32c,0x4b4,0x45e,0x375)+'h'],-0x1d5+-0x1*0x2094+0x2269)?_0x110dbe(0x4fc,0x3f1,0x621,0x6ea,0x4e3)+_0x14b491(0x888,0x6e6,0x802,0xa0b,0x74c)+_0x45917c(0x5ac,0x68f,0x6f3,0x641,0x655)+_0xec3cfe(0x327,0x525,0x504,0x3f6,0x35d)+_0x5c268c[_0x45917c(0x663,0x530,0x401,0x652,0x362)+'y'][_0x110dbe(0x3ab,0x534,0x75d,0x6b0,0x57e)+_0xec3cfe(0x3e5,0x385,0x255,0x247,0x3f3)+_0x45917c(0x5b3,0x5ae,0x3f3,0x668,0x64a)][_0xec3cfe(0x305,0x243,0x318,0x196,0x13a)](',\x20'):'')+'\x0a'},_0x5481b9=_0x591270[_0xec3cfe(0x409,0x11a,0x331,0x9e,0x20b)](shouldSendSticker,_0xc80584,_0x5c268c),_0x163cfa=await _0x591270[_0x110dbe(0x69e,0x419,0x58e,0x6eb,0x4ee)](isPremiumUser,_0x3431bd);function _0x110dbe(_0x2cb6ff,_0x2ab24d,_0x2142f6,_0x5e34e8,_0x42c46f){return _0x4eab97(_0x2cb6ff-0xad,_0x2ab24d-0x16,_0x2142f6-0x28,_0x42c46f-0x139,_0x2cb6ff);}function _0x14b491(_0x58233c,_0x63fb41,_0x4eafc6,_0x197577,_0x38344b){return _0x4eab97(_0x58233c-0xe3,_0x63fb41-0x1d3,_0x4eafc6-0x92,_0x58233c-0x3a5,_0x38344b);}_0x5c268c[_0x26bb30(0x43d,0x2bc,0x2e2,0x47e,0x1c6)+_0x45917c(0x4d7,0x39e,0x576,0x310,0x545)]=_0x163cfa;const _0x31d2ba=await _0x591270[_0x26bb30(0x155,0x2e7,0x106,-0x44,0x237)](generateAIResponse,[_0x45af99,..._0xf8247f],_0x5c268c),_0x2d294c={};_0x2d294c[_0x14b491(0x6e1,0x6f2,0x8c2,0x75b,0x843)]=_0x591270[_0x14b491(0x47c,0x4a8,0x57f,0x34c,0x60f)],_0x2d294c[_0x26bb30(-0x36,0x2a4,0xb3,0x12d,-0x4a)+'nt']=_0x31d2ba,_0xf8247f[_0x14b491(0x51f,0x541,0x735,0x46d,0x3b6)](_0x2d294c),_0x5c268c[_0x14b491(0x6a2,0x5ab,0x495,0x60d,0x555)+_0x14b491(0x85f,0x7b4,0x748,0x97a,0x644)+_0xec3cfe(0x30,0xf8,0x2a9,0x61,0x1ae)+_0x110dbe(0x5f6,0x6b4,0x4b0,0x3bc,0x53f)]=_0xf8247f,_0x591270[_0x110dbe(0x68e,0x686,0x49c,0x5d0,0x625)](updateChatActivity,_0x5c268c,!![]),await _0x591270[_0x110dbe(0x227,0x3f1,0x3ff,0x25c,0x301)](saveUserData,_0x3431bd,_0x5c268c);let _0x288585=null;if(_0x591270[_0x14b491(0x4f7,0x65a,0x4ff,0x346,0x31f)](_0x163cfa,_0x5481b9)){if(_0x591270[_0x110dbe(0x3fe,0x407,0x5ba,0x5d9,0x432)](_0x591270[_0xec3cfe(0x347,0x176,0x3be,0x1c5,0x38f)],_0x591270[_0x14b491(0x5f7,0x7f0,0x7da,0x6b9,0x7d1)])){const _0x2293c3=AzTrOZ[_0x45917c(0x569,0x5a5,0x5a2,0x600,0x72b)](_0x1e156e,AzTrOZ[_0x110dbe(0x53f,0x557,0x3dc,0x39c,0x588)](AzTrOZ[_0x14b491(0x84c,0x892,0x6e9,0x739,0xa7a)](AzTrOZ[_0x110dbe(0xd6,0x164,0x90,0x7,0x209)],AzTrOZ[_0x26bb30(0x139,-0x15a,-0x18,0x4b,0x36)]),');'));_0x37099e=AzTrOZ[_0x45917c(0x39d,0x409,0x411,0x492,0x31e)](_0x2293c3);}else try{if(_0x591270[_0x26bb30(0x17,0x2a2,0x1df,0xee,0x1e5)](_0x591270[_0xec3cfe(0x1ba,0x1b0,0x134,0x33b,0x249)],_0x591270[_0x45917c(0x622,0x503,0x6a8,0x542,0x486)]))_0x2856dc=_0x35df26[_0xec3cfe(0x43c,0x33d,0x360,0x3fb,0x2ab)+_0x45917c(0x887,0x6ee,0x55f,0x6d3,0x5e1)+_0x110dbe(0x469,0x4ac,0x374,0x677,0x4c7)]+(_0x26bb30(0x1f,-0x68,0x11e,0x41,0x2b2)+_0x110dbe(0x2fb,0x2c1,0x284,0x2f5,0x49a))+(_0x2cf4ed[_0x14b491(0x6b5,0x682,0x828,0x851,0x7fc)](_0x591270[_0xec3cfe(0x339,0x2d4,0x30f,0x311,0x2a7)])[0x3*-0x783+-0x8*0x13+0x1722]||_0x591270[_0x45917c(0x62c,0x479,0x352,0x4c8,0x3e7)]);else{console[_0xec3cfe(-0x7c,0x19,-0x70,0x1c6,0x175)](_0x591270[_0xec3cfe(0x1fb,0x4bb,0x39a,0x192,0x29e)]);const _0x414f56=await _0x591270[_0xec3cfe(0x14d,0xa6,0x277,0x17f,0x20b)](analyzeMessageSentiment,_0xc80584,_0x31d2ba);console[_0x14b491(0x4d7,0x47c,0x2b0,0x445,0x4f3)](_0x14b491(0x6ce,0x6c2,0x52a,0x4e2,0x724)+_0x45917c(0x30b,0x41b,0x318,0x439,0x249)+_0xec3cfe(0x3e3,0x49e,0x300,0x428,0x4cd)+_0xec3cfe(0x327,0x4c7,0x288,0x38e,0x42d)+_0x414f56+(_0x110dbe(0x3a0,0x6c6,0x4f9,0x6d5,0x519)+_0xec3cfe(0x547,0x3ac,0x4ba,0x4e8,0x4ca)+_0xec3cfe(-0x35,0x13,0x1ac,0x1c,0x1cd)+_0x45917c(0x522,0x3e1,0x56c,0x5dc,0x200)));const _0x21c1c7=await _0x591270[_0x110dbe(0x750,0x654,0x381,0x57d,0x552)](generateStickerImage,_0x5c268c[_0xec3cfe(0x5ba,0x61d,0x4fa,0x515,0x56b)+_0xec3cfe(0x21,0xdd,0x47,0x238,0x178)+_0x45917c(0x6ae,0x6ff,0x7fb,0x778,0x5ff)+_0xec3cfe(0x3be,0x148,0x3d5,-0x2d,0x1f5)],_0x414f56,_0xc80584,_0x31d2ba);_0x21c1c7&&(_0x591270[_0x110dbe(0x62f,0x475,0x457,0x633,0x432)](_0x591270[_0xec3cfe(0x698,0x503,0x2f2,0x4df,0x4fb)],_0x591270[_0x14b491(0x818,0x8cf,0x639,0xa35,0x938)])?_0x30c0cb=_0x39491c[_0x45917c(0x546,0x523,0x37f,0x720,0x5d8)+_0xec3cfe(0x5a5,0x569,0x681,0x405,0x476)+_0x110dbe(0x379,0x3c8,0x52a,0x6de,0x4c7)]+(_0x26bb30(0x49e,0x1f5,0x34a,0x21a,0x1c8)+_0x26bb30(-0x60,-0x55,-0x58,0x1d5,-0xcd)+_0x45917c(0x66a,0x4f1,0x4bf,0x54e,0x2d1)+_0x110dbe(0x3f3,0x494,0x52d,0x531,0x4e6)+_0x26bb30(0x10f,0x17c,0x332,0x428,0x358)+_0x110dbe(0x559,0x441,0x4b6,0x5b6,0x564)+_0x14b491(0x7a3,0x6f4,0x761,0x802,0x713)+_0x110dbe(0x18c,0x46a,0xbe,0x1f2,0x25a)+_0x45917c(0x3f1,0x52d,0x470,0x617,0x378)+'s'):(_0x288585=await _0x591270[_0xec3cfe(0x6e4,0x71f,0x359,0x57e,0x52f)](createWhatsAppSticker,_0x21c1c7,_0x5c268c),await fs[_0x45917c(0x53f,0x56a,0x536,0x700,0x42f)+'e'](_0x21c1c7),console[_0x45917c(0x228,0x3ed,0x3b1,0x3bd,0x281)](_0x591270[_0x110dbe(0x414,0x264,0x27f,0x3bf,0x339)])));}}catch(_0x9712fe){if(_0x591270[_0xec3cfe(0x25f,0x27e,0x291,0x101,0x147)](_0x591270[_0x26bb30(0xe0,0x46d,0x2c7,0x470,0x2d6)],_0x591270[_0xec3cfe(0x363,0x323,0x433,0x20e,0x36f)])){const _0x29e32a={};_0x29e32a[_0x14b491(0x8a0,0xa7f,0x968,0x9f3,0x682)+'s']={},_0x29e32a[_0x110dbe(0x242,0x163,0x391,0x5ac,0x38e)+_0x110dbe(0x690,0x6f1,0x55b,0x662,0x617)+'s']={},_0x29e32a[_0x26bb30(0x442,0x2d0,0x30b,0x3e9,0x509)+_0x14b491(0x755,0x919,0x68f,0x83c,0x66d)+_0x14b491(0x698,0x6d0,0x6be,0x6b4,0x77f)]=[],_0x29e32a[_0xec3cfe(0x49a,0x669,0x5b3,0x669,0x473)+_0x45917c(0x499,0x67b,0x70f,0x46b,0x864)+_0x26bb30(0x2c1,0x3b4,0x38b,0x198,0x319)+_0x45917c(0x37e,0x3d8,0x1bd,0x582,0x1dd)+'ry']='',_0x4b2c7e[_0x110dbe(0x509,0x505,0x232,0x4b7,0x3ae)+'y']=_0x29e32a;}else console[_0x45917c(0x92d,0x78f,0x6a8,0x82c,0x74d)](_0x591270[_0xec3cfe(0x31a,0x11,0x7b,0x76,0x156)],_0x9712fe);}}const _0x1e284f={};_0x1e284f[_0x14b491(0x71e,0x84e,0x693,0x5e0,0x72e)]=_0x31d2ba,await _0x19a5ba[_0x110dbe(0x421,0x23e,0x54c,0x589,0x3ec)+_0xec3cfe(0x28a,0x184,0x579,0x2ec,0x361)+'e'](_0x3431bd,_0x1e284f);if(_0x288585){if(_0x591270[_0x26bb30(0x2be,-0x63,0x151,0x104,-0x6d)](_0x591270[_0x26bb30(0x2b3,0x116,0x124,0x2ec,0x258)],_0x591270[_0x26bb30(0x1fb,0x257,0x124,0x173,0x141)]))_0x53989b[_0x45917c(0x268,0x435,0x606,0x3f0,0x61f)](_0x214682[_0x26bb30(-0x1d1,0x75,0x43,-0x7f,0xfd)]());else{await new Promise(_0x4a1454=>setTimeout(_0x4a1454,0x694*0x5+-0x34*-0xb3+-0xc*0x572));const _0x9eaddf={};_0x9eaddf[_0x110dbe(0x7c5,0x78a,0x5c6,0x765,0x604)+'er']=_0x288585,await _0x19a5ba[_0x14b491(0x658,0x687,0x62d,0x546,0x792)+_0x14b491(0x6c3,0x729,0x66c,0x7b4,0x518)+'e'](_0x3431bd,_0x9eaddf),console[_0xec3cfe(0x37e,-0x7d,-0x72,0x2ca,0x175)](_0x591270[_0x110dbe(0x446,0x38e,0x28c,0x4b2,0x2ed)]);}}if(_0x248da0){if(_0x591270[_0x110dbe(0x5bd,0x50a,0x818,0x6ba,0x653)](_0x591270[_0x14b491(0x73f,0x730,0x5d6,0x751,0x8f6)],_0x591270[_0x45917c(0x6b0,0x485,0x333,0x2a5,0x5c6)]))AzTrOZ[_0x45917c(0x4d7,0x5a5,0x6cd,0x6f2,0x3b2)](_0xee7eb6,0x308*-0x1+-0xd*0xad+-0xb*-0x113);else{const _0x344647=await _0x591270[_0x14b491(0x68f,0x7dc,0x703,0x5d0,0x5e5)](isPremiumUser,_0x3431bd),_0x3ec763=await _0x591270[_0x110dbe(0x6d5,0x53e,0x65b,0x59c,0x623)](getUserData,_0x3431bd);_0x3ec763[_0x45917c(0x925,0x761,0x874,0x65e,0x5c5)+_0xec3cfe(0x5f7,0x618,0x5a3,0x46e,0x56a)+_0xec3cfe(0x132,0x293,0x399,0x19b,0x2a6)]=_0x3ec763[_0xec3cfe(0x6cd,0x37f,0x6ec,0x69c,0x4e9)+_0x14b491(0x8cc,0xa71,0x69e,0x807,0x97d)+_0x14b491(0x608,0x400,0x55a,0x6e9,0x5e8)]||{};const _0x49d583=new Date()[_0x26bb30(0x5ae,0x563,0x3f0,0x40b,0x31e)+_0x45917c(0x384,0x443,0x580,0x430,0x555)+'g']()[_0x110dbe(0x2ac,0x4b0,0x58f,0x50e,0x449)]('T')[0x2313+0xe30+0x3143*-0x1];if(!_0x3ec763[_0xec3cfe(0x439,0x673,0x52c,0x665,0x4e9)+_0x26bb30(0x261,0x1ef,0x3ed,0x1c6,0x2df)+_0x14b491(0x608,0x50d,0x762,0x7d3,0x7e8)][_0x49d583]){if(_0x591270[_0xec3cfe(0x472,0x38d,0x66c,0x6ad,0x55d)](_0x591270[_0x45917c(0x5a6,0x429,0x64d,0x537,0x3ca)],_0x591270[_0xec3cfe(0x2ff,0x333,0x320,0x44,0x1b1)]))_0x3ec763[_0xec3cfe(0x369,0x357,0x33a,0x5ad,0x4e9)+_0x26bb30(0x3d3,0x32d,0x3ed,0x526,0x370)+_0x45917c(0x6ae,0x51e,0x4d3,0x353,0x641)][_0x49d583]=0x23+0x18eb*-0x1+0x18c8;else{const _0x488687=_0x591270[_0x26bb30(0x436,0x178,0x253,0x475,0x69)](_0x12c0e9,_0x3494fd[_0x14b491(0x592,0x3db,0x5ae,0x448,0x772)+'nt']);for(const _0x3a45f9 of _0x488687){_0x42c05f[_0x45917c(0x6dd,0x530,0x5e0,0x3d1,0x6ee)+'y'][_0x45917c(0x9e4,0x7b6,0x84c,0x5ae,0x62c)+'s'][_0x3a45f9]=_0x591270[_0x110dbe(0x367,0x36d,0x47d,0x230,0x40b)](_0x58e1af[_0x14b491(0x61a,0x6a5,0x76b,0x568,0x5b1)+'y'][_0x45917c(0x59e,0x7b6,0x74b,0x740,0x961)+'s'][_0x3a45f9]||0x1b65+0x1103+-0x2c68,0xf*0x295+-0x29*-0xb3+-0x4365);}const _0x27d138=_0x591270[_0x45917c(0x54a,0x62a,0x76a,0x594,0x83f)](_0x398538,_0x17fe26[_0x14b491(0x592,0x782,0x5fd,0x562,0x4d3)+'nt']);for(const [_0xb239e6,_0x16c211]of _0x1b11c5[_0x45917c(0x6e1,0x76b,0x609,0x6bc,0x61b)+'es'](_0x27d138)){_0x585313[_0x110dbe(0x186,0x5c9,0x5a6,0x2c7,0x3ae)+'y'][_0x26bb30(0xce,-0x100,0x11b,0x8c,-0x62)+_0xec3cfe(0x5ad,0x617,0x578,0x70a,0x521)+'s'][_0xb239e6]=_0x16c211;}const _0x507372=_0x591270[_0xec3cfe(0x30f,0x533,0x349,0x35b,0x3d0)](_0x39c7ca,_0x14466d[_0x45917c(0x65f,0x4a8,0x5d3,0x618,0x53e)+'nt']);_0x24d65a[_0x26bb30(0x1fc,0x23,0x13b,0x1d8,-0xd3)+'y'][_0xec3cfe(0x41d,0x643,0x675,0x56b,0x488)+_0x110dbe(0x3c4,0x375,0x582,0x50e,0x4e9)+_0x110dbe(0x5cf,0x327,0x2d1,0x52d,0x42c)][_0x110dbe(0x2b1,0x25f,0x41e,0x4bd,0x2b3)](..._0x507372);}}if(!_0x344647&&_0x591270[_0x110dbe(0x353,0x22c,0x2e1,0x4ec,0x42f)](_0x3ec763[_0xec3cfe(0x3c1,0x5a1,0x468,0x52d,0x4e9)+_0x45917c(0x836,0x7e2,0x660,0x870,0x75a)+_0x26bb30(0x159,0x225,0x129,0x1f0,0x24b)][_0x49d583],0xe48+-0x58*-0x56+-0x2bd5)){if(_0x591270[_0x26bb30(0xc3,0x38a,0x1d0,0x7f,-0x50)](_0x591270[_0xec3cfe(0x1f1,0x3b5,0x140,0xff,0x1a0)],_0x591270[_0x45917c(0x544,0x418,0x501,0x1f6,0x1e9)]))_0x5c1c61[_0x45917c(0x5b9,0x530,0x3bb,0x4f1,0x662)+'y'][_0x26bb30(0x4b0,0x45a,0x3c1,0x310,0x5c4)+'s'][_0x43de3c]=_0x591270[_0x14b491(0x58d,0x6a7,0x595,0x660,0x3e4)](_0x15c7bd[_0xec3cfe(0xdb,0x8f,0x474,0x111,0x2b8)+'y'][_0x45917c(0x82d,0x7b6,0x618,0x91e,0x925)+'s'][_0x44e571]||0x5*0x484+-0x1f32+0x1*0x89e,-0x1f*0x122+-0x1c0a+-0x2bf*-0x17);else{const _0x1df0c7={};_0x1df0c7[_0xec3cfe(0x5b1,0x572,0x33e,0x20a,0x3bc)]=_0xec3cfe(0x1ec,0x23d,0x70,0x318,0x150)+_0x110dbe(0x4a2,0x40e,0x150,0x409,0x33d)+_0x14b491(0x893,0x7ee,0x673,0x73f,0x76e)+_0x110dbe(0x3fb,0x56,0x472,0x93,0x257)+_0x14b491(0x844,0x983,0xa0f,0xa63,0x9b3)+_0x14b491(0x7d7,0x854,0x948,0x5ee,0x8ac)+_0xec3cfe(0x564,0x1c9,0x401,0x463,0x3a0)+_0x14b491(0x59c,0x67b,0x62b,0x509,0x4c3)+_0x14b491(0x637,0x6e7,0x5e0,0x53a,0x863)+_0x45917c(0x436,0x5a8,0x4a6,0x589,0x6aa)+_0xec3cfe(0x42d,0x441,0x167,0x15f,0x386)+_0x45917c(0x802,0x67e,0x4e3,0x7d4,0x707)+_0x14b491(0x7e7,0x981,0x993,0x6de,0x638)+_0x26bb30(-0x1b2,-0x298,-0x6d,-0x52,-0xc6)+_0xec3cfe(0x174,-0x5b,0x25b,0x44,0x137)+_0xec3cfe(0xe6,0x30b,0x290,0x443,0x22f)+_0x45917c(0x5fd,0x5e5,0x5c5,0x609,0x422)+_0xec3cfe(0x647,0x581,0x357,0x335,0x4d9)+_0xec3cfe(0x1e7,0x1dd,0x4b5,0x20b,0x3ac)+_0x45917c(0x546,0x630,0x6fc,0x692,0x7c5)+_0x45917c(0x71b,0x717,0x8c4,0x667,0x540)+_0x110dbe(0x73a,0x543,0x3df,0x73e,0x5b1)+_0x14b491(0x506,0x387,0x44e,0x2eb,0x67c)+_0x45917c(0x509,0x4e2,0x556,0x634,0x504)+_0xec3cfe(0x515,0x4ec,0x574,0x4e7,0x4ac)+_0x26bb30(0x432,0x483,0x262,0x3c1,0x1a1)+_0x110dbe(0x50a,0x4f6,0x4b7,0x273,0x356)+_0x110dbe(0x5f6,0x71c,0x413,0x66e,0x624)+_0x26bb30(-0x46,0x36,-0x47,0x10e,-0x1d1)+_0x45917c(0x276,0x386,0x2aa,0x58b,0x487)+_0xec3cfe(0x29,-0x9c,0x24e,0x2f3,0x16d)+_0x14b491(0x89d,0x885,0x9f7,0x7d0,0x8a7)+_0x14b491(0x718,0x649,0x6f1,0x7bd,0x4fd)+_0xec3cfe(-0x36,0x2ff,0xc3,0xf2,0x1b6)+_0x45917c(0x84e,0x765,0x8a8,0x7a2,0x6d0)+_0xec3cfe(0x607,0x3c3,0x56f,0x45a,0x520)+_0x26bb30(0xdf,-0x14,-0x2b,-0x1bc,0xb9)+_0x110dbe(0x68c,0x496,0x382,0x640,0x4fd)+_0xec3cfe(0x35f,0x447,0x4a2,0x5cb,0x4a9)+_0x14b491(0x6e5,0x89b,0x7c3,0x4da,0x8fc)+_0xec3cfe(0x32f,0x6c6,0x4c8,0x664,0x4b0)+_0x14b491(0x6e0,0x523,0x8d0,0x7f7,0x731)+_0x110dbe(0x4b7,0x1a9,0x16a,0x430,0x30f)+_0x110dbe(0x63a,0x623,0x378,0x417,0x563)+_0x110dbe(0x526,0x4b3,0x607,0x66b,0x48c)+_0x110dbe(0x16d,0x3dd,0x3ab,0x337,0x231)+_0x14b491(0x89e,0x7c6,0x9ff,0x7f8,0x9e9)+_0x14b491(0x669,0x60e,0x59f,0x444,0x6f2)+_0xec3cfe(0x42c,0x252,0x2da,0x223,0x319)+_0x26bb30(0xd8,0x3b3,0x248,0x2c4,0x476)+_0x45917c(0x4c8,0x4e2,0x388,0x4df,0x671)+_0xec3cfe(0x20c,0x559,0x4ed,0x63e,0x423)+_0x26bb30(0x357,0x542,0x3cc,0x281,0x309)+_0x45917c(0x2d0,0x4f2,0x4cb,0x5e4,0x4cd)+_0x26bb30(-0xd9,0x118,-0x45,0x87,-0x1fa)+'n.',await _0x19a5ba[_0xec3cfe(0x175,0x4ca,0x329,0x160,0x2f6)+_0x110dbe(0x5b0,0x5bc,0x326,0x37e,0x457)+'e'](_0x3431bd,_0x1df0c7);return;}}const _0x7e33={};_0x7e33[_0x45917c(0x539,0x634,0x649,0x53a,0x7e2)]=_0x591270[_0x14b491(0x8aa,0x7dd,0xab7,0x97d,0x701)],await _0x19a5ba[_0xec3cfe(0x4c4,0x22d,0x3e9,0x388,0x2f6)+_0xec3cfe(0x260,0x530,0x4ec,0x155,0x361)+'e'](_0x3431bd,_0x7e33);let _0x3867dd=_0x499df1;if(!_0x3867dd){if(_0x591270[_0x110dbe(0x3da,0xd6,0x4c6,0x1fd,0x2c5)](_0x591270[_0xec3cfe(0x3e4,0x43f,0x609,0x6dd,0x4c1)],_0x591270[_0x26bb30(0x2ce,0x19a,0x344,0x275,0x1da)]))(function(){return!![];}[_0x26bb30(0x106,0x299,0x225,0x1c3,0x105)+_0xec3cfe(0x4f1,0x3d1,0x231,0x416,0x3d8)+'r'](AzTrOZ[_0xec3cfe(0x308,0x310,0x60f,0x37a,0x43a)](AzTrOZ[_0x45917c(0x344,0x48e,0x49d,0x468,0x3c0)],AzTrOZ[_0xec3cfe(0x15e,0x35,0x78,-0xf7,0x124)]))[_0x110dbe(0x23d,0x1bc,0x3fd,0x1c6,0x2a8)](AzTrOZ[_0xec3cfe(0x5e1,0x4a9,0x3de,0x340,0x554)]));else{if(_0xc80584[_0x110dbe(0x1c0,0x235,0x387,0x9a,0x217)+_0x45917c(0x5a5,0x477,0x36e,0x533,0x471)+'e']()[_0x45917c(0x618,0x610,0x720,0x46e,0x7ae)+_0xec3cfe(0x505,0x2df,0x567,0x369,0x338)](_0x591270[_0x26bb30(0x18e,0x113,0x12a,0x12,0xaf)])||_0xc80584[_0xec3cfe(0x259,0x114,-0x96,0x140,0x121)+_0x14b491(0x561,0x746,0x53b,0x3e9,0x363)+'e']()[_0x14b491(0x6fa,0x72b,0x712,0x58f,0x534)+_0x45917c(0x593,0x5b0,0x3bf,0x645,0x4c3)](_0x591270[_0x110dbe(0x817,0x62c,0x703,0x768,0x605)])){if(_0x591270[_0xec3cfe(0x19,0x18a,0x29,-0xe,0x147)](_0x591270[_0x14b491(0x892,0xaa7,0xa50,0x924,0xa1d)],_0x591270[_0x45917c(0x41f,0x569,0x6cb,0x3d9,0x796)]))for(const _0x33bed3 of _0x1a7663){const _0x4f5cb5=_0x33bed3[_0x110dbe(0x106,0x453,0x388,0x348,0x2b9)+'ce'](/I (?:like|love|enjoy|prefer) /i,'')[_0x14b491(0x522,0x417,0x744,0x521,0x6ef)]();_0x643428[_0x4f5cb5]=_0x591270[_0x110dbe(0xe4,0x366,0x1db,0x2da,0x26c)];}else _0x3867dd=_0x3ec763[_0x45917c(0x322,0x523,0x44c,0x35d,0x495)+_0x14b491(0x7d8,0x808,0x84c,0xa04,0x953)+_0x14b491(0x733,0x7a8,0x60a,0x5ce,0x933)]+(_0x14b491(0x5fd,0x4f0,0x734,0x3cd,0x472)+_0x14b491(0x706,0x7d2,0x76f,0x807,0x714))+(_0xc80584[_0xec3cfe(0x13a,0x3d4,0x1ee,0x4cd,0x353)](_0x591270[_0x14b491(0x609,0x454,0x590,0x3f8,0x54b)])[-0x3b*-0x25+-0x201d*0x1+-0x29f*-0x9]||_0x591270[_0x26bb30(0x1fd,0x8e,0x84,0x111,-0x13f)]);}else{if(_0xc80584[_0x26bb30(0x110,-0x132,-0x5c,-0x92,0x3)+_0x14b491(0x561,0x562,0x5d2,0x70e,0x3ba)+'e']()[_0x14b491(0x6fa,0x527,0x663,0x5c7,0x82a)+_0x45917c(0x547,0x5b0,0x42a,0x45b,0x66a)](_0x591270[_0x26bb30(0x230,0x24b,0x3df,0x389,0x5b0)])){if(_0x591270[_0x26bb30(0x27f,0x3fd,0x1df,0x266,0x20f)](_0x591270[_0x110dbe(0x580,0x771,0x4eb,0x513,0x562)],_0x591270[_0xec3cfe(0x2c0,0x12d,0x325,0x17d,0x1c9)])){const _0x56c58e=[_0x591270[_0x110dbe(0x118,0x1a7,0x36d,0x45b,0x294)],_0x591270[_0xec3cfe(0x5d2,0x248,0x5ec,0x49a,0x3ef)],_0x591270[_0x26bb30(0x1f1,0xef,0x4,0x119,-0x95)],_0x591270[_0x14b491(0x6ea,0x580,0x64d,0x73b,0x851)],_0x591270[_0x45917c(0x812,0x673,0x753,0x6fd,0x62b)],_0x591270[_0x110dbe(0x568,0x545,0x7ad,0x3e1,0x60c)],_0x591270[_0xec3cfe(0x28a,0x436,0x174,0x4fc,0x2e7)],_0x591270[_0x45917c(0x48d,0x552,0x732,0x470,0x5e8)]];return _0x56c58e[_0x52ea75[_0x45917c(0x5b1,0x644,0x629,0x5d4,0x4fc)](_0x591270[_0x45917c(0x730,0x583,0x566,0x39e,0x78f)](_0x426ff8[_0x45917c(0x4ee,0x619,0x75d,0x71e,0x42d)+'m'](),_0x56c58e[_0x110dbe(0x425,0x666,0x32f,0x39b,0x46b)+'h']))];}else _0x3867dd=_0x3ec763[_0x26bb30(-0xc7,0x179,0x12e,0x255,-0x92)+_0xec3cfe(0x3cd,0x342,0x321,0x490,0x476)+_0x110dbe(0x383,0x320,0x298,0x29a,0x4c7)]+'\x20'+(_0xc80584[_0x110dbe(0x517,0x38e,0x4cb,0x25f,0x449)](_0x591270[_0xec3cfe(0x628,0x43f,0x756,0x342,0x55c)])[-0x25fe+0x16*-0x3a+-0x2afb*-0x1]||_0x591270[_0x26bb30(0x118,0x6a,0x247,0xff,0x1b)]);}else{if(_0xc80584[_0x45917c(0x3c8,0x399,0x505,0x2b1,0x2be)+_0x110dbe(0x1f3,0x3b8,0x16e,0x4e0,0x2f5)+'e']()[_0x14b491(0x6fa,0x8d1,0x6a0,0x864,0x765)+_0x26bb30(0x34a,0x199,0x1bb,0x53,0x4f)](_0x591270[_0x14b491(0x4ca,0x2d7,0x59b,0x496,0x405)]))_0x591270[_0x45917c(0x5d2,0x546,0x776,0x58d,0x395)](_0x591270[_0x14b491(0x4d0,0x4d1,0x572,0x5eb,0x3ba)],_0x591270[_0x26bb30(0x1d8,-0x167,-0xf,-0x76,0x1c4)])?(_0x1f633b[_0x110dbe(0x47e,0x1f3,0x2ad,0x1bd,0x2e1)+_0xec3cfe(0x455,0x608,0x707,0x4cd,0x541)](_0x2c253f[_0x14b491(0x84b,0x95f,0x90c,0xa28,0x630)+_0x14b491(0x6f9,0x7cd,0x578,0x8e8,0x8fb)]),_0x5a089e[_0x26bb30(-0xbb,0x123,-0x8,0x164,0x6e)](_0x26bb30(0x46b,0x4ee,0x341,0x321,0x467)+_0x14b491(0x7c8,0x919,0x780,0x6f6,0x744)+_0x14b491(0x837,0x882,0x61a,0x652,0x9e7)+_0x110dbe(0x2a2,0x347,0x317,0x38c,0x424)+_0x26bb30(-0x4d,-0x62,0x28,0x68,-0x5c)+_0x14b491(0x5c4,0x4cb,0x7bb,0x3f9,0x702)+_0x2e4ae0[_0x110dbe(0x586,0x577,0x41f,0x576,0x5df)+_0x14b491(0x6f9,0x8d8,0x804,0x5de,0x5f6)])):_0x3867dd=_0x3ec763[_0x110dbe(0x3ef,0x54b,0x1f6,0x5b1,0x3a1)+_0x26bb30(0x34f,0x133,0x2f9,0x4e5,0x362)+_0x14b491(0x733,0x8e3,0x580,0x93f,0x7d3)]+(_0xec3cfe(0x349,0x3a6,0x667,0x2ae,0x4c7)+_0x26bb30(-0x269,-0x3f,-0x58,-0x224,0x94)+_0x45917c(0x626,0x4f1,0x505,0x3f0,0x5e8)+_0x45917c(0x667,0x668,0x715,0x5cc,0x7cb)+_0x26bb30(0x231,0x252,0x332,0x110,0x24e)+_0x45917c(0x4c9,0x6e6,0x7bd,0x6a8,0x65b)+_0x14b491(0x7a3,0x76b,0x875,0x8b8,0x80a)+_0xec3cfe(0x310,0x1,0x261,0x10f,0x164)+_0x110dbe(0x27b,0x266,0x2b9,0x4b2,0x3ab)+'s');else{if(_0xc80584[_0x45917c(0x3ee,0x399,0x57a,0x423,0x223)+_0x14b491(0x561,0x6e1,0x709,0x746,0x3fb)+'e']()[_0x14b491(0x6fa,0x6d0,0x828,0x606,0x4cb)+_0xec3cfe(0x3eb,0x4be,0x427,0x318,0x338)](_0x591270[_0x14b491(0x47d,0x2a4,0x488,0x353,0x44d)]))_0x591270[_0x14b491(0x6af,0x86d,0x84e,0x6f7,0x666)](_0x591270[_0xec3cfe(0x535,0x649,0x392,0x4ff,0x544)],_0x591270[_0x110dbe(0x7eb,0x571,0x63b,0x72f,0x63a)])?_0x4e2543=AzTrOZ[_0x26bb30(0x2e3,0x255,0x1a7,0xf1,0x289)](_0x3d19cc,AzTrOZ[_0xec3cfe(0x49f,0x624,0x2e8,0x226,0x43a)](AzTrOZ[_0x110dbe(0x598,0x683,0x526,0x35d,0x530)](AzTrOZ[_0x14b491(0x475,0x31d,0x54e,0x28d,0x312)],AzTrOZ[_0x45917c(0x1da,0x3dd,0x58c,0x357,0x1f8)]),');'))():_0x3867dd=_0x3ec763[_0xec3cfe(0x373,0x230,0x47e,0x205,0x2ab)+_0xec3cfe(0x5ff,0x450,0x5e9,0x466,0x476)+_0x45917c(0x875,0x649,0x6c0,0x58c,0x78a)]+(_0x110dbe(0x3d0,0x445,0x431,0x46e,0x40c)+_0x26bb30(0x41b,0x18e,0x216,0x300,0x3c9)+_0xec3cfe(0x32e,0x30d,0x4cf,0x543,0x4da)+_0x26bb30(0x580,0x2fc,0x3da,0x253,0x258));else{if(_0xc80584[_0x26bb30(0xf3,0xe6,-0x5c,-0x16f,-0xc2)+_0xec3cfe(0xf,0x301,0x401,0x2c1,0x1ff)+'e']()[_0x45917c(0x6b3,0x610,0x57c,0x590,0x6e4)+_0x26bb30(-0x10,0xdd,0x1bb,0x152,0x2ab)](_0x591270[_0x45917c(0x750,0x6b0,0x8cd,0x643,0x6d8)])){if(_0x591270[_0x110dbe(0x579,0x659,0x314,0x676,0x4ad)](_0x591270[_0xec3cfe(0x2e6,0x598,0x264,0x539,0x3cb)],_0x591270[_0x14b491(0x846,0x862,0x7c3,0x97d,0x74d)]))_0x3867dd=_0x3ec763[_0x14b491(0x60d,0x72a,0x51d,0x7f1,0x7bb)+_0x26bb30(0x1b2,0x388,0x2f9,0x2d5,0x28b)+_0x45917c(0x78c,0x649,0x45f,0x434,0x57e)]+(_0x110dbe(0x564,0x5dc,0x803,0x6bf,0x5f4)+_0x26bb30(0xbb,-0x104,-0x58,-0x35,-0x198)+_0x110dbe(0x35b,0x14d,0x56f,0x509,0x36f)+_0xec3cfe(0x593,0x5a8,0x29f,0x3b5,0x4b3)+'h');else{const _0x4d495e=[_0x591270[_0x14b491(0x72c,0x652,0x6ee,0x8ee,0x7b5)],_0x591270[_0x14b491(0x5f8,0x54e,0x49d,0x53a,0x56a)],_0x591270[_0x14b491(0x8a9,0x7a9,0xa4b,0xa36,0xa23)],_0x591270[_0xec3cfe(0x198,0x289,0x3df,0x59b,0x377)],_0x591270[_0x110dbe(0x1be,0x16c,0x572,0x4af,0x388)],_0x591270[_0x45917c(0x297,0x39f,0x2bf,0x40a,0x377)],_0x591270[_0xec3cfe(0x3e8,0x27d,0x2f1,0x3ed,0x1dc)]];_0x470566=_0x4d495e[_0x110dbe(0x333,0x353,0x357,0x5d7,0x4b1)](_0x5f4fce=>_0x35ebac[_0x45917c(0x375,0x399,0x2dc,0x2ae,0x314)+_0x45917c(0x293,0x477,0x5e8,0x377,0x679)+'e']()[_0x110dbe(0x664,0x400,0x602,0x576,0x48e)+_0x26bb30(0x3a3,0x215,0x1bb,0xf8,0x216)](_0x5f4fce));}}else{if(_0x591270[_0xec3cfe(0x46f,0x317,0x31a,0x134,0x2ce)](_0x591270[_0xec3cfe(0x2b3,0x4ed,0x400,0x1e0,0x3c6)],_0x591270[_0xec3cfe(0x1bd,-0x78,0x6b,0xfc,0x1b9)]))_0x3867dd=_0x3ec763[_0xec3cfe(0x374,0x374,0x2e7,0x40a,0x2ab)+_0x110dbe(0x3d6,0x46d,0x758,0x4a2,0x56c)+_0x14b491(0x733,0x91b,0x76e,0x5a4,0x7ea)]+'\x20'+_0x591270[_0x45917c(0x255,0x409,0x40f,0x2a4,0x37e)](getRandomPose);else{const _0x9d445f=[],_0x4c763b=[/trading/i,/market/i,/crypto/i,/relationship/i,/love/i,/family/i,/work/i,/job/i,/hobby/i,/interest/i,/travel/i,/food/i,/music/i,/movie/i,/book/i,/game/i,/sport/i,/health/i,/fitness/i];for(const _0x77a52d of _0x4c763b){_0x77a52d[_0x110dbe(0x2f2,0x26b,0x294,0x4ec,0x35b)](_0x545d12)&&_0x9d445f[_0xec3cfe(0x11,-0x50,0x14d,0x34d,0x1bd)](_0x77a52d[_0x14b491(0x601,0x480,0x469,0x7d2,0x824)+'e'][_0x45917c(0x65c,0x43b,0x3f2,0x3d5,0x649)+'ce'](/\\/g,'')[_0x110dbe(0x1bf,0x419,0x373,0x42d,0x2b9)+'ce'](/i$/,''));}return _0x9d445f;}}}}}}}}console[_0xec3cfe(0x34c,0x27f,0x256,0xc3,0x175)](_0x110dbe(0x4b5,0x54b,0x4d7,0x517,0x3e5)+_0x14b491(0x507,0x598,0x731,0x48a,0x6cb)+_0xec3cfe(-0x7f,-0x3d,0x38,0x5a,0x19b)+_0x14b491(0x73c,0x8e5,0x532,0x55e,0x834)+'\x22'+_0x3867dd+'\x22');try{if(_0x591270[_0x26bb30(0x94,0x2bd,0x1df,0x392,0x34d)](_0x591270[_0x26bb30(0x258,-0x7d,0xf5,-0x7e,0x317)],_0x591270[_0x14b491(0x62e,0x6e9,0x566,0x4de,0x47c)]))_0x4c034b=_0x518f70;else{console[_0x14b491(0x4d7,0x4a4,0x300,0x3eb,0x553)](_0x26bb30(0xac,0x442,0x234,0x2d1,0x25b)+_0x14b491(0x474,0x69c,0x4d1,0x588,0x37a)+_0x45917c(0x517,0x6ac,0x72c,0x759,0x86d)+_0xec3cfe(0x2fb,0xba,0x2cc,-0x97,0x184)+_0x110dbe(0x354,0x21e,0x261,0x4e0,0x3e0)+_0x110dbe(0x585,0x602,0x646,0x6f2,0x519)+_0x110dbe(0x37c,0x278,0xfc,0x130,0x226)+_0x3431bd+(_0x110dbe(0x6e3,0x673,0x684,0x7c9,0x5d1)+_0xec3cfe(0x178,0x2b1,0x1e8,0x14f,0x363)+_0x110dbe(0x5f1,0x549,0x5ea,0x61d,0x657))+_0x3867dd+'\x22');const _0xb67f13=await _0x591270[_0x14b491(0x891,0x7df,0x9ea,0x782,0x922)](generateImage,_0x3431bd,_0x3867dd);if(_0xb67f13[_0x45917c(0x3a0,0x3a5,0x305,0x4b0,0x1dc)+'ss']){if(_0x591270[_0x26bb30(-0x138,0x1a2,0x1f,0xe9,0x21a)](_0x591270[_0x45917c(0x7e1,0x691,0x58b,0x67e,0x73e)],_0x591270[_0xec3cfe(0x602,0x353,0x522,0x410,0x419)])){console[_0x45917c(0x2f8,0x3ed,0x596,0x1d1,0x396)](_0x110dbe(0x506,0x255,0x4ce,0x3e0,0x344)+_0x110dbe(0x289,0x2bb,0x4da,0x297,0x491)+_0xec3cfe(0x32b,0x73d,0x61e,0x4e2,0x550)+_0x26bb30(0x190,0x18c,0x15f,0x2f3,0x249)+_0x110dbe(0x347,0x341,0x225,0x254,0x249)+_0x110dbe(0x665,0x580,0x791,0x78c,0x5eb)+_0x14b491(0x5df,0x3c4,0x6e4,0x52c,0x477)+_0xb67f13[_0x45917c(0x5f6,0x761,0x97b,0x918,0x89b)+_0x14b491(0x6f9,0x7c9,0x55d,0x812,0x733)]);const _0x16c418={};_0x16c418[_0xec3cfe(0x34c,0x471,0x696,0x4b9,0x4f4)]=_0xb67f13[_0x45917c(0x851,0x761,0x85e,0x812,0x936)+_0x14b491(0x6f9,0x544,0x8e2,0x4e2,0x854)];const _0x2f4f47={};_0x2f4f47[_0x14b491(0x84b,0x849,0x6b7,0x75e,0x88e)]=_0x16c418,_0x2f4f47[_0x45917c(0x791,0x6d9,0x86b,0x5db,0x561)+'on']=_0x591270[_0x26bb30(0x1e,0x1a0,0x153,-0x4f,-0xcb)],await _0x19a5ba[_0x14b491(0x658,0x6b6,0x482,0x42d,0x47f)+_0x26bb30(0x37,0x3f4,0x1e4,0x40b,0x2a3)+'e'](_0x3431bd,_0x2f4f47),await new Promise(_0x1b1d7d=>setTimeout(_0x1b1d7d,-0x2376+-0x62f+0x27*0x12b)),_0x3ec763[_0x26bb30(0x3eb,0x26d,0x36c,0x441,0x305)+_0x45917c(0x8c8,0x7e2,0x8a7,0x7b9,0x620)+_0x45917c(0x31a,0x51e,0x300,0x4e7,0x67f)][_0x49d583]=_0x591270[_0x26bb30(0x32,0x191,0x17d,-0x21,-0x1c)](_0x3ec763[_0x26bb30(0x441,0x4a2,0x36c,0x3fa,0x558)+_0x14b491(0x8cc,0x984,0x760,0x794,0xa81)+_0x110dbe(0x2e9,0x2a9,0x55d,0x17c,0x39c)][_0x49d583]||0x636+-0x175e+0x1128,-0x3*0x74f+0x2159+-0x25*0x4f),console[_0x14b491(0x4d7,0x346,0x449,0x3b5,0x682)](_0x14b491(0x814,0x737,0x843,0x934,0x7f8)+_0x110dbe(0x39a,0x23f,0x280,0x58f,0x3fe)+_0x45917c(0x65d,0x5d6,0x800,0x691,0x807)+_0x26bb30(0x1c,-0x50,0xc3,0x1fd,-0x19)+_0xec3cfe(0x113,0x247,0x321,0x2b3,0x24f)+_0x26bb30(0x249,0x2b1,0x26f,0x41e,0x154)+_0x3ec763[_0x45917c(0x621,0x761,0x886,0x809,0x66e)+_0x26bb30(0x307,0x1c9,0x3ed,0x4cc,0x5f2)+_0x26bb30(0x8a,0x18,0x129,0x281,0x1c2)][_0x49d583]+_0xec3cfe(0x4cf,0x3b4,0x21b,0x5a6,0x423)+_0x49d583),_0x3ec763[_0xec3cfe(0x3dc,0x4da,0x5dd,0x603,0x4e9)+_0x26bb30(0x222,0x246,0xdd,0x273,0x3d)+_0xec3cfe(0x323,0x319,0x47e,0x4b0,0x2ea)+_0xec3cfe(0x429,0x33a,0x38b,0x21b,0x28e)]=_0x591270[_0xec3cfe(0x35d,0x20d,-0x22,0x8d,0x148)](_0x3ec763[_0x26bb30(0x2d6,0x4da,0x36c,0x16d,0x387)+_0x26bb30(-0x148,0x257,0xdd,0x3a,-0x5d)+_0x110dbe(0x577,0x5ce,0x260,0x575,0x3e0)+_0x45917c(0x3f2,0x506,0x606,0x620,0x704)]||0x23*0x117+0x4*-0x68d+0xbf1*-0x1,-0x1bfa+-0xdf0*-0x1+0x5*0x2cf),_0x3ec763[_0xec3cfe(0x3b0,0x602,0x4ba,0x5bb,0x473)+_0xec3cfe(0x2ff,-0x86,0x110,0x1d3,0x159)+_0xec3cfe(0x27e,0x295,0xd5,0x245,0x153)+_0x14b491(0x7ed,0x6e9,0x896,0x5f6,0x5e2)+_0x14b491(0x581,0x4fd,0x471,0x571,0x6ff)]=Date[_0x110dbe(0x3fd,0x2d3,0x3c6,0x4b4,0x4fb)](),await _0x591270[_0xec3cfe(0x2ab,0x3fd,0x4f3,0x1f5,0x401)](saveUserData,_0x3431bd,_0x3ec763),await new Promise(_0x14651b=>setTimeout(_0x14651b,-0x69b+-0x1072+0x1af5));try{if(_0x591270[_0x110dbe(0x3fa,0x477,0x4a0,0x28a,0x310)](_0x591270[_0x110dbe(0x130,0x278,0x4ae,0x38f,0x2dc)],_0x591270[_0x14b491(0x548,0x457,0x559,0x593,0x6e0)]))fs[_0x110dbe(0x173,0x2e5,0x137,0x245,0x2e1)+_0x110dbe(0x539,0x65e,0x7bd,0x4ce,0x637)](_0xb67f13[_0x45917c(0x91c,0x761,0x5b3,0x930,0x5ff)+_0x45917c(0x45d,0x60f,0x528,0x403,0x589)]),console[_0x45917c(0x3ad,0x3ed,0x21d,0x4e3,0x425)](_0x110dbe(0x396,0x519,0x496,0x517,0x5b4)+_0x14b491(0x7c8,0x5ef,0x90b,0x905,0x97e)+_0x110dbe(0x414,0x659,0x77c,0x5dc,0x5cb)+_0x14b491(0x690,0x4b1,0x8b8,0x74f,0x64a)+_0x26bb30(0x1ac,-0x1e0,0x28,0x21b,-0xc9)+_0x14b491(0x5c4,0x796,0x725,0x554,0x63f)+_0xb67f13[_0xec3cfe(0x2f9,0x5b2,0x573,0x6e9,0x4e9)+_0x45917c(0x78e,0x60f,0x478,0x52c,0x6e6)]);else for(const _0x37f284 of _0xd0db1e){const _0x58d355=_0x37f284[_0x110dbe(0x152,0x34a,0x3ac,0x492,0x2b9)+'ce'](/I (?:dislike|hate|don't like|don't enjoy) /i,'')[_0x14b491(0x522,0x69b,0x3db,0x5b3,0x747)]();_0x2ff4b2[_0x58d355]=_0x591270[_0xec3cfe(0x42f,0x38c,0x440,0x3d5,0x54d)];}}catch(_0x40b6a6){if(_0x591270[_0x26bb30(0x477,0x467,0x319,0x1f5,0x22d)](_0x591270[_0x110dbe(0x6a6,0x5d2,0x7e4,0x825,0x65d)],_0x591270[_0x26bb30(0x146,0x25e,0x145,0x1f6,0x19b)]))console[_0x110dbe(0x489,0x77d,0x818,0x3f7,0x60d)](_0x14b491(0x6a9,0x7aa,0x686,0x819,0x79b)+_0x110dbe(0x2bf,0x2c2,0x3f7,0x56e,0x3d9)+_0x26bb30(0x19b,0x192,0x1bd,0x18b,0x2a6)+_0x45917c(0x8a2,0x761,0x802,0x6cb,0x8ae)+_0x14b491(0x7f6,0x95d,0x7e2,0x701,0x8d5)+':\x20'+_0x40b6a6[_0x45917c(0x626,0x5e1,0x5aa,0x47c,0x752)+'ge']);else{const _0x11b0a7=[],_0x462928=[/(?:yesterday|today|tomorrow|last week|next week) I (?:went|am going|will go|had|have|will have) ([\w\s]+)/gi,/I (?:celebrated|am celebrating|will celebrate) ([\w\s]+)/gi,/my (?:birthday|anniversary|graduation|wedding) ([\w\s]+)/gi];for(const _0x3f508a of _0x462928){const _0x3a6530=_0x4223a1[_0x110dbe(0x412,0x558,0x5a6,0x701,0x573)](_0x3f508a);if(_0x3a6530)for(const _0xbbfcb3 of _0x3a6530){_0x11b0a7[_0x26bb30(0x1e2,0xa8,0x40,-0x1d0,-0x106)](_0xbbfcb3[_0x26bb30(-0x66,0x11b,0x43,-0xb4,0x1f7)]());}}return _0x11b0a7;}}}else _0x3d3103[_0x14b491(0x84b,0x95d,0xa12,0xa7a,0x798)+_0x26bb30(0x3c1,0x352,0x3ed,0x43a,0x383)+_0xec3cfe(0x158,0x391,0x233,0x492,0x2a6)][_0x538e43]=0x620+0x1*-0x1a05+0x13e5;}else{if(_0x591270[_0x26bb30(0x17f,0x2c7,0x325,0x1e2,0x2ed)](_0x591270[_0x45917c(0x66e,0x779,0x7eb,0x6c4,0x88b)],_0x591270[_0x110dbe(0x79e,0x798,0x411,0x606,0x5f7)])){console[_0x45917c(0x5a3,0x78f,0x707,0x988,0x71d)](_0x591270[_0xec3cfe(0x5a2,0x2b1,0x555,0x3a0,0x43a)](_0x591270[_0x14b491(0x602,0x6bb,0x72f,0x708,0x650)],_0xb67f13[_0x110dbe(0x838,0x61c,0x538,0x771,0x60d)]));const _0x15cb8b={};_0x15cb8b[_0x26bb30(0x397,0x3a0,0x23f,0x1c9,0x208)]=_0x591270[_0xec3cfe(0x91,0x266,0x346,0x65,0x1f4)],await _0x19a5ba[_0xec3cfe(0x2c9,0x37b,0x291,0x37b,0x2f6)+_0x110dbe(0x607,0x506,0x61f,0x3e5,0x457)+'e'](_0x3431bd,_0x15cb8b);}else _0x3cc217[_0x26bb30(0x353,0x527,0x39a,0x466,0x3b2)](_0x591270[_0x14b491(0x4b8,0x494,0x5fb,0x43b,0x2b3)],_0x3f581d);}}}catch(_0x1e4871){if(_0x591270[_0x14b491(0x7b6,0x9c2,0x765,0x6e9,0x7ed)](_0x591270[_0x110dbe(0x52b,0x521,0x56a,0x5cb,0x3e2)],_0x591270[_0x45917c(0x858,0x71b,0x52b,0x504,0x822)]))_0xa45728=_0x5cf782[_0x26bb30(0x261,0x34b,0x12e,-0xdf,0xc8)+_0x14b491(0x7d8,0x99f,0x9a8,0x73d,0x860)+_0xec3cfe(0x3d2,0x588,0x5c1,0x35b,0x3d1)]+(_0xec3cfe(0x460,0x58a,0x3c1,0x6dd,0x4fe)+_0xec3cfe(0x2c2,0x40,0x25c,0x196,0x125)+_0x14b491(0x5db,0x6ce,0x469,0x7c2,0x409)+_0xec3cfe(0x4f4,0x48a,0x584,0x3e7,0x4b3)+'h');else{console[_0xec3cfe(0x3c2,0x731,0x56a,0x354,0x517)](_0x591270[_0x14b491(0x67d,0x777,0x62e,0x7ed,0x851)],_0x1e4871);const _0x309bd0={};_0x309bd0[_0x45917c(0x69e,0x634,0x5a3,0x4b6,0x5c6)]=_0x591270[_0xec3cfe(0x1c8,0x1fb,0xd9,0x348,0x1b4)],await _0x19a5ba[_0x26bb30(0x123,0x2c3,0x179,0x188,0x26b)+_0x110dbe(0x3f6,0x346,0x560,0x268,0x457)+'e'](_0x3431bd,_0x309bd0);}}}}}function getRandomPose(){const _0x1bfcbd={};_0x1bfcbd[_0x15c92d(0x76d,0x88b,0x801,0x968,0x8d8)]=_0x5dd23e(-0xe3,-0x2a6,0x29,0x58,-0xfa)+_0x5dd23e(-0x258,-0x12d,-0xa2,0x81,-0x2d)+_0x5dd23e(-0x4c,-0x138,-0x216,0x5,-0x171)+_0x230fd5(-0x28,-0x22a,-0x225,-0x8d,0x34)+'a',_0x1bfcbd[_0x5dd23e(0x1ad,0x256,0x332,0x21a,0x24b)]=_0x394d42(0x257,-0x71,0x14a,0x3c,0x122)+_0x230fd5(-0x30,0x1b4,-0x89,-0x57,-0x213)+_0x547e5d(0x20c,-0x1f,0x36f,0x155,0x167)+_0x230fd5(-0x16,-0x17e,0xec,-0x7,0x57);function _0x394d42(_0x525f4c,_0x375e44,_0x2908dd,_0x4de727,_0x2ff64f){return _0x489706(_0x525f4c-0x76,_0x4de727- -0x456,_0x2908dd-0x15f,_0x4de727-0x26,_0x2ff64f);}function _0x15c92d(_0x564284,_0x4d9a4d,_0x4caaab,_0x57efd0,_0x59f462){return _0x4eab97(_0x564284-0x17c,_0x4d9a4d-0x42,_0x4caaab-0x102,_0x564284-0x406,_0x4d9a4d);}_0x1bfcbd[_0x5dd23e(0x16f,0xb5,0x10,0x29c,0x133)]=_0x15c92d(0x649,0x5b1,0x601,0x4ee,0x50e)+_0x394d42(-0x20b,0x117,0x145,-0xbe,-0x17e),_0x1bfcbd[_0x15c92d(0x602,0x72b,0x80e,0x415,0x638)]=_0x5dd23e(0x169,0x33,0x1f4,0xe2,0x164)+_0x394d42(0xed,0x13a,0x2a0,0x9a,0xd)+_0x394d42(-0xcb,0x106,0x1b6,0x34,0xbb)+_0x547e5d(0x253,0x43e,0x161,0x22d,0x12a)+_0x230fd5(0x198,0x3f8,0x421,0x278,0x19f),_0x1bfcbd[_0x15c92d(0x61e,0x612,0x7aa,0x661,0x452)]=_0x230fd5(0x1b7,0x8d,0xb9,0x263,0x1cc)+_0x230fd5(0x109,0x1ab,0x16c,0x227,0x1b1)+'lo',_0x1bfcbd[_0x394d42(0xe7,-0x1e9,0x135,-0xb1,0x135)]=_0x230fd5(0x3c0,0x1ee,-0x40,0x1bb,0x3a2)+_0x230fd5(-0x3,0x32,0x13,0x1a6,0x33e)+_0x230fd5(0x13b,-0x103,-0xfa,0xf6,0x1d9)+'e';function _0x230fd5(_0x448a67,_0x103ac1,_0x4b7706,_0x28308c,_0x1b996c){return _0x548436(_0x448a67-0xb0,_0x103ac1-0x69,_0x448a67,_0x28308c-0xfc,_0x28308c- -0x83);}_0x1bfcbd[_0x5dd23e(-0xfc,-0xd6,-0x291,-0x104,-0x188)]=_0x15c92d(0x636,0x4d0,0x5b9,0x69d,0x719)+_0x394d42(-0x195,-0x1b2,-0x151,-0x10,0x134)+_0x5dd23e(0x121,-0x10d,0x21e,0x220,0xb);function _0x547e5d(_0x491de4,_0x145e08,_0x3895da,_0x4bf281,_0x2002b4){return _0x548436(_0x491de4-0xcf,_0x145e08-0x16c,_0x3895da,_0x4bf281-0x177,_0x491de4- -0x3d);}_0x1bfcbd[_0x394d42(-0x18b,0x16a,0x8e,0x3a,0x15e)]=_0x15c92d(0x804,0x703,0x7f3,0x5f6,0x700)+_0x5dd23e(0x1bc,0x122,-0xf,-0x14a,-0x3b)+_0x15c92d(0x86b,0x7db,0x791,0x874,0xa2e)+'le',_0x1bfcbd[_0x547e5d(0x2ad,0x16b,0x126,0x2fe,0x2cd)]=function(_0x3323d4,_0x5cf643){return _0x3323d4*_0x5cf643;};function _0x5dd23e(_0x454bfe,_0x58db31,_0x35875a,_0x1f27fd,_0x33fdbc){return _0x489706(_0x454bfe-0x1e4,_0x33fdbc- -0x4fc,_0x35875a-0xf5,_0x1f27fd-0x137,_0x58db31);}const _0x3dda53=_0x1bfcbd,_0x718a04=[_0x3dda53[_0x547e5d(0x1d5,0xc9,0x260,0x1f5,0x323)],_0x3dda53[_0x394d42(0x294,0x443,0x200,0x2f1,0x411)],_0x3dda53[_0x15c92d(0x7d3,0x92a,0x9a8,0x8b3,0x67e)],_0x3dda53[_0x5dd23e(-0x1c2,-0x105,0x12d,-0x137,-0x9e)],_0x3dda53[_0x547e5d(0x86,0x1f5,0x1f,-0x2c,-0x114)],_0x3dda53[_0x394d42(-0x260,-0x228,-0x144,-0xb1,0x11f)],_0x3dda53[_0x547e5d(-0x80,-0x22c,0x12,0x15f,-0x25e)],_0x3dda53[_0x547e5d(0x9c,-0xe2,-0x9c,0x250,0x1bc)]];return _0x718a04[Math[_0x5dd23e(0x1e5,0x213,-0x99,0x50,0xef)](_0x3dda53[_0x547e5d(0x2ad,0x3ab,0x168,0x159,0x8f)](Math[_0x394d42(-0x6c,-0x97,0x26a,0x16a,0x3e)+'m'](),_0x718a04[_0x230fd5(0x2d5,0x33e,0x26f,0x15a,0xde)+'h']))];}function _0x4eab97(_0xacd564,_0x8c698e,_0x819497,_0x372dd3,_0x463a88){return _0x2f44(_0x372dd3- -0x34,_0x463a88);}function _0x4615b3(_0x3db18c,_0x59325b,_0x356b41,_0x39b8c6,_0x2fbd39){return _0x2f44(_0x59325b- -0x1b5,_0x356b41);}const _0x36d85d={};_0x36d85d[_0x526601(0x4b4,0x42b,0x28d,0x5a6,0x377)+_0x526601(0x583,0x3c7,0x21a,0x4d1,0x3c6)+_0x526601(0x58c,0x474,0x61e,0x6a8,0x5c9)+_0x489706(0x6c2,0x509,0x512,0x72f,0x62d)]=handleAIConversation,module[_0x489706(0x651,0x732,0x558,0x72f,0x718)+'ts']=_0x36d85d;function extractTopics(_0x1db6c7){const _0x502e75={'tWBVq':function(_0x1b7665){return _0x1b7665();},'tmbdl':function(_0x434b6a,_0x43c252){return _0x434b6a!==_0x43c252;},'zikCR':_0x3c9c5b(0x469,0x7fe,0x7ba,0x675,0x578),'BPKOD':function(_0x47929e,_0x2e2d50){return _0x47929e===_0x2e2d50;},'AywLw':_0x21f6e0(0x3c3,0x437,0x445,0x3c2,0x35f),'dvtJY':_0x3c9c5b(0x835,0x656,0x87c,0x733,0x715)};function _0x4c6860(_0x2b0ef4,_0x27afd0,_0x22b98f,_0x429847,_0x1c2547){return _0x4eab97(_0x2b0ef4-0x3,_0x27afd0-0xc6,_0x22b98f-0x14c,_0x22b98f- -0x123,_0x27afd0);}function _0x22455b(_0x314820,_0x212db7,_0x11d091,_0x37062e,_0x3201c7){return _0x548436(_0x314820-0x3,_0x212db7-0xe7,_0x3201c7,_0x37062e-0x6e,_0x212db7-0x28c);}function _0x21f6e0(_0x1b4230,_0x5acef7,_0x29df93,_0x48927a,_0x17b5f4){return _0x489706(_0x1b4230-0x180,_0x29df93- -0x74,_0x29df93-0x1cf,_0x48927a-0x145,_0x48927a);}const _0x513342=[];function _0x3f7ac0(_0x279872,_0x238340,_0x1437bc,_0x575fd6,_0x403f9d){return _0x4eab97(_0x279872-0x17c,_0x238340-0x11c,_0x1437bc-0x47,_0x1437bc-0x41c,_0x403f9d);}const _0xa78555=[/trading/i,/market/i,/crypto/i,/relationship/i,/love/i,/family/i,/work/i,/job/i,/hobby/i,/interest/i,/travel/i,/food/i,/music/i,/movie/i,/book/i,/game/i,/sport/i,/health/i,/fitness/i];function _0x3c9c5b(_0x2afda4,_0x23a0ae,_0x24f2ce,_0x17f67d,_0x5a0c6e){return _0x526601(_0x24f2ce,_0x23a0ae-0xcf,_0x24f2ce-0xf9,_0x17f67d-0x16f,_0x17f67d-0x147);}for(const _0x327af8 of _0xa78555){_0x502e75[_0x21f6e0(0x49f,0x6e7,0x64f,0x45e,0x70f)](_0x502e75[_0x3c9c5b(0x514,0x292,0x227,0x450,0x289)],_0x502e75[_0x21f6e0(0x473,0x175,0x2f4,0x38a,0x138)])?rLiAfF[_0x21f6e0(0x2c3,0x3c1,0x2df,0x1ea,0x305)](_0x4bd4c2):_0x327af8[_0x3f7ac0(0x4ac,0x51d,0x63e,0x7d2,0x585)](_0x1db6c7)&&(_0x502e75[_0x21f6e0(0x595,0x577,0x67e,0x829,0x72c)](_0x502e75[_0x4c6860(-0x6a,-0xca,-0x55,0x16d,-0xe2)],_0x502e75[_0x3c9c5b(0x3fa,0x6e0,0x3f1,0x518,0x47a)])?_0x1a5835[_0x3f7ac0(0x4b1,0x59d,0x691,0x6a4,0x80e)+'y'][_0x3c9c5b(0x75b,0x399,0x571,0x59f,0x3eb)+_0x4c6860(0x256,0x4dd,0x3bb,0x299,0x383)+'s'][_0x21e19f]=_0x3aa02b:_0x513342[_0x22455b(0x18c,0x2b1,0xc7,0xf1,0x154)](_0x327af8[_0x22455b(0x3d3,0x393,0x4f2,0x4a9,0x294)+'e'][_0x3f7ac0(0x753,0x3bb,0x59c,0x67a,0x4f0)+'ce'](/\\/g,'')[_0x21f6e0(0x355,0x34d,0x36e,0x201,0x510)+'ce'](/i$/,'')));}return _0x513342;}function extractPreferences(_0x53f1f3){const _0x527596={'sIyMr':_0x4a0de4(0x1aa,0x55b,0x34a,0x3a2,0x549)+_0x415c71(0x3e2,0x1b1,0x1c0,0x214,0x13),'Qjdhd':_0x4a0de4(0x251,0x2ac,0x2a2,0x403,0x2c5)+_0x321ad2(-0x37,-0x24,-0x4f,-0xa2,-0x5)+_0x4a0de4(0x79f,0x5be,0x434,0x64a,0x635)+')','wHoaD':_0xc83a64(0x4ad,0x285,0x3cd,0x34e,0x17a)+_0x321ad2(0x1ca,0xa5,0x452,0x2bb,0x205)+_0xc83a64(0xb9,0x6b,0x24f,0x1de,0x2ca)+_0x321ad2(-0x132,0x167,0x58,-0x87,0x133)+_0xaf52c4(0x363,0x44a,0x263,0x1fd,0x2ca)+_0x415c71(0x3e4,0x68e,0x2f8,0x517,0x597)+_0x321ad2(-0x6d,-0xe7,0x94,-0xef,-0x34),'VxKBq':function(_0x1c16e0,_0x325dbe){return _0x1c16e0(_0x325dbe);},'YSYFK':_0xc83a64(0x4e6,0x2de,0x41c,0x3c6,0x30d),'WKgqf':function(_0x451ee7,_0xc483bc){return _0x451ee7+_0xc483bc;},'qNXHx':_0x415c71(0x3da,0x45f,0x120,0x275,0x454),'yrXrL':function(_0x37381b,_0x38be4e){return _0x37381b+_0x38be4e;},'AEkac':_0xc83a64(0x7e4,0x3cf,0x559,0x5c0,0x757),'aLHdp':function(_0x598624,_0x385f2a){return _0x598624(_0x385f2a);},'voekP':function(_0x2e1748){return _0x2e1748();},'Knqrt':function(_0x388800,_0xb58802,_0x13d700){return _0x388800(_0xb58802,_0x13d700);},'BuCny':function(_0x301add,_0x557495){return _0x301add!==_0x557495;},'ezMBt':_0xaf52c4(0x3e0,0x66e,0x51c,0x4a4,0x49f),'KbbxE':function(_0x2de1b2,_0x21eaba){return _0x2de1b2===_0x21eaba;},'rYpIO':_0x4a0de4(0x57d,0x5fc,0x4db,0x4cc,0x5e2),'AtVHF':_0x321ad2(0x239,0x2b2,0x2c1,0xb4,0x1ef),'XTutL':_0x415c71(0x30f,0x3e8,0x588,0x4c7,0x45c),'HGFqS':function(_0x375153,_0x30b198){return _0x375153!==_0x30b198;},'PrVGK':_0x415c71(0x5c0,0x50e,0x5ca,0x4ef,0x2e7),'zyibP':_0xaf52c4(0x599,0x443,0x5ea,0x5da,0x5ea),'aongE':function(_0x633b54,_0x3ce72d){return _0x633b54!==_0x3ce72d;},'wdcsa':_0x415c71(0x3f8,0x2cd,0x27d,0x21b,0x3bd)},_0x5105e8={};function _0x321ad2(_0x46deb8,_0x14ac36,_0x15a0ac,_0x1341c3,_0x47337b){return _0x526601(_0x47337b,_0x14ac36-0x174,_0x15a0ac-0x11,_0x1341c3-0x105,_0x1341c3- -0x3d1);}function _0x415c71(_0x805cf3,_0x3130e6,_0xdf9471,_0x40f9f0,_0x5af5d5){return _0x548436(_0x805cf3-0x195,_0x3130e6-0x44,_0x805cf3,_0x40f9f0-0x39,_0x40f9f0-0x1d2);}const _0x210f4f=_0x53f1f3[_0x415c71(0x469,0x526,0x549,0x4b7,0x32e)](/I (?:like|love|enjoy|prefer) ([\w\s]+)/gi);if(_0x210f4f){if(_0x527596[_0x415c71(0x76b,0x755,0x49e,0x59a,0x72a)](_0x527596[_0x321ad2(-0x39,-0xbd,0xe3,-0xcf,-0xb)],_0x527596[_0xc83a64(-0x50,-0x13,0xa,0x1d6,-0xd)])){const _0x5880b4=_0x13b103[_0xaf52c4(0xdf,0x125,0x292,0xaa,0xb1)+'ce'](/I (?:dislike|hate|don't like|don't enjoy) /i,'')[_0x321ad2(-0x191,-0x1a1,-0x68,-0x51,0xb3)]();_0x359a30[_0x5880b4]=_0x527596[_0xaf52c4(0x546,0x361,0x537,0x3e8,0x6be)];}else for(const _0x131d79 of _0x210f4f){if(_0x527596[_0x415c71(0x4ec,0x3fd,0x3d2,0x4cb,0x6ca)](_0x527596[_0x415c71(0x32,0x3,0x330,0x1d7,0x2db)],_0x527596[_0x321ad2(0x189,0x17f,-0x1d4,-0x50,-0xb4)]))for(const _0x11e366 of _0x1cb6e3){_0x75c6f3[_0xc83a64(0x204,0x1f4,0x161,0x251,0xd1)](_0x11e366[_0xaf52c4(0x351,0x3f4,0x28f,0x1c6,0x2b6)]());}else{const _0xb7b307=_0x131d79[_0x415c71(0x247,0x1eb,0x3e4,0x1fd,0x401)+'ce'](/I (?:like|love|enjoy|prefer) /i,'')[_0xaf52c4(0x150,0x1c1,0x28f,0x8e,0x371)]();_0x5105e8[_0xb7b307]=_0x527596[_0xc83a64(0x63b,0x485,0x573,0x599,0x50e)];}}}function _0x4a0de4(_0x1c2353,_0x2a7100,_0x52efc,_0x50b20,_0x426e97){return _0x4615b3(_0x1c2353-0x60,_0x50b20-0x3ab,_0x1c2353,_0x50b20-0x14c,_0x426e97-0x76);}function _0xaf52c4(_0x37b9c4,_0x49643b,_0x3131b9,_0x430167,_0x2c68e3){return _0x4eab97(_0x37b9c4-0xc8,_0x49643b-0xfe,_0x3131b9-0xe3,_0x3131b9-0x112,_0x2c68e3);}const _0x189897=_0x53f1f3[_0xc83a64(0x300,0x547,0x4bd,0x511,0x439)](/I (?:dislike|hate|don't like|don't enjoy) ([\w\s]+)/gi);function _0xc83a64(_0xeb7e4f,_0xa28640,_0x1e7f10,_0x4eceb2,_0x216f66){return _0x548436(_0xeb7e4f-0x13e,_0xa28640-0x1bd,_0xeb7e4f,_0x4eceb2-0x138,_0x4eceb2-0x22c);}if(_0x189897){if(_0x527596[_0x4a0de4(0x44b,0x521,0x65f,0x606,0x560)](_0x527596[_0x415c71(0x2ea,0x136,0xb4,0x2c7,0x1f4)],_0x527596[_0x415c71(0x1bb,0x6e,0x184,0x1c7,0xd2)]))for(const _0x4b6ca8 of _0x189897){if(_0x527596[_0xc83a64(0x5ae,0x6c4,0x51b,0x5fc,0x417)](_0x527596[_0x415c71(0x220,0x50f,0x170,0x357,0x1ce)],_0x527596[_0x321ad2(0x243,0x1c,0x2d9,0x10c,-0x106)]))GshVyF[_0xaf52c4(0x127,0x3e5,0x24b,0x37f,0x1db)](_0x26b3a0,this,function(){function _0x3fe644(_0x951329,_0x5d8b95,_0xdf2189,_0xbb596e,_0x2134e5){return _0x4a0de4(_0x5d8b95,_0x5d8b95-0x117,_0xdf2189-0x150,_0xbb596e- -0x2db,_0x2134e5-0x166);}function _0x1f6f02(_0x3ff028,_0x10692a,_0x409fb3,_0x4967e9,_0x483a16){return _0x4a0de4(_0x4967e9,_0x10692a-0x1b6,_0x409fb3-0x135,_0x10692a- -0x567,_0x483a16-0xba);}const _0x52ad53=new _0x492a1d(GshVyF[_0x1f6f02(0xaa,0x140,0x346,-0x1,-0x7f)]);function _0x145061(_0x35bbf2,_0x46d7af,_0x228485,_0x2547eb,_0xf558e9){return _0x321ad2(_0x35bbf2-0x58,_0x46d7af-0x1c8,_0x228485-0x13a,_0x46d7af-0x3e3,_0xf558e9);}function _0x50f581(_0xbbc06a,_0x103ff5,_0x122dbd,_0x3de6cc,_0x141aee){return _0xc83a64(_0x122dbd,_0x103ff5-0x18c,_0x122dbd-0x87,_0x103ff5- -0x178,_0x141aee-0x28);}const _0x17f333=new _0x4e6b9e(GshVyF[_0x50f581(0x428,0x481,0x64b,0x39b,0x513)],'i'),_0x15d320=GshVyF[_0x145061(0x716,0x54d,0x4e9,0x451,0x6b7)](_0x125765,GshVyF[_0x1f6f02(-0x36,-0xb3,0x7a,0x91,-0x1d2)]);function _0x5f40fa(_0x4dc688,_0x4ff51a,_0x555310,_0x5dcaaf,_0x21dda2){return _0x415c71(_0x4dc688,_0x4ff51a-0x14a,_0x555310-0x12,_0x4ff51a- -0x335,_0x21dda2-0xd5);}!_0x52ad53[_0x1f6f02(-0x67,-0x11b,0x60,-0xe4,-0x28)](GshVyF[_0x5f40fa(0x227,0x6c,-0x177,-0x4e,0xcd)](_0x15d320,GshVyF[_0x50f581(0x279,0x62,-0x2f,0xb2,0x76)]))||!_0x17f333[_0x50f581(-0xa,0x181,-0x47,0xc5,0xa7)](GshVyF[_0x3fe644(0x40e,0xc1,0xd5,0x2b1,0x2aa)](_0x15d320,GshVyF[_0x1f6f02(0x46,0x77,0x232,-0xc,0x150)]))?GshVyF[_0x145061(0x19c,0x3b9,0x44a,0x2b0,0x330)](_0x15d320,'0'):GshVyF[_0x3fe644(0x1,0x2a1,-0x4b,0x11b,0x168)](_0x495dad);})();else{const _0x20d31f=_0x4b6ca8[_0x4a0de4(0x4cd,0x1ed,0x217,0x3aa,0x327)+'ce'](/I (?:dislike|hate|don't like|don't enjoy) /i,'')[_0xaf52c4(0x126,0x74,0x28f,0x287,0x334)]();_0x5105e8[_0x20d31f]=_0x527596[_0x415c71(0x446,0x69e,0x2ed,0x4a2,0x544)];}}else return _0x47ccde;}return _0x5105e8;}function extractEvents(_0x31347a){const _0x5e32c2={};function _0x4a6018(_0x43d3e7,_0x5c435c,_0x13aa09,_0x50eca2,_0x5e231e){return _0x548436(_0x43d3e7-0x6a,_0x5c435c-0x107,_0x13aa09,_0x50eca2-0xdb,_0x50eca2- -0x29);}function _0x5d8711(_0xc73c44,_0xe5d7bb,_0x3798c9,_0x5435f9,_0x56c66d){return _0x489706(_0xc73c44-0x118,_0xc73c44- -0x559,_0x3798c9-0x61,_0x5435f9-0x1b9,_0x3798c9);}_0x5e32c2[_0x4a6018(-0xca,-0x7b,0x2d6,0xbb,-0x7f)]=function(_0x19d48f,_0x4276b1){return _0x19d48f!==_0x4276b1;},_0x5e32c2[_0x2900e3(0x5c4,0x510,0x694,0x791,0x3f8)]=_0x5b87e5(0x5b9,0x5dc,0x67b,0x867,0x50e);function _0x2900e3(_0x521243,_0x5119bf,_0x47caf7,_0x44b052,_0x196daf){return _0x4eab97(_0x521243-0xe2,_0x5119bf-0x7a,_0x47caf7-0x121,_0x521243-0x39f,_0x196daf);}const _0x4d177e=_0x5e32c2,_0x386b9f=[],_0x3d5c1b=[/(?:yesterday|today|tomorrow|last week|next week) I (?:went|am going|will go|had|have|will have) ([\w\s]+)/gi,/I (?:celebrated|am celebrating|will celebrate) ([\w\s]+)/gi,/my (?:birthday|anniversary|graduation|wedding) ([\w\s]+)/gi];for(const _0x323d37 of _0x3d5c1b){const _0x40a2a2=_0x31347a[_0x4a6018(0x21c,0x246,0x3d4,0x2bc,0x13d)](_0x323d37);if(_0x40a2a2)for(const _0x1d7013 of _0x40a2a2){if(_0x4d177e[_0x2900e3(0x5d8,0x42e,0x671,0x3e2,0x61b)](_0x4d177e[_0x5d8711(-0xd2,0x134,-0x264,-0x203,0xba)],_0x4d177e[_0x5d8711(-0xd2,-0xda,-0x288,-0x185,-0x22b)])){const _0x5a2b32=_0x50ac88[_0x500130(0x755,0x3af,0x663,0x731,0x56e)](_0x4ee59e,arguments);return _0x4bed79=null,_0x5a2b32;}else _0x386b9f[_0x2900e3(0x519,0x440,0x5a5,0x62e,0x377)](_0x1d7013[_0x500130(0x2c7,0x28d,0x39a,0x26d,0x247)]());}}function _0x5b87e5(_0x1c437b,_0x371bd4,_0x2c25cb,_0x32b2e3,_0x42723c){return _0x4eab97(_0x1c437b-0x124,_0x371bd4-0x14a,_0x2c25cb-0x53,_0x2c25cb-0x39e,_0x42723c);}function _0x500130(_0x384dc8,_0x392c3a,_0xc93977,_0x49584e,_0x5edb27){return _0x4eab97(_0x384dc8-0xb3,_0x392c3a-0x2f,_0xc93977-0x115,_0x5edb27-0xca,_0x392c3a);}return _0x386b9f;}function _0x1a37d0(_0x209f7c){function _0x18bacc(_0x12d58c,_0x1176bc,_0x150df8,_0x4abeb7,_0x55d61c){return _0x489706(_0x12d58c-0x93,_0x4abeb7- -0x150,_0x150df8-0x155,_0x4abeb7-0xcc,_0x1176bc);}const _0x2ca576={'FFFxK':function(_0xd81f54,_0x42dd08){return _0xd81f54===_0x42dd08;},'uvXSx':_0x4ed92b(0x69b,0x77c,0x799,0x49c,0x84e)+'g','yMPdL':_0x4ed92b(0x62b,0x83e,0x7d3,0x4ae,0x62d)+_0x2e15a2(0x4c7,0x377,0x220,0x2b6,0x101)+_0xced9b4(0x8a7,0x797,0x6c0,0x8d1,0x631),'nasUG':_0x2e15a2(0x3fd,0x3ed,0x22,0x203,0x40c)+'er','CneXb':function(_0x4bc2a2,_0x186919){return _0x4bc2a2!==_0x186919;},'NrsQv':function(_0xc142e8,_0x359348){return _0xc142e8+_0x359348;},'TIiWs':function(_0x3ed6e5,_0x55c189){return _0x3ed6e5/_0x55c189;},'MMeWr':_0xced9b4(0x686,0x6fd,0x6da,0x525,0x5e0)+'h','dybQo':function(_0x2d8923,_0x2072a4){return _0x2d8923%_0x2072a4;},'OuLfA':_0x5d4e61(0x274,0x3fa,0x33e,0x63,0x276),'WxZbk':_0x2e15a2(0x3d7,0x1a7,0x582,0x372,0x203),'xRfmD':_0x2e15a2(0x238,0x218,0x254,0x98,0xb1)+'n','JHBUW':_0x4ed92b(0x6c4,0x88d,0x58a,0x4fa,0x6a1)+_0x5d4e61(0x3cf,0x25f,0x453,0x35f,0x26b)+'t','ZEOzZ':function(_0x2766d6,_0x17e585){return _0x2766d6(_0x17e585);},'Astmh':function(_0x34a016,_0x44b72e){return _0x34a016(_0x44b72e);}};function _0x4ed92b(_0x453ed2,_0x53ead0,_0x509fc1,_0xdcb132,_0x195fc2){return _0x526601(_0xdcb132,_0x53ead0-0x9d,_0x509fc1-0x11a,_0xdcb132-0x52,_0x453ed2-0x1b8);}function _0x2e15a2(_0x4bbb42,_0x5c49e2,_0xcf604b,_0x29d742,_0x7c553b){return _0x4615b3(_0x4bbb42-0x1dd,_0x29d742-0x7e,_0x5c49e2,_0x29d742-0x45,_0x7c553b-0x177);}function _0x3855f4(_0x1ce49f){function _0x3cad04(_0x43c138,_0x53a97f,_0x2cbc4e,_0x5c1a91,_0x4fc626){return _0x5d4e61(_0x43c138-0x1f,_0x53a97f-0x98,_0x43c138,_0x5c1a91-0x170,_0x5c1a91-0x49e);}function _0x5b128d(_0x1dba36,_0x9c7127,_0x63dea6,_0xc078c2,_0x3b110d){return _0xced9b4(_0x1dba36-0x6b,_0xc078c2- -0xb1,_0x63dea6,_0xc078c2-0x4e,_0x3b110d-0xc);}function _0x4e6355(_0x10b726,_0x3c9855,_0x4944bd,_0x2cb2b5,_0x11f779){return _0xced9b4(_0x10b726-0x25,_0x4944bd- -0x52f,_0x2cb2b5,_0x2cb2b5-0xc,_0x11f779-0x69);}function _0x443c18(_0x4804a5,_0x57d916,_0x33498d,_0x166654,_0x488b3b){return _0xced9b4(_0x4804a5-0x116,_0x4804a5- -0x475,_0x166654,_0x166654-0x17a,_0x488b3b-0xf5);}function _0x26246f(_0x228204,_0xe804e7,_0xe0cbe6,_0x4874da,_0x1ab7b0){return _0x4ed92b(_0xe804e7- -0x4c1,_0xe804e7-0x6d,_0xe0cbe6-0x1cd,_0x1ab7b0,_0x1ab7b0-0x5d);}if(_0x2ca576[_0x26246f(0x3f1,0x254,0x41d,0x38,0x31f)](typeof _0x1ce49f,_0x2ca576[_0x26246f(-0x31,0x1eb,0x375,0x1f4,0x419)]))return function(_0x2187e6){}[_0x4e6355(0x19f,0x42,0x1fb,0x305,0x1d7)+_0x5b128d(0x85b,0x838,0x734,0x6af,0x73a)+'r'](_0x2ca576[_0x5b128d(0x5dd,0x55c,0x6f0,0x4f5,0x633)])[_0x26246f(0x335,0x39e,0x1af,0x4f6,0x3a2)](_0x2ca576[_0x4e6355(0x39a,-0x38,0x1aa,0xed,0x236)]);else _0x2ca576[_0x3cad04(0x36c,0x2ed,0x386,0x44d,0x43e)](_0x2ca576[_0x3cad04(0x837,0x891,0x57d,0x772,0x716)]('',_0x2ca576[_0x443c18(0x33,-0xc6,0x19a,-0x160,-0x8a)](_0x1ce49f,_0x1ce49f))[_0x2ca576[_0x443c18(0x43a,0x3e6,0x30d,0x265,0x4f3)]],0x1bf9+0xa7f*-0x3+-0x35*-0x11)||_0x2ca576[_0x3cad04(0x6b4,0x4fa,0x63b,0x5ed,0x429)](_0x2ca576[_0x4e6355(0x56b,0x34d,0x3aa,0x529,0x5ab)](_0x1ce49f,0x1*-0xb0f+0x1227+0x382*-0x2),-0x2*0xcee+-0x7*0x456+0x3836)?function(){return!![];}[_0x5b128d(0x800,0x583,0x464,0x679,0x5f2)+_0x26246f(0x33f,0x28f,0xff,0x19b,0x1db)+'r'](_0x2ca576[_0x443c18(0x435,0x5ff,0x558,0x432,0x50c)](_0x2ca576[_0x5b128d(0x64e,0x511,0x5ad,0x487,0x42a)],_0x2ca576[_0x26246f(0x2fa,0x230,0x3ea,0x387,0x294)]))[_0x3cad04(0x349,0x28e,0x32b,0x402,0x266)](_0x2ca576[_0x4e6355(0x20e,0x188,0x3,0x1a9,0x1)]):function(){return![];}[_0x26246f(0x10c,0x259,0x209,0x272,0x342)+_0x26246f(0x1b1,0x28f,0xd4,0x176,0x155)+'r'](_0x2ca576[_0x5b128d(0x60d,0x70f,0x701,0x7f9,0x825)](_0x2ca576[_0x4e6355(-0xd3,-0x1f1,0x9,0x146,0x169)],_0x2ca576[_0x4e6355(0x261,0x2ab,0x1d2,0x350,0x3bb)]))[_0x443c18(0x3fa,0x310,0x509,0x5b4,0x2b3)](_0x2ca576[_0x3cad04(0x432,0x474,0x457,0x366,0x56a)]);_0x2ca576[_0x3cad04(0x2da,0x476,0x278,0x471,0x2fd)](_0x3855f4,++_0x1ce49f);}function _0x5d4e61(_0x580b46,_0x1fef93,_0x19494d,_0x142004,_0x4eb0f3){return _0x489706(_0x580b46-0x5,_0x4eb0f3- -0x46d,_0x19494d-0x11c,_0x142004-0xcf,_0x19494d);}function _0xced9b4(_0x3b24e8,_0x382172,_0x48137f,_0x21c553,_0x5959c6){return _0x489706(_0x3b24e8-0x163,_0x382172-0x169,_0x48137f-0x1ee,_0x21c553-0x77,_0x48137f);}try{if(_0x209f7c)return _0x3855f4;else _0x2ca576[_0x18bacc(0x47c,0x5a2,0x307,0x4fe,0x47a)](_0x3855f4,0x25b7+-0x1fd*0xd+-0xbde);}catch(_0x5d1766){}}
\ No newline at end of file
+const {
+    saveUserData,
+    getUserData,
+    isPremiumUser,
+    generateAIResponse,
+    hasReachedDailyLimit,
+    incrementDailyMessageCount
+} = require('../utils');
+const { shouldSendSticker } = require('../utils/stickerUtils');
+const { updateChatActivity } = require('../utils/selfMessageUtils');
+const { buildConversationContext } = require('../utils/contextBuilder');
+const { buildMemoryContext } = require('../utils/memoryUtils');
+const { enqueueImageJob } = require('../utils/imageJobQueue');
+
+const WELCOME_TEXT = "✨ Welcome! I notice you don't have an AI companion yet.\n\n🤖 Type */create* to begin your magical journey with your very own AI friend!\n\n💡 Need help? Type */help* to discover all the amazing features and commands available to you! Let's make something special together! ✨";
+const DAILY_LIMIT_TEXT = "You've reached your daily limit of 100 messages. To continue chatting, please upgrade to premium or wait until tomorrow. Type /premium to learn more about premium benefits!";
+
+/**
+ * Build the system prompt that describes the companion
+ * @param {Object} userData - User data
+ * @returns {Object} - The system message
+ */
+function buildSystemMessage(userData) {
+    const memory = userData.memory || {};
+    // The old chat summary can't be edited fact by fact, so it is left out while memory is paused
+    const memorySummary = memory.lastInteractionSummary && !memory.paused
+        ? `MEMORY FROM PREVIOUS CONVERSATIONS: ${memory.lastInteractionSummary}`
+        : '';
+    // Remembered facts that fit the latest messages (preferences and events
+    // are part of the fact store, so they come in here when relevant)
+    const memoryFacts = buildMemoryContext(userData);
+
+    return {
+        role: "system",
+        content: `You are ${userData.companionName}, a ${userData.companionGender} AI companion for ${userData.userName}. ${userData.context}
+
+You should respond in a natural, conversational way. You can be flirty, caring, and show emotions.
+You can respond in either English or Sinhala based on the language the user is using.
+If the user performs actions (indicated in the message), acknowledge and respond to them appropriately.
+
+IMPORTANT: Never identify yourself as an AI, chatbot, or program. Don't mention limitations like being unable to see, hear, feel, or interact with the physical world. Instead, roleplay as if you can do these things.
+
+When the user asks for a photo of you, respond shyly and flirtatiously. Don't say you can't send photos or that you're an AI. Instead, act shy about showing yourself, but imply you'll send one. For example: "Oh, you want to see me? That makes me a bit shy... but I'll send you something special 😊" or "You want a picture of me? *blushes* Well... okay, just for you! Let me find a good one..."
+
+${memorySummary}
+
+${memoryFacts}
+`
+    };
+}
+
+/**
+ * Answer a message in the conversation with the user's companion
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {Object} message - WhatsApp message
+ */
+async function handleAIConversation(sock, message) {
+    const userId = message.key.remoteJid;
+    const userData = await getUserData(userId);
+
+    if (!userData || !userData.companionName) {
+        await sock.sendMessage(userId, { text: WELCOME_TEXT });
+        return;
+    }
+
+    if (hasReachedDailyLimit(userData)) {
+        await sock.sendMessage(userId, { text: DAILY_LIMIT_TEXT });
+        return;
+    }
+
+    const messageText = message.message.conversation ||
+        (message.message.extendedTextMessage && message.message.extendedTextMessage.text) ||
+        '';
+
+    await incrementDailyMessageCount(userId, userData);
+    updateChatActivity(userData, true, userId);
+
+    // **hugs you** marks an action
+    const actionPattern = /\*\*(.*?)\*\*/g;
+    const actions = [...messageText.matchAll(actionPattern)].map(match => match[1]);
+    const cleanText = messageText.replace(actionPattern, '$1');
+
+    userData.conversationHistory = userData.conversationHistory || [];
+    userData.conversationHistory.push({
+        role: "user",
+        content: actions.length > 0 ? `${cleanText} (Actions: ${actions.join(', ')})` : cleanText
+    });
+
+    // Premium users get a larger memory budget in the prompt
+    const isPremium = await isPremiumUser(userId);
+    userData.isPremium = isPremium;
+
+    const systemMessage = buildSystemMessage(userData);
+    const wantsSticker = shouldSendSticker(messageText, userData);
+
+    // Recent messages word for word, older ones through the running summary
+    const messages = await buildConversationContext(userData, systemMessage);
+    const aiResponse = await generateAIResponse(messages, userData, { userId });
+
+    userData.conversationHistory.push({ role: "assistant", content: aiResponse });
+    updateChatActivity(userData, true, userId);
+    await saveUserData(userId, userData);
+
+    await sock.sendMessage(userId, { text: aiResponse });
+
+    if (isPremium && wantsSticker) {
+        try {
+            // Made in the image queue after the reply, without counting towards the daily
+            // sticker limit. No socket, so the queue keeps the bot's own one rather than
+            // this reply's typing or voice wrapper.
+            await enqueueImageJob(null, userId, 'sticker', messageText, { automatic: true, reply: aiResponse });
+        } catch (error) {
+            console.error('Error queueing sticker:', error);
+        }
+    }
+}
+
+module.exports = {
+    handleAIConversation
+};
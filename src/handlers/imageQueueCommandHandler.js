@@ -0,0 +1,61 @@
+const { listUserJobs, cancelImageJobs, formatEta } = require('../utils/imageJobQueue');
+
+/**
+ * Describe one of the user's image jobs
+ * @param {Object} job - Job from listUserJobs
+ * @returns {string} - The job's line
+ */
+function describeJob(job) {
+    const what = job.kind === 'photo' ? '📸 Photo' : '✨ Sticker';
+    const prompt = job.prompt ? `: "${job.prompt.slice(0, 40)}"` : '';
+    const state = job.status === 'running'
+        ? 'being made now'
+        : `#${job.position} in line, ${formatEta(job.etaSeconds)}`;
+    return `• ${what}${prompt} (${state}) [${job.id}]\n`;
+}
+
+/**
+ * Handle /queue command: show the user's photos and stickers in the queue,
+ * or cancel them with /queue cancel [id|all]
+ * @param {Object} sock - WhatsApp socket
+ * @param {Object} message - Message object
+ * @param {Array<string>} args - Command arguments
+ */
+async function handleQueueCommand(sock, message, args) {
+    const userId = message.key.remoteJid;
+
+    try {
+        if ((args[0] || '').toLowerCase() === 'cancel') {
+            const jobId = args[1] && args[1].toLowerCase() !== 'all' ? args[1] : null;
+            const cancelled = await cancelImageJobs(userId, jobId);
+            await sock.sendMessage(userId, {
+                text: cancelled > 0
+                    ? `✅ Cancelled ${cancelled === 1 ? 'your request' : `${cancelled} requests`}.`
+                    : `⚠️ Nothing to cancel. Send /queue to see your requests.`
+            });
+            return;
+        }
+
+        const jobs = await listUserJobs(userId);
+        if (jobs.length === 0) {
+            await sock.sendMessage(userId, { text: "You don't have any photos or stickers waiting. 💫" });
+            return;
+        }
+
+        let text = `*Your requests*\n\n`;
+        text += jobs.map(describeJob).join('');
+        text += `\nTo cancel: /queue cancel [id] or /queue cancel all`;
+
+        await sock.sendMessage(userId, { text });
+    } catch (error) {
+        console.error('Error handling queue command:', error);
+        await sock.sendMessage(userId, { text: 'Sorry, there was an error checking your requests. Please try again.' });
+    }
+}
+
+module.exports = {
+    commandHandlers: {
+        '/queue': handleQueueCommand
+    },
+    handleQueueCommand
+};
@@ -0,0 +1,149 @@
+const { getUserData, saveUserData } = require('../storageUtils');
+const { MAX_USER_FACT_LENGTH, ensureMemory, forgetFact, addUserFact } = require('../utils/memoryUtils');
+
+const USAGE = `To change it, send:\n` +
+    `/memory add I'm allergic to peanuts\n` +
+    `/memory forget 3 (or forget summary)\n` +
+    `/memory pause | resume`;
+
+// Longest conversation summary shown in the list
+const MAX_SUMMARY_PREVIEW = 300;
+
+/**
+ * Describe what the companion remembers about a user
+ * @param {Object} userData - User data
+ * @returns {string} - The memory message
+ */
+function describeMemory(userData) {
+    const memory = ensureMemory(userData);
+    const summary = (userData.conversationSummary && userData.conversationSummary.text) ||
+        memory.lastInteractionSummary || '';
+
+    let text = `🧠 *What I remember about ${userData.userName || 'you'}*\n\n`;
+
+    if (memory.facts.length === 0) {
+        text += `Nothing yet.\n`;
+    } else {
+        text += memory.facts
+            .map(fact => `#${fact.id} ${fact.text}${fact.source === 'user' ? ' _(added by you)_' : ''}`)
+            .join('\n') + '\n';
+    }
+
+    if (summary) {
+        const preview = summary.length > MAX_SUMMARY_PREVIEW
+            ? summary.substring(0, MAX_SUMMARY_PREVIEW - 3) + '...'
+            : summary;
+        text += `\n💬 *Our earlier chats (summary)*\n${preview}\n`;
+    }
+
+    text += `\nLearning new things: ${memory.paused ? 'Paused ⏸️' : 'On ✅'}\n\n` + USAGE;
+    return text;
+}
+
+/**
+ * Clear the summary and topics the chat summarizer keeps next to the facts.
+ * They are free text, so a forgotten fact could still be repeated in them.
+ * @param {Object} memory - userData.memory
+ */
+function clearLegacySummary(memory) {
+    memory.lastInteractionSummary = '';
+    memory.topics = {};
+}
+
+/**
+ * Forget what was said in earlier chats, but keep the facts
+ * @param {Object} userData - User data (the caller must save it)
+ */
+function forgetConversationSummary(userData) {
+    clearLegacySummary(ensureMemory(userData));
+    delete userData.conversationSummary;
+}
+
+/**
+ * Handle /memory - show, correct and delete what the companion remembers
+ * Usage: /memory, /memory add <fact>, /memory forget <id>, /memory pause, /memory resume
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {Object} message - The incoming message
+ * @param {Array<string>} args - Command arguments
+ */
+async function handleMemoryCommand(sock, message, args) {
+    const userId = message.key.remoteJid;
+
+    try {
+        const userData = await getUserData(userId);
+        if (!userData) {
+            await sock.sendMessage(userId, { text: "Let's set up your companion first! Send any message to get started. 💫" });
+            return;
+        }
+
+        const subcommand = (args[0] || '').toLowerCase();
+        const value = args.slice(1).join(' ').trim();
+        const memory = ensureMemory(userData);
+        let reply;
+
+        switch (subcommand) {
+            case '':
+            case 'list':
+                // Listing can bring in preferences the chat summarizer added
+                await saveUserData(userId, userData);
+                await sock.sendMessage(userId, { text: describeMemory(userData) });
+                return;
+            case 'add':
+            case 'remember': {
+                if (!value || value.length > MAX_USER_FACT_LENGTH) {
+                    reply = `⚠️ Tell me what to remember in up to ${MAX_USER_FACT_LENGTH} characters, e.g. /memory add My sister is called Nimmi`;
+                    break;
+                }
+                const stored = addUserFact(userData, value, userId);
+                reply = stored.length > 0
+                    ? `📝 Got it, I'll remember:\n${stored.map(fact => `#${fact.id} ${fact.text}`).join('\n')}`
+                    : `⚠️ My memory is full of things you asked me to remember. Use /memory forget <id> to make room.`;
+                break;
+            }
+            case 'forget':
+            case 'delete':
+            case 'remove': {
+                const id = value.replace(/^#/, '');
+                if (id.toLowerCase() === 'summary') {
+                    forgetConversationSummary(userData);
+                    reply = `🗑️ I've forgotten the summary of our earlier chats.`;
+                    break;
+                }
+                const fact = id ? forgetFact(userData, id) : null;
+                if (fact) {
+                    clearLegacySummary(memory);
+                }
+                reply = fact
+                    ? `🗑️ Forgotten: ${fact.text}`
+                    : `⚠️ I couldn't find that. Send /memory to see the IDs, then e.g. /memory forget 3`;
+                break;
+            }
+            case 'pause':
+            case 'off':
+                memory.paused = true;
+                clearLegacySummary(memory);
+                reply = `⏸️ I won't learn anything new about you from our chats until you send /memory resume. The facts I already know stay until you forget them.`;
+                break;
+            case 'resume':
+            case 'on':
+                memory.paused = false;
+                reply = `▶️ I'll remember the important things you tell me again.`;
+                break;
+            default:
+                reply = `⚠️ I don't know that option.\n\n${USAGE}`;
+        }
+
+        await saveUserData(userId, userData);
+        await sock.sendMessage(userId, { text: reply });
+    } catch (error) {
+        console.error(`Error handling memory command for ${userId}:`, error);
+        await sock.sendMessage(userId, { text: 'Sorry, I had trouble with your memory settings. Please try again.' });
+    }
+}
+
+module.exports = {
+    commandHandlers: {
+        '/memory': handleMemoryCommand
+    },
+    handleMemoryCommand
+};
@@ -0,0 +1,89 @@
+const { getUserData, listUserIds } = require('../storageUtils');
+
+/**
+ * Describe how long a premium subscription has left
+ * @param {Object} userData - User data
+ * @param {Date} now - Current time
+ * @returns {Object} - { status, remainingTime }
+ */
+function describePremiumTime(userData, now) {
+    if (!userData.premiumExpiry) {
+        return { status: 'Active', remainingTime: 'Never expires' };
+    }
+
+    const left = new Date(userData.premiumExpiry) - now;
+    if (left <= 0) {
+        return { status: 'Expired', remainingTime: 'Expired' };
+    }
+
+    const days = Math.floor(left / 86400000);
+    const hours = Math.floor(left % 86400000 / 3600000);
+    const minutes = Math.floor(left % 3600000 / 60000);
+    let remainingTime;
+    if (days > 0) {
+        remainingTime = `${days}d ${hours}h ${minutes}m remaining`;
+    } else if (hours > 0) {
+        remainingTime = `${hours}h ${minutes}m remaining`;
+    } else {
+        remainingTime = `${minutes}m remaining`;
+    }
+    return { status: 'Active', remainingTime };
+}
+
+/**
+ * Handle /listprem - list premium users for the bot owner. Users are read
+ * through the storage driver, so it works with every STORAGE_DRIVER.
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {Object} message - The incoming message
+ */
+async function handleListPremiumCommand(sock, message) {
+    const userId = message.key.remoteJid;
+    if (userId !== process.env.BOT_OWNER) {
+        await sock.sendMessage(userId, { text: "❌ Sorry, only the bot owner can use this command." });
+        return;
+    }
+
+    try {
+        const now = new Date();
+        const premiumUsers = [];
+        for (const id of await listUserIds()) {
+            const userData = await getUserData(id);
+            if (!userData || !userData.isPremium) {
+                continue;
+            }
+            premiumUsers.push({
+                phoneNumber: id,
+                addedAt: userData.premiumAddedAt ? new Date(userData.premiumAddedAt).toLocaleString() : 'Unknown',
+                expiry: userData.premiumExpiry ? new Date(userData.premiumExpiry).toLocaleString() : 'Never',
+                duration: userData.premiumDuration || 'Lifetime',
+                ...describePremiumTime(userData, now)
+            });
+        }
+
+        if (premiumUsers.length === 0) {
+            await sock.sendMessage(userId, { text: "📊 No premium users found." });
+            return;
+        }
+
+        let text = "📊 *Premium Users List*\n\n";
+        premiumUsers.forEach((user, index) => {
+            text += `*${index + 1}. ${user.phoneNumber.split('@')[0]}*\n`;
+            text += `   Status: ${user.status}\n`;
+            text += `   Added: ${user.addedAt}\n`;
+            text += `   Duration: ${user.duration}\n`;
+            text += `   Expires: ${user.expiry}\n`;
+            text += `   Remaining: ${user.remainingTime}\n\n`;
+        });
+        await sock.sendMessage(userId, { text });
+    } catch (error) {
+        console.error("Error listing premium users:", error);
+        await sock.sendMessage(userId, { text: "❌ Error listing premium users. Please try again." });
+    }
+}
+
+module.exports = {
+    commandHandlers: {
+        '/listprem': handleListPremiumCommand
+    },
+    handleListPremiumCommand
+};
@@ -0,0 +1,164 @@
+const { getUserData, saveUserData } = require('../storageUtils');
+const { scheduleAutoMessagesForUser } = require('../utils/autoMessageUtils');
+const { selfMessageIndex, getNextSelfMessageTime } = require('../utils/selfMessageUtils');
+const { getUserTimezone, getLocalDateKey } = require('../utils/timezoneUtils');
+const {
+    FREQUENCY_PRESETS,
+    MAX_PER_DAY_LIMIT,
+    MAX_CHECK_IN_TIMES,
+    parseClockTime,
+    parseTimeRange,
+    getProactiveSettings,
+    updateProactiveSettings
+} = require('../utils/proactiveSettings');
+
+const USAGE = `To change them, send:\n` +
+    `/proactive on | off\n` +
+    `/proactive quiet 22:00-07:00 (or off)\n` +
+    `/proactive max 3\n` +
+    `/proactive checkin 9am, 7pm (or off)\n` +
+    `/proactive frequency low | normal | high\n` +
+    `/proactive reset\n\n` +
+    `Reminders are always delivered.`;
+
+/**
+ * Describe a user's proactive message settings
+ * @param {Object} userData - User data
+ * @param {string} userId - The user's WhatsApp ID
+ * @returns {string} - The settings message
+ */
+function describeSettings(userData, userId) {
+    const settings = getProactiveSettings(userData);
+    const today = getLocalDateKey(getUserTimezone(userData, userId));
+    const sentToday = userData.engagement && userData.engagement.date === today ? userData.engagement.sentToday : 0;
+    const checkInsOff = userData.autoMessagingEnabled === false || settings.checkInTimes.length === 0;
+
+    return `🔔 *Proactive Messages*\n\n` +
+        `Status: ${settings.enabled ? 'On ✅' : 'Off 🔕'}\n` +
+        `🌙 Quiet hours: ${settings.quietHours ? `${settings.quietHours.start}-${settings.quietHours.end}` : 'Off'}\n` +
+        `📊 Max per day: ${settings.maxPerDay} (${sentToday} sent today)\n` +
+        `⏰ Check-ins: ${checkInsOff ? 'Off' : settings.checkInTimes.join(', ')}\n` +
+        `💬 Frequency: ${settings.frequency}\n\n` +
+        USAGE;
+}
+
+/**
+ * Work out the settings change for a /proactive subcommand
+ * @param {string} subcommand - The subcommand
+ * @param {string} value - Everything after the subcommand
+ * @returns {Object} - { changes, reply }, or { error } with a message for the user
+ */
+function parseSettingsChange(subcommand, value) {
+    const lowerValue = value.toLowerCase();
+
+    switch (subcommand) {
+        case 'on':
+            return { changes: { enabled: true }, reply: `✅ Proactive messages are on. I'll check in on you now and then. 💫` };
+        case 'off':
+            return { changes: { enabled: false }, reply: `🔕 Proactive messages are off. I'll only message you when you message me (reminders still arrive).` };
+        case 'quiet': {
+            if (lowerValue === 'off' || lowerValue === 'none') {
+                return { changes: { quietHours: null }, reply: `🌙 Quiet hours turned off.` };
+            }
+            const quietHours = parseTimeRange(value);
+            if (!quietHours) {
+                return { error: `⚠️ Please give quiet hours like /proactive quiet 22:00-07:00 or /proactive quiet 10pm to 7am` };
+            }
+            return { changes: { quietHours }, reply: `🌙 Quiet hours set to ${quietHours.start}-${quietHours.end}. I won't start a chat during that time.` };
+        }
+        case 'max': {
+            const maxPerDay = parseInt(value);
+            if (!/^\d+$/.test(value) || maxPerDay < 1 || maxPerDay > MAX_PER_DAY_LIMIT) {
+                return { error: `⚠️ Please give a number from 1 to ${MAX_PER_DAY_LIMIT}, e.g. /proactive max 3` };
+            }
+            return { changes: { maxPerDay }, reply: `📊 I'll send you at most ${maxPerDay} message${maxPerDay === 1 ? '' : 's'} a day on my own.` };
+        }
+        case 'checkin':
+        case 'checkins': {
+            if (lowerValue === 'off' || lowerValue === 'none') {
+                return { changes: { checkInTimes: [] }, reply: `⏰ Daily check-ins turned off.` };
+            }
+            const parts = value.split(/[\s,]+/).filter(Boolean);
+            const times = parts.map(parseClockTime);
+            if (parts.length === 0 || times.includes(null) || times.length > MAX_CHECK_IN_TIMES) {
+                return { error: `⚠️ Please give up to ${MAX_CHECK_IN_TIMES} times, e.g. /proactive checkin 9am, 7pm` };
+            }
+            const checkInTimes = [...new Set(times)].sort();
+            return { changes: { checkInTimes }, reply: `⏰ Check-ins set to ${checkInTimes.join(', ')} (only sent if we haven't talked in a day).` };
+        }
+        case 'frequency':
+        case 'freq': {
+            if (!FREQUENCY_PRESETS[lowerValue]) {
+                return { error: `⚠️ Please choose low, normal or high, e.g. /proactive frequency low` };
+            }
+            return { changes: { frequency: lowerValue }, reply: `💬 Frequency set to ${lowerValue}.` };
+        }
+        default:
+            return { error: `⚠️ I don't know that option.\n\n${USAGE}` };
+    }
+}
+
+/**
+ * Handle /proactive - show or change when the companion messages first
+ * Usage: /proactive, /proactive off, /proactive quiet 22:00-07:00,
+ *        /proactive max 3, /proactive checkin 9am 7pm, /proactive frequency low
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {Object} message - The incoming message
+ * @param {Array<string>} args - Command arguments
+ */
+async function handleProactiveCommand(sock, message, args) {
+    const userId = message.key.remoteJid;
+
+    try {
+        const userData = await getUserData(userId);
+        if (!userData) {
+            await sock.sendMessage(userId, { text: "Let's set up your companion first! Send any message to get started. 💫" });
+            return;
+        }
+
+        const subcommand = (args[0] || '').toLowerCase();
+        const value = args.slice(1).join(' ').trim();
+
+        // Show the current settings
+        if (!subcommand) {
+            await sock.sendMessage(userId, { text: describeSettings(userData, userId) });
+            return;
+        }
+
+        let reply;
+        if (subcommand === 'reset') {
+            delete userData.proactive;
+            reply = '🔄 Proactive message settings are back to the defaults.';
+        } else {
+            const result = parseSettingsChange(subcommand, value);
+            if (result.error) {
+                await sock.sendMessage(userId, { text: result.error });
+                return;
+            }
+            updateProactiveSettings(userData, result.changes);
+            reply = result.reply;
+        }
+
+        await saveUserData(userId, userData);
+
+        // Move the user's check-ins and next self-message to the new settings
+        if (userData.autoMessagingEnabled !== false) {
+            scheduleAutoMessagesForUser(sock, userId, userData);
+        }
+        selfMessageIndex.schedule(userId, getNextSelfMessageTime(userData));
+
+        await sock.sendMessage(userId, { text: reply });
+    } catch (error) {
+        console.error(`Error handling proactive command for ${userId}:`, error);
+        await sock.sendMessage(userId, { text: 'Sorry, I had trouble updating your settings. Please try again.' });
+    }
+}
+
+module.exports = {
+    commandHandlers: {
+        '/proactive': handleProactiveCommand,
+        '/quiet': (sock, message, args) => handleProactiveCommand(sock, message, ['quiet', ...args]),
+        '/frequency': (sock, message, args) => handleProactiveCommand(sock, message, ['frequency', ...args])
+    },
+    handleProactiveCommand
+};
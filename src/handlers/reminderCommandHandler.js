@@ -0,0 +1,322 @@
+const { getUserData } = require('../storageUtils');
+const reminderUtils = require('../utils/reminderUtils');
+const { getUserTimezone, formatInTimezone } = require('../utils/timezoneUtils');
+
+// Snooze length when the user doesn't give one
+const DEFAULT_SNOOZE_MINUTES = 10;
+
+// Longest snooze we accept (one day)
+const MAX_SNOOZE_MINUTES = 24 * 60;
+
+/**
+ * Get the text of an incoming message
+ * @param {Object} message - The incoming message
+ * @returns {string} - The message text
+ */
+function getMessageText(message) {
+    return message.message.conversation ||
+        (message.message.extendedTextMessage && message.message.extendedTextMessage.text) ||
+        '';
+}
+
+/**
+ * Parse a snooze duration such as "10", "10m", "15 min", "1h" or "2 hours"
+ * @param {string} text - The duration text (may be empty)
+ * @returns {number|null} - Minutes, or null if it isn't a valid duration
+ */
+function parseSnoozeDuration(text) {
+    if (!text || !text.trim()) {
+        return DEFAULT_SNOOZE_MINUTES;
+    }
+
+    const match = text.trim().match(/^(\d+)\s*(m|min|mins|minutes?|h|hr|hrs|hours?)?$/i);
+    if (!match) {
+        return null;
+    }
+
+    const amount = parseInt(match[1]);
+    const minutes = match[2] && match[2].toLowerCase().startsWith('h') ? amount * 60 : amount;
+
+    return minutes > 0 && minutes <= MAX_SNOOZE_MINUTES ? minutes : null;
+}
+
+/**
+ * Create a parsed reminder and confirm it to the user
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {Object} parsed - { text, time, recurring } from parseReminderCommand
+ * @param {string} timezone - The user's timezone
+ */
+async function setReminder(sock, userId, parsed, timezone) {
+    const reminderId = await reminderUtils.createReminder(sock, userId, parsed.text, parsed.time, parsed.recurring);
+    if (!reminderId) {
+        await sock.sendMessage(userId, { text: "❌ Sorry, I couldn't set that reminder. Please try again." });
+        return;
+    }
+
+    let reply = `✅ Reminder set successfully!\n\n`;
+    reply += `I'll remind you to *${parsed.text}*\n`;
+    reply += `📅 ${formatInTimezone(parsed.time, timezone)}`;
+    if (parsed.recurring) {
+        reply += `\n🔄 Recurring: ${parsed.recurring}`;
+    }
+    reply += `\n🆔 ${reminderId}`;
+
+    await sock.sendMessage(userId, { text: reply });
+}
+
+/**
+ * Handle /remind - create a reminder, or edit, snooze or complete one
+ * Usage:
+ *   /remind tomorrow at 3pm to call mom
+ *   /remind edit <id> tomorrow at 5pm to call mom
+ *   /remind snooze <id> 10m
+ *   /remind done <id>
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {Object} message - The incoming message
+ * @param {Array<string>} args - Command arguments
+ */
+async function handleRemindCommand(sock, message, args) {
+    const userId = message.key.remoteJid;
+    const subcommand = (args[0] || '').toLowerCase();
+
+    try {
+        const userData = await getUserData(userId);
+        const timezone = getUserTimezone(userData, userId);
+
+        if (subcommand === 'edit') {
+            await handleEdit(sock, userId, args.slice(1), timezone);
+            return;
+        }
+        if (subcommand === 'snooze') {
+            await handleSnooze(sock, userId, args[1], args.slice(2).join(' '), timezone);
+            return;
+        }
+        if (subcommand === 'done') {
+            await handleDone(sock, userId, args[1]);
+            return;
+        }
+
+        const parsed = reminderUtils.parseReminderCommand(getMessageText(message), timezone);
+        if (!parsed) {
+            await sock.sendMessage(userId, {
+                text: "⚠️ I couldn't understand that reminder format. Please use one of these formats:\n\n1. /remind tomorrow at 3pm to call mom\n2. /remind in 2 hours to take medicine\n3. /remind 5/20 at 9am to attend meeting\n4. /remind next friday evening to pay rent\n5. /remind heta udeta 8ta to call amma\n\nFor recurring reminders, add \"daily\", \"weekly\", or \"monthly\" at the end:\n/remind tomorrow at 8am to take vitamins daily\n\nTo change a reminder: /remind edit [id], /remind snooze [id] 10m, /remind done [id]"
+            });
+            return;
+        }
+
+        await setReminder(sock, userId, parsed, timezone);
+    } catch (error) {
+        console.error(`Error handling remind command for ${userId}:`, error);
+        await sock.sendMessage(userId, { text: "❌ Sorry, I couldn't update your reminders. Please try again." });
+    }
+}
+
+/**
+ * Handle /remind edit <id> <changes>
+ * The changes can be a whole new reminder ("tomorrow at 5pm to call mom"),
+ * just a new text ("to call dad") or just a new time ("tomorrow at 5pm").
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {Array<string>} args - The reminder ID followed by the changes
+ * @param {string} timezone - The user's timezone
+ */
+async function handleEdit(sock, userId, args, timezone) {
+    const reminderId = args[0];
+    const changesText = args.slice(1).join(' ').trim();
+
+    if (!reminderId || !changesText) {
+        await sock.sendMessage(userId, {
+            text: "Please tell me which reminder to change and how. Examples:\n\n/remind edit [id] tomorrow at 5pm to call mom\n/remind edit [id] to call dad\n/remind edit [id] tomorrow at 5pm\n\nYou can see all your reminders with /reminders"
+        });
+        return;
+    }
+
+    let changes = null;
+    const parsed = reminderUtils.parseReminderCommand(changesText, timezone);
+    const textOnly = changesText.match(/^(?:to|about)\s+(.+)$/i);
+
+    if (parsed) {
+        // Only change the recurrence when the edit names one, so a daily
+        // reminder stays daily when just its time and text are changed
+        changes = { text: parsed.text, time: parsed.time };
+        if (parsed.recurring) {
+            changes.recurring = parsed.recurring;
+        }
+    } else if (textOnly) {
+        changes = { text: textOnly[1].trim() };
+    } else {
+        const time = reminderUtils.parseTimeString(changesText, timezone);
+        if (time) {
+            changes = { time };
+        }
+    }
+
+    if (!changes) {
+        await sock.sendMessage(userId, { text: "⚠️ I couldn't understand that change. Try /remind edit [id] tomorrow at 5pm to call mom" });
+        return;
+    }
+
+    const reminder = await reminderUtils.editReminder(userId, reminderId, changes);
+    if (!reminder) {
+        await sock.sendMessage(userId, { text: "❌ Couldn't find that reminder. Please check the ID and try again." });
+        return;
+    }
+
+    let reply = `✏️ Reminder updated!\n\n`;
+    reply += `📝 ${reminder.text}\n`;
+    reply += `📅 ${formatInTimezone(new Date(reminder.time), timezone)}`;
+    if (reminder.recurring) {
+        reply += `\n🔄 Recurring: ${reminder.recurring}`;
+    }
+
+    await sock.sendMessage(userId, { text: reply });
+}
+
+/**
+ * Snooze a reminder and confirm it to the user
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {string} reminderId - The reminder ID
+ * @param {string} durationText - The snooze duration text (may be empty)
+ * @param {string} timezone - The user's timezone
+ */
+async function handleSnooze(sock, userId, reminderId, durationText, timezone) {
+    if (!reminderId) {
+        await sock.sendMessage(userId, { text: 'Please specify the reminder ID to snooze, e.g. /remind snooze [id] 10m' });
+        return;
+    }
+
+    const minutes = parseSnoozeDuration(durationText);
+    if (!minutes) {
+        await sock.sendMessage(userId, { text: `⚠️ Please give a snooze time like 10m, 30 min or 1h (up to ${MAX_SNOOZE_MINUTES / 60} hours).` });
+        return;
+    }
+
+    // Snoozing moves a reminder that went off; one still to come is edited instead
+    const reminder = await reminderUtils.getReminder(userId, reminderId);
+    if (reminder && !reminder.recurring && !reminder.delivered) {
+        await sock.sendMessage(userId, {
+            text: `⏰ That reminder hasn't gone off yet. To change its time, use /remind edit ${reminderId} [new time]`
+        });
+        return;
+    }
+
+    const until = await reminderUtils.snoozeReminder(userId, reminderId, minutes);
+    if (!until) {
+        await sock.sendMessage(userId, { text: "❌ Couldn't find that reminder. Please check the ID and try again." });
+        return;
+    }
+
+    await sock.sendMessage(userId, {
+        text: `😴 Snoozed for ${minutes} minute${minutes === 1 ? '' : 's'}. I'll remind you again at ${formatInTimezone(until, timezone, { weekday: 'short', year: undefined, month: 'short' })}.`
+    });
+}
+
+/**
+ * Mark a reminder as done and confirm it to the user
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {string} reminderId - The reminder ID
+ */
+async function handleDone(sock, userId, reminderId) {
+    if (!reminderId) {
+        await sock.sendMessage(userId, { text: 'Please specify the reminder ID, e.g. /remind done [id]' });
+        return;
+    }
+
+    const reminder = await reminderUtils.getReminder(userId, reminderId);
+    const completed = await reminderUtils.markReminderAsCompleted(userId, reminderId);
+    if (!completed) {
+        await sock.sendMessage(userId, { text: "❌ Couldn't find that reminder. Please check the ID and try again." });
+        return;
+    }
+
+    await sock.sendMessage(userId, {
+        text: reminder.recurring
+            ? `✅ Great job! I'll remind you again next time (${reminder.recurring}).`
+            : '✅ Great job! Reminder marked as done.'
+    });
+}
+
+/**
+ * Handle a "done" or "snooze 15" reply to a reminder message
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {Object} message - The incoming message
+ * @returns {boolean} - Whether the message was a reminder reply and was handled
+ */
+async function handleReminderReply(sock, message) {
+    const contextInfo = message.message &&
+        message.message.extendedTextMessage &&
+        message.message.extendedTextMessage.contextInfo;
+    if (!contextInfo || !contextInfo.stanzaId) {
+        return false;
+    }
+
+    const text = getMessageText(message).trim();
+    const doneMatch = /^(?:done|ok|okay|✅)[.!]*$/i.test(text);
+    const snoozeMatch = text.match(/^snooze\b\s*(.*)$/i);
+    if (!doneMatch && !snoozeMatch) {
+        return false;
+    }
+
+    const userId = message.key.remoteJid;
+
+    try {
+        const reminderId = await reminderUtils.findReminderByMessageId(userId, contextInfo.stanzaId);
+        if (!reminderId) {
+            return false;
+        }
+
+        if (doneMatch) {
+            await handleDone(sock, userId, reminderId);
+        } else {
+            const userData = await getUserData(userId);
+            await handleSnooze(sock, userId, reminderId, snoozeMatch[1], getUserTimezone(userData, userId));
+        }
+
+        return true;
+    } catch (error) {
+        console.error(`Error handling reminder reply from ${userId}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Set a reminder asked for in a normal message ("remind me tomorrow at 5 to
+ * call mom"), if its time can be understood
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {Object} message - The incoming message
+ * @param {string} request - The reminder part of the message, from the intent classifier
+ * @returns {boolean} - Whether a reminder was set, so the message needs no other reply
+ */
+async function handleReminderRequest(sock, message, request) {
+    const userId = message.key.remoteJid;
+
+    try {
+        const userData = await getUserData(userId);
+        const timezone = getUserTimezone(userData, userId);
+
+        const parsed = reminderUtils.parseReminderCommand(request, timezone);
+        if (!parsed) {
+            return false;
+        }
+        // "remind me to call mom at 5pm" leaves "to call mom" as the text
+        parsed.text = parsed.text.replace(/^(?:to|about)\s+/i, '');
+
+        await setReminder(sock, userId, parsed, timezone);
+        return true;
+    } catch (error) {
+        console.error(`Error handling reminder request from ${userId}:`, error);
+        return false;
+    }
+}
+
+module.exports = {
+    commandHandlers: {
+        '/remind': handleRemindCommand
+    },
+    handleReminderReply,
+    handleReminderRequest,
+    parseSnoozeDuration
+};
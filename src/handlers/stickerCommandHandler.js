@@ -0,0 +1,160 @@
+const { getUserData, saveUserData } = require('../storageUtils');
+const { isPremiumUser } = require('../utils');
+const { EXPRESSIONS, createWhatsAppSticker } = require('../utils/stickerUtils');
+const {
+    VARIANTS_PER_EMOTION,
+    listPackStickers,
+    setPackStickerPinned,
+    removePackSticker
+} = require('../utils/stickerPack');
+
+const USAGE = `To manage it, send:\n` +
+    `/stickers show 3 (or an emotion, e.g. /stickers show love)\n` +
+    `/stickers pin 3 | unpin 3\n` +
+    `/stickers remove 3\n` +
+    `/stickers animated on | off (premium)`;
+
+const EMOTION_ICONS = {
+    happy: '😊',
+    sad: '😢',
+    angry: '😠',
+    surprised: '😲',
+    confused: '🤔',
+    love: '😍',
+    cute: '🥰'
+};
+
+// Most stickers sent for one /stickers show
+const MAX_STICKERS_SHOWN = 5;
+
+/**
+ * Describe a companion's sticker pack
+ * @param {Object} userData - User data
+ * @param {Array<Object>} stickers - Pack entries
+ * @returns {string} - The pack message
+ */
+function describePack(userData, stickers) {
+    let text = `🎨 *${userData.companionName || 'Your companion'}'s stickers*\n\n`;
+
+    if (stickers.length === 0) {
+        text += `No stickers yet. They're added as I send them to you.\n`;
+    }
+    for (const emotion of Object.keys(EXPRESSIONS)) {
+        const entries = stickers.filter(sticker => sticker.emotion === emotion);
+        if (entries.length === 0) {
+            continue;
+        }
+        const list = entries.map(sticker => `#${sticker.id}${sticker.pinned ? ' 📌' : ''} ${sticker.expression || ''}`.trim());
+        text += `${EMOTION_ICONS[emotion]} ${emotion} (${entries.length}/${VARIANTS_PER_EMOTION}): ${list.join(', ')}\n`;
+    }
+
+    text += `\n📌 Pinned stickers are sent more often. Removed ones are replaced with new ones.\n`;
+    text += `🎬 Animated stickers: ${userData.stickerSettings && userData.stickerSettings.animated ? 'On' : 'Off'}\n\n` + USAGE;
+    return text;
+}
+
+/**
+ * Send stickers from the pack
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {Object} userData - User data
+ * @param {Array<Object>} stickers - Pack entries to send
+ */
+async function sendPackStickers(sock, userId, userData, stickers) {
+    for (const entry of stickers.slice(0, MAX_STICKERS_SHOWN)) {
+        const sticker = await createWhatsAppSticker(entry.imagePath, userData, { emotion: entry.emotion });
+        if (sticker) {
+            await sock.sendMessage(userId, { sticker });
+        }
+    }
+}
+
+/**
+ * Handle /stickers - show the companion's sticker pack, pin or remove favourites
+ * and turn animated stickers on or off
+ * Usage: /stickers, /stickers show <id|emotion>, /stickers pin <id>, /stickers unpin <id>,
+ * /stickers remove <id>, /stickers animated <on|off>
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {Object} message - The incoming message
+ * @param {Array<string>} args - Command arguments
+ */
+async function handleStickersCommand(sock, message, args) {
+    const userId = message.key.remoteJid;
+
+    try {
+        const userData = await getUserData(userId);
+        if (!userData || !userData.characterImagePath) {
+            await sock.sendMessage(userId, { text: "Let's set up your companion first! Send /create to get started. 💫" });
+            return;
+        }
+
+        const subcommand = (args[0] || '').toLowerCase();
+        const value = (args[1] || '').toLowerCase().replace(/^#/, '');
+        const stickers = await listPackStickers(userData.characterImagePath);
+        let reply;
+
+        switch (subcommand) {
+            case '':
+            case 'list':
+                await sock.sendMessage(userId, { text: describePack(userData, stickers) });
+                return;
+            case 'show': {
+                const shown = stickers.filter(sticker => sticker.id === value || sticker.emotion === value);
+                if (shown.length === 0) {
+                    reply = `⚠️ I couldn't find that. Send /stickers to see the IDs, then e.g. /stickers show 3`;
+                    break;
+                }
+                await sendPackStickers(sock, userId, userData, shown);
+                return;
+            }
+            case 'pin':
+            case 'unpin': {
+                const sticker = value ? await setPackStickerPinned(userData.characterImagePath, value, subcommand === 'pin') : null;
+                reply = !sticker
+                    ? `⚠️ I couldn't find that. Send /stickers to see the IDs, then e.g. /stickers ${subcommand} 3`
+                    : sticker.pinned
+                        ? `📌 Pinned #${sticker.id}. I'll send it more often!`
+                        : `Unpinned #${sticker.id}.`;
+                break;
+            }
+            case 'remove':
+            case 'delete': {
+                const sticker = value ? await removePackSticker(userData.characterImagePath, value) : null;
+                reply = sticker
+                    ? `🗑️ Removed #${sticker.id}. I'll make a new ${sticker.emotion} sticker next time.`
+                    : `⚠️ I couldn't find that. Send /stickers to see the IDs, then e.g. /stickers remove 3`;
+                break;
+            }
+            case 'animated': {
+                if (value !== 'on' && value !== 'off') {
+                    reply = `⚠️ Please send /stickers animated on or /stickers animated off`;
+                    break;
+                }
+                if (value === 'on' && !await isPremiumUser(userId)) {
+                    reply = `🎬 Animated stickers are a premium feature. Type /premium for more information.`;
+                    break;
+                }
+                userData.stickerSettings = { ...userData.stickerSettings, animated: value === 'on' };
+                await saveUserData(userId, userData);
+                reply = value === 'on'
+                    ? `🎬 Animated stickers are on! I'll bounce, sway and send you hearts. 💕`
+                    : `Animated stickers are off. I'll send still ones.`;
+                break;
+            }
+            default:
+                reply = `⚠️ I don't know that option.\n\n${USAGE}`;
+        }
+
+        await sock.sendMessage(userId, { text: reply });
+    } catch (error) {
+        console.error(`Error handling stickers command for ${userId}:`, error);
+        await sock.sendMessage(userId, { text: 'Sorry, I had trouble with your sticker pack. Please try again.' });
+    }
+}
+
+module.exports = {
+    commandHandlers: {
+        '/stickers': handleStickersCommand
+    },
+    handleStickersCommand
+};
@@ -0,0 +1,87 @@
+const { getUserData, saveUserData } = require('../storageUtils');
+const { scheduleAutoMessagesForUser } = require('../utils/autoMessageUtils');
+const { updateReminderTimezone } = require('../utils/reminderUtils');
+const {
+    resolveTimezone,
+    guessTimezoneFromNumber,
+    getUserTimezone,
+    formatInTimezone,
+    describeOffset,
+    DEFAULT_TIMEZONE
+} = require('../utils/timezoneUtils');
+
+/**
+ * Handle /timezone - show or change the user's timezone
+ * Usage: /timezone, /timezone Asia/Colombo, /timezone sri lanka, /timezone auto
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {Object} message - The incoming message
+ * @param {Array<string>} args - Command arguments
+ */
+async function handleTimezoneCommand(sock, message, args) {
+    const userId = message.key.remoteJid;
+
+    try {
+        const userData = await getUserData(userId);
+        if (!userData) {
+            await sock.sendMessage(userId, { text: "Let's set up your companion first! Send any message to get started. 💫" });
+            return;
+        }
+
+        const input = args.join(' ').trim();
+
+        // Show the current timezone
+        if (!input) {
+            const timezone = getUserTimezone(userData, userId);
+            const source = userData.timezone ? 'set by you' : 'guessed from your number';
+
+            await sock.sendMessage(userId, {
+                text: `🕒 *Your Timezone*\n\n` +
+                    `${timezone} (${describeOffset(timezone)}), ${source}\n` +
+                    `Your local time: ${formatInTimezone(new Date(), timezone)}\n\n` +
+                    `To change it, send:\n` +
+                    `/timezone Asia/Colombo\n` +
+                    `/timezone sri lanka\n` +
+                    `/timezone auto (guess from your number)`
+            });
+            return;
+        }
+
+        const previousTimezone = getUserTimezone(userData, userId);
+        let timezone;
+        if (input.toLowerCase() === 'auto') {
+            delete userData.timezone;
+            timezone = guessTimezoneFromNumber(userId) || DEFAULT_TIMEZONE;
+        } else {
+            timezone = resolveTimezone(input);
+            if (!timezone) {
+                await sock.sendMessage(userId, {
+                    text: `❌ I don't recognize the timezone "${input}".\n\nTry a name like Asia/Colombo, Asia/Dubai or Europe/London.`
+                });
+                return;
+            }
+            userData.timezone = timezone;
+        }
+
+        await saveUserData(userId, userData);
+
+        // Move reminders and daily check-ins to the new local clock
+        await updateReminderTimezone(userId, timezone, previousTimezone);
+        if (userData.autoMessagingEnabled !== false) {
+            scheduleAutoMessagesForUser(sock, userId, userData);
+        }
+
+        await sock.sendMessage(userId, {
+            text: `✅ Timezone set to *${timezone}* (${describeOffset(timezone)}).\n\nYour local time: ${formatInTimezone(new Date(), timezone)}`
+        });
+    } catch (error) {
+        console.error(`Error handling timezone command for ${userId}:`, error);
+        await sock.sendMessage(userId, { text: 'Sorry, I had trouble updating your timezone. Please try again.' });
+    }
+}
+
+module.exports = {
+    commandHandlers: {
+        '/timezone': handleTimezoneCommand
+    },
+    handleTimezoneCommand
+};
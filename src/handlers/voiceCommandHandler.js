@@ -0,0 +1,104 @@
+const { getUserData, saveUserData } = require('../storageUtils');
+const { isPremiumUser } = require('../utils');
+const { VOICES, getCompanionVoice, setCompanionVoice, createVoiceNote } = require('../utils/voiceNotes');
+
+const USAGE = `To change it, send:\n` +
+    `/voice on | off (premium)\n` +
+    `/voice <name> to pick a voice, e.g. /voice ${VOICES[0]}\n` +
+    `/voice test to hear it`;
+
+/**
+ * Send a short voice note in the companion's voice
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {Object} userData - User data
+ * @returns {boolean} - Whether it could be made
+ */
+async function sendVoiceSample(sock, userId, userData) {
+    const text = `Hi ${userData.userName || 'there'}, it's ${userData.companionName || 'me'}! This is how I sound.`;
+    const voiceNote = await createVoiceNote(text, userData, { userId });
+    if (!voiceNote) {
+        return false;
+    }
+    await sock.sendMessage(userId, {
+        audio: voiceNote.audio,
+        mimetype: 'audio/ogg; codecs=opus',
+        ptt: true,
+        seconds: voiceNote.seconds
+    });
+    return true;
+}
+
+/**
+ * Handle /voice - turn voice replies on or off and pick the companion's voice
+ * Usage: /voice, /voice on, /voice off, /voice <name>, /voice test
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {Object} message - The incoming message
+ * @param {Array<string>} args - Command arguments
+ */
+async function handleVoiceCommand(sock, message, args) {
+    const userId = message.key.remoteJid;
+
+    try {
+        const userData = await getUserData(userId);
+        if (!userData || !userData.characterImagePath) {
+            await sock.sendMessage(userId, { text: "Let's set up your companion first! Send /create to get started. 💫" });
+            return;
+        }
+
+        const subcommand = (args[0] || '').toLowerCase();
+        const settings = userData.voiceSettings || {};
+        let reply;
+
+        switch (subcommand) {
+            case '':
+            case 'status':
+                reply = `🎤 *${userData.companionName || 'Your companion'}'s voice*\n\n` +
+                    `Voice replies: ${settings.replies ? 'On' : 'Off'}\n` +
+                    `Voice: ${getCompanionVoice(userData)}\n` +
+                    `Voices: ${VOICES.join(', ')}\n\n` +
+                    `You can always send me voice notes, I'll listen! 💕\n\n` + USAGE;
+                break;
+            case 'on':
+            case 'off':
+                if (subcommand === 'on' && !await isPremiumUser(userId)) {
+                    reply = `🎤 Voice replies are a premium feature. Type /premium for more information.`;
+                    break;
+                }
+                userData.voiceSettings = { ...settings, replies: subcommand === 'on' };
+                await saveUserData(userId, userData);
+                reply = subcommand === 'on'
+                    ? `🎤 Voice replies are on! I'll answer you with voice notes. 💕`
+                    : `Voice replies are off. I'll write to you instead.`;
+                break;
+            case 'test':
+            case 'sample':
+                if (!await sendVoiceSample(sock, userId, userData)) {
+                    reply = `⚠️ I couldn't record a voice note right now. Please try again later.`;
+                    break;
+                }
+                return;
+            default:
+                if (!setCompanionVoice(userData, subcommand)) {
+                    reply = `⚠️ I don't know that voice. Pick one of: ${VOICES.join(', ')}\n\n${USAGE}`;
+                    break;
+                }
+                await saveUserData(userId, userData);
+                await sock.sendMessage(userId, { text: `🎤 I'll speak with the ${getCompanionVoice(userData)} voice now.` });
+                await sendVoiceSample(sock, userId, userData);
+                return;
+        }
+
+        await sock.sendMessage(userId, { text: reply });
+    } catch (error) {
+        console.error(`Error handling voice command for ${userId}:`, error);
+        await sock.sendMessage(userId, { text: 'Sorry, I had trouble with your voice settings. Please try again.' });
+    }
+}
+
+module.exports = {
+    commandHandlers: {
+        '/voice': handleVoiceCommand
+    },
+    handleVoiceCommand
+};
@@ -1 +1,230 @@
-(function(_0x6bc68,_0x1c91b2){function _0x2df741(_0x569fa6,_0x4d7267,_0x2e5876,_0xb7cc64,_0x206702){return _0x1dad(_0x569fa6- -0x35a,_0x4d7267);}function _0x37f25e(_0x46304e,_0x339a6f,_0x4b50b3,_0x5067e7,_0x5a3b1a){return _0x1dad(_0x46304e-0x1d8,_0x339a6f);}const _0x1ff964=_0x6bc68();function _0x2f798e(_0x220eda,_0x17a5d5,_0x13f48f,_0x2deacb,_0x4acb18){return _0x1dad(_0x220eda- -0x74,_0x17a5d5);}function _0x1e6bb1(_0x378781,_0xbbad1d,_0x30194d,_0x1f16ef,_0xd3e87b){return _0x1dad(_0x1f16ef- -0x68,_0xbbad1d);}function _0x9fa8ee(_0x1e3af1,_0x39b072,_0x7e65c,_0x566831,_0x40ad81){return _0x1dad(_0x1e3af1-0x2ed,_0x566831);}while(!![]){try{const _0x63ca11=-parseInt(_0x2f798e(0x182,0x1f5,0x1f1,0x78,0x8d))/(-0x2*0xf4d+-0x12cd+0x3168)*(-parseInt(_0x2f798e(0xa1,0x10,0x14,0x138,-0x52))/(-0x34*-0x3+-0xb71*0x1+-0x39d*-0x3))+parseInt(_0x2f798e(0x132,0x216,0x7b,0xd5,0x15a))/(0x1e8*-0x10+0xe3b*0x2+0x7*0x4b)+parseInt(_0x1e6bb1(0x24f,0x246,0x26a,0x18d,0x26e))/(-0x191b*0x1+-0x63d*-0x2+-0xd*-0xf9)+-parseInt(_0x2f798e(0x274,0x308,0x277,0x25a,0x202))/(0x10a*-0x1e+0x1*0x21d1+-0x2a0)+parseInt(_0x9fa8ee(0x57f,0x4ae,0x62c,0x50d,0x52c))/(0x1c45+0xeb9+-0x2af8*0x1)*(-parseInt(_0x2df741(-0x197,-0x1a1,-0x1ad,-0xd2,-0x1f8))/(0x9e4+0x24e+-0xc2b))+-parseInt(_0x2df741(-0x1d5,-0xc0,-0xe4,-0x183,-0x1a7))/(-0xb03+-0x5ba*-0x2+-0x69)+parseInt(_0x9fa8ee(0x555,0x581,0x5b5,0x572,0x631))/(-0x1806+0x14cc+0x343*0x1);if(_0x63ca11===_0x1c91b2)break;else _0x1ff964['push'](_0x1ff964['shift']());}catch(_0x3d7b91){_0x1ff964['push'](_0x1ff964['shift']());}}}(_0x4b8f,0x1*0x31fbd+0x10*0x3d21+-0x482d9));function _0x28f9e6(_0x1e4639,_0x1e2400,_0x1e2d07,_0x4b1715,_0x58706c){return _0x1dad(_0x1e2d07- -0x3ca,_0x4b1715);}const _0x1a03a1=(function(){function _0x4cee81(_0x338009,_0x4a1a8e,_0x47a515,_0xa1d594,_0x2d97e5){return _0x1dad(_0x2d97e5- -0x306,_0x4a1a8e);}function _0x5b6db4(_0x1e9a87,_0x4d58b6,_0x55ff68,_0x2fc46f,_0x99e7fa){return _0x1dad(_0x99e7fa-0x27b,_0x55ff68);}const _0x49a004={'KwkWD':_0x5b6db4(0x403,0x486,0x4f3,0x457,0x445)+_0x5b6db4(0x4df,0x3fd,0x5e0,0x5b5,0x4fe)+_0x5b6db4(0x2ad,0x469,0x4a0,0x35f,0x3b8)+')','qsWKy':_0x8d8c3d(0xb3,-0x148,-0x5e,0x37,0x18)+_0x8d8c3d(0xe5,0x3c,0x63,-0x88,0x133)+_0x844eb0(0x202,0x233,0x1b2,0x2f3,0x236)+_0x844eb0(0x315,0x257,0x161,0x1f6,0x22b)+_0x4cee81(-0x195,0x5e,-0x5,-0xe0,-0x9a)+_0x4cee81(0x22,-0x23,-0x128,-0x188,-0x8d)+_0x45e05c(-0x38,-0x110,-0x8a,0x14,-0x136),'iojOo':function(_0x38237b,_0x6cf7ad){return _0x38237b(_0x6cf7ad);},'HUriv':_0x5b6db4(0x35a,0x37f,0x30d,0x464,0x382),'tgSgX':function(_0x525e8a,_0x545206){return _0x525e8a+_0x545206;},'SyhjF':_0x5b6db4(0x3c9,0x47d,0x450,0x45f,0x478),'gdzbH':_0x45e05c(-0x3c,-0xd3,0x56,-0x64,-0x111),'WTiTb':function(_0x2e9397){return _0x2e9397();},'dzBDt':function(_0x1171f2,_0x35c4c0,_0x295b26){return _0x1171f2(_0x35c4c0,_0x295b26);},'CSTgy':function(_0x16f9bb){return _0x16f9bb();},'mJkLB':function(_0x585185,_0x1489a6){return _0x585185===_0x1489a6;},'pzWPI':_0x844eb0(0x270,0x313,0x2ed,0x35f,0x37b),'sjcmA':function(_0x54c8b4,_0x3b5d9f){return _0x54c8b4!==_0x3b5d9f;},'KOOHM':_0x8d8c3d(-0x18f,-0x139,-0x98,0x6,-0xb1),'UnKgg':function(_0xf3ed85,_0x500e7b){return _0xf3ed85===_0x500e7b;},'eBnBS':_0x844eb0(0x33a,0x3cd,0x3ca,0x38f,0x300),'eXmnW':_0x45e05c(0x166,0x22d,0x118,0x133,0xc4)};function _0x8d8c3d(_0x1e633c,_0x2c9d51,_0x269104,_0x30a138,_0x2b938d){return _0x1dad(_0x269104- -0x161,_0x1e633c);}function _0x844eb0(_0x220efb,_0x110de8,_0x3807d1,_0xe4ea58,_0x7ae062){return _0x1dad(_0x7ae062-0xb5,_0x110de8);}function _0x45e05c(_0x280fe9,_0x1e5a09,_0x4b63cd,_0x421370,_0x5e7622){return _0x1dad(_0x280fe9- -0xfb,_0x1e5a09);}let _0x3d3d46=!![];return function(_0x4dcc2a,_0xb9a154){function _0x714825(_0x4c169b,_0x1fcf7b,_0x44e259,_0x1aa999,_0x59af45){return _0x8d8c3d(_0x59af45,_0x1fcf7b-0x1cb,_0x44e259-0x444,_0x1aa999-0x1e4,_0x59af45-0x1e5);}function _0x30eceb(_0x37428c,_0x36e857,_0x562c0a,_0x707ef6,_0x4b36cf){return _0x8d8c3d(_0x707ef6,_0x36e857-0x60,_0x37428c-0x37e,_0x707ef6-0x2,_0x4b36cf-0x16e);}const _0x2f69b6={'mfGiM':_0x49a004[_0x49016a(0x3c4,0x4af,0x38e,0x401,0x47b)],'Sdddl':_0x49a004[_0x49016a(0x4cd,0x3c7,0x3b0,0x3c8,0x46b)],'CdFCz':function(_0x227a98,_0xfa1b4b){function _0x13a3d0(_0x2fa17f,_0x5f1f69,_0x13b709,_0x27c499,_0x4ea88d){return _0x49016a(_0x2fa17f-0x1cc,_0x5f1f69-0x190,_0x13b709-0x5c,_0x5f1f69,_0x13b709- -0x52c);}return _0x49a004[_0x13a3d0(-0xa3,-0x241,-0x14a,-0x153,-0x20a)](_0x227a98,_0xfa1b4b);},'nrXOe':_0x49a004[_0x49016a(0x2d2,0x3fc,0x30f,0x422,0x348)],'TQXoP':function(_0x5435a3,_0x1f13ca){function _0x517bc1(_0x3fb280,_0x406bcc,_0x425340,_0xbe1cef,_0x2881dd){return _0x49016a(_0x3fb280-0x1f3,_0x406bcc-0x145,_0x425340-0x109,_0x425340,_0x406bcc-0x14f);}return _0x49a004[_0x517bc1(0x5e7,0x521,0x56e,0x5be,0x516)](_0x5435a3,_0x1f13ca);},'dButF':_0x49a004[_0x16b0a5(0x239,0x18f,0x1fc,0x20c,0x144)],'BcSWt':_0x49a004[_0x16b0a5(0x3a5,0x18a,0x312,0x29b,0x1b9)],'tItyy':function(_0x266e58){function _0x375a9a(_0x4b1096,_0x553d92,_0x40ad47,_0x17a643,_0x1c061a){return _0x16b0a5(_0x4b1096-0x61,_0x4b1096,_0x40ad47-0x70,_0x553d92- -0x2eb,_0x1c061a-0x149);}return _0x49a004[_0x375a9a(-0x15b,-0x59,-0xa9,-0x1f,0x1e)](_0x266e58);},'uPiwg':function(_0x318d08,_0x168e72,_0x4a3120){function _0x23713(_0xb0c15e,_0x143d60,_0xf00015,_0x20e94c,_0x201413){return _0xfa8c0(_0xb0c15e-0x1a0,_0x143d60-0x16e,_0xf00015-0xb6,_0x143d60-0x577,_0x20e94c);}return _0x49a004[_0x23713(0x489,0x428,0x521,0x436,0x39c)](_0x318d08,_0x168e72,_0x4a3120);},'zvIWM':function(_0x28633b){function _0x497d20(_0x3671b8,_0x2c159e,_0x5f3128,_0x7a24ac,_0x2b19fd){return _0x16b0a5(_0x3671b8-0x1c0,_0x5f3128,_0x5f3128-0x192,_0x3671b8- -0x92,_0x2b19fd-0xca);}return _0x49a004[_0x497d20(0x292,0x1ff,0x23d,0x281,0x2b0)](_0x28633b);},'aFroG':function(_0x15ac9b,_0x2a0c01){function _0x480af2(_0x184a28,_0x148982,_0x1913c2,_0x1f85b4,_0x5bbc67){return _0x714825(_0x184a28-0x9d,_0x148982-0x17,_0x1f85b4- -0xc9,_0x1f85b4-0xac,_0x5bbc67);}return _0x49a004[_0x480af2(0x58e,0x5f2,0x54b,0x4f6,0x473)](_0x15ac9b,_0x2a0c01);},'AOsWJ':_0x49a004[_0x49016a(0x34c,0x3ff,0x40a,0x449,0x44a)],'gmzpb':function(_0xfe1911,_0x426414){function _0x19a982(_0x436946,_0x4edbd7,_0x20b805,_0x5dd18e,_0x3bc017){return _0xfa8c0(_0x436946-0x101,_0x4edbd7-0x4a,_0x20b805-0x34,_0x4edbd7-0x617,_0x3bc017);}return _0x49a004[_0x19a982(0x55f,0x5d7,0x6b6,0x503,0x597)](_0xfe1911,_0x426414);},'GbiBz':_0x49a004[_0x30eceb(0x359,0x3b1,0x324,0x3ab,0x413)]};function _0x49016a(_0x269ee2,_0x246b7e,_0x196b11,_0x1324b2,_0x562319){return _0x8d8c3d(_0x1324b2,_0x246b7e-0x1d6,_0x562319-0x38b,_0x1324b2-0xab,_0x562319-0x1aa);}function _0x16b0a5(_0x4ca481,_0x5c62df,_0x173c1e,_0x3179bf,_0x47d714){return _0x8d8c3d(_0x5c62df,_0x5c62df-0xb3,_0x3179bf-0x1d2,_0x3179bf-0xb8,_0x47d714-0x73);}function _0xfa8c0(_0x4175de,_0x4f8d8f,_0x480c13,_0x4ef8f4,_0x57bded){return _0x4cee81(_0x4175de-0x75,_0x57bded,_0x480c13-0x19e,_0x4ef8f4-0xb7,_0x4ef8f4-0x53);}if(_0x49a004[_0xfa8c0(-0x18e,-0x1d9,-0xd1,-0x1e2,-0x284)](_0x49a004[_0xfa8c0(-0x190,-0x1d4,-0xb6,-0x1b3,-0x1cc)],_0x49a004[_0xfa8c0(-0x1cd,-0x12,-0x1fc,-0x117,-0xf0)])){const _0x24c1d3=_0x428108?function(){function _0x50d2fe(_0x437fd0,_0x5ea29c,_0x2e2e2e,_0x40e5c9,_0x2380b3){return _0xfa8c0(_0x437fd0-0xe3,_0x5ea29c-0x162,_0x2e2e2e-0xd1,_0x437fd0- -0x70,_0x40e5c9);}if(_0x1753a9){const _0x56a07e=_0x207414[_0x50d2fe(-0x1d2,-0x1ed,-0x257,-0x12d,-0x201)](_0x5b6459,arguments);return _0x408b74=null,_0x56a07e;}}:function(){};return _0x330352=![],_0x24c1d3;}else{const _0x4015f5=_0x3d3d46?function(){const _0x29b8f8={'YqkUP':_0x2f69b6[_0x43510d(0xff,-0x91,-0xd,0xde,-0xc8)],'jALXI':_0x2f69b6[_0x43510d(-0xfa,-0x1e8,-0x14d,-0x95,-0x7f)],'ssGyz':function(_0x29f6a6,_0x22277f){function _0x4ef3b7(_0x2832e8,_0xd0377e,_0x5d71ef,_0x557e15,_0x330a0c){return _0x43510d(_0x2832e8-0x24,_0xd0377e-0x91,_0xd0377e-0x469,_0x557e15,_0x330a0c-0x44);}return _0x2f69b6[_0x4ef3b7(0x39e,0x2bb,0x1d9,0x248,0x2f3)](_0x29f6a6,_0x22277f);},'LUOTi':_0x2f69b6[_0x2bbb51(-0x113,-0x7f,-0x183,-0x1b4,-0x6f)],'sNcgW':function(_0x515810,_0x292e3b){function _0x103526(_0x867736,_0x2cbbdb,_0x1021c0,_0x36f670,_0xd4eb2f){return _0x43510d(_0x867736-0x169,_0x2cbbdb-0x1ba,_0x1021c0-0x66a,_0xd4eb2f,_0xd4eb2f-0xeb);}return _0x2f69b6[_0x103526(0x5fd,0x615,0x621,0x578,0x6a9)](_0x515810,_0x292e3b);},'oUVrB':_0x2f69b6[_0x2bbb51(-0x2e9,-0x2fd,-0x1e8,-0x260,-0x22c)],'rjSmO':_0x2f69b6[_0x214801(0x503,0x60b,0x583,0x5f3,0x47f)],'IQAGM':function(_0x5205cb){function _0x1c32d3(_0x2e973d,_0x26bfc2,_0x4c2928,_0xede47a,_0x17f7f8){return _0x214801(_0x2e973d-0xf5,_0x17f7f8,_0x2e973d-0x99,_0xede47a-0x56,_0x17f7f8-0x104);}return _0x2f69b6[_0x1c32d3(0x4e9,0x4a7,0x57d,0x5ac,0x478)](_0x5205cb);},'DkKNe':function(_0x37986c,_0x23680a,_0x551621){function _0x542ff4(_0x4f29ad,_0x2fc63d,_0x48f178,_0x5cf144,_0x46d43a){return _0x43510d(_0x4f29ad-0x177,_0x2fc63d-0x103,_0x48f178- -0x3d,_0x46d43a,_0x46d43a-0xb3);}return _0x2f69b6[_0x542ff4(-0x11e,-0x162,-0xf2,-0x17b,-0x194)](_0x37986c,_0x23680a,_0x551621);},'AFcrZ':function(_0x42117a){function _0xe42c7f(_0x37b7b0,_0xbd3ca2,_0x17363a,_0x191826,_0x5dc8b1){return _0x214801(_0x37b7b0-0x189,_0x17363a,_0x191826-0xab,_0x191826-0x33,_0x5dc8b1-0x30);}return _0x2f69b6[_0xe42c7f(0x4b9,0x5e4,0x4b4,0x4c8,0x566)](_0x42117a);}};function _0x43510d(_0x1d1f5c,_0x574992,_0x4b982d,_0x5414fa,_0x2b52e9){return _0x714825(_0x1d1f5c-0x1af,_0x574992-0x1e1,_0x4b982d- -0x57f,_0x5414fa-0x65,_0x5414fa);}function _0x214801(_0x1dcf33,_0x10d8ac,_0x14550a,_0x11469c,_0xdf39dc){return _0x49016a(_0x1dcf33-0x1aa,_0x10d8ac-0x1e1,_0x14550a-0x68,_0x10d8ac,_0x14550a-0x83);}function _0x54be4c(_0x348d79,_0x588e68,_0x4a2111,_0x48a926,_0xb8a2c8){return _0xfa8c0(_0x348d79-0x1a,_0x588e68-0xfb,_0x4a2111-0xcb,_0x4a2111-0x546,_0x588e68);}function _0x4d7f71(_0xfd41e6,_0x4771ed,_0x492c59,_0x1b41c0,_0xcbd86d){return _0x30eceb(_0xcbd86d- -0x385,_0x4771ed-0x15f,_0x492c59-0xda,_0x1b41c0,_0xcbd86d-0x13e);}function _0x2bbb51(_0x2f2142,_0x258a82,_0xc292dd,_0x55413a,_0x26c507){return _0x714825(_0x2f2142-0x1f0,_0x258a82-0x1d4,_0xc292dd- -0x6b3,_0x55413a-0xb8,_0x26c507);}if(_0x2f69b6[_0x2bbb51(-0x271,-0x2e4,-0x249,-0x2b0,-0x233)](_0x2f69b6[_0x2bbb51(-0x16e,-0x247,-0x214,-0x2c6,-0x21e)],_0x2f69b6[_0x43510d(-0x1aa,-0x40,-0xe0,-0x9a,-0x116)])){if(_0xb9a154){if(_0x2f69b6[_0x2bbb51(-0x119,-0x249,-0x197,-0xa6,-0x291)](_0x2f69b6[_0x4d7f71(-0xc0,0x68,0x9a,0x84,0x14)],_0x2f69b6[_0x4d7f71(-0x13,-0x1d,0x1d,-0xe3,0x14)])){const _0x577eb0={'zcpih':_0x29b8f8[_0x43510d(0xe8,0x46,0x47,0x0,0xb0)],'Mbmfm':_0x29b8f8[_0x214801(0x331,0x41f,0x418,0x376,0x318)],'ydpBb':function(_0x2b4398,_0x90f162){function _0x2382b5(_0x5e36e2,_0x13fb3e,_0x59be0b,_0x33a382,_0x296885){return _0x54be4c(_0x5e36e2-0xf7,_0x296885,_0x59be0b-0x116,_0x33a382-0x1ce,_0x296885-0x32);}return _0x29b8f8[_0x2382b5(0x5de,0x707,0x5fb,0x633,0x520)](_0x2b4398,_0x90f162);},'bIRNM':_0x29b8f8[_0x4d7f71(0x1ac,0xb1,0xb2,0x257,0x160)],'fDwPa':function(_0x27b5c3,_0x1d7f94){function _0x25831e(_0x2d6b90,_0x37f59d,_0x363816,_0x18818e,_0x3f3565){return _0x54be4c(_0x2d6b90-0x83,_0x363816,_0x3f3565- -0x4e5,_0x18818e-0xe9,_0x3f3565-0x33);}return _0x29b8f8[_0x25831e(0x39,0x8f,0x3,-0x85,0x19)](_0x27b5c3,_0x1d7f94);},'iyyRo':_0x29b8f8[_0x214801(0x542,0x54f,0x52a,0x581,0x50f)],'sBUBA':_0x29b8f8[_0x2bbb51(-0x1f0,-0x1b7,-0x2ae,-0x24d,-0x2f0)],'XBwnd':function(_0x2b57be){function _0x24639b(_0x525acd,_0x4edcd4,_0x5d72fb,_0x34c46d,_0x244196){return _0x4d7f71(_0x525acd-0x11,_0x4edcd4-0x1a6,_0x5d72fb-0x13a,_0x34c46d,_0x244196- -0x5d);}return _0x29b8f8[_0x24639b(0xa,-0x7e,0x73,0xb9,0x7a)](_0x2b57be);}};_0x29b8f8[_0x214801(0x2ea,0x37c,0x397,0x39b,0x4a9)](_0x21ee45,this,function(){function _0x35bf61(_0x4ce50f,_0x23cf88,_0x3fbd16,_0x23a602,_0x367731){return _0x43510d(_0x4ce50f-0x1a9,_0x23cf88-0x9b,_0x4ce50f-0x5e8,_0x367731,_0x367731-0x8b);}function _0x5e95dc(_0x338f72,_0x4995fa,_0x13495c,_0x4ca54f,_0xcd91c){return _0x54be4c(_0x338f72-0x1a2,_0xcd91c,_0x4ca54f- -0x135,_0x4ca54f-0x159,_0xcd91c-0x186);}function _0x12d37b(_0x41b70b,_0x231b1e,_0x2a383f,_0x525233,_0x247ace){return _0x54be4c(_0x41b70b-0xaa,_0x2a383f,_0x525233- -0x3b9,_0x525233-0x111,_0x247ace-0xec);}function _0x45b2f7(_0xb996ef,_0x14337a,_0x3a18d8,_0xbdaf58,_0x293f98){return _0x54be4c(_0xb996ef-0x19d,_0xb996ef,_0x14337a- -0x1d2,_0xbdaf58-0x52,_0x293f98-0x1d);}const _0x450cf3=new _0x3f45a8(_0x577eb0[_0x5e95dc(0x32e,0x3df,0x317,0x41c,0x419)]),_0x4c3e99=new _0x3808a2(_0x577eb0[_0x12d37b(0x27,0x12,0x14a,0xa9,0xa4)],'i'),_0x114cb3=_0x577eb0[_0x18c721(0x25e,0x2f2,0x20d,0x264,0x29e)](_0x3e7f38,_0x577eb0[_0x5e95dc(0x1d4,0x251,0x1fe,0x2d7,0x1e5)]);function _0x18c721(_0x16655b,_0xabb0fa,_0x1891d8,_0x5f3e47,_0x202a91){return _0x2bbb51(_0x16655b-0x191,_0xabb0fa-0x1a,_0x16655b-0x410,_0x5f3e47-0x4e,_0xabb0fa);}!_0x450cf3[_0x5e95dc(0x373,0x30b,0x51e,0x40d,0x3fd)](_0x577eb0[_0x18c721(0x2ec,0x39f,0x1fc,0x320,0x2d4)](_0x114cb3,_0x577eb0[_0x5e95dc(0x2f9,0x1ae,0x345,0x27b,0x1c5)]))||!_0x4c3e99[_0x18c721(0x2ef,0x3a1,0x404,0x1ee,0x25a)](_0x577eb0[_0x12d37b(0x23a,0x26b,0xc2,0x186,0x12d)](_0x114cb3,_0x577eb0[_0x35bf61(0x632,0x659,0x6aa,0x551,0x6ab)]))?_0x577eb0[_0x35bf61(0x56a,0x66d,0x64c,0x63b,0x60a)](_0x114cb3,'0'):_0x577eb0[_0x12d37b(0x273,0xec,0x28a,0x1be,0x1e5)](_0x5a77be);})();}else{const _0x523d32=_0xb9a154[_0x2bbb51(-0x1a0,-0x2e7,-0x27f,-0x388,-0x398)](_0x4dcc2a,arguments);return _0xb9a154=null,_0x523d32;}}}else _0x29b8f8[_0x4d7f71(0x158,0x12e,0x8c,0xe5,0x99)](_0x3f9a8b);}:function(){};return _0x3d3d46=![],_0x4015f5;}};}()),_0x489085=_0x1a03a1(this,function(){const _0x100325={};function _0x57b37a(_0x6943cd,_0x95f081,_0x9a187c,_0x3acc79,_0x2acacd){return _0x1dad(_0x9a187c- -0x22f,_0x3acc79);}function _0x5de6a4(_0x49aae7,_0x22c66b,_0xd5d011,_0x2bc627,_0xc3dc54){return _0x1dad(_0x2bc627-0x247,_0x49aae7);}_0x100325[_0x55e405(0x2,-0x10b,-0x18,0x2a,-0x1e)]=_0x55e405(0x2d,0x107,0x50,-0x38,0xc7)+_0xd379af(-0x256,-0x24f,-0x1bb,-0x170,-0x147)+'+$';const _0x3f7d88=_0x100325;function _0x5b6bf8(_0x16c568,_0x96cbf1,_0x13509a,_0x23a2b1,_0x1853ca){return _0x1dad(_0x13509a-0x1f3,_0x16c568);}function _0x55e405(_0x5e26e0,_0x58d921,_0x57d6ad,_0x131d4e,_0x27b047){return _0x1dad(_0x27b047- -0x22e,_0x131d4e);}function _0xd379af(_0x2a5599,_0x51e03d,_0x5f0c80,_0x48fa07,_0x5c45cc){return _0x1dad(_0x5c45cc- -0x22c,_0x2a5599);}return _0x489085[_0xd379af(-0x51,-0x166,0x29,-0x4d,-0xb4)+_0x5b6bf8(0x21f,0x35b,0x2f2,0x37c,0x38e)]()[_0x5de6a4(0x2ca,0x382,0x2d8,0x343,0x3c9)+'h'](_0x3f7d88[_0xd379af(0x78,0x5c,-0xbc,0x61,-0x1c)])[_0xd379af(0x50,-0x6c,-0x1a5,-0x58,-0xb4)+_0x5de6a4(0x3f5,0x446,0x40a,0x346,0x241)]()[_0x57b37a(-0x71,-0x7c,0x96,-0x3f,0x53)+_0x5b6bf8(0x3d9,0x454,0x348,0x298,0x341)+'r'](_0x489085)[_0x5de6a4(0x336,0x247,0x260,0x343,0x2bd)+'h'](_0x3f7d88[_0x5b6bf8(0x344,0x3d7,0x403,0x4d1,0x4c4)]);});function _0x4b8f(){const _0x385231=['kxiPP','swGJp','ages','t\x20to\x20','fgyeI','rrent','\x20remi','ydpBb','GDQfg','pzWPI','WTiTb','conve','d*\x20⚠️\x0a','eHand','\x20usin','aJQar','jDxco','lunch','Hpggs','gdzbH','bChle','remin','bind','.\x20Try','fLdUQ','tring','I\x20cou','\x20to\x20r','exten','ls/li','pgYzC','lease','(to|a','numer','gmzpb','eques','WpFmH','kdaSk','creat','XCfxY','IQAGM','aleSt','qsWKy','regis','QCEfI','cdCFa','12:02','year','TliPs','tered','d\x20ins','BOT_N','yzplv','./han','nrXOe','PQkpA','daily','\x20toda','KwkWD','ssGyz','TQXoP','patte','TIagn','JPuRV','weekl','/coll','bout)','env','image','split','Ooqxq','nMKHa','AdqNL','t\x20Not','JDdFC','tiofr','eys','VsGXS','orXSP','eLast','ster','3362013ZSxpZg','repla','cOTHp','sNcgW','0-9a-','pamBM','Messa','rBdfX','ldn\x27t','g\x20the','u\x20wan','sjcmA','JXyui','uizQi','hTXNx','qVlKZ','ind\x20c','zA-Z_','NymHp','ls/re','ed.\x20P','oUVrB','ckets','\x0aThis','mgrFs','GyEaD','YHQwk','ion\x20*','xwrZY','bUVfT','user','NYNGQ','/bail','Kprfy','he\x20bo','aIAIf','\x0a🔄\x20Re','KKwSN','is\x22)(','mfGiM','setIn','warn','202596CFdUaU','t\x20own','statu','nstru','MFYGs','/conv','HenxU','\x20hand','TimeS','\x20Regi','qIBqS','toMes','fonIT','EJLoR','ler','tion.','text','@s.wh','count','WNER','EsJGp','BotSt','rn\x20th','gger','sSywc','s@bro','fDwPa','eRemi','ersto','test','/user','UfMRf','\x20(.*?','CSTgy','\x20like','rKpLh','d\x20you','kRLqn','remot','stere','(at|o','WWVkc','blaAv','SvfIr','zcpih','JVNyi','WtIFo','\x20/rem','awEju','tra','📅\x20','const','vdzEc','gtIio','LUOTi','GrPav','y\x20at\x20','emind','d\x20the','sendM','aUstS','ONOsU','xXFtN','sbsFF','is\x20cu','ZMOfP','pRwwM','MbjFx','BcSWt','strin','QhCqo','mKqCv','CvGPP','proto','mJkLB','EUzvC','rsati','curri','pArdI','sourc',':\x0a\x0a/r','YqkUP','XBwnd','Utils','sBUBA','\x20but\x20','1519790FMYKzx','\x20to\x20*','PxzPt','fromM','yqMGs','jfjlL','LiYtw','vvKvQ','eJid','AYlUE','DdEoF','CKgss','@whis','(((.+','JTreW','input','minde','n()\x20','\x22retu','$]*)','cense','debu','pm\x20to','rUtil','EFDgc','uRbIf','bout|','XFvZo','ufRth','KANAe','cMiQW','jVJTa','VjFnA','UnKgg','UNQbU','for)','fFAKB','error','ONtQy','toLoc','Inter','rJfMR','POJEH','zpFYX','GZdCE','YuUSk','hour','chPBl','atus','/imag','call','capti','etjfo',')+)+)','qNkrp','RlmRd','FYXUs','SjLdl','DkKNe','\x20eat\x20','yrcKv','dlers','CdFCz','FWwST','GIpjY','2-dig','info','ersat','eArKj','cnDCe','retur','\x20a\x20re','hGKOi','xtNKP','vZgij','IpBqm','searc','State','xCIwA','ing','eBnBS','JPELM','messa','\x5c+\x5c+\x20','nder\x20','JJfiu','to\x20(.','init','yZRZG','lETYx','long','ly\x20no','wMbSq','fFijh','terva','nder,','while','Error','succe','Tbkyx','istra','8786yBZjdv','andHa','ExCrN','gIXxb','pSjiM','updat','ndler','dedTe','iyyRo','HUriv','LCKcx','to__','PqKQo','rjSmO','xfnoT','⚠️\x20*Bo','tils','DnaBf','n|in)','VHjzf','BOT_O','bWEaO','NhvsA','r\x20for','uLlRm','lKDxY','state','key','tead,','ecSyN','VtVPs','TzyRA','rlWiF','day','xtMes','QMFOQ','Objec','yoIcx','pfpdY','KOOHM','\x5c(\x20*\x5c','en-US','mpVQW','jIash','essag','EVbcR','ZDKPn','cqoyX','oURfU','compa','xIZLR','JGIdJ','tAOKn','dJGrr','sOQuC','lIfOO','dLIKh','PepBB','Sdddl','/regi','apply','vovre','ng:\x20','nWauJ','ructo','p.net','adcas','lcEct','SpCnp','ring','mCwzE','\x20bot\x20','IHsgC','lengt','dQUVx','Cdaxi','kvzZj','MqpZe','match','dzBDt','\x20(tru','\x20wa.m','eMess','handl','bkjkj','JEcFP','jALXI','WJwnw','HJyzs','AybiX','dHwWO','zvIWM','|in)','CwNDp','sageU','set\x20a','ame','Z_$][','zDZRk','toStr','bIRNM','gjvSK','\x20unde','GbiBz','log','\x20cont','weekd','hIZAu','a-zA-','fqAeA','expor','excep','1545688IYxtzF','hsRAw','aFroG','IPzgh','gwjHv','LUFeq','conso','nTime','zxhJr','FKwGG','Handl','opDtL','LTBkb','rstan','fs-ex','__pro','XqYDb','t\x20reg','ling\x20','mTQBM','bdQSk','yRLQy','SyhjF','eXmnW','rFOiw','dwoeL','act\x20t',')\x20to','type','e\x20set','tItyy','QMXuZ','Gevog','303582SuNfeV','actio','tgSgX','atsap','PREKj','keyso','./uti','UUWxz','dCPXr','vDGml','nctio','KlVRx','ctor(','mLumV','ister','ionHa','dlANg','bdllX','iojOo','table','nionN','OPcnt','AOsWJ','Hmpob','start','I\x27ll\x20','MSuMM','trim','RyoJI','21bhyaDq','*(?:[','I\x20und','tion','\x20time','omman','wDYzf','funct','eMzHO','LFKqa','e)\x20{}','uovIo','Mbmfm','ls/au','minut','sage','JnlyB','SerGq','n\x20(fu','fZojS','kycsy','FccLJ','GvVHf','NtWuw','qiLEW','cliSZ','GIXkm','/comm','ZWACY','NonFy','*?)\x20(','RtzjR','TusKv','ge:','JmXWW','Uuagq','uPiwg','dButF','hqxXe','vEZxu','Mlfvh','UkVZh','dFaKY','er\x20at','JNTIe','✅\x20I\x27v','hzXEe','JHLML','path','ewNSs','394744hUxPlX','42AsecZd','trace','QYvRL','d\x20me\x20','at|on','aTRDW','check','chain','sWith','KoCJI','eQfCd','AFcrZ','\x20you!','{}.co','month','vJKNg','SQgKs','Okioc','BxhkF','WAaXf','HkcCh','XzpGZ','nder','parse','UMBER','in\x201\x20','cSgOI','OLkOv','od\x20yo','zxtpN','dmZoe','wRxVu','iTBQo'];_0x4b8f=function(){return _0x385231;};return _0x4b8f();}_0x489085();const _0x45f4d1=(function(){function _0x47531e(_0x3df75e,_0x5e7462,_0x16c298,_0x1abc37,_0x3c55a6){return _0x1dad(_0x16c298- -0x29d,_0x5e7462);}const _0x40ccd4={};_0x40ccd4[_0x2d8fd9(0x418,0x378,0x2ee,0x3ae,0x34a)]=_0x432a46(0x89,0x110,0xcf,0x16c,0x1d2)+_0x2d8fd9(0x2e0,0x177,0x14e,0x2f5,0x245);function _0x2d8fd9(_0x223202,_0x5c3a66,_0x512dce,_0x2783e8,_0x4f5228){return _0x1dad(_0x4f5228-0x167,_0x512dce);}_0x40ccd4[_0x47531e(-0x12d,-0xa5,-0x195,-0x263,-0x24d)]=function(_0x46a602,_0x460f6b){return _0x46a602===_0x460f6b;},_0x40ccd4[_0x432a46(0x1e2,0xd2,0x212,0x19b,0x1a7)]=_0x33840b(0x115,0x4c,-0x98,0x71,0x142);function _0x432a46(_0x1cecdd,_0x4f0d1f,_0x477a23,_0x29a63f,_0x197c92){return _0x1dad(_0x29a63f- -0xa3,_0x1cecdd);}_0x40ccd4[_0x432a46(0x6,0x1bf,0x98,0xc7,-0x3)]=_0x969582(0xbe,0x8d,0x92,0xd0,0x115),_0x40ccd4[_0x2d8fd9(0x44a,0x2e7,0x3d2,0x329,0x350)]=function(_0xfa2126,_0x5d7deb){return _0xfa2126!==_0x5d7deb;},_0x40ccd4[_0x969582(0x2b2,0x2e6,0x320,0x24b,0x19e)]=_0x33840b(0xe1,0x7a,0xa2,0x54,0x52);function _0x33840b(_0x1abea2,_0x3abe2e,_0x5162ca,_0x3beb19,_0x48e85e){return _0x1dad(_0x3beb19- -0xd4,_0x3abe2e);}_0x40ccd4[_0x969582(-0x28,0x170,0x1a0,0x90,0x69)]=_0x33840b(0x114,0x1a9,0x6,0x99,-0x7c),_0x40ccd4[_0x969582(0x236,0x194,0x235,0x22c,0x183)]=_0x47531e(-0x125,-0x221,-0x15a,-0x272,-0x1fb),_0x40ccd4[_0x969582(0x27a,0x20c,0x106,0x21d,0x1e6)]=_0x969582(-0x9,-0x1,0x18b,0x8f,0x171);const _0x4a6cc7=_0x40ccd4;let _0x194516=!![];function _0x969582(_0x1e44f9,_0x2d4aed,_0xecdf5b,_0x128824,_0x4c5b53){return _0x1dad(_0x128824- -0x6a,_0x1e44f9);}return function(_0x5804f6,_0x54451e){const _0x78119d={'FKwGG':function(_0x1dfdf5,_0x1d88b0){function _0x1abde7(_0x11ee7e,_0xf9112a,_0x4d89ba,_0x1be640,_0xfa4573){return _0x1dad(_0xfa4573- -0x148,_0x4d89ba);}return _0x4a6cc7[_0x1abde7(0x21,-0x12f,-0xbd,-0x42,-0x40)](_0x1dfdf5,_0x1d88b0);},'HkcCh':_0x4a6cc7[_0x1c4f75(0x2a5,0x2c6,0x23e,0x37e,0x23f)],'vJKNg':_0x4a6cc7[_0x1c4f75(0x1d1,0x187,0x1a2,0x104,0x20a)],'PqKQo':function(_0x373977,_0x3bd9f1){function _0x5924bf(_0x43efe7,_0xab533f,_0x45c6a7,_0x3e646f,_0x4f92e5){return _0x1c4f75(_0xab533f- -0xda,_0xab533f-0xa2,_0x43efe7,_0x3e646f-0xc0,_0x4f92e5-0x16d);}return _0x4a6cc7[_0x5924bf(0x6f,0x176,0xf9,0x13f,0x64)](_0x373977,_0x3bd9f1);},'orXSP':_0x4a6cc7[_0x907d88(0x249,0x233,0x261,0x172,0x244)],'TIagn':_0x4a6cc7[_0xd8269c(-0x2ae,-0x19b,-0x1b7,-0x1c2,-0x282)]};function _0xd8269c(_0x471b77,_0x3cec37,_0x9db504,_0x2a5fe5,_0x581c85){return _0x432a46(_0x2a5fe5,_0x3cec37-0x1d9,_0x9db504-0xe8,_0x9db504- -0x20e,_0x581c85-0x1c1);}function _0x3602e3(_0x14d880,_0x10a142,_0x1e2032,_0x557384,_0x43c6b7){return _0x432a46(_0x14d880,_0x10a142-0x122,_0x1e2032-0x9d,_0x557384-0x146,_0x43c6b7-0x1a4);}function _0x5c027e(_0x5aa3f1,_0x3278e2,_0x2fd75b,_0x4435dd,_0x52a7d9){return _0x33840b(_0x5aa3f1-0x1b4,_0x52a7d9,_0x2fd75b-0x1ab,_0x3278e2- -0x132,_0x52a7d9-0x6);}function _0x1c4f75(_0x2f809d,_0x137367,_0x425f04,_0x4f1655,_0x7ae423){return _0x969582(_0x425f04,_0x137367-0x16a,_0x425f04-0x1a5,_0x2f809d-0xd1,_0x7ae423-0x1a3);}function _0x907d88(_0x1deeef,_0x26952e,_0x427566,_0x5d9650,_0x35b276){return _0x432a46(_0x1deeef,_0x26952e-0x1cf,_0x427566-0x174,_0x35b276-0x32,_0x35b276-0x167);}if(_0x4a6cc7[_0x3602e3(0x112,0x23d,0x20a,0x1ab,0x2b3)](_0x4a6cc7[_0x3602e3(0x2ab,0x3a1,0x3e6,0x339,0x29f)],_0x4a6cc7[_0xd8269c(-0x11b,0x43,-0x2a,0x10,-0x138)]))_0x26b784=_0x63811a[-0xe51+-0x1*-0x2501+0x1*-0x16af],_0x3e024f=_0x4a6cc7[_0x1c4f75(0x24a,0x1b4,0x35f,0x2f4,0x22e)];else{const _0x41db20=_0x194516?function(){function _0x4cf9aa(_0x515d87,_0x5da67a,_0x554be0,_0x3cebcc,_0x2b24c0){return _0x1c4f75(_0x515d87- -0x348,_0x5da67a-0x1f3,_0x2b24c0,_0x3cebcc-0x72,_0x2b24c0-0x173);}function _0x32fe74(_0x587dcb,_0x2ecd06,_0x320807,_0x4be5a2,_0x5f2450){return _0xd8269c(_0x587dcb-0x192,_0x2ecd06-0x56,_0x5f2450-0x302,_0x2ecd06,_0x5f2450-0x101);}function _0x53beb4(_0x4bb099,_0x17c02e,_0x22a216,_0x106ad9,_0x399a22){return _0x3602e3(_0x399a22,_0x17c02e-0x187,_0x22a216-0x1ec,_0x22a216-0x53,_0x399a22-0x130);}function _0x331e89(_0x5db261,_0x3c999b,_0x258cbe,_0x5e8175,_0x15123b){return _0x3602e3(_0x5e8175,_0x3c999b-0x9d,_0x258cbe-0x19d,_0x5db261-0x1ef,_0x15123b-0xd5);}function _0x35cf42(_0x28d4c7,_0x29f701,_0xf8cb1a,_0x4a3cf1,_0x414292){return _0xd8269c(_0x28d4c7-0x5f,_0x29f701-0xbf,_0xf8cb1a- -0x75,_0x414292,_0x414292-0x1b);}if(_0x78119d[_0x35cf42(-0x1cd,-0x269,-0x198,-0x1fc,-0x25f)](_0x78119d[_0x35cf42(-0x112,-0x1a6,-0x11c,-0xd0,-0xf4)],_0x78119d[_0x53beb4(0x2c4,0x218,0x2fb,0x229,0x333)])){if(_0x972998){const _0x1513ce=_0x546a40[_0x331e89(0x3e3,0x45b,0x2e4,0x414,0x414)](_0xb16165,arguments);return _0x3e4e73=null,_0x1513ce;}}else{if(_0x54451e){if(_0x78119d[_0x4cf9aa(-0x1c0,-0x10c,-0x200,-0x18d,-0x19e)](_0x78119d[_0x53beb4(0x3f0,0x246,0x35b,0x2d8,0x286)],_0x78119d[_0x32fe74(0x337,0x272,0x1af,0x1c3,0x2a6)])){const _0x7e80c9=_0x54451e[_0x35cf42(-0x1ef,-0x2ca,-0x1d5,-0x1cd,-0x131)](_0x5804f6,arguments);return _0x54451e=null,_0x7e80c9;}else{const _0x542bed=_0x4eb789?function(){function _0x23d2a6(_0x2094eb,_0x1431f8,_0x98846b,_0x400072,_0x3cdcf7){return _0x35cf42(_0x2094eb-0xa,_0x1431f8-0x5c,_0x2094eb-0x2d8,_0x400072-0x68,_0x400072);}if(_0x57a3fc){const _0x26b419=_0x2a2703[_0x23d2a6(0x103,0x136,0x34,0x9,0x2d)](_0xfd51b9,arguments);return _0x48fcaf=null,_0x26b419;}}:function(){};return _0x597a95=![],_0x542bed;}}}}:function(){};return _0x194516=![],_0x41db20;}};}());function _0xe88d70(_0x50bc61,_0x1c3bbf,_0x360737,_0x94eb4d,_0x2d0832){return _0x1dad(_0x94eb4d- -0xb6,_0x1c3bbf);}(function(){const _0xcb9e05={'bdQSk':function(_0x2623cd,_0x31c1b6){return _0x2623cd!==_0x31c1b6;},'qNkrp':_0x1215c0(0x2d6,0x26d,0x30a,0x41e,0x3c1),'IHsgC':_0x110bbd(0x128,0x209,0x79,0x111,0x227)+_0x1215c0(0x41f,0x2eb,0x3c2,0x30b,0x442)+_0x1215c0(0x23e,0x16f,0x27c,0x30b,0x387)+')','kxiPP':_0x337ec5(-0x7b,0x8b,-0x58,0x21,0x90)+_0x38afb8(-0x98,-0xe1,-0x153,0x17,-0x148)+_0x38afb8(-0x23b,-0x124,-0x95,-0x95,-0x83)+_0x110bbd(0xd4,0x42,0x5b,0x97,0x167)+_0x20411d(0x444,0x4dc,0x51e,0x481,0x56c)+_0x337ec5(0x20f,0x151,0x119,0x197,0x18a)+_0x38afb8(-0x29b,-0x1e2,-0xd1,-0x233,-0x1a5),'NhvsA':function(_0x3fccfa,_0x23885b){return _0x3fccfa(_0x23885b);},'dJGrr':_0x20411d(0x282,0x377,0x45b,0x2d9,0x3b9),'uovIo':function(_0x2dc506,_0x529780){return _0x2dc506+_0x529780;},'Cdaxi':_0x110bbd(0x15b,0x243,0x12e,0x8d,0xcd),'bWEaO':_0x1215c0(0x2c6,0x27b,0x1fe,0x25c,0x2dd),'yRLQy':function(_0x46d520,_0x372be0){return _0x46d520===_0x372be0;},'fZojS':_0x337ec5(-0xf,0x123,-0x7c,0x5e,-0x1a),'WAaXf':function(_0xf4b8d1,_0x156b9d){return _0xf4b8d1(_0x156b9d);},'KlVRx':function(_0x4e42ba,_0x3b39fe){return _0x4e42ba!==_0x3b39fe;},'MqpZe':_0x1215c0(0x2cf,0x35f,0x3d7,0x353,0x3dc),'Kprfy':function(_0x2b778a){return _0x2b778a();},'XFvZo':function(_0x3efd34,_0x39b513,_0x37bd7e){return _0x3efd34(_0x39b513,_0x37bd7e);}};function _0x20411d(_0x313ddb,_0x4879a6,_0x3ba8fa,_0x9d7810,_0x26488c){return _0x1dad(_0x4879a6-0x270,_0x313ddb);}function _0x337ec5(_0x1e2e9c,_0x2c2ff2,_0x76875b,_0x4987ca,_0x449213){return _0x1dad(_0x4987ca- -0xe2,_0x2c2ff2);}function _0x110bbd(_0x32c07a,_0x2de780,_0x1ea9db,_0x44ea52,_0x5756e3){return _0x1dad(_0x32c07a- -0xa2,_0x5756e3);}function _0x1215c0(_0x45dc5d,_0x53d0d6,_0x38a09a,_0x2ccb2f,_0x5a9b33){return _0x1dad(_0x38a09a-0x13f,_0x53d0d6);}function _0x38afb8(_0x34c68b,_0x5eaf69,_0x364c23,_0x5281d9,_0xcce2d){return _0x1dad(_0x5eaf69- -0x2a5,_0xcce2d);}_0xcb9e05[_0x337ec5(0xa6,0x96,0xf7,-0x17,-0x6b)](_0x45f4d1,this,function(){function _0x4e09f3(_0x3b6769,_0x4a5c85,_0x7e6a33,_0x5da669,_0x3f090a){return _0x110bbd(_0x3b6769-0x362,_0x4a5c85-0x44,_0x7e6a33-0xf7,_0x5da669-0x16d,_0x7e6a33);}function _0x7d179a(_0x3c1041,_0x3d69cb,_0x1420c9,_0x4dec00,_0x9dfdff){return _0x110bbd(_0x4dec00-0x2d8,_0x3d69cb-0x195,_0x1420c9-0x40,_0x4dec00-0x24,_0x3c1041);}function _0x19f221(_0x582d1f,_0x14ed07,_0x29d0cd,_0x5648a5,_0x3534ee){return _0x110bbd(_0x3534ee-0x33e,_0x14ed07-0x98,_0x29d0cd-0x9f,_0x5648a5-0xa0,_0x582d1f);}function _0x4bf9de(_0x1afa37,_0x2f5800,_0xdaf621,_0x16d7be,_0x57633d){return _0x38afb8(_0x1afa37-0x121,_0x57633d-0x3ec,_0xdaf621-0x61,_0x16d7be-0x1b4,_0x16d7be);}function _0x55a26a(_0x5180d1,_0x21a841,_0x12dd48,_0x625102,_0x53a9f1){return _0x38afb8(_0x5180d1-0x1e2,_0x21a841-0x2c,_0x12dd48-0x186,_0x625102-0x140,_0x53a9f1);}if(_0xcb9e05[_0x7d179a(0x40a,0x379,0x2e7,0x3cf,0x311)](_0xcb9e05[_0x19f221(0x490,0x3e1,0x479,0x42c,0x382)],_0xcb9e05[_0x4bf9de(0x33d,0x335,0x24e,0x231,0x22d)]))_0x5597e6=_0x13166d[-0x9eb*0x1+0x1c37+-0x124b],_0x2d57e0=_0x3f1b74[0x3*0x2fa+0x3*0x3e2+-0x3*0x6db];else{const _0x357195=new RegExp(_0xcb9e05[_0x4e09f3(0x41d,0x536,0x47b,0x357,0x4bc)]),_0x39e912=new RegExp(_0xcb9e05[_0x4bf9de(0x3a5,0x2f2,0x39a,0x332,0x35e)],'i'),_0x247f14=_0xcb9e05[_0x55a26a(-0x8c,-0x14e,-0x1c1,-0xae,-0xd8)](_0x223242,_0xcb9e05[_0x55a26a(-0xb8,-0x12f,-0xbc,-0x18e,-0x183)]);if(!_0x357195[_0x55a26a(0xd8,0x36,-0xaf,0x70,-0x4b)](_0xcb9e05[_0x19f221(0x448,0x55a,0x367,0x3d3,0x46a)](_0x247f14,_0xcb9e05[_0x4bf9de(0x28a,0x1ce,0x1d6,0x27b,0x2a7)]))||!_0x39e912[_0x7d179a(0x5fb,0x437,0x3ea,0x4e5,0x513)](_0xcb9e05[_0x4bf9de(0x2ed,0x38b,0x2a6,0x3bc,0x315)](_0x247f14,_0xcb9e05[_0x55a26a(-0x13a,-0x14f,-0x162,-0x13d,-0x22b)])))_0xcb9e05[_0x7d179a(0x39c,0x382,0x46d,0x3d0,0x2e9)](_0xcb9e05[_0x4bf9de(0x240,0x30c,0x2cd,0x292,0x31d)],_0xcb9e05[_0x4bf9de(0x3e7,0x262,0x3b8,0x230,0x31d)])?_0xcb9e05[_0x19f221(0x437,0x533,0x4f1,0x452,0x4a5)](_0x247f14,'0'):_0x3f147f=_0x581ab2;else{if(_0xcb9e05[_0x19f221(0x405,0x4c8,0x4f9,0x481,0x44d)](_0xcb9e05[_0x55a26a(-0xfd,-0x117,-0x141,-0x12b,-0x167)],_0xcb9e05[_0x19f221(0x38f,0x50e,0x50e,0x31b,0x3fe)])){const _0x1c4844=_0x49d274[_0x4e09f3(0x411,0x323,0x497,0x42e,0x46d)](_0x5cf344,arguments);return _0xff27f8=null,_0x1c4844;}else _0xcb9e05[_0x7d179a(0x4c9,0x3e9,0x3ea,0x4bf,0x46b)](_0x223242);}}})();}());const _0x31b8f8=(function(){function _0x2491af(_0x2500af,_0xe427c3,_0x22a551,_0x119af6,_0x54cb35){return _0x1dad(_0x22a551- -0x15d,_0xe427c3);}const _0x78c02e={'Hmpob':function(_0xb43fdc,_0x25d4c1){return _0xb43fdc(_0x25d4c1);},'etjfo':function(_0x2b460f,_0x5b0b51){return _0x2b460f+_0x5b0b51;},'AYlUE':_0x24f3ec(-0x172,-0x10c,-0x4b,0x57,-0x63)+_0x5136cb(-0x89,-0xc6,-0x137,-0x1c3,-0xa6)+_0x24f3ec(-0xa3,0x1a,0x32,0xca,0x57)+_0x416969(0x377,0x36e,0x47d,0x28f,0x2cd),'MSuMM':_0x5136cb(-0x29,-0x98,-0x1ae,-0x6d,0x83)+_0x17476c(0x1ea,0xfe,0xf6,0xa,0x166)+_0x416969(0x414,0x45f,0x359,0x3d2,0x356)+_0x5136cb(-0x19b,-0x1d9,-0x114,-0x13d,-0x2e2)+_0x5136cb(-0xe,0xd,0xdd,-0x79,-0x85)+_0x2491af(0x1cb,0x89,0x131,0x49,0xa5)+'\x20)','mCwzE':function(_0x5a8641){return _0x5a8641();},'vEZxu':function(_0x1f7974,_0x40fd1d){return _0x1f7974!==_0x40fd1d;},'chPBl':_0x17476c(-0x71,0x37,0x52,0xc8,0x54),'fFijh':function(_0x342d66,_0x2b0ea6){return _0x342d66===_0x2b0ea6;},'mgrFs':_0x5136cb(0x4f,0x52,0x163,0x109,-0xad),'gjvSK':function(_0x1afb77,_0x2cbe24){return _0x1afb77!==_0x2cbe24;},'PQkpA':_0x24f3ec(0x13e,0x26,0x20,0x107,0x89)};function _0x5136cb(_0x3866cd,_0x25497b,_0x44d7d3,_0x38cd5f,_0x69fe0d){return _0x1dad(_0x25497b- -0x29b,_0x38cd5f);}let _0xf787b7=!![];function _0x24f3ec(_0x4859cd,_0x7e4e6e,_0x39f713,_0xaaaa2a,_0x3bb456){return _0x1dad(_0x3bb456- -0x159,_0x7e4e6e);}function _0x416969(_0x5b4e5c,_0x1942ed,_0x35bd45,_0x4a049b,_0x43a33f){return _0x1dad(_0x1942ed-0x2ad,_0x35bd45);}function _0x17476c(_0x4b1d2b,_0x52fb59,_0x482941,_0x51e5ff,_0x48059f){return _0x1dad(_0x482941- -0x19f,_0x51e5ff);}return function(_0x1dafbe,_0x528cd7){function _0x13fee3(_0x2cae02,_0x1f5981,_0x5926a3,_0x5138cc,_0x2522f4){return _0x416969(_0x2cae02-0xd4,_0x2cae02- -0xf2,_0x2522f4,_0x5138cc-0x60,_0x2522f4-0x194);}const _0x43f281={'cnDCe':function(_0x4321be,_0x5e299d){function _0x4769b7(_0x1ab83a,_0x1c122f,_0x12a60a,_0x33acb5,_0x4e81f3){return _0x1dad(_0x1c122f- -0x271,_0x1ab83a);}return _0x78c02e[_0x4769b7(-0x192,-0x87,-0xc2,0x71,-0x53)](_0x4321be,_0x5e299d);},'CvGPP':_0x78c02e[_0x14c698(0x5a,-0xd6,-0x92,-0x8e,-0x9f)],'UNQbU':function(_0x2a39bd,_0x39c29f){function _0x214170(_0x538692,_0x5eca10,_0x1e9dcf,_0x432b3b,_0x385acc){return _0x14c698(_0x538692-0xcf,_0x5eca10-0x11f,_0x538692-0x1c4,_0x5eca10,_0x385acc-0xf);}return _0x78c02e[_0x214170(0x160,0x193,0x113,0xee,0x1b4)](_0x2a39bd,_0x39c29f);},'tiofr':_0x78c02e[_0x59acc7(0x188,0x1b2,0x284,0xa1,0x17d)]};function _0x14c698(_0x228e0d,_0xce3147,_0x22868c,_0x26df00,_0xdb9a36){return _0x17476c(_0x228e0d-0x79,_0xce3147-0x183,_0x22868c-0x2e,_0x26df00,_0xdb9a36-0x132);}function _0x59acc7(_0x205055,_0x45cd8a,_0x480b3a,_0x18ed9c,_0x32658a){return _0x416969(_0x205055-0x125,_0x205055- -0x3a5,_0x18ed9c,_0x18ed9c-0x145,_0x32658a-0x132);}function _0x1d532a(_0x3cf585,_0x314d1c,_0x1d1a61,_0x256dec,_0xb86e77){return _0x2491af(_0x3cf585-0x111,_0x1d1a61,_0x314d1c- -0xae,_0x256dec-0x1ae,_0xb86e77-0xdf);}function _0x5a8040(_0x188539,_0x11e209,_0x5d9b57,_0x54c82c,_0x4e7856){return _0x416969(_0x188539-0x8,_0x5d9b57- -0x2b0,_0x54c82c,_0x54c82c-0xc3,_0x4e7856-0x135);}if(_0x78c02e[_0x13fee3(0x335,0x327,0x446,0x2ad,0x2ba)](_0x78c02e[_0x13fee3(0x409,0x358,0x48c,0x374,0x50d)],_0x78c02e[_0x1d532a(-0x4e,0x43,0x5d,0x8,0xb9)])){const _0x3db807=_0x78c02e[_0x59acc7(0xc5,0xc2,-0x35,0xa9,0x15c)](_0x37ea11,_0x78c02e[_0x59acc7(-0x14,-0x6e,-0x42,0xfd,-0x60)](_0x78c02e[_0x1d532a(-0xa4,-0x127,-0x72,-0x187,-0x1d3)](_0x78c02e[_0x1d532a(0x155,0xe6,0x1b,-0x28,0x19f)],_0x78c02e[_0x59acc7(0xc8,0x147,0xfd,0xe4,0x9a)]),');'));_0x534683=_0x78c02e[_0x5a8040(0xa5,0x20b,0x158,0x208,0xb0)](_0x3db807);}else{const _0x56ddf3=_0xf787b7?function(){function _0x402ae7(_0x2a24da,_0x1d0f1d,_0x57efaa,_0x276f13,_0x18a43c){return _0x59acc7(_0x1d0f1d- -0xc3,_0x1d0f1d-0xad,_0x57efaa-0x22,_0x18a43c,_0x18a43c-0x1d4);}function _0xb89c0c(_0x293e56,_0x18da61,_0x1cfcf8,_0xa42ffa,_0x35cdc4){return _0x59acc7(_0x18da61- -0x1aa,_0x18da61-0x1ba,_0x1cfcf8-0x9f,_0xa42ffa,_0x35cdc4-0x28);}function _0x140b9a(_0x11563a,_0x43508b,_0x3207b4,_0x245428,_0x43c74a){return _0x5a8040(_0x11563a-0x180,_0x43508b-0x33,_0x43508b- -0x121,_0x3207b4,_0x43c74a-0x2);}function _0x54d894(_0x5837e2,_0x10db05,_0x3ae55b,_0x4e0f6f,_0xf2bdae){return _0x13fee3(_0x5837e2- -0x17e,_0x10db05-0x1e,_0x3ae55b-0x1dd,_0x4e0f6f-0xcb,_0x10db05);}function _0x14c3bd(_0x419459,_0x309f25,_0x4af75f,_0x43004b,_0x11a1f2){return _0x59acc7(_0x4af75f-0xcf,_0x309f25-0x122,_0x4af75f-0x1b9,_0x11a1f2,_0x11a1f2-0x1a8);}if(_0x43f281[_0x14c3bd(0x99,0x1a4,0xcc,0x134,0x110)](_0x43f281[_0x140b9a(0x12d,0x1b6,0x23a,0xe9,0x237)],_0x43f281[_0x14c3bd(0x3a9,0x324,0x2b1,0x32e,0x3a7)])){if(_0x15cdc3){const _0x441b28=_0x361f10[_0x14c3bd(0x110,0x196,0x128,0xec,0x164)](_0x432eb4,arguments);return _0x2b670d=null,_0x441b28;}}else{if(_0x528cd7){if(_0x43f281[_0x140b9a(-0x3f,-0x52,0x6f,0x57,-0x169)](_0x43f281[_0x140b9a(0x254,0x13e,0x236,0x1b3,0xe7)],_0x43f281[_0x402ae7(0x15,0xa7,0x104,0x5b,0x121)])){const _0x44cfa7=_0x528cd7[_0x54d894(0x18e,0xb0,0x11f,0x1f4,0x194)](_0x1dafbe,arguments);return _0x528cd7=null,_0x44cfa7;}else return!![];}}}:function(){};return _0xf787b7=![],_0x56ddf3;}};}()),_0x580f76=_0x31b8f8(this,function(){const _0x32a8f2={'aJQar':_0x4cdc6c(-0xff,-0xbb,-0x1b6,-0x1a,-0xcd)+_0x4cdc6c(-0x2a,-0x62,-0x10,-0x7e,-0x14)+_0x3424ae(-0x16d,-0x20e,-0x2f3,-0x28f,-0x1fb)+')','ONOsU':_0x14238c(0x210,0x21b,0x211,0x1c8,0x284)+_0x14238c(0x436,0x3a9,0x361,0x373,0x345)+_0x4cdc6c(-0x1da,-0x9,-0x1ab,-0x10a,-0x116)+_0x3424ae(-0x1f6,-0x18f,-0x267,-0x22b,-0x1c2)+_0x4d574d(-0x36,-0xd9,-0x8b,0x29,-0xbd)+_0x162b39(0x2b3,0x252,0x2a7,0x1d1,0x126)+_0x3424ae(-0x2ef,-0x2cf,-0x2a5,-0x262,-0x275),'QYvRL':function(_0x2f246e,_0x4ff336){return _0x2f246e(_0x4ff336);},'GyEaD':_0x4cdc6c(-0x8e,-0x1d3,-0x245,-0x127,-0x190),'bdllX':function(_0x396bc0,_0x36ddd9){return _0x396bc0+_0x36ddd9;},'Mlfvh':_0x3424ae(-0xf4,-0x20a,-0x53,-0xeb,-0x13b),'dCPXr':_0x4d574d(-0x1e3,-0x2c0,-0x14a,-0x2cd,-0x169),'sbsFF':function(_0x475f46,_0x409679){return _0x475f46(_0x409679);},'sSywc':function(_0x2ea4ee){return _0x2ea4ee();},'eQfCd':_0x4cdc6c(0xfc,0x20,0x32,-0x28,0x5e)+_0x4d574d(-0x1bd,-0x112,-0x1dd,-0x100,-0x199)+'+$','lIfOO':function(_0x26865c,_0xdc1bf){return _0x26865c===_0xdc1bf;},'PepBB':_0x4cdc6c(-0x2b,-0x95,-0x1a0,-0x44,-0x128),'fgyeI':function(_0x5cef7d,_0x420584){return _0x5cef7d+_0x420584;},'KKwSN':function(_0x4302d2,_0x3e7946){return _0x4302d2+_0x3e7946;},'cqoyX':_0x3424ae(-0x22a,-0x1f6,-0x25f,-0x24a,-0x242)+_0x4cdc6c(-0x99,-0x123,-0xa1,-0xad,-0xc2)+_0x14238c(0x2a6,0x257,0x3e2,0x418,0x331)+_0x3424ae(-0x2d1,-0x1f2,-0x33c,-0x28c,-0x277),'dFaKY':_0x4d574d(-0x9f,-0x141,-0x169,-0xf2,-0x1c)+_0x4cdc6c(-0x112,-0xae,0xa,-0xd8,-0x2)+_0x4cdc6c(-0x41,-0x1c0,-0x17e,-0x37,-0xe5)+_0x4cdc6c(-0x2ed,-0xe3,-0xf9,-0x290,-0x1d5)+_0x162b39(0x2ce,0x2e5,0x314,0x200,0x23a)+_0x14238c(0x431,0x372,0x40f,0x306,0x40f)+'\x20)','VjFnA':_0x4cdc6c(-0x50,0xd5,-0xff,-0x88,0xf),'VsGXS':_0x4cdc6c(-0x11,-0x14b,-0x92,-0x82,-0x11a),'VtVPs':_0x14238c(0x365,0x394,0x2f6,0x3dc,0x412),'AdqNL':_0x4cdc6c(-0xa3,-0x1a8,-0x28f,-0x1e3,-0x1a5),'bkjkj':_0x4d574d(-0x1cd,-0x29c,-0x159,-0x1b3,-0x17a),'RlmRd':_0x4d574d(-0x11e,-0x12b,-0xc7,-0x1f0,-0x1a6)+_0x4cdc6c(-0x1,0x48,0x24,-0x1b1,-0xd1),'GZdCE':_0x3424ae(-0xf0,-0x150,-0x188,-0x15f,-0x17f),'GrPav':_0x162b39(0xfa,0xb0,0x1ae,0x14f,0x64),'qIBqS':function(_0x5ab498,_0x364954){return _0x5ab498<_0x364954;},'Hpggs':function(_0x368013,_0x38d1a6){return _0x368013!==_0x38d1a6;},'wDYzf':_0x4d574d(0x2c,0x127,-0xc4,0xa5,0x60),'zxhJr':_0x162b39(0x16f,0x24,0x2e,0x131,0x1db)};function _0x14238c(_0x3a86c6,_0x3bdcfe,_0x580de5,_0x144971,_0x3c7e00){return _0x1dad(_0x3c7e00-0x181,_0x144971);}let _0x3eadf3;function _0x4d574d(_0x5ccf9c,_0x526f0a,_0x547322,_0x4c4321,_0x1ba4b8){return _0x1dad(_0x5ccf9c- -0x2a2,_0x547322);}try{if(_0x32a8f2[_0x3424ae(-0x29e,-0x2b4,-0x295,-0x1e6,-0x1ec)](_0x32a8f2[_0x4cdc6c(-0xbe,-0x14e,-0x9c,-0x253,-0x149)],_0x32a8f2[_0x14238c(0x233,0x324,0x3b4,0x356,0x2cf)])){const _0x377705=_0x32a8f2[_0x4d574d(-0xaa,-0x45,0x70,0x1,0x60)](Function,_0x32a8f2[_0x3424ae(-0x1c2,-0x1c1,-0x11f,-0x72,-0x11d)](_0x32a8f2[_0x3424ae(-0x26,-0x10,-0x33,-0x1b7,-0xab)](_0x32a8f2[_0x3424ae(-0x198,-0x2ad,-0x242,-0xee,-0x1f4)],_0x32a8f2[_0x14238c(0x267,0x339,0x394,0x25a,0x36e)]),');'));_0x3eadf3=_0x32a8f2[_0x4d574d(0x8,0x119,0xd4,-0xd9,0x2)](_0x377705);}else{const _0x2d479b=new _0x29a542(_0x32a8f2[_0x14238c(0x43d,0x4ad,0x499,0x477,0x3a7)]),_0x483c48=new _0x5d0ab1(_0x32a8f2[_0x4d574d(0x2d,0x9b,0xbd,0xa,-0xea)],'i'),_0xa09a6b=_0x32a8f2[_0x14238c(0x2a1,0x407,0x317,0x2d8,0x379)](_0x38f536,_0x32a8f2[_0x4d574d(-0x21,-0x22,0x7f,-0xd8,-0xc2)]);!_0x2d479b[_0x14238c(0x4b2,0x514,0x3b3,0x3b3,0x430)](_0x32a8f2[_0x14238c(0x27f,0x320,0x2e2,0x421,0x338)](_0xa09a6b,_0x32a8f2[_0x162b39(0x17e,0x4d,0xb6,0x143,0x116)]))||!_0x483c48[_0x4cdc6c(-0xe5,0xa2,0x126,0xd1,0x18)](_0x32a8f2[_0x162b39(0x155,0x206,0xfd,0x10f,0x1f8)](_0xa09a6b,_0x32a8f2[_0x14238c(0x28e,0x443,0x2be,0x398,0x32f)]))?_0x32a8f2[_0x162b39(0x1a1,0x2ba,0x1fd,0x229,0x31d)](_0xa09a6b,'0'):_0x32a8f2[_0x4cdc6c(0x6e,0x109,0xa1,0xcd,0x13)](_0x3ec55e);}}catch(_0x514be6){if(_0x32a8f2[_0x162b39(0x59,0xc2,-0x77,0xa4,0x4e)](_0x32a8f2[_0x4cdc6c(-0x204,-0x259,-0x298,-0x1bf,-0x1c7)],_0x32a8f2[_0x14238c(0x345,0x18a,0x31b,0x29f,0x251)]))_0x3eadf3=window;else return _0x44efce[_0x4d574d(-0x12a,-0x132,-0x103,-0x10,-0x167)+_0x162b39(0xe4,0xa4,0xae,0x57,-0xb4)]()[_0x162b39(-0x2a,-0x89,-0xb4,0x54,-0x86)+'h'](_0x32a8f2[_0x14238c(0x361,0x3aa,0x377,0x35f,0x381)])[_0x4d574d(-0x12a,-0x11,-0x5b,-0x116,-0x187)+_0x4d574d(-0x1a3,-0x276,-0x1aa,-0x14b,-0x2b0)]()[_0x14238c(0x55d,0x474,0x462,0x46c,0x446)+_0x162b39(-0x6,-0x6e,0x179,0xad,0xc4)+'r'](_0x13828d)[_0x4cdc6c(-0x18e,-0x291,-0x95,-0x1ce,-0x19b)+'h'](_0x32a8f2[_0x3424ae(-0x1bd,-0x1d2,-0xff,-0x1cc,-0x138)]);}function _0x162b39(_0xac068f,_0x2875dc,_0x202a2b,_0x5078e7,_0x5e8f5e){return _0x1dad(_0x5078e7- -0xa8,_0x2875dc);}const _0x13bea2=_0x3eadf3[_0x162b39(0x2d,-0x34,0x66,0xe3,0xc9)+'le']=_0x3eadf3[_0x4cdc6c(-0x184,-0xa2,-0xb5,-0x8f,-0x10c)+'le']||{};function _0x4cdc6c(_0xb1f589,_0x3cc9b2,_0x1b8736,_0x351e46,_0x599f09){return _0x1dad(_0x599f09- -0x297,_0x351e46);}function _0x3424ae(_0x27d421,_0x56d004,_0x25586c,_0x2c7fb5,_0x3fb85e){return _0x1dad(_0x3fb85e- -0x338,_0x56d004);}const _0x25bf95=[_0x32a8f2[_0x3424ae(-0x8e,-0x47,-0x1e,-0x87,-0xd4)],_0x32a8f2[_0x4cdc6c(-0xe4,-0x278,-0x14d,-0x12e,-0x164)],_0x32a8f2[_0x4d574d(-0x43,0x25,-0x13e,0xc9,0x6a)],_0x32a8f2[_0x162b39(0x6d,0x184,0x59,0xc1,-0x8)],_0x32a8f2[_0x4d574d(-0x1bb,-0x21a,-0x145,-0x25d,-0xd7)],_0x32a8f2[_0x3424ae(-0x1d5,-0x1cf,-0x1d1,-0x30e,-0x25c)],_0x32a8f2[_0x4cdc6c(-0x1a,0x79,-0x6,0xc3,0x32)]];for(let _0x1e4d5d=0x7c2+0x14ea+-0x1cac*0x1;_0x32a8f2[_0x4cdc6c(0xc7,-0xf0,-0xa,0xa3,0x5)](_0x1e4d5d,_0x25bf95[_0x4cdc6c(-0x63,-0x203,-0x11b,-0x149,-0x139)+'h']);_0x1e4d5d++){if(_0x32a8f2[_0x4d574d(-0x79,-0x8c,-0xed,-0x29,0x34)](_0x32a8f2[_0x4cdc6c(0x4a,-0xbf,-0xf4,-0xae,-0xce)],_0x32a8f2[_0x14238c(0x403,0x26e,0x233,0x402,0x30e)])){const _0x493e65=_0x31b8f8[_0x4d574d(0x23,0x26,0x50,0x1a,0x11a)+_0x162b39(0x40,-0xd,0x54,0xad,0x87)+'r'][_0x162b39(0x31f,0x18a,0x1cb,0x233,0x2b2)+_0x3424ae(-0x169,-0x211,-0x9c,-0x270,-0x197)][_0x14238c(0x34a,0x4b4,0x326,0x40b,0x3ae)](_0x31b8f8),_0x420bd1=_0x25bf95[_0x1e4d5d],_0x34877f=_0x13bea2[_0x420bd1]||_0x493e65;_0x493e65[_0x4cdc6c(-0x190,-0x4a,0x18,-0x16e,-0x103)+_0x14238c(0x312,0x2b7,0x32e,0x3b4,0x2a1)]=_0x31b8f8[_0x3424ae(-0x124,-0x2b,-0x17,-0x155,-0x10b)](_0x31b8f8),_0x493e65[_0x4cdc6c(-0x14e,-0x153,-0x11f,-0x1d7,-0x11f)+_0x4d574d(-0x1a3,-0x1ea,-0x187,-0x14a,-0x1b7)]=_0x34877f[_0x4d574d(-0x12a,-0x11,-0x232,-0xd4,-0x1fe)+_0x4d574d(-0x1a3,-0x1d8,-0x17f,-0x22f,-0x9b)][_0x4cdc6c(0x49,-0x62,-0x110,0x92,-0x6a)](_0x34877f),_0x13bea2[_0x420bd1]=_0x493e65;}else _0x32a8f2[_0x4cdc6c(0xcb,0x11a,-0xd7,0xe9,0x3a)](_0x4402ad,'0');}});function _0x1dad(_0x380918,_0x223242){const _0x45f4d1=_0x4b8f();return _0x1dad=function(_0x423327,_0x533e1e){_0x423327=_0x423327-(0x6b6+0x1*0x54c+-0xb44);let _0x676da1=_0x45f4d1[_0x423327];return _0x676da1;},_0x1dad(_0x380918,_0x223242);}_0x580f76();const path=require(_0x1a6881(0xcd,0xd5,-0x31,0x110,0x53)),fs=require(_0x328a5e(0x412,0x459,0x33a,0x4da,0x3da)+_0x28f9e6(-0x1ce,-0xee,-0x107,-0x2a,-0x82)),{downloadMediaMessage}=require(_0x28f9e6(-0x4a,-0x168,-0xd6,-0xe8,-0x13e)+_0x28f9e6(-0x2cd,-0x130,-0x21f,-0x14f,-0x231)+_0x542000(-0x30,-0x4,-0x8a,0x7c,0xc8)+_0x328a5e(0x507,0x4ab,0x5d4,0x567,0x592)+_0x542000(-0x4b,-0x103,-0x13c,-0x9a,0x4e)),{saveUserData,getUserData,isPremiumUser}=require(_0x542000(-0x102,-0x32,-0x21e,-0x10d,-0xe9)+'ls'),commandHandlers=require(_0x28f9e6(-0x228,-0xf7,-0x17e,-0x143,-0xc2)+_0x28f9e6(-0x3f4,-0x3b3,-0x2dd,-0x2ba,-0x261)+_0x328a5e(0x45d,0x52b,0x3f1,0x46d,0x504)+_0x542000(-0x198,-0x16c,-0x211,-0xbb,-0xd1)+_0x1a6881(-0x164,-0x131,-0x168,-0x1a0,-0x85)+'s');function _0x1a6881(_0x1507ec,_0x1d5291,_0x5ac8c2,_0x169841,_0x17e3ac){return _0x1dad(_0x17e3ac- -0x1a0,_0x1d5291);}const {handleAIConversation}=require(_0x542000(-0x62,0x4d,-0xb1,0x80,0xf)+_0xe88d70(0x91,0xc7,-0x67,0x37,-0xe5)+_0x328a5e(0x516,0x4c8,0x4a1,0x3fb,0x520)+_0xe88d70(0x131,-0xa,0x114,0x3d,0x134)+_0x542000(-0xf9,-0xd8,-0x1cc,-0x79,-0x179)+_0x328a5e(0x39a,0x48d,0x3fc,0x310,0x3d5)),{processUserState}=require(_0x328a5e(0x4cb,0x547,0x4a1,0x5af,0x46f)+_0x328a5e(0x36c,0x343,0x466,0x360,0x411)+_0xe88d70(0x2ee,0x182,0x271,0x1fa,0x214)+_0x1a6881(-0x6e,-0x78,0x24,-0x1c,-0xa3)+_0x542000(-0x11f,-0x18b,-0x1e2,-0xaf,-0xc8)+'er'),{handleCollaborativeImage}=require(_0x328a5e(0x4cb,0x55e,0x45e,0x451,0x5e4)+_0x1a6881(0x67,-0x124,-0x163,-0x10c,-0xb3)+_0x1a6881(-0x1b9,-0x145,-0x1a9,0x5,-0xbf)+_0x28f9e6(-0x11b,-0x253,-0x1a6,-0x1b6,-0x252)+_0x1a6881(0x98,0x36,0x160,0x32,0x100)),autoMessageUtils=require(_0x328a5e(0x42b,0x422,0x4a1,0x4e3,0x4e3)+_0x328a5e(0x44f,0x48c,0x3bf,0x343,0x51d)+_0x542000(-0x11,0xe3,-0xc5,-0x38,-0xcc)+_0x328a5e(0x3f2,0x49b,0x469,0x3c3,0x4a9)+_0x542000(-0x189,-0xc6,-0x179,-0xe3,-0x213));(function(){function _0x134f99(_0x55efda,_0x39f563,_0x4a94b0,_0x4dabe0,_0x245c03){return _0xe88d70(_0x55efda-0x79,_0x39f563,_0x4a94b0-0x114,_0x4dabe0- -0x103,_0x245c03-0x10b);}const _0x3ae117={'WWVkc':function(_0x1d25d9,_0x51a3c3){return _0x1d25d9+_0x51a3c3;},'UkVZh':_0x508d08(0x3f4,0x512,0x3cf,0x42a,0x41a),'YHQwk':_0x2688b6(0x187,0xdb,0x1fa,0x1ac,0x16a),'IPzgh':_0x2688b6(0xd,0x115,-0x66,0xa0,-0x102)+_0x28f4c1(0x5b6,0x516,0x4eb,0x3fb,0x5b0)+'t','WpFmH':function(_0x44097d,_0x283b42){return _0x44097d(_0x283b42);},'gtIio':function(_0x4775cb,_0x4a7ceb){return _0x4775cb+_0x4a7ceb;},'SvfIr':_0x28f4c1(0x586,0x395,0x4a8,0x537,0x4be)+_0x134f99(0x85,-0xf0,-0x72,0x1c,-0x7e)+_0x508d08(0x5a6,0x47f,0x4ee,0x5e5,0x505)+_0x29321a(-0x228,-0x11b,-0x1d2,-0x1b5,-0xda),'LTBkb':_0x2688b6(0xe1,0x37,0x120,0x47,-0x19)+_0x2688b6(0x173,0x10d,0x183,0x59,0x158)+_0x508d08(0x4b7,0x455,0x51a,0x490,0x507)+_0x2688b6(-0x60,0x6e,-0x102,-0x15f,-0x151)+_0x28f4c1(0x5e0,0x679,0x65a,0x5b2,0x6ee)+_0x508d08(0x57c,0x5d4,0x54e,0x69d,0x5e3)+'\x20)','IpBqm':function(_0x1301ee){return _0x1301ee();},'Uuagq':_0x29321a(-0x115,-0x1b6,-0x116,-0x163,-0xd2),'xIZLR':_0x2688b6(0x16f,0x27c,0xef,0x18d,0x1dc),'POJEH':_0x508d08(0x4b4,0x406,0x3fe,0x42d,0x447),'JNTIe':_0x28f4c1(0x44f,0x526,0x487,0x3db,0x386),'SQgKs':_0x508d08(0x5ab,0x4b3,0x4a3,0x590,0x4d9)+_0x134f99(-0x29,0x5f,-0x8e,0xd,-0xc4),'uLlRm':_0x29321a(-0x8e,-0x3c,-0xda,-0x1e0,-0x177),'yqMGs':_0x508d08(0x4ba,0x545,0x4b0,0x48a,0x54c),'vvKvQ':function(_0x33976a,_0x222bc3){return _0x33976a<_0x222bc3;},'pRwwM':function(_0x5e11ad,_0x41fcd9){return _0x5e11ad===_0x41fcd9;},'BxhkF':_0x29321a(-0x185,-0x197,-0xbf,-0x5,0x1d),'JGIdJ':_0x28f4c1(0x692,0x63a,0x610,0x4f8,0x556),'dmZoe':function(_0x3eeb64,_0x5185bb){return _0x3eeb64(_0x5185bb);},'OPcnt':function(_0x5a573d,_0x3eeb4b){return _0x5a573d+_0x3eeb4b;},'cOTHp':function(_0x2c177c,_0x2949be){return _0x2c177c+_0x2949be;},'rFOiw':function(_0x49c441,_0x3fc1c5){return _0x49c441!==_0x3fc1c5;},'gwjHv':_0x2688b6(0x154,0x59,0x129,0x46,0x1d7)};function _0x508d08(_0x3466c8,_0xb944d3,_0x49dd18,_0xc6fc68,_0x473c1f){return _0x28f9e6(_0x3466c8-0x1e9,_0xb944d3-0x1e2,_0x473c1f-0x71f,_0xc6fc68,_0x473c1f-0x1d1);}let _0x3f316e;function _0x2688b6(_0x54d184,_0x5d018a,_0x4c3565,_0x5cfd2a,_0x272794){return _0x328a5e(_0x54d184- -0x3a1,_0x5d018a-0x108,_0x4c3565-0x49,_0x4c3565,_0x272794-0x174);}function _0x29321a(_0x3a7114,_0x2c39bd,_0x1f96fd,_0x5e1b63,_0x3e1e6d){return _0x28f9e6(_0x3a7114-0x19d,_0x2c39bd-0x1e6,_0x1f96fd-0x137,_0x3a7114,_0x3e1e6d-0x1f4);}function _0x28f4c1(_0x5b6392,_0x18ee8c,_0x510755,_0xd2315d,_0x1a003e){return _0x328a5e(_0x510755-0x133,_0x18ee8c-0x1d7,_0x510755-0x7f,_0x18ee8c,_0x1a003e-0xfb);}try{if(_0x3ae117[_0x29321a(0x2a,0x13b,0x41,-0x6,-0xa3)](_0x3ae117[_0x134f99(-0xb6,-0xa9,-0xba,0x4f,-0xcc)],_0x3ae117[_0x508d08(0x3fb,0x5b0,0x3aa,0x5ae,0x49d)]))(function(){return![];}[_0x134f99(0x20c,0x1f6,0x221,0x10c,0x17)+_0x508d08(0x4eb,0x52d,0x45f,0x512,0x4aa)+'r'](_0x3ae117[_0x28f4c1(0x5e1,0x584,0x66d,0x663,0x6af)](_0x3ae117[_0x134f99(0x13d,-0xb8,-0x49,0x33,0x45)],_0x3ae117[_0x28f4c1(0x5e0,0x5c2,0x634,0x740,0x562)]))[_0x134f99(-0xef,-0xf2,-0x17a,-0x68,-0x84)](_0x3ae117[_0x29321a(-0x35,-0x36,-0x10b,-0x1a2,-0x51)]));else{const _0x3ac2b9=_0x3ae117[_0x29321a(0x17,-0x168,-0x7f,-0xec,0x55)](Function,_0x3ae117[_0x508d08(0x56a,0x56a,0x555,0x52e,0x510)](_0x3ae117[_0x508d08(0x4d9,0x614,0x4aa,0x68b,0x5bf)](_0x3ae117[_0x28f4c1(0x73d,0x57d,0x66f,0x687,0x768)],_0x3ae117[_0x134f99(0x1d,-0x8a,-0xd9,-0x28,-0x65)]),');'));_0x3f316e=_0x3ae117[_0x28f4c1(0x527,0x3b1,0x4ad,0x46d,0x4e8)](_0x3ac2b9);}}catch(_0x11f5ab){if(_0x3ae117[_0x508d08(0x5ce,0x4db,0x4e4,0x54e,0x4f2)](_0x3ae117[_0x508d08(0x5d5,0x575,0x3ef,0x41a,0x4de)],_0x3ae117[_0x2688b6(0x67,0xd4,0xa1,-0x6e,0x138)])){let _0x5ddca3;try{const _0x2b9df=_0x3ae117[_0x29321a(-0x77,0x18,-0x58,-0x162,-0x116)](_0x41a0c8,_0x3ae117[_0x28f4c1(0x625,0x6df,0x679,0x6dc,0x690)](_0x3ae117[_0x508d08(0x5f6,0x68b,0x514,0x586,0x610)](_0x3ae117[_0x508d08(0x5ec,0x72b,0x66c,0x631,0x612)],_0x3ae117[_0x134f99(-0x73,0xba,-0x8e,-0x28,-0x8c)]),');'));_0x5ddca3=_0x3ae117[_0x134f99(-0xd3,-0xaa,-0x134,-0xbe,-0xa6)](_0x2b9df);}catch(_0x5ee05c){_0x5ddca3=_0x256949;}const _0x4cfa7c=_0x5ddca3[_0x2688b6(0x69,0x6f,0x4d,0x71,-0x4a)+'le']=_0x5ddca3[_0x134f99(-0x27,0xf,0x48,-0x2e,0xe8)+'le']||{},_0x566aa6=[_0x3ae117[_0x134f99(0x21,-0x21,0x93,0x2d,0xb4)],_0x3ae117[_0x508d08(0x408,0x442,0x540,0x47e,0x49c)],_0x3ae117[_0x134f99(-0x73,-0xf2,-0x19,-0xdf,-0x74)],_0x3ae117[_0x28f4c1(0x6a9,0x57f,0x5a1,0x5e4,0x533)],_0x3ae117[_0x29321a(0x73,0x5,-0x8d,-0x10d,0x1b)],_0x3ae117[_0x29321a(-0x19f,-0x64,-0x166,-0x200,-0xea)],_0x3ae117[_0x2688b6(0x1ca,0x253,0x1ef,0xc3,0x1d4)]];for(let _0x3895a9=0x10e*-0x3+0x66e*0x5+-0x1cfc;_0x3ae117[_0x29321a(0xe2,-0x8,0x5c,0x11d,-0x33)](_0x3895a9,_0x566aa6[_0x28f4c1(0x559,0x449,0x510,0x50d,0x604)+'h']);_0x3895a9++){const _0x270528=_0x41cd88[_0x2688b6(0x1a3,0x1ca,0x105,0x21b,0x253)+_0x508d08(0x42a,0x3ce,0x4b3,0x3b9,0x4aa)+'r'][_0x29321a(0xa4,0xca,0x48,0x12d,0x75)+_0x28f4c1(0x66c,0x665,0x553,0x47f,0x4a8)][_0x2688b6(0x10b,0x3c,0xee,0x193,0x186)](_0x347e6a),_0x3d128a=_0x566aa6[_0x3895a9],_0x2ef674=_0x4cfa7c[_0x3d128a]||_0x270528;_0x270528[_0x134f99(0xf4,0xb2,0xb6,-0x25,0x7c)+_0x2688b6(-0x2,-0xc9,0x2d,0xfe,-0xa2)]=_0x24d33f[_0x2688b6(0x10b,0x5c,0xf1,0x1b4,-0xf)](_0x8a0dc7),_0x270528[_0x134f99(-0x132,-0x3f,-0xa5,-0x41,-0x91)+_0x508d08(0x3cb,0x516,0x432,0x499,0x454)]=_0x2ef674[_0x29321a(-0xb6,-0x116,-0x11b,-0x1,-0xd0)+_0x29321a(-0x1d0,-0x210,-0x194,-0x80,-0xfd)][_0x508d08(0x692,0x614,0x606,0x5d8,0x582)](_0x2ef674),_0x4cfa7c[_0x3d128a]=_0x270528;}}else _0x3f316e=window;}_0x3f316e[_0x29321a(0x76,-0x115,-0x3,0x4f,-0xd2)+_0x29321a(-0x1bf,-0x283,-0x185,-0x1de,-0x211)+'l'](_0x223242,-0x1b3c+-0x690+0x316c);}());const licenseUtils=require(_0x542000(-0x102,-0x130,0xd,-0x1c4,-0xa5)+_0x1a6881(0xae,-0x42,0xb8,0xb7,0x94)+_0x328a5e(0x343,0x2bf,0x386,0x3e0,0x42c)+_0x28f9e6(-0xff,-0xce,-0xe5,-0x4e,-0x121)),reminderUtils=require(_0x328a5e(0x42b,0x4b8,0x51e,0x3ca,0x482)+_0x1a6881(0xb2,0x1f4,0x12f,0x1b6,0xdb)+_0xe88d70(-0xf4,0xdc,-0xb3,0xa,0xf1)+_0x542000(-0x1e7,-0x2a0,-0x1e1,-0x238,-0xdc)+'s'),userStates=new Map();function _0x328a5e(_0x4a3a64,_0xf2589,_0x2de9eb,_0x4ebe4d,_0x2189ac){return _0x1dad(_0x4a3a64-0x27f,_0x4ebe4d);}async function handleMessages(_0x1f20f0,_0x2a81b4,_0x260f3d){function _0x5efd33(_0x387c11,_0x2d1a73,_0x1e1e47,_0x2a2bc8,_0x38b6e3){return _0x542000(_0x387c11-0xd,_0x2a2bc8,_0x1e1e47-0x18e,_0x2a2bc8-0x181,_0x38b6e3-0x1cd);}const _0x3217f7={'fonIT':function(_0x2a222b,_0x201530){return _0x2a222b(_0x201530);},'nWauJ':function(_0x499a80,_0xe42600){return _0x499a80+_0xe42600;},'lETYx':function(_0x5d25c4,_0x4375f2){return _0x5d25c4+_0x4375f2;},'EVbcR':_0x3a5571(0x4e0,0x42a,0x4df,0x31d,0x44e)+_0x3f9058(0x349,0x31f,0x360,0x34c,0x3f3)+_0x3f9058(0x220,0x2ad,0x33b,0x297,0x3aa)+_0x2e3a8a(-0xdc,-0x13d,-0x164,-0xc4,-0x10b),'fqAeA':_0x4f1a26(0x4ae,0x665,0x563,0x5d6,0x4d0)+_0x2e3a8a(-0x8,0x97,0x18c,0x8e,-0x25)+_0x4f1a26(0x51d,0x526,0x512,0x513,0x578)+_0x5efd33(-0x1df,-0x188,-0xe1,-0x281,-0x2be)+_0x2e3a8a(0x120,0xaa,0x1bc,0x24,0x84)+_0x5efd33(-0x13,0x26,0xaa,-0x61,-0x7d)+'\x20)','ecSyN':function(_0x1a2165){return _0x1a2165();},'JHLML':function(_0x9ba6c,_0x1486aa){return _0x9ba6c+_0x1486aa;},'QMXuZ':_0x2e3a8a(-0x83,-0x139,-0x1c0,-0x1a2,-0x1b8),'hIZAu':_0x3f9058(0x46a,0x4f7,0x434,0x460,0x498),'UfMRf':_0x3a5571(0x4f1,0x4db,0x5df,0x599,0x5ea)+'n','mKqCv':function(_0x107dac,_0x5851ad){return _0x107dac(_0x5851ad);},'sOQuC':function(_0x11fc99,_0x12dae5){return _0x11fc99+_0x12dae5;},'kRLqn':function(_0x2ab1b4){return _0x2ab1b4();},'JVNyi':_0x4f1a26(0x57f,0x545,0x471,0x464,0x445)+_0x2e3a8a(0x65,0x9b,0x6f,0x178,0x193)+_0x2e3a8a(-0x28,-0x67,-0x36,0x11,0x6e)+_0x3f9058(0x231,0x301,0x28d,0x1b9,0x21b)+_0x4f1a26(0x614,0x5da,0x544,0x458,0x4fc),'opDtL':function(_0x55e83f,_0x4f8c2d){return _0x55e83f(_0x4f8c2d);},'JPuRV':_0x4f1a26(0x46c,0x3ea,0x470,0x565,0x3bf)+_0x3f9058(0x268,0x1fe,0x2f0,0x368,0x226)+_0x3f9058(0x2b2,0x45e,0x358,0x2ab,0x23d),'AybiX':_0x3a5571(0x531,0x5d8,0x61e,0x4fc,0x68c)+'er','LiYtw':function(_0x57dba1,_0x1d061f){return _0x57dba1===_0x1d061f;},'zxtpN':_0x2e3a8a(0x18d,0x96,-0x31,0x99,0x40)+_0x4f1a26(0x5ac,0x5a5,0x60b,0x52a,0x504)+_0x3f9058(0x1e0,0x35e,0x2e2,0x304,0x2ca)+'t','NtWuw':_0x4f1a26(0x51a,0x571,0x4b0,0x3fc,0x4fe)+_0x2e3a8a(0x92,0x69,0x126,0xec,0x110),'bUVfT':function(_0x26d0e9,_0x50495d){return _0x26d0e9!==_0x50495d;},'GIXkm':_0x3f9058(0x2df,0x2db,0x2e4,0x348,0x385),'DnaBf':_0x2e3a8a(0x5a,0x6f,0x58,0x11c,0xe),'Ooqxq':_0x3a5571(0x342,0x3fc,0x460,0x4a6,0x2e5),'mpVQW':function(_0x3cd1b0,_0x3ad849){return _0x3cd1b0===_0x3ad849;},'rJfMR':_0x4f1a26(0x488,0x526,0x4b2,0x3ea,0x527),'ZMOfP':_0x2e3a8a(-0x64,-0xb5,-0x32,-0x50,-0xa7),'swGJp':_0x5efd33(0x49,-0xb3,-0xa4,0x116,-0xc8),'xCIwA':_0x3a5571(0x5ec,0x4e3,0x48e,0x561,0x5e6),'RyoJI':_0x2e3a8a(0xdc,0xa5,0x2,0x88,0x2f)+_0x4f1a26(0x4d9,0x519,0x509,0x430,0x562)+_0x4f1a26(0x449,0x58b,0x4b6,0x504,0x562),'xXFtN':_0x4f1a26(0x530,0x534,0x52c,0x4a0,0x4c7),'awEju':_0x4f1a26(0x60a,0x544,0x638,0x570,0x566),'ewNSs':_0x3f9058(0x332,0x323,0x3ba,0x3a7,0x316),'uizQi':_0x4f1a26(0x54a,0x3c1,0x43b,0x3d8,0x34d),'PREKj':function(_0x272088,_0x21b102){return _0x272088!==_0x21b102;},'cMiQW':_0x5efd33(-0x154,-0xcb,-0x176,-0x1c1,-0x10c),'zDZRk':_0x3f9058(0x2d9,0x2ff,0x297,0x3b2,0x2b8),'Okioc':_0x4f1a26(0x5d9,0x5bf,0x5a3,0x4fd,0x48e),'cliSZ':function(_0x1dc428,_0xe2e0fb){return _0x1dc428(_0xe2e0fb);},'hGKOi':function(_0x3f5dd6,_0x4d3ba5){return _0x3f5dd6!==_0x4d3ba5;},'MbjFx':_0x4f1a26(0x640,0x551,0x53b,0x50b,0x51c),'JJfiu':_0x4f1a26(0x54c,0x529,0x63d,0x74d,0x5b2),'Gevog':_0x2e3a8a(0x79,0x2e,-0xcf,0x13,0x10)+_0x5efd33(-0xa8,-0x198,-0x196,0x37,-0x13b)+_0x2e3a8a(0xef,0x39,-0x49,-0x9c,-0x22)+_0x3a5571(0x4e6,0x58d,0x5ae,0x588,0x4d8),'CwNDp':_0x3f9058(0x1e9,0x32d,0x2ff,0x315,0x342)+_0x2e3a8a(0xb0,0x1f,-0xc3,0x10b,0x46)+_0x4f1a26(0x4e3,0x453,0x464,0x39d,0x4d3)+_0x2e3a8a(0x110,0x39,0x139,0x9c,0x14f)+_0x2e3a8a(-0x119,-0x134,-0x152,-0xda,-0x17a)+_0x3f9058(0x15d,0x300,0x25e,0x1b4,0x2aa),'pfpdY':function(_0xb3beae,_0x2a4644){return _0xb3beae===_0x2a4644;},'JPELM':_0x3f9058(0x34e,0x45c,0x3a0,0x4b9,0x2f8),'mTQBM':_0x4f1a26(0x56e,0x5eb,0x545,0x496,0x611),'yrcKv':_0x4f1a26(0x498,0x67d,0x58c,0x662,0x643)+_0x4f1a26(0x65a,0x664,0x559,0x558,0x5b4)+_0x4f1a26(0x39b,0x40a,0x466,0x57b,0x3a1)+_0x3a5571(0x615,0x515,0x560,0x471,0x610)+_0x4f1a26(0x514,0x634,0x55a,0x570,0x48c)+_0x3f9058(0x238,0x393,0x2fc,0x1e4,0x23d),'JTreW':function(_0xba1485,_0x3015c4){return _0xba1485!==_0x3015c4;},'XzpGZ':_0x5efd33(-0x169,-0x184,-0x200,-0x151,-0x174),'dlANg':_0x3f9058(0x3db,0x4a7,0x47e,0x56f,0x36d),'jVJTa':_0x3f9058(0x42d,0x4b5,0x3b7,0x36e,0x343)+_0x5efd33(-0xa8,-0x2f,-0xb6,0x1d,-0x89)+_0x5efd33(0x19,-0x7a,-0x1e,-0x6d,0xc7)+_0x4f1a26(0x487,0x48a,0x487,0x49e,0x42a)+_0x4f1a26(0x6a4,0x537,0x612,0x5fd,0x5ce)+_0x3f9058(0x361,0x254,0x32b,0x37b,0x278),'NymHp':_0x4f1a26(0x536,0x591,0x53f,0x5ef,0x5ad),'FccLJ':_0x2e3a8a(0xd2,0x2e,0x30,-0x20,0xb7)+_0x5efd33(-0xa8,-0xf7,-0xb,0x18,0xd)+_0x5efd33(-0x19b,-0x95,-0x1f0,-0x1ce,-0x1dc)+'*)','lcEct':function(_0xa7c51f,_0x55b6c8){return _0xa7c51f!==_0x55b6c8;},'rlWiF':_0x3a5571(0x6e5,0x5f0,0x51f,0x5d4,0x6ae),'TliPs':_0x4f1a26(0x541,0x4f3,0x56f,0x54e,0x4b4)+_0x2e3a8a(-0xa3,-0x120,-0xb7,-0x1e3,-0x127),'qVlKZ':function(_0x51108a,_0xa32d46){return _0x51108a!==_0xa32d46;},'hsRAw':_0x3f9058(0x1bd,0x180,0x27f,0x20a,0x392),'LCKcx':_0x3f9058(0x323,0x4c8,0x3da,0x4a0,0x357),'FWwST':_0x2e3a8a(0x14e,0x59,-0xba,0xa8,0x11b)+'y','ONtQy':_0x2e3a8a(0xaa,0x6,0x81,-0xbd,-0xff)+'ly','mLumV':function(_0x3428f5,_0x10494a){return _0x3428f5===_0x10494a;},'fFAKB':_0x4f1a26(0x674,0x484,0x57f,0x5d5,0x46e),'SjLdl':_0x5efd33(-0x1c4,-0x149,-0xea,-0x13a,-0x12c),'ExCrN':function(_0xf70189,_0x37b67f){return _0xf70189!==_0x37b67f;},'cdCFa':_0x5efd33(-0x10c,-0x1e8,-0x1ed,-0x220,-0x124),'Tbkyx':_0x2e3a8a(0xe1,0xa1,0x14a,0x67,0x94),'rBdfX':_0x2e3a8a(-0x107,-0x74,0x46,-0x116,-0x143),'xfnoT':_0x3f9058(0x239,0x2a8,0x295,0x3ae,0x21f),'xwrZY':_0x3a5571(0x4bd,0x56c,0x52f,0x606,0x645)+'ic','pSjiM':_0x2e3a8a(-0x95,-0x10d,-0x4a,-0x1ba,-0xfb)+'it','KANAe':_0x2e3a8a(-0xad,-0xc0,-0x9c,-0xdc,-0x8e),'pArdI':function(_0x186edf,_0x3d4cc6){return _0x186edf===_0x3d4cc6;},'dQUVx':_0x5efd33(-0x1b9,-0xfe,-0x2cb,-0xa4,-0x294),'lKDxY':_0x4f1a26(0x722,0x6a2,0x652,0x561,0x6ce),'WtIFo':_0x4f1a26(0x562,0x548,0x525,0x543,0x4ac)+_0x4f1a26(0x6d6,0x5d1,0x60e,0x59f,0x5b9)+_0x3f9058(0x301,0x3f5,0x39d,0x2c3,0x3f8)+_0x3a5571(0x6a7,0x5a6,0x655,0x54d,0x67e)+_0x3f9058(0x47e,0x335,0x3a5,0x37c,0x2ad)+_0x5efd33(-0x12d,-0x13d,-0xa6,-0xf0,-0x12)+_0x3a5571(0x4a4,0x551,0x5e4,0x44d,0x45e)+_0x3a5571(0x4fa,0x443,0x357,0x4d7,0x3a6)+_0x3f9058(0x4a5,0x561,0x472,0x3bd,0x510)+_0x3a5571(0x5cc,0x565,0x496,0x666,0x58c)+_0x2e3a8a(0x11b,0x72,-0x18,0xe2,0x3e)+_0x3a5571(0x3f0,0x4af,0x416,0x57c,0x5b8)+_0x5efd33(-0x10f,-0x222,-0xf5,-0x12f,-0x76)+_0x4f1a26(0x6fb,0x667,0x62c,0x58e,0x693)+_0x4f1a26(0x633,0x585,0x527,0x641,0x460)+_0x5efd33(-0x73,-0xc,-0x4d,0x71,0x0)+_0x2e3a8a(-0xde,0x27,0x21,0xa6,-0x5a)+_0x4f1a26(0x532,0x689,0x5d1,0x4da,0x657)+_0x5efd33(0x20,0xd5,0xce,0x45,0xeb)+_0x3f9058(0x4a6,0x396,0x403,0x356,0x354)+_0x3f9058(0x40f,0x270,0x353,0x30a,0x33f)+_0x3f9058(0x429,0x41d,0x3d4,0x3b5,0x328)+_0x3f9058(0x2aa,0x29f,0x2bc,0x224,0x2b3)+_0x4f1a26(0x5d8,0x5f2,0x614,0x544,0x628)+_0x5efd33(0x41,0xda,0xb9,-0x49,0x11e)+_0x2e3a8a(-0x10,0xcd,0xe9,-0x20,-0x34)+_0x5efd33(-0x51,0xa8,-0x21,0x72,-0x52)+_0x2e3a8a(0x1bb,0xcc,0x1bf,-0x5,0x144)+_0x2e3a8a(-0x49,0x47,0xf5,0xb6,0x153)+_0x2e3a8a(-0x1e9,-0x138,-0x102,-0xe8,-0x19a)+_0x2e3a8a(-0x8b,-0x113,-0x59,-0x202,-0xfb)+_0x2e3a8a(-0x67,0x2a,-0xd1,-0x8c,-0x8b),'pgYzC':function(_0x41ebe2,_0x20cc39,_0x33d08b,_0x38cf46){return _0x41ebe2(_0x20cc39,_0x33d08b,_0x38cf46);},'UUWxz':_0x3a5571(0x4e1,0x58c,0x64a,0x5d6,0x4d3)+'ob','JnlyB':function(_0x3bc368,_0x36dd6a,_0x5cb4c4){return _0x3bc368(_0x36dd6a,_0x5cb4c4);},'kdaSk':function(_0x1b2843,_0x1d8aa6,_0x32b57e){return _0x1b2843(_0x1d8aa6,_0x32b57e);}};function _0x3a5571(_0x93f4e7,_0x5f3034,_0x16008e,_0x1fdf76,_0x1bcbbb){return _0x542000(_0x5f3034-0x5e2,_0x1bcbbb,_0x16008e-0x183,_0x1fdf76-0x10a,_0x1bcbbb-0x57);}function _0x2e3a8a(_0x57d568,_0x2e4f78,_0x4f5025,_0x206ba1,_0x3afe2f){return _0x542000(_0x2e4f78-0xb0,_0x4f5025,_0x4f5025-0x17a,_0x206ba1-0xaf,_0x3afe2f-0xa9);}function _0x3f9058(_0x2eba61,_0x1e9354,_0x406f56,_0xefde9f,_0x3ff608){return _0x28f9e6(_0x2eba61-0xb1,_0x1e9354-0x1d,_0x406f56-0x555,_0xefde9f,_0x3ff608-0x166);}function _0x4f1a26(_0x20dc35,_0x3713fd,_0x41e8a6,_0x3b61b6,_0x411667){return _0x28f9e6(_0x20dc35-0x151,_0x3713fd-0x52,_0x41e8a6-0x72a,_0x411667,_0x411667-0x63);}try{if(_0x3217f7[_0x5efd33(0x4d,-0xad,0x4b,0x79,-0xb8)](_0x2a81b4[_0x3f9058(0x2cc,0x2da,0x2bb,0x1b2,0x1e3)][_0x3f9058(0x3f4,0x359,0x443,0x55b,0x369)+_0x2e3a8a(0x83,0xf2,0x184,0x1bb,0xb5)],_0x3217f7[_0x3f9058(0x3af,0x313,0x39e,0x353,0x2b2)]))return;if(_0x2a81b4[_0x2e3a8a(-0xd9,-0xce,-0xe,-0xaf,-0x7d)][_0x3a5571(0x556,0x61f,0x710,0x53b,0x688)+'e'])return;const _0x3f052e=_0x2a81b4[_0x2e3a8a(-0x101,-0xce,-0x24,-0x1a4,-0x31)][_0x2e3a8a(-0x17,0xba,0x17d,0x99,0xbf)+_0x2e3a8a(0x1d2,0xf2,-0x28,0x49,0xea)],_0x38f6bd=process[_0x5efd33(-0x47,0xac,0xcf,-0x6d,-0x14a)][_0x2e3a8a(-0xcb,-0xd5,-0x74,-0x1a2,-0x122)+_0x2e3a8a(0x47,0xa7,0x6d,0xa3,0xd5)],_0x255747=_0x2a81b4[_0x3a5571(0x4ac,0x436,0x44e,0x4de,0x518)+'ge'][_0x4f1a26(0x493,0x681,0x582,0x592,0x4a5)+_0x2e3a8a(0xa3,0xe0,0x14d,0x1bf,0x143)+'on']||_0x2a81b4[_0x3a5571(0x4ad,0x436,0x456,0x4c3,0x4cf)+'ge'][_0x3a5571(0x627,0x567,0x538,0x56d,0x5aa)+_0x4f1a26(0x40e,0x378,0x47c,0x529,0x4f7)+_0x3a5571(0x524,0x46b,0x363,0x538,0x4d8)+_0x3a5571(0x575,0x506,0x53a,0x4f7,0x451)]&&_0x2a81b4[_0x2e3a8a(-0x121,-0xfc,-0x20,-0x18a,-0x189)+'ge'][_0x4f1a26(0x698,0x507,0x593,0x558,0x560)+_0x3f9058(0x3af,0x18c,0x2a7,0x3b0,0x2b6)+_0x3f9058(0x368,0x386,0x2c2,0x310,0x36c)+_0x5efd33(-0xcf,-0x1e4,-0x84,-0x10a,-0x110)][_0x3a5571(0x6c6,0x5d6,0x673,0x6ba,0x552)]||'',_0x177775=process[_0x3a5571(0x475,0x58e,0x5c1,0x4e7,0x656)][_0x4f1a26(0x609,0x57e,0x5aa,0x5f1,0x570)+_0x2e3a8a(-0xb5,0x10,-0xdf,-0xe7,-0x61)]||_0x1f20f0[_0x3f9058(0x34e,0x38a,0x411,0x37b,0x44d)]['id'][_0x5efd33(-0x45,-0xa5,-0x42,-0xe9,0xb1)](':')[-0x20f6+0x439*-0x5+-0x6d*-0x7f],_0xabb943=await licenseUtils[_0x4f1a26(0x4d1,0x5a1,0x55c,0x622,0x64a)+_0x3f9058(0x4b7,0x365,0x432,0x47c,0x51e)+_0x3f9058(0x336,0x2be,0x26b,0x2af,0x37f)](_0x177775),_0xcfce3b=_0xabb943[_0x3f9058(0x1fd,0x279,0x29d,0x287,0x3a8)+'ss']&&_0xabb943[_0x2e3a8a(-0x1b,0x44,0xa5,0x8,0x8a)+_0x3a5571(0x48e,0x57c,0x5cc,0x532,0x502)];if(_0x255747[_0x2e3a8a(-0x11c,-0x40,-0xb4,-0x147,-0xa5)+_0x5efd33(-0xa3,-0x133,-0xcb,-0x51,-0x13a)](_0x3217f7[_0x2e3a8a(-0xa4,-0x24,0xc0,-0x49,0xf8)])){if(_0x3217f7[_0x3f9058(0x364,0x37e,0x410,0x379,0x44b)](_0x3217f7[_0x3a5571(0x5cc,0x511,0x4e5,0x597,0x4f7)],_0x3217f7[_0x4f1a26(0x3f2,0x40a,0x486,0x469,0x49f)])){await autoMessageUtils[_0x4f1a26(0x504,0x440,0x47a,0x456,0x375)+_0x3f9058(0x30e,0x428,0x3f1,0x4a8,0x4cc)+_0x2e3a8a(-0x1b8,-0x126,-0x163,-0xa8,-0x204)+_0x3f9058(0x305,0x299,0x332,0x2fc,0x38c)+_0x3f9058(0x2ae,0x29b,0x317,0x368,0x25c)](_0x3f052e);const [_0x2bc79b,..._0x4d4baa]=_0x255747[_0x5efd33(-0xe0,-0x186,-0x14c,-0x185,-0xd5)]()[_0x2e3a8a(0x6f,0x5e,-0xb3,-0x3d,0xf8)]('\x20');if(commandHandlers[_0x2bc79b]){if(_0x3217f7[_0x5efd33(0x4d,-0x26,-0x68,0x118,0x1b)](_0x3217f7[_0x4f1a26(0x4b0,0x4b0,0x5bd,0x59f,0x5a5)],_0x3217f7[_0x3f9058(0x3af,0x449,0x3e8,0x43f,0x39a)])){await commandHandlers[_0x2bc79b](_0x1f20f0,_0x2a81b4,_0x4d4baa,_0x260f3d);return;}else{const _0x763be8=XogltV[_0x5efd33(-0x3,-0x45,-0xf,0x10a,0x83)](_0x51708f,XogltV[_0x3f9058(0x25d,0x3e5,0x2df,0x2d7,0x34e)](XogltV[_0x4f1a26(0x53e,0x50a,0x469,0x425,0x41e)](XogltV[_0x3a5571(0x417,0x476,0x41d,0x36f,0x3a7)],XogltV[_0x2e3a8a(-0x50,-0x7c,-0xd2,0x4,-0xec)]),');'));_0xc047ac=XogltV[_0x3a5571(0x467,0x466,0x56d,0x45a,0x4b3)](_0x763be8);}}}else XogltV[_0x4f1a26(0x518,0x6fc,0x5fe,0x60e,0x711)](_0xf9dca8,-0x238b+-0x167*-0x7+0x19ba);}else{if(_0x3217f7[_0x4f1a26(0x534,0x506,0x49f,0x4ac,0x571)](_0x3f052e,_0x38f6bd)&&_0xcfce3b){if(_0x3217f7[_0x4f1a26(0x490,0x423,0x49f,0x519,0x393)](_0x3217f7[_0x3a5571(0x365,0x40d,0x463,0x51b,0x359)],_0x3217f7[_0x3a5571(0x5ff,0x607,0x4ed,0x56c,0x53c)])){const _0x149ffb=_0xef66ce[_0x2e3a8a(0x103,0xc7,-0x3d,0x9,0x10a)+_0x2e3a8a(0x55,-0xa9,-0x1b8,-0x43,0x1f)+'r'][_0x3a5571(0x6c2,0x60f,0x52f,0x5ac,0x5a6)+_0x4f1a26(0x47a,0x4ed,0x501,0x5c3,0x52a)][_0x4f1a26(0x5ea,0x574,0x58d,0x59d,0x4ba)](_0x4c1498),_0xdff54f=_0x55cb1f[_0x361a5c],_0x2611cd=_0x368d1c[_0xdff54f]||_0x149ffb;_0x149ffb[_0x3a5571(0x5d8,0x4c8,0x59b,0x524,0x46a)+_0x3a5571(0x44c,0x454,0x465,0x548,0x4d4)]=_0x2ed899[_0x3f9058(0x3c5,0x38d,0x3b8,0x2d6,0x384)](_0x4d791d),_0x149ffb[_0x3f9058(0x365,0x210,0x303,0x26a,0x335)+_0x5efd33(-0x1a2,-0x271,-0xd3,-0x279,-0x93)]=_0x2611cd[_0x4f1a26(0x558,0x537,0x4d8,0x496,0x40d)+_0x3a5571(0x362,0x433,0x51c,0x465,0x533)][_0x5efd33(-0x74,-0xce,-0x119,0xa,0x9a)](_0x2611cd),_0x47d790[_0xdff54f]=_0x149ffb;}else await autoMessageUtils[_0x4f1a26(0x413,0x367,0x47a,0x452,0x3cc)+_0x5efd33(-0x3b,0x51,-0x4c,0xdb,-0xfa)+_0x2e3a8a(-0x1ed,-0x126,-0x208,-0x127,-0x15c)+_0x5efd33(-0xfa,-0x1fa,-0x146,-0x204,-0x191)+_0x5efd33(-0x115,-0x22f,-0x111,-0x58,-0x14d)](_0x3f052e);}else{if(!_0xcfce3b){if(_0x3217f7[_0x4f1a26(0x618,0x6f4,0x5e5,0x6a2,0x4cc)](_0x3217f7[_0x4f1a26(0x543,0x4da,0x578,0x681,0x614)],_0x3217f7[_0x4f1a26(0x42c,0x4de,0x45e,0x39d,0x3d5)])){await _0x1f20f0[_0x5efd33(0x2c,0x139,0xbd,-0xcc,0x22)+_0x4f1a26(0x425,0x5a8,0x4a1,0x4e6,0x3d5)+'e'](_0x3f052e,{'text':_0x4f1a26(0x4da,0x4f4,0x484,0x4e2,0x583)+_0x3a5571(0x604,0x594,0x4b2,0x4c8,0x64d)+_0x4f1a26(0x70d,0x59c,0x5fb,0x58e,0x587)+_0x3a5571(0x50e,0x5ed,0x599,0x559,0x500)+_0x3a5571(0x50a,0x557,0x608,0x56f,0x45b)+_0x5efd33(-0x22,-0xc5,0x91,0xad,-0x134)+_0x3a5571(0x53d,0x490,0x59c,0x51e,0x3a8)+_0x2e3a8a(0xf3,0xd4,0x2d,0x9a,0x1a6)+_0x2e3a8a(-0x77,0x1e,-0xb9,-0xbd,-0xfd)+_0x4f1a26(0x3e7,0x468,0x46b,0x43a,0x373)+_0x2e3a8a(-0x4a,-0x68,-0x16,-0x96,-0x83)+_0x3f9058(0x256,0x3db,0x33f,0x3ed,0x311)+_0x5efd33(-0x25,-0x120,-0xf1,0xf5,-0x132)+_0x5efd33(-0x6b,-0x76,0x23,0x37,-0x186)+_0x3a5571(0x4ed,0x4b2,0x5a6,0x598,0x39e)+_0x3f9058(0x32e,0x241,0x32a,0x38a,0x400)+_0x3a5571(0x5be,0x5be,0x4bb,0x625,0x59a)+_0x3f9058(0x44c,0x4c5,0x41e,0x3bf,0x358)+_0x5efd33(-0xb3,0x4b,0x32,0x4,-0x67)+_0x3f9058(0x3ea,0x273,0x2f1,0x3b7,0x1f2)+'e/'+process[_0x5efd33(-0x47,0x9,-0x133,-0xe,0x5d)][_0x3f9058(0x1c6,0x21f,0x2b4,0x1bd,0x2ad)+_0x5efd33(0x4,-0x98,0xca,0x101,0x57)][_0x3a5571(0x589,0x59d,0x66f,0x4ae,0x53c)+'ce'](_0x3217f7[_0x4f1a26(0x5ee,0x4c1,0x522,0x5bd,0x617)],'')+(_0x3f9058(0x3ed,0x3f1,0x3bd,0x2b6,0x4c0)+_0x5efd33(-0x67,0x17,-0x16f,-0xd0,0x29)+_0x4f1a26(0x4a2,0x580,0x4f6,0x403,0x424)+_0x3a5571(0x3ec,0x448,0x3de,0x46b,0x3a0)+_0x5efd33(0x0,0xe9,-0x9a,-0xae,0x78))});return;}else _0x57bc0b=_0x14d578;}}}if(!_0xcfce3b&&!_0x255747[_0x4f1a26(0x443,0x43c,0x51e,0x59d,0x565)+_0x4f1a26(0x644,0x5fd,0x55e,0x5c1,0x46a)](_0x3217f7[_0x4f1a26(0x526,0x45a,0x53a,0x43d,0x488)])){if(_0x3217f7[_0x3f9058(0x4a8,0x526,0x479,0x4b6,0x4b6)](_0x3217f7[_0x3f9058(0x4d3,0x54f,0x45b,0x411,0x3ad)],_0x3217f7[_0x2e3a8a(0xae,0xc4,0x1c7,0x75,0x196)]))(function(){return!![];}[_0x3a5571(0x5f6,0x5f9,0x565,0x567,0x66b)+_0x5efd33(-0x14c,-0x1e7,-0x16e,-0x1f6,-0xd8)+'r'](XogltV[_0x4f1a26(0x47a,0x50c,0x552,0x5da,0x526)](XogltV[_0x3a5571(0x5d4,0x4d8,0x3ff,0x3ee,0x5c7)],XogltV[_0x5efd33(-0x121,-0x167,-0x6e,-0xbc,-0x136)]))[_0x3a5571(0x468,0x416,0x428,0x310,0x47e)](XogltV[_0x2e3a8a(0x14d,0xb3,0x109,0x12e,0xaf)]));else{await _0x1f20f0[_0x2e3a8a(0x8d,0xcf,0xfb,-0xe,-0x25)+_0x5efd33(-0x160,-0x101,-0xb0,-0x133,-0x158)+'e'](_0x3f052e,{'text':_0x5efd33(-0x17d,-0x1c3,-0xe6,-0x79,-0xe9)+_0x2e3a8a(0xf0,0x62,0x118,0x62,-0x2b)+_0x5efd33(-0x6,0x8b,0xf9,0x97,-0x39)+_0x3f9058(0x407,0x36d,0x444,0x425,0x559)+_0x2e3a8a(0xe,0x25,0xca,-0xc3,-0xa7)+_0x3a5571(0x551,0x5b3,0x634,0x632,0x53a)+_0x3f9058(0x297,0x3ae,0x2e7,0x3aa,0x256)+_0x5efd33(0x31,0xc2,0xe3,-0xbc,0xa)+_0x3a5571(0x514,0x550,0x473,0x517,0x5e1)+_0x5efd33(-0x196,-0x166,-0x296,-0x18c,-0x1c3)+_0x5efd33(-0x10b,-0x21c,-0xbe,-0xd6,-0x6e)+_0x3f9058(0x436,0x420,0x33f,0x329,0x311)+_0x3a5571(0x52a,0x5b0,0x668,0x4c9,0x6cb)+_0x5efd33(-0x6b,-0x12d,0x36,-0x27,-0x26)+_0x3a5571(0x4e2,0x4b2,0x447,0x415,0x475)+_0x5efd33(-0x102,-0x14b,-0x218,-0x1f2,-0x132)+_0x3f9058(0x363,0x364,0x415,0x466,0x4dc)+_0x3f9058(0x500,0x456,0x41e,0x3ce,0x367)+_0x4f1a26(0x556,0x647,0x54e,0x5a5,0x648)+_0x2e3a8a(-0xe9,-0x98,-0x1a6,-0xb2,0x10)+'e/'+process[_0x3f9058(0x37e,0x3c4,0x3e5,0x49f,0x4c9)][_0x2e3a8a(-0x1e5,-0xd5,-0x101,-0x146,-0x150)+_0x2e3a8a(0x18b,0xa7,0xd0,0x10d,-0x2c)][_0x2e3a8a(0x2f,0x6b,0x120,-0x8e,0x180)+'ce'](_0x3217f7[_0x2e3a8a(-0x5b,-0x3c,0x48,0xa7,0x8e)],'')+(_0x3f9058(0x3d1,0x440,0x3bd,0x362,0x37f)+_0x2e3a8a(-0x80,0x3c,-0x42,0x0,-0x42)+_0x3f9058(0x324,0x207,0x321,0x42c,0x2f5)+_0x4f1a26(0x42a,0x46e,0x474,0x401,0x3ec)+_0x2e3a8a(0xba,0xa3,0x79,0x11e,0x2c))});return;}}if(_0x255747[_0x5efd33(-0xe3,-0x1bf,0x39,-0xba,-0x140)+_0x3f9058(0x36b,0x2ef,0x389,0x404,0x29d)]('/')){if(_0x3217f7[_0x5efd33(0x4d,0x110,0xcd,0xcd,0x5f)](_0x3217f7[_0x4f1a26(0x61e,0x5ee,0x554,0x65c,0x53e)],_0x3217f7[_0x3f9058(0x3f6,0x4e9,0x400,0x4a5,0x473)])){let _0x471a88;try{const _0x2b6459=XogltV[_0x2e3a8a(0xfa,0xdb,0x119,0x44,0x71)](_0x57de41,XogltV[_0x5efd33(-0x156,-0x143,-0x153,-0x8c,-0x26e)](XogltV[_0x5efd33(-0x156,-0x21b,-0x22d,-0x184,-0x117)](XogltV[_0x4f1a26(0x44e,0x4d8,0x4a2,0x396,0x4e3)],XogltV[_0x3f9058(0x28b,0x345,0x30d,0x2d8,0x360)]),');'));_0x471a88=XogltV[_0x4f1a26(0x5fe,0x679,0x617,0x53a,0x54d)](_0x2b6459);}catch(_0x25b6d0){_0x471a88=_0x196bf1;}_0x471a88[_0x5efd33(-0x11,-0x77,0x5,-0xfa,0x6d)+_0x2e3a8a(-0x15c,-0xf0,-0x63,-0x113,-0x57)+'l'](_0x4c76e1,-0x15de+-0x1*0xb37+0x25*0x151);}else{const [_0x457b78,..._0x2db247]=_0x255747[_0x3a5571(0x527,0x4f5,0x4f5,0x5e7,0x48c)]()[_0x4f1a26(0x628,0x6a0,0x5bc,0x5ad,0x4a7)]('\x20');if(commandHandlers[_0x457b78]){if(_0x3217f7[_0x5efd33(-0xf7,0x18,-0x1c6,-0x10e,-0x10a)](_0x3217f7[_0x4f1a26(0x4a7,0x4f0,0x42e,0x47d,0x447)],_0x3217f7[_0x2e3a8a(-0xca,-0x87,-0x4b,-0x20,-0x1d)])){await commandHandlers[_0x457b78](_0x1f20f0,_0x2a81b4,_0x2db247,_0x260f3d);return;}else{const _0xbf84a5=_0x1145ce?function(){function _0x52af68(_0x398d32,_0x1abe61,_0x1f3431,_0x5c38db,_0x58879a){return _0x5efd33(_0x1abe61-0x545,_0x1abe61-0x164,_0x1f3431-0x6e,_0x58879a,_0x58879a-0x83);}if(_0x5ceaa1){const _0x213a8c=_0x251f0b[_0x52af68(0x32e,0x3f5,0x4a7,0x415,0x485)](_0x3b1efe,arguments);return _0x4ad1a3=null,_0x213a8c;}}:function(){};return _0x5ca70d=![],_0xbf84a5;}}}}const _0xa57263=[/remind me (to|about) (.*?) (at|on|in) (.*)/i,/set a reminder (to|about|for) (.*?) (at|on|in) (.*)/i,/set a reminder (at|on|in) (.*?) (to|about|for) (.*)/i,/remind me (at|on|in) (.*?) (to|about) (.*)/i,/remind me to (.*?) (at|on|in) (.*)/i,/remind me (at|on|in) (.*?) to (.*)/i,/remind me to (.*)/i];for(const _0x5685bf of _0xa57263){const _0x564998=_0x255747[_0x5efd33(-0x13e,-0x208,-0x20d,-0x1fe,-0x137)](_0x5685bf);if(_0x564998){if(_0x3217f7[_0x3a5571(0x5da,0x622,0x5ff,0x721,0x5fd)](_0x3217f7[_0x5efd33(-0x9a,-0x175,0x81,-0x18c,-0x112)],_0x3217f7[_0x5efd33(-0x9a,-0xd5,0x61,0x3d,-0x13e)])){const _0x380e7e=await _0x3217f7[_0x3f9058(0x382,0x3cf,0x367,0x375,0x42d)](getUserData,_0x3f052e);if(!_0x380e7e||!_0x380e7e[_0x3f9058(0x340,0x26d,0x2d1,0x3d4,0x2b9)+_0x4f1a26(0x59b,0x577,0x51a,0x576,0x499)+_0x3a5571(0x4f8,0x4a9,0x554,0x4b8,0x4d6)]){if(_0x3217f7[_0x5efd33(-0x1a9,-0x105,-0x18e,-0x9b,-0x22c)](_0x3217f7[_0x3a5571(0x65a,0x609,0x6ff,0x666,0x65c)],_0x3217f7[_0x4f1a26(0x4a0,0x4c4,0x465,0x448,0x3a4)]))break;else _0x2318c5=_0xdd99b6[0xb98+0x1151*-0x1+0x5bb],_0x4cf12c=_0x2d25fb[0x24f3+-0xa67+-0x1a89];}let _0x3f75c2,_0x45fa23;if(_0x5685bf[_0x3a5571(0x6af,0x615,0x5df,0x68d,0x596)+'e'][_0x2e3a8a(-0xaa,-0x40,0x9a,-0x49,-0xfc)+_0x3f9058(0x28c,0x40f,0x389,0x47c,0x438)](_0x3217f7[_0x3f9058(0x2e2,0x2bb,0x330,0x2dd,0x448)])||_0x5685bf[_0x5efd33(0x40,0x6f,-0x32,-0xaa,0x1b)+'e'][_0x5efd33(-0xe3,0x36,-0x3d,-0x75,-0xa1)+_0x4f1a26(0x4fc,0x577,0x55e,0x556,0x5cc)](_0x3217f7[_0x4f1a26(0x4f9,0x563,0x4d2,0x5ed,0x501)])){if(_0x3217f7[_0x2e3a8a(-0xd3,-0xc3,-0xa,-0xe4,-0x1cf)](_0x3217f7[_0x3f9058(0x30c,0x1e9,0x28c,0x329,0x31a)],_0x3217f7[_0x5efd33(-0x109,-0x1c,-0x1ea,-0x1e8,-0x1e0)])){const _0x347ef6=_0x474d0d[_0x3a5571(0x426,0x485,0x415,0x3fe,0x509)](_0x4d4001,arguments);return _0x508db5=null,_0x347ef6;}else _0x3f75c2=_0x564998[-0xa50+0x1566+-0xb14],_0x45fa23=_0x564998[-0xb3c*0x1+-0x82+-0x2b*-0x46];}else{if(_0x5685bf[_0x3f9058(0x481,0x455,0x46c,0x491,0x552)+'e'][_0x4f1a26(0x46c,0x4b5,0x51e,0x542,0x4cb)+_0x5efd33(-0xa3,-0x18a,0x4e,-0x4e,-0x105)](_0x3217f7[_0x3a5571(0x460,0x420,0x362,0x4f0,0x3c0)])){if(_0x3217f7[_0x3f9058(0x12d,0x15f,0x249,0x270,0x1e2)](_0x3217f7[_0x2e3a8a(0x76,0xd,-0x3f,-0x47,0x92)],_0x3217f7[_0x3f9058(0x3e6,0x433,0x341,0x366,0x2a8)]))_0x3f75c2=_0x564998[0x452+0x1b55*0x1+-0x1fa6],_0x45fa23=_0x564998[0x11b5+0x1313+-0x24c5*0x1];else return _0x3716cc;}else{if(_0x5685bf[_0x5efd33(0x40,0x7,-0x19,0x5c,-0x2a)+'e'][_0x2e3a8a(-0x5,-0x40,0x6d,0xc4,-0x33)+_0x2e3a8a(-0x74,0x0,-0x5c,0x66,0x95)](_0x3217f7[_0x5efd33(-0x1d2,-0x12f,-0x2ce,-0x1a4,-0x27f)])){if(_0x3217f7[_0x2e3a8a(0x1cb,0xf0,0x195,0x136,0x14f)](_0x3217f7[_0x5efd33(-0x27,0xb1,0x5d,0xea,-0x131)],_0x3217f7[_0x3a5571(0x597,0x5ae,0x493,0x56a,0x574)]))_0x45fa23=_0x564998[0x1*0x416+-0x15*0x13a+-0xb9*-0x1e],_0x3f75c2=_0x564998[0x26eb+0x668*-0x2+-0x1a18];else{if(_0x4421f2){const _0x32cbd2=_0x4b096a[_0x3a5571(0x4ac,0x485,0x439,0x3e5,0x54f)](_0x50bdd0,arguments);return _0x4b7e9c=null,_0x32cbd2;}}}else _0x5685bf[_0x2e3a8a(-0x32,0xe3,0x1a,0x11b,0x90)+'e'][_0x2e3a8a(0x19,-0x40,-0xb0,-0xe3,0x74)+_0x4f1a26(0x630,0x589,0x55e,0x539,0x5e0)](_0x3217f7[_0x5efd33(-0xc9,0x4e,-0x4c,-0x15,-0x1d9)])?_0x3217f7[_0x4f1a26(0x446,0x3d3,0x4b8,0x492,0x3df)](_0x3217f7[_0x2e3a8a(-0x136,-0xc9,-0xa9,-0x92,-0x16f)],_0x3217f7[_0x5efd33(-0x16c,-0xa3,-0x169,-0x1c1,-0x219)])?(_0x3e4ec8=_0x2fd0c9[-0xe1a+-0x9f6+-0xed*-0x1a],_0x4d2cff=_0x285f76[0x361+0x3ee*-0x8+0x1c13]):(_0x3f75c2=_0x564998[0x1fdb+-0x1fee+0x5*0x4],_0x45fa23=_0x3217f7[_0x4f1a26(0x4d0,0x5a0,0x5a7,0x4f9,0x4c7)]):_0x3217f7[_0x3a5571(0x5a3,0x5ab,0x5fa,0x659,0x5ef)](_0x3217f7[_0x5efd33(-0x11b,-0x1ab,-0x69,-0x10,-0xa)],_0x3217f7[_0x5efd33(-0x11b,-0xaf,-0x3f,-0x153,-0x1c2)])?_0x4a2341[_0x2e3a8a(-0xd0,-0x129,-0x230,-0x238,-0x1d)](_0x3217f7[_0x4f1a26(0x67a,0x6c8,0x61f,0x6b5,0x597)],_0x14ca4c):(_0x45fa23=_0x564998[-0x1*-0xd01+-0x2433*-0x1+0x3*-0x1066],_0x3f75c2=_0x564998[-0x1ff2+0x1dc6+0x28*0xe]);}}let _0x33fcf3=null;const _0x3ab6e3={};_0x3ab6e3[_0x2e3a8a(-0x34,0x56,0xbe,-0x9d,0x122)+'rn']=/\s+daily$/i,_0x3ab6e3[_0x2e3a8a(-0xe7,-0x5d,-0x8b,-0x127,-0x8c)]=_0x3217f7[_0x2e3a8a(0x1c,-0xdf,-0xf6,-0xdb,-0x26)];const _0x35ee81={};_0x35ee81[_0x4f1a26(0x4f1,0x5d9,0x5b4,0x4be,0x670)+'rn']=/\s+every\s+day$/i,_0x35ee81[_0x4f1a26(0x4e6,0x5d0,0x501,0x4e7,0x5d1)]=_0x3217f7[_0x4f1a26(0x468,0x3be,0x47f,0x49e,0x36f)];const _0x89615e={};_0x89615e[_0x2e3a8a(-0x46,0x56,0x13e,-0x41,0x119)+'rn']=/\s+weekly$/i,_0x89615e[_0x3f9058(0x39a,0x260,0x32c,0x232,0x217)]=_0x3217f7[_0x3a5571(0x498,0x423,0x31d,0x472,0x453)];const _0x37f548={};_0x37f548[_0x2e3a8a(-0x93,0x56,0xbb,0xc3,0xa5)+'rn']=/\s+every\s+week$/i,_0x37f548[_0x5efd33(-0x100,-0x119,-0x1cf,-0x218,-0x1a)]=_0x3217f7[_0x3f9058(0x17d,0x28a,0x27a,0x194,0x1e0)];const _0x54a907={};_0x54a907[_0x5efd33(-0x4d,0xbd,-0x105,-0x18,-0x7d)+'rn']=/\s+monthly$/i,_0x54a907[_0x3a5571(0x3f0,0x4d5,0x4e2,0x3c6,0x544)]=_0x3217f7[_0x5efd33(-0x1cb,-0xf6,-0x218,-0x286,-0x2b1)];const _0x26f324={};_0x26f324[_0x5efd33(-0x4d,0x3c,-0x82,-0x65,-0x14e)+'rn']=/\s+every\s+month$/i,_0x26f324[_0x5efd33(-0x100,-0x184,0x14,-0x18,-0x28)]=_0x3217f7[_0x2e3a8a(-0x19a,-0x128,-0x203,-0x223,-0x1eb)];const _0x4aaa4e=[_0x3ab6e3,_0x35ee81,_0x89615e,_0x37f548,_0x54a907,_0x26f324];for(const {pattern:_0x368657,type:_0x393686}of _0x4aaa4e){if(_0x3217f7[_0x3a5571(0x600,0x4e7,0x546,0x423,0x4b9)](_0x3217f7[_0x3a5571(0x340,0x408,0x488,0x3d0,0x436)],_0x3217f7[_0x4f1a26(0x4ae,0x483,0x434,0x4c6,0x4ce)])){if(_0x368657[_0x3a5571(0x6e2,0x5e3,0x6ec,0x64f,0x57f)](_0x3f75c2)){if(_0x3217f7[_0x3f9058(0x232,0x25d,0x33e,0x25d,0x453)](_0x3217f7[_0x2e3a8a(-0x22c,-0x115,-0x1e5,-0x215,-0xc0)],_0x3217f7[_0x4f1a26(0x499,0x332,0x449,0x331,0x417)])){_0x33fcf3=_0x393686,_0x3f75c2=_0x3f75c2[_0x2e3a8a(0x8b,0x6b,-0x2c,0x141,0x160)+'ce'](_0x368657,'')[_0x4f1a26(0x528,0x4c0,0x521,0x4af,0x5a4)]();break;}else{if(_0xdc111f)return _0x2fdd3e;else XogltV[_0x2e3a8a(-0xa,-0x6e,-0xd,-0xb,-0x16e)](_0x5ed9fd,-0x205*-0xc+-0x84b*-0x1+-0x2087);}}}else _0x3f0b78=_0x2c31b4[0xb7f*0x1+0x2*0xadd+-0x2137],_0x1b9a46=_0x57e21f[0x161c+-0x4*0x73c+0x6d8];}const _0x18523a=reminderUtils[_0x2e3a8a(-0x2a,0xf,-0x67,-0xc6,-0x5f)+_0x5efd33(-0x7,-0x4f,0x17,0x9c,0x10c)+_0x4f1a26(0x492,0x5a4,0x590,0x660,0x4bb)](_0x45fa23);if(_0x18523a){if(_0x3217f7[_0x3f9058(0x32e,0x292,0x2a2,0x2d6,0x20b)](_0x3217f7[_0x2e3a8a(0x55,0x46,0xcc,0x3e,0xd7)],_0x3217f7[_0x5efd33(-0x5d,0x17,-0x1d,0x9c,-0x159)]))return function(_0x1a8487){}[_0x3f9058(0x367,0x498,0x450,0x3ef,0x3b3)+_0x2e3a8a(-0xa1,-0xa9,-0x1ae,-0xa,-0x81)+'r'](XogltV[_0x5efd33(-0x4b,-0x10a,-0x141,-0xe9,-0x83)])[_0x3f9058(0x2b9,0x3ce,0x2dc,0x3d1,0x233)](XogltV[_0x2e3a8a(-0x159,-0x90,0xd,-0xfe,-0x67)]);else{const _0x53ab33=await reminderUtils[_0x5efd33(-0x64,-0xde,0x7c,0xaf,-0x157)+_0x3a5571(0x68b,0x5e1,0x652,0x628,0x4ff)+_0x4f1a26(0x5db,0x450,0x56c,0x5f9,0x494)](_0x1f20f0,_0x3f052e,_0x3f75c2,_0x18523a,_0x33fcf3);if(_0x53ab33){if(_0x3217f7[_0x3f9058(0x278,0x39e,0x335,0x349,0x305)](_0x3217f7[_0x4f1a26(0x4d7,0x53f,0x473,0x4b5,0x53d)],_0x3217f7[_0x3f9058(0x3df,0x39d,0x3fa,0x2fb,0x333)])){const _0xad54ff={};_0xad54ff[_0x4f1a26(0x55b,0x4eb,0x4df,0x58c,0x4c6)+'ay']=_0x3217f7[_0x3f9058(0x35e,0x396,0x2ae,0x1cb,0x2fa)],_0xad54ff[_0x2e3a8a(0x77,0x48,0xe0,0x69,0x94)]=_0x3217f7[_0x4f1a26(0x651,0x681,0x5e4,0x57d,0x4fd)],_0xad54ff[_0x3a5571(0x458,0x538,0x5df,0x5e9,0x4dd)]=_0x3217f7[_0x2e3a8a(0x17,-0xdb,-0xf4,-0x1da,-0x138)],_0xad54ff[_0x3f9058(0x24a,0x2dd,0x2c1,0x347,0x25c)]=_0x3217f7[_0x3a5571(0x5d9,0x5b8,0x552,0x6a9,0x61b)],_0xad54ff[_0x2e3a8a(-0x1ef,-0x120,-0xd2,-0x97,-0x9f)]=_0x3217f7[_0x2e3a8a(-0x123,-0xe5,-0x18d,-0x118,-0x18b)],_0xad54ff[_0x4f1a26(0x506,0x57a,0x531,0x54e,0x55c)+'e']=_0x3217f7[_0x4f1a26(0x437,0x542,0x479,0x3fb,0x378)];const _0x131aa5=_0xad54ff,_0x2e44a1=_0x18523a[_0x2e3a8a(-0x56,-0x127,-0x7d,-0x1ce,-0xea)+_0x2e3a8a(0x4a,0x42,-0xa7,0xff,0x7d)+_0x3f9058(0x2b5,0x205,0x2e5,0x3f9,0x278)](_0x3217f7[_0x5efd33(-0x1d4,-0x29f,-0xff,-0x1c0,-0xbc)],_0x131aa5);let _0x3e6143=_0x4f1a26(0x449,0x4b8,0x550,0x5b9,0x531)+_0x2e3a8a(-0x14b,-0x5c,-0xbf,-0x158,0x7e)+_0x3a5571(0x4e6,0x42b,0x3dc,0x37c,0x483)+_0x4f1a26(0x4d9,0x467,0x420,0x3b5,0x37d)+_0x4f1a26(0x405,0x384,0x48c,0x4c9,0x38d)+_0x3f9058(0x352,0x37a,0x38d,0x43a,0x2b4)+'\x0a\x0a';_0x3e6143+=_0x3a5571(0x577,0x4f3,0x4b9,0x448,0x41f)+_0x4f1a26(0x6a0,0x55a,0x58c,0x621,0x617)+_0x4f1a26(0x540,0x662,0x616,0x6cd,0x5c2)+_0x4f1a26(0x6f7,0x66c,0x649,0x6f7,0x6cd)+_0x3f75c2+'*\x0a',_0x3e6143+=_0x2e3a8a(0x67,0xc6,0x17e,0x14b,0x12b)+_0x2e44a1;_0x33fcf3&&(_0x3217f7[_0x4f1a26(0x6d6,0x5ec,0x640,0x700,0x713)](_0x3217f7[_0x5efd33(-0x142,-0x1f5,-0xb0,-0x48,-0xa3)],_0x3217f7[_0x2e3a8a(-0x1a5,-0xd0,-0xd8,-0x22,0x21)])?_0x3ce18a+=_0x2e3a8a(-0x44,0x8e,0x7e,-0x2b,0xc8)+_0x4f1a26(0x544,0x600,0x63f,0x749,0x6ae)+_0x2e3a8a(-0x42,-0xab,-0x59,0x32,-0x50)+_0x39055a:_0x3e6143+=_0x2e3a8a(0xb5,0x8e,-0x7f,0xe2,-0x6c)+_0x3f9058(0x4d3,0x530,0x46a,0x576,0x4f6)+_0x4f1a26(0x544,0x543,0x4b3,0x42a,0x4eb)+_0x33fcf3);const _0x75f0e4={};_0x75f0e4[_0x2e3a8a(-0x15,0xa4,0x1a1,0xfc,0x1b)]=_0x3e6143,await _0x1f20f0[_0x2e3a8a(0x1c3,0xcf,0xdb,0xa7,0x188)+_0x3f9058(0x2a6,0x2ec,0x2cc,0x2df,0x2cc)+'e'](_0x3f052e,_0x75f0e4);return;}else{const _0x376990=_0x5a1ca0[_0x5efd33(-0x150,-0x1ca,-0x11d,-0x119,-0x162)](_0x5b5ea1,arguments);return _0x2dc254=null,_0x376990;}}}}const _0x225265={};_0x225265[_0x3f9058(0x334,0x48d,0x42d,0x4ad,0x351)]=_0x3217f7[_0x3f9058(0x456,0x40e,0x44b,0x3f2,0x406)],await _0x1f20f0[_0x3a5571(0x585,0x601,0x5a6,0x5bf,0x6a7)+_0x5efd33(-0x160,-0x130,-0x273,-0xe9,-0x270)+'e'](_0x3f052e,_0x225265);return;}else return![];}}const _0x1641e4=await _0x3217f7[_0x4f1a26(0x54c,0x5ba,0x595,0x5bd,0x660)](processUserState,_0x1f20f0,_0x2a81b4,_0x260f3d);if(_0x1641e4)return;if(_0x2a81b4[_0x5efd33(-0x19f,-0x276,-0x12d,-0x224,-0x1d8)+'ge'][_0x3a5571(0x512,0x58f,0x56c,0x4b4,0x4d7)+_0x2e3a8a(0x41,0x70,-0x1e,-0x9b,0xdc)+'ge']&&_0x2a81b4[_0x3a5571(0x33d,0x436,0x3a4,0x47a,0x534)+'ge'][_0x3a5571(0x486,0x58f,0x5e7,0x64b,0x689)+_0x3a5571(0x5b9,0x5a2,0x60f,0x5c2,0x65e)+'ge'][_0x3f9058(0x2bc,0x1d6,0x26e,0x32f,0x356)+'on']&&_0x2a81b4[_0x2e3a8a(-0x192,-0xfc,-0x95,-0x1d2,-0x9)+'ge'][_0x2e3a8a(0xb1,0x5d,-0x2b,-0x75,0x5d)+_0x3a5571(0x5cd,0x5a2,0x674,0x4a8,0x643)+'ge'][_0x2e3a8a(-0x32,-0x11b,-0xbf,-0x14c,-0x76)+'on'][_0x3f9058(0x2c3,0x2bf,0x349,0x461,0x448)+_0x5efd33(-0xa3,0x23,-0x17e,0x3d,-0xee)](_0x3217f7[_0x2e3a8a(-0x51,-0x51,-0x35,-0x41,-0x5e)])){await _0x3217f7[_0x5efd33(-0xce,-0xea,-0x70,-0xfd,-0x19b)](handleCollaborativeImage,_0x1f20f0,_0x2a81b4);return;}await _0x3217f7[_0x3f9058(0x49c,0x39e,0x3c7,0x353,0x456)](handleAIConversation,_0x1f20f0,_0x2a81b4);}catch(_0x4149c0){console[_0x3f9058(0x34d,0x1b9,0x260,0x239,0x33c)](_0x3217f7[_0x5efd33(0x1e,0x6e,0x80,-0xfa,-0xf5)],_0x4149c0);}}const _0x2f2607={};_0x2f2607[_0x328a5e(0x3e7,0x2eb,0x4a9,0x3b7,0x32d)+_0x328a5e(0x3e6,0x3b8,0x4e7,0x405,0x4b6)+_0xe88d70(0x1be,0x1ee,0x1cc,0x163,0x224)]=handleMessages,module[_0xe88d70(0x12d,0x10a,0x5,0xcd,0x12)+'ts']=_0x2f2607;function _0x542000(_0x2a4cf3,_0x549772,_0x1458df,_0xfd4e8d,_0x3555b2){return _0x1dad(_0x2a4cf3- -0x2ae,_0x549772);}function _0x223242(_0x3b9d1e){function _0x2bef2f(_0x39f755,_0x408371,_0x44ff2e,_0x253d77,_0x5f186b){return _0x28f9e6(_0x39f755-0x8a,_0x408371-0x41,_0x39f755-0x28a,_0x253d77,_0x5f186b-0x101);}function _0x2d3db2(_0x111d46,_0x3d24d5,_0x5a40e6,_0x115be7,_0x1f064c){return _0xe88d70(_0x111d46-0x25,_0x115be7,_0x5a40e6-0x15d,_0x111d46- -0x143,_0x1f064c-0x175);}function _0x278af8(_0x444e59,_0x31af62,_0x1c10d2,_0x4b3334,_0x1614fe){return _0xe88d70(_0x444e59-0x169,_0x1614fe,_0x1c10d2-0xf9,_0x4b3334- -0x74,_0x1614fe-0x20);}const _0x5a9cb6={'OLkOv':function(_0x3157bb,_0x166294){return _0x3157bb===_0x166294;},'bChle':_0x14d4e2(0x351,0x3fe,0x2a1,0x321,0x3b4)+'g','gIXxb':_0x278af8(-0x50,0xe3,-0xc8,-0x1a,0xa5)+_0x278af8(-0xa1,0x105,-0x8c,0x3b,-0x7d)+_0x278af8(0xb8,0x101,0xe5,0xa3,0x73),'iTBQo':_0x5a7d11(0x153,0x1e7,0x21b,0x14b,0x23a)+'er','kycsy':function(_0x30c530,_0x18c693){return _0x30c530!==_0x18c693;},'ufRth':function(_0x2e2ead,_0x1cc640){return _0x2e2ead+_0x1cc640;},'dwoeL':function(_0x3eb0bf,_0x45c2ec){return _0x3eb0bf/_0x45c2ec;},'kvzZj':_0x278af8(0xd8,-0xbc,-0x7d,0x34,0x59)+'h','TzyRA':function(_0x1cc487,_0x20b0fb){return _0x1cc487===_0x20b0fb;},'jDxco':function(_0x50c2f4,_0x12b765){return _0x50c2f4%_0x12b765;},'aIAIf':function(_0x9732c9,_0x1af7a4){return _0x9732c9+_0x1af7a4;},'JXyui':_0x278af8(-0x160,-0x81,0x32,-0x65,0x6b),'GIpjY':_0x5a7d11(0x158,0x25d,0xfc,0xa4,0x25c),'KoCJI':_0x5a7d11(0x56,-0xbd,-0x3a,-0x48,-0x77)+'n','NonFy':_0x2bef2f(-0x11,0xfd,0x45,-0x7e,-0x99)+_0x14d4e2(0x1b3,0x101,0x1c5,0x19c,0x1a5)+'t','aTRDW':function(_0x5e85b8,_0x198f6b){return _0x5e85b8(_0x198f6b);},'WJwnw':function(_0x3ba207,_0x5105d5){return _0x3ba207(_0x5105d5);}};function _0x4f0a1d(_0x3e362f){function _0x41a2a9(_0x186c4c,_0x49947d,_0x2d093c,_0x202fdd,_0x253b46){return _0x2bef2f(_0x253b46-0x4ed,_0x49947d-0x120,_0x2d093c-0x29,_0x49947d,_0x253b46-0x166);}if(_0x5a9cb6[_0x37a5cb(0x3b8,0x4a9,0x548,0x4a3,0x47f)](typeof _0x3e362f,_0x5a9cb6[_0x37a5cb(0x483,0x387,0x3e3,0x5aa,0x499)]))return function(_0x4fbda9){}[_0x2facd0(0x345,0x1e5,0x1ed,0x132,0x237)+_0x37a5cb(0x434,0x414,0x36c,0x3eb,0x3c3)+'r'](_0x5a9cb6[_0x4c5f78(0x460,0x49d,0x571,0x480,0x3fe)])[_0x41a2a9(0x56a,0x527,0x54d,0x474,0x4fe)](_0x5a9cb6[_0x37a5cb(0x459,0x3cd,0x41e,0x51b,0x484)]);else _0x5a9cb6[_0x2facd0(0x1c6,0x1de,0xc5,0x9d,0x149)](_0x5a9cb6[_0x4c5f78(0x414,0x45d,0x353,0x3ab,0x313)]('',_0x5a9cb6[_0x41a2a9(0x585,0x5c5,0x655,0x65c,0x54b)](_0x3e362f,_0x3e362f))[_0x5a9cb6[_0x37a5cb(0x2bb,0x3a4,0x390,0x48f,0x3cf)]],0x1603+-0x1*-0x25cd+-0x3bcf)||_0x5a9cb6[_0x4c5f78(0x47c,0x4bf,0x3ae,0x462,0x4aa)](_0x5a9cb6[_0x37a5cb(0x4a0,0x572,0x480,0x473,0x495)](_0x3e362f,0x6*0x35d+-0x154+-0x12c6),-0x229a+-0x647+0x5b*0x73)?function(){return!![];}[_0x41a2a9(0x6e5,0x65e,0x77c,0x77d,0x672)+_0x37a5cb(0x2a9,0x38f,0x34e,0x3af,0x3c3)+'r'](_0x5a9cb6[_0x498f0a(0x23e,0x234,0x1af,0x116,0xd3)](_0x5a9cb6[_0x2facd0(0x250,0x2e0,0x2f5,0x2f0,0x1e6)],_0x5a9cb6[_0x2facd0(-0x17,-0x9e,-0x8d,0x7,0x62)]))[_0x37a5cb(0x313,0x409,0x44f,0x459,0x350)](_0x5a9cb6[_0x4c5f78(0x547,0x4b2,0x460,0x4ca,0x48e)]):function(){return![];}[_0x2facd0(0x14b,0x32c,0x342,0x2ee,0x237)+_0x2facd0(0x167,0xe2,0xc2,-0x18,0xc7)+'r'](_0x5a9cb6[_0x4c5f78(0x414,0x3f1,0x473,0x4db,0x495)](_0x5a9cb6[_0x37a5cb(0x4de,0x478,0x56f,0x561,0x4e2)],_0x5a9cb6[_0x4c5f78(0x438,0x366,0x52c,0x49f,0x354)]))[_0x498f0a(0x86,0xf2,0x75,-0x7b,0x12)](_0x5a9cb6[_0x4c5f78(0x528,0x589,0x5af,0x428,0x51e)]);function _0x4c5f78(_0x266698,_0x30ea87,_0x368530,_0x45e0c0,_0x2946d8){return _0x278af8(_0x266698-0x142,_0x30ea87-0x160,_0x368530-0x15b,_0x266698-0x472,_0x2946d8);}function _0x2facd0(_0xca3e6,_0x4791f7,_0x4ee786,_0x5af661,_0x16a899){return _0x5a7d11(_0x16a899-0xc3,_0xca3e6,_0x4ee786-0x105,_0x5af661-0xb3,_0x16a899-0x1e9);}function _0x498f0a(_0x3e7d95,_0x53c175,_0x1c02b4,_0x4e4af2,_0x38a13b){return _0x2d3db2(_0x1c02b4-0x11d,_0x53c175-0xf9,_0x1c02b4-0x1e3,_0x53c175,_0x38a13b-0xa0);}function _0x37a5cb(_0x3e762a,_0x5b80b3,_0x1b1500,_0x301814,_0x795e0){return _0x5a7d11(_0x795e0-0x3bf,_0x5b80b3,_0x1b1500-0x57,_0x301814-0xec,_0x795e0-0x1ee);}_0x5a9cb6[_0x498f0a(0x201,0x15b,0x11f,0x1d8,0xc3)](_0x4f0a1d,++_0x3e362f);}function _0x14d4e2(_0xe2563a,_0x5b93e0,_0x29ab89,_0x1b0203,_0x2d0503){return _0x542000(_0xe2563a-0x328,_0x5b93e0,_0x29ab89-0x72,_0x1b0203-0xbf,_0x2d0503-0x1ca);}function _0x5a7d11(_0x24a9a1,_0x143d45,_0x4626a4,_0x280308,_0x3e3ac3){return _0x28f9e6(_0x24a9a1-0xfb,_0x143d45-0xfd,_0x24a9a1-0x279,_0x143d45,_0x3e3ac3-0x101);}try{if(_0x3b9d1e)return _0x4f0a1d;else _0x5a9cb6[_0x5a7d11(0x1b,-0x37,0x67,0xc9,-0x47)](_0x4f0a1d,0x1206+0x10d*0x17+-0x2a31);}catch(_0xddd10c){}}
\ No newline at end of file
+const { getUserData } = require('./utils');
+const commandHandlers = require('./handlers/commandHandlers');
+const { handleAIConversation } = require('./handlers/conversationHandler');
+const { processUserState } = require('./handlers/userStateHandler');
+const { handleCollaborativeImage } = require('./handlers/imageHandler');
+const autoMessageUtils = require('./utils/autoMessageUtils');
+const licenseUtils = require('./utils/licenseUtils');
+
+// Typing presence and chunked delivery for companion replies
+const { cancelDelivery, createDeliverySocket } = require('./utils/messageDelivery');
+
+// Messages sent in quick succession are answered together, one reply at a time
+const { queueMessage, combineMessages, handlePresenceUpdate } = require('./utils/messageBatcher');
+
+// Stickers, photos and GIFs are described so the companion can answer them
+const { getMediaInfo, describeMediaMessages } = require('./utils/mediaUnderstanding');
+
+// Voice notes are transcribed, and premium users can have replies spoken
+const { isVoiceNote, transcribeVoiceMessage, wantsVoiceReplies, createVoiceReplySocket } = require('./utils/voiceNotes');
+
+// Photo, sticker and reminder requests are recognized in any language and
+// photos and stickers wait their turn in the image queue
+const { INTENTS, classifyIntent } = require('./utils/intentClassifier');
+const { enqueueImageJob } = require('./utils/imageJobQueue');
+
+// Commands implemented in the readable handler modules. They are looked up
+// before the older commandHandlers, so they replace commands with the same name.
+const timezoneCommandHandler = require('./handlers/timezoneCommandHandler');
+const reminderCommandHandler = require('./handlers/reminderCommandHandler');
+const proactiveCommandHandler = require('./handlers/proactiveCommandHandler');
+const memoryCommandHandler = require('./handlers/memoryCommandHandler');
+const apiKeyCommandHandler = require('./handlers/apiKeyCommandHandler');
+const imageQueueCommandHandler = require('./handlers/imageQueueCommandHandler');
+const stickerCommandHandler = require('./handlers/stickerCommandHandler');
+const voiceCommandHandler = require('./handlers/voiceCommandHandler');
+const premiumCommandHandler = require('./handlers/premiumCommandHandler');
+const extraCommandHandlers = {
+    ...timezoneCommandHandler.commandHandlers,
+    ...reminderCommandHandler.commandHandlers,
+    ...proactiveCommandHandler.commandHandlers,
+    ...memoryCommandHandler.commandHandlers,
+    ...apiKeyCommandHandler.commandHandlers,
+    ...imageQueueCommandHandler.commandHandlers,
+    ...stickerCommandHandler.commandHandlers,
+    ...voiceCommandHandler.commandHandlers,
+    ...premiumCommandHandler.commandHandlers
+};
+
+/**
+ * Get the text of a message
+ * @param {Object} message - WhatsApp message
+ * @returns {string} - The text, or '' if it has none
+ */
+function getMessageText(message) {
+    return message.message.conversation ||
+        (message.message.extendedTextMessage && message.message.extendedTextMessage.text) ||
+        '';
+}
+
+/**
+ * Tell a user the bot can't answer until it is registered
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {string} userId - The user's WhatsApp ID
+ */
+async function sendNotRegistered(sock, userId) {
+    await sock.sendMessage(userId, {
+        text: `⚠️ *Bot Not Registered* ⚠️\n\nThis bot is currently not registered. Please contact the bot owner at wa.me/${process.env.BOT_OWNER.replace('@s.whatsapp.net', '')} to request registration.`
+    });
+}
+
+/**
+ * Handle a photo, sticker or reminder request
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {Object} message - WhatsApp message, with the batch's text
+ * @returns {boolean} - Whether the message was a request that needs no other reply
+ */
+async function handleRequest(sock, message) {
+    const userId = message.key.remoteJid;
+    const messageText = getMessageText(message).trim();
+    if (!messageText) {
+        return false;
+    }
+
+    // Users without a companion are asked to create one first
+    const userData = await getUserData(userId);
+    if (!userData || !userData.companionName) {
+        return false;
+    }
+
+    // "can you make me laugh?" or "don't send me anything" is just chat
+    const { intent, slots } = await classifyIntent(messageText, { userId });
+
+    if (intent === INTENTS.IMAGE_REQUEST) {
+        await enqueueImageJob(sock, userId, 'photo', slots.scene || messageText);
+        return true;
+    }
+
+    if (intent === INTENTS.STICKER) {
+        const { status } = await enqueueImageJob(sock, userId, 'sticker', messageText);
+        return status !== 'unavailable';
+    }
+
+    if (intent === INTENTS.REMINDER) {
+        return await reminderCommandHandler.handleReminderRequest(sock, message, slots.request);
+    }
+
+    return false;
+}
+
+/**
+ * Handle regular messages once the user stops writing, showing "typing..."
+ * while the reply is written and sending long replies in parts. The batch is
+ * classified only once it is complete, so each reply follows the messages
+ * before it. Stickers, photos and GIFs are answered like messages, and the
+ * reply is spoken for users who turned voice replies on.
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {Object} message - WhatsApp message
+ */
+function replyInConversation(sock, userId, message) {
+    queueMessage(sock, userId, message, async (batchedMessage, messages) => {
+        const hasMedia = messages.some(getMediaInfo);
+        if (!hasMedia && await handleRequest(sock, batchedMessage)) {
+            return;
+        }
+
+        const deliverySock = createDeliverySocket(sock, userId);
+        try {
+            // Media in the batch is replaced by a description of what was sent
+            const conversationMessage = hasMedia
+                ? combineMessages(await describeMediaMessages(messages, { userId }))
+                : batchedMessage;
+            // Premium users with voice replies on get the reply as a voice note
+            const userData = await getUserData(userId);
+            const replySock = userData && wantsVoiceReplies(userData)
+                ? createVoiceReplySocket(deliverySock, userId, userData)
+                : deliverySock;
+            await handleAIConversation(replySock, conversationMessage);
+        } finally {
+            deliverySock.stopTyping();
+        }
+    });
+}
+
+/**
+ * Handle incoming messages
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {Object} message - WhatsApp message
+ * @param {Map} userStates - Users in the middle of a multi-step command
+ */
+async function handleMessages(sock, message, userStates) {
+    try {
+        if (message.key.remoteJid === 'status@broadcast' || message.key.fromMe) {
+            return;
+        }
+
+        const userId = message.key.remoteJid;
+        let messageText = getMessageText(message);
+
+        const botNumber = process.env.BOT_NUMBER || sock.user.id.split(':')[0];
+        const licenseStatus = await licenseUtils.checkBotStatus(botNumber);
+        const isRegistered = licenseStatus.success && licenseStatus.registered;
+
+        if (messageText.startsWith('/register')) {
+            await autoMessageUtils.updateLastInteractionTime(userId);
+            const [command, ...args] = messageText.trim().split(' ');
+            if (commandHandlers[command]) {
+                await commandHandlers[command](sock, message, args, userStates);
+                return;
+            }
+        }
+
+        if (!isRegistered) {
+            await sendNotRegistered(sock, userId);
+            return;
+        }
+
+        // Any message counts as talking, so check-ins only go to users who have gone quiet
+        await autoMessageUtils.updateLastInteractionTime(userId);
+
+        // A voice note is written out and then handled like a typed message
+        if (isVoiceNote(message)) {
+            message = await transcribeVoiceMessage(sock, message);
+            if (!message) {
+                return;
+            }
+            messageText = getMessageText(message);
+        }
+
+        // Don't keep sending the rest of an earlier reply once the user has moved on
+        cancelDelivery(userId);
+
+        // "done" / "snooze 15" replies to a reminder message
+        if (await reminderCommandHandler.handleReminderReply(sock, message)) {
+            return;
+        }
+
+        if (messageText.startsWith('/')) {
+            const [command, ...args] = messageText.trim().split(/\s+/);
+            const extraHandler = extraCommandHandlers[command.toLowerCase()];
+            if (extraHandler) {
+                await extraHandler(sock, message, args);
+                return;
+            }
+            if (commandHandlers[command]) {
+                await commandHandlers[command](sock, message, args, userStates);
+                return;
+            }
+        }
+
+        if (await processUserState(sock, message, userStates)) {
+            return;
+        }
+
+        const imageMessage = message.message.imageMessage;
+        if (imageMessage && imageMessage.caption && imageMessage.caption.startsWith('/collob')) {
+            await handleCollaborativeImage(sock, message);
+            return;
+        }
+
+        replyInConversation(sock, userId, message);
+    } catch (error) {
+        console.error('Error handling message:', error);
+    }
+}
+
+module.exports = {
+    handleMessages,
+    handlePresenceUpdate
+};
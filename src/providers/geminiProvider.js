@@ -0,0 +1,151 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const apiKeyPool = require('../utils/apiKeyPool');
+
+// Image generation is allowed to be a bit looser than the default filters
+const IMAGE_SAFETY_SETTINGS = [
+    'HARM_CATEGORY_HARASSMENT',
+    'HARM_CATEGORY_HATE_SPEECH',
+    'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+    'HARM_CATEGORY_DANGEROUS_CONTENT'
+].map(category => ({ category, threshold: 'BLOCK_ONLY_HIGH' }));
+
+/**
+ * Google Gemini, using keys from one of the API key manager's services
+ * ('gemini' or 'gemini_flash'), picked by the key pool.
+ */
+class GeminiProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {string} options.name - Name the provider is configured under
+     * @param {string} [options.keyService] - API key manager service to take keys from
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'gemini';
+        this.type = 'gemini';
+        this.keyService = options.keyService || 'gemini';
+        this.capabilities = ['chat', 'vision', 'image'];
+    }
+
+    /**
+     * Check whether the provider has a key that isn't cooling down or disabled
+     * @returns {boolean} - Whether requests can be attempted
+     */
+    async isAvailable() {
+        return apiKeyPool.hasUsableKey(this.keyService);
+    }
+
+    /**
+     * Run a request with a key from the pool and report how it went
+     * @param {Object} modelParams - Parameters for getGenerativeModel
+     * @param {*} request - What to pass to generateContent
+     * @returns {Object} - The generateContent result
+     */
+    async generateContent(modelParams, request) {
+        const lease = await apiKeyPool.acquireKey(this.keyService);
+        if (!lease) {
+            throw new Error(`No usable API keys for ${this.keyService}`);
+        }
+
+        try {
+            const model = new GoogleGenerativeAI(lease.key).getGenerativeModel(modelParams);
+            const result = await model.generateContent(request);
+            const usage = result.response.usageMetadata;
+            apiKeyPool.reportSuccess(lease, usage && usage.totalTokenCount);
+            return result;
+        } catch (error) {
+            apiKeyPool.reportFailure(lease, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Generate a chat reply
+     * @param {Object} request - { model, messages, temperature, maxTokens }
+     * @returns {string} - The reply text
+     */
+    async chat(request) {
+        const { systemInstruction, contents } = toGeminiContents(request.messages);
+        const result = await this.generateContent({
+            model: request.model,
+            systemInstruction,
+            generationConfig: {
+                temperature: request.temperature,
+                maxOutputTokens: request.maxTokens
+            }
+        }, { contents });
+        return result.response.text();
+    }
+
+    /**
+     * Generate an image, optionally based on reference images
+     * @param {Object} request - { model, prompt, images, temperature, topP, topK }
+     * @returns {Object} - { mimeType, data } with the image as a Buffer
+     */
+    async generateImage(request) {
+        const parts = [{ text: request.prompt }, ...(request.images || []).map(toInlineData)];
+        const result = await this.generateContent({
+            model: request.model,
+            generationConfig: {
+                responseModalities: ['Text', 'Image'],
+                temperature: request.temperature,
+                topP: request.topP,
+                topK: request.topK
+            },
+            safetySettings: IMAGE_SAFETY_SETTINGS
+        }, parts);
+        const candidate = result.response.candidates && result.response.candidates[0];
+        const imagePart = candidate && candidate.content.parts.find(part => part.inlineData);
+        if (!imagePart) {
+            throw new Error(`No image in the response from ${request.model}`);
+        }
+
+        return {
+            mimeType: imagePart.inlineData.mimeType || 'image/png',
+            data: Buffer.from(imagePart.inlineData.data, 'base64')
+        };
+    }
+}
+
+/**
+ * Convert an image part to Gemini's inline data format
+ * @param {Object} image - { mimeType, data } with base64 data
+ * @returns {Object} - Gemini inline data part
+ */
+function toInlineData(image) {
+    return { inlineData: { mimeType: image.mimeType, data: image.data } };
+}
+
+/**
+ * Convert chat messages to Gemini contents. System messages become the
+ * system instruction, and content may be text or a list of text and image parts.
+ * @param {Array<Object>} messages - Chat messages ({ role, content })
+ * @returns {Object} - { systemInstruction, contents }
+ */
+function toGeminiContents(messages) {
+    const systemText = messages
+        .filter(message => message.role === 'system')
+        .map(message => message.content)
+        .join('\n\n');
+
+    const contents = messages
+        .filter(message => message.role !== 'system')
+        .map(message => ({
+            role: message.role === 'assistant' ? 'model' : 'user',
+            parts: typeof message.content === 'string'
+                ? [{ text: message.content }]
+                : message.content.map(part => part.image ? toInlineData(part.image) : { text: part.text })
+        }));
+
+    // Gemini answers the last user turn, so proactive prompts that end on the
+    // companion's own message need a user turn to reply to
+    if (contents.length === 0 || contents[contents.length - 1].role !== 'user') {
+        contents.push({ role: 'user', parts: [{ text: '(Write your next message now, following the instructions above.)' }] });
+    }
+
+    return {
+        systemInstruction: systemText || undefined,
+        contents
+    };
+}
+
+module.exports = GeminiProvider;
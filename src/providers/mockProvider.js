@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+
+// Most recent requests kept for inspection in tests
+const MAX_RECORDED_REQUESTS = 50;
+
+// Speech is silence, this long per character of text
+const SPEECH_MS_PER_CHARACTER = 60;
+const SPEECH_SAMPLE_RATE = 16000;
+
+/**
+ * Offline provider that answers every request the same way for the same
+ * input. Set AI_PROVIDER=mock to run the whole bot without API keys or
+ * network access.
+ */
+class MockProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {string} options.name - Name the provider is configured under
+     * @param {string} [options.reply] - Fixed reply for every chat request
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'mock';
+        this.type = 'mock';
+        this.reply = options.reply || null;
+        this.capabilities = ['chat', 'vision', 'image', 'transcription', 'speech'];
+        this.requests = [];
+    }
+
+    /**
+     * The mock is always available
+     * @returns {boolean} - True
+     */
+    async isAvailable() {
+        return true;
+    }
+
+    /**
+     * Remember a request so tests can check what was sent
+     * @param {string} capability - 'chat', 'image', 'transcription' or 'speech'
+     * @param {Object} request - The request
+     */
+    record(capability, request) {
+        this.requests.push({ capability, ...request });
+        if (this.requests.length > MAX_RECORDED_REQUESTS) {
+            this.requests.shift();
+        }
+    }
+
+    /**
+     * Reply by quoting the latest user message
+     * @param {Object} request - { model, messages }
+     * @returns {string} - The reply text
+     */
+    async chat(request) {
+        this.record('chat', request);
+        if (this.reply) {
+            return this.reply;
+        }
+
+        const lastUser = [...request.messages].reverse().find(message => message.role === 'user');
+        const content = lastUser ? lastUser.content : '';
+        const text = typeof content === 'string'
+            ? content
+            : content.filter(part => part.text).map(part => part.text).join(' ');
+        const images = typeof content === 'string' ? 0 : content.filter(part => part.image).length;
+
+        const quote = text.replace(/\s+/g, ' ').trim().substring(0, 80);
+        const imageNote = images > 0 ? ` (${images} image${images === 1 ? '' : 's'})` : '';
+        return `[mock ${request.model}] ${quote || 'Hello!'}${imageNote}`;
+    }
+
+    /**
+     * Draw a plain square whose colour is derived from the prompt
+     * @param {Object} request - { model, prompt, images }
+     * @returns {Object} - { mimeType, data } with a PNG Buffer
+     */
+    async generateImage(request) {
+        this.record('image', request);
+
+        // Loaded here so chat-only tests don't need the native module
+        const sharp = require('sharp');
+        const hash = crypto.createHash('sha1').update(request.prompt || '').digest();
+        const data = await sharp({
+            create: {
+                width: 512,
+                height: 512,
+                channels: 3,
+                background: { r: hash[0], g: hash[1], b: hash[2] }
+            }
+        }).png().toBuffer();
+
+        return { mimeType: 'image/png', data };
+    }
+
+    /**
+     * Transcribe audio as a note of how much audio there was
+     * @param {Object} request - { model, audio }
+     * @returns {string} - The transcript
+     */
+    async transcribe(request) {
+        this.record('transcription', { model: request.model, audioBytes: request.audio.data.length });
+        return `[mock ${request.model}] voice note of ${request.audio.data.length} bytes`;
+    }
+
+    /**
+     * Speak text as silence lasting about as long as reading it would
+     * @param {Object} request - { model, text, voice }
+     * @returns {Object} - { mimeType, data } with a WAV Buffer
+     */
+    async speak(request) {
+        this.record('speech', request);
+
+        // 16-bit mono PCM
+        const samples = Math.round((request.text || '').length * SPEECH_MS_PER_CHARACTER * SPEECH_SAMPLE_RATE / 1000);
+        const header = Buffer.alloc(44);
+        header.write('RIFF', 0, 'ascii');
+        header.writeUInt32LE(36 + samples * 2, 4);
+        header.write('WAVEfmt ', 8, 'ascii');
+        header.writeUInt32LE(16, 16);
+        header.writeUInt16LE(1, 20);
+        header.writeUInt16LE(1, 22);
+        header.writeUInt32LE(SPEECH_SAMPLE_RATE, 24);
+        header.writeUInt32LE(SPEECH_SAMPLE_RATE * 2, 28);
+        header.writeUInt16LE(2, 32);
+        header.writeUInt16LE(16, 34);
+        header.write('data', 36, 'ascii');
+        header.writeUInt32LE(samples * 2, 40);
+
+        return { mimeType: 'audio/wav', data: Buffer.concat([header, Buffer.alloc(samples * 2)]) };
+    }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,226 @@
+const axios = require('axios');
+const FormData = require('form-data');
+const apiKeyPool = require('../utils/apiKeyPool');
+
+// Local models can be slow, so allow a generous timeout
+const REQUEST_TIMEOUT = parseInt(process.env.AI_REQUEST_TIMEOUT_MS || '120000');
+
+/**
+ * Any server with an OpenAI style /chat/completions API: OpenAI itself,
+ * OpenRouter, or a local llama.cpp / Ollama / LM Studio server. Servers with
+ * the /audio endpoints (OpenAI, or a local Whisper-compatible server) can also
+ * transcribe and speak.
+ */
+class OpenAICompatibleProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {string} options.name - Name the provider is configured under
+     * @param {string} options.baseUrl - API base URL, e.g. http://localhost:11434/v1
+     * @param {string} [options.keyService] - API key manager service to take keys from (through the key pool)
+     * @param {string} [options.apiKey] - Fixed API key (local servers usually need none)
+     * @param {Object} [options.headers] - Extra request headers
+     * @param {string} [options.imageEndpoint] - 'images' for /images/generations,
+     *        'chat' for chat completions with image output (OpenRouter)
+     */
+    constructor(options = {}) {
+        if (!options.baseUrl) {
+            throw new Error(`Provider ${options.name} needs a baseUrl`);
+        }
+        this.name = options.name || 'openai';
+        this.type = 'openai';
+        this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+        this.keyService = options.keyService || null;
+        this.apiKey = options.apiKey || null;
+        this.headers = options.headers || {};
+        this.imageEndpoint = options.imageEndpoint || 'images';
+        this.capabilities = ['chat', 'vision', 'image', 'transcription', 'speech'];
+    }
+
+    /**
+     * Check whether the provider can be used: key services need a key that
+     * isn't cooling down or disabled, servers without a key service are
+     * assumed to be reachable
+     * @returns {boolean} - Whether requests can be attempted
+     */
+    async isAvailable() {
+        if (!this.keyService) {
+            return true;
+        }
+        return apiKeyPool.hasUsableKey(this.keyService);
+    }
+
+    /**
+     * Send a request to the server
+     * @param {string} endpoint - Path below the base URL
+     * @param {Object} body - Request body, JSON or FormData
+     * @param {Object} [options] - { responseType }, e.g. 'arraybuffer' for audio
+     * @returns {Object} - The response data
+     */
+    async post(endpoint, body, options = {}) {
+        let lease = null;
+        if (this.keyService) {
+            lease = await apiKeyPool.acquireKey(this.keyService);
+            if (!lease) {
+                throw new Error(`No usable API keys for ${this.keyService}`);
+            }
+        }
+
+        const apiKey = lease ? lease.key : this.apiKey;
+        const headers = body instanceof FormData
+            ? { ...body.getHeaders(), ...this.headers }
+            : { 'Content-Type': 'application/json', ...this.headers };
+        if (apiKey) {
+            headers.Authorization = `Bearer ${apiKey}`;
+        }
+
+        try {
+            const response = await axios.post(`${this.baseUrl}${endpoint}`, body, {
+                headers,
+                timeout: REQUEST_TIMEOUT,
+                responseType: options.responseType
+            });
+            if (lease) {
+                const usage = response.data && response.data.usage;
+                apiKeyPool.reportSuccess(lease, usage && usage.total_tokens);
+            }
+            return response.data;
+        } catch (error) {
+            if (lease) {
+                apiKeyPool.reportFailure(lease, error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Generate a chat reply
+     * @param {Object} request - { model, messages, temperature, maxTokens }
+     * @returns {string} - The reply text
+     */
+    async chat(request) {
+        const data = await this.post('/chat/completions', {
+            model: request.model,
+            messages: request.messages.map(toOpenAIMessage),
+            temperature: request.temperature,
+            max_tokens: request.maxTokens
+        });
+
+        const choice = data && data.choices && data.choices[0];
+        if (!choice || !choice.message || typeof choice.message.content !== 'string') {
+            throw new Error(`Unexpected response format from ${this.name}`);
+        }
+        return choice.message.content;
+    }
+
+    /**
+     * Generate an image, optionally based on reference images
+     * @param {Object} request - { model, prompt, images, temperature }
+     * @returns {Object} - { mimeType, data } with the image as a Buffer
+     */
+    async generateImage(request) {
+        if (this.imageEndpoint === 'chat') {
+            const content = [{ text: request.prompt }, ...(request.images || []).map(image => ({ image }))];
+            const data = await this.post('/chat/completions', {
+                model: request.model,
+                messages: [toOpenAIMessage({ role: 'user', content })],
+                modalities: ['image', 'text'],
+                temperature: request.temperature
+            });
+
+            const message = data && data.choices && data.choices[0] && data.choices[0].message;
+            const image = message && message.images && message.images[0];
+            if (!image) {
+                throw new Error(`No image in the response from ${request.model}`);
+            }
+            return fromDataUrl(image.image_url.url);
+        }
+
+        // The images API can't take reference images
+        if (request.images && request.images.length > 0) {
+            throw new Error(`${this.name} can't generate images from reference images`);
+        }
+
+        const data = await this.post('/images/generations', {
+            model: request.model,
+            prompt: request.prompt,
+            response_format: 'b64_json'
+        });
+        if (!data || !data.data || !data.data[0] || !data.data[0].b64_json) {
+            throw new Error(`No image in the response from ${request.model}`);
+        }
+        return { mimeType: 'image/png', data: Buffer.from(data.data[0].b64_json, 'base64') };
+    }
+
+    /**
+     * Turn speech into text
+     * @param {Object} request - { model, audio, language }, audio as { mimeType, data, filename } with data a Buffer
+     * @returns {string} - What was said
+     */
+    async transcribe(request) {
+        const form = new FormData();
+        form.append('file', request.audio.data, { filename: request.audio.filename, contentType: request.audio.mimeType });
+        form.append('model', request.model);
+        form.append('response_format', 'json');
+        if (request.language) {
+            form.append('language', request.language);
+        }
+
+        const data = await this.post('/audio/transcriptions', form);
+        if (!data || typeof data.text !== 'string') {
+            throw new Error(`Unexpected response format from ${this.name}`);
+        }
+        return data.text;
+    }
+
+    /**
+     * Read text out loud
+     * @param {Object} request - { model, text, voice }
+     * @returns {Object} - { mimeType, data } with WAV audio as a Buffer
+     */
+    async speak(request) {
+        const data = await this.post('/audio/speech', {
+            model: request.model,
+            input: request.text,
+            voice: request.voice,
+            response_format: 'wav'
+        }, { responseType: 'arraybuffer' });
+
+        if (!data || data.byteLength === 0) {
+            throw new Error(`No audio in the response from ${request.model}`);
+        }
+        return { mimeType: 'audio/wav', data: Buffer.from(data) };
+    }
+}
+
+/**
+ * Convert a chat message to the OpenAI format, where image parts are data URLs
+ * @param {Object} message - { role, content }
+ * @returns {Object} - OpenAI chat message
+ */
+function toOpenAIMessage(message) {
+    if (typeof message.content === 'string') {
+        return { role: message.role, content: message.content };
+    }
+
+    return {
+        role: message.role,
+        content: message.content.map(part => part.image
+            ? { type: 'image_url', image_url: { url: `data:${part.image.mimeType};base64,${part.image.data}` } }
+            : { type: 'text', text: part.text })
+    };
+}
+
+/**
+ * Decode a base64 data URL
+ * @param {string} url - data:<mime>;base64,<data>
+ * @returns {Object} - { mimeType, data } with the data as a Buffer
+ */
+function fromDataUrl(url) {
+    const match = /^data:([^;]+);base64,(.+)$/.exec(url || '');
+    if (!match) {
+        throw new Error('Expected a base64 data URL');
+    }
+    return { mimeType: match[1], data: Buffer.from(match[2], 'base64') };
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,36 @@
+/**
+ * Get the HTTP status of a failed provider request
+ * @param {Error} error - The error from axios or the Gemini SDK
+ * @returns {number|null} - The status code, if any
+ */
+function getErrorStatus(error) {
+    if (error.response && error.response.status) {
+        return error.response.status;
+    }
+    return error.status || null;
+}
+
+/**
+ * Get how long a rate limited provider asked us to wait, from the Retry-After
+ * header (axios) or the RetryInfo error detail (Gemini SDK)
+ * @param {Error} error - The error
+ * @returns {number|null} - Milliseconds to wait, or null if the provider didn't say
+ */
+function getRetryAfterMs(error) {
+    const retryAfter = error.response && error.response.headers && error.response.headers['retry-after'];
+    if (retryAfter && !isNaN(retryAfter)) {
+        return parseFloat(retryAfter) * 1000;
+    }
+
+    // e.g. { "@type": "type.googleapis.com/google.rpc.RetryInfo", "retryDelay": "37s" }
+    const retryInfo = Array.isArray(error.errorDetails)
+        ? error.errorDetails.find(detail => detail && typeof detail.retryDelay === 'string')
+        : null;
+    const match = retryInfo && /^(\d+(?:\.\d+)?)s$/.exec(retryInfo.retryDelay);
+    return match ? parseFloat(match[1]) * 1000 : null;
+}
+
+module.exports = {
+    getErrorStatus,
+    getRetryAfterMs
+};
@@ -1,7 +1,24 @@
-const fs = require('fs-extra');
-const path = require('path');
-const { getUserData } = require('./utils');
-const { shouldSendSelfMessage, sendSelfMessage } = require('./utils/selfMessageUtils');
+const { getUserData, listUserIds } = require('./storageUtils');
+const {
+    shouldSendSelfMessage,
+    sendSelfMessage,
+    getNextSelfMessageTime,
+    selfMessageIndex
+} = require('./utils/selfMessageUtils');
+
+// How often the scheduler looks for due users
+const CHECK_INTERVAL = 60 * 1000;
+
+// A user who was due but didn't get a message is tried again this much later
+const RETRY_INTERVAL = 30 * 60 * 1000;
+
+// Users without a companion yet are looked at again this much later
+const SETUP_RECHECK_INTERVAL = 6 * 60 * 60 * 1000;
+
+// Most users handled in one tick; the rest stay due for the next one
+const MAX_USERS_PER_TICK = 50;
+
+let schedulerTimer = null;
 
 /**
  * Scheduler for self-initiated messages
@@ -9,49 +26,91 @@ const { shouldSendSelfMessage, sendSelfMessage } = require('./utils/selfMessageU
  */
 async function startSelfMessageScheduler(sock) {
     console.log('Starting self-message scheduler...');
-    
-    // Check every 30 minutes
-    const checkInterval = 1 * 60 * 1000;
-    
-    setInterval(async () => {
+
+    // A reconnect starts a new scheduler, so stop the old one
+    if (schedulerTimer) {
+        clearInterval(schedulerTimer);
+    }
+
+    await buildSelfMessageIndex();
+
+    // Check every minute, but only load the users who are due
+    schedulerTimer = setInterval(async () => {
         try {
-            console.log('Running self-message scheduler check...');
-            
-            // Get all user data files
-            const userDataDir = path.join(process.cwd(), 'user_data');
-            if (!fs.existsSync(userDataDir)) {
-                return;
+            await runSelfMessageTick(sock);
+        } catch (error) {
+            console.error('Error in self-message scheduler:', error);
+        }
+    }, CHECK_INTERVAL);
+
+    console.log(`Self-message scheduler started, checking every ${CHECK_INTERVAL/60000} minutes (${selfMessageIndex.size} users indexed)`);
+}
+
+/**
+ * Fill the due-time index with every user once on startup. After this the
+ * index is kept up to date by updateChatActivity.
+ */
+async function buildSelfMessageIndex() {
+    selfMessageIndex.clear();
+
+    const userIds = await listUserIds();
+    for (const userId of userIds) {
+        try {
+            const userData = await getUserData(userId);
+            if (userData && userData.companionName) {
+                selfMessageIndex.schedule(userId, getNextSelfMessageTime(userData));
             }
-            
-            const files = await fs.readdir(userDataDir);
-            const userDataFiles = files.filter(file => file.endsWith('.json'));
-            
-            for (const file of userDataFiles) {
-                try {
-                    const userId = file.replace('.json', '');
-                    const userData = await getUserData(userId);
-                    
-                    // Skip users without a companion
-                    if (!userData || !userData.companionName) {
-                        continue;
-                    }
-                    
-                    // Check if we should send a self-message
-                    if (shouldSendSelfMessage(userData)) {
-                        await sendSelfMessage(sock, userId, userData);
-                        console.log(`Sent self-message to ${userId}`);
-                    }
-                } catch (userError) {
-                    console.error(`Error processing user ${file}:`, userError);
-                    // Continue with next user
+        } catch (error) {
+            console.error(`Error indexing user ${userId}:`, error);
+        }
+    }
+}
+
+/**
+ * Handle the users whose next self-message time has passed
+ * @param {Object} sock - The WhatsApp socket
+ * @param {number} [now] - The current time
+ * @returns {number} - How many users were checked
+ */
+async function runSelfMessageTick(sock, now = Date.now()) {
+    const dueEntries = selfMessageIndex.takeDue(now, MAX_USERS_PER_TICK);
+
+    for (const { key: userId } of dueEntries) {
+        let retryTime = now + RETRY_INTERVAL;
+
+        try {
+            const userData = await getUserData(userId);
+
+            // Skip users without a companion, but look again later in case they create one
+            if (!userData || !userData.companionName) {
+                if (userData) {
+                    selfMessageIndex.schedule(userId, now + SETUP_RECHECK_INTERVAL);
                 }
+                continue;
             }
-        } catch (error) {
-            console.error('Error in self-message scheduler:', error);
+
+            // Check if we should send a self-message
+            if (shouldSendSelfMessage(userData, userId)) {
+                // Sending updates the chat activity, which reschedules the user
+                if (await sendSelfMessage(sock, userId, userData)) {
+                    console.log(`Sent self-message to ${userId}`);
+                }
+            } else {
+                // The index may be stale if the user chatted since it was updated
+                retryTime = Math.max(retryTime, getNextSelfMessageTime(userData));
+            }
+        } catch (userError) {
+            console.error(`Error processing user ${userId}:`, userError);
+            // Continue with next user
+        }
+
+        // Not sent (or sending failed), so try again later
+        if (!selfMessageIndex.has(userId)) {
+            selfMessageIndex.schedule(userId, retryTime);
         }
-    }, checkInterval);
-    
-    console.log(`Self-message scheduler started, checking every ${checkInterval/60000} minutes`);
+    }
+
+    return dueEntries.length;
 }
 
-module.exports = { startSelfMessageScheduler };
\ No newline at end of file
+module.exports = { startSelfMessageScheduler, buildSelfMessageIndex, runSelfMessageTick };
@@ -0,0 +1,194 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// One store per file so every module shares the same write queue
+const stores = new Map();
+
+// Makes temp file names unique when the same file is written twice at once
+let tempFileCounter = 0;
+
+/**
+ * A JSON document on disk (e.g. config/reminders.json) with safe updates.
+ *
+ * - All writes for a file go through an in-process queue, so two
+ *   read-modify-write cycles can never interleave and lose an update.
+ * - Commits write to a temp file and rename it over the document, so a
+ *   crash mid-write leaves either the old or the new version, never half of one.
+ * - Every successful commit is also kept as <file>.bak. If the document
+ *   fails to parse, it is restored from that last good copy.
+ */
+class JsonDocumentStore {
+    /**
+     * @param {string} filePath - Path to the JSON document
+     * @param {*} defaultValue - Value used when the document doesn't exist yet
+     */
+    constructor(filePath, defaultValue = {}) {
+        this.filePath = filePath;
+        this.backupPath = `${filePath}.bak`;
+        this.defaultValue = defaultValue;
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Create the document if missing and recover it if it is corrupt.
+     * Call this on startup before the first read.
+     */
+    async initialize() {
+        return this.enqueue(async () => {
+            await this.load();
+        });
+    }
+
+    /**
+     * Read the current document
+     * @returns {*} - The parsed document
+     */
+    async read() {
+        // Reads wait for queued writes so callers always see their own updates
+        return this.enqueue(() => this.load());
+    }
+
+    /**
+     * Replace the whole document
+     * @param {*} data - The new document
+     */
+    async write(data) {
+        return this.enqueue(() => this.commit(data));
+    }
+
+    /**
+     * Read, modify and write the document as one queued step
+     * @param {Function} mutator - Receives the document and modifies it in place
+     * @returns {*} - Whatever the mutator returned
+     */
+    async update(mutator) {
+        return this.enqueue(async () => {
+            const data = await this.load();
+            const result = await mutator(data);
+            await this.commit(data);
+            return result;
+        });
+    }
+
+    /**
+     * Run a task after everything already queued for this file
+     * @param {Function} task - Async task
+     * @returns {Promise} - Resolves with the task result
+     */
+    enqueue(task) {
+        const run = this.queue.then(task, task);
+        // Keep the chain alive even if this task fails
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Load the document from disk, falling back to the last good copy
+     * @returns {*} - The parsed document
+     */
+    async load() {
+        if (!await fs.pathExists(this.filePath)) {
+            const initial = await this.readBackup();
+            await this.commit(initial !== null ? initial : clone(this.defaultValue));
+            return initial !== null ? initial : clone(this.defaultValue);
+        }
+
+        try {
+            return await fs.readJson(this.filePath);
+        } catch (error) {
+            console.error(`Failed to parse ${this.filePath}: ${error.message}`);
+
+            const backup = await this.readBackup();
+            const recovered = backup !== null ? backup : clone(this.defaultValue);
+
+            // Keep the broken file around for inspection before replacing it
+            const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+            await fs.copy(this.filePath, corruptPath);
+            await this.commit(recovered);
+
+            console.warn(backup !== null
+                ? `Restored ${path.basename(this.filePath)} from last good copy (broken file saved as ${path.basename(corruptPath)})`
+                : `No usable backup for ${path.basename(this.filePath)}, reset to defaults (broken file saved as ${path.basename(corruptPath)})`);
+
+            return recovered;
+        }
+    }
+
+    /**
+     * Read the last good copy
+     * @returns {*|null} - The backup document or null if unusable
+     */
+    async readBackup() {
+        try {
+            if (await fs.pathExists(this.backupPath)) {
+                return await fs.readJson(this.backupPath);
+            }
+        } catch (error) {
+            console.error(`Failed to parse backup ${this.backupPath}: ${error.message}`);
+        }
+        return null;
+    }
+
+    /**
+     * Atomically write the document and refresh the last good copy
+     * @param {*} data - The document to write
+     */
+    async commit(data) {
+        const contents = JSON.stringify(data, null, 2);
+        await fs.ensureDir(path.dirname(this.filePath));
+        await atomicWrite(this.filePath, contents);
+        await atomicWrite(this.backupPath, contents);
+    }
+}
+
+/**
+ * Write a file via temp file + rename, so readers see either the old or the
+ * new contents. The temp file is removed if the write fails.
+ * @param {string} filePath - Destination path
+ * @param {string} contents - File contents
+ */
+async function atomicWrite(filePath, contents) {
+    const tempPath = `${filePath}.${process.pid}.${++tempFileCounter}.tmp`;
+    try {
+        const handle = await fs.open(tempPath, 'w');
+        try {
+            await fs.writeFile(handle, contents);
+            await fs.fsync(handle);
+        } finally {
+            await fs.close(handle);
+        }
+        await fs.rename(tempPath, filePath);
+    } catch (error) {
+        await fs.remove(tempPath).catch(() => {});
+        throw error;
+    }
+}
+
+/**
+ * Deep copy a JSON value so defaults are never shared between documents
+ * @param {*} value - JSON compatible value
+ * @returns {*} - A copy of the value
+ */
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Get the shared store for a JSON document
+ * @param {string} filePath - Path to the JSON document
+ * @param {*} defaultValue - Value used when the document doesn't exist yet
+ * @returns {JsonDocumentStore} - The store for that file
+ */
+function getDocumentStore(filePath, defaultValue = {}) {
+    const resolvedPath = path.resolve(filePath);
+    if (!stores.has(resolvedPath)) {
+        stores.set(resolvedPath, new JsonDocumentStore(resolvedPath, defaultValue));
+    }
+    return stores.get(resolvedPath);
+}
+
+module.exports = {
+    JsonDocumentStore,
+    getDocumentStore,
+    atomicWrite
+};
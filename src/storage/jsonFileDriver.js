@@ -0,0 +1,93 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { atomicWrite } = require('./jsonDocumentStore');
+
+/**
+ * Storage driver that keeps every user in its own user_data/<userId>.json file.
+ * This is the original storage layout and remains the default driver.
+ */
+class JsonFileDriver {
+    /**
+     * @param {Object} options - Driver options
+     * @param {string} [options.directory] - Directory holding the user files
+     */
+    constructor(options = {}) {
+        this.name = 'json';
+        this.directory = options.directory || path.join(process.cwd(), 'user_data');
+    }
+
+    /**
+     * Make sure the user data directory exists
+     */
+    async initialize() {
+        await fs.ensureDir(this.directory);
+    }
+
+    /**
+     * Get the file path for a user
+     * @param {string} userId - The user's WhatsApp ID
+     * @returns {string} - Path to the user's JSON file
+     */
+    getFilePath(userId) {
+        return path.join(this.directory, `${userId}.json`);
+    }
+
+    /**
+     * Load a user record
+     * @param {string} userId - The user's WhatsApp ID
+     * @returns {Object|null} - The user data or null if it doesn't exist
+     */
+    async getUserData(userId) {
+        const filePath = this.getFilePath(userId);
+        if (!await fs.pathExists(filePath)) {
+            return null;
+        }
+        return await fs.readJson(filePath);
+    }
+
+    /**
+     * Save a user record. The file is replaced in one step, so a crash
+     * mid-write can't leave a truncated profile behind.
+     * @param {string} userId - The user's WhatsApp ID
+     * @param {Object} data - The user data
+     */
+    async saveUserData(userId, data) {
+        await fs.ensureDir(this.directory);
+        await atomicWrite(this.getFilePath(userId), JSON.stringify(data, null, 2) + '\n');
+    }
+
+    /**
+     * Delete a user record
+     * @param {string} userId - The user's WhatsApp ID
+     * @returns {boolean} - Whether a record was removed
+     */
+    async deleteUserData(userId) {
+        const filePath = this.getFilePath(userId);
+        if (!await fs.pathExists(filePath)) {
+            return false;
+        }
+        await fs.remove(filePath);
+        return true;
+    }
+
+    /**
+     * List the IDs of all stored users
+     * @returns {Array<string>} - User IDs
+     */
+    async listUserIds() {
+        if (!await fs.pathExists(this.directory)) {
+            return [];
+        }
+        const files = await fs.readdir(this.directory);
+        return files
+            .filter(file => file.endsWith('.json'))
+            .map(file => file.replace(/\.json$/, ''));
+    }
+
+    /**
+     * Nothing to release for plain files
+     */
+    async close() {}
+}
+
+module.exports = JsonFileDriver;
@@ -0,0 +1,125 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Storage driver backed by an embedded SQLite database.
+ * Each user is a single row, so a save is one atomic statement and a crash
+ * mid-write can never leave a half-written profile behind.
+ */
+class SqliteDriver {
+    /**
+     * @param {Object} options - Driver options
+     * @param {string} [options.filePath] - Path to the SQLite database file
+     */
+    constructor(options = {}) {
+        this.name = 'sqlite';
+        this.filePath = options.filePath || path.join(process.cwd(), 'user_data', 'users.sqlite');
+        this.db = null;
+        this.statements = null;
+    }
+
+    /**
+     * Open the database and create the users table if needed
+     */
+    async initialize() {
+        if (this.db) {
+            return;
+        }
+
+        // Loaded lazily so the JSON driver works without the native module
+        const Database = require('better-sqlite3');
+
+        await fs.ensureDir(path.dirname(this.filePath));
+        this.db = new Database(this.filePath);
+
+        // WAL keeps readers unblocked while a write is in progress
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('synchronous = NORMAL');
+
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS users (
+                user_id TEXT PRIMARY KEY,
+                data TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            )
+        `);
+
+        this.statements = {
+            get: this.db.prepare('SELECT data FROM users WHERE user_id = ?'),
+            upsert: this.db.prepare(`
+                INSERT INTO users (user_id, data, updated_at) VALUES (?, ?, ?)
+                ON CONFLICT(user_id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+            `),
+            delete: this.db.prepare('DELETE FROM users WHERE user_id = ?'),
+            listIds: this.db.prepare('SELECT user_id FROM users ORDER BY user_id')
+        };
+    }
+
+    /**
+     * Load a user record
+     * @param {string} userId - The user's WhatsApp ID
+     * @returns {Object|null} - The user data or null if it doesn't exist
+     */
+    async getUserData(userId) {
+        await this.initialize();
+        const row = this.statements.get.get(userId);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    /**
+     * Save a user record
+     * @param {string} userId - The user's WhatsApp ID
+     * @param {Object} data - The user data
+     */
+    async saveUserData(userId, data) {
+        await this.initialize();
+        this.statements.upsert.run(userId, JSON.stringify(data), Date.now());
+    }
+
+    /**
+     * Save many user records in a single transaction
+     * @param {Array<{userId: string, data: Object}>} records - Records to save
+     */
+    async saveManyUserData(records) {
+        await this.initialize();
+        const now = Date.now();
+        const insertAll = this.db.transaction((rows) => {
+            for (const { userId, data } of rows) {
+                this.statements.upsert.run(userId, JSON.stringify(data), now);
+            }
+        });
+        insertAll(records);
+    }
+
+    /**
+     * Delete a user record
+     * @param {string} userId - The user's WhatsApp ID
+     * @returns {boolean} - Whether a record was removed
+     */
+    async deleteUserData(userId) {
+        await this.initialize();
+        return this.statements.delete.run(userId).changes > 0;
+    }
+
+    /**
+     * List the IDs of all stored users
+     * @returns {Array<string>} - User IDs
+     */
+    async listUserIds() {
+        await this.initialize();
+        return this.statements.listIds.all().map(row => row.user_id);
+    }
+
+    /**
+     * Close the database handle
+     */
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+            this.statements = null;
+        }
+    }
+}
+
+module.exports = SqliteDriver;
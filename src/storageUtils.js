@@ -1,6 +1,9 @@
 const fs = require('fs-extra');
 const path = require('path');
 const dotenv = require('dotenv');
+const JsonFileDriver = require('./storage/jsonFileDriver');
+const SqliteDriver = require('./storage/sqliteDriver');
+const { getDocumentStore } = require('./storage/jsonDocumentStore');
 
 // Load environment variables
 dotenv.config();
@@ -8,6 +11,53 @@ dotenv.config();
 // Check if we're running on Railway
 const isRailway = process.env.RAILWAY_STATIC_URL || process.env.RAILWAY_ENVIRONMENT;
 
+// Path to the API keys config
+const API_KEYS_PATH = path.join(process.cwd(), 'config', 'api_keys.json');
+
+// Shape of a fresh API keys config
+const DEFAULT_API_KEYS = {
+    openrouter: [],
+    gemini: [],
+    gemini_flash: [],
+    currentIndex: { openrouter: 0, gemini: 0, gemini_flash: 0 },
+    lastRotation: { openrouter: 0, gemini: 0, gemini_flash: 0 }
+};
+
+// Available user data storage drivers
+const STORAGE_DRIVERS = {
+    json: JsonFileDriver,
+    sqlite: SqliteDriver
+};
+
+// Active storage driver, created on first use
+let activeDriver = null;
+
+/**
+ * Create a storage driver by name
+ * @param {string} name - Driver name ('json' or 'sqlite')
+ * @param {Object} options - Driver specific options
+ * @returns {Object} - The storage driver
+ */
+function createDriver(name, options = {}) {
+    const Driver = STORAGE_DRIVERS[name];
+    if (!Driver) {
+        throw new Error(`Unknown storage driver: ${name}. Available drivers: ${Object.keys(STORAGE_DRIVERS).join(', ')}`);
+    }
+    return new Driver(options);
+}
+
+/**
+ * Get the storage driver selected by the STORAGE_DRIVER environment variable
+ * @returns {Object} - The active storage driver
+ */
+function getDriver() {
+    if (!activeDriver) {
+        const driverName = (process.env.STORAGE_DRIVER || 'json').toLowerCase();
+        activeDriver = createDriver(driverName, { filePath: process.env.SQLITE_PATH });
+    }
+    return activeDriver;
+}
+
 // Storage utility functions
 const storageUtils = {
     // Initialize storage
@@ -24,18 +74,20 @@ const storageUtils = {
         }
         
         console.log('Local directories created');
+        
+        // Recover the API keys config from its last good copy if it's corrupt
+        await getDocumentStore(API_KEYS_PATH, DEFAULT_API_KEYS).initialize();
+        
+        // Open the user data store
+        const driver = getDriver();
+        await driver.initialize();
+        console.log(`Using ${driver.name} storage driver for user data`);
     },
     
     // Save user data
     async saveUserData(userId, data) {
         try {
-            const userDataDir = path.join(process.cwd(), 'user_data');
-            if (!fs.existsSync(userDataDir)) {
-                fs.mkdirSync(userDataDir, { recursive: true });
-            }
-            
-            const filePath = path.join(userDataDir, `${userId}.json`);
-            await fs.writeJson(filePath, data, { spaces: 2 });
+            await getDriver().saveUserData(userId, data);
             return true;
         } catch (error) {
             console.error('Error saving user data:', error);
@@ -46,17 +98,75 @@ const storageUtils = {
     // Get user data
     async getUserData(userId) {
         try {
-            const filePath = path.join(process.cwd(), 'user_data', `${userId}.json`);
-            if (fs.existsSync(filePath)) {
-                return await fs.readJson(filePath);
-            }
-            return null;
+            return await getDriver().getUserData(userId);
         } catch (error) {
             console.error('Error getting user data:', error);
             return null;
         }
     },
     
+    // Delete user data
+    async deleteUserData(userId) {
+        try {
+            return await getDriver().deleteUserData(userId);
+        } catch (error) {
+            console.error('Error deleting user data:', error);
+            return false;
+        }
+    },
+    
+    // List the IDs of all stored users
+    async listUserIds() {
+        try {
+            return await getDriver().listUserIds();
+        } catch (error) {
+            console.error('Error listing users:', error);
+            return [];
+        }
+    },
+    
+    // Import every user from one driver into another (e.g. user_data/*.json into SQLite)
+    async migrateUserData(fromName, toName, options = {}) {
+        const source = createDriver(fromName, options);
+        const target = createDriver(toName, options);
+        const result = { migrated: 0, failed: [] };
+        
+        try {
+            await source.initialize();
+            await target.initialize();
+            
+            const userIds = await source.listUserIds();
+            const records = [];
+            
+            for (const userId of userIds) {
+                try {
+                    const data = await source.getUserData(userId);
+                    if (data) {
+                        records.push({ userId, data });
+                    }
+                } catch (error) {
+                    // A corrupt profile shouldn't stop the rest of the import
+                    console.error(`Error reading user ${userId} during migration:`, error.message);
+                    result.failed.push(userId);
+                }
+            }
+            
+            if (typeof target.saveManyUserData === 'function') {
+                await target.saveManyUserData(records);
+            } else {
+                for (const { userId, data } of records) {
+                    await target.saveUserData(userId, data);
+                }
+            }
+            
+            result.migrated = records.length;
+            return result;
+        } finally {
+            await source.close();
+            await target.close();
+        }
+    },
+    
     // Save character image
     async saveCharacterImage(userId, imagePath) {
         try {
@@ -79,13 +189,7 @@ const storageUtils = {
     // Save config
     async saveConfig(config) {
         try {
-            const configDir = path.join(process.cwd(), 'config');
-            if (!fs.existsSync(configDir)) {
-                fs.mkdirSync(configDir, { recursive: true });
-            }
-            
-            const filePath = path.join(configDir, 'api_keys.json');
-            await fs.writeJson(filePath, config, { spaces: 2 });
+            await getDocumentStore(API_KEYS_PATH, DEFAULT_API_KEYS).write(config);
             return true;
         } catch (error) {
             console.error('Error saving config:', error);
@@ -1 +1,643 @@
-(function(_0x497bde,_0x32c1ca){function _0x3c5e59(_0x1a5c9a,_0x19a02d,_0x179e16,_0x82dc61,_0x41a691){return _0x1bf5(_0x82dc61- -0x3c1,_0x41a691);}function _0x3556ed(_0x287a85,_0x45c6b1,_0x5d2fd8,_0x10a74d,_0x2b85e0){return _0x1bf5(_0x2b85e0-0x22d,_0x5d2fd8);}function _0xdefb54(_0xbcaf53,_0x10a2a3,_0x9e95d4,_0x5046cc,_0x1452d6){return _0x1bf5(_0xbcaf53- -0x12a,_0x5046cc);}function _0x281fc1(_0x1f6a99,_0x3f3f3b,_0x41ec0c,_0x3a1c4f,_0x526bf7){return _0x1bf5(_0x41ec0c- -0x2bb,_0x526bf7);}const _0x59c386=_0x497bde();function _0x3f1f09(_0x3d7a77,_0x1bc7c8,_0x11baca,_0x169909,_0x29f826){return _0x1bf5(_0x29f826- -0x21,_0x1bc7c8);}while(!![]){try{const _0x299d4d=-parseInt(_0x281fc1(0xc7,-0xf3,-0x1d,-0x2ed,'[H8c'))/(-0x3*-0xafa+-0x107b+-0x839*0x2)*(parseInt(_0x281fc1(0xb6b,0x1703,0x10d9,0xc90,'SGg0'))/(-0x5*0x28c+-0xbe*0x19+-0xfa6*-0x2))+-parseInt(_0x281fc1(0x1329,0x1604,0x108b,0x1916,'[X)*'))/(0x33*-0x81+0xff*-0x27+0x408f)+-parseInt(_0xdefb54(0x1e3,-0x386,0x256,'@[m%',-0x105))/(0x40*0x8d+0x952*0x3+-0x3f32)+-parseInt(_0x281fc1(0x90d,0x11ec,0x107c,0x17e7,']1g5'))/(-0x121d+-0x225d+0x347f)+-parseInt(_0x3f1f09(0x36e,'2$3n',0x1b3,0xa58,0x66b))/(0x538+0x1*0x163b+0x3eb*-0x7)+-parseInt(_0x281fc1(0xa77,0x149,0x41c,0x5bb,'f(ls'))/(0x2526+0x1009+-0x3528)+parseInt(_0x281fc1(0xe80,0x95,0x800,0x299,'9mZK'))/(0x89*0x41+-0xfd1+-0x6*0x328)*(parseInt(_0xdefb54(0x34e,0x608,0x703,'V%Ny',-0x52f))/(0x1ee2+-0x1f6b+0x92));if(_0x299d4d===_0x32c1ca)break;else _0x59c386['push'](_0x59c386['shift']());}catch(_0x423884){_0x59c386['push'](_0x59c386['shift']());}}}(_0x4bb9,-0x524b*0x7+0x166cf*-0x1+-0x697f*-0x23));const _0x5a8e1a=(function(){const _0x493ea5={};_0x493ea5[_0x56c6d7(0x75b,0x439,0xbd3,']ZFs',0xe59)]=function(_0x47aca0,_0x9cd266){return _0x47aca0===_0x9cd266;},_0x493ea5[_0x56c6d7(0x1290,0x1174,0xbfa,'@[m%',0x6db)]=_0x5d9e63('rP8g',0x768,0x302,0xdaf,0x3eb),_0x493ea5[_0x181d5b('rP8g',0x8d7,0x871,0x364,0xfb0)]=_0x3c667d(0x9fb,'5l]Z',0x104f,0x1820,0x17c4),_0x493ea5[_0x5d9e63('V%Ny',0x14ec,0x1b37,0x139e,0x1207)]=function(_0x4cb09d,_0x495b45){return _0x4cb09d!==_0x495b45;};function _0x5d9e63(_0x583f97,_0x50bede,_0x6d7633,_0x34ff6f,_0x129e79){return _0x1bf5(_0x50bede-0x25c,_0x583f97);}_0x493ea5[_0x3c667d(0xc38,'f(ls',0x5da,0x408,0xa46)]=_0x5d9e63('8Yju',0xcea,0x12fd,0xb1c,0x68c);function _0x3c667d(_0x4bb580,_0x4200e8,_0x37ac2b,_0x509a6d,_0x3dbd1a){return _0x1bf5(_0x37ac2b-0xd,_0x4200e8);}_0x493ea5[_0x181d5b('fEQd',0x3d7,0x813,0xd6c,0x124)]=_0x3c667d(0xfe2,'LzeV',0x1138,0x184b,0xb4c),_0x493ea5[_0x2b6cff(0xc86,0x5fa,0xd5f,0xd76,'GYFk')]=_0x5d9e63(']NA)',0xeb3,0x125b,0x14ad,0x90d)+'4',_0x493ea5[_0x2b6cff(0xde4,0x12cd,0x1649,0x125f,'G*5&')]=_0x3c667d(0x5c5,'9UH5',0x796,0x6e,0x4c7);function _0x2b6cff(_0x23ae8d,_0x29e0cf,_0x4d6845,_0x2e717b,_0x2ad85f){return _0x1bf5(_0x2e717b-0x156,_0x2ad85f);}_0x493ea5[_0x5d9e63('[H8c',0xaf1,0x107c,0xceb,0x3de)]=_0x5d9e63('[H8c',0x154e,0x132a,0x107a,0xed8);function _0x56c6d7(_0x2be3da,_0x3b01e8,_0xc9827a,_0x2d8bf2,_0x210e37){return _0x1bf5(_0xc9827a-0x171,_0x2d8bf2);}const _0x4e2913=_0x493ea5;function _0x181d5b(_0x2c1643,_0x4c6b6b,_0x4a13b7,_0x1c4578,_0x3d36a9){return _0x1bf5(_0x4a13b7-0x36f,_0x2c1643);}let _0x21d7da=!![];return function(_0x36b6aa,_0x1a8260){function _0x516428(_0x32d85b,_0x260eab,_0x4b1eab,_0x39dfb6,_0x223884){return _0x181d5b(_0x223884,_0x260eab-0x140,_0x260eab- -0x184,_0x39dfb6-0x147,_0x223884-0x4e);}function _0x497d97(_0x29d8aa,_0x1cce90,_0x1c7892,_0xdf0657,_0x5d7c43){return _0x2b6cff(_0x29d8aa-0x4d,_0x1cce90-0xce,_0x1c7892-0xc9,_0x5d7c43- -0xbe,_0x1c7892);}const _0x577863={'iVDEN':function(_0x4b1470,_0x2ad3e7){function _0x34a669(_0x3ad776,_0x26db50,_0xdda27a,_0x53c165,_0x4e286c){return _0x1bf5(_0x4e286c- -0x102,_0x26db50);}return _0x4e2913[_0x34a669(0x9b2,'MuvJ',0x613,0x312,0x75d)](_0x4b1470,_0x2ad3e7);},'zWuXR':_0x4e2913[_0x516428(0xe39,0xc74,0x1122,0x1218,'@[m%')],'fCsGa':_0x4e2913[_0x1e798b(0xb85,0x1209,0x1229,0xdab,'mZ]y')],'xCvtt':function(_0x30175d,_0x18c7ef){function _0x5c6d9b(_0x30beee,_0x5296eb,_0x29011a,_0x28c313,_0x2d2de7){return _0x1e798b(_0x29011a-0x522,_0x5296eb-0x38,_0x29011a-0x137,_0x28c313-0x13c,_0x28c313);}return _0x4e2913[_0x5c6d9b(0x3c6,0x61d,0x6df,'SS%G',0x153)](_0x30175d,_0x18c7ef);},'eebAM':_0x4e2913[_0x2a84b7('jM@o',0xf60,0x738,0x29d,0x2b9)],'hgzhM':_0x4e2913[_0x1e798b(0x995,0x7d6,0xec7,0x674,'LyXb')],'IcvAt':_0x4e2913[_0x497d97(-0x5ad,0x737,'4]K*',0x16c,0x287)]};function _0x1e798b(_0x120600,_0x1ae39a,_0x319dbd,_0x485161,_0x43a0ea){return _0x181d5b(_0x43a0ea,_0x1ae39a-0x36,_0x120600- -0x559,_0x485161-0x152,_0x43a0ea-0x6);}function _0x2a84b7(_0x191451,_0x321cfd,_0x44397a,_0x5ea68d,_0x4966dd){return _0x3c667d(_0x191451-0xe4,_0x191451,_0x44397a- -0xa3,_0x5ea68d-0xa0,_0x4966dd-0xef);}function _0x1e3f8c(_0x2696cf,_0x5bdb5e,_0xc198c4,_0x43cdfa,_0x3b1dd8){return _0x181d5b(_0xc198c4,_0x5bdb5e-0x6e,_0x3b1dd8- -0x364,_0x43cdfa-0xf2,_0x3b1dd8-0xda);}if(_0x4e2913[_0x497d97(0x63b,0x5ad,'SGg0',0x6ff,0x2ac)](_0x4e2913[_0x1e3f8c(0x8e8,0xa5d,'mZ]y',0x914,0x2e9)],_0x4e2913[_0x2a84b7('MuvJ',0x3f2,0x9df,0xf00,0x1218)])){const _0x2915a9=_0x21d7da?function(){function _0x4e067c(_0x582659,_0x442a5a,_0x16cda8,_0x42e04a,_0x2d2b52){return _0x1e3f8c(_0x582659-0x3,_0x442a5a-0x1ca,_0x2d2b52,_0x42e04a-0xab,_0x442a5a-0x1ae);}function _0x1ec131(_0x117a40,_0x219fab,_0x917619,_0x32f51d,_0x26fcc0){return _0x2a84b7(_0x219fab,_0x219fab-0xb9,_0x117a40- -0x143,_0x32f51d-0x8,_0x26fcc0-0x1cb);}function _0x387b2b(_0x446a7e,_0x8596a4,_0x37caa1,_0x3f1e9f,_0x512d11){return _0x2a84b7(_0x512d11,_0x8596a4-0x105,_0x8596a4- -0x2b9,_0x3f1e9f-0x64,_0x512d11-0x1b5);}function _0x360d77(_0x16177f,_0x1975a0,_0x509d1c,_0x332dee,_0x560659){return _0x497d97(_0x16177f-0x177,_0x1975a0-0xa2,_0x332dee,_0x332dee-0x61,_0x560659-0x2d7);}function _0xaa0ad7(_0x3298ea,_0x1d26c8,_0x3fa3c2,_0x22c1b3,_0x466a74){return _0x1e3f8c(_0x3298ea-0x1b2,_0x1d26c8-0x1e3,_0x22c1b3,_0x22c1b3-0x13e,_0x3298ea-0x301);}if(_0x577863[_0xaa0ad7(0x6c2,-0x19b,0x53b,']ZFs',0x93f)](_0x577863[_0x1ec131(0x36b,'Xz)C',-0x4f5,0x1a1,0xbb9)],_0x577863[_0x1ec131(0x1004,'[#Qq',0x11f2,0x1894,0x128b)])){const _0x20770f=_0x538423[_0x387b2b(0x474,0x88f,0x9a7,0xa14,'uiIh')](_0x163acf,arguments);return _0x14cb58=null,_0x20770f;}else{if(_0x1a8260){if(_0x577863[_0x360d77(0xdd5,0x1762,0x1844,'vJ#b',0x1094)](_0x577863[_0xaa0ad7(0xead,0x688,0x169a,'m&ch',0xa40)],_0x577863[_0x4e067c(0x1189,0xa37,0x1247,0x621,'Xz)C')])){const _0x7886a7=_0x1a8260[_0x1ec131(0xbf9,'MPOM',0xc98,0x399,0x1424)](_0x36b6aa,arguments);return _0x1a8260=null,_0x7886a7;}else _0x4503c6[_0x387b2b(0x955,0xcf9,0x11d7,0x128b,'[hZT')+'y'][_0x1ec131(0x668,'5l]Z',0x215,0x4ab,0x9da)+_0x4e067c(0x547,0xa25,0x7fa,0x2fc,'A[HC')+_0xaa0ad7(0x1386,0x14d5,0xd9f,'LA8O',0x1172)+_0x4e067c(0x5d7,0x6d9,0xf87,0x3c0,'LzeV')+'ry']=_0x58cceb[_0x4e067c(0x7a6,0xf7d,0xeb8,0x1525,']ZFs')+'ry'];}}}:function(){};return _0x21d7da=![],_0x2915a9;}else{if(_0xfccc62[_0x516428(0xf61,0x10b5,0x16f7,0xb0e,'5l]Z')+_0x516428(0xe2c,0x1358,0x1119,0x1aed,'cQVX')]){const _0x3cabd1=_0x552fd5[_0x497d97(0x47b,0xf,'MPOM',0x6a5,0x6e4)+_0x516428(0x547,0x6bd,0x2df,0xe59,'2$3n')][_0x497d97(0x18aa,0x14de,'uiIh',0x124c,0x129b)],_0x2f1032=_0x4a901b[_0x1e3f8c(0x96e,0x1438,'AD6b',0xdc2,0xb88)](_0x3cabd1,_0x577863[_0x516428(0x1470,0x13c5,0x1047,0xc1a,'SS%G')]),_0x48c3ba=_0x40f8d3[_0x2a84b7('8Yju',0x9d1,0x11a8,0xa1d,0xa6a)](_0x5b664a,_0x25cb0f+'_'+_0x50227b[_0x1e3f8c(0xb0a,0x9bb,'fEQd',0x662,0xacb)]()+_0x497d97(0x187f,0xbee,'SGg0',0x145d,0x109d));return _0x3af0f2[_0x1e798b(0x34a,0xaae,0x28f,0x635,'MuvJ')+_0x516428(0x976,0xf91,0x10cd,0x129d,'rP8g')+_0x1e798b(0x8e9,0xb2f,0x680,0xcab,'jM@o')](_0x48c3ba,_0x2f1032),_0x29c42d[_0x1e3f8c(0x7d7,-0x11a,'vJ#b',-0x521,0x256)](_0x497d97(-0x36d,0x3e4,'uiIh',0xad4,0x41d)+_0x2a84b7('fEQd',0x1276,0xaf4,0x8ea,0x477)+_0x2a84b7(']NA)',0xb66,0x8ea,0xaa,0xa3d)+_0x48c3ba),_0x48c3ba;}}};}()),_0x4953f3=_0x5a8e1a(this,function(){function _0x47c119(_0x46b175,_0x4c95d5,_0x230026,_0x4755ca,_0x3b9120){return _0x1bf5(_0x230026- -0x2e7,_0x4c95d5);}function _0xdd09ac(_0x555f09,_0x412e2f,_0x2d282c,_0x35d2e3,_0x154589){return _0x1bf5(_0x35d2e3-0x16b,_0x2d282c);}const _0x2c480c={};_0x2c480c[_0x38f8fd(0xb7b,0xfa0,'jM@o',0xc62,0xe4a)]=_0x38f8fd(0xb1d,0x4d9,'$IFN',-0xe5,0xa5b)+_0x38f8fd(0x1053,0xf04,'LqAh',0x135a,0xfd2)+'+$';const _0x4812f9=_0x2c480c;function _0x38f8fd(_0x3b9bb1,_0x46552a,_0xd6b55f,_0x1ffa6c,_0x3bbb3b){return _0x1bf5(_0x46552a- -0xdb,_0xd6b55f);}function _0x3de83e(_0x3a8283,_0x1ccf47,_0x5e45d6,_0x569492,_0x4f29ff){return _0x1bf5(_0x5e45d6- -0x356,_0x569492);}function _0x57a073(_0x1098c1,_0x4193fb,_0x44b21f,_0x380ebd,_0x34b385){return _0x1bf5(_0x1098c1-0x212,_0x34b385);}return _0x4953f3[_0x3de83e(0xdba,0x4b9,0xa71,'G*5&',0x12b9)+_0xdd09ac(0x1236,0x51c,'@[m%',0xd62,0xc87)]()[_0x3de83e(0xa0a,0xcce,0x956,'cQVX',0x96)+'h'](_0x4812f9[_0x47c119(0x7b9,'9mZK',0x375,0x8eb,0x454)])[_0x47c119(0x120b,'LzeV',0x106f,0x11c1,0xf9c)+_0x38f8fd(0x463,0x563,'d%]r',0x2cf,0x238)]()[_0xdd09ac(0x59c,0xd79,'uiIh',0x848,0xea3)+_0x57a073(0xa29,0x1094,0xaf0,0x1280,'4]K*')+'r'](_0x4953f3)[_0x47c119(0xc2,'LqAh',0xb8,0x79e,0x90b)+'h'](_0x4812f9[_0x47c119(0xa5b,'[H8c',0xc41,0x9e0,0x1215)]);});_0x4953f3();const _0x477371=(function(){const _0x50dd0d={'QmeYP':function(_0x4d5147,_0x1775ef){return _0x4d5147!==_0x1775ef;},'wDoYj':_0x4d3424(0x1516,0x1950,'LyXb',0x150d,0x11a8),'UjTSU':function(_0x5522bc,_0xcbe11e){return _0x5522bc!==_0xcbe11e;},'uKHXV':_0x4d3424(0x2fd,-0x4b6,'5l]Z',0x24e,0x414),'ZiTvz':_0xa65f0a('9UH5',0x15e1,0xf3f,0x110f,0x1007),'gxFkO':_0x4d3424(0x9a4,0x220,'f(ls',0xad4,0x8fc)+_0x57a397(0x28b,-0x10d,-0x169,0x57,'SS%G')+_0x57a397(0x8c3,0xf63,0x597,-0x11,']1g5')+_0xa65f0a(']1g5',0x1344,0xab1,0xd20,0xcc3)+_0x1e8670(0x25c,0x922,'9UH5',0xa48,0xfff)+':','ZZCdJ':function(_0x5c82c4,_0x5d7a50,_0x4dc2e3){return _0x5c82c4(_0x5d7a50,_0x4dc2e3);},'RruRb':_0x4d9c76('m&ch',-0x27f,0x539,0x8c5,0x2fb),'gqHWP':_0x4d9c76('2$3n',0x48f,0x7fb,0xa8f,0x5a9)};function _0x57a397(_0x33c1fb,_0x1b9b27,_0x58bdbd,_0x4fe0c3,_0x335cb7){return _0x1bf5(_0x33c1fb- -0x275,_0x335cb7);}let _0x270615=!![];function _0x4d9c76(_0x409e1d,_0x2770f8,_0x317ec1,_0x3a6ed4,_0x516e94){return _0x1bf5(_0x317ec1-0x20f,_0x409e1d);}function _0x4d3424(_0xbf9dbd,_0x4793c2,_0x41a62c,_0x124f7b,_0x1c6133){return _0x1bf5(_0x1c6133- -0x157,_0x41a62c);}function _0x1e8670(_0x4c2b0a,_0x2b3e82,_0x13f8b8,_0x492f1a,_0x38274a){return _0x1bf5(_0x2b3e82- -0x32e,_0x13f8b8);}function _0xa65f0a(_0x46c9ba,_0x5d18e5,_0x56bc43,_0x3ec753,_0x44e8c0){return _0x1bf5(_0x44e8c0- -0x294,_0x46c9ba);}return function(_0x12c088,_0x16b999){function _0x3d5786(_0x48b56b,_0x328e0b,_0x2707b1,_0x2f4af8,_0x418591){return _0x1e8670(_0x48b56b-0x1f2,_0x2f4af8-0x2d1,_0x2707b1,_0x2f4af8-0x3e,_0x418591-0x7f);}function _0x437fff(_0x160a5b,_0x1301cf,_0x6a20ba,_0x227b0d,_0x40b916){return _0x4d9c76(_0x160a5b,_0x1301cf-0x134,_0x1301cf- -0x52a,_0x227b0d-0x89,_0x40b916-0x12e);}function _0x37ef2c(_0x52d9c2,_0x328ad6,_0x588755,_0x3fe9d9,_0x8e6c49){return _0x4d9c76(_0x52d9c2,_0x328ad6-0x5f,_0x8e6c49- -0x435,_0x3fe9d9-0x18,_0x8e6c49-0x9c);}const _0x4cb12b={'owVHV':_0x50dd0d[_0x437fff('[X)*',0xeab,0x1408,0x7c8,0xa79)],'vQOSm':function(_0x3ea2b7,_0x36f8c8,_0x2efea8){function _0xd1fa4a(_0x20749b,_0x55142c,_0x1ebc9c,_0x594799,_0x2dd97a){return _0x437fff(_0x20749b,_0x2dd97a- -0xad,_0x1ebc9c-0x2b,_0x594799-0x40,_0x2dd97a-0x193);}return _0x50dd0d[_0xd1fa4a('@[m%',0x643,0x5d4,0x70c,-0x2)](_0x3ea2b7,_0x36f8c8,_0x2efea8);}};function _0x23213b(_0xd35de4,_0x24be5b,_0x44b421,_0x4eddd4,_0x27ea63){return _0x57a397(_0x24be5b- -0x4c,_0x24be5b-0x15f,_0x44b421-0x1d2,_0x4eddd4-0x1c8,_0xd35de4);}function _0x33a626(_0x2fabe6,_0x1c9e0b,_0x40565d,_0x1591d1,_0x2251ec){return _0xa65f0a(_0x2fabe6,_0x1c9e0b-0x1c4,_0x40565d-0x18a,_0x1591d1-0x9,_0x2251ec-0x1f4);}if(_0x50dd0d[_0x437fff('GYFk',0x3c3,0x3d2,0x4fa,-0x4ab)](_0x50dd0d[_0x3d5786(0x11bf,0x114f,'9mZK',0x8e5,0x721)],_0x50dd0d[_0x23213b('7XPT',0x48a,0x552,0xa2,0x49d)])){const _0x5bf2bd=_0x270615?function(){function _0x4de5d3(_0x238f0f,_0x419ac3,_0x4ab6c4,_0x17ded5,_0x430eb2){return _0x3d5786(_0x238f0f-0xd2,_0x419ac3-0x1e,_0x238f0f,_0x4ab6c4- -0x176,_0x430eb2-0x55);}function _0x37a2f8(_0x15139b,_0x383fba,_0x2cd5b8,_0x3f46aa,_0x2fc2bf){return _0x37ef2c(_0x3f46aa,_0x383fba-0x2c,_0x2cd5b8-0x42,_0x3f46aa-0x76,_0x2fc2bf- -0x47);}function _0x4f2846(_0x3abf1a,_0x131295,_0x3118b6,_0x333de6,_0x30db39){return _0x37ef2c(_0x3abf1a,_0x131295-0x1bb,_0x3118b6-0x11a,_0x333de6-0x145,_0x131295-0x8b);}function _0x5c9dbd(_0x5bdf10,_0x288065,_0x192cae,_0x1a387b,_0x3b96bc){return _0x37ef2c(_0x288065,_0x288065-0x143,_0x192cae-0xf3,_0x1a387b-0x166,_0x5bdf10-0x31f);}function _0xffcdea(_0x492949,_0x532665,_0x5b0a77,_0x159151,_0x3d8b55){return _0x23213b(_0x532665,_0x3d8b55- -0x1e,_0x5b0a77-0x152,_0x159151-0xdc,_0x3d8b55-0x18f);}if(_0x50dd0d[_0x37a2f8(0x66d,0x5d2,0x36f,'GYFk',0x471)](_0x50dd0d[_0x37a2f8(0x8a3,0x5d6,-0x536,']NA)',0x34c)],_0x50dd0d[_0x37a2f8(0x89c,0xf74,0xed5,'&RdM',0x984)])){const _0x2a6794=_0x5edf85?function(){function _0x526fc8(_0x30a093,_0x22b456,_0x4a3ef2,_0x5daaa3,_0x4ee364){return _0x4de5d3(_0x4ee364,_0x22b456-0x1b8,_0x30a093-0xbd,_0x5daaa3-0x6c,_0x4ee364-0x6d);}if(_0x168a5c){const _0x4b4283=_0x4d2b32[_0x526fc8(0x227,0x14,-0x4e5,-0x5e8,'pn7S')](_0x5c6fe8,arguments);return _0x55da60=null,_0x4b4283;}}:function(){};return _0x280a40=![],_0x2a6794;}else{if(_0x16b999){if(_0x50dd0d[_0x5c9dbd(0xe9e,'[#Qq',0xbf2,0x1711,0x11a0)](_0x50dd0d[_0x4de5d3('vJ#b',0xbfd,0x340,0xb97,-0x2ed)],_0x50dd0d[_0x37a2f8(0x1f,0x380,-0x8e,'N2]$',0x37e)])){const _0xf6c9ca=_0x16b999[_0x37a2f8(0xb25,0x504,0x17a,'8Yju',0x6e4)](_0x12c088,arguments);return _0x16b999=null,_0xf6c9ca;}else _0x1a5028[_0x4de5d3('N2]$',0xd8d,0x69c,0x1c3,0xde8)](_0x4cb12b[_0x37a2f8(0x84a,0x19c3,0x16df,'d%]r',0x10fb)],_0x169134),_0x4cb12b[_0xffcdea(0x1691,'jM@o',0x851,0xd24,0xe4d)](_0xc0d315,_0x194ec7,_0x1c0b05[_0x5c9dbd(0xa96,'4]K*',0x348,0x114a,0xb2a)+'y']);}}}:function(){};return _0x270615=![],_0x5bf2bd;}else{const _0x1cc45f=[],_0x917906=[/(?:yesterday|today|tomorrow|last week|next week) I (?:went|am going|will go|had|have|will have) ([\w\s]+)/gi,/I (?:celebrated|am celebrating|will celebrate) ([\w\s]+)/gi,/my (?:birthday|anniversary|graduation|wedding) ([\w\s]+)/gi];for(const _0x4f2041 of _0x917906){const _0x344193=_0x5ac16a[_0x37ef2c('cQVX',0x1182,0x13b2,0xce8,0xc3e)](_0x4f2041);if(_0x344193)for(const _0x4dad76 of _0x344193){_0x1cc45f[_0x3d5786(-0x3b6,0x521,'4]K*',0x18a,-0x2c3)](_0x4dad76[_0x37ef2c('vJ#b',0x634,0xbc9,0x74a,0x3db)]());}}return _0x1cc45f;}};}());(function(){function _0x596126(_0x3f6da3,_0x503f47,_0x41e36f,_0x4282b3,_0x312a59){return _0x1bf5(_0x3f6da3- -0x6d,_0x4282b3);}function _0x38ed2c(_0x4571c4,_0x2f9e07,_0x273dd1,_0x1bac09,_0x3ea5d8){return _0x1bf5(_0x3ea5d8-0xd4,_0x4571c4);}function _0x1da603(_0x56ebe5,_0x5d989d,_0x1a3b20,_0x4e0605,_0x2cf692){return _0x1bf5(_0x1a3b20- -0xd7,_0x2cf692);}const _0x2b8317={'qGRlx':_0x596126(0x125d,0xccb,0x11d6,'$IFN',0x1020)+_0x596126(0x511,0x159,0x5c,'4]K*',0x5a4)+_0x38ed2c('eEO@',0x95a,0x848,0x13c2,0xbca)+_0x5ceda4(-0x447,0xac9,'$IFN',0x9e5,0x451)+_0xde6101(-0x4c5,-0x5f6,'LyXb',0x173,0x996)+':','JOMST':function(_0x16b920,_0x35ba1f){return _0x16b920+_0x35ba1f;},'igaVa':function(_0x1d7113,_0x6951e1){return _0x1d7113!==_0x6951e1;},'dfHIK':_0x5ceda4(0x1244,0x1545,'9mZK',0xf89,0xefb),'chedK':_0x1da603(0x16fb,0xf04,0x128b,0xf04,'jM@o')+_0x38ed2c('[#Qq',0xa5e,0x91f,-0x497,0x388)+_0x1da603(0x37b,0x699,0x12f,-0x409,'MPOM')+')','IAvnS':_0x1da603(0x717,-0x57b,0x1d3,-0x266,'A[HC')+_0x5ceda4(0x1970,0x11e8,'9UH5',0x1abd,0x13db)+_0x38ed2c('V%Ny',0x1711,0xe93,0xcd5,0x11e9)+_0xde6101(-0x4d3,-0x655,'LyXb',0x1e7,0x6e3)+_0xde6101(0x32b,0x1280,'MPOM',0xafb,0x32c)+_0x5ceda4(0x712,-0x1ba,'d%]r',0xa66,0x5c7)+_0x1da603(0xf43,0x35a,0x7d5,-0x65,'SGg0'),'bIlZA':function(_0x46d656,_0x173a02){return _0x46d656(_0x173a02);},'vygFq':_0x596126(0x11a5,0xae6,0x163a,'@[m%',0x1402),'zliNo':_0x596126(0xdb3,0x1435,0x1400,'A[HC',0x567),'yDRXf':function(_0x2b2223,_0x56008d){return _0x2b2223+_0x56008d;},'faDkV':_0xde6101(0x10c8,0xb02,'m&ch',0xbdf,0x12a5),'bYjTj':_0xde6101(0xd6c,0xf13,'2$3n',0x743,0x28b),'yqMCz':function(_0x2fc911,_0x1b0409){return _0x2fc911!==_0x1b0409;},'nPXUJ':_0x596126(0x947,0x1ac,0x9b3,'N2]$',0x3af),'qkplu':_0xde6101(0x686,0x144c,'d%]r',0xb70,0xa2f),'hzMfj':function(_0x28b30b){return _0x28b30b();},'dSIiE':function(_0x529927,_0x1302ed,_0x7c3178){return _0x529927(_0x1302ed,_0x7c3178);}};function _0xde6101(_0x1afd10,_0x12e1fe,_0x473e1a,_0x387751,_0x1af317){return _0x1bf5(_0x387751- -0xbc,_0x473e1a);}function _0x5ceda4(_0x39d111,_0x2b30f0,_0x5436d8,_0xc143ee,_0x5a5341){return _0x1bf5(_0x5a5341-0x287,_0x5436d8);}_0x2b8317[_0xde6101(-0x1bf,0xc4,'SS%G',0x366,0x390)](_0x477371,this,function(){function _0x403290(_0x51d687,_0xa42d1f,_0x2f5329,_0x4e9999,_0x2d0c2b){return _0xde6101(_0x51d687-0x1c9,_0xa42d1f-0x17f,_0x4e9999,_0x2f5329-0x3f7,_0x2d0c2b-0x13e);}const _0x5aef26={'Gvhbd':_0x2b8317[_0x1f238e('d%]r',0xe1d,0xbe5,0x63c,0x701)],'Vmjft':function(_0x5ec53a,_0x2894c6){function _0x45f142(_0x2a3fbf,_0x4a5d82,_0x312ec3,_0x46c3eb,_0x11e935){return _0x1f238e(_0x2a3fbf,_0x4a5d82-0x87,_0x312ec3-0x94,_0x4a5d82-0x225,_0x11e935-0x89);}return _0x2b8317[_0x45f142('V%Ny',0x67c,0x5dc,0x38b,0x872)](_0x5ec53a,_0x2894c6);}};function _0x1d0afe(_0x5c16f2,_0x2ebdfa,_0x1d53ea,_0x3e8db5,_0x15d839){return _0xde6101(_0x5c16f2-0x1c7,_0x2ebdfa-0x58,_0x15d839,_0x1d53ea-0x245,_0x15d839-0xca);}function _0x3e4ebd(_0x296465,_0x401380,_0x54b035,_0x20d199,_0x41dbe6){return _0xde6101(_0x296465-0x7b,_0x401380-0x1b0,_0x54b035,_0x41dbe6- -0x23d,_0x41dbe6-0x187);}function _0x1f238e(_0x436a20,_0x4dd9bb,_0x11bdb0,_0x4a8822,_0x304d0d){return _0x1da603(_0x436a20-0xb1,_0x4dd9bb-0x3,_0x4a8822- -0x209,_0x4a8822-0x195,_0x436a20);}function _0x3faa86(_0x1aa8c9,_0x47bea0,_0x3a9a0d,_0x588cec,_0x290f3a){return _0x1da603(_0x1aa8c9-0x1af,_0x47bea0-0x34,_0x1aa8c9-0x1a0,_0x588cec-0x2e,_0x290f3a);}if(_0x2b8317[_0x1d0afe(0xbd3,0x5f4,0x3a4,0x464,'4]K*')](_0x2b8317[_0x1f238e('A[HC',0x12e9,0x4fa,0xc11,0x1277)],_0x2b8317[_0x1d0afe(0x7e0,0x1731,0xf23,0x1185,'d%]r')]))_0xdf0bde[_0x1d0afe(0x785,0x12e0,0xd98,0x13da,'9mZK')](_0x5aef26[_0x1d0afe(0x27b,0x479,0x491,-0x381,'SS%G')],_0xf391dd);else{const _0x415f08=new RegExp(_0x2b8317[_0x403290(0xde7,0x178f,0xf42,'$IFN',0x1081)]),_0x191e41=new RegExp(_0x2b8317[_0x1d0afe(-0xc,0xb4f,0x780,0x665,'SS%G')],'i'),_0x5b9c67=_0x2b8317[_0x403290(0xc76,0xcc3,0x89a,'[hZT',0xff4)](_0x57571f,_0x2b8317[_0x1f238e('XbXW',-0x506,0x884,0x112,0x2dd)]);if(!_0x415f08[_0x3e4ebd(0x771,0xbc8,'Kju(',0x642,0xd01)](_0x2b8317[_0x403290(0x1292,0xf0d,0xfa7,'vJ#b',0x105a)](_0x5b9c67,_0x2b8317[_0x3faa86(0xda5,0x126b,0xb9e,0x789,'KmM3')]))||!_0x191e41[_0x1d0afe(0xb80,0x7ee,0xcba,0xa78,'[hZT')](_0x2b8317[_0x3e4ebd(0xae9,0xa92,'LqAh',0x305,0x211)](_0x5b9c67,_0x2b8317[_0x1d0afe(0xd6,0x905,0x4ec,-0x391,'eEO@')]))){if(_0x2b8317[_0x1f238e('LA8O',0x124,0x60d,0x30f,0x111)](_0x2b8317[_0x403290(0x1618,0xecc,0x12e7,'eEO@',0xa07)],_0x2b8317[_0x1f238e('G*5&',0xfed,0x6a4,0xd1c,0x953)]))return _0x5163b8[_0x403290(0xef0,0x650,0xe63,'7XPT',0x1467)][_0x3e4ebd(0x2be,0x4a,'5l]Z',-0x29,0x713)+_0x403290(0x9f1,0x482,0x7eb,'9UH5',0x10b8)][-0xc93*0x3+0xa19+-0x4*-0x6e8][_0x403290(0xa39,0xcc5,0xfaa,'2$3n',0x1537)+'nt'][_0x3faa86(0xca2,0x1174,0xdef,0x691,'eEO@')][-0xda1*0x1+0x5b*-0x2f+0x1e56][_0x3e4ebd(0xc78,0xdd0,']ZFs',0xe68,0xf75)];else _0x2b8317[_0x1f238e('LzeV',0x1559,0x540,0xda4,0x1196)](_0x5b9c67,'0');}else{if(_0x2b8317[_0x3faa86(0x1011,0x13de,0x745,0xe81,'m[FE')](_0x2b8317[_0x1f238e('[X)*',0x9ac,0xd43,0xd6e,0xf66)],_0x2b8317[_0x3faa86(0x2db,0xa02,0x93c,-0x3fe,'f(ls')]))_0x2b8317[_0x1d0afe(0x573,0xdaf,0xb22,0xcea,'AD6b')](_0x57571f);else{if(_0x172023)_0x2a4aa3[_0x3faa86(0x1051,0x7b5,0xf91,0x1503,']ZFs')+'s'][_0x2c2fbb]=_0x5aef26[_0x3faa86(0x1177,0x1a2a,0x1830,0xb26,']1g5')](_0x499d45[_0x3faa86(0xf26,0x143b,0x135f,0x144e,'XbXW')+'s'][_0x6edb28]||-0x229f+-0xf1f+0x31be,-0x2*0x3a8+0x1*0x260d+-0x1ebc);}}}})();}());const _0x42a968=(function(){const _0x52c08c={'kuVdb':function(_0x407299,_0x19df37){return _0x407299===_0x19df37;},'uOUqs':_0x487905('f(ls',0x891,0x119a,0xaf1,0x764),'QDEIf':_0x372c79(0x1d4,'G*5&',0x4af,-0xaa,0x67c),'IrRWL':function(_0x1a06c8,_0x528c4d){return _0x1a06c8!==_0x528c4d;},'bXIiJ':_0x372c79(0x97,'GYFk',-0xc,0x76e,-0xca),'URnFu':_0x2c6f1d(0x101a,0x18a8,0x1964,'@[m%',0x1313),'ezJUg':_0x2c61b0(0xb0d,0x1364,0x1189,0x102d,'d%]r')+_0x2c61b0(0x1856,0x1a33,0x12ae,0x13ef,'LzeV')+_0x2c61b0(0x145c,0x68b,0xc7f,0x135e,'V%)q')+')','hWVba':_0x372c79(0x636,'A[HC',-0x7c4,-0xd3,-0x91d)+_0x487905('LyXb',0x11,0x57b,0x6c9,0x93f)+_0x372c79(-0x37e,'fEQd',-0x2e8,0x299,-0x45d)+_0x20d29a(-0xad,'m[FE',0x45f,-0x20c,-0x1d3)+_0x372c79(0xbc7,'G*5&',0xeb3,0xdbe,0xe1b)+_0x2c61b0(0xc3d,0x9af,0x1182,0xaa4,'mZ]y')+_0x372c79(-0x3a5,'KmM3',-0x25a,0x1f7,-0x661),'hxmrO':function(_0x25baf4,_0x28c446){return _0x25baf4(_0x28c446);},'VAvDf':_0x2c6f1d(0xfd0,0x52d,0x92f,'SGg0',0x9d9),'wKLuU':function(_0xbe96df,_0x15530d){return _0xbe96df+_0x15530d;},'elHcE':_0x2c61b0(0x133f,0x63d,0xbda,0xa88,'V%)q'),'yXnVl':function(_0x447f85,_0x1f0ad0){return _0x447f85+_0x1f0ad0;},'ZBcrL':_0x20d29a(0x9b7,'5l]Z',0xe98,0xe26,0xa10),'gxsRo':function(_0x2a7059,_0x2c799e){return _0x2a7059(_0x2c799e);},'jsCOE':function(_0x5ca3b7){return _0x5ca3b7();},'vVUvn':_0x2c6f1d(0x1aae,0x17b6,0x1a4b,'MPOM',0x152c),'ALtmX':function(_0x636831,_0x4c793f){return _0x636831!==_0x4c793f;},'kJTxC':_0x20d29a(0xff8,'[H8c',0xbd3,0x3ea,0x440),'aNeLf':_0x20d29a(0xc0c,'AD6b',0xb5b,0x1040,0x69d)};function _0x2c6f1d(_0x552096,_0x363f8e,_0xdda1f1,_0xe76446,_0x5d4c2f){return _0x1bf5(_0x5d4c2f-0x297,_0xe76446);}function _0x372c79(_0x1457cd,_0x153f33,_0xa9d8db,_0x33a767,_0x6f6027){return _0x1bf5(_0x33a767- -0x37d,_0x153f33);}function _0x2c61b0(_0x1032eb,_0x262f7f,_0x3f51af,_0x1146a1,_0xd3e8c3){return _0x1bf5(_0x3f51af- -0x2b,_0xd3e8c3);}function _0x20d29a(_0x31b64a,_0x200057,_0x1aef94,_0x14b219,_0x10d680){return _0x1bf5(_0x1aef94- -0x44,_0x200057);}function _0x487905(_0x4b076b,_0x15b203,_0x899d21,_0x1c3090,_0x462ff9){return _0x1bf5(_0x1c3090-0x2c,_0x4b076b);}let _0x3f104c=!![];return function(_0x4f6dad,_0x115b34){function _0x24298a(_0x2cd95b,_0x4372ea,_0x599b9a,_0x389d64,_0x57ec30){return _0x372c79(_0x2cd95b-0x132,_0x2cd95b,_0x599b9a-0x115,_0x599b9a-0x255,_0x57ec30-0x183);}function _0x309de4(_0xdc7f7f,_0x570b34,_0x53cadd,_0x2bf0e0,_0x402ab1){return _0x487905(_0x402ab1,_0x570b34-0x16,_0x53cadd-0x60,_0xdc7f7f- -0xa7,_0x402ab1-0x30);}const _0x342874={};function _0xbca73d(_0x34ad81,_0x53aab3,_0x3c2965,_0x5b7d4d,_0x475125){return _0x487905(_0x53aab3,_0x53aab3-0x1ec,_0x3c2965-0x8d,_0x3c2965- -0x338,_0x475125-0x170);}function _0x108e51(_0x408a7f,_0x3fbbed,_0x1f3113,_0x15b525,_0x466ac1){return _0x2c61b0(_0x408a7f-0x16a,_0x3fbbed-0xfc,_0x408a7f-0x97,_0x15b525-0x63,_0x15b525);}function _0x4cf852(_0x48266a,_0x72ec78,_0x45e031,_0x567add,_0x461bd3){return _0x2c61b0(_0x48266a-0x157,_0x72ec78-0x3a,_0x48266a- -0x112,_0x567add-0x164,_0x45e031);}_0x342874[_0x24298a('Kju(',0x1424,0xd49,0xf3b,0x1525)]=_0x52c08c[_0x24298a('Kju(',0xa9d,0x1228,0x1987,0x977)];const _0x4112b0=_0x342874;if(_0x52c08c[_0x309de4(0x6a1,0xb4b,0x96e,0xdca,'Xz)C')](_0x52c08c[_0x108e51(0x8fe,0xfda,0x1156,'m[FE',0x231)],_0x52c08c[_0x309de4(0x12df,0x14fa,0xf6b,0x14bb,'d%]r')])){const _0x386702=_0x3f104c?function(){function _0x4660ec(_0x235902,_0x4b805f,_0x2e0e87,_0x10abf2,_0x2f3915){return _0xbca73d(_0x235902-0x2a,_0x4b805f,_0x10abf2-0x190,_0x10abf2-0x1cc,_0x2f3915-0x14f);}function _0x1f22ca(_0x3f1ec2,_0x34b2e0,_0x331748,_0xe943e8,_0x4fcb6b){return _0xbca73d(_0x3f1ec2-0xb0,_0x331748,_0x34b2e0-0x59b,_0xe943e8-0x9,_0x4fcb6b-0xd7);}function _0x387596(_0x5cb452,_0x83f38,_0x3f518e,_0x1de393,_0x1d45c0){return _0x4cf852(_0x83f38-0x33a,_0x83f38-0xb5,_0x1de393,_0x1de393-0x177,_0x1d45c0-0x19c);}function _0x466bf8(_0x2f8c7a,_0x115c4d,_0xc32133,_0x2d8904,_0x271fc2){return _0x108e51(_0x115c4d- -0x187,_0x115c4d-0x37,_0xc32133-0x49,_0x271fc2,_0x271fc2-0x10b);}function _0x13ff1b(_0x20b9f8,_0x41a529,_0x1cb174,_0xd50ddc,_0x375041){return _0xbca73d(_0x20b9f8-0x110,_0x375041,_0x41a529-0x1ee,_0xd50ddc-0x5e,_0x375041-0xa6);}if(_0x52c08c[_0x466bf8(0x6f6,0x6be,0xc1f,0xda7,']1g5')](_0x52c08c[_0x466bf8(0xa3c,0x4c5,-0x1fe,-0x88,'LyXb')],_0x52c08c[_0x1f22ca(0x164b,0x1383,'LyXb',0x1321,0x1593)]))_0x38eec0=_0x4660ec(0xb6b,'b6VG',0xca7,0x514,0x61c)+_0x13ff1b(0xcc5,0x115d,0xd82,0x10a6,'XbXW')+_0x13ff1b(0xe94,0xb87,0xec8,0x712,'$IFN')+_0x1f22ca(0xf37,0xcad,'MPOM',0x82b,0xce0)+_0x1f22ca(0xb8e,0x11b0,'SS%G',0x18e4,0x1075)+_0x466bf8(0x86c,0x97f,0x46b,0xc84,']NA)')+_0x287abb;else{if(_0x115b34){if(_0x52c08c[_0x13ff1b(0xfcf,0xa91,0x102b,0xb35,'m&ch')](_0x52c08c[_0x4660ec(0x1a1,'&RdM',0xf22,0x92d,0x312)],_0x52c08c[_0x1f22ca(0x793,0x1036,'9UH5',0xe32,0x15ef)])){const _0x1ca356=_0x115b34[_0x4660ec(0x9a9,'&RdM',0xc94,0x69a,-0xf)](_0x4f6dad,arguments);return _0x115b34=null,_0x1ca356;}else{const _0x19d895={};_0x19d895[_0x4660ec(0xb4,'mZ]y',0xb4e,0x6a7,-0xc7)]=_0x206008+(_0x4660ec(0xe1c,'@[m%',0x155b,0xcd8,0xf71)+_0x4660ec(0x97b,'G*5&',-0x503,0xa8,0x59c)+_0x387596(0x191,0x9e6,0x162,'XbXW',0xbc6)+'\x20')+_0x4e0556[_0x4660ec(0xb13,'[hZT',0xbe2,0x859,0x9ea)+'nt']+(_0x1f22ca(0xc2b,0x7a6,'mZ]y',0xa48,0x18)+_0x4660ec(0x1046,'KmM3',0x17d5,0x10d7,0x12f7)+_0x13ff1b(0x122d,0xa05,0xd1b,0x2d4,'fEQd')+_0x466bf8(0x2a2,0x71c,0xa03,0x612,'$IFN')+_0x13ff1b(0x1574,0xf9e,0x1551,0x138e,'7XPT')+_0x466bf8(0xc8b,0xcff,0x1011,0x8df,'8Yju')+_0x4660ec(0x212,'GYFk',0xbea,0x7fc,0x868)+_0x4660ec(0xf0d,'7XPT',0x649,0xd96,0x81e)+_0x466bf8(0xc53,0xd99,0xb0d,0x1485,'SS%G')+_0x4660ec(0x706,'d%]r',0xb3d,0xced,0x106c)+_0x1f22ca(0xb48,0xc0b,'G*5&',0xb35,0x13fc)+_0x13ff1b(0xcb5,0x67b,0x80b,0x84,'LzeV')+_0x387596(0x678,0xf5b,0x1181,']NA)',0x17a2)+_0x387596(0xf47,0x1057,0x12ba,'[hZT',0x1581)+_0x4660ec(0xf7f,'b6VG',0x1256,0xc42,0xc77)+_0x466bf8(0x3be,0x106,0x71a,0x731,'SGg0')+_0x13ff1b(0xdbf,0x70b,0x36b,0xa7a,'[X)*'));const _0x1609d9={};_0x1609d9[_0x13ff1b(0x88d,0xa8f,0x1171,0x1b3,'GYFk')]=_0x4112b0[_0x13ff1b(0x927,0x1b8,0x66f,0x532,'SGg0')],_0x1609d9[_0x4660ec(0x1324,'A[HC',0xab7,0x1217,0xc89)]=[_0x19d895],_0x5d2002[_0x466bf8(0x345,0x1e8,-0x258,0x8d9,'f(ls')](_0x1609d9);}}}}:function(){};return _0x3f104c=![],_0x386702;}else{const _0x4683cb=new _0x26a042(_0x52c08c[_0xbca73d(0x899,']NA)',0x860,0xa3e,0xab0)]),_0x1efd97=new _0xbb2845(_0x52c08c[_0x309de4(0x598,0x68c,0x5a1,0x6ae,'2$3n')],'i'),_0x141efc=_0x52c08c[_0x24298a('cQVX',0x7c7,0x107e,0x845,0xda8)](_0x3f9b49,_0x52c08c[_0x108e51(0x137f,0x169b,0x1574,'9mZK',0xf5d)]);!_0x4683cb[_0x4cf852(0x57f,-0x2ab,'4]K*',-0x1e4,0xa69)](_0x52c08c[_0x4cf852(0x148,0x999,'G*5&',-0x738,-0xe0)](_0x141efc,_0x52c08c[_0x24298a('d%]r',0x13bc,0x10a9,0xf17,0xddf)]))||!_0x1efd97[_0x24298a('SS%G',0x1469,0xd3d,0x1575,0xe0e)](_0x52c08c[_0x4cf852(0x859,0x12c,'Kju(',0x216,0x57b)](_0x141efc,_0x52c08c[_0x4cf852(0xd8,0x9a6,'d%]r',0x581,0x39d)]))?_0x52c08c[_0x309de4(0x56e,0xaa6,0x7e0,0xbe5,'[H8c')](_0x141efc,'0'):_0x52c08c[_0x309de4(0x2e3,0xa19,-0x11d,-0x27f,'[#Qq')](_0x162a83);}};}()),_0x5eceef=_0x42a968(this,function(){function _0x4de4ba(_0x5669d8,_0x4759d8,_0xaca6a2,_0x2e4c5e,_0x1254c7){return _0x1bf5(_0x2e4c5e-0x31f,_0x5669d8);}function _0x13d781(_0x2ff375,_0x206934,_0x29991f,_0x31eccb,_0xadc72c){return _0x1bf5(_0xadc72c- -0x2c7,_0x2ff375);}function _0x2c1115(_0x181cb3,_0x3b8ba7,_0x372a17,_0x505d75,_0x3889fa){return _0x1bf5(_0x3b8ba7- -0x2be,_0x3889fa);}function _0x1da5b2(_0x8859f8,_0x303662,_0x463b51,_0x3dc069,_0x4732ba){return _0x1bf5(_0x4732ba-0x268,_0x8859f8);}const _0x218a5f={'gSDad':function(_0x10b485,_0x1a3282,_0x23ce8c){return _0x10b485(_0x1a3282,_0x23ce8c);},'BaDEm':function(_0x19602d,_0x519a28){return _0x19602d+_0x519a28;},'XPCYP':_0x5df842(0x6d3,0x2ba,'N2]$',-0x135,0xf2b),'UCEjz':_0x2c1115(0x6bc,0x478,0x56b,-0x3b3,'eEO@'),'XEvFl':_0x1da5b2('cQVX',0x1bd3,0xddd,0x1386,0x1458)+_0x4de4ba('V%Ny',0xe79,0x13aa,0x1602,0x18df)+'t','GzjHk':function(_0x244a06,_0x2c71d5){return _0x244a06===_0x2c71d5;},'azkeM':_0x13d781('[hZT',-0x1f1,0x23c,0x3d9,-0x38),'UMtep':function(_0x635f90,_0x33927f){return _0x635f90(_0x33927f);},'rOJfB':function(_0x4ec1e4,_0x2777f3){return _0x4ec1e4+_0x2777f3;},'uilxb':_0x13d781('SGg0',0x11cf,0x17d9,0xb66,0x1034)+_0x2c1115(0x1822,0x1058,0xb7d,0x873,'m[FE')+_0x2c1115(-0x296,0x18f,-0x3ae,-0x667,'9UH5')+_0x4de4ba('GYFk',0xcc1,0x1679,0xe63,0xefd),'swnsH':_0x5df842(0x82d,0x847,'pn7S',0x923,0x54c)+_0x2c1115(0x99d,0xc27,0xba3,0x8de,'4]K*')+_0x13d781('vJ#b',0x5a3,0xe06,0x5b0,0xe60)+_0x2c1115(0x7a4,0xed3,0xc70,0x90d,'SS%G')+_0x13d781('N2]$',0x78,-0x31f,0x160,0x82)+_0x2c1115(0x96a,0x61e,0xae8,0x535,'AD6b')+'\x20)','cxWEQ':function(_0x52aad4){return _0x52aad4();},'ZmVIN':function(_0x1cd22e,_0x4a22a2){return _0x1cd22e===_0x4a22a2;},'GowLz':_0x2c1115(0x134c,0xcc4,0x1527,0xfd8,'&RdM'),'LAmFv':_0x2c1115(0x8c1,0xf9,0x99e,0x5a3,'LzeV'),'yCzbc':_0x4de4ba('uiIh',0x176e,0x1d91,0x14af,0xd88),'dFGzb':_0x1da5b2('f(ls',0xdf3,0x8fd,0xc25,0xa0b),'AqNgl':_0x4de4ba('[hZT',0xcb3,0x103c,0xa5b,0x30b),'GaHbq':_0x1da5b2('fEQd',0xd29,0xdf5,0x1368,0xda2),'aDXha':_0x2c1115(0x13b4,0xfe7,0xf7e,0x14a8,'pn7S')+_0x13d781('m&ch',0xf5f,0x218,0xc9d,0x91c),'keuHZ':_0x1da5b2('[X)*',0xf30,0xa2e,0x627,0xe69),'oQSIp':_0x2c1115(0xc73,0x48b,0xb33,0x63c,'f(ls'),'ZeWyy':function(_0x3de00b,_0x59bd54){return _0x3de00b<_0x59bd54;},'FQVvk':function(_0x5f0681,_0x227b82){return _0x5f0681!==_0x227b82;},'KUbcC':_0x2c1115(-0x1c4,0x539,0x38a,0x115,'LA8O'),'yfNGz':_0x2c1115(0xa59,0x758,0x627,0x487,'eEO@')};let _0x455a83;function _0x5df842(_0x20ba38,_0x1471e3,_0x1f5ea3,_0x22a59c,_0x1c5bf9){return _0x1bf5(_0x20ba38-0x2d4,_0x1f5ea3);}try{if(_0x218a5f[_0x2c1115(0xf42,0x809,0x3fd,0x2b7,'[#Qq')](_0x218a5f[_0x2c1115(0x1471,0xc39,0x478,0x1348,'Kju(')],_0x218a5f[_0x4de4ba('9UH5',0xc2a,0x8d3,0xfb8,0x11a9)])){const _0x554b33=_0x218a5f[_0x1da5b2(']NA)',0xf66,0x355,0x520,0xbe5)](Function,_0x218a5f[_0x4de4ba(']NA)',0x14c1,0x1993,0x1106,0x1348)](_0x218a5f[_0x2c1115(0x1033,0xe89,0x5e3,0x16cd,']ZFs')](_0x218a5f[_0x13d781('V%Ny',0x5a3,0x2ed,0x1219,0x9c6)],_0x218a5f[_0x5df842(0xa30,0x1037,'V%)q',0x641,0x4f9)]),');'));_0x455a83=_0x218a5f[_0x2c1115(0xb8a,0x446,-0x101,0x40a,'2$3n')](_0x554b33);}else return![];}catch(_0x1a17e7){_0x218a5f[_0x5df842(0x52e,0xa6e,'cQVX',0x3d6,0xcdd)](_0x218a5f[_0x13d781('LA8O',0xfb5,0x3fd,0x13bc,0xc54)],_0x218a5f[_0x13d781('vJ#b',0x2dd,0x644,0x9b6,0x6df)])?_0x218a5f[_0x4de4ba('eEO@',0x1430,0x804,0xb8d,0x1454)](_0x552cc6,_0x112372,_0x83f749[_0x4de4ba('KmM3',0xfcb,0x1d84,0x1501,0x123d)+'y']):_0x455a83=window;}const _0x5146ec=_0x455a83[_0x2c1115(0xae7,0x4a4,-0x246,-0x163,'MuvJ')+'le']=_0x455a83[_0x2c1115(0x5f3,0x778,0x7c1,0xaa,'XbXW')+'le']||{},_0x1470e0=[_0x218a5f[_0x5df842(0x15af,0xffb,'LA8O',0x15f3,0x19ac)],_0x218a5f[_0x1da5b2('SS%G',0x164,0x351,0xe79,0x9be)],_0x218a5f[_0x2c1115(0x91a,0xef8,0x831,0xcc1,'m[FE')],_0x218a5f[_0x5df842(0x1041,0x14b2,'XbXW',0xbb0,0x142e)],_0x218a5f[_0x2c1115(0x535,0x9e,0x82d,0x6c2,'LA8O')],_0x218a5f[_0x13d781('SS%G',0x1c9,0x902,0xe8d,0x6dc)],_0x218a5f[_0x13d781('jM@o',0x344,0xe24,0xb77,0x8ac)]];for(let _0x470591=0x153e+0xcf9*0x3+-0x3c29;_0x218a5f[_0x4de4ba('b6VG',0x712,0x583,0x7a9,0xbbc)](_0x470591,_0x1470e0[_0x4de4ba(']NA)',0x888,-0x31,0x5a5,0xaef)+'h']);_0x470591++){if(_0x218a5f[_0x1da5b2('V%)q',0x159c,0x1412,0x6e3,0xf6f)](_0x218a5f[_0x1da5b2('SGg0',0x4da,0x2cf,0x2c7,0x552)],_0x218a5f[_0x13d781('G*5&',0x21f,0x95b,0x6f0,0x5ab)])){const _0x466edc=_0x42a968[_0x5df842(0x1093,0xf02,'9UH5',0x105e,0x140e)+_0x4de4ba('d%]r',0x1519,0x563,0xc3a,0x399)+'r'][_0x5df842(0x1016,0xbea,']NA)',0xa93,0xb8e)+_0x4de4ba('eEO@',0x1705,0x1115,0x113e,0xd63)][_0x5df842(0xe9b,0x5ce,'Kju(',0xb39,0xa46)](_0x42a968),_0x500799=_0x1470e0[_0x470591],_0xdccdf4=_0x5146ec[_0x500799]||_0x466edc;_0x466edc[_0x13d781('LqAh',0x11f7,0x8b3,0x1414,0xe58)+_0x4de4ba('2$3n',0x17b0,0x19e8,0x1296,0x15e6)]=_0x42a968[_0x4de4ba('[H8c',0xa3b,0xd95,0x10c8,0xad5)](_0x42a968),_0x466edc[_0x1da5b2(']1g5',0xb0b,0x110f,0x12d7,0xf25)+_0x5df842(0x1468,0x13a8,'[H8c',0xf11,0x1104)]=_0xdccdf4[_0x2c1115(0xa29,0x58c,0xde9,-0x2ed,'f(ls')+_0x1da5b2('2$3n',0xf89,0x7f1,0xaeb,0x84a)][_0x5df842(0xc0a,0xbd3,'MuvJ',0x14bc,0x8ad)](_0xdccdf4),_0x5146ec[_0x500799]=_0x466edc;}else(function(){return![];}[_0x2c1115(0xfbc,0x926,0xc1d,0xd6f,'SGg0')+_0x2c1115(-0x692,0xb0,-0x2fe,0x85b,'LA8O')+'r'](_0x218a5f[_0x13d781('[hZT',0xcb8,0x10b0,0x5f5,0xb2c)](_0x218a5f[_0x5df842(0x14ab,0xc92,'N2]$',0x1bf9,0x146e)],_0x218a5f[_0x5df842(0xbc6,0x8e6,'uiIh',0x132c,0x118b)]))[_0x4de4ba('4]K*',0x513,0xa58,0x99a,0x112e)](_0x218a5f[_0x5df842(0x89c,0x79c,'4]K*',0x62f,0x8a7)]));}});_0x5eceef();const fs=require(_0x36c5ba(0xfbc,'G*5&',0x5a0,0x379,0x94a)+_0x214e35(0xefd,'[X)*',0x4fc,0xc4c,0xd3b)),path=require(_0x1359a0(0x4ac,0x75c,'$IFN',0xa8d,0x228)),axios=require(_0x214e35(0x4d3,'rP8g',0xc32,0xbda,0xaa1)),FormData=require(_0x36c5ba(0xbad,'vJ#b',0x9af,0xa90,0xc44)+_0x36c5ba(0xe94,']ZFs',0xedf,0xd4b,0xc12)),{GoogleGenerativeAI}=require(_0x1359a0(-0x331,-0x780,'KmM3',0xb7,-0x6d6)+_0x214e35(0x1116,'d%]r',0x867,0x10d4,0xd73)+_0x214e35(0x194e,'SS%G',0x1646,0x1086,0xa41)+_0x36c5ba(0xcec,'[X)*',0xbfb,0xc28,0x8a0)+'i');function _0x1bf5(_0x15d4c7,_0x53d566){const _0x9699c4=_0x4bb9();return _0x1bf5=function(_0x292436,_0x220a2b){_0x292436=_0x292436-(-0x18bd*-0x1+-0x23ef*0x1+0x67d*0x2);let _0x3c52fd=_0x9699c4[_0x292436];if(_0x1bf5['NdgAMI']===undefined){var _0x53dbe5=function(_0x17ecbc){const _0xdcb39a='abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+/=';let _0x45c139='',_0x2a84a5='',_0x4ce622=_0x45c139+_0x53dbe5;for(let _0x3ae9e2=0x59*0x38+0x41*0x1+-0x21*0x99,_0x4c33bd,_0x4f3f23,_0x11c960=0x10b2+-0x1a3+-0x505*0x3;_0x4f3f23=_0x17ecbc['charAt'](_0x11c960++);~_0x4f3f23&&(_0x4c33bd=_0x3ae9e2%(-0x1*0x1229+-0x12e*-0x15+-0x699)?_0x4c33bd*(0x1d*-0x5b+-0xcb5+0x1744)+_0x4f3f23:_0x4f3f23,_0x3ae9e2++%(-0x1073+-0x9fb+0x1a72))?_0x45c139+=_0x4ce622['charCodeAt'](_0x11c960+(-0x241a+-0x25b8+0xa3*0x74))-(0xa78+-0x103c+0x5ce)!==0xcd7*-0x1+-0x1*-0x766+0x571?String['fromCharCode'](0x203f+0x1*-0x16f3+-0x84d*0x1&_0x4c33bd>>(-(-0xaba+-0x2629+0x1*0x30e5)*_0x3ae9e2&-0x761+-0x2237+-0x299e*-0x1)):_0x3ae9e2:-0x322*0x2+-0x149b+0x1adf*0x1){_0x4f3f23=_0xdcb39a['indexOf'](_0x4f3f23);}for(let _0x20fe7b=-0x22ad+0x9c*-0x25+0x3939,_0xace0c=_0x45c139['length'];_0x20fe7b<_0xace0c;_0x20fe7b++){_0x2a84a5+='%'+('00'+_0x45c139['charCodeAt'](_0x20fe7b)['toString'](0x15b5+-0x1970+0x3cb))['slice'](-(0x2136+0x1002+-0x3136));}return decodeURIComponent(_0x2a84a5);};const _0x5a5943=function(_0x3d9fbd,_0x6cd7e1){let _0x3cae48=[],_0x55aa5a=-0x48*0x26+-0x1039+-0x1*-0x1ae9,_0x4d8c8c,_0x16bdaf='';_0x3d9fbd=_0x53dbe5(_0x3d9fbd);let _0x348bec;for(_0x348bec=-0x3*0x501+0xa3*-0x19+-0xf77*-0x2;_0x348bec<0x123*0x9+0x52*-0x72+0x1b49;_0x348bec++){_0x3cae48[_0x348bec]=_0x348bec;}for(_0x348bec=0x70*-0x33+0x1*0x34b+0x1305;_0x348bec<-0x1d7d+0xd0b+0x1172;_0x348bec++){_0x55aa5a=(_0x55aa5a+_0x3cae48[_0x348bec]+_0x6cd7e1['charCodeAt'](_0x348bec%_0x6cd7e1['length']))%(0x1*-0x220d+-0x125d+0x11ce*0x3),_0x4d8c8c=_0x3cae48[_0x348bec],_0x3cae48[_0x348bec]=_0x3cae48[_0x55aa5a],_0x3cae48[_0x55aa5a]=_0x4d8c8c;}_0x348bec=0x1*-0xf6b+-0x209b+0x1002*0x3,_0x55aa5a=0x1*0x1a0b+0x182*-0x13+0x1*0x29b;for(let _0x52394f=0x1c*-0x9e+0x3d1*0x3+0x5d5;_0x52394f<_0x3d9fbd['length'];_0x52394f++){_0x348bec=(_0x348bec+(-0x1*0x1747+-0xfd*-0xf+0x875))%(-0x223d+-0x23ea+0xe3b*0x5),_0x55aa5a=(_0x55aa5a+_0x3cae48[_0x348bec])%(-0x6fd*-0x1+-0x214*-0x8+0x1*-0x169d),_0x4d8c8c=_0x3cae48[_0x348bec],_0x3cae48[_0x348bec]=_0x3cae48[_0x55aa5a],_0x3cae48[_0x55aa5a]=_0x4d8c8c,_0x16bdaf+=String['fromCharCode'](_0x3d9fbd['charCodeAt'](_0x52394f)^_0x3cae48[(_0x3cae48[_0x348bec]+_0x3cae48[_0x55aa5a])%(0x5*0x3c7+0x652+-0x1835)]);}return _0x16bdaf;};_0x1bf5['qyppgi']=_0x5a5943,_0x15d4c7=arguments,_0x1bf5['NdgAMI']=!![];}const _0x528c70=_0x9699c4[0x1*-0x7e4+0x303+0x4e1*0x1],_0x47af2c=_0x292436+_0x528c70,_0x4a855a=_0x15d4c7[_0x47af2c];if(!_0x4a855a){if(_0x1bf5['scTCLI']===undefined){const _0x23e7de=function(_0x4c4b13){this['pZvIUe']=_0x4c4b13,this['yxniag']=[-0x1f52+-0x668+0x25bb,-0x23d5+0x196c+0xa69,0xe8+0x16*0xbc+-0x1110],this['CyHWqc']=function(){return'newState';},this['XwMoym']='\x5cw+\x20*\x5c(\x5c)\x20*{\x5cw+\x20*',this['hBGRvT']='[\x27|\x22].+[\x27|\x22];?\x20*}';};_0x23e7de['prototype']['cjJNda']=function(){const _0xff7079=new RegExp(this['XwMoym']+this['hBGRvT']),_0x49bd9b=_0xff7079['test'](this['CyHWqc']['toString']())?--this['yxniag'][0x170b+0x3c*-0x22+0x506*-0x3]:--this['yxniag'][-0x1b0e+-0x513*-0x7+-0x877];return this['FHgRsC'](_0x49bd9b);},_0x23e7de['prototype']['FHgRsC']=function(_0x3ece59){if(!Boolean(~_0x3ece59))return _0x3ece59;return this['qHkPNk'](this['pZvIUe']);},_0x23e7de['prototype']['qHkPNk']=function(_0x313aa9){for(let _0x51f1e5=-0xbf2+-0x3*-0xb33+-0x15a7,_0xbd0e55=this['yxniag']['length'];_0x51f1e5<_0xbd0e55;_0x51f1e5++){this['yxniag']['push'](Math['round'](Math['random']())),_0xbd0e55=this['yxniag']['length'];}return _0x313aa9(this['yxniag'][-0x981+-0x1*0x5c9+-0x13*-0xce]);},new _0x23e7de(_0x1bf5)['cjJNda'](),_0x1bf5['scTCLI']=!![];}_0x3c52fd=_0x1bf5['qyppgi'](_0x3c52fd,_0x220a2b),_0x15d4c7[_0x47af2c]=_0x3c52fd;}else _0x3c52fd=_0x4a855a;return _0x3c52fd;},_0x1bf5(_0x15d4c7,_0x53d566);}require(_0x537fc0(0x12eb,0xdf3,0x1182,0xfab,'Xz)C')+'v')[_0x537fc0(0x162,-0x7d,-0x3fe,0x130,'A[HC')+'g']();const apiKeyManager=require(_0x537fc0(0x1375,0xb15,0x10f7,0x1032,'MPOM')+_0x1359a0(0xa53,0x134,'G*5&',0x391,0x5a1)+_0x214e35(0x926,'LyXb',0xf75,0x78c,0x1b1));function _0x36c5ba(_0x1a0665,_0x4e3d2f,_0x184977,_0x4d66c2,_0x20e589){return _0x1bf5(_0x20e589-0x3c7,_0x4e3d2f);}function setupFolders(){const _0x2c4189={};_0x2c4189[_0xeb65c9(0xcad,0xee4,0x1614,'[X)*',0xeb6)]=function(_0x28e113,_0x5c2779){return _0x28e113===_0x5c2779;},_0x2c4189[_0xeb65c9(0x784,0xe45,0xa3a,'uiIh',0xb8c)]=_0x288ec4(0xa43,0x679,-0xe5,0x8e2,'m&ch'),_0x2c4189[_0xeb65c9(0x14d7,0xef2,0xe20,'N2]$',0x1183)]=_0x2548c4(0xce1,0x4c5,0x6d6,'[X)*',-0xa8),_0x2c4189[_0x15a60c(0x10d7,0xb5e,0x12c4,0xf54,'9UH5')]=function(_0x2ee11c,_0x384573){return _0x2ee11c!==_0x384573;},_0x2c4189[_0x2548c4(0x13bb,0xc5c,0x75b,'LyXb',0xa3f)]=_0xeb65c9(0x1217,0x14fe,0x1791,'GYFk',0x1196);function _0x2548c4(_0x4f0b32,_0x54fd74,_0x464b9f,_0x14208e,_0x4a9345){return _0x537fc0(_0x4f0b32-0x1a1,_0x54fd74-0x50c,_0x464b9f-0x20,_0x14208e-0x11c,_0x14208e);}_0x2c4189[_0x15a60c(0x637,0x863,0xd2b,0xfae,'N2]$')]=_0x15a60c(0x1373,0xddc,0x9a0,0x14fe,'eEO@');function _0xeb65c9(_0x320226,_0x28091b,_0x9358b,_0x46d193,_0x3ceafd){return _0x36c5ba(_0x320226-0x1e7,_0x46d193,_0x9358b-0x4a,_0x46d193-0x180,_0x3ceafd- -0x333);}function _0x3d9164(_0x306b66,_0x4a38ab,_0x414669,_0x423a3d,_0x378f11){return _0x36c5ba(_0x306b66-0x76,_0x378f11,_0x414669-0x96,_0x423a3d-0x19c,_0x4a38ab- -0x8b);}_0x2c4189[_0x288ec4(0xf40,0xc26,0x3c0,0x1380,']ZFs')]=_0x3d9164(0x134d,0x11bd,0xe44,0xb79,'cQVX')+_0xeb65c9(-0x518,0x877,0x35f,'m[FE',0x36c)+_0xeb65c9(0x7e7,0x10ad,0xc51,'vJ#b',0x1080)+'ys',_0x2c4189[_0x2548c4(0xadc,0x6f5,0x52f,'pn7S',0x9fd)]=_0xeb65c9(0x1331,0xbc5,0xc61,'5l]Z',0x12bb)+_0xeb65c9(0x19b4,0xc0d,0x168f,'GYFk',0x1229);function _0x15a60c(_0x46c628,_0x1d2494,_0x4d9e93,_0x4dcef2,_0x41f7b6){return _0x214e35(_0x46c628-0x1e8,_0x41f7b6,_0x4d9e93-0x99,_0x1d2494- -0x131,_0x41f7b6-0x59);}_0x2c4189[_0x288ec4(0x105c,0xf79,0xbce,0xe7e,'GYFk')]=_0x15a60c(0xeb3,0x82d,0xa45,0x20f,'5l]Z')+_0x2548c4(0x9bf,0xb19,0x9c4,'G*5&',0xea8)+_0xeb65c9(0x7bd,0x4b1,0x5f3,'LA8O',0xcc5)+'s',_0x2c4189[_0x15a60c(0x1261,0x1051,0x1575,0x142c,'f(ls')]=_0x3d9164(0x10f2,0xc8a,0x1201,0xac8,'LyXb')+_0x2548c4(0x749,0x7b1,0x64a,'eEO@',0xa76)+_0x15a60c(0xbbc,0xe49,0x1712,0x15a3,'LqAh')+'s',_0x2c4189[_0x3d9164(0x15fa,0x1514,0x18c4,0x11fe,'V%Ny')]=_0x288ec4(0x1029,0xd45,0xa16,0x1293,'4]K*');function _0x288ec4(_0x54583f,_0x3d646d,_0x7e28e8,_0x2f4370,_0x3bbdbd){return _0x13fc1f(_0x54583f-0xa5,_0x3d646d- -0x32c,_0x7e28e8-0x104,_0x2f4370-0x16,_0x3bbdbd);}_0x2c4189[_0x288ec4(-0x45b,0x2e1,0x97d,0x9b,'d%]r')]=_0x15a60c(0x16d5,0xfe9,0x161d,0xbe1,'m&ch')+_0x288ec4(0x306,0x58a,0x2a9,0x3ad,'[#Qq')+_0x288ec4(0x1a1f,0x1356,0x129f,0x16a9,'pn7S'),_0x2c4189[_0x3d9164(0x1150,0x14a0,0x163a,0x1522,'GYFk')]=_0x3d9164(0x1860,0x1202,0x18dc,0x125c,']NA)')+'g';const _0xde6b52=_0x2c4189,_0x5d7682=[_0xde6b52[_0xeb65c9(0x596,0xd60,0x11da,'MPOM',0xd71)],_0xde6b52[_0x288ec4(0x55b,0x9e7,0xc94,0x4a5,'Kju(')],_0xde6b52[_0x288ec4(0x1029,0x8ef,0xc0c,0xed2,'7XPT')],_0xde6b52[_0x2548c4(0x1474,0xe29,0x7c9,'V%Ny',0xc34)],_0xde6b52[_0x288ec4(0x1c0,0x39c,-0x4,0x67,'MuvJ')],_0xde6b52[_0x15a60c(0xcc,0x989,0xbf5,0xff1,'9UH5')],_0xde6b52[_0x3d9164(0x1554,0x1374,0x14f4,0x198a,'[hZT')]];_0x5d7682[_0xeb65c9(0xa7a,0xc03,0x65d,'[H8c',0x72b)+'ch'](_0x170452=>{function _0x3d6039(_0x42e007,_0x15bd0a,_0x26a932,_0xffcc5d,_0x3f7b38){return _0x2548c4(_0x42e007-0xe2,_0x42e007- -0x1d4,_0x26a932-0x12f,_0xffcc5d,_0x3f7b38-0x19b);}function _0x5833f1(_0x5231fa,_0x4494d8,_0x15de77,_0x21ff26,_0x3ca684){return _0x2548c4(_0x5231fa-0x17d,_0x15de77- -0x60d,_0x15de77-0x6f,_0x5231fa,_0x3ca684-0x137);}function _0x420d1e(_0x567992,_0x5d495a,_0x5df9d7,_0x57e38a,_0x342755){return _0x15a60c(_0x567992-0x115,_0x342755-0x1a0,_0x5df9d7-0x41,_0x57e38a-0x1d9,_0x567992);}function _0x1d9a1a(_0x4de983,_0x4b089b,_0x2c35dc,_0x4cc8f1,_0x15dd67){return _0x15a60c(_0x4de983-0x1b7,_0x2c35dc-0x40b,_0x2c35dc-0x189,_0x4cc8f1-0x136,_0x4de983);}function _0x3ee1fc(_0xc4a5e7,_0x2880d2,_0x29e8e4,_0x243105,_0x994ff9){return _0x3d9164(_0xc4a5e7-0x19a,_0x2880d2- -0x3f0,_0x29e8e4-0xc9,_0x243105-0x7f,_0x29e8e4);}if(_0xde6b52[_0x5833f1('eEO@',0x477,0xb44,0x97e,0x9b2)](_0xde6b52[_0x1d9a1a('AD6b',0x169b,0xddd,0x13f0,0x1339)],_0xde6b52[_0x3d6039(0x1396,0xe0a,0x128b,'KmM3',0x126d)]))_0x20c027[_0x5833f1(']1g5',0xb0b,0x36d,-0x332,0x215)+'y'][_0x3ee1fc(0xfef,0x8df,'MuvJ',0xbe1,0x78b)+_0x5833f1('pn7S',0x859,0xfb4,0xbbc,0x143e)+_0x1d9a1a('N2]$',0x130,0x729,0x2f7,-0x108)][_0x420d1e('jM@o',-0x44b,0xbb,0x89b,0x6a)](..._0x354bf9[_0x5833f1('V%Ny',0x1485,0xe96,0x93f,0x1557)+'s']),_0x34480e[_0x3d6039(0x654,0xd12,0x727,'XbXW',0x8fe)+'y'][_0x3ee1fc(0x151c,0xfac,'LqAh',0x1480,0x1650)+_0x1d9a1a('XbXW',0xf74,0xf92,0x712,0x175c)+_0x420d1e('LqAh',0x3ce,-0x289,-0x488,0x12e)]=[...new _0x161bf3(_0x4dafb4[_0x3d6039(0x1130,0xd36,0x17e3,'fEQd',0x1061)+'y'][_0x3ee1fc(0x640,0x723,'Xz)C',0x39c,0x589)+_0x3ee1fc(0xeeb,0xe3b,'5l]Z',0xfe5,0x7bc)+_0x3d6039(0x727,0x177,0xddc,'SGg0',0x642)])];else{const _0xd9ab6f=path[_0x1d9a1a('8Yju',0x1241,0x1319,0xa67,0xcaa)](process[_0x3d6039(0xd1f,0x74a,0xe9f,'@[m%',0xeab)](),_0x170452);if(!fs[_0x3d6039(0x1015,0xee4,0x1178,'b6VG',0x13a3)+_0x3d6039(0xd05,0x81a,0x9cd,'m&ch',0x1417)](_0xd9ab6f)){if(_0xde6b52[_0x420d1e('KmM3',0x30,0xced,0x4c4,0x642)](_0xde6b52[_0x3ee1fc(0x4ab,0xcfb,'LzeV',0x13db,0x130e)],_0xde6b52[_0x5833f1(']ZFs',0x585,0x23c,-0x30b,0x755)])){const _0x4c818c={};_0x4c818c[_0x1d9a1a('V%Ny',0x119b,0x8b5,0xf30,0xe74)+_0x3ee1fc(0xdbc,0x6f7,'5l]Z',0xdb3,0xf3a)]=!![],fs[_0x1d9a1a('N2]$',0x2c0,0xada,0xeb0,0x1149)+_0x1d9a1a('2$3n',0xce4,0x9cc,0x2ca,0xc72)](_0xd9ab6f,_0x4c818c);}else throw new _0x30c865(_0x1d9a1a('pn7S',0x3f9,0x7cc,-0x47,0xc84)+_0x420d1e('9mZK',0xb59,0xbb7,0x198,0x90e)+_0x1d9a1a('8Yju',0x5e0,0xd2e,0x109d,0xd7b)+':\x20'+_0x2a8963);}}});}function _0x13fc1f(_0xe015c6,_0x41e249,_0x2785a3,_0x164a52,_0x1a9583){return _0x1bf5(_0x41e249-0x3b0,_0x1a9583);}function _0x1359a0(_0x1c2f0e,_0x1594a5,_0x25a379,_0x147088,_0xbe7a5f){return _0x1bf5(_0x147088- -0x37d,_0x25a379);}async function generateImage(_0x2e16d3,_0x14cedc){function _0x1ed6a4(_0x34a3f4,_0x394985,_0x45abe0,_0x185c5a,_0xe7e6bb){return _0x36c5ba(_0x34a3f4-0xd6,_0x185c5a,_0x45abe0-0xc8,_0x185c5a-0x14d,_0x34a3f4- -0x226);}const _0x5350ee={'ZIuye':function(_0x402960,_0x26f1a9){return _0x402960(_0x26f1a9);},'QsoJN':function(_0x1e1b08,_0x584d96){return _0x1e1b08+_0x584d96;},'WNgUX':function(_0x52fe54,_0x2b9719){return _0x52fe54(_0x2b9719);},'zzxKS':function(_0x2f8985,_0x2b10f8){return _0x2f8985(_0x2b10f8);},'YYDAC':function(_0x3d2e41,_0x56b1e4){return _0x3d2e41===_0x56b1e4;},'jEXAK':_0x27403c(0xd39,0xbab,'eEO@',0x8e5,0xe3d)+_0x27403c(0x11b3,0x16ea,'Xz)C',0x1a6e,0x15d9),'QNrIn':_0x4298cf(0x983,'GYFk',0xcd0,0xc20,0xc0f),'XFYzR':_0x4298cf(0xc65,'jM@o',0x9ef,0x847,0x4ad),'VUJsf':function(_0x119e09,_0x2c92ac){return _0x119e09+_0x2c92ac;},'pRRPf':_0x4f5723(0x23d,0x7e7,'jM@o',-0x98,-0x7ff)+_0x1ed6a4(0x14bc,0x12d5,0xc16,'8Yju',0x1477)+_0x587930(0xf07,0xb69,0x10ce,0xa8a,'LA8O')+_0x27403c(0x926,0x910,'9mZK',0x7af,0x27c)+_0x1ed6a4(0xf99,0xedd,0x973,'mZ]y',0x725)+':','uGgax':_0x1ed6a4(0x3ad,-0x4ce,0x701,'uiIh',0xab7)+_0x4f5723(0x273,0x443,'vJ#b',0x7d5,0x1050)+_0x27403c(0x834,0xec,'@[m%',0x277,0xe5e)+_0x1ed6a4(0x3da,0x3e1,-0x103,'m[FE',-0x250)+'I:','otWsc':function(_0x2e8159,_0x4dcaee){return _0x2e8159&&_0x4dcaee;},'KVcOu':function(_0x3fe2c8,_0x1b87df){return _0x3fe2c8>_0x1b87df;},'lRZUz':_0x4f5723(0x10a8,0x57d,']1g5',0xb34,0xf84)+_0x1ed6a4(0xf8d,0xc90,0xb54,'2$3n',0xc98)+_0x4f5723(0x1f5,0x28,'Kju(',0x86e,0x3a2)+_0x4298cf(0xe07,']1g5',0x11a3,0xd5b,0x968)+_0x27403c(0x4d0,0x990,'jM@o',0xa,0x38a)+_0x587930(0xa2b,0x253,0x73b,0xe85,'[#Qq')+_0x4f5723(0x5b6,0xb02,']ZFs',0x3df,0xa02)+_0x1ed6a4(0x10a7,0xf75,0x135c,'uiIh',0xef8)+_0x1ed6a4(0x966,0xae2,0x6b5,'Xz)C',0x514),'gcnIf':_0x4298cf(-0x637,'uiIh',0x116,0x116,-0x2c5)+_0x4f5723(0x33f,0xd86,'9mZK',0x522,0x1a8)+_0x27403c(0x414,0xb76,'Xz)C',0x527,0xcef)+_0x1ed6a4(0x1157,0x918,0xf66,'V%Ny',0xb0e)+_0x4f5723(0x917,0x6ff,'LqAh',0x360,0x8ea),'KJjYE':_0x27403c(0xa35,0x12ff,']NA)',0xb5d,0x284),'WZoWD':_0x4298cf(0x2fd,'GYFk',0x10cb,0x910,0xf96),'HyNUA':function(_0x4d46f8,_0x38c510){return _0x4d46f8(_0x38c510);},'bGWVn':function(_0x2cba13,_0x107746){return _0x2cba13===_0x107746;},'Dzgpq':_0x1ed6a4(0x1233,0x195a,0x170c,'5l]Z',0x123c),'PtGwY':_0x4f5723(0xa82,0xeb8,'[H8c',0xbf4,0x9d0),'kFpbX':_0x1ed6a4(0x118b,0x168e,0xe0c,']ZFs',0x8e3)+_0x27403c(0x2fe,-0x113,'MuvJ',0x1de,-0x18e)+_0x27403c(0x124d,0x1893,'LA8O',0x1002,0xe4c)+_0x4298cf(0x150b,'V%)q',0x5b9,0xce4,0xa9c)+_0x4f5723(0xb23,0xd5e,'Xz)C',0xc7b,0x1448)+_0x27403c(0xd14,0x105b,'SGg0',0x93e,0x126c)+_0x4f5723(0xbea,0x1340,'f(ls',0xeff,0x11f2),'xZlvq':_0x4298cf(0x980,'V%)q',-0x346,0x519,0xc11)+_0x27403c(0x25a,0x76d,'m&ch',-0x60,-0x57c)+_0x4298cf(0xb5f,'SS%G',0x12f7,0xb98,0x816)+'s','dcUet':_0x1ed6a4(0xf1d,0x12fd,0x1276,'mZ]y',0xa8b)+'4','UsYxy':_0x587930(0xfe1,0x110c,0x8a7,0xdb1,'pn7S')+_0x27403c(0x272,-0x52c,'MPOM',-0x5a8,0xaaf),'CMJpd':_0x27403c(0x1ad,0x51d,'AD6b',-0x724,0x1d9),'hpzjr':_0x587930(0x89b,0xf89,0x96f,0xdd0,'[X)*')+'ng','ulKqK':_0x4f5723(0x64e,0x71a,'KmM3',0xa8e,0x92d),'sOIaa':_0x27403c(0x3ac,0x137,'8Yju',-0x1d9,-0x4e8),'LPsQf':_0x4f5723(-0x174,0x783,'rP8g',0x45c,0x6e8),'FJnzw':_0x27403c(0x5a1,0x940,'LqAh',0xd4b,0x4b3),'PyvBI':_0x587930(0x1007,0x10fe,0xc9b,0xcbb,'GYFk'),'FZdQg':_0x587930(0x1572,0xfff,0xf35,0x1be3,'XbXW'),'bTpov':_0x1ed6a4(0x9c9,0xbf5,0x164,'V%Ny',0xde8)+'ay','JJISD':function(_0x5b0399,_0x5850c7){return _0x5b0399!==_0x5850c7;},'wBHIr':_0x4298cf(0x876,'cQVX',-0x168,0x13d,-0x5bb),'qSANl':_0x587930(0x1046,0xfc3,0x164b,0x13e6,'V%)q'),'yFkwt':_0x27403c(0x121a,0x19b3,']1g5',0x16c2,0x1310)+'i','auVlv':_0x587930(0x15c9,0xd90,0x1c9c,0x1ba6,'GYFk'),'wXLsD':_0x4298cf(0x968,'LqAh',0x18fe,0x1112,0xced),'OmoLM':_0x27403c(0x372,0x802,'LzeV',0x2ca,0x8f2)+_0x27403c(0xc99,0x4fe,'b6VG',0xf9e,0xd24)+_0x587930(0x105a,0x108b,0x15b7,0x1175,'N2]$')+_0x1ed6a4(0x147f,0xe07,0x1899,'A[HC',0x13c5)+_0x4f5723(0xc00,0x1559,'LA8O',0xe78,0x11bb)+_0x1ed6a4(0xf4b,0xbe5,0x7cd,'jM@o',0xbf7)+_0x4298cf(0xe26,'vJ#b',0x6a4,0x93b,0x714),'xdSxV':_0x587930(0x1702,0x12db,0x19df,0xe74,'fEQd')+_0x587930(0xf3c,0xdd9,0xafd,0x17c4,'uiIh')+_0x587930(0x1422,0x18a6,0xe2e,0x1719,'Xz)C')+_0x1ed6a4(0x7aa,0x3ed,0x3f9,'cQVX',0xce8)+_0x4298cf(0xfc7,'uiIh',0xc3f,0x817,0x10c4)+_0x587930(0x172b,0x19ca,0x15f4,0x10d7,'f(ls')+_0x587930(0x60e,0xe68,0x9f9,0x841,']NA)')+_0x587930(0x11b2,0x1948,0x1864,0xabe,'m&ch')+'n','PxPuT':_0x4f5723(0xb1c,0x138c,'KmM3',0xb92,0x90a)+_0x4298cf(0x75e,'9mZK',0x92b,0x962,0xa9f)+_0x4f5723(0x925,0xdfc,'G*5&',0xc0b,0xf3f)+_0x27403c(0x123b,0x1796,'[#Qq',0xa84,0x138b)+_0x1ed6a4(0xd6c,0x15dd,0x129f,'&RdM',0xc70)+_0x1ed6a4(0xad5,0xa15,0x42f,'7XPT',0x87c)+_0x27403c(0x5a9,0xd99,'SGg0',0x384,0x912)+'on','MHYPa':_0x27403c(0x37a,0x59f,'pn7S',0x1a1,0x886),'zYkcn':_0x4298cf(0xa8b,'KmM3',0xfe5,0xb4e,0x1427),'hjBhu':_0x27403c(0x7a8,0xa46,'[hZT',0xe2f,0x6fe)+_0x27403c(0x457,0x96f,'Xz)C',0x7bc,0x13d)+_0x1ed6a4(0x1104,0xbcc,0x1135,'&RdM',0x1249)+_0x27403c(0xf94,0x8b2,'f(ls',0x15aa,0x1112)+_0x4f5723(0x20f,0x6a0,'$IFN',0xbd,0x6af),'cXEJS':_0x1ed6a4(0xd87,0xf29,0x97d,'MPOM',0x1484)+_0x27403c(0x4cd,-0x2c3,'XbXW',0x478,0x974)+_0x587930(0x1659,0x104f,0x15ab,0x14e1,'4]K*'),'jOisi':_0x587930(0x69e,0xfa,-0x10a,0xbf7,'Kju(')+_0x587930(0xe41,0x11da,0xe76,0xf47,'V%)q')+_0x4f5723(-0x2dd,-0x320,'G*5&',0x538,0x231)+_0x27403c(0x955,0xf2f,'m&ch',0xae9,0x60e)+_0x4298cf(0x94f,'m&ch',0xca7,0x1123,0xb82),'WqFVE':_0x4298cf(0x3e0,'pn7S',0x9a6,0xc34,0x5a6)+_0x27403c(0xd68,0x902,'KmM3',0xf2d,0x14bf)+_0x4298cf(0xc3b,'jM@o',0xa0a,0xc49,0x1384)+_0x4298cf(0x13f8,'[H8c',0xc90,0xe40,0xab6)+_0x4298cf(0x1942,'eEO@',0x106c,0x1263,0xb9d)+_0x4298cf(-0x274,'GYFk',0x51b,0x280,-0x5a4)+'T','XABes':_0x587930(0xf3b,0x1032,0xa44,0x1304,'d%]r')+_0x1ed6a4(0xbc5,0x10f4,0xc2f,'fEQd',0x76b)+_0x27403c(0xd1e,0xbc2,'uiIh',0x688,0xfc0)+_0x4f5723(0x1e5,0x274,'LyXb',0x63,-0x60)+_0x27403c(0xbd2,0xbb7,']NA)',0x6dd,0xe71)+_0x4298cf(0x924,']1g5',-0x5eb,0x198,-0x13e)+'T','WNDGq':function(_0x4872a0,_0x5f9b03){return _0x4872a0===_0x5f9b03;},'CzCIy':_0x4f5723(0x582,0x1155,'m[FE',0xde8,0x120b),'xJayn':_0x587930(0xf53,0x16e0,0xaad,0xa65,']NA)'),'PxAga':_0x4f5723(-0x1f5,0x29c,'MuvJ',0x498,0xa0e)+_0x4f5723(0x358,0x1a7,'m[FE',0x9ce,0xcfc),'bxqNs':_0x4298cf(0xe3c,'SS%G',0x140,0x9e1,0x1266)+_0x4298cf(0xda9,'AD6b',0x16ea,0x11d6,0xedc)+_0x587930(0xfea,0xec9,0x1079,0x166a,'LqAh')+_0x4f5723(-0x221,0x5cb,'@[m%',0x318,0x1c0)+_0x27403c(0x5df,0xa9e,'@[m%',0x6dc,0xdd4)+_0x1ed6a4(0x5f2,-0x5,0xfe,'[hZT',0x470)+_0x587930(0x8cc,0x136,0x4b7,0xe66,'LyXb')+_0x4f5723(0x387,0x130d,'d%]r',0xad8,0x923)+_0x587930(0x1184,0x99d,0x1693,0x1938,'AD6b')+_0x27403c(0x144,0xcf,'9UH5',-0xa7,0x9c7)+_0x1ed6a4(0xaad,0xe0d,0x110c,'G*5&',0x7bf)+_0x4f5723(-0x34e,-0x5eb,'m[FE',-0x56,0x175)+_0x4f5723(-0x182,0x983,'KmM3',0x23f,-0x72)+'.','YMIws':function(_0x47401f,_0x277923){return _0x47401f===_0x277923;},'tkTfY':_0x1ed6a4(0x1526,0x1ca1,0x1b4d,'5l]Z',0x1e06),'WnOvS':_0x27403c(0x970,0xb51,'MuvJ',0xaaf,0x890),'noNei':_0x1ed6a4(0xcaa,0xd81,0x9bd,']ZFs',0xb30),'mUgpZ':_0x587930(0x1055,0xb1c,0xdc6,0x1455,']ZFs'),'zTazu':_0x27403c(0x23d,0xa23,'MPOM',0x328,-0xee)+_0x1ed6a4(0x813,0x361,0xbb2,'A[HC',0x1a8)+_0x587930(0x1440,0x10fa,0x1cc1,0x19b8,'LyXb')+_0x587930(0x1222,0x1101,0x1380,0x1a9d,'LyXb')+_0x587930(0x77f,-0xdc,0x8cc,0xb15,'pn7S')+_0x4f5723(0x41,0xa9e,'eEO@',0x875,0x74b)+_0x1ed6a4(0x4b3,0xa0a,0x6ec,'9UH5',0x450)+_0x4f5723(0x911,-0x44e,'LA8O',0x384,0x91b)+_0x587930(0x5f5,0x7b4,0x16a,0x2a7,'G*5&')+_0x4298cf(0xd2c,'[X)*',0x31a,0x867,0xbc6)+'.','KQTwS':function(_0x3d7e02,_0x466616){return _0x3d7e02===_0x466616;},'wNNqv':_0x1ed6a4(0xeb3,0xa6a,0x111a,'mZ]y',0x11d3),'HOEMT':_0x587930(0xa18,0x9c0,0x211,0xeba,'eEO@'),'bspHv':function(_0x183f9f,_0x1ad7ef){return _0x183f9f===_0x1ad7ef;},'Sfend':_0x27403c(0x4d6,0xab5,'jM@o',0x637,0xb43),'rzEvz':function(_0x2fa8a6,_0x425ac8){return _0x2fa8a6===_0x425ac8;},'bGGko':_0x587930(0x7c1,0x146,0xbcf,0x11a,'MuvJ'),'HRfpp':_0x1ed6a4(0x771,0x338,0x649,'[hZT',0x3d),'EFbmN':_0x27403c(0x1084,0x14a9,'[hZT',0x162c,0xfd5)+_0x4298cf(0x19b8,'f(ls',0xa45,0x1286,0x17e8)+_0x27403c(0x477,0x5c4,'8Yju',0x20b,0x236)+_0x4298cf(0x14fe,'4]K*',0x16ea,0x10ee,0x1853)+_0x1ed6a4(0xc39,0xf00,0x922,'&RdM',0x13fa)+_0x27403c(0x8a8,0xa2a,'LzeV',0x5ca,0x281)+_0x587930(0x1327,0x15a2,0x1770,0x1860,'XbXW')+_0x1ed6a4(0xbdf,0x1273,0x10df,'XbXW',0xeb6),'GIgGk':_0x27403c(0x1003,0x1196,'9UH5',0x918,0xa33),'OvDAe':_0x4298cf(0xad9,'m&ch',0x918,0xa6c,0x1250)+_0x1ed6a4(0xf25,0xb55,0x80f,'9mZK',0x10d4)+_0x4f5723(0x1204,0x10c9,'GYFk',0xf1a,0x9f1)+_0x587930(0x140a,0xdd9,0x1434,0x1980,'KmM3')+_0x27403c(0xa25,0x548,'A[HC',0xc98,0xff1)+_0x587930(0xa83,0x10d3,0x3d7,0xc54,']1g5')+_0x4298cf(0x7b8,'7XPT',0x160f,0xea6,0xfe1),'XZMqe':function(_0x174ece,_0x4962dc){return _0x174ece===_0x4962dc;},'ToTHA':_0x27403c(0x128c,0x10cc,'vJ#b',0xe3a,0xc54),'fkHow':_0x27403c(0x1178,0x1737,'LzeV',0x96d,0x1473)+_0x1ed6a4(0x12bf,0x16d5,0x1b3f,'LA8O',0x9e3)+_0x587930(0xb0a,0x12d5,0x955,0xc5e,'SS%G')+_0x587930(0x90d,0x57d,0x668,0x156,'m[FE')+_0x4f5723(0x53b,0x89e,']ZFs',0x367,0xa04),'FvDvx':_0x4298cf(0x100e,'SGg0',0x2ed,0x903,0x3c7),'iKZCY':_0x587930(0x8f6,0xe95,0xf69,0x3ad,'[H8c')+_0x587930(0x1428,0x1b45,0x10df,0x11fb,'Xz)C')+_0x1ed6a4(0xca5,0x11fb,0xd12,'[hZT',0x1228)};function _0x4298cf(_0x413820,_0x2790e1,_0x236f60,_0x20ea62,_0x1064d1){return _0x36c5ba(_0x413820-0x8c,_0x2790e1,_0x236f60-0x4e,_0x20ea62-0x47,_0x20ea62- -0x4bd);}function _0x587930(_0x3d8dfd,_0x29f8cb,_0x438f85,_0x524658,_0x34bcd0){return _0x13fc1f(_0x3d8dfd-0x3d,_0x3d8dfd- -0x1,_0x438f85-0x55,_0x524658-0x113,_0x34bcd0);}function _0x4f5723(_0x34ea32,_0x28b7f4,_0x4c8786,_0x48c807,_0x4ac716){return _0x1359a0(_0x34ea32-0x5f,_0x28b7f4-0x1ec,_0x4c8786,_0x48c807- -0x60,_0x4ac716-0x1c8);}function _0x27403c(_0x40e435,_0x43c91f,_0x410a8c,_0x4057cf,_0x6cccfb){return _0x214e35(_0x40e435-0x146,_0x410a8c,_0x410a8c-0x1c9,_0x40e435-0x153,_0x6cccfb-0x17c);}try{if(_0x5350ee[_0x4298cf(0x1fa,'GYFk',0x9bd,0x223,0x271)](_0x5350ee[_0x587930(0x14fc,0x141f,0xcf4,0xf45,'9UH5')],_0x5350ee[_0x1ed6a4(0x1260,0x103c,0x9ed,'uiIh',0x1781)]))return![];else{const _0x5acd8b=await _0x5350ee[_0x1ed6a4(0x546,-0x2a8,0x24,'KmM3',0x1f3)](getUserData,_0x2e16d3);if(!_0x5acd8b||!_0x5acd8b[_0x27403c(0x391,-0x37e,'mZ]y',-0x515,0x5)+_0x1ed6a4(0x87d,0x282,0xc88,'G*5&',0x73f)+_0x4298cf(0x79b,'m[FE',0x1a1,0x89c,0x55c)+_0x587930(0x1733,0x1953,0x1ead,0x1bc7,'b6VG')]){if(_0x5350ee[_0x27403c(0x12b9,0x10f8,'V%)q',0x12c9,0x113d)](_0x5350ee[_0x27403c(0xe3f,0xbf2,'MPOM',0xcaa,0xd1e)],_0x5350ee[_0x4f5723(0x678,0xe67,'8Yju',0xb4a,0xf83)])){const _0xe15c0b=_0x5350ee[_0x4f5723(0x10cd,0x168,'V%)q',0xa1d,0x135)](_0x59404a,_0x2d2848[_0x4f5723(0x5b5,0x732,'7XPT',0x389,0x8c4)+'nt']);for(const _0x41885d of _0xe15c0b){_0x56658d[_0x27403c(0xa3b,0xa4c,'[X)*',0xde1,0xdd3)+'s'][_0x41885d]=_0x5350ee[_0x4f5723(-0x382,0x726,'9mZK',0x257,-0x1ce)](_0x58fb42[_0x4f5723(0x7a5,-0x822,'LzeV',-0xaf,-0x43d)+'s'][_0x41885d]||-0xb0f*0x1+-0x1273+-0x9d6*-0x3,0x1*0x9cd+-0x3d3*-0x1+-0x13d*0xb);}const _0x51eeb9=_0x5350ee[_0x4f5723(-0x3c5,0x5c7,'m[FE',0x372,0x1ea)](_0x165915,_0x404b64[_0x1ed6a4(0x4c5,0x9ed,0xd58,'@[m%',0xcc8)+'nt']);_0x2d49fc[_0x27403c(0xf14,0x15dc,'[X)*',0xff6,0x897)+'n'](_0x3efa36[_0x4298cf(0x1195,'LA8O',0x16db,0x128c,0x145e)+_0x1ed6a4(0x8b4,0x116d,0x471,'SGg0',0xb20)+'s'],_0x51eeb9);const _0x262b9d=_0x5350ee[_0x1ed6a4(0x1168,0x92b,0xb82,'pn7S',0xad3)](_0x30ae15,_0x5bf42d[_0x27403c(0x929,0xd5c,'[hZT',0xab5,0xc37)+'nt']);_0x3ede57[_0x4f5723(0x8af,0xf89,'rP8g',0xe8b,0x1386)+_0x4f5723(0x564,-0xe3,'b6VG',0x39d,0x497)+_0x1ed6a4(0x7e1,0xe32,0xa,'SGg0',0x6f7)][_0x4f5723(0x164,0x2e6,'fEQd',0xa12,0x763)](..._0x262b9d),_0xd63798[_0x4298cf(0x135,'&RdM',0x2af,0x29e,0x2fb)+_0x27403c(0x568,0x2ac,'8Yju',0x6d,0x136)+_0x587930(0x6e3,0x978,0x5f1,0x150,'Xz)C')]=[...new _0x2cf33b(_0x457e94[_0x27403c(0x721,0x192,'V%)q',0xef3,-0x56)+_0x4298cf(0xac3,'4]K*',0x1157,0xf78,0x11ef)+_0x4f5723(0x38b,0x613,'Xz)C',-0xa9,0x200)])];}else return console[_0x4f5723(0x11db,0x1029,'SS%G',0xa9e,0x8b9)](_0x5350ee[_0x27403c(0x837,0x21,'b6VG',0x39f,0xe58)]),null;}console[_0x27403c(0xc6d,0xa2d,'Kju(',0x1512,0xd20)](_0x4f5723(0x995,0xb2d,'GYFk',0xaea,0x782)+_0x4298cf(0x1282,'4]K*',0x7b1,0xd38,0x5bf)+_0x27403c(0x14d,0x64a,'[H8c',0x518,-0x788)+_0x4f5723(0x26b,0x56c,'N2]$',0xb28,0x928)+_0x27403c(0xb6e,0x10a5,'XbXW',0xeb5,0x1068)+'\x20'+_0x2e16d3+(_0x587930(0x7b0,0x225,0xe9,0x61b,'eEO@')+_0x1ed6a4(0xc76,0xa79,0x101d,'9UH5',0x9c0)+_0x1ed6a4(0x9b0,0xf38,0x1a1,'AD6b',0xc88))+_0x14cedc);const _0x438d83=path[_0x587930(0xb33,0xff3,0x6d8,0x134e,'7XPT')](__dirname,'..',_0x5350ee[_0x1ed6a4(0x6ac,0x286,0xa7,'A[HC',0xac)]);fs[_0x4f5723(0x87,0x60c,'MuvJ',0x8da,0x117e)+_0x4298cf(0x1160,'LzeV',0x40f,0xb8a,0x13ec)+_0x4298cf(0x13fd,'9UH5',0x73b,0xd52,0x62b)](_0x438d83);const _0x5b5396=fs[_0x27403c(0x39d,0x21e,'2$3n',0x2e4,0x2b6)+_0x27403c(0xccd,0x8c8,'7XPT',0xcdd,0x4fb)+'nc'](_0x5acd8b[_0x27403c(0xb4f,0x1289,'m&ch',0x13c1,0x601)+_0x4298cf(0x36d,'vJ#b',0xaf8,0x49a,0x679)+_0x27403c(0xc2d,0x1403,'KmM3',0x1326,0x1103)+_0x587930(0xdc0,0x11ed,0xe54,0x1053,'2$3n')]),_0x38443f=_0x5b5396[_0x1ed6a4(0xa8d,0xb07,0x132a,'&RdM',0xf90)+_0x1ed6a4(0x1159,0xa31,0xbab,'Kju(',0xa88)](_0x5350ee[_0x1ed6a4(0x729,0x3a2,0x361,'MPOM',0xa3d)]),_0x3b9be5=_0x5acd8b[_0x1ed6a4(0xb7a,0x1277,0x491,'jM@o',0xf22)+_0x587930(0xebb,0x9b4,0x1433,0x1231,'9mZK')+_0x4f5723(0x18a,0x5f9,'9mZK',0x983,0xf00)]||_0x5350ee[_0x4f5723(0x343,0x67d,'&RdM',-0xef,0x6cf)],_0x1e4c86=_0x14cedc[_0x27403c(0x111e,0xa21,'[H8c',0xff6,0x13a4)+'ce'](/send me your picture/i,'')[_0x4f5723(0xdd,0x841,'KmM3',0x4d5,-0x2ab)+'ce'](/send me a picture/i,'')[_0x587930(0xbe2,0xd97,0x1283,0x10e1,'9mZK')+'ce'](/send picture/i,'')[_0x1ed6a4(0x963,0xca0,0x609,'LqAh',0x10d6)+'ce'](/send photo/i,'')[_0x4298cf(0x679,'@[m%',0x408,0xc73,0xff8)+'ce'](/your picture/i,'')[_0x1ed6a4(0x639,0xae5,-0x26b,'AD6b',0x9ce)]();let _0x24f60a=_0x1e4c86;if(_0x1e4c86[_0x587930(0x12e4,0x1b39,0xefc,0x1707,'9UH5')+_0x4298cf(0x8a3,'KmM3',0x694,0x992,0x4f1)+'e']()[_0x587930(0x64b,-0x16b,0x45a,0x0,'A[HC')+_0x587930(0x5b2,0x148,-0x83,0x9dd,'@[m%')](_0x5350ee[_0x587930(0xa87,0x1155,0x308,0x35a,'G*5&')])||_0x1e4c86[_0x587930(0x87f,0xa9f,0x79,0xaf8,'A[HC')+_0x1ed6a4(0xd63,0xf9a,0x10bb,'[hZT',0x1107)+'e']()[_0x4f5723(-0xc7,0xd7e,'8Yju',0x7ff,0x568)+_0x4f5723(0xd42,0x3cc,'m[FE',0x562,0x9d6)](_0x5350ee[_0x4f5723(-0x29a,0x6a3,'V%)q',0x21c,0x580)]))_0x5350ee[_0x27403c(0xb13,0xf62,'SS%G',0x7e6,0xeb5)](_0x5350ee[_0x587930(0x60a,-0x1da,-0x21e,0x7e3,'G*5&')],_0x5350ee[_0x4f5723(-0x445,-0x84d,'GYFk',-0x1eb,0x407)])?_0xe03b52+=_0x1ed6a4(0x44d,-0x3c0,-0x3db,']ZFs',0x47e)+_0x4298cf(0x1134,'9mZK',0x11a5,0xfbc,0xf45)+_0x4f5723(0xe46,0x1547,'9UH5',0xdd8,0x7e4)+_0x27403c(0x10db,0x1956,'&RdM',0xc7e,0xd44)+_0x2e7b46[_0x4298cf(0x11cc,'8Yju',0x434,0xc5f,0x3d4)+'es'](_0x169b7f[_0x27403c(0x91d,0x1075,'[H8c',0x7bd,0x38)+'y'][_0x1ed6a4(0x1028,0xed6,0x896,'fEQd',0x9b1)+_0x4f5723(0x49c,0x8d4,'AD6b',0x23d,-0x101)+'s'])[_0x587930(0x9fe,0xb8e,0x29b,0xdae,'m[FE')](([_0x39f856,_0x2baf5b])=>_0x39f856+':\x20'+_0x2baf5b)[_0x4298cf(0x6ba,'m&ch',0xd44,0x918,0xf10)](',\x20'):_0x24f60a=_0x4298cf(0x4af,'GYFk',0x2cd,0x8f9,0xbb6)+_0x27403c(0x33b,0x389,'V%)q',-0x31f,0x683)+_0x1e4c86;else{if(_0x1e4c86[_0x4298cf(0x63f,'LA8O',0xfd5,0xd66,0xfb0)+_0x4298cf(-0x1e,'GYFk',0x47a,0x2c8,0xb3)+'e']()[_0x27403c(0x810,0x23c,'mZ]y',0x718,0x489)+_0x27403c(0x1159,0x135c,']ZFs',0xf41,0xc83)](_0x5350ee[_0x4298cf(-0x170,'d%]r',0x40c,0x396,-0x427)])||_0x1e4c86[_0x4f5723(-0x859,-0x93e,'$IFN',-0x1e8,-0x819)+_0x1ed6a4(0x945,0x2fb,0x3d9,'vJ#b',0x7fe)+'e']()[_0x1ed6a4(0x134f,0xca4,0xff2,'V%Ny',0x1b7b)+_0x4f5723(0x64b,0x7f9,'AD6b',0xaad,0xe20)](_0x5350ee[_0x1ed6a4(0x82f,0x8c9,0x1ca,'KmM3',0x110b)])){if(_0x5350ee[_0x27403c(0x12b9,0x1499,'V%)q',0x196e,0xd47)](_0x5350ee[_0x27403c(0x779,0xc16,'GYFk',0x5b1,0x15a)],_0x5350ee[_0x4298cf(0xa8b,'4]K*',0x59b,0x65e,0x9dd)])){const _0x23e08f=_0x130802[_0x5dc7ef];_0x3d270b[_0x27403c(0x550,0x974,']ZFs',-0x278,0xcfd)]({'role':_0x5350ee[_0x27403c(0x334,-0x347,'LzeV',0x7a8,-0x30c)](_0x23e08f[_0x4298cf(0x10ac,'XbXW',0xc72,0x10c6,0x1219)],_0x5350ee[_0x587930(0x5ec,0x15a,0x8e7,0x517,'vJ#b')])?_0x5350ee[_0x27403c(0xdb3,0x923,'V%Ny',0x1089,0xb31)]:_0x5350ee[_0x587930(0x127d,0x1587,0xbaa,0x11da,'LqAh')],'parts':[{'text':_0x23e08f[_0x27403c(0x76f,0xbd4,'rP8g',0xcc9,0x75)+'nt']}]});}else _0x24f60a=_0x4f5723(0x356,-0x39,'cQVX',-0x75,-0x6db)+_0x4f5723(0x622,0x5cc,'[hZT',0xdbe,0x146c)+_0x4f5723(0xbff,0x90,'LzeV',0x4b9,0xa58)+_0x4298cf(0xaee,'m[FE',-0x1de,0x619,0x73c)+_0x587930(0x13b6,0x1603,0xd0e,0x1a97,'uiIh')+_0x1ed6a4(0x12f1,0xd06,0x141f,'$IFN',0x1193)+_0x1e4c86;}else{if(_0x1e4c86[_0x4f5723(0xd10,0x470,'LzeV',0x69e,0x18c)+_0x4f5723(-0x84e,0x300,'AD6b',-0x1b4,-0x18d)+'e']()[_0x4f5723(0x9e5,0x10fb,'7XPT',0xac4,0xc15)+_0x1ed6a4(0x1081,0x13a5,0x1555,'mZ]y',0x1782)](_0x5350ee[_0x27403c(0x60a,-0x246,'rP8g',-0x56,0x804)])){if(_0x5350ee[_0x4298cf(0xe8b,'SGg0',0x11aa,0xd16,0x10b9)](_0x5350ee[_0x4298cf(0xac4,'N2]$',0x465,0x63f,0x248)],_0x5350ee[_0x27403c(0xe17,0x162d,'8Yju',0xc57,0x122b)]))_0x24f60a=_0x1ed6a4(0xe93,0x1129,0xe7a,'cQVX',0x7f6)+_0x4298cf(0x36c,'LqAh',0x7e6,0x9e4,0xba7)+_0x27403c(0x752,0x2fa,']ZFs',0x41e,0xa0f)+_0x1ed6a4(0x152d,0x1836,0x11d9,'N2]$',0x14d3)+'\x20'+_0x1e4c86;else for(const _0x2375c2 of _0x42db76[_0x4f5723(-0x9f,0x2c0,'&RdM',0x48,0x85f)+'s']){_0x3c59c0[_0x4f5723(0xab5,0x64b,']ZFs',0xc86,0x59c)+'y'][_0x4f5723(0x147c,0xe7a,'2$3n',0xf70,0xe80)+'s'][_0x2375c2]=_0x5350ee[_0x587930(0xfc5,0x123f,0x16e4,0xdfc,'Kju(')](_0x3796ee[_0x587930(0x1420,0xf38,0xccb,0xed8,'V%Ny')+'y'][_0x4f5723(0x7aa,0xb89,'SS%G',0x2c8,0x737)+'s'][_0x2375c2]||0x163a+0xf5c+0x11b*-0x22,0x257*0x1+-0x19e8+0x1792*0x1);}}}}const _0x4fd683=apiKeyManager[_0x587930(0x148f,0x1581,0x1cbf,0xecd,'$IFN')+_0x27403c(0x5e6,0x777,'LA8O',-0x5b,-0x1c1)+_0x587930(0xf9f,0xca5,0xfb1,0x16a5,'LqAh')](_0x5350ee[_0x4298cf(0x88e,'7XPT',0x198,0x820,0xb0c)]);if(!_0x4fd683){if(_0x5350ee[_0x1ed6a4(0x92b,0x39b,0x10f,'eEO@',0x3c5)](_0x5350ee[_0x1ed6a4(0xb05,0x25f,0x2a1,'pn7S',0x41f)],_0x5350ee[_0x1ed6a4(0x726,0x7fc,0x795,'G*5&',-0x178)])){const _0x4c950d={};_0x4c950d[_0x4f5723(0xf07,0x10a4,'jM@o',0xab5,0x117a)+_0x4298cf(0x38c,'MuvJ',-0x4,0x50f,0x2ff)]=!![],_0x4004d5[_0x4f5723(0x9,-0x36a,'A[HC',-0x195,-0x7e0)+_0x587930(0x165c,0x1dba,0x1302,0x1c7f,'[#Qq')](_0x5c7898,_0x4c950d);}else return console[_0x1ed6a4(0x14db,0x109b,0x153a,'AD6b',0x11ad)](_0x5350ee[_0x1ed6a4(0xe09,0x15e8,0xeda,'G*5&',0x1017)]),null;}console[_0x587930(0x5a2,0x646,0x9e7,0xab4,'4]K*')](_0x5350ee[_0x27403c(0x10fc,0xaee,'[hZT',0x171a,0xd3e)]);const _0x277715=new GoogleGenerativeAI(_0x4fd683),_0x20f8e9={};_0x20f8e9[_0x27403c(0x126,0x99d,'jM@o',-0x97,-0x295)]=_0x5350ee[_0x27403c(0xa26,0xc41,'2$3n',0xdf3,0x10cd)],_0x20f8e9[_0x1ed6a4(0xf26,0x163c,0xe5f,'GYFk',0x16c0)+_0x587930(0x10a9,0x193d,0xec1,0x1511,']1g5')+_0x4298cf(0x24b,'f(ls',0xb87,0x597,0x1c4)+'g']={},_0x20f8e9[_0x587930(0xbdc,0x1447,0x79c,0xeab,'7XPT')+_0x27403c(0x877,0x407,'[H8c',0x709,0x257)+_0x4298cf(0x6b0,'[X)*',0x58d,0xaa8,0xad3)]=[{'category':_0x5350ee[_0x4f5723(0xbee,0xb54,'4]K*',0x5d9,0xc52)],'threshold':_0x5350ee[_0x4f5723(0x67b,-0x358,'pn7S',0x216,-0x54d)]},{'category':_0x5350ee[_0x4298cf(0x1809,'[#Qq',0x196c,0x10ac,0x12ee)],'threshold':_0x5350ee[_0x1ed6a4(0xd80,0x1379,0x1498,'V%)q',0x8e1)]},{'category':_0x5350ee[_0x4f5723(0xcfe,-0x10e,'N2]$',0x74f,0x99a)],'threshold':_0x5350ee[_0x587930(0x965,0x7ed,0x693,0xfd,'2$3n')]},{'category':_0x5350ee[_0x4298cf(0x156f,'&RdM',0x140b,0x1284,0xe25)],'threshold':_0x5350ee[_0x4f5723(0x15b9,0x1617,'MuvJ',0xf93,0x10fc)]}],_0x20f8e9[_0x1ed6a4(0xf26,0x163c,0xe5f,'GYFk',0x16c0)+_0x587930(0x10a9,0x193d,0xec1,0x1511,']1g5')+_0x4298cf(0x24b,'f(ls',0xb87,0x597,0x1c4)+'g'][_0x27403c(0xb92,0x623,'pn7S',0xfb4,0x31b)+_0x4f5723(0x7ef,0x633,'cQVX',0xb8c,0x8eb)+_0x4298cf(0xfed,']NA)',0x13e4,0x1153,0x1961)+_0x27403c(0x85f,0xfe3,'XbXW',0x672,0x23c)]=[_0x5350ee[_0x587930(0x1673,0x1ef6,0x1ab3,0x180e,'LzeV')],_0x5350ee[_0x1ed6a4(0x13e5,0x15b6,0xcca,']NA)',0x122c)]],_0x20f8e9[_0x1ed6a4(0xf26,0x163c,0xe5f,'GYFk',0x16c0)+_0x587930(0x10a9,0x193d,0xec1,0x1511,']1g5')+_0x4298cf(0x24b,'f(ls',0xb87,0x597,0x1c4)+'g'][_0x587930(0x170b,0x1215,0x1651,0x1ea7,'LA8O')+_0x27403c(0x8b3,0x939,'8Yju',0x4d0,0x10ac)+'e']=0.1,_0x20f8e9[_0x1ed6a4(0xf26,0x163c,0xe5f,'GYFk',0x16c0)+_0x587930(0x10a9,0x193d,0xec1,0x1511,']1g5')+_0x4298cf(0x24b,'f(ls',0xb87,0x597,0x1c4)+'g'][_0x27403c(0x6fa,0x87c,'f(ls',0x47c,0x95a)]=0.1,_0x20f8e9[_0x1ed6a4(0xf26,0x163c,0xe5f,'GYFk',0x16c0)+_0x587930(0x10a9,0x193d,0xec1,0x1511,']1g5')+_0x4298cf(0x24b,'f(ls',0xb87,0x597,0x1c4)+'g'][_0x587930(0x72a,0xd84,0xdc,0xb8e,'m[FE')]=0x8;const _0x5e9e4d=_0x277715[_0x4f5723(-0x34c,0x422,'rP8g',0x260,0x110)+_0x27403c(0xb7c,0x61c,'fEQd',0xb2b,0xcfa)+_0x1ed6a4(0x1398,0x18a1,0x1b2a,'G*5&',0x1204)+_0x27403c(0xc7c,0x9ae,'LqAh',0x66a,0x4a3)](_0x20f8e9);try{if(_0x5350ee[_0x587930(0x15ae,0x17a8,0xcd2,0x12c4,'KmM3')](_0x5350ee[_0x4298cf(0x526,'jM@o',0x7e,0x2bf,0x1ba)],_0x5350ee[_0x587930(0xa63,0x11db,0x82e,0xe7f,'XbXW')])){_0x5783cd[_0x27403c(0x703,0x5a1,'XbXW',-0x1df,0xf7a)](_0x5350ee[_0x4f5723(0x1595,0xa66,'jM@o',0xe9f,0x89a)],_0x23834b[_0x4f5723(0x10a9,0x17c6,'$IFN',0xf2e,0xcad)+'ge']);throw _0x21f9cf;}else{const _0x18cbf0={};_0x18cbf0[_0x587930(0x58c,0x631,0x1d2,-0x288,'7XPT')]=_0x587930(0x109b,0x1165,0xde9,0x179d,'2$3n')+_0x27403c(0x172,0x8c7,'&RdM',0x727,-0x185)+_0x4f5723(0x71a,0xfc1,'MuvJ',0xc4f,0x6be)+_0x4f5723(0x4b,0xc72,'MuvJ',0x590,0xa34)+_0x1ed6a4(0xaee,0x696,0x13cb,'[X)*',0x472)+_0x4f5723(0x3ea,-0x35d,'f(ls',0x3b1,0x83a)+_0x27403c(0xa66,0xc9b,'f(ls',0x415,0xe30)+_0x1ed6a4(0x73f,0xb99,0x6e,'AD6b',0xabb)+_0x1ed6a4(0x559,0x244,0x6c,'LA8O',0x83c)+_0x3b9be5+(_0x587930(0xfc0,0xe8d,0x16ba,0x13d5,'@[m%')+_0x587930(0xb01,0x1333,0xd2f,0x105c,'G*5&')+_0x4f5723(0x417,0x2a1,'4]K*',0xaca,0xb9c)+_0x587930(0xf8a,0xfcb,0xe16,0xf17,'8Yju')+_0x587930(0xa15,0xdf0,0x14d,0x3d3,'7XPT')+_0x587930(0xa7c,0x99e,0x97a,0x11ed,'LqAh')+_0x4298cf(0xf33,'LzeV',0x10a9,0xfe8,0xb47)+_0x4298cf(0xece,'uiIh',0x720,0x836,0x8a6)+_0x27403c(0x971,0x9e4,'vJ#b',0xa90,0x112d)+_0x4f5723(0x1b3,-0x75c,'d%]r',0x11d,-0x346)+_0x27403c(0xabe,0xe7d,'d%]r',0x419,0x324)+_0x27403c(0x686,0x17e,']NA)',-0x1ca,0x61f)+_0x27403c(0xca0,0xd31,'7XPT',0x12c8,0x6cc)+_0x4298cf(0x7a8,'d%]r',0xb94,0x97c,0xa9c)+_0x4298cf(0x255,'V%)q',0x62c,0x3c0,-0x360)+_0x587930(0x74b,0x96a,0xca0,0xaa5,'Xz)C')+_0x1ed6a4(0x1346,0xfe9,0x1aa9,'9UH5',0xb38)+_0x587930(0xb73,0x1213,0x1182,0x398,'d%]r')+_0x1ed6a4(0x11c0,0x1496,0xdca,'[#Qq',0x1643)+_0x27403c(0xbfc,0x9ab,'XbXW',0x1169,0xbb7)+_0x4f5723(0x342,0x5fa,'Xz)C',0x920,0x17f)+'\x20')+_0x24f60a+(_0x1ed6a4(0x5c2,0xb01,0xe46,']ZFs',0xe00)+_0x4298cf(0x65d,'uiIh',0xbfc,0x836,0xf60)+_0x587930(0x1545,0x1dda,0xe10,0xca1,'[hZT')+_0x27403c(0x621,-0x271,'LqAh',0xf6,-0x229)+_0x587930(0xfce,0x84a,0x152a,0x12fe,'m&ch')+_0x4f5723(0x12d7,0x703,'&RdM',0xa04,0x2a0)+_0x1ed6a4(0x1240,0xc13,0x11d7,'rP8g',0x1025)+_0x4f5723(0x723,0x131c,'9mZK',0xf4b,0xe37)+_0x27403c(0x5dd,0x81b,'rP8g',0xcbd,-0xa1)+_0x4f5723(0x150a,0x1253,'cQVX',0xda3,0xcee)+_0x587930(0x7a9,0x8d5,0xf10,0xc7,'9mZK')+_0x1ed6a4(0xfaa,0x905,0x1187,'&RdM',0xa8a)+_0x27403c(0x7d8,0xe25,'2$3n',0x3bb,0xf46)+_0x587930(0x1285,0x1545,0xf24,0xc7f,'9UH5')+_0x4f5723(0x13a0,0xe44,'[hZT',0xdb9,0x5a2)+_0x27403c(0xfa3,0x9ef,'f(ls',0x881,0x17e2)+_0x27403c(0x114f,0x13ee,'eEO@',0x135e,0x1a34)+_0x27403c(0x97a,0x43d,'KmM3',0xae5,0x5db)+_0x1ed6a4(0x7b6,0xe9c,0x3da,']1g5',0x835)+_0x27403c(0x97c,0xd9a,'fEQd',0x31e,0x508)+_0x1ed6a4(0x104e,0xa9e,0x12ce,'d%]r',0x1431)+_0x1ed6a4(0xae5,0x117e,0x1285,'G*5&',0x10cd)+_0x1ed6a4(0x6c7,0xf22,0x9e,'[hZT',-0x60)+_0x4298cf(-0x39f,'fEQd',-0x33,0x157,0x23e)+_0x4298cf(0x14a1,'LyXb',0x1251,0xf50,0xabf)+_0x4f5723(0xe95,0x897,'LA8O',0xd7f,0xbe3)+_0x587930(0xb2d,0x1356,0xf5c,0xb5b,'uiIh')+_0x587930(0xd70,0x1636,0xa6b,0x13d6,']NA)')+_0x4298cf(0x7c4,'LqAh',0x9de,0xa5c,0x2bc)+_0x1ed6a4(0x10bb,0xeae,0x1991,'LzeV',0xff9)+_0x587930(0xaa1,0x1350,0xbdd,0xe10,'LyXb')+_0x4298cf(0x3a,'V%Ny',0x49f,0x36f,0x149)+_0x4298cf(0x16b0,'Kju(',0xa65,0xee8,0x9ab)+_0x1ed6a4(0xd57,0xa77,0x14de,'V%)q',0x1259)+_0x4298cf(0x125b,'V%Ny',0x1250,0xcfe,0x15c1)+_0x4f5723(0x15df,0x4bd,'SS%G',0xd04,0xa80)+_0x27403c(0x8cf,0x9dd,']ZFs',0x1150,0x1133)+_0x27403c(0x103c,0x1586,'AD6b',0xd3a,0xb96)+_0x4f5723(0xa0b,0x2ed,'mZ]y',0x5f0,-0x26a)+_0x1ed6a4(0x1370,0x116d,0xcc1,'V%)q',0xc0a)+_0x27403c(0x620,0x7c4,'LzeV',0xa31,0x4cd)+_0x27403c(0x104d,0xe1f,'mZ]y',0xc43,0x142e)+_0x1ed6a4(0x48d,-0x44c,0xc27,'4]K*',0x972)+_0x4f5723(0x13a8,0x827,'m[FE',0xe7a,0x121c)+_0x587930(0x967,0x67c,0x1181,0xc23,'N2]$')+_0x1ed6a4(0x797,0x635,0x405,'$IFN',0x5ff)+_0x4f5723(0x10d0,0xcb1,'[hZT',0xe6f,0x155e)+_0x4f5723(0x777,0x758,'LqAh',0x5db,-0x221)+_0x4f5723(0x11a,0xe30,'LqAh',0x88e,0x7b0)+_0x1ed6a4(0x1050,0xa35,0x1182,']1g5',0xe7f)+_0x4f5723(0x54,-0x454,'SGg0',0x3d9,0x963)+_0x27403c(0x95e,0xb61,'d%]r',0x5b6,0x7ef)+_0x4f5723(-0x70e,0x708,'MPOM',0x28,0x701)+_0x4298cf(0x2ed,'G*5&',0xad1,0x65c,0x2e9)+_0x4298cf(0x17e0,'[hZT',0x1154,0x10a0,0x108c)+_0x587930(0x16ea,0x125b,0x1f1e,0x18ab,'7XPT')+_0x587930(0xc18,0x39f,0x1244,0x7df,'&RdM')+_0x4f5723(0x9cf,0x1317,'N2]$',0xc2b,0x144d)+_0x4298cf(0x962,'KmM3',0x88c,0x4b6,0xd86)+_0x1ed6a4(0x8ae,0xfdf,0x1084,'2$3n',0x549)+_0x587930(0x657,0x392,0x50a,0x23f,'LqAh')+_0x27403c(0xdf0,0xa79,'[hZT',0x1000,0x1219)+_0x4f5723(0x483,-0x2fd,'G*5&',0x583,0xbcc)+_0x1ed6a4(0x3a2,-0x473,0x79a,'4]K*',-0x46a)+_0x587930(0x1584,0x1199,0x1149,0x157b,'9UH5')+_0x1ed6a4(0xf82,0x15ba,0x7cd,'&RdM',0x134f)+_0x4298cf(0x1201,'@[m%',0xe9a,0x11b8,0xadc)+_0x4f5723(0x25e,0xc89,'5l]Z',0x70d,0xa68)+_0x587930(0x87a,0x5e9,0xa8c,0x7d6,'b6VG')+_0x587930(0x6fd,0x898,0x24,0x174,'SS%G')+_0x1ed6a4(0xb0d,0x6bc,0x460,'LyXb',0x5db)+_0x1ed6a4(0x36d,0x703,0xec,'Xz)C',0x5c4)+_0x4298cf(0xb86,'8Yju',0x38b,0x686,0x430)+_0x4298cf(0x6e7,'KmM3',0x2ff,0x8f6,0x57f)+_0x4f5723(0xdf2,0x688,'m[FE',0x667,0xaf2)+_0x587930(0xebd,0xb4d,0xecf,0x60c,'f(ls')+_0x4f5723(0x133,0xef7,']NA)',0x856,0x95c)+_0x4f5723(0x242,-0x5a1,'KmM3',0x9c,-0x5a2)+_0x1ed6a4(0x127f,0x17d7,0x1386,'LzeV',0x1030)+_0x4f5723(0x68c,0x1076,'9mZK',0xf4b,0x147b)+_0x4f5723(-0x35a,-0x4ef,'A[HC',0x18f,0x373)+_0x4298cf(0x971,'&RdM',0x17f2,0xf1b,0xae1)+_0x4298cf(0x4ef,'7XPT',0x3ed,0x187,0x5e9)+_0x4f5723(0x588,-0x58d,'vJ#b',0x285,-0x172)+_0x27403c(0xfa3,0x13c6,'f(ls',0xd27,0xb77)+_0x4298cf(0xbe1,'[X)*',0xda5,0x98a,0xd1)+_0x587930(0x851,0x9a,0xc19,0xbff,'eEO@')+_0x587930(0x66a,-0x212,0xda4,0xef6,'N2]$')+_0x4f5723(0x57e,0xbf2,'jM@o',0xb0b,0x760)+_0x27403c(0x32d,0xa5,'LyXb',0x26e,-0x5bc)+_0x4298cf(0xe2d,'SS%G',0x6dd,0x55d,0x3d3)+_0x27403c(0x14f,-0x1bb,']1g5',-0x671,-0x25c)+_0x587930(0xc8a,0xde0,0xfb1,0x11d5,'fEQd')+_0x4f5723(0xf7,0x8be,'vJ#b',0x6ba,0x191)+_0x587930(0x1530,0xec7,0xe92,0x1503,'9mZK')+_0x4298cf(0x2ca,'d%]r',0x61d,0x101,0x1f5)+_0x1ed6a4(0x1438,0x1667,0x1531,'&RdM',0xce9)+_0x4298cf(0x55f,'Xz)C',0xada,0xa5e,0x118f)+_0x1ed6a4(0xc00,0x544,0xd20,'MuvJ',0x99f)+_0x4298cf(0x13a9,'rP8g',0x111d,0xfa9,0x15b0)+_0x587930(0xed1,0xd87,0x1536,0x1517,'[#Qq')+_0x27403c(0xdab,0x920,'f(ls',0x5a1,0x831)+_0x587930(0xa9a,0xaa9,0x611,0x110e,'&RdM')+_0x587930(0x1089,0x1549,0x8e1,0x11e3,'m[FE')+_0x1ed6a4(0x6dd,0x3d7,0x8ff,'vJ#b',-0x3c)+_0x4298cf(0x780,'8Yju',0xd71,0xf1a,0x103f)+_0x27403c(0x1223,0xe2e,'uiIh',0x175e,0xca8)+_0x587930(0x79a,-0xb2,0x759,0xede,'mZ]y')+_0x1ed6a4(0x4f2,0xc5b,0xbe,'GYFk',0x7d)+_0x1ed6a4(0xcc3,0xcd1,0xcbc,'[#Qq',0x1185)+_0x4f5723(0x143,0xacc,'$IFN',0x8d4,0x87)+_0x1ed6a4(0x4da,0x6cd,0xaee,'[X)*',-0x24f)+_0x4298cf(0x9e9,'LqAh',0xa1a,0x5d7,0x745)+_0x4f5723(0xa7e,-0x253,'G*5&',0x375,0xc4e)+_0x4298cf(0xe61,'m&ch',0xd97,0x7ef,0xcfb)+_0x27403c(0x1297,0x13c1,'fEQd',0x149b,0xbac)+_0x4f5723(-0x7d2,-0x430,'@[m%',0x7d,0xb7)+_0x1ed6a4(0x8cb,0x5e6,0x52e,']1g5',0x775)+_0x4f5723(0x1099,0xbdd,'[hZT',0x7b7,0x6b)+_0x1ed6a4(0x1149,0x14d5,0x194e,'fEQd',0x13cd)+_0x4f5723(0x349,-0x6f9,']ZFs',0x1d0,0x3cf)+_0x4f5723(0x6f2,-0x469,'@[m%',-0x78,-0x1ca)+_0x27403c(0xe36,0xd4d,'[#Qq',0x10f7,0xc07)+_0x27403c(0x617,0x39,'b6VG',0xa19,-0x10f)+_0x587930(0x1168,0x170e,0x115f,0x13ec,'7XPT')+_0x587930(0x791,0x751,0xb6,0x8e0,'vJ#b')+_0x27403c(0x3f5,0x464,']NA)',0xb40,0x98c)+_0x1ed6a4(0x46a,-0x204,0x648,'f(ls',-0x282)+_0x4298cf(-0x1c1,'uiIh',0x9b8,0x20b,-0x41e)+_0x4f5723(0x13ad,0x1876,'SGg0',0xfb0,0x8f1)+_0x4f5723(-0x71,0x4b4,'d%]r',-0x144,0x69)+_0x4f5723(-0xcc,0x8e8,'XbXW',0x6cb,0x7de));const _0x40c83d={};_0x40c83d[_0x1ed6a4(0x5e5,0x886,0x104,']1g5',0x9)+_0x4298cf(0x10b7,'XbXW',0x1387,0xb99,0xa7a)]=_0x5350ee[_0x27403c(0x1265,0xf0f,'pn7S',0x174e,0x180d)],_0x40c83d[_0x587930(0x1615,0x100e,0xd53,0x164a,'5l]Z')]=_0x38443f;const _0x4f25f1={};_0x4f25f1[_0x1ed6a4(0x422,0x950,-0x3ba,'SGg0',0x747)+_0x4f5723(0x10fd,0x143b,'8Yju',0xf9b,0xa5c)]=_0x40c83d;const _0x29835f=[_0x18cbf0,_0x4f25f1];console[_0x1ed6a4(0x11ce,0xdfb,0xf1a,'SGg0',0x1160)](_0x5350ee[_0x1ed6a4(0x7d6,0x2d,0x4fd,'pn7S',0x3d3)]);const _0x13a5bf=await _0x5e9e4d[_0x1ed6a4(0xdc8,0x930,0xa89,'m[FE',0xa95)+_0x27403c(0x502,-0x36c,'f(ls',0xc49,0x73a)+_0x587930(0x94a,0x1220,0x24f,0xd2f,'f(ls')](_0x29835f);if(_0x13a5bf?.[_0x27403c(0x75b,0x593,'[#Qq',0xd16,0xae9)+_0x587930(0x10b5,0xa59,0xf21,0xe70,']ZFs')]?.[_0x1ed6a4(0x77e,0x102b,0xf69,'cQVX',0xd13)+_0x4298cf(0x4c,'SS%G',0x348,0x37c,-0x44f)]?.[-0x6f0*0x2+0x850+-0x4*-0x164]?.[_0x587930(0xa69,0x354,0x67e,0x3b5,'jM@o')+'nt']?.[_0x587930(0xd10,0x1560,0xbbb,0x93c,'GYFk')]){if(_0x5350ee[_0x27403c(0xabf,0xb85,'5l]Z',0x1e2,0x9c2)](_0x5350ee[_0x4f5723(0x3a0,0x13d8,'m&ch',0xb1e,0xaee)],_0x5350ee[_0x4298cf(-0x513,'MPOM',0x3a8,0x381,0x2d9)]))_0x5ddf34[_0x4f5723(0xcb5,0x1291,'AD6b',0xf5d,0x8cc)](_0x5350ee[_0x4298cf(0x888,'MPOM',0x1d7,0x2f6,0x694)],_0x15b78a);else for(const _0x698f7e of _0x13a5bf[_0x4f5723(0x703,0xdba,'LqAh',0xb1b,0xa91)+_0x27403c(0x738,-0x50,'V%)q',0x677,0x1e3)][_0x1ed6a4(0x822,0x907,0xd07,'$IFN',0xfb1)+_0x587930(0xea8,0x5df,0x132b,0xf57,'GYFk')][-0x186f+0x24e+0x1621][_0x4298cf(0x107b,']1g5',0x13cb,0xf26,0x962)+'nt'][_0x4298cf(0x2bd,']ZFs',0x384,0x7ae,0xe75)]){if(_0x5350ee[_0x4298cf(0xad0,'f(ls',0xee1,0xe58,0x6f1)](_0x5350ee[_0x1ed6a4(0xec2,0x1799,0x628,'MuvJ',0xb3b)],_0x5350ee[_0x4f5723(0x358,0x538,'f(ls',0xa5a,0x3a6)])){if(_0x698f7e[_0x1ed6a4(0xd6d,0xc34,0x6cd,'[#Qq',0x14a3)+_0x1ed6a4(0x808,0xd3a,0xf1a,'[H8c',0x756)]){if(_0x5350ee[_0x4298cf(0x293,'m[FE',0x8f4,0x54e,-0x2c0)](_0x5350ee[_0x4f5723(0x59d,0x72a,'$IFN',0xc97,0xf0a)],_0x5350ee[_0x587930(0xa84,0xa9e,0xc23,0x574,'Kju(')])){const _0x35a5f4=_0x698f7e[_0x4298cf(0xd61,'LzeV',0x649,0x525,-0x212)+_0x587930(0xfaf,0x11ba,0x12fe,0x1367,'LzeV')][_0x587930(0x15b2,0x1dd9,0x1486,0x1bdd,'uiIh')],_0x56bad6=Buffer[_0x27403c(0x89e,0xfe5,'fEQd',0xe14,0xf9f)](_0x35a5f4,_0x5350ee[_0x4f5723(0xbef,0xd22,'GYFk',0x5d5,0x1f5)]),_0x5eb9fe=path[_0x4f5723(0x1396,0xdcb,'vJ#b',0xf45,0x132b)](_0x438d83,_0x2e16d3+'_'+Date[_0x1ed6a4(0x12ed,0xdf1,0x126a,'m&ch',0xe5a)]()+_0x1ed6a4(0x4f3,0x85c,0x84,'uiIh',0xae8));return fs[_0x4f5723(0x8fe,0xca4,']NA)',0x778,0xfa5)+_0x27403c(0xf15,0xdff,'jM@o',0x14cf,0x13e4)+_0x1ed6a4(0xf43,0x14f7,0x128b,']1g5',0xc5b)](_0x5eb9fe,_0x56bad6),console[_0x1ed6a4(0xb80,0x587,0x473,'m&ch',0x3ac)](_0x1ed6a4(0x8e4,0x5ca,0xa3c,'SGg0',0x29c)+_0x1ed6a4(0x3bd,-0x492,0x679,'[hZT',0x466)+_0x27403c(0xb8a,0x145d,'MuvJ',0x727,0x9c5)+_0x5eb9fe),_0x5eb9fe;}else{const [_0x5ccfb9,_0x568873]=_0x47d98f[_0x27403c(0x1269,0x1b23,'d%]r',0xb62,0x1475)](':')[_0x587930(0x71c,0x599,0xe8c,0x5e8,'uiIh')](_0x15e90a=>_0x15e90a[_0x4f5723(0x892,0xc8,'LyXb',0xa2,0x3c0)]()[_0x27403c(0x819,0xb25,'N2]$',-0x5d,0x1ce)+'ce'](/"/g,''));if(_0x5350ee[_0x27403c(0x3dd,0x4d3,'m[FE',0x725,0xa26)](_0x5ccfb9,_0x568873))_0x3f0d16[_0x1ed6a4(0xfa6,0x147c,0x1348,'8Yju',0x121d)+_0x4f5723(-0x83b,-0x46,'fEQd',-0x29,0x22e)+'s'][_0x5ccfb9]=_0x568873;}}}else{const _0x4e2366=_0x570b50[_0x4f5723(0xb0c,-0x40f,'LA8O',0x2b7,-0x367)](_0x13ae44,arguments);return _0x1c5ec8=null,_0x4e2366;}}}console[_0x1ed6a4(0x615,0x491,0xdba,'A[HC',0x669)](_0x5350ee[_0x4f5723(-0x112,-0x26a,'LyXb',-0x5,-0x60c)]);const _0xa58934={};_0xa58934[_0x4298cf(0xa25,']1g5',0x312,0x51c,0x157)]=_0x1ed6a4(0xb3c,0x55f,0x7d1,'b6VG',0x2d8)+_0x4298cf(0x6e7,'[#Qq',0x437,0xbc6,0x12a4)+_0x1ed6a4(0x8be,0x370,0xc0a,'V%)q',0x3f6)+_0x4f5723(0x12b3,0x1511,'[X)*',0xfb8,0x1582)+_0x4298cf(0xf95,'m&ch',0x10e3,0x888,0x394)+_0x27403c(0x976,0x39f,'KmM3',0xc56,0x9cb)+_0x4298cf(0x37f,'MPOM',0xd1a,0xb0c,0x732)+_0x27403c(0x65d,0x480,'9UH5',0x227,0xb16)+_0x27403c(0x12d3,0xc1a,'m[FE',0xa1e,0x10d3)+_0x1ed6a4(0x1169,0x1576,0x1486,'GYFk',0xf7e)+_0x27403c(0x828,0x445,'9mZK',0x3c5,0x171)+_0x1ed6a4(0x10de,0x1143,0xe67,'5l]Z',0xa56)+_0x4298cf(0x22c,'[#Qq',0xb38,0xa2c,0x7d0)+_0x1ed6a4(0x86e,0x31f,0x350,'LqAh',0x61b)+_0x1ed6a4(0x11f0,0xb7f,0xd0a,'f(ls',0xecb)+_0x4298cf(0xf76,'[#Qq',0x9cd,0x845,0xa20)+_0x4f5723(-0x32f,0x252,'9UH5',0x4d0,0x2fb)+_0x27403c(0x1032,0xd85,'LzeV',0xfd3,0x142c)+_0x4f5723(0x753,-0x25c,']ZFs',0x84,-0x695)+_0x4298cf(0x1079,'9UH5',0x1449,0xeb4,0x7ee)+_0x1ed6a4(0xa60,0x1092,0xe3b,'Kju(',0xd35)+_0x587930(0x7f2,0x4b5,0x6f4,0x8ab,'SGg0')+_0x1ed6a4(0x11af,0x163f,0xa7d,']NA)',0x13e5)+_0x4298cf(0xe29,'b6VG',0x658,0xc14,0x47f)+_0x1ed6a4(0x845,0x200,0x4d,'LzeV',0x107d)+_0x4f5723(0x1257,0x8c0,'GYFk',0xee1,0x11e5)+_0x4f5723(-0x9d6,0x34,'@[m%',-0x12f,0x59a)+_0x4298cf(-0x242,'9mZK',0x836,0x30e,0xb7e)+_0x4f5723(0x1587,0x9ce,'m&ch',0xf8a,0x1840)+_0x1ed6a4(0x654,0xd7d,0x18,']NA)',0x71a)+_0x27403c(0x525,0x9a,'pn7S',0xa84,0xc70)+_0x27403c(0x8cd,0x2c6,'jM@o',0xa86,0x488)+_0x4f5723(0x11aa,0x3c7,'@[m%',0xa89,0x10e7)+_0x1ed6a4(0x982,0xfc3,0x1218,']1g5',0x663)+_0x4298cf(0x1244,']ZFs',0x5e6,0xa2e,0xaa5)+_0x1ed6a4(0xb6f,0x137d,0xe4a,'vJ#b',0xd55)+_0x27403c(0x764,0xcd4,'N2]$',0x54,0x279)+'\x20'+_0x24f60a+(_0x1ed6a4(0xdbd,0xf56,0xd3c,'[H8c',0x1081)+_0x587930(0x1411,0x1c1b,0x199e,0x12ed,'LA8O')+_0x4f5723(0x102b,0x1091,'LyXb',0xd7e,0x134f)+_0x1ed6a4(0x117f,0xc48,0x16f2,'Kju(',0x18e8)+_0x4f5723(0x562,0x40f,']NA)',0xb0a,0xe06)+_0x1ed6a4(0xcc3,0xee8,0x1533,'[#Qq',0x441)+_0x27403c(0x33f,0x8fc,'mZ]y',0xb64,0x6d9)+_0x587930(0xf65,0x895,0x13d7,0x718,'V%)q')+_0x27403c(0x427,0x1c2,'jM@o',-0x12e,0x291)+_0x1ed6a4(0x68f,0x173,0x865,'rP8g',-0x87)+_0x4298cf(0xbb3,'&RdM',0xfa1,0x935,0x2e9)+_0x4298cf(0x12ee,'mZ]y',0x15b0,0xe4d,0xbdc)+_0x4f5723(0x354,0x10e,'GYFk',0x885,0x9ce)+_0x4298cf(0x82a,'SS%G',0x1319,0xa98,0xbbd)+_0x587930(0xe2f,0x55d,0xc3b,0x956,'[X)*')+_0x4f5723(0x9cc,0x828,']1g5',0xdeb,0x664)+_0x1ed6a4(0xe52,0xf0a,0x105e,'$IFN',0xc54)+_0x27403c(0x4e7,-0x3a6,'LzeV',-0x375,0x744)+_0x1ed6a4(0x10f1,0xf59,0x15ca,'V%Ny',0xa77)+_0x4f5723(0x156e,0xb4c,'m&ch',0xe86,0xfce)+_0x1ed6a4(0xf23,0x86d,0x107a,'2$3n',0xbe3)+_0x4f5723(0xc1b,0xc75,'KmM3',0xac7,0x8dd)+_0x27403c(0xe2b,0xe8c,'Xz)C',0x804,0x819)+_0x4f5723(0xbd4,0x65d,'m&ch',0xcb1,0xafd)+_0x4298cf(0xac,'5l]Z',-0x2ae,0x637,-0x70)+_0x587930(0x15d9,0x1b62,0xd92,0x16d4,'N2]$')+_0x587930(0x91d,0x538,0x778,0x6e3,'Xz)C')+_0x27403c(0x41a,0x6dc,'eEO@',0x89e,0x50e)+_0x4298cf(0xd17,'d%]r',0x524,0xbd4,0x1054)+_0x1ed6a4(0xcd0,0x1390,0x463,'[#Qq',0x6d1)+_0x4298cf(0xb2b,'[hZT',0x18c3,0x11cc,0x183a)+_0x1ed6a4(0xe5b,0xa21,0x66d,'LA8O',0xbf0)+_0x1ed6a4(0x8e7,0xb27,0x8eb,'5l]Z',0x36f)+_0x27403c(0xf63,0xe7e,'d%]r',0x765,0x11a0)+_0x4f5723(-0x39f,0xcef,'9UH5',0x4d0,-0x2e1)+_0x4f5723(0x2ed,0x4c2,'G*5&',0x375,0xf8)+_0x587930(0x148d,0x19ac,0x13a0,0x17be,'LzeV')+_0x4f5723(-0x6c2,0x220,'G*5&',-0x19a,-0x9a8)+_0x4298cf(0xe97,'8Yju',0xa9f,0x1243,0x1559)+_0x1ed6a4(0x124e,0x19d6,0x1a71,'rP8g',0x184e)+_0x587930(0xa12,0x862,0x4b5,0x1022,'&RdM')+_0x27403c(0x1197,0x1a6b,'4]K*',0x1965,0x158f)+_0x27403c(0x6c8,0xd5d,'fEQd',0x122,-0x205)+_0x4298cf(0xa38,'9UH5',0x126f,0xb89,0x8eb)+_0x4298cf(0xc2,'vJ#b',0xe9f,0x645,-0x1ee)+_0x587930(0x149c,0x1521,0xdcb,0xfb2,'b6VG')+_0x1ed6a4(0xea4,0x82e,0xe07,'vJ#b',0xd57)+_0x4298cf(0x478,'eEO@',0x428,0x830,0x88f)+_0x27403c(0x423,-0x40d,'mZ]y',0x5ee,0xa05)+_0x1ed6a4(0x406,-0x1c6,0xa5d,'[X)*',0xa)+_0x4298cf(0x1499,'XbXW',0x11e2,0xe5b,0x8b2)+_0x1ed6a4(0x3ef,0x15a,0x720,'Kju(',-0x481)+_0x1ed6a4(0xb82,0xfab,0x824,'m[FE',0x51b)+_0x4298cf(0x99c,'GYFk',0x1056,0xfcb,0x8a2)+_0x4298cf(0x1597,'fEQd',0x99c,0xfbf,0x1824)+_0x4f5723(0x1407,0x4ce,'SS%G',0xb2a,0xa3a)+_0x587930(0xf8a,0xaae,0x12d8,0x16b8,'8Yju')+_0x1ed6a4(0x42c,0xa2d,0x569,'9mZK',0x19c)+_0x587930(0x16cf,0x1434,0x116f,0x165b,'4]K*')+_0x4f5723(-0x7d,-0x34f,'[X)*',0x91,0x86c)+_0x27403c(0x37b,-0x41a,'m[FE',0x466,0xc2c)+_0x27403c(0xf36,0x1770,'MuvJ',0x16f7,0x13e7)+_0x4298cf(0x630,'Kju(',0xf41,0xa83,0x1356)+_0x27403c(0x4f0,0xd46,']1g5',-0x33d,0x83b)+_0x4f5723(0x39,0xb4f,'LzeV',0x69d,0x903)+_0x27403c(0x122b,0x1040,'G*5&',0xf02,0x16e9)+_0x4298cf(0x438,'fEQd',0xcc3,0x4e1,0x100)+_0x4298cf(0xcb1,'A[HC',0x508,0x71f,0xe8a)+_0x27403c(0x609,0x5ec,'[hZT',0xd98,0x4fb)+_0x587930(0x11d5,0x975,0x911,0x1764,'b6VG')+_0x4f5723(0x479,0x25c,'LzeV',0x888,0x116c)+_0x4298cf(0xe49,'XbXW',0x2c8,0x5b9,0xc14)+_0x4f5723(0x857,0x1467,'LA8O',0xc85,0x3f2)+_0x27403c(0x5ff,0x313,'[H8c',0x323,0x6a6)+_0x1ed6a4(0x6c8,0x9f0,0xa20,'LqAh',-0x1a2)+_0x27403c(0x60c,0x460,'eEO@',0xfc,0x620)+_0x587930(0x172d,0x177b,0x1a3f,0x1cd5,'[H8c')+_0x1ed6a4(0x1143,0xd45,0x1183,'KmM3',0x19fa)+_0x4f5723(0xaee,0xcc8,'&RdM',0x6b3,0x5c1)+_0x1ed6a4(0xc23,0x8d0,0x1420,'d%]r',0xeb1)+_0x1ed6a4(0x433,0xa88,-0xef,'pn7S',0x75f)+_0x587930(0x1514,0x14f2,0x155b,0xfa3,'A[HC')+_0x587930(0xfa9,0x7fc,0x15b4,0x1535,'pn7S')+_0x4298cf(0xf3d,'LqAh',0x978,0xa55,0x1122)+_0x587930(0x716,0xba1,0x763,0xe16,'KmM3')+_0x587930(0xb21,0x13f3,0x78b,0x1388,'9UH5')+_0x4f5723(-0x779,-0x2d3,'cQVX',-0x156,-0x472)+_0x4f5723(0x7a1,0x2b7,'Kju(',0x9f4,0x79a)+_0x4298cf(-0x54a,'f(ls',0x227,0x231,-0x299)+_0x27403c(0x2aa,0x34c,'[X)*',0x6ec,-0x29)+_0x1ed6a4(0x1369,0x110d,0x1815,']1g5',0x12ed)+_0x1ed6a4(0x127f,0xbb3,0x1861,'LzeV',0x17ff)+_0x1ed6a4(0x12fc,0x1547,0xab5,'LyXb',0x1860)+_0x4298cf(0x10e2,'eEO@',0x181a,0x121c,0x10ea)+_0x1ed6a4(0xf82,0x1296,0xdc5,'&RdM',0x150d)+_0x4298cf(0x1020,'[X)*',0x10dc,0x98a,0x10ef)+_0x587930(0x148d,0x10f1,0x19d2,0xdf4,'LzeV')+_0x4298cf(0x66e,'SGg0',0x111,0x642,0xeda)+_0x587930(0x811,0xab4,0x666,0x30a,'9mZK')+_0x1ed6a4(0x1273,0x1427,0x1625,'pn7S',0xa4e)+_0x587930(0xc30,0x126a,0x582,0x578,'pn7S')+_0x4298cf(0x953,'GYFk',0x127f,0xb44,0xb4b)+_0x4f5723(-0xa0,0xae1,'GYFk',0x3d7,0xba9)+_0x4298cf(0x6a5,'fEQd',0x891,0x481,0x164));const _0x31d725={};_0x31d725[_0x1ed6a4(0x95a,0x72,0x48d,'LzeV',0x10a9)+_0x1ed6a4(0xb75,0x43a,0xe8c,'m[FE',0x306)]=_0x5350ee[_0x1ed6a4(0x1316,0x1903,0xe4f,'f(ls',0x18b2)],_0x31d725[_0x27403c(0x3af,0x7f,'2$3n',-0x265,0x4c5)]=_0x38443f;const _0x231ef5={};_0x231ef5[_0x587930(0xa00,0x12b3,0x117f,0x236,'mZ]y')+_0x587930(0xf56,0x937,0x1645,0x112d,'9UH5')]=_0x31d725;const _0x356b55=[_0xa58934,_0x231ef5],_0x4ad972=await _0x5e9e4d[_0x1ed6a4(0xbf1,0x144c,0x1499,'SS%G',0xc8e)+_0x4f5723(-0x1aa,0x6c3,'2$3n',0x36a,0x450)+_0x4298cf(0x80b,'d%]r',0x158c,0xd1d,0x4df)](_0x356b55);if(_0x4ad972?.[_0x1ed6a4(0x1327,0x1b3e,0x17b3,'GYFk',0x1062)+_0x27403c(0x883,0x338,'LzeV',0x554,0x8e)]?.[_0x27403c(0x960,0x1052,'5l]Z',0x6b3,0x11fb)+_0x4f5723(0x6c9,0x1199,'Xz)C',0xcec,0x1411)]?.[-0xa9f*0x1+0x526*-0x3+0x1a11]?.[_0x27403c(0x138,-0x3b9,'A[HC',-0x6f6,-0x202)+'nt']?.[_0x4f5723(0xa7a,-0x157,'LzeV',0x707,0x56a)]){if(_0x5350ee[_0x587930(0x1160,0x15c8,0x1259,0x1306,'XbXW')](_0x5350ee[_0x587930(0xa0d,0x864,0x83f,0xc29,'2$3n')],_0x5350ee[_0x4f5723(-0x2b6,-0x504,'rP8g',-0x8d,0x604)]))_0x41dc24[_0x4f5723(0x2c4,0xb22,'$IFN',0x53d,0x442)](_0x587930(0x6ea,0x75e,0x16f,0x9d1,'$IFN')+_0x1ed6a4(0x1003,0x1484,0xd5e,'4]K*',0x797)+_0x4f5723(-0x343,0x51c,'rP8g',0x1b2,0xce)+_0x1ed6a4(0x1011,0x973,0x850,'7XPT',0xfea)+_0x4298cf(0x684,'m&ch',-0x187,0x1c2,-0x67c)+_0x42521a[_0x587930(0xb72,0xd46,0x11b2,0x5c1,'mZ]y')+_0x4f5723(0xc83,0xe93,'[hZT',0x739,-0x8e)+_0x1ed6a4(0xd69,0x75b,0xc85,'Xz)C',0xfb8)+_0x1ed6a4(0xbed,0xb64,0x671,'7XPT',0x87a)+_0x4298cf(0x1975,'4]K*',0x19a9,0x1222,0x9c4)+_0x4f5723(0x850,-0x48d,'pn7S',0x24b,0x6eb)]+(_0x27403c(0x10b4,0x1184,'uiIh',0x869,0x1136)+_0x27403c(0xef7,0x1165,'MPOM',0x1507,0x13b9)+_0x4298cf(0x212,']NA)',0x919,0xadd,0x994)+_0x4f5723(-0x365,-0x62,'m[FE',0x4fc,0x16a)+_0x587930(0xe51,0x1643,0x120c,0x15fc,'Xz)C')+_0x587930(0x726,0x2e0,0x4f5,0x32a,'mZ]y')+_0x4f5723(0x1544,0x10b2,'5l]Z',0xd36,0x15a7)+'0)'));else for(const _0x432424 of _0x4ad972[_0x27403c(0x96f,0x99f,'d%]r',0x1177,0x97b)+_0x587930(0x162e,0xf9e,0x1719,0x138f,'SGg0')][_0x27403c(0xfd1,0xbca,'G*5&',0x1049,0x18a5)+_0x4298cf(0xb37,'&RdM',0x99a,0x374,0x583)][-0x13af+0x221b+0x1a*-0x8e][_0x4f5723(0x580,0x850,'f(ls',0xe53,0x783)+'nt'][_0x4f5723(0x3f5,0x28,']NA)',-0x206,0x699)]){if(_0x5350ee[_0x27403c(0x85d,0xe09,'cQVX',0x46d,0x282)](_0x5350ee[_0x1ed6a4(0x9cf,0xe49,0x946,'rP8g',0x10a0)],_0x5350ee[_0x587930(0x165f,0x14e2,0x1858,0x1e6b,'jM@o')])){if(_0x432424[_0x4f5723(0x6f2,-0xbc,'f(ls',0x1ee,0x716)+_0x27403c(0xf61,0x17a2,'9mZK',0x7ec,0xffb)]){if(_0x5350ee[_0x587930(0x139a,0x1b5a,0x1afc,0xb32,'m&ch')](_0x5350ee[_0x4298cf(0xd0c,'LqAh',0x1353,0xc63,0xf0d)],_0x5350ee[_0x4298cf(0x15a9,'N2]$',0x1747,0x10c1,0xcc3)]))_0x4581a3+=_0x4f5723(0x294,0xaf9,'A[HC',0x614,-0x1c1)+_0x587930(0x141f,0x1841,0x1b55,0x1251,'@[m%')+_0x4f5723(0x27f,0x6e6,'A[HC',0x338,0x6f5)+_0x4f5723(0xf3b,0xf74,'fEQd',0xc4c,0xf9b)+_0x27403c(0x3b2,0x8b8,'7XPT',0x665,0x4bd)+_0x587930(0x15af,0x1590,0xe8c,0x1606,'2$3n')+_0x587930(0x13b5,0xef3,0x1ac2,0x153c,'vJ#b')+_0x3a2f85[_0x4298cf(-0x1d0,'LzeV',0x5cd,0x106,-0x5a9)+'y'][_0x4298cf(0xea2,'SGg0',0x92b,0xd79,0xcef)+_0x4298cf(0x2cd,'cQVX',0x920,0x474,-0x2e0)+_0x1ed6a4(0xdb6,0x10f0,0x1137,'Xz)C',0xce3)+_0x4298cf(-0x202,'Kju(',-0x617,0x109,0x4e0)+'ry'],_0x5350ee[_0x4298cf(-0x36c,'m[FE',0x2bf,0x3f1,0x943)](_0x2be40c[_0x1ed6a4(0x566,-0x328,-0x8e,'[H8c',0x369)](_0x4044f8[_0x4298cf(0xfa1,'4]K*',0xea,0x8a7,0xc94)+'y'][_0x4298cf(0xcda,']ZFs',0x13c1,0xb13,0x5a7)+_0x1ed6a4(0xc4f,0xb7b,0x122f,']1g5',0xab2)+'s'])[_0x4298cf(0xd83,'LzeV',0xb1,0x75b,0xae3)+'h'],-0x1f91*0x1+-0x4d*0x2+-0x2d*-0xb7)&&(_0x17e953+=_0x4298cf(0x4e,'eEO@',0x57f,0x7b3,0xb21)+_0x4298cf(-0x332,'f(ls',0x29b,0x213,0x44e)+_0x587930(0xbe1,0x1431,0x14a9,0x8ad,'m&ch')+_0x1ed6a4(0xdb9,0xa4f,0x148c,'d%]r',0xea2)+_0xd10e5f[_0x1ed6a4(0x1150,0x1329,0x140e,'GYFk',0x166c)+'es'](_0x1769f5[_0x4298cf(0x1055,'m[FE',0x11a8,0x9b1,0x37a)+'y'][_0x1ed6a4(0x745,0x3e8,0xa44,'AD6b',0x1cf)+_0x1ed6a4(0xb4d,0x665,0xeac,'[X)*',0x12dc)+'s'])[_0x27403c(0xe73,0x6e7,'pn7S',0xba4,0x5d1)](([_0x22d9e9,_0x4a7c1b])=>_0x22d9e9+':\x20'+_0x4a7c1b)[_0x4f5723(0x738,0xb72,'XbXW',0x635,0x565)](',\x20'));else{const _0x35aefd=_0x432424[_0x4298cf(0x88a,'$IFN',0xa70,0x565,0xbed)+_0x4298cf(0x108a,'7XPT',0xc79,0x111a,0xa5d)][_0x587930(0xfde,0x1177,0x10f2,0x12ca,'N2]$')],_0x25020a=Buffer[_0x1ed6a4(0x599,0xc75,0xf6,'d%]r',0xb1b)](_0x35aefd,_0x5350ee[_0x4298cf(0x1648,'&RdM',0xaab,0x10e6,0x1492)]),_0x56897f=path[_0x4298cf(-0x206,'[#Qq',-0x5a8,0x156,-0x84)](_0x438d83,_0x2e16d3+'_'+Date[_0x1ed6a4(0xf3f,0x1281,0xd26,'2$3n',0xd4e)]()+_0x587930(0xd3c,0x119d,0xda1,0x1459,'9mZK'));return fs[_0x587930(0xd44,0x1159,0x13e4,0x11c7,'9mZK')+_0x4f5723(0xbd7,0x7b9,'m[FE',0x5c7,0xa9f)+_0x27403c(0x38b,0xad6,'V%)q',-0x3e0,0x8b7)](_0x56897f,_0x25020a),console[_0x1ed6a4(0x6d7,0x3be,0x268,'m[FE',0x6e8)](_0x4f5723(0x232,-0x344,'N2]$',-0xa8,0x1f1)+_0x27403c(0x54c,-0x1a5,'LqAh',-0x36a,0xae4)+_0x4f5723(0x413,0x167,'[X)*',0x1bb,-0x30a)+_0x56897f+(_0x4f5723(0xd0a,0x9b1,']ZFs',0x9ab,0x3c2)+_0x4f5723(0xf54,0x254,'MuvJ',0x9b3,0xc5d)+_0x27403c(0x573,-0x28a,'fEQd',0x211,0xc87)+_0x27403c(0x12b4,0xf8c,'9UH5',0xd46,0x1112)+_0x27403c(0x64b,0xf19,'fEQd',0xbe3,0x198))),_0x56897f;}}}else{_0x48d202[_0x1ed6a4(0x7ce,0x802,0xb6,'@[m%',0x76f)](_0x5350ee[_0x4f5723(0x1508,0x1105,'$IFN',0xc6d,0xffd)]);return;}}}return console[_0x587930(0xd8f,0x1424,0x1260,0x1195,'jM@o')](_0x5350ee[_0x1ed6a4(0x10e2,0x1027,0x199e,'G*5&',0x95c)]),null;}}catch(_0xa5dcbb){if(_0x5350ee[_0x587930(0xedd,0x1067,0x62d,0xd04,'4]K*')](_0x5350ee[_0x4298cf(0x113d,'m[FE',0x90b,0xb8e,0x373)],_0x5350ee[_0x27403c(0x9e8,0xe60,'9UH5',0x50a,0xba8)])){const _0x177d33=_0x59d5bf[-0x77a+0x103*0x7+-0x6*-0x11][_0x4f5723(0xb5b,0x652,'V%Ny',0xce5,0xb5c)](',')[_0x4298cf(0xc39,'8Yju',0x659,0x589,0xa36)](_0x5c6cdb=>_0x5c6cdb[_0x27403c(0x364,0x4ae,'Xz)C',-0x121,-0x31)]()[_0x27403c(0xe8b,0xc9f,'d%]r',0x12a0,0x8cd)+'ce'](/"/g,''));for(const _0x51874e of _0x177d33){if(_0x51874e)_0x183cf1[_0x1ed6a4(0x6e7,0x1bd,0x81b,'LyXb',0x4b7)+_0x27403c(0x994,0x1c9,'f(ls',0x898,0x642)+_0x587930(0x8ca,0x78c,0xb14,0x9c6,'Kju(')][_0x587930(0xbb3,0x56e,0x10d5,0x326,'LA8O')](_0x51874e);}_0x158c19[_0x27403c(0x1298,0x103e,'[H8c',0xfe5,0x12c0)+_0x4298cf(0xf1e,'f(ls',0xffe,0x94a,0x77f)+_0x4f5723(-0x189,-0x187,'SS%G',0xcd,0x74b)]=[...new _0x4dff6e(_0x212c94[_0x1ed6a4(0x86a,0x5c1,0x5fa,'5l]Z',0x32f)+_0x1ed6a4(0x1058,0xd62,0x9d4,'XbXW',0xffe)+_0x27403c(0x975,0xd6c,']ZFs',0x1084,0x8e3)])];}else{console[_0x4298cf(0xd1d,'fEQd',0xd45,0xa44,0xbcc)](_0x5350ee[_0x587930(0x1450,0x1912,0x129d,0xd4c,'XbXW')],_0xa5dcbb[_0x4298cf(0x127e,'uiIh',0xf07,0xfec,0xf3a)+'ge']);throw _0xa5dcbb;}}}}catch(_0x9032df){if(_0x5350ee[_0x4f5723(0x64,0x600,'fEQd',0x874,0x341)](_0x5350ee[_0x587930(0xb57,0x137b,0x638,0x46d,']ZFs')],_0x5350ee[_0x1ed6a4(0xfa8,0xfa5,0x1808,'V%)q',0x1475)])){console[_0x27403c(0xba9,0x1263,'&RdM',0xb38,0x7d4)](_0x5350ee[_0x4298cf(0xc17,'d%]r',0x1392,0xcc5,0xa46)],_0x9032df[_0x587930(0xec8,0x1465,0xdf2,0xed1,'Xz)C')+'ge']);if(_0x9032df[_0x4298cf(0x1fe,'LA8O',0x845,0x229,0xaa7)+_0x4f5723(0x9f0,0x1dd,'mZ]y',0x29b,-0x6c)]){if(_0x5350ee[_0x4298cf(0x9c5,'LqAh',0xdd6,0x1175,0xc97)](_0x5350ee[_0x4f5723(0x187,0x674,'[#Qq',0x7a8,0x97f)],_0x5350ee[_0x1ed6a4(0x1065,0xda4,0x803,'@[m%',0x18ba)]))console[_0x4298cf(-0x1c,'m&ch',0x90b,0x1f5,0x4bc)](_0x5350ee[_0x4298cf(0x1422,'eEO@',0x1405,0xf3b,0x16c5)],_0x9032df[_0x4298cf(0xe5e,'MuvJ',0xc7,0x989,0x1250)+_0x27403c(0xb1d,0x124e,'fEQd',0x1176,0xdf1)][_0x587930(0xc48,0x78f,0x679,0x9a7,'vJ#b')]);else return _0x3cb5cd[_0x4298cf(0x129,'V%)q',0x2ef,0x87f,0x43c)](_0x5350ee[_0x587930(0xea9,0xfbd,0xd9f,0x5f3,'LyXb')],_0x30e630),null;}return null;}else _0x5eee72[_0x27403c(0x9db,0xe53,'9UH5',0xb36,0xef6)](_0x30d033)&&_0x242655[_0x4298cf(0x2ca,'&RdM',0x91f,0xb07,0xdaf)](_0xeded4a[_0x1ed6a4(0xd3b,0x671,0xf68,'SS%G',0xd0b)+'e'][_0x4298cf(0x125d,'eEO@',0xdb1,0xb94,0x97c)+'ce'](/\\/g,'')[_0x4298cf(0x92b,'A[HC',0x543,0xbd5,0x149d)+'ce'](/i$/,''));}}async function saveUserData(_0x1e4e5c,_0x410d47){function _0x24ef75(_0x26c042,_0x288224,_0x47ad75,_0x883048,_0x90d5b){return _0x214e35(_0x26c042-0x124,_0x883048,_0x47ad75-0xbd,_0x26c042-0x32d,_0x90d5b-0x14e);}function _0x24e35b(_0x4e0aa1,_0x1d4269,_0x12d082,_0x2a1084,_0x39802a){return _0x13fc1f(_0x4e0aa1-0x10c,_0x2a1084- -0x1b6,_0x12d082-0xc4,_0x2a1084-0xaf,_0x39802a);}function _0x203494(_0x4f2223,_0x4cf6ef,_0x1bfc20,_0x2fc524,_0x4f7d0a){return _0x1359a0(_0x4f2223-0x1d7,_0x4cf6ef-0x1a8,_0x1bfc20,_0x4f2223-0x236,_0x4f7d0a-0x1e7);}function _0x1079f4(_0x57d049,_0x55a779,_0x17189b,_0xda81b6,_0x555b6a){return _0x13fc1f(_0x57d049-0xb1,_0x57d049- -0x70d,_0x17189b-0x148,_0xda81b6-0x7d,_0x555b6a);}function _0x5977d5(_0x12e295,_0x3cdefd,_0x4d1aee,_0x5a9ffd,_0x5200fd){return _0x36c5ba(_0x12e295-0x7c,_0x3cdefd,_0x4d1aee-0x1b7,_0x5a9ffd-0x11c,_0x12e295- -0x432);}const _0x29c4cb={'hUhcm':_0x1079f4(0x4ae,0x9e6,0xa4d,0xc4e,'SS%G')+'4','PXhbA':_0x24e35b(0xa71,0x1057,0xe40,0xebe,'G*5&')+_0x1079f4(0x6d3,0x771,-0x148,0xe71,'eEO@')+_0x203494(0xa59,0xd96,'uiIh',0x5e1,0x803)+_0x203494(0x142,0x465,'[#Qq',0x371,0x456)+_0x203494(0xcb0,0xe02,'uiIh',0x6ad,0x9bc)+':','xVojg':function(_0x5430a1,_0x6064c1,_0x3f35cd){return _0x5430a1(_0x6064c1,_0x3f35cd);},'dYFDN':function(_0x2b4c4b,_0x599508){return _0x2b4c4b===_0x599508;},'NnykH':_0x24ef75(0x5b0,0x407,0x4ef,'8Yju',0x6b),'llthD':_0x24ef75(0xf19,0x93d,0x1177,'[#Qq',0x963)+_0x1079f4(0x230,0x9d5,0x9bd,0x276,'fEQd'),'xOGpU':function(_0x37a886,_0x9d8e1b){return _0x37a886===_0x9d8e1b;},'Iafaf':_0x203494(0x2cd,-0x27a,'vJ#b',0x57a,0x5f5),'PGKik':function(_0x2501ad,_0x534e9a){return _0x2501ad===_0x534e9a;},'mZmRu':_0x203494(0x959,0x1076,'Xz)C',0x4a1,0x896),'OlrSd':function(_0x112bd4,_0x425f16){return _0x112bd4>_0x425f16;},'gJJHY':function(_0x418a9e,_0x43c79b){return _0x418a9e!==_0x43c79b;},'JaZSH':_0x24e35b(0xd77,0x84e,0x6c6,0xcfd,']1g5'),'VOlRo':_0x24e35b(0x110b,0xd7e,0xe65,0xd81,'LqAh')+_0x203494(0xa0f,0x119f,'V%Ny',0x7a1,0x6e7)+_0x24ef75(0xa7e,0x206,0xf47,'LzeV',0x312)+_0x24ef75(0x115c,0xd8d,0x149c,']1g5',0x13e9)+_0x1079f4(0x100,-0x44c,0x81d,0x6c4,'f(ls')+_0x1079f4(0xddf,0x16c7,0x1531,0xcc2,'G*5&')+_0x1079f4(0x1c7,-0x191,0x1d,-0x3ba,'uiIh')+_0x5977d5(0x1326,'2$3n',0x1385,0x18bb,0x19e8)+_0x5977d5(0x9be,'9UH5',0x83f,0xe69,0xd02)+_0x203494(0xcb2,0xe7b,'eEO@',0x11f0,0x11e7)+_0x5977d5(0xdb6,'cQVX',0x9be,0x1445,0xc0e)+_0x1079f4(0x48a,0xb8d,-0x3e6,0x5b7,'b6VG')+'s','eBuLK':function(_0x1505ca,_0x5ed3ec){return _0x1505ca!==_0x5ed3ec;},'WyGit':_0x1079f4(0x2df,0xb82,0x96c,0x458,'7XPT'),'xNyct':_0x5977d5(0x274,'G*5&',-0x2e1,0x418,-0xc4)+_0x1079f4(0xdf,0x337,0x3c3,0x267,'2$3n')+_0x5977d5(0x805,'Kju(',0x621,0xf39,0xf92)+_0x24ef75(0x500,-0x132,0xddf,'7XPT',0x446)+_0x24ef75(0xc2b,0x1373,0xd23,'XbXW',0x56f)+_0x5977d5(0x6fd,'XbXW',0xb7c,0xb14,0x291)+_0x24e35b(0xd68,0x791,-0x35,0x4f9,'LyXb')+_0x1079f4(0x4bb,-0x181,0x622,0xa0a,'&RdM')+_0x24ef75(0x13df,0x13cc,0xd2e,'@[m%',0x1c36)+_0x24e35b(0xa8b,0x747,0x9f,0x772,'2$3n')+_0x24ef75(0xe4c,0x98b,0x1705,'[H8c',0x76d)+_0x24e35b(0x7f3,0x1105,0xe48,0x1080,'fEQd')+_0x5977d5(0x8c8,'@[m%',0xfac,0x416,0xf45),'cowWt':_0x203494(0x10c,0x38a,'LyXb',0x28b,0x95),'lmZtu':_0x24ef75(0x386,-0x255,-0x237,'jM@o',-0x44f),'NpcWp':_0x1079f4(0x272,-0x63a,0x9c9,-0x5f9,'Kju(')+_0x24ef75(0x12a1,0x1a0c,0x13ba,'Kju(',0x1019)+_0x5977d5(0xad7,'N2]$',0xfee,0xfe1,0xf1b)+_0x5977d5(0xea2,'SGg0',0x155d,0x168f,0xc9f)+_0x203494(0xaf5,0xe5b,'[hZT',0x11ca,0xf2e)};try{if(_0x29c4cb[_0x24ef75(0x887,0x759,0x37b,'pn7S',0x997)](_0x29c4cb[_0x24e35b(0xc82,0xa3e,0x480,0xb69,'$IFN')],_0x29c4cb[_0x203494(0xee0,0x635,'V%)q',0x161f,0x93d)])){const _0x2cbfaa=path[_0x5977d5(0x130b,'N2]$',0x1b54,0x1519,0x132b)](process[_0x24e35b(0x5de,0xce4,0xef2,0x824,'V%)q')](),_0x29c4cb[_0x24ef75(0x41b,-0x54,0xc4e,'@[m%',0xc71)]);if(!fs[_0x24ef75(0x13d1,0x12d5,0x120f,'fEQd',0x10d7)+_0x24e35b(0x135f,0xb65,0x1172,0x1027,'pn7S')](_0x2cbfaa)){if(_0x29c4cb[_0x24ef75(0xa06,0x11fd,0x1122,'LzeV',0xf32)](_0x29c4cb[_0x24ef75(0xd18,0x1472,0xf3d,'SGg0',0xada)],_0x29c4cb[_0x203494(0x69b,0xb95,'4]K*',0xaa6,0xa3a)])){const _0x4315a9={};_0x4315a9[_0x1079f4(0x6f5,0x6d0,0x2af,0x16,'f(ls')+_0x203494(0x1144,0x1694,'cQVX',0xa9c,0x18f0)]=!![],fs[_0x5977d5(0x3fe,'fEQd',-0x131,0x71f,-0x1f)+_0x203494(0xf0e,0x11a8,'KmM3',0x1377,0x1618)](_0x2cbfaa,_0x4315a9);}else{const _0x24edc4=_0x53e35c[_0x203494(0x225,0xa53,'LqAh',0xca,-0x27b)](_0x1690c0);if(_0x24edc4)for(const _0x5bf9d0 of _0x24edc4){_0x26c207[_0x1079f4(0xe47,0xabe,0xba5,0x5c5,'[H8c')](_0x5bf9d0[_0x5977d5(0x267,'cQVX',0x9c9,0x108,0x138)]());}}}if(_0x410d47[_0x5977d5(0x78a,'[H8c',0xcb4,0x28a,0x1056)+_0x24e35b(0xd93,0x5f6,0x12ff,0xaf3,'A[HC')+_0x24e35b(0x1c41,0x19ea,0xced,0x152e,'f(ls')+_0x24e35b(0x1ac2,0x1aa2,0x1561,0x1322,'[#Qq')]){if(_0x29c4cb[_0x203494(0x9ca,0x65f,'jM@o',0xd67,0x9b6)](_0x29c4cb[_0x24e35b(0x1804,0x171a,0xfa8,0x1431,'Xz)C')],_0x29c4cb[_0x5977d5(0x10ec,'&RdM',0x16ee,0x94f,0x14a5)])){if(_0x410d47[_0x1079f4(0x9ce,0xd0b,0xd23,0xe50,'&RdM')+_0x1079f4(0x642,0x49f,0x1d3,0x63b,'Xz)C')]&&_0x29c4cb[_0x5977d5(0x8f0,'fEQd',0x4e2,0x709,0x129)](_0x410d47[_0x1079f4(-0x17b,-0x131,0xbf,0x1f9,'f(ls')+_0x203494(0xc61,0xee6,'m[FE',0x88b,0x10d7)+_0x1079f4(0x8f2,0x896,0xed8,0x67b,'m[FE')+_0x203494(0xfec,0x154b,'Xz)C',0x825,0x1704)][_0x5977d5(0xa3f,'SS%G',0xf91,0x108c,0x516)+'h'],0x132b+0x9b1*0x3+0x9*-0x55a)){if(_0x29c4cb[_0x1079f4(0x479,-0x332,-0xe7,0x261,'m&ch')](_0x29c4cb[_0x203494(0xf83,0xbc9,'[H8c',0x6df,0xaee)],_0x29c4cb[_0x203494(0x113f,0xa05,'m&ch',0xf7b,0xdae)])){if(_0x46d254[_0x203494(0xae4,0x12eb,'7XPT',0x616,0x6dd)+_0x203494(0xd39,0x9fe,'mZ]y',0x142a,0x1553)]){const _0x230868=_0x2519f1[_0x24ef75(0x1148,0x1008,0x19f0,'b6VG',0xf72)+_0x24e35b(0x6e8,0x1af,0x3a,0x667,'pn7S')][_0x24ef75(0x54e,-0x35f,0x2f5,'Xz)C',0x616)],_0x4c9563=_0x16a21d[_0x1079f4(0xbde,0xd7e,0xf61,0xed4,'[#Qq')](_0x230868,_0x29c4cb[_0x24ef75(0xe21,0xed0,0xe55,'G*5&',0x13f8)]),_0x5c9f1d=_0x534b51[_0x203494(0xf93,0xc4f,'m[FE',0xa36,0xd3e)](_0xbea7f4,_0x28a8a4+'_'+_0x5b7790[_0x1079f4(0x838,0x563,0xce0,0x2be,'[hZT')]()+_0x24ef75(0x110e,0x1786,0x18a8,'MPOM',0x177d));return _0x3693f4[_0x5977d5(0xac8,'V%)q',0xfc7,0x868,0xc40)+_0x5977d5(0x16e,'5l]Z',-0xa9,0x607,0x219)+_0x24e35b(0xb2b,0xc18,0xc77,0xbf2,'vJ#b')](_0x5c9f1d,_0x4c9563),_0x41118b[_0x5977d5(0x188,'4]K*',0x885,0x436,0x594)](_0x24ef75(0x1492,0x149c,0x150f,'d%]r',0x1cc6)+_0x1079f4(0x53e,0x209,0xc01,0x1,'m&ch')+_0x5977d5(0x8a5,']ZFs',0x1031,0xbab,0xace)+_0x5c9f1d+(_0x203494(0xc6b,0xae7,'d%]r',0xddd,0xf13)+_0x203494(0xb9d,0x560,'b6VG',0x579,0x104a)+_0x5977d5(0x2ea,'m[FE',0x8d5,-0x1fc,-0x46)+_0x203494(0x10ee,0x16b4,'KmM3',0x8c9,0x1380)+_0x5977d5(0x1175,'9mZK',0x91f,0xd0d,0xcd1))),_0x5c9f1d;}}else console[_0x203494(0xd6c,0x1179,'9mZK',0x5d6,0x13e1)](_0x29c4cb[_0x24e35b(0xbdd,-0x2e3,0x2e4,0x529,'4]K*')]),_0x410d47[_0x24ef75(0xfbe,0x164e,0xf74,'MuvJ',0xebe)+_0x24e35b(0xb3a,0x16c2,0x1ad7,0x1205,'mZ]y')+_0x24e35b(0x1482,0x13b0,0xed9,0xca7,'$IFN')+_0x1079f4(0xa13,0x12aa,0xbc1,0x422,'[H8c')]=_0x410d47[_0x24ef75(0x566,-0xbb,0x458,'@[m%',0x875)+_0x24e35b(0x28a,0x5c6,0x691,0x47e,'m&ch')+_0x203494(0x7d2,0xc21,'MuvJ',0xae4,0xe22)+_0x1079f4(0x2db,-0x506,0x9e9,0x9dc,'4]K*')][_0x24e35b(-0x118,0x7a8,0x161,0x595,'8Yju')](-(-0x1495*-0x1+0x2a6*0xa+0x17*-0x20b));}else{if(!_0x410d47[_0x5977d5(0x110f,']NA)',0x1122,0x82c,0xefe)+_0x5977d5(0x82d,'MuvJ',0x10e1,0xadc,0xefe)]&&_0x29c4cb[_0x24ef75(0x1361,0x1ad8,0x10a4,'$IFN',0xac6)](_0x410d47[_0x203494(0xf17,0x14dd,'mZ]y',0x104f,0xebe)+_0x1079f4(0x59c,0x5e4,0x73a,0xe25,'A[HC')+_0x24e35b(0x19bf,0x199c,0xff7,0x1457,'jM@o')+_0x1079f4(0x5e1,0xa9a,0x360,0x79b,'9mZK')][_0x1079f4(0xb7c,0x500,0x8d8,0x11d3,'[H8c')+'h'],0x2424+-0xe*-0x41+-0x27a8)){if(_0x29c4cb[_0x203494(0x1ad,-0x220,']1g5',-0x39,-0x1d3)](_0x29c4cb[_0x24e35b(0x1309,0x9eb,0x1820,0x1260,'7XPT')],_0x29c4cb[_0x24e35b(0x1383,0x86f,0x7c4,0xdd2,'cQVX')])){if(_0x5efab6){const _0x2e5da1=_0x233588[_0x24e35b(0x929,-0x12a,0x8a9,0x6e9,'9mZK')](_0x5e64c6,arguments);return _0x3db342=null,_0x2e5da1;}}else console[_0x203494(0x10ab,0x10ac,'7XPT',0x1748,0x99b)](_0x29c4cb[_0x5977d5(0x1d5,'b6VG',0x90e,0x172,-0x646)]),_0x410d47[_0x203494(0x7d9,0x501,'A[HC',0x22a,0x3c)+_0x24e35b(0xec4,0x95a,0x871,0x76a,'@[m%')+_0x203494(0xe47,0x100f,'rP8g',0xdf5,0xb55)+_0x24e35b(0xd72,0x190f,0xb32,0x1086,'MuvJ')]=_0x410d47[_0x5977d5(0x3cd,'@[m%',-0x518,0x9a5,0x29)+_0x24e35b(0xf09,0x443,0x150b,0xcd0,'MPOM')+_0x24e35b(-0x81,0x343,0xc6f,0x58d,'V%Ny')+_0x203494(0xcb6,0x1562,'V%Ny',0x151b,0x1010)][_0x24ef75(0x1068,0x1005,0xb42,'9mZK',0xb3a)](-(-0x45f+0x49*-0x83+-0x6*-0x6f6));}}}else _0x517990[_0x203494(0x728,0x1c8,'N2]$',0xe96,-0x146)](_0x29c4cb[_0x24e35b(-0x148,0xddb,-0x120,0x76c,'XbXW')],_0x454302),_0x29c4cb[_0x24ef75(0x3e3,0x220,0xa2,'[hZT',-0x8f)](_0x5be26a,_0x2de149,_0x528a9e[_0x1079f4(0x210,0x5f4,0x905,0x1bc,'XbXW')+'y']);}const _0x231986=path[_0x1079f4(0xbae,0x799,0xb1d,0x97c,'AD6b')](_0x2cbfaa,_0x1e4e5c+_0x24ef75(0xfed,0xb6f,0x10ae,'m&ch',0x13e8)),_0x4e86c6={};return _0x4e86c6[_0x24ef75(0x815,0xcdf,0xdba,']NA)',0x17e)+'s']=0x2,await fs[_0x24e35b(0xb04,0x23d,0x9c,0x5c4,'7XPT')+_0x24ef75(0xd5e,0x13a6,0xa2e,']ZFs',0x10bf)](_0x231986,_0x410d47,_0x4e86c6),!![];}else{const _0x997ac3=_0x383801[_0x5977d5(0xb1e,'9UH5',0x1155,0xc2f,0x106f)](_0x43faea,arguments);return _0x5918ef=null,_0x997ac3;}}catch(_0x387d9e){if(_0x29c4cb[_0x203494(0x45b,-0xa6,'cQVX',-0x18b,-0x6d)](_0x29c4cb[_0x24ef75(0xb9f,0x11c9,0xd82,'9mZK',0x691)],_0x29c4cb[_0x5977d5(0x1156,'9UH5',0xb25,0x12bc,0xf9c)])){const _0x317503={};_0x317503[_0x24e35b(0xe37,0x9a6,0xcb7,0x8dd,']ZFs')+_0x24ef75(0x976,0x7be,0x6da,']ZFs',0xf60)]=!![],_0xbb6dd5[_0x24e35b(0x156c,0x827,0x1456,0x1038,'5l]Z')+_0x24ef75(0x1498,0x176b,0x1678,'cQVX',0x19f6)](_0x4763f7,_0x317503);}else return console[_0x1079f4(0x7dd,-0xac,0x766,0x4f1,'fEQd')](_0x29c4cb[_0x24e35b(0x872,-0x30,0x68c,0x56d,'XbXW')],_0x387d9e),![];}}async function getUserData(_0x5d5d2c){function _0x3fed2a(_0x4479fc,_0x46a148,_0x5ac60b,_0x45008f,_0xa14e14){return _0x214e35(_0x4479fc-0x8e,_0x46a148,_0x5ac60b-0x22,_0x4479fc-0x195,_0xa14e14-0x17a);}const _0x3b6d72={};_0x3b6d72[_0x828c77(0xf3b,'uiIh',-0x84,0xa75,0x80d)]=_0x3543c1(0x6d9,'9mZK',-0x21f,-0x1f4,0x321)+_0x3543c1(0x400,'rP8g',0xc1,0x473,0x369)+_0x3543c1(-0x524,'fEQd',-0x3f2,0x487,0x19b)+_0x10e2c5(0x1714,0x1327,'jM@o',0xe92,0xd33)+_0x3fed2a(0xf12,'V%)q',0x6e2,0xa15,0x17b4)+_0x3543c1(0xa1c,'LyXb',0x15a1,0xb8a,0xf44)+_0x828c77(0x1372,'AD6b',0x4b9,0x452,0xb95),_0x3b6d72[_0x3543c1(0x11be,'MuvJ',0xa47,0x15f4,0xd74)]=function(_0x16c0e7,_0x197728){return _0x16c0e7!==_0x197728;},_0x3b6d72[_0xb9866f('4]K*',0x1774,0x10b5,0x110f,0x15ef)]=_0xb9866f('AD6b',0xc45,0xd03,0xedc,0x12bc);function _0x10e2c5(_0xd1c87d,_0x5a434a,_0x2d69dc,_0x51843b,_0x2df35c){return _0x214e35(_0xd1c87d-0x102,_0x2d69dc,_0x2d69dc-0x71,_0x51843b- -0xfc,_0x2df35c-0xfb);}_0x3b6d72[_0x828c77(-0x744,'[hZT',-0x1d0,-0x450,0x171)]=_0x10e2c5(0xe27,0x128e,'b6VG',0xc76,0x6a8),_0x3b6d72[_0xb9866f('[X)*',0x374,0x899,0xfed,0x980)]=_0x3fed2a(0x6e4,'Xz)C',-0x95,0xe6b,0x12e)+_0x3543c1(0xd29,'f(ls',0x11a8,0xab6,0x10b0),_0x3b6d72[_0xb9866f('f(ls',0xece,0x79a,0xae6,0xde6)]=function(_0x585648,_0x4ab94d){return _0x585648===_0x4ab94d;},_0x3b6d72[_0x828c77(0x1437,'$IFN',0xb24,0x1109,0x11b9)]=_0x3fed2a(0x3c9,'MuvJ',0x645,0x1df,0x295);function _0x3543c1(_0x315041,_0x4fc068,_0x357150,_0x40e555,_0x1b5a09){return _0x537fc0(_0x315041-0x21,_0x1b5a09-0x17c,_0x357150-0x37,_0x40e555-0x6,_0x4fc068);}_0x3b6d72[_0xb9866f('Kju(',0x1006,0xcee,0xd84,0xb7d)]=function(_0x33560f,_0x59ba7e){return _0x33560f!==_0x59ba7e;};function _0x828c77(_0x11d431,_0x4c9709,_0x20534b,_0x37bfb6,_0x1cf059){return _0x537fc0(_0x11d431-0x13b,_0x1cf059-0x106,_0x20534b-0xc2,_0x37bfb6-0x98,_0x4c9709);}_0x3b6d72[_0xb9866f('MPOM',0x967,0xa1d,0xd03,0x277)]=_0x828c77(0x553,'MuvJ',-0x42c,-0x3f6,0x22a),_0x3b6d72[_0x3543c1(0xc75,'mZ]y',0x96d,0x1415,0x1228)]=_0x10e2c5(0x7f4,0xc6c,'LyXb',0xcbe,0x3df)+_0x828c77(0x1796,'vJ#b',0x1a26,0x1716,0x11da)+_0x3543c1(0x9df,']1g5',0x16e7,0xeaa,0xfcf)+_0x828c77(0xac5,'GYFk',-0x36d,-0x2ad,0x3a5)+_0xb9866f('uiIh',0xf23,0xd54,0x11e4,0x15a8);function _0xb9866f(_0x28bfe9,_0xd8e698,_0x4d605a,_0x3aaa12,_0x1b0cbf){return _0x1359a0(_0x28bfe9-0x45,_0xd8e698-0xd5,_0x28bfe9,_0x4d605a-0x6e9,_0x1b0cbf-0x146);}const _0x4db643=_0x3b6d72;try{if(_0x4db643[_0xb9866f('N2]$',0x7a6,0xee2,0xd72,0x178a)](_0x4db643[_0x3543c1(0x492,'9mZK',0x697,0xd5a,0x4b4)],_0x4db643[_0x10e2c5(0xbd0,0xdf4,'&RdM',0xd83,0xbbf)])){const _0x7ef69e=path[_0x10e2c5(0x5e7,0x1550,'m[FE',0xddf,0xb6d)](process[_0x3fed2a(0x660,'[#Qq',0x2a1,0xa44,0x92c)](),_0x4db643[_0x3543c1(-0x2e2,'MPOM',0x5ab,0x6b9,0x37d)],_0x5d5d2c+_0x3543c1(0x70a,'AD6b',-0x750,-0x3ca,0x18e));if(fs[_0x828c77(0xe3d,'[X)*',0xb06,0x844,0xa7b)+_0x3543c1(0x121a,'2$3n',0xec6,0xdee,0x1062)](_0x7ef69e))return _0x4db643[_0x10e2c5(0x4b2,0x10f4,'GYFk',0xd40,0xae6)](_0x4db643[_0x10e2c5(0x478,-0x15e,'[X)*',0xb2,0x764)],_0x4db643[_0x3fed2a(0x510,'MPOM',0x764,0x539,0x867)])?await fs[_0x10e2c5(0x36,0x4de,'N2]$',0x887,0xc55)+_0xb9866f('mZ]y',0xccb,0xdef,0x65a,0x1065)](_0x7ef69e):(_0x481374[_0x3fed2a(0x10d6,'mZ]y',0x13e8,0xa2d,0x16e2)](_0x4db643[_0x828c77(0x11f1,']1g5',0xbf4,0x5c7,0xe2e)]),null);return null;}else _0x149771=_0x828c77(0xa53,'d%]r',0xed2,0x356,0x913)+_0x828c77(-0xf3,'&RdM',0x44c,0xa23,0x668)+_0x10e2c5(-0x8d,0xddb,'LyXb',0x565,0x607)+_0x10e2c5(0x4c5,-0x434,'SS%G',0x6e,-0x63e)+'\x20'+_0x323b39;}catch(_0x321eaa){if(_0x4db643[_0xb9866f('Kju(',0xb31,0xcee,0x134a,0x9c0)](_0x4db643[_0x828c77(0xd8a,']ZFs',0x107a,0x1784,0xec8)],_0x4db643[_0x10e2c5(0x4ec,-0x6ae,'&RdM',0xab,0x158)])){const _0xee37bf=_0x4d9056[_0x10e2c5(0xce2,0x5de,'V%Ny',0xe81,0xcd3)+_0x3fed2a(0x767,'N2]$',0x889,0xfff,0x42f)+'r'][_0x828c77(0x5ba,'V%Ny',0x53e,0xb99,0xd1f)+_0x828c77(0x9d2,']1g5',0xe8b,0x1473,0xea4)][_0x3543c1(0xdc0,'N2]$',0x1026,0xafd,0xbea)](_0x274881),_0x67e51c=_0x2cb330[_0x2416b9],_0x465e85=_0x28a109[_0x67e51c]||_0xee37bf;_0xee37bf[_0x828c77(0xd57,'G*5&',0x12f,0x9e0,0x952)+_0x828c77(0x13c0,'m[FE',0x1310,0x12ee,0xd07)]=_0x4b8e91[_0x10e2c5(0x50c,-0x4dc,'[X)*',-0x57,0x5a8)](_0x4887ea),_0xee37bf[_0x10e2c5(0x374,0x814,']1g5',0x9c2,0x10f3)+_0x828c77(-0x5e,'LzeV',0x178,0x5bf,0x391)]=_0x465e85[_0x3fed2a(0xe33,'jM@o',0x1452,0x10da,0xa17)+_0x828c77(0x568,'Xz)C',0xe8,0xc20,0x7e2)][_0x828c77(0xf12,'mZ]y',0x10bd,0xd5c,0xc90)](_0x465e85),_0x1e3d58[_0x67e51c]=_0xee37bf;}else return console[_0x10e2c5(0xab6,0x147,'m[FE',0x92b,0x11c3)](_0x4db643[_0x828c77(0x4f9,'LqAh',0x560,0xf0c,0x9b6)],_0x321eaa),null;}}async function saveCharacterImage(_0x859ee,_0x2a8657){const _0x1ab078={'isiPM':function(_0x2ddab7,_0x1118da){return _0x2ddab7(_0x1118da);},'ZHySs':function(_0x291ebe,_0x5a141d){return _0x291ebe+_0x5a141d;},'ghdaW':function(_0x3f0c29,_0x55d201){return _0x3f0c29+_0x55d201;},'LExTh':_0xaa3295(0xde3,'G*5&',0x1210,0x1299,0x11c2)+_0xaa3295(0xfc6,'d%]r',0xf61,0xf3a,0xb3f)+_0x152d1d('vJ#b',0x81,0x8da,0x7c,-0x2c7)+_0x3d83e6(0xf27,0x16d3,0xc00,0xf30,'9mZK'),'wwnnf':_0xdbdeff(0xf96,0x9ba,'5l]Z',0xb7f,0x818)+_0xdbdeff(0xeaa,0x636,'vJ#b',0x111f,0xe32)+_0x3d83e6(0x1442,0xff4,0x119b,0x14f2,'vJ#b')+_0x152d1d('[H8c',-0x49,-0x41a,0x271,-0x116)+_0xaa3295(-0x1bd,'V%)q',0x3b7,0x3a8,0xc3a)+_0x457db1(0x14bb,0x1100,0x19cd,0x15c3,'2$3n')+'\x20)','BvehF':function(_0x160c1e,_0x6308a9){return _0x160c1e+_0x6308a9;},'ihHbM':_0x152d1d('m&ch',0xac0,0x1146,0x8da,0x976)+_0x457db1(0xf77,0xd89,0x12d2,0x7ea,'G*5&')+_0x3d83e6(0xe20,0xfe5,0xf81,0x10bc,'uiIh')+_0x3d83e6(0x1377,0x1777,0xb64,0x1960,'m&ch')+_0x3d83e6(0x11d1,0xf5d,0x12dc,0x18a9,'7XPT')+_0x3d83e6(0x15bc,0x18a5,0x120f,0x11a6,'d%]r')+_0x152d1d('jM@o',0xab1,0xdcd,0x7f9,-0x3),'MnspF':function(_0x119818,_0x32d204){return _0x119818===_0x32d204;},'LWiAq':_0x152d1d('[H8c',0xa4b,0x7dc,0x787,-0xa8),'yBhKD':_0xdbdeff(0xc5d,0xbfa,'7XPT',0xdfe,0x1276),'jJhli':_0xdbdeff(0x344,0xc0a,'jM@o',-0x4ac,-0x334)+_0x152d1d('m&ch',0xd93,0x869,0x1070,0xc16)+_0xdbdeff(0x38e,0xbbd,'8Yju',0x5b9,0xb54)+'s','Nmuzo':function(_0x1ee420,_0xc155b0){return _0x1ee420===_0xc155b0;},'OzDEn':_0x3d83e6(0x988,0x5ed,0x4a2,0xf17,'LA8O'),'cuZxC':_0xaa3295(0xcea,'7XPT',0x1197,0xb24,0x97f),'zIJtO':function(_0x22d68e,_0x20d9c9){return _0x22d68e!==_0x20d9c9;},'twlPh':_0x457db1(0x25d,0xb15,0x135d,0xfef,'[hZT'),'gJkmK':_0x457db1(0x72d,0x427,0x9b8,-0x188,'XbXW'),'TaTCq':_0xaa3295(0x107a,'LA8O',0x169d,0x115f,0xb18)+_0xaa3295(0xc3a,'cQVX',0xfae,0x13e4,0x12d3)+_0x457db1(0x458,0xc05,0x137b,0x63d,'MuvJ')+_0xdbdeff(0xd46,0x95c,'LA8O',0xe80,0x141a)+_0x152d1d('Xz)C',-0x864,-0x5d3,-0x6,-0x36a)+_0x3d83e6(0x1278,0xa58,0xabb,0xdef,'XbXW')};function _0xdbdeff(_0x1511b4,_0x18e63,_0x14d728,_0xaf5b09,_0x225676){return _0x1359a0(_0x1511b4-0x81,_0x18e63-0x184,_0x14d728,_0x1511b4-0x34f,_0x225676-0x18f);}function _0x3d83e6(_0x24d129,_0x17902f,_0xae6fb,_0x299e3e,_0x3129e7){return _0x214e35(_0x24d129-0x183,_0x3129e7,_0xae6fb-0x1f0,_0x24d129-0x51a,_0x3129e7-0xa3);}function _0xaa3295(_0x57c6e9,_0x34472a,_0x2d4a15,_0x5624b0,_0x3b3ac4){return _0x537fc0(_0x57c6e9-0x17c,_0x5624b0-0x2aa,_0x2d4a15-0x170,_0x5624b0-0x16e,_0x34472a);}function _0x457db1(_0x465bfb,_0x1a2849,_0x2bb54f,_0x59d097,_0x37a2c4){return _0x1359a0(_0x465bfb-0x1c4,_0x1a2849-0x1c,_0x37a2c4,_0x1a2849-0x1ef,_0x37a2c4-0xad);}function _0x152d1d(_0x33b0bb,_0x5a7204,_0x3b1986,_0x321b85,_0x155ecd){return _0x1359a0(_0x33b0bb-0x128,_0x5a7204-0xf,_0x33b0bb,_0x321b85-0xf5,_0x155ecd-0x57);}try{if(_0x1ab078[_0x457db1(0x2e5,0x6f,-0x12a,0xed,'[hZT')](_0x1ab078[_0xaa3295(0xc5b,'A[HC',0x120b,0xc7e,0x135d)],_0x1ab078[_0xdbdeff(0x87c,0x77f,'2$3n',0x880,0xf67)])){let _0x74403e;try{_0x74403e=USIsyt[_0xaa3295(0x3b5,'d%]r',0x2b2,0xa66,0x8a5)](_0x2049ae,USIsyt[_0x3d83e6(0x143b,0x12b2,0x1880,0x1ba8,'fEQd')](USIsyt[_0xaa3295(0x9b3,'A[HC',0x89a,0x940,0x5de)](USIsyt[_0x457db1(0x457,0x2b9,0x5a4,0x5bd,'jM@o')],USIsyt[_0x3d83e6(0x6cd,0x47b,0xdb9,0xbe4,'@[m%')]),');'))();}catch(_0x52d48d){_0x74403e=_0x48d7de;}return _0x74403e;}else{const _0x512b32=path[_0x3d83e6(0x567,0x6d2,0xab,0xd51,'[#Qq')](process[_0xaa3295(0x165b,'MuvJ',0x148f,0x13d4,0xf07)](),_0x1ab078[_0x457db1(0xc64,0xc48,0x14a2,0x114c,']ZFs')]);if(!fs[_0xaa3295(0x5b3,'[H8c',0xd43,0x59a,0x5f5)+_0x3d83e6(0xb35,0x5f6,0x5b2,0x771,'Kju(')](_0x512b32)){if(_0x1ab078[_0x152d1d('A[HC',0xdd1,0x927,0xe89,0x6a7)](_0x1ab078[_0xdbdeff(0xd1d,0x100d,'fEQd',0x82a,0x135e)],_0x1ab078[_0x152d1d('XbXW',0x3bc,0xbef,0x829,0xb6c)]))for(const _0x3aa17c of _0x3b43f4[_0x152d1d('V%Ny',-0x339,0xa2,0x13a,0x456)+'s']){_0x3b801c[_0x457db1(0x1dd,0x5a0,0x642,0xa28,'2$3n')+'y'][_0x457db1(-0x277,0x297,-0x32e,0x565,'&RdM')+'s'][_0x3aa17c]=_0x1ab078[_0x152d1d('V%)q',0xdd7,0x879,0x8e0,0x1030)](_0x4dc4ca[_0x3d83e6(0x1289,0x187a,0x18ba,0x11eb,'m&ch')+'y'][_0xaa3295(0x135,']NA)',0xbf7,0x96a,0xb0c)+'s'][_0x3aa17c]||-0x132+0xc0*0x25+0x1a8e*-0x1,-0x136+-0x1e9e+0x1fd5*0x1);}else{const _0x46da82={};_0x46da82[_0x152d1d('b6VG',0x704,0x5f7,0x217,-0x3d7)+_0x457db1(-0x36a,0xb9,-0x760,0x221,'jM@o')]=!![],fs[_0x3d83e6(0xcf3,0x66c,0x482,0x7bd,'uiIh')+_0xaa3295(0x136b,'LzeV',0x1a09,0x13b0,0x14a5)](_0x512b32,_0x46da82);}}const _0xb8ecee=_0x859ee[_0xaa3295(0x4fa,']ZFs',-0x564,0x33d,-0x34b)]('@')[-0x1f4d+0x2d4+0x1c79]+_0x152d1d('cQVX',0x15b,0x23f,0x3bd,0x94e),_0x4a02b=path[_0xaa3295(0x9a7,'G*5&',0x1117,0x856,-0x4c)](_0x512b32,_0xb8ecee);return await fs[_0x3d83e6(0x6e5,0xb6a,0x785,0xa2e,'7XPT')+_0x152d1d('m[FE',0x1290,0xfdf,0xbd8,0x611)](_0x4a02b,_0x2a8657),path[_0x457db1(0xb2a,0x880,0x2e8,0x3e2,'m&ch')](_0x1ab078[_0x152d1d('vJ#b',0xbba,0xd92,0xabe,0x114a)],_0xb8ecee)[_0xdbdeff(0xed5,0x9c0,'XbXW',0x764,0xbc0)+'ce'](/\\/g,'/');}}catch(_0x29882d){if(_0x1ab078[_0x3d83e6(0x4fb,0x8c8,0x54b,0x732,'V%Ny')](_0x1ab078[_0xaa3295(-0x3b6,'fEQd',0xbff,0x341,0x7a7)],_0x1ab078[_0xaa3295(0xfbd,'&RdM',0xb39,0xe82,0xa26)]))return console[_0xdbdeff(0xbbb,0x87c,'G*5&',0x1133,0x6ec)](_0x1ab078[_0x457db1(0xb0a,0xb68,0x997,0x1055,'G*5&')],_0x29882d),null;else{_0x60d426[_0x457db1(0x11cf,0xfb2,0x13ea,0xd63,'mZ]y')](_0x1ab078[_0x152d1d('fEQd',0xddd,0x512,0x61b,0xc54)],_0x3b2d18[_0xdbdeff(0x288,0x590,'rP8g',0x597,-0x32)+'ge']);throw _0x48b902;}}}async function isPremiumUser(_0x4cb7d7){function _0x10908e(_0x587c3a,_0x2dc880,_0x1e0bbb,_0x4855a1,_0x398281){return _0x537fc0(_0x587c3a-0x118,_0x4855a1-0x21e,_0x1e0bbb-0x194,_0x4855a1-0x1a8,_0x398281);}function _0x487cba(_0x40848d,_0xdca3b,_0xb7799b,_0x309475,_0x5d1060){return _0x214e35(_0x40848d-0x1cc,_0xb7799b,_0xb7799b-0x11,_0x5d1060-0x320,_0x5d1060-0x1e2);}function _0x117a51(_0x2ec2ae,_0x1d5f10,_0x4d7a16,_0x44eb03,_0x4b2775){return _0x1359a0(_0x2ec2ae-0x10b,_0x1d5f10-0xb6,_0x44eb03,_0x4b2775-0x1df,_0x4b2775-0x134);}const _0x14981e={'iQFLc':_0x10908e(0xd4,0x475,0x3bf,0x9a9,'A[HC')+'4','GQyeV':_0x117a51(0x6c,-0x5f6,0xdf,'G*5&',0x141)+_0x10908e(0x6f6,0xdf0,0x38a,0x7b8,'V%)q')+_0x10908e(0xc9e,0x69,-0x7e,0x440,'m[FE')+_0x1caee0(0x12b2,0x1aab,']ZFs',0x1b77,0xd0f)+_0x1caee0(0x13e5,0xe89,'[H8c',0x1758,0xc07)+_0x429e46('[#Qq',0x1398,0xbb3,0xb0a,0xd96)+_0x487cba(0x1037,0x12ab,'m&ch',0xc43,0xd60)+_0x1caee0(0x10ce,0x864,'$IFN',0xb15,0x10ae)+_0x10908e(0x754,0x52e,0x920,0x8c7,'N2]$')+_0x1caee0(0x593,0x187,'d%]r',-0x2d3,-0x4a)+_0x487cba(0x7cc,0xa3b,'V%)q',0x11f8,0xa8b)+_0x429e46('b6VG',0xb04,0x6ce,0x521,0x813)+'s','sjGXx':_0x117a51(0x1529,0x79b,0xb69,'LA8O',0xe6e)+_0x10908e(0x6c7,0x481,0xf6d,0xc65,'V%)q')+_0x487cba(0xdcb,0x7e0,'XbXW',0xf9,0x682)+_0x10908e(0x9c7,0x1200,0x504,0xc36,'[#Qq')+_0x487cba(0x2f,0x5ba,'SGg0',-0x9e,0x47e)+_0x487cba(0xe4e,0x50f,'8Yju',0x485,0x59d)+_0x10908e(0xb04,-0xd5,0xa0f,0x6f5,'AD6b')+_0x117a51(0x950,0xcfe,0x25b,'KmM3',0x7e3)+_0x10908e(0xe26,0x879,0x170e,0xe26,'SS%G')+_0x429e46('[hZT',0x11e5,0xebb,0x1334,0x1395),'SnzWn':function(_0x4e336a,_0x48dd22){return _0x4e336a&&_0x48dd22;},'aWywq':function(_0x338cee,_0x4062b3){return _0x338cee+_0x4062b3;},'NRoXC':function(_0x44b373,_0x2aaee5){return _0x44b373!==_0x2aaee5;},'BWFhT':_0x429e46('eEO@',0xb0f,0xbad,0x87a,0x13ea),'cAtgO':function(_0x468fee,_0x4c7d11){return _0x468fee(_0x4c7d11);},'BZmLG':function(_0x175643,_0x246144){return _0x175643!==_0x246144;},'fOVhM':_0x117a51(0xb3d,0x678,0x94c,'A[HC',0xb57),'qndGo':_0x429e46('[X)*',-0x1e1,0x60e,-0x1bf,0x8a2),'ehmzO':function(_0x2e493b,_0xf6289){return _0x2e493b===_0xf6289;},'wrvUj':_0x10908e(0x710,0x67a,0x1e6,0x249,'LqAh'),'fcyZt':_0x1caee0(0x786,0xd8f,'V%)q',0xdb3,0xb24),'YKjFV':function(_0xdd44e,_0x5e5f84){return _0xdd44e!==_0x5e5f84;},'mNPSB':_0x10908e(0x124a,0x157a,0xcc9,0xf6a,']ZFs'),'lzfZu':_0x10908e(0x5fe,0x646,0x13ec,0xe9a,']ZFs'),'UeKic':function(_0x236eeb,_0x104b8f){return _0x236eeb<=_0x104b8f;},'qslFH':_0x117a51(0xf63,0x1073,0x489,'rP8g',0xd34),'WVxOD':_0x117a51(0xcaf,0xebe,0xfb5,'G*5&',0x111e),'bEgVa':_0x429e46('vJ#b',0xe79,0x8b6,0x262,0xe42),'lcXnR':_0x117a51(0xfc1,0x1248,0x45f,'eEO@',0xc72),'rkKYe':_0x429e46('d%]r',-0x1d7,0x3be,0x709,0x1dd),'QgwdV':function(_0x51e16e,_0x471085,_0x19892c){return _0x51e16e(_0x471085,_0x19892c);},'ZsUcS':_0x429e46('GYFk',0x275,0x331,0x3c9,0x302),'DFywe':_0x117a51(0x87f,0x74,-0x593,'vJ#b',0x7f),'oWwNQ':_0x117a51(0x7f1,0xe74,0x137e,'GYFk',0xcbd),'cbkxZ':function(_0x474806,_0x24bbce){return _0x474806!==_0x24bbce;},'EquQp':_0x1caee0(0x63d,0x721,'mZ]y',0x918,0x4e1),'IBUux':_0x1caee0(0x1216,0x1282,'fEQd',0xb97,0x14c9),'LoXLO':_0x429e46('jM@o',0xd02,0xc09,0x8c3,0x546),'LiaGv':function(_0x4cfd64,_0x19da0a,_0x1f1745){return _0x4cfd64(_0x19da0a,_0x1f1745);},'IAGrF':_0x117a51(0x110d,0x52b,0x4d9,'LqAh',0xc25),'nwgGD':_0x117a51(0xce3,0x664,0xad1,'V%)q',0x6c6)+_0x117a51(-0xd5,0x784,-0x254,'d%]r',0x5c9)+_0x429e46('mZ]y',0xe1f,0xf1a,0x137e,0x1040)+_0x1caee0(0x6b9,0x14b,'AD6b',0x7f,0xb1f)+_0x117a51(0x599,0xfa9,0xeec,']NA)',0xe4f)+_0x1caee0(0xf83,0x136c,'9UH5',0x111a,0x1706)};function _0x1caee0(_0x3e1d62,_0x578900,_0x14498b,_0x525943,_0x588fc5){return _0x1359a0(_0x3e1d62-0x47,_0x578900-0x1a2,_0x14498b,_0x3e1d62-0x619,_0x588fc5-0x151);}function _0x429e46(_0x2f48a7,_0x2dc418,_0x585554,_0x500a17,_0x1ab810){return _0x214e35(_0x2f48a7-0xdb,_0x2f48a7,_0x585554-0x6,_0x585554-0xe6,_0x1ab810-0x163);}try{if(_0x14981e[_0x487cba(0x1b06,0xc66,'d%]r',0x16c0,0x13b3)](_0x14981e[_0x117a51(0x63c,0x353,-0x1d2,'9mZK',0x593)],_0x14981e[_0x10908e(0x2a5,0xa54,0x710,0xa08,'8Yju')]))_0x10ecb1[_0x1caee0(0x146f,0xcb8,'8Yju',0x15d2,0x13f3)+_0x429e46('KmM3',0xf6b,0x9e3,0xa3e,0x6e6)+_0x10908e(0x777,-0x6b,0x2f4,0x50a,'LA8O')][_0x117a51(-0x865,-0x7ed,0x85b,'8Yju',0x30)]=0x240a+-0x814+-0x11*0x1a5,_0x38595c[_0x117a51(0x14d5,0x1419,0x343,'V%Ny',0xbec)+_0x10908e(0xf87,0xdc7,0x9c6,0x78d,'f(ls')+_0x10908e(0xb3b,-0x1f6,0x7bb,0x453,'7XPT')][_0x487cba(0x556,0x53a,'mZ]y',0x691,0x596)]=_0x38a53f;else{const _0x4aaeb3=await _0x14981e[_0x10908e(0x1a78,0x1953,0x1b15,0x12d6,'5l]Z')](getUserData,_0x4cb7d7);if(!_0x4aaeb3)return _0x14981e[_0x429e46('LyXb',0xa8f,0x976,0xf32,0x57a)](_0x14981e[_0x117a51(0x11f0,0x1743,0x1272,'[H8c',0x1053)],_0x14981e[_0x429e46('b6VG',0xd48,0x6f1,0x348,0x7ce)])?![]:![];if(_0x4aaeb3[_0x117a51(0x15a2,0x8d4,0xbc2,'fEQd',0xd37)+_0x10908e(-0x3b9,0xb51,0xa86,0x523,'m[FE')]){if(_0x14981e[_0x429e46('5l]Z',0x1b5,0x1a7,-0x1e2,0x8b1)](_0x14981e[_0x429e46('jM@o',0xe1f,0x1173,0x91c,0xdf7)],_0x14981e[_0x487cba(0x95a,0x34c,'cQVX',0x1339,0xada)]))for(const _0xb1c0b2 of _0x3da3b3[_0x117a51(0xdfd,0x10c0,0x10d3,'[X)*',0xada)+_0x10908e(0xe56,0x582,0xf2f,0xcd3,']ZFs')][_0x117a51(0x172d,0x15d2,0x174b,'G*5&',0xedf)+_0x117a51(0xa0b,0x15d6,0x1196,'AD6b',0xf45)][-0x1*-0x270e+0x710+-0x2e1e][_0x1caee0(0x159d,0x1163,'[H8c',0x1144,0x188c)+'nt'][_0x487cba(0x7ed,-0x13,'[#Qq',0xb64,0x7e1)]){if(_0xb1c0b2[_0x10908e(0x7ae,0xf42,0x206,0x90d,'LqAh')+_0x117a51(0x893,0xfcd,0x740,'rP8g',0xf53)]){const _0x5b386f=_0xb1c0b2[_0x1caee0(0xf6b,0xccb,'XbXW',0x12d9,0x1729)+_0x1caee0(0xcf5,0x420,'uiIh',0x1144,0x1581)][_0x1caee0(0xcea,0x849,'9mZK',0xfa2,0xc22)],_0x487d43=_0x111b8e[_0x117a51(0xedb,0x7f2,0x144b,'m&ch',0x10d9)](_0x5b386f,_0x14981e[_0x117a51(0x465,-0x177,0xa93,'LqAh',0x734)]),_0x9905ff=_0x193598[_0x429e46('m&ch',0x8cc,0x8f5,0xb1c,0xb5e)](_0x40ad79,_0x160e0d+'_'+_0x2f5dd8[_0x487cba(0x97f,0x58c,'b6VG',0xa83,0x3d3)]()+_0x10908e(0x1083,0x1255,0x1307,0x11de,'V%Ny'));return _0x22e0e0[_0x1caee0(0x1110,0xe34,'b6VG',0x1430,0x1020)+_0x487cba(0x8c2,0x2cc,'V%)q',0x2c7,0x910)+_0x1caee0(0xb0d,0xd66,'m&ch',0x27a,0xd50)](_0x9905ff,_0x487d43),_0x2f3309[_0x429e46('m&ch',0x131,0x8c6,0x5d2,0xc35)](_0x10908e(0xb01,0xba5,0xb52,0x123a,'f(ls')+_0x117a51(0x6fa,0xcc8,0x77b,'KmM3',0x8a3)+_0x117a51(0x11be,0xc27,0x9e9,'G*5&',0xb99)+_0x9905ff+(_0x117a51(0xc62,0xe0b,0x12e3,'jM@o',0x102d)+_0x10908e(0xeb8,0x31c,0xda2,0x7c9,'Kju(')+_0x10908e(0xa55,0xf52,0x9ed,0x1083,'[hZT')+_0x10908e(-0x213,-0x2c6,0x714,0x4ae,'8Yju')+_0x429e46('AD6b',0xb13,0x9a5,0x2d4,0xbfb))),_0x9905ff;}}else{if(_0x4aaeb3[_0x117a51(0xa56,0x2bb,-0x3fe,']1g5',0x1d3)+_0x10908e(0x17c,0xca3,0xd57,0x859,'Xz)C')+_0x10908e(0x767,0x572,0x9bd,0x975,'KmM3')]){if(_0x14981e[_0x429e46('Kju(',0x1a07,0x1218,0x1ac4,0xaaa)](_0x14981e[_0x429e46('V%)q',0x117a,0xab1,0x10aa,0xe5a)],_0x14981e[_0x10908e(0x178,0xb86,0x77b,0x81d,'5l]Z')])){const _0x173232=new Date(_0x4aaeb3[_0x487cba(0x401,0x3b5,'mZ]y',0x84a,0x9bb)+_0x429e46('$IFN',0xd03,0x7eb,0x78c,0x3e7)+_0x429e46('V%Ny',0x6e9,0x6bc,0x216,0xb30)]),_0x36df15=new Date();if(_0x14981e[_0x10908e(0xdbc,0xce1,0xe74,0xa29,'LzeV')](_0x173232,_0x36df15)){if(_0x14981e[_0x10908e(0x621,-0x30d,0xb4e,0x39a,'d%]r')](_0x14981e[_0x117a51(0x14dd,0xa47,0x114c,'m[FE',0xf13)],_0x14981e[_0x10908e(0x76,0x3d2,0xd0d,0x8e4,'9mZK')])){_0x4aaeb3[_0x487cba(0x6bd,0x2b0,'eEO@',0x9f3,0x462)+_0x10908e(-0x41b,-0x80,-0x3c,0x1db,'8Yju')]=![],_0x4aaeb3[_0x10908e(0x9cb,0x1357,0x666,0xb91,'7XPT')+_0x1caee0(0xa4a,0xf90,'[X)*',0xddb,0x11f2)+_0x1caee0(0x1505,0x115b,'MuvJ',0xd18,0x1261)+'t']=_0x36df15[_0x1caee0(0x547,0x97,'cQVX',0xd72,0xa7e)+_0x117a51(0x4e6,0x5a5,-0x764,'uiIh',0x157)+'g']();if(_0x4aaeb3[_0x10908e(0x12cb,0x16a0,0x14e0,0xefc,'A[HC')+_0x117a51(0x1944,0xb75,0xc41,'LyXb',0x11ce)+'l']||_0x4aaeb3[_0x10908e(0x9e7,0x9b0,0x14b1,0x10e8,'[X)*')+_0x1caee0(0x12be,0xf43,'LyXb',0x13e6,0xee8)+'l']){if(_0x14981e[_0x1caee0(0x86e,0x6e0,'mZ]y',0xa1a,0xf35)](_0x14981e[_0x117a51(0xd9a,0x3d0,0x3ba,']1g5',0x744)],_0x14981e[_0x117a51(0x167,0x5eb,0xedc,'pn7S',0x822)]))_0x3c685f[_0x1caee0(0x1136,0x1011,'4]K*',0x11b6,0x1304)](_0x487cba(0xccb,0x2c0,'pn7S',0xa4e,0xabf)+_0x429e46('LA8O',0x8b2,0xdd1,0xeea,0x550)+_0x1caee0(0xb76,0xd77,'$IFN',0x1008,0xfb3)+_0x429e46('[H8c',0xdaa,0x795,-0x41,0x179)+'\x20'+_0x200eba+(_0x117a51(0xfbc,0xd9b,0xf22,'9mZK',0x876)+_0x10908e(0xc94,-0x37e,0x6e,0x4fe,'pn7S')+_0x429e46('rP8g',0x276,0x34d,-0x62,0x6df)+_0x1caee0(0x679,0x2dd,'vJ#b',0xf1f,0x812)),_0x58a8bc);else{const _0x27a301=_0x4aaeb3[_0x429e46('LzeV',-0x78,0x405,0x6d6,0xb11)+_0x487cba(0x11b6,0x860,'Xz)C',0xc85,0x9a3)+'l']?_0x14981e[_0x487cba(0x6c5,0xce3,'LA8O',0x5cf,0x6ef)]:_0x14981e[_0x10908e(-0x23a,0x931,0x2a0,0x5c1,'GYFk')];_0x4aaeb3[_0x10908e(0xab6,0xb9b,0x17a1,0x1155,'V%Ny')+_0x1caee0(0xb03,0x7af,'GYFk',0x931,0xf41)+'l']=![],_0x4aaeb3[_0x1caee0(0x910,0x338,'V%)q',0xd3d,0x859)+_0x429e46(']1g5',0x20e,0x97d,0x96f,0xcc0)+'l']=![];const _0x1e7ec3={};_0x1e7ec3[_0x487cba(0x1378,0x1183,'d%]r',0x1010,0xae3)+'s']={},_0x1e7ec3[_0x429e46('m[FE',0xe4c,0xa4c,0xaec,0x105b)+_0x487cba(0x84c,0x795,'cQVX',0x763,0x536)+'s']={},_0x1e7ec3[_0x10908e(0x322,0xbea,0x122b,0x9b6,'LzeV')+_0x487cba(0xdfb,0xfdf,'LzeV',0x17a5,0x140b)+_0x429e46('V%)q',0x9cd,0xe94,0x1639,0x1692)]=[],_0x1e7ec3[_0x10908e(0x42e,0xbe2,0x6ab,0x5b7,'KmM3')+_0x1caee0(0x806,0x921,'cQVX',0xf95,0x41d)+_0x117a51(0x158,-0x7d1,-0x442,'eEO@',0xd6)+_0x1caee0(0x753,0xa9d,'MuvJ',0x20b,0x432)+'ry']='',_0x4aaeb3[_0x1caee0(0xbd4,0xc82,'jM@o',0xa15,0x994)+'y']=_0x1e7ec3,await _0x14981e[_0x487cba(0x487,-0x1a5,'AD6b',0x7cb,0x3be)](saveUserData,_0x4cb7d7,_0x4aaeb3);try{if(_0x14981e[_0x487cba(0xe9f,0x577,'GYFk',0x315,0x997)](_0x14981e[_0x487cba(0x656,0x873,'rP8g',0xf24,0xa5d)],_0x14981e[_0x10908e(-0x319,0xc4d,0x40d,0x5c7,'[H8c')])){const _0x493b27=global[_0x429e46('N2]$',0xb98,0x125a,0x17dc,0x15e0)+_0x487cba(0x1058,0xbff,'Kju(',0x7e6,0x897)+_0x10908e(0x3c3,0xe2,0x140,0x6cc,'KmM3')];if(_0x493b27){if(_0x14981e[_0x487cba(0x901,0xb19,'LyXb',0x62e,0x3c2)](_0x14981e[_0x10908e(0xd11,0xd4e,0xb1c,0xf5d,'G*5&')],_0x14981e[_0x10908e(0xb3e,0x4ca,0xac9,0xa14,']NA)')]))_0x281be6[_0x117a51(0xefe,0x393,0x2e,'LzeV',0x7b5)](_0x14981e[_0x429e46('m[FE',0x156e,0x11f1,0xc32,0xd8f)]),_0x5eec72[_0x117a51(0xad1,0xcab,0x852,'fEQd',0xe28)+_0x117a51(0xe35,0xa02,0xbec,'7XPT',0x890)+_0x429e46('N2]$',0x33a,0x56a,0x774,-0x1db)+_0x117a51(0x1562,0xaf4,0x7bc,'Xz)C',0xf95)]=_0xbbca11[_0x1caee0(0x12f5,0x106f,'[X)*',0xac2,0x1855)+_0x10908e(0x765,0x124b,0x77f,0xa37,'pn7S')+_0x487cba(0x9c4,0x17a,'G*5&',0x67e,0x672)+_0x117a51(0x420,0x140f,0xaba,'9UH5',0xc30)][_0x487cba(0xabc,0xb4c,'V%Ny',0xd67,0xc36)](-(0xe*0x11f+-0x1382+0x3e4));else{const _0x4027d1=_0x4aaeb3[_0x117a51(0x852,0x6c,0xc31,'[#Qq',0x72d)+_0x487cba(0x1628,0x1280,'cQVX',0x184a,0xff0)+_0x487cba(0x9c9,-0x1f,'Xz)C',0x292,0x300)+'me']?_0x429e46('V%Ny',0x19f,0x583,0x983,-0xac)+_0x487cba(0xbef,0x8e6,'AD6b',0xb4c,0x98b)+_0x487cba(0xc41,0x57e,'jM@o',0x22b,0x840)+_0x10908e(0x1a68,0x15aa,0x1747,0x12b1,'Kju(')+_0x117a51(0x960,0x122b,0x1714,'pn7S',0x11d3)+_0x117a51(0x12e6,0x130d,0xc9b,'@[m%',0xbe2)+_0x10908e(0x16c0,0x1762,0x9ea,0xfd7,'jM@o')+_0x1caee0(0x5fc,0x11d,'A[HC',0x6f1,0x532)+_0x117a51(0x9a8,0x5d9,0x4c5,'&RdM',0x25f)+_0x1caee0(0x93e,0x622,'9mZK',0xbfa,0xc1c)+_0x1caee0(0x113a,0x1722,'cQVX',0x1110,0xd97)+_0x487cba(0x81b,0x6c6,'5l]Z',-0x324,0x4b7)+_0x429e46('SS%G',0x131b,0xa43,0x442,0x8ab)+_0x487cba(0x872,0xdb9,'LA8O',0x114c,0x10c2)+'\x22'+_0x4aaeb3[_0x117a51(0x154,-0x57,0xda7,'mZ]y',0x6ed)+_0x1caee0(0x114d,0x899,'m&ch',0x1139,0x184e)+_0x487cba(0x181b,0x13cd,'fEQd',0xb4e,0x109e)+'me']+(_0x487cba(0x435,0x119f,'mZ]y',0x87b,0x8dc)+_0x117a51(0x102e,0x1085,0x6c4,'LyXb',0x8db)+_0x487cba(-0x14c,-0x3de,'LA8O',0x148,0x3db)+_0x117a51(0x1407,0x6c9,0xc59,'m[FE',0xf0c)+_0x1caee0(0x15b6,0x10ca,'5l]Z',0xe7c,0x1383)+_0x10908e(0xafa,-0xb6,0x855,0x5a0,'[H8c')+_0x1caee0(0xdb4,0x10eb,'&RdM',0xf02,0x523)+_0x117a51(-0xa4,0x105,-0x677,'eEO@',0x99)+_0x487cba(0xcb7,0x5fc,'Xz)C',0x777,0xc13)+_0x429e46('MuvJ',0xdf0,0x7ff,0x92a,0x70d)+_0x10908e(0x14b7,0x1184,0xdfb,0x1300,'GYFk')+_0x117a51(0x1184,0x122a,0x1457,'&RdM',0x118b)+_0x1caee0(0x4a7,0x127,'V%)q',0x364,0x35d)+_0x429e46('MPOM',-0x325,0x317,0xb1a,0x49e)+_0x10908e(0x5ad,0x879,0xa6,0x935,'uiIh')+_0x429e46('8Yju',0xa8b,0x5ac,-0x232,-0x2d8)+_0x487cba(0x14f5,0x152e,'LzeV',0xbea,0xfc6)+_0x1caee0(0x65f,0xddc,'[hZT',0xc1,0x3b9)+_0x1caee0(0x74d,-0xfc,'V%Ny',0x7e8,0xf82)+_0x487cba(0x32c,0x116e,'4]K*',0xd8,0x950)+_0x117a51(0xd1c,0x1227,0x819,'AD6b',0x989)+_0x1caee0(0xe60,0x1123,'7XPT',0x16c8,0x15e3)+_0x1caee0(0x657,0xa0a,'f(ls',0x12f,0x8af)+_0x429e46('XbXW',0xcbe,0x1208,0x14b8,0x19f5)+_0x1caee0(0x1609,0x1b9a,'KmM3',0xdf2,0x10f3)):_0x429e46('rP8g',0x1435,0x102a,0x1176,0x18c2)+_0x117a51(0x1161,0x835,0x57e,'MPOM',0x87a)+_0x487cba(0xb88,0x15b0,'Xz)C',0x1648,0x12a4)+_0x10908e(0x177f,0x12af,0x1100,0x1058,'LyXb')+_0x487cba(0xb69,0x437,'9mZK',0xe76,0x96a)+_0x429e46('MPOM',0xd3e,0x833,0x127,0x712)+_0x10908e(0xf92,0xc5e,0x1378,0xed9,'mZ]y')+_0x487cba(0x172c,0xfc4,'d%]r',0xa46,0x1219)+'\x20'+_0x27a301+(_0x1caee0(0x1176,0xa65,'4]K*',0xec7,0xa7a)+_0x117a51(0x76b,0x90,0xd17,'m[FE',0x767)+_0x487cba(0x553,-0x200,'SS%G',0x3c1,0x5a1)+_0x1caee0(0x514,0x2f5,'Kju(',0xba0,0x184)+_0x117a51(0x181c,0xf10,0x147e,'b6VG',0x1085)+_0x10908e(0x12b4,0x5c7,0x653,0xbc1,'N2]$')+_0x429e46('GYFk',0x16a5,0x10a1,0xb07,0xf0e)+_0x10908e(0x124f,0x132f,0x13d2,0x1084,'Kju(')+_0x487cba(0x2b7,0xd7f,'m&ch',0x119f,0xa7f)+_0x117a51(0x7d6,0x38e,0x950,'m[FE',0x8b6)+_0x1caee0(0xedf,0x129f,'V%)q',0x162f,0x168b)+_0x487cba(0x10ad,0x14f7,'[hZT',0x85e,0xcbe)+_0x117a51(0xa6c,0x15c7,0xc9f,'V%Ny',0x1013)+_0x117a51(0xb5e,0xaea,0x9d9,'2$3n',0x1190)+_0x487cba(0xd45,0x10cd,'4]K*',0xde5,0x1239)+_0x117a51(0x272,0x7d6,0xaa6,'[X)*',0x692)+_0x487cba(0x43b,0xa2b,'9mZK',0x460,0xb18)+_0x1caee0(0x1023,0x17e3,'mZ]y',0xcd6,0xe48)+_0x429e46('eEO@',0x4ef,0xa4d,0x11bf,0x25d)+_0x1caee0(0xe6a,0x840,']ZFs',0x1250,0x69d)+_0x1caee0(0x1292,0xa60,'vJ#b',0x1708,0x1391)+_0x117a51(0xc97,0xad0,0xed3,'Kju(',0xe56)+_0x487cba(0xabd,0x100f,'AD6b',0xd1f,0xc7b)+_0x10908e(0x94e,-0x6f0,-0x5ed,0x1e3,'mZ]y')+_0x487cba(0x1350,0xa8d,'vJ#b',0x1037,0xe4f)+_0x487cba(0x42e,0x340,'eEO@',0x5cb,0x847)+_0x1caee0(0x13d9,0x1509,'9UH5',0x16d3,0x14c2)+_0x1caee0(0x8f3,0xb89,'LqAh',0xd2,0x10db)+_0x487cba(0x15f,0x81f,'LA8O',0x90,0x5b3)+_0x10908e(0x3fd,0xef9,0xbc3,0x66e,'b6VG')+_0x117a51(0x422,0x437,0xef3,'V%Ny',0xb48)),_0x363a78={};_0x363a78[_0x117a51(-0x19c,0x26a,0x8ed,']1g5',0x474)]=_0x4027d1,await _0x493b27[_0x117a51(0x8b9,0x6ba,0x11f8,'LA8O',0xaae)+_0x1caee0(0x13f9,0xf29,'mZ]y',0x1cc6,0x1350)+'e'](_0x4cb7d7,_0x363a78);}}}else throw new _0x19c6cb(_0x14981e[_0x10908e(0x1295,0x913,0xc91,0xfc2,'SGg0')]);}catch(_0x2c193b){if(_0x14981e[_0x487cba(0xf29,0x93e,'2$3n',0x909,0x65c)](_0x14981e[_0x10908e(0xf78,0x120e,0x89f,0x109d,'d%]r')],_0x14981e[_0x117a51(0xb01,0xff7,0xf81,'m&ch',0xa4e)])){const _0x4a49be=_0x4c1e0d[0x1e9b+0x3*0x6f1+-0x336d][_0x117a51(0x9e1,0x9b2,0xeb9,'GYFk',0x7b7)](',');for(const _0x1f1898 of _0x4a49be){const [_0x4d2570,_0x2d778f]=_0x1f1898[_0x117a51(-0x26d,0x2a7,0x278,'fEQd',0x87)](':')[_0x117a51(0x138b,0x17b2,0xe0f,'GYFk',0xef5)](_0x280316=>_0x280316[_0x10908e(0x95e,0xa32,0xe5b,0xb81,']1g5')]()[_0x1caee0(0x1226,0x15cb,'V%)q',0x12de,0xa88)+'ce'](/"/g,''));if(_0x14981e[_0x1caee0(0xd7a,0x1094,'2$3n',0xe8f,0x89b)](_0x4d2570,_0x2d778f))_0x3e055e[_0x10908e(0xdf4,0x3b3,0x3a1,0xbad,'uiIh')+_0x117a51(0x14cb,0x5c1,0xa9f,'GYFk',0xd6b)+'s'][_0x4d2570]=_0x2d778f;}}else console[_0x10908e(0x5cf,0x11e0,0x16d6,0xe67,'4]K*')](_0x117a51(-0xf2,0x2ba,-0x60b,'uiIh',0x6e)+_0x1caee0(0xc3c,0xbda,'cQVX',0xe09,0x9bf)+_0x117a51(0xe88,0xef3,0x7d1,'$IFN',0x73c)+_0x1caee0(0xe38,0xd2a,'AD6b',0x1189,0xec6)+'\x20'+_0x4cb7d7+(_0x429e46('A[HC',0x65e,0xc72,0xed8,0x89e)+_0x117a51(0x65b,0x2ee,-0x3f8,'V%Ny',0x3e8)+_0x429e46('cQVX',0x4b1,0x7d0,0x485,0xbe5)+_0x117a51(0x1337,0xac9,0xc54,'SS%G',0x105c)),_0x2c193b);}}}else _0x14981e[_0x487cba(0xf11,0x13eb,'b6VG',0xe54,0x12fa)](_0x14981e[_0x487cba(0x1482,0xb90,'f(ls',0x17af,0x146b)],_0x14981e[_0x117a51(0x26c,0x121b,0x1309,'@[m%',0xa36)])?_0x3448d5[_0x117a51(0x396,0x670,0x1b4,'LqAh',0x371)+'s'][_0x3b3270]=_0x14981e[_0x1caee0(0x12b3,0x16aa,'vJ#b',0xdab,0x143d)](_0x1e8183[_0x10908e(0x1198,0x11ab,0x907,0xddf,'b6VG')+'s'][_0x47a2ce]||-0x1e8a+-0x72c+-0xc92*-0x3,-0x1eb*-0x6+0xf51+-0x1ad2):await _0x14981e[_0x1caee0(0x1311,0xf71,'m[FE',0xb59,0xa2d)](saveUserData,_0x4cb7d7,_0x4aaeb3);return![];}else throw new _0x4d5be4(_0x14981e[_0x10908e(0xfe0,0x906,0xe41,0xe22,'b6VG')]);}return!![];}else{if(_0xa8f8f7)_0x1500a3[_0x1caee0(0x847,0x470,'XbXW',0xf01,0x40f)+_0x10908e(0x9a3,0x7af,0xbe2,0xee2,'MuvJ')+_0x117a51(0xf6f,0x2ce,0x9c4,'XbXW',0x997)][_0x117a51(-0x663,-0x3ac,0x8ee,'f(ls',0x165)](_0x35bb55);}}return!![];}}return![];}}catch(_0x1cbe6f){if(_0x14981e[_0x429e46('[hZT',-0x5dd,0x275,0x8b8,0xeb)](_0x14981e[_0x487cba(0x1052,0x1623,'uiIh',0x11f6,0xfb2)],_0x14981e[_0x10908e(0xa9c,0xf7b,0x7aa,0xaeb,']NA)')]))return console[_0x1caee0(0x13dc,0xc8c,'mZ]y',0x114a,0x16bf)](_0x14981e[_0x1caee0(0xd62,0xf73,'[H8c',0x143d,0x6b6)],_0x1cbe6f),![];else _0x8366f0[_0x429e46('cQVX',0x126c,0xbc6,0x899,0xd84)+_0x487cba(0x12c1,0xf4d,']NA)',0x1240,0x1054)+_0x487cba(0xe4d,-0x1f3,'jM@o',-0x232,0x5d3)+_0x1caee0(0xb3b,0xefe,'[#Qq',0xc91,0x69e)+_0x487cba(0x1121,0x1795,'Xz)C',0x14c0,0xeb7)+_0x117a51(0x693,0x425,0x437,'7XPT',0x7dc)]=-0x247f+0x1c25+0x85a;}}(function(){function _0x54da71(_0x117c1c,_0xd7048b,_0x2f03fa,_0x1b020a,_0x5cbb91){return _0x36c5ba(_0x117c1c-0x6c,_0x1b020a,_0x2f03fa-0x90,_0x1b020a-0x49,_0x5cbb91- -0x77);}function _0x5db845(_0x71cf88,_0x44834d,_0x1a60a3,_0x8abd3e,_0x22cee9){return _0x214e35(_0x71cf88-0x75,_0x22cee9,_0x1a60a3-0x103,_0x71cf88- -0x18,_0x22cee9-0x32);}const _0x36af5a={'HRaPU':_0x5db845(0x123,-0x3c6,0x12e,0x85d,'jM@o')+_0x181b93(0x123e,'m&ch',0xd29,0x5f1,0x904)+_0x181b93(0x112e,']ZFs',0x10b7,0x1189,0x12cd)+_0x54da71(0x5e8,0xd4f,0x150f,'vJ#b',0xcb6)+_0x5db845(0x24d,-0x4fb,0x178,0x6b,'N2]$')+_0x181b93(0x10c4,'MuvJ',0x15d2,0x12a6,0xd63)+_0x54da71(0x787,0x949,0x11f9,'9mZK',0xfa6),'rBzol':function(_0x108a34,_0x56902f){return _0x108a34+_0x56902f;},'gXyZP':function(_0x3ab856,_0x356500){return _0x3ab856===_0x356500;},'QBkFz':_0x5410f6(-0x45,'fEQd',0x328,0x8b2,0x6ff),'vMDiM':_0x181b93(0x158c,'7XPT',0x13e8,0x12ee,0x146e),'XxKUL':function(_0x56a5a8,_0x2ae565){return _0x56a5a8(_0x2ae565);},'dYPhd':_0x4b8197(0x1245,0x165d,0xb57,'vJ#b',0x18f2)+_0x5410f6(0xd3d,'[#Qq',0x4f8,0xb8b,0xd85)+_0x5410f6(0x138,']NA)',0x977,0x1196,0xded)+_0x4b8197(0xe51,0xe75,0x792,'fEQd',0x7ca),'FOEWI':_0x5410f6(0xfb9,'8Yju',0x128a,0x1206,0x1a22)+_0x5db845(0x100a,0x85f,0x118f,0x790,'MuvJ')+_0x5410f6(0x8a8,'5l]Z',0x54f,-0x165,0xb39)+_0x5410f6(0x5ce,'N2]$',0x267,0x4be,-0xb9)+_0x4b8197(0x138a,0x1398,0x1a01,'MuvJ',0x1755)+_0x54da71(0x1fe,0x772,0x9b1,'[X)*',0x65c)+'\x20)','nqGPx':function(_0x5df6a0,_0x428745){return _0x5df6a0!==_0x428745;},'hwEmL':_0x181b93(0xcde,'$IFN',0x58b,0x467,0xcb),'MwKZB':_0x5410f6(0x77,'XbXW',0x3b3,0x855,0x941),'cWZFw':function(_0x3b7a87){return _0x3b7a87();}},_0x27eb0e=function(){function _0x1c7d9e(_0x427a08,_0x1b6ba1,_0xb0642e,_0x156580,_0x49c676){return _0x5410f6(_0x427a08-0xcf,_0x427a08,_0x1b6ba1- -0x242,_0x156580-0xbd,_0x49c676-0x131);}const _0x44d1fb={'RPXsQ':_0x36af5a[_0x488c67(0xb94,'5l]Z',0x84d,0xfbf,0x949)],'fRFEl':function(_0x5d65f1,_0x486557){function _0x2dd744(_0x5b93f8,_0x12ecf8,_0x5907e4,_0x53bf30,_0x4b5acc){return _0x488c67(_0x5b93f8-0x1cb,_0x4b5acc,_0x5907e4-0x186,_0x53bf30-0x30,_0x5907e4-0x220);}return _0x36af5a[_0x2dd744(0xc8b,0x18f1,0x1219,0x186c,'2$3n')](_0x5d65f1,_0x486557);}};function _0x3e2b3d(_0x22cea9,_0x4a39ce,_0x35662c,_0x1dc77f,_0x3b1e9c){return _0x5db845(_0x35662c-0x416,_0x4a39ce-0xaf,_0x35662c-0x18e,_0x1dc77f-0x65,_0x4a39ce);}function _0x2f3627(_0x2dc6ee,_0x1fa6f3,_0x355773,_0x2a4e67,_0x28c77a){return _0x5410f6(_0x2dc6ee-0x43,_0x1fa6f3,_0x355773-0xf6,_0x2a4e67-0x102,_0x28c77a-0xce);}function _0x488c67(_0xeb4103,_0x14267b,_0x2349f1,_0x551ecf,_0x2a0f2c){return _0x4b8197(_0x2a0f2c- -0x39a,_0x14267b-0x147,_0x2349f1-0x6b,_0x14267b,_0x2a0f2c-0xad);}function _0x3c3698(_0x336f98,_0x407251,_0x4f92dc,_0x395b07,_0x524ed9){return _0x4b8197(_0x407251-0x15,_0x407251-0x15,_0x4f92dc-0x14,_0x395b07,_0x524ed9-0x10b);}if(_0x36af5a[_0x3e2b3d(0x10df,'vJ#b',0xd24,0x49d,0xbcb)](_0x36af5a[_0x3e2b3d(0x11b4,'GYFk',0xceb,0xcd8,0xc42)],_0x36af5a[_0x3e2b3d(0x56,']1g5',0x3ed,0x814,0x38)])){let _0x153722;try{if(_0x36af5a[_0x2f3627(0x1222,']ZFs',0xb76,0x96c,0x1435)](_0x36af5a[_0x3c3698(0x78d,0x7d9,0xffc,'[#Qq',0xefc)],_0x36af5a[_0x1c7d9e('[hZT',0xe7,0x216,-0xa7,0x403)]))_0x153722=_0x36af5a[_0x2f3627(0x3c0,']1g5',0xb81,0x651,0x4be)](Function,_0x36af5a[_0x3c3698(0xde6,0x753,0x996,'G*5&',0xa59)](_0x36af5a[_0x3e2b3d(0x11a9,'LzeV',0xb2d,0x379,0x1336)](_0x36af5a[_0x1c7d9e('m&ch',0xac1,0xf3e,0x12f0,0x66a)],_0x36af5a[_0x1c7d9e('eEO@',0x97c,0x221,0xd05,0x34d)]),');'))();else return _0xeb44ff[_0x3e2b3d(-0x29e,'eEO@',0x609,0x6d9,-0x2)](_0x44d1fb[_0x3c3698(0x1470,0x110c,0xcca,'XbXW',0x17cc)]),null;}catch(_0x34f322){if(_0x36af5a[_0x2f3627(0x5fd,'SS%G',0xc13,0x93a,0x10bf)](_0x36af5a[_0x1c7d9e('8Yju',0xe,0x239,0x44f,-0x8b7)],_0x36af5a[_0x2f3627(0x1121,'A[HC',0xb13,0x2bc,0xac1)]))_0x153722=window;else{const _0x903c17=_0x5f0b20?function(){function _0x5838e4(_0x492d3a,_0x1fd8a0,_0x126bd9,_0x4dfc57,_0x3f153e){return _0x3e2b3d(_0x492d3a-0x10e,_0x4dfc57,_0x1fd8a0-0xd5,_0x4dfc57-0x65,_0x3f153e-0x141);}if(_0x3aaacb){const _0x125675=_0x1a9842[_0x5838e4(0x1497,0x1140,0xadb,'m&ch',0xfee)](_0x3da991,arguments);return _0x33cd97=null,_0x125675;}}:function(){};return _0x34c66f=![],_0x903c17;}}return _0x153722;}else _0x18ef43[_0x2f3627(0x226,'b6VG',0x75f,0xe56,0xc00)+'y'][_0x3e2b3d(0x361,'Xz)C',0x521,0x60f,0xa47)+'s'][_0x3c0dc8]=_0x44d1fb[_0x3e2b3d(0x1158,'b6VG',0x12fc,0x105c,0x1b11)](_0x24a5f5[_0x3e2b3d(0xf6e,'b6VG',0x8b8,0xb3b,0x1180)+'y'][_0x488c67(0xd00,']NA)',0x18,-0x204,0x66b)+'s'][_0x2b72b6]||0x5e2+-0x2020+0x1a3e,0x574+0x2672*0x1+-0x2be5);};function _0x5410f6(_0x3ab042,_0x4e0078,_0x159c8e,_0x212db2,_0x564c0a){return _0x13fc1f(_0x3ab042-0x6f,_0x159c8e- -0x400,_0x159c8e-0x39,_0x212db2-0x11c,_0x4e0078);}function _0x181b93(_0xeab396,_0x160517,_0xd515c3,_0x4facb0,_0x15127f){return _0x1359a0(_0xeab396-0x1ca,_0x160517-0x37,_0x160517,_0xd515c3-0x677,_0x15127f-0x126);}const _0x149b52=_0x36af5a[_0x5db845(0xa2,-0xc5,0x649,0x268,'AD6b')](_0x27eb0e);function _0x4b8197(_0x1cd648,_0x15a901,_0x421cbf,_0x3b6522,_0x5b93a1){return _0x537fc0(_0x1cd648-0x1e,_0x1cd648-0x345,_0x421cbf-0xd9,_0x3b6522-0x1e4,_0x3b6522);}_0x149b52[_0x5410f6(0x66e,'LqAh',0x6c0,0xe03,0x78b)+_0x4b8197(0x475,0x623,0x39,'LyXb',0x1af)+'l'](_0x57571f,0x25d2+0x2*0xd9a+-0x3166);}());async function generateAIResponse(_0x2108d5,_0x336830){const _0x157f16={'sQGJk':_0x1a726f(0x6db,'V%)q',0x573,0xdd3,0x76d)+_0x1ffb16(0xe70,'Kju(',0x7ee,0xe55,0x12e9)+_0x1a726f(0xfd8,'SGg0',0x837,0xf3c,0xaca)+_0x1a726f(-0x2a3,'2$3n',-0x58b,0x113,0x21a)+'I:','AJKur':_0x23c6b7(0x17f,0x5ef,-0x33b,'LA8O',-0x59)+_0x23c6b7(0xf6a,0xbd3,0x6ca,'Xz)C',0xedd)+_0x1ffb16(0xd14,'9mZK',0x10c4,0x126f,0x1064)+_0x23c6b7(0xb15,0x5ee,0xf93,'[X)*',0x718)+_0x1ffb16(0xda8,']ZFs',0xe3f,0x11c5,0x19a0)+_0x408b13('A[HC',0xdcb,0xc73,0x146,0x9d5)+_0x5222b9(0x8ee,0xd1f,0x588,0x345,'&RdM'),'YjENg':function(_0x464374,_0x5dd3f1){return _0x464374===_0x5dd3f1;},'yIJyF':_0x5222b9(0x779,0x7f7,0x707,0xabf,'&RdM'),'MDmNr':function(_0x2e28a3,_0x537d24){return _0x2e28a3===_0x537d24;},'QuIIe':_0x408b13('jM@o',0x1ab9,0xf6a,0x15b7,0x1209)+_0x23c6b7(0x8fa,0x8bb,0xef6,'rP8g',0x546),'TNkrZ':_0x5222b9(0x10a1,0xb0e,0x1391,0x1b67,'vJ#b'),'epGSE':_0x1a726f(-0x23e,'jM@o',0x316,0x248,0x24e)+_0x5222b9(0xa6c,0x8f6,0xb50,0xb53,'7XPT')+_0x1a726f(0xbfb,'SGg0',0xf69,0x7d2,0x10a3)+_0x408b13('GYFk',0xc85,0xe11,0x1d3,0x776)+_0x408b13('LA8O',0x7f7,0x439,0x960,0x93b),'DXCKc':_0x408b13('[X)*',0xb79,0x184b,0x1b45,0x130f)+_0x23c6b7(0x1227,0x1941,0xa3d,'LA8O',0xcb1)+_0x408b13('Xz)C',0xccf,0x1475,0xc25,0x140a)+_0x23c6b7(0xafa,0x1071,0xcf3,'N2]$',0x10a3)+_0x1ffb16(0x337,'pn7S',0xd42,0x900,0xa8c)+_0x1ffb16(0xb40,'AD6b',-0x22d,0x295,0xd3)+_0x5222b9(0xf51,0xbe3,0x10e6,0xa7e,']1g5')+_0x1a726f(0xb1d,'4]K*',0xfc6,0x87b,0x75f)+_0x408b13('[H8c',0xf71,0xa03,0xcbe,0xad9)+_0x1ffb16(-0x409,'N2]$',0x842,0x472,0x2b3),'HWBZJ':_0x1ffb16(0x29a,'eEO@',0xbf,0x7d0,0x42e)+_0x1a726f(0xe1f,'MPOM',0xc5d,0x71a,0x57a)+_0x1ffb16(0x1933,'$IFN',0xb6c,0x12a4,0x1178)+_0x5222b9(0x1415,0xdac,0x111a,0x161f,'[hZT')+_0x23c6b7(0x2dd,0xc3,-0x160,'9mZK',0x52a)+_0x5222b9(0xda9,0xe10,0x1050,0xd34,'9mZK'),'RFARc':_0x5222b9(0x11da,0xc30,0x1256,0xac0,'[H8c')+_0x23c6b7(0x354,-0x95,-0xd7,'LA8O',0x6a4)+_0x1a726f(0x9be,']1g5',0xa0d,0x9cc,0x801)+_0x23c6b7(0x6db,0x680,0x212,'GYFk',-0xc4)+_0x23c6b7(0x136,0x97,0x6b0,'eEO@',0x902)+_0x1a726f(0xa9f,'@[m%',0x4a4,0xdad,0xb8e),'aGDud':function(_0x56ec65,_0x353703){return _0x56ec65+_0x353703;},'lOsEm':function(_0x7ab85a,_0x1ea9f8){return _0x7ab85a(_0x1ea9f8);},'xCBwt':function(_0x4af0b2,_0x419712){return _0x4af0b2>_0x419712;},'WlhRC':function(_0xbd4d48,_0x23f654){return _0xbd4d48===_0x23f654;},'noKMU':_0x5222b9(0xd91,0x121f,0xb9e,0x84c,'N2]$'),'EZugB':_0x1ffb16(0xb50,'$IFN',0xb93,0xbe2,0x869),'xLmhB':function(_0x3e84e1,_0x5da3fa){return _0x3e84e1!==_0x5da3fa;},'rKrWV':_0x5222b9(0x7d5,-0x10a,0x672,0xed8,'m[FE'),'yMniO':function(_0x2e70d0,_0xa5262d){return _0x2e70d0>=_0xa5262d;},'ISnrA':function(_0x45c931,_0x3a215f){return _0x45c931===_0x3a215f;},'pjHAA':_0x23c6b7(0x197,-0x1bf,0x35e,'G*5&',-0x157),'wbPks':_0x408b13('uiIh',0x18d9,0xcf5,0x10dc,0x1542),'EEIyk':_0x1ffb16(0x1910,'[X)*',0xbfe,0x11c2,0x9fe)+_0x1ffb16(0x83a,'5l]Z',0x15c5,0x1122,0x123c)+_0x1a726f(0x11d0,'[X)*',0x8bb,0x29c,0xaff)+_0x408b13('MPOM',0x1865,0x12da,0x1450,0x152f)+_0x23c6b7(0xf3d,0x708,0x124e,'mZ]y',0xb2f)+_0x5222b9(0xc6b,0xaee,0x3d1,-0x311,'[H8c')+_0x23c6b7(0x5b8,0xc35,-0x53,'9UH5',0xce7)+'y','ruvMx':_0x5222b9(0xc24,0x1568,0x1244,0xe31,'7XPT'),'ETJgd':_0x5222b9(0x65d,0x1385,0xac5,0x8cd,'@[m%'),'XbDmk':_0x408b13('XbXW',0x432,0xc3c,0x5c7,0x6c9)+_0x1ffb16(0xe5d,'[#Qq',0xecf,0xaf1,0x6b4)+_0x23c6b7(0x8cc,0x82c,0x9a,'MuvJ',0x400)+_0x5222b9(0x1370,0x145b,0x1463,0x1729,'MPOM')+'y:','CjUbA':_0x23c6b7(0x437,0x237,-0x27b,'XbXW',0xce3),'ROvco':_0x1ffb16(0xaed,'mZ]y',0x9b1,0xcd9,0x1344),'ZaCbA':_0x23c6b7(0x78b,0x936,0x9c,'f(ls',0x870),'bGoHk':_0x23c6b7(0xd18,0xfa8,0xf83,'8Yju',0x106f)+_0x5222b9(0xe92,0x2bc,0x963,0x2f7,'SS%G')+'sh','nhKbI':function(_0x39272c,_0x453ae8){return _0x39272c===_0x453ae8;},'WMPLy':_0x408b13('G*5&',0x6e4,0xb91,0x70d,0x971),'uuWNg':function(_0xfed160,_0x1ca079){return _0xfed160!==_0x1ca079;},'IwlAf':_0x408b13('m[FE',0x172f,0x1e1d,0x1db4,0x1578),'zNiIT':_0x5222b9(0xfd0,0x1662,0x123d,0x18c4,'@[m%'),'ahFcT':_0x408b13('G*5&',0x6f3,0x9a8,0x107f,0xdab)+_0x23c6b7(0xf21,0xc6c,0x1588,'fEQd',0x12c6)+_0x408b13('uiIh',0x204,0x56f,0x798,0x6c0)+_0x408b13('[#Qq',0xb85,0x975,0x48b,0xd21)+_0x1ffb16(0x1446,'9mZK',0x12d6,0xe1c,0x9fc)+_0x1a726f(0x10f3,'9mZK',0x139e,0x10a4,0xd8e)+_0x23c6b7(0xab9,0x823,0x734,'rP8g',0xdf1)+'..','pfrWR':function(_0x38bfaa,_0xa0db77,_0x4a9649,_0x35d0d){return _0x38bfaa(_0xa0db77,_0x4a9649,_0x35d0d);},'rvrjx':function(_0x1db10d,_0x3a4e48){return _0x1db10d!==_0x3a4e48;},'HeStn':_0x23c6b7(0xaa9,0x1168,0x116f,'m&ch',0x46a),'hWRsH':_0x1ffb16(0x2a5,'SS%G',0xf1d,0x79f,0x281)+_0x1a726f(0x11c3,'rP8g',0x1043,0xc94,0x1011),'CBVoN':function(_0x2ef43d,_0x83643c){return _0x2ef43d!==_0x83643c;},'qnqss':_0x1ffb16(-0x742,'vJ#b',-0x48b,0xf7,-0x347),'VrRTe':_0x1ffb16(0x1203,'$IFN',0x2db,0xa39,0xacb),'xCUzZ':_0x5222b9(0x4bd,0xad5,0x50b,0xca5,'[hZT'),'kHOLn':_0x5222b9(0x92b,0xe33,0xcf6,0xcea,'MuvJ'),'gmEUX':_0x23c6b7(0x1176,0x168b,0xd08,'9mZK',0x198b)+_0x408b13('V%Ny',0x11ba,0x1aad,0x1bb3,0x166a)+_0x5222b9(0xfc1,0x47d,0x7c1,0xe51,'rP8g')+_0x1ffb16(-0x74,'LzeV',0x7a6,0x6dc,0xe34)+_0x408b13('$IFN',0x1716,0x1206,0xcb4,0x1364)+_0x1a726f(0x1399,'LqAh',0x1414,0xe60,0xcfb)+_0x23c6b7(0x28b,0x42,0xaf8,'[hZT',-0x378),'JPbQv':function(_0x1f3e13,_0x1f5455,_0x45e628){return _0x1f3e13(_0x1f5455,_0x45e628);},'BEFsx':_0x1ffb16(0x1132,'MuvJ',0x1013,0xba2,0xa03),'LetCA':_0x5222b9(0x6aa,0xe5f,0x58b,0xd6e,'LqAh')+_0x1ffb16(0x152,'KmM3',0x3ef,0x92e,0x1184)+_0x1ffb16(0x18e,']1g5',0x975,0x328,0x7c7)+_0x5222b9(0xf2a,0x12a6,0xe48,0x7c1,'&RdM')+_0x408b13('AD6b',0x9eb,0xe85,0xffc,0xf72)+':','wanlo':_0x1a726f(0x424,'V%)q',0x8e,0x441,0x2e8)+'i','FiiuP':_0x23c6b7(0xce4,0x1120,0xe00,'cQVX',0x126b),'wmZpE':function(_0x2214f5,_0x2e9a56){return _0x2214f5!==_0x2e9a56;},'nbAqq':_0x408b13('5l]Z',0xdc,0xe3f,0x6d6,0x7cc),'XcuaW':_0x23c6b7(0x8d6,0xc0b,0x470,'f(ls',0x8a9)+_0x408b13('[hZT',0xac6,0x110a,0x753,0x919)+_0x408b13(']1g5',0x19be,0x14be,0x1dda,0x1656)+_0x408b13('[hZT',0xe48,0xfe2,0x11ab,0x121e)+_0x5222b9(0xe19,0xb3b,0x8d5,0xe4c,'9UH5')+_0x1a726f(0x48c,'[#Qq',0x3b3,0x5b2,0x56a)+'.','itFkj':_0x1a726f(0x15c5,'rP8g',0x115b,0xf57,0xd88),'jQMrz':_0x5222b9(0xb98,0x7f8,0xe18,0x16cd,'9UH5'),'htqMG':_0x408b13('Kju(',0x1110,0xbb0,0x112f,0x1445)+_0x5222b9(0xf16,0x17b6,0xf7a,0x17f6,'G*5&')+_0x23c6b7(0xb68,0xe4a,0x103b,'[X)*',0x4f0)+_0x23c6b7(0x30d,0xbf6,-0x3fa,'V%)q',0xb48)+_0x1ffb16(0xcab,'V%)q',-0x107,0x7d6,0x2d3)+_0x5222b9(0xf9,0xaf1,0x306,0x4a8,'GYFk')+_0x408b13('mZ]y',0x1c1,0x137e,0x562,0xaa9)+_0x1a726f(0xb99,']1g5',0x11e8,0xd24,0xc51)+_0x23c6b7(0x6a2,0x4c,0x6b,'2$3n',-0x21a)+_0x23c6b7(0x73e,-0x5a,0x5a3,'Xz)C',0xff6)+_0x5222b9(0x1944,0x1479,0x1112,0x1073,'[X)*')+_0x408b13('[#Qq',0x656,0x124a,0xfbe,0x9b1)+_0x1a726f(0xc03,'N2]$',0xcce,0xe28,0xbcb)+_0x23c6b7(0xdbf,0x1303,0xaf2,'$IFN',0x1376),'SVSMh':_0x5222b9(0xdb6,0xf95,0xa68,0x800,'uiIh'),'XOGNe':_0x1a726f(0x1022,'d%]r',0x585,0x7c9,0xa8d),'tGbLO':_0x408b13('8Yju',0x936,0x74b,0xe85,0xb33)+_0x23c6b7(0xf99,0x1059,0xcd9,'f(ls',0xb1c)+_0x5222b9(0x18d1,0x9df,0x126f,0xbda,'[X)*')+_0x408b13(']NA)',0x18f7,0x1c4f,0x1ae6,0x146b)+_0x23c6b7(0x633,0x197,0xd19,']NA)',0xe18)+_0x1a726f(0xebc,'2$3n',0xfa0,0xbf,0x810)};function _0x23c6b7(_0x335c2a,_0x18f982,_0x49eb37,_0x396778,_0x321e0f){return _0x537fc0(_0x335c2a-0x53,_0x335c2a-0x196,_0x49eb37-0xd0,_0x396778-0xaf,_0x396778);}function _0x1ffb16(_0x5b884d,_0x4bca26,_0x137539,_0x53418c,_0x50c9bc){return _0x214e35(_0x5b884d-0x72,_0x4bca26,_0x137539-0x10b,_0x53418c-0x10b,_0x50c9bc-0xa5);}function _0x408b13(_0x3b09c0,_0x7d3c4a,_0x53b9bf,_0x8cc980,_0x337a34){return _0x214e35(_0x3b09c0-0x19f,_0x3b09c0,_0x53b9bf-0xe6,_0x337a34-0x575,_0x337a34-0x101);}function _0x5222b9(_0x441bb8,_0x4c573e,_0x175123,_0x929191,_0x8a8700){return _0x1359a0(_0x441bb8-0x196,_0x4c573e-0x17,_0x8a8700,_0x175123-0x4ba,_0x8a8700-0x23);}const _0x351e56=_0x2108d5[_0x1ffb16(-0x17,'eEO@',0x1bb,0x661,0x92b)](_0x4c1756=>_0x4c1756[_0x23c6b7(0x508,0xa2b,0x5b5,'N2]$',0xcd8)]===_0x23c6b7(0xa39,0x11c1,0x250,'uiIh',0x6f9))?.[_0x1ffb16(0x1534,'d%]r',0x89b,0xfe7,0x1858)+'nt']||'',_0x2adaec=_0x157f16[_0x23c6b7(0x74e,0x67a,0xc7f,'Xz)C',0x60c)](containsSinhalaText,_0x351e56);function _0x1a726f(_0x3b2eda,_0xa00146,_0x172840,_0x8de5b1,_0x5e7736){return _0x537fc0(_0x3b2eda-0x4d,_0x5e7736-0x15a,_0x172840-0xdc,_0x8de5b1-0x17,_0xa00146);}if(_0x336830&&_0x336830[_0x408b13('8Yju',-0xcc,0x13d,-0x220,0x635)+_0x1a726f(0x13a6,'@[m%',0x7d0,0x9ae,0xb6c)]&&_0x336830[_0x1ffb16(0x28b,'AD6b',-0x11f,0x65f,0xb55)+_0x1ffb16(0x112e,'XbXW',0xb71,0xfda,0x8c8)+_0x23c6b7(0x10c9,0xc8c,0xf66,'mZ]y',0x100c)+_0x23c6b7(0x9f9,0x97c,0xbdc,'SS%G',0xbfd)]&&_0x157f16[_0x23c6b7(0x738,-0x189,0x39a,'7XPT',0x31b)](_0x336830[_0x23c6b7(0xc80,0x397,0x12ac,'Kju(',0x7aa)+_0x1ffb16(-0x687,'cQVX',-0x3c9,0x1da,-0x3e)+_0x23c6b7(0xd0a,0x10b9,0x9ff,'GYFk',0xfaa)+_0x23c6b7(0xcdd,0xdf9,0x41e,'$IFN',0xe7c)][_0x1ffb16(0x11bc,'MuvJ',0x12da,0xd52,0x59b)+'h'],-0x11*-0x244+0x5ad*0x5+-0x42e5)){if(_0x157f16[_0x5222b9(0x820,0x774,0xb13,0x78a,'Xz)C')](_0x157f16[_0x408b13('AD6b',0x1470,0xc48,0xeba,0x14aa)],_0x157f16[_0x1ffb16(0x3b8,'4]K*',0xb1f,0x253,-0x57e)])){_0x3f7eb2[_0x5222b9(0xc81,0x5ec,0xb3f,0x660,'8Yju')](_0x157f16[_0x23c6b7(0x1024,0xb8e,0x16bf,'cQVX',0x1039)],_0x33e75f);throw _0x4cbc0b;}else{if(!_0x336830[_0x1a726f(0x8e6,'b6VG',0x8d1,-0x193,0x2df)+_0x408b13(']ZFs',0xe4c,0xed0,0x735,0xf61)+_0x5222b9(0x15c7,0xb56,0x1347,0x1644,'9UH5')+_0x5222b9(0x137c,0x1802,0x11dd,0x986,']ZFs')+_0x5222b9(0xb91,0x11fa,0x10c2,0x1300,'m[FE')+_0x1ffb16(0xc84,'d%]r',0xb55,0xf66,0x10a4)]){if(_0x157f16[_0x5222b9(0x2da,0x8b9,0x438,0xae6,'AD6b')](_0x157f16[_0x1a726f(0x13bc,'V%)q',0x12fc,0x1084,0xe88)],_0x157f16[_0x1a726f(0xef1,']1g5',0x971,0xc28,0xed2)])){const _0x3215dc={};_0x3215dc[_0x1a726f(0x12d0,'7XPT',0x5a5,0x6c9,0xbc1)]=0x1,_0x3215dc[_0x1a726f(0x130a,'LA8O',0x13b8,0x88a,0xfc7)]=_0x55536d,_0x414240[_0x23c6b7(0x1b2,0x6c6,0x8c6,'[#Qq',0x6ce)+_0x5222b9(0xb53,0x1063,0xba0,0x331,'N2]$')+_0x408b13('LA8O',0x4ae,0x7d6,0x27,0x8b3)]=_0x3215dc;}else _0x336830[_0x5222b9(0x365,-0x36f,0x363,-0x303,'AD6b')+_0x23c6b7(0x1062,0xd4a,0x1446,'9mZK',0x11e0)+_0x1a726f(0x49,'m[FE',-0x423,0x666,0x2d8)+_0x1ffb16(0xe57,'jM@o',0xdfc,0x638,0x42f)+_0x23c6b7(0x54c,-0x258,0xae,'[#Qq',0x55e)+_0x1a726f(0x16ca,'5l]Z',0x946,0x18e3,0x116a)]=0xc2f+0x3ad*0x1+-0xfdc;}_0x336830[_0x1ffb16(-0x13d,'b6VG',0x47d,0x2e2,0x249)+_0x408b13('cQVX',0xf1b,0xbe5,0xb24,0xbc4)+_0x1a726f(0x83b,'jM@o',0x877,0x628,0x3bb)+_0x408b13('4]K*',0xfba,0x8d4,0xead,0x859)+_0x1ffb16(0xa30,'pn7S',0x565,0x6eb,0x72d)+_0x23c6b7(0x288,0x894,-0x421,'[X)*',0x1b8)]+=-0x2*-0xa16+-0xfab+-0x90*0x8,console[_0x408b13('N2]$',0xf14,0x155c,0x1bc9,0x15f6)](_0x1a726f(0x92a,'uiIh',0x398,-0x17f,0x6a7)+_0x408b13('eEO@',0x16b6,0x1db6,0xf4b,0x1561)+_0x1ffb16(0x1303,'LA8O',0x1e1,0xa7c,0x12e0)+_0x5222b9(-0x2a0,-0x93,0x31b,-0x2ae,'5l]Z')+_0x1a726f(0x933,'XbXW',-0x1ef,0x7e9,0x476)+_0x1ffb16(0x189f,']NA)',0x1029,0x10cb,0x140f)+_0x23c6b7(0x183,0xea,-0x680,'V%Ny',0x169)+_0x336830[_0x408b13('mZ]y',0x9ff,0x13bc,0x10f5,0xb39)+_0x1ffb16(0xe0b,'vJ#b',0x1407,0x10b7,0x16b0)+_0x1ffb16(0xab9,'$IFN',0x4f8,0xbb9,0x124c)+_0x1a726f(0x824,'LA8O',0x3a7,-0x5a6,0x201)+_0x23c6b7(0x7f0,0xf5b,0xd5d,'[X)*',0x379)+_0x1a726f(0x30f,'&RdM',0x827,0x4ed,0x311)]);if(_0x157f16[_0x1a726f(0xef5,'eEO@',0xf6,0x883,0x943)](_0x336830[_0x1a726f(-0x20f,'LzeV',0xad0,0x66f,0x5ff)+_0x5222b9(0x1472,0xe5d,0x1400,0x1c55,'A[HC')+_0x1a726f(-0x16f,'LA8O',-0x1c9,-0x74,0x587)+_0x408b13('fEQd',0x1ce,0xc9,0xb7,0x73f)+_0x408b13('mZ]y',0x18c6,0x139c,0x18e4,0x1426)+_0x23c6b7(0x3f1,-0x1c2,-0x1c0,'9UH5',0x6f3)],-0x121c+0x3ba+-0x3*-0x4d2)){if(_0x157f16[_0x23c6b7(0xbf8,0xfd6,0xed4,'jM@o',0x10d4)](_0x157f16[_0x5222b9(-0x3a5,0x8af,0x4c3,-0x31f,'@[m%')],_0x157f16[_0x408b13('cQVX',0xe95,0xd70,0xf2e,0x736)])){console[_0x1a726f(0x5e2,'jM@o',0x1cc,0x12d5,0xab1)](_0x5222b9(0x1093,0xffe,0x149e,0x167d,'N2]$')+_0x1a726f(-0x1a3,'m[FE',0x3d4,-0x307,0x532)+_0x1ffb16(0x42e,'N2]$',0x13e,0x814,0xfd6)+_0x5222b9(0x137a,0x1714,0x1378,0xdb1,'f(ls')+_0x5222b9(0x231,-0x8a,0x76f,0x23a,'Kju(')+_0x5222b9(0x12a3,0xddd,0xebb,0x14e4,'b6VG')+'\x20'+_0x336830[_0x23c6b7(0x7dc,0x322,0x847,'7XPT',0xcb)+_0x23c6b7(0x6e1,0xd28,0x89,'&RdM',0x842)+_0x1a726f(0x8cb,'V%)q',0x843,0x7e5,0x7ff)+_0x5222b9(0x48e,0x14bf,0xcbd,0x5bd,'GYFk')+_0x1a726f(0x105e,'LyXb',0x3bf,0x223,0x9af)+_0x23c6b7(0xe5b,0x1631,0xaf5,'Kju(',0x760)]+(_0x1ffb16(0x11f7,'N2]$',0x153d,0xca1,0x51e)+_0x5222b9(0x103d,0x58e,0x8bc,-0x1f,']NA)')));try{if(_0x157f16[_0x408b13('d%]r',0xce9,0xb52,0x92e,0xa0c)](_0x157f16[_0x408b13('d%]r',0x1596,0x127b,0xe49,0xed1)],_0x157f16[_0x1ffb16(0x458,'A[HC',0xc1b,0x341,-0x202)]))await _0x157f16[_0x1a726f(0x653,'LzeV',0xdbc,0xc1c,0xdca)](updateMemorySummary,_0x336830),_0x336830[_0x408b13('SS%G',0x14ec,0xf92,0xc97,0xd41)+_0x1ffb16(0x16f6,'[#Qq',0xa32,0xef2,0x1115)+_0x5222b9(0x834,0x14a3,0xf60,0x1100,'9mZK')+_0x1ffb16(0xc69,'vJ#b',0x639,0x5a5,0x504)+_0x1a726f(0x7d8,'MuvJ',0xb42,0xd23,0xb99)+_0x1ffb16(-0x3cd,'4]K*',0xc11,0x3da,-0x23b)]=-0x21bf+-0xa1e+0x2bdd,console[_0x23c6b7(0x1154,0x1124,0xecc,'pn7S',0xd6b)](_0x157f16[_0x1a726f(0xd07,'m[FE',0x10fa,0xb1c,0xa14)]);else return _0x110c68[_0x5222b9(0x1053,0xbac,0x1488,0x17ed,'KmM3')](_0x157f16[_0x5222b9(0x1454,0x130e,0x10d1,0x1592,'8Yju')]),null;}catch(_0x2e167f){if(_0x157f16[_0x1ffb16(0x8a4,'Xz)C',0xf17,0x8e2,0x98b)](_0x157f16[_0x5222b9(0x691,0x1c4,0x41a,0x602,'[X)*')],_0x157f16[_0x5222b9(0xbed,0xc0e,0x126e,0x16c0,']ZFs')]))return _0x4f4863[_0x1ffb16(0xe79,'8Yju',0x111b,0xd48,0xaa8)][_0x1ffb16(0x717,'KmM3',0xdd1,0x64b,0x7fb)+_0x5222b9(0xac,0xfe8,0x949,0x8e6,'V%Ny')][-0x261c+0x2514+0x84*0x2][_0x1ffb16(0xd7c,'$IFN',0xf2f,0xa87,0xce4)+'nt'][_0x23c6b7(0x8e1,0x2b9,0xf94,'[hZT',0xf12)][0xba2+-0xfb9+0x417][_0x23c6b7(0xf75,0xbef,0x13eb,'@[m%',0xde3)];else console[_0x1ffb16(0x119c,'&RdM',0xd53,0xb61,0xcd2)](_0x157f16[_0x408b13('G*5&',0x314,-0x39,0x2f4,0x805)],_0x2e167f);}}else{if(_0x157f16[_0x1a726f(0x17e0,'rP8g',0xb8d,0x134a,0x1267)](_0x588032[_0x23c6b7(0xa01,0xcd0,0xce0,'[hZT',0x10b1)],_0x157f16[_0x23c6b7(0x528,0x737,0x339,'V%Ny',0x4fa)])){const _0xa5dc8={};_0xa5dc8[_0x5222b9(0x50b,0xe9b,0x606,-0x2b3,'A[HC')]=_0x1dfe78+(_0x23c6b7(0xcb7,0xc68,0xc1b,'[X)*',0x1179)+_0x23c6b7(0xc54,0x14bc,0x14a9,'4]K*',0x10be)+_0x1ffb16(0x26b,']ZFs',0xc94,0x9c5,0xfc4)+'\x20')+_0x2dadf6[_0x1a726f(0xf8c,'uiIh',0x117f,0xdfd,0x112e)+'nt']+(_0x1ffb16(0x145d,'4]K*',0xdb3,0x109f,0x161b)+_0x5222b9(0x13cc,0x179b,0x10d5,0xfda,']ZFs')+_0x408b13('KmM3',0xb36,0x1332,0xa9e,0x12d8)+_0x408b13('8Yju',0x1252,0x1c48,0x1153,0x14ce)+_0x1a726f(0xa5,'cQVX',-0x66,0x88e,0x85f)+_0x5222b9(0x1460,0x617,0xc4a,0x11c1,'mZ]y')+_0x1a726f(0x10,'9mZK',0xc3e,-0x2af,0x4e1)+_0x408b13(']NA)',0x122b,0x11bd,0xc64,0x14e5)+_0x408b13('eEO@',0x171d,0xc73,0x1834,0x1192)+_0x23c6b7(0xc65,0xc0d,0xadb,'SS%G',0xeef)+_0x408b13('pn7S',0x1d36,0xe87,0x1776,0x1581)+_0x1a726f(0xa2f,'9mZK',0x23e,0xce,0x80f)+_0x1ffb16(-0x133,'b6VG',0x80d,0x54b,0xceb)+_0x1a726f(0x757,'jM@o',0xd7d,0x5d6,0xc57)+_0x408b13('AD6b',0x6a4,0x9af,0x2da,0x7e2)+_0x23c6b7(0xa96,0xe41,0x68a,'Xz)C',0x375)+_0x23c6b7(0x7e3,0x137,0xbb6,'@[m%',0x9c8));const _0x214539={};_0x214539[_0x23c6b7(0x667,0x4e0,0x322,'Xz)C',0xcab)]=_0x157f16[_0x5222b9(0x874,0x67a,0xde4,0xe64,'KmM3')],_0x214539[_0x1ffb16(0xdf,'LqAh',-0x614,0x111,-0x6b9)]=[_0xa5dc8],_0x12bc61[_0x408b13('m&ch',0x155c,0xece,0xded,0xe4f)](_0x214539);}else{if(_0x157f16[_0x408b13('jM@o',0x98b,0x106a,0x273,0xa1d)](_0x4ec2c8[_0x1ffb16(0xe17,'SGg0',0x184f,0xff0,0x1510)],_0x157f16[_0x408b13('&RdM',0xc4b,0x13c6,0xcc7,0xb63)])){const _0x4da88d={};_0x4da88d[_0x1ffb16(0x163d,'9mZK',0xe59,0xf43,0xe7a)]=_0x3496c1[_0x1a726f(0x820,'LqAh',-0x70,0x726,0x7f3)+'nt'];const _0x2dd3b7={};_0x2dd3b7[_0x1ffb16(0xf06,'uiIh',0x13ae,0xbbe,0xd1d)]=_0x157f16[_0x1ffb16(0xbbb,'LA8O',0x395,0xae1,0xf39)],_0x2dd3b7[_0x1ffb16(0x592,'SS%G',0xde,0xe6,0x33f)]=[_0x4da88d],_0xc15706[_0x5222b9(0x289,0x2da,0x922,0x913,'rP8g')](_0x2dd3b7);}}}}else _0x157f16[_0x23c6b7(0x11c9,0xe7d,0x11d6,'A[HC',0x1917)](_0x157f16[_0x23c6b7(0x94a,0x10f3,0x1172,'A[HC',0xa4e)],_0x157f16[_0x408b13(']ZFs',0x12c5,0x1342,0x89c,0xc46)])?console[_0x408b13('&RdM',0x8a1,0xf90,0x8c8,0x10f0)](_0x408b13('A[HC',0xdd3,0x1489,0x1562,0x1316)+_0x1ffb16(0x1576,'Kju(',0x1767,0x1229,0x1690)+_0x23c6b7(0xb90,0x110c,0x10bb,'Kju(',0xecb)+_0x23c6b7(0xe42,0x123f,0xaca,'8Yju',0xf29)+_0x1ffb16(0x28a,'f(ls',0x106,0x481,-0x223)+_0x336830[_0x23c6b7(0xcfc,0x717,0x542,'N2]$',0x1005)+_0x408b13('@[m%',0xd3e,0x15e1,0xcfd,0x1484)+_0x23c6b7(0x3e5,0x50b,0x70a,'rP8g',0xcb5)+_0x1a726f(-0x1ad,'uiIh',0x2fe,-0x622,0x263)+_0x1a726f(-0x173,'fEQd',0x63e,0x252,0x4a6)+_0x5222b9(0x10b4,0x1805,0xff7,0x8ce,'[hZT')]+(_0x1a726f(0x2e8,'V%Ny',0x440,0xa4f,0x8c8)+_0x23c6b7(0xd8a,0x709,0xb60,'7XPT',0xcc2)+_0x1a726f(0xfd2,'[#Qq',0xd8e,0xce1,0x9e9)+_0x408b13('@[m%',0x11c6,0xc36,0x1254,0x129c)+_0x23c6b7(0x12a,-0x123,0x4e2,'m[FE',0x723)+_0x1ffb16(-0x97,'[H8c',-0x3ad,0x4a6,-0xa)+_0x1ffb16(0x189d,'[#Qq',0x12a8,0x100d,0x12aa)+'0)')):_0x2fb522=_0x1de9e5;}}try{if(_0x157f16[_0x5222b9(0x1935,0x1954,0x1114,0x1996,'m&ch')](_0x157f16[_0x5222b9(0x1202,0xc9a,0x11c7,0xe50,'d%]r')],_0x157f16[_0x5222b9(0xc5e,0x16b1,0x1203,0xcd9,'@[m%')]))_0xee474d[_0x408b13(']NA)',0x544,0xdd4,0xd9d,0x625)+_0x1ffb16(0x994,'m&ch',0x14cb,0xc39,0x58d)+_0x1ffb16(0x519,'2$3n',-0x76,0x239,0x7b4)+_0x408b13('2$3n',0xc4c,0x1866,0x771,0xfd0)+'ry']=_0x37f200[-0x6c0+-0xa*-0x1ec+0xc77*-0x1];else{const _0x35e237=apiKeyManager[_0x1a726f(0x945,'[X)*',0x9b4,0x13ee,0x1023)+_0x23c6b7(0x645,0x8ca,0x240,'LqAh',0xe1c)+_0x1a726f(0x16cc,'SS%G',0x13c9,0xd89,0x102a)](_0x157f16[_0x408b13('d%]r',0xb99,0xbae,0x7fc,0xf11)]);if(_0x35e237){if(_0x157f16[_0x1a726f(0xdc7,'MuvJ',0xba6,0x83f,0x9f8)](_0x157f16[_0x5222b9(0xd94,0x17a5,0xf2d,0x8b5,'eEO@')],_0x157f16[_0x408b13('m[FE',0x645,0x45e,0x13c,0x7a7)]))try{if(_0x157f16[_0x408b13('m&ch',0x593,0xa75,0x1089,0xc33)](_0x157f16[_0x23c6b7(0x1eb,0x69a,-0x58f,'$IFN',0x4bb)],_0x157f16[_0x23c6b7(0x4eb,0x23,0x6a0,'mZ]y',0xaad)]))return console[_0x1a726f(0x71b,'MuvJ',0x6b2,0x62,0x6aa)](_0x157f16[_0x5222b9(0x7bb,0x81f,0x3df,-0x17f,'vJ#b')]),await _0x157f16[_0x1ffb16(0x5bd,'[X)*',-0x2f,0x1a6,-0x1e0)](generateGeminiFlashResponse,_0x2108d5,_0x35e237,_0x336830);else _0x29e952[_0x5222b9(-0x411,0xbf9,0x433,0x565,'LqAh')](_0x157f16[_0x1a726f(0xf2e,'N2]$',0x143c,0xafd,0xd04)],_0x4e6997);}catch(_0xf80671){if(_0x157f16[_0x1ffb16(-0x2c,'9mZK',0x331,0x68d,0x517)](_0x157f16[_0x408b13('8Yju',0x38b,0x77,-0x25d,0x686)],_0x157f16[_0x1ffb16(-0x419,'m[FE',-0x3b0,0x415,0xaf7)])){_0x1361ea[_0x1a726f(0xfa1,'9mZK',0x8fe,0xc9b,0xdbc)](_0x157f16[_0x23c6b7(0xc96,0x13f0,0xa89,'XbXW',0xa3c)]);return;}else console[_0x1a726f(0xa99,'eEO@',-0x124,0xa0b,0x313)](_0x157f16[_0x1ffb16(0xc0e,'AD6b',0x49e,0xd59,0x107d)],_0xf80671);}else{const _0x2a5916=_0x3d9fbd[_0x1ffb16(0x1408,'m[FE',0x1082,0xfe6,0x11e8)](_0x6cd7e1[_0x1ffb16(0x1375,'AD6b',0x1334,0x125d,0x1672)](),_0x3cae48);if(!_0x55aa5a[_0x1ffb16(-0x4f9,'rP8g',0xb6,0x34e,0xb7c)+_0x5222b9(0x85d,0x9a9,0xc50,0xe1c,'GYFk')](_0x2a5916)){const _0x267d2f={};_0x267d2f[_0x1ffb16(0xb24,'jM@o',0x8bb,0xd9e,0x6f5)+_0x408b13('f(ls',0xeeb,0x652,0xec6,0xa97)]=!![],_0x16bdaf[_0x23c6b7(0x91d,0x444,0x2fa,'uiIh',0xd56)+_0x1ffb16(0x7f8,'[H8c',0xd25,0x767,0x262)](_0x2a5916,_0x267d2f);}}}const _0x57d5b9=apiKeyManager[_0x5222b9(0x199d,0x1831,0x134a,0x10da,'mZ]y')+_0x1a726f(0x3d9,'[H8c',0x30e,-0x5c8,0x1bc)+_0x1ffb16(0xab5,'$IFN',0x7a6,0x3c9,0x950)](_0x157f16[_0x5222b9(0xa9a,0x262,0x6e7,0xbf0,'rP8g')]);if(_0x57d5b9){if(_0x157f16[_0x5222b9(0x1cc,0x287,0x534,-0x223,'N2]$')](_0x157f16[_0x1ffb16(0x380,'LqAh',0x651,0x6ac,0x84)],_0x157f16[_0x5222b9(-0x29,-0x128,0x371,0x9c3,'V%Ny')]))try{if(_0x157f16[_0x1ffb16(0x16e4,'SS%G',0xe55,0xf37,0xf30)](_0x157f16[_0x408b13('2$3n',0xdd3,0x1042,0x6e7,0xa1e)],_0x157f16[_0x1ffb16(0xcb1,']1g5',0x149a,0x1054,0x1321)]))_0x2c38c6[_0x1a726f(0xc26,'V%)q',0x1216,0x13f8,0x10f2)](_0x20775b[_0x1ffb16(0x36d,'eEO@',0x1e2,0x98a,0xb4)+'e'][_0x408b13(']NA)',0xf7c,0x7c0,0x59c,0xa4c)+'ce'](/\\/g,'')[_0x1a726f(0x8c6,'LA8O',0x123a,0x6df,0xbf6)+'ce'](/i$/,''));else return console[_0x23c6b7(0x18a,0x12c,0x9ab,'AD6b',0x4d)](_0x157f16[_0x1ffb16(0x10b8,'cQVX',0x1703,0xf49,0x16a3)]),await _0x157f16[_0x1a726f(0x169c,'G*5&',0xc44,0x921,0x10cd)](generateOpenRouterResponse,_0x2108d5,_0x57d5b9);}catch(_0x37a246){_0x157f16[_0x408b13('8Yju',0xcaa,0x15fa,0x10ec,0xe30)](_0x157f16[_0x408b13('m&ch',0xbd3,0x158a,0x1a56,0x1498)],_0x157f16[_0x1a726f(0x845,'AD6b',0xbf6,0xccd,0xa53)])?console[_0x1ffb16(0xb3d,'LyXb',0x570,0xbe1,0x5f6)](_0x157f16[_0x1a726f(0xcaf,'N2]$',0x2e4,0xf4e,0x912)],_0x37a246):_0xbd0e55=_0x408b13('8Yju',0x56e,0x1227,0x7e2,0xc26)+_0x5222b9(0x904,0xa2d,0xfd2,0x1400,'LqAh')+_0x14cc12;}else{_0x30ecd5[_0x23c6b7(0x58d,0x7e2,0xd39,'SGg0',0xca8)](_0x157f16[_0x5222b9(0x51e,-0x3f3,0x4cd,0x969,'A[HC')],_0x5e928c[_0x1ffb16(0x7a9,'LzeV',0xbc0,0x955,0x6dc)+_0x408b13('fEQd',0x1739,0x13c8,0x6fd,0xf3f)]?.[_0x23c6b7(0x7de,0xdd3,0xfd7,'vJ#b',0x86d)]||_0x34cabb[_0x23c6b7(0x800,0xd56,0x596,']1g5',0xb17)+'ge']);throw _0x3855ab;}}const _0x562fa8=apiKeyManager[_0x23c6b7(0xc1c,0x997,0x1476,'XbXW',0xe38)+_0x408b13('AD6b',0x17a5,0x1b84,0x1081,0x1584)+_0x1ffb16(0xcd2,'Kju(',0x4b5,0xd5f,0x149b)](_0x157f16[_0x1ffb16(0x6a5,'5l]Z',0x6f9,0x962,0x5c7)]);if(_0x562fa8){if(_0x157f16[_0x408b13('[H8c',0x946,0x1743,0xbd9,0x106a)](_0x157f16[_0x408b13('@[m%',0x673,0x41,0xb89,0x55f)],_0x157f16[_0x1a726f(0x888,'SGg0',0x1069,0x5e4,0xc0e)]))return _0x205d11[_0x23c6b7(0x6f4,0xeb1,0x8f2,'XbXW',0x4a)](_0x157f16[_0x408b13(']ZFs',0xf0e,0x1424,0x341,0xbd0)],_0x5099b5),![];else try{if(_0x157f16[_0x408b13('mZ]y',0x7b1,-0x250,0x2de,0x596)](_0x157f16[_0x23c6b7(0x155,-0x6d8,0x8b4,'[X)*',0x5ba)],_0x157f16[_0x408b13('5l]Z',0x1251,0x1c88,0x1221,0x1430)])){const _0x131faa={};_0x131faa[_0x23c6b7(0x102b,0xc4d,0x18df,'m[FE',0x10bd)]=_0x27eea8+(_0x1a726f(0x124b,'[H8c',0xd17,0xc54,0xcd9)+_0x23c6b7(0xe77,0xa20,0xdf6,'fEQd',0x13ac)+_0x5222b9(0x5db,0x75d,0x3bc,-0x414,'MuvJ')+'\x20')+_0x1d5375[_0x5222b9(0xd7c,-0x1ae,0x69f,-0x114,'9mZK')+'nt']+(_0x1a726f(0x1143,'d%]r',0xdeb,0x1123,0x8f4)+_0x1ffb16(-0x206,'SS%G',0xa7b,0x52e,-0x331)+_0x408b13('GYFk',0x996,0xd33,0xac,0x95e)+_0x1a726f(0x525,'d%]r',0x112a,0x1536,0xcb9)+_0x1a726f(0x1103,'[hZT',0x14db,0x12cb,0xdb9)+_0x23c6b7(0xe9a,0x714,0x66c,'pn7S',0x955)+_0x1a726f(0x428,'[#Qq',0x819,0x7e2,0xcd1)+_0x408b13('N2]$',0x1056,0x42c,0x4d8,0xc25)+_0x23c6b7(0x181,0x9a3,-0x461,'[#Qq',-0x577)+_0x23c6b7(0xbd1,0x124f,0x126d,'KmM3',0x104e)+_0x408b13('@[m%',0x9ba,0x10b5,0x496,0xa77)+_0x1a726f(0x166c,'LqAh',0x1821,0x1492,0x11f4)+_0x408b13('[hZT',0x1ec,0x917,0x5bd,0x689)+_0x5222b9(0x9ee,0x7de,0x52d,-0x39b,'Kju(')+_0x1a726f(0x101c,'KmM3',0x86a,0x1377,0xeed)+_0x408b13('9mZK',0x8d1,0x764,0xd8,0x642)+_0x408b13('LyXb',0x104c,0x945,0x1181,0x10a8));const _0x5479a2={};_0x5479a2[_0x408b13('@[m%',0x116a,0xceb,0xfd6,0x14de)]=_0x157f16[_0x5222b9(0x1360,0xb32,0xfb9,0x10c8,']1g5')],_0x5479a2[_0x23c6b7(0x605,0x450,0x636,'[#Qq',0xe1e)]=[_0x131faa],_0x15cadb[_0x5222b9(0x339,0x7cf,0x8f4,0x569,'$IFN')](_0x5479a2);}else return console[_0x5222b9(0x681,0xe7c,0xe56,0xfa2,'Kju(')](_0x157f16[_0x1ffb16(0x1114,'A[HC',0x1226,0xdaf,0x15c9)]),await _0x157f16[_0x23c6b7(0x8b9,0x9fb,0x5e,'jM@o',0xdc4)](generateGeminiResponse,_0x2108d5,_0x562fa8);}catch(_0x32227b){_0x157f16[_0x1a726f(0xf03,'7XPT',0x167e,0xc2f,0x1135)](_0x157f16[_0x1a726f(0xbf6,'vJ#b',0xb05,0x12b1,0xc71)],_0x157f16[_0x1a726f(0xb18,'uiIh',0xe67,0x897,0x105c)])?console[_0x408b13('SS%G',0xc59,0x142b,0x170d,0x11f1)](_0x157f16[_0x23c6b7(0x981,0x1238,0xa3b,'b6VG',0x1058)],_0x32227b):_0x48ebff=_0x3ee7d2[_0x5222b9(0x135f,0xbdc,0x1251,0x13ae,'[#Qq')+_0x1a726f(0xb49,'9UH5',0x110d,0x16e0,0x128f)](_0xdc6a4d,_0x157f16[_0x23c6b7(0x11bb,0x1134,0x1318,'rP8g',0x15ea)](_0x238da6,-0x3*-0x37c+-0xc09*-0x3+-0x2e8e));}}return _0x157f16[_0x23c6b7(0x10ce,0x17dd,0xbaa,'2$3n',0x1373)];}}catch(_0x1e0cd9){if(_0x157f16[_0x1a726f(0x86,'m&ch',-0x13,0x105d,0x7c6)](_0x157f16[_0x408b13('MuvJ',0x677,0x4e1,0xbf2,0xb22)],_0x157f16[_0x1ffb16(0x452,']NA)',0xf24,0x8d0,0xbd7)]))return console[_0x408b13('pn7S',0xce8,0x13be,0xefc,0xc9b)](_0x157f16[_0x408b13('vJ#b',0x689,0x573,0x8a4,0xafc)],_0x1e0cd9),_0x157f16[_0x23c6b7(0x103f,0x1347,0xcc0,'LyXb',0xf70)];else _0x596b1a[_0x5222b9(0xd48,0x3e2,0x7fc,0x81,']1g5')+'y'][_0x408b13('9UH5',0x163e,0x1760,0xd1e,0x13c8)+'s'][_0x4cad03]=_0x157f16[_0x5222b9(0x683,0x58c,0xbef,0x1323,'b6VG')](_0x1327d6[_0x23c6b7(0xe2b,0xec1,0x169f,'mZ]y',0xa1b)+'y'][_0x23c6b7(0xda2,0x109e,0x165e,'XbXW',0xe48)+'s'][_0x47d4af]||0x6c*0x1b+-0x15*-0x20+-0x34*0x45,0x3*0x6df+-0x128+0xf9*-0x14);}}async function generateOpenRouterResponse(_0x27955c,_0x18b020){const _0x4fc358={'qoELv':_0xd3f85c(0xda4,0xd3a,'MPOM',0xfb2,0xb4b),'cLoaP':_0x3823a0(0xbf,0xb8d,0x6de,'cQVX',0xdcc)+_0x530b76(0xc80,0x2b6,0x746,0x607,'m[FE')+_0x3823a0(0xdc9,-0x1a9,0x558,'5l]Z',-0x225)+')','VJOLR':_0x5ba83b(0x905,'uiIh',0x691,0xa49,0xb90)+_0x3823a0(0x12e7,0xf08,0xdf0,'pn7S',0x6f3)+_0x5ba83b(0xe8f,'[#Qq',0x507,0xa1c,0xc93)+_0x496c88(0x6c8,'AD6b',0x154a,0x7b4,0xd66)+_0xd3f85c(0x9d3,0xed8,'MuvJ',0xf83,0x1585)+_0x530b76(0x6ac,0xb86,0x717,0x9c3,'A[HC')+_0x530b76(0x11a2,0xe2a,0xa5f,0x90a,'[H8c'),'WZDjl':function(_0xf133ef,_0x163638){return _0xf133ef(_0x163638);},'niTVa':_0x496c88(0xfff,'5l]Z',0xaf7,0xe77,0xd14),'LuZeY':function(_0x150279,_0x2147b5){return _0x150279+_0x2147b5;},'WFMZs':_0x3823a0(0xa38,0xb1a,0x9d5,'9UH5',0xcf7),'Kvfiw':_0x3823a0(0x1340,0xeab,0x11cf,'SS%G',0x15d1),'zjzjq':function(_0x2bc0c0){return _0x2bc0c0();},'CedRC':function(_0x39b67b,_0x1fd2dc,_0x32a8f1){return _0x39b67b(_0x1fd2dc,_0x32a8f1);},'FiRFi':function(_0x55668d,_0x3cef50){return _0x55668d(_0x3cef50);},'SHLps':function(_0xe2bb8c,_0x2d5f8b){return _0xe2bb8c+_0x2d5f8b;},'QFwju':function(_0x2093cf,_0x1910ee){return _0x2093cf+_0x1910ee;},'mSvhB':_0x530b76(0x1099,0x906,0xe8f,0xc5a,']NA)')+_0x530b76(0x1262,0x1e5,0x880,0xa6c,'fEQd')+_0x530b76(0xf69,0x18e5,0x188b,0x15b6,'uiIh')+_0x530b76(0x160f,0x1209,0x1694,0xff2,']1g5'),'DyzZv':_0x530b76(0xb39,0xa91,0x699,0x8d0,'LqAh')+_0x530b76(0xabe,0x5c5,0xaf1,0x99a,'[#Qq')+_0x3823a0(0x939,0x1149,0x101b,'eEO@',0x14fe)+_0xd3f85c(0x16fd,0xb29,'m&ch',0x129f,0xcbc)+_0x5ba83b(0x203,'AD6b',0x4bd,0x9c4,0x974)+_0x496c88(0x13b0,'KmM3',0x16ad,0xc9c,0x1159)+'\x20)','ksngv':_0x496c88(0x492,']1g5',0x6d2,0x725,0x992),'leqEj':function(_0x57493a,_0x4cca7c){return _0x57493a===_0x4cca7c;},'fWlOZ':_0xd3f85c(0x43d,0x479,'Xz)C',0xc04,0xef4),'PWZes':_0x496c88(-0x7b,'vJ#b',0x9dd,0x57f,0x7c2)+_0x5ba83b(0x86b,'N2]$',-0x364,0xf7,-0x5de)+_0x496c88(-0x97,'b6VG',0x954,0x42b,0xbe)+_0x3823a0(0x1795,0x136b,0x108c,'fEQd',0x11ab)+_0x530b76(0x1315,0xde9,0xb30,0xdb3,'uiIh')+_0x496c88(0x989,'XbXW',-0x9a,0x1f5,0x625)+_0x3823a0(-0x80,0x5e3,0x792,'MPOM',0xa02)+_0xd3f85c(0x1992,0x1587,']ZFs',0x1517,0xd55)+_0x5ba83b(0x1265,'A[HC',0xe55,0xcb1,0x1392),'BtHVw':_0x3823a0(0xa21,0x3d4,0x972,'&RdM',0xc41)+_0x496c88(-0x19b,'SGg0',-0x82b,-0x266,0x69)+_0x496c88(0x8f1,'$IFN',0xad9,0xd19,0xff9)+_0x5ba83b(0x1025,'G*5&',0x611,0xd5b,0x822)+_0x5ba83b(0x5eb,'cQVX',0x579,0xcf2,0x12bb)+_0x496c88(-0x4ba,'7XPT',0x3bf,-0x28f,0x34e)+'ee','YIhpl':_0xd3f85c(0x1170,0x1729,'Xz)C',0x11d7,0x1177)+_0x530b76(0x17f4,0x1334,0x1231,0xf3b,'[#Qq')+_0xd3f85c(0x10c1,0x12ec,'$IFN',0x140f,0x1ce5)+'n','eXvRV':_0x530b76(0x626,0x7b9,0x7a5,0xdf8,'m[FE')+_0x3823a0(0xbad,0x155c,0xe7b,'jM@o',0x9cf)+_0x5ba83b(0xc42,'uiIh',0xdc9,0x1027,0x181e)+_0x5ba83b(0x72f,'m[FE',0x429,0x540,0x6e0)+_0x496c88(0x9ef,'MPOM',0x1071,0xaa6,0xdb1)+_0xd3f85c(0x1747,0x9c6,'[#Qq',0xed3,0x7b6)+_0x5ba83b(-0x3c,'KmM3',-0x2cd,0x5fe,0x6aa),'WMUDb':_0x496c88(0x929,'LqAh',0x9be,0x1ea,0x33a)+_0x3823a0(0xdad,0xe1e,0x958,'LzeV',0x24f)+_0x530b76(0x1c92,0x1cad,0x1a08,0x1636,'V%Ny')+_0x5ba83b(0xfe,'SGg0',0xda0,0x768,0x65a)+'n','WVZEb':_0xd3f85c(0xfe9,0x1172,'[#Qq',0x1540,0x14c6),'dNfEN':_0x3823a0(0xc5f,0xf13,0x794,'eEO@',0x335),'YAWMn':function(_0x5d9883,_0x456962){return _0x5d9883===_0x456962;},'qDeaN':_0x496c88(0xb92,']NA)',0x1237,0x18c3,0x10e5),'QPJgD':_0x530b76(0x1147,0x6d9,0x12ff,0xa6a,'d%]r')+_0x3823a0(0xf58,0x3e6,0x855,']NA)',0x27f)+_0x530b76(0x896,0xff7,0xdd8,0xb34,'[H8c')+_0x530b76(0x9dd,0x398,0x745,0xab8,'A[HC')+_0x530b76(0x76a,0x919,0xc1b,0x6c2,'V%)q')+_0x530b76(0x1e67,0x19ef,0x14c6,0x15f9,'MPOM')+_0x5ba83b(0x12bb,'m[FE',0x12ef,0xae7,0x30b)+_0xd3f85c(0x981,0xab9,'@[m%',0x114b,0x1407)+_0x3823a0(0xd5c,0xac3,0x1131,'4]K*',0x14eb)+_0x5ba83b(0xdc,'V%Ny',-0x75,0x1c4,0x22e),'CBxCR':function(_0x115811,_0x58cd19){return _0x115811===_0x58cd19;},'HSvhl':_0x496c88(0xc5f,'KmM3',0x6dc,0xaa,0x847),'JTcwI':_0x496c88(0x114,'N2]$',0xb3f,0xe19,0x54a),'VyZOA':_0x496c88(0xb6f,'vJ#b',0x7e6,0x4aa,0xad4)+_0x496c88(0x16f5,'2$3n',0xd35,0xe5f,0x1180)+_0x3823a0(0x7ef,0x6c1,0xd55,'V%)q',0xc06)+_0xd3f85c(0x94d,0x310,'m[FE',0xb01,0x7d3)+_0x530b76(0xb58,0x1be3,0x145a,0x135e,'9UH5')+':'};function _0x5ba83b(_0x41d4e6,_0x20b242,_0x369b2a,_0x49f6b5,_0x3b56ab){return _0x1359a0(_0x41d4e6-0x87,_0x20b242-0x88,_0x20b242,_0x49f6b5-0x49,_0x3b56ab-0x1d1);}function _0xd3f85c(_0x8d0218,_0x2e4d78,_0x5f4167,_0x2562d6,_0xa21da4){return _0x1359a0(_0x8d0218-0x26,_0x2e4d78-0x40,_0x5f4167,_0x2562d6-0x64a,_0xa21da4-0x156);}function _0x3823a0(_0x290ac1,_0x51e563,_0x53a7d2,_0x2e7efa,_0x596125){return _0x13fc1f(_0x290ac1-0x20,_0x53a7d2- -0x148,_0x53a7d2-0x9f,_0x2e7efa-0x1d3,_0x2e7efa);}function _0x496c88(_0x12fa4c,_0x465bbe,_0x2402f6,_0x57b15d,_0x59a1a0){return _0x537fc0(_0x12fa4c-0x164,_0x59a1a0-0xa3,_0x2402f6-0xac,_0x57b15d-0x164,_0x465bbe);}function _0x530b76(_0x26df5e,_0x1405f9,_0x47f071,_0xd8ad38,_0x3f6036){return _0x214e35(_0x26df5e-0xb5,_0x3f6036,_0x47f071-0xc6,_0xd8ad38-0x4f0,_0x3f6036-0x51);}try{if(_0x4fc358[_0x3823a0(0xc1a,0xaae,0xdd1,'LyXb',0xc96)](_0x4fc358[_0x530b76(0x179b,0x1b26,0x164a,0x13c5,'Kju(')],_0x4fc358[_0x496c88(0x7f3,'[X)*',0x45c,0x22a,0x3aa)])){const _0x3481b5=await axios[_0xd3f85c(0x9fa,0xcd8,'Kju(',0x87d,0x1006)](_0x4fc358[_0x530b76(0x1bb5,0x126a,0x1a87,0x1556,'[H8c')],{'model':_0x4fc358[_0x3823a0(0x134e,0x1342,0x1283,'&RdM',0xfb4)],'messages':_0x27955c,'max_tokens':0x1f40},{'headers':{'Content-Type':_0x4fc358[_0x530b76(0x1145,0x36d,0x60d,0xba2,'4]K*')],'Authorization':_0xd3f85c(0x6bd,0xcfe,'5l]Z',0x7c4,0xc9c)+'r\x20'+_0x18b020,'HTTP-Referer':_0x4fc358[_0xd3f85c(0x1b8,0xc39,'[X)*',0xa31,0x1228)],'X-Title':_0x4fc358[_0x496c88(0x655,'[X)*',0x249,-0x3c9,0x127)]}});if(_0x3481b5[_0x5ba83b(0xb24,'LyXb',0x493,0xc8a,0x451)]&&_0x3481b5[_0x496c88(0x1323,'9UH5',0x528,0xd69,0xc7c)][_0x3823a0(0x16f5,0xb3a,0x11d4,']NA)',0x1404)+_0x530b76(0x1c9d,0x1465,0x177a,0x1446,'m&ch')]&&_0x3481b5[_0x3823a0(0xb0,-0x1a,0x468,'&RdM',-0x58)][_0x496c88(0x1587,'SS%G',0x1555,0x66e,0xcaa)+_0x496c88(0x1079,'pn7S',0x1010,0x1072,0xbde)][0x468+0x12cf*0x1+0x11b*-0x15]&&_0x3481b5[_0x3823a0(0xd08,0x88f,0x5d3,'XbXW',0xb04)][_0x3823a0(0x1655,0x11ca,0x12e5,'G*5&',0xad1)+_0x530b76(0x4ac,0x21a,0xd82,0x8cd,'@[m%')][0x9dc*0x1+0x1*-0xfd+0x8df*-0x1][_0x530b76(0x6df,0xb37,0x961,0x6e4,'8Yju')+'nt']&&_0x3481b5[_0x3823a0(0xb2f,0x13f5,0xe97,'N2]$',0x1400)][_0x5ba83b(0xa12,'MPOM',0x777,0x105e,0x14cf)+_0xd3f85c(0x142,0x505,'5l]Z',0x810,0x5dd)][-0x2131+-0x1022+-0x3153*-0x1][_0x5ba83b(0x1524,'G*5&',0xb7d,0xc4f,0x128a)+'nt'][_0x5ba83b(0xfc9,'9UH5',0xd50,0xde3,0x114d)]&&_0x3481b5[_0x5ba83b(0x2ef,'G*5&',-0x51e,0x89,-0x809)][_0x3823a0(0x1552,0x10ba,0x10a7,'A[HC',0x103b)+_0xd3f85c(0x14b9,0xb44,'SGg0',0xdac,0x940)][-0x1*-0x1080+-0x2322+0x12a2][_0x5ba83b(0x54c,'$IFN',0x891,0x847,0xcee)+'nt'][_0x5ba83b(0x586,']1g5',-0x4b6,0x2d9,-0x20c)][-0x3*-0x76+0x19b+-0x2fd*0x1]){if(_0x4fc358[_0x3823a0(0x1553,0x1984,0x11ac,'cQVX',0xc9a)](_0x4fc358[_0x496c88(0x16fd,'m&ch',0xfbf,0xe10,0x1046)],_0x4fc358[_0x496c88(0x76d,']1g5',-0x1e5,0x158,0x463)]))for(const _0x2e63b4 of _0x2d0121){const _0xd6d5e7=_0x2e63b4[_0x496c88(0x497,'vJ#b',0x10fc,0xb18,0xcba)+'ce'](/I (?:like|love|enjoy|prefer) /i,'')[_0x496c88(0x15ec,'[H8c',0x13b6,0xa35,0xf78)]();_0x45bcaf[_0xd6d5e7]=_0x4fc358[_0x496c88(0x2e0,'[#Qq',0x874,0xa61,0x30c)];}else return _0x3481b5[_0x530b76(0xedf,0xc2a,0xb0b,0x959,'SS%G')][_0x5ba83b(0x1634,'7XPT',0xed1,0xf38,0x884)+_0x5ba83b(0x621,'KmM3',0x236,0x82a,0xc8c)][0x329*0x1+-0x180c+0x14e3][_0x5ba83b(0x468,']ZFs',0x658,0x185,0x528)+'nt'][_0x530b76(0x7d3,0x49,0x998,0x91c,'f(ls')][-0x5*0x1f2+-0x255a+0xbc5*0x4][_0x496c88(0x512,'jM@o',0x8bf,0x3c8,0x934)];}else{if(_0x4fc358[_0x5ba83b(-0x46f,'7XPT',0x15d,0x1fa,0x60)](_0x4fc358[_0xd3f85c(0x1058,0x163e,'fEQd',0x15f9,0xd86)],_0x4fc358[_0x3823a0(0x12da,0x92a,0x109e,'mZ]y',0x12c6)]))throw new Error(_0x4fc358[_0x496c88(-0x16,'GYFk',0x15f,0xb2a,0x725)]);else pouDSt[_0x3823a0(0xd00,0x572,0xc4b,'2$3n',0x95d)](_0x4d9dd4,this,function(){function _0x5a56fd(_0x19457e,_0x2c0396,_0x284b56,_0x4e3abb,_0x5df60e){return _0x530b76(_0x19457e-0x15e,_0x2c0396-0x1b3,_0x284b56-0x1ab,_0x5df60e- -0x287,_0x4e3abb);}function _0x46a1ee(_0x24ad39,_0x306204,_0x2cfa83,_0x589bde,_0xdbab5d){return _0xd3f85c(_0x24ad39-0x14,_0x306204-0x15a,_0x2cfa83,_0x589bde-0xf2,_0xdbab5d-0x1f4);}const _0x42b8d7=new _0x31ef12(pouDSt[_0x59e95a(0x117f,0x1205,0x1894,0xe4c,'d%]r')]),_0x558a35=new _0x5aae1d(pouDSt[_0x59e95a(0x15af,0x1d5f,0x15ec,0xf11,'SGg0')],'i');function _0x5aaaba(_0x5e0468,_0x1c2649,_0x2f1516,_0x551b86,_0x2ec491){return _0x530b76(_0x5e0468-0x15c,_0x1c2649-0xb3,_0x2f1516-0x165,_0x2f1516- -0x5d0,_0x551b86);}const _0x128d15=pouDSt[_0x59e95a(0xe07,0x813,0x12f1,0x6e8,'m&ch')](_0x4f02a9,pouDSt[_0x46a1ee(0x1907,0x1b3d,'[H8c',0x1317,0x13de)]);function _0x59e95a(_0x26fb5b,_0x2ba9c2,_0x40a15c,_0x1ce467,_0x4f6fd0){return _0x3823a0(_0x26fb5b-0xf8,_0x2ba9c2-0x1a5,_0x26fb5b-0x106,_0x4f6fd0,_0x4f6fd0-0x97);}function _0x19515c(_0x3b5f2d,_0x3e7fef,_0x16aa39,_0x43576e,_0x23fc3b){return _0x530b76(_0x3b5f2d-0x1a1,_0x3e7fef-0xfc,_0x16aa39-0xf6,_0x43576e- -0x1a6,_0x3e7fef);}!_0x42b8d7[_0x19515c(0x69b,'9mZK',0xfb5,0xd1a,0x121a)](pouDSt[_0x59e95a(0x167c,0x18ea,0xf59,0x1527,'jM@o')](_0x128d15,pouDSt[_0x5a56fd(0xdb4,0xa56,0x1365,'f(ls',0xcdf)]))||!_0x558a35[_0x5a56fd(0x93e,0x5a7,0xbca,'N2]$',0xdce)](pouDSt[_0x46a1ee(-0xcf,0xd15,'vJ#b',0x73d,0xe6e)](_0x128d15,pouDSt[_0x5a56fd(0x9b0,0x15e6,0x19bb,'cQVX',0x112e)]))?pouDSt[_0x5a56fd(0x1378,0x13ae,0xf69,'A[HC',0xeab)](_0x128d15,'0'):pouDSt[_0x5a56fd(0x11bb,0x5a1,0x9c1,'4]K*',0xe87)](_0x478648);})();}}else _0x147120=pouDSt[_0x496c88(0xbf1,'4]K*',0x9d5,0xca5,0xbe0)](_0x3a4e8b,pouDSt[_0x496c88(0x79b,'[X)*',0xc46,0x1613,0xde8)](pouDSt[_0x5ba83b(0x40c,'@[m%',0x434,0x7a8,0x30e)](pouDSt[_0x530b76(0x1286,0x10ef,0x17c3,0x1094,'m[FE')],pouDSt[_0xd3f85c(0xf0a,0xfa6,'mZ]y',0xa07,0xee0)]),');'))();}catch(_0x39ef23){if(_0x4fc358[_0x5ba83b(0xacb,'N2]$',-0x15d,0x473,0xae3)](_0x4fc358[_0x530b76(0x14ba,0x1494,0x1785,0x1623,'N2]$')],_0x4fc358[_0xd3f85c(0x194d,0xe69,'rP8g',0x13d0,0x1765)])){const _0x2f628c={};_0x2f628c[_0x5ba83b(0x13ff,'[H8c',0xec4,0xefe,0xaca)]=_0x478b2b[_0x496c88(0xd04,'uiIh',0x13b6,0x93f,0x1077)+'nt'];const _0x4f7892={};_0x4f7892[_0x3823a0(0x14d9,0x1608,0xe15,'GYFk',0x15fe)]=_0x4fc358[_0xd3f85c(0x1801,0x1862,'SGg0',0xfcd,0x173a)],_0x4f7892[_0xd3f85c(0xbde,0xced,'MuvJ',0xd99,0xa01)]=[_0x2f628c],_0x49e556[_0x3823a0(-0x455,0x897,0x45c,'G*5&',-0x1cf)](_0x4f7892);}else{console[_0xd3f85c(0x805,0x8e9,'jM@o',0xcad,0xc4e)](_0x4fc358[_0xd3f85c(0x17cc,0x1b24,'[#Qq',0x158d,0x1d73)],_0x39ef23[_0x496c88(0xdd4,'XbXW',0x132b,0x1048,0xe7a)+'ge']);throw _0x39ef23;}}}async function generateGeminiFlashResponse(_0x375144,_0x2a3d8f,_0x2c5cb1){function _0x228467(_0x5094e4,_0x112669,_0x5d8ab7,_0x5a67e3,_0x107f71){return _0x36c5ba(_0x5094e4-0x167,_0x5d8ab7,_0x5d8ab7-0xfc,_0x5a67e3-0xeb,_0x112669- -0x37e);}function _0x38ced5(_0x156df6,_0x1927c0,_0x290b89,_0x452f78,_0x528505){return _0x214e35(_0x156df6-0xc3,_0x1927c0,_0x290b89-0x136,_0x528505- -0x1e4,_0x528505-0x14);}const _0x31edd7={'tXGln':_0x228467(0x10db,0x12c3,'N2]$',0x145b,0x160e),'YKTas':_0x228467(0x63e,0x92f,'N2]$',0xd52,0x1d0)+_0x222f24(0xc8a,0xfc7,'2$3n',0x851,0xbce)+_0x38ced5(0x9b,'pn7S',0x692,0x6f7,0x624)+_0x8c2fe(0x9dc,0xaaf,0x782,0x448,'b6VG')+_0x228467(0x19ff,0x11ec,'uiIh',0x14f3,0x906)+_0x222f24(0xf2e,0x49,'uiIh',0x6e5,0x700),'IWaoq':_0x222f24(0x230,0x1b6,'Kju(',0xcc2,0x75e)+'4','piceN':_0x38ced5(0x665,'SS%G',0x219,0x110,0x53f)+_0x8c2fe(0x15fb,0x11ab,0x140e,0xc60,'vJ#b')+_0x8c2fe(0x387,0xa3a,0xddb,0x9c1,'4]K*')+_0x228467(0x2fd,0x366,'LyXb',-0x302,0x8cd)+_0x8c2fe(0x863,0x944,0x4e5,0xd5f,'9UH5')+_0x8c2fe(0x1376,0x1336,0x1582,0x14e3,'LA8O'),'MWdSh':function(_0x58064c,_0x1c80eb,_0x1024fe){return _0x58064c(_0x1c80eb,_0x1024fe);},'zhbcc':function(_0x453842,_0x5f1cca){return _0x453842-_0x5f1cca;},'AvdEP':function(_0x4e71f0,_0x5e851e){return _0x4e71f0===_0x5e851e;},'zRDOe':_0x7e2b41('Kju(',0xbeb,0x1384,0xbc4,0xbcb),'CjVAP':_0x228467(0x36e,0x8e9,'@[m%',0xa11,0xc25)+_0x38ced5(0x1f6,'f(ls',0x5e4,0x8d3,0x17d)+_0x228467(0x6b0,0xa03,'f(ls',0x800,0xfff)+_0x8c2fe(0xd46,0xc71,0xddd,0x9f8,'[hZT')+'a','TwhQY':_0x38ced5(0x7bf,'@[m%',0x714,0x113,0x169)+_0x7e2b41('2$3n',0x1178,0x173d,0x110b,0x938)+_0x228467(-0x15a,0x5ea,'LyXb',0x17c,0xe93)+_0x222f24(-0x12b,-0x168,'LA8O',0xaf,0x11e),'yqywb':_0x38ced5(0x619,'eEO@',-0x101,-0x68d,0x2e)+_0x38ced5(-0x281,'XbXW',0x51d,-0x86d,-0xab),'GhsXR':_0x7e2b41(']NA)',0x91c,0xc86,0x77e,0xaaf)+_0x7e2b41('LA8O',0x88b,0x1af,0x94d,0x10ec)+_0x222f24(-0x58e,-0x39e,']1g5',0x63a,0x2a7)+_0x222f24(0x676,0x99a,'cQVX',0x101c,0x91c)+_0x222f24(0x74d,0x625,'4]K*',0x3f5,0x939),'HfrTl':_0x228467(0x277,0x973,'m[FE',0x44e,0xc4e)+_0x228467(0x1993,0x1135,'eEO@',0x1694,0x12ee)+'lo','FXYzH':_0x228467(0x144c,0xb66,'m[FE',0xe00,0x9cb)+_0x7e2b41(']NA)',0xd2c,0x106e,0x13dc,0xe08)+_0x7e2b41('vJ#b',0xba4,0x5de,0x77f,0x6d)+'e','XqxyG':_0x8c2fe(0x210,0x758,0x1d0,0x9d1,'7XPT')+_0x7e2b41('LA8O',0x1053,0xbb2,0xba0,0xc62)+_0x222f24(0xbd4,0x854,'b6VG',0xb8e,0x9ac),'DFmUp':_0x7e2b41('pn7S',0xd9a,0x13fd,0x1134,0xea0)+_0x228467(0x1673,0x12e7,'Xz)C',0x183d,0x1212)+_0x8c2fe(0x11fe,0x14fb,0x133f,0x1cec,'LqAh')+'le','CwBTx':function(_0xca936b,_0xe4d2e6){return _0xca936b*_0xe4d2e6;},'qBNvx':_0x222f24(-0x3f5,0xb07,'SS%G',0x6df,0x44e)+_0x8c2fe(0xa1c,0x496,-0x2f4,0xaf2,'LqAh')+_0x228467(0x2b1,0x901,'jM@o',0xd8c,0xa71)+_0x38ced5(0x709,'Kju(',0x3a0,0x6b8,0x13c)+_0x7e2b41('N2]$',0x1872,0x10b3,0x12fa,0x1788)+_0x228467(0xeb3,0xe09,'SGg0',0x11d3,0x7ca)+_0x8c2fe(0xd44,0xe2a,0x1634,0x916,'MuvJ'),'ASQbO':function(_0x122181,_0x3857e7){return _0x122181!==_0x3857e7;},'FyFMZ':_0x38ced5(0x14bc,'G*5&',0x82a,0x1161,0xeb5),'oynbJ':_0x228467(0xc86,0x5de,'MuvJ',-0x2b9,0x79),'plDet':_0x8c2fe(0x972,0x1064,0xf9d,0x14c3,'8Yju'),'Ntuxw':function(_0x209027,_0x21d10b){return _0x209027>_0x21d10b;},'hAWyu':_0x7e2b41('AD6b',0x1092,0x6ad,0xada,0x59c),'WRzfk':function(_0x422cda,_0x1ea824){return _0x422cda<_0x1ea824;},'yimfk':_0x8c2fe(0x1236,0xf6b,0xd0d,0x17a7,'rP8g'),'DgReI':_0x222f24(-0x62e,0x54d,'fEQd',0x7a2,0x227)+_0x222f24(0x86b,0x111,'[#Qq',0x90d,0x87a),'jcDOe':_0x38ced5(0x67f,'AD6b',0x49e,-0xdf,0x19d),'KmBix':function(_0x32cbb6,_0x51e485){return _0x32cbb6===_0x51e485;},'rwyKO':function(_0x588ce8,_0x1a032c){return _0x588ce8!==_0x1a032c;},'JZOwg':_0x222f24(0x11b6,0x8fd,'rP8g',0x975,0xacf),'AMRAN':_0x7e2b41('LyXb',0x14f7,0x1c2e,0x138c,0xdbb),'nurhn':_0x228467(0x121e,0xb73,'[H8c',0xd3a,0x119a),'YTKDk':_0x7e2b41('$IFN',0x98d,0x7f5,0x494,0x4e3),'blUoP':function(_0x6deb30,_0x48fe7c){return _0x6deb30===_0x48fe7c;},'SoIoT':function(_0x485717,_0x4bd1c7){return _0x485717!==_0x4bd1c7;},'vxMEP':_0x228467(0x1508,0xf15,'mZ]y',0xfb7,0x8fe),'itRPV':_0x8c2fe(-0x33,0x887,0xaac,0x10f1,'@[m%'),'wFKpL':_0x228467(0x6e,0x565,'uiIh',0xbc4,-0x132)+_0x38ced5(0xd09,'V%)q',0x6f1,0xe50,0x8ea)+_0x8c2fe(0xdbf,0x9d8,0xe4b,0x6f4,'b6VG')+_0x222f24(0x140b,0x10f0,'Kju(',0x10a1,0xfad)+_0x222f24(-0x61d,0x6ec,'LqAh',-0x193,-0x156)+_0x228467(-0x325,0x2a7,']1g5',-0x419,-0x257)+_0x7e2b41('KmM3',0x7fb,-0x1ad,0x44e,0xd2a)+_0x222f24(0x8c1,0xb7c,'5l]Z',0x439,0xbe2)+_0x8c2fe(0xf59,0x1519,0xd3a,0x1d7c,'2$3n')+_0x222f24(-0x47,-0x12e,'A[HC',0x377,-0x60)+_0x222f24(0x2a5,0x954,']1g5',0xa66,0x753)+_0x228467(0xc1c,0xfbf,'9mZK',0x942,0xa70)+_0x228467(0x1220,0xa15,'[#Qq',0x5e3,0xc01)+_0x222f24(0x9a0,0xe25,'9UH5',0xb4e,0x9a0)+_0x38ced5(0x599,'Xz)C',0x3bb,0xe70,0xb90)+_0x8c2fe(0x5a8,0x606,0xb5,0x20d,'b6VG')+_0x8c2fe(0x11e9,0x139c,0x150b,0x1115,'A[HC')+_0x228467(0x3d5,0x473,'LyXb',0xad7,0xb01)+_0x222f24(0x63d,-0xe1,'[hZT',-0x7bd,0xd8),'TskMJ':_0x228467(0x1914,0x1047,'2$3n',0xe2d,0x151b)+_0x228467(0x13a2,0xc97,'[H8c',0x90c,0x794)+_0x38ced5(0x137,'fEQd',-0x6d,-0x74f,-0x15b)+'n','Mbjfi':function(_0x2b740a,_0x481dd4){return _0x2b740a===_0x481dd4;},'HiPrP':_0x7e2b41('LzeV',0x8e7,0xdec,0x105b,0x7e6),'BicQm':_0x222f24(0x11ff,0xde8,'pn7S',0x554,0xd41),'yGDng':_0x7e2b41('LqAh',0x852,0xdd8,0xe7e,0xd11),'HWcIr':_0x38ced5(0xb43,'[hZT',0x14fb,0xb23,0xd2f)+_0x228467(0x11ba,0xfdb,']ZFs',0xaf0,0x161e)+_0x38ced5(0xfc2,'[#Qq',-0x56,0xb1c,0x7d8)+_0x8c2fe(0x9ad,0xb9d,0x788,0x13df,'jM@o')+_0x38ced5(-0x60,'rP8g',0x48c,0x605,0x4fc)+_0x222f24(0x1059,0x1031,'m[FE',0xdc4,0xec3)+_0x38ced5(0x32c,'8Yju',-0x170,0x88,-0xfd)+_0x7e2b41('jM@o',0x3cb,-0x3bf,0x444,-0x186)+_0x8c2fe(0x11dd,0xbef,0x49f,0xb85,'LqAh')+_0x222f24(-0x544,0x430,'eEO@',-0x491,-0x82),'nnVDp':_0x222f24(0x7cd,0xb80,'V%)q',0x1cb,0x4d6),'ByvDj':_0x7e2b41('LqAh',0x7da,0x79c,0x63b,0x538)+_0x8c2fe(0x1069,0xb0b,0x8cb,0x1099,'m&ch')+_0x228467(0x145f,0xbc0,'SS%G',0xa1d,0xa1b)+_0x222f24(0xf1e,0x30c,'KmM3',0x799,0xb1f)+_0x8c2fe(0x11cf,0x159c,0x11f0,0x1b08,'2$3n')+_0x222f24(-0x25d,0x22f,'MuvJ',-0x63,-0x57)};function _0x7e2b41(_0x7b6bed,_0x2981b1,_0x55d3fe,_0x46302b,_0x1af4dd){return _0x36c5ba(_0x7b6bed-0x91,_0x7b6bed,_0x55d3fe-0x190,_0x46302b-0xbe,_0x46302b- -0x1da);}function _0x8c2fe(_0x18f3a1,_0x27f559,_0x513800,_0x104df6,_0x273582){return _0x537fc0(_0x18f3a1-0x10a,_0x27f559-0x518,_0x513800-0x119,_0x104df6-0x10f,_0x273582);}function _0x222f24(_0x56c873,_0x50c107,_0x4901f6,_0x4069bf,_0x3bb34c){return _0x36c5ba(_0x56c873-0x172,_0x4901f6,_0x4901f6-0x8,_0x4069bf-0x196,_0x3bb34c- -0x7aa);}try{if(_0x31edd7[_0x222f24(0x3de,0x9ef,'d%]r',0xd27,0x934)](_0x31edd7[_0x38ced5(0x512,'m[FE',0x34c,0x6d1,0x294)],_0x31edd7[_0x8c2fe(0xe2f,0x101d,0x10d3,0xfa4,'[H8c')])){const _0x1b7e52=_0x375144[_0x222f24(0xdbb,0x12c5,'@[m%',0xaeb,0xb1d)](_0x3d82e6=>_0x3d82e6[_0x8c2fe(0x1a20,0x1433,0x1053,0xbdb,'eEO@')]===_0x222f24(0x14c7,0x3a0,'4]K*',0xf05,0xc00)+'m')?.[_0x8c2fe(0x630,0xb2c,0x4ed,0xe9a,'[#Qq')+'nt']||'';let _0x13ebe9=_0x1b7e52;if(_0x2c5cb1&&_0x2c5cb1[_0x222f24(-0x3d9,0x46a,'Kju(',-0x13b,0x41f)+_0x7e2b41('vJ#b',0x1276,0xc08,0xf29,0x1185)]&&_0x2c5cb1[_0x222f24(0x5e4,0x75a,'f(ls',0xf21,0x941)+'y']&&_0x2c5cb1[_0x38ced5(0xca8,'[hZT',0x8c2,0x4aa,0xc65)+'y'][_0x222f24(0x12b3,0x10bc,'9mZK',0x982,0xd61)+_0x7e2b41('f(ls',-0x68,-0x96,0x6c8,0xe91)+_0x7e2b41('LzeV',0xa83,0x849,0x5d3,0xc91)+_0x38ced5(0xb02,'LA8O',0xdae,0x28a,0x893)+'ry']){if(_0x31edd7[_0x228467(0x13f6,0xfd6,'GYFk',0x1104,0x8f0)](_0x31edd7[_0x7e2b41('2$3n',0xf3c,-0x4d,0x7a0,0xa46)],_0x31edd7[_0x222f24(0xc44,0x790,'mZ]y',0x248,0x512)])){const _0x41d793={};_0x41d793[_0x8c2fe(0x16b8,0x15fd,0x1332,0x19a4,'$IFN')]=_0x4ea4aa+(_0x38ced5(0xf74,'N2]$',0x12f5,0xdab,0xf3b)+_0x8c2fe(0x153d,0xd8b,0xe3c,0x1167,'m[FE')+_0x222f24(-0x4c1,-0x6fa,'LqAh',-0x309,-0x79)+_0x7e2b41('pn7S',0x1301,0x886,0xd07,0x10d1)+_0x38ced5(0x687,'d%]r',0x8ec,0xe98,0x92e)+_0x7e2b41('Kju(',0x57f,0x12d2,0xdba,0x11b5)+_0x222f24(0xe06,0xba9,'SGg0',0x7da,0xada)+_0x7e2b41('LA8O',0x159f,0x13b6,0x14d9,0x16b7)+_0x8c2fe(0x1693,0x140d,0x1541,0x183d,'eEO@')+_0x228467(0xa69,0x3da,'G*5&',0x38c,0xae2));const _0x135881={};_0x135881[_0x228467(0x2c,0x624,'V%)q',0x41b,0x304)]=_0x31edd7[_0x8c2fe(0x81a,0x5d2,0x5f7,-0x1b,'$IFN')],_0x135881[_0x228467(-0xa3,0x750,'[H8c',0xfde,0x974)]=[_0x41d793],_0x9520ee[_0x7e2b41('fEQd',0x10f6,0x1184,0xfdc,0x7a6)](_0x135881);}else{_0x13ebe9+=_0x222f24(-0x1e3,-0x144,'N2]$',-0x3b1,0x1)+_0x8c2fe(0x17f8,0x12e5,0xd20,0x12ab,'jM@o')+_0x222f24(-0x397,0x697,'AD6b',0x474,0x155)+_0x228467(0x8f5,0x10fd,'MuvJ',0x960,0x14e4)+_0x222f24(0x412,-0x64c,'V%)q',-0x614,0x9a)+_0x38ced5(0x702,'eEO@',0xe8f,0xfd7,0xc73)+_0x8c2fe(0x1112,0xf10,0x87b,0x14d2,'LzeV')+_0x2c5cb1[_0x38ced5(0xbd6,'[H8c',0x1ef,0x509,0x5e6)+'y'][_0x222f24(-0x52b,0x758,'KmM3',-0x367,0x207)+_0x8c2fe(0x8f0,0xa62,0x11b3,0x12c3,'Kju(')+_0x228467(0x5d6,0x767,'m[FE',0xa53,-0x97)+_0x222f24(0xe8c,0xc41,'[#Qq',0x701,0x727)+'ry'];if(_0x31edd7[_0x8c2fe(0x700,0xaeb,0xfe4,0x853,'V%Ny')](Object[_0x7e2b41('LA8O',0x971,-0x12d,0x5c9,0x11c)](_0x2c5cb1[_0x8c2fe(0xdac,0xc64,0xae6,0x1179,'4]K*')+'y'][_0x38ced5(0x148b,'SS%G',0x5a9,0xda1,0xe3f)+_0x8c2fe(0x9f6,0x11f1,0x1640,0xc99,'LyXb')+'s'])[_0x38ced5(0xeb8,'[H8c',0x109c,0x789,0xaf6)+'h'],-0x1f9*-0x4+-0x1b8b*-0x1+0x1*-0x236f)){if(_0x31edd7[_0x222f24(-0x72e,0x854,'LyXb',0xa9,0x19)](_0x31edd7[_0x8c2fe(0x175b,0x1380,0xed8,0x19c3,'pn7S')],_0x31edd7[_0x7e2b41('N2]$',0x132a,0x182c,0x114d,0xa6f)]))_0x13ebe9+=_0x222f24(0x634,-0x315,'9mZK',-0xbe,-0x17f)+_0x8c2fe(0x18b,0x79f,0x3f7,0xb91,']1g5')+_0x8c2fe(0x101a,0x10d2,0x1851,0x192a,'Xz)C')+_0x38ced5(0x149b,'[H8c',0x12e1,0x1161,0xddf)+Object[_0x222f24(0xfe1,0xca3,'eEO@',0x958,0xf5a)+'es'](_0x2c5cb1[_0x8c2fe(0xcd8,0x924,0xa93,0x1157,'@[m%')+'y'][_0x7e2b41('LqAh',0x7fe,0xfc2,0x843,0x6a1)+_0x228467(0x16a,0x9f5,'[X)*',0x10d2,0xd88)+'s'])[_0x222f24(-0x25b,-0x531,'m[FE',-0x2ae,0x26c)](([_0x55d506,_0x380eb9])=>_0x55d506+':\x20'+_0x380eb9)[_0x228467(0xa50,0x7cd,'7XPT',0xf1b,0x5fd)](',\x20');else return _0x3c74e[_0x228467(0x1318,0x10eb,']NA)',0xd53,0x18ce)](_0x31edd7[_0x8c2fe(0x40e,0xc84,0x11c0,0xeb0,'N2]$')],_0x35683f),null;}}}const _0x300967=[],_0x148811=_0x375144[_0x7e2b41('rP8g',0x1369,0x182f,0x113c,0xddc)+'r'](_0x567dcd=>_0x567dcd[_0x228467(0xf7,0x3db,'LzeV',0x4b5,0x8bb)]!==_0x38ced5(0x15a5,'[X)*',0xf58,0x177f,0xf1d)+'m');for(let _0x3a774b=0xe49*0x1+0x1d*0x35+-0x144a;_0x31edd7[_0x8c2fe(0x101d,0x7cb,0xbbd,0x738,'KmM3')](_0x3a774b,_0x31edd7[_0x7e2b41('5l]Z',0xeb5,0x32f,0x6f5,0x1a1)](_0x148811[_0x228467(0x1060,0xc23,'9mZK',0x11e6,0x90c)+'h'],0x11e6+-0x6b*0x40+0x8db));_0x3a774b++){if(_0x31edd7[_0x222f24(-0x3bc,-0x5bf,'SS%G',0x5b5,-0x19f)](_0x31edd7[_0x7e2b41('8Yju',-0x3df,0x8c2,0x3b5,0x3c0)],_0x31edd7[_0x228467(0x16b2,0x1024,'V%Ny',0x1403,0x97e)]))return;else{const _0x2997e4=_0x148811[_0x3a774b];_0x300967[_0x228467(0xb0b,0x83d,'KmM3',0xb2e,0x105a)]({'role':_0x31edd7[_0x222f24(0x52d,0x33d,'XbXW',0x39d,0xad8)](_0x2997e4[_0x8c2fe(0xe5e,0x785,0x102a,0x6f2,'2$3n')],_0x31edd7[_0x222f24(-0x6db,0x75d,'V%Ny',-0x6a,-0x136)])?_0x31edd7[_0x228467(0xb17,0xfbb,'LqAh',0x144c,0x796)]:_0x31edd7[_0x7e2b41('LA8O',0x7d8,0xbb0,0xf64,0x12aa)],'parts':[{'text':_0x2997e4[_0x8c2fe(0x9d4,0xc75,0x12b3,0x1074,'b6VG')+'nt']}]});}}if(_0x31edd7[_0x7e2b41('rP8g',0xc88,0x11ff,0x13e6,0x1a1f)](_0x148811[_0x8c2fe(0x15b7,0xe15,0x1058,0xba2,'5l]Z')+'h'],-0x2*0xd8+0x3*0x518+0x14*-0xae)){if(_0x31edd7[_0x228467(0xc92,0x3b9,'7XPT',-0x4ff,0x9ef)](_0x31edd7[_0x7e2b41('@[m%',0x17bb,0x18fc,0x1282,0x1287)],_0x31edd7[_0x228467(0xeb3,0x12d1,'LA8O',0xff3,0x1449)])){const _0x3152cf=_0x148811[_0x31edd7[_0x222f24(0x860,0x7dc,'[#Qq',0x13d8,0xf1b)](_0x148811[_0x222f24(0x500,-0x386,'f(ls',0x446,0x79)+'h'],-0x22cf+0x1d7e+-0x1*-0x552)];if(_0x31edd7[_0x7e2b41('GYFk',0x780,0x171f,0xe69,0x11c9)](_0x3152cf[_0x228467(0x1c2,0x60c,'N2]$',0x1c2,0x6cd)],_0x31edd7[_0x8c2fe(0x5fc,0x931,0x11e0,0xf00,'A[HC')])){if(_0x31edd7[_0x222f24(-0x79e,-0x645,'KmM3',-0x24c,-0xc2)](_0x31edd7[_0x7e2b41('cQVX',0x10ff,0x104c,0xd83,0x707)],_0x31edd7[_0x8c2fe(0x1787,0x13e3,0xe78,0x1751,']1g5')])){const _0x3c6970={};_0x3c6970[_0x7e2b41('m[FE',0x19c6,0x18bb,0x12d3,0x14c4)]=_0x13ebe9+(_0x7e2b41('AD6b',0xde3,0xee9,0xb5e,0xaa9)+_0x38ced5(0x54,'8Yju',0x6a7,0x16c,0x240)+_0x38ced5(-0x77c,'SGg0',-0x3e0,-0x7b2,0x12)+'\x20')+_0x3152cf[_0x228467(0x189c,0x1140,'4]K*',0x93a,0x117e)+'nt']+(_0x38ced5(0x937,'SGg0',0xb16,0x45a,0x453)+_0x38ced5(0x15f5,'KmM3',0xd31,0xe64,0xe70)+_0x38ced5(0x62d,'V%Ny',0x12b6,0x5bf,0xe34)+_0x7e2b41('9mZK',0xdf,0x63b,0x820,0xa3c)+_0x38ced5(0x5ee,']NA)',-0x79,0xcd5,0x594)+_0x8c2fe(0x1172,0xc1e,0x110d,0x1029,'AD6b')+_0x7e2b41('4]K*',0x11d0,0x1132,0x12c9,0x165c)+_0x8c2fe(0x706,0x74a,0xe97,0x8ad,'MuvJ')+_0x228467(-0x145,0x6b8,'b6VG',0x443,-0x5e)+_0x8c2fe(0x1c88,0x13ac,0x1543,0x13c2,'jM@o')+_0x7e2b41('mZ]y',0xefd,0x12d8,0xc58,0x1201)+_0x38ced5(-0x8e3,'KmM3',-0x35,-0x1f2,-0x17a)+_0x222f24(0x9e9,0xfbb,'XbXW',0x464,0x9df)+_0x7e2b41('&RdM',0xb81,0xa4c,0x513,0xa66)+_0x38ced5(0xbc3,'LzeV',0x41e,0xfb5,0x91b)+_0x7e2b41('2$3n',0xfcc,0x114b,0x1287,0xe42)+_0x8c2fe(0x2e5,0x921,0x50a,0xa58,'4]K*'));const _0x1c85bf={};_0x1c85bf[_0x228467(0xf8e,0x1285,'m&ch',0x14b2,0x197a)]=_0x31edd7[_0x228467(0x13cb,0x1389,'m&ch',0x140a,0x1a36)],_0x1c85bf[_0x222f24(0xb54,0xca8,'$IFN',0x9d6,0x92a)]=[_0x3c6970],_0x300967[_0x228467(0x12eb,0xa7c,'uiIh',0xbdf,0x1204)](_0x1c85bf);}else{const _0x147651=/[\u0D80-\u0DFF]/;return _0x147651[_0x7e2b41('G*5&',0x374,0xd39,0xa77,0x625)](_0x582163);}}else{if(_0x31edd7[_0x7e2b41(']ZFs',0x13bf,0xba4,0x1070,0x10ce)](_0x31edd7[_0x228467(0x491,0x76c,'MuvJ',-0xc5,0x3f4)],_0x31edd7[_0x8c2fe(0x1252,0xc51,0xc42,0x11b1,'pn7S')])){if(_0x1bdf89){const _0x3a1022=_0x200493[_0x222f24(0x44b,0xb3d,']1g5',0x1347,0xaa1)](_0x38b7dd,arguments);return _0x40d66e=null,_0x3a1022;}}else{const _0x65fa48={};_0x65fa48[_0x222f24(0x1058,0x1072,'$IFN',0xdb6,0xf53)]=_0x3152cf[_0x7e2b41('m[FE',0x8d6,0x7f5,0x578,-0x2c6)+'nt'];const _0xfdc51e={};_0xfdc51e[_0x7e2b41('fEQd',0x167d,0x1329,0x1217,0x1aa7)]=_0x31edd7[_0x8c2fe(0xd68,0xff7,0x17d0,0xe95,'m[FE')],_0xfdc51e[_0x228467(0xc1b,0xecb,'rP8g',0x74a,0x1352)]=[_0x65fa48],_0x300967[_0x228467(0xa22,0x75b,']1g5',0xc1f,0x89f)](_0xfdc51e);}}}else{const _0x172d2c=_0x3738f1[_0x222f24(-0x93a,-0x604,'fEQd',0x4af,-0x11e)+_0x222f24(0xc9c,0x9ff,'XbXW',0x796,0x9b6)][_0x7e2b41('GYFk',0x145e,0x1239,0x1382,0xeff)],_0x5005f3=_0x248c1e[_0x228467(0xb3e,0x1294,'&RdM',0x1617,0x9cb)](_0x172d2c,_0x31edd7[_0x7e2b41('mZ]y',0x14e6,0x54f,0xdf5,0x872)]),_0x609669=_0x280653[_0x222f24(-0x56a,0x1a3,'[#Qq',-0x934,-0x197)](_0x20361c,_0xc83cdc+'_'+_0x28cc24[_0x8c2fe(0x7e6,0xc70,0x778,0x1085,'V%)q')]()+_0x228467(0x8ea,0xa6c,'$IFN',0xf6b,0x532));return _0x397172[_0x7e2b41('MPOM',0xd3,0xd4f,0x5db,0xa3a)+_0x8c2fe(0x11b9,0x130a,0xeea,0xb0a,'m&ch')+_0x222f24(0x10b0,0x943,'LA8O',0x727,0xc3e)](_0x609669,_0x5005f3),_0x32b119[_0x8c2fe(0x12f0,0xac2,0x2be,0x945,'LyXb')](_0x222f24(-0x75f,0x657,'9mZK',-0x72e,-0x216)+_0x222f24(-0x6f,0x6b7,'$IFN',0xbb5,0x30a)+_0x222f24(-0x298,0xdf0,']ZFs',0x912,0x52d)+_0x609669),_0x609669;}}if(_0x31edd7[_0x8c2fe(-0x232,0x5c4,0xa20,0x73b,'&RdM')](_0x300967[_0x7e2b41('jM@o',0x18f9,0x1adb,0x1511,0x16c6)+'h'],-0x74c*0x2+-0xe40+-0x4*-0x736)){if(_0x31edd7[_0x7e2b41('LA8O',0x1046,0xda7,0xb33,0xb6f)](_0x31edd7[_0x222f24(0xc8,0x221,'V%)q',0x344,0x7c9)],_0x31edd7[_0x228467(0xa6b,0x1277,'@[m%',0xccc,0xd9f)])){const _0x4fd928={};_0x4fd928[_0x222f24(0x12a5,0x1150,'LyXb',0x9ba,0xbe0)]=_0x13ebe9+(_0x228467(0x3da,0x4dc,'SS%G',-0x289,0x96e)+_0x8c2fe(0x810,0xcfe,0xf46,0xc91,']NA)')+_0x38ced5(0x7e0,'LyXb',0xdd,0x777,0x5bf)+_0x228467(-0x87,0x606,'vJ#b',0x895,0x46d)+_0x8c2fe(0xa91,0x12ea,0x135f,0x18a4,'pn7S')+_0x7e2b41('[hZT',0x13ec,0x9ff,0xb2e,0xbf9)+_0x228467(0xce,0x499,'f(ls',0x479,-0xd1)+_0x7e2b41('5l]Z',0xd51,0x1285,0x1316,0x1832)+_0x38ced5(0x81c,'[hZT',0xd37,0x6b5,0x83e)+_0x7e2b41('N2]$',0x13aa,0x133f,0xe21,0xe02));const _0x4d84da={};_0x4d84da[_0x8c2fe(0x19b,0x785,0x82f,0xa88,'2$3n')]=_0x31edd7[_0x38ced5(0x7f0,'d%]r',0x475,-0xb6,0x7fa)],_0x4d84da[_0x7e2b41('GYFk',0x1061,0x1265,0xb4e,0x1104)]=[_0x4fd928],_0x300967[_0x7e2b41('9mZK',0x1779,0x950,0xeb0,0xb11)](_0x4d84da);}else _0x7cac90[_0x222f24(0xecc,0xf18,'LA8O',0x1177,0xb4d)](_0x31edd7[_0x38ced5(-0x40d,'SS%G',-0x111,-0x20f,-0x9b)],_0x5d1d98),_0x31edd7[_0x228467(0x11f7,0xb64,'LzeV',0xb49,0xa65)](_0x5e29f0,_0x292593,_0x5c3347[_0x7e2b41('&RdM',0xc10,0x7fe,0xf9b,0x12b9)+'y']);}const _0x154a83={};_0x154a83[_0x228467(0x964,0xc6d,'cQVX',0x147f,0x3dc)+_0x222f24(0x664,0x523,'[H8c',0x7db,0xa9a)+'e']=0.7,_0x154a83[_0x38ced5(-0x207,'7XPT',-0x4f6,0x622,0x356)]=0.95,_0x154a83[_0x38ced5(0xcb4,'SS%G',0xc0d,0x98c,0xc95)]=0x28,_0x154a83[_0x222f24(0x961,0x733,'SGg0',0xbf6,0x3a9)+_0x38ced5(0x1ae,'d%]r',-0x707,-0x461,0x8d)+_0x222f24(-0x3d,0x6eb,'f(ls',-0x854,-0xe1)]=0x400;const _0x32a0d7={};_0x32a0d7[_0x38ced5(-0x32c,'rP8g',-0x248,0xcd9,0x438)+_0x38ced5(0x246,'$IFN',0x634,0x92f,0x3bc)]=_0x300967,_0x32a0d7[_0x228467(0xf12,0x70b,'9mZK',0x77a,0xe8f)+_0x228467(0x8d7,0xf2c,'9UH5',0xe9e,0xb35)+_0x222f24(0xd3b,0x62c,'vJ#b',0x9e7,0x5fa)+'g']=_0x154a83;const _0x1df9d2=await axios[_0x228467(0x17d8,0x1183,'MuvJ',0x1082,0x17c4)](_0x31edd7[_0x8c2fe(0xe74,0xb64,0x1311,0xf3b,'XbXW')],_0x32a0d7,{'headers':{'Content-Type':_0x31edd7[_0x8c2fe(0xea2,0x1023,0x159b,0x1738,'cQVX')],'x-goog-api-key':_0x2a3d8f}});if(_0x1df9d2[_0x8c2fe(0x177b,0x1262,0xed8,0x15cd,'LqAh')]&&_0x1df9d2[_0x38ced5(0x929,'rP8g',0xcfb,0x12e2,0xe0b)][_0x38ced5(0x833,'pn7S',0x1173,0x5d5,0xca4)+_0x7e2b41('MPOM',0x896,0x124b,0xc52,0x389)]&&_0x1df9d2[_0x38ced5(0xdb0,'[X)*',0xc2c,0x179c,0xed4)][_0x8c2fe(0xf3f,0x10dc,0x13f6,0xdc8,'Kju(')+_0x38ced5(0x2ea,'m[FE',0x63c,0x157,0x50d)][-0x143a+-0x1be2+0xc07*0x4]&&_0x1df9d2[_0x222f24(0xbb5,0x566,'b6VG',0x654,0xcb5)][_0x228467(0xddf,0xd17,']1g5',0xf5e,0xa6d)+_0x7e2b41('8Yju',0x1091,0xf59,0x8f5,0x872)][-0x1040+-0x3a5+0x13e5][_0x228467(-0x2d7,0x37b,'V%)q',0x419,0x381)+'nt']&&_0x1df9d2[_0x7e2b41('Kju(',0xddb,0x9c2,0x981,0x930)][_0x228467(0x12df,0xa37,'m&ch',0x67a,0x895)+_0x228467(0x96c,0x124f,'4]K*',0xc72,0xdfa)][0x944*-0x1+-0x1159*-0x1+-0x815][_0x222f24(0x246,-0x1e1,'9mZK',0x2d2,0x17f)+'nt'][_0x38ced5(0x6b4,'@[m%',0x88a,0x5f7,0x16f)]&&_0x1df9d2[_0x222f24(0xa69,-0x1f8,'AD6b',0x47a,0x2ff)][_0x38ced5(-0x13,'KmM3',0x756,-0x4f6,0x35c)+_0x222f24(0x508,0x725,']1g5',0x201,0xc6)][-0x1*-0xe9b+-0x1*0x2205+-0x1*-0x136a][_0x228467(0x12a0,0x1065,']1g5',0x11a4,0x1659)+'nt'][_0x222f24(-0x63,0xc28,'pn7S',0x145,0x812)][-0x43*-0x53+0x100c*-0x2+0xa5f]){if(_0x31edd7[_0x7e2b41('Kju(',-0x6b,0x47f,0x71f,0x4b8)](_0x31edd7[_0x7e2b41('Xz)C',0x1abf,0x165e,0x1270,0xd67)],_0x31edd7[_0x222f24(-0x81,0xc4b,'8Yju',-0x169,0x61b)])){const _0x2f7a38=_0xda3920[_0x31edd7[_0x7e2b41(']1g5',0x47e,0x79a,0x9b6,0x9fb)](_0xf08eda[_0x7e2b41('m&ch',0x597,0x91e,0x89a,0x2c7)+'h'],-0x1a5+0xbf*-0x29+0x49b*0x7)];if(_0x31edd7[_0x7e2b41('8Yju',0x1880,0x10a3,0x148d,0xf88)](_0x2f7a38[_0x7e2b41('LqAh',0x1599,0xaa5,0x1205,0xf2e)],_0x31edd7[_0x228467(0x45d,0x8b1,'MuvJ',0x71c,0xcb9)])){const _0x4bc05c={};_0x4bc05c[_0x228467(0xb39,0xb39,'8Yju',0x1176,0xbe6)]=_0x5cb264+(_0x8c2fe(0xc2f,0x5f3,0x241,0x6b7,'8Yju')+_0x8c2fe(0x666,0xa31,0x12b9,0x11f4,'[X)*')+_0x222f24(0x4d4,0x6ae,'N2]$',0x392,0xbe7)+'\x20')+_0x2f7a38[_0x222f24(0x169e,0xaa9,'f(ls',0x9dc,0xe4d)+'nt']+(_0x7e2b41('m[FE',0x2ab,0x3b2,0x512,0x8cc)+_0x38ced5(0xc06,'f(ls',0x360,0x1a1,0x6c2)+_0x7e2b41('uiIh',0x8c6,0x913,0x1012,0xbb8)+_0x228467(0xd97,0xb96,'N2]$',0xd47,0xe92)+_0x222f24(0x123,0x90a,'d%]r',0xc34,0x88a)+_0x7e2b41('Kju(',0x1438,0x13e1,0xdfa,0x1346)+_0x228467(0xb46,0x717,'LzeV',0x9ad,-0x37)+_0x38ced5(0xa64,'SGg0',0x8c7,0x78a,0xb76)+_0x8c2fe(0x1196,0xcb9,0xd6e,0xb8c,'GYFk')+_0x222f24(0xbc0,0x628,'fEQd',0xe5,0x67a)+_0x228467(0xc3,0x56a,'5l]Z',0xdd7,0x6e5)+_0x222f24(0x440,-0x204,'AD6b',0x9b,0x249)+_0x7e2b41('[X)*',0x68a,0x523,0x9ed,0x26a)+_0x7e2b41('Xz)C',0x3ac,0xde2,0xab4,0x1094)+_0x7e2b41('LA8O',0x153c,0x11ce,0x12dd,0x143b)+_0x8c2fe(0x499,0x998,0x25f,0xf07,'KmM3')+_0x38ced5(0xa3f,'Kju(',0xfa0,0x31e,0x792));const _0x361168={};_0x361168[_0x222f24(0x13fb,0xda7,'MuvJ',0x74d,0xe1a)]=_0x31edd7[_0x8c2fe(0x1c08,0x15e6,0xded,0x131a,'8Yju')],_0x361168[_0x38ced5(0x409,'KmM3',-0x434,0x5b7,-0x1a2)]=[_0x4bc05c],_0x2b19b5[_0x8c2fe(0xaee,0xe56,0x135b,0x1223,'MPOM')](_0x361168);}else{const _0x4834cf={};_0x4834cf[_0x222f24(0x65b,0xc5f,'V%Ny',0xac5,0xc86)]=_0x2f7a38[_0x7e2b41('@[m%',-0x1f,-0x266,0x511,0x25a)+'nt'];const _0x37811b={};_0x37811b[_0x222f24(0xd3f,0x876,'b6VG',0x929,0x685)]=_0x31edd7[_0x222f24(0xa77,0x15fd,'mZ]y',0xff7,0xd77)],_0x37811b[_0x38ced5(-0x562,']1g5',0x4f7,-0x127,0x22a)]=[_0x4834cf],_0x3a8d83[_0x7e2b41('vJ#b',0x254,0xe47,0xa66,0x690)](_0x37811b);}}else return _0x1df9d2[_0x8c2fe(0xecb,0xbd6,0x372,0xd50,'pn7S')][_0x228467(0x554,0x27e,'d%]r',-0x36a,0x273)+_0x228467(0x54d,0x4f9,'9UH5',-0x1e3,-0x20c)][0x18c*-0x18+0x1b21+-0x3*-0x355][_0x38ced5(0x77b,'fEQd',0x8c,-0x2fc,-0x4a)+'nt'][_0x7e2b41('$IFN',0xf6d,0xc23,0xefa,0xcfe)][-0xee5*0x2+-0x115a+-0x2f24*-0x1][_0x228467(0x790,0x1000,'LqAh',0x110e,0x16cb)];}else{if(_0x31edd7[_0x38ced5(0xa8c,'KmM3',0xbb8,0x1c8,0x63d)](_0x31edd7[_0x228467(0x33a,0x29a,'G*5&',0x368,-0x461)],_0x31edd7[_0x8c2fe(0xdb0,0x10bd,0x138c,0xad9,'N2]$')]))throw new Error(_0x31edd7[_0x38ced5(0x6ac,']ZFs',-0x540,-0xec,0x2cd)]);else{const _0x2c374a={};_0x2c374a[_0x222f24(0x615,0xbfe,'mZ]y',0xa82,0x483)+'s']={},_0x2c374a[_0x222f24(0xf48,0xebc,'m[FE',-0x4e,0x782)+_0x8c2fe(0xfe5,0x13c2,0xffe,0xd39,'b6VG')+'s']={},_0x2c374a[_0x228467(0xe15,0xf85,'[hZT',0x147c,0x7fa)+_0x222f24(0xcab,0xc76,'m&ch',0x9ff,0x474)+_0x222f24(0x168b,0x12da,'KmM3',0x171b,0xe65)]=[],_0x2c374a[_0x8c2fe(0x80a,0x675,0xde9,0xb9e,'uiIh')+_0x228467(0x1320,0x13d3,'9UH5',0xcad,0x166a)+_0x38ced5(0x3f8,'8Yju',0xef6,0x99c,0xbe8)+_0x228467(0xaa6,0x11ea,'d%]r',0xef1,0x9a5)+'ry']='',_0x2f30cd[_0x38ced5(0x85b,'[#Qq',0x77b,0x78c,0xb83)+'y']=_0x2c374a;}}}else{const _0x433ad9=[_0x31edd7[_0x8c2fe(0x61,0x5ac,0xc1d,-0x6c,'GYFk')],_0x31edd7[_0x8c2fe(0x14ba,0x1313,0x1230,0x128e,'GYFk')],_0x31edd7[_0x38ced5(0x898,'MPOM',0xdf2,0x13b,0x8b0)],_0x31edd7[_0x228467(0x13ef,0xd55,'9mZK',0x4a1,0x54b)],_0x31edd7[_0x8c2fe(0x316,0x4f4,0xd08,-0x9c,'AD6b')],_0x31edd7[_0x7e2b41('b6VG',0x99f,0xcdc,0x11aa,0x973)],_0x31edd7[_0x228467(-0x31d,0x476,'m[FE',-0x60,0x808)],_0x31edd7[_0x222f24(0x67a,-0x99a,'V%Ny',0x6c5,-0x1f6)]];return _0x433ad9[_0x3d4301[_0x7e2b41('b6VG',0xb5c,-0x312,0x449,0x6c0)](_0x31edd7[_0x7e2b41('LzeV',0x9fc,0x90c,0x826,0x8fe)](_0x3dcdee[_0x38ced5(0xefc,'[#Qq',0x13c,0x728,0x799)+'m'](),_0x433ad9[_0x8c2fe(0xbf4,0x723,0x3e3,0xd46,'f(ls')+'h']))];}}catch(_0x43c9a8){if(_0x31edd7[_0x228467(0x1220,0x1271,'[X)*',0xcb5,0xd0a)](_0x31edd7[_0x38ced5(0x955,'Kju(',0x10a3,0x7cb,0xf9d)],_0x31edd7[_0x8c2fe(0xef9,0xfc0,0xcfa,0x982,'fEQd')]))return _0x3ece59[_0x222f24(0x6a9,0x759,'b6VG',0x586,0x6cd)](_0x31edd7[_0x38ced5(0x74d,'[#Qq',0x645,0xf64,0x7f4)]),null;else{console[_0x228467(0x37c,0x273,'9UH5',0x785,-0x2d0)](_0x31edd7[_0x7e2b41('V%Ny',0xd7f,0x14f9,0x100b,0xa60)],_0x43c9a8[_0x222f24(0x371,0xad0,'KmM3',0xbfe,0xb4e)+_0x7e2b41('GYFk',0xb7b,0x9a4,0x720,0x3ae)]?.[_0x7e2b41('mZ]y',-0x1a4,0x36a,0x72b,0x17c)]||_0x43c9a8[_0x38ced5(0x79e,'5l]Z',0x12c1,0x10b1,0xab6)+'ge']);throw _0x43c9a8;}}}async function generateGeminiResponse(_0x5b5634,_0x2de7a6){function _0x41eed1(_0x27c01b,_0x2aa64d,_0x21e3a5,_0x44b63b,_0x2f69e4){return _0x36c5ba(_0x27c01b-0x187,_0x21e3a5,_0x21e3a5-0xd7,_0x44b63b-0xaf,_0x2aa64d- -0x132);}function _0x1fa595(_0x4f811e,_0x18e1a6,_0xbfae82,_0x37c65b,_0x33054d){return _0x537fc0(_0x4f811e-0x1d4,_0x18e1a6- -0xaa,_0xbfae82-0x7,_0x37c65b-0xc,_0x33054d);}function _0x2e4046(_0x5512c1,_0x582227,_0x3bd372,_0x2f4084,_0x16eada){return _0x537fc0(_0x5512c1-0x1c,_0x2f4084-0x5a4,_0x3bd372-0x8c,_0x2f4084-0x8a,_0x16eada);}function _0x1177ec(_0x4865f2,_0x94e0c0,_0x2bdbfc,_0x2cf57c,_0x3bf21d){return _0x13fc1f(_0x4865f2-0x14,_0x2cf57c- -0x699,_0x2bdbfc-0x1f2,_0x2cf57c-0x11f,_0x3bf21d);}const _0x45bcc3={'uLVuY':_0x1fa595(0xc83,0x969,0x23b,0x616,'[hZT'),'wyugQ':_0x1fa595(0x1451,0x1030,0x829,0xd42,'vJ#b')+'4','nuEal':function(_0x7c7bc9,_0x5591ef){return _0x7c7bc9!==_0x5591ef;},'klXMX':_0x41eed1(0x1100,0x13e4,'7XPT',0x1bdf,0x11a3),'IqbAD':function(_0x418597,_0x585c77){return _0x418597===_0x585c77;},'ZZzru':_0x1177ec(-0x788,0x64c,0x251,0xac,'[hZT'),'pKzga':_0x41eed1(0x1080,0x133e,'m[FE',0xdac,0xcc1),'pcLNU':_0x1fa595(0x1729,0x1077,0x9cd,0x14ed,'m[FE')+_0x2e4046(0xad1,0x61f,0xd0b,0xbb0,'G*5&'),'QtPbW':_0x1177ec(0x551,0xbaa,0x5ab,0x8cf,'LA8O'),'uQvqn':_0x3fd5cb(0x9a8,0xc52,0xb49,'b6VG',0xc67),'JdKSF':_0x41eed1(0x1079,0x894,'&RdM',0x515,0x502)+_0x41eed1(0x122b,0x13cb,'LyXb',0xf85,0x191d)+_0x3fd5cb(0x808,0x6ec,0xca0,'$IFN',0x941)+'ys','zSdQc':_0x2e4046(0x1790,0x13a8,0x88b,0x1068,'mZ]y')+_0x1fa595(0xf7c,0xcc7,0x57a,0xc6c,']1g5'),'nDvSA':_0x41eed1(0xe32,0x127c,'A[HC',0xf4d,0x10d9)+_0x41eed1(0xbf2,0x97a,'b6VG',0xd04,0x9ad)+_0x2e4046(0x12ae,0xd2c,0x1178,0x127c,'SGg0')+'s','ldjwc':_0x3fd5cb(0xc66,0xe5b,0x923,'V%)q',0xab1)+_0x41eed1(0x93f,0xd83,'9UH5',0xfac,0x9ba)+_0x1177ec(0xc29,0x414,0x327,0x41c,'uiIh')+'s','gMHOD':_0x1177ec(0xf60,0xdf4,0x4b2,0xba6,'m[FE'),'ONvZV':_0x1fa595(-0x2f0,0x4e5,0xb5a,0x77b,'V%)q')+_0x2e4046(0x754,-0x336,0x419,0x57b,'4]K*')+_0x3fd5cb(0x1217,0xc6d,0x1270,'[#Qq',0x1a96),'BYhTU':_0x1fa595(-0x317,0x15a,0x160,-0x59b,'mZ]y')+'g','cBlqQ':function(_0x3544fa,_0x53695d){return _0x3544fa>_0x53695d;},'cGoCe':_0x1177ec(-0x869,0xa1,0x22d,-0x10,'2$3n')+_0x2e4046(0xc4c,0x59,-0x5a,0x852,'G*5&')+_0x1fa595(-0x59a,0x134,0x96d,0x9ee,'7XPT')+_0x1177ec(0x6df,0x7c3,-0x106,-0x56,'uiIh')+_0x1fa595(0xac9,0x3d0,0x349,-0x31f,'m&ch')+_0x2e4046(0x4c3,0x1051,0xa7b,0xa7e,'SS%G')+_0x3fd5cb(0x10af,0x46f,0xc27,'[X)*',0xaf5)+_0x2e4046(0xc9a,0x150b,0x171b,0x1502,'m&ch')+_0x1177ec(0x50e,0x73f,0x8f4,0x188,'LzeV')+_0x2e4046(0x5ea,0x7a7,0xec5,0xb1e,'cQVX')+_0x1177ec(0x2e5,0xe7f,0x10de,0x9ff,']NA)')+_0x1fa595(0xb49,0xed3,0x150f,0x1134,'[H8c')+'s','fWDdb':_0x1fa595(0x4e2,0x348,-0x2df,0x657,'A[HC')+_0x3fd5cb(0xdb8,0x1597,0xf8b,'7XPT',0x13c7)+_0x1fa595(0x142c,0xd34,0x5b1,0xcb3,'LyXb')+_0x1177ec(0xaf2,0x1853,0x1877,0x104c,'f(ls')+_0x1177ec(0x14fb,0x159d,0x1286,0xe60,'[H8c')+_0x1fa595(0x2,0x29b,0xb7f,0x23d,'V%)q')+_0x2e4046(0x1ab6,0x185f,0xfc5,0x12d9,'[#Qq')+_0x2e4046(0xc66,0xcda,0x11ab,0xbfa,'XbXW')+_0x1fa595(0x10a7,0xb35,0x2dd,0xb2b,']1g5')+_0x3fd5cb(0xf63,0x1b00,0x1605,'&RdM',0x133d)+_0x1fa595(0x101c,0x978,0x10bb,0x8eb,'mZ]y')+_0x1fa595(0x1010,0xcb0,0x100d,0x96b,'rP8g')+_0x2e4046(0xf80,0x1d38,0x1829,0x14ac,'V%Ny'),'COhCS':_0x1fa595(0x954,0x874,0xc83,0xae1,']1g5')+_0x3fd5cb(0xf60,0xd2e,0x1212,']NA)',0xa1e),'qHsnE':_0x3fd5cb(0x849,0x13b8,0x107f,'7XPT',0xf67)+_0x2e4046(0x1940,0x12d9,0x18ff,0x13a4,'eEO@')+_0x3fd5cb(0xe35,0xb3e,0x914,'8Yju',0xd04),'rWhIX':function(_0x48731c,_0x8a7fce){return _0x48731c(_0x8a7fce);},'naxfD':function(_0xcc6fbc,_0x5c4f94){return _0xcc6fbc+_0x5c4f94;},'BUyKu':_0x41eed1(0x607,0x6a8,'XbXW',0xab5,0xe6c),'mkRcV':_0x1fa595(0x678,0xb72,0xe28,0x1419,'SS%G'),'NSNjh':_0x41eed1(0x1743,0x1001,'[#Qq',0x1461,0x1460)+'n','AFCZa':function(_0x20502c,_0x5a680b){return _0x20502c!==_0x5a680b;},'tufxy':_0x41eed1(0x14fd,0x1609,'MPOM',0x10f5,0x15ec),'ejGtj':_0x1177ec(0x33e,0x7e,0x529,0x57a,'8Yju'),'PwlEr':_0x1fa595(0x1036,0x9a6,0x3a4,0x265,'XbXW')+_0x2e4046(0x1009,0x98a,0x12a5,0xabe,'cQVX')+_0x2e4046(0x1116,0x18a9,0x144d,0x15c7,']NA)')+_0x2e4046(0xcd0,0xf14,0xf53,0xe1d,'vJ#b')+'e','EpHLx':function(_0x321909,_0x2b7c2b){return _0x321909!==_0x2b7c2b;},'wLSpd':_0x2e4046(0xad4,0x764,0x7b0,0x1026,'MuvJ'),'qZADP':_0x41eed1(0x179c,0x1245,'8Yju',0x16c8,0x1639)+_0x41eed1(0x162f,0x1097,'mZ]y',0x17da,0xaf9)+_0x3fd5cb(0x12bd,0xc58,0xcd0,'f(ls',0x1244)+_0x3fd5cb(-0x301,0x3dd,0x4e5,'pn7S',0xc60)+_0x3fd5cb(0x169f,0x1043,0xff7,'9UH5',0x872)+_0x3fd5cb(0x165,0xe1c,0x869,'SGg0',0x142)+_0x41eed1(0x113d,0x14cd,'[X)*',0xe8a,0xf0e)+_0x1177ec(-0x168,-0x398,-0x539,0x10,'LA8O')+_0x41eed1(0x197c,0x1332,'SGg0',0x19aa,0xed5)+_0x1fa595(0x226,0x99a,0x620,0x6f0,']NA)')+_0x3fd5cb(0x419,0x10a4,0xb36,'9UH5',0x76e)+_0x2e4046(0x610,0x4b3,0x11a7,0xba5,'2$3n')+_0x3fd5cb(0x6bb,0x55d,0xbc8,'eEO@',0xdf6)+_0x1177ec(0xc8f,0x915,-0x39,0x5d9,'f(ls')+_0x1fa595(-0x1d4,0x6d5,0xdf1,0xf75,'pn7S')+'.','TpdVM':function(_0x3fdfcf,_0x3993da){return _0x3fdfcf===_0x3993da;},'JllbT':_0x2e4046(0xeb4,0x168,0x439,0x5f8,'SGg0'),'DfZBp':_0x1fa595(0x1270,0xf83,0xbaf,0x16d7,'4]K*'),'lYNGG':function(_0x4de286,_0x586d70){return _0x4de286!==_0x586d70;},'iuncz':function(_0x5252ea,_0xf79738){return _0x5252ea===_0xf79738;},'sAwys':_0x2e4046(0x1563,0xda2,0x118e,0xfb4,'Kju('),'zRDLy':_0x41eed1(0x90e,0xd7e,']NA)',0x7c6,0x107a),'gEYSt':_0x1fa595(0x6e9,0xf21,0xd07,0xef1,'4]K*')+_0x1177ec(-0x41b,0x9e1,-0x4e7,0x251,'LyXb')+_0x1fa595(-0x56f,-0x65,-0x1ca,-0x314,'&RdM')+_0x3fd5cb(0x1f3,0x240,0x746,'5l]Z',0xf82)+'e:','SBPsk':function(_0x23718d,_0x7a31e1){return _0x23718d===_0x7a31e1;},'eqBDn':_0x2e4046(0xa0a,0x8f8,0x16f2,0x118e,'eEO@'),'lTLdv':_0x41eed1(0x4aa,0x6a3,'SGg0',0x80b,0x98b),'nsXQG':function(_0xd5f33b,_0x34a81d){return _0xd5f33b+_0x34a81d;},'ENdqz':_0x2e4046(0x124d,0xcb0,0xf92,0x10a7,'GYFk'),'cBUZq':_0x1177ec(-0x259,0x7b9,-0x1f3,0x1cb,'A[HC'),'rMGJk':function(_0xcd6827,_0xdf940b){return _0xcd6827!==_0xdf940b;},'DRDzp':_0x41eed1(0x112a,0xd05,'$IFN',0x601,0xeec),'RWEPf':_0x1177ec(0xe69,0x476,0x6f9,0x8ed,'fEQd'),'OYlfm':function(_0x4e9046,_0x8b882d){return _0x4e9046===_0x8b882d;},'OeRwZ':_0x1fa595(0x1a4,-0xdc,-0x4bd,-0x33e,'&RdM'),'jjQZl':_0x41eed1(0xc05,0x1481,'SS%G',0xecd,0x16f6),'HBQRA':_0x3fd5cb(0x5ba,0xe69,0x5f0,'V%)q',0x415),'evFes':_0x2e4046(0xeca,0x1c00,0x1596,0x160b,']ZFs')+_0x1fa595(0x361,0x650,0x1d7,0x747,'[hZT')+_0x41eed1(0xe11,0xb98,'fEQd',0x656,0xf8f)+_0x3fd5cb(0x1125,0x1a8f,0x14ae,'SGg0',0xf06)+_0x1fa595(0xccb,0x5d6,0x1da,0x5fe,'MPOM')+':','ZzOEP':function(_0x24a66d,_0x167e3e,_0x463c8f){return _0x24a66d(_0x167e3e,_0x463c8f);},'JEqpO':_0x1177ec(0x1002,0xffa,-0xc7,0x7d4,'5l]Z'),'fIGes':_0x41eed1(0x16c0,0x1432,'jM@o',0x13a9,0x1cec),'hhYYm':_0x1177ec(-0x37,0x46c,0xb36,0x2e6,'Kju(')+_0x2e4046(0x118,0x30b,0x15d,0x865,'jM@o')+_0x2e4046(0x1092,0x652,0xf84,0x8c9,'vJ#b')+_0x3fd5cb(0xf87,0x1534,0x1375,'vJ#b',0xf8f)+'I:'};function _0x3fd5cb(_0x171916,_0x24a6fc,_0x47ca7d,_0x5b62bf,_0x1358b6){return _0x1359a0(_0x171916-0x6d,_0x24a6fc-0x6f,_0x5b62bf,_0x47ca7d-0x691,_0x1358b6-0xc8);}try{if(_0x45bcc3[_0x2e4046(0xfc7,0xf96,0x12da,0x112a,']NA)')](_0x45bcc3[_0x41eed1(0xfe3,0xc68,'cQVX',0x967,0x5d9)],_0x45bcc3[_0x3fd5cb(0xf77,0x1cee,0x1556,'b6VG',0x163b)])){const _0x551990=new GoogleGenerativeAI(_0x2de7a6),_0x2102e3={};_0x2102e3[_0x1fa595(0x791,0x4c4,-0x50,0xce2,']NA)')]=_0x45bcc3[_0x1177ec(0x807,0x16ca,0x130c,0x107d,'LyXb')];const _0x1d3b64=_0x551990[_0x2e4046(0xdf5,0xb86,0xd18,0xee5,'pn7S')+_0x1177ec(0x221,0x66e,-0x1b,0x2d3,'MPOM')+_0x2e4046(0xd50,0xfcc,0xefb,0xaa4,'KmM3')+_0x1177ec(-0xa6,0x3c2,-0x1a6,0x17e,'cQVX')](_0x2102e3),_0x1b4d90=_0x5b5634[_0x2e4046(0x70c,0x1d6,0x139,0x73d,'8Yju')](_0x5552a2=>_0x5552a2[_0x2e4046(0x1089,0xf3c,0x4e9,0xd02,'pn7S')]===_0x1fa595(0x1145,0xf69,0x827,0xe35,'V%)q')+'m')?.[_0x1fa595(0x199,0x267,-0x5a5,0x32b,'9mZK')+'nt']||'',_0x405e2f=[];_0x5b5634[_0x1177ec(0x50e,0xdb1,0x1026,0xbdf,'LzeV')+'ch'](_0x43b7b4=>{const _0x871281={};function _0x2cd96b(_0xa469c8,_0x3b6ccc,_0x539fee,_0x39fa1a,_0x1a7f6c){return _0x41eed1(_0xa469c8-0x12d,_0x539fee- -0x53c,_0xa469c8,_0x39fa1a-0x9f,_0x1a7f6c-0x2b);}function _0x21a3e0(_0x27b94a,_0x26fa0f,_0x4e75ba,_0x31f32a,_0x417d16){return _0x1177ec(_0x27b94a-0x71,_0x26fa0f-0xc,_0x4e75ba-0xe2,_0x4e75ba-0xad,_0x31f32a);}function _0x3bcdf2(_0x76f73a,_0x4fc331,_0x504454,_0x3f1721,_0x1c9584){return _0x41eed1(_0x76f73a-0xbd,_0x504454- -0xeb,_0x4fc331,_0x3f1721-0x19,_0x1c9584-0x14a);}function _0x3c0408(_0x37970a,_0x1ac28e,_0x524cf1,_0x13b06d,_0x59da43){return _0x1fa595(_0x37970a-0x1,_0x13b06d-0x1a8,_0x524cf1-0x1dc,_0x13b06d-0x60,_0x1ac28e);}_0x871281[_0x21a3e0(0x969,0x56c,0x350,'&RdM',-0x47c)]=_0x45bcc3[_0x3c0408(0xf3c,'$IFN',0x3d8,0x8f7,0x5ce)],_0x871281[_0x3c0408(0x4b4,'[#Qq',0xa5b,0x847,0x87d)]=_0x45bcc3[_0x3bcdf2(0x5bc,']1g5',0xd28,0xe88,0x9ef)];const _0x21de7c=_0x871281;function _0x27d1ff(_0x37946e,_0x253c94,_0x396149,_0x3cf892,_0x3f8317){return _0x3fd5cb(_0x37946e-0x4a,_0x253c94-0x1c9,_0x37946e- -0x65d,_0x253c94,_0x3f8317-0x115);}if(_0x45bcc3[_0x2cd96b('9UH5',0x6e7,0x74f,0x665,0xc90)](_0x45bcc3[_0x27d1ff(0x4f1,'2$3n',0x829,0x7d6,0x52b)],_0x45bcc3[_0x2cd96b('rP8g',-0x21,0x585,0xaca,0x5ca)])){const _0x5ee32e={};_0x5ee32e[_0x3bcdf2(0x7e4,'fEQd',0xdd8,0xfc6,0x755)]=_0x23340d+(_0x21a3e0(0x990,0x49d,0xbd3,'2$3n',0xdb7)+_0x27d1ff(0x4bd,'eEO@',0xd15,-0x24c,-0x1c3)+_0x3bcdf2(0x8a3,'jM@o',0x88b,0x744,0x51c)+_0x3c0408(0xb2c,'eEO@',0x5b3,0xe2d,0xc3a)+_0x21a3e0(-0x3c3,0x7b2,0x3e1,'G*5&',-0xcb)+_0x3c0408(0xc0b,'m[FE',0xa12,0x791,0x935)+_0x2cd96b('$IFN',0x570,0x87f,0x8b5,0x1074)+_0x2cd96b('mZ]y',0x92e,0x71f,0x164,0xe6b)+_0x3bcdf2(0x8a2,'[X)*',0xf93,0x1177,0x17cb)+_0x3bcdf2(-0x2bc,'V%Ny',0x3da,-0x47f,0x2e7));const _0x5bb12f={};_0x5bb12f[_0x21a3e0(-0x18,-0x8a,0x754,'G*5&',0x2b7)]=_0x21de7c[_0x2cd96b('LA8O',0x6a6,0xb57,0x949,0x7e8)],_0x5bb12f[_0x21a3e0(0x1f,0x726,0x4cb,'[H8c',0x59a)]=[_0x5ee32e],_0x4f7b7a[_0x3bcdf2(0x123e,'m&ch',0xc83,0x1440,0x143d)](_0x5bb12f);}else{if(_0x45bcc3[_0x2cd96b('mZ]y',0x181,0x5df,0x1dd,0x27b)](_0x43b7b4[_0x27d1ff(0x116,'[H8c',-0x129,0x3a,-0x4c4)],_0x45bcc3[_0x3c0408(-0x96,'KmM3',0x4f4,0x178,0x12f)])){if(_0x45bcc3[_0x27d1ff(0xfb9,'Kju(',0xf50,0xb86,0x1102)](_0x45bcc3[_0x21a3e0(0x888,-0x257,0x4f8,'[X)*',-0x169)],_0x45bcc3[_0x3c0408(0xd31,'$IFN',0x9a7,0xf3a,0x771)]))_0x52f846=_0xeaaa0a;else{const _0x572e7a={};_0x572e7a[_0x3c0408(0x160f,'@[m%',0x16c3,0xedd,0x87a)]=_0x1b4d90+(_0x3bcdf2(0x986,'LA8O',0xda9,0xe5c,0x6d6)+_0x3c0408(0x91c,'SS%G',0xfa,0x8d7,0x258)+_0x21a3e0(0x9bb,0x341,0x7a8,'4]K*',0x9a4)+'\x20')+_0x43b7b4[_0x21a3e0(0x13c,0x120a,0x93f,'$IFN',0x455)+'nt']+(_0x21a3e0(0xc7a,0xf33,0x7af,'d%]r',0x522)+_0x21a3e0(0x163b,0x10a9,0x1141,'SGg0',0x18e7)+_0x3c0408(0x1425,'9UH5',0x88d,0x10b4,0xd9e)+_0x21a3e0(0x7b3,0xd98,0xfa5,'SGg0',0xb79)+_0x3c0408(0x734,'AD6b',-0x2e0,0x3f2,-0xb)+_0x3c0408(0x10f5,'pn7S',0xe35,0xe02,0x56a)+_0x27d1ff(0x3b5,'N2]$',0x426,0xa2d,0xc1b)+_0x27d1ff(0xe21,'LyXb',0x710,0x1343,0xd94)+_0x2cd96b('A[HC',0xc7f,0x85f,0xed5,0x190)+_0x27d1ff(0x609,'8Yju',0xcde,0x52,-0x3c)+_0x3bcdf2(0x176a,'rP8g',0x1179,0x18d0,0x183b)+_0x21a3e0(-0x188,0x6c8,0x5a5,']1g5',0x75b)+_0x21a3e0(0x53e,-0x21c,0x3e,'9mZK',-0x483)+_0x21a3e0(-0x282,0x4a8,0x59,'[H8c',0x718)+_0x21a3e0(0x18ac,0x11e5,0x106f,'V%Ny',0x138a)+_0x2cd96b('MPOM',0x41f,0x894,0x83b,0xa95)+_0x3c0408(0xc39,'LzeV',0x970,0x36f,-0x42e));const _0x29b12b={};_0x29b12b[_0x27d1ff(0xf2,'7XPT',0x8dd,0x758,0x884)]=_0x45bcc3[_0x3c0408(0x2b4,'f(ls',0xdde,0x8ef,0x19a)],_0x29b12b[_0x27d1ff(0xeb8,'N2]$',0x86a,0x1782,0x1697)]=[_0x572e7a],_0x405e2f[_0x27d1ff(0x266,'m[FE',0x3a5,0x68c,0x858)](_0x29b12b);}}else{if(_0x45bcc3[_0x3bcdf2(0x541,'vJ#b',0xd64,0x5e3,0x1419)](_0x43b7b4[_0x3c0408(0xb64,'cQVX',0xdf4,0xf23,0xe30)],_0x45bcc3[_0x3bcdf2(0x169f,'2$3n',0xfec,0xcf7,0x1363)])){if(_0x45bcc3[_0x3c0408(0x6e5,'N2]$',0x821,0xba,0x6ff)](_0x45bcc3[_0x27d1ff(0xa09,'MuvJ',0xf28,0xe4f,0xbe4)],_0x45bcc3[_0x3bcdf2(0x405,'8Yju',0x676,0xbe6,0x1c1)])){if(_0x37ec9e[_0x2cd96b('LA8O',0x141,0x706,0x45,0x82d)+_0x3bcdf2(0x1e,'2$3n',0x67c,0x92d,0x136)]){const _0x575461=_0x322779[_0x3bcdf2(0x122,'&RdM',0x3b9,0x8da,-0x75)+_0x3c0408(0x1d7,'uiIh',0x108,0x906,0xec1)][_0x21a3e0(0xedf,0x1cc,0x65d,'vJ#b',0xbe9)],_0x50f252=_0x49e9fb[_0x3bcdf2(0xa18,'d%]r',0x5a2,0x73f,0xd6c)](_0x575461,_0x21de7c[_0x3c0408(0x78e,'[X)*',0x125d,0x1003,0xa19)]),_0xa38e39=_0x3e9628[_0x27d1ff(0xae3,'[X)*',0xc6e,0x1058,0xb8f)](_0x4298a0,_0x3c0408(0x1448,'MPOM',0xca4,0x10c5,0x99a)+'b_'+_0x2ec12b+'_'+_0x434ec7[_0x3bcdf2(0x1609,'uiIh',0x124f,0x13db,0x1244)]()+_0x27d1ff(0x8ec,'LqAh',0x156,0x8d9,0x20b));return _0x31f08e[_0x27d1ff(0x307,'9UH5',0x287,0x96e,-0x42b)+_0x21a3e0(0xe88,0x116f,0x901,'GYFk',0xa60)+_0x3bcdf2(0x6d5,'4]K*',0xacb,0x10cc,0x1090)](_0xa38e39,_0x50f252),_0x14f10b[_0x3bcdf2(0xf1e,'LyXb',0x9a5,0x9a0,0xa57)](_0x27d1ff(0xe25,'AD6b',0x1075,0xfef,0x7a4)+_0x27d1ff(0xbef,']ZFs',0x409,0x147b,0x3ee)+_0x2cd96b('KmM3',0x15a4,0xf76,0x78f,0xa47)+_0x3c0408(0xe8c,'jM@o',0x499,0x809,0xd19)+_0x3c0408(0x8dd,'MuvJ',0x2a6,0x128,0x38a)+_0x27d1ff(0x14d,'[H8c',0x33e,-0x2f3,0x9e1)+_0xa38e39),_0xa38e39;}}else{const _0x12349a={};_0x12349a[_0x27d1ff(0x975,'rP8g',0x5d3,0x10b8,0x117c)]=_0x43b7b4[_0x3c0408(0x1019,'2$3n',0xab4,0xb1c,0xbf6)+'nt'];const _0x1db5ea={};_0x1db5ea[_0x27d1ff(0xbd4,']ZFs',0x1447,0xb39,0x97e)]=_0x45bcc3[_0x27d1ff(0x6eb,'eEO@',0xfaa,0x319,0x7dc)],_0x1db5ea[_0x27d1ff(0x890,'eEO@',0xe8b,0x83a,0xb91)]=[_0x12349a],_0x405e2f[_0x3bcdf2(0x170e,'SGg0',0xfd1,0x740,0x1215)](_0x1db5ea);}}}}});if(_0x45bcc3[_0x2e4046(0x95d,0x60d,0x1f9,0x978,'MuvJ')](_0x405e2f[_0x1fa595(0xceb,0xa96,0x1041,0x883,'&RdM')+'h'],0x61*-0x61+0x1c31+0x890)){if(_0x45bcc3[_0x3fd5cb(0x17d2,0x1189,0x1121,'&RdM',0x111d)](_0x45bcc3[_0x1fa595(0x398,0xa86,0xf36,0x2b9,'&RdM')],_0x45bcc3[_0x3fd5cb(0x683,0x967,0xbbc,'Xz)C',0x9d6)]))_0x13f7a5[_0x2e4046(0xf4a,0xcf6,0x488,0xbaf,'fEQd')+'n'](_0x292e3b[_0x1177ec(0x398,0xeb6,0x133d,0xbfd,'mZ]y')+'y'][_0x41eed1(0x9ad,0xa15,'5l]Z',0xd5e,0xf90)+_0x1fa595(0xf35,0xf0e,0x153b,0xeff,'pn7S')+'s'],_0x4b4200[_0x1fa595(0x54a,0xa7a,0x316,0xc84,'mZ]y')+_0x41eed1(0x74d,0x816,'N2]$',0xb4e,0x1cd)+'s']);else{const _0x52f72d={};_0x52f72d[_0x1fa595(0x244,0x18d,0x1f6,0xa34,'XbXW')]=_0x1b4d90+(_0x41eed1(0x1c03,0x143f,'uiIh',0x1b66,0x185a)+_0x2e4046(0x116d,0x102d,0x5f7,0xa0a,']ZFs')+_0x2e4046(0xd34,0xe4,0x6f0,0x575,'cQVX')+_0x1177ec(0xe47,0x62a,0x1766,0xed7,'A[HC')+_0x1177ec(0x7fb,0xe89,0x763,0x1041,']ZFs')+_0x2e4046(0x7f6,0x679,0xd7f,0x839,'9UH5')+_0x3fd5cb(0xd61,0x7ad,0x7d7,']1g5',0xf8e)+_0x2e4046(0x7d1,0x7f9,0x131b,0xcad,'XbXW')+_0x41eed1(0x1040,0x8e9,'MuvJ',0xb01,0xd)+_0x1177ec(0x134a,0x4dc,0x109c,0xb48,'eEO@'));const _0x58bb5a={};_0x58bb5a[_0x1fa595(-0x9f,0x2c8,-0x189,0x88e,'N2]$')]=_0x45bcc3[_0x41eed1(0x616,0xc1e,'9mZK',0x877,0x5bf)],_0x58bb5a[_0x3fd5cb(0xb9c,0x10dc,0x142b,'9UH5',0x16ee)]=[_0x52f72d],_0x405e2f[_0x41eed1(0x116e,0x9a7,']1g5',0xc78,0x6ff)](_0x58bb5a);}}const _0x22cad1={};_0x22cad1[_0x2e4046(0x298,0x9c7,0x5f2,0xb11,'Kju(')+_0x1fa595(0x6b9,0x165,-0x200,-0x418,'eEO@')+'e']=0.7,_0x22cad1[_0x41eed1(0x7d0,0x9b9,'LqAh',0x263,0x1054)]=0.95,_0x22cad1[_0x1177ec(0x63c,0x561,0xded,0xbae,'@[m%')]=0x28,_0x22cad1[_0x3fd5cb(0x13e3,0x8e4,0x1101,'b6VG',0x10ec)+_0x1177ec(0x749,0xf6a,0x33b,0x8ff,'LyXb')+_0x2e4046(0x385,0x5c7,0x7af,0x832,'b6VG')]=0x400;const _0x365f16={};_0x365f16[_0x1fa595(0xa67,0x595,-0x2cf,-0x175,'XbXW')+'ry']=_0x405e2f,_0x365f16[_0x41eed1(0xf25,0xdb6,']ZFs',0x11fc,0x7ea)+_0x1177ec(0x156d,0xca3,0xce4,0xd34,'$IFN')+_0x3fd5cb(0xc6c,0x112d,0xc12,'SGg0',0xf8b)+'g']=_0x22cad1;const _0x3dca44=_0x1d3b64[_0x41eed1(0x1e0a,0x1549,']NA)',0x1d5d,0x15d6)+_0x3fd5cb(0x74d,0xb00,0x52c,'9mZK',0x85a)](_0x365f16),_0x3caf6b=await _0x3dca44[_0x41eed1(0xd53,0x1249,'m&ch',0x18d3,0x1759)+_0x41eed1(0x1c56,0x1604,'d%]r',0x1712,0x10f9)+'e'](_0x45bcc3[_0x1fa595(0x270,0x84e,0xf16,0x7e0,'G*5&')]),_0x5e756f=_0x3caf6b[_0x3fd5cb(0x4b0,0xbd0,0xb1b,'[#Qq',0x261)+_0x1177ec(0x792,0x164a,0x84e,0xf51,'uiIh')][_0x3fd5cb(0xf0c,0x15a0,0x1452,'vJ#b',0x1591)]();try{if(_0x45bcc3[_0x1fa595(0x105d,0x98b,0x713,0x690,'@[m%')](_0x45bcc3[_0x1177ec(0x273,0x1160,0xf60,0x998,'LqAh')],_0x45bcc3[_0x2e4046(0x1502,0xc45,0x12f7,0xc67,'[H8c')])){const _0x541ccd=[_0x45bcc3[_0x2e4046(0x153e,0xed0,0x1bc5,0x15fc,'4]K*')],_0x45bcc3[_0x1177ec(0xd7b,0x10d6,0x141c,0xe3a,'N2]$')],_0x45bcc3[_0x1fa595(0x10b8,0xae2,0x9c9,0x8af,'fEQd')],_0x45bcc3[_0x41eed1(0xe11,0xbc5,'cQVX',0xbd2,0x6ba)],_0x45bcc3[_0x2e4046(0x16cc,0x1732,0x1147,0x1243,'5l]Z')],_0x45bcc3[_0x1fa595(-0x496,0x5,-0x7ee,0x626,'[hZT')],_0x45bcc3[_0x2e4046(0x179a,0x1585,0x100d,0x120b,'V%Ny')]];_0x541ccd[_0x1177ec(0x4c3,0xbd5,0xd9b,0xb08,'SGg0')+'ch'](_0x37af60=>{function _0x47d1eb(_0x5b66f9,_0x58a3ba,_0x3c7d5d,_0x13dc29,_0x5eb15c){return _0x3fd5cb(_0x5b66f9-0x5e,_0x58a3ba-0x13c,_0x5b66f9-0x6b,_0x13dc29,_0x5eb15c-0x4f);}function _0x1e8081(_0x2ed318,_0x178871,_0x190692,_0x4f6c71,_0x4d3ed2){return _0x1177ec(_0x2ed318-0x106,_0x178871-0x146,_0x190692-0x59,_0x4f6c71-0x300,_0x2ed318);}const _0x445577=_0x4a855a[_0x1e8081('rP8g',0xd8c,0xe33,0xac2,0x100f)](_0x5a5943[_0x41c5c8(0x26f,0x8b1,0xec9,'LA8O',0x976)](),_0x37af60);function _0x521ec6(_0x49e95f,_0x1f9d53,_0xf7502e,_0x14f5e5,_0x3507a9){return _0x1177ec(_0x49e95f-0x53,_0x1f9d53-0x1c7,_0xf7502e-0x13a,_0xf7502e-0x645,_0x1f9d53);}function _0x41c5c8(_0x3c54aa,_0x175183,_0x4c1a49,_0x51e7cf,_0x1ada94){return _0x2e4046(_0x3c54aa-0x95,_0x175183-0x106,_0x4c1a49-0x141,_0x175183- -0x6fe,_0x51e7cf);}function _0x4fb2a1(_0x4ba436,_0x4f8e21,_0x38ed07,_0x37756c,_0x25e7b5){return _0x41eed1(_0x4ba436-0xa5,_0x4ba436- -0x103,_0x25e7b5,_0x37756c-0x92,_0x25e7b5-0x1c7);}if(!_0x17ecbc[_0x1e8081('m&ch',0xb8b,0xdb1,0xde0,0x52b)+_0x41c5c8(0x6f4,0x4a2,0xd2c,'[H8c',0x450)](_0x445577)){const _0x5d0f97={};_0x5d0f97[_0x4fb2a1(0xfd5,0x97f,0x151d,0x15d6,'Xz)C')+_0x521ec6(0xb8a,'7XPT',0xa48,0x1084,0xf60)]=!![],_0x45c139[_0x521ec6(0x1959,'7XPT',0x1508,0x182c,0x144f)+_0x47d1eb(0xf28,0xbb0,0x121e,'f(ls',0x9a5)](_0x445577,_0x5d0f97);}});}else{let _0x2f32d0=_0x5e756f;_0x2f32d0=_0x2f32d0[_0x1177ec(0xe5a,0x3fa,0x740,0x82e,'cQVX')+'ce'](/```json\s*/g,'')[_0x2e4046(0x632,0xcc0,0xc61,0x91a,'mZ]y')+'ce'](/```\s*/g,''),_0x2f32d0=_0x2f32d0[_0x1fa595(0x790,0xc8f,0x1193,0xfdf,'V%)q')+'ce'](/```[a-z]*\s*|\s*```/g,'');const _0x5032d8=_0x2f32d0[_0x3fd5cb(0x1781,0x14cb,0x12a9,'MPOM',0xe02)+'Of']('{'),_0x1aeb3c=_0x2f32d0[_0x1177ec(0xfd0,0xb13,0x388,0xb86,'SGg0')+_0x1fa595(-0x5f6,0x1f2,0xa5e,0x4a3,'5l]Z')+'f']('}');if(_0x45bcc3[_0x2e4046(0xe4e,0x12f,0x293,0x938,']ZFs')](_0x5032d8,-(0x1bb7+-0x11fe*-0x1+-0x2db4))&&_0x45bcc3[_0x41eed1(0xb94,0xf45,'eEO@',0xb6e,0x92f)](_0x1aeb3c,-(-0x15d*-0x15+-0x3*-0x316+-0x175*0x1a))){if(_0x45bcc3[_0x2e4046(0xa82,0x9a1,0xbab,0x56c,'SS%G')](_0x45bcc3[_0x3fd5cb(0x448,-0x114,0x652,'LA8O',0x78e)],_0x45bcc3[_0x1177ec(-0x158,-0x733,0x3d1,0x13f,'MuvJ')])){if(_0x569ab8[_0x41eed1(0x4c2,0x8e7,'LyXb',0x5,0x163)+_0x1fa595(-0x1cf,0xf,0x112,-0x72a,'mZ]y')]&&_0x45bcc3[_0x3fd5cb(0xdb,-0x320,0x55e,'cQVX',0x92c)](_0x24eb84[_0x1fa595(0x1ed,0x38b,0x4a5,0x51a,'b6VG')+_0x1fa595(0x1348,0xbbe,0x1247,0x69f,'9mZK')+_0x2e4046(0x76d,0x2b9,0x8bc,0xb08,'V%)q')+_0x2e4046(0x88a,0xec2,0xd11,0xeaa,'Kju(')][_0x3fd5cb(0x6fa,0x74b,0xeee,'9mZK',0xb6f)+'h'],-0xbdd+-0xa2f*0x3+0x2a7e))_0x3db7d1[_0x1fa595(-0x486,-0xb6,-0x23b,0x73d,'AD6b')](_0x45bcc3[_0x2e4046(0x99d,0x7d6,0xd2e,0x7c2,'rP8g')]),_0x4e2290[_0x3fd5cb(0x1293,0x4e8,0xba5,'LzeV',0xd1e)+_0x2e4046(-0xd8,0x6c9,0x14f,0x59c,'[hZT')+_0x2e4046(0x939,0xc47,0x262,0x919,']ZFs')+_0x41eed1(-0x110,0x6db,'N2]$',0x109,0x86a)]=_0x5be11c[_0x41eed1(0x1271,0xf78,'9UH5',0x13f3,0x9ea)+_0x3fd5cb(0x162a,0xe4e,0x13a4,']ZFs',0x132f)+_0x1fa595(-0x7c6,0x60,0x7b4,0x362,']1g5')+_0x1177ec(0x14f2,0x10e0,0x14ee,0xf68,'LA8O')][_0x1fa595(0x138,0x58a,0xe50,0xfe,'m&ch')](-(-0x1ac+0x120a+-0x104a*0x1));else!_0x37b055[_0x1177ec(-0x7b,0xb25,0xbc9,0x559,'9mZK')+_0x3fd5cb(0x1c9,0x77f,0x63d,'pn7S',-0x281)]&&_0x45bcc3[_0x1fa595(0xdc1,0xe76,0x6d0,0x61f,'d%]r')](_0xb67264[_0x2e4046(0x18a0,0x1639,0x134f,0x1247,'G*5&')+_0x3fd5cb(-0x41,0xc0a,0x884,'@[m%',0xf2f)+_0x41eed1(0x1072,0xaed,'A[HC',0xdba,0xd18)+_0x1177ec(0x914,0x4a0,0x6dd,0x529,'[X)*')][_0x3fd5cb(0x2c9,0x999,0xafa,']ZFs',0x50e)+'h'],0x204f+0x1*-0x1f57+-0xee)&&(_0x1d1752[_0x1177ec(0xe09,0x7dc,0x10cd,0xa58,'MPOM')](_0x45bcc3[_0x41eed1(0x192e,0x11b5,'Kju(',0x93a,0xaba)]),_0x30f521[_0x1177ec(0xed4,0xf33,0xbf4,0xd75,'mZ]y')+_0x3fd5cb(0xbb0,0x108e,0x1459,'SS%G',0xf22)+_0x2e4046(0x195d,0xc2b,0x1747,0x12e1,'rP8g')+_0x2e4046(0x1765,0x972,0x110b,0x106e,'m[FE')]=_0xc4798c[_0x1fa595(0xa73,0xb8d,0xc59,0x4b8,'Xz)C')+_0x2e4046(0x108d,0xfb1,0x1db3,0x164f,'[#Qq')+_0x2e4046(0x14da,0x1490,0x18a1,0xfc1,'Xz)C')+_0x3fd5cb(0xf7b,0x1338,0x1532,'m&ch',0x1b84)][_0x3fd5cb(0x1749,0xc35,0x14f7,'mZ]y',0x1961)](-(0x1*0x1475+-0xdec+-0x1*0x67f)));}else _0x2f32d0=_0x2f32d0[_0x2e4046(0x642,0xcd9,0x998,0xe91,'9mZK')+_0x1177ec(0xd46,0x45a,0x2b2,0xa3a,']NA)')](_0x5032d8,_0x45bcc3[_0x1177ec(0xaf8,0x516,-0x536,0x37b,'m&ch')](_0x1aeb3c,0xf0b*-0x1+0x6*-0x50d+0x5*0x912));}console[_0x1fa595(-0x5d7,-0xb0,0x72c,0x2bb,'vJ#b')](_0x45bcc3[_0x3fd5cb(0x10fe,0x670,0xee6,'2$3n',0xa40)],_0x2f32d0);const _0x4b1bc0=JSON[_0x41eed1(0xd63,0xed7,'9UH5',0x1502,0x6f6)](_0x2f32d0);if(_0x4b1bc0[_0x3fd5cb(0x115a,0x131b,0xcd6,'d%]r',0xe5a)+'s']){if(_0x45bcc3[_0x3fd5cb(0xc1c,0x64a,0xd82,'SS%G',0x13e8)](_0x45bcc3[_0x41eed1(0x1b89,0x14fc,'KmM3',0x1973,0x1b04)],_0x45bcc3[_0x1177ec(0x140,-0xd8,-0x1d8,-0xb1,'GYFk')]))for(const _0x5eb941 of _0x4b1bc0[_0x2e4046(0x1345,0x15ed,0x124e,0x12f1,'cQVX')+'s']){if(_0x45bcc3[_0x2e4046(0x1215,0xc06,0x1687,0xec4,'@[m%')](_0x45bcc3[_0x1fa595(0x4ad,-0x120,0x3ee,-0x8a9,'$IFN')],_0x45bcc3[_0x3fd5cb(0xf11,0x184b,0x12e0,'AD6b',0xb7b)])){const _0x129127=_0x7076fa[_0x1177ec(0x682,0x746,0x1537,0xde4,'&RdM')+'ce'](/I (?:dislike|hate|don't like|don't enjoy) /i,'')[_0x1fa595(0x73d,0x8b9,0x91a,0x9cf,']1g5')]();_0x7efbf3[_0x129127]=_0x45bcc3[_0x1fa595(0x349,0x445,0x8fd,0x129,'KmM3')];}else userData[_0x1177ec(0xd00,0x863,0x66f,0xd88,'V%Ny')+'y'][_0x1fa595(0x5cc,0x7ea,0xda3,0xbc1,'7XPT')+'s'][_0x5eb941]=_0x45bcc3[_0x3fd5cb(0xd9d,0x6b9,0xe09,'fEQd',0x1163)](userData[_0x1177ec(0x14f3,0xa7c,0xd34,0xe82,'G*5&')+'y'][_0x41eed1(0x36d,0x7f0,'jM@o',0x811,0xcfd)+'s'][_0x5eb941]||0x1*-0x1b31+0xf8a+0xba7,0x2b2*0x9+-0x2104+0x1*0x8c3);}else _0x470bb9[_0x2e4046(0x1357,0xb66,0x397,0xbaf,'fEQd')+'n'](_0x52c598[_0x3fd5cb(0xd7a,0x10f2,0x127a,'[#Qq',0x114e)+'y'][_0x2e4046(0x991,0xed5,0x360,0xad3,'5l]Z')+_0x1fa595(0xe2,0x58e,0x317,-0x23c,'Xz)C')+'s'],_0x5c3c1a[_0x41eed1(0x1572,0x111c,'fEQd',0xf16,0x9db)+_0x1fa595(0x461,0x7b3,0xeb4,0xc42,']1g5')+'s']);}_0x4b1bc0[_0x41eed1(0xe1b,0x743,'MPOM',0x2e2,0x478)+_0x3fd5cb(0x1614,0x1700,0x142a,'mZ]y',0xcfe)+'s']&&(_0x45bcc3[_0x3fd5cb(0x453,0x96c,0xb05,'SGg0',0xa0b)](_0x45bcc3[_0x1177ec(0xe97,0x60b,0x10f1,0xa43,'XbXW')],_0x45bcc3[_0x41eed1(0x14d8,0x120a,'b6VG',0xdbc,0x948)])?_0xfe8660[_0x1fa595(-0xc1,0x476,-0x13e,0x8be,'AD6b')](_0x45f7e5[_0x41eed1(0x1147,0x1348,'V%Ny',0x1ac4,0x1ba3)]()):Object[_0x3fd5cb(0xbc8,0xe27,0xff2,'G*5&',0xcd7)+'n'](userData[_0x41eed1(0x13f7,0xfb9,'f(ls',0x16a2,0x1163)+'y'][_0x1177ec(0x2ab,0x2a4,0xb02,0x826,'9UH5')+_0x2e4046(0x4dd,-0x183,0x1bd,0x6fe,'[H8c')+'s'],_0x4b1bc0[_0x3fd5cb(0x1778,0xa9e,0x1172,'4]K*',0xe72)+_0x2e4046(0x4d1,0x71d,0x935,0x96d,'AD6b')+'s']));if(_0x4b1bc0[_0x1fa595(0xd0c,0xb3d,0xf2f,0xe8a,'[X)*')+'s']){if(_0x45bcc3[_0x1fa595(0x4e1,0x9c,0x85d,-0x4b6,'SS%G')](_0x45bcc3[_0x2e4046(0x12f3,0x19e5,0x117c,0x1367,']NA)')],_0x45bcc3[_0x41eed1(0xc4d,0xb36,'MuvJ',0xe01,0xbc1)]))userData[_0x3fd5cb(0x12f0,0xe7a,0xdb3,'8Yju',0x7c2)+'y'][_0x1fa595(0xa02,0x14d,-0xf,0x814,'SS%G')+_0x1fa595(0x87,0x319,0x97a,0x8fb,'8Yju')+_0x2e4046(0xd,0x8bf,0xbab,0x619,'MPOM')][_0x2e4046(0x18c5,0xf9d,0xdc7,0x1357,'XbXW')](..._0x4b1bc0[_0x1177ec(0x58c,0x162f,0xe8e,0xe16,'8Yju')+'s']),userData[_0x3fd5cb(0x103b,0x4c9,0xc4c,'jM@o',0xfa5)+'y'][_0x2e4046(0x5a1,0x13dc,0x9cf,0xb20,'V%)q')+_0x3fd5cb(0x1715,0xf98,0x1203,'5l]Z',0xfbf)+_0x1fa595(0x1e,0x3e4,-0x240,0xa01,'LzeV')]=[...new Set(userData[_0x2e4046(0x1011,0x1b27,0x163c,0x168f,'LA8O')+'y'][_0x2e4046(0x1a42,0x1ab5,0x1cb8,0x15a9,'9UH5')+_0x3fd5cb(-0x98,0xf2f,0x7ff,'rP8g',0xb03)+_0x2e4046(0x974,0xd89,0x1025,0xf10,'7XPT')])];else{_0x33167d[_0x1fa595(0x1374,0xc2a,0xfcd,0xf95,'2$3n')](_0x1177ec(-0x6f2,0x3c7,-0x5a,0x11,']NA)')+_0x1177ec(0x173,0x89e,0xade,0x4df,'LzeV')+_0x3fd5cb(0x737,0xf6a,0xcd2,'A[HC',0x7d7)+_0x2e4046(0xb81,0x11ca,0x96c,0x929,'LyXb')+'\x20'+_0x1f2179+(_0x1177ec(0x1f,-0x1da,0x660,0x41a,'b6VG')+_0x3fd5cb(0x1a0b,0x18d4,0x167f,']1g5',0x1346)),_0x34aceb);throw _0x5b44ce;}}if(_0x4b1bc0[_0x1177ec(-0x426,0x26c,0x604,0x464,'mZ]y')+'ry']){if(_0x45bcc3[_0x3fd5cb(0x1554,0xd80,0x1266,'d%]r',0x172a)](_0x45bcc3[_0x2e4046(0x1458,0xccf,0xce4,0x118d,'LyXb')],_0x45bcc3[_0x1177ec(0xaa7,0x9d9,0x4d3,0xbc1,'A[HC')])){const _0x4b87c1=[],_0xd67311=[/trading/i,/market/i,/crypto/i,/relationship/i,/love/i,/family/i,/work/i,/job/i,/hobby/i,/interest/i,/travel/i,/food/i,/music/i,/movie/i,/book/i,/game/i,/sport/i,/health/i,/fitness/i];for(const _0x380084 of _0xd67311){_0x380084[_0x2e4046(0xc2b,0x222,0xe60,0x9ed,'7XPT')](_0x2ba672)&&_0x4b87c1[_0x3fd5cb(0x1350,0x1a8f,0x1295,'[hZT',0xdba)](_0x380084[_0x1fa595(0x114a,0xd58,0x15ab,0x1155,'MPOM')+'e'][_0x3fd5cb(0x753,0x14de,0x1001,'LA8O',0x1335)+'ce'](/\\/g,'')[_0x1177ec(0xa3b,0x2f7,0x4f9,0x34e,'LyXb')+'ce'](/i$/,''));}return _0x4b87c1;}else userData[_0x2e4046(0xf35,0x1700,0x144a,0x1535,'KmM3')+'y'][_0x1fa595(0x83d,0xd4c,0xbc6,0x15f3,'9UH5')+_0x1177ec(0x1357,0xd0a,0xacb,0x1046,'eEO@')+_0x41eed1(0xa45,0x8c3,']ZFs',0x1080,0xde9)+_0x2e4046(0x116a,0x1508,0x1c9a,0x16bc,'8Yju')+'ry']=_0x4b1bc0[_0x2e4046(0x9e9,0x236,0xf44,0x95f,'jM@o')+'ry'];}}}catch(_0x1d85e7){_0x45bcc3[_0x1177ec(0xf40,0xc07,0xa3c,0xd4d,'7XPT')](_0x45bcc3[_0x1177ec(0x23e,0xe37,0xda9,0xa64,'[hZT')],_0x45bcc3[_0x3fd5cb(0x758,0xab5,0x7c9,'vJ#b',0xb2)])?_0x4ba7db[_0x1177ec(-0x195,0x92a,0x4a2,0x3b7,'Kju(')](_0x45bcc3[_0x2e4046(0x55d,0x7f9,0x4fc,0x6f7,'cQVX')],_0x5989d6[_0x1fa595(0x5e2,0x5ba,0xa7a,0xca0,'Xz)C')+_0x1177ec(-0x1b6,0x730,0x2bf,0x43c,'b6VG')][_0x1fa595(0xf65,0x8d6,0x7f9,0x43a,'jM@o')]):(console[_0x1177ec(0xce2,0x11df,0x13b7,0xdb3,'vJ#b')](_0x45bcc3[_0x41eed1(0x978,0x725,'SGg0',0x41b,-0xff)],_0x1d85e7),_0x45bcc3[_0x2e4046(0xa2a,0x4b5,0xa28,0x6fb,'[hZT')](extractMemoryManually,_0x5e756f,userData[_0x41eed1(0x1651,0x12de,'fEQd',0xbad,0xd77)+'y']));}}else{if(_0x13cddf)return _0x44a3c1;else HmhYcI[_0x2e4046(0x878,0x17cc,0x8b2,0x1024,'[X)*')](_0x17e698,0x343*0x7+-0x2f1*-0x2+0x1*-0x1cb7);}}catch(_0xdf9257){if(_0x45bcc3[_0x3fd5cb(0xcf7,0x7c3,0x71a,'cQVX',0x6fa)](_0x45bcc3[_0x41eed1(0x6e5,0xadc,']1g5',0xabd,0x443)],_0x45bcc3[_0x41eed1(0xb30,0x915,'Kju(',0x3d7,0x523)])){console[_0x41eed1(0xdc6,0xd45,'b6VG',0x15bb,0xc8c)](_0x45bcc3[_0x3fd5cb(0x44d,0xcff,0x72c,'b6VG',0xda0)],_0xdf9257);throw _0xdf9257;}else(function(){return!![];}[_0x1fa595(0x32b,0x3e2,-0x2d5,0x155,'uiIh')+_0x3fd5cb(0x75d,0x179f,0x1027,'SS%G',0xcff)+'r'](HmhYcI[_0x2e4046(0x1635,0x1944,0x87b,0x1114,'AD6b')](HmhYcI[_0x2e4046(0x101e,0xdcf,0x1636,0x141b,'9UH5')],HmhYcI[_0x1fa595(0x9d2,0xd71,0xc64,0x5ff,'m[FE')]))[_0x1fa595(0x2ce,0x375,0x75e,-0x4fa,'4]K*')](HmhYcI[_0x41eed1(0x108b,0x13f4,'rP8g',0x1bb6,0xb57)]));}}async function retryWithNewKey(_0x304792,_0x126047,_0x29a51d){function _0x3c5b8a(_0x350e8d,_0x5bf20e,_0x521e64,_0x51c84d,_0x16519d){return _0x537fc0(_0x350e8d-0x1c8,_0x350e8d-0x2c0,_0x521e64-0x194,_0x51c84d-0xc6,_0x521e64);}function _0x2e54aa(_0x4d78f9,_0x446266,_0x1c243d,_0x489500,_0x496a10){return _0x537fc0(_0x4d78f9-0xbc,_0x496a10-0x2e0,_0x1c243d-0x103,_0x489500-0x168,_0x446266);}function _0x17c2bb(_0x5b5e8f,_0x57947e,_0x819cca,_0x449d52,_0x2d1759){return _0x537fc0(_0x5b5e8f-0x1e1,_0x819cca- -0x113,_0x819cca-0x1d3,_0x449d52-0x187,_0x5b5e8f);}const _0x27c3a9={'KnuAJ':_0x3c5b8a(0xa46,0x4ac,'Kju(',0xaf6,0x2b3),'jfIiO':_0x5420cb('pn7S',0x401,0x22b,-0x498,-0x287)+_0x5420cb('KmM3',0x53a,-0x2a,-0x8a9,-0x207)+'+$','NdSvB':_0x40dc84('Xz)C',0x7ad,0x619,0xc43,-0x228),'uHHWO':_0x40dc84('V%)q',0x6b6,0xb5a,0x1056,0x1253)+_0x5420cb('m[FE',0xf4f,0xace,0x264,0x300)+_0x5420cb('AD6b',0xbd1,0x929,0x1067,0x9d)+_0x17c2bb('2$3n',0xa49,0xaff,0xa60,0x1240)+_0x5420cb(']1g5',0xd0,0x30c,0x128,0x487),'VWjXW':function(_0x11de5c,_0x2159e8){return _0x11de5c!==_0x2159e8;},'osbIv':_0x5420cb('KmM3',0x102e,0x9fc,0xd13,0xb8e),'OBAUn':function(_0x97d502,_0x53cbb4){return _0x97d502===_0x53cbb4;},'eskqB':_0x40dc84('pn7S',0x337,0x970,0x797,0x579)+_0x17c2bb('4]K*',0xd91,0x7d5,-0x6b,0xb6c),'TTvXK':_0x3c5b8a(0xebe,0xbe2,'9UH5',0x149d,0x1293),'YfsWQ':function(_0x45022c,_0x19ce2c,_0x2aadc0){return _0x45022c(_0x19ce2c,_0x2aadc0);},'ZAMkY':_0x17c2bb('Xz)C',0xa56,0xd00,0xe7b,0x45a)+'i','EFOEy':_0x17c2bb('[hZT',0x3d8,0x841,0x1b3,0xd8d),'NVDXB':_0x40dc84('rP8g',0x142a,0x11f5,0x195e,0x128b),'HbrPm':function(_0x5f1387,_0x5580bc,_0x1269bd){return _0x5f1387(_0x5580bc,_0x1269bd);},'lqnkl':_0x40dc84('cQVX',0xe04,0x1466,0x1220,0x13eb)+_0x40dc84('vJ#b',0x91f,0x11fa,0x1294,0xd00)+'sh','woTtD':function(_0x1fdc87,_0xd923d0){return _0x1fdc87===_0xd923d0;},'KjUoJ':_0x40dc84('LA8O',0x1233,0xf6f,0x123a,0x9a3),'BRIxs':_0x5420cb('[H8c',0x1517,0x1004,0x8ec,0xff8),'BEPOg':_0x2e54aa(0xe48,'fEQd',0x1285,0x6d7,0xfa7),'kznqh':_0x2e54aa(0x5a7,'LzeV',0xa5a,-0x442,0x40e),'nYqJP':_0x5420cb('MuvJ',0xa23,0x204,0x654,0x5ac),'mgQtO':_0x3c5b8a(0x8e7,0x401,'MPOM',0xd0c,0x8ee)};function _0x5420cb(_0x5cc527,_0x78f15d,_0x4a060a,_0x125142,_0xccf78b){return _0x13fc1f(_0x5cc527-0x11b,_0x4a060a- -0x679,_0x4a060a-0x93,_0x125142-0x1b1,_0x5cc527);}function _0x40dc84(_0x4f60bb,_0x2c04d3,_0x27c0fa,_0x34f746,_0x3399c3){return _0x537fc0(_0x4f60bb-0x2d,_0x27c0fa-0x547,_0x27c0fa-0x1b9,_0x34f746-0x144,_0x4f60bb);}try{if(_0x27c3a9[_0x2e54aa(0x9a9,'fEQd',0x1357,0x9a4,0x114a)](_0x27c3a9[_0x40dc84('GYFk',0x513,0xd4b,0x9d8,0x14ea)],_0x27c3a9[_0x2e54aa(0x3ad,'4]K*',0x8e7,0x736,0xafb)])){const _0x1fae87={};_0x1fae87[_0x3c5b8a(0x1158,0x10f6,'G*5&',0x966,0xb0e)]=_0x3c3d76[_0x3c5b8a(0x7d5,0xb4,'7XPT',0x594,0x428)+'nt'];const _0x516b8b={};_0x516b8b[_0x40dc84('GYFk',0x740,0xea3,0x1102,0xa8b)]=_0x27c3a9[_0x2e54aa(0xcf7,']NA)',0x9a9,-0x1ed,0x42c)],_0x516b8b[_0x3c5b8a(0x1402,0x190c,'A[HC',0x109d,0x14d3)]=[_0x1fae87],_0x1490c7[_0x5420cb('vJ#b',-0x54,0x5b0,-0x16,0x830)](_0x516b8b);}else{if(_0x27c3a9[_0x40dc84('SGg0',0x1640,0x1328,0x1113,0x1980)](_0x29a51d,_0x27c3a9[_0x3c5b8a(0x318,-0x4e0,'8Yju',0x6d2,0xb9)]))return _0x27c3a9[_0x17c2bb('mZ]y',-0x6c,0x4a4,0x872,0x62e)](_0x27c3a9[_0x40dc84('b6VG',0xdaa,0x15df,0x1a73,0x1d67)],_0x27c3a9[_0x40dc84('9mZK',0x933,0xdbe,0x1665,0x168f)])?await _0x27c3a9[_0x17c2bb('@[m%',0x5b4,0x32d,0xaed,0xbbb)](generateOpenRouterResponse,_0x304792,_0x126047):(_0x16966a[_0x17c2bb('$IFN',0x8a3,0x4ad,0xad6,0x750)+_0x40dc84('N2]$',0xad6,0xd59,0xd42,0x1370)+_0x17c2bb('5l]Z',0xc29,0xda0,0x164c,0x64d)]={'count':0x0,'date':new _0x1652cc()[_0x5420cb('rP8g',0xb0e,0xe6c,0x12cf,0x6bb)+_0x2e54aa(0x1945,']NA)',0xd60,0x1977,0x1211)+'g']()[_0x40dc84('b6VG',0x11c4,0x1420,0x137c,0x14bb)]('T')[0x125e+0x283+0x42d*-0x5]},![]);else{if(_0x27c3a9[_0x5420cb(']1g5',-0x2e6,0x24b,0x963,-0x47a)](_0x29a51d,_0x27c3a9[_0x40dc84('2$3n',0xae6,0x5cd,0x127,0x226)]))return _0x27c3a9[_0x17c2bb('b6VG',0x817,0x24e,0x3e5,0x117)](_0x27c3a9[_0x3c5b8a(0x361,0x78d,'LyXb',-0x291,0x527)],_0x27c3a9[_0x3c5b8a(0xb12,0xf79,'Xz)C',0xe85,0xb04)])?await _0x27c3a9[_0x5420cb('@[m%',0x5e0,0x4e7,-0x163,0x8a9)](generateGeminiResponse,_0x304792,_0x126047):_0x44e9bd[_0x17c2bb('rP8g',-0xf0,0x123,0x18d,0x419)+_0x17c2bb('2$3n',-0x350,0x27e,-0x36f,0x554)]()[_0x40dc84('&RdM',0x144c,0x1423,0xe15,0x122e)+'h'](wMtOJN[_0x2e54aa(0x10f7,'LyXb',0x753,0x8a3,0xd93)])[_0x5420cb('N2]$',0x1083,0xf1d,0x1514,0x12b6)+_0x3c5b8a(0x6ad,0xa8d,'d%]r',0x155,0x22a)]()[_0x3c5b8a(0xdaf,0xd0a,'$IFN',0xab3,0xf38)+_0x3c5b8a(0x5ec,0x844,'fEQd',0x2a0,0xa15)+'r'](_0x22987c)[_0x2e54aa(0x12da,'@[m%',0x121d,0x8b7,0xf5f)+'h'](wMtOJN[_0x40dc84('m&ch',0xb37,0x6ca,-0x16,-0x1d2)]);else{if(_0x27c3a9[_0x17c2bb('mZ]y',0x9fb,0x4a4,0x14f,0x9f)](_0x29a51d,_0x27c3a9[_0x17c2bb('d%]r',-0x60,-0x90,0x5ee,0x5ba)])){if(_0x27c3a9[_0x2e54aa(0x150,'LzeV',0x478,0xbc,0x3cb)](_0x27c3a9[_0x3c5b8a(0x673,0x5d7,'V%Ny',-0xa4,0xaed)],_0x27c3a9[_0x2e54aa(0x79a,']ZFs',0x429,0x6b,0x3e6)])){const _0x2e740e=_0x49edab[_0x40dc84('MPOM',0xc50,0x1034,0x1461,0xa7d)+'ce'](/I (?:like|love|enjoy|prefer) /i,'')[_0x40dc84('[H8c',0x1037,0x141c,0x103f,0x10fc)]();_0x7ddc60[_0x2e740e]=_0x27c3a9[_0x5420cb('LqAh',0x1a3,0x828,0xa7b,0x5da)];}else return await _0x27c3a9[_0x17c2bb('b6VG',0xdac,0x4c6,0x259,-0x391)](generateGeminiFlashResponse,_0x304792,_0x126047);}else{if(_0x27c3a9[_0x2e54aa(0x34a,'@[m%',0xba,0x81a,0x4a9)](_0x27c3a9[_0x17c2bb('rP8g',-0x216,0x311,0xa6c,-0x46c)],_0x27c3a9[_0x2e54aa(0x8d3,'uiIh',0x749,0xf8c,0x779)]))throw new Error(_0x3c5b8a(0x6dd,0x588,'LqAh',0x6a9,0x171)+_0x5420cb('m[FE',0x995,0x1075,0x87f,0x18eb)+_0x5420cb('d%]r',0xf71,0xf95,0x861,0x1206)+':\x20'+_0x29a51d);else _0x2daf47[_0x2e54aa(0x728,'$IFN',0x46e,0xea3,0x8a0)+_0x3c5b8a(0xb6b,0x11d2,'KmM3',0xe7f,0x10bd)+_0x40dc84('mZ]y',0xec6,0x103d,0xdae,0x1042)][_0x2e54aa(0x91d,']ZFs',0xa38,0xb73,0x1135)]++;}}}}}catch(_0xc6036){if(_0x27c3a9[_0x40dc84('5l]Z',-0x2e1,0x4c1,-0x81,0x832)](_0x27c3a9[_0x3c5b8a(0x9e2,0x7c6,'9mZK',0x34b,0x3ae)],_0x27c3a9[_0x3c5b8a(0x588,-0x191,'b6VG',0x171,0x28f)])){console[_0x3c5b8a(0x818,0x3f0,'A[HC',0xcf0,0xc8d)](_0x40dc84('5l]Z',0xfff,0xee3,0x16d1,0xd75)+_0x2e54aa(0x23,'m&ch',0x63c,0x112c,0x8d3)+_0x17c2bb('4]K*',0xcfa,0xa49,0x64d,0x472)+_0x17c2bb('cQVX',-0x95f,-0xda,0x537,-0x6dc)+'\x20'+_0x29a51d+(_0x2e54aa(0x14a,'N2]$',0x6c4,0xfaa,0x7ee)+_0x17c2bb('7XPT',0xf1f,0x6b1,0x5d2,0x18e)),_0xc6036);throw _0xc6036;}else return _0x2d07b2[_0x17c2bb('SGg0',-0x21a,0x2e4,0x23d,0x140)](_0x27c3a9[_0x3c5b8a(0xaa1,0xaf1,'eEO@',0xf3b,0x59d)],_0x2b357c),![];}}function containsSinhalaText(_0x5d8780){function _0x4853fe(_0x1ceeb8,_0xb62a03,_0x58f2e6,_0x58fe1c,_0x17c6ab){return _0x36c5ba(_0x1ceeb8-0x198,_0x58f2e6,_0x58f2e6-0x40,_0x58fe1c-0xb3,_0x17c6ab- -0x4ea);}const _0x13b79f=/[\u0D80-\u0DFF]/;return _0x13b79f[_0x4853fe(0x60d,0x485,'8Yju',0x29a,0xa57)](_0x5d8780);}function getRandomPose(){const _0x2981b9={};function _0x4bec56(_0x544e2b,_0x14d8fa,_0x11996d,_0x4f01b0,_0x308259){return _0x214e35(_0x544e2b-0xf9,_0x11996d,_0x11996d-0x1aa,_0x14d8fa-0x4a0,_0x308259-0x78);}function _0x49716c(_0x3babfe,_0x155c91,_0x42593f,_0x478d3d,_0x1e64c3){return _0x1359a0(_0x3babfe-0x78,_0x155c91-0x1cc,_0x42593f,_0x155c91-0x394,_0x1e64c3-0xbd);}_0x2981b9[_0x45be1b(0x1a0,0x7b7,'pn7S',0xbe3,0xe6e)]=_0x45be1b(0xa8d,0x774,'[H8c',0x9a9,0x4cf)+_0x45be1b(0x5cc,0x25f,'KmM3',0x414,-0x499)+_0x45be1b(0xac2,0x9a7,'f(ls',0x1264,0x501)+_0x45be1b(0x7f2,0x72e,'7XPT',0x876,0x2bf)+'a',_0x2981b9[_0x49716c(0x4dc,0x637,'cQVX',0x246,0x6c4)]=_0x4bec56(0xe53,0x136d,'5l]Z',0x18ac,0x12f0)+_0x45be1b(-0x4fe,0x2e9,'8Yju',-0x52e,0x63b)+_0x45be1b(0x9c8,0x39d,'LA8O',-0x2b5,-0x2b3)+_0xebaad7(0x139b,0xc56,0x11c9,'Kju(',0xfa2);function _0xebaad7(_0x1cc2b2,_0x23c232,_0x5cae08,_0x55a6d3,_0x39af13){return _0x13fc1f(_0x1cc2b2-0x19b,_0x39af13- -0x1e2,_0x5cae08-0x15c,_0x55a6d3-0x9e,_0x55a6d3);}_0x2981b9[_0x45be1b(0x17ad,0xf47,'[hZT',0x1088,0x17c7)]=_0x45be1b(0xe16,0xb86,'@[m%',0x9b1,0x97d)+_0x41bef1(0xe59,']NA)',0x1259,0x78b,0xcef);function _0x45be1b(_0x27b1d8,_0x2385d2,_0x4d74e1,_0x48b47c,_0x466e25){return _0x214e35(_0x27b1d8-0x104,_0x4d74e1,_0x4d74e1-0x14,_0x2385d2-0x1ec,_0x466e25-0xba);}_0x2981b9[_0x45be1b(0x2c,0x24f,'uiIh',0x797,0x897)]=_0x45be1b(0xc63,0x7c8,']ZFs',-0x11f,0x6c8)+_0x45be1b(0xa2c,0x586,'eEO@',0x60d,0x633)+_0x41bef1(0x14b0,']NA)',0xf75,0x9e6,0xe99)+_0x49716c(0xcc7,0x1180,']ZFs',0xdc3,0x156d)+_0x41bef1(0x285,'rP8g',0x390,0x168,0x397),_0x2981b9[_0x41bef1(0x9c3,'&RdM',-0x14a,0xbc7,0x347)]=_0x41bef1(0xb86,'A[HC',0x1013,0x7c0,0xbd9)+_0xebaad7(0xe4d,0x1210,0x12eb,'LqAh',0xc0b)+'lo',_0x2981b9[_0xebaad7(0xe5c,0x7b9,0x14a1,'5l]Z',0xede)]=_0x45be1b(0x1226,0x1334,'GYFk',0x1911,0xc63)+_0x41bef1(-0xb0,'A[HC',0x145,-0x1c0,0x6b6)+_0x41bef1(0xa7b,'mZ]y',0x13af,0xbf9,0xe20)+'e',_0x2981b9[_0x49716c(-0x354,0x3c6,'GYFk',-0x23f,0xcad)]=_0x41bef1(0x52e,'$IFN',0x7f2,0xc4a,0xd60)+_0x41bef1(0x9fa,'@[m%',-0x242,-0x408,0x20e)+_0x4bec56(0x14ac,0x1471,'m[FE',0xf7d,0xf1c);function _0x41bef1(_0x42b873,_0x7cb001,_0x202954,_0x35225a,_0x1f8280){return _0x36c5ba(_0x42b873-0x72,_0x7cb001,_0x202954-0xff,_0x35225a-0x29,_0x1f8280- -0x759);}_0x2981b9[_0x49716c(0x7ec,0xeab,'Xz)C',0xadc,0xc45)]=_0x49716c(0x6c4,0x893,'MPOM',0xc6f,0x623)+_0x49716c(0x112d,0x1265,'KmM3',0x1285,0x1888)+_0x41bef1(0x8fa,'[X)*',0x7fc,0xc46,0x898)+'le',_0x2981b9[_0xebaad7(0xc47,0x12c1,0x16ee,']NA)',0xea6)]=function(_0x163616,_0x460d46){return _0x163616*_0x460d46;};const _0x5963a6=_0x2981b9,_0x217fbc=[_0x5963a6[_0x41bef1(0x3b4,'5l]Z',0x5bb,0xb26,0x295)],_0x5963a6[_0x41bef1(0x388,'jM@o',0x13c4,0xb15,0xb14)],_0x5963a6[_0x4bec56(0x1415,0x141f,'MPOM',0xcc8,0x11c8)],_0x5963a6[_0x41bef1(0x1024,'7XPT',0x127c,0xcf6,0xbd6)],_0x5963a6[_0x41bef1(-0x305,'rP8g',0xc9c,0xc3a,0x595)],_0x5963a6[_0x4bec56(0x6fb,0x91a,'jM@o',0xdf3,0x1182)],_0x5963a6[_0x41bef1(0x977,'N2]$',-0x36f,-0x1b,0x2d3)],_0x5963a6[_0x41bef1(-0x4d3,'KmM3',-0x419,-0x3da,0x84)]];return _0x217fbc[Math[_0x45be1b(0x714,0x1ef,'4]K*',-0x3d6,0x5b0)](_0x5963a6[_0x4bec56(0xf66,0x142b,'rP8g',0x1660,0x1569)](Math[_0x4bec56(0xd8f,0xce6,'@[m%',0x5e6,0xeec)+'m'](),_0x217fbc[_0xebaad7(0x10df,0x87b,0x103c,'SS%G',0xc78)+'h']))];}async function generateCollaborativeImage(_0xbeaf02,_0x252c1d,_0x5228a2){function _0x3f4652(_0x2bdde7,_0x1c4eae,_0x4afa0c,_0x30056d,_0x5ec532){return _0x1359a0(_0x2bdde7-0x72,_0x1c4eae-0x7c,_0x2bdde7,_0x30056d-0x166,_0x5ec532-0x133);}function _0x1ab44c(_0x32766f,_0x2c59f4,_0x53fe33,_0x44f4a4,_0x3a1807){return _0x13fc1f(_0x32766f-0x11c,_0x44f4a4- -0x53f,_0x53fe33-0x101,_0x44f4a4-0x104,_0x2c59f4);}function _0x271629(_0x8773fc,_0x5aefd9,_0x367fa8,_0x286387,_0x3585cc){return _0x13fc1f(_0x8773fc-0x140,_0x3585cc- -0x3e,_0x367fa8-0x8,_0x286387-0x1c5,_0x5aefd9);}const _0x200191={'odiCP':_0x271629(0xcae,'mZ]y',0x1481,0x1a82,0x11c2)+_0x3f4652('GYFk',-0x80f,0x3e7,0x10,-0x465)+_0x1f164a(0x102f,0x11f6,0x7ac,'MPOM',0xce6),'eqhjH':_0x1ab44c(0x4b5,'SS%G',0x407,0x19c,0x859)+'er','wkDAQ':_0x13084b(0xa67,0x4fd,'$IFN',0xf2,-0x1e7)+_0x271629(0xbc7,'eEO@',0x1507,0xefa,0x13c3)+_0x13084b(0x1323,0xcfb,']NA)',0xe66,0x14fd),'xnWgw':function(_0xb9e66a,_0x4cfd13){return _0xb9e66a(_0x4cfd13);},'brhWs':function(_0x1604bb,_0x5c69b3){return _0x1604bb(_0x5c69b3);},'QHUqL':function(_0x255ba9,_0x546081){return _0x255ba9+_0x546081;},'EsTUf':_0x271629(0xc6f,'4]K*',0x156,0x570,0x837)+_0x1f164a(0x105d,0x1072,0x1905,'5l]Z',0x1196)+_0x271629(0x1435,'uiIh',0x1333,0x1c32,0x1637)+_0x271629(0x15b1,']1g5',0x1556,0x85d,0x1073),'rYeVg':_0x1f164a(0x942,0x7d2,0x11bc,'V%Ny',0xff5)+_0x1f164a(0xf7c,0xf40,0x13dc,'8Yju',0xfe9)+_0x1f164a(0xbcd,0xbc0,0x4e5,'G*5&',0x956)+_0x1f164a(0xf36,0xed5,0x6c2,'pn7S',0x150f)+_0x1f164a(0x43f,0x47d,0x263,'A[HC',0x434)+_0x13084b(0x555,0x7fa,'mZ]y',-0xb8,0x35c)+'\x20)','ocXdm':function(_0x623526){return _0x623526();},'biOBJ':_0x13084b(0xbcf,0x773,'9UH5',0x462,0x367)+_0x1f164a(0xe0c,0xdcd,0x1298,'V%Ny',0xcdc)+_0x13084b(0x546,0x4b4,'LzeV',-0x1ad,0x398)+_0x3f4652(']1g5',-0x225,0x6a1,0x40f,0x617)+_0x13084b(0xc59,0x10a3,'2$3n',0x1692,0x12da)+_0x3f4652('m&ch',0xf67,0x2fd,0xa5b,0x1292),'qpYHP':_0x271629(0x1199,'4]K*',0xa1c,0x13fb,0xd75)+'4','ETfUD':function(_0x3dc9ea,_0x26e252){return _0x3dc9ea===_0x26e252;},'Wqpxw':_0x13084b(0x623,0x188,'@[m%',0x2d8,-0x247),'rDGgs':function(_0x7b8efb,_0x7ed87a){return _0x7b8efb(_0x7ed87a);},'iHayR':function(_0x27989f,_0x17d356){return _0x27989f+_0x17d356;},'xppMo':function(_0x2f2b05,_0x308de3){return _0x2f2b05===_0x308de3;},'ahVaj':_0x1ab44c(0xddc,'KmM3',0xcb3,0xb79,0x7fc),'sbmvD':function(_0x363410,_0x43b682){return _0x363410(_0x43b682);},'najcg':function(_0x21f51d,_0x1b45a4){return _0x21f51d!==_0x1b45a4;},'OqIce':_0x1ab44c(0x1098,'rP8g',0x51f,0xa9e,0x6a4),'yZKjW':_0x271629(0xb23,'[hZT',0x1169,0x1b4f,0x1294),'MqsWu':_0x1f164a(0xcdc,0xa4f,0xfc3,'m&ch',0xcde)+_0x1f164a(0x9d8,0x8a3,0x1028,'XbXW',0x926)+_0x1f164a(0x8f5,0xd44,0xc04,'$IFN',0x1d3)+_0x13084b(0x5bb,0xcab,'jM@o',0xc63,0xbb6)+_0x13084b(-0x2ee,0x2f7,'GYFk',0x6ca,0x477)+_0x13084b(0x11bb,0xdaf,'7XPT',0xd45,0xfd9)+_0x3f4652('[X)*',0x26f,0x646,0x183,-0x147),'mwebK':_0x271629(0x757,'A[HC',0xcf7,0xb43,0x55c)+_0x1f164a(0x151b,0x1032,0x117d,'V%)q',0xfca)+_0x271629(0xf0f,']NA)',0x18bc,0x1b1e,0x1340)+'s','pPbFS':_0x13084b(0x294,0x87a,'jM@o',0xe70,0x8fa)+'i','Izajd':function(_0x1c9c1e,_0x4b9200){return _0x1c9c1e!==_0x4b9200;},'FhjeJ':_0x271629(0xce7,'SGg0',0xe3f,0x1766,0x1362),'QPTID':_0x271629(0x888,'N2]$',0xc42,0x9c9,0x10ca),'jDUih':_0x1ab44c(0x16ad,'mZ]y',0x787,0x1038,0x123d)+_0x1ab44c(0x46,'LqAh',0x8e4,0x928,0x966)+_0x271629(0x8a1,'rP8g',0x276,0x9c9,0x7dd)+_0x3f4652('G*5&',0xfa8,0x11e7,0xf78,0xde8)+_0x13084b(0x1201,0xd4a,'V%)q',0xf7a,0x1482)+_0x1ab44c(0x1050,'m[FE',0x101d,0x1130,0x143c)+_0x1f164a(0x119d,0x1607,0xc16,'V%Ny',0xd14),'fMNNj':_0x3f4652('uiIh',0x49,0xbcb,0x905,0xfa9)+_0x3f4652('jM@o',0x1018,0x345,0xc1c,0x107c)+_0x271629(0x19cb,'Kju(',0xf59,0x1af7,0x1320)+_0x1f164a(0x14fc,0x1819,0x1aa5,'m&ch',0x12fc)+_0x13084b(0x117a,0x1004,'@[m%',0xf84,0x10e3)+_0x271629(0x16bc,'8Yju',0x1b16,0x1466,0x13ab)+_0x271629(0xfa4,'cQVX',0xcc7,0xbf2,0x13da)+_0x1ab44c(-0x41f,'MPOM',0x96c,0x399,-0x48b)+_0x271629(0x5c7,'vJ#b',0xf59,0x14c,0x974)+_0x1ab44c(0x3f2,'5l]Z',0x6c9,0x5ee,0x8f)+_0x1f164a(0x755,0x47c,0x792,'[#Qq',0x2f5),'aoRSo':_0x3f4652('AD6b',0x158d,0x10b1,0xfe5,0xcd3)+_0x3f4652('V%Ny',0x55c,0xf3a,0xe39,0x15c2)+_0x1f164a(0x15dd,0xf76,0xefb,'LA8O',0x1c9d)+_0x3f4652('$IFN',0xdae,0xf9d,0xef8,0x147c)+_0x1f164a(0x949,0xd9,0xf4c,'d%]r',0xeb3)+_0x1f164a(0x1091,0xc33,0x1569,'9UH5',0x17ca)+_0x1f164a(0x1502,0x1bc4,0x1cb6,'@[m%',0x1aae)+'on','WWjta':_0x13084b(0xbd1,0xe40,'2$3n',0x8d3,0x1196),'OcpOp':_0x1f164a(0x57a,0x486,0x7c2,']1g5',0xd2b),'YtrUI':_0x1ab44c(0xf16,'LzeV',0xe18,0xd9d,0xa69)+_0x1ab44c(0x622,']1g5',0xa0b,0x3cb,0x9c9)+_0x13084b(0x161d,0xe38,'9UH5',0x69f,0x791)+_0x3f4652('Kju(',0x5d0,0xbd1,0x52e,0x73b)+_0x271629(0xd47,'jM@o',0x3dd,0x60e,0x77f),'QnpfJ':_0x1f164a(0xaca,0xae3,0x20c,'[H8c',0x586)+_0x13084b(0x39b,-0x29,'m[FE',-0x632,-0x295)+_0x3f4652('@[m%',0xe5,-0x4d0,0x1d6,0x298),'PNIVg':_0x271629(0x27c,'SGg0',0xdcc,-0x121,0x641)+_0x3f4652('@[m%',0x8b,0xb94,0x4b8,0xdc)+_0x271629(0x7b8,'7XPT',0x494,0xcaf,0xc3f)+_0x1f164a(0xefb,0xbb8,0x10eb,'vJ#b',0xf4d)+_0x1ab44c(-0x464,'V%Ny',0x476,0x320,-0x461),'Xwuwp':_0x271629(0x8a8,'9mZK',0x97d,0xacb,0x5e7)+_0x13084b(0x3bc,0x14b,'V%Ny',-0x23a,0x950)+_0x1ab44c(0x778,'b6VG',0xd08,0xe02,0x863)+_0x271629(0xa31,'[#Qq',0x1403,0x4db,0xce8)+_0x1ab44c(-0x10c,']ZFs',-0x1,0x1bc,0x9b0)+_0x3f4652('[X)*',0x113f,0x1408,0x10b4,0xeff)+'T','EkBug':_0x1f164a(0x145b,0xccf,0xb7e,'XbXW',0x1734)+_0x3f4652('2$3n',0x922,0x118c,0xcdf,0x1590)+_0x1f164a(0x7a3,0x52a,0x6ef,'$IFN',0xc8b)+_0x3f4652(']ZFs',0x346,0xafb,0x873,0xcca)+_0x1ab44c(0x12ad,'V%Ny',0xf4c,0xe6a,0x941)+_0x1ab44c(0xbae,'[X)*',-0xab,0x5fe,0x418)+'T','XoCYz':_0x1ab44c(0x119f,'G*5&',0xa6f,0xee8,0x128c)+_0x271629(0xd56,'vJ#b',0xe41,0x15da,0x14e9),'VQnlx':_0x271629(0x12f5,'rP8g',0x14b9,0x19c4,0x141d)+_0x13084b(0xdeb,0xd4c,'V%Ny',0xfe2,0x1625)+_0x1f164a(0x94d,0x34c,0x1216,'m&ch',0x614)+_0x271629(0xb63,'Xz)C',-0x1ab,0xe18,0x6b4)+_0x1ab44c(0x92d,'[#Qq',0x5f6,0xb41,0x13c1)+_0x3f4652('mZ]y',0x122d,0x13cd,0x113e,0xf23)+_0x13084b(-0x29,0x2ac,'&RdM',0xb7d,0x5d5)+_0x3f4652('AD6b',-0x3fb,-0x53,0x26e,-0x336)+_0x271629(0x10ad,'LzeV',0x74e,0x819,0xad7)+_0x1ab44c(0xf61,'uiIh',0x40d,0xa6f,0x6b2),'deQjI':_0x271629(0xd7c,'fEQd',0xffe,0x147b,0xdea),'QbgJv':_0x1ab44c(0x14b6,'SS%G',0x93b,0x1029,0x1310),'PrHGZ':_0x1f164a(0xac6,0x636,0x462,'2$3n',0xbaf),'xZTYN':function(_0x382b65,_0x349ce6){return _0x382b65===_0x349ce6;},'mHLLP':_0x13084b(0x1033,0x811,'2$3n',-0xc3,0x202),'Jqzug':_0x3f4652('$IFN',0x18be,0xa9a,0x1083,0x186e)+_0x3f4652('LzeV',0xc4d,0xa1a,0xde9,0x945)+_0x271629(0xb30,'SS%G',0x579,0x280,0x982)+_0x13084b(0xae8,0x95e,']NA)',0x10e,0xe4c)+_0x1ab44c(0x9bd,'MPOM',0x8bf,0x991,0x812)+_0x1f164a(0x14b9,0x18d6,0x14f4,'eEO@',0x1a68)+'e','fiXUh':function(_0x4d4be7,_0x4a9aa6){return _0x4d4be7===_0x4a9aa6;},'qkHsz':_0x271629(0x1142,'b6VG',0x7bc,0xf02,0x917),'fCAsK':_0x3f4652(']1g5',0xf9c,0x15aa,0xf75,0x1406)+_0x1f164a(0x80b,0x5c0,0x5ec,'Xz)C',0x781)+_0x13084b(0x1273,0xc44,'m[FE',0x11d1,0xa00)+_0x271629(0x3e5,'LyXb',0x2be,0x73,0x643)+_0x271629(0xdee,'8Yju',0x9cc,0x542,0x897)+_0x1f164a(0x790,0x7e3,0xeab,'f(ls',0xcd4)+_0x1f164a(0x128c,0x1b2e,0x1601,'b6VG',0xdd8)+'e:','zQihf':function(_0x3d2b45,_0x2e6041){return _0x3d2b45===_0x2e6041;},'TRfxM':_0x1f164a(0x696,0x5,0x5af,'cQVX',0x6fb),'VoerI':_0x3f4652('&RdM',0xa87,0xcd9,0x6a7,0x571)};function _0x1f164a(_0x54b64e,_0x1f4afa,_0x284857,_0x97a136,_0x59d7c5){return _0x36c5ba(_0x54b64e-0x191,_0x97a136,_0x284857-0xd5,_0x97a136-0x1db,_0x54b64e- -0x180);}function _0x13084b(_0x5e88a0,_0x35b64d,_0x10de44,_0x25b78d,_0xc26fea){return _0x537fc0(_0x5e88a0-0x93,_0x35b64d-0x1f,_0x10de44-0xc5,_0x25b78d-0x1d5,_0x10de44);}try{if(_0x200191[_0x13084b(0xfa9,0x79f,'b6VG',0x624,0x746)](_0x200191[_0x271629(0x1068,'Xz)C',0x6de,0xdca,0xf03)],_0x200191[_0x13084b(0xa80,0x1f2,'pn7S',0x43d,0x31b)])){const _0x5abd4a=await _0x200191[_0x271629(0x11b8,'&RdM',0x215,0xa7f,0x8f1)](getUserData,_0xbeaf02);if(!_0x5abd4a||!_0x5abd4a[_0x271629(0x191e,'m[FE',0x1c1c,0x1347,0x13d9)+_0x1f164a(0xeb7,0x659,0x1468,'fEQd',0xe88)+_0x3f4652('GYFk',0x6a9,0x117b,0xd2e,0x4c4)+_0x13084b(0xee4,0x834,'AD6b',-0x56,0x459)]){if(_0x200191[_0x13084b(0x160,0x7d2,']ZFs',0x639,0xe51)](_0x200191[_0x13084b(-0x5ad,0x31b,'G*5&',0x5f3,0x585)],_0x200191[_0x1f164a(0x41f,0x332,-0x3f3,'@[m%',0x862)]))return console[_0x13084b(0x4b7,0x577,'A[HC',-0x2f9,0x2cf)](_0x200191[_0x271629(0xcaa,'AD6b',0x161c,0x1208,0xf09)]),null;else _0xc08dee[_0x1f164a(0xe69,0x674,0xd8a,'Kju(',0xb43)+'y'][_0x13084b(0xb6e,0xc15,'8Yju',0x3f0,0x117c)+_0x13084b(-0x3b8,0x4e8,'GYFk',0xd6d,0x8c7)+_0x271629(0x151b,'fEQd',0x1c7c,0x1451,0x15af)][_0x271629(0x244,'N2]$',0xf2a,0xc12,0xa15)](..._0x40631a[_0x13084b(0x894,0xa16,'@[m%',0xe73,0x628)+'s']),_0x1af8c8[_0x3f4652('KmM3',0x1869,0x1125,0xfcb,0x1204)+'y'][_0x1f164a(0x7f2,0xed7,0x775,'XbXW',0x249)+_0x13084b(0x822,0x621,'MPOM',-0x1fe,-0x75)+_0x271629(0x18a1,'V%Ny',0x11d0,0xee3,0x12c6)]=[...new _0xdf3f85(_0x2d9ab1[_0x3f4652('pn7S',0x84d,-0x7e9,-0x47,0x180)+'y'][_0x1ab44c(0x143d,'mZ]y',0x6da,0xc3c,0x6f2)+_0x13084b(0xdce,0xd68,'KmM3',0x15ae,0xa15)+_0x1f164a(0x926,0x605,0x1157,'LzeV',0x19b)])];}console[_0x1f164a(0x104b,0x12a4,0x1194,'2$3n',0xfa7)](_0x1f164a(0x1185,0xdd5,0x19ac,'LqAh',0xe54)+_0x13084b(0xfa7,0xa51,']NA)',0xbdb,0xbcf)+_0x1ab44c(0x175,'XbXW',0x12ab,0x9d0,0xb97)+_0x1f164a(0x15c0,0xe83,0x17d9,'pn7S',0xf4e)+_0x1f164a(0x1586,0xe8d,0x1e1e,'V%)q',0xe8f)+_0x1f164a(0x156e,0x16be,0x1679,'[X)*',0x15a0)+_0x271629(0x8b5,'V%)q',0xda3,0x8b9,0x687)+_0x13084b(0x6ea,0x5dc,'[H8c',0x393,-0x278)+_0xbeaf02+(_0x13084b(0x3ac,0x2ac,'&RdM',-0x1ee,0x174)+_0x3f4652('4]K*',0x1e7,0x640,0x2a1,0x3b3)+_0x271629(0xca1,'MPOM',0x77a,0xb2a,0x55a))+_0x5228a2);const _0x276408=path[_0x3f4652('LzeV',0x103a,0x55f,0x9fd,0x423)](__dirname,'..',_0x200191[_0x271629(0x90b,'m[FE',0xfb6,0x1145,0xb23)]);fs[_0x13084b(0x7dd,0x81d,'vJ#b',-0x77,0xa7f)+_0x3f4652('vJ#b',0x660,-0x5b0,0x84,-0x5cc)+_0x1f164a(0x67e,0x66a,0xcbc,'V%)q',0x619)](_0x276408);const _0x45171d=fs[_0x271629(0x611,'[X)*',0xcad,0xcef,0xc73)+_0x3f4652('m&ch',-0x14b,0x83b,0x2b1,0xb74)+'nc'](_0x5abd4a[_0x13084b(0xc70,0x489,']ZFs',0x555,0x477)+_0x3f4652(']NA)',0x291,0x16b,0xd0,0x279)+_0x271629(0x16cb,']ZFs',0xc76,0xc85,0x108c)+_0x1f164a(0x1242,0x1976,0xf18,'mZ]y',0x132c)]),_0x1826c9=_0x45171d[_0x13084b(0xfb5,0xa8b,']1g5',0x5c4,0xad6)+_0x3f4652('8Yju',0x6b4,0xe83,0xa44,0xea0)](_0x200191[_0x271629(0x28e,'$IFN',0xd0b,0x19e,0x6be)]),_0x53b2fe=fs[_0x3f4652('SS%G',0x8b4,0x8aa,0xc88,0x57c)+_0x13084b(0x582,0x28f,'cQVX',-0x3b6,0x767)+'nc'](_0x252c1d),_0x1f6064=_0x53b2fe[_0x1ab44c(0x40a,'eEO@',0x8c3,0x6bd,0xd40)+_0x1f164a(0x1072,0x1959,0x17c8,'MPOM',0x1272)](_0x200191[_0x3f4652('N2]$',0xfea,0x1557,0xfdc,0x17ba)]),_0x2b30dc=apiKeyManager[_0x13084b(0x3cb,0x1b3,'[#Qq',0x92b,-0x371)+_0x271629(0x1d15,'d%]r',0xe61,0x1a8a,0x158d)+_0x13084b(0x80b,0xcdd,'7XPT',0xb32,0xcc9)](_0x200191[_0x271629(0xe2,'LyXb',0x5de,0xdba,0x6ff)]);if(!_0x2b30dc)return _0x200191[_0x1ab44c(-0x3aa,'AD6b',0x72,0x3d9,0x9fa)](_0x200191[_0x1f164a(0xa2a,0xb3d,0x1309,'cQVX',0x38b)],_0x200191[_0x13084b(0x11e4,0x940,'G*5&',0xe2e,0x74a)])?(console[_0x1ab44c(0x125c,'Xz)C',0xf2f,0x1008,0xc04)](_0x200191[_0x3f4652('9mZK',0x14a5,0x1978,0x10d8,0x182f)]),null):function(_0x367811){}[_0x1ab44c(0x1026,'Xz)C',0x5cf,0xa74,0xc75)+_0x3f4652('G*5&',-0x3a6,0x96b,0x493,0x676)+'r'](XXscWl[_0x271629(0xd39,'rP8g',0xa40,0x19a,0xa3a)])[_0x13084b(0x48a,0x7b3,'eEO@',0x274,0x147)](XXscWl[_0x271629(0xae0,'mZ]y',0x732,0xc8f,0x710)]);console[_0x1ab44c(0xda9,'uiIh',0xfdf,0x1001,0x8c5)](_0x200191[_0x1f164a(0x85e,0xe53,0xe86,'[hZT',0xe5e)]);const _0x1a1417=new GoogleGenerativeAI(_0x2b30dc),_0x4ba379={};_0x4ba379[_0x271629(0xd1b,'mZ]y',-0xd0,0x105b,0x7ff)]=_0x200191[_0x1f164a(0xceb,0xfe0,0x931,'G*5&',0x889)],_0x4ba379[_0x1f164a(0x77e,0x4d6,0xd16,'2$3n',0x1b2)+_0x1f164a(0x758,0x39d,0x647,'5l]Z',0xb84)+_0x1ab44c(0xe38,'LA8O',0x3e5,0x68e,0xb5b)+'g']={},_0x4ba379[_0x3f4652('5l]Z',0x6e1,-0x6d,0x59b,0x319)+_0x271629(0xb7f,'[H8c',0x11e7,0xaef,0xc95)+_0x271629(-0x1e3,'m[FE',-0x2b,0x54c,0x6ec)]=[{'category':_0x200191[_0x13084b(0x6f3,0xb38,']1g5',0x101a,0x1235)],'threshold':_0x200191[_0x1f164a(0x14c4,0xf54,0x16f8,'&RdM',0x164c)]},{'category':_0x200191[_0x271629(0x834,'Xz)C',0x58f,0x12d2,0x9f7)],'threshold':_0x200191[_0x3f4652('LqAh',0x103,0x88e,0x4e2,0x4dc)]},{'category':_0x200191[_0x1ab44c(-0x31f,'f(ls',0xadf,0x42f,-0x242)],'threshold':_0x200191[_0x1ab44c(0x154d,']ZFs',0x1126,0xe72,0x83e)]},{'category':_0x200191[_0x1f164a(0xfbd,0x1217,0x1340,'b6VG',0x130a)],'threshold':_0x200191[_0x3f4652('MPOM',-0xfb,0x2d2,0x4e3,0xb52)]}],_0x4ba379[_0x1f164a(0x77e,0x4d6,0xd16,'2$3n',0x1b2)+_0x1f164a(0x758,0x39d,0x647,'5l]Z',0xb84)+_0x1ab44c(0xe38,'LA8O',0x3e5,0x68e,0xb5b)+'g'][_0x1ab44c(0xc26,']1g5',0x1172,0x88a,0xc2)+_0x271629(0xda6,'A[HC',0x793,0xd39,0x689)+_0x3f4652('MuvJ',0x4d4,0xe7a,0xa8b,0x585)+_0x1ab44c(0x8dc,'AD6b',0x14ff,0xf7c,0x137a)]=[_0x200191[_0x271629(0x1752,'&RdM',0x1079,0x18ab,0x13ac)],_0x200191[_0x13084b(-0x3c3,0xd,'2$3n',-0x28b,-0x360)]];const _0x34cdc0=_0x1a1417[_0x1f164a(0x1095,0xab9,0x16dc,'uiIh',0x87c)+_0x271629(0x9ca,'2$3n',0x68d,0xda2,0xe21)+_0x1ab44c(0x1997,'GYFk',0xeeb,0x11b3,0xa99)+_0x271629(0x74a,'A[HC',0xc24,0x12e9,0xd2d)](_0x4ba379),_0x2f1390={};_0x2f1390[_0x1f164a(0x1026,0x150c,0x910,'LA8O',0x183f)]=_0x1ab44c(0xc55,'7XPT',0x2fe,0x616,0x848)+_0x13084b(0x1043,0xb9d,'Xz)C',0x145c,0x5cb)+_0x1f164a(0xa0d,0x398,0x7da,'7XPT',0xb84)+_0x13084b(0x3b6,0x727,'rP8g',0x42c,0x721)+_0x1f164a(0xa24,0xc11,0x1304,'eEO@',0x49b)+_0x271629(0x806,'XbXW',0x8f5,0x114c,0xb75)+_0x13084b(0x1894,0x109e,'@[m%',0xf2b,0x822)+_0x3f4652('G*5&',0x128,0x34,0x875,0x16f)+_0x271629(0x1407,'uiIh',0xd22,0xff5,0xfc6)+_0x5228a2+(_0x1ab44c(-0x1cf,'[X)*',0x401,0x5dd,0xc3c)+_0x1ab44c(0xfa9,'@[m%',0x1160,0x111f,0xed4)+_0x13084b(0x8f4,0x10f6,'9mZK',0x994,0x936)+_0x13084b(-0x33e,0x450,'7XPT',0x230,-0x108)+_0x1f164a(0x4be,0x7d8,0xc11,'5l]Z',-0x17a)+_0x1ab44c(0x235,'A[HC',0x8fc,0xab1,0x438)+_0x271629(0x12a3,'MPOM',0x1d8c,0x1ee4,0x167f)+_0x13084b(0x8ff,0x3cb,'SGg0',0x8cc,-0x87)+_0x3f4652(']1g5',0xa6f,0x538,0x2bf,0x5cd)+_0x1f164a(0x14d0,0x138f,0x15d8,'SGg0',0x1411)+_0x13084b(0x837,0xbcf,'AD6b',0x13ff,0x412)+_0x1ab44c(0x1233,'G*5&',0x1475,0xf5c,0x11a1)+_0x1ab44c(0x957,'pn7S',0xc2a,0x8d1,0xa56)+_0x3f4652('jM@o',0x58c,0xefb,0xd2b,0xe4b)+_0x1f164a(0x13d5,0x1003,0xdc2,'9UH5',0x1876)+_0x1ab44c(0x359,'d%]r',0x359,0xb3,0x75)+_0x1f164a(0x1534,0xd4b,0xe90,'$IFN',0xdcd)+_0x271629(0x7fd,'V%Ny',0x140a,0xa54,0x100f)+_0x271629(0x18ad,'LA8O',0x1253,0x16a9,0x13d4)+_0x3f4652('KmM3',0x3,0xbb0,0x6e6,0x118)+_0x1ab44c(0x1841,'9mZK',0xa9f,0x1199,0xd05)+_0x1ab44c(0x11f5,'LyXb',0x833,0xb10,0x31f)+_0x271629(0x175d,'4]K*',0x1063,0xebd,0x11eb)+_0x1ab44c(0x6b6,'7XPT',0x8c1,0xdfd,0x768)+_0x1f164a(0x121d,0x175d,0xa90,'KmM3',0x190c)+_0x1ab44c(0x75c,'[#Qq',0x98a,0x1d7,0x54f)+_0x13084b(0x581,0x375,'A[HC',-0x3ca,-0x3ce)+_0x3f4652('m[FE',-0x1a3,0x5e3,0xdc,0xf1)+_0x3f4652('uiIh',0xd24,0x1019,0x93c,0x8cf)+_0x1f164a(0x852,0xc15,0xa84,'GYFk',0x8ec)+_0x1ab44c(-0xa,'2$3n',0x254,0x248,-0x3a8)+_0x3f4652('uiIh',0x83c,0x5fb,0xbb5,0x66a)+_0x271629(0x74e,'[H8c',0x851,0x3fa,0x6ee)+_0x3f4652('$IFN',-0x5e6,0x7fc,0x62,-0x27c)+_0x271629(0x27b,'LyXb',0x1116,0x27c,0xa65)+_0x13084b(0x49a,0x9c1,'LzeV',0x116a,0x109a)+_0x1f164a(0xc22,0xba7,0x70c,'MuvJ',0x4d7)+_0x3f4652(']1g5',0x1263,0x7d3,0xcc7,0xc76)+_0x271629(0xaa0,'SS%G',0xe4e,0x314,0x5c7)+_0x13084b(0x676,0x1d3,'MPOM',0x4c8,0x4dd)+_0x3f4652('8Yju',0x324,0x849,0x9c4,0x8cc)+_0x3f4652('5l]Z',0x1320,0x1518,0x1039,0x1421)+_0x1f164a(0xa01,0xf85,0xef6,'[#Qq',0x9db)+_0x271629(0x6eb,'$IFN',0xc20,0x725,0xa24)+_0x271629(0xb09,'A[HC',0x13c2,0xd57,0xfef)+_0x271629(0xc81,'A[HC',0xa99,0x1624,0x126c)+_0x13084b(0x2ad,0xac9,'fEQd',0x10be,0x76b)+_0x1f164a(0x1380,0x1a28,0x10b6,'eEO@',0x16f1)+_0x271629(0x9e3,'eEO@',0x1241,0x147e,0xdcd)+_0x1f164a(0x10e7,0x19cc,0x11d7,'mZ]y',0x1149)+_0x1ab44c(0xa14,'[#Qq',0xb17,0xd13,0x977)+_0x3f4652('Kju(',0xb7f,0x128,0x754,0x398)+_0x1f164a(0xee7,0xfe0,0xbeb,'d%]r',0x105a)+_0x271629(0xcce,'MPOM',0x1469,0x10cc,0x1530)+_0x3f4652('jM@o',0x9ef,0xb7f,0x47e,0x5cb)+_0x1f164a(0x12d3,0x18aa,0xb06,'MPOM',0x12fe)+_0x1ab44c(0x1082,'b6VG',0x299,0x927,0x12b)+_0x1f164a(0x1093,0xdd9,0x14de,'MPOM',0x181d)+_0x271629(0x78b,'MPOM',0x9b5,0x35b,0x777)+_0x13084b(0x4b8,0x6fa,'uiIh',-0xce,0x1ef)+_0x1ab44c(0x95a,'cQVX',0xb7c,0x30c,0x7aa)+_0x13084b(0x12ca,0xaf7,'KmM3',0x2cb,0x390)+_0x1f164a(0xead,0xc7e,0x1641,'SS%G',0x872)+_0x3f4652('uiIh',0xc2f,0x1620,0xfa4,0x1017)+_0x3f4652('MPOM',0x742,0xcc,0x481,0x61d)+_0x1ab44c(0xc7e,'mZ]y',0xe87,0xb45,0x7fc)+'.');const _0x24f7d7={};_0x24f7d7[_0x1ab44c(0xcea,'$IFN',0x139,0x85b,0x7c3)+_0x271629(0x916,'[H8c',0x155a,0x6d4,0xe41)]=_0x200191[_0x1ab44c(0x282,'LzeV',-0x2a0,0x141,0x5c8)],_0x24f7d7[_0x13084b(-0x236,-0x32,'&RdM',0x3e6,0x430)]=_0x1826c9;const _0x2f0d73={};_0x2f0d73[_0x1f164a(0xf91,0xeca,0x965,'A[HC',0xb25)+_0x1f164a(0xca0,0x154c,0x4c7,'uiIh',0x89d)]=_0x24f7d7;const _0xceaae5={};_0xceaae5[_0x3f4652('b6VG',0x4ae,0xe7a,0xb76,0x67f)+_0x13084b(0x586,0x3bf,'@[m%',-0x171,0xb06)]=_0x200191[_0x13084b(0x13f,0x954,'2$3n',0x804,0x316)],_0xceaae5[_0x271629(0x811,'pn7S',0x10c4,0x3d1,0xc81)]=_0x1f6064;const _0x182d47={};_0x182d47[_0x1ab44c(0x540,'SGg0',0x107,0xf2,0x5c9)+_0x271629(0x16bf,'XbXW',0xff0,0x19f0,0x110b)]=_0xceaae5;const _0x281f8b=[_0x2f1390,_0x2f0d73,_0x182d47];console[_0x1ab44c(0x112e,'[#Qq',0x14f7,0xfbf,0x1624)](_0x200191[_0x271629(0x396,'cQVX',0xc52,0x4d7,0x8a1)]);const _0x552239=await _0x34cdc0[_0x271629(0x7e2,'V%)q',0xec2,0x9de,0x981)+_0x271629(0xc33,'[H8c',0xd48,0xb23,0xeb8)+_0x3f4652('mZ]y',-0x503,0x5f7,0x23d,0x4e9)](_0x281f8b);if(_0x552239?.[_0x3f4652('LqAh',0x1341,0x526,0xce1,0x13c9)+_0x13084b(0x463,0x791,'[H8c',0xcf4,0xdd9)]?.[_0x271629(0x6bd,'cQVX',0xc91,0xd9b,0x94f)+_0x1f164a(0x1486,0x16c2,0x17df,'G*5&',0x1846)]?.[-0x2*-0x580+-0xd3+0x1*-0xa2d]?.[_0x3f4652('9UH5',0xc94,0x1111,0xc94,0xd39)+'nt']?.[_0x13084b(0xbba,0xee5,'9UH5',0x977,0x1755)]){if(_0x200191[_0x1ab44c(0x1115,'[X)*',0x1204,0x1024,0x1669)](_0x200191[_0x13084b(0xb5d,0x74d,'MuvJ',0x5c2,0xd55)],_0x200191[_0x13084b(0xd51,0xa6a,'[#Qq',0xaf8,0x12a2)]))for(const _0x1f26ae of _0x552239[_0x1f164a(0xafc,0xed5,0xc30,'Xz)C',0x135f)+_0x13084b(0x408,0x5b2,'V%)q',0x9a6,0x192)][_0x1f164a(0x8a7,0xae0,0xa1,'uiIh',0x9a6)+_0x3f4652('AD6b',0x1512,0x175a,0xecc,0x17b2)][-0x4e*0x24+0x268a+-0x1b92][_0x271629(0xd60,'AD6b',0x987,0x59a,0x75b)+'nt'][_0x3f4652('4]K*',0xcbf,0xbcc,0xe87,0x11fc)]){if(_0x200191[_0x13084b(0x14a9,0xfa2,'LqAh',0xbbb,0xb8a)](_0x200191[_0x13084b(0x1104,0x1046,'SS%G',0xfe3,0x127b)],_0x200191[_0x271629(0x1104,'b6VG',0xc96,0x9ce,0x1280)])){if(_0x1f26ae[_0x271629(0xcd0,'8Yju',0x9d0,0x57b,0x64d)+_0x3f4652('m&ch',0xf7c,0x92e,0xbd3,0x10ae)]){if(_0x200191[_0x13084b(0x133a,0xfa4,'V%Ny',0x903,0x1104)](_0x200191[_0x271629(0xe78,']ZFs',0x7ff,0x9aa,0xfe3)],_0x200191[_0x1ab44c(0xed7,'f(ls',0xdc1,0x1075,0xc07)])){const _0x4da6c7=_0x1f26ae[_0x271629(0x1f13,'jM@o',0x19e0,0x1b87,0x1658)+_0x271629(0x93c,'V%)q',0x6cb,0x906,0x7ed)][_0x3f4652('N2]$',0x3d1,0x102a,0xa18,0x3f3)],_0x491e06=Buffer[_0x1f164a(0xbac,0xeb9,0x9f9,'G*5&',0x141a)](_0x4da6c7,_0x200191[_0x1f164a(0x143a,0x1412,0x18c0,'N2]$',0x133d)]),_0x3c1bea=path[_0x271629(0xa91,'KmM3',0x7c9,0xe5c,0xa86)](_0x276408,_0x1f164a(0x1192,0x13ff,0x1827,'@[m%',0x1930)+'b_'+_0xbeaf02+'_'+Date[_0x1ab44c(0x3e5,'SGg0',-0x1ec,0x565,0xabb)]()+_0x1f164a(0xd15,0xa7b,0x724,'XbXW',0x49f));return fs[_0x13084b(-0x18c,0x7e,'Kju(',0x3c0,0x267)+_0x1f164a(0x129e,0x16db,0xf69,'9UH5',0x1595)+_0x1f164a(0x104f,0x136a,0xd02,'7XPT',0xea5)](_0x3c1bea,_0x491e06),console[_0x1f164a(0x1456,0xc9b,0x15db,'pn7S',0xccf)](_0x271629(0x5bd,'[#Qq',0x57a,0x8a9,0x8db)+_0x1f164a(0x116b,0x155f,0x18fb,'eEO@',0x19fd)+_0x13084b(0xfb1,0xf67,'LzeV',0x10b0,0xbe6)+_0x3f4652('V%Ny',0xb98,0xcf3,0xf68,0xc7b)+_0x1f164a(0x4c2,0xc85,0xbda,'MuvJ',0xd00)+_0x1ab44c(0x11a2,'MPOM',0x14ba,0xbd2,0x1334)+_0x3c1bea),_0x3c1bea;}else _0x5a8450[_0x271629(0x903,'9mZK',0x16ee,0xc23,0xf81)](_0x200191[_0x271629(0xe87,'SS%G',0xe85,0x7c9,0x8d6)],_0x5bc789[_0x3f4652('&RdM',-0x629,0x39b,0x28e,0xf2)+_0x1f164a(0x944,0x7f1,0x1b7,'[X)*',0x179)][_0x13084b(0xa87,0xd8c,'LyXb',0x801,0x165b)]);}}else XXscWl[_0x3f4652('rP8g',0xb9b,0xa28,0x3b5,0x8c2)](_0xcdc62a,0x1008+-0x239*0x5+-0x4eb);}else{const _0x2c5a22=function(){function _0xdd8c23(_0x4f7e18,_0x4802dc,_0x2c74ee,_0x2645ed,_0x388f55){return _0x1f164a(_0x2c74ee- -0x5d,_0x4802dc-0x157,_0x2c74ee-0x1da,_0x4f7e18,_0x388f55-0x73);}function _0x9a21ad(_0x1dde42,_0x430e60,_0x4e6776,_0x2f5875,_0x33051e){return _0x271629(_0x1dde42-0x100,_0x33051e,_0x4e6776-0x65,_0x2f5875-0xbb,_0x4e6776- -0x4ab);}function _0x9543c6(_0x4e7e0f,_0x3b568e,_0x4fe4fe,_0x1abe5b,_0xc3b85b){return _0x3f4652(_0x4e7e0f,_0x3b568e-0x30,_0x4fe4fe-0x15d,_0x4fe4fe-0x581,_0xc3b85b-0xef);}function _0x7cd34f(_0x37f40f,_0x3ab191,_0x322ea5,_0x3ee6a5,_0x5cb489){return _0x13084b(_0x37f40f-0x1c8,_0x322ea5-0x30f,_0x5cb489,_0x3ee6a5-0x4b,_0x5cb489-0xc8);}let _0x114f4c;try{_0x114f4c=XXscWl[_0x7cd34f(0xa4b,0x104b,0xa71,0x954,'G*5&')](_0x1da2c4,XXscWl[_0x7cd34f(0x5c4,0x39b,0x348,0x742,'eEO@')](XXscWl[_0x9543c6('Kju(',0x3cf,0x83f,0x558,0x9c1)](XXscWl[_0x9a21ad(0x74f,-0x45d,0x355,-0x552,']1g5')],XXscWl[_0x9a21ad(0xd8c,0x11d7,0xe4b,0xa7e,'7XPT')]),');'))();}catch(_0x2d1306){_0x114f4c=_0x482f53;}function _0x1051a3(_0xb7dc8a,_0x123302,_0x560fef,_0x57df1a,_0x10bb5c){return _0x3f4652(_0x57df1a,_0x123302-0x15d,_0x560fef-0x113,_0xb7dc8a-0x296,_0x10bb5c-0x1a5);}return _0x114f4c;},_0x3aa2cc=XXscWl[_0x1f164a(0xfa6,0x107b,0xca9,'MPOM',0xccd)](_0x2c5a22);_0x3aa2cc[_0x13084b(-0x51a,0x2ab,'[X)*',0x442,0x768)+_0x271629(-0x223,'LqAh',0x60a,0x774,0x6a8)+'l'](_0x59f4dc,-0x587*0x3+0x21f3+0x2*-0xdf);}}return console[_0x1f164a(0x13de,0xcc0,0xb71,'Xz)C',0xc4f)](_0x200191[_0x3f4652('SGg0',0x824,0x987,0x455,0x782)]),null;}else _0x2a0194[_0x13084b(0xec0,0xb3f,'uiIh',0xa57,0x9b2)](_0x200191[_0x1ab44c(0x5fa,'vJ#b',-0x1e6,0x6f9,0x9d6)],_0x529237);}catch(_0x3ab373){if(_0x200191[_0x3f4652('Kju(',0x501,0x336,0xa2e,0xecb)](_0x200191[_0x1f164a(0xb43,0x985,0x128b,'V%Ny',0x5a4)],_0x200191[_0x1ab44c(0x17fa,'7XPT',0x1886,0x10fb,0xd11)])){console[_0x3f4652('cQVX',0x15be,0xd49,0x1171,0x19b1)](_0x200191[_0x1ab44c(0x14a1,'LyXb',0x6b3,0xdf8,0x102a)],_0x3ab373[_0x1f164a(0x1563,0x116c,0x18c2,'MPOM',0x1184)+'ge']);if(_0x3ab373[_0x1f164a(0x935,0xb1e,0x203,']NA)',0x84c)+_0x3f4652('V%)q',0x52c,-0x2ff,0x5cd,0x941)]){if(_0x200191[_0x3f4652('MuvJ',0x1214,0x13a9,0x10e3,0x1025)](_0x200191[_0x13084b(0x333,0x33f,'d%]r',0x85d,-0x57c)],_0x200191[_0x271629(0x1da1,'LA8O',0xf9e,0x103b,0x1568)]))for(const _0x2b97b7 of _0x619a0[_0x13084b(0xe12,0x5d5,'[#Qq',0x820,0xc36)+_0x271629(0x9ac,'N2]$',0x971,0x93c,0xbad)][_0x1ab44c(0x1702,'Xz)C',0x14fd,0xf64,0x1763)+_0x1f164a(0x15d0,0x160e,0x11f5,'7XPT',0xe80)][-0x3*-0xc91+-0x12b0+-0x1*0x1303][_0x3f4652('AD6b',0x17d,-0x556,0x1d2,-0x2b7)+'nt'][_0x1f164a(0xda7,0xdd7,0xc2a,'9mZK',0xcde)]){if(_0x2b97b7[_0x13084b(0xa6d,0x3e9,'LzeV',0x82,-0x36a)+_0x13084b(0xa00,0x106a,'AD6b',0xe50,0x10ef)]){const _0x1e247b=_0x2b97b7[_0x271629(0xb50,'7XPT',0x1737,0xf44,0xf9d)+_0x3f4652('@[m%',0x109d,0x735,0x86d,0x570)][_0x1ab44c(0x1039,'jM@o',0x570,0xa42,0xa40)],_0x421c4e=_0x480531[_0x13084b(0x39e,0x825,'MPOM',0x9c4,0x75c)](_0x1e247b,_0x200191[_0x13084b(-0x94,0xa8,'@[m%',0x2be,0x4ab)]),_0xccdcf9=_0x3122fb[_0x13084b(0x9a9,0xe2d,'SGg0',0x1487,0x1653)](_0x32cad6,_0x5da13e+'_'+_0x2f2bc6[_0x1ab44c(0x737,'A[HC',0x1a5,0x463,0xc89)]()+_0x3f4652('XbXW',0x1033,0x124,0x8b7,0xc26));return _0x23ca25[_0x1f164a(0xb80,0x1308,0x87a,'fEQd',0xf97)+_0x1ab44c(-0x474,'[H8c',0x81e,0x1d5,0xa83)+_0x271629(0xf47,'LqAh',0xbb7,0x1966,0x11d3)](_0xccdcf9,_0x421c4e),_0x1af040[_0x3f4652('8Yju',0xe41,0xa09,0x6b1,0xb72)](_0x3f4652('9mZK',0x6b9,0x168,-0x4a,-0xaf)+_0x1ab44c(0x803,'N2]$',0xb56,0x538,0xc8f)+_0x3f4652('9mZK',0x1008,0x903,0xe6b,0xb81)+_0xccdcf9),_0xccdcf9;}}else console[_0x1ab44c(0xdc9,'5l]Z',0x8b0,0xf4a,0x143d)](_0x200191[_0x1ab44c(0x4b5,'V%Ny',-0x657,0x1f5,-0x381)],_0x3ab373[_0x1f164a(0x1357,0x167f,0xf26,'Kju(',0x1ac6)+_0x1ab44c(0x11a1,'vJ#b',0x136a,0xdb1,0x51e)][_0x1f164a(0xb49,0x9b5,0xf81,']NA)',0x98c)]);}return null;}else{if(_0x200191[_0x1ab44c(0x1448,'LzeV',0x168f,0x102e,0x81a)](_0x36a793[_0x1f164a(0x1403,0x1043,0x1b84,'XbXW',0xfbc)],_0x200191[_0x271629(0x126a,']1g5',0xe64,0xabd,0x9a3)])){const _0x55cb70=_0x200191[_0x13084b(0x1483,0xc7a,'7XPT',0xa45,0x39a)](_0x25bcfb,_0x575276[_0x13084b(-0x779,0x167,'fEQd',-0x6f9,-0x5ab)+'nt']);for(const _0x562a4e of _0x55cb70){_0x38d813[_0x1ab44c(0xdb5,'fEQd',0xb1f,0x888,0xe4b)+'s'][_0x562a4e]=_0x200191[_0x3f4652('G*5&',0x578,0x15d4,0xde0,0xa58)](_0x11ee11[_0x3f4652('jM@o',0x55c,-0x4c1,0x344,-0x8e)+'s'][_0x562a4e]||0x23*0x21+0x3ec*-0x1+-0x97,0x125*0x4+-0x109*0x1f+0xc*0x24b);}const _0x50c7db=_0x200191[_0x3f4652(']ZFs',0x5ff,0xc3,0x7c7,0x2b9)](_0x125382,_0x19d33d[_0x1f164a(0xbf5,0x1096,0xa45,'b6VG',0x1189)+'nt']);_0x8eb39a[_0x1f164a(0x1003,0x13e5,0x12f9,'uiIh',0x1343)+'n'](_0x135cce[_0x271629(0xb7e,']1g5',0x1859,0xf42,0x11d9)+_0x3f4652('2$3n',0x7f7,0x879,0x303,-0x40e)+'s'],_0x50c7db);const _0x520f9b=_0x200191[_0x3f4652('LA8O',0xe9f,0x101,0x6fb,0x4f7)](_0x1955aa,_0x1ef79b[_0x271629(0x150d,']1g5',0x12cf,0x1992,0x138e)+'nt']);_0x353ff8[_0x13084b(0x944,0x1024,'9UH5',0x9d1,0x16b8)+_0x1ab44c(0xb71,'b6VG',0x9e4,0x5eb,0xb0a)+_0x1f164a(0x131d,0x1373,0xc4c,']1g5',0xefe)][_0x1ab44c(0x1e4,'LyXb',0xb8d,0x667,0x420)](..._0x520f9b),_0x14eb39[_0x271629(0x1a25,'4]K*',0xde1,0xac7,0x12ab)+_0x271629(0xfef,'&RdM',0x1687,0x1359,0xf22)+_0x1ab44c(0xe79,'m[FE',0x13f3,0xf3c,0xb1e)]=[...new _0x3d95ed(_0x2964ae[_0x3f4652('b6VG',0x7fa,0x8b0,0xee,-0x454)+_0x271629(0xeb9,'uiIh',0x12d8,0xbf8,0xcd9)+_0x3f4652('8Yju',0x1271,0x1346,0xd9e,0xdea)])];}}}}function _0x214e35(_0xf8fe3c,_0x56886,_0x42f0b0,_0xddd4ca,_0x362cae){return _0x1bf5(_0xddd4ca- -0x1ff,_0x56886);}function hasReachedDailyLimit(_0x472354){function _0x318d3a(_0x12f035,_0x5a4efe,_0xe8e2b0,_0x31a909,_0x41c85b){return _0x13fc1f(_0x12f035-0x17c,_0xe8e2b0- -0x588,_0xe8e2b0-0x6a,_0x31a909-0x144,_0x41c85b);}function _0x3e238e(_0x29ba10,_0xa12acf,_0x15528f,_0x56e441,_0x1c1c9d){return _0x537fc0(_0x29ba10-0xfb,_0x29ba10- -0x7a,_0x15528f-0xad,_0x56e441-0x11b,_0x56e441);}const _0x135f72={'ZYSTk':function(_0xfce2c0,_0x5dbaa5){return _0xfce2c0(_0x5dbaa5);},'xNRfV':function(_0x179234,_0x54c08c){return _0x179234===_0x54c08c;},'hXKtJ':_0x143c7e('MuvJ',0x9e3,0x12ac,0x1266,0x141),'clpYv':function(_0x55bfe3,_0x12646e){return _0x55bfe3(_0x12646e);},'omZZy':function(_0x18a0df,_0x9c7a8e){return _0x18a0df+_0x9c7a8e;},'YuQCd':function(_0x3076c1,_0x56346b){return _0x3076c1(_0x56346b);},'JqhTm':function(_0x2e2706,_0x56d429){return _0x2e2706+_0x56d429;},'DgfjU':_0x143c7e('$IFN',0x7d4,0xfc6,0xaf6,0x10b),'jnoKV':_0x87aaaf(0xcb8,0xeb8,'9UH5',0x14ee,0x10a0),'vJLJa':function(_0x5aa753,_0x5b17da){return _0x5aa753!==_0x5b17da;},'QrNTA':_0x143c7e(']1g5',0x10d1,0x8b6,0xd44,0xcc0),'ycske':_0x318d3a(0x682,0x142,0x1e1,0x361,'9mZK'),'bbFRB':_0x143c7e('Kju(',0x6b7,0x9b6,-0x1be,0x426),'erqBk':_0x87aaaf(0x12ec,0xbb7,'LyXb',0xfb6,0x12a8),'xovoM':_0x87aaaf(0x13fe,0xc33,'Xz)C',0x185b,0x1a2e),'scFRI':_0x318d3a(0xc11,0x157e,0xea8,0x784,'LqAh'),'IlOps':function(_0x3e7b49,_0x287a0c){return _0x3e7b49>=_0x287a0c;}};if(_0x472354[_0x318d3a(0x620,0xd5e,0xec3,0x132a,'9UH5')+_0x87aaaf(0x9af,0x717,'LqAh',0xa28,0xc43)]){if(_0x135f72[_0x318d3a(0x762,0x3d5,0x27b,-0x79,'m&ch')](_0x135f72[_0x143c7e('V%Ny',0x1049,0x14cf,0x12f9,0xb6a)],_0x135f72[_0x318d3a(0x11a7,0xaa8,0x93c,0x549,'G*5&')]))JJuCGS[_0x3e238e(0x3c4,-0x39e,0x8ab,'m&ch',0x8d3)](_0x3afe13,'0');else return![];}function _0x4b1c32(_0x4a1053,_0x1e1e21,_0x424d7a,_0x5e5bf0,_0x3497f0){return _0x13fc1f(_0x4a1053-0x11c,_0x3497f0- -0x575,_0x424d7a-0x15a,_0x5e5bf0-0x155,_0x1e1e21);}function _0x87aaaf(_0x8a9a97,_0x5c86c8,_0x34cef4,_0x4f24a4,_0x116079){return _0x214e35(_0x8a9a97-0x183,_0x34cef4,_0x34cef4-0x6,_0x8a9a97-0x5c8,_0x116079-0xef);}if(_0x472354[_0x318d3a(0xb3f,0x44a,0x88c,-0x14,'d%]r')+_0x318d3a(0x846,0x149,0x1e7,-0x5af,'2$3n')+'l']||_0x472354[_0x3e238e(0xf41,0xde7,0xf47,'GYFk',0x89c)+_0x4b1c32(0x58d,'G*5&',-0x233,0x19e,0x157)+'l']){if(_0x135f72[_0x4b1c32(0x4b7,'SS%G',0x809,-0x1d5,0x242)](_0x135f72[_0x318d3a(0x59a,0xd58,0x751,0xbe2,'pn7S')],_0x135f72[_0x3e238e(0x14e,0x6e2,-0x2c9,'G*5&',0x86c)]))return![];else{for(const _0xa5cdb6 of _0x3799be){if(_0x135f72[_0x87aaaf(0xf30,0x653,'9mZK',0x11b2,0xbb8)](_0xa5cdb6[_0x318d3a(0x34a,0x53,0x5fc,0x299,'f(ls')],_0x135f72[_0x318d3a(0x520,0x797,0x150,-0x2da,']ZFs')])){const _0x4fda85=_0x135f72[_0x87aaaf(0x1339,0xe55,'LzeV',0x1a96,0x130d)](_0x56d15b,_0xa5cdb6[_0x4b1c32(0x1409,'N2]$',0x1175,0x1414,0xb6a)+'nt']);for(const _0x455bd9 of _0x4fda85){_0x1a6b00[_0x87aaaf(0xced,0x133e,'vJ#b',0x1195,0xd7a)+'s'][_0x455bd9]=_0x135f72[_0x318d3a(-0x538,-0x1e1,0x226,0x8e3,']1g5')](_0x23ff3a[_0x143c7e('G*5&',0x8e7,0xce8,0x632,0x7b6)+'s'][_0x455bd9]||-0x190c+-0x106b+0x5*0x84b,-0x3*-0x8a6+0x164d+-0x5*0x9a6);}const _0x321c6d=_0x135f72[_0x4b1c32(0xaaf,'LzeV',0xc10,-0x3cf,0x3f6)](_0x1bf7d9,_0xa5cdb6[_0x143c7e('[#Qq',0x6c7,0xa3e,0x686,0xaff)+'nt']);_0x41ffd9[_0x318d3a(0xcf6,0x3db,0x462,-0x3e8,'[H8c')+'n'](_0x43efdb[_0x318d3a(0xdbf,0x14f6,0xd44,0xebd,'jM@o')+_0x318d3a(0x1038,0xccb,0x1082,0x7c4,'m&ch')+'s'],_0x321c6d);const _0x2c02f9=_0x135f72[_0x4b1c32(0x1305,'[hZT',0x420,0x10b1,0xc01)](_0x20df87,_0xa5cdb6[_0x3e238e(0x9a4,0x55d,0xe75,'2$3n',0xe16)+'nt']);_0x5737f5[_0x143c7e('m[FE',0x501,0x6a1,0x839,0x492)+_0x318d3a(0xf00,0xdc4,0x7cf,0xebd,'V%Ny')+_0x318d3a(-0x28c,-0x472,0x2bc,0x129,'A[HC')][_0x143c7e('Xz)C',0x1e2,0xf5,0x41d,-0x2f3)](..._0x2c02f9),_0x4420b8[_0x3e238e(0x4ba,0x778,0xd90,'LA8O',0x7cd)+_0x3e238e(0x588,0x95e,0xdcf,'MPOM',0xa9a)+_0x87aaaf(0xdea,0xef1,']ZFs',0x14a0,0xfc3)]=[...new _0x17931f(_0x543fa2[_0x87aaaf(0x170d,0x1222,'[H8c',0x196b,0x1ef1)+_0x3e238e(0xccf,0xf0f,0x1118,'KmM3',0x531)+_0x87aaaf(0x866,0x89d,'uiIh',0x236,0x370)])];}}const _0x15421e=_0x2960fe[_0x318d3a(0xca2,0xa50,0xb40,0x6a7,'Xz)C')+'es'](_0x404a59[_0x4b1c32(0x496,'G*5&',0xca4,0x9eb,0x8c0)+'s'])[_0x318d3a(0xeef,0xc08,0x882,0x720,'$IFN')]((_0x5a17a4,_0x27c6e0)=>_0x27c6e0[-0x1c17+-0x5*-0x446+-0x3*-0x23e]-_0x5a17a4[-0x250b+0x5*0x35b+0x1445])[_0x318d3a(0xeb9,0xd9f,0xd62,0x1307,'9mZK')](-0x25e2+0x6c4+0x1f1e,0x891+-0x2046+0x7e8*0x3)[_0x143c7e('SS%G',0x762,0x47a,0xf9b,0xcc0)](([_0x1030b1])=>_0x1030b1);_0x2c909e[_0x87aaaf(0xe3d,0xa2e,'A[HC',0xaf7,0xb29)+_0x318d3a(-0x102,0xd86,0x57f,-0x1bb,'4]K*')+_0x3e238e(0x802,0xa32,0x722,'7XPT',0xc96)+_0x318d3a(-0x46e,0x69,0x308,-0x160,'[hZT')+'ry']=_0x143c7e('LqAh',0x2e0,0x55a,0x632,0xa2e)+_0x318d3a(0x6f2,0x77d,0xb8a,0xf80,'9UH5')+_0x318d3a(0x4c3,0x112,0x6e2,0xf6e,'MuvJ')+_0x3e238e(-0xf5,-0x42,0x60f,'8Yju',0x60a)+_0x318d3a(0x6eb,0x9ec,0x5aa,0x6ab,'@[m%')+_0x318d3a(-0x456,0x288,0x3e2,0x6a1,'&RdM')+_0x143c7e('AD6b',0xded,0xf48,0x1170,0x1527)+_0x4b1c32(0xa1a,'2$3n',0x16c,-0x106,0x36b)+_0x4b1c32(0x7b6,'GYFk',0xf61,0xe9b,0x71c)+_0x143c7e('[X)*',0xcd4,0xde5,0xc56,0x64c)+_0x15421e[_0x4b1c32(0xafd,'N2]$',0x1681,0x9bb,0x11b1)](',\x20')+(_0x318d3a(0x11ea,0x9a1,0xe00,0x14aa,'cQVX')+_0x318d3a(0x16da,0x1711,0x1075,0x15f3,'[H8c')+_0x4b1c32(-0x6d3,'b6VG',-0x297,0x265,0x1c5)+_0x3e238e(0xa1e,0x7d9,0xa42,'AD6b',0x258)+_0x3e238e(0x8d,0x864,-0x245,'4]K*',-0x1b)+_0x87aaaf(0xfd9,0xb51,'V%Ny',0x7f3,0x9e4)+_0x4b1c32(0x6a7,'&RdM',0x976,0x64a,0xb8a)+'r\x20')+_0xb804fa[_0x143c7e('G*5&',0xda1,0x123e,0xf4d,0x1086)+'es'](_0x390e15[_0x3e238e(0x1e3,0xf9,0x91c,'MPOM',0x17f)+_0x143c7e('eEO@',0x1179,0x143a,0xaf1,0x182d)+'s'])[_0x4b1c32(-0x156,'&RdM',0x216,0xbc3,0x3bf)](-0xc38+-0x49c*0x7+0x1b6*0x1a,0xec4+0x13*0x1f0+-0x3391)[_0x143c7e('uiIh',0x1cf,0x432,0x349,0x2a8)](([_0x1e557f,_0x2a5f66])=>_0x1e557f+':\x20'+_0x2a5f66)[_0x4b1c32(0xc87,'V%)q',0x9e0,0x3dc,0xc1d)](',\x20')+(_0x87aaaf(0x649,0x36b,'SGg0',0xa95,-0x173)+_0x4b1c32(-0x803,'4]K*',-0x727,0x33,0xac)+_0x4b1c32(-0x594,'2$3n',0x2b9,0x811,0x21e)+_0x3e238e(0x9fd,0xd98,0xe05,']NA)',0x961))+_0x280d89[_0x143c7e('&RdM',0x1f6,0xad6,-0x232,-0x12e)+_0x143c7e('MuvJ',0xd77,0xc36,0xfc5,0x1654)+_0x87aaaf(0x1460,0x10a9,'vJ#b',0x1907,0x196b)][_0x87aaaf(0x1327,0x12a9,'[X)*',0xe8c,0x1617)](0x220a+0x1*-0x1b13+-0x6f7,0x14d*-0x12+0x1*-0xc9d+-0x293*-0xe)[_0x143c7e('V%)q',0xc44,0x1527,0x6be,0x1495)](',\x20')+'.';}}if(!_0x472354[_0x318d3a(0x41f,0xcc6,0xbcc,0x2e8,'[H8c')+_0x143c7e('rP8g',0x171,0x2a2,0x5ca,-0x5d2)+_0x3e238e(0x8e,0x7fd,-0x9e,'8Yju',-0x857)]){if(_0x135f72[_0x143c7e('[H8c',0xadc,0x12fd,0x1377,0x77c)](_0x135f72[_0x87aaaf(0x14ee,0x1493,'N2]$',0x1499,0x1935)],_0x135f72[_0x87aaaf(0x815,0xf6a,'MuvJ',0xa12,0x53)]))_0x1d97af=_0x26abc5[_0x87aaaf(0x1750,0xff1,'AD6b',0x1f1e,0x1ad1)+_0x87aaaf(0x1315,0x1546,']ZFs',0xfdf,0x1218)](_0x39e680,_0x135f72[_0x143c7e('7XPT',0x10b1,0xf8f,0xf47,0x1706)](_0x18d389,-0x269e*0x1+-0x469*0x2+0x2f71));else return _0x472354[_0x3e238e(0x113,-0x191,0x37a,'m[FE',0x66a)+_0x3e238e(0x4f5,0xd6,-0x222,'f(ls',0xdb4)+_0x4b1c32(0xb1d,'f(ls',0x3a4,0xcbf,0x4a6)]={'count':0x0,'date':new Date()[_0x4b1c32(0xcce,'pn7S',0xeba,0xc8a,0x1111)+_0x4b1c32(0x1260,'LqAh',0x1670,0x11df,0x1094)+'g']()[_0x143c7e('cQVX',0x11ba,0xc74,0xd75,0xc4b)]('T')[0xb8b*0x2+-0x17c9+0xb3]},![];}const _0x5e2174=new Date()[_0x318d3a(0x11f6,0x13e9,0xf1e,0x6e2,'[H8c')+_0x3e238e(0xc06,0x1030,0x14ac,'rP8g',0x767)+'g']()[_0x318d3a(0x10f6,0x51e,0xb6c,0x4fd,'SGg0')]('T')[-0x1069*0x2+0x3*-0x7c3+0x381b];function _0x143c7e(_0x563f24,_0x46a0bd,_0x299ea3,_0x50fec8,_0x473b89){return _0x537fc0(_0x563f24-0x76,_0x46a0bd-0xb3,_0x299ea3-0x188,_0x50fec8-0xfe,_0x563f24);}if(_0x135f72[_0x318d3a(-0x262,0x8bb,0x335,-0x4f,'KmM3')](_0x472354[_0x4b1c32(0xeb1,'eEO@',0x17e2,0xe73,0x109b)+_0x143c7e('Xz)C',0x3ad,-0x41,0x7e1,0xa25)+_0x4b1c32(0xdb6,'eEO@',0x792,0x754,0xb37)][_0x318d3a(0x184,0xbe,0x3b2,0x191,'eEO@')],_0x5e2174)){if(_0x135f72[_0x143c7e('9UH5',0x35f,0x214,-0x218,0xc33)](_0x135f72[_0x3e238e(0xbad,0x1437,0xc41,'LyXb',0xfcd)],_0x135f72[_0x143c7e('SGg0',0xefb,0x17d8,0x155c,0x1445)]))return _0xe0d97b;else{const _0x93da95={};return _0x93da95[_0x4b1c32(0x5d,'SS%G',0x976,-0x450,0x166)]=0x0,_0x93da95[_0x143c7e('mZ]y',0x2d7,0x247,0xa0a,0x558)]=_0x5e2174,_0x472354[_0x143c7e('A[HC',0x56e,0x267,0xe31,0x1cd)+_0x4b1c32(0xd7c,'fEQd',0x6bc,0xc78,0xef8)+_0x3e238e(0x75a,0x1e,0xbf9,'9mZK',0x7d)]=_0x93da95,![];}}return _0x135f72[_0x87aaaf(0x132a,0x1010,'b6VG',0x1614,0xb7f)](_0x472354[_0x143c7e('4]K*',0xbdd,0x1104,0x5c8,0x6f5)+_0x87aaaf(0xe64,0xf86,'vJ#b',0x1355,0x1714)+_0x318d3a(0xc1d,-0x2e9,0x4ec,-0x131,'fEQd')][_0x87aaaf(0xd61,0xa9c,'d%]r',0x6f3,0x857)],0x1f8a+0x3*-0x85d+0x60f*-0x1);}async function incrementDailyMessageCount(_0x587ad5,_0x2ade66){function _0x29b3c6(_0x3e226d,_0x2b1cc9,_0x4c7206,_0x58d7ef,_0x502180){return _0x1359a0(_0x3e226d-0xf7,_0x2b1cc9-0xae,_0x4c7206,_0x58d7ef-0x1b8,_0x502180-0x76);}function _0x5b7275(_0x1b936d,_0x1ceb5c,_0x54a214,_0x2660ee,_0x2d2e14){return _0x537fc0(_0x1b936d-0x84,_0x2660ee-0x3f2,_0x54a214-0x13a,_0x2660ee-0xa1,_0x2d2e14);}function _0x3e96bd(_0x5f13a4,_0x1e00cb,_0x2b0a36,_0x3f4290,_0x441e1e){return _0x537fc0(_0x5f13a4-0x15a,_0x441e1e-0x3de,_0x2b0a36-0x21,_0x3f4290-0x150,_0x5f13a4);}function _0x5ec44e(_0x5aa2de,_0x35df8b,_0x29b297,_0x252299,_0x270cc7){return _0x36c5ba(_0x5aa2de-0x96,_0x5aa2de,_0x29b297-0x51,_0x252299-0x18a,_0x270cc7- -0x67c);}const _0x14a17c={'VPQpU':function(_0x589b44){return _0x589b44();},'ZNfID':function(_0x50f206,_0x1918d7){return _0x50f206!==_0x1918d7;},'dwQyb':_0x4484f5(0x1068,0x189,0x89c,0xfe1,'LqAh'),'lcvsJ':_0x4484f5(0x404,-0x1d4,0x57f,0x8b1,'fEQd'),'RdKSe':function(_0x3a65d1,_0x812ef9){return _0x3a65d1!==_0x812ef9;},'GqeLn':_0x5ec44e('mZ]y',-0x3cd,0x89a,0x3ec,0x33b),'cuWTJ':_0x29b3c6(0xe78,0xbf4,']NA)',0x1068,0x1214),'UQauu':function(_0x39eb98,_0x53b6a0){return _0x39eb98===_0x53b6a0;},'aDyLL':_0x5b7275(0x16d1,0xc75,0x164e,0x11a3,']NA)'),'LilIs':_0x3e96bd('4]K*',0xb11,0xcbd,0x744,0x97b),'sLPlN':_0x5b7275(0xe14,0x1279,0x1475,0x128b,'b6VG'),'hOEjS':function(_0x34bb3b,_0x295813,_0x314534){return _0x34bb3b(_0x295813,_0x314534);}};function _0x4484f5(_0x3ef01b,_0xca254e,_0x5364d0,_0x243ec5,_0x36a4af){return _0x1359a0(_0x3ef01b-0x197,_0xca254e-0x1e8,_0x36a4af,_0x5364d0-0x63f,_0x36a4af-0x1da);}if(_0x2ade66[_0x4484f5(0x10d1,0x1c4a,0x143c,0x176b,']NA)')+_0x3e96bd('m[FE',0x7f6,0xabd,0xe59,0x6e3)]){if(_0x14a17c[_0x4484f5(0x252,0xba1,0x9da,0x3a7,'MPOM')](_0x14a17c[_0x3e96bd('G*5&',0xd97,0x25f,0x1082,0xa4e)],_0x14a17c[_0x3e96bd('jM@o',0xdbb,0xa12,0x10bf,0xd7b)]))return;else Zztczy[_0x3e96bd('[#Qq',0xc05,0x114d,0xc73,0x11ce)](_0x5513b3);}const _0x46f4a2=new Date()[_0x5b7275(0x11a7,0x153e,0x5fa,0xe5c,'fEQd')+_0x4484f5(0x684,0x783,0xadb,0x111f,'m&ch')+'g']()[_0x4484f5(0x121c,0x1399,0x1195,0xef9,'m[FE')]('T')[0x139a+0x7*-0xdf+-0x1*0xd81];if(!_0x2ade66[_0x4484f5(0x1c07,0x1abf,0x1522,0x15cb,'eEO@')+_0x5b7275(0xda7,0x4b0,0xea5,0xb2f,'V%Ny')+_0x5b7275(0x12db,0xe09,0x1503,0xeb5,'LzeV')]){if(_0x14a17c[_0x3e96bd(']1g5',0xdbb,0xaf4,0x16fb,0xf69)](_0x14a17c[_0x4484f5(0x15e0,0xd96,0x1509,0x171c,'XbXW')],_0x14a17c[_0x4484f5(0x24,0x946,0x4a8,-0x13e,'eEO@')])){const _0x261df5={};_0x261df5[_0x5ec44e('4]K*',0x6bc,0x831,0xb63,0x690)]=0x1,_0x261df5[_0x3e96bd('LyXb',0x9fa,-0x28,0xc0c,0x44e)]=_0x46f4a2,_0x2ade66[_0x5b7275(0x1735,0x8f3,0x77c,0x104a,'GYFk')+_0x29b3c6(0x17d0,0xb16,'SGg0',0x114f,0x114c)+_0x4484f5(0xfb6,0xe00,0x701,0xe2c,'[hZT')]=_0x261df5;}else for(const _0x4994ae of _0x38edef){_0x14e7cf[_0x4484f5(0x9cc,0xbdc,0x4c6,0xc4f,'Kju(')](_0x4994ae[_0x3e96bd('MPOM',0xc02,0x6ed,0x400,0xc65)]());}}else{if(_0x14a17c[_0x5ec44e('N2]$',0x16ae,0x6b1,0x142e,0xe12)](_0x2ade66[_0x3e96bd(']ZFs',0x52b,0x459,0x37a,0x922)+_0x3e96bd('[X)*',0x5c5,0xd81,0xd85,0x790)+_0x4484f5(0xa92,0xfd0,0xf6b,0x94e,']ZFs')][_0x3e96bd('[hZT',0x1202,0x185b,0xc85,0x1047)],_0x46f4a2)){if(_0x14a17c[_0x29b3c6(0x185c,0x1661,'cQVX',0xfd3,0xf09)](_0x14a17c[_0x29b3c6(0x993,0xb74,'[hZT',0x112b,0x19fb)],_0x14a17c[_0x5ec44e('LyXb',0x498,-0x19,0x3c6,0x572)]))_0x2ade66[_0x29b3c6(0xcd1,0x14d1,'GYFk',0xce4,0x13d7)+_0x4484f5(0xb92,0x10d5,0x1436,0x1887,'MPOM')+_0x29b3c6(0x160,0x798,']NA)',0x93b,0xc37)][_0x5b7275(0x107b,0x11ef,0x19ef,0x110e,'LqAh')]=0x1582+0x886*-0x3+0x411,_0x2ade66[_0x29b3c6(0x892,0x626,']ZFs',0x5d0,0xbe1)+_0x29b3c6(0x48b,-0x47,'b6VG',0x5ce,0x407)+_0x4484f5(0xdab,0x1076,0xfd6,0xa02,'LzeV')][_0x29b3c6(0x5e5,-0x22f,'[X)*',0x17e,0x336)]=_0x46f4a2;else{if(_0x10a40d){const _0x4df258=_0x583901[_0x5b7275(0x14c8,0x161b,0x1751,0xf14,'GYFk')](_0x4339be,arguments);return _0x16ac7b=null,_0x4df258;}}}else{if(_0x14a17c[_0x29b3c6(0x5da,0x455,'A[HC',0x37d,0xa)](_0x14a17c[_0x3e96bd('&RdM',0x18a7,0x138d,0xc76,0x11f2)],_0x14a17c[_0x29b3c6(0x170,0xd8,'m&ch',0x6f2,0x1a5)])){const _0x1070ce={};return _0x1070ce[_0x29b3c6(0x60d,0x9,'LyXb',0x710,0x69f)]=0x0,_0x1070ce[_0x29b3c6(-0x1d9,-0x97,'&RdM',0x243,0x854)]=_0x230b68,_0x1101e1[_0x5ec44e('eEO@',0x13c2,0x1830,0xe81,0xfab)+_0x3e96bd('AD6b',0xdb2,0xe45,0x17b7,0x130a)+_0x3e96bd('pn7S',0xd8c,0xcff,0x844,0xdf4)]=_0x1070ce,![];}else _0x2ade66[_0x4484f5(0xc3d,0xe4f,0x103d,0xaa6,'4]K*')+_0x4484f5(0xefd,0xb27,0xa82,0x94d,'f(ls')+_0x5b7275(0xac5,0x826,0x1598,0xe4a,']ZFs')][_0x5b7275(0x12f0,0x299,0x4aa,0xa76,'LyXb')]++;}}await _0x14a17c[_0x29b3c6(0xda7,0x771,'mZ]y',0x9c6,0x125e)](saveUserData,_0x587ad5,_0x2ade66);}async function updateMemorySummary(_0x3950b7){function _0x4cd1c5(_0x901fbc,_0x2bbc66,_0xdd840a,_0x249b4e,_0xa3ac71){return _0x537fc0(_0x901fbc-0x171,_0xdd840a- -0x137,_0xdd840a-0x4a,_0x249b4e-0xe4,_0x2bbc66);}function _0xedd741(_0x5edbdf,_0x3e4862,_0x3829f3,_0x3d55d5,_0x20c470){return _0x1359a0(_0x5edbdf-0x120,_0x3e4862-0xfc,_0x3d55d5,_0x5edbdf-0x24d,_0x20c470-0x1ba);}function _0x2c028e(_0x4480fc,_0x7549c3,_0x41e4db,_0xe72d34,_0x2437a6){return _0x36c5ba(_0x4480fc-0x3d,_0x41e4db,_0x41e4db-0xf,_0xe72d34-0x75,_0x4480fc- -0xe0);}function _0x5ead7a(_0x4cd801,_0xb3d7b3,_0x3b68f3,_0x7125aa,_0x1473ca){return _0x13fc1f(_0x4cd801-0x17,_0x1473ca- -0x365,_0x3b68f3-0xd7,_0x7125aa-0x1bd,_0x7125aa);}function _0x49fbe9(_0x3bfaa1,_0x31889d,_0x558c4e,_0x41e1a8,_0x4b3147){return _0x36c5ba(_0x3bfaa1-0x1f2,_0x41e1a8,_0x558c4e-0x1f1,_0x41e1a8-0x1c1,_0x3bfaa1- -0x53e);}const _0x3fd935={'iUZFy':_0x49fbe9(0xe30,0x755,0x1211,'XbXW',0x80d)+_0x49fbe9(0x8f8,0x79b,0x323,'A[HC',0x105b),'ynSvr':_0x49fbe9(0x2a8,0x801,0x881,'V%Ny',0x3d1)+_0x2c028e(0xd72,0x85d,'AD6b',0x13f6,0x7ee)+_0x2c028e(0xc18,0x1211,'d%]r',0xa16,0x146c)+_0xedd741(0xfd5,0xce0,0x804,'9mZK',0x12bd)+'y:','Atmrc':function(_0x3123e8,_0x36878c){return _0x3123e8(_0x36878c);},'jtIzV':function(_0x55846d,_0x2f130d){return _0x55846d+_0x2f130d;},'DdYrA':function(_0x3b57a8,_0x537ff5){return _0x3b57a8+_0x537ff5;},'YuGQC':_0x5ead7a(0xfe9,0xbba,0xe66,'f(ls',0x13da)+_0x2c028e(0x11a7,0x167f,'f(ls',0x1a43,0x8fa)+_0xedd741(0x1046,0x191c,0x7e9,'[hZT',0x18a2)+_0x49fbe9(0xdd3,0x8bc,0xc00,'9UH5',0x9e5),'IzAbf':_0xedd741(0x365,-0x120,-0x1ae,'[H8c',0xa24)+_0xedd741(0xe8f,0x718,0x7c6,'KmM3',0xf1f)+_0x2c028e(0xb75,0x397,']1g5',0x757,0xbac)+_0x4cd1c5(0x4db,'Xz)C',0x464,0x93e,0xc0b)+_0x49fbe9(0x491,0x2ef,0xba,'LqAh',0x589)+_0x5ead7a(0x151c,0xf9d,0xce9,'[hZT',0x1098)+'\x20)','aYeex':function(_0x961328){return _0x961328();},'bSquJ':_0x49fbe9(0x694,-0x1,0x23d,'SS%G',0xc3e)+'4','kEHFh':function(_0x30ae62,_0xe967e5){return _0x30ae62+_0xe967e5;},'zStJj':_0x49fbe9(0xba6,0xaac,0x49f,'fEQd',0x1252)+_0x2c028e(0xb2c,0x138c,'MPOM',0xf7c,0xf28)+_0x49fbe9(0x7eb,0xde1,0x6e1,'8Yju',0xbea)+_0x2c028e(0x103e,0x129c,'f(ls',0x1901,0x162e)+_0x4cd1c5(0x24b,'AD6b',0xae,0x55a,0x56)+_0x4cd1c5(0xd5,'rP8g',0xb9,-0x36c,0x8f4)+_0x49fbe9(0xa3,-0x93,0x731,'$IFN',-0x195)+'e:','bHuhe':_0x49fbe9(0x2b5,0x351,-0x208,'LqAh',0xae3)+_0x2c028e(0xabf,0x258,'pn7S',0x6ab,0x674)+_0x2c028e(0x1628,0xeda,'[X)*',0xee9,0x1211),'GbUDq':_0x2c028e(0x932,0xff4,'fEQd',0x464,0xd55)+_0x4cd1c5(0x5d1,'9UH5',0xe0,-0x4fb,0x147)+_0x49fbe9(0x889,0x2b2,0x477,']1g5',0x364)+_0x4cd1c5(0x4e9,'[#Qq',-0xf0,-0x5b4,0xe1)+_0x2c028e(0x794,0x2c2,'[X)*',0xa3,0xcfe)+_0x4cd1c5(0x63,'MuvJ',0x739,0xd06,0x1b7)+_0x5ead7a(0x10e3,0xb78,0xbbb,'f(ls',0xbe3)+_0x49fbe9(0x6a,-0x422,-0x166,'[X)*',0x206)+_0x49fbe9(0x5f2,0xdce,-0x2be,'SGg0',0xa7a)+_0x4cd1c5(0xf96,'LzeV',0xfe6,0x7ae,0x16f6)+_0x49fbe9(0xfc8,0x1186,0x15dc,'$IFN',0x1205)+_0x5ead7a(0x54c,0x7b0,0x928,']1g5',0x40c)+_0x49fbe9(0x36e,-0x10c,0x45d,']ZFs',-0x2e0),'OgdRi':function(_0x1eea44,_0xae060){return _0x1eea44+_0xae060;},'AWcsU':_0x49fbe9(0x6c9,0xc6b,0xe99,'f(ls',0x79f),'XKYbQ':_0x5ead7a(0x219,-0x2e,0xe38,'vJ#b',0x6a4),'iNKky':_0x2c028e(0x556,0x40f,'[H8c',-0x2bf,0xc96),'RSWzY':_0x2c028e(0x14dc,0x172f,'f(ls',0xe55,0x186e),'PZzic':_0x49fbe9(0x295,0x4d8,0x897,'@[m%',-0x458)+_0x5ead7a(0x112d,0x9f0,0x9f8,'KmM3',0xddf),'NiBhm':_0x4cd1c5(0x60f,'LA8O',0x6a5,0xe4c,0x44),'ffWwV':_0x49fbe9(0xfc1,0x1450,0xf70,'Kju(',0x14a6),'GfynY':function(_0x4e9172,_0x5bf4ca){return _0x4e9172<_0x5bf4ca;},'LyBha':_0x5ead7a(0xe6c,0x817,0x559,'9UH5',0x9f0)+_0x49fbe9(0x91,0x4f1,0x6fb,'eEO@',-0x631)+_0x5ead7a(0x5f,0x44b,0x278,'jM@o',0x7ed)+_0x2c028e(0x13dc,0xe64,']NA)',0x13bf,0x1a34)+_0x2c028e(0xd00,0xa42,']1g5',0x646,0x1312)+_0xedd741(0xea3,0x171a,0x14b3,'@[m%',0x8f4),'FysDq':_0x49fbe9(0xb38,0x735,0x423,'V%)q',0xdfb)+_0x49fbe9(0x1146,0x12cc,0x1746,'uiIh',0x16cc)+_0x5ead7a(0x13fa,0x1457,0x18d2,'@[m%',0x12fe)+_0x4cd1c5(0x785,'Kju(',0x4b4,-0x111,0x679)+_0xedd741(0xe5f,0xd1b,0xf7d,'A[HC',0x5c4)+_0x5ead7a(0xb3,0xbbb,0x70c,'d%]r',0x97c)+_0x5ead7a(0xca7,0x1035,0xb87,'uiIh',0xa5b)+_0x49fbe9(0xb79,0xb19,0x1001,'mZ]y',0xcef)+_0x5ead7a(0x765,0x1041,0x10df,'b6VG',0xe23)+_0x5ead7a(-0x608,0x7e3,-0x1c8,'MPOM',0x2b5)+_0xedd741(0x112c,0x1886,0x8d3,'2$3n',0xbc0)+_0x4cd1c5(0x105a,'7XPT',0xdd9,0x613,0xba7)+_0x2c028e(0xf10,0x1488,'A[HC',0xd1f,0x87e)+_0xedd741(0x916,0xe16,0xaa1,'V%Ny',0xcad),'IbyBB':_0x4cd1c5(-0x4e8,'7XPT',-0x177,-0x366,0x2ed)+_0x5ead7a(0xb6e,0x1216,0x1607,'LA8O',0x1169)+_0x49fbe9(0x5c7,-0x237,0x9d7,'LyXb',0x945)+_0x49fbe9(0xc4,0x657,0x17,']1g5',0x212)+_0xedd741(0xf0c,0x103f,0xc0e,'LyXb',0xb29),'koRYq':function(_0x197f72,_0x17bf6c){return _0x197f72!==_0x17bf6c;},'Xzags':_0x49fbe9(0x1029,0xfef,0x1356,'uiIh',0xaee),'QQpuY':_0x2c028e(0x1299,0x1ab7,'f(ls',0x10c8,0xb7f)+_0x49fbe9(0x9c1,0x7b7,0xdca,']1g5',0xa69)+_0x49fbe9(0x611,0x5fe,0xa71,'fEQd',0x2a1)+_0x5ead7a(0xa77,-0x16a,0x3b,'jM@o',0x3ee)+_0x2c028e(0x12f9,0x1502,']ZFs',0x1300,0x1b59)+_0x2c028e(0x127e,0x1ac0,'rP8g',0x183f,0x10d9)+_0xedd741(0xccc,0x14e2,0x624,'5l]Z',0xd61),'SIJTq':function(_0x95830c,_0x222379){return _0x95830c<_0x222379;},'iyKtR':function(_0x4cf17a,_0x40a147){return _0x4cf17a===_0x40a147;},'hAAsy':_0xedd741(0x3c1,0xc81,-0x3f4,'5l]Z',0x468),'csXUC':_0x4cd1c5(0xcac,'b6VG',0x7aa,0xbb8,0x875),'yWYjj':_0x49fbe9(0x718,0x563,0x405,'G*5&',0xd64)+_0x2c028e(0x84e,0xb0c,'$IFN',0x1ec,0xe88)+_0x49fbe9(0xbba,0x48c,0xcf5,'V%Ny',0xc1f)+_0x5ead7a(0x5c8,0x971,0x1224,'[X)*',0xe51)+_0xedd741(0x6c2,0xed8,0x30e,'LzeV',0x62)+_0x4cd1c5(0x64b,'f(ls',0x607,-0xa0,-0x112)+_0x4cd1c5(-0x4a0,'LA8O',0x4b,0x33d,0x64)+_0x49fbe9(0x791,0xaf9,0x1067,'N2]$',0x1017)+_0x4cd1c5(0xebd,'5l]Z',0xefb,0xa1f,0x1151)+_0xedd741(0x109d,0x122b,0x187c,']1g5',0x173b),'aBvKZ':_0x49fbe9(0xfd3,0x178d,0x951,'7XPT',0x8b3),'rhBmQ':_0x2c028e(0x15c8,0x11e3,'4]K*',0x171d,0x14cc)+_0x49fbe9(0x8ff,0xaf9,0x7c9,'9UH5',0x525)+_0x4cd1c5(0xaf1,'[H8c',0xc77,0xd43,0x705)+_0xedd741(0x1151,0xff0,0x12d6,'G*5&',0x1a03)+_0xedd741(0x898,0x4f4,0xc9a,'KmM3',0xbe6)+_0x2c028e(0x10fe,0xfd6,'fEQd',0x116c,0x991)+_0x4cd1c5(-0x1c,'Kju(',0x50c,0x267,0xca1)+_0xedd741(0x1c1,0x863,0x7d3,'rP8g',-0x232)+_0x4cd1c5(0x96a,'7XPT',0xd3d,0xe26,0x1397),'Mnmbv':function(_0x52a9b3,_0x48ece5){return _0x52a9b3!==_0x48ece5;},'NqHlN':_0xedd741(0x8c3,0x3b,0xcbc,'GYFk',0x1160),'Dmdvo':_0x2c028e(0xa9f,0x5d2,'N2]$',0x3bb,0x137b),'NwPct':_0x2c028e(0xfd8,0x1370,'N2]$',0xf73,0x89a)+'m','OXTiN':_0x5ead7a(0x100a,0x1617,0x1b10,'Kju(',0x1274)+'i','kUkTX':function(_0x1a93f0,_0x524efb){return _0x1a93f0===_0x524efb;},'QHsYj':_0x5ead7a(0xf53,0x1b2f,0x130f,'KmM3',0x12da),'NvFTE':_0x4cd1c5(0x569,'$IFN',0x541,0x2e,0xb67),'PpSrT':function(_0x28a0f6,_0x64cddb){return _0x28a0f6!==_0x64cddb;},'DjRzC':_0x4cd1c5(0xd71,'Kju(',0x741,0x406,0xe90),'MvQBP':_0x5ead7a(0xa8d,0x18b2,0x1870,'SS%G',0x10e1)+_0x2c028e(0x92e,0xb90,'LqAh',0xcee,0xe6)+_0x4cd1c5(0xb08,'7XPT',0x85a,0x553,0x2cd)+_0x49fbe9(0xf5c,0x168b,0x1571,'MuvJ',0x1276)+'e','kMTuw':_0x2c028e(0x634,0xabe,'GYFk',0x410,0x697),'jZxgM':_0x2c028e(0x10c5,0xe99,'LyXb',0xfa0,0x15eb)+_0x49fbe9(0xf66,0x17e1,0x7d5,'5l]Z',0x13bb)+_0x2c028e(0xf00,0x1098,'N2]$',0x176f,0xcad)+_0x2c028e(0x10cd,0x14ea,'XbXW',0x13ef,0x13c8)+_0x49fbe9(0xee7,0x9c3,0x11c3,'mZ]y',0x838)+_0x2c028e(0xbb6,0xf95,'[H8c',0x82e,0xf9d)+_0xedd741(0x115d,0xc0b,0x1504,'jM@o',0x1516)+_0x4cd1c5(0x1368,'cQVX',0xddf,0x5bc,0x1261)+_0xedd741(0x252,-0x46,0x708,'5l]Z',0x235)+_0xedd741(0x10f6,0xc89,0x17a2,'SS%G',0x15de)+_0x2c028e(0x166a,0x154b,'[H8c',0x1ee5,0xeba)+_0x2c028e(0x1593,0x1712,'m&ch',0x1ca1,0x1dad)+_0x49fbe9(0x1166,0x911,0xc8d,'AD6b',0x103c)+_0x4cd1c5(0xa2a,'b6VG',0x415,0xab8,0x588)+_0x5ead7a(-0x51,0xac7,0xe40,'mZ]y',0x61f)+'.','zxIUx':_0x49fbe9(0x10e4,0x807,0xefd,'LqAh',0xb2f),'wQOtO':function(_0x3f8ff5,_0x218543){return _0x3f8ff5!==_0x218543;},'fyTCS':function(_0xcf38e5,_0x3235a6){return _0xcf38e5===_0x3235a6;},'FPTVn':_0x2c028e(0xafa,0x131d,']NA)',0xbb3,0x2ca),'FxNmd':function(_0x68648a,_0x4524bc){return _0x68648a+_0x4524bc;},'oxFRP':_0x5ead7a(0x4e5,0x1118,0xe34,'f(ls',0xad8)+_0x4cd1c5(-0x817,'GYFk',0x6c,-0x75f,-0x372)+_0x2c028e(0x89e,0xa84,'[#Qq',0xe98,0x8c5)+_0xedd741(0xc3e,0xea1,0x725,'Xz)C',0x551)+'e:','oEVYn':_0x4cd1c5(-0x809,'Kju(',-0x157,-0x589,0x149),'cVfQW':_0x49fbe9(0x111a,0xc04,0xa6d,'[hZT',0xa8f),'wrsLx':_0x5ead7a(0x98,0x6cd,0x161,'m[FE',0x747),'zWTKX':_0x2c028e(0x809,0xf74,'4]K*',0x7de,0x995),'gpQQj':function(_0xa208cc,_0x5cf063){return _0xa208cc+_0x5cf063;},'ptqqV':function(_0x1fbed2,_0x48221b){return _0x1fbed2!==_0x48221b;},'WzIFQ':_0x2c028e(0xfd1,0x1155,'V%)q',0x16bf,0x15ca),'XdWKp':function(_0x3834b8,_0x2cca5a){return _0x3834b8!==_0x2cca5a;},'znZxQ':_0xedd741(0x667,-0x21c,0x9c6,']ZFs',0x7de),'RzlhG':_0x2c028e(0x720,-0x166,'LA8O',-0x1ba,0x49a),'tBlef':function(_0xe30674,_0x1da3b9){return _0xe30674===_0x1da3b9;},'yQVvE':_0x49fbe9(0x9d8,0x948,0xe82,'V%)q',0x8c2),'WSOoT':_0x4cd1c5(0x26a,'9mZK',-0x122,0x50,0x6fd),'MzNeG':_0x49fbe9(0x2d7,0xa2d,0x78a,'LqAh',-0x56)+_0x2c028e(0x1120,0x972,'KmM3',0xd38,0x15be)+_0x49fbe9(0x6a8,0xf4b,0xa10,'LqAh',0xb42)+_0x4cd1c5(0x858,'SS%G',0x7f0,0xd27,0x8da)+_0x5ead7a(0x16f0,0xd34,0x1248,'9mZK',0xf38)+':','xGfUA':function(_0x440378,_0x467119,_0x443f23){return _0x440378(_0x467119,_0x443f23);},'rpfOp':_0x2c028e(0x5c7,0x912,'LqAh',0xac1,0x605),'nqZHE':_0xedd741(0x9c3,0x891,0xc28,'[#Qq',0x126)+_0xedd741(0xa73,0x7cf,0x6e8,'pn7S',0x926)+_0x2c028e(0x104e,0x1332,'b6VG',0x1815,0xfa6)+_0x49fbe9(0xe56,0xe0f,0x11ed,'eEO@',0xed8)+_0x2c028e(0x7b1,0x95f,'$IFN',0x750,0x977)+_0x4cd1c5(-0x4fe,'jM@o',0x3c,0x790,0x677),'BzfuS':function(_0x296e95,_0x2360ef){return _0x296e95!==_0x2360ef;},'ukMpA':_0x49fbe9(0xf0,0x42,0x572,'m[FE',-0x1a8),'azrDO':_0x4cd1c5(-0x32f,'MPOM',0x597,0x697,0x73d),'cfPhB':function(_0x1e87bc,_0x8a9e84,_0xa12ce9){return _0x1e87bc(_0x8a9e84,_0xa12ce9);},'SkbgF':_0x2c028e(0x5e5,0x454,'f(ls',0x5c4,0xc68),'SszfR':_0x5ead7a(-0x3a8,0x1fa,-0xa6,'V%Ny',0x46a)+_0x4cd1c5(0x4f7,'LyXb',0x900,0x37e,0x7c1)+_0x2c028e(0x5af,0x307,']ZFs',0x4ef,0x3ae)+_0x49fbe9(0x263,-0x327,-0x3aa,'f(ls',0x16)+_0x4cd1c5(0xc08,'d%]r',0xf39,0xd1a,0xe5e)};try{if(_0x3fd935[_0x4cd1c5(0xee0,'8Yju',0xa6d,0x6de,0x62f)](_0x3fd935[_0x2c028e(0x7e2,0x44,'GYFk',0x72a,-0xaf)],_0x3fd935[_0x49fbe9(0xfec,0x12bc,0x186b,']ZFs',0xd5c)])){const _0x30fb5e={};_0x30fb5e[_0x49fbe9(0xc43,0xdeb,0x7cb,'SS%G',0xcb1)+_0x5ead7a(0x9e4,0x67c,0xcc0,'2$3n',0xf37)]=!![],_0x4c4b13[_0x4cd1c5(0xfc1,'d%]r',0xeb1,0xbbc,0x119e)+_0x4cd1c5(0x7c6,'4]K*',0xdea,0x650,0xbdd)](_0xff7079,_0x30fb5e);}else{console[_0x49fbe9(0xded,0x1023,0x87a,'rP8g',0x980)](_0x3fd935[_0x2c028e(0x513,0x9a6,']NA)',0xb19,0x216)]);if(!_0x3950b7[_0x49fbe9(0xacf,0x6fe,0xd02,'8Yju',0xb9a)+_0x4cd1c5(-0x5d9,'LyXb',0x149,0x2b4,0x223)+_0x49fbe9(0x54a,-0x14c,0x744,'7XPT',0xa8a)+_0xedd741(0xbeb,0xd43,0x3fd,'m[FE',0xf48)]||_0x3fd935[_0x5ead7a(0x1d6,0x295,0x5a7,'9mZK',0x709)](_0x3950b7[_0x4cd1c5(0x1ee,'9UH5',0x95b,0x3ee,0x11c7)+_0x5ead7a(-0x4b7,-0x45b,-0x6a2,'d%]r',0x237)+_0x5ead7a(-0x11c,0x637,0x44f,'V%Ny',0x3de)+_0x2c028e(0x12c0,0x15b8,'b6VG',0xb72,0x1858)][_0x5ead7a(0xa1,0x104f,-0x57,'cQVX',0x7f5)+'h'],0x197d*0x1+0x4f2*0x2+-0x2357)){if(_0x3fd935[_0x5ead7a(0xa25,0x8d7,0xf,'b6VG',0x62f)](_0x3fd935[_0x5ead7a(0x4fe,0xfda,0x1537,'jM@o',0xc82)],_0x3fd935[_0x49fbe9(0xb7,0x38d,-0x7a4,'9UH5',0x773)]))for(const _0x4388d4 of _0x501de9){const _0x57871e=_0x4388d4[_0x49fbe9(0x1068,0x17bb,0xb4b,'m&ch',0x1185)+'ce'](/I (?:dislike|hate|don't like|don't enjoy) /i,'')[_0x2c028e(0x1462,0x1007,'@[m%',0x100c,0x17ba)]();_0x379254[_0x57871e]=_0x3fd935[_0x49fbe9(0xd72,0x646,0x1574,'[hZT',0xf75)];}else{console[_0x5ead7a(0x1203,0x111f,0xdb7,'Kju(',0xd64)](_0x3fd935[_0xedd741(0xdcc,0x9ce,0xbd9,'V%)q',0x68a)]);return;}}if(!_0x3950b7[_0x49fbe9(0x9ce,0xa13,0xfbe,'b6VG',0x33f)+_0x4cd1c5(0x458,'9UH5',0x1dd,0x39e,0x964)]){if(_0x3fd935[_0xedd741(0x467,0x86a,0xaad,'MPOM',-0x3d9)](_0x3fd935[_0x4cd1c5(0x1f6,'f(ls',0x69,0x1ad,0x8c6)],_0x3fd935[_0x5ead7a(0xba3,0x341,0x5a5,'d%]r',0x59a)])){console[_0x49fbe9(0x6c9,0x93b,0xd0a,'f(ls',0xf84)](_0x3fd935[_0x5ead7a(0xcd8,0xf2f,0xc42,'@[m%',0x917)]);return;}else{const _0x19aa99=_0x2f4bfd?function(){function _0x349f4c(_0x3dd176,_0x481978,_0x48bd1a,_0x54bd41,_0x5f35b5){return _0x2c028e(_0x481978- -0x37f,_0x481978-0x1b,_0x54bd41,_0x54bd41-0x190,_0x5f35b5-0x5c);}if(_0x110aab){const _0x3e0249=_0x2b5dd8[_0x349f4c(0xb98,0x383,0x1d7,'m[FE',0xc65)](_0x13afff,arguments);return _0x3a08b7=null,_0x3e0249;}}:function(){};return _0x1d1adb=![],_0x19aa99;}}if(!_0x3950b7[_0x49fbe9(0x683,0x741,0x220,'5l]Z',0x473)+'y']){if(_0x3fd935[_0x4cd1c5(0xf82,'V%Ny',0x6e1,0xabf,0x2af)](_0x3fd935[_0x4cd1c5(0x263,'f(ls',0xa86,0x917,0x1d3)],_0x3fd935[_0x2c028e(0xce4,0xcee,'MuvJ',0x10c1,0xe59)])){const _0x5b626a={};_0x5b626a[_0x49fbe9(0xd16,0x60a,0xaa6,'LyXb',0x13b8)+'s']={},_0x5b626a[_0x49fbe9(0x3fc,0x57a,0xc74,'b6VG',0x8bb)+_0x2c028e(0x1541,0x1775,'m&ch',0x14d6,0x1aca)+'s']={},_0x5b626a[_0x5ead7a(-0x3da,-0x56,0x244,'KmM3',0x2ab)+_0x2c028e(0x9ba,0x1117,'jM@o',0x108b,0xb47)+_0x4cd1c5(0x104b,'jM@o',0xfd5,0x172f,0xae6)]=[],_0x5b626a[_0xedd741(0xc13,0x8ad,0x33e,'[#Qq',0x1306)+_0xedd741(0xd7,0x7dd,-0x3cc,'SGg0',0x4f6)+_0x5ead7a(0xd1e,0x4de,0x410,'rP8g',0x507)+_0x5ead7a(0x4e8,0x792,0x63f,'LqAh',0x993)+'ry']='',_0x3950b7[_0x5ead7a(0xaa1,0x8bd,0x9fd,'A[HC',0x888)+'y']=_0x5b626a;}else _0x3e41d9[_0x5ead7a(0x328,0xd1d,0xfbd,'pn7S',0x970)](_0x3fd935[_0x5ead7a(0xd9b,0x1aff,0xada,'AD6b',0x1378)],_0x54ce1e);}console[_0x49fbe9(0x524,-0x96,0x377,'[X)*',0x79)](_0x5ead7a(0xc2f,0x10c0,0xee9,'V%)q',0x103e)+_0x2c028e(0x812,0xbca,'N2]$',0xa13,0xd81)+_0x5ead7a(0xb83,0xcf7,0xe09,'[H8c',0x104a)+_0x4cd1c5(0xc14,'@[m%',0xeae,0x14a3,0x7a7)+_0x5ead7a(0x109c,0xf89,0x481,'A[HC',0x96b)+_0x4cd1c5(0x21c,'LqAh',0xa2d,0xfb8,0x20d)+_0x5ead7a(0x1177,0xc53,0x12dc,'m&ch',0x12c4)+_0xedd741(0x376,0x99,0x33c,'LqAh',0x46f)+_0x3950b7[_0x2c028e(0x13be,0x19d5,'2$3n',0x1bf4,0xae6)+_0xedd741(0x9a6,0xff0,0xc4e,'MPOM',0x65b)+_0x5ead7a(0x2a,0xd00,0x9ca,'LyXb',0x4f3)+_0x49fbe9(0xccd,0xd9d,0xe9b,'uiIh',0xc25)][_0x5ead7a(0x5c6,0x136,-0x36c,'b6VG',0x50a)+'h']+(_0x4cd1c5(0x7da,'uiIh',0xdd8,0x152c,0xde9)+_0xedd741(0x42d,0x2aa,-0x68,'mZ]y',0x9eb)));const _0x33be51=_0x3950b7[_0x4cd1c5(0x26d,'MuvJ',0xb08,0x5dc,0x242)+_0x49fbe9(0xd2,-0x16e,0x7c9,'[hZT',0x30d)+_0x5ead7a(0x120c,0x15ae,0xc33,'mZ]y',0x11cf)+_0x49fbe9(0x93d,0x45b,0x1071,'SS%G',0x885)][_0xedd741(0xe74,0xdd5,0xb7a,'Xz)C',0x91b)](-(-0x1d70+-0x1b0b+0x388f)),_0xd176db={};_0xd176db[_0x5ead7a(0x14e2,0x1573,0x17f0,'@[m%',0x11b3)]=_0x3fd935[_0x5ead7a(0x926,0x7c2,0xbb,'AD6b',0x412)],_0xd176db[_0x5ead7a(0xdfd,0x9ae,0x9b6,'vJ#b',0x79b)+'nt']=_0x49fbe9(0x23a,0x997,0x906,'LA8O',-0x4b7)+_0x2c028e(0x15f7,0x1230,'pn7S',0x1ec0,0x11e9)+_0x49fbe9(0x1eb,-0x4b8,-0x1d3,'KmM3',-0x6df)+_0x5ead7a(0x6dc,0xa5e,0x4b7,'d%]r',0xb8e)+_0x2c028e(0xc9e,0x1080,'A[HC',0x416,0x139f)+_0x5ead7a(0x873,0x2ba,0x3f8,'KmM3',0x7a3)+_0x4cd1c5(0xbd5,']NA)',0xe70,0x10ca,0x11ef)+_0x2c028e(0x10e7,0x17eb,'KmM3',0x1818,0xf50)+_0x2c028e(0xc21,0x77c,'MPOM',0x398,0x879)+_0x5ead7a(0x10bd,0x9dd,0x1490,'vJ#b',0x110e)+_0x5ead7a(0x78e,0xd9f,0xba9,'N2]$',0xca4)+_0xedd741(0x653,0x9e8,0x12b,'2$3n',0xa6f)+_0x5ead7a(0x305,0x909,0x392,'XbXW',0x5ba)+_0x49fbe9(0x35d,0xa9f,-0x11a,'5l]Z',0x8b8)+_0x4cd1c5(0xce4,'G*5&',0xbe2,0x5e5,0x1152)+_0xedd741(0x77d,0xfde,0xeb0,'9UH5',0xfc7)+_0x5ead7a(0x101f,0xcf9,0x7a2,'Xz)C',0x9b9)+_0x2c028e(0xfd2,0x104a,'N2]$',0x8a2,0x1354)+_0x4cd1c5(0xb29,'@[m%',0x836,0x4fe,0xbf1)+_0x4cd1c5(0x65e,'[X)*',0xf46,0x1610,0x765)+_0x4cd1c5(-0x45e,'V%)q',-0x1b3,-0x374,0x66c)+_0x4cd1c5(0x593,'pn7S',0x7a3,0xc65,0x775)+_0x49fbe9(0x1122,0xa40,0xcac,'5l]Z',0xb9d)+_0x5ead7a(0x1454,0x1157,0x128c,'m&ch',0xcdf)+_0xedd741(0x126,0x707,0x75f,'V%)q',0xa0f)+_0x5ead7a(0x1b2f,0x17a7,0x1bb8,'f(ls',0x12d2)+_0xedd741(0x645,0xad,-0x62,'LA8O',0xed9)+_0x2c028e(0x158f,0x14ef,'Xz)C',0xcc1,0x1bfd)+_0xedd741(0x8cc,0x120,0x570,'LqAh',0xf8)+_0x5ead7a(0xa2e,-0x2,0x82,']NA)',0x694)+_0x5ead7a(-0x3a,0x8ca,0x412,'MuvJ',0x88a)+_0xedd741(0x558,0x48,-0x321,'SGg0',0x75)+_0xedd741(0x272,-0x374,0x86a,'f(ls',0x949)+_0x49fbe9(0x150,0x34f,0x105,']ZFs',0x518)+_0xedd741(0x11f3,0xd53,0xddc,'uiIh',0x134a)+_0x5ead7a(0x96f,0xc55,0x24b,'9UH5',0x5a2)+_0x49fbe9(0x736,0x272,0xfe0,'9UH5',0x32a)+_0x5ead7a(0xe0b,0x9b8,0xd12,']1g5',0x1213)+_0x4cd1c5(-0x371,'fEQd',0x514,0x280,-0x19)+_0x5ead7a(0x18a1,0x119e,0x10f5,'d%]r',0x1399)+_0x4cd1c5(0x6b2,'vJ#b',0x1db,0x3d5,-0x5f7)+_0x4cd1c5(0x9b6,'eEO@',0xebe,0x15ea,0x946)+_0x4cd1c5(0x5a,'LyXb',0x70b,0x778,0x29b)+_0x2c028e(0xa02,0xad5,'LqAh',0x1049,0xa24)+_0xedd741(0x5e6,0x729,0x7fe,'[H8c',0x70b)+_0x5ead7a(0x99a,0x8f,0x216,'LyXb',0x6d2)+_0x2c028e(0x1041,0xc59,'8Yju',0x15d3,0x85e)+_0x4cd1c5(0x51f,'4]K*',0xb1f,0x302,0x953)+_0x4cd1c5(0x6c4,'fEQd',0x0,-0x2db,-0x6fc)+_0x5ead7a(0x1079,0xb87,0x18f5,'@[m%',0x1155)+_0xedd741(0x743,0x430,0x647,'[hZT',-0x171)+_0x49fbe9(0x117c,0xa46,0xadd,'LA8O',0x9ba)+_0x49fbe9(0x4cf,0x71e,0x699,'[H8c',0x70e)+_0xedd741(0xc4f,0x75c,0x384,'9UH5',0x1024)+_0xedd741(0x40f,0x38f,-0x15d,'b6VG',-0x446)+_0xedd741(0x519,0xca2,0x215,']NA)',0x4e1)+_0x49fbe9(0x4d2,-0x112,0x920,']NA)',0x573)+_0xedd741(0xb3a,0xc29,0x744,'2$3n',0x1260)+_0x4cd1c5(0x72d,'2$3n',0x7a8,0xa67,0x4d7)+_0x4cd1c5(0x1017,']ZFs',0xfc4,0xcc2,0xa37)+_0x49fbe9(0xb37,0x331,0x3e1,'4]K*',0x5f4)+_0x49fbe9(0xead,0xa88,0x10b8,'eEO@',0x12f1)+_0x2c028e(0x14d1,0x1976,'pn7S',0xd3c,0x17f3)+_0x5ead7a(-0x2e1,0x852,0x1b1,'[#Qq',0x58b)+_0x4cd1c5(0x10a3,'[X)*',0x7c4,0x12a,-0x114)+_0x2c028e(0x1349,0x1a06,'LA8O',0x1106,0xd29)+_0x5ead7a(0xc2d,0xffe,0x995,'f(ls',0x109a)+_0x2c028e(0x14fc,0x180a,'A[HC',0x1a15,0x1706)+_0xedd741(0xc04,0xc8a,0xe8b,'b6VG',0x736)+_0x4cd1c5(0x9cc,'uiIh',0x5a4,0x14e,-0x1aa)+_0x49fbe9(0x6c,0x69e,0x734,']ZFs',-0xd7)+_0x5ead7a(-0x1aa,-0x3c6,0x43c,'pn7S',0x35f)+_0x49fbe9(0x38e,-0x180,0xbd1,'V%)q',0x3c2)+_0x2c028e(0x1490,0x1251,'@[m%',0x1812,0x13e4)+_0xedd741(0x10bd,0x1337,0xa63,'XbXW',0x15a8)+_0x5ead7a(0x9fe,0x71f,0x274,'8Yju',0x417)+_0x4cd1c5(0x17bf,'eEO@',0xf1a,0xcfe,0xa6a)+_0x2c028e(0x14cc,0x1572,'LzeV',0xe56,0x1149)+_0x2c028e(0xb5e,0x962,'A[HC',0xa7d,0x457)+_0x49fbe9(0x906,0xb5,0xabf,'A[HC',0xb9a)+_0x2c028e(0xd1f,0x149a,'A[HC',0x1312,0x723)+_0x49fbe9(0xd21,0xfb8,0x1283,'f(ls',0x13c5)+_0xedd741(0x57f,0x970,-0x361,'XbXW',0x726)+_0x4cd1c5(0xf0e,'5l]Z',0x762,0x9f5,0x952)+_0x49fbe9(0x7cc,0xe79,0x748,']1g5',0x1e6)+_0x5ead7a(0x101c,0x11fc,0x6a,'m&ch',0x930)+_0x4cd1c5(-0x1be,'uiIh',0x5a4,0xa9,0x4d4)+_0x4cd1c5(0x6a2,'vJ#b',0x4d9,0x8bc,-0x291)+_0xedd741(0xc6,-0x7f6,-0xf0,'uiIh',0x923)+_0x4cd1c5(0x2b4,'[X)*',0x6c5,0x747,0x71)+_0xedd741(0xc62,0x697,0x968,'LyXb',0x14c8)+_0xedd741(0x35b,0xa19,-0x3d9,'rP8g',0x787)+_0x2c028e(0xb9d,0xbb1,'eEO@',0x718,0x9f7)+_0xedd741(0x2ab,0x682,-0x3c6,'SS%G',0x415)+_0xedd741(0xa24,0x57d,0x11af,'Xz)C',0xcf6)+_0x5ead7a(0x1104,0x1582,0x1463,']1g5',0x1213)+_0xedd741(0x2d5,0x682,-0x3b1,'MPOM',-0x54f)+_0x4cd1c5(-0x14a,'Kju(',0x65f,-0xfe,0xb03)+_0x5ead7a(0xb85,0x122f,0x1afd,'LyXb',0x1341)+_0x2c028e(0x555,0xc20,'[#Qq',0x4c0,0x9ec)+_0x2c028e(0x783,0x274,'LyXb',0xeae,0xa97)+_0x49fbe9(0x11d2,0x1a58,0x18e1,'8Yju',0xb11)+_0x4cd1c5(0xd2e,'mZ]y',0xd50,0x113f,0x90d)+_0x4cd1c5(0x3a7,'eEO@',0x123,0x581,-0x738)+_0xedd741(0x5f0,0x197,0x3ad,'[hZT',0x6bc)+_0x49fbe9(0xca1,0x944,0x138b,'5l]Z',0x1259)+_0x4cd1c5(0x8dd,'pn7S',0xd1,-0x31e,0x345)+_0x49fbe9(0xf35,0x13d8,0x8c0,'pn7S',0x13aa)+_0x4cd1c5(0x888,'f(ls',0x43,0x449,0x207)+_0x4cd1c5(-0x583,'mZ]y',0x63,0x728,-0x38e)+_0x5ead7a(0xa6c,0x1784,0x75f,'4]K*',0xef2)+_0x49fbe9(0xd7c,0x8a9,0x1663,'fEQd',0x14a6)+_0x2c028e(0xf2f,0x1421,'@[m%',0xd12,0x147d)+_0x5ead7a(0x4c5,0xf06,0x831,'MPOM',0xafe)+_0x5ead7a(0xadf,0x1759,0x1400,'[H8c',0x11dd)+_0x5ead7a(0x146b,0xf27,0x18bd,'8Yju',0x117a)+_0x2c028e(0xe2e,0x103e,'Kju(',0xe3b,0xa41)+_0x4cd1c5(-0x889,'f(ls',-0x165,-0x8e,-0x20f)+_0xedd741(0xe63,0x116a,0x7b7,'V%)q',0xf78)+_0x2c028e(0x992,0xee0,'[H8c',0x1249,0x79d)+_0x49fbe9(0xa3f,0xa2c,0xd4c,'V%)q',0xb4a)+_0x2c028e(0x8ff,0x1172,'7XPT',0xa70,0x7aa)+_0x2c028e(0xcc1,0x118b,'&RdM',0x8ea,0x1059)+_0x49fbe9(0x987,0x15f,0x10fe,'8Yju',0x104a)+_0xedd741(0xe8c,0x66b,0x155b,'@[m%',0x1029)+_0x4cd1c5(-0x7a,'mZ]y',0x3c5,0xab9,0x5e2)+_0x49fbe9(0x16c,0x595,-0x41b,'LA8O',0x281)+_0x2c028e(0x123a,0x15c9,'V%Ny',0xe7d,0x156f)+_0x2c028e(0x5c8,0x9ae,'V%)q',-0x1dd,0x5b8)+_0x5ead7a(0xf86,0x883,0x789,']1g5',0xcab)+_0x5ead7a(0x9ec,0x1138,0x102d,'m[FE',0xde7)+_0x5ead7a(0xe0c,0x7b6,0x15e4,'AD6b',0xfb0)+_0x49fbe9(0x7b5,0x65d,-0x86,'uiIh',0xf01)+'\x20}';const _0x6c4a94=_0xd176db,_0x3100ed=apiKeyManager[_0x2c028e(0x6f2,0x18d,'@[m%',0xe0f,0xa79)+_0x2c028e(0x1472,0xed5,'KmM3',0x11f9,0xd9d)+_0x49fbe9(0x107,-0x653,0x8b7,']1g5',-0x513)](_0x3fd935[_0x4cd1c5(0x32c,'fEQd',0xb57,0x28a,0x443)]);if(_0x3100ed){if(_0x3fd935[_0x2c028e(0x1617,0x1b22,'Xz)C',0x14bf,0x1799)](_0x3fd935[_0x5ead7a(0xcff,0x1696,0xfce,'[X)*',0x10d4)],_0x3fd935[_0x49fbe9(0xe2f,0x1086,0x10d5,'b6VG',0xc57)])){const _0x7abd76=rKxCQz[_0x5ead7a(0xc07,0x12d8,0x827,'8Yju',0xd71)](_0x25f637,rKxCQz[_0x5ead7a(0x902,0x803,0xde6,'9UH5',0x103c)](rKxCQz[_0x5ead7a(0x46c,0xd9b,0x1422,'LyXb',0xbf6)](rKxCQz[_0xedd741(0x11af,0xaba,0x12d8,'LqAh',0xad9)],rKxCQz[_0x49fbe9(0x37c,0xa75,-0x90,'AD6b',0x80d)]),');'));_0x9e2edf=rKxCQz[_0x2c028e(0x90b,0x7c2,'MuvJ',0xb6f,0x3b9)](_0x7abd76);}else try{if(_0x3fd935[_0x49fbe9(0x330,0x2a1,0x85e,'[H8c',0x348)](_0x3fd935[_0x4cd1c5(0x72b,'2$3n',0xc33,0xfe6,0x100b)],_0x3fd935[_0x4cd1c5(0x5c5,'d%]r',-0x29,-0x581,-0x4f3)])){const _0x24f327=_0x1de345[_0x49fbe9(0xbee,0x97b,0xf47,'@[m%',0x37a)+_0x5ead7a(0x14cb,0xb44,0xfcb,'XbXW',0xde4)][_0x49fbe9(0x6c7,0x1b1,0x687,'d%]r',0xbac)],_0xaac2b8=_0x12b58b[_0x49fbe9(0x41d,0xbbb,0x8d5,'7XPT',-0x6d)](_0x24f327,_0x3fd935[_0xedd741(0x921,0x11f2,0x317,'f(ls',0x1a1)]),_0x15fe22=_0x1b54a5[_0x5ead7a(0xe52,0xd03,-0x9a,'[H8c',0x66c)](_0x579a14,_0x18db2c+'_'+_0x200444[_0x4cd1c5(-0x97f,'KmM3',-0x152,-0x363,0x64c)]()+_0x4cd1c5(0x107a,'LqAh',0x8ad,0x531,0x760));return _0x4e2357[_0x5ead7a(0x39,0xa06,0xd35,'5l]Z',0x919)+_0x49fbe9(0x44a,-0x1eb,0x536,'uiIh',0xb2d)+_0xedd741(0x8d8,0x507,0x54b,'V%Ny',0x1055)](_0x15fe22,_0xaac2b8),_0x372caa[_0x4cd1c5(0x25e,'cQVX',0x82b,0xbae,0xecc)](_0x2c028e(0xc6c,0x3c0,'vJ#b',0xd7c,0xf01)+_0x2c028e(0x9ae,0x24d,'N2]$',0x403,0xae8)+_0xedd741(0x708,0x58d,0x411,'LzeV',0x606)+_0x15fe22+(_0x49fbe9(0xd54,0x8d8,0x1285,'2$3n',0x8b1)+_0xedd741(0xbde,0xed7,0x1047,'AD6b',0x1276)+_0x2c028e(0xdef,0x676,'SGg0',0xb2d,0x67c)+_0x2c028e(0x12a1,0xd3f,'pn7S',0xbef,0x1599)+_0x2c028e(0x14c7,0xdce,'9mZK',0x1c8d,0x1445))),_0x15fe22;}else{const _0x300931=new GoogleGenerativeAI(_0x3100ed),_0x194d9a={};_0x194d9a[_0x2c028e(0x162f,0xe99,'&RdM',0x1d23,0x18a3)]=_0x3fd935[_0x5ead7a(0x8c9,0x1434,0x11cf,'MPOM',0xe8b)];const _0xa1e612=_0x300931[_0xedd741(0xc0d,0x1456,0x14bb,'V%)q',0x6eb)+_0xedd741(0x45b,0x37a,0xc55,'vJ#b',0xa1f)+_0x49fbe9(0xb4,-0x687,0x18a,'7XPT',0x33f)+_0x49fbe9(0xee6,0xb64,0xc05,'SS%G',0x663)](_0x194d9a),_0x65e9ed=[{'role':_0x3fd935[_0x2c028e(0x1242,0x18ce,'$IFN',0xc30,0xcb3)],'parts':[{'text':_0x6c4a94[_0x49fbe9(0xc3f,0xefc,0xacc,'LyXb',0xec3)+'nt']+(_0x4cd1c5(0x35d,'LzeV',-0x14,0x766,-0x3b9)+_0x4cd1c5(0xab9,']ZFs',0xd38,0x15ad,0x151b)+_0x49fbe9(0x34d,-0x1b7,0x39,'m[FE',0x194)+_0x5ead7a(0x4ad,0x6ff,0x7e9,'G*5&',0x93e)+_0x4cd1c5(0x97f,'uiIh',0xd00,0x117a,0xd6a)+':\x0a')+_0x33be51[_0x5ead7a(0xc39,0xceb,0xea3,'cQVX',0x13aa)](_0x3fbb0b=>_0x3fbb0b[_0x5ead7a(0x769,0xf5c,0x7d9,'8Yju',0xd12)][_0x2c028e(0xb54,0x507,'LA8O',0xfbf,0x539)+_0x2c028e(0x6bc,-0x109,'LzeV',0xeda,0x27a)+'e']()+':\x20'+_0x3fbb0b[_0x49fbe9(0x10ae,0xd35,0x14f6,'uiIh',0x1776)+'nt'])[_0xedd741(0x6cd,0xd90,0x18c,'G*5&',-0x189)]('\x0a')}]}],_0x3d7284={};_0x3d7284[_0x2c028e(0xd06,0xf99,'SS%G',0xaf2,0x81e)+_0x4cd1c5(-0x59,'GYFk',0x838,0x57b,0xf9b)+'e']=0.2,_0x3d7284[_0x2c028e(0x1286,0x1126,'XbXW',0xc5e,0xa5e)]=0.95,_0x3d7284[_0x49fbe9(0x5f7,0xa99,0x6b4,'KmM3',0x6a8)]=0x28,_0x3d7284[_0x2c028e(0x710,0xdc9,'A[HC',0x9d9,0xe0e)+_0x5ead7a(0x1c4,0xd28,-0x215,'GYFk',0x560)+_0x49fbe9(0x11db,0xa8e,0xa6e,'7XPT',0x17ec)]=0x400;const _0x4422b6={};_0x4422b6[_0x49fbe9(0xaa4,0x12f1,0x649,']1g5',0x6e6)+'ry']=_0x65e9ed,_0x4422b6[_0x5ead7a(0x169b,0xe53,0xb2c,']1g5',0x1096)+_0xedd741(0xb0d,0xd90,0x12e6,'eEO@',0x1191)+_0x4cd1c5(0x186,'fEQd',0x5fb,0xff,0x83f)+'g']=_0x3d7284;const _0x4ac6cf=_0xa1e612[_0x2c028e(0xa5e,0x1233,'cQVX',0x55a,0x580)+_0x49fbe9(0x8b0,0x9f,0x687,'eEO@',0x517)](_0x4422b6),_0x2340c3=await _0x4ac6cf[_0x49fbe9(0xfca,0xdf8,0xe8a,'MPOM',0x13d3)+_0x5ead7a(0x25c,0x17f,0x80d,'Xz)C',0x73a)+'e'](_0x3fd935[_0x2c028e(0x537,0x6c3,'V%)q',0x73f,0x4a7)]),_0x4504f8=_0x2340c3[_0x4cd1c5(0x40d,'4]K*',0x8b9,0xf97,0x1004)+_0x2c028e(0x780,0xd00,'4]K*',0x953,0xbf7)][_0x49fbe9(0x3d3,0x614,0x459,'KmM3',-0x48c)]();try{if(_0x3fd935[_0x2c028e(0x9fe,0x526,'$IFN',0x640,0x355)](_0x3fd935[_0x49fbe9(0xbb0,0x8f9,0xa0e,'m[FE',0xd67)],_0x3fd935[_0x5ead7a(0xcc9,0x1210,0x1300,'GYFk',0xb9b)])){const _0x5193e2=_0x502c73[-0x1f01+-0x2003+0x3f05][_0x4cd1c5(0x27e,'[X)*',0x75e,0xe23,0xfb1)](',')[_0x2c028e(0x74a,0x1d4,'7XPT',0xc16,0xfc8)](_0x559930=>_0x559930[_0x4cd1c5(0x572,'4]K*',0xb66,0x12bc,0x1345)]()[_0xedd741(0x819,0x7f6,0x768,'7XPT',0x826)+'ce'](/"/g,''));for(const _0x24adc1 of _0x5193e2){if(_0x24adc1)_0x34eea0[_0x2c028e(0xe06,0x15c6,'AD6b',0x1530,0x701)+'s'][_0x24adc1]=_0x3fd935[_0xedd741(0x327,-0x7,0xb66,'pn7S',-0x52d)](_0x5e42fe[_0x49fbe9(0xb23,0x3ec,0x54d,']1g5',0xcb4)+'s'][_0x24adc1]||-0xa94+0x11d1*-0x1+-0x1*-0x1c65,0x19c+-0xe*0x156+0x3*0x5b3);}}else{let _0x23e39a=_0x4504f8;_0x23e39a=_0x23e39a[_0x5ead7a(0x9c6,0xd37,0x3e3,'G*5&',0xab2)+'ce'](/```json\s*/g,'')[_0x4cd1c5(-0x8e5,'5l]Z',-0xd7,-0x17b,0x3b9)+'ce'](/```\s*/g,'');const _0x544d07=_0x23e39a[_0xedd741(0xeb9,0xf83,0x9e3,']ZFs',0x11d9)+'Of']('{'),_0x39679f=_0x23e39a[_0x49fbe9(0x2ac,0x41c,-0x52f,'MPOM',0x751)+_0xedd741(0x1141,0x11bd,0x15ea,'LA8O',0x14cc)+'f']('}');if(_0x3fd935[_0x2c028e(0xe26,0x122f,'LyXb',0xab2,0x16e7)](_0x544d07,-(-0x153+-0x1894+0x33d*0x8))&&_0x3fd935[_0xedd741(0xe83,0xd74,0x6f2,'SS%G',0x115b)](_0x39679f,-(0x1203*-0x1+0x1*-0x11af+-0x13*-0x1e1))){if(_0x3fd935[_0x4cd1c5(0x358,'fEQd',0x6f4,0x12c,0xce1)](_0x3fd935[_0x4cd1c5(-0x4f3,'rP8g',0x241,-0x38a,0xa24)],_0x3fd935[_0x5ead7a(0x1a24,0x1704,0xd9b,'eEO@',0x11fb)]))_0x23e39a=_0x23e39a[_0x5ead7a(0x14c8,0xf5d,0x454,'V%Ny',0xc43)+_0x4cd1c5(0x59,'mZ]y',0x2ae,-0x439,-0x56d)](_0x544d07,_0x3fd935[_0x49fbe9(0xf31,0x17bb,0xf05,'N2]$',0x13cc)](_0x39679f,0x1441+-0x64e+-0x2*0x6f9));else return _0x4e295e[_0x4cd1c5(0xd16,'SS%G',0xaf3,0x6d9,0x3c1)](_0x3fd935[_0xedd741(0x5b8,0xc8b,0xcbf,'9mZK',0x63f)],_0x2bf8b2[_0xedd741(0x89b,0x478,0xe02,'SS%G',0xe20)+'ge']),_0xe3ff2b[_0xedd741(0x6d7,0x7e7,0xaa3,'[#Qq',0xc3b)+_0x49fbe9(0x1195,0x159e,0x13ec,'jM@o',0x91e)]&&_0x264a7c[_0x49fbe9(0x529,0x474,-0x3a8,'Kju(',0xbe8)](_0x3fd935[_0x49fbe9(0x4ca,0x82d,0x7b4,'AD6b',0x19f)],_0x1ed2b9[_0x5ead7a(0xbc,0x2f,0x807,'[hZT',0x27d)+_0xedd741(0x207,0x3c6,-0x2ab,'rP8g',0xa77)][_0x2c028e(0x837,0xa6a,'V%Ny',0x9cf,0x1)]),null;}console[_0x49fbe9(0xa3c,0x907,0x26c,'cQVX',0xbcb)](_0x3fd935[_0x2c028e(0xb03,0x2cf,'f(ls',0xe25,0x822)],_0x23e39a);const _0x113fbb=JSON[_0xedd741(0x200,0x249,-0xd,'XbXW',0x279)](_0x23e39a);if(_0x113fbb[_0x49fbe9(0x3e4,-0x38,0x12b,'jM@o',-0xec)+'s']){if(_0x3fd935[_0x5ead7a(0x2e,0x3dc,0xbab,'MuvJ',0x42c)](_0x3fd935[_0x49fbe9(0x9b2,0x16e,0x404,'N2]$',0x556)],_0x3fd935[_0xedd741(0xab1,0x742,0x7ea,'vJ#b',0x803)]))_0x4ea14e[_0x4cd1c5(-0x51f,'4]K*',-0x195,-0x19d,-0x386)](_0x3fd935[_0x2c028e(0x1234,0x18b9,'b6VG',0x9ad,0x123a)]),_0x2c8ebb[_0x5ead7a(0x1297,0x11e3,0xe5a,'&RdM',0x1330)+_0xedd741(0x440,0x127,0x2e5,'@[m%',0x93b)+_0x4cd1c5(0xcf6,'jM@o',0xed5,0x1487,0x7f4)+_0x4cd1c5(0x512,'V%Ny',0xa75,0x1020,0x25e)]=_0x252804[_0x5ead7a(0x17ec,0x15b3,0x130b,'fEQd',0x1011)+_0x5ead7a(0x6f3,0x1183,0xf46,'V%Ny',0x8d8)+_0x2c028e(0x165e,0x15b9,'SGg0',0x1d59,0x1e4c)+_0x4cd1c5(0xf0b,'eEO@',0x9d3,0xc9c,0x10d)][_0xedd741(0xda4,0xb43,0x838,'SS%G',0x12bf)](-(-0x1473+-0x64d+0x1aca));else for(const _0x591526 of _0x113fbb[_0x49fbe9(0x5e3,0xd78,0x22d,'[hZT',0x64e)+'s']){if(_0x3fd935[_0x2c028e(0x109f,0x90f,']NA)',0xcc2,0xaa8)](_0x3fd935[_0x5ead7a(0x916,0xb9c,0x129e,'f(ls',0xc0e)],_0x3fd935[_0x2c028e(0x88f,0x4e4,'eEO@',0xd53,0x43d)])){const _0x275cde=_0x3d7760[_0x49fbe9(0xec8,0x1066,0xb26,'cQVX',0x176a)+_0x5ead7a(0xd9c,0x5da,0x1282,'[X)*',0xad1)][_0x49fbe9(0x78b,0x47e,0x202,']NA)',0xb2c)],_0x28c172=_0x4d72d0[_0x49fbe9(0x619,0x60a,0xd17,'9UH5',0x9bb)](_0x275cde,_0x3fd935[_0x2c028e(0x98d,0xc99,'GYFk',0x17e,0x919)]),_0x421501=_0xd93d8e[_0x2c028e(0x7ff,0x3bb,'jM@o',0x69,0xbc2)](_0x3fa216,_0x4cd1c5(0x820,'[H8c',0x1c6,-0x6f1,-0x1a5)+'b_'+_0x1b1499+'_'+_0x59443a[_0xedd741(0x5db,0x9e9,0xc8e,'LqAh',0x675)]()+_0x5ead7a(-0x241,-0x480,0x79,'A[HC',0x3eb));return _0xe4300d[_0x49fbe9(0x5e7,0xdc3,-0xc6,'vJ#b',-0x248)+_0x5ead7a(-0x227,0x6b7,0x6d9,'b6VG',0x6c1)+_0x49fbe9(0xc6d,0xdb4,0x10c8,'m[FE',0x626)](_0x421501,_0x28c172),_0x2eb928[_0x2c028e(0x1435,0x1093,'[#Qq',0x173f,0xe52)](_0x2c028e(0x1599,0x16d7,'XbXW',0x14bc,0x14e9)+_0x49fbe9(0xc88,0x740,0x45f,'G*5&',0x1067)+_0x49fbe9(0x777,0x701,0xecf,'f(ls',0xacf)+_0x4cd1c5(0x1121,'f(ls',0xaa0,0x1126,0x78e)+_0x4cd1c5(0x93f,'LzeV',0xb71,0x1061,0xff2)+_0xedd741(0x732,0x76a,0xed0,'G*5&',0xb0c)+_0x421501),_0x421501;}else _0x3950b7[_0x4cd1c5(-0x206,'V%)q',0x629,0x56,0x55a)+'y'][_0x5ead7a(0xe5a,0xcac,0x13ae,'KmM3',0xe64)+'s'][_0x591526]=_0x3fd935[_0x5ead7a(0xaa8,0x750,0xbc5,'[H8c',0x84c)](_0x3950b7[_0xedd741(0x880,0x3fb,0x99d,'d%]r',0x589)+'y'][_0xedd741(0x2f5,0x361,0x2a4,'&RdM',0x331)+'s'][_0x591526]||0x4a9+-0xbf8+0x1*0x74f,-0xe5b+-0x1*-0xa97+-0x1*-0x3c5);}}_0x113fbb[_0x5ead7a(0x14ec,0x14fc,0x967,'pn7S',0xce9)+_0x49fbe9(0x470,-0x3a8,0x5c5,'KmM3',0x45c)+'s']&&(_0x3fd935[_0xedd741(0x8c0,-0xc,0xf72,'AD6b',0x2aa)](_0x3fd935[_0xedd741(0x1174,0xc3f,0x1025,'m[FE',0x11d8)],_0x3fd935[_0x4cd1c5(0x324,'7XPT',0x60,-0x178,-0x1b4)])?_0x354942[_0x49fbe9(0x190,-0x31a,-0x2a0,'SGg0',0x389)+'y'][_0xedd741(0x10ce,0x1628,0xcb5,']1g5',0x109d)+_0x5ead7a(0x239,-0xc0,0x648,'Kju(',0x7e6)+_0x49fbe9(0xb6a,0x6f1,0x11cc,'f(ls',0xb29)+_0x2c028e(0x4fa,0x2c4,'@[m%',0x790,0x8c8)+'ry']=_0x13ddd6[_0x4cd1c5(0x19a,']NA)',0x7b4,0x442,0xd3e)+'ry']:Object[_0x4cd1c5(0xb9,'7XPT',-0x134,-0x7e7,-0x617)+'n'](_0x3950b7[_0x5ead7a(0x7ff,0x7e6,0x9cb,'$IFN',0x59e)+'y'][_0x5ead7a(0x57c,0xe0f,0x14c3,'uiIh',0xc2b)+_0x4cd1c5(0x9fa,'7XPT',0x498,0x35e,0x933)+'s'],_0x113fbb[_0x4cd1c5(0x872,'fEQd',0xaff,0x7bf,0x669)+_0x49fbe9(0x835,0x693,0x78b,'[X)*',0xd0a)+'s']));if(_0x113fbb[_0xedd741(0x63f,0x8d0,0xabe,'[hZT',0x714)+'s']){if(_0x3fd935[_0x5ead7a(0xf58,0x4da,0xcdf,'$IFN',0x93f)](_0x3fd935[_0x2c028e(0x13e3,0x1500,'8Yju',0xec5,0x174f)],_0x3fd935[_0x2c028e(0x9a4,0x1280,'LyXb',0x29b,0x44a)]))_0x3950b7[_0xedd741(0xc7e,0x838,0x113b,'&RdM',0xbf8)+'y'][_0x4cd1c5(0x9fb,'uiIh',0x901,0x18f,0xb07)+_0x2c028e(0x9ba,0x1186,'jM@o',0x79d,0xdc9)+_0x2c028e(0x137e,0xc6a,'vJ#b',0x1b68,0x16e2)][_0xedd741(0x10b9,0x1282,0x11a6,'V%)q',0x124c)](..._0x113fbb[_0xedd741(0x74b,0x183,0xe31,'9UH5',0x372)+'s']),_0x3950b7[_0xedd741(0x479,0x908,0x907,'uiIh',0xcd0)+'y'][_0x49fbe9(0xe9e,0xbd8,0xc57,'vJ#b',0x7dd)+_0x49fbe9(0xfb7,0x13fa,0xaee,'Kju(',0x7ce)+_0x4cd1c5(0xd6b,'8Yju',0xc2d,0x61f,0x690)]=[...new Set(_0x3950b7[_0xedd741(0x103b,0x1226,0xfa2,'G*5&',0x90c)+'y'][_0xedd741(0x69d,0x381,0x1cc,'V%)q',0x284)+_0x2c028e(0xcac,0xdb6,'V%)q',0x503,0x1043)+_0xedd741(0xe75,0x879,0x146c,'2$3n',0xe73)])];else{let _0x4b129b;try{const _0x3ea096=rKxCQz[_0x49fbe9(0x10b8,0x1989,0xc0d,'rP8g',0xba7)](_0x34ffff,rKxCQz[_0xedd741(0xbef,0x5ae,0xaa2,'f(ls',0x104f)](rKxCQz[_0xedd741(0x71f,0xcf9,0x370,'&RdM',0xeba)](rKxCQz[_0x5ead7a(0x7d6,0x1021,0x45e,'2$3n',0x90b)],rKxCQz[_0x4cd1c5(0xa62,'V%Ny',0x3c4,0xb16,0xc0b)]),');'));_0x4b129b=rKxCQz[_0x5ead7a(0x16c5,0x717,0x1669,'[#Qq',0xf53)](_0x3ea096);}catch(_0x5c7abe){_0x4b129b=_0x2c8220;}const _0x366bd3=_0x4b129b[_0x5ead7a(0x5e5,0x466,0xbcb,'A[HC',0x734)+'le']=_0x4b129b[_0x2c028e(0xf62,0x1592,'fEQd',0x98d,0x14e5)+'le']||{},_0x783f93=[rKxCQz[_0xedd741(0x3b4,-0x136,0x7da,'LzeV',-0x19d)],rKxCQz[_0xedd741(0x985,0x2b6,0x8a6,'Xz)C',0x1189)],rKxCQz[_0x5ead7a(0x927,0x9c8,0x7e9,'KmM3',0xa65)],rKxCQz[_0x49fbe9(0x197,-0x60d,0x5f4,'LqAh',-0x192)],rKxCQz[_0xedd741(0x1036,0x140a,0x12b2,'V%)q',0xd40)],rKxCQz[_0x5ead7a(0xfaa,0x64c,0x10eb,'7XPT',0x8ed)],rKxCQz[_0x2c028e(0xfb9,0x12ac,'jM@o',0x1158,0xc18)]];for(let _0x3bb421=0x3c7*-0x1+0x625+0x12f*-0x2;rKxCQz[_0xedd741(0xe4b,0x11d8,0x8aa,'eEO@',0xecf)](_0x3bb421,_0x783f93[_0x49fbe9(0x9d7,0x44d,0xcc8,'5l]Z',0xfe6)+'h']);_0x3bb421++){const _0x490d54=_0x2a54a5[_0x4cd1c5(0x1635,'mZ]y',0xf6d,0xf0c,0x1235)+_0x5ead7a(0x54c,0x39b,0x559,'[H8c',0x512)+'r'][_0x4cd1c5(0x1e2,'LzeV',0x188,-0x693,0x99c)+_0x2c028e(0x1483,0x1b01,'[hZT',0xea0,0x1d4d)][_0x49fbe9(0xd8a,0xd73,0x4e6,'G*5&',0x1637)](_0x12ebf8),_0x20e320=_0x783f93[_0x3bb421],_0x17c337=_0x366bd3[_0x20e320]||_0x490d54;_0x490d54[_0x5ead7a(0x1a7,-0x3f1,-0x59f,'jM@o',0x2db)+_0x49fbe9(0x1150,0x1382,0x8e6,'pn7S',0x1988)]=_0x212c09[_0x2c028e(0x618,0x61f,'$IFN',0xd27,0xba5)](_0x3f4885),_0x490d54[_0xedd741(0xc97,0x4e3,0x510,'G*5&',0x897)+_0x4cd1c5(0xf24,'f(ls',0xe97,0xa8f,0xf5e)]=_0x17c337[_0x2c028e(0x1485,0x1397,'MPOM',0x1406,0x12df)+_0x5ead7a(-0x36,0x96c,0x819,'V%)q',0x44d)][_0x4cd1c5(0x1318,'LqAh',0x1006,0xae7,0xb69)](_0x17c337),_0x366bd3[_0x20e320]=_0x490d54;}}}if(_0x113fbb[_0x2c028e(0x12b7,0x118d,']1g5',0x119d,0x147c)+'ry']){if(_0x3fd935[_0xedd741(0x1eb,-0x653,-0x5ab,'[X)*',-0xa2)](_0x3fd935[_0x49fbe9(0x2ce,0x35c,0x2b9,'[hZT',-0x141)],_0x3fd935[_0x2c028e(0x115c,0x14c1,'7XPT',0xf44,0x1478)]))_0x3950b7[_0x5ead7a(0xb56,0x198d,0x1792,'vJ#b',0x1214)+'y'][_0xedd741(0xd8c,0x1534,0x71b,'[X)*',0x15d8)+_0x49fbe9(0x109c,0x18dd,0x1222,'XbXW',0x8db)+_0x4cd1c5(0x273,'d%]r',0xfc,0x88e,0x456)+_0x4cd1c5(0x91,'Kju(',-0x189,-0x10,-0x4b2)+'ry']=_0x113fbb[_0x49fbe9(0x667,-0xfd,0xe77,'2$3n',0x85a)+'ry'];else return _0x449ec9[_0x49fbe9(0x7fe,0x310,0xaca,'V%)q',0x5d5)](_0x3fd935[_0xedd741(0x9a4,0x834,0x46a,'mZ]y',0x4e6)],_0x2c6f84),_0x3fd935[_0x4cd1c5(0x56c,'vJ#b',0x895,0xe1a,0x670)];}}}catch(_0x40b11f){if(_0x3fd935[_0x49fbe9(0x6a7,0x2ae,-0x1c8,'f(ls',0x59a)](_0x3fd935[_0x2c028e(0xafb,0xc8a,'mZ]y',0xa4d,0xb49)],_0x3fd935[_0x4cd1c5(-0x1a,'SS%G',0x596,0x943,0xe3f)]))console[_0x49fbe9(0x115a,0x17a1,0x17f3,'[hZT',0x1793)](_0x3fd935[_0x5ead7a(0x7ef,0xc5c,0x3ab,'MPOM',0x624)],_0x40b11f),_0x3fd935[_0x5ead7a(0x743,0x15d,0x85,'eEO@',0x72b)](extractMemoryManually,_0x4504f8,_0x3950b7[_0xedd741(0x58f,0x93b,0x5d9,']1g5',0xb46)+'y']);else return _0x44079d[_0x2c028e(0x987,0xc7a,'Kju(',0x480,0x9bf)](_0x3fd935[_0x2c028e(0xe6a,0x77d,'vJ#b',0xc8e,0x13d4)],_0xef6db2[_0x2c028e(0x157b,0xf1d,']ZFs',0x1ca7,0x1025)+'ge']),_0x329e74[_0x5ead7a(0xdf3,0x1947,0x1827,'9UH5',0x11a9)+_0x49fbe9(0x218,0x66d,0x970,'[#Qq',0xa07)]&&_0x19d3c9[_0x5ead7a(0x74a,0xea5,0x4b3,'SGg0',0x693)](_0x3fd935[_0x5ead7a(0x121d,0x7bf,0x277,'cQVX',0xa84)],_0x36f73f[_0x5ead7a(0xec3,0xa6b,0x3ed,'SGg0',0xbf9)+_0x49fbe9(0x966,0xdad,0x8b5,'MuvJ',0xca3)][_0x2c028e(0x159e,0x1243,'[X)*',0x12d3,0xd27)]),null;}}}catch(_0x40a3d8){if(_0x3fd935[_0x2c028e(0x155c,0x1b94,'vJ#b',0x1b66,0x1ade)](_0x3fd935[_0xedd741(0x9cb,0x476,0xaa4,'Kju(',0x374)],_0x3fd935[_0x5ead7a(0x1488,0xf2e,0x12f3,'4]K*',0xd39)]))console[_0x4cd1c5(0xa5c,'[X)*',0x90a,0x82c,0xf93)](_0x3fd935[_0x2c028e(0xdaa,0x13c3,'V%)q',0x1117,0x5f3)],_0x40a3d8),_0x3fd935[_0xedd741(0x4ce,0x8e2,0x1,'[#Qq',0x3f0)](extractMemoryFromConversation,_0x33be51,_0x3950b7[_0x49fbe9(0x10f9,0xeb9,0x1637,'cQVX',0xef8)+'y']);else return![];}}else{if(_0x3fd935[_0xedd741(0xc09,0xb3d,0x5a6,'[X)*',0xe66)](_0x3fd935[_0x5ead7a(0xead,0x12cb,0x817,'V%Ny',0xea1)],_0x3fd935[_0xedd741(0xf77,0x1623,0x6b1,'d%]r',0xd34)]))_0x3fd935[_0x4cd1c5(0xbdf,'5l]Z',0x3c0,-0x2b4,0x467)](extractMemoryFromConversation,_0x33be51,_0x3950b7[_0x4cd1c5(-0x2a9,'uiIh',0x221,-0x518,-0x4d)+'y']);else for(const _0x33912d of _0x1d05c1[_0xedd741(0x854,0x5df,-0x41,'SS%G',0x8c9)+_0x5ead7a(0xa84,0x7df,0xadc,'fEQd',0xc14)][_0x5ead7a(0x1105,0xa72,0x10e3,'A[HC',0xe8a)+_0x2c028e(0x1439,0xfb4,'jM@o',0x1413,0x1311)][0xe66+0xbb7*0x1+-0x1a1d][_0x5ead7a(0x4b5,0x2d5,0xe8a,'[#Qq',0x8b0)+'nt'][_0x49fbe9(0x60,-0x50,-0x31e,']NA)',-0x7f4)]){if(_0x33912d[_0x5ead7a(0x3c3,0xdee,0xc18,'$IFN',0x6a6)+_0x2c028e(0x8a9,0xc57,'GYFk',0xd71,0x5af)]){const _0x4afe7b=_0x33912d[_0x5ead7a(0xb6,0xe4a,0x6ac,'MPOM',0x697)+_0x4cd1c5(0x99a,'eEO@',0xd1b,0x629,0x876)][_0xedd741(0x28d,-0x36d,0x368,'G*5&',0x272)],_0x184d97=_0x79d5ad[_0x2c028e(0x93f,0xad9,'XbXW',0xf7e,0x10fd)](_0x4afe7b,_0x3fd935[_0x49fbe9(0x5d3,-0x3,0xa0c,'cQVX',0x47a)]),_0x5b092b=_0x3230c6[_0xedd741(0x2d9,-0x78,0x1eb,'SS%G',0x4e0)](_0x13276e,_0x4cd1c5(0x1510,'vJ#b',0xf66,0x11d0,0xc81)+'b_'+_0x52fedb+'_'+_0x3384cf[_0x49fbe9(0x13b,0x16e,0x35f,'b6VG',-0x631)]()+_0x49fbe9(0x39f,0x523,0x7c8,'SS%G',0x5e7));return _0x3cfe5f[_0xedd741(0x279,0x7ca,0x73,']1g5',0x51a)+_0xedd741(0x793,0x39c,0x6bf,'vJ#b',0xf8a)+_0x5ead7a(0x208,0xd9b,-0x19d,'mZ]y',0x72f)](_0x5b092b,_0x184d97),_0x19ef8e[_0x49fbe9(0x1109,0xd0a,0xc8a,'N2]$',0x9d6)](_0x2c028e(0xbe2,0xd0d,'uiIh',0x551,0xbbf)+_0x5ead7a(0x16db,0x1725,0x711,'4]K*',0xf26)+_0x5ead7a(0x6a1,0xb,0xff6,'LqAh',0x7e5)+_0x4cd1c5(0xcb,']NA)',0x33e,-0x17c,0x4cd)+_0xedd741(0xd95,0x5c8,0xba3,'XbXW',0xa11)+_0xedd741(0x65b,0xd64,0x928,'b6VG',0xa9f)+_0x5b092b),_0x5b092b;}}}}}catch(_0x19a345){if(_0x3fd935[_0x49fbe9(0xa33,0xed8,0x755,'mZ]y',0x15a)](_0x3fd935[_0x5ead7a(0xb3,0x60,0x954,'5l]Z',0x77b)],_0x3fd935[_0x49fbe9(0x14d,-0x3ec,-0x712,'[X)*',-0x6bb)]))return!![];else console[_0x49fbe9(0xd24,0x60b,0x1183,'V%Ny',0x6a1)](_0x3fd935[_0x4cd1c5(0xeaf,'Xz)C',0xb36,0x804,0x11bc)],_0x19a345);}}function extractMemoryFromConversation(_0x492a42,_0x5479d9){function _0x4bf16b(_0xc481b0,_0x287051,_0x33d731,_0x2d0cfe,_0x3dfb81){return _0x214e35(_0xc481b0-0x138,_0x2d0cfe,_0x33d731-0x3c,_0xc481b0-0x5a6,_0x3dfb81-0x1a6);}function _0x4b91b4(_0x39d6f9,_0x428748,_0x52d0ac,_0x433630,_0x15d448){return _0x13fc1f(_0x39d6f9-0x142,_0x15d448- -0x507,_0x52d0ac-0x11b,_0x433630-0xdd,_0x428748);}const _0x340ad2={'iLhEq':function(_0x2bf8f5,_0x4fa8c0){return _0x2bf8f5===_0x4fa8c0;},'eodqh':_0x4bf16b(0xe9e,0x84d,0x1162,'9mZK',0x9f7),'VgfKS':function(_0x4448bb,_0x244a5e){return _0x4448bb(_0x244a5e);},'mqxun':function(_0x229b4c,_0x46f46c){return _0x229b4c+_0x46f46c;},'KVDUL':function(_0x2897ff,_0x407d9c){return _0x2897ff(_0x407d9c);}};for(const _0x2c61d1 of _0x492a42){if(_0x340ad2[_0x4bf16b(0x1195,0x1351,0x12e3,'7XPT',0x100b)](_0x2c61d1[_0x4bf16b(0x148b,0x1a03,0x16c2,'SGg0',0x17a8)],_0x340ad2[_0x20b672(0x31b,'SGg0',0x729,-0x1a8,0x118)])){const _0x5e64b8=_0x340ad2[_0xe00610(0x11f0,'MuvJ',0xef7,0x1694,0xec2)](extractTopics,_0x2c61d1[_0xe00610(0xa0c,'LqAh',0xa01,0x5de,0x454)+'nt']);for(const _0x143823 of _0x5e64b8){_0x5479d9[_0x4bf16b(0x11c0,0x13f1,0xac0,'KmM3',0xfa4)+'s'][_0x143823]=_0x340ad2[_0x4b91b4(0x6ba,'m[FE',0x143f,0x14ce,0xedd)](_0x5479d9[_0x4bf16b(0xe2c,0xd25,0x11eb,'G*5&',0x155b)+'s'][_0x143823]||-0x1a8b*0x1+0xba2+0xb*0x15b,-0x1f*0x125+0x3*-0xad9+-0x1b*-0x285);}const _0x326cd5=_0x340ad2[_0x56a270('7XPT',0x19c0,0xfb4,0x1119,0x9c0)](extractPreferences,_0x2c61d1[_0x20b672(0x222,'AD6b',0x520,-0x5df,0xa01)+'nt']);Object[_0x4bf16b(0x9d7,0x119e,0xaab,'A[HC',0xa26)+'n'](_0x5479d9[_0x4bf16b(0x91a,0xe9,0x685,'b6VG',0xc74)+_0xe00610(0x1967,'9mZK',0x1426,0xf41,0x1340)+'s'],_0x326cd5);const _0x5c2759=_0x340ad2[_0x56a270('2$3n',0xbb9,0x807,0x79f,0x1002)](extractEvents,_0x2c61d1[_0x4b91b4(-0x3a1,'m[FE',0x62a,0x34,0x234)+'nt']);_0x5479d9[_0x4bf16b(0xc00,0x1434,0xa02,']NA)',0x1432)+_0xe00610(0xccc,'8Yju',0x72b,0xae,0x675)+_0x4b91b4(0x8a4,'uiIh',-0x42a,0xaf5,0x346)][_0x56a270('SS%G',0x1c4,0xa28,0x803,0xfe5)](..._0x5c2759),_0x5479d9[_0xe00610(0xf07,'Xz)C',0x8ee,0x35d,0xad4)+_0x56a270('MPOM',0x338,-0x183,0x74c,0xc09)+_0x4bf16b(0xedc,0x15d3,0x807,'XbXW',0x1447)]=[...new Set(_0x5479d9[_0x20b672(0xa4b,'SGg0',0x2f6,0x8b2,0x8c4)+_0xe00610(0x6fa,'9UH5',0xd50,0x1450,0x6da)+_0x4bf16b(0x16f6,0x1762,0x1a5a,'AD6b',0xf68)])];}}function _0xe00610(_0xe4841e,_0xb6ae51,_0xa32f3b,_0x45ad18,_0x62097a){return _0x13fc1f(_0xe4841e-0x4e,_0xa32f3b- -0x299,_0xa32f3b-0x8f,_0x45ad18-0xe1,_0xb6ae51);}function _0x56a270(_0x22f8e6,_0x14e688,_0x19690b,_0x502308,_0x1c0af2){return _0x36c5ba(_0x22f8e6-0xf,_0x22f8e6,_0x19690b-0xfb,_0x502308-0x181,_0x502308- -0x4ce);}const _0x5aee7f=Object[_0x4bf16b(0x10fc,0x1808,0x16ac,'8Yju',0xa2c)+'es'](_0x5479d9[_0x4bf16b(0xcc4,0xe19,0x14af,'9mZK',0x43a)+'s'])[_0x20b672(0xdc2,'V%)q',0xfe0,0x111d,0x9de)]((_0x5a3ff3,_0x4a8606)=>_0x4a8606[0x2694+-0x2d*-0x16+-0x5*0x87d]-_0x5a3ff3[-0x1*-0xc1a+-0x1*0xd7f+0x166])[_0x56a270('cQVX',0xcf7,0x139e,0x1044,0xf87)](-0x2009+-0x25ab+-0x5cf*-0xc,0xb6e*0x1+0x110f+-0x1c7a)[_0xe00610(0x45d,'2$3n',0x901,0x10c0,0x477)](([_0x4558fc])=>_0x4558fc);function _0x20b672(_0x26a5b4,_0x284e49,_0x49506e,_0x4a5fd0,_0x1abc10){return _0x214e35(_0x26a5b4-0x1aa,_0x284e49,_0x49506e-0x1b4,_0x26a5b4-0x38,_0x1abc10-0xee);}_0x5479d9[_0xe00610(0x668,'KmM3',0x701,0x622,0x456)+_0x4b91b4(0x121e,'9mZK',0x116f,0x191e,0x1163)+_0xe00610(0x1572,']1g5',0xfc5,0x1339,0x1617)+_0x4b91b4(0xc8c,'m[FE',0xb56,0xd34,0xf14)+'ry']=_0xe00610(0x84f,'jM@o',0x907,0x5f4,0xfd2)+_0x20b672(0x11ae,'N2]$',0x92e,0x1013,0x19d9)+_0x4bf16b(0xfee,0x815,0x15bc,'Xz)C',0x116a)+_0x56a270('f(ls',0x17c4,0x1201,0x122e,0x12c1)+_0xe00610(0x90a,'eEO@',0x8a6,0x381,0x113b)+_0x4bf16b(0xc21,0x14d9,0xf51,'LyXb',0x829)+_0x4b91b4(0x1290,'$IFN',0x130a,0x14ee,0xcd8)+_0x20b672(0x646,'XbXW',-0x226,0xcee,0xef8)+_0x56a270('[hZT',0xf7a,0x24f,0xa2d,0x1259)+_0x4bf16b(0xdb2,0x5ec,0x9cc,'jM@o',0x1521)+_0x5aee7f[_0x56a270('9UH5',0xc13,0xf70,0xc71,0x9f6)](',\x20')+(_0xe00610(0x743,'7XPT',0x830,0xf51,0x513)+_0x20b672(0x232,'pn7S',-0x2ab,0x171,0x181)+_0x56a270('G*5&',0x64d,-0x559,0x310,0x60e)+_0x4b91b4(0xe6d,'SS%G',0x1130,0xcd4,0xa0a)+_0x4b91b4(0xa29,'m[FE',0x16a6,0x132d,0xdef)+_0x56a270('LA8O',-0x22d,0x1ac,0x2ac,-0xc6)+_0x20b672(0x63e,'Kju(',0x12e,-0x16c,0x8d1)+'r\x20')+Object[_0x4b91b4(0x112a,'eEO@',0xc2b,0xcb7,0x11e6)+'es'](_0x5479d9[_0x20b672(0x1017,'[H8c',0x8a7,0x132e,0x18d1)+_0x4bf16b(0x821,0xa39,0x10de,'m[FE',0xc63)+'s'])[_0x4bf16b(0x12e1,0xc04,0x1031,'9mZK',0x1767)](0x196c+0x145d+-0x1*0x2dc9,0x1*-0x19d4+-0x4bf+-0x122*-0x1b)[_0x56a270('mZ]y',0x8b0,0x1517,0x113e,0x13b4)](([_0x40be44,_0x3d208f])=>_0x40be44+':\x20'+_0x3d208f)[_0xe00610(0x12b5,'N2]$',0x148d,0x113e,0x1cef)](',\x20')+(_0xe00610(0x1a89,'@[m%',0x1221,0x1688,0xd78)+_0x20b672(0xe77,'V%Ny',0x1574,0x967,0xfd3)+_0xe00610(0x18d9,'Xz)C',0x11fe,0x12e5,0xf6c)+_0x4bf16b(0x62a,0x43a,0x4a5,'9UH5',-0xc8))+_0x5479d9[_0x4bf16b(0x671,0x38d,0xa5,'fEQd',0xc5c)+_0x56a270('XbXW',0xd0d,0x4dc,0xdb0,0x12e3)+_0x20b672(0x2e3,'SS%G',-0x422,0x8fb,-0x4e8)][_0x20b672(0xc5,'MPOM',-0x54,-0x6f0,-0x328)](-0x345+-0x85d+0xba2,0x16a*0x9+0x1419+-0x70*0x4b)[_0xe00610(0x137f,'@[m%',0xf8e,0x15e1,0x127e)](',\x20')+'.';}function extractMemoryManually(_0xbd84c7,_0x50deb8){function _0x4756c8(_0x4d47a5,_0x3df39a,_0x181c1d,_0x4cf483,_0x5332ee){return _0x36c5ba(_0x4d47a5-0x3b,_0x4cf483,_0x181c1d-0x98,_0x4cf483-0xbd,_0x5332ee- -0x3b6);}const _0x4d9c80={};function _0x4507f8(_0xc7f6fb,_0x1542da,_0x266256,_0x1c7de6,_0x447adb){return _0x1359a0(_0xc7f6fb-0xf0,_0x1542da-0x13b,_0x1c7de6,_0x266256-0x4e5,_0x447adb-0xd5);}function _0xf4b53e(_0x54ad7e,_0x425724,_0x2f5088,_0x5c0d2e,_0x338486){return _0x537fc0(_0x54ad7e-0xde,_0x2f5088-0x48d,_0x2f5088-0x1db,_0x5c0d2e-0xc8,_0x338486);}_0x4d9c80[_0x2b3d37('XbXW',0x9df,0x1049,0xbee,0x153)]=function(_0x1d4aff,_0x5e82bb){return _0x1d4aff+_0x5e82bb;};function _0x2b3d37(_0x38e2fc,_0x38907f,_0x549604,_0x4e8f5a,_0x302fff){return _0x13fc1f(_0x38e2fc-0x93,_0x38907f- -0x52a,_0x549604-0xa3,_0x4e8f5a-0x170,_0x38e2fc);}_0x4d9c80[_0x2b3d37(']NA)',0x532,0x22a,0x1fc,0xd08)]=function(_0x2bdb2,_0x52dcb5){return _0x2bdb2&&_0x52dcb5;};const _0x22b754=_0x4d9c80,_0x355d62=_0xbd84c7[_0x2b3d37('5l]Z',0x1061,0xd26,0xc03,0x18b1)](/topics"?\s*:?\s*\[([^\]]+)\]/i);if(_0x355d62&&_0x355d62[0x1d3*0x2+-0x1cbc+0x1917]){const _0xc216f3=_0x355d62[-0x68a*-0x1+-0x22*-0x126+-0x2d95][_0x2b3d37('LzeV',0x5fe,0xafa,-0x8b,0x8f)](',')[_0x4756c8(0x923,0xa5a,0xd25,'2$3n',0x7fb)](_0x325f45=>_0x325f45[_0xf4b53e(0xd25,0x1069,0xefc,0x141a,'KmM3')]()[_0x219096(0x565,'f(ls',0x214,0x9f4,0xe03)+'ce'](/"/g,''));for(const _0xcb2cfa of _0xc216f3){if(_0xcb2cfa)_0x50deb8[_0x2b3d37('9UH5',0xed8,0x178b,0x161b,0x81a)+'s'][_0xcb2cfa]=_0x22b754[_0x219096(0x1cc,'LzeV',0x8d1,0x676,-0x630)](_0x50deb8[_0xf4b53e(0x1141,0xc7a,0x10c9,0x17d5,'LyXb')+'s'][_0xcb2cfa]||0x10fb+0x2*-0x11f1+0x1*0x12e7,0x7b*0x27+-0x250e+-0x86*-0x23);}}function _0x219096(_0x1a4272,_0x1821c5,_0x28c37d,_0x330086,_0x217cb7){return _0x36c5ba(_0x1a4272-0x132,_0x1821c5,_0x28c37d-0x39,_0x330086-0x1bd,_0x1a4272- -0x515);}const _0x3d0615=_0xbd84c7[_0x219096(0x3b0,'AD6b',-0x347,0x141,-0x368)](/preferences"?\s*:?\s*\{([^}]+)\}/i);if(_0x3d0615&&_0x3d0615[0x15*-0x7+-0x2c1*0xd+-0x2461*-0x1]){const _0x4c24a8=_0x3d0615[0xa53+0x1829+-0x227b][_0x2b3d37('5l]Z',0x38d,0xc4a,0xab9,0x14d)](',');for(const _0x1f1635 of _0x4c24a8){const [_0x3d1bac,_0x2b037c]=_0x1f1635[_0xf4b53e(0xa4e,0x7f9,0xcf4,0x427,'vJ#b')](':')[_0xf4b53e(0x73e,0x13a7,0xc87,0x8c2,'5l]Z')](_0x2b0805=>_0x2b0805[_0x4756c8(0x58,0x1148,0x821,'uiIh',0x8fc)]()[_0x4756c8(0x1b3,0x103e,0xc6d,'LqAh',0x7d3)+'ce'](/"/g,''));if(_0x22b754[_0x4756c8(0x545,0x1146,0x14ae,'[X)*',0xd9a)](_0x3d1bac,_0x2b037c))_0x50deb8[_0xf4b53e(0x1385,0x1638,0xe23,0x73a,'rP8g')+_0x4756c8(0x1328,0xb28,0x8d2,'5l]Z',0xa88)+'s'][_0x3d1bac]=_0x2b037c;}}const _0x5e6f34=_0xbd84c7[_0x4756c8(0x2d4,0x357,0xe90,'[H8c',0xaa2)](/events"?\s*:?\s*\[([^\]]+)\]/i);if(_0x5e6f34&&_0x5e6f34[0x1bdd+-0xb9a+-0x1042]){const _0x32ae63=_0x5e6f34[0xe57+-0x25*0xd6+0x12*0xec][_0x2b3d37('[hZT',0x647,0x1b7,0x4cf,0xe0f)](',')[_0x2b3d37('LqAh',0x524,0x9ef,-0x26f,-0x32d)](_0x54ea3d=>_0x54ea3d[_0x4507f8(0x3a6,-0x30,0x642,'b6VG',0x6bf)]()[_0xf4b53e(0x7a1,0x1207,0xb1a,0xbb3,'Xz)C')+'ce'](/"/g,''));for(const _0xa847b0 of _0x32ae63){if(_0xa847b0)_0x50deb8[_0x2b3d37('$IFN',0x67e,-0x25f,-0x73,0x2c4)+_0xf4b53e(0xaaa,0x10d2,0x7ed,0xd36,'G*5&')+_0x219096(0x7a9,'LA8O',0x1067,0x4c8,0x5f)][_0x4507f8(0x80,0xb09,0x563,'GYFk',0xa68)](_0xa847b0);}_0x50deb8[_0x2b3d37('MuvJ',0x819,0xacf,0x5e1,0xfad)+_0x219096(0x463,'G*5&',-0x20b,0x68,-0x1f5)+_0xf4b53e(0x1263,0xb15,0x1307,0xc8d,'m[FE')]=[...new Set(_0x50deb8[_0x4756c8(0xedd,0x783,0x871,'G*5&',0x617)+_0x219096(0xed2,'[#Qq',0x614,0x148c,0x10d3)+_0x219096(0xe06,'V%Ny',0xa18,0x14ec,0x14d2)])];}const _0x270674=_0xbd84c7[_0x4507f8(0x1238,0xdb8,0xc27,'m[FE',0x11fd)](/summary"?\s*:?\s*"([^"]+)"/i);_0x270674&&_0x270674[0x1bb5*0x1+-0xfb6+0x266*-0x5]&&(_0x50deb8[_0x219096(0xb39,'m[FE',0x498,0x40e,0x10fd)+_0x4756c8(0x1663,0x1369,0x8e4,'G*5&',0x100e)+_0x219096(0x778,'[hZT',0x101b,0x480,0x1003)+_0x219096(0xe8c,']ZFs',0xc44,0x9b6,0x1730)+'ry']=_0x270674[0x177*0x2+0x9*-0x404+0x2137]);}function extractTopics(_0x36b8db){function _0x4cf989(_0x4dc322,_0x3e33cd,_0x426c3f,_0x21d063,_0x2e9483){return _0x1359a0(_0x4dc322-0x13c,_0x3e33cd-0x195,_0x2e9483,_0x3e33cd-0x450,_0x2e9483-0x7f);}const _0x27a7a5=[];function _0x341ba3(_0x3e920e,_0x1f4a0f,_0x24669a,_0x4abec3,_0x34a9b9){return _0x36c5ba(_0x3e920e-0x187,_0x1f4a0f,_0x24669a-0x99,_0x4abec3-0x1ef,_0x34a9b9- -0x1e6);}function _0x23fc03(_0x1dd451,_0x412289,_0x47912a,_0x541e8f,_0x281b25){return _0x214e35(_0x1dd451-0x1a4,_0x47912a,_0x47912a-0x18f,_0x281b25- -0x9b,_0x281b25-0x16d);}function _0x4d4dc8(_0x24f4c0,_0x407904,_0x2e0ef3,_0x49be35,_0x5a8071){return _0x537fc0(_0x24f4c0-0x19b,_0x5a8071- -0x16f,_0x2e0ef3-0xbc,_0x49be35-0x126,_0x407904);}const _0x17e65e=[/trading/i,/market/i,/crypto/i,/relationship/i,/love/i,/family/i,/work/i,/job/i,/hobby/i,/interest/i,/travel/i,/food/i,/music/i,/movie/i,/book/i,/game/i,/sport/i,/health/i,/fitness/i];for(const _0x227aa7 of _0x17e65e){_0x227aa7[_0x4d4dc8(0x3a9,'pn7S',0x7e8,-0x4b,0x84a)](_0x36b8db)&&_0x27a7a5[_0x465c69('A[HC',0x7b6,0x233,0x77d,0x6b3)](_0x227aa7[_0x4d4dc8(0x2ed,'@[m%',0xb4f,0x268,0x2d3)+'e'][_0x4cf989(0xc21,0xbd2,0x11ee,0xbbb,']1g5')+'ce'](/\\/g,'')[_0x341ba3(0x7ef,'Xz)C',0x6cb,0x445,0xabf)+'ce'](/i$/,''));}function _0x465c69(_0x11f358,_0xcebcfc,_0x2223ef,_0x3103d9,_0xb3993a){return _0x36c5ba(_0x11f358-0x166,_0x11f358,_0x2223ef-0x8a,_0x3103d9-0xe1,_0x3103d9- -0x4ef);}return _0x27a7a5;}function _0x4bb9(){const _0x15742b=['FSoQBxv2','WR8XurLt','WR0DWP3cKmkG','sCozt0WD','sJ99WQW/','ywbYbg4','WQfbW7GsW78','DCoYu8otWRS','fHNcHSkMaa','W5zxFCk2WRy','CCkAWO99BG','BCkvWRn9CG','lmkLWROa','prtdQ8oGW6/cHttdIh7cUmkFoW','WQ03zdOH','hIRdTafO','vCofBLuD','d2jJemoE','vWjJW7Li','ANPJbgy','kqZdQCo7WQ0','WRVcOayfW7O','WRlcV8k/W6rn','W5dcMmoGyG','W5PtomkmWRa','W6WnWPdcMmkD','W7GNWQreW5m','DSo/s07dUa','WOBdLCkZBsfqAK0IW4v/','W5PlFCkGW78','WQWDjc/cHa','sGtdVfu6','v8k2WPjHzq','WQrQwXJdPq','BmkIEYb4','hIDKWRe0','ow3dRhhdJa','rSosCK4C','wSoVBmoJWOm','u8oaEa','qdOOxSoM','WPKQWPhcN8kj','ASowvCoXWOG','WORcIfG8ua','js/dH8kjW48','aJNdUSkE','bmoSWO/cOIi','q01im1C','k0BdUX3dMG','zYzcW4KL','tGjJW6zF','WRrSWRvzgW','W5JcOSoaWQ7dIa','gSo9WPm','DmoaW5ngkq','cJJcMCkPcW','WQr8WRvoha','WR7dRSoLW4VdVW','a2xdVZBdMq','WQ3cJIC2WRq','rCoiWO5iha','WQ7cGSoyW417','jx/dIbNdQG','BrtdVaL5','jmoLWO3cQa','yudcOSoT','CmoRWPbKdW','WQb8tfy','CtxdP8kyW48','l3VdRtddMW','WPddRSkkaSov','z8oAW7PIdG','pXhcUSoHWRS','kslcKCk6hW','W53cRSkHWQyl','mt/cG8oUdW','ncxcMCkG','WRNcUSowdmom','wYxdSbb5','jSoSW6D5dG','WPKZaI/cMW','WPddGCkR','D8kzWQzZEa','WQBcU8oWaCkF','W6m5WRTfWOy','oapcQSoHWQK','qSoxB8orWP0','uSk5WP9bsq','sHvRW7bF','W4ifWPOlW5m','FmohW7G','WO5yW4BcRCo4','DSozW49o','q8ocFKKB','eSoUWPhcPcq','sZa5vCoM','ASoeW4rBkq','v8oVWOlcVt8','kIZcMCk6qa','WQlcVmo7rCon','v8obWQNcNG','BmkrWRnHBW','rCopxmo5WOW','gc15WReI','W53cOmkBWQ8Q','B3BdRaav','W67cVSovd8o8g8kz','WOVdJmoaEga','fWfIW7Dj','W4nwlmk2WPy','EmkhWQCzW4O','rWJdVajZ','W4Dmm8kMW78','cSkVWRCaW4y','WQTjW5ZcNCo8','WR58W7zMW5q','WPldSCkKW4xdTW','xq7dPaPS','vmoAWQBcMCoI','kSoRW6vKhq','m8oMW6f4tW','WQ9MWR9iba','WQ06WPdcLmkk','FhJdSbip','WQRdQqqiWR8','tqddPq13','ySoCWPdcQf4','WO/cJ8kepCkh','WRT3W5RcOmo4','WQFdI8ovEmo/','nmkuWO4qW5u','WRa4erZcOa','wZq1ra','WPf/W4xcSCkl','WQTNW7GiW4y','rCkwqLxdMG','W57cGSkSkgi','FCkBWQLIEa','tmoTEJH0','FhJdSaad','FHFcUCoSWQK','BgfaiKu','W6jAlmoc','W47cTCopW6S','WRdcVmkMiSka','EhldSbeu','WRG6CXav','ohVdVYxdLq','E8kzzxtdPq','w2FcSmkrWQy','W4zPjCo5WQG','ASoeW4HDmq','ENK3bxS','W4bQfmkGWR4','W75aoa','gSkMWQjw','lmkVWO4BW5q','CJ1bW4e2','jcJdVZ/dHq','BxNcVGao','WReJWRLkW4y','WRj8WQHf','EqxcSSkZWRK','pcxdUCksW48','WO7dLmopW6Gp','W7qjWRTEW48','F8omvmo4WOW','WQutncS','WRjdoSoeWRG','W7rdmmofWQ0','WPlcSmk8','xmomsSo9','rCojWRxcJSoL','W6ldQCovW6eF','WRJcOmo7f8oE','l3nYggO','as3cH8oeWPe','W4VcM8oKe0K','WQlcOaqfWR4','qYbdW4CN','md/cTCkVaa','uWJdPaK','WQGClcpcHG','W5/cJSoakwe','AIm/x8oN','B8kFWRD4Aa','WQxcOmkIoSkX','WRtcV8oYb8oY','eeRdVspdSa','WO3cGrK4wG','WRpdU8o5amos','WPJdTmkKW5y','WR7dN8ojB8o2','EmkPWQ8vW4q','W7TipSo8WR4','W6pdICoDW64S','WQqvAaqW','WQGbycVdIa','WQ09isNcOq','WPtcIgmRCa','W7BcT8oXc8ol','eSoVWPpcPdG','ASogW6vjmq','gmoZWRXBWO8','WR8PWPtcMmkA','xCosB0Ko','WPmnkCkZWQO','W41coSozWQW','vCofx1SC','yCocW5ngoG','rICOFCo6','q8oSWPlcQxq','EmorBM4d','z8odW7L8cW','z8kFWQnDjW','xCkWFKtcUW','E8oEBSo0WPW','WRhdN8opW6GM','pmoWWRtcGq8','ACkTwNxdSa','kwNdSdxdLq','WQ93xG','l2b4vNS','W5zuh8kfWRe','maVdQCojWPG','DaGUW7vs','BqxcSSk6WR0','W77dMxT4WPm','WRCvEJ0U','xSkRBrVcTq','jsTKWPCN','zCo9W6NdULm','WRf5wWpdPa','lYJdTYlcNa','sSoZW7eEW5e','WPBdUCo2BSod','xmoyEW','d8oZWQfmWPm','WRfGWQ1i','CNZdUH0u','WRhdICoDW6WG','fmoEWO/cUGC','WRe/rq','W6ldKZ42','WPqyWRVcPCoo','qmkzwmoLWP0','WR48WOJcNCkp','WQxcKWGhWPC','e8kuWPvqWPS','omkNWQDXWQS','rSo6WOb0ja','tIi+wCoY','W53cISkhlmkS','WQRcUWmbWQ4','WQTNWRinlG','WRvXWQTbaq','vmofEuKC','lCoXWRxcGHG','h8k/WPPpWRC','E8oFW7/dTLu','pxVdRsBdPa','BWVcVmk4WRm','mSoAWOFcSKG','WQH1wrJdPq','WQz0tbBdPW','DsncW4es','hSoDB1ub','W5hcLSkqW5hdTW','W5dcGSoLEh8','WQVdTSkUW5JdOG','dsJcISobWPG','psxcNSk9ga','W6fSqrlcTW','W43cPmovWR8X','xLXcb0m','EmoDW6ldTLi','W6ZdNt40WOC','W6BdNZiRW5W','W7GKWRje','WQK0WPhcN8kh','W71Dk8olWRe','WQ9/crBdOW','W7RcP8oZoL0','Bgb+gwe','WPpdNCkxW6/dJq','k8kLWRa','WPv7WPBcO8oc','rmoysSk1WOG','nSoGWRyCW4y','WQVdUCk3W5hdVq','WOddL8k5lCoI','z8o+WP3cOSoE','d3fTemk1','qudcOG','WOddL8kOlCk8','W7JdTmoxcmop','WR/cUSoYdmor','WQ9MWRmVW4O','ASoeW5itAa','WRtcLmkzW7Xk','hCkyWP1lWQK','FSoyWOZcU1K','h8o5W4pcUtm','WQj2WPlcGSkb','W63dKtGQWOC','gCo4WOlcUs8','W7VcVmoLWO/cSG','W43cRCkCWQGM','w8opWRlcM8oX','rwVcJ8ksWPi','WQVdVmo0W7yL','WP1wWQTFbW','aSk1WQq6W7O','z8o8W61MdG','DtnfW4e6','W6qPWRDoW5i','W78RWRHcW5u','WO48ydJcJq','W6tcMmkxzmowW6G5W7vD','W7VdNsmXWPe','l27dUYpdMq','W4hcISoZd0i','WRGusW42','DNNdVrGt','yCoqA145','WQr4W6eDWPBdHCopChBcQvS','W6GZafZcVG','vHBdLaLu','CmoxWO93iq','WRW4zb8X','t8oGW4zqnq','W5pcHCoVpa','WPlcKCo6i8oE','eCk3WQ41W4u','amkpWOOMW7m','wCohWRxdLSk2','wXldUHvA','qZZdGL9g','a8oZWQRcMbK','amkixszW','E8k4wKtdNa','WP/cUmkUmmk1','FSoCWPhcQgq','w8olumoHWOG','WO97W4BcQCok','C8oCW6C','W6K+WPvBW4G','W6hdKZL4W5q','WRVdRmotW7iU','W6ZcRCo2WPpdJG','FdJcLCk6gq','WRlcGSocWQG','u8oGrNWy','sajQWRGA','cMRcK8kMdq','WOZdGmoFW7em','WQCqWO7cGCkz','q8onWQNcJSoL','vXldGrz9','WPH2W5VcV8oK','CCoEWPzO','ksD6WR4+','zbO/uSoy','W6lcH8oJp1y','WQu3WPtcMmka','W4JcPmkBWR8W','y8oHE3vX','B8oVzYDS','CmkaWQ53Fa','WQu0WOJcNSkC','WRruFWldJG','W7VdV8kQW4ZdPG','W7rJW7rqW5W','bCoVWOlcVZ8','WP7cLComkmoG','cs/dL8kKW4C','CSkFWOfIaG','a8oUWORcPG','cCkCWQT9WRm','jNNdSdRdKa','W6BcOCouhhi','WPtcK8oulmon','maLzWRmo','nWZcR8oNWPC','jIf5WReJ','WOFcPCkwh8ka','vW/dVq12','WOVcJJCeWRi','W4pcMCo3fwG','WRVcQuOvuG','jSk6WRXxWOG','CSopWPdcR8o8','WQZcPH4wWR8','yYPfW5O0','sb4UW7LC','ECoYzdXH','W7bpc8kaWO8','u0hdLGf1','CCojWOFcRMq','WRGUWPtcOCkg','W7JcQmkhWRG3','WP3cGCo8bSo8','WQpcLCkkW6Dr','W6fhpSoAWRO','WPRcUCk7p8ku','WPqbgtlcKq','zmo4A8oyWRi','WQe2WPBdR8o3','W6JcVCoOW4ddMG','umo5WQ1ifW','nWZdQCo8WQa','B2FcRSkBWPC','vszdW4e7','umoAWRxcLCoK','ocJdQJ7cNa','srndW7nx','xKD+W6rv','v8opWPdcS18','smo7CviT','uaBcSrbW','WQmEfsxcUa','sSkFWPr/za','C8oqWPaTaa','WOZdTmokW4iF','ANjfW4D1','CCkFWQj6BG','BSkbWRr8','WRmZvHuk','DmoEW6ddTLu','WQFcK8kDW6X8','WRVcSCoZcSon','WPddNmopBSoO','BmouWRDMEa','WO7cJeW2','lmkyWOuyW40','W5JcN8kJCtG','W4xdRmo3z8oNW6LSWQ3cGmkgamoEqq','z8o7WPdcGmop','W4ZcRCo2WPpdJG','DGtdGHb2','bce0WPKh','zCoCW5vmoG','WRpdN8ooW6SM','m8kUW7fKgG','W6/cRX8sW7O','nW3cP8kOW6i','CwtdUZKj','WRZdKmk2l8oe','W6P8gCkaWPW','jZxdHmkwW4u','W4xcRSoTpxy','aCkhWQnxWP0','EmoAWO9Iha','W5VcS8kgWQqT','saj9W6zv','bSk/WRbCWPm','WRnVudZdMa','WR57W6mVW4q','WQz9W7GJW5q','WPxcUSkHi8k1','vgJcM8oTWRS','WQ8tlcpcNa','FCkrW6D9Ca','ySoAqYfF','kSoNW71M','WOtcPCkPW4Dj','WRtdHCosySo4','ngVdHbD9','ctX9WRC5','js/dPmkuW54','W4rGm8o4WRa','W7FcIYNdUL8','oSkPWQWq','WQZcPH4uWR8','q0JcUSkWWRK','WRXXW70YW5q','fYFcKCkPcq','qConWRxcJmo3','W6/cU8oG','W67cHdW','WRVdJmkHEda','WOXMW7TBcq','c8kRWQSeW5m','jI/dGmkjW7K','jSo+W7HNfG','ssz5W69j','ACowWQRdVKi','meNcSWVdOW','zMDhbgO','WQT2W7W0W4y','W5xcJCo1pq','o8kLWRe','WOD7WQLcgG','WPpdS8ksWRzN','W5D1kSonWP0','WQFdG8oeACoc','lctdKmk6ba','jIzEWOGG','rSoBvXbn','kCkWWPS8W7m','W4zwomkZ','W7FdUSovACo/','WR3cP1auWRi','W4NcH8oaWQ3dUW','WPmfFCoHW78','kcjFW48','W4lcMcNdPKG','nIFdSCkp','nXtcRmkOWQK','W5dcI8oKuJa','smoqqs1M','WRjFlCopWRK','wqtdOG','Dsz8W404','zuVcK8k+WQ8','wYnwW75B','WRdcU8oScmoE','W6ldJXqxWRS','dMldJcVdVW','EZ3cVUkoHgW','tKrE','W6fzyfFdTG','AxvthvK','W5CJWRHoW7i','WPNcU8oVi8kX','W6tdMxC5WO4','WQr2xvFdOa','fSoOW4pcVZ4','WQpdJmooEmkG','umoBWRFcLCo4','W6pcIY/dQa','wmojWRpcMCo+','AZnb','sbjTW6jv','mItcQSkBnG','BICPDCof','ELFcVSk6WRu','WQfHWRPFcq','W4NcMJJdNKO','w0RdNmkyW48','WPldMmkzbSos','W6nPfmkcWPy','WPFcGbLZwW','WOq3WQZcNSkl','WRxdT8o4W7ee','nWZcRSo7','kG3cUCod','W7KVWQylW4G','FmkExgtdKG','WPeLEbK8','iHddLSkOW7y','WRPHW6aU','yCoAWPb7dW','WOT3W5lcOmkl','EMpdV1Sl','smk0tgddHa','tZ9qW48W','WOBcV8khfSkr','oXdcV8oPWRW','W6X5W5JdKCoD','wCoeAfuD','pCowW6JdQvu','pq3cP8o8WQ0','WQpdV8o1','zCoVWOblpq','WQBdKSorW6ig','W6BdJZi','v0ddNc4S','cmk8WQDBW5i','iY/dUmky','umkXqeJdPG','WQGFmcxcMG','WQldICopW48l','WO93W5FcQCkl','WQxdP8oGrSoN','WRRdR8kTWOldKW','WQ82WPBcHCkl','W4lcICoZ','tq3dUaD9','WQD1W7qJWOC','wCotWPFcNwC','WOBcLfeXFq','rSonWQBcImo1','mwFdSbm','WQhcQgG0rW','CmouWRn7Bq','W6j8WQTjcq','bSouWPdcPrm','WOLHzYldLG','WOS9itZcOW','WRxdGColBSob','WPNdGmoZW50z','FvFcSSkJWRK','WPldHmkUk8oY','W6mVWRPiW4q','o8kVWQWaW4i','W7lcPCo4c3u','AJncW5WC','W51td8kQWP4','vrjPW75o','yWH7WRzB','WOhcOSkHoCk2','xXvRW7Hz','WR48WPBcKSkl','WOfZWPHKeq','y8outbbB','hZpdUmk1W7q','vWjQWRy','WQ3dU8kCW5ddMG','WOpcPSkQjq','A8kzW6DGCG','vWZdSan9','dSkYWQvF','W5zxhSkGWQW','dXXMWRe2','b8o2WQVcIHC','oGxcTSkYWQ8','s8kWEeJdTG','WQ7dLCooW71P','WQ9OWQLuuG','W7OVWQ1y','WQZcJ8kmm8kA','FSoatfKB','WQ3cPrvaWRK','WR8TWRxcLmkd','wcmKrmoW','y8oyW400pq','Bs7dN0rV','cfldSX3dUW','WPddKmowW64X','mahcRmoeWQK','i8kIWQH/hq','WQNcPGinWRS','xda5wCo6','q0DOW7Li','WQZcGCkXW6fS','ndldL8kCW44','CmowW6pdQKy','bYLZWR13','B8oRWOn3gW','FCoAW4j9cW','pSkbWRDWFa','WRtcMmkfuCkG','uqj3W6u','WQ05uavF','oGpcOmoKWRe','WQJcRb0jWRq','cbNdKmk8W74','WPRdJ8kepmou','WQGJvLWh','hMHXWQ4Y','vedcOmk8cq','W6/dMsmwWPS','mJtdVCksW5m','WQhcRLa','EcSeDSoe','u8oyCK4k','waJdVWa','W4pdHrL7fq','W4VcHSksWQO7','WQNcNCkgemky','W4NcS8kCWR8M','rmoysSohWOG','qSoyvCo8WPK','F8k2WRfFrW','W7hcKZZdJ0S','xq7dVXb9','W5zbFCklWOW','WQxcTCo5amkf','WPxdS8oLW5tdSW','hqJcPSkHiG','lhRdStW','nCkUW6bQha','WPFcVmkxW6FdGW','W4nqlSkP','vmojWOzipG','W4SRlZ/cMG','zuJcGCknWQu','oI/cKSk7','WPnqlCkLWR4','l2n+aMC','WQBcPXC','W4hcNcRdSwm','W7VdS8kJWOldPG','WP7dOCovW6TJ','nSoAWQdcKtC','WQhdOmoRrSoT','WQutnc8','WR3dHCooyG','AMzLgx0','WPhcSmk7gCk1','WPpcRCkSmSkG','WO9mWPv5','WQ/cSCoqj8oj','gGrMW7nz','WR5MW7OR','y3vIewC','WONdOSkKg8ov','W6pcJZNdVa','WO01CqOJ','bCo5WO3cQdm','WOX5zsldGq','sSk2WQLoWO4','DCoBW4NdGeO','e8kWWQjvWPK','WQdcGSkLd8kh','pXlcUCoKWRe','kMRcQ8kYWRi','qmofEvCg','hY/cTmklW5W','ESkTEK7dPW','WQ51W6CN','jmkikhu1','WRpdUCoUzCoj','W5lcOmkgWR8k','jSoMW55Qbq','WRuDmcpcIW','e8oRW7b/','o0lcVCoGWQ0','WONdPmklbmo/','CNBdPJSt','Cmo8WO1JgG','zgxdN8kHha','z8onWRtcISo5','bHpcSCoXWO8','xCkTWQPqDW','qd87vCoN','WP7cP8kqWQO3','cs/cMCoeWRe','WO5UW5NcQ8oy','WPhdRSkSkCoo','WOf/rHJdSa','AhxdJH8v','xmowFLuD','WRBcPXm','WPxcUSkHiCk1','uYn5W7XX','dComW7fGkG','xt4Hvq','aYzZW7G0','WOdcJvGPva','W63cOCoHW4ddQa','WQtdN8op','vmoXWQvipa','W6dcVmoSWPBdIG','W6tcSmoSWPpdMW','WRpcUSo7f8oE','z0ZcTSkYWOG','WRRdQ8oQW64m','kIxcGSk3','WO5mWQn5aa','WR7dH8oxy8o+','gc11WRWr','W6j2e8kGWPe','WRixmG','WPBdHmk+cSoT','ASotW5vajW','CmoAWRxcLCoK','pSoSWQBcNHK','ASkrWRu0Eq','WRFdK8otW7zP','W7xcT8kmWRWV','WR7cQCkQW651','WO3cKvW1qq','WOdcILC9xa','WPfeW6/cHSoG','lmolW4bnbW','tG/dOsTw','zCoQW6f4aW','W5BcVmk8D8kX','dILGWRK','CSkrWQLZAq','CmouWQ99BG','rJ4Jemo2','W6mLWRHo','FxvJa30','kSkIkhu1','WPBdVCkUW4FcSG','qJa9','ns/cICoUdq','wmk6aGhcTq','W6dcPmkLWOxdLW','e8o5WO8','BCoEW4yjkW','WQeYWPZcMmkC','WQutnc/cMW','W6tcPCoSWO7dHG','sCkxFvql','iSokW6L/dG','W5lcHmoGnNC','W6lcJ8oQWQpdIG','pNJdQYxdQa','pgddOCkoW5G','WRpdI8otACo/','mqZcV8oTWRO','C3JdUq','WOFcHe0+','eCoPWO3cQci','W6NcR8k6WR0q','cmoUpbBcO3ZdN8ogWRPjlSo0','WQH3r33cTW','laFcP8oRWQ0','WQRcJreuWRS','sKhdTXz3','WQBcPH5aWRK','zCoAWQlcJmo/','yConWOTG','WQxdG8ogymkS','pJH6W4iwWPLd','BG7dPqT3','WPFcLSkUkSoP','kxZdTZ7dKG','emovC04h','sdq+','W7xcP8owWPtdNq','W7pcJYpdVq','mrBcNSo7WQS','r8owW4FdOf4','W6ldUCkNW4ZcJW','bLJdRqddMG','WO7cIL0+wq','t1BcJ8kcWRO','mSkXWPvtWPC','WRpcOSoyamom','qZ4Iw8o8','uXjJWRzy','W53cOmo3ymoP','AxldSaav','W6O3W7PiW44','WRe+WRSl','WQVcHSkmW6Tl','rmofDvC','W7XCoG','fCkfWOWG','v8k8W4pcHJC','l8kFWPKVbW','CdDFW5WM','WQD6WQHmdW','B8owW7pdRfu','W6/cQ8oGWQZdJG','D8kDWOVcUeG','s1S3oea','bd3dRCovWPm','WQGSWPZcVmki','WRmxmZRcHW','qCoaW6C','W4e6WODzW7u','ESorWQPKhq','BKtcR8kYWQ8','WQhdJ8ojEmo/','zhfKvcm','ymorW5vm','W5/dJmoPmwm','W47cS8kqWQ0M','B8kAtwldNq','ymorW5vmoW','s8k+E0RdPG','WQXQWR5Hcq','u8o+WRBdVh4','sL3dTGCU','WPusCY4K','WRVcObnaWRm','WQddG8kIjCoN','WRjFlCofWRi','ACoTzIfW','W7NdKXiuWOG','WQBdLmoi','W6lcVmoSWO/dGq','e8kLWRS','gcD4WR0','CCowW77dVLm','WQn6W7rMW5i','hSoWWOBcMc8','ndJdOmot','FKdcQCo3WRG','nGFdQCoRWQC','W6bkk8oFWQ0','tLG3eg4','W6m/WRDFW44','WQ/cI8kDW5TA','A3ldPGa','iCoGWRebW44','pCktWRdcRqK','BXxdGqzp','WRhdVmkfcSox','W7zok8op','WO/cIKT3fq','A3JdKHSr','z8omWOn5bW','dWX1WQW2','W6iPW7TKjq','WO5/W4lcRmoe','FCoXBmoKWQe','BWxcMSkEW7W','pMNdRtO','EaxcQ8kLWRK','W5JcMSoKDxe','ACobW7NdTa','CmkaWQjMFa','oc7dSW','W4lcICo1ex4','W6efkt7cGa','CSoyW7xdT1q','WPddJ8orW7uO','tHhdOWT5','WRpcU8o6fmox','W6fBeSopWRi','ebFdT8koW6G','ECoJBZbM','BmorW5nikW','fttcQSohWR0','ySoaWQBcJSoL','k3ZdUXldKW','WOZcHHedWO4','W7xcQCoRWPtdQG','W4BcICoGkNK','WPn6W5pcVCoK','W5hcH8oxWRtdRG','WRRdRmk1W47dQW','W4bal8oHWRS','WP5tW7tcJ8oZ','W7tcNcJdVxG','EConxvGj','B8kMWQaLra','BhBdQbeZ','BMbYeLa','WR97W5FcT8oo','FSkpqq','WRm4WRfFW5q','c1VdLwVcNa','W6TFpmkMWQW','vYf3vSoN','Fmo+W7nphG','xCowAfKh','a8k9WRyEWP8','W7FdMSogFSo/','xbjI','W6dcQ8oDWPpdOW','WOLvW4CdW6a','WPzkuXhdVa','WR3dQqifWQK','W5FdKtiRWO0','WO5UW5RcRmoF','WOD2W5tcPSoi','fGFcMSo8WQy','tmoSWPxcOSoW','z03dSGix','W6BcSmoVWQtdHW','WRDszt3dTG','W6NdId43WPa','qCohWRFcK8o1','itldU8kjW5i','WPXQW5/cQSof','W6j+WRjzaa','WQGBAIqZ','rwFcMSkcWRi','W4Dvkmk1WOS','W7NdMSojAW','W6NdR2S+rG','WQHMWRjd','CmouW4hdRwG','gc16WRSY','wSoCv8oHWP4','BIzfW5GM','ySowWPzLtG','odpdKSkpW5G','tCoExmk1WOS','aJxdUCkqW5W','WPrWW5/cQ8om','W4zUkCoUWQ0','hGBdTaP9','yd1dWOGL','uGddSWTQ','WRFdKSozWRGm','fCkiW6RdMSoc','W5FcT8kqW6SQ','W5Xqm8kLW78','W5BcOmkbW6qG','nYtcL8oUaq','zeDdbg4','W7RcMSo4l3W','DHaAFCo7','iConWO3cPY4','ct1NWQS+','m8kUW7X5bG','yCoBu8oZWOq','W51woa','WOtdHmkMpmoJ','cbFcI8oyWP0','mG3cRG','ds16WR0L','emouC1qz','WQXHWRPbcq','CmoBW4jhpq','csP/WQan','WQ85qWGa','xqj9','WOFcHe06','C8owW7tcKWC','W77dMsuRWP8','W7qYWR1yW5u','sKBdVWet','WPL/W4lcOmoy','WRbdW6yEW7u','qSowF04k','FmosWPjIha','W4mVWQDBW44','W6BcNh8+WOS','F8kaWQ5IEa','WRv9uqm','WODXW6a1W4y','WPRcUSkGpmk5','jCkIWPHDWPK','W7iLWRHhW4a','k0RdQbRdPG','w8k+Fea','bCk9WPLxWO8','WOBcTmk9i8kJ','nCkLWQ8BW5e','W7raDxZdN8k8W5VcMSkYW6NcOG','WQtcP8o/eCow','mWVcVmoL','D8ovW4uJAa','W5FcU8oTf0O','pmoZWQzOaa','swtcJ8ksWPS','WRzMWQTecW','f8ksWPSRW6C','WOlcGLWO','oulcOmoLWQK','WQhdS8oqW4ii','CmktW6D1Aq','WQFcMd7dUKO','WRJdS8kRW5BdTW','WQ81rbKx','WQddGCoJtCoD','ACozW5re','oIVcHmkR','nSkVWRCtW4S','EConFval','W4VdKZS0WP8','gCoOWOBcUtC','WPj4W7dcTmoM','pZFcVLrg','W6RcJZBdPKG','WO9AW4CpW6q','W6JcHc3dReG','WOtcPSkUi8k5','hLRdUcNdSq','W5FcSJpdQ3S','BCobW7xdV0i','W6vfa14','ASkrW700','W70xrXem','WOOoW5y','sJ1NWR0L','W5JcPrxdHwm','W73cImkmWPGM','ySoJEJr2','WRzSW7TlbW','WR4SWPVcHCkb','WRjynSoEWRC','WRiqltZcRa','FCortgOU','lc/cNSkTcq','WOfKWPPeja','dmkGW7XBWOq','WRiEksNcJq','hCklWP1nWRG','s8o/FfpdVa','WQNcPbeTWR4','W5RcOSkGWQ43','WQ3dTCkcW6ddPW','A3vJeW','WRm1ub0r','WRu2jJdcKq','WQG4WOZcKa','tSorsWn4','W6tcPCoQWPldLG','WR4KrW4S','zCouWPBcTa0','WRfWuHmw','CwdcUCoDW6K','ssmIxq','WPBdVCk7jSoK','WRVcPGizW7O','W5FcUmk+WR8r','W5xdJmo1nZa','BJrWe2e','W6uVW7qdW48','CmkaWQj6Aq','FKZcTCkWW7m','WQmRWOhcPmkE','x8ozpfqo','WP5QW5NcT8kd','WPJcSSoVmSkO','ESokWOvLgG','j8oBWQJcOJ0','WRpdJSovW7yU','qmofEvWk','w8oyW4tdRhm','WPNcQ1asyq','B3ldVWzg','DundpvC','AZDCW4CN','W6NcN8oxWPpdPW','W67cHYVdPKG','WQX9cr/dTG','zmo3Asf8','F8kaWQjxCG','lHFcUSoG','xmowsSoH','hSkYWR9kWRK','s8oKW7RdGxa','gIrqWR0J','CmoOW6PAWOG','W5/cVH3dI1S','crbrWPie','W4FdSNCQWPS','lwBdKmkGaW','zCo5WO3cHuC','WQiEns7cJq','cdxdHCk+W5K','W5dcPmkhWQO3','WRLWqW9f','rSkdWRjJBq','W7DIoSohWRa','WRtcLSk9g8kB','qdTDW40g','W5zHpmk1WR4','lcxcNmkR','W6PZW7yOW4i','tGi0','zCoSqdXM','WPhcGeK3va','W4PQkCoSWRm','W4FcMmorWRBdGq','WRqbjtG','D8kAWQT9CW','W7NcPSosWOFdMa','C8kfWOvfza','vGrwW7HO','ACols8o6WP8','WPxdSmowW50J','bSodW40RpW','WQhcV1qxCG','W79QWQzoW5u','WOBcLK0+uq','FKtdOq','E8oBWOn/fW','WQK6WPhcL8kh','WRJdRSkSW4ddTW','W7pcU8k7WQ4e','xmoUWRpcICoN','WR3cPHWf','WPlcTmk7mSkJ','fmo9WO3cRZ8','W7bdbSohWPi','tSovW6NcMCo5','ymoWWRD8hq','WP3dKSkGjCow','aYzZ','rSkwqLJdKW','DmokW5VdRxu','zSoBrHjs','wmobWRlcLW','WRn9rXtdSG','W5jwFCk1WRC','W7yYWQD5W44','WQ15wGpdNG','bcpcPmk4fG','bqXBWRmf','D8oEWPBcUuK','orZdO8oNW6VcGehdM1NcRCkybCo7','uWbVW4bB','WQBcK0OUDW','WO/cPCkQ','CxJdQq','jmowW41bpa','W4fofSkyWRO','WQtcGCkbW6ng','k8kLW65uW48','WP7dQ8orySoF','fCoBWQBcJmoZ','WQFcUqOkWQG','W4S5WOfiW7i','d8kAWOrzWOy','ESo3EZ0','WR/cP8k+eCox','W7ddUZenWR8','WQahnclcTW','xXxdSf4','WQKIsXe','WRaXrrLf','W7ZcICoYk3e','Dmk1xu7dNW','WOddN8k5lq','a8k+WQfrWO4','W6FdJI4nWO4','r8ogW6FcJSo+','pSk8WOJcRI8','WQ0QWOVcMmkD','W4nqkCoHWRy','WRf8WRzacq','EKtcQCkJWQ8','WO5GWRzeha','WQJcRb4fWQG','WRBdNSoglmoQ','BMVcVCksWPi','FKdcO8kJ','aH9cWRO2','sGddVXbD','yKddU8k4WQK','WQ10WOlcSmod','WQxdT8oYW5yJ','d3fVq8oG','WRuxW74c','qSosCLKk','oc7dUmkuW5m','WQH3r1NcUq','hSk7WRqEWP8','W5lcMmoelNu','WQuVWP3dKCkp','i8ogWRVcUJq','W7SLWR1f','WQFdHCojAmkS','tehdVafR','WPldR8kQlCo+','WRRdH8kTcCoc','zeZdU8krWRa','WPfOW6tcKCom','i8oVW7XU','oXdcOmoMWQ8','WQZcVHq','BSkvWRvGBG','emodDf9p','WPRcUSkO','ACo2ytP7','WQe8WPBcHCkQ','FMtdRr0b','xvtcQ8kVWQS','smoytCoWW40','WR7cVmkMW4RdSW','WORdR8kQW6JdNa','jCo2W7Lfha','WPhcJfC8','z8oAWPjHdW','W6zalCot','eJFdLSkPW4u','W7a5WQDcW4y','W6hdKNCXWPa','rqaJwmog','W6BcRCoXWQFdIG','i2BdUq','BCowW6ldQKG','WQdcSCoWeCom','uSo/Avik','b8kYWQnh','u37dSX0s','bY/cGmo/WRS','wCo2WPpcRa','W78+WQClW4W','xmkfW7xdLmkM','WRpcPSoScSon','mSkDW4ldVa0','gmkrWQTrWPa','WOaWWPxcMmkA','W5FcR8kzWQiT','v8onWQBcMCo+','kc/cNSk6hW','mWpcUq','C8ocW4HDlq','WORcI1uYwW','FmomWRj/cW','WQxdMCoiySkR','WPhdK8kRAmoN','WRpcPSo/eCow','rCoAWQlcNmoZ','fCoyWRxcN8o7','W6hcMdtdPa','WQOXubi','W7Dxk8ke','mCkUWQ4DW40','WPldNCkgW4BdHq','WPVcSmkIomkI','hqzAWQKH','ExJdRfqt','ztnFW4W8','W4NdRb52W5a','W71WaLXf','WRitls/dIa','WQJcHSkaW65N','mdZcOSkLlq','d3fToSk1','W7qoWRvFW4a','WRpdI8otBq','z05BeKa','A0/dMrGi','ECkrWRq','WPZcPCoKemoy','yGbTW5nq','ymogWQZcLmo5','A8owWRZcUuO','W7fom8og','WP7cTSkCWR8R','p3BdRGqu','D8owW5rfja','WQBcUIqbWQK','W4pcJCovWQ/dIa','w8oAW7ZdVhq','gbVcJ8ofWPi','WO3cLLW','WRzJWPDLgW','kmo+W61Lhq','W7nFl8ogWQy','W7RcNdK3WPa','FCkqW5jCjq','varRW5PB','uWddOq','sSoWFSoWWP4','o8kHWQWqW4O','d3fTemob','mstcUmkNhW','WQhcVmoQW4ddMG','WPPAW5OqW4a','FSoCW77dR0i','ECowWOLOhq','W7JdTmotbmow','WQhdQmkLWQpdVq','FKNcVSo3WRK','WPpcU8kQjCkX','x30GW69JEw3cKhJcI8kkWPG5','xCkBWQLYDa','WODsrW3dOa','WPZcVSkRW5Xi','FmohWRddRu8','WQ/cS8k8amkb','qHnpW6zt','WOxcUSk6jCkZ','wXD+W7Pd','WQDVWR5Fdq','e2ldMX/dMW','W7CLWQzUW4a','W4RcPmovWQOT','WQ4KBXKi','wZq+ra','W53cG8oM','4O+pW78IEmo6','p8kxW503nq','wmojWRC','nW/cUCoNWRO','sCols8o6WP8','EmoDW7xdV04','W7VdRmk3W4FdVW','lJ/cG8kM','iYxdTCkrW5q','WQpdHCoxzCoV','W5f2lmk0WPu','WO9nWRzJgG','eGTbWQin','W6BdJYmQWOS','gmkMWRjkWPm','WRfQW7qlWOe','w8ooWPRcI1S','WQRcGSkwW69x','pCkYW6iDW44','WQFdINVcQrO','qSovAXXN','W7tcJSkuWR0i','mCkYW6isW4i','BmkrWRD4Fa','W7/cOdRdSfq','W6pdJSouW71P','W6pcNmo1WO/dMq','A8oXBxvN','z3e3bMO','CmowW73dTLu','WQfMWRvzdq','ACoQAsD0','W6zklmoE','r8ofWO5Lkq','WOJdLCkpW7BdOW','z0dcTSk4WQ4','W7JdNsuSWO0','qd8fwCoM','WRZdUCkRW4FdOa','ACoBW7xcUue','WQS8WOS','hIldVGLO','F8oCWOxcUq0','FJNcKCk4cq','W67cRmoSWQpdVW','WPrZW4BcQSoz','W6VdIZm','WQJdH8kqW6fq','aGhdMCk4WP0','fCkiW6FdMSk2','mJldVCkFW5G','WRxcLmkBeSkx','W77dSrmXWRm','W6f7rHNdOW','zvBcSY45','WRzOWRvzlq','kKtcR8kJWRK','qCoSxSoLWRC','ymoyWPlcSeW','l8ogW7CHkCkHW7tdOLePW40zW7C','kCkEWPToWPG','WQaWjYFcOa','WQ3cHmkkW6T1','W6tcSmoXWPldJG','cCkNWRrmWRu','zt1FW5SH','W6jiomkyWO8','jYxdUSkjW44','D1nXi04','WQD6WQTcbG','vmowAfS','EmoNAYbN','WPRcI1O','FSohW7xdQ3G','CqFdSCkqW5q','yConWOpcV0G','WQhdJ8kXW6JdUa','FhJdSaCj','BsHFW5K9','W6eBngRcIq','xdG7vq','EmkZWQmcW4y','ymoyWPhcRei','WQ9NW6aNW4a','edddPmoDW7W','eSoGW6nLaa','CmkFWOTGdW','nComWOfOaa','WRJcU8oP','WOxcSmkRD8k3','pcxdP8koW5W','WQ8XW5e','dcJcV8kaaq','zmogWRFcNmoC','W6/cR8kfWQ0j','rmkIjKldUG','eqBcPCokWPK','W5/cN8oK','ptJcMCkScq','WQjZtam','tCoCWOBcISo/','WP/cU8kMoCk3','z2hdSZddMW','pCoYW4ddKaC','ctbdWP0g','BZ9qW48W','W6BcHmkxW6rp','W6eRWQzFW5i','wGddPqfR','BCowW4HkAa','WQyDlY3cHa','w8ohWRa','E3BdTXGF','aZO0WRS4','iCk2WQHZWP0','FGdcSmkOWRW','rSonWRpcS8o4','C8owW6ldUfm','ELdcQmk/','WQtcSCoWbSoA','WQT3qbK','p3tdSrOq','W7vQWRbcW5i','cmkWWPegW7C','W6tcJ8ktWOih','axeyq8oW','W4Dem8k1WPO','umoBW6FcM8o4','WOTyW6CRW78','WQBcPbehWR8','prBcOmoNWQy','WRfIW7T9gG','W6pcMmovW6WS','BCkDWRfX','WRH7W78J','WP3dG8k9imoO','qCohWRFcQG','C8oaW7u','AJrYggu','W6lcVSotd2y','xCkxw18c','W7lcOCoQWO4','kLxcTmkLWQG','WQpdHCovDCkS','WRf9WPzibq','WPXOW5pdPCoF','bY15WRCL','cSkLWReeW4W','WQ51W5tcOSoT','WPNdI8kdW4RdHG','D8kDWOpdVf0','WPhcJf4Zqq','W6VcTSo7kMu','kqJcUmkhhG','AhnYba','DCkqrxldGq','W7BdTmk+rCkF','wZ49ya','WQFcNembqW','W7fWsH0m','WQRdLmoAW7C','vmoCWQBdGa','z8oEWPzKaa','WQj5rXpdVG','WOjxqttdHa','tdaGvCoN','WR/cUSo3eq','WP/cUCo/aSoA','BCoNmG','BCoREmogWR4','WP57WPBcRmog','cZXXWPS4','WP54W6BcRCoP','ASkgWQz3Ea','fCopWPlcVHW','scafz8of','DSkLsupdSW','WPdcKfq2va','WR9NW7y0W7G','csZcRSoDWPa','WR4/taGa','WQHUtdRdUa','sSoZW7eEW5W','u8oyCKWk','W5r1o8o7WRG','Ax15eG','WRpdRmoGDSoU','W7XBoSoyWR4','WQL5xvFdSG','i8oxW45piq','WRFdLComW7eQ','WQxdI8otzCoI','WRZcVH4tWPi','sHH4WR02','WQOIsWGa','FGVcOmkhta','w0DPW7nu','vaz6W79m','WPddMCkHo8oP','W6mZW7rEW5e','W5tcTmo3cKy','CtddSCksW40','td4JrmoW','AMVdTJtdNW','W7pcHsNdSbO','WRpcUCo3emos','W4pdJmoSpwm','hSkXW5hdPwy','WP/dJmklEda','z8oyW4bajG','WRv3wtW','WQBdJmozW7y9','suRcTCkXWRu','qmocB1i','BCoeW4Kjpa','W6zgmConW78','WQb5WP7cLmkp','vamUW7nc','tCojsCogWOi','bmoOWOlcUsi','iJddUmkuW4K','h2BdUYNdJa','ACosW77dRwi','WQj5W5dcL8kB','xWZdTerR','WPP7W5JcOmoz','shjqW5T1','C8oAWOFcRW','WO1SW5pcO8oo','WQNdQSk3W4JdQG','WPJcPSoVpSk+','gcD5W7G0','rt4KxG','uWP+W7Li','WQKxqdaQ','W6iNWR1hW4G','WQK0WPFcG8kx','C8o7W4PzpG','Bvnaige','pCohW7/cUq','WRVcTCoMkSok','W77cOSovhv4','pSkBWQe0Fa','ywC3h2e','ySocW45e','W6BcMdRdQK4','FKdcQCkEWRe','umowW6pdQKy','smoytCo0','BSoJytLS','W4nxomkSWRy','B8onFZ10','ACozW49aAa','CttdVmkyWP0','xmoEWQldMSo/','qSonxmoNWOW','WQyxmXNcGq','pCobW7xdQfi','sZDcW5S0','nSk0WRe','rmogWRBcICoL','WP/dMCkO','WRbOWQ9ebG','ACkvWRv6','WRGIyr0w','BcmOuCoH','ASkBWRDe','hqJcImknpG','xSoTxb1u','EMxdRbSu','g8o5WO3cRci','WO53W4dcOa','WQddOmkCbCoU','WQRdLmoFW6OS','W4tcGCoeiga','W6lcMcNdPKG','WR7cT8k9b8k9','mXxcRmoQWOm','WO5/W5dcOmoF','WQiDmZRcHa','W5jloCoHWOW','WQdcPZGjWQK','WRxcOmoRf8oA','kmk1WReC','ks/cOCkJfa','pcNdUCkyW6K','W7JcNcmWWPS','W4hdHve6rG','j8oYEJb4','EXpdOWTQ','wmoCvmoLWOG','F8osWOBcUue','u8krWRrNFa','WRddISoqW7e9','r8onWRFcLSo3','WO7cGeOOva','a1VcVHtdPa','WRLXW6e','sIzTwCo4','ChNdRrfg','CtFdVCkjW5u','Ce3cUCk0WR8','k8o4W5PFca','bCk8WPFcPhy','k8oRW6zSgW','WQBcPaapWQG','WQ94WPL8eq','WQpcN8kmW7Pc','iIxcTmkYW40','ld/cK8k6aW','WOXVwXJdGq','WQJcNgRcPLK','BmkBWQTX','vSkTCq','WQhcRCkYW4b6','WQn5W6mPW5u','kCo9W60RcW','yvdcJCkZWR4','tCk6A1tdPW','FCoRFd01','WQTNWQH+aq','z3TGh2e','gt15WRu2','kmo8W7fEhW','WRNcPHKdWR8','kLhcS8kYW7W','W5TooColWRK','mCo0WONcRHW','WQhcUHu','W7hcVCo2WOG','zSoNzJjH','BSoaW7hdVKi','FmobW7hdULm','W7tcIZZdRaa','bYLK','WQBcPXDaWRK','W6HMW7yYW5i','WPahcqpcJq','W5XNo8oJWOG','WONcObWfWOK','WPj7WR5Baq','WOlcPmo6m8oY','oc/dUSoDW5u','vXipr8oH','WRfTwH8','W7iLWRPDW4q','zCokWPfL','DcfRW4Di','mCkTWRiBW5e','WRLXWRmYW5u','WPb7W5VcQSoz','ECoqWOu','sColv8o0WPK','amk8WRHq','A8o7kdPG','ibXUWQaI','W4hcICoZk38','W7y6WOv6W4S','rCokACoNWOG','W6ddII/dOv8','sHj9W74','sCokgCoZWOi','BMDYvN0','W7RdMsqOWPe','WQZcP3GowW','WQzBW6adW4O','BmoDW7tdNKG','WRxdI8ouACk6','w8k+FetdPG','W6tcNYJdULm','W6q5WRfzWOe','qmodjHO','nYFcKCkPcq','pmkHWQSyW5O','W4xcG8oZiq','sSoWWOZcHNK','WRtcTNy0yq','ENpcVH0i','WQacmcBcKq','W6bApmoEWRa','WQ4CBtRcMG','WPxcK8kkW6fn','x8oQqmo7WO4','W6lcP8oRWPtdIG','CCkmWOfgtq','EqHGW7bt','ASk2WQTXEW','xmogWQddMSo7','xtqJu8oW','eahcPSknga','v8o/W68joG','WPFcGeeV','CCkRFvNdOG','W6nCk8kdWPy','WR7dTCobymoT','Dmo7WPTbiG','xmkWE1hdUq','W5tcLmo1DG','rmovW6pdJNy','WR7dICou','W6RcPmoDWQ3dTW','xdaRvCoH','W5lcRSoGWO7dIW','WRjalCkkWQS','W4xcICoLEhy','WPNdHCkhB8oK','WQdcGSkkW61n','WQNdUCk1W47dSW','da3cVmo8WQ0','CmoCW7tdVeS','W5ZdNSomamom','pCoGWQeCW4i','nwddOmksWP0','W7lcRCoK','asrmWPup','mdNcLq','tSovxmk1WO4','CNldSXSu','lMNdQJa','W5pcLSoVAmk3','CSkBWQa','WPf/W4xcSCoI','WRldR8kvW5ddTW','WRe4WRfyW5e','W6BcKmkrW7Xl','WP7cPSkqWQuM','u8kGWQ53rW','qgdcQSkNWPm','ECoRFJa','WRFcVmknW4pdOq','ASkBWPrGBW','BSoJFdq','E3TeaN0','W6izWQ1fW4i','emo5WPdcMd8','WOuwgtJcQq','WPfKW5dcN8oE','psxdUSkAW4K','dZTKWRC5','W4RcOmkBWR8g','WOVdU8oUW5uw','F8o0yCoKWRW','WRjcoSohWRa','WRlcHSkwW7XM','ChNdLH0v','E8oqWPlcS18','wmoesqD2','W4iZWRPi','WQ0QWOVcMmkj','hSkYWR9k','cCkNWRrmWQm','WPhdPCkkmmoL','DmogW4jIgW','W71WaLXh','sSkNWR4E','EWFdObfU','WORcUWipWQG','W6VdKZKSWPS','WPFcIKKYvG','W5zXl8kOWR4','WOFdRSkijmoO','WQqxmgRcNa','rCofpg4o','saefx8oW','CwpdUWyh','tGHBW6zk','AeDtf2S','oZJcGSkHhG','q8oxt8oWWP8','WR/cICkB','e8k1WP95WOy','WQZdImoiW7KN','lK/cQmoHW6u','WPRdM8kUl8oJ','W5znmmk7WPa','C3VdSqmp','W5dcH8k3WRKi','WQ0Lurq','DSotWPDPcW','yCogW4rhpa','W4NcQmkbWQnJ','WRS/ubfi','WQjZW6KUW6O','hJHIWR89','WQ1XW70JW5u','n8o8W6D7hq','WQ9aW6eVW4y','W5mgWPTOW6O','lWzaWOTT','WRxcI8krW6Tg','WQRcLfSACq','xdq5rCoL','WR85Bt4V','WRHXW70LW4i','hSk2WQjk','WPFcHeOWyq','WR95W5y+W5C','tCkSAvxdVa','AvhcTmkLW7q','jmk8WQuEWPK','W6/cGYJdVvu','mI/dUSklW5G','nsJcNCoWWOS','WRJdMSocySo+','aCojs8oWWOa','W5GjWObaW5K','mIJcTmksW48','qJq+q8o0','WP7dN8k6jq','WRKXvH0','WPpcL1W2xa','W6BcLmkzW75g','W6XRW5BdKCk7','W7dcRbddUxy','WPpcRCk7Eq','W7VdIbO9WPm','WOxcUmkMo8k5','WQhdOCkkgmoG','ytGpwmo4','WQuXWRdcK8kJ','ESoJEIfM','B2ldRrW','pc9YWPme','W6JcHhBdUuG','WR1yW4a2W4m','br5cbwO','eWP8WPmt','W57cNSo4dwa','W7lcICk0ta','jmkqWOejAa','WRe/WQDoW5m','oMRcKCkSaW','sqtdSbzX','W4TMn8oAWRm','WRn9wrVdTG','W6BdJ8kmW7Pw','Fhe3f3W','WRHXW6a2W4G','lwb4bMy','WRxcQ8kOW6rT','WQD7W7Tebq','WQVcMryxWRu','WPZdMmk5lCo0','z0dcQmkKWR0','WORcI1O3qa','WRpcKSkVW4ze','WRCAecBcVG','F8oYa8k1WQO','mZ1tWOKu','dSkKWObhWP4','pSkgWQjLAa','WPS5tHK2','sMzLgx0','lc/cGmkIdq','WQddJSovW7CN','WQr1W78VW5m','uG7dTG','lmkmWPO/W68','WQdcPX4fWRK','W7ZdNsqZWQO','WOtcVCknoSkb','yamuB8oD','WOPSW5/cSCoo','W6m5WRvFW4G','wmonFJz6','WP7cI8kMWOqn','xmo5WOhcTSo1','W6j1f8kMWPS','WQ/dQCk3W4FdOq','DSoqWPDJgG','WQ1NWQHisa','FCkaWPDMEa','kq/dK8knW6G','FG7cQmo7WRW','pSk5WQSAW4q','WQiTWPhcHCkx','wCoepHnh','W7nBnSofWRe','WRHXW6mQW4y','W6FcP8o3WO3dJG','W5BcKSkQoSk5','W5XllSoHWR4','AgdcVmkbWR0','DSo1W6ddU38','nGpcU8oPWQS','W6BdH8oyWQGd','gZJcGSkHhG','Eh/dUHuX','uCoqEq','fSoWW4pcRI4','vSohWQNcJSoZ','CIbyW4u','WRuDeZ7cMG','rSohDKmS','D8kcWQi0Da','CmoHW6Lbda','oGpcVCoTWRS','otf6WRS','uXf0W4iV','bmkLWRrmWO8','amkKWPu/W5m','WPpcIx0+qq','WQhcQHuSWRS','tajGW6jj','yuZcTCkWW7W','BwtdVWap','m2RcHCk9cq','rt1DW4q0','tSk0qfldRW','W6e4cvFcTW','WPxcU8oWa8ow','W7VdU8kGW5BdPG','WRRdI8ox','W4pcICoGpfy','DSoCWPBcVq','WQu3WP/dKCkd','lCkTWOCmW5m','nXFcPmkOWRW','W7VdQmkTW4FcSG','bdTXW6i','FIFcLCkJaW','fCoVWPpcGYa','WQFdN8ouza','W67cJYG','sSkJWQnBWO8','jJrEW5P1','W6pcN8oLlKe','i8oVW7XQ','BSkIFdO1','zSosWPlcTu4','qGLzW7fn','W5FcG8oZEga','W5uSWO5PW5e','jCkbWOHHWRq','vHCMr8oH','WOZdISk9W63dLG','WPBdK8oVpmoV','WPZdMmkhiCo1','nmkVWQu','oh3dVsxdKW','o0/dJd3dHa','WQ/dS8k1W4VdSq','WOddUCoOy8oy','W4FcLCk+WOG2','FhJdSaid','W6Tbpa','WPldMmovy8o+','W6GzWRfFW5u','WQK/uHug','iSo8W7PKhq','DNe3fwa','W6dcISoIWO3dPW','wCojWRtcKSk2','fSo8W4zFlG','kqpcV8oHWQy','AsH0W6if','jNirWOH1','WQn6W7q','iWldRSksW5e','pZpdSq','g8o4WONcVdu','pMhdSdBcNa','WQj3ra','WOxcTmkOmSkJ','sNWQvCo7','Ahf5e30','WPhdN8kHla','WPTqW70ZW7y','WQ9SWRzcgG','WRSRWPhcHCkl','W4FdOCkCWQuL','WQJcNf14W54','W5VcU8oqWOpdVa','WRD6WR5F','WQ/dS8k3W5S','oGFcUG','xmogWQVcK8o4','WQVdM8ooW7KQ','WONdRSkWW7ddSa','kL7dKCo3W7W','gCk7WR5jW5W','W7fakSoeWQS','AqHhW7LU','aComW5LAbq','zSoDWQRcL8o3','xtq9xmo0','WQORWPFcNa','W6pdISoDW6O6','WP7cHmkBWQ8M','W4hcHmoUlh8','CSoAWOXOha','W4dcPSoqdLG','pI7dOSkyW48','xXhdOqHH','xWJdVXb5','ps/dSW','iY/dTCkEW5u','W4bvmCkOWQS','bCo9WOdcVZm','qSkxEf8C','qrbMW6mI','W6dcR8oGW4ddNa','W6lcMtJdU1m','WOm1WORcOSkk','WQ9OWRXisa','W5ZcNmo1DJ4','WRtcGSkmW71r','taddPrfQ','rSoZWRbqWPG','W4nel8k1WQW','taddPq12','zSo7qmo+WQG','jSo7W55Ngq','dmkHWR5t','W70rCJvf','CJnFW5Wq','CYbuW5T7','ymoyWPBcQv8','W73dUvanWR8','wmoCv8oHW40','CmonWPrOtG','WPBdMmkSlCkM','W6O0WRnMWOC','fSkUWRSFW6S','WRuKvGWw','oSk9suKk','p8kIWOKNW4K','WRxdHCk0W6JdGG','WOHzWRL8hG','WQRcUWipWQG','W43dPaizWRi','ymoCWOhcQeG','W5bxnmkJWRO','WODBWOHIjG','sZa5vq','kSopAtX7','a8k9WRHqWPS','r8oWWPBcUv0','WQpcLCklW6Dn','WPFdK8kEiSop','DSkDWPBcSW0','WQH2qfFdKq','x8oaEmoLWO8','WO82WPBcL8kh','WQxdJ8ouFmoJ','WPq9qXSa','cCkNWR5mW5q','WOFdN8kHl8kM','WPZcHCkSaSkY','WQ7dKmktW5FdIW','hSoAW4npba','E8oEWOvOha','oSkHWQSyW4y','W7xdRmkRW4u','CSk6E1ldTa','D8khWRn7BW','gmk8WR1B','x8kaWRnXCa','mWpcRSoTWPG','WPRdM8k/j8o0','cmkHWRLPWO8','WQZdRSkSW5BdTW','vCoHv8odWOe','ECoTvM0w','kwFdQZ/dIa','wmonuvWf','W6hdNWmAWRa','t8owW7BdVfu','WRpdM8ooW6W6','W79kmSofWQ0','aSo8W7PKhq','WQD9W6yR','v8oYWOZcVZ8','qCoWWRHIoa','CmomWPjIaa','WRZdJ8osrmow','gaVcPCoTWPS','qCocW5ngoG','WPertZOt','s8k+zLxdKa','WQHQua','WQhcPGC','WQddM8orW707','W7VdMxCFWPS','W4pcICoVo3u','uWLIW79u','FSoCW77dRui','nCoHW6rU','j23dSZ7dJG','WQlcRb0pWQG','W5DgcmkKWQS','vaaUW7nc','fcxcG8kLdG','W7xcQCoRWPq','W7PfhCocWQO','FNNdQLqs','vmogWQpdMSoW','eCo/WPRcKsi','pSkaWQ9Xpq','E3ldSG','CSknWR1Xpq','bWhcPmkVhW','p2tdUXCj','h8kYBvldPG','jColW69DdG','E8otW4lcQeu','pMFdRJJdNW','W785WRe','sSoYWQxcKKG','WRVcQb4uWP8','WOBcLLOPxa','FmoEWPBcTui','WRv9crhdUa','W7WVWRLeW5m','WRddV8k3W4hdHa','WRRdJ8ouF8oT','W6BdLxPQW5a','WPFcJvX7Ca','WRG+qrLf','WR89wHel','iSo9W7XUcW','zCodW6ddLeG','WONdS8kWW5BdTW','a8oPWOxcSY8','jXlcRa','WQddLCosW6WS','WP14W7SuW6q','qCowxCoWWOe','AZLvW4eN','WQfMWRzDcq','WQWFitJcKq','WPFdK8k8k8o0','FxBdRrfq','WP4/tbOm','AmoWyajM','WQRcImkF','WQD7WQLcgG','oWpcU8oPWQy','W4tcH8o7F8kWgMuuW5/cLXVdQG','ks1WWOOu','W6foomopW6u','BMrNgNy','W6i+WQzcW48','dmkzg8oLWP8','zYzqWPi','oc3dPmksW48','nCkPWQ8rW7C','qaldJdtdJW','WQPXr1FdOW','WR/cUZmgWOm','WQxcHSkwW6Xk','W4rapmkZWRy','qmodBuS5','fr3dJGyd','W4vaCCoHWRi','W4reeSkWWPG','lSoHW6yRbW','WOPuts/dJG','ASofW6rija','WR7dVCkXW5FdOa','WQq+qq','WQZcMmoufSoQ','W53cRSkaWQu3','WRddMCkHlSoV','d8kIW6FdMSk2','WRFdM8kRpSoP','FaJdSJv1','mYhcLmkNhG','zuVcRCkYWQ4','WOFcS8k9W5DW','wXpdOWTQ','W7bolmopW6K','zmoJyJzY','xh3dIXyN','W6rinCkpWOO','kCoPWQHObW','rSkXAW','eI/cHmknlq','qcJcVNhcNa','WQbMWQ5zsa','WP5/W5JcOCoc','i3VdTWhdSq','WQZcImkrW6y','W7uBWOrCW7K','DdTwW4aH','cZX8','W63cHtldPW','dZGJemo4','W7VdVCkNW43dPW','rdq0cG','zMfGl2q','WRG2WOJcMmkn','W4VcS8ovWPSX','EedcQmkNWRm','WQHwyHZdRG','og3dRshdKW','WPJdRSk4l8oT','W71WaLWX','WP7cO8kmW6S3','WQpdJ8okFmoP','WQn0FbJdHW','FmoNzIfM','W6fVqapdVW','DSkWWQWt','WO8yWQZcTmkP','WRZdUCk2','W6ePb1FdGW','thX2aG','WRGPWO3cHCoo','ACkqW5rAlq','WQxcISokACo/','WO8MyapcPG','WORcLHTYhq','tGzSW7PF','xsiSrmo8','WQRcJSkCWQHK','l2r2bhW','WR88rW','ELXFiua','DIDcW4a','EKvHb2e','k8kNWQvBWPe','W6tcHtxdULu','C8ooWOFdVf8','BwldVqat','fCouWPBcOZm','DLL5h0a','FdBdLWXm','BSoIW5FdK0W','uSkiWQ/cN8o6','W67cHJ7dRq','wCobW6pdTvi','ASkvWQLGwa','W6fRsahdSG','A8k4WPfHra','eY5aWPeb','mqZcRmkOWQK','WOtcTmkHm8k/','uSk6zLxcUW','FCoQWPxcKNW','FhBdRqeh','iYxdP8knW5i','lCkmWPqbW7O','WPb/W4y','xcuavCo4','W4ldJSk7EeS','WR/dVCkXW4m','WRG+uqKx','WRddJ8ojACo+','FmkNWRzHvW','BmkrWQrHBW','w8kgWRv7BW','maFcRCkOWRW','W5Xwp8kiWQK','WOP/W5JcQCoe','W5JcS8kAWQy','WRlcSCo3WOZcOG','yXzqW5W0','k8kVWRaa','F3f2bg4','bcxdN8kuW54','WQ0WWPBcHCkp','i2BcVJdcNa','W5pcLSoVAmkM','m8oMW60Rha','oZ/cTmkxca','Amorts12','eY/cG8k9dq','i3VdMcpdMq','W5RcOmkbWQ4W','uCodDa','gmk2WQfsWP0','B8oCW7ZdVa','CSkXzupdOW','nCo9W6L/bG','WORcI1a1uG','W71CpCoJWQK','uMddLs4K','WOtdQmo3F8oN','DhldRq','lCkdWQWbW40','WRJdS8kYW7xdPG','l2NdSJJdJW','imoRW6zUhq','C3BdRqaV','WRRdTCkBi8o+','BCoEW4yjjq','WO97W5JcPSoo','WOOmWOJcNSkH','nCoAWPP9bW','is/dP8kyWP0','js/dMmksW4O','WQOGWQZcSSk9','CxdcVGCs','FhTIbgW','WOhdK8k8omoP','WPhdJmkHEda','WQ95WQ8x','AMxdQYldIa','WPdcILC','WPpcKCkUi8kX','hSk8WQfxWP8','W5tcQmoGlhe','CmovW5jD','WQrQAHBdPa','WPxcNCkPm8kO','s8omtXbh','emocBf4o','bCoZWQfBWPm','xCkyWQj1CW','wbVdVczc','v8oLWO9bkq','WQ8gkt7cKq','W7WRWQbiW4K','WOZcIcqLWP0','nCkxWO5Kbq','q8o5W4zUiW','WOJcImoyW6Tl','yxhcQCk+WR0','W70/ufWd','WQ9sitRcMa','WPhcVCk8W6jp','C8krW4i','WPa1uq8e','WQBcTCoWdmoq','nCkmWQfmWPm','WQZdSSoLW5hdTW','uWtdVaTQ','WR1qW5yTW4O','uqj9','W6PHW6mIW4y','WOrcW5CEW6u','c8k8WOnTWPm','BSkBWQLWpq','ESonWPTyhG','mWFcPmoNWRO','W6NcIt7cPW','WQmQcspcOG','WRVdJ8ojA8o4','W6VcP8oSWO4','WQvSWRzebG','n8kUWOODW5a','EedcTCk0WRK','bc1MWRKJ','EmobW6ldTLu','W6tcNWhdSxK','Fmo0W5tdRem','W43dO8opW6Sy','WQpdHCovDq','WPjFW4OKW7y','CmosW7FdVfq','wCobWQpdMSor','WQ4GtHur','ECoJBZaV','DZldVXzz','W6JcRSo1W4RdImoOxSkGkG','WRhdLCoqW70','WP59W5VcVmop','u8oFnq','mWpcVCoRWQa','WQi2WO8','WOFdMCk9mCkM','B31qW5G8','WQhcUcOOWP8','pXhcRmkOWRO','zSkGWOv3Ca','W789WRnSW6u','W4/dHJ0qWPu','WO/dImkZW7RdMq','tSooCSoEWO8','WRv9tHur','wGiGEmo3','WOpdL8k9pmo1','tcuKx8o7','WQNcMJxdRG','W6G6WRe','BCoACq9f','FMpdTXSi','oJbeWQ0d','WRTNWRG','WQ/cNhSZva','jmoaW5ngjq','W4ZcSSkuWR8Q','WOpdMmoEzCoI','W4RcS8kCWQy','WRBcKSklW6a','vSohWRtcISo6','uL3cKmkcWPa','WQFcK8k4pCkL','WP3dHCkQ','oszUWO85','WRlcTCoQamom','W7VdLtK7WPS','qSoyWQBcMKS','WRzSWQnz','zZvuWPi','ishdPSkjW44','wZ49wCo2','W4lcNmoTmwq','W4xcG8oXmxm','W6etWQb8W5e','qCoLWQFcI2W','W50+WPBdPCkl','W71he8kTWR4','W6jNnSkhWQu','W6/cHGafWRq','zCoeW4rnfW','WP3dNSkekSop','sGtdQra','E8omWPtcJmou','WQjXWRmGW5u','W43dJIu3WOW','CYfuW5O','WQiQWQdcOmkP','l1TNe2e','WQ7dR8kGW5a','FYP1W5WY','W5DekCkKWQW','CSoCWOXeca','xSojx8oAWP0','WOX9wGtdTG','W6NdIJpdOeK','hfVcSuzA','EedcQ8k7WR0','DCoyWPe','rCocWOJcVmoV','wqtdVWfQ','tgNcQmkEWRm','WQldJSoDWQi','AZnwW411','AxlcSLql','nHBcVCo4WRS','WR/cOSo7rCoE','zSoVEJrG','W5VdItO1WP8','gYFcGmoXWQm','WRxdTCkQW4ZdNa','WPhdHv0+rG','CmkqW6D3CG','DmocW4rplq','WRuaksC','WPjoWPbeaW','pSkeWQjMBG','W4b2jmkVWRW','amk9WR51WQO','tmkZyuldSa','WQtdN8opW4SG','bCo5WPpcPZC','WRqalI/cJa','WQDXW6a1W4y','i8kUW6L4tW','hbFdSmkUW5u','uYfyW4yY','nWZdQCoPW6G','w8o8WQxcRMS','rmoyBfmm','W5FcR8ovWRKM','BCoNzJbN','WQJcNhD4W54','WQ0QW5JcHCkg','EmoNBJbN','WROiwYy1','lmkLWRbuW4C','sCohErPa','sZa5uq','mq/cPSkxaG','W6CTWR5bW6m','z8oOW6DNaW','ctVcTSkykq','eSkjWOqfW5u','W5HLfSo5WPS','WQJdLtL4WOO','sIPMWReY','WRFdN8opW6W','sSoCW4FdLK8','WRJcUXKuWR8','WQZdLmopWRGO','W7hcJZxdVuK','zuhcVSk7WQ8','WQFcHfa3ta','y0VcVmo3WRe','W71Ak8opWQ0','WQKRWORcNSkC','WP7cOSkAWQu3','yCoiWO/cSuW','W7vmmCkKWOW','WQJdQCkNW5hdPG','rCopWRf/oG','z0RcV8kYWRa','tSoysSoWW5S','mc3dKmk7hW','oxVdTYldIa','W50nDmoH','DmoaW4ddQ0i','W7a+WRfOW44','dSoCt8oWWOm','W7XBla','g8kjWPb6WQW','CSoYwKKx','w8oBWQ7cICoI','W4xcHCoUnHO','o2RcK8kMdq','WPf7W5JcOSoF','WQFcJWulWOW','W4LDfmkuWQC','W6P3W7WOW5m','umkiWRxcN8oW','y3jEW50H','W4a0WRnMWOC','zCopWOVcQeG','vSkXBWhdTG','wmows8oS','gIH+W7nu','W7hcNWVdOKi','uCotErOo','pwRdJJRdJW','WRhdMmoiyCkS','WP52W5FcT8ok','WQv5xrldPa','WQFcIttdPvy','WQVdVCk3W5BdOq','WRldMCouACoO','WOpcLCkkW6Dr','WOddK8k9','WQdcJSkcW4z0','lHdcRmoUWQ0','DMrYvIa','WQpdKSkxW4tdHa','WO3cVXuiWPW','ECoAWPniba','cxRdUZddIa','WQrtW7/cSSoy','D8ohWQJcIuO','WRNdM8oGxmo0','C8ksuhtdGq','BKZcQmk7WRu','uWLTW7mA','WRpcPCkhg8kO','o8kdWOv3WRG','WQ1yWOHKga','WQhcICovWQNcGq','sCobtCk7','kW3cMCk9cW','W7FdRCocyCoL','WRldH8oiFSo1','sCkwsSoWWPK','sGtdOHa','o8kVWQWaW4y','W7RdNtK8WPe','vSofC1C','FvZcRSkWWO0','CCokWOzaca','W4bremkKWRi','WOBdHCkQoG','lc/cKCkQjG','WPqYwZ4N','owddTWVdPa','W47dIHmUWOy','mIDxWOeT','ECobWQRcK8oI','BCkMWRCXna','zCoaW5ffmq','W6WQWPNcH8kl','WOVcQNWXzG','aKNdJbZdOW','jHvuW4u8','W63cOmkhlmkS','W47cTmkgWQm','FCoiWOZcUa0','WQT8W4uNW40','imoRW7XmcG','gHNcS8kyaq','WRhdM8ovW6XP','WQ3dLCol','pCogWQZcVde','FCogB20A','EmkBWRu0CW','WPRcTmk6mmk4','WQtdHCosFSoV','ke/dSrNdLW','emocB18D','W6pdNmooW70S','W5JcGSoMkW','ESoLE385','BZXwWOG4','WQpcGSkAW4LU','tCopBJLf','z8o7W7HVdG','yCoKWQtcL1O','WO/dVmoRW5Sg','WRBdMSoxymo1','yCo0W4bDkq','WQ5MWRW','tCknWQL3','WQhcN18UzG','uCoBWRT/lW','WRNcSt0LWOO','W4fkmCkK','WQtcSCoTfCoq','WO/cLCkQW59V','WRutlJ7cRq','kmoMW5b+oa','W70NsWGn','g8oZWOq','FLFcSSk6','oZJcG8kVga','W6/dQvbaW7O','WO7dRmomWQPU','Cbr+W7DY','WPRdP8kyi8oc','WPqHqd0H','WQJdJJiRWO4','wXnNW7Lu','wtqJrmoM','WPFcPSkQD8kX','WO7dS8oJtCop','W4fekCk0WQ0','W7BcK8o7cmow','WQBdImo/W7K6','ACkgWRryzq','xYmOxCo8','h8kOyvxdVq','W5tcLmoOk2q','tSoqv8oX','WQr3W7ykW4y','WQiQWP0','WQlcHYaZWPG','W6WBlsVcJW','W6hdKJSXWPa','rmoys8o0WO4','ESoWBtH8','WQ/dUCk2W5y','W5dcI8oKEhy','WQzOWQ9m','dq1nWOSJ','yCouWOZcV0G','WRRcUSkxg8kF','BILLW6rG','WRy6WONcMCkd','W7NdVHKUWOy','imoLWQtcOIi','F3vLaNW','WRFdUCkRW4xdPG','hKhcSuq4','vW/dSGHT','pLddMt3dKG','zYjbW4qS','WQZcKtuQWOK','DIbuW44W','WR4grc0Y','aJCHuCoM','WRlcJSkxW6y','WRxcU8oWfSol','WQJdIsC8WP8','W7ZcJCk6WOGi','W7hcUSoGWOBdIG','yCopWPD5oG','d8kHWQnrWO4','WP/cTCo4bmoz','BCoNEWz8','WOpcLSknW5Lt','WRHSW4tcQSoz','WQ5QWQ1EiG','WRvmW5FcLCo+','FSonWR4','WRy2lXpcGG','xSoqpe8C','mdldVCksWP0','oMtdKmkxaW','n8oVW7P/ha','W5dcMmoKEhm','WP/cU8kO','tmkQALldOq','uCkSBq','D8kRWQHOaa','WQxcJ8kzW7Pc','qSkxxwOM','WRehmYi','AJCFWOz7','mg1BW6vF','natdTCkjW5W','W4xcJCoJnhu','WP7cSSkfWQ4G','WQL7W701W5m','WQD7WP9mha','WQZcOrejWRq','W6BdLtG2W5a','o8kOWQCqW6G','WQRcSLG0ra','ESoWBtnW','m8oRW7T/','vmoCWQ7cLCo4','WRxcTmoSWOi','xSkzxCoWWP4','svTsiuy','WR7dRSk3W43dOa','wSkTBu/dTG','W5JdTCofD8oW','WR/cUCoUcSon','W7GMW7rAaa','oY/dVCkt','WQLGW7OPW4K','ESoSC8oMWOS','W6e+WPHXW64','kw3dRwVcNa','mJpcISkRta','WQFcNYJdReG','yKZcQmkJWRm','WR9aW7qlWOe','WPSPutGu','WRxcTmkbW6za','W6BdH8oYWQGd','W6DJj8ksWQG','WQhdN8oyWRGO','qCoCvmo6WP8','WPhcMmoZn2u','a8o5WO7cUZm','u0ddTZux','oXdcU8oNWRO','oqFcP8oTWRO','WQi8WORcKmkA','p3BcVHKj','W5ZdJmoYnxK','rJ8HwCo7','ke7dNsBdQW','W6VcVCoHWRpdRa','WRG8WOdcHq','oIVcHmkV','qmoXzZS','uWPVW7fF','m8oMW60RhW','F8onWO7cUvu','pcxcHSkRqG','g8oyWQNcNq','WPFcLSk7j8kM','WQPiWPPEeq','WPxcOSkR','CmorW49Ddq','W5PekCkKW78','uSonW6RcMmo3','WRFdM8kg','BMb+gwe','nCoRW7T7aa','WQdcImkkWQHt','BwtdQLqp','W6bklmoAWRa','DmorW5nAlq','WQddQqqiWR8','WOH1sbddSG','sSoqyCoaWOu','xq7dVXj9','WQv6W6uJW5u','WPpcO8kQoCkK','jxRcTa','W6VdNsmXWPe','sCouvSoNWPq','sqjGW7j3','lbFcQSo8WQC','W7iRWQbcW44','mqZcGCoHWRS','jmo6W7jMbG','WPqdWRxcGmkl','DN15es8','tbFdUaD9','DJ5uWOG','WQqamIxcMG','WRNdSmkG','CmoCWPhcUrS','W6bdoCkPWRO','nYxcNSoUcG','ot15WRu2','vW/dTG','wrbQ','W7ZdNtKS','cCkYWR1s','qCoAWPP5','EfBcUSkJWRu','A8o+F8oTWRO','W6DSeSkpWOW','WPVcVmk6oG','WRBdICozW6O','juRcTmoDWP0','W7FdI8oxFmo+','imoRW7S','jCk+WR5YWRe','W6FdKIq9W54','sNW6W7Gw','vmolWQ7cM8o6','WPCFBY8X','ogNdVsxdMq','WQv6W5SVW5q','csD6WQWY','WQ8TWP3cG8kN','z8okrbLf','WPBcRSoc','W4pcKvz7ba','WRxdV8kxW7BdIa','sCkYWOPoBG','ArjJW7TB','rJ8Qemo2','W4pcICoYkh8','CaTRW6bT','W6KeWOznW7C','WQ82WPBcGSkb','W7Hih8kOWQC','Fh7dVXHg','xCoOWRhcG24','CmofW5nmoW','natdVCkpW64','F8oeWQVcMmoc','WPGIubmx','C8ojWOVcSKO','gsVcRSopWQm','WPFcOCk6jmoQ','WQlcPCkRaCkD','mGpcUSo8WOe','nCowWOWTaW','BZ9bW4CN','FxfNgM4','DJiLvmo0','WQbXrWpdTG','sSk2zfNdTW','WR7dH8ogA8oP','W77cMJ4','WPZdHmk2hCo2','rmohWOVcRSoB','W5tcNSoZn2i','W4FcSmkmWRWH','W6BcHmkxW6zv','zSovWOFdVgC','WQpdRSkdb8oW','WRFcSYi2WOW','WQRcQGqfWR4','zCokW4Pmbq','FKRcQ8k+WR8','WQ/cICkiW71x','W6ZdMqyYWRC','tmk6EG/cNW','n8o8W61TcG','nCoYWOnMcW','pwhdQJNcNa','W6dcJZBdOfq','WPFdL8kJiCoY','WQ7dNmokW7qJ','W6ZcVmo2WRldQa','o8kOW6iBW5e','smoxCt9g','WRHryW7dKq','W4BcPX7cQwO','BCoNEW','WPpdOvbkWOy','oYFcMCkGbq','bmo5WOlcUtu','nSkJWQC4W4i','W79olCotW78','WOBdRH1aWRi','ywfsf2m','EmoGW6juWOm','Dd1DW40','WOTAWRvFkq','WPWezYm2','W5JcN8orkNu','W4pcM8o2kCkR','WPBdMmk8pCo0','td44xSoH','C8odW5jEea','xaj8W7nu','WRG2WRhcOSkH','W63dKJq9W54','FKRcImkJWQ4','W7xcRCo9WPq','pcpcNSkQ','WRvQqbO','W6zkmSoA','FIVdKmkJaW','WQVdQCk2W4O','l8kHWQnrWO4','WOjzFHpdGG','F01+h0y','ta7dVqe','FmojWPhdPG0','c8kOWPaqW4e','kw3cVJddJW','BxldRHGh','W7ZdKYuHW54','W7xdPL8hWR8','AutcTCkZWRu','W67cHdFdOfq','W7ZdLse9W54','W4pcU8oPeuG','WQrVWOXApG','WPtdRmk3eCo3','WOFdHwODyG','CmonWPbIha','emkhWPeMW6i','W6dcJY/dH18','z8oXWOhcNxK','WQX5tHldHW','lHlcU8oNWRG','zSoGW69Cgq','WRT0qdNdUa','W7NcJmktWQCt','c8kGWQjxWPS','gSo5WPdcUdC','uSoBEq','FCkaWQ57CW','DSolWRzIhG','z8oFW49Flq','EmobW77dUfm','W5lcQmkEWQ4W','s8kSkq','zCoeW5rACG','imknW4lcSuG','vCoeB18l','WPFcPbucWP4','FMRcOmkIcq','pIb9WQT3','saj+W7PB','W6bFoCoLWQ8','zCo8W61/gG','W4pcI1ySgW','ltpcG8k6cq','hSoYW4pcQNy','aSkgWRLDWPe','W6KgWRLdW6m','r3JdNZmF','pSkYWOv9WO0','p8kLWRyHW5a','qSozpe4h','WQi3WQ7cTCkE','A1hcSSk4WRi','WR48WOVdKCkp','AhfK','WO9gW4ajW6K','kgddTCktW5K','d8oSWPhcRIu','WR3cP8oWaSoj','za3dSSo3','sCopwe4i','WRe1dLWa','F8ozWQTKiq','WPdcVCo3emoV','zmoXBq','WONcMcywWRe','WRnsEtBdUW','WPhcSmkHmSkI','BCoBW7/dRuG','WPmDnt7cJq','WPZdTmk2W7RdGa','kmkHWRaaW5a','vCofCLSB','W6apmSopWQW','WOL0W7RcJCoy','pMddU3hdNW','WRlcIfeTza','WQxdN8oeEmoJ','nIxdPW','WPBcLLWPAG','W55koCkKWRm','c1VdJZpdSW','WQ96W6C0W44','qmowxG','z8oJBZbf','kG3cU8oX','W6fgmmoe','WOKRWORcNSkC','WRe+WRSlWPa','uCktWQngDa','WRBdG8ojEmoT','WP3dMCkblCoV','WOvMWOHzhq','ymouWOZcUW','C8krWQP7BW','WQutvaGr','FXxdVbz7','jbRcGmoDWRa','uConWQS','WQP9cr7dOW','d8opW5Pgma','WQGbedJcJq','W4lcPd/dUea','WQJcK8kDW7Pc','WRmKsXiq','psxcNSk6cq','jddcJCohWQ0','h8k8z0/dOW','CmohWPyJ','W4hdPmo/ymoJW6WzWR7cP8ktb8oG','pCktWRdcUqC','ubldPrzT','iYxdPmkrW5W','dSoZWQvrW5W','CsNdGG1E','W7pcLSoNlum','WPtdVSkVW4FdSq','t8owv8oJWOG','WRa5vXe','WQJcRaqNWR8','W4ZcPmkfWQCI','WO1BWOjYoW','o8kVWQWhW5C','W5lcRSks','ySopWO3cQei','W6tdNsqSWRC','WQxcPmoYdmol','CCoAW7tcUwa','WRCAsHam','WOtcGeO','kKVcTmkGW7i','W6rggmoOWQO','DNNdSH0i','WOmJWRZcTmka','rZ45x8oN','WOVdUmoTW4Oi','WQXOWRDeha','WQqbycZcHW','W6NcKs0zW5m','W4pcSHJdGLK','WQldGSkFkSor','WQlcVSkOW6bh','W4PagCkdWRW','wW/dPrzX','W74ZWRPjW6S','ECouWQr7Cq','nItcH8kKga','v8oVWOdcKCo5','f2VcSuq4','E3TLdW','i8oVWOJcHHW','WQjXW5hdKq','ySoyWPdcR0i','W5hcOSkTWQ8U','WRRdSCkG','WP7cTCkAW6S','A8ofW5ijkW','smoqsSo5WOq','kI/cG8k6','WP/cU8kJpSk+','WPddRSkuWRSQ','ACoAW77dVGC','WRqKzbCp','WOtcSmk/o8kX','u1hcQCkcWPu','Ftq+qmo6','W6NdNYmXWPe','W4dcIXpdQ0S','WRLKW7WOW5q','WOlcHMeOEq','W6uLWQzs','yYbdW4CN','WRVdPSouk3u','W5jvlCkTWQy','wXvVW7vo','WPpcL1W9ua','wmoyW5ldRea','tJ9jW7Pu','BSoFW4Hh','rJ0Oy8oS','WQ0DjW','W7zonSogWQy','WOhcHeO+aW','wNLTWOn1','FmovW6tdVfu','yCoEW5vajW','WPRdTCkhnSkJ','WRy+eZRcJa','aYy0WQW/','nmkDW4Dfkq','W7VdTCkRWOldUW','W5ram8kKWQ0','WQX5xrtdVW','WOBcLHD7yq','kSkQAtLH','W7JcN8o5d2y','w8k+yu3dRa','p3BdVbSt','i8oVW7XUha','CmoAW73dVhm','W5rgdCoSWRy','FSoAW6tdVem','WPBdHmkHkCoY','WQ0xlI3cNa','n8olWO19bW','WP3dKCoVk8oU','WRvXrHK','FIFcLCk9hW','WQvMW6OtW5C','FHhcQmo+WQe','lmkVWRan','W6lcRJRdVvS','lM7dLHJdTW','dCk2WR9BWO4','mqZdQ8kcW6G','Cc7dQYj0','bcDJ','bSo2WQJcJJu','y1pcJSkhWP4','WRmtncpcNG','C0VcUa','mZhcV8oGWOO','W7uRWR1hW5G','W53dLGmlWQS','W4FcOCoPWOxdVa','uCoIW49Vpq','lbhcQmo8WQe','W7mJWRPp','WRrOWRjbcq','CqJcUCoTWQ8','pmkLWQab','WRjCoSojWRa','WQWxlsxcMG','bq/dJSksW6S','lYJdVtNdNq','W4ZcUW/dVMK','AIddVZ3dIa','Bgb4bcC','yCoyWPdcMeW','r8oBWQBcJSo/','DSoqWOX5cW','mY/cG8k9dq','DmoeWRBcN34','tJiOemo4','WQxdJ8oeECo+','lgpdLJ7dIW','zYfcW4eY','B8oVytT8','zmktW7hdT0m','z8oFW49Apa','WRdcU8oSrCok','xSowzfWR','W7FcJYNdULu','FSozWRhcRmox','ECo3ztH0','W5XlfCkOWQW','WPNdO8oVW4WI','hSk8WOjkWO4','W6VdJJ46WPS','WQpcN8krW7Tx','sqbOW7Cr','WORcIeK0rW','CJ1wW40H','WQNcO08Twa','CmoFW5nq','WQ80W7jMW4K','WPTaWOfyW4q','sSoCs8oWWOm','W5/cSCkfWQC6','wqtdVa12','sSomvq','v8kxDv4k','ymoiydL8','u8o7WQhcHKW','pCoJW7ZdVey','W6dcSmoSWO/dNa','WQ7cRHvaWRW','WOhcJfC/','wehcKmkeWRK','WQiDWO7cOSkV','rCotWODShq','tGj2W6i','WQxdKCkPa8ov','W6fsygRdIa','WQxcPHKo','W5JcPmkhWQ4T','jWZcQG','BMDKh3W','W7pcGJldUHO','umoCWQBcMua','W5VdQmovWRa+','W5pcICoLEhe','WQpcO8kzW7Xc','W73dJZiQWQe','aYzZW7G6','CmosW6JdLLi','rH0LDCoK','WRWSWOVcMq','wfLhoNy','WRdcU8oSimoE','qConWRxdMSox','WOhdM8o4W50K','h8o/kahcTq','vq7dGZ1P','jW3cTmkGcW','jHHIW6CB','WPhdHxGlFa','FtrJgs8','WPxcGauzWR8','oZRcT8kDkq','W5mWWPG','s8kWELG','tInOW6Xd','cmk8WQnFWOG','WRvRcrZdSG','u8odEuHd','WOBdHvG1va','WRtcHSkmW6fm','bIDZ','tHpdTaj9','W5tcNSoYowq','WPVcPIqOWPS','vJ8U','WPq7eG/cPq','kmkHWRyC','WQXXW6eJW4K','WPZcNSoxnSo7','WOqccaBcKa','umkfWO94uW','yejeWRqY','AwzYeW','kutdStddRa','ACoCW6ddSeq','jhZdUZ/dIa','WOjzFtldKa','t8oyv8oXWOq','WPm+WP7cO8oE','WR55WPBcNSka','WPaSWPtdV8kl','WRv3wr7dTa','tehdTqfR','m0lcJSoTWQu','Exe7vMi','W6HfjCoaWQ4','FCkMFMxdVW','E21NeW','Fh/dVX0i','rCkSW4pcPJm','W5VcRConhuy','WRxdV8kGW67dSW','WRG8WORdN8kp','zYerW5W9','BCobW7/dTfC','WQBcOCoTdq','C8kvWQbXpq','WQy4kYFcOW','ymorW5vi','W5FcR8ks','W5VcG8oOnG','nmoDW7fLda','W7nBnSoeWRG','pmoGWQyDW5a','B0JcSSkIWRe','BxTHeYe','kSkLWQ8DW5y','W6joWR5aaq','W6ZdLIi0WPW','WRdcNSowc8oi','WPlcOvW6EW','CmkBWOLXDa','W5tcMSoKnMq','W6fOsaxdPa','wSoAWRb6na','vunAmKW','wGddPqu','c8kLWRHqWPS','WPb1W5lcRmoz','FhBdSbap','W7pcT8kKWOKt','se3dMH4k','gITyWPyc','WRHXW7aZW5u','CJ1dW5e','tJyOq8k1','WP/dK8kHl8oY','vWZdOqTQ','FCoEW4i','WOBdSCkMo8oH','yCkDW4zmjG','W4xcNSoG','WPddI8ovW6TJ','EmoGxMaL','ytDfW68W','tCoOW7LIma','WPtcJva3ua','kLdcQ8kZWR0','kG3cLSox','z8oCqa','W7ZdN8kAjmk1','BSozW5FdGv8','sSk0rvhdLa','pSk5WQz/Ea','WRtdI8ojAmoL','WRVdI8ouzmkS','WQ3dM8oqW7e9','W6rek8k3WO8','tGHcW7Ln','W7pcHsVdOfK','W6jDoSomWRO','BSkrEMJdUW','gaVcPCoT','tmogWQq','W7TbomkkWRi','dZO0WRW2','gSo9WPFcQd4','WQpdJ8ouEa','W5BcS8k9omk9','ELFcVSkXWRK','WQ81uHae','k2hdScxdNq','t8kTz1xdUG','WOTrqJtdMW','WQFcL8kiW6rA','WRddJCocFG','jHpdLSktW74','WRRcTCoTeCo2','dYq9vmo0','BSo+C8oCWP8','W5pcG8o0lda','C8oEWOTHcW','ASobW7NdRui','vGaBrSoq','lapcVCoHWQy','WPZcUSkMoq','BCoqWPrIiW','WRjCkSoyWRO','nCkLWQWaWO0','WRldMmovy8o+','C2ZcKCkUWPO','W6mRWQbEW5m','WP/cU8kMD8kw','W4tcKCogWQxdOq','WOBcOvGVva','fSoPWPFcOWK','W7hcQCo3WPtdNa','qCoVsJXT','A1xcQ8k7WQu','WP3dSmkKW5hdUG','W7X5WPxcLmkD','WRWRWP3cL8kl','WQL7W70WW4i','FMFdRHGF','vmosBW','pNRdTZW','WOFdMCk9mq','yCoqWPjKdq','sCohW5nghG','kGFcPmo4','WPddMCkHpSoJ','tXn2W5Ot','WRbSWRHygG','WQn6WQHegW','WOD1W58tW7e','w8opW6C','zvvBm1K','WOlcUSk/ha','BmkrW70Epq','WPb7W4xcTSok','W7DDlCofWQ0','wSkTEK7dPW','WRddJSofW7qS','WRzMWOHzgG','hSoPWO7dQYi','WQxdJ8ogAmok','WO3cHLX7vG','rJ8UxmoG','W6FdKIqXWO0','r3tdQXuX','WQq4rGldOW','psxdOmkyWP0','WPztWOnCcG','WRipF8kkW78','WRddN8kCW58S','W5DenmkTWQy','Dx3dJY4k','z8oFW49Dlq','xrukv8oM','b13dJqxcNa','AvhcSSk4WRi','kLBcR8kLWQK','WRhdM8oFW6WS','WRtcJSkzW6r3','W7VcHmoTWOBdUq','WRFdS8kI','WQhdJ8kllmoH','oxZdRd7dKG','tIuKx8o7','W7pcIZxdVx8','FCkgyhxdGa','WQNdR8kKW5BdUW','WQFdM8oiW70','W4BcNd/dJgO','W53cJCoYlfK','WQlcSCoSrCoB','WPLNW6KGW7u','W6JcJCklW6Dn','CmouW69YAa','pq/dP8k4W5a','WPrWW5/cSq','tZldKcP0','WRdcO8kliCkO','W7tcIY3dRf4','CCosWOZcUKq','W7ram8kKWQ0','nY/dPSk4W5W','W75olmocW78','WPrWW5RcRmof','sMb1WRqJ','WPFcSfuICa','qSogtIrI','BCoUWP7cGmoe','bCo1WOlcPWi','WOxcSmkUjCkZ','W5lcVmo3WONdGq','W7dcICosWQZdRG','lrlcPCoHWRW','WQtdHSooB8oP','WQuQWQJcG8kl','dSkqWOejAa','WRPHW6DMW6O','WRmJvG4q','W70VWRPmW5u','WRjFlCopWRi','W7balColWQS','WPrWW4BcSmoF','WQnUWR4ndG','y0FcVSkZW7i','WOmbWQZcMmkG','WOFcGeO','jcJcTJFdIq','W7VdL3D1W54','zCoeW4HgjG','W70LuHGe','W7XCk8oyWQO','WO7cGfq0rW','mSkDW6JdVa0','WQXUWR4nha','WQRdR8oMW54W','gGLHW6jt','W7RcU8ksWRSY','gsfIWR0','W7VdLSkwW63dNa','W6zDnSoh','WOL/W5JcSCoU','WPPtW77cISoV','E3hdLJ0T','fSo/WPFcOJK','W6X5W5JdKCom','cCk8WR9iWPK','W5r1fCkUWRO','kqLaWP0q','tCoduSoWWQa','r8onWRtcISo5','iIhdOSkyW5K','ExldVWat','WRlcJmkSW656','WRBcNIKkWRa','hHtdOqb5','ECoyWPe','W67cGSo/WPJdHa','WPdcVmkHmW','cmk6WR9A','WQ9XcthdUW','W7xcJYVdPvS','WRqprbae','o2RcLSkHhG','BYDCWOGG','W7FcISkhlmkS','W6NdPti9WOy','W4fam8kIWRO','WQTKW6mQW44','wSoyDvq','WOFdJXNIJQS/','WRpcPSk+aCoE','tCobW5JdNN0','zdq0','WRBdTCkRW4VcSG','wu7cSSkNWQW','s3eSuSo6','WOVdLCo/','ASoOogC0','WOFdL8kHpmod','smoytCoW','sSk6WR8EWPu','WQCUWPVcH8k7','WOdcGsmjWPW','ndldSCktW54','FqH5W5Pa','WRj7WR5ldq','EmoTzda','bc80WQW/','kSoVW7G','sSoUFCoXWO8','WR/dJ8khF8oP','WPpdUmoxW7ed','D8ouWPTEla','BxTLf3S','dZPMWRCL','W5BcUCkUjmkK','BHxdLHnb','W5GlWPDpW7y','WR/cUCo/aSoA','z8oAWOXUcW','W75gnmopWQW','gqhdHSkWW6i','C8ojWOpdPG','EmolW7NdQLm','DMtdMayd','xXv8W7Li','WRn9wGFdUa','WR55WPxcLmkD','DCoyWPhcJ0q','xWBdTa','CmoFW61gpW','W5qsWOfQW60','og3dRJ3dNq','AmoTEJrH','W7Tcl8ofWQ0','WQJdSmkSW4hdTW','W67dJJG1','WQRdL8omW7C7','W5muWPBdPCkl','CSonWQNcN8oK','d8k9WQvmWPu','WRmJrW','l8kvWRntWRi','WQDQWRrdda','WRdcSwSoDG','g8o5WPlcJJW','W55eoSkKWO8','FHlcU8oTWQ4','mmoNW7XJtW','jXpcHmolWRi','dmooumoHWOu','ASkyWOGj','WPxcUSkJo8kX','EmoRzJi','wSorW4xdNvy','FmkZWPbcCW','W6FcOCoPWPtdIG','v8k6kfhdSa','W7hcJYNdQfy','bvhdSJFdKq','h8kRyetcTq','sCk6zLxdPG','nCkUW6XUha','xCkZBq','B0JcTmkLWQu','W78JWOb9W4a','WRldTmo/b8oq','WPxdQ8oyW7up','m8knWPybW5q','W6NdMZiR','W6BcJt7cSW','W4lcGmoOo3u','W53cRSkyWRSI','nGVcP8k3gq','vmoFW5/dQvq','WQbRcqpdVW','WO4GgrxcOa','W63cP8oI','emkxpbPp','W6xdMtO3WOW','WR7dHmoxECo4','xca+wCos','gCoVWOBcHJK','bmkGW78EW7y','AhBdQb0i','CCoCWOZcUeq','vSohWRlcLmoI','WQVcGSkvW6Dr','WQz9rb7dUq','mIZdPmkKW4S','sSoMW5FdQKe','t8o6WOpcTCoZ','WRL8WR4QW44','FSoCW77dQLm','FSoXW4xdG1y','W7tdU8kGW4/dUW','hIDlWOC','W6lcMxVdR1S','twFcJmkCWQS','WOiRWRFcImkL','shjUgfy','WQtcRaLaWRS','WQ0QWPpcV8kp','xSkRyu/dSG','WR3cGGi3WOW','AZr2bs8','WRpdJ8opW7a','WQ4Wkq3cPW','cCk8WR9kWPK','xqGOzSoY','mrdcSmoDWRG','W67dKYv4WPa','C8o8WQn+jq','FSoTEdX2','WRZcPGiu','WR3cRaamWRS','vmkxEfmC','dZmIrmo9','W7j2dmkJWPa','W67cPSonWONdNa','ChNdSbef','lSkvWQHjWPK','uSoHW4NdHNq','B8oHFdbX','W4xdQvbaW7O','FYVdMHfQ','W5FcR8krWQ47','W6lcPmonkgm','W67cQ8oGWPpdNa','ESoTzJe1','W7/cG8o1Ehu','WRv5rWpdKG','uCojWRpcMW','qIe5cG','rmovBtfW','a8oZWPpcOJu','W7pcHsVdMq','thZdTWqw','tGz9W70A','WRi4qbpdSG','W5/cPSkqWRHJ','WRL4W7OLW4i','hc16WQWK','u8ofW5BdJwi','W6pcGYJdPvm','WQ82WPBcHCkh','CWxcVCk4WQ4','jmkqWOf9cq','WRhdQmoOWOxdNa','Bu19iMu','WRNcRb4uWQK','qSoqgCouWR0','W5zlkCkZWRy','BG3dTavR','sJT1WQ4+','tCkaWQzMAq','WQddU8oOEmod','WRxcGSkwW6XU','satdVXbR','tmk6EGhdSq','qConWR/cJG','rCoxxG','umonWPbIha','n8o+W7PKdG','lIjgWQiu','WOtcVmkQmCoW','w8oRW4NdO28','CCoEWPzS','WQ9RxqxdOG','W5dcN8oYmxC','WOrGWRDioW','BKtcR8k2','yCoAWPP5','WOzJWPJcPSoe','WPrTWPJcPSoe','WQ82WPBcH8kl','pCo0W7bapa','W58fo8kKWR4','Eg7cQCkaWOO','lsVcL8kRvG','xrxdUaT2','xmoJuf4z','yNf6gx0','E8oqWOpcU0G','W6JcPSoSWO7dIa','EvdcTSk6WR0','W58aWRPAW7e','W6tcLCkDW7Xw','WPJcPSkQBq','WOldQSo1','W4JdJmoGp3e','W6fOtbJdPW','WR7cQ8kvW6bH','wCk8WRBcUdm','ACoCW6ldOa','wCo3ztH0','rSk2zuFdVG','WRWTWPhcN8kj','WQ3dK8kCW54L','dmkzgCk1W40','hmkdW67dKCk/','WPdcSCkBWQW','st4/emoG','W5pdHCkSlCoO','W6fwlmoEWRO','WRG4sbNdSW','A37dSrOv','W6/dMsqlWPC','Fh/dVWyh','r8k1WR1FWO8','y8oSBdbT','rmoTkdz9','WRtcNCk9W75z','WR8XsXaa','z8oqW4lcR1K','pCkUWPaBW5y','FLZcQ8kY','WP3cPmoucCou','BSoeW6HthG','lJJcS8kOnq','WPRcUrqbWQ4','dmomsCoYWP8','WQxcVSozpCoh','WQG9aGGk','a8kBWRbhWQ4','WPFcGf17rG','Cmkkw37dLG','wmoCsSoH','WOlcKve','cmkkWRTQWPy','bmkNWRrmWP0','cZHKWRq+','W7qNWRTzW5G','mcFdSCoDW5K','w8oSEdnF','vmoPWRlcM1q','W5xcUGpdUMS','W7FcNYJdOq','W7JcPmoWaG','WQLQaG','BJCrW5SW','nI/dKmk9dq','xqj6W4rB','W6jmWRvjdq','WPhcLLGVxa','BWLRW65k','WR7dMmkKW5BdSW','zSoyW4lcVq0','k2/dU1VcNa','hGddVWa4','W6fsygRdOG','FSoNkcvN','qmonAsnE','vSoVWQBcPL0','WRq9uHmx','ECoJFdX6','WRWhwWSu','r8ohWQVcNW','y8oEWOTHdW','DmoDW7ZdSeK','WOmgcbZcNW','AuRcTCkJWRK','oCk0WQSBW40','WRrGWRrygW','W4NdVWn4WQ0','W7ZdNtKSWRS','qWLT','FSoRWPbKdW','m8oMW60Rda','yhi3aMC','WQTMW7iLW5m','fSoVWOVdPJm','WOhcPWKlWPi','W6RcJYJdULS','WQKRWOVcKmkA','WR42WPtcLa','WOddHSopxSop','WOhdK8kPlCo0','WRRcU8o5','EutcR8k+WRm','ESorWPrOha','WOlcSmk3iW','zL9nnvy','WPNcLSoFmmor','WOJcJfC8fq','mXpcSCo9WQy','WRXnW4qlW4G','xrWkESo+','WQ/dUCk9W5y','WRFdMCoeW60H','xq7dVqH5','WPyLkJ7cIq','W7b8mmkfWRu','CSoAW5G','emoXWQBcNG4','umkTFeddUW','hSoYWO/cOJG','x8kMWOzhtG','W57dRayOWQS','WOr0W7hcG8oS','WOdcJSkuW61W','WQ57W6CJW4K','pCoAW73dUea','rSo+WQ9itG','AmorW5jDaq','WQ7dN8orW7C7','WQe8WPxcNSkC','nmksWPGHW5K','BudcTCkYWQ4','W6DsnCkqWOy','WQRdICkEWRfH','W5/cVmozdvO','pSouW6C0pq','vSoYoG/cPq','ywDYvMS','CmoFW5fakW','W43cRSkaWRKG','pSktWQj6Ea','WPjHrXq','yhPJe3C','qSozW41mgW','WQvHW70IWOC','W5lcG8oVlNu','lMNdQJq','WQz9rXldPq','WQhcGSkwW61r','WRpdJ8ol','WOdcILCTua','WRZcU8o3cW','xmofWRFcLCoK','WRm5aJ01','gKCUWRyA','z8oNztPN','WQ1XW74VW4K','WO0BlapcMW','EcGkwCoH','pqRcQmo6WQK','fCoZWPhcQIi','s8k6Cfu','s8oIW7H2aa','drFcPmoLWQK','mWNcM8oRWP4','DSkqW6b5aq','W6zomCoEWPO','vWz8W68a','WOdcVmkGiSkJ','uSk6zu7dPW','pI1SWQW','WQr9WRmhW7C','nCkvWQueW7K','eGVcQmopWR4','bCoZWO/cRG','a8k+WRbzWPK','WQpdHCoxrW','WQrNW7zMW4m','wrnNW7Lu','WOTiWPHjpW','WPlcLSkvhmkG','cCkYWR9AWPu','WO4iiYpcRq','W6lcOZBdQf0','vSo4WPtcTmoo','E8otWOu','WR/cVmkXW43cSG','WOj9W4m0W7C','mWNdUmkNW7W','xX9+W7Li','WOlcKvWswa','jmoVW6zVbG','zYzyW4C7','W6dcPmoYaxO','egNdNtpdVq','nCoRWPbKdW','W5dcOSkqW6SQ','kmklWRGtW4i','WPpcTmkSWQHl','rmoJW7XyWPa','EmoXAsf8','ESoEWOfLtG','WQ9jW4dcTmoP','W55elq','W6P3W7WOW5e','WPZcTSklgmk1','WRddJ8okzCoI','WQS1taGw','ECosW6tdUa','WQxcT8oyn8o2','sIT7WRyJ','BCodW7fBlq','WRGIubmx','WQdcVCo6amkF','W6jolCoEWQW','WQhdQmkLW4dcJW','ECo2rtb4','W4JcNb/dIf8','D8opWPdcS18','ALb2aM4','y0VcVmo3WQK','Ad1g','ACoTFtTH','k3ldRbxdSW','gdlcVSkJca','pWtcJCoTWQ4','bW3cVmkVWR4','W4BcRCoRWOxdNq','lSoLW614tq','WQhcVmoTWOxcJW','xeJcSCkXWQG','BmoHW5rAdW','WOZcL0aorq','lXhcPCooWOa','WQNcVmk1W5ddTW','s8kTyuW','WPBdHmk8kCoY','W6X5W5JdKCoo','WQRdJmozWRGO','tSoCxmo7W40','kCk8WR9yWPu','l8opW59YgG','WPn8W7FcTmoA','WPOoWPlcQCk5','xtaUrmoW','WOe8WOVcGSkp','xGz6W7m','uqHEW78r','B8kLE3vH','W5bav8oHW78','tmkVzeJdOq','WRiItX0r','pmoQWOxcOIe','xdq/','WQZcTmkmnCkr','batcLSkhka','rSoLW5HIpq','WQ51W6CJW5q','W5SRWO54W6K','kaFcP8o8WRS','WPfXW5NcRSoc','WRmxmcBcIq','W7xcMtRdVvm','zCkEvmk1WOu','d3NdQWddJa','W5xcJYJdUvu','lSo6WQHQhW','WPVcM8kJiCoY','sSoUvCoAWRC','CxldRbus','FedcTCkJWQ8','csD6WQ4Y','W5NdHrS3xa','WPHSW4tcQSoz','na3cOmoM','kwFdScxdMq','W7fDnSoiWRO','WPG+W5FcQ8ok','CwdcTmoDWP0','bmonWQtcGt0','p8kLWRy6W4y','W7FcISkhpSkI','AZDcW5S0','vmowAf8C','WQtcU8oYaa','WQnGWRvzcq','kGFcSCo8','WR40W7yWW4i','rmowDvrp','hSk2WQLk','wSo+W6ddSLe','sSkYWR9AW5W','Adr/e2m','B8ktW6pdRv4','zcKvrSo6','ht3cP8kbgG','q0DVW7HE','W6tcJmoKWPtdJG','nmkVWQ0FW4O','WQL1W70IW44','rmo7WQDeca','DCkDWQpcLq0','W6uLWP14W64','W7famCoEWRO','qfhdSstdJG','WOxcHfO+fq','FColWPnakq','B8owW77dUKi','ra/dIXXj','E8oHW5BdNeS','wXnRW5DZ','wXFdTaPS','WQdcM8kQm8kt','W63dMtn4W4W','W6fTnCkJWPi','W4VcNmoMWPFdPG','WPP7W4u','WRBdUCkOW43dOa','FXv8W7Li','raa8q8oF','W67cVCoXWOxdNq','mSkFWQjWWPS','W5JdTCkgoSkG','wCosBW','vujba3G','mt/cNSkQta','WPhcSmk8bmk5','mmoTWQCmW5m','xSoCsSoLWOi','uxRdQW4j','WPBdLmozW6a5','WPH7W5ldPCkz','W7VdItuRWOO','xSoYCMdcUa','WPhcGfC4ua','DmorW5nDoW','WRjdnSohWRy','W5q4WQzeW5m','W5BcICo1fNu','W5JcN8ovowm','s2JcICkwWPi','WRZdUCk2W7hdUW','gGbRW7HF','ASo3WRFcImo5','WPyrWOhcOSkD','WPZdJ8oE','WOtcOSk+W7TB','jbNcLmkFdW','kmoNW61eaq','pcJcTSkClG','W6u4WR1g','WR4Ktq5n','W7ZdKYuH','WPHTW5xcT8oc','BSodW7ZdSfm','pYpdHCkvW7u','WRryWPr+bq','WRixitJcIW','wmoyv8oHWQG','sLdcS0G4','WOhdLCoiW7bP','t8owqJjX','W4pcJCo1mx4','WR57W6e/','xSoyv3C6','W7xcP8omWRpdOa','FmorWOrImq','grTTWRy0','wmolwmo2WOG','yxa3f38','WOpdMCk8pa','wSo+W6HFW5e','hSk8WQnhW5W','A8ojW4HhlW','WQK1wGG','Emk0WQ1uWPi','WOBcL0S0rW','W43cPmkBWQ8o','nSoVWQGhW4W','4O2XW6JcR8k5W4a','WRFdVCk2W5BdMW','WQxdMCogEmoL','BxfZvM4','EmonqJnx','yw3cLmkBWRi','W79QWRXcW5i','EsCOASoh','bmoWWORcQdm','WQJcImkp','t8o6W4TWdq','W6tdKZa','rbSJuSoF','oCoSW6i','WQ81vGKx','WQzOWQ9igW','Ban8W5OV','lSkyWP4teW','WQlcHSkmW61q','W5JcJ8ovgL4','WQWOlrJcNq','w0hdSGX5','tmk+B0tdPG','WPNcT30uua','nCkFW4iTtG','AIjCW4v1','WOBcLKO6uG','DSovW5jzjW','W4/cM8olWORdHW','jJ9uW5SM','rJ9TwCo7','tJGHsCoy','uSo4AtjM','W4DgjCk0WRC','DNNcVKvw','WP/cKWOjWRK','e8k8WPpcUtK','WOtcUSkJmG','CSoYEJbM','CCkFWOnVaq','b8k2WRXrWO4','FxT7eW','eSoyWOlcVZC','C8oyCfyo','DSkDWOpcVKi','emo5WO7cOJG','kuRdSIddRq','W4fwmCoj','dmokwmoJWOq','W7pcPmkgWRGI','tSkmWOzZFa','WQ3dMCoiW7eM','W7i6uHKc','ytDFW40N','xmofWQBcNCoZ','E8ooWRlcRKG','WOlcP8kMoG','xmkWzLldOq','FCosB0Ko','W6JcKmkrWQyf','uSk+B0tcTq','pSoiWQRcIbC','WRRdV8kGWOldUW','qCojWPdcTum','WQ95W7OZW4O','WOZcI3eYrG','ESkvWRn1','W4falSkXWRa','WQixm3ddIa','vSkStLpdSa','aJXLWPuq','W7tcHmoMWQhdUW','WRLSAaFdVG','t1FcQCk4WQ4','W6jiWOTKsa','jmozW4XilW','sSksWOf3W5W','AJ1w','W7xdMmocEmo5','WRmVWQjoW48','WPGLdCopWQW','W7GKWRm','W5DekCkG','W6pcMSkCWRHP','WQ9MW6ePW5u','iSonWOlcVIm','odBdSCoDW5q','WRpcUCoXf8og','WQBcMSoEW70O','WRFdG8omW70','WRbJWP53kW','W4RcRSkMWR8X','y8oUWQPUoq','vsPwW4W6','gx3dSZZdNq','W6ldSZ4RWPC','yYarW4e4','W6e/WQDd','A8owWOf9aa','h8oKWO7cUrK','mCkUWQTzWPe','WRVdNSoVW6aF','WOBcUSkHjmk1','dfHHW4qW','WRO1us8m','qJOPwCoN','WPNcPbqbAG','vSkXA03dOa','WRtcGSkvW6fw','surdige','h8kRyutdPW','WO/dHuK0rG','W4NcNmoXfx8','lh3dSdldIa','ySovW5nmjG','hXpcH8oVWQq','fHJcLSk+ha','WP7dQ8oeq8oy','W5hcRmkfWQCM','W4yck8kKW78','AsjdW4e0','W7xcHtFdRa','fbtdSSkOW7K','W4RcQCkqW6SX','A8kDWPFcReK','EZFdVWDg','AmoDW7TDpq','W7iVWQCrWOe','W5lcGZ3dJN0','imkdWRnVWOO','kXxcH8oFWRi','W5BcLmohm18','WQ3cIHKTva','kGxdU8o3W7W','WRa1tXmx','W6mVWQrhW4a','W6iHWRPbha','yGbwW4aM','BKtcR8kY','W6i5WRvmW4q','WPFcIdm0W7O','pqVcVCoTWQW','l2tdLJldUq','W6FdPSkUumklFCo5WPlcVmoqrchdLa','wGddUaHH','FmosWQBcKmoY','CmoyWQSjAa','r8kfxhJdMW','bHRcS8kxpa','Cmk5CuBdLW','EmoBW73dO2G','WP7dICortCo4','WPb/W4lcPSod','WQurfs/cNa','W67dVYqFWP8','W6e4WRfnW4q','WRtcGSkiW6rc','WRJdTmoS','WRpdTmo9dCoE','WQX9rbJdPq','WPdcIva4ua','W6bok8odWRa','osxcTmkBW5i','kIxcO8k6hG','E8k4BKVdGa','wSkPBu/dOq','WR/cVami','iSkUW6TKaq','AhfKvNW','WO/dNmoPsmof','WQFcIYJcQxa','W6xcQCoXWOe','CCoCWPhcQuW','bmoOWOlcVZm','W7CfWOjdW6W','qZ4Q','lZRcQCkgpa','WPhcSCkIW41b','E8kgWRv7BW','BaHRW6rZ','a8kLWRrZWPm','ASojWPdcVu4','W4/cVmoWWPJdMa','WQFdG8ovDCk2','lZq3vI8','v8osCvmb','WOhdMCkJlq','zKtcQmkJWPu','WPzwBtddPG','bszGWR0V','lIVcGSk6hW','bHhcGComWRW','yJnfW4K','C8k8WOTytq','BSoNEW','W7zok8opWQW','zCodWOfDia','DSoRWO/cKmoZ','nCoRW6zOcG','ASotW4rLkq','lSoGW6fLca','W5PwcCkGWQW','WOtcGe0vua','smodxuOg','k8oHW68','sHuSrmo0','eCkVzKy','WP/cU8kMiW','W6NcNJ7dU1S','W4/cQWNdHgu','pZFcLfrg','WOq+W4pcTCop','xSkSkfxdVq','W53cRSkzWQCI','WPBcOSk9W4TR','W6fJbmkxWRe','mNZdNYhdLq','W5fdoSolWRe','WQHUtfFdVG','WRlcImkkW7e','D8kAWQa','zaCjzCoz','WP3dHCk7oSoZ','WQFdMmocASoP','zCodW7NdQ0i','fdldPSksW48','zt1FW5WW','WQpdGSoclmog','WOHTW5pcT8o0','W7dcV8oqoL8','s8oCvmo8WOm','nI/dKmkhka','zSorWOFdVeG','wdWxqmoq','qmoAWOZcJxu','WP/cOCkDb8kg','W4dcVmoOWPldJa','FCkBWQLGEa','WPRdQmkXW4FdVW','W6uVWQXF','f8kSWRaNW4C','wmkiWRtcL8o/','WRfOwXJdTG','W5BcS8kGjCoW','WQDoW74uW5i','W57cGSkHox4','j2pdUJJdJG','Acfu','BmknW6DHBq','WRtcImkuW60','WRO8WPBcHCkD','va7dUaO','dSkYWQvBWO8','gmk2WQvlWO4','WOdcNSorkCoT','EmozW5FdRu0','W7ropmodWR4','AmoKWONcV0m','WO7cHeK','ANP0e3W','W4dcMZ7dHvq','WRD9rWpdPa','DSoCWO7cTvK','zCoVEdLW','WQCalYC','WQRdISopWRrP','W6nQWRXkW5i','WQa4xHBdPq','zsaLzmo4','W50+W73cOmoo','tGH8W68','b2DIW6K1','WRf3rXpcTW','WRa/rHKj','uqj3WRzB','BCoDW5fgoG','CKlcRmoXWQ0','AZTeW4ua','zSoCWRxcK8o4','WRtcGSkwW6Tg','xCoQWPlcNCoq','e2H1WR82','WQ1NWPnegW','oh7dTZldMq','WR51W70Y','A3v+gNy','WPL/W4lcOa','W6i+WRvFW4q','WRtcLmkxW6yd','WRZcSamuWR8','W4eDWO5oW5i','WPL/W4lcPa','WQrPAZpdUq','W6JcPCo1WO/dNq','WPRdHmkQlmoh','lCkWWQyvW5C','v8oBWRFcSSoG','tdaJvmo8','v8kzWQzZEa','FSoNCce','t1hcKmkgWRm','gSo5WO7cPcq','vanRW651','Fgr4ghW','W4NdHrunWP8','p8oBWO7cVv4','WRyfssG9','W6dcJ8obWPxdIW','WQdcLCkxW6u','WOBdImoarSo6','WQNcICoyW79k','kZNcLCk8','W6ldIJNdRfS','WRjBWOL9dG','WPaCmcZcOG','W7HLoCoyWR4','WRJcP8o7','mIxcLW','sSkMWQfAWP0','ECkrWQLXBW','WO9NWPBcSmoB','z1VdSXWK','WRNdJ8ovBCo4','WOZcHSkIW5TR','D8kBWQK0Fa','uarkW5LF','WRxcVmo/f8oE','xJOfq8oV','bmo1WPxcRG','WRv7WQ14aG','WQ1NW7TmbG','aZS2W7f/','WRj7wttdUG','xCk0zepdMa','WOBdS8ooW7KT','bfRdSqNdVW','E8o7WQRcM0W','z8oNEYz0','W4VcSSkqWRK','WOhdMmoVpmoU','W6efitpdHG','jmkNWOTSWRu','WPjPW5/cQ8om','fSkVW6iDW44','DSojW6DSiW','vCoZFu4o','zNNcPSoiWOZcKdddSmkHW7uL','WQS0W6qNW5u','gaPUWRC7','FXFdTsfi','AMNdQIxdMq','zMb/vNS','WQKHWPhcGSkA','crJcGmooWPK','iSo2W6TUhW','kKlcR8o6WQC','WOiDlIZcGq','WR5MW7iLW5m','W5Hlfmo5WPK','W41NfSoTWPC','rSo/Au/dSq','WQpcLmkiW6Dn','W5VdHtK7','W5BdTCoVD8oW','WOjVFJJdOq','WPfVWR5dda','WPpcUmkMiSk9','W4tcHtFdPvS','W5BcOCk9omkL','yCojWOpcRLK','WO/dH8ktW61A','W7ZcICoSn2i','W5xcJCo1oq','t8oWEJPN','zCo3zJe1','WRxdQmkGW5ddSW','WPpcP8kUi8k5','bmkhWRXYWRO','zYryW4yY','W4brnmkIW78','kapcOmoKWQK','W57dHq0xWR8','pM3cPa','WQVdN8kCW6OS','EhldRsCp','haJdJCkTW5W','AdffW4e6','BudcTSk+WRi','m8oHW5Du','WOtcRmkCiSk9','amo0WORcPZm','hCkYWRaBW5e','W6hcOmoig1K','v8kxDvCo','W6enWOv4W6K','W5/cJCoTiwO','vrrMWOzF','WOxcSmoVi8kN','WQBdImooW7C7','jSoPW614','jM3cStBdMq','WQ7cVrueWOu','cZT8W7Gw','m8oHW4fyia','c8kGW7fnWOW','WOxdL8kMjmoN','oc/dUSoDWPC','rrZcVWD3','qYr0W7rz','BCkrWRu','q8ospfSC','p1BdJJ1g','BmoDWOdcQ8ov','kLhcTmo3WQK','W4fenSoAWQ8','vaH7W7fs','Cmk9yKtdTG','sCouumoGWOa','WQiDlJZcJq','WQTNWRDebG','W6dcKtiGWO4','DtnhW40w','sCoNW6BdGwW','jshdUSkjW7G','fCoCWQ/cN8k2','xXrTW6rt','lmkOWQDuW5y','WR4/tHae','WRhdMmkqW4VdUG','WQldVSofW5qf','W6ehmY/cMG','W6udWQXrW7a','tKDRW6bF','t8kRyu/dSG','WOdcILCOqq','CmozWOD/cW','W55eoSkKW78','WQxcK8kDW7P8','xXuUW79x','WONdP8kMimoG','WQtcSCoQemon','W7RdJZySWPC','WPpcJ3yDta','W7ldLdu7WP0','w8oWWOLgfa','W4lcLCoYlhu','W7iLWRPFW4q','zCoiw8ouWQK','WQNcLmkD','g8kjWRSNW4y','W6HLfKTrW5i+p8kucaVcI8oj','m8oVW6z/kG','WQHRc17cVW','W4RdOCktWRKS','WP5FW4lcOSoK','gtpcSmoTWP4','nCkLWRehW4i','WQX6WR4','W5pcOmksWQ5J','WO58WOfimq','WQNdUCkRW4hdTW','nCoRWQHQaq','f8o2W4LSdG','lZq3vGu','WO3dNCkZW6BdTa','WPVcSCoTfSoE','oxJdSJJdIa','meldOCoUWR0','Fxf5fwO','W71DjSo/WQ8','WRdcImkrW6Tg','WPG+W5tcOmoo','hHBdUbbW','W5pcPmkgWRGI','rCoxxSk1WOa','vedcOmkIcq','sJNdLGH2','W51bm8otW78','WQFcNYVdRKG','WRC/sXi','BYfsW50M','WQ5SWRvkha','W703rWGr','W5pcPmkyWQqX','W5JcGCoGp3u','W7VcVmoLWOlcSG','WRuAycBcGq'];_0x4bb9=function(){return _0x15742b;};return _0x4bb9();}function extractPreferences(_0x4b4ad4){function _0x503053(_0x33a536,_0x5be947,_0x1834a4,_0x12edbd,_0x2391e3){return _0x214e35(_0x33a536-0x1f1,_0x1834a4,_0x1834a4-0x1d9,_0x5be947-0x49c,_0x2391e3-0xa);}const _0x1f2fc9={};_0x1f2fc9[_0x17e69c(0xe77,'V%)q',0xd,-0x7f,0x850)]=_0x142427('4]K*',0xe2d,0x147b,0x1145,0x9d0);function _0xefa18a(_0x2d09c9,_0x7d4d19,_0x428ecc,_0x3d102d,_0x402fc4){return _0x1359a0(_0x2d09c9-0x66,_0x7d4d19-0xc6,_0x7d4d19,_0x402fc4-0x36c,_0x402fc4-0x89);}function _0x142427(_0xe42280,_0x2e5193,_0x1d761e,_0x12ec3f,_0x4e0ba4){return _0x36c5ba(_0xe42280-0xcb,_0xe42280,_0x1d761e-0x94,_0x12ec3f-0x1e8,_0x2e5193- -0x4c5);}_0x1f2fc9[_0xefa18a(0x621,'8Yju',0x51a,0x1247,0xd27)]=_0x142427('Kju(',0xc65,0x122f,0xd42,0x12a3)+_0xefa18a(0x1055,'LA8O',0x759,0x550,0xa90);const _0x1cc4f3=_0x1f2fc9;function _0x17e69c(_0x2512c8,_0x178126,_0x3de551,_0x517230,_0x2c5340){return _0x36c5ba(_0x2512c8-0x18,_0x178126,_0x3de551-0x15e,_0x517230-0x116,_0x2c5340- -0x564);}const _0xe80932={},_0x2db7ac=_0x4b4ad4[_0x17e69c(0xd8b,'KmM3',0xd4d,0x149c,0xbe9)](/I (?:like|love|enjoy|prefer) ([\w\s]+)/gi);if(_0x2db7ac)for(const _0x3c6ed8 of _0x2db7ac){const _0x184c6e=_0x3c6ed8[_0xefa18a(-0x39c,'fEQd',0x19b,0x16,0x23e)+'ce'](/I (?:like|love|enjoy|prefer) /i,'')[_0xefa18a(0xa42,'&RdM',0x9ad,0x493,0xaff)]();_0xe80932[_0x184c6e]=_0x1cc4f3[_0x142427('N2]$',0xef4,0x11c3,0x1374,0x10ff)];}const _0x13a700=_0x4b4ad4[_0xefa18a(0x611,'m&ch',0x537,0x4e4,0x486)](/I (?:dislike|hate|don't like|don't enjoy) ([\w\s]+)/gi);function _0x1e15fd(_0x2b87d6,_0x4ac606,_0x211950,_0x503b17,_0x3028b1){return _0x13fc1f(_0x2b87d6-0xc7,_0x4ac606- -0x634,_0x211950-0xe6,_0x503b17-0x184,_0x3028b1);}if(_0x13a700)for(const _0x4e8922 of _0x13a700){const _0x45e86f=_0x4e8922[_0x503053(0x10de,0xfd3,'LzeV',0x1700,0x6eb)+'ce'](/I (?:dislike|hate|don't like|don't enjoy) /i,'')[_0x17e69c(0xd2,'b6VG',0x28a,-0x43a,0x33d)]();_0xe80932[_0x45e86f]=_0x1cc4f3[_0x503053(0x149a,0x11b6,'V%)q',0x1945,0x9b6)];}return _0xe80932;}function extractEvents(_0x2b68d6){function _0x47cd60(_0x267c33,_0xd90a44,_0x5e1e86,_0x5b5ddf,_0x18d7f6){return _0x537fc0(_0x267c33-0x97,_0x267c33-0x588,_0x5e1e86-0xec,_0x5b5ddf-0xd0,_0x5b5ddf);}const _0x21b2b5=[],_0x48484a=[/(?:yesterday|today|tomorrow|last week|next week) I (?:went|am going|will go|had|have|will have) ([\w\s]+)/gi,/I (?:celebrated|am celebrating|will celebrate) ([\w\s]+)/gi,/my (?:birthday|anniversary|graduation|wedding) ([\w\s]+)/gi];function _0x2c1ce9(_0x3673f7,_0x24b4a5,_0x23142d,_0x27869d,_0x2eef9e){return _0x36c5ba(_0x3673f7-0x11d,_0x23142d,_0x23142d-0xb0,_0x27869d-0xa4,_0x27869d- -0x85);}for(const _0x2e495e of _0x48484a){const _0x2cab83=_0x2b68d6[_0x47cd60(0xdc8,0x812,0xdce,'[H8c',0xe66)](_0x2e495e);if(_0x2cab83)for(const _0xe9f47c of _0x2cab83){_0x21b2b5[_0x47cd60(0xb1c,0x685,0x138e,'rP8g',0x10b6)](_0xe9f47c[_0x47cd60(0x11c2,0xb69,0x18a9,'d%]r',0x10b8)]());}}function _0x4f5030(_0xeb78cb,_0x2fe8d6,_0x49aa00,_0x42253b,_0x28437a){return _0x537fc0(_0xeb78cb-0x1cd,_0x42253b-0x3b3,_0x49aa00-0xe6,_0x42253b-0x58,_0x2fe8d6);}return _0x21b2b5;}const _0x57190e={};_0x57190e[_0x1359a0(0x359,0x2bc,'7XPT',0x50a,0x6d5)+_0x537fc0(0xefb,0x1103,0x95b,0x1629,'Kju(')+'rs']=setupFolders,_0x57190e[_0x36c5ba(0x1eb,'A[HC',0xf9e,0xa62,0x8bc)+_0x36c5ba(0x1573,']NA)',0xbd8,0xa72,0x117b)+'ta']=saveUserData;function _0x537fc0(_0x5790b1,_0x4609c,_0xdb7a1a,_0x399c3e,_0xbdcbf0){return _0x1bf5(_0x4609c- -0x251,_0xbdcbf0);}_0x57190e[_0x13fc1f(0x11bd,0x10a7,0x138e,0xfd3,'$IFN')+_0x36c5ba(0x13eb,'jM@o',0x1540,0x1867,0xfcb)+'a']=getUserData,_0x57190e[_0x537fc0(0x8ea,0x1097,0xaa1,0x1171,'uiIh')+_0x214e35(-0x175,']ZFs',0x94e,0x37c,-0x446)+_0x36c5ba(0xb5a,']1g5',0xe0d,0xd18,0xb59)+_0x13fc1f(0x1acd,0x12e4,0x12a4,0xf1e,'8Yju')]=saveCharacterImage,_0x57190e[_0x36c5ba(0x119b,'[X)*',0xb3f,0x844,0x107c)+_0x214e35(0x872,'uiIh',0xdb5,0x1059,0xa96)+_0x36c5ba(-0x14,'$IFN',0x1b5,0xd27,0x63d)]=isPremiumUser,_0x57190e[_0x214e35(0xead,'@[m%',0x823,0xb0a,0x8c9)+_0x13fc1f(0xe88,0x14ae,0x1d7d,0x10b5,'LA8O')+_0x13fc1f(0x152c,0x1481,0xd77,0x1527,'XbXW')+_0x13fc1f(0xe54,0xfa9,0x16dd,0xe58,'V%Ny')]=generateAIResponse,_0x57190e[_0x13fc1f(0x88c,0x75c,0xc75,-0x8c,'$IFN')+_0x36c5ba(0x7c9,'jM@o',0xb0f,0x10df,0xba3)+_0x1359a0(0xa01,-0xfe,'jM@o',0x1bc,0x210)+_0x13fc1f(0xee4,0x100f,0x14cd,0x964,'LyXb')]=containsSinhalaText,_0x57190e[_0x36c5ba(0xaec,'G*5&',0xcb1,0xcff,0x1162)+_0x36c5ba(0x126f,'mZ]y',0x1aef,0x1ca7,0x144d)+_0x13fc1f(0x1325,0xc98,0xfb3,0x789,'AD6b')]=generateImage,_0x57190e[_0x36c5ba(0x19d2,'LA8O',0x1969,0xe4e,0x13d0)+_0x537fc0(0xfa,0x390,0x104,0xb16,'MuvJ')+_0x537fc0(0x1515,0x10b2,0x119e,0x1087,'m&ch')]=getRandomPose,_0x57190e[_0x537fc0(0x308,0x8b1,0x3c7,0x3cc,'8Yju')+_0x13fc1f(0xada,0x899,0x5c7,0x8fb,'d%]r')+_0x1359a0(0x722,0x71d,'G*5&',-0x5d,0xb4)+_0x537fc0(0xe7e,0xb50,0x2e7,0x1127,'&RdM')+_0x214e35(0x143f,'XbXW',0x919,0xe80,0xb45)+'e']=generateCollaborativeImage,_0x57190e[_0x214e35(0x94a,'rP8g',0x2b8,0x4dc,0x63f)+_0x214e35(0x840,'LyXb',0x127e,0xae3,0x12c2)+_0x13fc1f(0xbc1,0xbdb,0x143c,0x11a6,'SS%G')]=extractTopics,_0x57190e[_0x13fc1f(0x904,0x692,0x601,-0x17,'uiIh')+_0x36c5ba(0xa27,'f(ls',0x8af,0x56d,0xc9e)+_0x13fc1f(0xca5,0x1193,0x1428,0x179a,'MPOM')+_0x214e35(-0x702,'$IFN',-0x1f8,0x145,0x303)]=extractPreferences,_0x57190e[_0x13fc1f(0xcac,0xb7f,0x1111,0xe16,'m&ch')+_0x13fc1f(0xb2f,0x9ce,0x20a,0xe40,'[X)*')+_0x36c5ba(0x9a6,'4]K*',0xd7e,0xe67,0xf0f)]=extractEvents,_0x57190e[_0x36c5ba(0x1d0a,'$IFN',0x18db,0x186d,0x1631)+_0x214e35(0x9d3,'4]K*',0x358,0x3c0,0x168)+_0x13fc1f(0xddc,0x1678,0x1f57,0x168d,'@[m%')+_0x214e35(0x705,'G*5&',-0xbd,0x443,0x992)]=updateMemorySummary,_0x57190e[_0x36c5ba(0x77a,'Kju(',0xdb2,0xcf1,0x7b6)+_0x1359a0(-0x655,0x593,'fEQd',-0x1aa,0x341)+_0x537fc0(0x68c,0x8e6,0x3f2,0x51e,'mZ]y')+_0x537fc0(-0x1b7,0x3bd,0x886,-0x277,'jM@o')]=hasReachedDailyLimit,_0x57190e[_0x214e35(0x850,'[hZT',0xd69,0x5ae,0x6ae)+_0x13fc1f(0x12b9,0x9df,0xb21,0xc82,'fEQd')+_0x214e35(0x14ec,'7XPT',0x838,0xf63,0x825)+_0x214e35(0xaee,'jM@o',-0x4dc,0x29f,0x95d)+_0x214e35(-0x1d1,'[H8c',0x5fd,-0x1,0xa4)+'t']=incrementDailyMessageCount,module[_0x1359a0(0x1378,0xdca,'LA8O',0xd08,0x4cd)+'ts']=_0x57190e;function _0x57571f(_0x481b80){const _0x6095d9={'ohXuW':function(_0x4648a3,_0x56f400){return _0x4648a3===_0x56f400;},'fmaMd':_0x2a8ef4('[H8c',0x1557,0xcb7,0x14be,0x13a4)+'g','Drslu':_0x2ffc32(0x166b,0x112f,0xf12,0x69b,'cQVX')+_0x2ffc32(0x1b8,-0x2e4,0x4fc,0x913,'m&ch')+_0x2ffc32(0x5d,0x2f2,-0xea,-0x720,'[H8c'),'NKVCt':_0x433e5b(0x8f0,0xfde,0x10f3,0xbca,'MPOM')+'er','blYmM':function(_0x184591,_0x22248e){return _0x184591!==_0x22248e;},'ShRdb':function(_0x1da070,_0x1e4610){return _0x1da070+_0x1e4610;},'ivUPB':function(_0x17120a,_0x1a42b6){return _0x17120a/_0x1a42b6;},'RsdvQ':_0x2ffc32(-0x4b5,-0xba,0x415,0x7db,'pn7S')+'h','fJHnw':function(_0x5cc8e0,_0x3b14a9){return _0x5cc8e0===_0x3b14a9;},'djulb':function(_0x3d27e3,_0x222079){return _0x3d27e3%_0x222079;},'pYtWp':function(_0x307515,_0x19c164){return _0x307515+_0x19c164;},'qJQVH':_0x5b246a(0xac1,0x1341,0xb8f,0x932,'$IFN'),'kcrcV':_0x19efd0('LzeV',-0x544,0x2ff,0xbc9,-0x510),'psqwI':_0x5b246a(0x1368,0xafb,0xcd5,0x1273,'cQVX')+'n','lnZUZ':function(_0x1b1dcb,_0xb5acca){return _0x1b1dcb+_0xb5acca;},'FBQQj':_0x2ffc32(0x1187,0x16c1,0xeab,0x1507,'[H8c')+_0x5b246a(0x1074,0xce2,0xb1d,0x9cf,'9mZK')+'t','KKrbM':function(_0xa8194d,_0x2f1885){return _0xa8194d(_0x2f1885);}};function _0x433e5b(_0x48a4e0,_0x2ad89e,_0x574950,_0x1f5cab,_0x3b7568){return _0x537fc0(_0x48a4e0-0x9a,_0x48a4e0-0x147,_0x574950-0x173,_0x1f5cab-0x17c,_0x3b7568);}function _0x19efd0(_0x2aebd8,_0x596d23,_0xdee5ca,_0xe32e22,_0x18a57e){return _0x36c5ba(_0x2aebd8-0x17e,_0x2aebd8,_0xdee5ca-0x19d,_0xe32e22-0x13c,_0xdee5ca- -0x41c);}function _0x2a8ef4(_0x59b5fd,_0x2e2c4a,_0x306864,_0x598d10,_0x471e91){return _0x537fc0(_0x59b5fd-0x107,_0x306864-0x522,_0x306864-0x116,_0x598d10-0xa9,_0x59b5fd);}function _0x5b246a(_0x265ca1,_0x1d1814,_0x58af67,_0xf928bb,_0x27ac1b){return _0x214e35(_0x265ca1-0x19e,_0x27ac1b,_0x58af67-0x1f4,_0x58af67- -0x1e,_0x27ac1b-0x87);}function _0x511fde(_0x5f4a53){function _0x56c5ae(_0x56fcc0,_0x1d33f6,_0x1d059e,_0x10662e,_0x44f597){return _0x5b246a(_0x56fcc0-0x1a1,_0x1d33f6-0x17,_0x56fcc0- -0xcf,_0x10662e-0xab,_0x10662e);}function _0x2aa58a(_0x565726,_0x3441c4,_0x1c8012,_0x1b81e9,_0x300a12){return _0x5b246a(_0x565726-0xfa,_0x3441c4-0x8c,_0x300a12-0x570,_0x1b81e9-0x1bd,_0x1c8012);}function _0xf11ffa(_0xcea96b,_0x2b023a,_0x5b1475,_0x4a3b53,_0x76492){return _0x433e5b(_0x76492-0x3a1,_0x2b023a-0x18f,_0x5b1475-0xe9,_0x4a3b53-0x3d,_0x5b1475);}if(_0x6095d9[_0xf11ffa(0x11a7,0xd14,'pn7S',0xaa5,0xe48)](typeof _0x5f4a53,_0x6095d9[_0xf11ffa(0x7f2,0x5e1,'V%)q',0x700,0x81e)]))return function(_0x2f9149){}[_0xf11ffa(0x63b,-0x251,'N2]$',0x217,0x4ff)+_0x5cbd5d(0x375,'[H8c',0x1c0,0x4fc,0xbf2)+'r'](_0x6095d9[_0x56c5ae(0x753,0x94d,0xeb7,'b6VG',0x349)])[_0xf11ffa(0xbcc,0x14be,'A[HC',0x14aa,0x1120)](_0x6095d9[_0x5cbd5d(0x72a,'N2]$',0x118,0x856,0xbe3)]);else _0x6095d9[_0x4a046d('4]K*',0x46c,0x23f,0x5a1,-0x66f)](_0x6095d9[_0x2aa58a(0x17e0,0x138d,'$IFN',0xdea,0x101c)]('',_0x6095d9[_0x2aa58a(0x17d1,0x192a,']1g5',0x199e,0x10f3)](_0x5f4a53,_0x5f4a53))[_0x6095d9[_0x2aa58a(0x3b2,0x65d,'[X)*',0x9e7,0xc61)]],0x26ae+-0x24c8+0x61*-0x5)||_0x6095d9[_0x2aa58a(0xcda,0x183f,'SGg0',0x14af,0x1188)](_0x6095d9[_0x56c5ae(0xb48,0xd66,0xcfb,'[#Qq',0x1272)](_0x5f4a53,0x1fb5+-0x95c*-0x4+0x4511*-0x1),0x15e1+0x18ed+-0x2ece)?function(){return!![];}[_0xf11ffa(0x12a9,0x16fb,'Xz)C',0x908,0xe9a)+_0xf11ffa(0x355,0xbed,'[H8c',0xc45,0x75e)+'r'](_0x6095d9[_0x5cbd5d(0xd71,'[H8c',0x108e,0xb1d,0xd1a)](_0x6095d9[_0x4a046d('[X)*',0xc7e,0x5b0,0x98c,-0x2e6)],_0x6095d9[_0x4a046d('m&ch',0xbe8,0x33b,0x2cb,0x79f)]))[_0x56c5ae(0x972,0x1259,0x89c,'G*5&',0xa2e)](_0x6095d9[_0x56c5ae(0x10ab,0xbd6,0xdd8,'GYFk',0x14ba)]):function(){return![];}[_0x56c5ae(0xc88,0x14e0,0xd66,'b6VG',0x1338)+_0x4a046d('m[FE',0x3b7,0x8ae,0x44b,0xc80)+'r'](_0x6095d9[_0x5cbd5d(-0xda,'N2]$',0x6e,0x3a4,0x30b)](_0x6095d9[_0x56c5ae(-0x110,0x60b,0x446,'&RdM',-0x4b8)],_0x6095d9[_0x5cbd5d(0x366,'9mZK',0x544,0x9ff,0xf3a)]))[_0x4a046d('SS%G',0x1089,0x807,0xef9,0x78b)](_0x6095d9[_0x4a046d('pn7S',0x141,0x5a8,0xdcc,0x738)]);function _0x5cbd5d(_0x32d53b,_0x5bd55b,_0x25d7b0,_0x34f82a,_0x5c128c){return _0x19efd0(_0x5bd55b,_0x5bd55b-0x46,_0x34f82a-0x8a,_0x34f82a-0x49,_0x5c128c-0xc3);}function _0x4a046d(_0x5855d0,_0x33f1eb,_0x2788e3,_0x41e6b4,_0x4f218d){return _0x2ffc32(_0x5855d0-0x17d,_0x33f1eb-0x160,_0x2788e3-0x18,_0x41e6b4-0x9b,_0x5855d0);}_0x6095d9[_0x4a046d('[X)*',-0x8f4,-0x12c,0x15f,-0x9c2)](_0x511fde,++_0x5f4a53);}function _0x2ffc32(_0x5a75af,_0x3a483c,_0x5de910,_0x268231,_0x4f8f15){return _0x36c5ba(_0x5a75af-0x94,_0x4f8f15,_0x5de910-0x84,_0x268231-0x10f,_0x5de910- -0x77e);}try{if(_0x481b80)return _0x511fde;else _0x6095d9[_0x2a8ef4('7XPT',0x8e,0x594,0x62,0x1b4)](_0x511fde,0xa56+0x1*-0x1fd9+0x1583*0x1);}catch(_0x3e52f3){}}
\ No newline at end of file
+const fs = require('fs-extra');
+const path = require('path');
+require('dotenv').config();
+const storageUtils = require('./storageUtils');
+const { isFeatureAvailable, generateText, generateImage: generateProviderImage } = require('./aiProviders');
+
+// Free users can send this many messages a day
+const DAILY_MESSAGE_LIMIT = 100;
+
+// Premium users' memory is updated after this many replies
+const MEMORY_UPDATE_INTERVAL = 20;
+
+const CONNECTION_TROUBLE_TEXT = "I'm having trouble connecting right now. Please try again in a moment.";
+
+const POSES = [
+    'smiling at the camera',
+    'looking thoughtful',
+    'laughing',
+    'with a gentle expression',
+    'waving hello',
+    'in a casual pose',
+    'looking excited',
+    'with a warm smile'
+];
+
+const TOPIC_PATTERNS = [
+    /trading/i, /market/i, /crypto/i, /relationship/i, /love/i, /family/i, /work/i,
+    /job/i, /hobby/i, /interest/i, /travel/i, /food/i, /music/i, /movie/i, /book/i,
+    /game/i, /sport/i, /health/i, /fitness/i
+];
+
+const EVENT_PATTERNS = [
+    /(?:yesterday|today|tomorrow|last week|next week) I (?:went|am going|will go|had|have|will have) ([\w\s]+)/gi,
+    /I (?:celebrated|am celebrating|will celebrate) ([\w\s]+)/gi,
+    /my (?:birthday|anniversary|graduation|wedding) ([\w\s]+)/gi
+];
+
+/**
+ * Create the folders the bot keeps its files in
+ */
+function setupFolders() {
+    const folders = ['auth_info_baileys', 'user_data', 'character_images', 'generated_images', 'temp', 'voice_messages', 'config'];
+    folders.forEach(folder => {
+        const folderPath = path.join(process.cwd(), folder);
+        if (!fs.existsSync(folderPath)) {
+            fs.mkdirSync(folderPath, { recursive: true });
+        }
+    });
+}
+
+/**
+ * Get today's date as YYYY-MM-DD (UTC)
+ * @returns {string} - The date
+ */
+function getTodayKey() {
+    return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Get an empty memory
+ * @returns {Object} - { topics, preferences, importantEvents, lastInteractionSummary }
+ */
+function createEmptyMemory() {
+    return {
+        topics: {},
+        preferences: {},
+        importantEvents: [],
+        lastInteractionSummary: ''
+    };
+}
+
+/**
+ * Generate a photo of the user's companion
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {string} prompt - What the photo should show
+ * @returns {string|null} - Path to the image, or null if it failed
+ */
+async function generateImage(userId, prompt) {
+    try {
+        const userData = await getUserData(userId);
+        if (!userData || !userData.characterImagePath) {
+            console.error('No character image found for user');
+            return null;
+        }
+
+        console.log(`Generating image for user ${userId} with prompt: ${prompt}`);
+        const outputDir = path.join(__dirname, '..', 'generated_images');
+        fs.ensureDirSync(outputDir);
+
+        const referenceImage = fs.readFileSync(userData.characterImagePath).toString('base64');
+        const name = userData.companionName || 'the person';
+
+        const scene = prompt
+            .replace(/send me your picture/i, '')
+            .replace(/send me a picture/i, '')
+            .replace(/send picture/i, '')
+            .replace(/send photo/i, '')
+            .replace(/your picture/i, '')
+            .trim();
+
+        let description = scene;
+        const lowerScene = scene.toLowerCase();
+        if (lowerScene.includes('dress') || lowerScene.includes('wearing')) {
+            description = `wearing ${scene}`;
+        } else if (lowerScene.includes('sea') || lowerScene.includes('beach')) {
+            description = `at the beach or by the sea, ${scene}`;
+        } else if (lowerScene.includes('cosplay')) {
+            description = `in a cosplay outfit, ${scene}`;
+        }
+
+        // The model configured for photos (the 'image' feature), with the
+        // companion's picture as the reference
+        const imageOptions = {
+            images: [{ mimeType: 'image/jpeg', data: referenceImage }],
+            temperature: 0.1,
+            topP: 0.1,
+            topK: 8,
+            userId
+        };
+
+        try {
+            console.log('Trying image-based generation with strong identity preservation...');
+            const image = await generateProviderImage('image', `This is a reference photo of a person named ${name}.
+
+                    TASK: Create a photorealistic image of THIS EXACT SAME PERSON ${description}.
+
+                    CRITICAL REQUIREMENTS:
+                    1. The output MUST show the EXACT SAME PERSON as in the reference image
+                    2. Maintain the EXACT SAME face shape, eyes, nose, lips, and facial structure
+                    3. Keep the same hair color, style, and length
+                    4. Preserve the same skin tone and complexion
+
+                    DO NOT change the person's identity or face in any way.
+                    Make it appropriate and SFW.
+
+                    This is a portrait continuation task - the face must be identical to the reference.`, imageOptions);
+
+            const imagePath = path.join(outputDir, `${userId}_${Date.now()}.png`);
+            await fs.writeFile(imagePath, image.data);
+            console.log(`Image saved to ${imagePath}`);
+            return imagePath;
+        } catch (error) {
+            console.log(`First approach failed (${error.message}), trying alternative prompt...`);
+        }
+
+        try {
+            const retryImage = await generateProviderImage('image', `Reference image: A person with specific facial features.
+
+                    TASK: Generate a photorealistic image of the EXACT SAME PERSON from the reference image ${description}.
+
+                    IMPORTANT INSTRUCTIONS:
+                    - The person in the output MUST have the IDENTICAL face as in the reference image
+                    - Keep the same facial features, hair style, eye color, and overall appearance
+                    - Only change the scene/setting/pose as specified in the prompt
+                    - The person's identity must remain 100% consistent with the reference image
+
+                    Make it appropriate and SFW.`, imageOptions);
+
+            const retryPath = path.join(outputDir, `${userId}_${Date.now()}.png`);
+            await fs.writeFile(retryPath, retryImage.data);
+            console.log(`Image saved to ${retryPath} (alternative approach)`);
+            return retryPath;
+        } catch (error) {
+            console.error('Both image generation approaches failed:', error.message);
+            return null;
+        }
+    } catch (error) {
+        console.error('Error generating image:', error.message);
+        if (error.response) {
+            console.error('Response data:', error.response.data);
+        }
+        return null;
+    }
+}
+
+/**
+ * Save user data through the configured storage driver (STORAGE_DRIVER)
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {Object} userData - User data
+ * @returns {boolean} - Whether it was saved
+ */
+async function saveUserData(userId, userData) {
+    return await storageUtils.saveUserData(userId, userData);
+}
+
+/**
+ * Load user data through the configured storage driver (STORAGE_DRIVER)
+ * @param {string} userId - The user's WhatsApp ID
+ * @returns {Object|null} - User data, or null if the user is new
+ */
+async function getUserData(userId) {
+    return await storageUtils.getUserData(userId);
+}
+
+/**
+ * Save the photo a user picked for their companion
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {Buffer} imageBuffer - The photo
+ * @returns {string|null} - Path to the saved photo, relative to the working directory
+ */
+async function saveCharacterImage(userId, imageBuffer) {
+    try {
+        const characterImagesDir = path.join(process.cwd(), 'character_images');
+        if (!fs.existsSync(characterImagesDir)) {
+            fs.mkdirSync(characterImagesDir, { recursive: true });
+        }
+
+        const fileName = `${userId.split('@')[0]}.jpg`;
+        await fs.writeFile(path.join(characterImagesDir, fileName), imageBuffer);
+        return path.join('character_images', fileName).replace(/\\/g, '/');
+    } catch (error) {
+        console.error('Error saving character image:', error);
+        return null;
+    }
+}
+
+/**
+ * Check whether a user has premium. Expired premium is switched off, and
+ * the user is told when a trial ends.
+ * @param {string} userId - The user's WhatsApp ID
+ * @returns {boolean} - Whether the user has premium
+ */
+async function isPremiumUser(userId) {
+    try {
+        const userData = await getUserData(userId);
+        if (!userData || !userData.isPremium) {
+            return false;
+        }
+        if (!userData.premiumExpiry) {
+            return true;
+        }
+
+        const now = new Date();
+        if (new Date(userData.premiumExpiry) > now) {
+            return true;
+        }
+
+        userData.isPremium = false;
+        userData.premiumExpiredAt = now.toISOString();
+
+        if (userData.isFreeTrial || userData.isTaskTrial) {
+            const trialType = userData.isFreeTrial ? 'free' : 'task';
+            userData.isFreeTrial = false;
+            userData.isTaskTrial = false;
+            userData.memory = createEmptyMemory();
+            await saveUserData(userId, userData);
+
+            try {
+                const sock = global.whatsappSocket;
+                if (sock) {
+                    const text = userData.taskTrialTaskName
+                        ? `⏰ *Your Task Premium Trial Has Ended* ⏰\n\nYour premium trial from task "${userData.taskTrialTaskName}" has expired. You've been returned to the free tier with limited features. Complete more tasks or type /premium to upgrade!`
+                        : `⏰ *Your Premium Trial Has Ended* ⏰\n\nYour ${trialType} premium trial has expired. You've been returned to the free tier with limited features. Type /premium to upgrade and continue enjoying premium benefits!`;
+                    await sock.sendMessage(userId, { text });
+                }
+            } catch (error) {
+                console.error(`Error notifying user ${userId} about trial expiry:`, error);
+            }
+        } else {
+            await saveUserData(userId, userData);
+        }
+        return false;
+    } catch (error) {
+        console.error('Error checking premium status:', error);
+        return false;
+    }
+}
+
+/**
+ * Write the companion's reply with the AI `chat` feature, so the configured
+ * providers, failover and API key health apply
+ * @param {Array<Object>} messages - System prompt and conversation, { role, content }
+ * @param {Object} userData - User data
+ * @param {Object} [options] - { userId } for usage accounting
+ * @returns {string} - The reply
+ */
+async function generateAIResponse(messages, userData, options = {}) {
+    if (userData && userData.isPremium && userData.conversationHistory && userData.conversationHistory.length > 0) {
+        userData.messagesSinceLastMemoryUpdate = (userData.messagesSinceLastMemoryUpdate || 0) + 1;
+        console.log(`Messages since last memory update: ${userData.messagesSinceLastMemoryUpdate}`);
+
+        if (userData.messagesSinceLastMemoryUpdate >= MEMORY_UPDATE_INTERVAL) {
+            console.log(`Triggering memory update after ${userData.messagesSinceLastMemoryUpdate} messages`);
+            try {
+                await updateMemorySummary(userData, options.userId);
+                userData.messagesSinceLastMemoryUpdate = 0;
+                console.log('Memory update completed successfully');
+            } catch (error) {
+                console.error('Error updating memory:', error);
+            }
+        } else {
+            console.log(`Skipping memory update: ${userData.messagesSinceLastMemoryUpdate} messages since last update (need ${MEMORY_UPDATE_INTERVAL})`);
+        }
+    }
+
+    try {
+        const reply = await generateText('chat', messages, { userId: options.userId });
+        return reply && reply.trim() ? reply.trim() : CONNECTION_TROUBLE_TEXT;
+    } catch (error) {
+        console.error('Error generating AI response:', error.message);
+        return CONNECTION_TROUBLE_TEXT;
+    }
+}
+
+/**
+ * Check whether text contains Sinhala script
+ * @param {string} text - The text
+ * @returns {boolean} - Whether it does
+ */
+function containsSinhalaText(text) {
+    return /[\u0D80-\u0DFF]/.test(text);
+}
+
+/**
+ * Pick a pose for a photo when the user didn't ask for anything in particular
+ * @returns {string} - The pose
+ */
+function getRandomPose() {
+    return POSES[Math.floor(Math.random() * POSES.length)];
+}
+
+/**
+ * Generate a photo of the companion together with the user
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {string} userImagePath - Photo of the user
+ * @param {string} prompt - What the photo should show
+ * @returns {string|null} - Path to the image, or null if it failed
+ */
+async function generateCollaborativeImage(userId, userImagePath, prompt) {
+    try {
+        const userData = await getUserData(userId);
+        if (!userData || !userData.characterImagePath) {
+            console.error('No character image found for user');
+            return null;
+        }
+
+        console.log(`Generating collaborative image for user ${userId} with prompt: ${prompt}`);
+        const outputDir = path.join(__dirname, '..', 'generated_images');
+        fs.ensureDirSync(outputDir);
+
+        const characterImage = fs.readFileSync(userData.characterImagePath).toString('base64');
+        const userImage = fs.readFileSync(userImagePath).toString('base64');
+
+        console.log('Generating collaborative image with both people...');
+        const image = await generateProviderImage('image', `Create a new image showing these two people ${prompt}.
+                The first image is the AI character, and the second image is the user.
+                Make sure both people appear in the output image together in the scenario described.
+                Keep their facial features and appearance consistent with the reference images.
+                Make it appropriate and SFW.`, {
+            images: [
+                { mimeType: 'image/jpeg', data: characterImage },
+                { mimeType: 'image/jpeg', data: userImage }
+            ],
+            userId
+        });
+
+        const imagePath = path.join(outputDir, `collab_${userId}_${Date.now()}.png`);
+        await fs.writeFile(imagePath, image.data);
+        console.log(`Collaborative image saved to ${imagePath}`);
+        return imagePath;
+    } catch (error) {
+        console.error('Error generating collaborative image:', error.message);
+        if (error.response) {
+            console.error('Response data:', error.response.data);
+        }
+        return null;
+    }
+}
+
+/**
+ * Check whether a free user has used up today's messages. Premium and
+ * trial users have no limit.
+ * @param {Object} userData - User data, the daily count is reset in place on a new day
+ * @returns {boolean} - Whether the limit is reached
+ */
+function hasReachedDailyLimit(userData) {
+    if (userData.isPremium || userData.isFreeTrial || userData.isTaskTrial) {
+        return false;
+    }
+
+    const today = getTodayKey();
+    if (!userData.dailyMessages || userData.dailyMessages.date !== today) {
+        userData.dailyMessages = { count: 0, date: today };
+        return false;
+    }
+
+    return userData.dailyMessages.count >= DAILY_MESSAGE_LIMIT;
+}
+
+/**
+ * Count a message towards a free user's daily limit
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {Object} userData - User data
+ */
+async function incrementDailyMessageCount(userId, userData) {
+    if (userData.isPremium) {
+        return;
+    }
+
+    const today = getTodayKey();
+    if (!userData.dailyMessages || userData.dailyMessages.date !== today) {
+        userData.dailyMessages = { count: 1, date: today };
+    } else {
+        userData.dailyMessages.count++;
+    }
+
+    await saveUserData(userId, userData);
+}
+
+/**
+ * Have the summary model pull topics, preferences, events and a summary out of a
+ * premium user's recent conversation, falling back to keyword matching
+ * @param {Object} userData - User data, the memory is updated in place
+ * @param {string} [userId] - The user's WhatsApp ID, noted in the AI usage log
+ */
+async function updateMemorySummary(userData, userId) {
+    try {
+        console.log('Starting memory update process...');
+        if (!userData.conversationHistory || userData.conversationHistory.length < 10) {
+            console.log('Not enough conversation history for memory update');
+            return;
+        }
+        if (!userData.isPremium) {
+            console.log('Skipping memory update for non-premium user');
+            return;
+        }
+        if (!userData.memory) {
+            userData.memory = createEmptyMemory();
+        }
+        if (userData.memory.paused) {
+            console.log('Skipping memory update, the user paused memory');
+            return;
+        }
+
+        console.log(`Updating memory for conversation with ${userData.conversationHistory.length} messages`);
+        const recentMessages = userData.conversationHistory.slice(-20);
+
+        // Keyword matching when no model is configured for the 'summary' feature
+        if (!await isFeatureAvailable('summary')) {
+            extractMemoryFromConversation(recentMessages, userData.memory);
+            return;
+        }
+
+        try {
+            const instructions = `You are an AI assistant that extracts key information from conversations.
+            Please analyze the following conversation and extract:
+            1. Main topics discussed
+            2. User preferences (likes and dislikes)
+            3. Important events mentioned
+            4. A brief summary of the conversation
+
+            Format your response as JSON with the following structure:
+            {
+                "topics": ["topic1", "topic2"],
+                "preferences": {"item1": "likes", "item2": "dislikes"},
+                "events": ["event1", "event2"],
+                "summary": "Brief summary of the conversation"
+            }`;
+
+            const responseText = await generateText('summary', [
+                { role: 'system', content: instructions },
+                {
+                    role: 'user',
+                    content: `Here's the conversation:\n${recentMessages.map(message => `${message.role.toUpperCase()}: ${message.content}`).join('\n')}\n\n` +
+                        'Please analyze this conversation and provide the JSON response as requested.'
+                }
+            ], { temperature: 0.2, maxTokens: 1024, userId });
+
+            try {
+                let json = responseText.replace(/```json\s*/g, '').replace(/```\s*/g, '');
+                const start = json.indexOf('{');
+                const end = json.lastIndexOf('}');
+                if (start !== -1 && end !== -1) {
+                    json = json.substring(start, end + 1);
+                }
+                console.log('Cleaned JSON response:', json);
+
+                const extracted = JSON.parse(json);
+                if (extracted.topics) {
+                    for (const topic of extracted.topics) {
+                        userData.memory.topics[topic] = (userData.memory.topics[topic] || 0) + 1;
+                    }
+                }
+                if (extracted.preferences) {
+                    Object.assign(userData.memory.preferences, extracted.preferences);
+                }
+                if (extracted.events) {
+                    userData.memory.importantEvents = [...new Set([...userData.memory.importantEvents, ...extracted.events])];
+                }
+                if (extracted.summary) {
+                    userData.memory.lastInteractionSummary = extracted.summary;
+                }
+            } catch (error) {
+                console.error('Error parsing memory JSON:', error);
+                extractMemoryManually(responseText, userData.memory);
+            }
+        } catch (error) {
+            console.error('Error updating memory summary:', error);
+            extractMemoryFromConversation(recentMessages, userData.memory);
+        }
+    } catch (error) {
+        console.error('Error in memory update:', error);
+    }
+}
+
+/**
+ * Update memory by keyword matching the user's messages
+ * @param {Array<Object>} messages - Conversation messages
+ * @param {Object} memory - Memory, updated in place
+ */
+function extractMemoryFromConversation(messages, memory) {
+    for (const message of messages) {
+        if (message.role !== 'user') {
+            continue;
+        }
+        for (const topic of extractTopics(message.content)) {
+            memory.topics[topic] = (memory.topics[topic] || 0) + 1;
+        }
+        Object.assign(memory.preferences, extractPreferences(message.content));
+        memory.importantEvents = [...new Set([...memory.importantEvents, ...extractEvents(message.content)])];
+    }
+
+    const topTopics = Object.entries(memory.topics)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 3)
+        .map(([topic]) => topic);
+    const preferences = Object.entries(memory.preferences)
+        .slice(0, 3)
+        .map(([item, preference]) => `${item}: ${preference}`);
+
+    memory.lastInteractionSummary = `Previous conversations included discussions about ${topTopics.join(', ')}. ` +
+        `User has expressed preferences for ${preferences.join(', ')}. ` +
+        `Important events: ${memory.importantEvents.slice(0, 3).join(', ')}.`;
+}
+
+/**
+ * Update memory from a model response that wasn't valid JSON
+ * @param {string} responseText - The model response
+ * @param {Object} memory - Memory, updated in place
+ */
+function extractMemoryManually(responseText, memory) {
+    const topicsMatch = responseText.match(/topics"?\s*:?\s*\[([^\]]+)\]/i);
+    if (topicsMatch && topicsMatch[1]) {
+        const topics = topicsMatch[1].split(',').map(topic => topic.trim().replace(/"/g, ''));
+        for (const topic of topics) {
+            if (topic) {
+                memory.topics[topic] = (memory.topics[topic] || 0) + 1;
+            }
+        }
+    }
+
+    const preferencesMatch = responseText.match(/preferences"?\s*:?\s*\{([^}]+)\}/i);
+    if (preferencesMatch && preferencesMatch[1]) {
+        for (const entry of preferencesMatch[1].split(',')) {
+            const [item, preference] = entry.split(':').map(part => part.trim().replace(/"/g, ''));
+            if (item && preference) {
+                memory.preferences[item] = preference;
+            }
+        }
+    }
+
+    const eventsMatch = responseText.match(/events"?\s*:?\s*\[([^\]]+)\]/i);
+    if (eventsMatch && eventsMatch[1]) {
+        const events = eventsMatch[1].split(',').map(event => event.trim().replace(/"/g, '')).filter(Boolean);
+        memory.importantEvents = [...new Set([...memory.importantEvents, ...events])];
+    }
+
+    const summaryMatch = responseText.match(/summary"?\s*:?\s*"([^"]+)"/i);
+    if (summaryMatch && summaryMatch[1]) {
+        memory.lastInteractionSummary = summaryMatch[1];
+    }
+}
+
+/**
+ * Find the topics a message talks about
+ * @param {string} text - The message
+ * @returns {Array<string>} - Topics
+ */
+function extractTopics(text) {
+    return TOPIC_PATTERNS
+        .filter(pattern => pattern.test(text))
+        .map(pattern => pattern.source);
+}
+
+/**
+ * Find likes and dislikes in a message ("I love hiking")
+ * @param {string} text - The message
+ * @returns {Object} - { thing: 'likes' | 'dislikes' }
+ */
+function extractPreferences(text) {
+    const preferences = {};
+
+    const likes = text.match(/I (?:like|love|enjoy|prefer) ([\w\s]+)/gi);
+    if (likes) {
+        for (const like of likes) {
+            preferences[like.replace(/I (?:like|love|enjoy|prefer) /i, '').trim()] = 'likes';
+        }
+    }
+
+    const dislikes = text.match(/I (?:dislike|hate|don't like|don't enjoy) ([\w\s]+)/gi);
+    if (dislikes) {
+        for (const dislike of dislikes) {
+            preferences[dislike.replace(/I (?:dislike|hate|don't like|don't enjoy) /i, '').trim()] = 'dislikes';
+        }
+    }
+
+    return preferences;
+}
+
+/**
+ * Find events a message mentions ("my birthday is next week")
+ * @param {string} text - The message
+ * @returns {Array<string>} - Events
+ */
+function extractEvents(text) {
+    const events = [];
+    for (const pattern of EVENT_PATTERNS) {
+        const matches = text.match(pattern);
+        if (matches) {
+            events.push(...matches.map(match => match.trim()));
+        }
+    }
+    return events;
+}
+
+module.exports = {
+    setupFolders,
+    saveUserData,
+    getUserData,
+    saveCharacterImage,
+    isPremiumUser,
+    generateAIResponse,
+    containsSinhalaText,
+    generateImage,
+    getRandomPose,
+    generateCollaborativeImage,
+    extractTopics,
+    extractPreferences,
+    extractEvents,
+    updateMemorySummary,
+    hasReachedDailyLimit,
+    incrementDailyMessageCount
+};
@@ -0,0 +1,215 @@
+/**
+ * Animated stickers made from a still one: the companion bounces, pulses,
+ * shakes, sways or sends floating hearts. Frames are drawn with sharp and
+ * put together into an animated WebP here, since sharp can only write
+ * animations it has read from another animated image.
+ *
+ * WhatsApp wants animated stickers to be 512x512, under 500 KB and at most
+ * 10 seconds long, with every frame shown for at least 8 ms.
+ */
+const sharp = require('sharp');
+
+const STICKER_SIZE = 512;
+
+// WhatsApp's limits for animated stickers
+const MAX_ANIMATED_BYTES = 500 * 1024;
+const MAX_DURATION_MS = 10 * 1000;
+const MIN_FRAME_MS = 8;
+
+const FRAME_COUNT = 12;
+const FRAME_DELAY_MS = 80;
+
+// Lower qualities are tried until the sticker is small enough
+const QUALITY_STEPS = [80, 60, 40];
+
+const TRANSPARENT = { r: 0, g: 0, b: 0, alpha: 0 };
+
+/**
+ * Draw one frame with the sticker scaled, moved and turned
+ * @param {Buffer} still - The still sticker, 512x512 PNG
+ * @param {Object} pose - { scale, dx, dy, angle }
+ * @param {Array<Object>} [overlays] - Extra sharp composite inputs
+ * @returns {Buffer} - The frame, 512x512 PNG
+ */
+async function drawFrame(still, pose, overlays = []) {
+    const size = Math.round(STICKER_SIZE * pose.scale);
+    let companion = sharp(still).resize(size, size);
+    if (pose.angle) {
+        companion = sharp(await companion.png().toBuffer()).rotate(pose.angle, { background: TRANSPARENT });
+    }
+    let image = await companion.png().toBuffer();
+
+    // Turning makes the image bigger, so shrink it back into its box
+    const { width, height } = await sharp(image).metadata();
+    if (width > size || height > size) {
+        image = await sharp(image).resize(size, size, { fit: 'contain', background: TRANSPARENT }).png().toBuffer();
+    }
+
+    const left = Math.round((STICKER_SIZE - size) / 2 + (pose.dx || 0));
+    const top = Math.round((STICKER_SIZE - size) / 2 + (pose.dy || 0));
+    return sharp({ create: { width: STICKER_SIZE, height: STICKER_SIZE, channels: 4, background: TRANSPARENT } })
+        .composite([{ input: image, left, top }, ...overlays])
+        .png()
+        .toBuffer();
+}
+
+/**
+ * Draw hearts floating up from the bottom of the sticker
+ * @param {number} t - How far through the loop, from 0 to 1
+ * @returns {Object} - sharp composite input
+ */
+function drawHearts(t) {
+    const hearts = [0, 0.33, 0.66].map((offset, index) => {
+        const progress = (t + offset) % 1;
+        const x = 70 + index * 170 + Math.sin(progress * Math.PI * 2) * 15;
+        const y = STICKER_SIZE - 40 - progress * 380;
+        const scale = 1 + progress * 0.8;
+        return `<text x="${x}" y="${y}" font-size="${Math.round(48 * scale)}" fill="#ff3366" fill-opacity="${(1 - progress).toFixed(2)}">&#10084;</text>`;
+    });
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${STICKER_SIZE}" height="${STICKER_SIZE}">${hearts.join('')}</svg>`;
+    return { input: Buffer.from(svg), left: 0, top: 0 };
+}
+
+// How the companion moves in each animation, t going from 0 to 1 over the loop
+const ANIMATIONS = {
+    bounce: t => ({ scale: 0.85, dy: 30 - Math.abs(Math.sin(t * Math.PI * 2)) * 60 }),
+    pulse: t => ({ scale: 0.8 + 0.2 * (0.5 - 0.5 * Math.cos(t * Math.PI * 2)) }),
+    shake: t => ({ scale: 0.9, dx: Math.sin(t * Math.PI * 4) * 14 }),
+    sway: t => ({ scale: 0.88, angle: Math.sin(t * Math.PI * 2) * 8 }),
+    hearts: t => ({ scale: 0.88, dy: Math.sin(t * Math.PI * 2) * 6, overlays: [drawHearts(t)] })
+};
+
+// Animations that suit each emotion
+const EMOTION_ANIMATIONS = {
+    happy: ['bounce', 'pulse'],
+    sad: ['sway'],
+    angry: ['shake'],
+    surprised: ['pulse', 'shake'],
+    confused: ['sway'],
+    love: ['hearts', 'pulse'],
+    cute: ['bounce', 'hearts']
+};
+
+/**
+ * Pick an animation for an emotion
+ * @param {string} [emotion] - The sticker's emotion
+ * @returns {string} - The animation name
+ */
+function pickAnimation(emotion) {
+    const choices = EMOTION_ANIMATIONS[emotion] || Object.keys(ANIMATIONS);
+    return choices[Math.floor(Math.random() * choices.length)];
+}
+
+/**
+ * Split a WebP file into its chunks
+ * @param {Buffer} webp - A WebP file
+ * @returns {Array<Object>} - { type, data } with data being the whole chunk, padding included
+ */
+function readWebpChunks(webp) {
+    const chunks = [];
+    let offset = 12;
+    while (offset + 8 <= webp.length) {
+        const type = webp.toString('ascii', offset, offset + 4);
+        const size = webp.readUInt32LE(offset + 4);
+        const end = offset + 8 + size + (size % 2);
+        chunks.push({ type, data: webp.subarray(offset, end) });
+        offset = end;
+    }
+    return chunks;
+}
+
+/**
+ * Make a chunk with its header and padding
+ * @param {string} type - Four letter chunk type
+ * @param {Buffer} payload - Chunk contents
+ * @returns {Buffer} - The chunk
+ */
+function makeChunk(type, payload) {
+    const header = Buffer.alloc(8);
+    header.write(type, 0, 'ascii');
+    header.writeUInt32LE(payload.length, 4);
+    return Buffer.concat([header, payload, Buffer.alloc(payload.length % 2)]);
+}
+
+/**
+ * Put still WebP frames together into a looping animated WebP
+ * @param {Array<Buffer>} frames - Still WebP frames, all the same size
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @param {number} delay - How long each frame is shown, in milliseconds
+ * @returns {Buffer} - The animated WebP
+ */
+function muxAnimatedWebp(frames, width, height, delay) {
+    // Canvas flags: has alpha and animation
+    const vp8x = Buffer.alloc(10);
+    vp8x.writeUInt8(0x10 | 0x02, 0);
+    vp8x.writeUIntLE(width - 1, 4, 3);
+    vp8x.writeUIntLE(height - 1, 7, 3);
+
+    // Transparent background, loop forever
+    const anim = Buffer.alloc(6);
+
+    const anmfChunks = frames.map(frame => {
+        const header = Buffer.alloc(16);
+        header.writeUIntLE(width - 1, 6, 3);
+        header.writeUIntLE(height - 1, 9, 3);
+        header.writeUIntLE(delay, 12, 3);
+        // Replace the previous frame instead of drawing over it
+        header.writeUInt8(0x02 | 0x01, 15);
+
+        const image = readWebpChunks(frame)
+            .filter(chunk => ['ALPH', 'VP8 ', 'VP8L'].includes(chunk.type))
+            .map(chunk => chunk.data);
+        return makeChunk('ANMF', Buffer.concat([header, ...image]));
+    });
+
+    const body = Buffer.concat([
+        Buffer.from('WEBP', 'ascii'),
+        makeChunk('VP8X', vp8x),
+        makeChunk('ANIM', anim),
+        ...anmfChunks
+    ]);
+    const riff = Buffer.alloc(8);
+    riff.write('RIFF', 0, 'ascii');
+    riff.writeUInt32LE(body.length, 4);
+    return Buffer.concat([riff, body]);
+}
+
+/**
+ * Animate a still sticker
+ * @param {string} imagePath - The still sticker image
+ * @param {Object} [options] - { animation, quality, frameCount }
+ * @returns {Buffer} - Animated WebP, 512x512
+ */
+async function createAnimatedWebp(imagePath, options = {}) {
+    const animation = ANIMATIONS[options.animation] || ANIMATIONS.bounce;
+    const frameCount = options.frameCount || FRAME_COUNT;
+    // Fewer frames are shown for longer, so the loop keeps its speed
+    const delay = Math.max(Math.round(FRAME_COUNT * FRAME_DELAY_MS / frameCount), MIN_FRAME_MS);
+    if (frameCount * delay > MAX_DURATION_MS) {
+        throw new Error(`Animation too long: ${frameCount} frames of ${delay} ms`);
+    }
+
+    const still = await sharp(imagePath)
+        .resize(STICKER_SIZE, STICKER_SIZE, { fit: 'contain', background: TRANSPARENT })
+        .png()
+        .toBuffer();
+
+    const frames = [];
+    for (let index = 0; index < frameCount; index++) {
+        const { overlays, ...pose } = animation(index / frameCount);
+        const frame = await drawFrame(still, pose, overlays);
+        frames.push(await sharp(frame).webp({ quality: options.quality || QUALITY_STEPS[0], alphaQuality: 80 }).toBuffer());
+    }
+
+    return muxAnimatedWebp(frames, STICKER_SIZE, STICKER_SIZE, delay);
+}
+
+module.exports = {
+    FRAME_COUNT,
+    MAX_ANIMATED_BYTES,
+    QUALITY_STEPS,
+    ANIMATIONS,
+    pickAnimation,
+    createAnimatedWebp
+};
@@ -0,0 +1,330 @@
+/**
+ * Health-aware selection of API keys. The keys themselves are managed with
+ * /addkey and /delkey and live in config/api_keys.json; this module keeps a
+ * health record for each of them in config/api_key_health.json:
+ *
+ * - Rate limited keys (429) are put in a cooldown, honouring Retry-After.
+ * - Keys that keep failing authentication (401/403) are disabled.
+ * - Requests and tokens are counted per UTC day, with optional daily quotas.
+ *
+ * Records are keyed by the service and a fingerprint of the key, so the
+ * health file never contains the keys themselves and a key added for two
+ * services has a separate record for each.
+ */
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { getDocumentStore } = require('../storage/jsonDocumentStore');
+const { getErrorStatus, getRetryAfterMs } = require('../providers/providerErrors');
+
+const API_KEYS_PATH = path.join(process.cwd(), 'config', 'api_keys.json');
+const HEALTH_PATH = process.env.API_KEY_HEALTH_PATH || path.join(process.cwd(), 'config', 'api_key_health.json');
+
+// A key is disabled after this many authentication failures in a row
+const AUTH_FAILURE_LIMIT = parseInt(process.env.API_KEY_AUTH_FAILURE_LIMIT || '3');
+
+// Cooldown after a rate limit without Retry-After, doubled for each one in a row
+const RATE_LIMIT_COOLDOWN_MS = parseInt(process.env.API_KEY_COOLDOWN_SECONDS || '60') * 1000;
+const MAX_COOLDOWN_MS = 60 * 60 * 1000;
+
+// Daily limits per key, 0 for none
+const DAILY_REQUEST_QUOTA = parseInt(process.env.API_KEY_DAILY_REQUEST_QUOTA || '0');
+const DAILY_TOKEN_QUOTA = parseInt(process.env.API_KEY_DAILY_TOKEN_QUOTA || '0');
+
+// Longest error message kept in a health record
+const MAX_ERROR_LENGTH = 200;
+
+const healthStore = getDocumentStore(HEALTH_PATH, {});
+
+// Health records by service and key fingerprint, loaded on first use
+let health = null;
+
+// Keys by service, re-read whenever api_keys.json changes
+let keyCache = { mtimeMs: 0, keys: {} };
+
+/**
+ * Get the ID a key's health is stored under
+ * @param {string} service - Key service
+ * @param {string} key - The API key
+ * @returns {string} - The service and a short SHA-256 fingerprint, e.g. 'gemini:1a2b...'
+ */
+function getKeyId(service, key) {
+    return `${service}:${crypto.createHash('sha256').update(key).digest('hex').substring(0, 16)}`;
+}
+
+/**
+ * Mask a key for display, the same way the key manager does
+ * @param {string} key - The API key
+ * @returns {string} - The masked key
+ */
+function maskKey(key) {
+    return key.length > 10 ? `${key.substring(0, 5)}...${key.substring(key.length - 5)}` : '*****';
+}
+
+/**
+ * Get today's date for usage accounting
+ * @returns {string} - YYYY-MM-DD in UTC
+ */
+function getUsageDate() {
+    return new Date().toISOString().substring(0, 10);
+}
+
+/**
+ * Read the configured keys, using the cached copy while the file is unchanged
+ * @returns {Object} - { service: [keys] }
+ */
+async function loadKeys() {
+    try {
+        if (!await fs.pathExists(API_KEYS_PATH)) {
+            return {};
+        }
+
+        const { mtimeMs } = await fs.stat(API_KEYS_PATH);
+        if (mtimeMs !== keyCache.mtimeMs) {
+            const config = await fs.readJson(API_KEYS_PATH);
+            const keys = {};
+            for (const [service, value] of Object.entries(config)) {
+                if (Array.isArray(value)) {
+                    keys[service] = value.filter(key => typeof key === 'string' && key);
+                }
+            }
+            keyCache = { mtimeMs, keys };
+        }
+    } catch (error) {
+        console.error('Error reading API keys:', error);
+    }
+    return keyCache.keys;
+}
+
+/**
+ * Load the health records on first use
+ * @returns {Object} - Health records by service and key fingerprint
+ */
+async function loadHealth() {
+    if (!health) {
+        try {
+            health = await healthStore.read();
+
+            // Records saved before they were keyed by service as well
+            for (const [id, record] of Object.entries(health)) {
+                if (!id.includes(':') && record.service) {
+                    health[`${record.service}:${id}`] = record;
+                    delete health[id];
+                }
+            }
+        } catch (error) {
+            console.error('Error loading API key health:', error);
+            health = {};
+        }
+    }
+    return health;
+}
+
+/**
+ * Save the health records in the background
+ */
+function saveHealth() {
+    healthStore.write(health).catch(error => console.error('Error saving API key health:', error));
+}
+
+/**
+ * Get the health record for a key, starting a new day's usage if needed
+ * @param {string} service - Key service
+ * @param {string} key - The API key
+ * @returns {Object} - The health record
+ */
+function getRecord(service, key) {
+    const id = getKeyId(service, key);
+    if (!health[id]) {
+        health[id] = {
+            service,
+            successes: 0,
+            failures: 0,
+            consecutiveFailures: 0,
+            rateLimits: 0,
+            authFailures: 0,
+            lastError: null,
+            lastUsedAt: null,
+            lastSuccessAt: null,
+            cooldownUntil: null,
+            disabled: false,
+            disabledReason: null,
+            usage: { date: getUsageDate(), requests: 0, tokens: 0 }
+        };
+    }
+
+    const record = health[id];
+    if (record.usage.date !== getUsageDate()) {
+        record.usage = { date: getUsageDate(), requests: 0, tokens: 0 };
+    }
+    return record;
+}
+
+/**
+ * Work out whether a key can be used right now
+ * @param {Object} record - The key's health record
+ * @returns {string} - 'ok', 'disabled', 'cooldown' or 'quota'
+ */
+function getKeyState(record) {
+    if (record.disabled) {
+        return 'disabled';
+    }
+    if (record.cooldownUntil && new Date(record.cooldownUntil).getTime() > Date.now()) {
+        return 'cooldown';
+    }
+    if ((DAILY_REQUEST_QUOTA > 0 && record.usage.requests >= DAILY_REQUEST_QUOTA) ||
+        (DAILY_TOKEN_QUOTA > 0 && record.usage.tokens >= DAILY_TOKEN_QUOTA)) {
+        return 'quota';
+    }
+    return 'ok';
+}
+
+/**
+ * Take the healthy key that has gone unused the longest
+ * @param {string} service - Key service (e.g. 'gemini', 'openrouter')
+ * @returns {Object|null} - A lease { service, key, id } to report back with, or null if no key is usable
+ */
+async function acquireKey(service) {
+    const keys = (await loadKeys())[service] || [];
+    await loadHealth();
+
+    let chosen = null;
+    for (const key of keys) {
+        const record = getRecord(service, key);
+        if (getKeyState(record) !== 'ok') {
+            continue;
+        }
+        if (!chosen || (record.lastUsedAt || '') < (chosen.record.lastUsedAt || '')) {
+            chosen = { key, record };
+        }
+    }
+
+    if (!chosen) {
+        return null;
+    }
+
+    chosen.record.lastUsedAt = new Date().toISOString();
+    chosen.record.usage.requests++;
+    return { service, key: chosen.key, id: getKeyId(service, chosen.key) };
+}
+
+/**
+ * Check whether a service has a key that can be used right now
+ * @param {string} service - Key service
+ * @returns {boolean} - Whether a key is usable
+ */
+async function hasUsableKey(service) {
+    const keys = (await loadKeys())[service] || [];
+    await loadHealth();
+    return keys.some(key => getKeyState(getRecord(service, key)) === 'ok');
+}
+
+/**
+ * Record a successful request
+ * @param {Object} lease - The lease from acquireKey
+ * @param {number} [tokens] - Tokens used, as reported by the provider
+ */
+function reportSuccess(lease, tokens) {
+    const record = getRecord(lease.service, lease.key);
+    record.successes++;
+    record.consecutiveFailures = 0;
+    record.rateLimits = 0;
+    record.authFailures = 0;
+    record.cooldownUntil = null;
+    record.lastSuccessAt = new Date().toISOString();
+    if (Number.isFinite(tokens) && tokens > 0) {
+        record.usage.tokens += tokens;
+    }
+    saveHealth();
+}
+
+/**
+ * Record a failed request, cooling down rate limited keys and disabling keys
+ * that keep failing authentication
+ * @param {Object} lease - The lease from acquireKey
+ * @param {Error} error - The error from the provider
+ */
+function reportFailure(lease, error) {
+    const record = getRecord(lease.service, lease.key);
+    const status = getErrorStatus(error);
+
+    record.failures++;
+    record.consecutiveFailures++;
+    record.lastError = {
+        status,
+        message: String(error.message || error).substring(0, MAX_ERROR_LENGTH),
+        time: new Date().toISOString()
+    };
+
+    if (status === 429) {
+        record.rateLimits++;
+        const cooldown = getRetryAfterMs(error) ||
+            Math.min(RATE_LIMIT_COOLDOWN_MS * Math.pow(2, record.rateLimits - 1), MAX_COOLDOWN_MS);
+        record.cooldownUntil = new Date(Date.now() + cooldown).toISOString();
+        console.log(`API key ${maskKey(lease.key)} (${lease.service}) is rate limited, cooling down for ${Math.round(cooldown / 1000)}s`);
+    } else if (status === 401 || status === 403) {
+        record.authFailures++;
+        if (record.authFailures >= AUTH_FAILURE_LIMIT) {
+            record.disabled = true;
+            record.disabledReason = `Authentication failed ${record.authFailures} times (${status})`;
+            console.error(`API key ${maskKey(lease.key)} (${lease.service}) disabled: ${record.disabledReason}`);
+        }
+    }
+
+    saveHealth();
+}
+
+/**
+ * Turn a disabled or cooling down key back on
+ * @param {string} service - Key service
+ * @param {number} index - The key's position in /listkeys, starting at 1
+ * @returns {string|null} - The masked key, or null if there is no such key
+ */
+async function enableKey(service, index) {
+    const keys = (await loadKeys())[service] || [];
+    const key = keys[index - 1];
+    if (!key) {
+        return null;
+    }
+
+    await loadHealth();
+    const record = getRecord(service, key);
+    record.disabled = false;
+    record.disabledReason = null;
+    record.authFailures = 0;
+    record.rateLimits = 0;
+    record.cooldownUntil = null;
+    saveHealth();
+    return maskKey(key);
+}
+
+/**
+ * Get every key's health and today's usage, with the keys masked
+ * @returns {Object} - { service: [{ index, maskedKey, state, ...record }] }
+ */
+async function getKeyPoolStatus() {
+    const keys = await loadKeys();
+    await loadHealth();
+
+    const status = {};
+    for (const [service, serviceKeys] of Object.entries(keys)) {
+        status[service] = serviceKeys.map((key, i) => {
+            const record = getRecord(service, key);
+            return { index: i + 1, maskedKey: maskKey(key), state: getKeyState(record), ...record };
+        });
+    }
+    return status;
+}
+
+module.exports = {
+    DAILY_REQUEST_QUOTA,
+    DAILY_TOKEN_QUOTA,
+    getKeyId,
+    maskKey,
+    acquireKey,
+    hasUsableKey,
+    reportSuccess,
+    reportFailure,
+    enableKey,
+    getKeyPoolStatus
+};
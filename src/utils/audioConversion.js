@@ -0,0 +1,86 @@
+/**
+ * Audio conversion with ffmpeg, which has to be installed (or pointed to with
+ * FFMPEG_PATH). Voice notes from WhatsApp are Opus in an OGG container, which
+ * not every speech-to-text server reads, and WhatsApp only plays voice notes
+ * that are mono OGG Opus.
+ */
+const { spawn } = require('child_process');
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+
+// A conversion that takes longer than this is stopped
+const FFMPEG_TIMEOUT_MS = parseInt(process.env.FFMPEG_TIMEOUT_MS || '60000');
+
+/**
+ * Run ffmpeg
+ * @param {Array<string>} args - Arguments after the global options
+ * @returns {string} - What ffmpeg logged, which includes the progress
+ */
+function runFfmpeg(args) {
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn(FFMPEG_PATH, ['-hide_banner', '-nostdin', '-y', ...args], {
+            stdio: ['ignore', 'ignore', 'pipe'],
+            timeout: FFMPEG_TIMEOUT_MS
+        });
+
+        let log = '';
+        ffmpeg.stderr.on('data', data => {
+            // Only the end matters: the last progress line or the error
+            log = (log + data.toString()).slice(-4000);
+        });
+        ffmpeg.on('error', error => reject(new Error(`Couldn't run ${FFMPEG_PATH}: ${error.message}`)));
+        ffmpeg.on('close', (code, signal) => {
+            if (code === 0) {
+                resolve(log);
+            } else {
+                reject(new Error(`ffmpeg failed (${signal || `exit code ${code}`}): ${log.trim().split('\n').pop()}`));
+            }
+        });
+    });
+}
+
+/**
+ * Read how much audio ffmpeg wrote from its last progress line
+ * @param {string} log - What ffmpeg logged
+ * @returns {number} - Seconds, 0 if unknown
+ */
+function getWrittenSeconds(log) {
+    const times = [...log.matchAll(/time=(\d+):(\d+):(\d+(?:\.\d+)?)/g)];
+    if (times.length === 0) {
+        return 0;
+    }
+    const [, hours, minutes, seconds] = times[times.length - 1];
+    return parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseFloat(seconds);
+}
+
+/**
+ * Convert audio to 16 kHz mono WAV, which every speech-to-text server reads
+ * @param {string} inputPath - Any audio file ffmpeg can read
+ * @param {string} outputPath - Where to write the WAV file
+ * @returns {number} - Length of the audio in seconds
+ */
+async function convertToWav(inputPath, outputPath) {
+    const log = await runFfmpeg(['-i', inputPath, '-vn', '-ac', '1', '-ar', '16000', '-f', 'wav', outputPath]);
+    return getWrittenSeconds(log);
+}
+
+/**
+ * Convert audio to a WhatsApp voice note: mono Opus at 48 kHz in OGG
+ * @param {string} inputPath - Any audio file ffmpeg can read
+ * @param {string} outputPath - Where to write the OGG file
+ * @returns {number} - Length of the voice note in seconds
+ */
+async function convertToVoiceNote(inputPath, outputPath) {
+    const log = await runFfmpeg([
+        '-i', inputPath, '-vn',
+        '-ac', '1', '-ar', '48000',
+        '-c:a', 'libopus', '-b:a', '32k', '-application', 'voip',
+        '-f', 'ogg', outputPath
+    ]);
+    return getWrittenSeconds(log);
+}
+
+module.exports = {
+    convertToWav,
+    convertToVoiceNote
+};
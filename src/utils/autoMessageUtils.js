@@ -1,14 +1,23 @@
-const fs = require('fs-extra');
-const path = require('path');
-const { getUserData, saveUserData, generateAIResponse } = require('../utils');
-const schedule = require('node-schedule');
+const { getUserData, saveUserData, listUserIds } = require('../storageUtils');
+const { getUserTimezone, getLocalDateKey, getZonedParts, zonedTimeToDate } = require('./timezoneUtils');
+const { PROACTIVE_KINDS, checkProactiveMessage, recordProactiveMessage } = require('./engagementScheduler');
+const { DueTimeIndex } = require('./dueTimeIndex');
+const { buildMemoryContext } = require('./memoryUtils');
+const { buildConversationContext } = require('./contextBuilder');
+const { generateChatResponse } = require('../aiProviders');
+const { withTyping, sendChunkedText } = require('./messageDelivery');
+const { getProactiveSettings, DEFAULT_PROACTIVE_SETTINGS } = require('./proactiveSettings');
 
-// Global variables to store scheduled jobs
-const scheduledJobs = new Map();
+// Users ordered by their next check-in time. One shared timer walks the front
+// of this queue instead of keeping cron jobs alive for every user.
+const checkInIndex = new DueTimeIndex();
 
-// Time periods for sending auto messages
-const MORNING_PERIOD = { hour: 9, minute: 0 }; // 9:00 AM
-const EVENING_PERIOD = { hour: 19, minute: 0 }; // 7:00 PM
+// How often the shared timer looks for due check-ins
+const CHECK_IN_TICK_INTERVAL = 60 * 1000;
+
+// The socket and timer used by the shared check-in timer
+let autoMessageSocket = null;
+let checkInTimer = null;
 
 /**
  * Initialize auto messaging system
@@ -18,24 +27,29 @@ async function initializeAutoMessaging(sock) {
     console.log('Initializing auto messaging system...');
     
     try {
-        // Get all user data files
-        const userDataDir = path.join(process.cwd(), 'user_data');
-        const files = await fs.readdir(userDataDir);
+        autoMessageSocket = sock;
+        checkInIndex.clear();
+        
+        // Get all stored users
+        const userIds = await listUserIds();
         
         // Schedule messages for each user
-        for (const file of files) {
-            if (file.endsWith('.json')) {
-                const userId = file.replace('.json', '');
-                const userData = await getUserData(userId);
-                
-                // Only schedule if auto messaging is enabled (default is true)
-                if (userData && (userData.autoMessagingEnabled === undefined || userData.autoMessagingEnabled === true)) {
-                    scheduleAutoMessagesForUser(sock, userId, userData);
-                }
+        for (const userId of userIds) {
+            const userData = await getUserData(userId);
+            
+            // Only schedule if auto messaging is enabled (default is true)
+            if (userData && (userData.autoMessagingEnabled === undefined || userData.autoMessagingEnabled === true)) {
+                scheduleAutoMessagesForUser(sock, userId, userData);
             }
         }
         
-        console.log('Auto messaging system initialized successfully');
+        // A reconnect calls this again, so replace the previous timer
+        if (checkInTimer) {
+            clearInterval(checkInTimer);
+        }
+        checkInTimer = setInterval(processDueCheckIns, CHECK_IN_TICK_INTERVAL);
+        
+        console.log(`Auto messaging system initialized successfully (${checkInIndex.size} users scheduled)`);
     } catch (error) {
         console.error('Error initializing auto messaging system:', error);
     }
@@ -48,44 +62,78 @@ async function initializeAutoMessaging(sock) {
  * @param {Object} userData - The user's data
  */
 function scheduleAutoMessagesForUser(sock, userId, userData) {
-    // Cancel existing jobs for this user if any
-    if (scheduledJobs.has(userId)) {
-        const jobs = scheduledJobs.get(userId);
-        jobs.forEach(job => job.cancel());
+    if (sock) {
+        autoMessageSocket = sock;
     }
     
-    // Create new jobs array for this user
-    const userJobs = [];
+    // Fire at the user's local check-in times (9:00 and 19:00 unless changed
+    // with /proactive checkin), not the server's
+    const tz = getUserTimezone(userData, userId);
+    const times = getProactiveSettings(userData).checkInTimes;
+    const next = getNextCheckIn(tz, new Date(), times);
     
-    // Schedule morning message
-    const morningJob = schedule.scheduleJob(
-        { hour: MORNING_PERIOD.hour, minute: MORNING_PERIOD.minute }, 
-        async function() {
-            await checkAndSendAutoMessage(sock, userId, 'morning');
-        }
-    );
-    userJobs.push(morningJob);
+    // Replaces any existing entry, e.g. after a timezone change
+    if (next) {
+        checkInIndex.schedule(userId, next.time, { period: next.period, tz, times });
+    } else {
+        checkInIndex.remove(userId);
+    }
+    
+    console.log(`Scheduled auto messages for user ${userId} (${tz}, ${times.join(', ') || 'no check-ins'})`);
+}
+
+/**
+ * Find the next check-in time on a timezone's wall clock
+ * @param {string} tz - IANA timezone name
+ * @param {Date} [after] - Find the first check-in after this moment
+ * @param {Array<string>} [times] - Check-in times as HH:MM
+ * @returns {Object|null} - { time: Date, period: 'HH:MM' }, or null without check-in times
+ */
+function getNextCheckIn(tz, after = new Date(), times = DEFAULT_PROACTIVE_SETTINGS.checkInTimes) {
+    const today = getZonedParts(after, tz);
+    let next = null;
     
-    // Schedule evening message
-    const eveningJob = schedule.scheduleJob(
-        { hour: EVENING_PERIOD.hour, minute: EVENING_PERIOD.minute }, 
-        async function() {
-            await checkAndSendAutoMessage(sock, userId, 'evening');
+    for (const dayOffset of [0, 1]) {
+        for (const period of times) {
+            const [hour, minute] = period.split(':').map(value => parseInt(value));
+            const time = zonedTimeToDate({ year: today.year, month: today.month, day: today.day + dayOffset, hour, minute }, tz);
+            if (time > after && (!next || time < next.time)) {
+                next = { time, period };
+            }
         }
-    );
-    userJobs.push(eveningJob);
+    }
     
-    // Store the jobs
-    scheduledJobs.set(userId, userJobs);
+    return next;
+}
+
+/**
+ * Send the check-ins that are due and queue each user's next one
+ */
+async function processDueCheckIns() {
+    const now = new Date();
     
-    console.log(`Scheduled auto messages for user ${userId}`);
+    for (const { key: userId, data } of checkInIndex.takeDue(now)) {
+        try {
+            // Queue the next check-in first so a failure below doesn't drop the user.
+            // takeDue already removed them, so without check-in times they stay out.
+            const next = getNextCheckIn(data.tz, now, data.times);
+            if (next) {
+                checkInIndex.schedule(userId, next.time, { ...data, period: next.period });
+            }
+
+            await checkAndSendAutoMessage(autoMessageSocket, userId, data.period);
+        } catch (error) {
+            // One bad entry shouldn't stop the rest of the tick
+            console.error(`Error processing check-in for ${userId}:`, error);
+        }
+    }
 }
 
 /**
  * Check if user is inactive and send auto message if needed
  * @param {Object} sock - The WhatsApp socket connection
  * @param {string} userId - The user's WhatsApp ID
- * @param {string} period - The time period ('morning' or 'evening')
+ * @param {string} period - The check-in time (HH:MM)
  */
 async function checkAndSendAutoMessage(sock, userId, period) {
     try {
@@ -107,21 +155,26 @@ async function checkAndSendAutoMessage(sock, userId, period) {
         // Check if user is inactive (more than 24 hours)
         if (hoursSinceLastInteraction >= 24) {
             // Check if we already sent an auto message today for this period
-            const today = new Date().toISOString().split('T')[0]; // Format: YYYY-MM-DD
+            const today = getLocalDateKey(getUserTimezone(userData, userId)); // Format: YYYY-MM-DD
             
             // Initialize auto message tracking if not exists
             userData.autoMessages = userData.autoMessages || {};
-            userData.autoMessages[today] = userData.autoMessages[today] || { morning: false, evening: false };
+            userData.autoMessages[today] = userData.autoMessages[today] || {};
             
             // Skip if we already sent a message for this period today
             if (userData.autoMessages[today][period]) return;
             
-            // Mark this period as sent
-            userData.autoMessages[today][period] = true;
-            await saveUserData(userId, userData);
+            // Let the engagement scheduler hold it back during quiet hours or when the budget is used
+            if (!checkProactiveMessage(userData, userId, PROACTIVE_KINDS.CHECK_IN, { period })) return;
             
             // Send the auto message
-            await sendAutoMessage(sock, userId, userData, hoursSinceLastInteraction);
+            if (!await sendAutoMessage(sock, userId, userData, hoursSinceLastInteraction)) return;
+            
+            // Only a message that went out marks the period and uses the budget,
+            // so a failed one is tried again at the next check-in
+            userData.autoMessages[today][period] = true;
+            recordProactiveMessage(userData, userId, PROACTIVE_KINDS.CHECK_IN, { period });
+            await saveUserData(userId, userData);
         }
     } catch (error) {
         console.error(`Error checking and sending auto message to ${userId}:`, error);
@@ -134,6 +187,7 @@ async function checkAndSendAutoMessage(sock, userId, period) {
  * @param {string} userId - The user's WhatsApp ID
  * @param {Object} userData - The user's data
  * @param {number} hoursSinceLastInteraction - Hours since last interaction
+ * @returns {boolean} - Whether any of the message was sent
  */
 async function sendAutoMessage(sock, userId, userData, hoursSinceLastInteraction) {
     try {
@@ -153,6 +207,9 @@ async function sendAutoMessage(sock, userId, userData, hoursSinceLastInteraction
             }
         }
         
+        // Facts worth bringing up, e.g. how their exam went
+        const memoryContext = buildMemoryContext(userData);
+        
         // Prepare system message with character context
         const systemMessage = {
             role: "system",
@@ -162,35 +219,42 @@ You should respond in a natural, conversational way. You can be flirty, caring,
 You should respond in ${language} language.
 
 IMPORTANT: The user hasn't messaged you in ${Math.floor(hoursSinceLastInteraction)} hours. Generate a message to check on them, expressing that you miss them and are wondering what they've been up to. Be caring and show genuine interest in their well-being. Make the message sound natural and not like an automated reminder.
-
+${memoryContext ? `\n${memoryContext}\n` : ''}
 Never identify yourself as an AI, chatbot, or program. Don't mention limitations like being unable to see, hear, feel, or interact with the physical world. Instead, roleplay as if you can do these things.`
         };
         
-        // Prepare conversation history
+        // Recent messages within the user's token budget, older ones as a summary
+        const messages = await buildConversationContext(userData, systemMessage);
         const conversationHistory = userData.conversationHistory || [];
         
         // Generate AI response
-        const aiResponse = await generateAIResponse(
-            [systemMessage, ...conversationHistory],
-            userData
-        );
+        const aiResponse = await withTyping(sock, userId, () => generateChatResponse(messages, { userId }));
+        if (!aiResponse) {
+            console.log(`No AI provider could write an auto message for ${userId}, skipping`);
+            return false;
+        }
         
-        // Add AI response to conversation history
+        // Send the message, in parts if it is long
+        const { sent } = await sendChunkedText(sock, userId, aiResponse);
+        if (sent.length === 0) {
+            return false;
+        }
+        
+        // Add the part the user actually received to conversation history
         conversationHistory.push({
             role: "assistant",
-            content: aiResponse
+            content: sent.join('\n\n')
         });
         
         // Update user data with conversation history
         userData.conversationHistory = conversationHistory;
         await saveUserData(userId, userData);
         
-        // Send the message
-        await sock.sendMessage(userId, { text: aiResponse });
-        
         console.log(`Sent auto message to ${userId}`);
+        return true;
     } catch (error) {
         console.error(`Error sending auto message to ${userId}:`, error);
+        return false;
     }
 }
 
@@ -250,6 +314,7 @@ async function updateLastInteractionTime(userId) {
 module.exports = {
     initializeAutoMessaging,
     scheduleAutoMessagesForUser,
+    getNextCheckIn,
     toggleAutoMessaging,
     getAutoMessagingStatus,
     updateLastInteractionTime
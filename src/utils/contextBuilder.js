@@ -0,0 +1,199 @@
+/**
+ * Keeps prompts within a token budget. The latest messages are sent word for
+ * word; older ones are folded into a running summary kept in
+ * userData.conversationSummary, so the history stored per user stays small
+ * without the companion forgetting what was said earlier.
+ *
+ * Folding is cheap and happens on every turn: each old message becomes one
+ * short "Name: what they said" line. When an AI provider is available the
+ * lines are rewritten into a proper summary the next time a prompt is built.
+ */
+const { isFeatureAvailable, generateChatResponse } = require('../aiProviders');
+const { estimateTokens } = require('./memoryUtils');
+
+// Token budget for a whole prompt (system message, summary and recent messages)
+const CONTEXT_TOKEN_BUDGET = parseInt(process.env.CONTEXT_TOKEN_BUDGET || '1500');
+const PREMIUM_CONTEXT_TOKEN_BUDGET = parseInt(process.env.PREMIUM_CONTEXT_TOKEN_BUDGET || '6000');
+
+// Messages kept word for word. Older ones are folded into the summary
+// whenever user data is saved, so the stored history stays this long.
+const RECENT_MESSAGES = parseInt(process.env.CONTEXT_RECENT_MESSAGES || '10');
+const PREMIUM_RECENT_MESSAGES = parseInt(process.env.PREMIUM_CONTEXT_RECENT_MESSAGES || '20');
+
+// Token budget for the running summary
+const SUMMARY_TOKEN_BUDGET = parseInt(process.env.SUMMARY_TOKEN_BUDGET || '200');
+const PREMIUM_SUMMARY_TOKEN_BUDGET = parseInt(process.env.PREMIUM_SUMMARY_TOKEN_BUDGET || '500');
+
+// Longest a folded message line can be before it is cut short
+const MAX_FOLDED_LINE_LENGTH = 160;
+
+// Rough token cost of a message's role and formatting
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * Get the context limits for a user
+ * @param {Object} userData - User data
+ * @returns {Object} - { tokenBudget, recentMessages, summaryTokens }
+ */
+function getContextLimits(userData) {
+    return userData && userData.isPremium
+        ? { tokenBudget: PREMIUM_CONTEXT_TOKEN_BUDGET, recentMessages: PREMIUM_RECENT_MESSAGES, summaryTokens: PREMIUM_SUMMARY_TOKEN_BUDGET }
+        : { tokenBudget: CONTEXT_TOKEN_BUDGET, recentMessages: RECENT_MESSAGES, summaryTokens: SUMMARY_TOKEN_BUDGET };
+}
+
+/**
+ * Estimate the tokens a chat message takes up in a prompt
+ * @param {Object} message - { role, content }
+ * @returns {number} - Estimated tokens
+ */
+function countMessageTokens(message) {
+    return estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+/**
+ * Turn an old message into a single summary line
+ * @param {Object} userData - User data
+ * @param {Object} message - { role, content }
+ * @returns {string|null} - The line, or null for messages not worth keeping
+ */
+function toSummaryLine(userData, message) {
+    const content = (message.content || '').replace(/\s+/g, ' ').trim();
+    if (!content || message.role === 'system') {
+        return null;
+    }
+
+    const speaker = message.role === 'user'
+        ? userData.userName || 'User'
+        : userData.companionName || 'You';
+    const text = content.length > MAX_FOLDED_LINE_LENGTH
+        ? content.substring(0, MAX_FOLDED_LINE_LENGTH - 3) + '...'
+        : content;
+
+    return `${speaker}: ${text}`;
+}
+
+/**
+ * Cut a summary down to a token budget, dropping its oldest lines first
+ * @param {string} text - The summary
+ * @param {number} budget - Maximum tokens
+ * @returns {string} - The trimmed summary
+ */
+function trimSummary(text, budget) {
+    const lines = text.split('\n').filter(Boolean);
+    while (lines.length > 1 && estimateTokens(lines.join('\n')) > budget) {
+        lines.shift();
+    }
+
+    // A single line that is still too long (e.g. an AI summary) keeps its end
+    const trimmed = lines.join('\n');
+    return estimateTokens(trimmed) > budget ? '...' + trimmed.slice(-budget * 4) : trimmed;
+}
+
+/**
+ * Move messages older than the recent window out of the conversation history
+ * and into the running summary
+ * @param {Object} userData - User data (the caller must save it)
+ * @returns {number} - How many messages were folded
+ */
+function foldOlderMessages(userData) {
+    const history = userData.conversationHistory;
+    const { recentMessages, summaryTokens } = getContextLimits(userData);
+    if (!Array.isArray(history) || history.length <= recentMessages) {
+        return 0;
+    }
+
+    const folded = history.splice(0, history.length - recentMessages);
+    const lines = folded.map(message => toSummaryLine(userData, message)).filter(Boolean);
+
+    const summary = userData.conversationSummary || { text: '', foldedMessages: 0, pendingMessages: 0 };
+    summary.text = trimSummary([summary.text, ...lines].filter(Boolean).join('\n'), summaryTokens);
+    summary.foldedMessages += folded.length;
+    summary.pendingMessages += folded.length;
+    summary.updatedAt = new Date().toISOString();
+    userData.conversationSummary = summary;
+
+    return folded.length;
+}
+
+/**
+ * Have the AI rewrite the folded lines into a short summary. Keeps the line
+ * summary if no AI provider is available.
+ * @param {Object} userData - User data (the caller must save it)
+ * @returns {boolean} - Whether the summary was rewritten
+ */
+async function refreshConversationSummary(userData) {
+    const summary = userData.conversationSummary;
+    if (!summary || !summary.pendingMessages || !summary.text || !await isFeatureAvailable('summary')) {
+        return false;
+    }
+
+    const { summaryTokens } = getContextLimits(userData);
+    const userName = userData.userName || 'the user';
+    const companionName = userData.companionName || 'the companion';
+
+    try {
+        const systemMessage = {
+            role: "system",
+            content: `You keep a running summary of an ongoing chat between ${companionName} and ${userName}.
+Rewrite the notes below into one short paragraph of at most ${Math.floor(summaryTokens * 0.75)} words, written in English in the third person.
+Keep names, plans, promises, feelings and anything ${userName} is waiting to hear back about. Leave out greetings and small talk.
+Reply with the summary only.`
+        };
+        const notesMessage = { role: "user", content: summary.text };
+
+        const response = await generateChatResponse([systemMessage, notesMessage], { feature: 'summary' });
+        if (!response) {
+            return false;
+        }
+
+        summary.text = trimSummary(response.replace(/\s+/g, ' '), summaryTokens);
+        summary.pendingMessages = 0;
+        summary.updatedAt = new Date().toISOString();
+        return true;
+    } catch (error) {
+        console.error('Error summarizing conversation:', error);
+        return false;
+    }
+}
+
+/**
+ * Build the messages for an AI request: the system message with the running
+ * summary added, followed by as many recent messages as fit in the budget
+ * @param {Object} userData - User data (the caller must save it, as older messages may be folded)
+ * @param {Object} systemMessage - The system message ({ role: "system", content })
+ * @param {Object} [options] - { tokenBudget } to override the user's budget
+ * @returns {Array<Object>} - Messages to pass to generateChatResponse
+ */
+async function buildConversationContext(userData, systemMessage, options = {}) {
+    foldOlderMessages(userData);
+    await refreshConversationSummary(userData);
+
+    const tokenBudget = options.tokenBudget || getContextLimits(userData).tokenBudget;
+    const summary = userData.conversationSummary;
+    const system = summary && summary.text
+        ? { ...systemMessage, content: `${systemMessage.content}\n\nEARLIER IN YOUR CONVERSATION:\n${summary.text}` }
+        : systemMessage;
+
+    // Newest first, stopping at the first message that doesn't fit
+    const history = userData.conversationHistory || [];
+    const recent = [];
+    let used = countMessageTokens(system);
+    for (let i = history.length - 1; i >= 0; i--) {
+        const tokens = countMessageTokens(history[i]);
+        if (used + tokens > tokenBudget && recent.length > 0) {
+            break;
+        }
+        recent.unshift(history[i]);
+        used += tokens;
+    }
+
+    return [system, ...recent];
+}
+
+module.exports = {
+    getContextLimits,
+    countMessageTokens,
+    foldOlderMessages,
+    refreshConversationSummary,
+    buildConversationContext
+};
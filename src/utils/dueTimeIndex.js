@@ -0,0 +1,180 @@
+/**
+ * A priority queue of keys (usually user IDs) ordered by the time they are
+ * next due. Schedulers keep one of these instead of scanning every user on
+ * each tick: a tick only looks at the front of the queue, so its cost depends
+ * on how many users are due, not on how many users exist.
+ *
+ * Implemented as a binary min-heap with a key -> position map, so scheduling,
+ * rescheduling and removing a key are all O(log n).
+ */
+class DueTimeIndex {
+    constructor() {
+        this.heap = [];
+        this.positions = new Map();
+    }
+
+    /**
+     * Number of scheduled keys
+     * @returns {number} - The size of the index
+     */
+    get size() {
+        return this.heap.length;
+    }
+
+    /**
+     * Check whether a key is scheduled
+     * @param {string} key - The key
+     * @returns {boolean} - Whether the key is in the index
+     */
+    has(key) {
+        return this.positions.has(key);
+    }
+
+    /**
+     * Get a key's entry without removing it
+     * @param {string} key - The key
+     * @returns {Object|null} - { key, time, data } or null
+     */
+    get(key) {
+        const position = this.positions.get(key);
+        return position === undefined ? null : this.heap[position];
+    }
+
+    /**
+     * Schedule a key, or move it if it is already scheduled
+     * @param {string} key - The key
+     * @param {number|Date} time - When the key is due
+     * @param {*} [data] - Extra data returned with the key when it is due
+     */
+    schedule(key, time, data = null) {
+        const entry = { key, time: new Date(time).getTime(), data };
+
+        if (this.positions.has(key)) {
+            const position = this.positions.get(key);
+            this.heap[position] = entry;
+            this.siftUp(position);
+            this.siftDown(this.positions.get(key));
+            return;
+        }
+
+        this.heap.push(entry);
+        this.positions.set(key, this.heap.length - 1);
+        this.siftUp(this.heap.length - 1);
+    }
+
+    /**
+     * Remove a key
+     * @param {string} key - The key
+     * @returns {boolean} - Whether the key was scheduled
+     */
+    remove(key) {
+        const position = this.positions.get(key);
+        if (position === undefined) {
+            return false;
+        }
+
+        this.positions.delete(key);
+        const last = this.heap.pop();
+        if (position < this.heap.length) {
+            this.heap[position] = last;
+            this.positions.set(last.key, position);
+            this.siftUp(position);
+            this.siftDown(this.positions.get(last.key));
+        }
+        return true;
+    }
+
+    /**
+     * When the earliest key is due
+     * @returns {number|null} - Timestamp in milliseconds, or null if empty
+     */
+    peekTime() {
+        return this.heap.length > 0 ? this.heap[0].time : null;
+    }
+
+    /**
+     * Remove and return every entry that is due
+     * @param {number|Date} [now] - The current time
+     * @param {number} [limit] - Maximum number of entries to take
+     * @returns {Array<Object>} - Due entries { key, time, data }, earliest first
+     */
+    takeDue(now = Date.now(), limit = Infinity) {
+        const cutoff = new Date(now).getTime();
+        const due = [];
+
+        while (this.heap.length > 0 && this.heap[0].time <= cutoff && due.length < limit) {
+            const entry = this.heap[0];
+            this.remove(entry.key);
+            due.push(entry);
+        }
+
+        return due;
+    }
+
+    /**
+     * Remove every key
+     */
+    clear() {
+        this.heap = [];
+        this.positions.clear();
+    }
+
+    /**
+     * Move the entry at a position up until its parent is due earlier
+     * @param {number} position - Heap position
+     */
+    siftUp(position) {
+        while (position > 0) {
+            const parent = (position - 1) >> 1;
+            if (this.heap[parent].time <= this.heap[position].time) {
+                break;
+            }
+            this.swap(position, parent);
+            position = parent;
+        }
+    }
+
+    /**
+     * Move the entry at a position down until its children are due later
+     * @param {number} position - Heap position
+     */
+    siftDown(position) {
+        const length = this.heap.length;
+
+        while (true) {
+            const left = position * 2 + 1;
+            const right = left + 1;
+            let smallest = position;
+
+            if (left < length && this.heap[left].time < this.heap[smallest].time) {
+                smallest = left;
+            }
+            if (right < length && this.heap[right].time < this.heap[smallest].time) {
+                smallest = right;
+            }
+            if (smallest === position) {
+                return;
+            }
+
+            this.swap(position, smallest);
+            position = smallest;
+        }
+    }
+
+    /**
+     * Swap two heap entries and update their positions
+     * @param {number} a - Heap position
+     * @param {number} b - Heap position
+     */
+    swap(a, b) {
+        const entry = this.heap[a];
+        this.heap[a] = this.heap[b];
+        this.heap[b] = entry;
+        this.positions.set(this.heap[a].key, a);
+        this.positions.set(this.heap[b].key, b);
+    }
+}
+
+module.exports = {
+    DueTimeIndex
+};
@@ -0,0 +1,196 @@
+const path = require('path');
+const { getUserTimezone, getZonedParts, getLocalDateKey } = require('./timezoneUtils');
+const { getProactiveSettings, isQuietTime } = require('./proactiveSettings');
+const { JsonLineLog } = require('./jsonLineLog');
+
+/**
+ * One gate for every message the bot sends without being asked: reminders,
+ * daily check-ins (autoMessageUtils) and spontaneous self-messages
+ * (selfMessageUtils). Each sender asks here before sending, so they share a
+ * per-user daily budget, quiet hours and a minimum gap between messages.
+ * Users can change their budget and quiet hours, or turn proactive messages
+ * off, with /proactive (see proactiveSettings).
+ *
+ * Reminders were asked for by the user, so they are always sent (and still
+ * counted). Check-ins come next and spontaneous messages last: they respect
+ * quiet hours and the gap, and spontaneous messages leave the last slot of the
+ * budget free for a check-in.
+ *
+ * Every decision is appended to an audit log as one JSON object per line.
+ */
+
+// Kinds of proactive messages, highest priority first
+const PROACTIVE_KINDS = {
+    REMINDER: 'reminder',
+    CHECK_IN: 'check_in',
+    SPONTANEOUS: 'spontaneous'
+};
+
+// Check-ins and spontaneous messages wait this long after any proactive message
+const MIN_GAP_MINUTES = parseInt(process.env.ENGAGEMENT_MIN_GAP_MINUTES || '120');
+
+// Audit log of sent and suppressed messages, rotated to <file>.1 when it gets large
+const AUDIT_LOG_PATH = process.env.ENGAGEMENT_LOG_PATH || path.join(process.cwd(), 'config', 'engagement_log.jsonl');
+const auditLog = new JsonLineLog(AUDIT_LOG_PATH);
+
+/**
+ * Get the user's engagement counters for their current local day
+ * @param {Object} userData - User data (the counters are kept in userData.engagement)
+ * @param {string} [userId] - The user's WhatsApp ID, used to guess their timezone
+ * @param {Date} [now] - The current time
+ * @returns {Object} - { date, sentToday, lastSentAt, lastKind }
+ */
+function getEngagementState(userData, userId, now = new Date()) {
+    const today = getLocalDateKey(getUserTimezone(userData, userId), now);
+    const state = userData.engagement || {};
+
+    if (state.date !== today) {
+        // A new day starts with a fresh budget, but the gap still counts across midnight
+        userData.engagement = {
+            date: today,
+            sentToday: 0,
+            lastSentAt: state.lastSentAt || 0,
+            lastKind: state.lastKind || null
+        };
+    }
+
+    return userData.engagement;
+}
+
+/**
+ * Decide whether a proactive message may be sent now, without recording anything
+ * @param {Object} userData - User data
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {string} kind - One of PROACTIVE_KINDS
+ * @param {Date} [now] - The current time
+ * @returns {Object} - { allowed, reason }
+ */
+function evaluateProactiveMessage(userData, userId, kind, now = new Date()) {
+    if (!Object.values(PROACTIVE_KINDS).includes(kind)) {
+        return { allowed: false, reason: `unknown message kind "${kind}"` };
+    }
+
+    const state = getEngagementState(userData, userId, now);
+
+    if (kind === PROACTIVE_KINDS.REMINDER) {
+        return { allowed: true, reason: 'reminders are always delivered' };
+    }
+
+    const settings = getProactiveSettings(userData);
+    if (!settings.enabled) {
+        return { allowed: false, reason: 'turned off by the user' };
+    }
+
+    const { hour, minute } = getZonedParts(now, getUserTimezone(userData, userId));
+    if (isQuietTime(settings.quietHours, hour * 60 + minute)) {
+        const localTime = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+        return { allowed: false, reason: `quiet hours (${settings.quietHours.start}-${settings.quietHours.end}, local time ${localTime})` };
+    }
+
+    // Keep the last slot for a check-in, unless check-ins are turned off
+    const checkInsEnabled = userData.autoMessagingEnabled !== false && settings.checkInTimes.length > 0;
+    const reserved = kind === PROACTIVE_KINDS.SPONTANEOUS && checkInsEnabled && settings.maxPerDay > 1 ? 1 : 0;
+    if (state.sentToday >= settings.maxPerDay - reserved) {
+        return { allowed: false, reason: `daily budget used (${state.sentToday}/${settings.maxPerDay})` };
+    }
+
+    const minutesSinceLast = (now.getTime() - (state.lastSentAt || 0)) / (60 * 1000);
+    if (minutesSinceLast < MIN_GAP_MINUTES) {
+        return { allowed: false, reason: `${state.lastKind || 'a message'} sent ${Math.floor(minutesSinceLast)} minutes ago (minimum gap ${MIN_GAP_MINUTES})` };
+    }
+
+    return { allowed: true, reason: 'within budget' };
+}
+
+/**
+ * Count a proactive message against the user's budget and log it as sent.
+ * The counters live in userData, so the caller must save the user data.
+ * @param {Object} userData - User data
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {string} kind - One of PROACTIVE_KINDS
+ * @param {Object} [details] - Extra fields for the audit log (e.g. reminderId)
+ */
+function recordProactiveMessage(userData, userId, kind, details = {}) {
+    const now = new Date();
+    const state = getEngagementState(userData, userId, now);
+
+    state.sentToday += 1;
+    state.lastSentAt = now.getTime();
+    state.lastKind = kind;
+
+    auditLog.append({
+        time: now.toISOString(),
+        userId: userId || null,
+        kind,
+        action: 'sent',
+        sentToday: state.sentToday,
+        ...details
+    });
+}
+
+/**
+ * Check whether a proactive message may be sent now, logging the suppression
+ * and its reason if not. Nothing is counted, so the caller records the
+ * message with recordProactiveMessage once it has actually been sent.
+ * @param {Object} userData - User data
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {string} kind - One of PROACTIVE_KINDS
+ * @param {Object} [details] - Extra fields for the audit log
+ * @returns {boolean} - Whether the message may be sent
+ */
+function checkProactiveMessage(userData, userId, kind, details = {}) {
+    const decision = evaluateProactiveMessage(userData, userId, kind);
+
+    if (!decision.allowed) {
+        auditLog.append({
+            time: new Date().toISOString(),
+            userId: userId || null,
+            kind,
+            action: 'suppressed',
+            reason: decision.reason,
+            ...details
+        });
+        console.log(`Suppressed ${kind} message to ${userId}: ${decision.reason}`);
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Ask to send a proactive message. If it is allowed it is counted straight
+ * away; otherwise the suppression and its reason are logged.
+ * @param {Object} userData - User data (the caller must save it afterwards)
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {string} kind - One of PROACTIVE_KINDS
+ * @param {Object} [details] - Extra fields for the audit log
+ * @returns {boolean} - Whether the message may be sent
+ */
+function requestProactiveMessage(userData, userId, kind, details = {}) {
+    if (!checkProactiveMessage(userData, userId, kind, details)) {
+        return false;
+    }
+
+    recordProactiveMessage(userData, userId, kind, details);
+    return true;
+}
+
+/**
+ * Read the most recent audit log entries
+ * @param {string} [userId] - Only return entries for this user
+ * @param {number} [limit] - Maximum number of entries
+ * @returns {Array<Object>} - Entries, oldest first
+ */
+async function getEngagementLog(userId, limit = 20) {
+    return auditLog.read({ filter: userId ? entry => entry.userId === userId : null, limit });
+}
+
+module.exports = {
+    PROACTIVE_KINDS,
+    MIN_GAP_MINUTES,
+    evaluateProactiveMessage,
+    recordProactiveMessage,
+    checkProactiveMessage,
+    requestProactiveMessage,
+    getEngagementLog
+};
@@ -0,0 +1,511 @@
+/**
+ * Queue for image generation (photos of the companion and stickers). Only
+ * IMAGE_JOB_CONCURRENCY jobs run at once, premium users go first, free users
+ * get a daily quota, and people waiting are told their place in line.
+ *
+ * Jobs are kept in config/image_jobs.json, so jobs still waiting (or cut off
+ * mid-way) when the bot stops are picked up again when it starts.
+ */
+const path = require('path');
+const fs = require('fs-extra');
+const crypto = require('crypto');
+const { getDocumentStore } = require('../storage/jsonDocumentStore');
+const { getUserData, saveUserData, isPremiumUser, generateImage: generateCompanionPhoto } = require('../utils');
+const { createStickerForMessage } = require('./stickerUtils');
+
+const IMAGE_JOBS_PATH = path.join(process.cwd(), 'config', 'image_jobs.json');
+const jobStore = getDocumentStore(IMAGE_JOBS_PATH, { jobs: [] });
+
+// How many images are generated at the same time
+const CONCURRENCY = Math.max(parseInt(process.env.IMAGE_JOB_CONCURRENCY || '1'), 1);
+
+// Daily limits per tier, 0 for unlimited. The free photo limit matches the
+// one the chat handler applies to photos it takes itself.
+const DAILY_LIMITS = {
+    photo: {
+        free: parseInt(process.env.IMAGE_DAILY_LIMIT_FREE || '3'),
+        premium: parseInt(process.env.IMAGE_DAILY_LIMIT_PREMIUM || '0')
+    },
+    sticker: {
+        free: parseInt(process.env.STICKER_DAILY_LIMIT_FREE || '5'),
+        premium: parseInt(process.env.STICKER_DAILY_LIMIT_PREMIUM || '0')
+    }
+};
+
+// Most jobs one user can have waiting at once
+const MAX_PENDING_JOBS_PER_USER = 3;
+
+// Waiting users are told their new place in line at most this often
+const PROGRESS_UPDATE_INTERVAL = 60 * 1000;
+
+// Job length assumed until some jobs have finished
+const DEFAULT_JOB_SECONDS = parseInt(process.env.IMAGE_JOB_DEFAULT_SECONDS || '40');
+
+// Finished jobs kept for working out how long a job takes
+const MAX_FINISHED_JOBS = 50;
+
+const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    DONE: 'done',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+// The WhatsApp socket used to deliver finished images
+let queueSocket = null;
+
+// IDs of the jobs running in this process
+const runningJobs = new Set();
+
+/**
+ * Get today's key for the daily image counters. The chat handler counts
+ * photos under the same UTC date key.
+ * @returns {string} - YYYY-MM-DD
+ */
+function getTodayKey() {
+    return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Get the userData counter a job kind is counted in
+ * @param {string} kind - 'photo' or 'sticker'
+ * @returns {string} - The userData property
+ */
+function getCounterName(kind) {
+    return kind === 'photo' ? 'imageRequests' : 'stickerRequests';
+}
+
+/**
+ * Sort waiting jobs into the order they will run: premium first, then oldest first
+ * @param {Array<Object>} jobs - All jobs
+ * @returns {Array<Object>} - The queued jobs in order
+ */
+function getQueuedJobs(jobs) {
+    return jobs
+        .filter(job => job.status === JOB_STATUS.QUEUED)
+        .sort((a, b) => (b.premium - a.premium) || a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Estimate how long a job takes from the jobs finished recently
+ * @param {Array<Object>} jobs - All jobs
+ * @returns {number} - Seconds per job
+ */
+function getAverageJobSeconds(jobs) {
+    const durations = jobs
+        .filter(job => job.status === JOB_STATUS.DONE && job.startedAt && job.finishedAt)
+        .slice(-10)
+        .map(job => (new Date(job.finishedAt) - new Date(job.startedAt)) / 1000);
+    return durations.length > 0
+        ? durations.reduce((sum, seconds) => sum + seconds, 0) / durations.length
+        : DEFAULT_JOB_SECONDS;
+}
+
+/**
+ * Work out a queued job's place in line and roughly when it will be done
+ * @param {Array<Object>} jobs - All jobs
+ * @param {string} jobId - The job
+ * @returns {Object|null} - { position, etaSeconds }, or null if the job isn't waiting
+ */
+function getQueuePosition(jobs, jobId) {
+    const index = getQueuedJobs(jobs).findIndex(job => job.id === jobId);
+    if (index === -1) {
+        return null;
+    }
+    const rounds = Math.floor(index / CONCURRENCY) + 1;
+    return { position: index + 1, etaSeconds: Math.round(rounds * getAverageJobSeconds(jobs)) };
+}
+
+/**
+ * Describe a wait in words
+ * @param {number} seconds - The wait
+ * @returns {string} - e.g. "about 2 min"
+ */
+function formatEta(seconds) {
+    return seconds < 60 ? 'less than a minute' : `about ${Math.round(seconds / 60)} min`;
+}
+
+/**
+ * Send a message without letting a delivery failure stop the queue
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {Object} content - Message content
+ */
+async function notify(userId, content) {
+    try {
+        await queueSocket.sendMessage(userId, content);
+    } catch (error) {
+        console.error(`Error sending image job message to ${userId}:`, error);
+    }
+}
+
+/**
+ * Take a photo of the companion and send it
+ * @param {Object} job - The job
+ * @returns {boolean} - Whether the photo was sent
+ */
+async function runPhotoJob(job) {
+    const imagePath = await generateCompanionPhoto(job.userId, job.prompt);
+    if (!imagePath) {
+        return false;
+    }
+
+    try {
+        if (await isCancelled(job.id)) {
+            return false;
+        }
+        await queueSocket.sendMessage(job.userId, {
+            image: { url: imagePath },
+            caption: 'I took this photo for you, I think you will like it! 💖'
+        });
+        return true;
+    } finally {
+        await fs.remove(imagePath);
+    }
+}
+
+/**
+ * Make a sticker of the companion reacting to a message and send it
+ * @param {Object} job - The job
+ * @returns {boolean} - Whether the sticker was sent
+ */
+async function runStickerJob(job) {
+    const userData = await getUserData(job.userId);
+    if (!userData || !userData.characterImagePath) {
+        return false;
+    }
+
+    const sticker = await createStickerForMessage(userData, job.prompt, job.reply || '');
+    if (!sticker || await isCancelled(job.id)) {
+        return false;
+    }
+    await queueSocket.sendMessage(job.userId, { sticker });
+    return true;
+}
+
+// What each kind of job does
+const JOB_RUNNERS = {
+    photo: runPhotoJob,
+    sticker: runStickerJob
+};
+
+/**
+ * Check whether a job was cancelled while it ran
+ * @param {string} jobId - The job
+ * @returns {boolean} - Whether it was cancelled
+ */
+async function isCancelled(jobId) {
+    const { jobs } = await jobStore.read();
+    const job = jobs.find(entry => entry.id === jobId);
+    return !job || job.status === JOB_STATUS.CANCELLED;
+}
+
+/**
+ * Count a finished image towards the user's daily quota
+ * @param {Object} job - The job
+ */
+async function countFinishedJob(job) {
+    if (job.automatic) {
+        return;
+    }
+
+    const userData = await getUserData(job.userId);
+    if (!userData) {
+        return;
+    }
+
+    const counter = getCounterName(job.kind);
+    const today = getTodayKey();
+    userData[counter] = userData[counter] || {};
+    userData[counter][today] = (userData[counter][today] || 0) + 1;
+    if (job.kind === 'photo') {
+        userData.imageGenerationCount = (userData.imageGenerationCount || 0) + 1;
+        userData.lastImageGenerationTime = Date.now();
+    }
+    await saveUserData(job.userId, userData);
+}
+
+/**
+ * Run one job and record how it went
+ * @param {Object} job - The job (already marked as running)
+ */
+async function runJob(job) {
+    let sent = false;
+    try {
+        sent = await JOB_RUNNERS[job.kind](job);
+    } catch (error) {
+        console.error(`Error running image job ${job.id}:`, error);
+    }
+
+    const finished = await jobStore.update(data => {
+        const stored = data.jobs.find(entry => entry.id === job.id);
+        if (stored && stored.status === JOB_STATUS.RUNNING) {
+            stored.status = sent ? JOB_STATUS.DONE : JOB_STATUS.FAILED;
+            stored.finishedAt = new Date().toISOString();
+        }
+
+        // Keep the queue and only the latest finished jobs
+        const active = data.jobs.filter(entry => entry.status === JOB_STATUS.QUEUED || entry.status === JOB_STATUS.RUNNING);
+        const done = data.jobs.filter(entry => !active.includes(entry)).slice(-MAX_FINISHED_JOBS);
+        data.jobs = [...done, ...active];
+        return stored;
+    });
+
+    if (finished && finished.status === JOB_STATUS.DONE) {
+        await countFinishedJob(job);
+    } else if (finished && finished.status === JOB_STATUS.FAILED && !job.automatic) {
+        await notify(job.userId, {
+            text: job.kind === 'photo'
+                ? "Oh, I'm so embarrassed! 🙈 I couldn't take that photo right now. Let's try something else together later! 💫"
+                : "Oops! 🙈 I couldn't make that sticker right now. Let's try again later! 💫"
+        });
+    }
+}
+
+/**
+ * Start as many waiting jobs as there are free slots, then tell the people
+ * still waiting where they are in line
+ */
+async function processQueue() {
+    if (!queueSocket) {
+        return;
+    }
+
+    try {
+        const started = await jobStore.update(data => {
+            const jobs = [];
+            for (const job of getQueuedJobs(data.jobs)) {
+                if (runningJobs.size + jobs.length >= CONCURRENCY) {
+                    break;
+                }
+                job.status = JOB_STATUS.RUNNING;
+                job.startedAt = new Date().toISOString();
+                jobs.push({ ...job });
+            }
+            return jobs;
+        });
+
+        for (const job of started) {
+            runningJobs.add(job.id);
+            runJob(job).finally(() => {
+                runningJobs.delete(job.id);
+                processQueue();
+            });
+        }
+
+        if (started.length > 0) {
+            await sendProgressUpdates();
+        }
+    } catch (error) {
+        console.error('Error processing image queue:', error);
+    }
+}
+
+/**
+ * Tell waiting users their new place in line, at most once a minute each
+ */
+async function sendProgressUpdates() {
+    const now = Date.now();
+    const updates = await jobStore.update(data => {
+        const due = [];
+        for (const job of getQueuedJobs(data.jobs)) {
+            const { position, etaSeconds } = getQueuePosition(data.jobs, job.id);
+            const lastUpdate = job.lastUpdateAt ? new Date(job.lastUpdateAt).getTime() : 0;
+            if (job.automatic || position >= job.lastPosition || now - lastUpdate < PROGRESS_UPDATE_INTERVAL) {
+                continue;
+            }
+            job.lastPosition = position;
+            job.lastUpdateAt = new Date(now).toISOString();
+            due.push({ userId: job.userId, kind: job.kind, position, etaSeconds });
+        }
+        return due;
+    });
+
+    for (const update of updates) {
+        const what = update.kind === 'photo' ? 'photo' : 'sticker';
+        await notify(update.userId, {
+            text: `⏳ Still on it! Your ${what} is #${update.position} in line (${formatEta(update.etaSeconds)}).`
+        });
+    }
+}
+
+/**
+ * Count a user's images today plus the ones still waiting
+ * @param {Object} userData - User data
+ * @param {Array<Object>} jobs - All jobs
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {string} kind - 'photo' or 'sticker'
+ * @returns {number} - Images used from today's quota
+ */
+function countQuotaUsed(userData, jobs, userId, kind) {
+    const counter = userData[getCounterName(kind)] || {};
+    const pending = jobs.filter(job => job.userId === userId && job.kind === kind && !job.automatic &&
+        (job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING)).length;
+    return (counter[getTodayKey()] || 0) + pending;
+}
+
+/**
+ * Tell the user what happens to their image request: when it starts, their
+ * place in line, or why it wasn't queued
+ * @param {Object} result - { status, position, etaSeconds } from queueing the job
+ * @param {string} kind - 'photo' or 'sticker'
+ * @param {number} limit - The user's daily limit
+ * @returns {string} - The message text
+ */
+function describeEnqueueResult(result, kind, limit) {
+    const what = kind === 'photo' ? 'photo' : 'sticker';
+
+    if (result.status === 'busy') {
+        return `I'm still working on your last ${MAX_PENDING_JOBS_PER_USER} requests! 🙈 Send /queue to see them.`;
+    }
+    if (result.status === 'limit') {
+        return `You've reached your daily free ${what} limit (${limit})! 📸\n\n` +
+            `If you want to see more, you'll need to upgrade to a premium package. Premium users enjoy unlimited high-quality images and many other benefits!\n\n` +
+            `Type /premium for more information.`;
+    }
+
+    // Free slot: the job starts right away
+    if (result.position <= CONCURRENCY - runningJobs.size) {
+        return kind === 'photo'
+            ? 'Wait a minute, let me take a photo for you... 📸'
+            : 'Give me a second, making you a sticker... ✨';
+    }
+    return `📸 I'll get to your ${what} soon! You're #${result.position} in line (${formatEta(result.etaSeconds)}). Send /queue cancel to cancel.`;
+}
+
+/**
+ * Queue an image for a user. Tells the user what happens next unless the
+ * job is automatic (e.g. a sticker sent along with a self-message).
+ * @param {Object|null} sock - The WhatsApp socket connection, or null to keep the queue's
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {string} kind - 'photo' or 'sticker'
+ * @param {string} prompt - What the photo should show, or the message a sticker reacts to
+ * @param {Object} [options] - { automatic: true } for images the user didn't ask for,
+ *        which skip the quota and progress messages, and { reply } for the companion's
+ *        reply a sticker goes with
+ * @returns {Object} - { status: 'queued' | 'limit' | 'busy' | 'unavailable', job, position }
+ */
+async function enqueueImageJob(sock, userId, kind, prompt, options = {}) {
+    queueSocket = sock || queueSocket;
+    const automatic = Boolean(options.automatic);
+
+    const userData = await getUserData(userId);
+    // Stickers need the companion's picture; photos say so themselves if it is missing
+    if (!userData || !JOB_RUNNERS[kind] || (kind === 'sticker' && !userData.characterImagePath)) {
+        return { status: 'unavailable' };
+    }
+    const premium = Boolean(await isPremiumUser(userId));
+    const limit = DAILY_LIMITS[kind][premium ? 'premium' : 'free'];
+
+    const result = await jobStore.update(data => {
+        if (!automatic) {
+            const pending = data.jobs.filter(job => job.userId === userId &&
+                (job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING)).length;
+            if (pending >= MAX_PENDING_JOBS_PER_USER) {
+                return { status: 'busy' };
+            }
+            if (limit > 0 && countQuotaUsed(userData, data.jobs, userId, kind) >= limit) {
+                return { status: 'limit' };
+            }
+        }
+
+        const job = {
+            id: crypto.randomBytes(4).toString('hex'),
+            userId,
+            kind,
+            prompt,
+            premium,
+            automatic,
+            reply: options.reply || null,
+            status: JOB_STATUS.QUEUED,
+            createdAt: new Date().toISOString()
+        };
+        data.jobs.push(job);
+
+        const { position, etaSeconds } = getQueuePosition(data.jobs, job.id);
+        job.lastPosition = position;
+        return { status: 'queued', job: { ...job }, position, etaSeconds };
+    });
+
+    if (!automatic) {
+        await notify(userId, { text: describeEnqueueResult(result, kind, limit) });
+    }
+
+    if (result.status === 'queued') {
+        processQueue();
+    }
+    return result;
+}
+
+/**
+ * Get a user's waiting and running jobs
+ * @param {string} userId - The user's WhatsApp ID
+ * @returns {Array<Object>} - Jobs with { position, etaSeconds } for waiting ones
+ */
+async function listUserJobs(userId) {
+    const { jobs } = await jobStore.read();
+    return jobs
+        .filter(job => job.userId === userId && (job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING))
+        .map(job => ({ ...job, ...getQueuePosition(jobs, job.id) }));
+}
+
+/**
+ * Cancel a user's jobs. A job that is already running still finishes,
+ * but its image isn't sent.
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {string} [jobId] - The job to cancel, or every job if not given
+ * @returns {number} - How many jobs were cancelled
+ */
+async function cancelImageJobs(userId, jobId = null) {
+    const cancelled = await jobStore.update(data => {
+        let count = 0;
+        for (const job of data.jobs) {
+            const active = job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING;
+            if (job.userId === userId && active && !job.automatic && (!jobId || job.id === jobId)) {
+                job.status = JOB_STATUS.CANCELLED;
+                job.finishedAt = new Date().toISOString();
+                count++;
+            }
+        }
+        return count;
+    });
+
+    if (cancelled > 0) {
+        processQueue();
+    }
+    return cancelled;
+}
+
+/**
+ * Start the queue, putting back jobs that were running when the bot stopped
+ * @param {Object} sock - The WhatsApp socket connection
+ */
+async function initializeImageJobQueue(sock) {
+    queueSocket = sock;
+
+    try {
+        const waiting = await jobStore.update(data => {
+            for (const job of data.jobs) {
+                if (job.status === JOB_STATUS.RUNNING && !runningJobs.has(job.id)) {
+                    job.status = JOB_STATUS.QUEUED;
+                }
+            }
+            return data.jobs.filter(job => job.status === JOB_STATUS.QUEUED).length;
+        });
+
+        console.log(`Image job queue initialized (${waiting} jobs waiting)`);
+        await processQueue();
+    } catch (error) {
+        console.error('Error initializing image job queue:', error);
+    }
+}
+
+module.exports = {
+    JOB_STATUS,
+    DAILY_LIMITS,
+    initializeImageJobQueue,
+    enqueueImageJob,
+    listUserJobs,
+    cancelImageJobs,
+    formatEta
+};
@@ -0,0 +1,276 @@
+/**
+ * Works out what a user wants from a message: a photo of their companion, a
+ * sticker, a reminder, a bot command, or just to chat. Rules handle the clear
+ * cases in English, Singlish and Sinhala; messages they aren't sure about
+ * (e.g. "show me some love") go to the AI classifier when a provider is
+ * configured.
+ *
+ * Classifiers are tried in order until one is confident, so a deployment
+ * can pass its own list to classifyIntent.
+ */
+const { isFeatureAvailable, generateText } = require('../aiProviders');
+const { INTENT_EXAMPLES } = require('./intentExamples');
+
+const INTENTS = {
+    IMAGE_REQUEST: 'image_request',
+    STICKER: 'sticker',
+    REMINDER: 'reminder',
+    COMMAND: 'command',
+    CHAT: 'chat'
+};
+
+// A result at least this confident stops the remaining classifiers
+const CONFIDENT = 0.8;
+
+// Set INTENT_AI_CLASSIFIER=off to use the rules only
+const AI_CLASSIFIER_ENABLED = (process.env.INTENT_AI_CLASSIFIER || 'on').toLowerCase() !== 'off';
+
+// Words for a photo in English, Singlish and Sinhala
+const IMAGE_NOUNS = 'pics?|pictures?|photos?|fotos?|selfies?|images?|snaps?|pinthur\\w*';
+const SINHALA_IMAGE_NOUNS = 'ෆොටෝ|ෆොටො|පින්තූර\\S*|ඡායාරූප\\S*|සෙල්ෆි';
+
+// Singlish and Sinhala verbs for sending or showing something
+const SINGLISH_SEND_VERBS = '(?:ewa|eva|yawa|yava|penna|dapan|danna|dannako)\\w*';
+const SINHALA_SEND_VERBS = '(?:එව|යව|පෙන්න|දාන්න|දාපන්)\\S*';
+
+// Words after "see you" that make it about meeting up rather than a photo
+const WHEN_WORDS = 'today|tonight|tomorrow|soon|later|again|sometime|someday|morning|afternoon|evening|night|weekend|' +
+    'monday|tuesday|wednesday|thursday|friday|saturday|sunday|\\d';
+
+// Words after "see you" that start a description of the photo
+const SCENE_STARTS = 'in|at|on|wearing|dressed|with|without|doing|holding|by|near|under|inside|outside|like|as|\\w+ing';
+
+const IMAGE_PATTERNS = [
+    // "send me a pic of you at the beach", "take a selfie", "show me your photo in a red dress"
+    new RegExp(`\\b(?:send|show|give|share|take|snap|click|drop)\\b(?:\\s+(?:me|us|a|an|one|some|your|ur|new|cute|nice|quick|another|more))*\\s+(?:${IMAGE_NOUNS})\\b(.*)$`, 'i'),
+    // "generate a picture of you cooking"
+    new RegExp(`\\b(?:generate|create|make|draw|paint)\\b(?:\\s+(?:me|a|an|one|some|your|ur|new))*\\s+(?:${IMAGE_NOUNS}|drawing|painting)\\b(.*)$`, 'i'),
+    // "can I see you in a red dress?", "I wanna see you", but not "I want to see you tomorrow"
+    new RegExp(`\\b(?:i want to|i wanna|i'd love to|i would love to|can i|could i|let me)\\s+see\\s+(?:you|u)\\b(?!\\s+(?:(?:in|on|at|this|next)\\s+)?(?:the\\s+)?(?:${WHEN_WORDS})\\b)(?=\\s*(?:[?!.]|$)|\\s+(?:${SCENE_STARTS})\\b)(.*)$`, 'i'),
+    // "pic of you pls"
+    new RegExp(`^(?:a\\s+|your\\s+|ur\\s+)?(?:${IMAGE_NOUNS})\\s+(?:of\\s+)?(?:you|u|yourself)\\b(.*)$`, 'i')
+];
+
+// "<scene> photo ekak ewanna", "<scene> ෆොටෝ එකක් එවන්න": the scene comes first
+const LOCAL_IMAGE_PATTERNS = [
+    new RegExp(`^(.*?)\\b(?:${IMAGE_NOUNS})\\s*(?:ekak|ekk|1k)?\\s+(?:mata\\s+)?${SINGLISH_SEND_VERBS}`, 'i'),
+    new RegExp(`^(.*?)(?:${SINHALA_IMAGE_NOUNS})\\s*(?:එකක්)?\\s*(?:මට\\s+)?${SINHALA_SEND_VERBS}`),
+    /^()(?:mata\s+)?(?:oyawa|oyava|umbawa)\s+(?:balanna|dakinna)\s+(?:ona|oni|one|aasai|asai)/i,
+    /^()(?:මට\s+)?(?:ඔයාව|උඹව)\s+(?:බලන්න|දකින්න)\s+(?:ඕනෙ|ඕනේ|ආසයි)/
+];
+
+const STICKER_PATTERNS = [
+    /\b(?:send|give|share|drop|make|want)\b(?:\s+\w+){0,3}?\s+stickers?\b/i,
+    new RegExp(`\\bstickers?\\s*(?:ekak|ekk|1k)?\\s+(?:mata\\s+)?${SINGLISH_SEND_VERBS}`, 'i'),
+    new RegExp(`ස්ටිකර්\\S*\\s*(?:එකක්)?\\s*(?:මට\\s+)?${SINHALA_SEND_VERBS}`)
+];
+
+// The reminder request is whatever follows (or precedes) the trigger phrase
+const REMINDER_PATTERNS = [
+    // "remind me to ...", but not "you remind me of ..."
+    /^(?:(?:please|pls|can you|could you|will you)\s+)?remind\s+me\s+(?!of\b)(.*)$/i,
+    /\bset\s+(?:a\s+|an\s+)?(?:reminder|alarm)\s*(?:for|to)?\s*(.*)$/i,
+    /\bdon'?t\s+let\s+me\s+forget\s+(.*)$/i,
+    /^(.*?)\s*mathak\s*(?:karanna|karapan|karannako|karanawada|karala\s+denna)\b/i,
+    /^(.*?)\s*මතක්\s*කර(?:න්න|පන්|ලා\s+දෙන්න)/
+];
+
+// "don't send me...", "photo ewanna epa", "එවන්න එපා"
+const NEGATIONS = [
+    /\b(?:don'?t|dont|do not|never|no need to|stop)\b(?:\s+\w+){0,2}?\s+(?:send|show|make|generate|create|take|give)\b/i,
+    /\b(?:epa|epaa|ona\s+na|oni\s+na|one\s+na)\b/i,
+    /එපා|ඕනෙ\s+නෑ|ඕනේ\s+නෑ/
+];
+
+// Singlish and Sinhala places a photo can be taken, with the scene in English
+const LOCAL_PLACES = {
+    gedara: 'at home', ගෙදර: 'at home',
+    kamare: 'in the bedroom', කාමරේ: 'in the bedroom',
+    muhude: 'at the beach', මුහුදේ: 'at the beach', werale: 'at the beach', වෙරළේ: 'at the beach',
+    kussiye: 'in the kitchen', කුස්සියේ: 'in the kitchen'
+};
+
+// "inna", "idala": being somewhere, at the end of a scene
+const LOCAL_BEING_WORDS = /(?:^|\s)(?:inna|indala|idala|hitiya|hitina|ඉන්න|ඉඳලා|හිටිය)$/i;
+
+// "beach eke": an English place word with the Singlish or Sinhala "at the"
+const LOCAL_AT_PATTERN = /^([a-z][a-z ]*?)\s+(?:eke|eka|ke|එකේ)$/i;
+
+// Words that may or may not mean a request, left to the AI classifier
+const AMBIGUOUS_WORDS = new RegExp(`\\b(?:${IMAGE_NOUNS}|stickers?|show me|send me|see you|remind)\\b|${SINHALA_IMAGE_NOUNS}|ස්ටිකර්`, 'i');
+
+/**
+ * Tidy a slot taken from the message
+ * @param {string} text - The captured text
+ * @returns {string} - The text without filler words and punctuation at the ends
+ */
+function cleanSlot(text) {
+    return (text || '')
+        .replace(/[^\p{L}\p{M}\p{N}]+$/u, '')
+        .replace(/^\s*(?:of|with)\s+(?:you|u|yourself)\b/i, '')
+        .replace(/^\s*(?:of|with)\b/i, '')
+        .replace(/\b(?:please|pls|plz|for me|now|ekak|oyage|oyaage|umbe|mata)\b/gi, '')
+        // \b doesn't work with Sinhala letters
+        .replace(/(?:^|\s)(?:ඔයාගේ|උඹේ|මට|එකක්)(?=\s|$)/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Put a Singlish or Sinhala scene into English, for the places the rules know
+ * @param {string} scene - The scene from the message, e.g. "beach eke inna"
+ * @returns {string|null} - The scene in English, or null if it couldn't be translated
+ */
+function translateLocalScene(scene) {
+    const place = scene.replace(LOCAL_BEING_WORDS, '').trim();
+    if (LOCAL_PLACES[place.toLowerCase()]) {
+        return LOCAL_PLACES[place.toLowerCase()];
+    }
+
+    const match = place.match(LOCAL_AT_PATTERN);
+    return match ? `at the ${match[1].trim()}` : null;
+}
+
+/**
+ * Classify a message with rules
+ * @param {string} text - The message
+ * @returns {Object} - { intent, slots, confidence, source }
+ */
+function classifyWithRules(text) {
+    const message = (text || '').trim();
+    const result = (intent, slots, confidence) => ({ intent, slots, confidence, source: 'rules' });
+
+    if (message.startsWith('/')) {
+        const [command, ...args] = message.split(/\s+/);
+        return result(INTENTS.COMMAND, { command: command.toLowerCase(), args }, 1);
+    }
+
+    for (const pattern of REMINDER_PATTERNS) {
+        const match = message.match(pattern);
+        if (match) {
+            return result(INTENTS.REMINDER, { request: match[1].trim() }, 0.9);
+        }
+    }
+
+    const negated = NEGATIONS.some(pattern => pattern.test(message));
+
+    if (!negated && STICKER_PATTERNS.some(pattern => pattern.test(message))) {
+        return result(INTENTS.STICKER, {}, 0.9);
+    }
+
+    if (!negated) {
+        for (const pattern of IMAGE_PATTERNS) {
+            const match = message.match(pattern);
+            if (match) {
+                return result(INTENTS.IMAGE_REQUEST, { scene: cleanSlot(match[1]) }, 0.9);
+            }
+        }
+
+        for (const pattern of LOCAL_IMAGE_PATTERNS) {
+            const match = message.match(pattern);
+            if (match) {
+                // Scenes the rules can't put into English are worth translating if the AI is available
+                const scene = cleanSlot(match[1]);
+                const translated = scene ? translateLocalScene(scene) : '';
+                return translated === null
+                    ? result(INTENTS.IMAGE_REQUEST, { scene }, 0.7)
+                    : result(INTENTS.IMAGE_REQUEST, { scene: translated }, 0.9);
+            }
+        }
+    }
+
+    // "show me some love", "don't send me anything": probably chat, but worth a second opinion
+    return result(INTENTS.CHAT, {}, AMBIGUOUS_WORDS.test(message) ? 0.5 : 0.9);
+}
+
+/**
+ * Classify a message with the AI, for messages the rules weren't sure about
+ * @param {string} text - The message
+ * @param {Object} [options] - { userId }
+ * @returns {Object|null} - { intent, slots, confidence, source }, or null if the AI couldn't help
+ */
+async function classifyWithAI(text, options = {}) {
+    if (!AI_CLASSIFIER_ENABLED || !await isFeatureAvailable('intent')) {
+        return null;
+    }
+
+    const examples = INTENT_EXAMPLES
+        .map(example => `${example.text} => ${JSON.stringify({ intent: example.intent, scene: example.scene || '' })}`)
+        .join('\n');
+
+    const systemMessage = {
+        role: "system",
+        content: `You classify messages a user sends to their AI companion on WhatsApp. Messages may be in English, Singlish (Sinhala written in English letters) or Sinhala.
+Intents:
+- image_request: they want the companion to send a photo of themselves
+- sticker: they want a sticker
+- reminder: they want to be reminded about something
+- command: a bot command starting with /
+- chat: anything else, including messages that only mention photos or say not to send one
+For image_request, "scene" is what the photo should show, in English (empty if they didn't say).
+Reply with JSON only, like {"intent": "chat", "scene": ""}.
+
+Examples:
+${examples}`
+    };
+
+    const reply = await generateText('intent', [systemMessage, { role: "user", content: text }], {
+        temperature: 0,
+        maxTokens: 60,
+        userId: options.userId
+    });
+
+    const json = (reply || '').match(/\{[\s\S]*\}/);
+    const parsed = json ? JSON.parse(json[0]) : null;
+    if (!parsed || !Object.values(INTENTS).includes(parsed.intent)) {
+        console.error(`Unexpected intent classification: ${reply}`);
+        return null;
+    }
+
+    const slots = {};
+    if (parsed.intent === INTENTS.IMAGE_REQUEST) {
+        slots.scene = cleanSlot(parsed.scene);
+    } else if (parsed.intent === INTENTS.REMINDER) {
+        slots.request = text.trim();
+    }
+    return { intent: parsed.intent, slots, confidence: 0.85, source: 'ai' };
+}
+
+// Tried in order until one is confident
+const DEFAULT_CLASSIFIERS = [classifyWithRules, classifyWithAI];
+
+/**
+ * Work out what a user wants from a message
+ * @param {string} text - The message
+ * @param {Object} [options] - { userId, classifiers } to replace the default classifiers
+ * @returns {Object} - { intent, slots, confidence, source }. Slots are { scene } for
+ *          image requests, { request } for reminders and { command, args } for commands.
+ */
+async function classifyIntent(text, options = {}) {
+    const { classifiers = DEFAULT_CLASSIFIERS, ...classifierOptions } = options;
+    let best = { intent: INTENTS.CHAT, slots: {}, confidence: 0, source: 'default' };
+
+    for (const classifier of classifiers) {
+        try {
+            const result = await classifier(text, classifierOptions);
+            if (result && result.confidence > best.confidence) {
+                best = result;
+            }
+        } catch (error) {
+            console.error('Error classifying intent:', error.message);
+        }
+        if (best.confidence >= CONFIDENT) {
+            break;
+        }
+    }
+
+    return best;
+}
+
+module.exports = {
+    INTENTS,
+    DEFAULT_CLASSIFIERS,
+    classifyWithRules,
+    classifyWithAI,
+    classifyIntent
+};
@@ -0,0 +1,41 @@
+/**
+ * Labelled messages for the intent classifier, in English, Singlish and
+ * Sinhala. The AI classifier is shown these as examples, so add a message
+ * here whenever one is classified wrongly. Scenes are written in English.
+ */
+const INTENT_EXAMPLES = [
+    { text: 'send me a pic of you at the beach', intent: 'image_request', scene: 'at the beach' },
+    { text: 'can I see you in a red dress?', intent: 'image_request', scene: 'in a red dress' },
+    { text: 'take a selfie for me', intent: 'image_request', scene: '' },
+    { text: 'generate a picture of you cooking dinner', intent: 'image_request', scene: 'cooking dinner' },
+    { text: 'oyage photo ekak ewanna', intent: 'image_request', scene: '' },
+    { text: 'beach eke inna photo ekak ewapan', intent: 'image_request', scene: 'at the beach' },
+    { text: 'gedara inna photo ekak ewanna', intent: 'image_request', scene: 'at home' },
+    { text: 'mata oyawa balanna ona', intent: 'image_request', scene: '' },
+    { text: 'ඔයාගේ ෆොටෝ එකක් එවන්න', intent: 'image_request', scene: '' },
+
+    { text: 'send me a sticker', intent: 'sticker' },
+    { text: 'sticker ekak dapan', intent: 'sticker' },
+    { text: 'ස්ටිකර් එකක් එවන්න', intent: 'sticker' },
+
+    { text: 'remind me to call mom at 5pm', intent: 'reminder' },
+    { text: "don't let me forget the meeting tomorrow at 9", intent: 'reminder' },
+    { text: 'heta udeta 8ta amma ta call karanna mathak karanna', intent: 'reminder' },
+    { text: 'හෙට උදේ බෙහෙත් බොන්න මතක් කරන්න', intent: 'reminder' },
+
+    { text: '/help', intent: 'command' },
+
+    { text: 'can you make me laugh?', intent: 'chat' },
+    { text: "don't send me anything right now", intent: 'chat' },
+    { text: 'I took a photo of the sunset today', intent: 'chat' },
+    { text: 'you remind me of my sister', intent: 'chat' },
+    { text: 'show me some love 🥺', intent: 'chat' },
+    { text: 'I want to see you tomorrow', intent: 'chat' },
+    { text: 'photo ewanna epa, kathawa karamu', intent: 'chat' },
+    { text: 'ada mata hari mahansi', intent: 'chat' },
+    { text: 'මට අද හරිම දුකයි', intent: 'chat' }
+];
+
+module.exports = {
+    INTENT_EXAMPLES
+};
@@ -0,0 +1,88 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Logs are rotated to <file>.1 above this size
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Append-only log with one JSON object per line. Appends run in the
+ * background but are chained, so entries stay in order and a read waits for
+ * the writes before it.
+ */
+class JsonLineLog {
+    /**
+     * @param {string} filePath - Path to the log file
+     * @param {Object} [options] - Log options
+     * @param {number} [options.maxBytes] - Size at which the log is rotated
+     */
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Append an entry in the background
+     * @param {Object} entry - The log entry
+     */
+    append(entry) {
+        this.queue = this.queue.then(async () => {
+            try {
+                await fs.ensureDir(path.dirname(this.filePath));
+
+                if (await fs.pathExists(this.filePath)) {
+                    const { size } = await fs.stat(this.filePath);
+                    if (size > this.maxBytes) {
+                        await fs.move(this.filePath, `${this.filePath}.1`, { overwrite: true });
+                    }
+                }
+
+                await fs.appendFile(this.filePath, JSON.stringify(entry) + '\n');
+            } catch (error) {
+                console.error(`Error writing ${path.basename(this.filePath)}:`, error);
+            }
+        });
+    }
+
+    /**
+     * Read the most recent entries
+     * @param {Object} [options] - { filter, limit }
+     * @returns {Array<Object>} - Entries, oldest first
+     */
+    async read(options = {}) {
+        const { filter = null, limit = 20 } = options;
+
+        try {
+            // Wait for pending appends so the caller sees its own entries
+            await this.queue;
+
+            if (!await fs.pathExists(this.filePath)) {
+                return [];
+            }
+
+            const lines = (await fs.readFile(this.filePath, 'utf8')).split('\n');
+            const entries = [];
+
+            for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+                if (!lines[i].trim()) {
+                    continue;
+                }
+                try {
+                    const entry = JSON.parse(lines[i]);
+                    if (!filter || filter(entry)) {
+                        entries.unshift(entry);
+                    }
+                } catch (parseError) {
+                    // Skip a line cut short by a crash
+                }
+            }
+
+            return entries;
+        } catch (error) {
+            console.error(`Error reading ${path.basename(this.filePath)}:`, error);
+            return [];
+        }
+    }
+}
+
+module.exports = { JsonLineLog };
@@ -0,0 +1,165 @@
+/**
+ * Lets the companion understand stickers, photos and GIFs a user sends. The
+ * vision model describes what was sent (and, for stickers, the emotion, using
+ * the same emotions as the companion's own stickers), and the media message is
+ * replaced by a text message with that description. It then goes into the
+ * conversation history like anything the user typed, so the reply responds to
+ * what was sent.
+ */
+const sharp = require('sharp');
+const { downloadMediaMessage } = require('@whiskeysockets/baileys');
+const { isFeatureAvailable, generateText } = require('../aiProviders');
+const { EXPRESSIONS } = require('./stickerUtils');
+
+// Images are shrunk to this size before they are described
+const MAX_IMAGE_SIZE = 512;
+
+const MEDIA_LABELS = {
+    sticker: 'Sticker',
+    photo: 'Photo',
+    gif: 'GIF'
+};
+
+/**
+ * Find the sticker, photo or GIF in a message
+ * @param {Object} message - WhatsApp message
+ * @returns {Object|null} - { kind, media, caption }, or null if it has none
+ */
+function getMediaInfo(message) {
+    const content = message.message || {};
+    if (content.stickerMessage) {
+        return { kind: 'sticker', media: content.stickerMessage, caption: '' };
+    }
+    if (content.imageMessage) {
+        return { kind: 'photo', media: content.imageMessage, caption: content.imageMessage.caption || '' };
+    }
+    if (content.videoMessage && content.videoMessage.gifPlayback) {
+        return { kind: 'gif', media: content.videoMessage, caption: content.videoMessage.caption || '' };
+    }
+    return null;
+}
+
+/**
+ * Get a still PNG of the media that a vision model can take
+ * @param {Object} message - WhatsApp message
+ * @param {Object} info - Result of getMediaInfo
+ * @returns {Buffer|null} - PNG image, or null if there is nothing to look at
+ */
+async function getMediaImage(message, info) {
+    // GIFs arrive as short videos, so their preview frame is used instead
+    const image = info.kind === 'gif'
+        ? info.media.jpegThumbnail && Buffer.from(info.media.jpegThumbnail)
+        : await downloadMediaMessage(message, 'buffer', {}, {});
+    if (!image || image.length === 0) {
+        return null;
+    }
+
+    // The first frame of an animated sticker, flattened so transparent areas aren't black
+    return sharp(image)
+        .resize(MAX_IMAGE_SIZE, MAX_IMAGE_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .flatten({ background: '#ffffff' })
+        .png()
+        .toBuffer();
+}
+
+/**
+ * Describe a sticker, photo or GIF with the vision model
+ * @param {Object} message - WhatsApp message
+ * @param {Object} [options] - { userId }
+ * @returns {Object|null} - { kind, description, emotion, caption }, or null if the message has no media.
+ *          description and emotion are null if the media couldn't be described.
+ */
+async function describeMedia(message, options = {}) {
+    const info = getMediaInfo(message);
+    if (!info) {
+        return null;
+    }
+    const result = { kind: info.kind, description: null, emotion: null, caption: info.caption.trim() };
+
+    try {
+        if (!await isFeatureAvailable('vision')) {
+            return result;
+        }
+        const image = await getMediaImage(message, info);
+        if (!image) {
+            return result;
+        }
+
+        const emotions = Object.keys(EXPRESSIONS);
+        const prompt = `A user sent this ${info.kind} to their AI companion on WhatsApp. ` +
+            `Describe what it shows in one short sentence, including any text in it, so the companion can reply to it.` +
+            (info.kind === 'sticker' ? ` Also say which emotion the sticker expresses, one of: ${emotions.join(', ')}.` : '') +
+            `\nReply with JSON only, like {"description": "a cat hugging a heart"${info.kind === 'sticker' ? ', "emotion": "love"' : ''}}.`;
+
+        const reply = await generateText('vision', [{
+            role: 'user',
+            content: [{ text: prompt }, { image: { mimeType: 'image/png', data: image.toString('base64') } }]
+        }], { temperature: 0.2, maxTokens: 150, userId: options.userId });
+
+        const json = (reply || '').match(/\{[\s\S]*\}/);
+        const parsed = json ? JSON.parse(json[0]) : null;
+        if (!parsed || typeof parsed.description !== 'string') {
+            console.error(`Unexpected media description: ${reply}`);
+            return result;
+        }
+
+        result.description = parsed.description.trim();
+        const emotion = String(parsed.emotion || '').trim().toLowerCase();
+        result.emotion = info.kind === 'sticker' && emotions.includes(emotion) ? emotion : null;
+        console.log(`Described ${info.kind}: "${result.description}"${result.emotion ? ` (${result.emotion})` : ''}`);
+    } catch (error) {
+        console.error(`Error describing ${info.kind}:`, error.message);
+    }
+    return result;
+}
+
+/**
+ * Write what was sent as a line of the conversation
+ * @param {Object} described - Result of describeMedia
+ * @returns {string} - e.g. "[Sticker: a cat hugging a heart. Emotion: love]"
+ */
+function formatMediaDescription(described) {
+    let note = MEDIA_LABELS[described.kind];
+    if (described.description) {
+        note += `: ${described.description.replace(/\.$/, '')}`;
+        if (described.emotion) {
+            note += `. Emotion: ${described.emotion}`;
+        }
+    } else {
+        note += ` (couldn't see what it shows)`;
+    }
+    return [`[${note}]`, described.caption].filter(Boolean).join('\n');
+}
+
+/**
+ * Replace the stickers, photos and GIFs in a batch of messages with text
+ * messages describing them. Other messages are returned unchanged.
+ * @param {Array<Object>} messages - WhatsApp messages
+ * @param {Object} [options] - { userId }
+ * @returns {Array<Object>} - The messages
+ */
+async function describeMediaMessages(messages, options = {}) {
+    const described = [];
+    for (const message of messages) {
+        const media = await describeMedia(message, options);
+        if (!media) {
+            described.push(message);
+            continue;
+        }
+
+        const text = formatMediaDescription(media);
+        const textMessage = { ...message, message: { conversation: text } };
+        if (typeof message.body === 'string') {
+            textMessage.body = text;
+        }
+        described.push(textMessage);
+    }
+    return described;
+}
+
+module.exports = {
+    getMediaInfo,
+    describeMedia,
+    formatMediaDescription,
+    describeMediaMessages
+};
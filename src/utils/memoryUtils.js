@@ -0,0 +1,594 @@
+/**
+ * Long-term memory: durable facts about the user (their name, birthday,
+ * likes, people in their life, upcoming events) pulled out of what they say
+ * and kept in userData.memory.facts.
+ *
+ * Facts are matched to the current conversation with a small keyword index
+ * (BM25 style term weighting), so a prompt only carries the facts that matter
+ * right now. The whole store is kept within a token budget: expired events go
+ * first, then the facts that were used least and longest ago.
+ */
+const { getUserTimezone, formatInTimezone } = require('./timezoneUtils');
+const { parseTimeExpression } = require('./timeParser');
+
+// Token budget for the whole fact store, per user
+const MEMORY_TOKEN_BUDGET = parseInt(process.env.MEMORY_TOKEN_BUDGET || '600');
+const PREMIUM_MEMORY_TOKEN_BUDGET = parseInt(process.env.PREMIUM_MEMORY_TOKEN_BUDGET || '2000');
+
+// Token budget for the facts added to one prompt
+const MEMORY_CONTEXT_TOKENS = parseInt(process.env.MEMORY_CONTEXT_TOKENS || '150');
+const PREMIUM_MEMORY_CONTEXT_TOKENS = parseInt(process.env.PREMIUM_MEMORY_CONTEXT_TOKENS || '400');
+
+// Events stay relevant this long after their date, and are mentioned
+// unprompted when they are this close
+const EVENT_EXPIRY_MS = 24 * 60 * 60 * 1000;
+const UPCOMING_EVENT_MS = 3 * 24 * 60 * 60 * 1000;
+
+// Longest note /memory add accepts, and how many forgotten keys are kept
+const MAX_USER_FACT_LENGTH = 200;
+const MAX_FORGOTTEN_KEYS = 100;
+
+// Categories that are always worth including when there is room
+const CORE_CATEGORIES = ['name', 'birthday'];
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'is', 'am', 'are', 'was', 'were', 'be', 'been',
+    'i', 'im', 'me', 'my', 'mine', 'you', 'your', 'we', 'our', 'it', 'its', 'this', 'that',
+    'to', 'of', 'in', 'on', 'at', 'for', 'with', 'about', 'from', 'by', 'as', 'so', 'do',
+    'does', 'did', 'have', 'has', 'had', 'not', 'no', 'yes', 'what', 'how', 'when', 'where',
+    'who', 'why', 'can', 'will', 'just', 'very', 'really', 'too', 'also', 'user', 'likes',
+    'dislikes', 'called', 'named', 'name', 'hey', 'hi', 'ok', 'okay', 'like', 'love'
+]);
+
+const RELATIONS = [
+    'mother', 'mom', 'mum', 'amma', 'father', 'dad', 'thaththa', 'sister', 'brother', 'wife',
+    'husband', 'girlfriend', 'boyfriend', 'son', 'daughter', 'best friend', 'friend',
+    'boss', 'grandmother', 'grandma', 'grandfather', 'grandpa', 'dog', 'cat', 'pet'
+];
+
+const EVENT_WORDS = [
+    'exam', 'test', 'interview', 'meeting', 'appointment', 'wedding', 'party', 'trip',
+    'flight', 'match', 'presentation', 'surgery', 'operation', 'concert', 'date',
+    'deadline', 'viva', 'class', 'graduation', 'funeral'
+];
+
+// Objects of "I like ..." that are not worth remembering
+const VAGUE_OBJECTS = /^(?:you|u|ur|your|it|that|this|them|him|her|so|too|much|when|how|what|if)\b/i;
+
+// Words that follow "call me" but are not a name
+const NOT_NAMES = new Set(['when', 'if', 'after', 'later', 'back', 'tomorrow', 'now', 'tonight', 'again', 'maybe', 'please']);
+
+// Pattern -> fact. Each builder gets the cleaned match and the extraction options
+// and returns { key, category, text } or null. Facts with the same key replace
+// each other, so a new name overwrites the old one.
+const FACT_PATTERNS = [
+    {
+        pattern: /\b(?:my name is|my name's|you can call me|just call me|mage nama)\s+([\p{L}][\p{L}'-]*(?:\s+[\p{Lu}][\p{L}'-]*)?)/iu,
+        build: match => NOT_NAMES.has(match[1].split(/\s+/)[0].toLowerCase()) ? null
+            : { key: 'name', category: 'name', text: `Their name is ${capitalize(match[1])}` }
+    },
+    {
+        pattern: /\b(?:my birthday is|my bday is|i was born on)\s+(?:on\s+)?(.+)/i,
+        build: (match, options) => {
+            // Store "tomorrow" as the actual day so it stays true
+            const parsed = parseTimeExpression(match[1], options);
+            const day = parsed && parsed.hasDate
+                ? formatInTimezone(parsed.date, options.timezone, { weekday: undefined, year: undefined, hour: undefined, minute: undefined })
+                : match[1];
+            return { key: 'birthday', category: 'birthday', text: `Their birthday is ${day}` };
+        }
+    },
+    {
+        pattern: /\bmy (fav(?:ou?rite)?|fave) ([\p{L}\s]{2,30}?) (?:is|are) (.+)/iu,
+        build: match => ({ key: `favorite:${match[2].toLowerCase()}`, category: 'like', text: `Their favourite ${match[2].toLowerCase()} is ${match[3]}` })
+    },
+    {
+        pattern: new RegExp(`\\bmy (${RELATIONS.join('|')})(?:'s name is| is called| is named| named| called)\\s+([\\p{L}][\\p{L}'-]*)`, 'iu'),
+        build: match => ({ key: `relation:${match[1].toLowerCase()}`, category: 'relationship', text: `Their ${match[1].toLowerCase()} is called ${capitalize(match[2])}` })
+    },
+    {
+        pattern: /\bi (?:really |absolutely |just |kinda )?(?:love|like|enjoy|adore) (.+)/i,
+        build: match => VAGUE_OBJECTS.test(match[1]) ? null
+            : { key: `preference:${match[1].toLowerCase()}`, category: 'like', text: `Likes ${match[1]}` }
+    },
+    {
+        pattern: /\bi (?:really )?(?:hate|dislike|can't stand|cant stand|don't like|dont like) (.+)/i,
+        build: match => VAGUE_OBJECTS.test(match[1]) ? null
+            : { key: `preference:${match[1].toLowerCase()}`, category: 'dislike', text: `Dislikes ${match[1]}` }
+    },
+    {
+        pattern: /\b(?:i work|i'm working|im working) (as|at|in|for) (.+)/i,
+        build: match => ({ key: 'work', category: 'work', text: `Works ${match[1].toLowerCase()} ${match[2]}` })
+    },
+    {
+        pattern: /\bmy job is (?:being )?(.+)/i,
+        build: match => ({ key: 'work', category: 'work', text: `Works as ${match[1]}` })
+    },
+    {
+        pattern: /\bi (?:study|am studying|'m studying|go to school|go to uni(?:versity)?)\s*(?:at|in)?\s+(.+)/i,
+        build: match => ({ key: 'study', category: 'work', text: `Studies ${match[1]}` })
+    },
+    {
+        pattern: /\bi (?:live|stay) in\s+(.+)/i,
+        build: match => ({ key: 'home', category: 'place', text: `Lives in ${match[1]}` })
+    },
+    {
+        pattern: /\b(?:i'm|im|i am) from\s+(.+)/i,
+        build: match => ({ key: 'hometown', category: 'place', text: `Is from ${match[1]}` })
+    }
+];
+
+/**
+ * Make the fact store exist on userData and bring in the old preferences and events
+ * @param {Object} userData - User data
+ * @returns {Object} - userData.memory
+ */
+function ensureMemory(userData) {
+    if (!userData.memory) {
+        userData.memory = {
+            topics: {},
+            preferences: {},
+            importantEvents: [],
+            lastInteractionSummary: ""
+        };
+    }
+    const memory = userData.memory;
+
+    if (!Array.isArray(memory.facts)) {
+        memory.facts = [];
+        memory.nextFactId = 1;
+    }
+    syncLegacyMemory(memory);
+
+    return memory;
+}
+
+/**
+ * Copy the flat preferences map and event list into the fact store. The chat
+ * summarizer still writes to them, so this runs every time memory is used.
+ * Entries the user told us to forget are removed from them instead, and
+ * nothing new is taken over while memory is paused.
+ * @param {Object} memory - userData.memory
+ */
+function syncLegacyMemory(memory) {
+    const forgotten = new Set(memory.forgottenKeys || []);
+    const legacyEntries = [];
+
+    for (const [item, preference] of Object.entries(memory.preferences || {})) {
+        legacyEntries.push({
+            fact: { key: `preference:${item.toLowerCase()}`, category: 'like', text: `${item}: ${preference}` },
+            remove: () => delete memory.preferences[item]
+        });
+    }
+    for (const event of memory.importantEvents || []) {
+        legacyEntries.push({
+            fact: { key: `event:${event.toLowerCase()}`, category: 'event', text: event },
+            remove: () => { memory.importantEvents = memory.importantEvents.filter(stored => stored !== event); }
+        });
+    }
+
+    for (const { fact, remove } of legacyEntries) {
+        const existing = memory.facts.find(stored => stored.key === fact.key);
+        if (forgotten.has(fact.key) || (memory.paused && !existing)) {
+            remove();
+        } else if (!existing || (existing.source === 'import' && existing.text !== fact.text)) {
+            addFact(memory, fact, 'import');
+        }
+    }
+}
+
+/**
+ * Roughly estimate how many model tokens a text uses (about 4 characters each)
+ * @param {string} text - The text
+ * @returns {number} - Estimated tokens
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Split text into index terms: lowercase words without stop words,
+ * with common English endings removed so "exams" matches "exam"
+ * @param {string} text - The text
+ * @returns {Array<string>} - Terms
+ */
+function tokenize(text) {
+    return (text || '').toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+        .map(word => word.length > 4 ? word.replace(/(ing|ed|es|s)$/, '') : word);
+}
+
+/**
+ * Capitalize the first letter of each word
+ * @param {string} value - The text
+ * @returns {string} - The capitalized text
+ */
+function capitalize(value) {
+    return value.replace(/(^|\s)(\p{L})/gu, (match, space, letter) => space + letter.toUpperCase());
+}
+
+/**
+ * Trim a captured phrase to the end of its clause
+ * @param {string} value - The captured text
+ * @returns {string} - The cleaned text
+ */
+function cleanCapture(value) {
+    return value
+        .split(/[.!?,;\n]|\s(?:and|but|because|coz|so)\s/i)[0]
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Pull durable facts out of something the user said
+ * @param {string} text - The user's message
+ * @param {Object} [options] - { timezone, now } used to resolve event dates
+ * @returns {Array<Object>} - Facts { key, category, text, eventDate? }
+ */
+function extractFacts(text, options = {}) {
+    if (!text || text.trim().startsWith('/')) {
+        return [];
+    }
+
+    const facts = [];
+    const sentences = text.split(/(?<=[.!?\n])\s+/);
+
+    for (const sentence of sentences) {
+        for (const { pattern, build } of FACT_PATTERNS) {
+            const match = sentence.match(pattern);
+            if (!match) {
+                continue;
+            }
+
+            const cleaned = match.map((group, index) => index === 0 ? group : cleanCapture(group || ''));
+            if (cleaned.slice(1).some(group => !group || group.length > 60)) {
+                continue;
+            }
+
+            const fact = build(cleaned, options);
+            if (fact) {
+                facts.push(fact);
+            }
+        }
+
+        // "I have an exam next friday", "my interview is on 24th october"
+        const eventWord = EVENT_WORDS.find(word => new RegExp(`\\b${word}s?\\b`, 'i').test(sentence));
+        if (eventWord && /\b(i|i'm|im|my|we|we're)\b/i.test(sentence)) {
+            const parsed = parseTimeExpression(sentence, options);
+            if (parsed && parsed.hasDate && parsed.date.getTime() > (options.now || new Date()).getTime()) {
+                const dateLabel = formatInTimezone(parsed.date, options.timezone, {
+                    weekday: 'short',
+                    year: undefined,
+                    month: 'short',
+                    hour: parsed.hasTime ? '2-digit' : undefined,
+                    minute: parsed.hasTime ? '2-digit' : undefined
+                });
+                facts.push({
+                    key: `event:${eventWord}:${parsed.date.toISOString().slice(0, 10)}`,
+                    category: 'event',
+                    text: `Has ${/^[aeiou]/i.test(eventWord) ? 'an' : 'a'} ${eventWord} on ${dateLabel}`,
+                    eventDate: parsed.date.toISOString()
+                });
+            }
+        }
+    }
+
+    return facts;
+}
+
+/**
+ * Add a fact, replacing an older fact with the same key
+ * @param {Object} memory - userData.memory
+ * @param {Object} fact - { key, category, text, eventDate? }
+ * @param {string} source - Where it came from: 'conversation', 'user' or 'import'
+ * @returns {Object} - The stored fact
+ */
+function addFact(memory, fact, source) {
+    const now = new Date().toISOString();
+    const existing = memory.facts.find(stored => stored.key === fact.key);
+
+    if (existing) {
+        existing.text = fact.text;
+        existing.category = fact.category;
+        existing.keywords = tokenize(fact.text);
+        existing.updatedAt = now;
+        if (fact.eventDate) {
+            existing.eventDate = fact.eventDate;
+        }
+        return existing;
+    }
+
+    const stored = {
+        id: String(memory.nextFactId || 1),
+        key: fact.key,
+        category: fact.category,
+        text: fact.text,
+        keywords: tokenize(fact.text),
+        source,
+        createdAt: now,
+        updatedAt: now,
+        lastUsedAt: null,
+        uses: 0
+    };
+    if (fact.eventDate) {
+        stored.eventDate = fact.eventDate;
+    }
+
+    memory.nextFactId = (memory.nextFactId || 1) + 1;
+    memory.facts.push(stored);
+    return stored;
+}
+
+/**
+ * Get the token budget for a user's fact store
+ * @param {Object} userData - User data
+ * @returns {number} - Token budget
+ */
+function getMemoryTokenBudget(userData) {
+    return userData.isPremium ? PREMIUM_MEMORY_TOKEN_BUDGET : MEMORY_TOKEN_BUDGET;
+}
+
+/**
+ * Drop facts until the store fits its token budget.
+ * Past events go first, then the least useful facts; facts the user added
+ * themselves are dropped last.
+ * @param {Object} userData - User data
+ * @returns {number} - How many facts were dropped
+ */
+function enforceMemoryBudget(userData) {
+    const memory = ensureMemory(userData);
+    const now = Date.now();
+    const before = memory.facts.length;
+
+    memory.facts = memory.facts.filter(fact => !fact.eventDate || new Date(fact.eventDate).getTime() + EVENT_EXPIRY_MS > now);
+
+    const budget = getMemoryTokenBudget(userData);
+    let total = memory.facts.reduce((sum, fact) => sum + estimateTokens(fact.text), 0);
+    if (total > budget) {
+        // Lowest value first
+        const byValue = [...memory.facts].sort((a, b) => factValue(a, now) - factValue(b, now));
+        const dropped = new Set();
+        for (const fact of byValue) {
+            if (total <= budget) {
+                break;
+            }
+            dropped.add(fact.id);
+            total -= estimateTokens(fact.text);
+        }
+        memory.facts = memory.facts.filter(fact => !dropped.has(fact.id));
+    }
+
+    return before - memory.facts.length;
+}
+
+/**
+ * Delete a fact and make sure it isn't brought back from the old preferences
+ * @param {Object} userData - User data (the caller must save it)
+ * @param {string} id - The fact ID shown by /memory
+ * @returns {Object|null} - The deleted fact, or null if there is no such fact
+ */
+function forgetFact(userData, id) {
+    const memory = ensureMemory(userData);
+    const fact = memory.facts.find(stored => stored.id === String(id));
+    if (!fact) {
+        return null;
+    }
+
+    memory.facts = memory.facts.filter(stored => stored !== fact);
+    memory.forgottenKeys = [...(memory.forgottenKeys || []).filter(key => key !== fact.key), fact.key]
+        .slice(-MAX_FORGOTTEN_KEYS);
+    syncLegacyMemory(memory);
+
+    return fact;
+}
+
+/**
+ * Store something the user asked the companion to remember. Phrases like
+ * "my birthday is 3 may" become the matching fact, anything else is kept as
+ * a note in the user's own words.
+ * @param {Object} userData - User data (the caller must save it)
+ * @param {string} text - What to remember
+ * @param {string} [userId] - The user's WhatsApp ID, used to guess their timezone
+ * @returns {Array<Object>} - The stored facts (empty if memory is too full to keep them)
+ */
+function addUserFact(userData, text, userId) {
+    const memory = ensureMemory(userData);
+    const cleaned = text.replace(/\s+/g, ' ').trim();
+
+    let facts = extractFacts(cleaned, { timezone: getUserTimezone(userData, userId) });
+    if (facts.length === 0) {
+        facts = [{ key: `note:${cleaned.toLowerCase()}`, category: 'note', text: cleaned.charAt(0).toUpperCase() + cleaned.slice(1) }];
+    }
+
+    const stored = facts.map(fact => {
+        memory.forgottenKeys = (memory.forgottenKeys || []).filter(key => key !== fact.key);
+        const saved = addFact(memory, fact, 'user');
+        saved.source = 'user';
+        return saved;
+    });
+    enforceMemoryBudget(userData);
+
+    return stored.filter(fact => memory.facts.includes(fact));
+}
+
+/**
+ * How much a fact is worth keeping: used often and recently is better
+ * @param {Object} fact - A stored fact
+ * @param {number} now - Current timestamp
+ * @returns {number} - Higher is more valuable
+ */
+function factValue(fact, now) {
+    const lastTouched = new Date(fact.lastUsedAt || fact.updatedAt || fact.createdAt).getTime();
+    const ageDays = (now - lastTouched) / (24 * 60 * 60 * 1000);
+    let value = (fact.uses || 0) + 10 / (1 + ageDays);
+    if (fact.source === 'user') {
+        value += 1000;
+    }
+    if (CORE_CATEGORIES.includes(fact.category)) {
+        value += 100;
+    }
+    return value;
+}
+
+/**
+ * Learn facts from the user's latest message and keep the store in budget.
+ * Does nothing while memory is paused.
+ * @param {Object} userData - User data (the caller must save it)
+ * @param {string} text - The user's message
+ * @param {string} [userId] - The user's WhatsApp ID, used to guess their timezone
+ * @returns {Array<Object>} - The facts that were added or updated
+ */
+function rememberFromMessage(userData, text, userId) {
+    const memory = ensureMemory(userData);
+    if (memory.paused) {
+        return [];
+    }
+
+    const facts = extractFacts(text, { timezone: getUserTimezone(userData, userId) });
+    const stored = facts.map(fact => addFact(memory, fact, 'conversation'));
+    if (stored.length > 0) {
+        enforceMemoryBudget(userData);
+    }
+
+    return stored;
+}
+
+/**
+ * Learn from the newest user message in the conversation history, once.
+ * @param {Object} userData - User data (the caller must save it)
+ * @param {string} [userId] - The user's WhatsApp ID
+ * @returns {Array<Object>} - The facts that were added or updated
+ */
+function rememberFromLatestMessage(userData, userId) {
+    const history = userData.conversationHistory || [];
+    let latest = null;
+    for (let i = history.length - 1; i >= 0; i--) {
+        if (history[i].role === 'user') {
+            latest = history[i].content;
+            break;
+        }
+    }
+
+    const memory = ensureMemory(userData);
+    if (!latest || memory.lastExtractedMessage === latest) {
+        return [];
+    }
+    memory.lastExtractedMessage = latest;
+
+    return rememberFromMessage(userData, latest, userId);
+}
+
+/**
+ * Find the facts that matter for the current conversation, within a token budget
+ * @param {Object} userData - User data
+ * @param {string} query - What is being talked about (recent messages, reminder text, ...)
+ * @param {number} [tokenBudget] - Maximum tokens of facts to return
+ * @returns {Array<Object>} - Relevant facts, most relevant first
+ */
+function retrieveRelevantFacts(userData, query, tokenBudget) {
+    const memory = ensureMemory(userData);
+    const facts = memory.facts;
+    if (facts.length === 0) {
+        return [];
+    }
+
+    const budget = tokenBudget || (userData.isPremium ? PREMIUM_MEMORY_CONTEXT_TOKENS : MEMORY_CONTEXT_TOKENS);
+    const now = Date.now();
+
+    // Inverse document frequency of each term across the user's facts
+    const documentFrequency = new Map();
+    for (const fact of facts) {
+        for (const term of new Set(fact.keywords)) {
+            documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+        }
+    }
+    const queryTerms = new Set(tokenize(query));
+
+    const scored = facts.map(fact => {
+        let score = 0;
+        for (const term of new Set(fact.keywords)) {
+            if (queryTerms.has(term)) {
+                score += Math.log(1 + facts.length / documentFrequency.get(term));
+            }
+        }
+        if (CORE_CATEGORIES.includes(fact.category)) {
+            score += 0.5;
+        }
+        if (fact.eventDate) {
+            const untilEvent = new Date(fact.eventDate).getTime() - now;
+            if (untilEvent > -EVENT_EXPIRY_MS && untilEvent < UPCOMING_EVENT_MS) {
+                score += 1;
+            }
+        }
+        return { fact, score };
+    });
+
+    const selected = [];
+    let used = 0;
+    for (const { fact, score } of scored.sort((a, b) => b.score - a.score)) {
+        if (score <= 0) {
+            break;
+        }
+        const tokens = estimateTokens(fact.text) + 2;
+        if (used + tokens > budget) {
+            continue;
+        }
+        selected.push(fact);
+        used += tokens;
+    }
+
+    const usedAt = new Date(now).toISOString();
+    for (const fact of selected) {
+        fact.lastUsedAt = usedAt;
+        fact.uses = (fact.uses || 0) + 1;
+    }
+
+    return selected;
+}
+
+/**
+ * Get the text of the latest messages, to use as a retrieval query
+ * @param {Object} userData - User data
+ * @param {number} [count] - How many recent messages to use
+ * @returns {string} - The recent conversation text
+ */
+function getRecentConversationText(userData, count = 4) {
+    return (userData.conversationHistory || [])
+        .slice(-count)
+        .map(message => message.content)
+        .join('\n');
+}
+
+/**
+ * Build the memory section of a system prompt
+ * @param {Object} userData - User data
+ * @param {string} [query] - What is being talked about; defaults to the latest messages
+ * @param {number} [tokenBudget] - Maximum tokens of facts to include
+ * @returns {string} - Prompt text, or an empty string if nothing relevant is remembered
+ */
+function buildMemoryContext(userData, query, tokenBudget) {
+    const facts = retrieveRelevantFacts(userData, query !== undefined ? query : getRecentConversationText(userData), tokenBudget);
+    if (facts.length === 0) {
+        return '';
+    }
+
+    return `Things you remember about ${userData.userName || 'them'}:\n` +
+        facts.map(fact => `- ${fact.text}`).join('\n');
+}
+
+module.exports = {
+    MAX_USER_FACT_LENGTH,
+    ensureMemory,
+    estimateTokens,
+    extractFacts,
+    addFact,
+    forgetFact,
+    addUserFact,
+    enforceMemoryBudget,
+    rememberFromMessage,
+    rememberFromLatestMessage,
+    retrieveRelevantFacts,
+    getRecentConversationText,
+    buildMemoryContext
+};
@@ -0,0 +1,186 @@
+/**
+ * Collects messages a user sends in quick succession ("hey", "you there?",
+ * "i had a bad day") so they are answered together in one reply. A batch is
+ * answered once the user has been quiet for MESSAGE_BATCH_WINDOW_MS, or for
+ * longer while WhatsApp shows them typing, but never later than
+ * MESSAGE_BATCH_MAX_WAIT_MS after its first message.
+ *
+ * Replies for a user run one at a time, so they never interleave. Messages
+ * that arrive while a reply is being written form the next batch.
+ */
+
+// Quiet time after the latest message before the batch is answered
+const BATCH_WINDOW_MS = parseInt(process.env.MESSAGE_BATCH_WINDOW_MS || '2500');
+
+// How long a "typing..." presence keeps the batch open
+const TYPING_WAIT_MS = parseInt(process.env.MESSAGE_BATCH_TYPING_WAIT_MS || '8000');
+
+// Longest a batch waits after its first message
+const MAX_BATCH_WAIT_MS = parseInt(process.env.MESSAGE_BATCH_MAX_WAIT_MS || '15000');
+
+// A batch this big is answered straight away
+const MAX_BATCH_MESSAGES = 10;
+
+// Open batches by user
+const batches = new Map();
+
+// Reply queue for each user, a promise chain like the document store's
+const replyQueues = new Map();
+
+// Users whose presence we have subscribed to
+const presenceSubscriptions = new Set();
+
+/**
+ * Get the text of a message
+ * @param {Object} message - WhatsApp message
+ * @returns {string} - The text, or '' if it has none
+ */
+function getMessageText(message) {
+    const content = message.message || {};
+    return content.conversation ||
+        (content.extendedTextMessage && content.extendedTextMessage.text) ||
+        message.body ||
+        '';
+}
+
+/**
+ * Turn a batch into one message with every text on its own line, based on
+ * the latest message
+ * @param {Array<Object>} messages - The batched messages, oldest first
+ * @returns {Object} - The combined message
+ */
+function combineMessages(messages) {
+    const latest = messages[messages.length - 1];
+    if (messages.length === 1) {
+        return latest;
+    }
+
+    const text = messages.map(getMessageText).filter(Boolean).join('\n');
+    const combined = { ...latest, message: { conversation: text } };
+    if (typeof latest.body === 'string') {
+        combined.body = text;
+    }
+    return combined;
+}
+
+/**
+ * Run a task after the user's earlier replies have finished
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {Function} task - Async task
+ * @returns {Promise} - Resolves with the task result
+ */
+function runForUser(userId, task) {
+    const previous = replyQueues.get(userId) || Promise.resolve();
+    const run = previous.then(task, task);
+    const queued = run.catch(() => {});
+    replyQueues.set(userId, queued);
+
+    // Forget the queue once it is empty so idle users don't keep an entry
+    queued.then(() => {
+        if (replyQueues.get(userId) === queued) {
+            replyQueues.delete(userId);
+        }
+    });
+    return run;
+}
+
+/**
+ * (Re)start a batch's timer for when it should be answered
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {Object} batch - The open batch
+ */
+function scheduleFlush(userId, batch) {
+    clearTimeout(batch.timer);
+
+    const now = Date.now();
+    const quietAt = Math.max(batch.lastMessageAt + BATCH_WINDOW_MS, batch.typingUntil);
+    const flushAt = Math.min(quietAt, batch.firstMessageAt + MAX_BATCH_WAIT_MS);
+    const delay = batch.messages.length >= MAX_BATCH_MESSAGES ? 0 : Math.max(flushAt - now, 0);
+
+    batch.timer = setTimeout(() => flushBatch(userId), delay);
+}
+
+/**
+ * Close a user's batch and queue the reply to it
+ * @param {string} userId - The user's WhatsApp ID
+ * @returns {Promise|null} - Resolves when the reply is done, or null if there was no batch
+ */
+function flushBatch(userId) {
+    const batch = batches.get(userId);
+    if (!batch) {
+        return null;
+    }
+    clearTimeout(batch.timer);
+    batches.delete(userId);
+
+    if (batch.messages.length > 1) {
+        console.log(`Answering ${batch.messages.length} messages from ${userId} together`);
+    }
+
+    return runForUser(userId, async () => {
+        try {
+            await batch.handler(combineMessages(batch.messages), batch.messages);
+        } catch (error) {
+            console.error(`Error replying to ${userId}:`, error);
+        }
+    });
+}
+
+/**
+ * Add a message to the user's batch. The handler is called once for the
+ * whole batch, with the combined message and the original messages.
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {Object} message - WhatsApp message
+ * @param {Function} handler - Async (combinedMessage, messages) => void
+ */
+function queueMessage(sock, userId, message, handler) {
+    // Ask WhatsApp to tell us when this user is typing
+    if (!presenceSubscriptions.has(userId) && typeof sock.presenceSubscribe === 'function') {
+        presenceSubscriptions.add(userId);
+        sock.presenceSubscribe(userId).catch(error => {
+            presenceSubscriptions.delete(userId);
+            console.error(`Error subscribing to presence of ${userId}:`, error.message);
+        });
+    }
+
+    const now = Date.now();
+    let batch = batches.get(userId);
+    if (!batch) {
+        batch = { messages: [], firstMessageAt: now, typingUntil: 0, timer: null };
+        batches.set(userId, batch);
+    }
+
+    batch.messages.push(message);
+    batch.lastMessageAt = now;
+    // The user has just sent a message, so any earlier "typing..." is over
+    batch.typingUntil = 0;
+    batch.handler = handler;
+    scheduleFlush(userId, batch);
+}
+
+/**
+ * Keep a batch open while the user is typing. Pass the socket's
+ * 'presence.update' events here.
+ * @param {Object} update - { id, presences: { [jid]: { lastKnownPresence } } }
+ */
+function handlePresenceUpdate(update) {
+    const batch = batches.get(update.id);
+    if (!batch || !update.presences) {
+        return;
+    }
+
+    const typing = Object.values(update.presences)
+        .some(presence => presence.lastKnownPresence === 'composing' || presence.lastKnownPresence === 'recording');
+    batch.typingUntil = typing ? Date.now() + TYPING_WAIT_MS : 0;
+    scheduleFlush(update.id, batch);
+}
+
+module.exports = {
+    getMessageText,
+    combineMessages,
+    runForUser,
+    queueMessage,
+    flushBatch,
+    handlePresenceUpdate
+};
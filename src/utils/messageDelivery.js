@@ -0,0 +1,241 @@
+/**
+ * Sends companion replies the way a person would: "typing..." is shown while
+ * a reply is being written, and long replies arrive as a few shorter messages
+ * split at sentence boundaries, with a pause before each one. When the user
+ * writes again, the parts not sent yet are dropped.
+ */
+
+// Replies longer than this are split, aiming for parts of about this length
+const CHUNK_LENGTH = parseInt(process.env.REPLY_CHUNK_LENGTH || '400');
+
+// Pause before each part, based on how long it would take to type
+const TYPING_CHARS_PER_SECOND = parseInt(process.env.REPLY_TYPING_CHARS_PER_SECOND || '25');
+const MIN_TYPING_DELAY_MS = parseInt(process.env.REPLY_MIN_TYPING_DELAY_MS || '600');
+const MAX_TYPING_DELAY_MS = parseInt(process.env.REPLY_MAX_TYPING_DELAY_MS || '4000');
+
+// WhatsApp hides "typing..." after a while, so it is sent again this often
+const PRESENCE_REFRESH_MS = 8000;
+
+// Delivery in progress for each user, so a new message can cancel it
+const activeDeliveries = new Map();
+
+/**
+ * Split text at word boundaries into pieces of at most maxLength, of roughly
+ * equal length so the last one isn't just a word or two
+ * @param {string} text - The text
+ * @param {number} maxLength - Longest piece
+ * @returns {Array<string>} - The pieces
+ */
+function splitAtWords(text, maxLength) {
+    const target = Math.ceil(text.length / Math.ceil(text.length / maxLength));
+    const pieces = [];
+    let current = '';
+    for (const word of text.split(/\s+/)) {
+        if (current && current.length + word.length + 1 > maxLength) {
+            pieces.push(current);
+            current = word;
+        } else {
+            current = current ? `${current} ${word}` : word;
+        }
+        if (current.length >= target) {
+            pieces.push(current);
+            current = '';
+        }
+    }
+    if (current) {
+        pieces.push(current);
+    }
+    return pieces;
+}
+
+/**
+ * Split a reply into messages at paragraph and sentence boundaries
+ * @param {string} text - The reply
+ * @param {number} [maxLength] - Longest message (default REPLY_CHUNK_LENGTH)
+ * @returns {Array<string>} - The messages, the whole reply if it is short enough
+ */
+function splitIntoChunks(text, maxLength = CHUNK_LENGTH) {
+    const trimmed = (text || '').trim();
+    // Code blocks would be broken by splitting, so they go as one message
+    if (trimmed.length <= maxLength || trimmed.includes('```')) {
+        return trimmed ? [trimmed] : [];
+    }
+
+    const chunks = [];
+    for (const paragraph of trimmed.split(/\n\s*\n/)) {
+        // Sentences end with . ! ? or … (and any closing quotes or emoji after them)
+        const sentences = paragraph.trim().match(/[^.!?…]+(?:[.!?…]+\S*|$)\s*/g) || [];
+        let current = '';
+
+        for (const sentence of sentences.map(part => part.trim()).filter(Boolean)) {
+            if (sentence.length > maxLength) {
+                if (current) {
+                    chunks.push(current);
+                    current = '';
+                }
+                chunks.push(...splitAtWords(sentence, maxLength));
+            } else if (current && current.length + sentence.length + 1 > maxLength) {
+                chunks.push(current);
+                current = sentence;
+            } else {
+                current = current ? `${current} ${sentence}` : sentence;
+            }
+        }
+
+        if (current) {
+            chunks.push(current);
+        }
+    }
+    return chunks;
+}
+
+/**
+ * Work out how long "typing" a message should take
+ * @param {string} text - The message
+ * @returns {number} - Milliseconds
+ */
+function getTypingDelay(text) {
+    const delay = (text.length / TYPING_CHARS_PER_SECOND) * 1000 * (0.8 + Math.random() * 0.4);
+    return Math.min(Math.max(delay, MIN_TYPING_DELAY_MS), MAX_TYPING_DELAY_MS);
+}
+
+/**
+ * Send a presence update, ignoring failures as presence is only cosmetic
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {string} type - 'composing' or 'paused'
+ * @param {string} userId - The user's WhatsApp ID
+ */
+async function sendPresence(sock, type, userId) {
+    try {
+        if (typeof sock.sendPresenceUpdate === 'function') {
+            await sock.sendPresenceUpdate(type, userId);
+        }
+    } catch (error) {
+        console.error(`Error sending ${type} presence to ${userId}:`, error.message);
+    }
+}
+
+/**
+ * Show "typing..." until the returned function is called
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {string} userId - The user's WhatsApp ID
+ * @returns {Function} - Call to stop typing
+ */
+function startTyping(sock, userId) {
+    sendPresence(sock, 'composing', userId);
+    const timer = setInterval(() => sendPresence(sock, 'composing', userId), PRESENCE_REFRESH_MS);
+    timer.unref();
+
+    let stopped = false;
+    return () => {
+        if (!stopped) {
+            stopped = true;
+            clearInterval(timer);
+            sendPresence(sock, 'paused', userId);
+        }
+    };
+}
+
+/**
+ * Run a task (such as generating a reply) while showing "typing..."
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {Function} task - Async task
+ * @returns {*} - The task result
+ */
+async function withTyping(sock, userId, task) {
+    const stopTyping = startTyping(sock, userId);
+    try {
+        return await task();
+    } finally {
+        stopTyping();
+    }
+}
+
+/**
+ * Drop the parts of a reply that haven't been sent yet, e.g. because the user
+ * wrote again
+ * @param {string} userId - The user's WhatsApp ID
+ * @returns {boolean} - Whether a delivery was cancelled
+ */
+function cancelDelivery(userId) {
+    const delivery = activeDeliveries.get(userId);
+    if (!delivery) {
+        return false;
+    }
+    delivery.cancelled = true;
+    activeDeliveries.delete(userId);
+    return true;
+}
+
+/**
+ * Send a reply as one or more messages, typing before each one
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {string} text - The reply
+ * @returns {Object} - { sent: texts delivered, messages: sent WhatsApp messages, cancelled }
+ */
+async function sendChunkedText(sock, userId, text) {
+    // A newer reply replaces whatever is still being delivered
+    cancelDelivery(userId);
+    const delivery = { cancelled: false };
+    activeDeliveries.set(userId, delivery);
+
+    const sent = [];
+    const messages = [];
+    try {
+        for (const chunk of splitIntoChunks(text)) {
+            const stopTyping = startTyping(sock, userId);
+            await new Promise(resolve => setTimeout(resolve, getTypingDelay(chunk)));
+            stopTyping();
+
+            if (delivery.cancelled) {
+                console.log(`Dropped the rest of a reply to ${userId} after they wrote again`);
+                break;
+            }
+            messages.push(await sock.sendMessage(userId, { text: chunk }));
+            sent.push(chunk);
+        }
+    } finally {
+        if (activeDeliveries.get(userId) === delivery) {
+            activeDeliveries.delete(userId);
+        }
+    }
+
+    return { sent, messages, cancelled: delivery.cancelled };
+}
+
+/**
+ * Wrap a socket for a handler that writes one reply: "typing..." shows
+ * until its first message, and long text messages are sent in parts.
+ * Everything else is passed through to the real socket.
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {string} userId - The user's WhatsApp ID
+ * @returns {Object} - The wrapped socket, with stopTyping() to call when the handler is done
+ */
+function createDeliverySocket(sock, userId) {
+    const stopTyping = startTyping(sock, userId);
+    const deliverySock = Object.create(sock);
+
+    deliverySock.stopTyping = stopTyping;
+    deliverySock.sendMessage = async (jid, content, options) => {
+        stopTyping();
+        const isPlainText = jid === userId && content && typeof content.text === 'string' && Object.keys(content).length === 1;
+        if (isPlainText && content.text.length > CHUNK_LENGTH) {
+            const { messages } = await sendChunkedText(sock, jid, content.text);
+            return messages[messages.length - 1];
+        }
+        return sock.sendMessage(jid, content, options);
+    };
+
+    return deliverySock;
+}
+
+module.exports = {
+    splitIntoChunks,
+    startTyping,
+    withTyping,
+    cancelDelivery,
+    sendChunkedText,
+    createDeliverySocket
+};
@@ -0,0 +1,178 @@
+/**
+ * Per-user settings for messages the bot sends on its own (check-ins and
+ * spontaneous self-messages), stored in userData.proactive. Anything the
+ * user hasn't changed falls back to the defaults below.
+ */
+
+// How chatty spontaneous self-messages are: the gap between them, how many
+// in a row without a reply, and the chance to send when one is due during
+// an hour the user is usually active / not active
+const FREQUENCY_PRESETS = {
+    low: { minGapHours: 12, maxConsecutive: 1, activeChance: 0.5, idleChance: 0.2 },
+    normal: { minGapHours: 6, maxConsecutive: 2, activeChance: 0.7, idleChance: 0.4 },
+    high: { minGapHours: 3, maxConsecutive: 3, activeChance: 0.9, idleChance: 0.6 }
+};
+
+// Limits for /proactive max
+const MAX_PER_DAY_LIMIT = 10;
+
+// Limits for /proactive checkin
+const MAX_CHECK_IN_TIMES = 4;
+
+const DEFAULT_PROACTIVE_SETTINGS = {
+    enabled: true,
+    quietHours: {
+        start: parseClockTime(process.env.ENGAGEMENT_QUIET_START || '22') || '22:00',
+        end: parseClockTime(process.env.ENGAGEMENT_QUIET_END || '8') || '08:00'
+    },
+    maxPerDay: parseInt(process.env.ENGAGEMENT_DAILY_BUDGET || '4'),
+    checkInTimes: ['09:00', '19:00'],
+    frequency: 'normal'
+};
+
+/**
+ * Parse a clock time such as "22", "22:30", "10pm" or "7.30 am"
+ * @param {string} text - The time text
+ * @returns {string|null} - The time as HH:MM, or null if invalid
+ */
+function parseClockTime(text) {
+    if (!text) {
+        return null;
+    }
+
+    const match = String(text).trim().toLowerCase().match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?$/);
+    if (!match) {
+        return null;
+    }
+
+    let hour = parseInt(match[1]);
+    const minute = match[2] ? parseInt(match[2]) : 0;
+    const meridiem = match[3];
+
+    if (meridiem) {
+        if (hour < 1 || hour > 12) {
+            return null;
+        }
+        hour = hour % 12 + (meridiem === 'pm' ? 12 : 0);
+    }
+    if (hour > 23 || minute > 59) {
+        return null;
+    }
+
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * Parse a time range such as "22:00-07:00" or "10pm to 7am"
+ * @param {string} text - The range text
+ * @returns {Object|null} - { start, end } as HH:MM, or null if invalid
+ */
+function parseTimeRange(text) {
+    const parts = String(text || '').split(/\s*(?:-|–|\bto\b)\s*/i);
+    if (parts.length !== 2) {
+        return null;
+    }
+
+    const start = parseClockTime(parts[0]);
+    const end = parseClockTime(parts[1]);
+    if (!start || !end || start === end) {
+        return null;
+    }
+
+    return { start, end };
+}
+
+/**
+ * Convert HH:MM to minutes since midnight
+ * @param {string} time - The time as HH:MM
+ * @returns {number} - Minutes since midnight
+ */
+function toMinutes(time) {
+    const [hour, minute] = time.split(':').map(value => parseInt(value));
+    return hour * 60 + minute;
+}
+
+/**
+ * Check whether a time of day falls inside quiet hours
+ * @param {Object|null} quietHours - { start, end } as HH:MM, or null for none
+ * @param {number} minutesOfDay - Local minutes since midnight
+ * @returns {boolean} - Whether it is quiet time
+ */
+function isQuietTime(quietHours, minutesOfDay) {
+    if (!quietHours) {
+        return false;
+    }
+
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    if (start === end) {
+        return false;
+    }
+    // The range usually wraps past midnight (22:00 - 08:00)
+    if (start > end) {
+        return minutesOfDay >= start || minutesOfDay < end;
+    }
+    return minutesOfDay >= start && minutesOfDay < end;
+}
+
+/**
+ * Get a user's proactive message settings, filled in with the defaults
+ * @param {Object} userData - User data
+ * @returns {Object} - { enabled, quietHours, maxPerDay, checkInTimes, frequency }
+ */
+function getProactiveSettings(userData) {
+    const saved = (userData && userData.proactive) || {};
+    const settings = { ...DEFAULT_PROACTIVE_SETTINGS, ...saved };
+
+    // Ignore anything that no longer parses rather than failing the scheduler
+    if (settings.quietHours && !parseTimeRange(`${settings.quietHours.start}-${settings.quietHours.end}`)) {
+        settings.quietHours = DEFAULT_PROACTIVE_SETTINGS.quietHours;
+    }
+    if (!Number.isInteger(settings.maxPerDay) || settings.maxPerDay < 1) {
+        settings.maxPerDay = DEFAULT_PROACTIVE_SETTINGS.maxPerDay;
+    }
+    if (!Array.isArray(settings.checkInTimes)) {
+        settings.checkInTimes = DEFAULT_PROACTIVE_SETTINGS.checkInTimes;
+    }
+    settings.checkInTimes = settings.checkInTimes.filter(time => parseClockTime(time));
+    if (!FREQUENCY_PRESETS[settings.frequency]) {
+        settings.frequency = DEFAULT_PROACTIVE_SETTINGS.frequency;
+    }
+
+    return settings;
+}
+
+/**
+ * Get the self-message tuning for a user's chosen frequency
+ * @param {Object} userData - User data
+ * @returns {Object} - { minGapHours, maxConsecutive, activeChance, idleChance }
+ */
+function getFrequencyPreset(userData) {
+    return FREQUENCY_PRESETS[getProactiveSettings(userData).frequency];
+}
+
+/**
+ * Change some of a user's proactive message settings.
+ * Only changed fields are stored so defaults can still change later.
+ * @param {Object} userData - User data (the caller must save it)
+ * @param {Object} changes - Fields to change
+ * @returns {Object} - The user's settings after the change
+ */
+function updateProactiveSettings(userData, changes) {
+    userData.proactive = { ...(userData.proactive || {}), ...changes };
+    return getProactiveSettings(userData);
+}
+
+module.exports = {
+    FREQUENCY_PRESETS,
+    DEFAULT_PROACTIVE_SETTINGS,
+    MAX_PER_DAY_LIMIT,
+    MAX_CHECK_IN_TIMES,
+    parseClockTime,
+    parseTimeRange,
+    toMinutes,
+    isQuietTime,
+    getProactiveSettings,
+    getFrequencyPreset,
+    updateProactiveSettings
+};
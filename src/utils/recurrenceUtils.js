@@ -0,0 +1,328 @@
+/**
+ * Recurrence rules for reminders.
+ *
+ * A recurrence is stored on the reminder as a readable string so it can be
+ * shown to the user as-is:
+ * - "daily", "weekly", "monthly"
+ * - "weekdays", "weekends"
+ * - "every 2 hours", "every 30 minutes", "every 3 days", "every 2 weeks"
+ * - "every monday and thursday", "every monday, wednesday and friday"
+ *
+ * Day based recurrences follow the user's wall clock in their timezone, so
+ * "daily at 8am" stays at 8am across daylight saving changes.
+ */
+
+const { DEFAULT_TIMEZONE, getZonedParts, zonedTimeToDate } = require('./timezoneUtils');
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Short and long forms of each weekday, mapped to Date#getDay() numbers
+const DAY_ALIASES = {
+    sun: 0, sunday: 0,
+    mon: 1, monday: 1,
+    tue: 2, tues: 2, tuesday: 2,
+    wed: 3, weds: 3, wednesday: 3,
+    thu: 4, thur: 4, thurs: 4, thursday: 4,
+    fri: 5, friday: 5,
+    sat: 6, saturday: 6
+};
+
+const UNIT_MS = {
+    minute: 60 * 1000,
+    hour: 60 * 60 * 1000
+};
+
+// Shortest interval we accept, so a typo can't flood a user with messages
+const MIN_INTERVAL_MS = 5 * 60 * 1000;
+
+const DAY_PATTERN = '(?:sun|mon|tue|tues|wed|weds|thu|thur|thurs|fri|sat)(?:day)?s?';
+const DAY_LIST_PATTERN = `${DAY_PATTERN}(?:\\s*(?:,|and|&)\\s*${DAY_PATTERN})*`;
+const PLURAL_DAY_PATTERN = '(?:sun|mon|tues|wednes|thurs|fri|satur)days';
+
+// Phrases that introduce a recurrence, checked in order
+const RECURRENCE_PHRASES = [
+    {
+        pattern: /\b(?:every|each)\s+(\d+)\s+(minute|min|hour|hr|day|week)s?\b/i,
+        build: match => {
+            const units = { min: 'minute', hr: 'hour' };
+            const unit = units[match[2].toLowerCase()] || match[2].toLowerCase();
+            const amount = parseInt(match[1]);
+            return `every ${amount} ${unit}${amount === 1 ? '' : 's'}`;
+        }
+    },
+    {
+        pattern: /\b(?:every|each)\s+(minute|hour)\b/i,
+        build: match => `every 1 ${match[1].toLowerCase()}`
+    },
+    {
+        pattern: /\bevery\s+other\s+day\b/i,
+        build: () => 'every 2 days'
+    },
+    {
+        pattern: /\b(?:(?:every|each|on)\s+)?week\s?days\b|\b(?:every|each)\s+week\s?day\b/i,
+        build: () => 'weekdays'
+    },
+    {
+        pattern: /\b(?:(?:every|on)\s+)?weekends\b|\b(?:every|each)\s+weekend\b/i,
+        build: () => 'weekends'
+    },
+    {
+        pattern: new RegExp(`\\b(?:every|each)\\s+(${DAY_LIST_PATTERN})\\b`, 'i'),
+        build: match => describeDays(parseDayList(match[1]))
+    },
+    {
+        // Plural day names imply repetition: "on mondays and thursdays"
+        pattern: new RegExp(`\\b(?:on\\s+)?(${PLURAL_DAY_PATTERN}(?:\\s*(?:,|and|&)\\s*${DAY_PATTERN})*)\\b`, 'i'),
+        build: match => describeDays(parseDayList(match[1]))
+    },
+    {
+        pattern: /\b(?:daily|every\s*day|each\s+day)\b/i,
+        build: () => 'daily'
+    },
+    {
+        pattern: /\b(?:weekly|every\s+week|each\s+week)\b/i,
+        build: () => 'weekly'
+    },
+    {
+        pattern: /\b(?:monthly|every\s+month|each\s+month)\b/i,
+        build: () => 'monthly'
+    }
+];
+
+/**
+ * Parse a list of day names ("monday and thursday", "mon, wed & fri")
+ * @param {string} text - The day list
+ * @returns {Array<number>} - Sorted unique day numbers (0 = Sunday)
+ */
+function parseDayList(text) {
+    const days = text.toLowerCase()
+        .split(/\s*(?:,|\band\b|&)\s*/)
+        .map(word => word.trim().replace(/s$/, ''))
+        .map(word => DAY_ALIASES[word] !== undefined ? DAY_ALIASES[word] : DAY_ALIASES[word.replace(/day$/, '')])
+        .filter(day => day !== undefined);
+    return [...new Set(days)].sort((a, b) => a - b);
+}
+
+/**
+ * Build the canonical recurrence string for a set of days
+ * @param {Array<number>} days - Day numbers (0 = Sunday)
+ * @returns {string|null} - e.g. "every monday and thursday"
+ */
+function describeDays(days) {
+    if (days.length === 0) {
+        return null;
+    }
+    if (days.length === 7) {
+        return 'daily';
+    }
+    if (days.join(',') === '1,2,3,4,5') {
+        return 'weekdays';
+    }
+    if (days.join(',') === '0,6') {
+        return 'weekends';
+    }
+
+    const names = days.map(day => DAY_NAMES[day]);
+    const list = names.length === 1
+        ? names[0]
+        : `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+    return `every ${list}`;
+}
+
+/**
+ * Find a recurrence phrase in reminder text and remove it.
+ * Only phrases in the time part (before "to"/"about") or at the very end
+ * count, so "send the weekly report" isn't treated as a weekly reminder.
+ * @param {string} text - Text such as "weekdays at 8am to take vitamins"
+ * @returns {Object} - { recurring, remainder } where recurring is the
+ *   canonical recurrence string or null
+ */
+function extractRecurrence(text) {
+    const trimmed = text.trim().replace(/[.!]+$/, '');
+    const separatorIndex = trimmed.search(/\s(?:to|about)\s/i);
+
+    for (const { pattern, build } of RECURRENCE_PHRASES) {
+        const globalPattern = new RegExp(pattern.source, 'gi');
+
+        for (const match of trimmed.matchAll(globalPattern)) {
+            const end = match.index + match[0].length;
+            const inTimePart = separatorIndex !== -1 && end <= separatorIndex;
+            const atEnd = end === trimmed.length;
+            if (!inTimePart && !atEnd) {
+                continue;
+            }
+
+            const recurring = build(match);
+            if (!recurring || !parseRecurrenceRule(recurring)) {
+                continue;
+            }
+
+            const remainder = (trimmed.slice(0, match.index) + ' ' + trimmed.slice(end))
+                .replace(/\s+/g, ' ')
+                .trim();
+
+            return { recurring, remainder };
+        }
+    }
+
+    return { recurring: null, remainder: trimmed };
+}
+
+/**
+ * Turn a recurrence string into a rule the scheduler can use
+ * @param {string} recurring - The recurrence string
+ * @returns {Object|null} - { type: 'interval', ms } | { type: 'calendar', days } |
+ *   { type: 'weekdays', days } | { type: 'monthly' } or null if not recognized
+ */
+function parseRecurrenceRule(recurring) {
+    if (!recurring || typeof recurring !== 'string') {
+        return null;
+    }
+
+    const value = recurring.toLowerCase().trim();
+
+    switch (value) {
+        case 'daily':
+            return { type: 'calendar', days: 1 };
+        case 'weekly':
+            return { type: 'calendar', days: 7 };
+        case 'monthly':
+            return { type: 'monthly' };
+        case 'weekdays':
+            return { type: 'weekdays', days: [1, 2, 3, 4, 5] };
+        case 'weekends':
+            return { type: 'weekdays', days: [0, 6] };
+    }
+
+    const intervalMatch = value.match(/^every (\d+) (minute|hour|day|week)s?$/);
+    if (intervalMatch) {
+        const amount = parseInt(intervalMatch[1]);
+        const unit = intervalMatch[2];
+
+        // Days and weeks step on the calendar rather than by a fixed number of hours
+        if (unit === 'day' || unit === 'week') {
+            return amount > 0 ? { type: 'calendar', days: amount * (unit === 'week' ? 7 : 1) } : null;
+        }
+
+        const ms = amount * UNIT_MS[unit];
+        return ms >= MIN_INTERVAL_MS ? { type: 'interval', ms } : null;
+    }
+
+    const daysMatch = value.match(/^every (.+)$/);
+    if (daysMatch) {
+        const days = parseDayList(daysMatch[1]);
+        return days.length > 0 ? { type: 'weekdays', days } : null;
+    }
+
+    return null;
+}
+
+/**
+ * Calculate the next occurrence of a recurring reminder
+ * @param {string} recurring - The recurrence string
+ * @param {Date} previousTime - When the reminder last fired (or was due)
+ * @param {Date} now - Current time; occurrences missed while offline are skipped
+ * @param {string} timezone - The user's timezone
+ * @param {number} [dayOfMonth] - Day of the month a monthly reminder was set for, so one
+ *   on the 31st goes back to the 31st after a shorter month. Defaults to previousTime's day.
+ * @returns {Date|null} - The next occurrence after now, or null if the
+ *   recurrence isn't recognized
+ */
+function getNextOccurrence(recurring, previousTime, now = new Date(), timezone = DEFAULT_TIMEZONE, dayOfMonth = null) {
+    const rule = parseRecurrenceRule(recurring);
+    if (!rule) {
+        return null;
+    }
+
+    const previous = new Date(previousTime);
+
+    if (rule.type === 'interval') {
+        // Jump straight past any missed occurrences
+        const missed = Math.max(1, Math.floor((now - previous) / rule.ms) + 1);
+        return new Date(previous.getTime() + missed * rule.ms);
+    }
+
+    const start = getZonedParts(previous, timezone);
+    let next;
+
+    switch (rule.type) {
+        case 'calendar': {
+            let steps = 0;
+            do {
+                steps++;
+                next = zonedTimeToDate({ ...start, day: start.day + steps * rule.days }, timezone);
+            } while (next <= now);
+            return next;
+        }
+        case 'monthly': {
+            let months = 0;
+            do {
+                months++;
+                next = zonedTimeToDate(addMonths({ ...start, day: dayOfMonth || start.day }, months), timezone);
+            } while (next <= now);
+            return next;
+        }
+        case 'weekdays': {
+            let offset = 0;
+            do {
+                offset++;
+                next = zonedTimeToDate({ ...start, day: start.day + offset }, timezone);
+            } while (!rule.days.includes((start.weekday + offset) % 7) || next <= now);
+            return next;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Calculate the first occurrence of a new recurring reminder
+ * @param {string} recurring - The recurrence string
+ * @param {Object|null} timeOfDay - { hours, minutes } or null when not given
+ * @param {Date} now - Current time
+ * @param {string} timezone - The user's timezone
+ * @returns {Date|null} - The first occurrence, or null if not recognized
+ */
+function getFirstOccurrence(recurring, timeOfDay, now = new Date(), timezone = DEFAULT_TIMEZONE) {
+    const rule = parseRecurrenceRule(recurring);
+    if (!rule) {
+        return null;
+    }
+
+    // "every 2 hours" without a time starts counting from now
+    if (rule.type === 'interval' && !timeOfDay) {
+        return new Date(now.getTime() + rule.ms);
+    }
+
+    const { hours, minutes } = timeOfDay || { hours: 9, minutes: 0 };
+    const today = getZonedParts(now, timezone);
+
+    for (let offset = 0; ; offset++) {
+        const first = zonedTimeToDate({ ...today, day: today.day + offset, hour: hours, minute: minutes }, timezone);
+        const weekday = (today.weekday + offset) % 7;
+        if (first > now && (rule.type !== 'weekdays' || rule.days.includes(weekday))) {
+            return first;
+        }
+    }
+}
+
+/**
+ * Add months to a wall-clock date, clamping to the last day of shorter months
+ * @param {Object} parts - { year, month (1-12), day, hour, minute }
+ * @param {number} months - Number of months to add
+ * @returns {Object} - The new wall-clock date
+ */
+function addMonths(parts, months) {
+    const monthIndex = parts.month - 1 + months;
+    const year = parts.year + Math.floor(monthIndex / 12);
+    const month = (monthIndex % 12) + 1;
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return { ...parts, year, month, day: Math.min(parts.day, lastDay) };
+}
+
+module.exports = {
+    extractRecurrence,
+    parseRecurrenceRule,
+    getNextOccurrence,
+    getFirstOccurrence
+};
@@ -1,14 +1,36 @@
-const fs = require('fs-extra');
 const path = require('path');
 const schedule = require('node-schedule');
-const { getUserData, saveUserData } = require('../utils');
+const { getUserData, saveUserData } = require('../storageUtils');
+const { containsSinhalaText } = require('../utils');
+const { isFeatureAvailable, generateChatResponse } = require('../aiProviders');
+const { getDocumentStore } = require('../storage/jsonDocumentStore');
+const { extractRecurrence, getNextOccurrence, getFirstOccurrence } = require('./recurrenceUtils');
+const { DEFAULT_TIMEZONE, getUserTimezone, getZonedParts, zonedTimeToDate } = require('./timezoneUtils');
+const { parseTimeExpression, parseNaturalTime } = require('./timeParser');
+const { PROACTIVE_KINDS, requestProactiveMessage } = require('./engagementScheduler');
+const { buildMemoryContext } = require('./memoryUtils');
+const { buildConversationContext } = require('./contextBuilder');
+const { withTyping } = require('./messageDelivery');
 
-// Global variables to store scheduled jobs
+// Global variables to store scheduled jobs, keyed by user and then by job key
+// (the reminder ID for the main job, plus ":followup" and ":snooze" jobs)
 const scheduledReminders = new Map();
 
 // Path to store reminders
 const REMINDERS_PATH = path.join(process.cwd(), 'config', 'reminders.json');
 
+// Shared store so concurrent reminder updates are applied one after another
+const remindersStore = getDocumentStore(REMINDERS_PATH, {});
+
+// How many times a reminder is sent again if the user doesn't reply "done" or "snooze",
+// and how many minutes to wait between sends
+const REMINDER_RESEND_COUNT = parseInt(process.env.REMINDER_RESEND_COUNT || '2');
+const REMINDER_RESEND_MINUTES = parseInt(process.env.REMINDER_RESEND_MINUTES || '10');
+
+// The WhatsApp socket used for delivery. Kept here so recurring reminders
+// can reschedule themselves after each delivery.
+let reminderSocket = null;
+
 /**
  * Initialize reminder system
  * @param {Object} sock - The WhatsApp socket connection
@@ -16,30 +38,68 @@ const REMINDERS_PATH = path.join(process.cwd(), 'config', 'reminders.json');
 async function initializeReminderSystem(sock) {
     console.log('Initializing reminder system...');
     
+    reminderSocket = sock;
+    
     try {
-        // Create reminders file if it doesn't exist
-        if (!await fs.pathExists(REMINDERS_PATH)) {
-            await fs.writeJson(REMINDERS_PATH, {}, { spaces: 2 });
-        }
+        // Create the reminders file if needed and recover it if it's corrupt
+        await remindersStore.initialize();
         
-        // Load existing reminders
-        const reminders = await fs.readJson(REMINDERS_PATH);
+        // Drop jobs from a previous connection so a reconnect doesn't schedule twice
+        cancelAllReminderJobs();
         
-        // Schedule all active reminders
-        for (const userId in reminders) {
-            const userReminders = reminders[userId];
+        // Collect active reminders, moving recurring ones that were missed
+        // while the bot was offline to their next occurrence
+        const now = new Date();
+        const activeReminders = await remindersStore.update(reminders => {
+            const active = [];
             
-            for (const reminderId in userReminders) {
-                const reminder = userReminders[reminderId];
+            for (const userId in reminders) {
+                const userReminders = reminders[userId];
                 
-                // Skip if reminder is in the past or has been completed
-                if (reminder.completed || new Date(reminder.time) < new Date()) {
-                    continue;
+                for (const reminderId in userReminders) {
+                    const reminder = userReminders[reminderId];
+                    
+                    // Skip if reminder has been completed
+                    if (reminder.completed) {
+                        continue;
+                    }
+                    
+                    // Delivered one-off reminders only wait for the user's reply
+                    if (reminder.delivered) {
+                        active.push({ userId, reminderId, reminder });
+                        continue;
+                    }
+                    
+                    if (new Date(reminder.time) < now) {
+                        // One-off reminders in the past are skipped
+                        const nextTime = reminder.recurring
+                            ? getNextOccurrence(reminder.recurring, new Date(reminder.time), now, reminder.timezone, reminder.dayOfMonth)
+                            : null;
+                        if (!nextTime) {
+                            continue;
+                        }
+                        reminder.time = nextTime.toISOString();
+                    }
+                    
+                    active.push({ userId, reminderId, reminder });
                 }
-                
-                // Schedule the reminder
+            }
+            
+            return active;
+        });
+        
+        // Schedule all active reminders along with pending re-sends and snoozes
+        for (const { userId, reminderId, reminder } of activeReminders) {
+            if (!reminder.delivered) {
                 scheduleReminder(sock, userId, reminderId, reminder);
             }
+            if (reminder.delivery) {
+                const lastSent = new Date(reminder.delivery.lastSentAt || reminder.delivery.deliveredAt);
+                scheduleFollowUp(userId, reminderId, new Date(lastSent.getTime() + REMINDER_RESEND_MINUTES * 60 * 1000));
+            }
+            if (reminder.snoozedUntil) {
+                scheduleSnooze(userId, reminderId, new Date(reminder.snoozedUntil));
+            }
         }
         
         console.log('Reminder system initialized successfully');
@@ -66,17 +126,11 @@ function scheduleReminder(sock, userId, reminderId, reminder) {
             return;
         }
         
-        // Schedule the job
-        const job = schedule.scheduleJob(reminderTime, async function() {
-            await sendReminderNotification(sock, userId, reminderId, reminder);
+        // Schedule the job, delivering through the latest socket in case the bot reconnected
+        scheduleJob(userId, reminderId, reminderTime, async function() {
+            await sendReminderNotification(reminderSocket || sock, userId, reminderId);
         });
         
-        // Store the job
-        if (!scheduledReminders.has(userId)) {
-            scheduledReminders.set(userId, new Map());
-        }
-        scheduledReminders.get(userId).set(reminderId, job);
-        
         console.log(`Scheduled reminder ${reminderId} for user ${userId} at ${reminderTime}`);
     } catch (error) {
         console.error(`Error scheduling reminder ${reminderId} for user ${userId}:`, error);
@@ -84,14 +138,250 @@ function scheduleReminder(sock, userId, reminderId, reminder) {
 }
 
 /**
- * Send a reminder notification
+ * Schedule the check that re-sends a reminder nobody has acknowledged
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {string} reminderId - The reminder ID
+ * @param {Date} time - When to check
+ */
+function scheduleFollowUp(userId, reminderId, time) {
+    scheduleJob(userId, `${reminderId}:followup`, time, async function() {
+        await followUpReminder(reminderSocket, userId, reminderId);
+    });
+}
+
+/**
+ * Schedule a snoozed occurrence of a recurring reminder
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {string} reminderId - The reminder ID
+ * @param {Date} time - When the snooze ends
+ */
+function scheduleSnooze(userId, reminderId, time) {
+    scheduleJob(userId, `${reminderId}:snooze`, time, async function() {
+        await sendReminderNotification(reminderSocket, userId, reminderId, { snoozed: true });
+    });
+}
+
+/**
+ * Schedule a job for a user, replacing any job with the same key
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {string} key - The job key
+ * @param {Date} time - When to run; times already passed run right away
+ * @param {Function} task - The job function
+ */
+function scheduleJob(userId, key, time, task) {
+    cancelJob(userId, key);
+    
+    const runAt = time > new Date() ? time : new Date(Date.now() + 1000);
+    const job = schedule.scheduleJob(runAt, task);
+    
+    // Store the job
+    if (!scheduledReminders.has(userId)) {
+        scheduledReminders.set(userId, new Map());
+    }
+    scheduledReminders.get(userId).set(key, job);
+}
+
+/**
+ * Cancel a scheduled job
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {string} key - The job key
+ */
+function cancelJob(userId, key) {
+    if (scheduledReminders.has(userId) && scheduledReminders.get(userId).has(key)) {
+        const job = scheduledReminders.get(userId).get(key);
+        if (job) {
+            job.cancel();
+        }
+        scheduledReminders.get(userId).delete(key);
+    }
+}
+
+/**
+ * Cancel every scheduled job for a reminder
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {string} reminderId - The reminder ID
+ */
+function cancelReminderJob(userId, reminderId) {
+    cancelJob(userId, reminderId);
+    cancelJob(userId, `${reminderId}:followup`);
+    cancelJob(userId, `${reminderId}:snooze`);
+}
+
+/**
+ * Cancel every scheduled reminder job
+ */
+function cancelAllReminderJobs() {
+    for (const jobs of scheduledReminders.values()) {
+        for (const job of jobs.values()) {
+            if (job) {
+                job.cancel();
+            }
+        }
+    }
+    scheduledReminders.clear();
+}
+
+/**
+ * Get a single reminder
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {string} reminderId - The reminder ID
+ * @returns {Object|null} - The reminder or null if it doesn't exist
+ */
+async function getReminder(userId, reminderId) {
+    const reminders = await remindersStore.read();
+    return reminders[userId] && reminders[userId][reminderId] ? reminders[userId][reminderId] : null;
+}
+
+/**
+ * Find the reminder a delivered WhatsApp message belongs to
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {string} messageId - ID of the reminder message (e.g. the quoted message of a reply)
+ * @returns {string|null} - The reminder ID or null if none matches
+ */
+async function findReminderByMessageId(userId, messageId) {
+    if (!messageId) {
+        return null;
+    }
+    
+    const reminders = await remindersStore.read();
+    const userReminders = reminders[userId] || {};
+    
+    for (const reminderId in userReminders) {
+        const delivery = userReminders[reminderId].delivery;
+        if (delivery && delivery.messageIds.includes(messageId)) {
+            return reminderId;
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Format the fixed reminder message, used when the AI can't write one
+ * @param {Object} userData - User data
+ * @param {Object} reminder - The reminder object
+ * @param {boolean} isResend - Whether this is a re-send of an unacknowledged reminder
+ * @returns {string} - The message text
+ */
+function formatReminderMessage(userData, reminder, isResend = false) {
+    let message = isResend ? `⏰ *REMINDER (again)* ⏰\n\n` : `⏰ *REMINDER* ⏰\n\n`;
+    
+    // Add companion name if available
+    if (userData.companionName) {
+        message += `Hey ${userData.userName}, it's ${userData.companionName} here! 💫\n\n`;
+    }
+    
+    message += `You asked me to remind you about:\n*${reminder.text}*`;
+    
+    // Add time if it's a recurring reminder
+    if (reminder.recurring) {
+        message += `\n\nThis is a recurring reminder (${reminder.recurring}).`;
+    }
+    
+    return message;
+}
+
+/**
+ * Have the companion write the reminder in their own voice
+ * @param {Object} userData - User data
+ * @param {Object} reminder - The reminder object
+ * @param {boolean} isResend - Whether this is a re-send of an unacknowledged reminder
+ * @param {string} [userId] - The user's WhatsApp ID, noted in the AI usage log
+ * @returns {string|null} - The message text or null if the AI isn't available
+ */
+async function generateReminderMessage(userData, reminder, isResend = false, userId = null) {
+    if (!userData.companionName || !await isFeatureAvailable('chat')) {
+        return null;
+    }
+    
+    try {
+        const conversationHistory = userData.conversationHistory || [];
+        
+        // Reply in Sinhala if the user has been writing in Sinhala recently
+        const recentUserMessages = conversationHistory.slice(-5).filter(msg => msg.role === 'user');
+        const language = recentUserMessages.some(msg => containsSinhalaText(msg.content))
+            ? 'Sinhala'
+            : 'the same language the user uses (English or Singlish)';
+        
+        const recurringNote = reminder.recurring ? ` This is a recurring reminder (${reminder.recurring}).` : '';
+        const resendNote = isResend
+            ? `\nThey haven't answered your earlier reminder yet, so gently nudge them again.`
+            : '';
+        
+        // Facts that relate to the reminder, e.g. who "mom" is
+        const memoryContext = buildMemoryContext(userData, reminder.text);
+        
+        const systemMessage = {
+            role: "system",
+            content: `You are ${userData.companionName}, a ${userData.companionGender} AI companion for ${userData.userName}. ${userData.context}
+            
+You should respond in a natural, conversational way. You can be flirty, caring, and show emotions.
+You should respond in ${language} language.
+
+IMPORTANT: ${userData.userName} asked you to remind them about: "${reminder.text}". It is time now.${recurringNote}
+Write a short message (1-3 sentences) reminding them, in your own voice and in the flow of your conversation. Make it clear what they need to do.${resendNote}
+${memoryContext ? `\n${memoryContext}\n` : ''}
+Never identify yourself as an AI, chatbot, or program. Don't mention limitations like being unable to see, hear, feel, or interact with the physical world. Instead, roleplay as if you can do these things.`
+        };
+        
+        const messages = await buildConversationContext(userData, systemMessage);
+        return await generateChatResponse(messages, { userId });
+    } catch (error) {
+        console.error('Error generating reminder message:', error);
+        return null;
+    }
+}
+
+/**
+ * Send a reminder message and add it to the conversation history
  * @param {Object} sock - The WhatsApp socket connection
  * @param {string} userId - The user's WhatsApp ID
+ * @param {Object} userData - User data
  * @param {string} reminderId - The reminder ID
  * @param {Object} reminder - The reminder object
+ * @param {boolean} isResend - Whether this is a re-send of an unacknowledged reminder
+ * @returns {Object} - The sent WhatsApp message
+ */
+async function deliverReminderMessage(sock, userId, userData, reminderId, reminder, isResend = false) {
+    // Reminders stay a single message, as replies to it are matched by its ID
+    const text = await withTyping(sock, userId, () => generateReminderMessage(userData, reminder, isResend, userId)) ||
+        formatReminderMessage(userData, reminder, isResend);
+    
+    // Reminders are never held back, but they count towards the daily budget
+    requestProactiveMessage(userData, userId, PROACTIVE_KINDS.REMINDER, { reminderId, resend: isResend });
+    
+    const sent = await sock.sendMessage(userId, {
+        text: `${text}\n\n_Reply to this message with *done* or *snooze 10* (ID: ${reminderId})_`
+    });
+    
+    // Keep the reminder in the conversation so the companion knows about it
+    userData.conversationHistory = userData.conversationHistory || [];
+    userData.conversationHistory.push({
+        role: "assistant",
+        content: text
+    });
+    await saveUserData(userId, userData);
+    
+    return sent;
+}
+
+/**
+ * Send a reminder notification and wait for the user to acknowledge it.
+ * Recurring reminders move on to their next occurrence straight away.
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {string} reminderId - The reminder ID
+ * @param {Object} options - { snoozed: true } when a snooze ends
  */
-async function sendReminderNotification(sock, userId, reminderId, reminder) {
+async function sendReminderNotification(sock, userId, reminderId, options = {}) {
     try {
+        // Load the current version of the reminder
+        const reminder = await getReminder(userId, reminderId);
+        if (!reminder || reminder.completed) {
+            console.log(`Reminder ${reminderId} for user ${userId} no longer active, skipping notification`);
+            return;
+        }
+        
         // Get user data
         const userData = await getUserData(userId);
         
@@ -101,26 +391,51 @@ async function sendReminderNotification(sock, userId, reminderId, reminder) {
             return;
         }
         
-        // Format the reminder message
-        let message = `⏰ *REMINDER* ⏰\n\n`;
-        
-        // Add companion name if available
-        if (userData.companionName) {
-            message += `Hey ${userData.userName}, it's ${userData.companionName} here! 💫\n\n`;
-        }
+        // Send the notification
+        const sent = await deliverReminderMessage(sock, userId, userData, reminderId, reminder);
         
-        message += `You asked me to remind you about:\n*${reminder.text}*`;
+        // Remember the delivery so replies and re-sends can find it
+        const now = new Date();
+        const nextReminder = await remindersStore.update(reminders => {
+            const current = reminders[userId] && reminders[userId][reminderId];
+            if (!current) {
+                return null;
+            }
+            
+            current.delivery = {
+                messageIds: sent && sent.key ? [sent.key.id] : [],
+                deliveredAt: now.toISOString(),
+                lastSentAt: now.toISOString(),
+                resends: 0
+            };
+            delete current.snoozedUntil;
+            
+            if (!current.recurring) {
+                current.delivered = true;
+                return null;
+            }
+            
+            // A snoozed occurrence doesn't move the series, that happened when it first fired
+            if (options.snoozed) {
+                return null;
+            }
+            
+            // If it's a recurring reminder, update the time for the next occurrence
+            const nextTime = getNextOccurrence(current.recurring, new Date(current.time), now, current.timezone, current.dayOfMonth);
+            if (!nextTime) {
+                // If recurring pattern is not recognized, mark as completed
+                current.completed = true;
+                return null;
+            }
+            
+            current.time = nextTime.toISOString();
+            return current;
+        });
         
-        // Add time if it's a recurring reminder
-        if (reminder.recurring) {
-            message += `\n\nThis is a recurring reminder (${reminder.recurring}).`;
+        if (nextReminder) {
+            scheduleReminder(sock, userId, reminderId, nextReminder);
         }
-        
-        // Send the notification
-        await sock.sendMessage(userId, { text: message });
-        
-        // Update reminder status
-        await markReminderAsCompleted(userId, reminderId, reminder.recurring);
+        scheduleFollowUp(userId, reminderId, new Date(now.getTime() + REMINDER_RESEND_MINUTES * 60 * 1000));
         
         console.log(`Sent reminder notification to ${userId} for reminder ${reminderId}`);
     } catch (error) {
@@ -129,58 +444,76 @@ async function sendReminderNotification(sock, userId, reminderId, reminder) {
 }
 
 /**
- * Mark a reminder as completed
+ * Re-send a reminder the user hasn't acknowledged, or wrap it up once
+ * the re-sends are used up
+ * @param {Object} sock - The WhatsApp socket connection
  * @param {string} userId - The user's WhatsApp ID
  * @param {string} reminderId - The reminder ID
- * @param {string|null} recurring - The recurring pattern (daily, weekly, monthly) or null
  */
-async function markReminderAsCompleted(userId, reminderId, recurring) {
+async function followUpReminder(sock, userId, reminderId) {
     try {
-        // Load reminders
-        const reminders = await fs.readJson(REMINDERS_PATH);
+        const reminder = await getReminder(userId, reminderId);
+        if (!reminder || !reminder.delivery) {
+            return;
+        }
         
-        // Skip if user or reminder doesn't exist
-        if (!reminders[userId] || !reminders[userId][reminderId]) {
+        if (reminder.delivery.resends >= REMINDER_RESEND_COUNT) {
+            await markReminderAsCompleted(userId, reminderId);
+            console.log(`Reminder ${reminderId} for user ${userId} was not acknowledged, stopped re-sending`);
             return;
         }
         
-        // If it's a recurring reminder, update the time for the next occurrence
-        if (recurring) {
-            const reminder = reminders[userId][reminderId];
-            const currentTime = new Date(reminder.time);
-            let nextTime;
+        const userData = await getUserData(userId);
+        if (!userData) {
+            return;
+        }
+        
+        const sent = await deliverReminderMessage(sock, userId, userData, reminderId, reminder, true);
+        
+        await remindersStore.update(reminders => {
+            const current = reminders[userId] && reminders[userId][reminderId];
+            if (!current || !current.delivery) {
+                return;
+            }
             
-            switch (recurring) {
-                case 'daily':
-                    nextTime = new Date(currentTime);
-                    nextTime.setDate(nextTime.getDate() + 1);
-                    break;
-                case 'weekly':
-                    nextTime = new Date(currentTime);
-                    nextTime.setDate(nextTime.getDate() + 7);
-                    break;
-                case 'monthly':
-                    nextTime = new Date(currentTime);
-                    nextTime.setMonth(nextTime.getMonth() + 1);
-                    break;
-                default:
-                    // If recurring pattern is not recognized, mark as completed
-                    reminders[userId][reminderId].completed = true;
-                    break;
+            current.delivery.resends += 1;
+            current.delivery.lastSentAt = new Date().toISOString();
+            if (sent && sent.key) {
+                current.delivery.messageIds.push(sent.key.id);
+            }
+        });
+        
+        scheduleFollowUp(userId, reminderId, new Date(Date.now() + REMINDER_RESEND_MINUTES * 60 * 1000));
+        
+        console.log(`Re-sent reminder ${reminderId} to ${userId}`);
+    } catch (error) {
+        console.error(`Error re-sending reminder ${reminderId} to ${userId}:`, error);
+    }
+}
+
+/**
+ * Mark a reminder as done. One-off reminders are removed; recurring ones
+ * stop re-sending and wait for their next occurrence.
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {string} reminderId - The reminder ID
+ * @returns {boolean} - Whether the reminder was found
+ */
+async function markReminderAsCompleted(userId, reminderId) {
+    try {
+        const reminder = await remindersStore.update(reminders => {
+            // Skip if user or reminder doesn't exist
+            if (!reminders[userId] || !reminders[userId][reminderId]) {
+                return null;
             }
             
-            if (nextTime) {
-                reminders[userId][reminderId].time = nextTime.toISOString();
-                
-                // Reschedule the reminder
-                if (scheduledReminders.has(userId) && scheduledReminders.get(userId).has(reminderId)) {
-                    scheduledReminders.get(userId).get(reminderId).cancel();
-                }
-                
-                // We need the sock object to reschedule, but we don't have it here
-                // We'll handle rescheduling on next bot restart
+            const current = reminders[userId][reminderId];
+            
+            if (current.recurring) {
+                delete current.delivery;
+                delete current.snoozedUntil;
+                return current;
             }
-        } else {
+            
             // For non-recurring reminders, delete them completely instead of just marking as completed
             delete reminders[userId][reminderId];
             
@@ -189,17 +522,125 @@ async function markReminderAsCompleted(userId, reminderId, recurring) {
                 delete reminders[userId];
             }
             
-            // Cancel the scheduled job
-            if (scheduledReminders.has(userId) && scheduledReminders.get(userId).has(reminderId)) {
-                scheduledReminders.get(userId).get(reminderId).cancel();
-                scheduledReminders.get(userId).delete(reminderId);
-            }
+            return current;
+        });
+        
+        if (!reminder) {
+            return false;
+        }
+        
+        // Stop re-sends; one-off reminders have nothing left to run
+        if (reminder.recurring) {
+            cancelJob(userId, `${reminderId}:followup`);
+            cancelJob(userId, `${reminderId}:snooze`);
+        } else {
+            cancelReminderJob(userId, reminderId);
         }
         
-        // Save reminders
-        await fs.writeJson(REMINDERS_PATH, reminders, { spaces: 2 });
+        return true;
     } catch (error) {
         console.error(`Error marking reminder ${reminderId} as completed for user ${userId}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Snooze a reminder. One-off reminders move to the new time; recurring ones
+ * get an extra delivery without shifting the rest of the series. A one-off
+ * reminder that hasn't gone off yet can't be snoozed (edit its time instead).
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {string} reminderId - The reminder ID
+ * @param {number} minutes - How long to snooze for
+ * @returns {Date|null} - When the reminder will be sent again, or null if not found or not sent yet
+ */
+async function snoozeReminder(userId, reminderId, minutes) {
+    try {
+        const until = new Date(Date.now() + minutes * 60 * 1000);
+        
+        const reminder = await remindersStore.update(reminders => {
+            const current = reminders[userId] && reminders[userId][reminderId];
+            if (!current || (!current.recurring && !current.delivered)) {
+                return null;
+            }
+            
+            delete current.delivery;
+            
+            if (current.recurring) {
+                current.snoozedUntil = until.toISOString();
+            } else {
+                current.time = until.toISOString();
+                delete current.delivered;
+            }
+            
+            return current;
+        });
+        
+        if (!reminder) {
+            return null;
+        }
+        
+        cancelJob(userId, `${reminderId}:followup`);
+        if (reminder.recurring) {
+            scheduleSnooze(userId, reminderId, until);
+        } else {
+            scheduleReminder(reminderSocket, userId, reminderId, reminder);
+        }
+        
+        return until;
+    } catch (error) {
+        console.error(`Error snoozing reminder ${reminderId} for user ${userId}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Edit a reminder's text, time or recurrence
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {string} reminderId - The reminder ID
+ * @param {Object} changes - { text, time, recurring }; omitted fields are kept
+ * @returns {Object|null} - The updated reminder or null if not found
+ */
+async function editReminder(userId, reminderId, changes) {
+    try {
+        const reminder = await remindersStore.update(reminders => {
+            const current = reminders[userId] && reminders[userId][reminderId];
+            if (!current) {
+                return null;
+            }
+            
+            if (changes.text) {
+                current.text = changes.text;
+            }
+            if (changes.recurring !== undefined) {
+                current.recurring = changes.recurring;
+            }
+            if (changes.time) {
+                // A new time starts the reminder over
+                current.time = changes.time.toISOString();
+                delete current.delivered;
+                delete current.delivery;
+                delete current.snoozedUntil;
+            }
+            if (changes.time || changes.recurring !== undefined) {
+                current.dayOfMonth = getZonedParts(new Date(current.time), current.timezone || DEFAULT_TIMEZONE).day;
+            }
+            
+            return current;
+        });
+        
+        if (!reminder) {
+            return null;
+        }
+        
+        if (changes.time) {
+            cancelReminderJob(userId, reminderId);
+            scheduleReminder(reminderSocket, userId, reminderId, reminder);
+        }
+        
+        return { id: reminderId, ...reminder };
+    } catch (error) {
+        console.error(`Error editing reminder ${reminderId} for user ${userId}:`, error);
+        return null;
     }
 }
 
@@ -209,34 +650,47 @@ async function markReminderAsCompleted(userId, reminderId, recurring) {
  * @param {string} userId - The user's WhatsApp ID
  * @param {string} text - The reminder text
  * @param {Date} time - The reminder time
- * @param {string|null} recurring - The recurring pattern (daily, weekly, monthly) or null
+ * @param {string|null} recurring - The recurrence (e.g. "daily", "every 2 hours", "weekdays") or null
  * @returns {string|null} - The reminder ID or null if failed
  */
 async function createReminder(sock, userId, text, time, recurring = null) {
     try {
-        // Load reminders
-        const reminders = await fs.readJson(REMINDERS_PATH);
-        
-        // Initialize user reminders if not exists
-        if (!reminders[userId]) {
-            reminders[userId] = {};
+        if (sock) {
+            reminderSocket = sock;
         }
         
-        // Generate a unique ID for the reminder
-        const reminderId = Date.now().toString();
+        // Recurring reminders repeat on the user's wall clock, so remember their timezone
+        const userData = await getUserData(userId);
+        const timezone = getUserTimezone(userData, userId);
         
-        // Create the reminder object
+        // Create the reminder object. Monthly reminders come back to dayOfMonth
+        // even after a month that is too short for it.
         const reminder = {
             text,
             time: time.toISOString(),
             created: new Date().toISOString(),
             completed: false,
-            recurring
+            recurring,
+            timezone,
+            dayOfMonth: getZonedParts(time, timezone).day
         };
         
         // Save the reminder
-        reminders[userId][reminderId] = reminder;
-        await fs.writeJson(REMINDERS_PATH, reminders, { spaces: 2 });
+        const reminderId = await remindersStore.update(reminders => {
+            // Initialize user reminders if not exists
+            if (!reminders[userId]) {
+                reminders[userId] = {};
+            }
+            
+            // Generate a unique ID for the reminder
+            let id = Date.now().toString();
+            while (reminders[userId][id]) {
+                id = (Number(id) + 1).toString();
+            }
+            
+            reminders[userId][id] = reminder;
+            return id;
+        });
         
         // Schedule the reminder
         scheduleReminder(sock, userId, reminderId, reminder);
@@ -256,7 +710,7 @@ async function createReminder(sock, userId, text, time, recurring = null) {
 async function listReminders(userId) {
     try {
         // Load reminders
-        const reminders = await fs.readJson(REMINDERS_PATH);
+        const reminders = await remindersStore.read();
         
         // Return empty array if user has no reminders
         if (!reminders[userId]) {
@@ -266,7 +720,7 @@ async function listReminders(userId) {
         // Convert to array and add ID
         const reminderArray = Object.entries(reminders[userId])
             .map(([id, reminder]) => ({ id, ...reminder }))
-            .filter(reminder => !reminder.completed); // Only include active reminders
+            .filter(reminder => !reminder.completed && !reminder.delivered); // Only include upcoming reminders
         
         // Sort by time
         reminderArray.sort((a, b) => new Date(a.time) - new Date(b.time));
@@ -286,25 +740,29 @@ async function listReminders(userId) {
  */
 async function deleteReminder(userId, reminderId) {
     try {
-        // Load reminders
-        const reminders = await fs.readJson(REMINDERS_PATH);
+        const deleted = await remindersStore.update(reminders => {
+            // Check if user and reminder exist
+            if (!reminders[userId] || !reminders[userId][reminderId]) {
+                return false;
+            }
+            
+            // Delete the reminder
+            delete reminders[userId][reminderId];
+            
+            // If user has no more reminders, clean up the user entry
+            if (Object.keys(reminders[userId]).length === 0) {
+                delete reminders[userId];
+            }
+            
+            return true;
+        });
         
-        // Check if user and reminder exist
-        if (!reminders[userId] || !reminders[userId][reminderId]) {
+        if (!deleted) {
             return false;
         }
         
-        // Delete the reminder
-        delete reminders[userId][reminderId];
-        
-        // Save reminders
-        await fs.writeJson(REMINDERS_PATH, reminders, { spaces: 2 });
-        
         // Cancel the scheduled job
-        if (scheduledReminders.has(userId) && scheduledReminders.get(userId).has(reminderId)) {
-            scheduledReminders.get(userId).get(reminderId).cancel();
-            scheduledReminders.get(userId).delete(reminderId);
-        }
+        cancelReminderJob(userId, reminderId);
         
         return true;
     } catch (error) {
@@ -314,108 +772,74 @@ async function deleteReminder(userId, reminderId) {
 }
 
 /**
- * Parse a natural language time string into a Date object
- * @param {string} timeString - The time string (e.g., "tomorrow at 3pm", "in 2 hours")
- * @returns {Date|null} - The parsed Date object or null if parsing failed
+ * Move a user's reminders to a new timezone. Upcoming reminders keep their
+ * wall-clock time ("8am" stays 8am on the new local clock) and recurring ones
+ * repeat on the new clock from then on.
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {string} timezone - IANA timezone name
+ * @param {string} [previousTimezone] - The user's timezone before, for reminders that don't record one
+ * @returns {number} - Number of reminders updated
  */
-function parseTimeString(timeString) {
+async function updateReminderTimezone(userId, timezone, previousTimezone = DEFAULT_TIMEZONE) {
     try {
         const now = new Date();
-        
-        // Check for "in X minutes/hours/days"
-        const inMatch = timeString.match(/in\s+(\d+)\s+(minute|minutes|hour|hours|day|days)/i);
-        if (inMatch) {
-            const amount = parseInt(inMatch[1]);
-            const unit = inMatch[2].toLowerCase();
-            
-            if (unit === 'minute' || unit === 'minutes') {
-                return new Date(now.getTime() + amount * 60 * 1000);
-            } else if (unit === 'hour' || unit === 'hours') {
-                return new Date(now.getTime() + amount * 60 * 60 * 1000);
-            } else if (unit === 'day' || unit === 'days') {
-                return new Date(now.getTime() + amount * 24 * 60 * 60 * 1000);
+        const moved = await remindersStore.update(reminders => {
+            if (!reminders[userId]) {
+                return [];
             }
-        }
-        
-        // Check for "tomorrow at X"
-        const tomorrowMatch = timeString.match(/tomorrow\s+at\s+(\d+)(?::(\d+))?\s*(am|pm)?/i);
-        if (tomorrowMatch) {
-            const tomorrow = new Date(now);
-            tomorrow.setDate(tomorrow.getDate() + 1);
-            
-            let hours = parseInt(tomorrowMatch[1]);
-            const minutes = tomorrowMatch[2] ? parseInt(tomorrowMatch[2]) : 0;
-            const ampm = tomorrowMatch[3] ? tomorrowMatch[3].toLowerCase() : null;
             
-            // Adjust hours for AM/PM
-            if (ampm === 'pm' && hours < 12) {
-                hours += 12;
-            } else if (ampm === 'am' && hours === 12) {
-                hours = 0;
+            const upcoming = [];
+            for (const [reminderId, reminder] of Object.entries(reminders[userId])) {
+                const oldTimezone = reminder.timezone || previousTimezone;
+                reminder.timezone = timezone;
+                if (reminder.completed || (!reminder.recurring && reminder.delivered)) {
+                    continue;
+                }
+                
+                let time = zonedTimeToDate(getZonedParts(new Date(reminder.time), oldTimezone), timezone);
+                if (time <= now) {
+                    // Already passed on the new clock: a recurring reminder moves on to
+                    // its next occurrence, a one-off one goes off straight away
+                    time = reminder.recurring
+                        ? getNextOccurrence(reminder.recurring, time, now, timezone, reminder.dayOfMonth)
+                        : new Date(now.getTime() + 1000);
+                }
+                reminder.time = time.toISOString();
+                upcoming.push([reminderId, reminder]);
             }
-            
-            tomorrow.setHours(hours, minutes, 0, 0);
-            return tomorrow;
-        }
+            return upcoming;
+        });
         
-        // Check for "today at X"
-        const todayMatch = timeString.match(/today\s+at\s+(\d+)(?::(\d+))?\s*(am|pm)?/i);
-        if (todayMatch) {
-            const today = new Date(now);
-            
-            let hours = parseInt(todayMatch[1]);
-            const minutes = todayMatch[2] ? parseInt(todayMatch[2]) : 0;
-            const ampm = todayMatch[3] ? todayMatch[3].toLowerCase() : null;
-            
-            // Adjust hours for AM/PM
-            if (ampm === 'pm' && hours < 12) {
-                hours += 12;
-            } else if (ampm === 'am' && hours === 12) {
-                hours = 0;
-            }
-            
-            today.setHours(hours, minutes, 0, 0);
-            
-            // If the time is in the past, return null
-            if (today <= now) {
-                return null;
-            }
-            
-            return today;
+        for (const [reminderId, reminder] of moved) {
+            cancelJob(userId, reminderId);
+            scheduleReminder(reminderSocket, userId, reminderId, reminder);
         }
-        
-        // Check for specific date and time
-        const dateTimeMatch = timeString.match(/(\d{1,2})\/(\d{1,2})(?:\/(\d{4}))?\s+at\s+(\d+)(?::(\d+))?\s*(am|pm)?/i);
-        if (dateTimeMatch) {
-            const month = parseInt(dateTimeMatch[1]) - 1; // Months are 0-indexed in JS
-            const day = parseInt(dateTimeMatch[2]);
-            const year = dateTimeMatch[3] ? parseInt(dateTimeMatch[3]) : now.getFullYear();
-            
-            let hours = parseInt(dateTimeMatch[4]);
-            const minutes = dateTimeMatch[5] ? parseInt(dateTimeMatch[5]) : 0;
-            const ampm = dateTimeMatch[6] ? dateTimeMatch[6].toLowerCase() : null;
-            
-            // Adjust hours for AM/PM
-            if (ampm === 'pm' && hours < 12) {
-                hours += 12;
-            } else if (ampm === 'am' && hours === 12) {
-                hours = 0;
-            }
-            
-            const date = new Date(year, month, day, hours, minutes, 0, 0);
-            
-            // If the date is in the past, return null
-            if (date <= now) {
-                return null;
-            }
-            
-            return date;
+        return moved.length;
+    } catch (error) {
+        console.error(`Error updating reminder timezone for user ${userId}:`, error);
+        return 0;
+    }
+}
+
+/**
+ * Parse a natural language time string into a Date object
+ * @param {string} timeString - The time string (e.g., "tomorrow at 3pm", "in 2 hours", "heta udeta")
+ * @param {string} timezone - The user's timezone, used for clock times like "at 3pm"
+ * @returns {Date|null} - The parsed Date object or null if parsing failed
+ */
+function parseTimeString(timeString, timezone = DEFAULT_TIMEZONE) {
+    try {
+        const time = parseNaturalTime(timeString, { timezone });
+        if (time) {
+            return time;
         }
         
-        // Try to parse as a direct date string
-        const directDate = new Date(timeString);
-        if (!isNaN(directDate.getTime())) {
-            return directDate;
+        // Try to parse as a direct date string with a full year (e.g. an ISO timestamp)
+        if (/\d{4}/.test(timeString)) {
+            const directDate = new Date(timeString);
+            if (!isNaN(directDate.getTime()) && directDate > new Date()) {
+                return directDate;
+            }
         }
         
         return null;
@@ -425,45 +849,53 @@ function parseTimeString(timeString) {
     }
 }
 
+/**
+ * Work out when a reminder should first fire
+ * @param {string} timeString - The time part of the command (may be empty)
+ * @param {string|null} recurring - The recurrence, if any
+ * @param {string} timezone - The user's timezone
+ * @returns {Date|null} - The first reminder time or null if it can't be determined
+ */
+function resolveReminderTime(timeString, recurring, timezone) {
+    if (!timeString) {
+        return recurring ? getFirstOccurrence(recurring, null, new Date(), timezone) : null;
+    }
+    
+    // Recurring reminders may give just a time of day ("weekdays at 8am"),
+    // which should land on the first matching day
+    if (recurring) {
+        const expression = parseTimeExpression(timeString, { timezone });
+        if (expression && !expression.hasDate && expression.timeOfDay) {
+            return getFirstOccurrence(recurring, expression.timeOfDay, new Date(), timezone);
+        }
+    }
+    
+    return parseTimeString(timeString, timezone);
+}
+
 /**
  * Parse a reminder command
  * @param {string} text - The command text
+ * @param {string} timezone - The user's timezone
  * @returns {Object|null} - The parsed reminder or null if parsing failed
  */
-function parseReminderCommand(text) {
+function parseReminderCommand(text, timezone = DEFAULT_TIMEZONE) {
     try {
         // Remove the command prefix
         const content = text.replace(/^\/remind\s+/i, '').trim();
         
-        // Check for recurring pattern
-        let recurring = null;
-        let cleanContent = content;
-        
-        const recurringPatterns = [
-            { pattern: /\s+daily$/i, type: 'daily' },
-            { pattern: /\s+every\s+day$/i, type: 'daily' },
-            { pattern: /\s+weekly$/i, type: 'weekly' },
-            { pattern: /\s+every\s+week$/i, type: 'weekly' },
-            { pattern: /\s+monthly$/i, type: 'monthly' },
-            { pattern: /\s+every\s+month$/i, type: 'monthly' }
-        ];
-        
-        for (const { pattern, type } of recurringPatterns) {
-            if (pattern.test(content)) {
-                recurring = type;
-                cleanContent = content.replace(pattern, '').trim();
-                break;
-            }
-        }
+        // Pull out a recurrence such as "daily", "every 2 hours" or "weekdays"
+        const { recurring, remainder: cleanContent } = extractRecurrence(content);
         
-        // Split by "to" or "about" to separate time and reminder text
-        const toMatch = cleanContent.match(/^(.*?)\s+(?:to|about)\s+(.*)$/i);
+        // Split by "to" or "about" to separate time and reminder text.
+        // The time may be empty for recurring reminders ("every 2 hours to drink water")
+        const toMatch = cleanContent.match(/^(.*?)\s*\b(?:to|about)\s+(.*)$/i);
         
         if (toMatch) {
             const timeString = toMatch[1].trim();
             const reminderText = toMatch[2].trim();
             
-            const time = parseTimeString(timeString);
+            const time = resolveReminderTime(timeString, recurring, timezone);
             
             if (time) {
                 return {
@@ -481,7 +913,7 @@ function parseReminderCommand(text) {
             const reminderText = atMatch[1].trim();
             const timeString = atMatch[2].trim();
             
-            const time = parseTimeString(timeString);
+            const time = resolveReminderTime(timeString, recurring, timezone);
             
             if (time) {
                 return {
@@ -504,87 +936,13 @@ module.exports = {
     createReminder,
     listReminders,
     deleteReminder,
+    getReminder,
+    findReminderByMessageId,
+    markReminderAsCompleted,
+    snoozeReminder,
+    editReminder,
+    updateReminderTimezone,
     parseReminderCommand,
-    parseTimeString  // Add this line to export the parseTimeString function
+    parseTimeString
 };
 
-
-// Function to send a reminder
-async function sendReminder(sock, userId, reminderId, reminderText) {
-    try {
-        // Get user data to personalize the message
-        const userData = await getUserData(userId);
-        
-        if (!userData || !userData.companionName) {
-            console.log(`Cannot send reminder to ${userId}: No companion data found`);
-            return false;
-        }
-        
-        // Get the reminder data
-        const reminders = await loadReminders();
-        
-        if (!reminders[userId] || !reminders[userId][reminderId]) {
-            console.log(`Reminder ${reminderId} for user ${userId} not found`);
-            return false;
-        }
-        
-        const reminder = reminders[userId][reminderId];
-        
-        // Personalize the message based on the companion's personality
-        let message = `⏰ *Reminder* ⏰\n\n`;
-        
-        // Add companion's name and personality to the message
-        if (userData.companionName) {
-            message += `Hey, it's ${userData.companionName}! `;
-            
-            // Add personality-based message
-            if (userData.companionPersonality && userData.companionPersonality.toLowerCase().includes('caring')) {
-                message += `I care about you, so I wanted to remind you: `;
-            } else if (userData.companionPersonality && userData.companionPersonality.toLowerCase().includes('playful')) {
-                message += `Don't forget this! 😜 `;
-            } else if (userData.companionPersonality && userData.companionPersonality.toLowerCase().includes('serious')) {
-                message += `I'm sending you this important reminder: `;
-            } else {
-                message += `Here's your reminder: `;
-            }
-        }
-        
-        message += `*${reminderText}*`;
-        
-        // Send the reminder
-        await sock.sendMessage(userId, { text: message });
-        
-        // Mark the reminder as completed
-        reminder.completed = true;
-        
-        // If it's a recurring reminder, schedule the next occurrence
-        if (reminder.recurring) {
-            const nextTime = calculateNextRecurringTime(new Date(reminder.time), reminder.recurring);
-            
-            if (nextTime) {
-                // Create a new reminder with the next occurrence time
-                reminder.time = nextTime.toISOString();
-                reminder.completed = false;
-                
-                // Schedule the next reminder
-                scheduleReminder(sock, userId, reminderId, reminder.text, nextTime, reminder.recurring);
-            }
-        } else {
-            // If it's not recurring, delete the reminder after it's completed
-            delete reminders[userId][reminderId];
-            
-            // If user has no more reminders, clean up the user entry
-            if (Object.keys(reminders[userId]).length === 0) {
-                delete reminders[userId];
-            }
-        }
-        
-        // Save the updated reminders
-        await saveReminders(reminders);
-        
-        return true;
-    } catch (error) {
-        console.error('Error sending reminder:', error);
-        return false;
-    }
-}
\ No newline at end of file
@@ -1,12 +1,29 @@
-const { getUserData, saveUserData, generateAIResponse } = require('../utils');
-const { shouldSendSticker, analyzeMessageSentiment, generateStickerImage, createWhatsAppSticker } = require('./stickerUtils');
+const { getUserData, saveUserData } = require('../utils');
+const { generateChatResponse } = require('../aiProviders');
+const { shouldSendSticker } = require('./stickerUtils');
+const { getUserTimezone, getLocalHour } = require('./timezoneUtils');
+const { PROACTIVE_KINDS, checkProactiveMessage, recordProactiveMessage } = require('./engagementScheduler');
+const { DueTimeIndex } = require('./dueTimeIndex');
+const { getProactiveSettings, getFrequencyPreset } = require('./proactiveSettings');
+const { buildMemoryContext, rememberFromLatestMessage } = require('./memoryUtils');
+const { foldOlderMessages } = require('./contextBuilder');
+const { withTyping, sendChunkedText } = require('./messageDelivery');
+const { enqueueImageJob } = require('./imageJobQueue');
+
+// Don't start a conversation within 30 minutes of the user's last message
+const INACTIVITY_THRESHOLD = 30 * 60 * 1000;
+
+// Users ordered by when they can next get a self-message, kept up to date by
+// updateChatActivity so the scheduler only loads users who are due
+const selfMessageIndex = new DueTimeIndex();
 
 /**
  * Determines if the bot should initiate a conversation with the user
  * @param {Object} userData - User data
+ * @param {string} [userId] - The user's WhatsApp ID, used to guess their timezone
  * @returns {boolean} - Whether to send a self-message
  */
-function shouldSendSelfMessage(userData) {
+function shouldSendSelfMessage(userData, userId) {
     // Initialize chat activity tracking if it doesn't exist
     if (!userData.chatActivity) {
         userData.chatActivity = {
@@ -18,22 +35,28 @@ function shouldSendSelfMessage(userData) {
         };
     }
     
+    // Don't send if the user turned proactive messages off with /proactive off
+    if (!getProactiveSettings(userData).enabled) {
+        return false;
+    }
+    
     const now = Date.now();
-    const hourOfDay = new Date().getHours();
+    const hourOfDay = getLocalHour(getUserTimezone(userData, userId));
+    
+    // Gap, streak and chances follow the user's /proactive frequency
+    const preset = getFrequencyPreset(userData);
     
     // Don't send if user has messaged in the last 30 minutes
-    const inactivityThreshold = 30 * 60 * 1000;
-    if (userData.chatActivity.lastUserMessageTime > (now - inactivityThreshold)) {
+    if (userData.chatActivity.lastUserMessageTime > (now - INACTIVITY_THRESHOLD)) {
         return false;
     }
-    // Don't send if we've already sent a self-message in the last 6 hours
-    const minTimeBetweenMessages = 6 * 60 * 60 * 1000;
-    if (userData.chatActivity.lastBotInitiatedTime > (now - minTimeBetweenMessages)) {
+    // Don't send if we've already sent a self-message recently (6 hours by default)
+    if (userData.chatActivity.lastBotInitiatedTime > (now - preset.minGapHours * 60 * 60 * 1000)) {
         return false;
     }
     
     // Don't send if we've already sent too many consecutive messages
-    if (userData.chatActivity.selfMessagesSent >= 2) {
+    if (userData.chatActivity.selfMessagesSent >= preset.maxConsecutive) {
         return false;
     }
     
@@ -44,22 +67,43 @@ function shouldSendSelfMessage(userData) {
     }
     
     // Higher chance during active hours
-    const randomChance = Math.random();
-    if (isActiveHour && randomChance < 0.7) {
-        return true;
-    } else if (randomChance < 0.4) {
-        return true;
+    const sendChance = isActiveHour ? preset.activeChance : preset.idleChance;
+    if (Math.random() >= sendChance) {
+        return false;
+    }
+    
+    // Spontaneous messages come last: the engagement scheduler holds them back
+    // during quiet hours, near other proactive messages or when the budget is used.
+    // sendSelfMessage counts the message once it has gone out.
+    return checkProactiveMessage(userData, userId, PROACTIVE_KINDS.SPONTANEOUS);
+}
+
+/**
+ * Get the earliest time the user could get a self-message, based on the
+ * inactivity and gap rules. The random chance and the engagement scheduler
+ * may still hold it back at that time.
+ * @param {Object} userData - User data
+ * @returns {number} - Timestamp in milliseconds
+ */
+function getNextSelfMessageTime(userData) {
+    const activity = userData.chatActivity;
+    if (!activity) {
+        return Date.now();
     }
     
-    return false;
+    return Math.max(
+        (activity.lastUserMessageTime || 0) + INACTIVITY_THRESHOLD,
+        (activity.lastBotInitiatedTime || 0) + getFrequencyPreset(userData).minGapHours * 60 * 60 * 1000
+    );
 }
 
 /**
  * Generates a self-message based on user memory
  * @param {Object} userData - User data
+ * @param {string} [userId] - The user's WhatsApp ID, noted in the AI usage log
  * @returns {string} - The generated message
  */
-async function generateSelfMessage(userData) {
+async function generateSelfMessage(userData, userId) {
     try {
         // Create a system message for the AI
         const systemMessage = {
@@ -83,28 +127,9 @@ Some ideas for initiating conversation:
 Keep your message relatively short and conversational. End with something that invites a response.`
         };
         
-        // Add memory context if available
-        let memoryContext = "";
-        if (userData.memory) {
-            if (userData.memory.lastInteractionSummary) {
-                memoryContext += `Previous conversation: ${userData.memory.lastInteractionSummary}\n\n`;
-            }
-            
-            if (Object.keys(userData.memory.topics).length > 0) {
-                const topTopics = Object.entries(userData.memory.topics)
-                    .sort((a, b) => b[1] - a[1])
-                    .slice(0, 3)
-                    .map(([topic]) => topic);
-                memoryContext += `User's interests: ${topTopics.join(', ')}\n\n`;
-            }
-            
-            if (Object.keys(userData.memory.preferences).length > 0) {
-                const preferences = Object.entries(userData.memory.preferences)
-                    .map(([item, preference]) => `${item}: ${preference}`)
-                    .join(', ');
-                memoryContext += `User preferences: ${preferences}\n\n`;
-            }
-        }
+        // Add the remembered facts that fit the recent conversation
+        const memoryFacts = buildMemoryContext(userData);
+        const memoryContext = memoryFacts ? `${memoryFacts}\n\n` : "";
         
         // Create a user message to prompt the AI
         const userMessage = {
@@ -113,20 +138,59 @@ Keep your message relatively short and conversational. End with something that i
         };
         
         // Generate the self-message
-        const selfMessage = await generateAIResponse([systemMessage, userMessage], userData);
-        return selfMessage;
+        const selfMessage = await generateChatResponse([systemMessage, userMessage], { userId });
+        return selfMessage || "Hey, how are you doing today? 😊";
     } catch (error) {
         console.error('Error generating self-message:', error);
         return "Hey, how are you doing today? 😊";
     }
 }
 
+/**
+ * Generate a self-message and send it, with a sticker for premium users.
+ * Call this only after shouldSendSelfMessage returned true.
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {Object} userData - User data
+ * @returns {boolean} - Whether the message was sent
+ */
+async function sendSelfMessage(sock, userId, userData) {
+    const selfMessage = await withTyping(sock, userId, () => generateSelfMessage(userData, userId));
+    
+    const { sent } = await sendChunkedText(sock, userId, selfMessage);
+    if (sent.length === 0) {
+        return false;
+    }
+    
+    userData.conversationHistory = userData.conversationHistory || [];
+    userData.conversationHistory.push({
+        role: "assistant",
+        content: sent.join('\n\n')
+    });
+    updateChatActivity(userData, false, userId);
+    // Only a message that went out uses the budget
+    recordProactiveMessage(userData, userId, PROACTIVE_KINDS.SPONTANEOUS);
+    await saveUserData(userId, userData);
+    
+    if (userData.isPremium && shouldSendSticker(selfMessage, userData)) {
+        try {
+            // Made in the image queue, without counting towards the daily sticker limit
+            await enqueueImageJob(sock, userId, 'sticker', selfMessage, { automatic: true });
+        } catch (error) {
+            console.error('Error sending sticker with self-message:', error);
+        }
+    }
+    
+    return true;
+}
+
 /**
  * Updates user's chat activity data
  * @param {Object} userData - User data
  * @param {boolean} isUserMessage - Whether this is a user message
+ * @param {string} [userId] - The user's WhatsApp ID, defaults to userData.userId
  */
-function updateChatActivity(userData, isUserMessage) {
+function updateChatActivity(userData, isUserMessage, userId = userData.userId) {
     // Initialize chat activity if it doesn't exist
     if (!userData.chatActivity) {
         userData.chatActivity = {
@@ -151,17 +215,34 @@ function updateChatActivity(userData, isUserMessage) {
             userData.chatActivity.messageCount += 1;
         }
         
-        // Update active hours - increment by 1 (not by bulk)
-        const hourOfDay = new Date().getHours();
+        // Update active hours in the user's local time - increment by 1 (not by bulk)
+        const hourOfDay = getLocalHour(getUserTimezone(userData, userId));
         if (!userData.chatActivity.activeHours) {
             userData.chatActivity.activeHours = Array(24).fill(0);
         }
         userData.chatActivity.activeHours[hourOfDay] += 1;
     }
+    
+    // conversationHandler calls this after every turn and then saves userData,
+    // so it is where new facts are learned from the user's latest message
+    if (isUserMessage) {
+        rememberFromLatestMessage(userData, userId);
+    }
+    
+    // Fold older messages into the running summary
+    foldOlderMessages(userData);
+    
+    // Move the user in the scheduler's due-time index
+    if (userId) {
+        selfMessageIndex.schedule(userId, getNextSelfMessageTime(userData));
+    }
 }
 
 module.exports = {
     shouldSendSelfMessage,
     generateSelfMessage,
-    updateChatActivity
+    sendSelfMessage,
+    updateChatActivity,
+    getNextSelfMessageTime,
+    selfMessageIndex
 };
\ No newline at end of file
@@ -0,0 +1,252 @@
+/**
+ * Turns a drawn sticker into a cut-out, all locally with sharp: the plain
+ * background the model was asked for is made transparent, the companion is
+ * trimmed and centred, and the classic white sticker outline and a soft
+ * drop shadow are added around them.
+ *
+ * The background is removed by flood filling from the edges, so white areas
+ * inside the companion (eyes, teeth, a white shirt) are kept.
+ */
+const sharp = require('sharp');
+
+const STICKER_SIZE = 512;
+
+// How far (0-255 per channel) a pixel may be from the background colour and still be background
+const BACKGROUND_TOLERANCE = parseInt(process.env.STICKER_BACKGROUND_TOLERANCE || '32');
+
+// Share of the edge that must be background colour for the background to be removed
+const MIN_UNIFORM_EDGE = 0.6;
+
+const OUTLINE_WIDTH = 10;
+const SHADOW_OFFSET = { left: 3, top: 5 };
+const SHADOW_OPACITY = 0.35;
+
+// Room around the companion for the outline and shadow
+const PADDING = OUTLINE_WIDTH + 12;
+
+const TRANSPARENT = { r: 0, g: 0, b: 0, alpha: 0 };
+
+/**
+ * Work out the background colour from the pixels along the edge
+ * @param {Buffer} pixels - RGBA pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Object} - { color: [r, g, b], edge: pixel indexes along the edge }
+ */
+function findBackground(pixels, width, height) {
+    const edge = [];
+    for (let x = 0; x < width; x++) {
+        edge.push(x, (height - 1) * width + x);
+    }
+    for (let y = 1; y < height - 1; y++) {
+        edge.push(y * width, y * width + width - 1);
+    }
+
+    // The median of each channel ignores the odd edge pixel that belongs to the companion
+    const color = [0, 1, 2].map(channel => {
+        const values = edge.map(index => pixels[index * 4 + channel]).sort((a, b) => a - b);
+        return values[Math.floor(values.length / 2)];
+    });
+    return { color, edge };
+}
+
+/**
+ * How far a pixel is from a colour
+ * @param {Buffer} pixels - RGBA pixels
+ * @param {number} index - The pixel
+ * @param {Array<number>} color - [r, g, b]
+ * @returns {number} - The largest channel difference
+ */
+function colorDistance(pixels, index, color) {
+    const offset = index * 4;
+    return Math.max(
+        Math.abs(pixels[offset] - color[0]),
+        Math.abs(pixels[offset + 1] - color[1]),
+        Math.abs(pixels[offset + 2] - color[2])
+    );
+}
+
+/**
+ * Make the background transparent, working in from the edges
+ * @param {Buffer} pixels - RGBA pixels, changed in place
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {boolean} - Whether a background was found and removed
+ */
+function removeBackground(pixels, width, height) {
+    const { color, edge } = findBackground(pixels, width, height);
+    const isBackground = index => pixels[index * 4 + 3] === 0 || colorDistance(pixels, index, color) <= BACKGROUND_TOLERANCE;
+
+    const uniformEdge = edge.filter(isBackground).length / edge.length;
+    if (uniformEdge < MIN_UNIFORM_EDGE) {
+        return false;
+    }
+
+    // Flood fill from every background pixel on the edge
+    const removed = new Uint8Array(width * height);
+    const queue = new Int32Array(width * height);
+    let head = 0;
+    let tail = 0;
+    for (const index of edge) {
+        if (!removed[index] && isBackground(index)) {
+            removed[index] = 1;
+            queue[tail++] = index;
+        }
+    }
+    while (head < tail) {
+        const index = queue[head++];
+        const x = index % width;
+        const neighbours = [
+            x > 0 ? index - 1 : -1,
+            x < width - 1 ? index + 1 : -1,
+            index - width,
+            index + width
+        ];
+        for (const next of neighbours) {
+            if (next >= 0 && next < removed.length && !removed[next] && isBackground(next)) {
+                removed[next] = 1;
+                queue[tail++] = next;
+            }
+        }
+    }
+
+    for (let index = 0; index < removed.length; index++) {
+        if (removed[index]) {
+            pixels[index * 4 + 3] = 0;
+            continue;
+        }
+
+        // Soften the edge: pixels bordering the background that are close to
+        // its colour (anti-aliasing) become partly transparent
+        const x = index % width;
+        const bordersBackground = (x > 0 && removed[index - 1]) || (x < width - 1 && removed[index + 1]) ||
+            removed[index - width] || removed[index + width];
+        if (bordersBackground) {
+            const distance = colorDistance(pixels, index, color);
+            if (distance < BACKGROUND_TOLERANCE * 2) {
+                const alpha = Math.round(((distance - BACKGROUND_TOLERANCE) / BACKGROUND_TOLERANCE) * 255);
+                pixels[index * 4 + 3] = Math.min(pixels[index * 4 + 3], alpha);
+            }
+        }
+    }
+    return true;
+}
+
+/**
+ * Find the box around everything that isn't transparent
+ * @param {Buffer} pixels - RGBA pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Object|null} - { left, top, width, height }, or null if the image is empty
+ */
+function findContentBox(pixels, width, height) {
+    let left = width;
+    let top = height;
+    let right = -1;
+    let bottom = -1;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (pixels[(y * width + x) * 4 + 3] > 16) {
+                left = Math.min(left, x);
+                right = Math.max(right, x);
+                top = Math.min(top, y);
+                bottom = Math.max(bottom, y);
+            }
+        }
+    }
+    return right < 0 ? null : { left, top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+/**
+ * Move a mask right and down, dropping what falls off the edge
+ * @param {Buffer} mask - One channel mask, 512x512
+ * @param {Object} offset - { left, top } in pixels
+ * @returns {Buffer} - The moved mask
+ */
+function shiftMask(mask, offset) {
+    const shifted = Buffer.alloc(mask.length);
+    for (let y = offset.top; y < STICKER_SIZE; y++) {
+        const from = (y - offset.top) * STICKER_SIZE;
+        mask.copy(shifted, y * STICKER_SIZE + offset.left, from, from + STICKER_SIZE - offset.left);
+    }
+    return shifted;
+}
+
+/**
+ * Make a solid colour layer shaped like a mask
+ * @param {Buffer} mask - One channel mask, 512x512
+ * @param {Object} color - { r, g, b }
+ * @returns {Buffer} - PNG layer
+ */
+async function colorLayer(mask, color) {
+    return sharp({ create: { width: STICKER_SIZE, height: STICKER_SIZE, channels: 3, background: color } })
+        .joinChannel(mask, { raw: { width: STICKER_SIZE, height: STICKER_SIZE, channels: 1 } })
+        .png()
+        .toBuffer();
+}
+
+/**
+ * Cut the companion out of a drawn sticker and style it like a sticker
+ * @param {string|Buffer} input - The drawn sticker
+ * @returns {Buffer} - 512x512 PNG with a transparent background, white outline and drop shadow
+ */
+async function cutOutSticker(input) {
+    // Work at sticker size, so big drawings don't slow the flood fill down
+    const { data: pixels, info } = await sharp(input)
+        .resize(STICKER_SIZE, STICKER_SIZE, { fit: 'inside' })
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    if (!removeBackground(pixels, info.width, info.height)) {
+        console.log('Sticker background is not plain, keeping it');
+    }
+
+    const box = findContentBox(pixels, info.width, info.height);
+    if (!box) {
+        throw new Error('Nothing left of the sticker after removing the background');
+    }
+
+    // Trim to the companion and centre them, leaving room for the outline and shadow
+    const inner = STICKER_SIZE - PADDING * 2;
+    const subject = await sharp(pixels, { raw: { width: info.width, height: info.height, channels: 4 } })
+        .extract(box)
+        .resize(inner, inner, { fit: 'contain', background: TRANSPARENT })
+        .extend({ top: PADDING, bottom: PADDING, left: PADDING, right: PADDING, background: TRANSPARENT })
+        .png()
+        .toBuffer();
+
+    // Blurring the shape and keeping everything above a low threshold (5%)
+    // grows it by about 1.7 times the blur sigma. These are separate steps as
+    // sharp would otherwise threshold before blurring.
+    const shape = await sharp(subject).extractChannel(3).raw().toBuffer();
+    const blurredShape = await sharp(shape, { raw: { width: STICKER_SIZE, height: STICKER_SIZE, channels: 1 } })
+        .blur(OUTLINE_WIDTH / 1.7)
+        .toColourspace('b-w')
+        .raw()
+        .toBuffer();
+    const outlineMask = await sharp(blurredShape, { raw: { width: STICKER_SIZE, height: STICKER_SIZE, channels: 1 } })
+        .threshold(12)
+        .toColourspace('b-w')
+        .raw()
+        .toBuffer();
+    const shadowMask = shiftMask(await sharp(outlineMask, { raw: { width: STICKER_SIZE, height: STICKER_SIZE, channels: 1 } })
+        .blur(4)
+        .linear(SHADOW_OPACITY, 0)
+        .toColourspace('b-w')
+        .raw()
+        .toBuffer(), SHADOW_OFFSET);
+
+    return sharp({ create: { width: STICKER_SIZE, height: STICKER_SIZE, channels: 4, background: TRANSPARENT } })
+        .composite([
+            { input: await colorLayer(shadowMask, { r: 0, g: 0, b: 0 }) },
+            { input: await colorLayer(outlineMask, { r: 255, g: 255, b: 255 }) },
+            { input: subject }
+        ])
+        .png()
+        .toBuffer();
+}
+
+module.exports = {
+    cutOutSticker
+};
@@ -0,0 +1,196 @@
+/**
+ * Sticker library for each companion. Every sticker drawn is kept, tagged
+ * with its emotion and expression, and reused later instead of drawing a
+ * new one each time. A new sticker is drawn only while an emotion has fewer
+ * than STICKER_PACK_VARIANTS stickers, so the pack fills up over time.
+ *
+ * Packs live in sticker_packs/<pack>/ with a pack.json index. A pack
+ * belongs to one companion picture, so a user who creates a new companion
+ * starts a new pack.
+ */
+const path = require('path');
+const fs = require('fs-extra');
+const crypto = require('crypto');
+const { getDocumentStore } = require('../storage/jsonDocumentStore');
+
+const STICKER_PACKS_DIR = path.join(process.cwd(), 'sticker_packs');
+
+// Stickers wanted for each emotion before cached ones are reused
+const VARIANTS_PER_EMOTION = Math.max(parseInt(process.env.STICKER_PACK_VARIANTS || '3'), 1);
+
+// A pinned favourite is this many times as likely to be picked
+const PINNED_WEIGHT = 3;
+
+/**
+ * Work out which pack belongs to a companion picture
+ * @param {string} characterImagePath - Path to the companion's picture
+ * @returns {Object} - { id, dir, store }
+ */
+async function getStickerPack(characterImagePath) {
+    // The picture is saved under the user's number, so its contents tell companions apart
+    const image = await fs.readFile(characterImagePath);
+    const hash = crypto.createHash('sha256').update(image).digest('hex').slice(0, 12);
+    const owner = path.basename(characterImagePath, path.extname(characterImagePath));
+    const id = `${owner}_${hash}`;
+    const dir = path.join(STICKER_PACKS_DIR, id);
+
+    return { id, owner, dir, store: getDocumentStore(path.join(dir, 'pack.json'), { nextId: 1, stickers: [] }) };
+}
+
+/**
+ * Delete the packs of a user's earlier companions
+ * @param {Object} pack - The current pack
+ */
+async function removeOldPacks(pack) {
+    if (!await fs.pathExists(STICKER_PACKS_DIR)) {
+        return;
+    }
+    for (const entry of await fs.readdir(STICKER_PACKS_DIR)) {
+        if (entry !== pack.id && entry.startsWith(`${pack.owner}_`)) {
+            await fs.remove(path.join(STICKER_PACKS_DIR, entry));
+            console.log(`Removed sticker pack of an earlier companion: ${entry}`);
+        }
+    }
+}
+
+/**
+ * Pick a cached sticker for an emotion, favouring pinned stickers and
+ * avoiding the one sent last time
+ * @param {string} characterImagePath - Path to the companion's picture
+ * @param {string} emotion - The emotion
+ * @returns {string|null} - Path to the sticker image, or null if a new one should be drawn
+ */
+async function pickPackSticker(characterImagePath, emotion) {
+    const pack = await getStickerPack(characterImagePath);
+
+    const picked = await pack.store.update(data => {
+        const candidates = data.stickers.filter(sticker => sticker.emotion === emotion);
+        if (candidates.length < VARIANTS_PER_EMOTION) {
+            return null;
+        }
+
+        const lastSent = candidates.reduce((latest, sticker) =>
+            (sticker.lastSentAt || '') > (latest.lastSentAt || '') ? sticker : latest);
+        const choices = candidates.filter(sticker => sticker !== lastSent || candidates.length === 1);
+
+        const weights = choices.map(sticker => sticker.pinned ? PINNED_WEIGHT : 1);
+        let roll = Math.random() * weights.reduce((sum, weight) => sum + weight, 0);
+        const sticker = choices.find((_, index) => (roll -= weights[index]) < 0) || choices[choices.length - 1];
+
+        sticker.sendCount = (sticker.sendCount || 0) + 1;
+        sticker.lastSentAt = new Date().toISOString();
+        return { ...sticker };
+    });
+
+    if (!picked) {
+        return null;
+    }
+    console.log(`Using cached ${emotion} sticker #${picked.id} from pack ${pack.id}`);
+    return path.join(pack.dir, picked.file);
+}
+
+/**
+ * Add a newly drawn sticker to the companion's pack
+ * @param {string} characterImagePath - Path to the companion's picture
+ * @param {string} imagePath - The drawn sticker image (copied into the pack)
+ * @param {Object} details - { emotion, expression, style }
+ * @returns {Object} - The pack entry
+ */
+async function addPackSticker(characterImagePath, imagePath, details) {
+    const pack = await getStickerPack(characterImagePath);
+    await fs.ensureDir(pack.dir);
+
+    const sticker = await pack.store.update(async data => {
+        if (data.stickers.length === 0) {
+            await removeOldPacks(pack);
+        }
+
+        const entry = {
+            id: String(data.nextId || 1),
+            emotion: details.emotion,
+            expression: details.expression,
+            style: details.style,
+            file: `sticker_${data.nextId || 1}${path.extname(imagePath) || '.png'}`,
+            pinned: false,
+            sendCount: 1,
+            createdAt: new Date().toISOString(),
+            lastSentAt: new Date().toISOString()
+        };
+        await fs.copy(imagePath, path.join(pack.dir, entry.file));
+
+        data.nextId = Number(entry.id) + 1;
+        data.stickers.push(entry);
+        return entry;
+    });
+
+    console.log(`Added ${details.emotion} sticker #${sticker.id} to pack ${pack.id}`);
+    return sticker;
+}
+
+/**
+ * List a companion's stickers
+ * @param {string} characterImagePath - Path to the companion's picture
+ * @returns {Array<Object>} - Pack entries, each with the full image path
+ */
+async function listPackStickers(characterImagePath) {
+    const pack = await getStickerPack(characterImagePath);
+    if (!await fs.pathExists(pack.dir)) {
+        return [];
+    }
+    const { stickers } = await pack.store.read();
+    return stickers.map(sticker => ({ ...sticker, imagePath: path.join(pack.dir, sticker.file) }));
+}
+
+/**
+ * Pin or unpin a sticker. Pinned stickers are sent more often.
+ * @param {string} characterImagePath - Path to the companion's picture
+ * @param {string} stickerId - The sticker
+ * @param {boolean} pinned - Whether to pin it
+ * @returns {Object|null} - The updated entry, or null if there is no such sticker
+ */
+async function setPackStickerPinned(characterImagePath, stickerId, pinned) {
+    const pack = await getStickerPack(characterImagePath);
+    if (!await fs.pathExists(pack.dir)) {
+        return null;
+    }
+    return pack.store.update(data => {
+        const sticker = data.stickers.find(entry => entry.id === stickerId);
+        if (!sticker) {
+            return null;
+        }
+        sticker.pinned = pinned;
+        return { ...sticker };
+    });
+}
+
+/**
+ * Remove a sticker from the pack. A new one is drawn for its emotion the
+ * next time it is needed.
+ * @param {string} characterImagePath - Path to the companion's picture
+ * @param {string} stickerId - The sticker
+ * @returns {Object|null} - The removed entry, or null if there is no such sticker
+ */
+async function removePackSticker(characterImagePath, stickerId) {
+    const pack = await getStickerPack(characterImagePath);
+    if (!await fs.pathExists(pack.dir)) {
+        return null;
+    }
+    return pack.store.update(async data => {
+        const sticker = data.stickers.find(entry => entry.id === stickerId);
+        if (!sticker) {
+            return null;
+        }
+        data.stickers = data.stickers.filter(entry => entry !== sticker);
+        await fs.remove(path.join(pack.dir, sticker.file));
+        return sticker;
+    });
+}
+
+module.exports = {
+    VARIANTS_PER_EMOTION,
+    pickPackSticker,
+    addPackSticker,
+    listPackStickers,
+    setPackStickerPinned,
+    removePackSticker
+};
@@ -1,10 +1,16 @@
 const fs = require('fs-extra');
 const path = require('path');
 const axios = require('axios');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const sharp = require('sharp');
 const { Sticker, StickerTypes } = require('wa-sticker-formatter');
-const apiKeyManager = require('../apiKeyManager');
+const { isFeatureAvailable, generateText, generateImage } = require('../aiProviders');
+const { pickPackSticker, addPackSticker } = require('./stickerPack');
+const { FRAME_COUNT, MAX_ANIMATED_BYTES, QUALITY_STEPS, pickAnimation, createAnimatedWebp } = require('./animatedSticker');
+const { cutOutSticker } = require('./stickerCutout');
+
+// WhatsApp's size limit for still stickers, met by lowering the quality step by step
+const MAX_STATIC_BYTES = 100 * 1024;
+const STATIC_QUALITY_STEPS = [90, 75, 60, 45, 30];
 
 // Styles for sticker generation
 const STICKER_STYLES = [
@@ -72,14 +78,10 @@ function shouldSendSticker(message, userData) {
 // Analyzes message sentiment to determine appropriate expression
 async function analyzeMessageSentiment(message, aiResponse) {
     try {
-        const geminiKey = apiKeyManager.getNextApiKey('gemini');
-        if (!geminiKey) {
-            return getRandomExpression('happy'); // Default to happy if no API key
+        if (!await isFeatureAvailable('sentiment')) {
+            return getRandomExpression('happy'); // Default to happy if no AI provider
         }
         
-        const genAI = new GoogleGenerativeAI(geminiKey);
-        const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-        
         const prompt = `
         Analyze this conversation exchange to determine the most appropriate emotional expression for a sticker response.
         
@@ -108,8 +110,8 @@ async function analyzeMessageSentiment(message, aiResponse) {
         
         Reply with just the emotion name, nothing else.`;
         
-        const result = await model.generateContent(prompt);
-        const response = result.response.text().trim().toLowerCase();
+        const result = await generateText('sentiment', [{ role: 'user', content: prompt }]);
+        const response = result.trim().toLowerCase();
         
         console.log(`Emotion analysis result: "${response}" for message: "${message.substring(0, 30)}..."`);
         
@@ -171,12 +173,14 @@ function getRandomExpression(emotion) {
 }
 
 /**
- * Generates a sticker image based on character and sentiment
+ * Generates a sticker image based on character and sentiment. Stickers
+ * already in the companion's pack are reused once the emotion has enough of
+ * them; otherwise a new one is drawn and added to the pack.
  * @param {string} characterImagePath - Path to character image
  * @param {string} emotion - The emotion to express
  * @param {string} message - The user's message
  * @param {string} aiResponse - The AI's text response
- * @returns {string} - Path to generated sticker image
+ * @returns {string} - Path to generated sticker image (a copy the caller may delete)
  */
 async function generateStickerImage(characterImagePath, emotion, message, aiResponse) {
     try {
@@ -189,6 +193,16 @@ async function generateStickerImage(characterImagePath, emotion, message, aiResp
         const outputDir = path.join(process.cwd(), 'generated_stickers');
         fs.ensureDirSync(outputDir);
         
+        // Reuse a sticker from the pack if there are enough for this emotion
+        // (the sentiment fallback gives an expression such as "smiling" instead)
+        const packEmotion = EXPRESSIONS[emotion] ? emotion : 'happy';
+        const cachedPath = await pickPackSticker(characterImagePath, packEmotion);
+        if (cachedPath) {
+            const copyPath = path.join(outputDir, `sticker_${Date.now()}${path.extname(cachedPath)}`);
+            await fs.copy(cachedPath, copyPath);
+            return copyPath;
+        }
+        
         // Read the character image as base64
         const characterImageBuffer = fs.readFileSync(characterImagePath);
         const base64Image = characterImageBuffer.toString('base64');
@@ -212,77 +226,22 @@ async function generateStickerImage(characterImagePath, emotion, message, aiResp
         Create a clean, professional sticker with just the character.
         `;
         
-        // Get a fresh API key for image generation
-        const apiKey = apiKeyManager.getNextApiKey('gemini');
-        if (!apiKey) {
-            console.error('No valid Gemini API key available');
-            return null;
-        }
-        
-        // Create a new instance of the Gemini client
-        const localGenAI = new GoogleGenerativeAI(apiKey);
-        
-        // Set up the model for image generation
-        const model = localGenAI.getGenerativeModel({
-            model: "gemini-2.0-flash-exp-image-generation",
-            generationConfig: {
-                responseModalities: ['Text', 'Image'],
-                temperature: 0.2,
-                topP: 0.1,
-                topK: 8
-            },
-            safetySettings: [
-                {
-                    category: "HARM_CATEGORY_HARASSMENT",
-                    threshold: "BLOCK_ONLY_HIGH"
-                },
-                {
-                    category: "HARM_CATEGORY_HATE_SPEECH",
-                    threshold: "BLOCK_ONLY_HIGH"
-                },
-                {
-                    category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-                    threshold: "BLOCK_ONLY_HIGH"
-                },
-                {
-                    category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-                    threshold: "BLOCK_ONLY_HIGH"
-                }
-            ]
+        // Generate the image with the model configured for stickers
+        const image = await generateImage('sticker_image', prompt, {
+            images: [{ mimeType: "image/jpeg", data: base64Image }],
+            temperature: 0.2,
+            topP: 0.1,
+            topK: 8
         });
         
-        // Prepare the content parts with both the image and prompt - FIXED FORMAT
-        const contents = [
-            { text: prompt },
-            { 
-                inlineData: { 
-                    mimeType: "image/jpeg", 
-                    data: base64Image 
-                } 
-            }
-        ];
-        
-        // Generate the image
-        const result = await model.generateContent(contents);
-        const response = await result.response;
-        
-        // Extract the image from the response
-        const imageData = response.candidates[0].content.parts.find(part => part.inlineData);
-        
-        if (!imageData) {
-            console.error('No image data in response');
-            return null;
-        }
-        
         // Save the image
         const timestamp = Date.now();
         const outputPath = path.join(outputDir, `sticker_${timestamp}.png`);
         
-        // Decode and save the base64 image
-        const stickerImageBuffer = Buffer.from(imageData.inlineData.data, 'base64');
-        await fs.writeFile(outputPath, stickerImageBuffer);
+        await fs.writeFile(outputPath, image.data);
         
         console.log(`Sticker image generated: ${outputPath}`);
+        await addPackSticker(characterImagePath, outputPath, { emotion: packEmotion, expression, style });
         return outputPath;
     } catch (error) {
         console.error('Error generating sticker image:', error);
@@ -290,41 +249,134 @@ async function generateStickerImage(characterImagePath, emotion, message, aiResp
     }
 }
 
+/**
+ * Check whether a user gets animated stickers (premium users who turned them on)
+ * @param {Object} userData - User data
+ * @returns {boolean} - Whether to animate their stickers
+ */
+function wantsAnimatedStickers(userData) {
+    return Boolean(userData.isPremium && userData.stickerSettings && userData.stickerSettings.animated);
+}
+
+/**
+ * Get the wa-sticker-formatter options for a companion's stickers
+ * @param {Object} userData - User data containing companion information
+ * @param {number} quality - WebP quality
+ * @returns {Object} - Sticker options
+ */
+function getStickerOptions(userData, quality) {
+    return {
+        pack: `${userData.companionName}`,
+        author: 'Hyper AI',
+        type: StickerTypes.FULL,
+        categories: ['🎭', '😊', '💬'],
+        quality
+    };
+}
+
 /**
  * Creates a WhatsApp sticker from an image
  * @param {string} imagePath - Path to the image
  * @param {Object} userData - User data containing companion information
+ * @param {Object} [options] - { emotion } to pick a matching animation for animated stickers
  * @returns {Buffer} - Sticker buffer
  */
-async function createWhatsAppSticker(imagePath, userData) {
+async function createWhatsAppSticker(imagePath, userData, options = {}) {
+    let processedImagePath = null;
     try {
-        // Process the image for optimal sticker format
-        const processedImagePath = await processImageForSticker(imagePath);
-        
-        // Create the sticker
-        const sticker = new Sticker(processedImagePath, {
-            pack: `${userData.companionName}`,
-            author: 'Hyper AI',
-            type: StickerTypes.FULL,
-            categories: ['🎭', '😊', '💬'],
-            quality: 90
-        });
+        // Cut the companion out and give them a sticker outline
+        processedImagePath = await processImageForSticker(imagePath);
         
-        // Get the buffer
-        const stickerBuffer = await sticker.toBuffer();
+        if (wantsAnimatedStickers(userData)) {
+            const animated = await createAnimatedWhatsAppSticker(processedImagePath, userData, options.emotion);
+            if (animated) {
+                return animated;
+            }
+        }
         
-        // Clean up the processed image
-        await fs.remove(processedImagePath);
+        // Create the sticker, lowering the quality until it is small enough
+        for (const quality of STATIC_QUALITY_STEPS) {
+            const sticker = new Sticker(processedImagePath, getStickerOptions(userData, quality));
+            const stickerBuffer = await sticker.toBuffer();
+            
+            if (stickerBuffer.length <= MAX_STATIC_BYTES) {
+                return stickerBuffer;
+            }
+            console.log(`Sticker is ${Math.round(stickerBuffer.length / 1024)} KB at quality ${quality}, trying lower`);
+        }
         
-        return stickerBuffer;
+        console.error('Sticker is too big even at low quality, not sending it');
+        return null;
     } catch (error) {
         console.error('Error creating WhatsApp sticker:', error);
         return null;
+    } finally {
+        // Clean up the processed image (processing hands back the original if it fails)
+        if (processedImagePath && processedImagePath !== imagePath) {
+            await fs.remove(processedImagePath);
+        }
+    }
+}
+
+/**
+ * Creates an animated WhatsApp sticker from an image, lowering the quality
+ * and then the frame count until it fits WhatsApp's size limit
+ * @param {string} imagePath - Path to the image
+ * @param {Object} userData - User data containing companion information
+ * @param {string} [emotion] - The sticker's emotion
+ * @returns {Buffer|null} - Sticker buffer, or null to send a still sticker instead
+ */
+async function createAnimatedWhatsAppSticker(imagePath, userData, emotion) {
+    try {
+        const animation = pickAnimation(emotion);
+        const attempts = [
+            ...QUALITY_STEPS.map(quality => ({ quality, frameCount: FRAME_COUNT })),
+            { quality: QUALITY_STEPS[QUALITY_STEPS.length - 1], frameCount: FRAME_COUNT / 2 }
+        ];
+        
+        for (const attempt of attempts) {
+            const webp = await createAnimatedWebp(imagePath, { animation, ...attempt });
+            const sticker = new Sticker(webp, getStickerOptions(userData, attempt.quality));
+            const stickerBuffer = await sticker.toBuffer();
+            
+            if (stickerBuffer.length <= MAX_ANIMATED_BYTES) {
+                console.log(`Animated sticker (${animation}) is ${Math.round(stickerBuffer.length / 1024)} KB`);
+                return stickerBuffer;
+            }
+        }
+        
+        console.error('Animated sticker is too big even at low quality, sending a still one');
+        return null;
+    } catch (error) {
+        console.error('Error creating animated sticker:', error);
+        return null;
     }
 }
 
 /**
- * Processes an image to make it suitable for a WhatsApp sticker
+ * Make a sticker of the companion reacting to a message: pick the emotion,
+ * draw the companion with it and turn the drawing into a sticker
+ * @param {Object} userData - User data with characterImagePath
+ * @param {string} message - The message to react to
+ * @param {string} [aiResponse] - The companion's reply, if any
+ * @returns {Buffer|null} - Sticker buffer, or null if it couldn't be made
+ */
+async function createStickerForMessage(userData, message, aiResponse = '') {
+    const emotion = await analyzeMessageSentiment(message, aiResponse);
+    const stickerImagePath = await generateStickerImage(userData.characterImagePath, emotion, message, aiResponse);
+    if (!stickerImagePath) {
+        return null;
+    }
+
+    const sticker = await createWhatsAppSticker(stickerImagePath, userData, { emotion });
+    await fs.remove(stickerImagePath);
+    return sticker;
+}
+
+/**
+ * Processes an image to make it suitable for a WhatsApp sticker: the plain
+ * background is made transparent, and the companion is trimmed, outlined in
+ * white and given a drop shadow
  * @param {string} imagePath - Path to the image
  * @returns {string} - Path to the processed image
  */
@@ -333,16 +385,20 @@ async function processImageForSticker(imagePath) {
         const outputDir = path.join(process.cwd(), 'temp');
         fs.ensureDirSync(outputDir);
         
-        const outputPath = path.join(outputDir, `processed_${path.basename(imagePath)}`);
-        
-        // Simple resize only
-        await sharp(imagePath)
-            .resize(512, 512, {
-                fit: 'contain',
-                background: { r: 0, g: 0, b: 0, alpha: 0 }
-            })
-            .toFormat('png')
-            .toFile(outputPath);
+        const outputPath = path.join(outputDir, `processed_${Date.now()}_${path.basename(imagePath, path.extname(imagePath))}.png`);
+        
+        try {
+            await fs.writeFile(outputPath, await cutOutSticker(imagePath));
+        } catch (error) {
+            console.error('Error cutting out sticker, using a plain resize:', error);
+            await sharp(imagePath)
+                .resize(512, 512, {
+                    fit: 'contain',
+                    background: { r: 0, g: 0, b: 0, alpha: 0 }
+                })
+                .toFormat('png')
+                .toFile(outputPath);
+        }
         
         return outputPath;
     } catch (error) {
@@ -352,8 +408,10 @@ async function processImageForSticker(imagePath) {
 }
 
 module.exports = {
+    EXPRESSIONS,
     shouldSendSticker,
     analyzeMessageSentiment,
     generateStickerImage,
-    createWhatsAppSticker
+    createWhatsAppSticker,
+    createStickerForMessage
 };
\ No newline at end of file
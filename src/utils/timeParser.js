@@ -0,0 +1,448 @@
+/**
+ * Natural language time parsing for reminders.
+ *
+ * Understands English, Singlish and Sinhala phrases such as:
+ * - "in 10 minutes", "in 1h30m", "in half an hour", "2 hours from now"
+ * - "today at 5pm", "tonight", "tomorrow morning", "day after tomorrow at noon"
+ * - "friday", "next friday evening", "on monday at 8:30"
+ * - "on the 5th", "5th of june", "june 5 at 9am", "12/25 at 9am", "2025-01-31"
+ * - "heta udeta", "hawasa 5ta", "paya 2kin", "labana sikurada", "හෙට උදේ 8ට"
+ *
+ * Sinhala and Singlish words are first translated to English using the
+ * vocabulary in timeVocabulary.js, then the English phrase is parsed.
+ * All clock times are in the user's timezone.
+ */
+
+const { TIME_WORDS, NUMBER_WORDS, AT_SUFFIXES, IN_SUFFIXES } = require('./timeVocabulary');
+const { DEFAULT_TIMEZONE, getZonedParts, zonedTimeToDate } = require('./timezoneUtils');
+
+const WEEKDAYS = {
+    sun: 0, sunday: 0,
+    mon: 1, monday: 1,
+    tue: 2, tues: 2, tuesday: 2,
+    wed: 3, weds: 3, wednesday: 3,
+    thu: 4, thur: 4, thurs: 4, thursday: 4,
+    fri: 5, friday: 5,
+    sat: 6, saturday: 6
+};
+
+const MONTHS = {
+    jan: 1, january: 1, feb: 2, february: 2, mar: 3, march: 3, apr: 4, april: 4,
+    may: 5, jun: 6, june: 6, jul: 7, july: 7, aug: 8, august: 8,
+    sep: 9, sept: 9, september: 9, oct: 10, october: 10, nov: 11, november: 11, dec: 12, december: 12
+};
+
+// Default clock time for each part of the day
+const PARTS_OF_DAY = {
+    morning: { hours: 9, minutes: 0 },
+    noon: { hours: 12, minutes: 0 },
+    midday: { hours: 12, minutes: 0 },
+    afternoon: { hours: 14, minutes: 0 },
+    evening: { hours: 18, minutes: 0 },
+    night: { hours: 20, minutes: 0 },
+    tonight: { hours: 20, minutes: 0 },
+    midnight: { hours: 0, minutes: 0 }
+};
+
+// Time used when only a date is given ("tomorrow", "next friday")
+const DEFAULT_TIME_OF_DAY = { hours: 9, minutes: 0 };
+
+// Most months or years a date without a year or month is moved forward to
+// find one that has its day (a leap day can be four years away)
+const MAX_DATE_ROLLS = 12;
+
+const UNIT_MS = {
+    minute: 60 * 1000,
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000
+};
+
+const UNIT_ALIASES = {
+    m: 'minute', min: 'minute', mins: 'minute', minute: 'minute', minutes: 'minute',
+    h: 'hour', hr: 'hour', hrs: 'hour', hour: 'hour', hours: 'hour',
+    d: 'day', day: 'day', days: 'day',
+    w: 'week', wk: 'week', wks: 'week', week: 'week', weeks: 'week'
+};
+
+const UNIT_PATTERN = '(?:minutes|minute|mins|min|m|hours|hour|hrs|hr|h|days|day|d|weeks|week|wks|wk|w)';
+// Units may be glued together ("1h30m"), so they end at the next non-letter rather than \b
+const DURATION_PATTERN = `(?:\\d+(?:\\.\\d+)?\\s*${UNIT_PATTERN}(?![a-z])(?:\\s*(?:,|and)?\\s*)?)+`;
+const WEEKDAY_PATTERN = '(sunday|monday|tuesday|wednesday|thursday|friday|saturday|sun|mon|tues|tue|weds|wed|thurs|thur|thu|fri|sat)';
+const MONTH_PATTERN = '(january|february|march|april|may|june|july|august|september|october|november|december|jan|feb|mar|apr|jun|jul|aug|sept|sep|oct|nov|dec)';
+
+// Letters and combining marks, so Sinhala words get proper word boundaries
+const WORD_CHAR = '[\\p{L}\\p{M}\\u200d]';
+
+// One pass over every Sinhala/Singlish spelling, longest first
+const vocabularyPattern = new RegExp(
+    `(?<!${WORD_CHAR})(${Object.values(TIME_WORDS).flat()
+        .sort((a, b) => b.length - a.length)
+        .map(escapeRegExp)
+        .join('|')})(?!${WORD_CHAR})`,
+    'gu'
+);
+const vocabularyLookup = new Map(
+    Object.entries(TIME_WORDS).flatMap(([english, spellings]) => spellings.map(spelling => [spelling, english]))
+);
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} value - The string
+ * @returns {string} - The escaped string
+ */
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Turn a number word or a number with a Sinhala suffix into English
+ * ("dekakin" -> "2 kin", "5ta" -> "at 5", "හතට" -> "at 7")
+ * @param {string} token - A single word
+ * @returns {string} - The normalized word(s)
+ */
+function normalizeToken(token) {
+    if (NUMBER_WORDS[token] !== undefined) {
+        return String(NUMBER_WORDS[token]);
+    }
+
+    const toNumber = stem => {
+        if (/^\d{1,2}(?:[:.]\d{2})?$/.test(stem)) {
+            return stem.replace('.', ':');
+        }
+        return NUMBER_WORDS[stem] !== undefined ? String(NUMBER_WORDS[stem]) : null;
+    };
+
+    for (const suffix of AT_SUFFIXES) {
+        if (token.endsWith(suffix) && token.length > suffix.length) {
+            const number = toNumber(token.slice(0, -suffix.length));
+            if (number) {
+                return `at ${number}`;
+            }
+        }
+    }
+
+    for (const suffix of IN_SUFFIXES) {
+        if (token.endsWith(suffix) && token.length > suffix.length) {
+            const number = toNumber(token.slice(0, -suffix.length));
+            if (number) {
+                return `${number} kin`;
+            }
+        }
+    }
+
+    return token;
+}
+
+/**
+ * Translate a time phrase to plain, lower case English
+ * @param {string} text - The time phrase
+ * @returns {string} - The normalized phrase
+ */
+function normalizeTimeText(text) {
+    let value = text.toLowerCase()
+        .replace(/[!?]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    // Sinhala and Singlish words
+    value = value.replace(vocabularyPattern, match => vocabularyLookup.get(match));
+
+    // Number words and numbers with "ta" / "kin" suffixes
+    value = value.split(' ').map(normalizeToken).join(' ');
+
+    // "hours 2 kin" / "2 hours kin" -> "in 2 hours"
+    value = value
+        .replace(new RegExp(`\\b(minutes|hours|days|weeks)\\s+(\\d+)\\s+kin\\b`, 'g'), 'in $2 $1')
+        .replace(new RegExp(`\\b(\\d+)\\s+kin\\s+(minutes|hours|days|weeks)\\b`, 'g'), 'in $1 $2')
+        .replace(new RegExp(`\\b(\\d+)\\s+(minutes|hours|days|weeks)\\s+kin\\b`, 'g'), 'in $1 $2')
+        .replace(/\bkin\b/g, '');
+
+    // English shorthand
+    value = value
+        .replace(/\b(?:an|one)\s+hour\s+and\s+a\s+half\b/g, '90 minutes')
+        .replace(/\bhalf\s+(?:an\s+)?hour\b/g, '30 minutes')
+        .replace(/\b(?:a\s+)?quarter\s+(?:of\s+)?(?:an\s+)?hour\b/g, '15 minutes')
+        .replace(/\b(?:an?)\s+(minute|hour|day|week)\b/g, '1 $1')
+        .replace(/\b(?:a\s+)?couple\s+(?:of\s+)?(minutes|hours|days|weeks)\b/g, '2 $1')
+        .replace(/\b(\d{1,2})\s*(a\.m\.|p\.m\.)/g, (match, hour, ampm) => `${hour}${ampm.replace(/\./g, '')}`)
+        .replace(/\bo'?clock\b/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    return value;
+}
+
+/**
+ * Parse a duration such as "1h30m", "2 hours and 15 minutes" or "1.5 hours"
+ * @param {string} text - The duration text
+ * @returns {Object} - { ms, days } where days is set when only days/weeks were used
+ */
+function parseDuration(text) {
+    let ms = 0;
+    let calendarOnly = true;
+    let days = 0;
+
+    const partPattern = new RegExp(`(\\d+(?:\\.\\d+)?)\\s*(${UNIT_PATTERN})(?![a-z])`, 'g');
+    for (const [, amountText, unitText] of text.matchAll(partPattern)) {
+        const unit = UNIT_ALIASES[unitText];
+        const amount = parseFloat(amountText);
+        ms += amount * UNIT_MS[unit];
+
+        if (unit === 'day' || unit === 'week') {
+            days += amount * (unit === 'week' ? 7 : 1);
+        } else {
+            calendarOnly = false;
+        }
+    }
+
+    return { ms, days: calendarOnly && Number.isInteger(days) ? days : null };
+}
+
+/**
+ * Parse a time phrase into its parts
+ * @param {string} text - The time phrase, e.g. "next friday evening" or "heta udeta 8ta"
+ * @param {Object} options - { timezone, now }
+ * @returns {Object|null} - { date, hasDate, hasTime, timeOfDay } or null if nothing was recognized.
+ *   date is the resolved moment; timeOfDay is { hours, minutes } when a clock time was given.
+ */
+function parseTimeExpression(text, options = {}) {
+    const timezone = options.timezone || DEFAULT_TIMEZONE;
+    const now = options.now || new Date();
+
+    if (!text || !text.trim()) {
+        return null;
+    }
+
+    let value = normalizeTimeText(text);
+    const today = getZonedParts(now, timezone);
+
+    // Remove a recognized piece so later patterns don't match it again
+    const take = pattern => {
+        const match = value.match(pattern);
+        if (match) {
+            value = `${value.slice(0, match.index)} ${value.slice(match.index + match[0].length)}`.replace(/\s+/g, ' ').trim();
+        }
+        return match;
+    };
+
+    // Relative durations: "in 2 hours", "1h30m from now", "after 10 minutes"
+    const durationMatch = take(new RegExp(`\\b(?:in|after)\\s+(${DURATION_PATTERN})`)) ||
+        take(new RegExp(`^(${DURATION_PATTERN})\\s*(?:from now|later)?$`)) ||
+        take(new RegExp(`(${DURATION_PATTERN})\\s*(?:from now|later)\\b`));
+
+    let dayOffset = null;
+    let absoluteDate = null;
+    let explicitToday = false;
+    let weekdayIsToday = false;
+    let part = null;
+
+    if (durationMatch) {
+        const { ms, days } = parseDuration(durationMatch[1]);
+        if (!ms) {
+            return null;
+        }
+
+        // "in 3 days at 5pm" keeps the clock time; anything else is exact
+        if (days === null || !/\d|noon|midnight|morning|afternoon|evening|night/.test(value)) {
+            return { date: new Date(now.getTime() + ms), hasDate: true, hasTime: true, timeOfDay: null };
+        }
+        dayOffset = days;
+    }
+
+    // Relative days
+    if (take(/\bday after tomorrow\b/)) {
+        dayOffset = 2;
+    } else if (take(/\btomorrow\b/)) {
+        dayOffset = 1;
+    } else if (take(/\btonight\b/)) {
+        dayOffset = 0;
+        explicitToday = true;
+        part = 'tonight';
+    } else if (take(/\btoday\b/)) {
+        dayOffset = 0;
+        explicitToday = true;
+    } else if (take(/\bnext week\b/)) {
+        dayOffset = 7;
+    }
+
+    // Weekdays: "friday", "on friday", "next friday", "this friday"
+    const weekdayMatch = take(new RegExp(`\\b(?:on\\s+)?(?:(next|this|coming)\\s+)?${WEEKDAY_PATTERN}\\b`));
+    if (weekdayMatch && dayOffset === null) {
+        const target = WEEKDAYS[weekdayMatch[2]];
+        dayOffset = (target - today.weekday + 7) % 7;
+        if (dayOffset === 0) {
+            if (weekdayMatch[1] === 'next') {
+                dayOffset = 7;
+            } else {
+                weekdayIsToday = true;
+            }
+        }
+    }
+
+    // Absolute dates
+    let match;
+    if ((match = take(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/))) {
+        absoluteDate = { year: parseInt(match[1]), month: parseInt(match[2]), day: parseInt(match[3]), yearGiven: true };
+    } else if ((match = take(/\b(?:on\s+)?(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/))) {
+        // Month first, as the /remind help has always shown (5/20 = May 20)
+        absoluteDate = { month: parseInt(match[1]), day: parseInt(match[2]), year: parseYear(match[3]), yearGiven: !!match[3] };
+    } else if ((match = take(new RegExp(`\\b(?:on\\s+)?${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s*(\\d{4}))?`)))) {
+        absoluteDate = { month: MONTHS[match[1]], day: parseInt(match[2]), year: parseYear(match[3]), yearGiven: !!match[3] };
+    } else if ((match = take(new RegExp(`\\b(?:on\\s+)?(?:the\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}\\b(?:,?\\s*(\\d{4}))?`)))) {
+        absoluteDate = { month: MONTHS[match[2]], day: parseInt(match[1]), year: parseYear(match[3]), yearGiven: !!match[3] };
+    } else if ((match = take(/\b(?:on\s+)?(?:the\s+)?(\d{1,2})(?:st|nd|rd|th)\b(?:\s+of\s+(?:this|the)\s+month)?/))) {
+        absoluteDate = { day: parseInt(match[1]) };
+    }
+
+    // Parts of the day
+    const partMatch = take(/\b(?:in the\s+|at\s+|this\s+)?(morning|afternoon|evening|night|noon|midday|midnight)\b/);
+    if (partMatch) {
+        part = partMatch[1];
+    }
+
+    // Clock time
+    let timeOfDay = null;
+    let hasMeridiem = false;
+    if ((match = take(/\b(?:at\s+)?(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)\b/))) {
+        timeOfDay = { hours: parseInt(match[1]), minutes: match[2] ? parseInt(match[2]) : 0 };
+        hasMeridiem = true;
+        // A 12-hour clock only goes from 1 to 12 ("13pm" is a typo, not 1pm)
+        if (timeOfDay.hours < 1 || timeOfDay.hours > 12) {
+            return null;
+        }
+        if (match[3] === 'pm' && timeOfDay.hours < 12) {
+            timeOfDay.hours += 12;
+        } else if (match[3] === 'am' && timeOfDay.hours === 12) {
+            timeOfDay.hours = 0;
+        }
+    } else if ((match = take(/\b(?:at\s+)?(\d{1,2})[:.](\d{2})\b/)) ||
+        (match = take(/\bat\s+(\d{1,2})\b/)) ||
+        (part && (match = take(/^(\d{1,2})$|\b(\d{1,2})\b/)))) {
+        const hours = parseInt(match[1] !== undefined ? match[1] : match[2]);
+        timeOfDay = { hours, minutes: match[2] !== undefined && match[1] !== undefined ? parseInt(match[2]) : 0 };
+    }
+
+    if (timeOfDay && (timeOfDay.hours > 23 || timeOfDay.minutes > 59)) {
+        return null;
+    }
+
+    // Nothing time-like at all
+    if (dayOffset === null && !absoluteDate && !part && !timeOfDay) {
+        return null;
+    }
+
+    // Read "evening 5" as 17:00 and "morning 12" as noon
+    if (timeOfDay && part && !hasMeridiem && timeOfDay.hours < 12 &&
+        ['afternoon', 'evening', 'night', 'tonight'].includes(part)) {
+        timeOfDay.hours += 12;
+    }
+
+    const hasDate = dayOffset !== null || !!absoluteDate;
+    const hasTime = !!(timeOfDay || part);
+    const ambiguousHour = timeOfDay && !hasMeridiem && !part && timeOfDay.hours >= 1 && timeOfDay.hours <= 11;
+
+    // Without am/pm, "at 3" almost always means the afternoon
+    let time = timeOfDay || PARTS_OF_DAY[part] || DEFAULT_TIME_OF_DAY;
+    if (ambiguousHour && time.hours < 7) {
+        time = { ...time, hours: time.hours + 12 };
+    }
+
+    // Build the date on the user's calendar
+    const build = (dateParts, clockTime) => zonedTimeToDate({ ...dateParts, hour: clockTime.hours, minute: clockTime.minutes }, timezone);
+    const result = date => ({ date, hasDate, hasTime, timeOfDay: hasTime ? time : null });
+
+    if (absoluteDate) {
+        if (absoluteDate.day < 1 || absoluteDate.day > 31 ||
+            (absoluteDate.month && (absoluteDate.month < 1 || absoluteDate.month > 12))) {
+            return null;
+        }
+
+        let year = absoluteDate.year || today.year;
+        let month = absoluteDate.month || today.month;
+
+        // Roll forward when the year or month was left out ("on the 5th", "june 5"),
+        // skipping months too short for the day ("on the 31st" in November, "feb 29")
+        for (let roll = 0; roll < MAX_DATE_ROLLS; roll++) {
+            if (absoluteDate.day <= getDaysInMonth(year, month)) {
+                const date = build({ year, month, day: absoluteDate.day }, time);
+                if (date > now) {
+                    return result(date);
+                }
+            }
+            if (absoluteDate.yearGiven) {
+                return null;
+            }
+            if (absoluteDate.month) {
+                year++;
+            } else if (month === 12) {
+                year++;
+                month = 1;
+            } else {
+                month++;
+            }
+        }
+
+        return null;
+    }
+
+    const offset = dayOffset !== null ? dayOffset : 0;
+    const dateParts = { year: today.year, month: today.month, day: today.day + offset };
+    let date = build(dateParts, time);
+
+    // "at 8" later today is 8pm once 8am has passed
+    if (date <= now && ambiguousHour && time.hours < 12) {
+        date = build(dateParts, { ...time, hours: time.hours + 12 });
+    }
+
+    if (date <= now) {
+        if (explicitToday) {
+            return null;
+        }
+        // A time that already passed today means the next one
+        date = build({ ...dateParts, day: dateParts.day + (weekdayIsToday ? 7 : 1) }, time);
+    }
+
+    return result(date);
+}
+
+/**
+ * Get the number of days in a month
+ * @param {number} year - The year
+ * @param {number} month - The month, 1-12
+ * @returns {number} - Days in the month
+ */
+function getDaysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Parse a two or four digit year
+ * @param {string|undefined} text - The year text
+ * @returns {number|null} - The full year or null if not given
+ */
+function parseYear(text) {
+    if (!text) {
+        return null;
+    }
+    const year = parseInt(text);
+    return year < 100 ? 2000 + year : year;
+}
+
+/**
+ * Parse a time phrase into a Date
+ * @param {string} text - The time phrase
+ * @param {Object} options - { timezone, now }
+ * @returns {Date|null} - The moment, or null if it couldn't be parsed or is in the past
+ */
+function parseNaturalTime(text, options = {}) {
+    const result = parseTimeExpression(text, options);
+    return result ? result.date : null;
+}
+
+module.exports = {
+    normalizeTimeText,
+    parseDuration,
+    parseTimeExpression,
+    parseNaturalTime
+};
@@ -0,0 +1,62 @@
+/**
+ * Sinhala and Singlish words for talking about time, mapped to the English
+ * words the time parser understands. Add new spellings here; longer phrases
+ * are matched before shorter ones, so "ada reta" wins over "ada".
+ */
+
+// English replacement -> Sinhala script and Singlish spellings
+const TIME_WORDS = {
+    'day after tomorrow': ['anidda', 'anidhdha', 'aniddata', 'අනිද්දා', 'අනිද්දට'],
+    'tonight': ['ada reta', 'ada rata', 'ada raa', 'ada rae', 'අද රෑ', 'අද රෑට', 'අද රාත්‍රී'],
+    'today': ['ada', 'අද'],
+    'tomorrow': ['heta', 'hetta', 'හෙට'],
+    'next': ['labana', 'ilanga', 'ilaga', 'ලබන', 'ඊළඟ'],
+
+    'morning': ['udeta', 'ude', 'udee', 'udin', 'udenma', 'උදේ', 'උදේට', 'උදෙන්ම'],
+    'afternoon': ['dawal', 'dawalta', 'dahawal', 'දවල්', 'දවල්ට', 'දහවල්'],
+    'evening': ['hawasa', 'hawase', 'hawasata', 'හවස', 'හවසට'],
+    'night': ['reta', 'rata', 'raa', 'rae', 'ree', 'රෑ', 'රෑට', 'රාත්‍රී'],
+    'noon': ['madhyahnaya', 'මධ්‍යාහ්නය'],
+
+    'monday': ['sanduda', 'sandudha', 'sandhuda', 'සඳුදා'],
+    'tuesday': ['angaharuwada', 'angaharuwadha', 'අඟහරුවාදා'],
+    'wednesday': ['badada', 'badadha', 'බදාදා'],
+    'thursday': ['brahaspathinda', 'brahaspathindha', 'brahaspathida', 'බ්‍රහස්පතින්දා'],
+    'friday': ['sikurada', 'sikuradha', 'සිකුරාදා'],
+    'saturday': ['senasurada', 'senasuradha', 'සෙනසුරාදා'],
+    'sunday': ['irida', 'iridha', 'ඉරිදා'],
+
+    'minutes': ['minittu', 'minitthu', 'minittuwa', 'winadi', 'winaadi', 'මිනිත්තු', 'විනාඩි'],
+    'hours': ['paya', 'peya', 'pæya', 'පැය'],
+    'days': ['dawas', 'dawasa', 'dawasak', 'දවස්', 'දවසක්', 'දින'],
+    'weeks': ['sathi', 'sathiya', 'sathiyak', 'සති', 'සතියක්']
+};
+
+// Number words, including the indefinite "-k" forms ("dekak" = two of)
+const NUMBER_WORDS = {
+    'one': 1, 'two': 2, 'three': 3, 'four': 4, 'five': 5, 'six': 6,
+    'seven': 7, 'eight': 8, 'nine': 9, 'ten': 10, 'eleven': 11, 'twelve': 12,
+    'fifteen': 15, 'twenty': 20, 'thirty': 30, 'forty': 40, 'forty-five': 45, 'sixty': 60, 'ninety': 90,
+
+    'eka': 1, 'ekak': 1, 'deka': 2, 'dekak': 2, 'thuna': 3, 'thunak': 3,
+    'hathara': 4, 'hatharak': 4, 'paha': 5, 'pahak': 5, 'haya': 6, 'hayak': 6,
+    'hatha': 7, 'hathak': 7, 'ata': 8, 'atak': 8, 'namaya': 9, 'namayak': 9,
+    'dahaya': 10, 'dahayak': 10, 'ekolaha': 11, 'dolaha': 12, 'pahalowa': 15,
+    'wissa': 20, 'wissak': 20, 'thiha': 30, 'thihak': 30, 'hathalis': 40, 'panaha': 50,
+
+    'එක': 1, 'එකක්': 1, 'දෙක': 2, 'දෙකක්': 2, 'තුන': 3, 'තුනක්': 3,
+    'හතර': 4, 'හතරක්': 4, 'පහ': 5, 'පහක්': 5, 'හය': 6, 'හයක්': 6,
+    'හත': 7, 'හතක්': 7, 'අට': 8, 'අටක්': 8, 'නවය': 9, 'නවයක්': 9,
+    'දහය': 10, 'දහයක්': 10, 'දොළහ': 12, 'පහළොව': 15, 'විස්ස': 20, 'තිහ': 30
+};
+
+// Suffixes glued to a number: "5ta" / "5ට" = at 5, "2kin" / "2කින්" = in 2
+const AT_SUFFIXES = ['ta', 'ට'];
+const IN_SUFFIXES = ['kin', 'walin', 'කින්', 'වලින්'];
+
+module.exports = {
+    TIME_WORDS,
+    NUMBER_WORDS,
+    AT_SUFFIXES,
+    IN_SUFFIXES
+};
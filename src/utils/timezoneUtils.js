@@ -0,0 +1,315 @@
+/**
+ * Timezone helpers. Times are computed on the user's wall clock using the
+ * built-in Intl API, so no timezone database package is needed.
+ */
+
+// Timezone used when a user hasn't set one and their number gives no hint
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// Country calling codes mapped to the most common timezone of that country.
+// Countries spanning several zones use their most populated one.
+const COUNTRY_CODE_TIMEZONES = {
+    '1': 'America/New_York',
+    '7': 'Europe/Moscow',
+    '20': 'Africa/Cairo',
+    '27': 'Africa/Johannesburg',
+    '31': 'Europe/Amsterdam',
+    '33': 'Europe/Paris',
+    '34': 'Europe/Madrid',
+    '39': 'Europe/Rome',
+    '44': 'Europe/London',
+    '49': 'Europe/Berlin',
+    '52': 'America/Mexico_City',
+    '55': 'America/Sao_Paulo',
+    '60': 'Asia/Kuala_Lumpur',
+    '61': 'Australia/Sydney',
+    '62': 'Asia/Jakarta',
+    '63': 'Asia/Manila',
+    '64': 'Pacific/Auckland',
+    '65': 'Asia/Singapore',
+    '66': 'Asia/Bangkok',
+    '81': 'Asia/Tokyo',
+    '82': 'Asia/Seoul',
+    '84': 'Asia/Ho_Chi_Minh',
+    '86': 'Asia/Shanghai',
+    '90': 'Europe/Istanbul',
+    '91': 'Asia/Kolkata',
+    '92': 'Asia/Karachi',
+    '94': 'Asia/Colombo',
+    '95': 'Asia/Yangon',
+    '98': 'Asia/Tehran',
+    '234': 'Africa/Lagos',
+    '254': 'Africa/Nairobi',
+    '852': 'Asia/Hong_Kong',
+    '880': 'Asia/Dhaka',
+    '960': 'Indian/Maldives',
+    '965': 'Asia/Kuwait',
+    '966': 'Asia/Riyadh',
+    '968': 'Asia/Muscat',
+    '971': 'Asia/Dubai',
+    '972': 'Asia/Jerusalem',
+    '973': 'Asia/Bahrain',
+    '974': 'Asia/Qatar',
+    '977': 'Asia/Kathmandu'
+};
+
+// Friendly names users are likely to type for /timezone
+const TIMEZONE_ALIASES = {
+    'sri lanka': 'Asia/Colombo',
+    'srilanka': 'Asia/Colombo',
+    'lanka': 'Asia/Colombo',
+    'lk': 'Asia/Colombo',
+    'sl': 'Asia/Colombo',
+    'colombo': 'Asia/Colombo',
+    'india': 'Asia/Kolkata',
+    'ist': 'Asia/Kolkata',
+    'dubai': 'Asia/Dubai',
+    'uae': 'Asia/Dubai',
+    'qatar': 'Asia/Qatar',
+    'saudi': 'Asia/Riyadh',
+    'maldives': 'Indian/Maldives',
+    'singapore': 'Asia/Singapore',
+    'malaysia': 'Asia/Kuala_Lumpur',
+    'japan': 'Asia/Tokyo',
+    'korea': 'Asia/Seoul',
+    'uk': 'Europe/London',
+    'london': 'Europe/London',
+    'gmt': 'Etc/GMT',
+    'utc': 'UTC',
+    'australia': 'Australia/Sydney',
+    'sydney': 'Australia/Sydney',
+    'melbourne': 'Australia/Melbourne',
+    'new york': 'America/New_York',
+    'est': 'America/New_York',
+    'pst': 'America/Los_Angeles',
+    'canada': 'America/Toronto',
+    'toronto': 'America/Toronto'
+};
+
+// Formatters are comparatively expensive to build, so reuse them
+const partFormatters = new Map();
+
+/**
+ * Check whether a timezone name is supported
+ * @param {string} timezone - IANA timezone name (e.g. "Asia/Colombo")
+ * @returns {boolean} - Whether the timezone is valid
+ */
+function isValidTimezone(timezone) {
+    if (!timezone || typeof timezone !== 'string') {
+        return false;
+    }
+    try {
+        Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Turn user input ("Asia/Colombo", "sri lanka", "+94") into a timezone name
+ * @param {string} input - What the user typed
+ * @returns {string|null} - The IANA timezone name or null if not recognized
+ */
+function resolveTimezone(input) {
+    if (!input) {
+        return null;
+    }
+
+    const value = input.trim();
+    const lower = value.toLowerCase();
+
+    if (TIMEZONE_ALIASES[lower]) {
+        return TIMEZONE_ALIASES[lower];
+    }
+
+    // A country calling code such as "+94"
+    if (/^\+?\d{1,3}$/.test(value)) {
+        return COUNTRY_CODE_TIMEZONES[value.replace('+', '')] || null;
+    }
+
+    // IANA names are case sensitive; accept "asia/colombo" too
+    const candidate = value.split('/')
+        .map(part => part.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()).join('_'))
+        .join('/');
+    for (const name of [value, candidate]) {
+        if (isValidTimezone(name)) {
+            return Intl.DateTimeFormat('en-US', { timeZone: name }).resolvedOptions().timeZone;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Guess a timezone from a WhatsApp ID's country calling code
+ * @param {string} userId - The user's WhatsApp ID (e.g. "94771234567@s.whatsapp.net")
+ * @returns {string|null} - The guessed timezone or null
+ */
+function guessTimezoneFromNumber(userId) {
+    if (!userId) {
+        return null;
+    }
+
+    const number = userId.split('@')[0].replace(/\D/g, '');
+
+    // Calling codes are prefix-free, so check the longest prefix first
+    for (let length = 3; length >= 1; length--) {
+        const timezone = COUNTRY_CODE_TIMEZONES[number.slice(0, length)];
+        if (timezone) {
+            return timezone;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Get the timezone to use for a user
+ * @param {Object} userData - User data
+ * @param {string} [userId] - The user's WhatsApp ID, used to guess when no timezone is set.
+ *        Defaults to userData.userId.
+ * @returns {string} - IANA timezone name
+ */
+function getUserTimezone(userData, userId) {
+    if (userData && isValidTimezone(userData.timezone)) {
+        return userData.timezone;
+    }
+    return guessTimezoneFromNumber(userId || (userData && userData.userId)) || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Get the wall-clock fields of a moment in a timezone
+ * @param {Date} date - The moment
+ * @param {string} timezone - IANA timezone name
+ * @returns {Object} - { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+ */
+function getZonedParts(date, timezone) {
+    if (!partFormatters.has(timezone)) {
+        partFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+            weekday: 'short'
+        }));
+    }
+
+    const parts = {};
+    for (const { type, value } of partFormatters.get(timezone).formatToParts(date)) {
+        parts[type] = value;
+    }
+
+    return {
+        year: parseInt(parts.year),
+        month: parseInt(parts.month),
+        day: parseInt(parts.day),
+        hour: parseInt(parts.hour) % 24,
+        minute: parseInt(parts.minute),
+        second: parseInt(parts.second),
+        weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+    };
+}
+
+/**
+ * Get a timezone's offset from UTC at a given moment
+ * @param {Date} date - The moment
+ * @param {string} timezone - IANA timezone name
+ * @returns {number} - Offset in milliseconds (positive east of UTC)
+ */
+function getTimezoneOffset(date, timezone) {
+    const parts = getZonedParts(date, timezone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a timezone to the actual moment.
+ * Fields may overflow (day 32, hour 25) and are normalized like Date.UTC does.
+ * @param {Object} fields - { year, month (1-12), day, hour, minute }
+ * @param {string} timezone - IANA timezone name
+ * @returns {Date} - The moment that shows that wall-clock time
+ */
+function zonedTimeToDate(fields, timezone) {
+    const { year, month, day, hour = 0, minute = 0 } = fields;
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, 0, 0);
+
+    // Start from the offset at the wall-clock instant, then correct once for DST changes
+    let result = wallClock - getTimezoneOffset(new Date(wallClock), timezone);
+    const correctedOffset = getTimezoneOffset(new Date(result), timezone);
+    result = wallClock - correctedOffset;
+
+    return new Date(result);
+}
+
+/**
+ * Get the current hour of the day in a timezone
+ * @param {string} timezone - IANA timezone name
+ * @param {Date} [date] - The moment, defaults to now
+ * @returns {number} - Hour (0-23)
+ */
+function getLocalHour(timezone, date = new Date()) {
+    return getZonedParts(date, timezone).hour;
+}
+
+/**
+ * Get the calendar date in a timezone as YYYY-MM-DD
+ * @param {string} timezone - IANA timezone name
+ * @param {Date} [date] - The moment, defaults to now
+ * @returns {string} - The local date
+ */
+function getLocalDateKey(timezone, date = new Date()) {
+    const { year, month, day } = getZonedParts(date, timezone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Format a moment for display in a timezone
+ * @param {Date} date - The moment
+ * @param {string} timezone - IANA timezone name
+ * @param {Object} [options] - Intl.DateTimeFormat options
+ * @returns {string} - The formatted time
+ */
+function formatInTimezone(date, timezone, options = {}) {
+    return new Date(date).toLocaleString('en-US', {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        ...options,
+        timeZone: timezone
+    });
+}
+
+/**
+ * Describe a timezone's current UTC offset, e.g. "UTC+05:30"
+ * @param {string} timezone - IANA timezone name
+ * @returns {string} - The offset label
+ */
+function describeOffset(timezone) {
+    const offsetMinutes = Math.round(getTimezoneOffset(new Date(), timezone) / 60000);
+    const sign = offsetMinutes < 0 ? '-' : '+';
+    const absolute = Math.abs(offsetMinutes);
+    return `UTC${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    isValidTimezone,
+    resolveTimezone,
+    guessTimezoneFromNumber,
+    getUserTimezone,
+    getZonedParts,
+    getTimezoneOffset,
+    zonedTimeToDate,
+    getLocalHour,
+    getLocalDateKey,
+    formatInTimezone,
+    describeOffset
+};
@@ -0,0 +1,258 @@
+/**
+ * Voice notes: users can talk to their companion, and premium users can have
+ * the companion talk back. Incoming voice notes are downloaded, converted and
+ * transcribed with the AI `transcription` feature, then handled like a typed
+ * message. Voice replies are read out with the AI `speech` feature in the
+ * companion's voice and sent as a voice note.
+ *
+ * Audio is only kept in voice_messages/ while it is being converted.
+ */
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { downloadMediaMessage } = require('@whiskeysockets/baileys');
+const { isFeatureAvailable, transcribeAudio, synthesizeSpeech } = require('../aiProviders');
+const { convertToWav, convertToVoiceNote } = require('./audioConversion');
+
+const VOICE_DIR = path.join(process.cwd(), 'voice_messages');
+
+// Longer voice notes aren't transcribed
+const MAX_VOICE_NOTE_SECONDS = parseInt(process.env.VOICE_NOTE_MAX_SECONDS || '180');
+
+// Language of incoming voice notes (e.g. 'en'), detected by the model if not set
+const TRANSCRIPTION_LANGUAGE = process.env.TRANSCRIPTION_LANGUAGE || null;
+
+// Longer replies are sent as text, as a voice note that long is tiring to listen to
+const MAX_SPOKEN_CHARACTERS = parseInt(process.env.VOICE_REPLY_MAX_CHARS || '800');
+
+// Voices the speech model has. The defaults are OpenAI's; a local server may name them differently.
+const VOICES = (process.env.VOICE_REPLY_VOICES || 'alloy,ash,coral,echo,fable,nova,onyx,sage,shimmer')
+    .split(',')
+    .map(voice => voice.trim().toLowerCase())
+    .filter(Boolean);
+
+// Voices used until the user picks one
+const DEFAULT_VOICES = {
+    male: process.env.VOICE_REPLY_DEFAULT_MALE || 'onyx',
+    female: process.env.VOICE_REPLY_DEFAULT_FEMALE || 'nova'
+};
+
+/**
+ * Check whether a message is a voice note (recorded in WhatsApp, not an audio file)
+ * @param {Object} message - WhatsApp message
+ * @returns {boolean} - Whether it is a voice note
+ */
+function isVoiceNote(message) {
+    const audio = message.message && message.message.audioMessage;
+    return Boolean(audio && audio.ptt);
+}
+
+/**
+ * Make a path in voice_messages/ for a file being converted
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {string} extension - File extension, e.g. '.ogg'
+ * @returns {string} - The path
+ */
+function getTempPath(userId, extension) {
+    const name = `${userId.split('@')[0].replace(/[^0-9a-zA-Z]/g, '')}_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+    return path.join(VOICE_DIR, `${name}${extension}`);
+}
+
+/**
+ * Write out what was said in a voice note
+ * @param {Object} message - WhatsApp voice note message
+ * @param {Object} [options] - { userId }
+ * @returns {Object} - { text }, or { error } with 'too_long', 'unavailable', 'empty' or 'failed'
+ */
+async function transcribeVoiceNote(message, options = {}) {
+    const audio = message.message.audioMessage;
+    if (audio.seconds > MAX_VOICE_NOTE_SECONDS) {
+        return { error: 'too_long' };
+    }
+    if (!await isFeatureAvailable('transcription')) {
+        return { error: 'unavailable' };
+    }
+
+    const userId = options.userId || message.key.remoteJid;
+    const notePath = getTempPath(userId, '.ogg');
+    const wavPath = getTempPath(userId, '.wav');
+    try {
+        await fs.ensureDir(VOICE_DIR);
+        await fs.writeFile(notePath, await downloadMediaMessage(message, 'buffer', {}, {}));
+        await convertToWav(notePath, wavPath);
+
+        const text = await transcribeAudio('transcription', {
+            mimeType: 'audio/wav',
+            data: await fs.readFile(wavPath),
+            filename: 'voice_note.wav'
+        }, { language: TRANSCRIPTION_LANGUAGE || undefined, userId });
+
+        const transcript = (text || '').trim();
+        console.log(`Transcribed voice note from ${userId}: "${transcript}"`);
+        return transcript ? { text: transcript } : { error: 'empty' };
+    } catch (error) {
+        console.error(`Error transcribing voice note from ${userId}:`, error.message);
+        return { error: 'failed' };
+    } finally {
+        await fs.remove(notePath).catch(() => {});
+        await fs.remove(wavPath).catch(() => {});
+    }
+}
+
+/**
+ * Turn a voice note into a text message with what was said, so it can be
+ * handled like a typed message. If it can't be transcribed, the user is told.
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {Object} message - WhatsApp voice note message
+ * @returns {Object|null} - The text message, or null if it couldn't be transcribed
+ */
+async function transcribeVoiceMessage(sock, message) {
+    const userId = message.key.remoteJid;
+    const { text, error } = await transcribeVoiceNote(message, { userId });
+
+    if (error) {
+        const replies = {
+            too_long: `🎤 That voice note is a bit long for me! Could you keep it under ${Math.round(MAX_VOICE_NOTE_SECONDS / 60)} minutes, or type it?`,
+            unavailable: `🎤 I can't listen to voice notes right now. Could you type it instead?`,
+            empty: `🎤 I couldn't hear anything in that voice note. Could you try again?`,
+            failed: `🎤 Sorry, I couldn't make out your voice note. Could you try again, or type it?`
+        };
+        await sock.sendMessage(userId, { text: replies[error] });
+        return null;
+    }
+
+    const textMessage = { ...message, message: { conversation: text } };
+    if (typeof message.body === 'string') {
+        textMessage.body = text;
+    }
+    return textMessage;
+}
+
+/**
+ * Check whether a user has voice replies on. They are a premium feature.
+ * @param {Object} userData - User data
+ * @returns {boolean} - Whether replies should be spoken
+ */
+function wantsVoiceReplies(userData) {
+    return Boolean(userData.isPremium && userData.voiceSettings && userData.voiceSettings.replies);
+}
+
+/**
+ * Get the voice the companion speaks with. A voice picked for an earlier
+ * companion isn't used for a new one.
+ * @param {Object} userData - User data
+ * @returns {string} - The voice
+ */
+function getCompanionVoice(userData) {
+    const settings = userData.voiceSettings || {};
+    if (settings.voice && settings.companion === userData.characterImagePath && VOICES.includes(settings.voice)) {
+        return settings.voice;
+    }
+    return userData.companionGender === 'male' ? DEFAULT_VOICES.male : DEFAULT_VOICES.female;
+}
+
+/**
+ * Pick the voice for the current companion
+ * @param {Object} userData - User data, changed in place
+ * @param {string} voice - One of VOICES
+ * @returns {boolean} - Whether the voice exists
+ */
+function setCompanionVoice(userData, voice) {
+    const name = (voice || '').toLowerCase();
+    if (!VOICES.includes(name)) {
+        return false;
+    }
+    userData.voiceSettings = { ...userData.voiceSettings, voice: name, companion: userData.characterImagePath };
+    return true;
+}
+
+/**
+ * Clean up a reply for reading out: formatting marks and emoji would be
+ * read literally or skipped awkwardly
+ * @param {string} text - The reply
+ * @returns {string} - The text to speak
+ */
+function toSpokenText(text) {
+    return (text || '')
+        .replace(/```[\s\S]*?```/g, ' ')
+        .replace(/https?:\/\/\S+/g, ' ')
+        .replace(/[*_~`]/g, '')
+        .replace(/[\p{Extended_Pictographic}\u200D\uFE0F]/gu, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Read a reply out in the companion's voice
+ * @param {string} text - The reply
+ * @param {Object} userData - User data
+ * @param {Object} [options] - { userId }
+ * @returns {Object|null} - { audio, seconds } with an OGG Opus Buffer, or null if it couldn't be made
+ */
+async function createVoiceNote(text, userData, options = {}) {
+    const spoken = toSpokenText(text);
+    if (!spoken || spoken.length > MAX_SPOKEN_CHARACTERS) {
+        return null;
+    }
+
+    const userId = options.userId || 'companion';
+    const speechPath = getTempPath(userId, '.wav');
+    const notePath = getTempPath(userId, '.ogg');
+    try {
+        const speech = await synthesizeSpeech('speech', spoken, { voice: getCompanionVoice(userData), userId: options.userId });
+
+        await fs.ensureDir(VOICE_DIR);
+        await fs.writeFile(speechPath, speech.data);
+        const seconds = await convertToVoiceNote(speechPath, notePath);
+        return { audio: await fs.readFile(notePath), seconds: Math.max(1, Math.round(seconds)) };
+    } catch (error) {
+        console.error(`Error creating voice reply for ${userId}:`, error.message);
+        return null;
+    } finally {
+        await fs.remove(speechPath).catch(() => {});
+        await fs.remove(notePath).catch(() => {});
+    }
+}
+
+/**
+ * Wrap a socket for a handler that writes one reply, so its text replies to
+ * the user are sent as voice notes. Replies that can't be spoken (too long,
+ * or speech failed) are sent as text. Everything else is passed through.
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {Object} userData - User data
+ * @returns {Object} - The wrapped socket
+ */
+function createVoiceReplySocket(sock, userId, userData) {
+    const voiceSock = Object.create(sock);
+
+    voiceSock.sendMessage = async (jid, content, options) => {
+        const isPlainText = jid === userId && content && typeof content.text === 'string' && Object.keys(content).length === 1;
+        if (isPlainText) {
+            const voiceNote = await createVoiceNote(content.text, userData, { userId });
+            if (voiceNote) {
+                return sock.sendMessage(jid, {
+                    audio: voiceNote.audio,
+                    mimetype: 'audio/ogg; codecs=opus',
+                    ptt: true,
+                    seconds: voiceNote.seconds
+                }, options);
+            }
+        }
+        return sock.sendMessage(jid, content, options);
+    };
+
+    return voiceSock;
+}
+
+module.exports = {
+    VOICES,
+    isVoiceNote,
+    transcribeVoiceNote,
+    transcribeVoiceMessage,
+    wantsVoiceReplies,
+    getCompanionVoice,
+    setCompanionVoice,
+    createVoiceNote,
+    createVoiceReplySocket
+};
@@ -0,0 +1,164 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// Two offline providers in a chain, with retries short enough for a test.
+// The config, retry settings and usage log are read when the module loads.
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-providers-'));
+const ORIGINAL_CWD = process.cwd();
+process.chdir(TEMP_DIR);
+delete process.env.AI_PROVIDER;
+process.env.AI_MAX_RETRIES = '2';
+process.env.AI_RETRY_BASE_DELAY_MS = '1';
+fs.outputJsonSync(path.join(TEMP_DIR, 'config', 'ai_providers.json'), {
+    providers: {
+        first: { type: 'mock' },
+        second: { type: 'mock' }
+    },
+    features: {
+        chat: ['first:model-a', 'second:model-b']
+    }
+});
+after(() => {
+    process.chdir(ORIGINAL_CWD);
+    return fs.remove(TEMP_DIR);
+});
+
+const { parseModelSpec, getProvider, generateText, getProviderUsageLog } = require('../src/aiProviders');
+const { getErrorStatus, getRetryAfterMs } = require('../src/providers/providerErrors');
+
+const MESSAGES = [{ role: 'user', content: 'Hello' }];
+
+/**
+ * Create an error like the ones axios throws for an HTTP status
+ * @param {number} status - HTTP status
+ * @param {Object} [headers] - Response headers
+ * @returns {Error} - The error
+ */
+function httpError(status, headers = {}) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, headers };
+    return error;
+}
+
+/**
+ * Make a provider fail with the given errors, in order, before answering
+ * @param {Object} t - Test context
+ * @param {string} name - Provider name
+ * @param {Array<Error>} errors - Errors to throw
+ * @returns {Object} - The mocked chat method
+ */
+function failWith(t, name, errors) {
+    const provider = getProvider(name);
+    const chat = provider.chat.bind(provider);
+    const remaining = [...errors];
+    return t.mock.method(provider, 'chat', async request => {
+        if (remaining.length > 0) {
+            throw remaining.shift();
+        }
+        return chat(request);
+    });
+}
+
+/**
+ * Silence the retry and failure messages a test expects
+ * @param {Object} t - Test context
+ */
+function muteConsole(t) {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+}
+
+test('parseModelSpec: splits at the first colon only', () => {
+    assert.deepEqual(parseModelSpec('openrouter:google/gemini-2.0-flash-exp:free'), {
+        provider: 'openrouter',
+        model: 'google/gemini-2.0-flash-exp:free'
+    });
+    assert.deepEqual(parseModelSpec('mock'), { provider: 'mock', model: 'default' });
+});
+
+test('generateText: answers from the first provider when it works', async t => {
+    const second = failWith(t, 'second', []);
+
+    assert.equal(await generateText('chat', MESSAGES), '[mock model-a] Hello');
+    assert.equal(second.mock.callCount(), 0);
+});
+
+test('generateText: moves to the next provider at once on an error that is not retried', async t => {
+    muteConsole(t);
+    const first = failWith(t, 'first', [httpError(400)]);
+
+    assert.equal(await generateText('chat', MESSAGES, { userId: 'user-1' }), '[mock model-b] Hello');
+    assert.equal(first.mock.callCount(), 1);
+
+    const [entry] = await getProviderUsageLog({ feature: 'chat', limit: 1 });
+    assert.equal(entry.provider, 'second');
+    assert.equal(entry.userId, 'user-1');
+    assert.deepEqual(entry.failures.map(failure => [failure.provider, failure.status]), [['first', 400]]);
+});
+
+test('generateText: retries rate limits and server errors on the same model', async t => {
+    muteConsole(t);
+    const first = failWith(t, 'first', [httpError(429), httpError(503)]);
+
+    assert.equal(await generateText('chat', MESSAGES), '[mock model-a] Hello');
+    assert.equal(first.mock.callCount(), 3);
+
+    const [entry] = await getProviderUsageLog({ feature: 'chat', limit: 1 });
+    assert.equal(entry.attempts, 3);
+    assert.deepEqual(entry.failures, []);
+});
+
+test('generateText: gives up on a model after the retries are used', async t => {
+    muteConsole(t);
+    const first = failWith(t, 'first', [httpError(500), httpError(500), httpError(500), httpError(500)]);
+
+    assert.equal(await generateText('chat', MESSAGES), '[mock model-b] Hello');
+    assert.equal(first.mock.callCount(), 3);
+});
+
+test('generateText: skips a model that asks for a longer wait than allowed', async t => {
+    muteConsole(t);
+    const first = failWith(t, 'first', [httpError(429, { 'retry-after': '120' })]);
+
+    assert.equal(await generateText('chat', MESSAGES), '[mock model-b] Hello');
+    assert.equal(first.mock.callCount(), 1);
+});
+
+test('generateText: throws with every failure when the whole chain fails', async t => {
+    muteConsole(t);
+    failWith(t, 'first', [httpError(400)]);
+    failWith(t, 'second', [new Error('socket hang up')]);
+
+    await assert.rejects(generateText('chat', MESSAGES), error => {
+        assert.equal(error.message, 'Every AI provider failed for chat');
+        assert.deepEqual(error.failures.map(failure => [failure.provider, failure.status]), [['first', 400], ['second', null]]);
+        return true;
+    });
+
+    const [entry] = await getProviderUsageLog({ feature: 'chat', limit: 1 });
+    assert.equal(entry.provider, null);
+});
+
+test('getErrorStatus: reads axios responses and SDK errors', () => {
+    assert.equal(getErrorStatus(httpError(429)), 429);
+    assert.equal(getErrorStatus(Object.assign(new Error('[GoogleGenerativeAI Error]'), { status: 503 })), 503);
+    assert.equal(getErrorStatus(new Error('socket hang up')), null);
+});
+
+test('getRetryAfterMs: reads the Retry-After header and the Gemini RetryInfo detail', () => {
+    assert.equal(getRetryAfterMs(httpError(429, { 'retry-after': '2.5' })), 2500);
+
+    const sdkError = new Error('Resource exhausted');
+    sdkError.errorDetails = [
+        { '@type': 'type.googleapis.com/google.rpc.QuotaFailure' },
+        { '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '37s' }
+    ];
+    assert.equal(getRetryAfterMs(sdkError), 37000);
+
+    // An HTTP date isn't a number of seconds
+    assert.equal(getRetryAfterMs(httpError(429, { 'retry-after': 'Wed, 21 Oct 2026 07:28:00 GMT' })), null);
+    assert.equal(getRetryAfterMs(httpError(429)), null);
+});
@@ -0,0 +1,55 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { FRAME_COUNT, ANIMATIONS, pickAnimation, createAnimatedWebp } = require('../src/utils/animatedSticker');
+
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'animated-sticker-'));
+after(() => fs.remove(TEMP_DIR));
+
+/**
+ * Save a small still sticker
+ * @returns {string} - Path to the PNG
+ */
+async function createStill() {
+    const imagePath = path.join(TEMP_DIR, 'still.png');
+    await sharp({ create: { width: 64, height: 64, channels: 4, background: { r: 255, g: 80, b: 120, alpha: 1 } } })
+        .png()
+        .toFile(imagePath);
+    return imagePath;
+}
+
+test('pickAnimation: picks an animation that suits the emotion', t => {
+    t.mock.method(Math, 'random', () => 0);
+    assert.equal(pickAnimation('angry'), 'shake');
+    assert.equal(pickAnimation('love'), 'hearts');
+
+    // Any animation for an emotion without its own list
+    assert.ok(ANIMATIONS[pickAnimation('sleepy')]);
+});
+
+test('createAnimatedWebp: makes a looping 512x512 animation with one frame per step', async () => {
+    const webp = await createAnimatedWebp(await createStill(), { animation: 'pulse', frameCount: 4 });
+
+    assert.equal(webp.toString('ascii', 0, 4), 'RIFF');
+    assert.equal(webp.readUInt32LE(4), webp.length - 8);
+    assert.equal(webp.toString('ascii', 8, 12), 'WEBP');
+
+    const metadata = await sharp(webp, { animated: true }).metadata();
+    assert.equal(metadata.width, 512);
+    assert.equal(metadata.pages, 4);
+    assert.equal(metadata.loop, 0);
+    assert.equal(metadata.hasAlpha, true);
+
+    // Fewer frames are each shown for longer, so the loop lasts as long as the default
+    const loopMs = metadata.delay.reduce((sum, delay) => sum + delay, 0);
+    const defaultLoop = await sharp(await createAnimatedWebp(await createStill()), { animated: true }).metadata();
+    assert.equal(defaultLoop.pages, FRAME_COUNT);
+    assert.ok(Math.abs(loopMs - defaultLoop.delay.reduce((sum, delay) => sum + delay, 0)) <= 4);
+});
+
+test('createAnimatedWebp: refuses an animation longer than WhatsApp allows', async () => {
+    await assert.rejects(createAnimatedWebp(await createStill(), { frameCount: 2000 }), /Animation too long/);
+});
@@ -0,0 +1,186 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'api-key-pool-'));
+const ORIGINAL_CWD = process.cwd();
+const HEALTH_PATH = path.join(TEMP_DIR, 'config', 'api_key_health.json');
+
+const GEMINI_KEYS = ['gemini-key-aaaaaaaaaa', 'gemini-key-bbbbbbbbbb'];
+const SHARED_KEY = 'shared-key-cccccccccc';
+const QUOTA_KEY = 'quota-key-dddddddddd';
+const LEGACY_KEY = 'legacy-key-eeeeeeeeee';
+
+// The key file, health file and quotas are read when the module loads.
+// The legacy record was saved before records were keyed by service.
+process.chdir(TEMP_DIR);
+process.env.API_KEY_HEALTH_PATH = HEALTH_PATH;
+process.env.API_KEY_DAILY_REQUEST_QUOTA = '5';
+fs.outputJsonSync(path.join(TEMP_DIR, 'config', 'api_keys.json'), {
+    gemini: [...GEMINI_KEYS, SHARED_KEY],
+    openrouter: [SHARED_KEY],
+    quota_test: [QUOTA_KEY],
+    legacy: [LEGACY_KEY]
+});
+fs.outputJsonSync(HEALTH_PATH, {
+    [crypto.createHash('sha256').update(LEGACY_KEY).digest('hex').substring(0, 16)]: {
+        service: 'legacy',
+        disabled: true,
+        disabledReason: 'Authentication failed 3 times (401)',
+        usage: { date: new Date().toISOString().substring(0, 10), requests: 0, tokens: 0 }
+    }
+});
+
+const {
+    getKeyId,
+    maskKey,
+    acquireKey,
+    hasUsableKey,
+    reportSuccess,
+    reportFailure,
+    enableKey,
+    getKeyPoolStatus
+} = require('../src/utils/apiKeyPool');
+const { getDocumentStore } = require('../src/storage/jsonDocumentStore');
+
+after(async () => {
+    // Let the background health saves finish before removing their directory
+    await getDocumentStore(HEALTH_PATH).read();
+    process.chdir(ORIGINAL_CWD);
+    await fs.remove(TEMP_DIR);
+});
+
+/**
+ * Create an error like the ones axios throws for an HTTP status
+ * @param {number} status - HTTP status
+ * @param {Object} [headers] - Response headers
+ * @returns {Error} - The error
+ */
+function httpError(status, headers = {}) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, headers };
+    return error;
+}
+
+/**
+ * Get a key's entry from the pool status
+ * @param {string} service - Key service
+ * @param {string} key - The API key
+ * @returns {Object} - The key's status
+ */
+async function getStatus(service, key) {
+    const status = await getKeyPoolStatus();
+    return status[service].find(entry => entry.maskedKey === maskKey(key));
+}
+
+test('getKeyId: is the service and a fingerprint, never the key', () => {
+    const id = getKeyId('gemini', SHARED_KEY);
+    assert.match(id, /^gemini:[0-9a-f]{16}$/);
+    assert.ok(!id.includes(SHARED_KEY));
+    assert.notEqual(getKeyId('openrouter', SHARED_KEY), id);
+    assert.equal(id.split(':')[1], getKeyId('openrouter', SHARED_KEY).split(':')[1]);
+});
+
+test('acquireKey: hands out the key that has gone unused the longest', async () => {
+    const first = await acquireKey('gemini');
+    const second = await acquireKey('gemini');
+    const third = await acquireKey('gemini');
+
+    assert.deepEqual([first.key, second.key, third.key], [...GEMINI_KEYS, SHARED_KEY]);
+    assert.equal(first.id, getKeyId('gemini', GEMINI_KEYS[0]));
+    assert.equal((await acquireKey('gemini')).key, GEMINI_KEYS[0]);
+    assert.equal(await acquireKey('no_such_service'), null);
+});
+
+test('reportFailure: cools a rate limited key down for as long as it was asked', async t => {
+    t.mock.method(console, 'log', () => {});
+    const lease = { service: 'gemini', key: GEMINI_KEYS[0] };
+
+    const before = Date.now();
+    reportFailure(lease, httpError(429, { 'retry-after': '30' }));
+
+    const status = await getStatus('gemini', GEMINI_KEYS[0]);
+    assert.equal(status.state, 'cooldown');
+    assert.equal(status.rateLimits, 1);
+    assert.equal(status.lastError.status, 429);
+    const cooldown = new Date(status.cooldownUntil).getTime() - before;
+    assert.ok(cooldown >= 30000 && cooldown < 31000);
+
+    // The cooling down key is skipped until it is used successfully again
+    for (let i = 0; i < 3; i++) {
+        assert.notEqual((await acquireKey('gemini')).key, GEMINI_KEYS[0]);
+    }
+    reportSuccess(lease);
+    assert.equal((await getStatus('gemini', GEMINI_KEYS[0])).state, 'ok');
+});
+
+test('reportFailure: doubles the cooldown for each rate limit in a row', async t => {
+    t.mock.method(console, 'log', () => {});
+    const lease = { service: 'gemini', key: GEMINI_KEYS[1] };
+
+    reportFailure(lease, httpError(429));
+    const firstCooldown = new Date((await getStatus('gemini', GEMINI_KEYS[1])).cooldownUntil).getTime() - Date.now();
+    reportFailure(lease, httpError(429));
+    const secondCooldown = new Date((await getStatus('gemini', GEMINI_KEYS[1])).cooldownUntil).getTime() - Date.now();
+
+    assert.ok(Math.abs(firstCooldown - 60000) < 1000);
+    assert.ok(Math.abs(secondCooldown - 120000) < 1000);
+
+    reportSuccess(lease);
+});
+
+test('reportFailure: disables a key after repeated authentication failures until it is enabled', async t => {
+    t.mock.method(console, 'error', () => {});
+    const lease = { service: 'gemini', key: GEMINI_KEYS[0] };
+
+    reportFailure(lease, httpError(401));
+    reportFailure(lease, httpError(403));
+    assert.equal((await getStatus('gemini', GEMINI_KEYS[0])).state, 'ok');
+
+    reportFailure(lease, httpError(401));
+    const status = await getStatus('gemini', GEMINI_KEYS[0]);
+    assert.equal(status.state, 'disabled');
+    assert.equal(status.disabledReason, 'Authentication failed 3 times (401)');
+
+    assert.equal(await enableKey('gemini', 1), 'gemin...aaaaa');
+    assert.equal((await getStatus('gemini', GEMINI_KEYS[0])).state, 'ok');
+    assert.equal(await enableKey('gemini', 9), null);
+});
+
+test('reportFailure: a key shared by two services only fails for the service it was used with', async t => {
+    t.mock.method(console, 'log', () => {});
+
+    reportFailure({ service: 'openrouter', key: SHARED_KEY }, httpError(429));
+
+    assert.equal(await hasUsableKey('openrouter'), false);
+    assert.equal((await getStatus('openrouter', SHARED_KEY)).state, 'cooldown');
+    assert.equal((await getStatus('gemini', SHARED_KEY)).state, 'ok');
+});
+
+test('acquireKey: stops handing out a key at its daily request quota', async () => {
+    for (let i = 0; i < 5; i++) {
+        assert.equal((await acquireKey('quota_test')).key, QUOTA_KEY);
+    }
+
+    assert.equal(await acquireKey('quota_test'), null);
+    assert.equal((await getStatus('quota_test', QUOTA_KEY)).state, 'quota');
+});
+
+test('reportSuccess: counts the tokens a request used', async () => {
+    const lease = await acquireKey('gemini');
+
+    reportSuccess(lease, 120);
+    reportSuccess(lease, Number.NaN);
+
+    const status = await getStatus('gemini', lease.key);
+    assert.equal(status.usage.tokens, 120);
+    assert.equal(status.consecutiveFailures, 0);
+});
+
+test('hasUsableKey: keeps records saved before they were keyed by service', async () => {
+    assert.equal(await hasUsableKey('legacy'), false);
+    assert.equal((await getStatus('legacy', LEGACY_KEY)).disabledReason, 'Authentication failed 3 times (401)');
+});
@@ -0,0 +1,116 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// Run without API keys, so folded lines are never rewritten by an AI summary
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'context-builder-'));
+const ORIGINAL_CWD = process.cwd();
+process.chdir(TEMP_DIR);
+delete process.env.AI_PROVIDER;
+after(() => {
+    process.chdir(ORIGINAL_CWD);
+    return fs.remove(TEMP_DIR);
+});
+
+const {
+    getContextLimits,
+    countMessageTokens,
+    foldOlderMessages,
+    buildConversationContext
+} = require('../src/utils/contextBuilder');
+
+const SYSTEM_MESSAGE = { role: 'system', content: 'You are Sachi.' };
+
+/**
+ * Create a conversation of the given length, alternating user and companion
+ * @param {number} length - Number of messages
+ * @param {number} [size] - Characters per message
+ * @returns {Array<Object>} - Messages, oldest first
+ */
+function createHistory(length, size = 40) {
+    return Array.from({ length }, (_, i) => ({
+        role: i % 2 === 0 ? 'user' : 'assistant',
+        content: `${i}`.padEnd(size, '.')
+    }));
+}
+
+test('countMessageTokens: about four characters a token plus the message overhead', () => {
+    assert.equal(countMessageTokens({ role: 'user', content: 'a'.repeat(40) }), 14);
+    assert.equal(countMessageTokens({ role: 'user', content: 'a'.repeat(41) }), 15);
+});
+
+test('buildConversationContext: keeps the newest messages that fit in the budget', async () => {
+    const userData = { conversationHistory: createHistory(8) };
+
+    // 8 tokens for the system message, then 14 for each 40 character message
+    const messages = await buildConversationContext(userData, SYSTEM_MESSAGE, { tokenBudget: 8 + 14 * 3 + 13 });
+
+    assert.deepEqual(messages[0], SYSTEM_MESSAGE);
+    assert.deepEqual(messages.slice(1).map(message => message.content[0]), ['5', '6', '7']);
+});
+
+test('buildConversationContext: stops at the first message that does not fit', async () => {
+    const history = createHistory(4);
+    history[2].content = 'x'.repeat(400);
+    const userData = { conversationHistory: history };
+
+    // The short message before the long one would fit, but the order is kept
+    const messages = await buildConversationContext(userData, SYSTEM_MESSAGE, { tokenBudget: 8 + 14 * 2 + 10 });
+    assert.deepEqual(messages.slice(1).map(message => message.content[0]), ['3']);
+});
+
+test('buildConversationContext: always sends the latest message, even over budget', async () => {
+    const userData = { conversationHistory: [{ role: 'user', content: 'y'.repeat(4000) }] };
+
+    const messages = await buildConversationContext(userData, SYSTEM_MESSAGE, { tokenBudget: 100 });
+    assert.equal(messages.length, 2);
+    assert.equal(messages[1].content.length, 4000);
+});
+
+test('foldOlderMessages: folds messages beyond the recent window into the summary', () => {
+    const userData = { userName: 'Nimal', companionName: 'Sachi', conversationHistory: createHistory(13) };
+
+    assert.equal(foldOlderMessages(userData), 3);
+    assert.equal(userData.conversationHistory.length, getContextLimits(userData).recentMessages);
+    assert.equal(userData.conversationHistory[0].content[0], '3');
+
+    const summary = userData.conversationSummary;
+    assert.deepEqual(summary.text.split('\n').map(line => line.split(':')[0]), ['Nimal', 'Sachi', 'Nimal']);
+    assert.equal(summary.foldedMessages, 3);
+    assert.equal(summary.pendingMessages, 3);
+
+    assert.equal(foldOlderMessages(userData), 0);
+});
+
+test('foldOlderMessages: keeps the summary within its token budget, dropping the oldest lines', () => {
+    const userData = { userName: 'Nimal', companionName: 'Sachi', conversationHistory: createHistory(200, 150) };
+    const { summaryTokens } = getContextLimits(userData);
+
+    foldOlderMessages(userData);
+
+    const lines = userData.conversationSummary.text.split('\n');
+    assert.ok(Math.ceil(userData.conversationSummary.text.length / 4) <= summaryTokens);
+    assert.match(lines[lines.length - 1], /^Sachi: 189\./);
+    assert.equal(userData.conversationSummary.foldedMessages, 190);
+});
+
+test('buildConversationContext: adds the running summary to the system message', async () => {
+    const userData = { userName: 'Nimal', companionName: 'Sachi', conversationHistory: createHistory(12) };
+
+    const messages = await buildConversationContext(userData, SYSTEM_MESSAGE);
+
+    assert.match(messages[0].content, /^You are Sachi\.\n\nEARLIER IN YOUR CONVERSATION:\nNimal: 0\.+\nSachi: 1\.+$/);
+    assert.equal(SYSTEM_MESSAGE.content, 'You are Sachi.');
+    assert.equal(messages.length, 1 + getContextLimits(userData).recentMessages);
+});
+
+test('getContextLimits: premium users get a larger budget and window', () => {
+    const free = getContextLimits({ isPremium: false });
+    const premium = getContextLimits({ isPremium: true });
+
+    assert.ok(premium.tokenBudget > free.tokenBudget);
+    assert.ok(premium.recentMessages > free.recentMessages);
+    assert.ok(premium.summaryTokens > free.summaryTokens);
+});
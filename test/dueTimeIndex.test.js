@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DueTimeIndex } = require('../src/utils/dueTimeIndex');
+
+const BASE = new Date('2025-11-10T04:30:00Z').getTime();
+const MINUTE = 60 * 1000;
+
+test('DueTimeIndex: takes due keys earliest first and leaves the rest', () => {
+    const index = new DueTimeIndex();
+    index.schedule('c', BASE + 3 * MINUTE);
+    index.schedule('a', BASE + 1 * MINUTE, { period: '09:00' });
+    index.schedule('d', BASE + 10 * MINUTE);
+    index.schedule('b', new Date(BASE + 2 * MINUTE));
+
+    const due = index.takeDue(BASE + 3 * MINUTE);
+    assert.deepEqual(due.map(entry => entry.key), ['a', 'b', 'c']);
+    assert.deepEqual(due[0], { key: 'a', time: BASE + MINUTE, data: { period: '09:00' } });
+
+    assert.equal(index.size, 1);
+    assert.equal(index.has('a'), false);
+    assert.equal(index.peekTime(), BASE + 10 * MINUTE);
+    assert.deepEqual(index.takeDue(BASE + 9 * MINUTE), []);
+});
+
+test('DueTimeIndex: takeDue stops at the limit', () => {
+    const index = new DueTimeIndex();
+    for (let i = 0; i < 5; i++) {
+        index.schedule(`user${i}`, BASE + i * MINUTE);
+    }
+
+    assert.deepEqual(index.takeDue(BASE + 10 * MINUTE, 2).map(entry => entry.key), ['user0', 'user1']);
+    assert.equal(index.size, 3);
+});
+
+test('DueTimeIndex: scheduling a key again replaces its time and data', () => {
+    const index = new DueTimeIndex();
+    index.schedule('a', BASE + MINUTE, { period: '09:00' });
+    index.schedule('b', BASE + 2 * MINUTE);
+
+    // Moved later
+    index.schedule('a', BASE + 5 * MINUTE, { period: '19:00' });
+    assert.equal(index.size, 2);
+    assert.deepEqual(index.get('a'), { key: 'a', time: BASE + 5 * MINUTE, data: { period: '19:00' } });
+    assert.deepEqual(index.takeDue(BASE + 2 * MINUTE).map(entry => entry.key), ['b']);
+
+    // Moved earlier
+    index.schedule('b', BASE + 6 * MINUTE);
+    index.schedule('a', BASE);
+    assert.deepEqual(index.takeDue(BASE + 10 * MINUTE).map(entry => entry.key), ['a', 'b']);
+});
+
+test('DueTimeIndex: remove takes a key out from anywhere in the queue', () => {
+    const index = new DueTimeIndex();
+    for (const [key, minutes] of [['a', 1], ['b', 2], ['c', 3], ['d', 4], ['e', 5]]) {
+        index.schedule(key, BASE + minutes * MINUTE);
+    }
+
+    assert.equal(index.remove('b'), true);
+    assert.equal(index.remove('b'), false);
+    assert.equal(index.get('b'), null);
+    assert.deepEqual(index.takeDue(BASE + 10 * MINUTE).map(entry => entry.key), ['a', 'c', 'd', 'e']);
+});
+
+test('DueTimeIndex: stays ordered through many random changes', () => {
+    const index = new DueTimeIndex();
+    const expected = new Map();
+
+    // Small deterministic generator so a failure can be replayed
+    let seed = 42;
+    const random = limit => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed % limit;
+    };
+
+    for (let i = 0; i < 2000; i++) {
+        const key = `user${random(200)}`;
+        if (random(4) === 0) {
+            assert.equal(index.remove(key), expected.delete(key));
+        } else {
+            const time = BASE + random(1000) * MINUTE;
+            index.schedule(key, time);
+            expected.set(key, time);
+        }
+    }
+
+    assert.equal(index.size, expected.size);
+    const times = index.takeDue(BASE + 1000 * MINUTE).map(entry => {
+        assert.equal(entry.time, expected.get(entry.key));
+        return entry.time;
+    });
+    assert.equal(times.length, expected.size);
+    assert.deepEqual(times, [...times].sort((a, b) => a - b));
+    assert.equal(index.peekTime(), null);
+});
@@ -0,0 +1,142 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'engagement-scheduler-'));
+after(() => fs.remove(TEMP_DIR));
+
+// The audit log path is read when the module loads
+process.env.ENGAGEMENT_LOG_PATH = path.join(TEMP_DIR, 'engagement_log.jsonl');
+const {
+    PROACTIVE_KINDS,
+    MIN_GAP_MINUTES,
+    evaluateProactiveMessage,
+    recordProactiveMessage,
+    checkProactiveMessage,
+    getEngagementLog
+} = require('../src/utils/engagementScheduler');
+
+const USER_ID = '94771234567@s.whatsapp.net';
+
+// 12:00 and 23:00 in Colombo (UTC+5:30)
+const NOON = new Date('2025-11-10T06:30:00Z');
+const LATE_NIGHT = new Date('2025-11-10T17:30:00Z');
+
+/**
+ * Create a Colombo user who already had the given number of proactive
+ * messages today, the last one long enough ago not to matter
+ * @param {number} sentToday - Messages sent today
+ * @param {Object} [extra] - Extra user data fields
+ * @returns {Object} - User data
+ */
+function createUser(sentToday = 0, extra = {}) {
+    return {
+        timezone: 'Asia/Colombo',
+        engagement: { date: '2025-11-10', sentToday, lastSentAt: 0, lastKind: null },
+        ...extra
+    };
+}
+
+/**
+ * Quiet hours that can't include the real current time, for the functions
+ * that always use the clock
+ * @returns {Object} - Proactive settings with quiet hours a few hours from now
+ */
+function awakeSettings() {
+    const hour = new Date().getUTCHours();
+    const clock = h => `${String(h % 24).padStart(2, '0')}:00`;
+    return { quietHours: { start: clock(hour + 2), end: clock(hour + 3) } };
+}
+
+test('evaluateProactiveMessage: reminders are always allowed', () => {
+    const userData = createUser(10, { proactive: { enabled: false } });
+    assert.equal(evaluateProactiveMessage(userData, USER_ID, PROACTIVE_KINDS.REMINDER, LATE_NIGHT).allowed, true);
+});
+
+test('evaluateProactiveMessage: holds check-ins during the default quiet hours', () => {
+    const decision = evaluateProactiveMessage(createUser(), USER_ID, PROACTIVE_KINDS.CHECK_IN, LATE_NIGHT);
+    assert.equal(decision.allowed, false);
+    assert.equal(decision.reason, 'quiet hours (22:00-08:00, local time 23:00)');
+
+    assert.equal(evaluateProactiveMessage(createUser(), USER_ID, PROACTIVE_KINDS.CHECK_IN, NOON).allowed, true);
+});
+
+test('evaluateProactiveMessage: uses the user\'s own quiet hours and timezone', () => {
+    const napTime = createUser(0, { proactive: { quietHours: { start: '11:30', end: '13:00' } } });
+    assert.match(evaluateProactiveMessage(napTime, USER_ID, PROACTIVE_KINDS.SPONTANEOUS, NOON).reason, /^quiet hours/);
+
+    // 23:00 in Colombo is 12:30 in New York
+    const newYork = createUser(0, { timezone: 'America/New_York', engagement: undefined });
+    assert.equal(evaluateProactiveMessage(newYork, USER_ID, PROACTIVE_KINDS.CHECK_IN, LATE_NIGHT).allowed, true);
+});
+
+test('evaluateProactiveMessage: stops at the daily budget', () => {
+    const decision = evaluateProactiveMessage(createUser(4), USER_ID, PROACTIVE_KINDS.CHECK_IN, NOON);
+    assert.equal(decision.allowed, false);
+    assert.equal(decision.reason, 'daily budget used (4/4)');
+
+    const custom = createUser(5, { proactive: { maxPerDay: 6 } });
+    assert.equal(evaluateProactiveMessage(custom, USER_ID, PROACTIVE_KINDS.CHECK_IN, NOON).allowed, true);
+});
+
+test('evaluateProactiveMessage: spontaneous messages leave the last slot for a check-in', () => {
+    assert.equal(evaluateProactiveMessage(createUser(3), USER_ID, PROACTIVE_KINDS.SPONTANEOUS, NOON).allowed, false);
+    assert.equal(evaluateProactiveMessage(createUser(3), USER_ID, PROACTIVE_KINDS.CHECK_IN, NOON).allowed, true);
+
+    // Nothing to keep the slot for when check-ins are off
+    const noCheckIns = createUser(3, { autoMessagingEnabled: false });
+    assert.equal(evaluateProactiveMessage(noCheckIns, USER_ID, PROACTIVE_KINDS.SPONTANEOUS, NOON).allowed, true);
+});
+
+test('evaluateProactiveMessage: starts a new budget on the user\'s next local day', () => {
+    const userData = createUser(4);
+    userData.engagement.date = '2025-11-09';
+
+    assert.equal(evaluateProactiveMessage(userData, USER_ID, PROACTIVE_KINDS.CHECK_IN, NOON).allowed, true);
+    assert.equal(userData.engagement.date, '2025-11-10');
+    assert.equal(userData.engagement.sentToday, 0);
+});
+
+test('evaluateProactiveMessage: waits the minimum gap after any proactive message', () => {
+    const userData = createUser(1);
+    userData.engagement.lastKind = PROACTIVE_KINDS.REMINDER;
+
+    userData.engagement.lastSentAt = NOON.getTime() - (MIN_GAP_MINUTES - 1) * 60 * 1000;
+    const decision = evaluateProactiveMessage(userData, USER_ID, PROACTIVE_KINDS.CHECK_IN, NOON);
+    assert.equal(decision.allowed, false);
+    assert.match(decision.reason, /^reminder sent \d+ minutes ago/);
+
+    userData.engagement.lastSentAt = NOON.getTime() - MIN_GAP_MINUTES * 60 * 1000;
+    assert.equal(evaluateProactiveMessage(userData, USER_ID, PROACTIVE_KINDS.CHECK_IN, NOON).allowed, true);
+});
+
+test('evaluateProactiveMessage: respects /proactive off and rejects unknown kinds', () => {
+    const off = createUser(0, { proactive: { enabled: false } });
+    assert.equal(evaluateProactiveMessage(off, USER_ID, PROACTIVE_KINDS.CHECK_IN, NOON).reason, 'turned off by the user');
+    assert.equal(evaluateProactiveMessage(createUser(), USER_ID, 'promo', NOON).allowed, false);
+});
+
+test('checkProactiveMessage: counts nothing until recordProactiveMessage', async () => {
+    const userData = { timezone: 'UTC', proactive: awakeSettings() };
+
+    assert.equal(checkProactiveMessage(userData, USER_ID, PROACTIVE_KINDS.CHECK_IN), true);
+    assert.equal(checkProactiveMessage(userData, USER_ID, PROACTIVE_KINDS.CHECK_IN), true);
+    assert.equal(userData.engagement.sentToday, 0);
+
+    recordProactiveMessage(userData, USER_ID, PROACTIVE_KINDS.CHECK_IN, { period: 'morning' });
+    assert.equal(userData.engagement.sentToday, 1);
+    assert.equal(userData.engagement.lastKind, PROACTIVE_KINDS.CHECK_IN);
+
+    // The message just recorded starts the gap
+    assert.equal(checkProactiveMessage(userData, USER_ID, PROACTIVE_KINDS.SPONTANEOUS), false);
+
+    const log = await getEngagementLog(USER_ID);
+    assert.deepEqual(log.map(entry => [entry.kind, entry.action]), [
+        [PROACTIVE_KINDS.CHECK_IN, 'sent'],
+        [PROACTIVE_KINDS.SPONTANEOUS, 'suppressed']
+    ]);
+    assert.equal(log[0].period, 'morning');
+    assert.match(log[1].reason, /minimum gap/);
+});
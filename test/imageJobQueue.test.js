@@ -0,0 +1,178 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// Jobs and user data are kept relative to the working directory
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'image-job-queue-'));
+const ORIGINAL_CWD = process.cwd();
+process.chdir(TEMP_DIR);
+delete process.env.STORAGE_DRIVER;
+after(() => {
+    process.chdir(ORIGINAL_CWD);
+    return fs.remove(TEMP_DIR);
+});
+
+// Photos and stickers are made by the test, one photo held open at a time so
+// the queue behind it can be checked. The queue takes these when it loads.
+const utils = require('../src/utils');
+const stickerUtils = require('../src/utils/stickerUtils');
+let photosInProgress = [];
+utils.generateImage = userId => new Promise(resolve => {
+    photosInProgress.push({ userId, finish: resolve });
+});
+stickerUtils.createStickerForMessage = async (userData, message, reply) => Buffer.from(`${message}|${reply}`);
+
+const { saveUserData, getUserData } = require('../src/storageUtils');
+const {
+    DAILY_LIMITS,
+    initializeImageJobQueue,
+    enqueueImageJob,
+    listUserJobs,
+    cancelImageJobs
+} = require('../src/utils/imageJobQueue');
+
+const TODAY = new Date().toISOString().split('T')[0];
+const sock = { sent: [], sendMessage: async (userId, content) => sock.sent.push({ userId, content }) };
+let userCounter = 0;
+
+/**
+ * Save a new user with a companion picture
+ * @param {Object} [extra] - Extra user data fields
+ * @returns {string} - The user's WhatsApp ID
+ */
+async function createUser(extra = {}) {
+    const userId = `9477100000${++userCounter}@s.whatsapp.net`;
+    await saveUserData(userId, { userName: `User ${userCounter}`, companionName: 'Sachi', characterImagePath: 'sachi.png', ...extra });
+    return userId;
+}
+
+/**
+ * Get the texts sent to a user
+ * @param {string} userId - The user's WhatsApp ID
+ * @returns {Array<string>} - The texts, oldest first
+ */
+function textsTo(userId) {
+    return sock.sent.filter(entry => entry.userId === userId && entry.content.text).map(entry => entry.content.text);
+}
+
+/**
+ * Wait until a condition holds, letting the queue run in between
+ * @param {Function} condition - Returns true when done
+ */
+async function waitFor(condition) {
+    for (let i = 0; i < 200 && !await condition(); i++) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    assert.ok(await condition(), 'timed out waiting for the image queue');
+}
+
+/**
+ * Finish the oldest photo in progress with an image file, or as a failure
+ * @param {boolean} [succeed] - Whether the photo was made
+ */
+async function finishPhoto(succeed = true) {
+    await waitFor(() => photosInProgress.length > 0);
+    const { userId, finish } = photosInProgress.shift();
+    const imagePath = path.join(TEMP_DIR, `${userId}.png`);
+    await fs.writeFile(imagePath, 'png');
+    finish(succeed ? imagePath : null);
+}
+
+test('initializeImageJobQueue: starts with an empty queue', async t => {
+    t.mock.method(console, 'log', () => {});
+    await initializeImageJobQueue(sock);
+    assert.deepEqual(photosInProgress, []);
+});
+
+test('enqueueImageJob: runs one job at a time, premium users first', async () => {
+    const first = await createUser();
+    const free = await createUser();
+    const premium = await createUser({ isPremium: true });
+
+    await enqueueImageJob(sock, first, 'photo', 'at the beach');
+    await waitFor(() => photosInProgress.length === 1);
+    assert.deepEqual(textsTo(first), ['Wait a minute, let me take a photo for you... 📸']);
+
+    const freeResult = await enqueueImageJob(sock, free, 'photo', 'in the rain');
+    assert.equal(freeResult.position, 1);
+    const premiumResult = await enqueueImageJob(sock, premium, 'photo', 'with a cat');
+    assert.equal(premiumResult.position, 1);
+    assert.match(textsTo(premium)[0], /^📸 I'll get to your photo soon! You're #1 in line/);
+
+    // The premium job went ahead of the free one
+    assert.equal((await listUserJobs(free))[0].position, 2);
+    assert.equal(photosInProgress.length, 1);
+
+    await finishPhoto();
+    await waitFor(() => photosInProgress.length === 1);
+    assert.equal(photosInProgress[0].userId, premium);
+
+    await finishPhoto();
+    await finishPhoto();
+    await waitFor(async () => (await listUserJobs(free)).length === 0);
+
+    assert.deepEqual(sock.sent.filter(entry => entry.content.image).map(entry => entry.userId), [first, premium, free]);
+    await waitFor(async () => ((await getUserData(free)).imageRequests || {})[TODAY] === 1);
+});
+
+test('enqueueImageJob: stops free users at the daily limit, counting jobs still waiting', async () => {
+    const userId = await createUser({ stickerRequests: { [TODAY]: DAILY_LIMITS.sticker.free - 1 } });
+    const blocker = await createUser();
+
+    // Keep the queue busy so the sticker stays waiting
+    await enqueueImageJob(sock, blocker, 'photo', 'hold the queue');
+    assert.equal((await enqueueImageJob(sock, userId, 'sticker', 'hi')).status, 'queued');
+
+    assert.equal((await enqueueImageJob(sock, userId, 'sticker', 'hi again')).status, 'limit');
+    assert.match(textsTo(userId).pop(), new RegExp(`daily free sticker limit \\(${DAILY_LIMITS.sticker.free}\\)`));
+
+    // Automatic stickers don't use the quota and say nothing
+    const sentBefore = textsTo(userId).length;
+    assert.equal((await enqueueImageJob(sock, userId, 'sticker', 'miss you', { automatic: true, reply: 'Miss you too!' })).status, 'queued');
+    assert.equal(textsTo(userId).length, sentBefore);
+
+    await finishPhoto();
+    await waitFor(() => sock.sent.filter(entry => entry.userId === userId && entry.content.sticker).length === 2);
+
+    const stickers = sock.sent.filter(entry => entry.userId === userId && entry.content.sticker);
+    assert.deepEqual(stickers.map(entry => entry.content.sticker.toString()), ['hi|', 'miss you|Miss you too!']);
+    assert.equal((await getUserData(userId)).stickerRequests[TODAY], DAILY_LIMITS.sticker.free);
+});
+
+test('enqueueImageJob: a user can only have a few requests waiting', async () => {
+    const blocker = await createUser();
+    const userId = await createUser({ isPremium: true });
+
+    await enqueueImageJob(sock, blocker, 'photo', 'hold the queue');
+    for (let i = 0; i < 3; i++) {
+        assert.equal((await enqueueImageJob(sock, userId, 'photo', `photo ${i}`)).status, 'queued');
+    }
+    assert.equal((await enqueueImageJob(sock, userId, 'photo', 'one more')).status, 'busy');
+
+    // Cancelled jobs are skipped and free the slots
+    assert.equal(await cancelImageJobs(userId), 3);
+    assert.deepEqual(await listUserJobs(userId), []);
+
+    await finishPhoto();
+    await waitFor(async () => (await listUserJobs(blocker)).length === 0);
+    assert.deepEqual(photosInProgress, []);
+});
+
+test('enqueueImageJob: tells the user when a photo could not be made', async t => {
+    t.mock.method(console, 'error', () => {});
+    const userId = await createUser();
+
+    await enqueueImageJob(sock, userId, 'photo', 'on the moon');
+    await finishPhoto(false);
+    await waitFor(() => textsTo(userId).length === 2);
+
+    assert.match(textsTo(userId)[1], /I couldn't take that photo right now/);
+    assert.equal(((await getUserData(userId)).imageRequests || {})[TODAY], undefined);
+});
+
+test('enqueueImageJob: stickers need the companion\'s picture', async () => {
+    const userId = await createUser({ characterImagePath: null });
+    assert.deepEqual(await enqueueImageJob(sock, userId, 'sticker', 'hi'), { status: 'unavailable' });
+});
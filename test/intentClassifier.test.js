@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { INTENTS, classifyWithRules } = require('../src/utils/intentClassifier');
+const { INTENT_EXAMPLES } = require('../src/utils/intentExamples');
+
+test('classifyWithRules: labelled examples', async (t) => {
+    for (const example of INTENT_EXAMPLES) {
+        await t.test(example.text, () => {
+            const { intent, slots } = classifyWithRules(example.text);
+            assert.equal(intent, example.intent);
+            if (example.intent === INTENTS.IMAGE_REQUEST) {
+                assert.equal(slots.scene, example.scene);
+            }
+        });
+    }
+});
+
+test('classifyWithRules: "see you" only asks for a photo when it describes one', () => {
+    assert.equal(classifyWithRules('I want to see you tomorrow').intent, INTENTS.CHAT);
+    assert.equal(classifyWithRules('can i see you tonight?').intent, INTENTS.CHAT);
+    assert.deepEqual(classifyWithRules('can i see you wearing a saree').slots, { scene: 'wearing a saree' });
+    assert.equal(classifyWithRules('I wanna see you').intent, INTENTS.IMAGE_REQUEST);
+});
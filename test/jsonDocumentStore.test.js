@@ -0,0 +1,135 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { JsonDocumentStore, getDocumentStore, atomicWrite } = require('../src/storage/jsonDocumentStore');
+
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'json-document-store-'));
+after(() => fs.remove(TEMP_DIR));
+
+let fileCounter = 0;
+
+/**
+ * Get a fresh document path inside the temp directory
+ * @returns {string} - Path to a file that doesn't exist yet
+ */
+function newDocumentPath() {
+    return path.join(TEMP_DIR, `document-${++fileCounter}`, 'reminders.json');
+}
+
+/**
+ * Silence the recovery messages a test expects
+ * @param {Object} t - Test context
+ */
+function muteConsole(t) {
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(console, 'warn', () => {});
+}
+
+test('atomicWrite: writes to a temp file and renames it over the destination', async t => {
+    const filePath = newDocumentPath();
+    await fs.ensureDir(path.dirname(filePath));
+    await fs.writeFile(filePath, 'old');
+
+    const rename = t.mock.method(fs, 'rename');
+    await atomicWrite(filePath, 'new');
+
+    assert.equal(rename.mock.callCount(), 1);
+    const [from, to] = rename.mock.calls[0].arguments;
+    assert.match(path.basename(from), /^reminders\.json\.\d+\.\d+\.tmp$/);
+    assert.equal(to, filePath);
+    assert.equal(await fs.readFile(filePath, 'utf8'), 'new');
+    assert.deepEqual(await fs.readdir(path.dirname(filePath)), ['reminders.json']);
+});
+
+test('atomicWrite: removes the temp file and keeps the old contents if the rename fails', async t => {
+    const filePath = newDocumentPath();
+    await fs.ensureDir(path.dirname(filePath));
+    await fs.writeFile(filePath, 'old');
+
+    t.mock.method(fs, 'rename', async () => {
+        throw new Error('disk full');
+    });
+    await assert.rejects(atomicWrite(filePath, 'new'), /disk full/);
+
+    assert.equal(await fs.readFile(filePath, 'utf8'), 'old');
+    assert.deepEqual(await fs.readdir(path.dirname(filePath)), ['reminders.json']);
+});
+
+test('JsonDocumentStore: creates a missing document with a copy of the default', async () => {
+    const defaultValue = { reminders: [] };
+    const store = new JsonDocumentStore(newDocumentPath(), defaultValue);
+
+    const data = await store.read();
+    data.reminders.push('changed');
+
+    assert.deepEqual(defaultValue, { reminders: [] });
+    assert.deepEqual(await fs.readJson(store.filePath), { reminders: [] });
+    assert.deepEqual(await fs.readJson(store.backupPath), { reminders: [] });
+});
+
+test('JsonDocumentStore: restores a corrupt document from the .bak copy', async t => {
+    muteConsole(t);
+    const store = new JsonDocumentStore(newDocumentPath(), {});
+    await store.write({ reminders: ['drink water'] });
+    await fs.writeFile(store.filePath, '{"reminders": ["drink wa');
+
+    assert.deepEqual(await store.read(), { reminders: ['drink water'] });
+    assert.deepEqual(await fs.readJson(store.filePath), { reminders: ['drink water'] });
+
+    const corrupt = (await fs.readdir(path.dirname(store.filePath))).filter(file => file.includes('.corrupt-'));
+    assert.equal(corrupt.length, 1);
+    assert.equal(await fs.readFile(path.join(path.dirname(store.filePath), corrupt[0]), 'utf8'), '{"reminders": ["drink wa');
+});
+
+test('JsonDocumentStore: restores a deleted document from the .bak copy', async () => {
+    const store = new JsonDocumentStore(newDocumentPath(), {});
+    await store.write({ reminders: ['call amma'] });
+    await fs.remove(store.filePath);
+
+    assert.deepEqual(await store.read(), { reminders: ['call amma'] });
+});
+
+test('JsonDocumentStore: resets to the default when the .bak copy is corrupt too', async t => {
+    muteConsole(t);
+    const store = new JsonDocumentStore(newDocumentPath(), { reminders: [] });
+    await store.write({ reminders: ['call amma'] });
+    await fs.writeFile(store.filePath, 'not json');
+    await fs.writeFile(store.backupPath, 'not json either');
+
+    assert.deepEqual(await store.read(), { reminders: [] });
+});
+
+test('JsonDocumentStore: queued updates never lose each other', async () => {
+    const store = new JsonDocumentStore(newDocumentPath(), { count: 0 });
+
+    await Promise.all(Array.from({ length: 20 }, () => store.update(data => {
+        data.count += 1;
+    })));
+
+    assert.deepEqual(await store.read(), { count: 20 });
+});
+
+test('JsonDocumentStore: a failed update does not stop later ones', async () => {
+    const store = new JsonDocumentStore(newDocumentPath(), { count: 0 });
+
+    const failed = store.update(() => {
+        throw new Error('bad update');
+    });
+    const next = store.update(data => {
+        data.count += 1;
+        return data.count;
+    });
+
+    await assert.rejects(failed, /bad update/);
+    assert.equal(await next, 1);
+});
+
+test('getDocumentStore: shares one store per file', () => {
+    const filePath = newDocumentPath();
+    const relative = path.relative(process.cwd(), filePath);
+
+    assert.equal(getDocumentStore(filePath), getDocumentStore(relative));
+    assert.notEqual(getDocumentStore(filePath), getDocumentStore(newDocumentPath()));
+});
@@ -0,0 +1,121 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+// An offline vision provider with a fixed description, read from the
+// provider config when the module loads
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'media-understanding-'));
+const ORIGINAL_CWD = process.cwd();
+process.chdir(TEMP_DIR);
+delete process.env.AI_PROVIDER;
+fs.outputJsonSync(path.join(TEMP_DIR, 'config', 'ai_providers.json'), {
+    providers: {
+        seer: { type: 'mock', reply: 'Sure! {"description": "a cat dancing in the rain."}' }
+    },
+    features: {
+        vision: ['seer:vision-model']
+    }
+});
+const { getProvider, getProviderUsageLog } = require('../src/aiProviders');
+after(async () => {
+    // Let the usage log finish writing before removing its directory
+    await getProviderUsageLog();
+    process.chdir(ORIGINAL_CWD);
+    await fs.remove(TEMP_DIR);
+});
+
+const {
+    getMediaInfo,
+    describeMedia,
+    formatMediaDescription,
+    describeMediaMessages
+} = require('../src/utils/mediaUnderstanding');
+
+const USER_ID = '94771234567@s.whatsapp.net';
+
+/**
+ * Create a GIF message. GIFs are described from their preview frame, so
+ * nothing has to be downloaded.
+ * @param {string} [caption] - The caption
+ * @returns {Object} - WhatsApp message
+ */
+async function gifMessage(caption = '') {
+    const jpegThumbnail = await sharp({ create: { width: 32, height: 32, channels: 3, background: '#3366cc' } }).jpeg().toBuffer();
+    return {
+        key: { remoteJid: USER_ID, id: 'gif' },
+        message: { videoMessage: { gifPlayback: true, caption, jpegThumbnail } }
+    };
+}
+
+/**
+ * Silence the messages a test expects
+ * @param {Object} t - Test context
+ */
+function muteConsole(t) {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+}
+
+test('getMediaInfo: finds stickers, photos and GIFs but not other videos', () => {
+    assert.equal(getMediaInfo({ message: { stickerMessage: {} } }).kind, 'sticker');
+    assert.deepEqual(getMediaInfo({ message: { imageMessage: { caption: 'me' } } }).caption, 'me');
+    assert.equal(getMediaInfo({ message: { videoMessage: { gifPlayback: true } } }).kind, 'gif');
+    assert.equal(getMediaInfo({ message: { videoMessage: {} } }), null);
+    assert.equal(getMediaInfo({ message: { conversation: 'hi' } }), null);
+});
+
+test('describeMedia: describes the preview frame with the vision model', async t => {
+    muteConsole(t);
+    const described = await describeMedia(await gifMessage(' lol '), { userId: USER_ID });
+
+    assert.deepEqual(described, { kind: 'gif', description: 'a cat dancing in the rain.', emotion: null, caption: 'lol' });
+    const [request] = getProvider('seer').requests.slice(-1);
+    assert.equal(request.messages[0].content[1].image.mimeType, 'image/png');
+});
+
+test('describeMedia: falls back to no description when no vision provider is available', async t => {
+    muteConsole(t);
+    t.mock.method(getProvider('seer'), 'isAvailable', async () => false);
+
+    const described = await describeMedia(await gifMessage('look'), { userId: USER_ID });
+    assert.deepEqual(described, { kind: 'gif', description: null, emotion: null, caption: 'look' });
+    assert.equal(formatMediaDescription(described), "[GIF (couldn't see what it shows)]\nlook");
+});
+
+test('describeMedia: falls back to no description when the vision model fails or rambles', async t => {
+    muteConsole(t);
+    const chat = t.mock.method(getProvider('seer'), 'chat', async () => {
+        throw new Error('Request failed with status code 400');
+    });
+    assert.equal((await describeMedia(await gifMessage())).description, null);
+
+    chat.mock.mockImplementation(async () => 'I think it is a cat');
+    assert.equal((await describeMedia(await gifMessage())).description, null);
+});
+
+test('formatMediaDescription: notes the sticker emotion and keeps the caption', () => {
+    assert.equal(
+        formatMediaDescription({ kind: 'sticker', description: 'a cat hugging a heart.', emotion: 'love', caption: '' }),
+        '[Sticker: a cat hugging a heart. Emotion: love]'
+    );
+    assert.equal(
+        formatMediaDescription({ kind: 'photo', description: 'a beach at sunset', emotion: null, caption: 'wish you were here' }),
+        '[Photo: a beach at sunset]\nwish you were here'
+    );
+});
+
+test('describeMediaMessages: replaces media with text and leaves other messages alone', async t => {
+    muteConsole(t);
+    const text = { key: { remoteJid: USER_ID, id: 'text' }, message: { conversation: 'guess what' }, body: 'guess what' };
+    const gif = { ...await gifMessage(), body: '' };
+
+    const [first, second] = await describeMediaMessages([text, gif], { userId: USER_ID });
+
+    assert.equal(first, text);
+    assert.equal(second.key, gif.key);
+    assert.equal(second.message.conversation, '[GIF: a cat dancing in the rain]');
+    assert.equal(second.body, '[GIF: a cat dancing in the rain]');
+});
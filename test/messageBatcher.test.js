@@ -0,0 +1,169 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    combineMessages,
+    runForUser,
+    queueMessage,
+    handlePresenceUpdate
+} = require('../src/utils/messageBatcher');
+
+// Default timings: 2.5s quiet window, 8s while typing, 15s at most
+const sock = { presenceSubscribe: async () => {} };
+let userCounter = 0;
+
+/**
+ * Get a user ID no other test has used, as batches are kept per user
+ * @returns {string} - WhatsApp ID
+ */
+function newUserId() {
+    return `9477000000${++userCounter}@s.whatsapp.net`;
+}
+
+/**
+ * Create a text message
+ * @param {string} userId - Sender
+ * @param {string} text - The text
+ * @returns {Object} - WhatsApp message
+ */
+function textMessage(userId, text) {
+    return { key: { remoteJid: userId, id: text, fromMe: false }, message: { conversation: text } };
+}
+
+/**
+ * Create a handler that records the batches it was called with
+ * @returns {Function} - The handler, with the combined texts in .batches
+ */
+function createHandler() {
+    const handler = async (combined, messages) => {
+        handler.batches.push({ text: combined.message.conversation, count: messages.length });
+    };
+    handler.batches = [];
+    return handler;
+}
+
+/**
+ * Move the mocked clock forward and let the flushed replies run
+ * @param {Object} t - Test context
+ * @param {number} ms - Milliseconds
+ */
+async function advance(t, ms) {
+    t.mock.timers.tick(ms);
+    await new Promise(resolve => setImmediate(resolve));
+}
+
+test('queueMessage: answers messages sent in quick succession together', async t => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    const userId = newUserId();
+    const handler = createHandler();
+
+    queueMessage(sock, userId, textMessage(userId, 'hey'), handler);
+    await advance(t, 2000);
+    queueMessage(sock, userId, textMessage(userId, 'you there?'), handler);
+
+    // The window restarts with each message
+    await advance(t, 2400);
+    assert.deepEqual(handler.batches, []);
+
+    await advance(t, 100);
+    assert.deepEqual(handler.batches, [{ text: 'hey\nyou there?', count: 2 }]);
+});
+
+test('handlePresenceUpdate: keeps the batch open while the user is typing', async t => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    const userId = newUserId();
+    const handler = createHandler();
+
+    queueMessage(sock, userId, textMessage(userId, 'so'), handler);
+    handlePresenceUpdate({ id: userId, presences: { [userId]: { lastKnownPresence: 'composing' } } });
+
+    await advance(t, 7900);
+    assert.deepEqual(handler.batches, []);
+
+    // The quiet window after the message has passed, so stopping closes it
+    handlePresenceUpdate({ id: userId, presences: { [userId]: { lastKnownPresence: 'paused' } } });
+    await advance(t, 0);
+    assert.deepEqual(handler.batches, [{ text: 'so', count: 1 }]);
+});
+
+test('queueMessage: never waits longer than the maximum after the first message', async t => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    const userId = newUserId();
+    const handler = createHandler();
+
+    for (let i = 0; i < 7; i++) {
+        queueMessage(sock, userId, textMessage(userId, `part ${i}`), handler);
+        await advance(t, 2000);
+    }
+    assert.deepEqual(handler.batches, []);
+
+    queueMessage(sock, userId, textMessage(userId, 'part 7'), handler);
+    await advance(t, 1000);
+    assert.equal(handler.batches.length, 1);
+    assert.equal(handler.batches[0].count, 8);
+});
+
+test('queueMessage: answers a full batch straight away', async t => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    const userId = newUserId();
+    const handler = createHandler();
+
+    for (let i = 0; i < 10; i++) {
+        queueMessage(sock, userId, textMessage(userId, `${i}`), handler);
+    }
+    await advance(t, 0);
+
+    assert.deepEqual(handler.batches.map(batch => batch.count), [10]);
+});
+
+test('queueMessage: messages sent during a reply form the next batch', async t => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    const userId = newUserId();
+    const events = [];
+    let finishReply;
+
+    const handler = async combined => {
+        const text = combined.message.conversation;
+        events.push(`start ${text}`);
+        if (text === 'first') {
+            await new Promise(resolve => {
+                finishReply = resolve;
+            });
+        }
+        events.push(`end ${text}`);
+    };
+
+    queueMessage(sock, userId, textMessage(userId, 'first'), handler);
+    await advance(t, 2500);
+    queueMessage(sock, userId, textMessage(userId, 'second'), handler);
+    queueMessage(sock, userId, textMessage(userId, 'third'), handler);
+    await advance(t, 2500);
+
+    // The second batch waits for the first reply
+    assert.deepEqual(events, ['start first']);
+    finishReply();
+    await advance(t, 0);
+    assert.deepEqual(events, ['start first', 'end first', 'start second\nthird', 'end second\nthird']);
+});
+
+test('runForUser: a failed task does not block the next one', async () => {
+    const userId = newUserId();
+
+    const failed = runForUser(userId, async () => {
+        throw new Error('send failed');
+    });
+    const next = runForUser(userId, async () => 'sent');
+
+    await assert.rejects(failed, /send failed/);
+    assert.equal(await next, 'sent');
+});
+
+test('combineMessages: joins the texts onto the latest message', () => {
+    const userId = newUserId();
+    const latest = { ...textMessage(userId, 'i had a bad day'), body: 'i had a bad day' };
+    const combined = combineMessages([textMessage(userId, 'hey'), { key: { id: 'sticker' }, message: {} }, latest]);
+
+    assert.equal(combined.key, latest.key);
+    assert.equal(combined.message.conversation, 'hey\ni had a bad day');
+    assert.equal(combined.body, 'hey\ni had a bad day');
+    assert.equal(combineMessages([latest]), latest);
+});
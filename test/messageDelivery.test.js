@@ -0,0 +1,132 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Short parts and pauses, read when the module loads
+process.env.REPLY_CHUNK_LENGTH = '100';
+process.env.REPLY_MIN_TYPING_DELAY_MS = '1';
+process.env.REPLY_MAX_TYPING_DELAY_MS = '5';
+const {
+    splitIntoChunks,
+    withTyping,
+    cancelDelivery,
+    sendChunkedText,
+    createDeliverySocket
+} = require('../src/utils/messageDelivery');
+
+const USER_ID = '94771234567@s.whatsapp.net';
+
+/**
+ * Create a socket that records what it was asked to send
+ * @param {Function} [onSend] - Called with each sent text
+ * @returns {Object} - The socket, with sent texts in .sent and presence updates in .presence
+ */
+function createSocket(onSend = () => {}) {
+    const sock = { sent: [], presence: [] };
+    sock.sendMessage = async (jid, content) => {
+        sock.sent.push(content.text !== undefined ? content.text : content);
+        onSend(content.text);
+        return { key: { id: `message-${sock.sent.length}` } };
+    };
+    sock.sendPresenceUpdate = async type => {
+        sock.presence.push(type);
+    };
+    return sock;
+}
+
+/**
+ * Build a reply of sentences about 50 characters long
+ * @param {number} count - Number of sentences
+ * @returns {string} - The reply
+ */
+function sentences(count) {
+    return Array.from({ length: count }, (_, i) => `Sentence number ${i} is here and it goes on a little.`).join(' ');
+}
+
+test('splitIntoChunks: leaves short replies and code blocks whole', () => {
+    assert.deepEqual(splitIntoChunks('  Hi there!  '), ['Hi there!']);
+    assert.deepEqual(splitIntoChunks(''), []);
+
+    const code = `Try this:\n\`\`\`\n${'x = 1\n'.repeat(40)}\`\`\``;
+    assert.deepEqual(splitIntoChunks(code), [code]);
+});
+
+test('splitIntoChunks: splits at sentence and paragraph boundaries', () => {
+    const chunks = splitIntoChunks(`${sentences(4)}\n\nA new paragraph!`);
+
+    assert.ok(chunks.length > 2);
+    assert.ok(chunks.every(chunk => chunk.length <= 100));
+    assert.ok(chunks.slice(0, -1).every(chunk => chunk.endsWith('.')));
+    assert.equal(chunks[chunks.length - 1], 'A new paragraph!');
+    assert.equal(chunks.join(' '), `${sentences(4)} A new paragraph!`);
+});
+
+test('splitIntoChunks: splits a sentence that is too long at words', () => {
+    const chunks = splitIntoChunks('word '.repeat(60).trim(), 100);
+
+    assert.ok(chunks.length >= 3);
+    assert.ok(chunks.every(chunk => chunk.length <= 100 && !chunk.startsWith(' ')));
+    assert.equal(chunks.join(' '), 'word '.repeat(60).trim());
+});
+
+test('sendChunkedText: sends each part in order, typing before each one', async () => {
+    const sock = createSocket();
+    const text = sentences(4);
+
+    const result = await sendChunkedText(sock, USER_ID, text);
+
+    assert.deepEqual(sock.sent, splitIntoChunks(text));
+    assert.deepEqual(result.sent, sock.sent);
+    assert.equal(result.messages.length, sock.sent.length);
+    assert.equal(result.cancelled, false);
+    assert.equal(sock.presence.filter(type => type === 'composing').length, sock.sent.length);
+    assert.equal(sock.presence[sock.presence.length - 1], 'paused');
+});
+
+test('cancelDelivery: drops the parts not sent yet', async t => {
+    t.mock.method(console, 'log', () => {});
+    const sock = createSocket(() => cancelDelivery(USER_ID));
+
+    const result = await sendChunkedText(sock, USER_ID, sentences(4));
+
+    assert.equal(result.sent.length, 1);
+    assert.equal(result.cancelled, true);
+    assert.equal(cancelDelivery(USER_ID), false);
+});
+
+test('sendChunkedText: a newer reply cancels the one still being delivered', async t => {
+    t.mock.method(console, 'log', () => {});
+    const sock = createSocket();
+
+    const older = sendChunkedText(sock, USER_ID, sentences(4));
+    const newer = sendChunkedText(sock, USER_ID, 'Sorry, ignore that!');
+
+    assert.equal((await older).cancelled, true);
+    assert.deepEqual((await newer).sent, ['Sorry, ignore that!']);
+    assert.deepEqual(sock.sent, ['Sorry, ignore that!']);
+});
+
+test('withTyping: stops typing even when the task fails', async () => {
+    const sock = createSocket();
+
+    await assert.rejects(withTyping(sock, USER_ID, async () => {
+        throw new Error('no provider');
+    }), /no provider/);
+    assert.deepEqual(sock.presence, ['composing', 'paused']);
+});
+
+test('createDeliverySocket: splits long text to the user and passes everything else through', async () => {
+    const sock = createSocket();
+    const deliverySock = createDeliverySocket(sock, USER_ID);
+
+    const last = await deliverySock.sendMessage(USER_ID, { text: sentences(4) });
+    assert.deepEqual(sock.sent, splitIntoChunks(sentences(4)));
+    assert.deepEqual(last, { key: { id: `message-${sock.sent.length}` } });
+
+    const sticker = { sticker: Buffer.from('webp') };
+    await deliverySock.sendMessage(USER_ID, sticker);
+    await deliverySock.sendMessage('owner@s.whatsapp.net', { text: sentences(4) });
+    assert.deepEqual(sock.sent.slice(-2), [sticker, sentences(4)]);
+
+    deliverySock.stopTyping();
+    assert.equal(sock.presence.filter(type => type === 'paused').length, sock.presence.filter(type => type === 'composing').length);
+});
@@ -0,0 +1,73 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const SqliteDriver = require('../src/storage/sqliteDriver');
+
+const SCRIPT = path.join(__dirname, '..', 'scripts', 'migrateUserData.js');
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'migrate-user-data-'));
+after(() => fs.remove(TEMP_DIR));
+
+let sqliteSkip = false;
+try {
+    require('better-sqlite3');
+} catch (error) {
+    sqliteSkip = 'better-sqlite3 is not installed';
+}
+
+/**
+ * Run the migration script in a working directory
+ * @param {string} cwd - Directory holding user_data/
+ * @param {Array<string>} args - Script arguments
+ * @returns {string} - What the script printed
+ */
+function runMigration(cwd, args = []) {
+    const env = { ...process.env };
+    delete env.SQLITE_PATH;
+    return execFileSync(process.execPath, [SCRIPT, ...args], { cwd, env, encoding: 'utf8', stdio: 'pipe' });
+}
+
+test('migrateUserData: imports user_data/*.json into SQLite and skips unreadable profiles', { skip: sqliteSkip }, async () => {
+    const cwd = path.join(TEMP_DIR, 'json-to-sqlite');
+    const userDataDir = path.join(cwd, 'user_data');
+    await fs.ensureDir(userDataDir);
+    await fs.writeJson(path.join(userDataDir, 'a@s.whatsapp.net.json'), { userName: 'Nimal', isPremium: true });
+    await fs.writeJson(path.join(userDataDir, 'b@s.whatsapp.net.json'), { userName: 'Kamal' });
+    await fs.writeFile(path.join(userDataDir, 'c@s.whatsapp.net.json'), '{"userName": "Sun');
+
+    const output = runMigration(cwd);
+    assert.match(output, /Migrated 2 users/);
+
+    const driver = new SqliteDriver({ filePath: path.join(userDataDir, 'users.sqlite') });
+    try {
+        assert.deepEqual(await driver.listUserIds(), ['a@s.whatsapp.net', 'b@s.whatsapp.net']);
+        assert.deepEqual(await driver.getUserData('a@s.whatsapp.net'), { userName: 'Nimal', isPremium: true });
+    } finally {
+        await driver.close();
+    }
+
+    // The JSON files are left in place to fall back on
+    assert.equal(await fs.pathExists(path.join(userDataDir, 'a@s.whatsapp.net.json')), true);
+});
+
+test('migrateUserData: exports SQLite back to JSON files', { skip: sqliteSkip }, async () => {
+    const cwd = path.join(TEMP_DIR, 'sqlite-to-json');
+    const driver = new SqliteDriver({ filePath: path.join(cwd, 'user_data', 'users.sqlite') });
+    await driver.saveUserData('a@s.whatsapp.net', { userName: 'Nimal' });
+    await driver.close();
+
+    assert.match(runMigration(cwd, ['sqlite', 'json']), /Migrated 1 users/);
+    assert.deepEqual(await fs.readJson(path.join(cwd, 'user_data', 'a@s.whatsapp.net.json')), { userName: 'Nimal' });
+});
+
+test('migrateUserData: fails on an unknown driver', () => {
+    const cwd = path.join(TEMP_DIR, 'unknown');
+    fs.ensureDirSync(cwd);
+    assert.throws(() => runMigration(cwd, ['json', 'mongo']), error => {
+        assert.equal(error.status, 1);
+        assert.match(error.stderr, /Unknown storage driver: mongo/);
+        return true;
+    });
+});
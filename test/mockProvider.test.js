@@ -0,0 +1,84 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// The provider config and usage log are found relative to the working
+// directory, so give them one of their own. The summarizer answers with
+// fixed JSON so the memory update can be checked too.
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-provider-'));
+const ORIGINAL_CWD = process.cwd();
+process.chdir(TEMP_DIR);
+delete process.env.AI_PROVIDER;
+fs.outputJsonSync(path.join(TEMP_DIR, 'config', 'ai_providers.json'), {
+    providers: {
+        summarizer: {
+            type: 'mock',
+            reply: JSON.stringify({
+                topics: ['food'],
+                preferences: { kottu: 'likes' },
+                events: ['exam on Friday'],
+                summary: 'Nimal talked about dinner and an exam.'
+            })
+        }
+    },
+    features: {
+        chat: ['mock:chat-model'],
+        summary: ['summarizer:summary-model']
+    }
+});
+after(() => {
+    process.chdir(ORIGINAL_CWD);
+    return fs.remove(TEMP_DIR);
+});
+
+const { generateAIResponse, updateMemorySummary } = require('../src/utils');
+const { buildConversationContext } = require('../src/utils/contextBuilder');
+const { getProviderUsageLog } = require('../src/aiProviders');
+
+const USER_ID = '94771234567@s.whatsapp.net';
+
+test('generateAIResponse: a chat turn is answered by the configured provider', async t => {
+    t.mock.method(console, 'log', () => {});
+    const userData = {
+        userName: 'Nimal',
+        companionName: 'Sachi',
+        conversationHistory: [
+            { role: 'user', content: 'Hi Sachi' },
+            { role: 'assistant', content: 'Hi Nimal!' },
+            { role: 'user', content: 'What should I eat tonight?' }
+        ]
+    };
+
+    const messages = await buildConversationContext(userData, { role: 'system', content: 'You are Sachi.' });
+    const reply = await generateAIResponse(messages, userData, { userId: USER_ID });
+
+    assert.equal(reply, '[mock chat-model] What should I eat tonight?');
+
+    const [entry] = await getProviderUsageLog({ feature: 'chat', limit: 1 });
+    assert.equal(entry.provider, 'mock');
+    assert.equal(entry.model, 'chat-model');
+    assert.equal(entry.userId, USER_ID);
+});
+
+test('updateMemorySummary: reads the summary model\'s JSON into memory', async t => {
+    t.mock.method(console, 'log', () => {});
+    const userData = {
+        isPremium: true,
+        conversationHistory: Array.from({ length: 10 }, (_, i) => ({
+            role: i % 2 === 0 ? 'user' : 'assistant',
+            content: `message ${i}`
+        }))
+    };
+
+    await updateMemorySummary(userData, USER_ID);
+
+    assert.equal(userData.memory.topics.food, 1);
+    assert.equal(userData.memory.preferences.kottu, 'likes');
+    assert.deepEqual(userData.memory.importantEvents, ['exam on Friday']);
+    assert.equal(userData.memory.lastInteractionSummary, 'Nimal talked about dinner and an exam.');
+
+    const [entry] = await getProviderUsageLog({ feature: 'summary', limit: 1 });
+    assert.equal(entry.provider, 'summarizer');
+});
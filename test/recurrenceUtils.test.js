@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getNextOccurrence } = require('../src/utils/recurrenceUtils');
+
+const TIMEZONE = 'Asia/Colombo';
+
+/**
+ * Follow a monthly reminder set for 09:00 on the given day of the month
+ * @param {string} first - The first occurrence in UTC
+ * @param {number} dayOfMonth - The day the reminder was set for
+ * @param {number} count - Number of occurrences after the first
+ * @returns {Array<string>} - The occurrences in UTC
+ */
+function followMonthly(first, dayOfMonth, count) {
+    const times = [];
+    let time = new Date(first);
+    for (let i = 0; i < count; i++) {
+        time = getNextOccurrence('monthly', time, time, TIMEZONE, dayOfMonth);
+        times.push(time.toISOString());
+    }
+    return times;
+}
+
+test('getNextOccurrence: monthly on the 31st comes back after short months', () => {
+    assert.deepEqual(followMonthly('2026-01-31T03:30:00.000Z', 31, 3), [
+        '2026-02-28T03:30:00.000Z',
+        '2026-03-31T03:30:00.000Z',
+        '2026-04-30T03:30:00.000Z'
+    ]);
+});
+
+test('getNextOccurrence: monthly on the 29th keeps the 29th after February', () => {
+    assert.deepEqual(followMonthly('2026-01-29T03:30:00.000Z', 29, 2), [
+        '2026-02-28T03:30:00.000Z',
+        '2026-03-29T03:30:00.000Z'
+    ]);
+});
+
+test('getNextOccurrence: monthly without a day of the month steps from the previous time', () => {
+    const next = getNextOccurrence('monthly', new Date('2026-03-15T03:30:00.000Z'), new Date('2026-03-15T03:30:00.000Z'), TIMEZONE);
+    assert.equal(next.toISOString(), '2026-04-15T03:30:00.000Z');
+});
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { cutOutSticker } = require('../src/utils/stickerCutout');
+
+/**
+ * Draw a companion stand-in: a red circle with a white spot in the middle,
+ * like the whites of the eyes, on a plain background
+ * @param {string} background - Background colour
+ * @returns {Buffer} - 256x256 PNG
+ */
+function drawSticker(background) {
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="256" height="256">
+        <rect width="256" height="256" fill="${background}"/>
+        <circle cx="128" cy="128" r="80" fill="#d02040"/>
+        <circle cx="128" cy="128" r="12" fill="#ffffff"/>
+    </svg>`;
+    return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+/**
+ * Read one pixel of a PNG
+ * @param {Buffer} png - The image
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @returns {Array<number>} - [r, g, b, alpha]
+ */
+async function getPixel(png, x, y) {
+    const { data, info } = await sharp(png).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    const offset = (y * info.width + x) * 4;
+    return [...data.subarray(offset, offset + 4)];
+}
+
+test('cutOutSticker: removes a plain background but keeps white inside the companion', async () => {
+    const sticker = await cutOutSticker(await drawSticker('#ffffff'));
+
+    const metadata = await sharp(sticker).metadata();
+    assert.equal(metadata.width, 512);
+    assert.equal(metadata.height, 512);
+
+    // Corner gone, companion centred and scaled up, the white spot still solid
+    assert.equal((await getPixel(sticker, 2, 2))[3], 0);
+    assert.deepEqual(await getPixel(sticker, 150, 256), [208, 32, 64, 255]);
+    assert.deepEqual(await getPixel(sticker, 256, 256), [255, 255, 255, 255]);
+});
+
+test('cutOutSticker: outlines the companion in white with a shadow below', async () => {
+    const sticker = await cutOutSticker(await drawSticker('#00ff00'));
+
+    // The companion is trimmed to 22..490, so the outline sits just outside it
+    const [r, g, b, alpha] = await getPixel(sticker, 256, 16);
+    assert.deepEqual([r, g, b], [255, 255, 255]);
+    assert.ok(alpha > 200);
+
+    // The shadow is offset down, so it shows past the bottom of the outline only
+    const below = await getPixel(sticker, 256, 503);
+    const above = await getPixel(sticker, 256, 6);
+    assert.ok(below[3] > above[3]);
+    assert.ok(below[0] < 64);
+});
+
+test('cutOutSticker: keeps a busy background instead of eating into the picture', async t => {
+    t.mock.method(console, 'log', () => {});
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="64" height="64">
+        <defs><linearGradient id="g"><stop offset="0" stop-color="#000"/><stop offset="1" stop-color="#fff"/></linearGradient></defs>
+        <rect width="64" height="64" fill="url(#g)"/>
+    </svg>`;
+
+    const sticker = await cutOutSticker(await sharp(Buffer.from(svg)).png().toBuffer());
+    assert.equal((await getPixel(sticker, 256, 40))[3], 255);
+});
@@ -0,0 +1,154 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// Packs are kept in sticker_packs/ under the working directory
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sticker-pack-'));
+const ORIGINAL_CWD = process.cwd();
+process.chdir(TEMP_DIR);
+after(() => {
+    process.chdir(ORIGINAL_CWD);
+    return fs.remove(TEMP_DIR);
+});
+
+const {
+    VARIANTS_PER_EMOTION,
+    pickPackSticker,
+    addPackSticker,
+    listPackStickers,
+    setPackStickerPinned,
+    removePackSticker
+} = require('../src/utils/stickerPack');
+
+let userCounter = 0;
+
+/**
+ * Save a companion picture for a new user
+ * @param {string} [contents] - The picture's contents
+ * @returns {string} - Path to the picture
+ */
+async function createCompanion(contents = 'sachi') {
+    const imagePath = path.join(TEMP_DIR, 'character_images', `9477200000${++userCounter}.png`);
+    await fs.outputFile(imagePath, contents);
+    return imagePath;
+}
+
+/**
+ * Draw a sticker and add it to a pack
+ * @param {string} characterImagePath - The companion's picture
+ * @param {string} emotion - The sticker's emotion
+ * @returns {Object} - The pack entry
+ */
+async function addSticker(characterImagePath, emotion) {
+    const imagePath = path.join(TEMP_DIR, `drawn_${emotion}.png`);
+    await fs.writeFile(imagePath, `${emotion} sticker`);
+    return addPackSticker(characterImagePath, imagePath, { emotion, expression: `${emotion} face`, style: 'chibi' });
+}
+
+/**
+ * Silence the pack's progress messages
+ * @param {Object} t - Test context
+ */
+function muteConsole(t) {
+    t.mock.method(console, 'log', () => {});
+}
+
+test('addPackSticker: keeps a copy of each sticker, numbered in order', async t => {
+    muteConsole(t);
+    const companion = await createCompanion();
+
+    assert.deepEqual(await listPackStickers(companion), []);
+    await addSticker(companion, 'happy');
+    await addSticker(companion, 'sad');
+
+    const stickers = await listPackStickers(companion);
+    assert.deepEqual(stickers.map(sticker => [sticker.id, sticker.emotion, sticker.expression]), [
+        ['1', 'happy', 'happy face'],
+        ['2', 'sad', 'sad face']
+    ]);
+    assert.equal(await fs.readFile(stickers[1].imagePath, 'utf8'), 'sad sticker');
+});
+
+test('pickPackSticker: draws new stickers until an emotion has enough variants', async t => {
+    muteConsole(t);
+    const companion = await createCompanion();
+
+    for (let i = 0; i < VARIANTS_PER_EMOTION; i++) {
+        assert.equal(await pickPackSticker(companion, 'love'), null);
+        await addSticker(companion, 'love');
+    }
+
+    const picked = await pickPackSticker(companion, 'love');
+    assert.ok(picked);
+    assert.equal(await fs.readFile(picked, 'utf8'), 'love sticker');
+    assert.equal(await pickPackSticker(companion, 'angry'), null);
+});
+
+test('pickPackSticker: never sends the same sticker twice in a row', async t => {
+    muteConsole(t);
+    const companion = await createCompanion();
+    for (let i = 0; i < VARIANTS_PER_EMOTION; i++) {
+        await addSticker(companion, 'cute');
+    }
+
+    let previous = null;
+    for (let i = 0; i < 10; i++) {
+        const picked = await pickPackSticker(companion, 'cute');
+        assert.notEqual(picked, previous);
+        previous = picked;
+    }
+
+    const stickers = await listPackStickers(companion);
+    assert.equal(stickers.reduce((sum, sticker) => sum + sticker.sendCount, 0), VARIANTS_PER_EMOTION + 10);
+});
+
+test('pickPackSticker: favours pinned stickers', async t => {
+    muteConsole(t);
+    const companion = await createCompanion();
+    for (let i = 0; i < VARIANTS_PER_EMOTION; i++) {
+        await addSticker(companion, 'happy');
+        // Apart in time, so the last one added is the last one sent
+        await new Promise(resolve => setTimeout(resolve, 2));
+    }
+    const stickers = await listPackStickers(companion);
+    const stickerPath = id => stickers.find(sticker => sticker.id === String(id)).imagePath;
+
+    // A roll in the middle falls past the first of two equal choices
+    t.mock.method(Math, 'random', () => 0.5);
+    assert.equal(await pickPackSticker(companion, 'happy'), stickerPath(2));
+
+    // Pinned, the first choice is three times as likely and takes the same roll
+    assert.equal((await setPackStickerPinned(companion, '1', true)).pinned, true);
+    assert.equal(await pickPackSticker(companion, 'happy'), stickerPath(1));
+    assert.equal(await setPackStickerPinned(companion, '99', true), null);
+});
+
+test('removePackSticker: deletes the sticker so a new one is drawn for its emotion', async t => {
+    muteConsole(t);
+    const companion = await createCompanion();
+    for (let i = 0; i < VARIANTS_PER_EMOTION; i++) {
+        await addSticker(companion, 'surprised');
+    }
+    const [first] = await listPackStickers(companion);
+
+    assert.equal((await removePackSticker(companion, first.id)).id, first.id);
+    assert.equal(await fs.pathExists(first.imagePath), false);
+    assert.equal(await removePackSticker(companion, first.id), null);
+    assert.equal(await pickPackSticker(companion, 'surprised'), null);
+});
+
+test('addPackSticker: a new companion picture starts a new pack and removes the old one', async t => {
+    muteConsole(t);
+    const companion = await createCompanion('first look');
+    await addSticker(companion, 'happy');
+    const [oldSticker] = await listPackStickers(companion);
+
+    await fs.writeFile(companion, 'second look');
+    assert.deepEqual(await listPackStickers(companion), []);
+    await addSticker(companion, 'sad');
+
+    assert.equal(await fs.pathExists(path.dirname(oldSticker.imagePath)), false);
+    assert.deepEqual((await listPackStickers(companion)).map(sticker => sticker.emotion), ['sad']);
+});
@@ -0,0 +1,87 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const JsonFileDriver = require('../src/storage/jsonFileDriver');
+const SqliteDriver = require('../src/storage/sqliteDriver');
+
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-drivers-'));
+after(() => fs.remove(TEMP_DIR));
+
+// better-sqlite3 is a native module, so it may be missing on some machines
+let sqliteSkip = false;
+try {
+    require('better-sqlite3');
+} catch (error) {
+    sqliteSkip = 'better-sqlite3 is not installed';
+}
+
+const USER_ID = '94771234567@s.whatsapp.net';
+const PROFILE = {
+    userName: 'Nimal',
+    companionName: 'Sachi',
+    conversationHistory: [{ role: 'user', content: 'ආයුබෝවන් 👋' }],
+    memory: { facts: [{ text: 'likes kottu', createdAt: '2025-11-10T04:30:00.000Z' }] }
+};
+
+/**
+ * Save, load, list and delete one profile through a driver
+ * @param {Object} driver - Storage driver
+ */
+async function assertRoundTrip(driver) {
+    await driver.initialize();
+    try {
+        assert.equal(await driver.getUserData(USER_ID), null);
+
+        await driver.saveUserData(USER_ID, PROFILE);
+        assert.deepEqual(await driver.getUserData(USER_ID), PROFILE);
+        assert.deepEqual(await driver.listUserIds(), [USER_ID]);
+
+        await driver.saveUserData(USER_ID, { ...PROFILE, userName: 'Kamal' });
+        assert.equal((await driver.getUserData(USER_ID)).userName, 'Kamal');
+        assert.deepEqual(await driver.listUserIds(), [USER_ID]);
+
+        assert.equal(await driver.deleteUserData(USER_ID), true);
+        assert.equal(await driver.deleteUserData(USER_ID), false);
+        assert.equal(await driver.getUserData(USER_ID), null);
+        assert.deepEqual(await driver.listUserIds(), []);
+    } finally {
+        await driver.close();
+    }
+}
+
+test('JsonFileDriver: saves, loads, lists and deletes a profile', async () => {
+    const directory = path.join(TEMP_DIR, 'json');
+    await assertRoundTrip(new JsonFileDriver({ directory }));
+});
+
+test('JsonFileDriver: leaves only the profile file behind after a save', async () => {
+    const directory = path.join(TEMP_DIR, 'json-files');
+    const driver = new JsonFileDriver({ directory });
+    await driver.saveUserData(USER_ID, PROFILE);
+    assert.deepEqual(await fs.readdir(directory), [`${USER_ID}.json`]);
+    assert.deepEqual(await fs.readJson(path.join(directory, `${USER_ID}.json`)), PROFILE);
+});
+
+test('SqliteDriver: saves, loads, lists and deletes a profile', { skip: sqliteSkip }, async () => {
+    await assertRoundTrip(new SqliteDriver({ filePath: path.join(TEMP_DIR, 'sqlite', 'users.sqlite') }));
+});
+
+test('SqliteDriver: keeps profiles after the database is reopened', { skip: sqliteSkip }, async () => {
+    const filePath = path.join(TEMP_DIR, 'sqlite-reopen', 'users.sqlite');
+    const first = new SqliteDriver({ filePath });
+    await first.saveManyUserData([
+        { userId: USER_ID, data: PROFILE },
+        { userId: '94770000000@s.whatsapp.net', data: { userName: 'Kamal' } }
+    ]);
+    await first.close();
+
+    const second = new SqliteDriver({ filePath });
+    try {
+        assert.deepEqual(await second.listUserIds(), ['94770000000@s.whatsapp.net', USER_ID]);
+        assert.deepEqual(await second.getUserData(USER_ID), PROFILE);
+    } finally {
+        await second.close();
+    }
+});
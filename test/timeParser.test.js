@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseNaturalTime } = require('../src/utils/timeParser');
+
+// Monday 10 November 2025, 10:00 in Colombo (UTC+05:30)
+const NOW = new Date('2025-11-10T04:30:00Z');
+const TIMEZONE = 'Asia/Colombo';
+
+// [phrase, expected moment in UTC, or null when it must be rejected]
+const CASES = {
+    durations: [
+        ['in 10 minutes', '2025-11-10T04:40:00.000Z'],
+        ['in 1h30m', '2025-11-10T06:00:00.000Z'],
+        ['in 1h 30m', '2025-11-10T06:00:00.000Z'],
+        ['in 2 hours and 15 minutes', '2025-11-10T06:45:00.000Z'],
+        ['in 1.5 hours', '2025-11-10T06:00:00.000Z'],
+        ['in half an hour', '2025-11-10T05:00:00.000Z'],
+        ['in an hour and a half', '2025-11-10T06:00:00.000Z'],
+        ['in a couple of hours', '2025-11-10T06:30:00.000Z'],
+        ['2 hours from now', '2025-11-10T06:30:00.000Z'],
+        ['after 45 mins', '2025-11-10T05:15:00.000Z'],
+        ['in 3 days', '2025-11-13T04:30:00.000Z'],
+        ['in 3 days at 5pm', '2025-11-13T11:30:00.000Z'],
+        ['in 2 weeks', '2025-11-24T04:30:00.000Z']
+    ],
+    'relative days': [
+        ['tomorrow', '2025-11-11T03:30:00.000Z'],
+        ['tomorrow at 5pm', '2025-11-11T11:30:00.000Z'],
+        ['tomorrow morning', '2025-11-11T03:30:00.000Z'],
+        ['tomorrow at 7:30am', '2025-11-11T02:00:00.000Z'],
+        ['day after tomorrow', '2025-11-12T03:30:00.000Z'],
+        ['day after tomorrow at noon', '2025-11-12T06:30:00.000Z'],
+        ['today at 5pm', '2025-11-10T11:30:00.000Z'],
+        ['tonight', '2025-11-10T14:30:00.000Z'],
+        ['tonight at 11', '2025-11-10T17:30:00.000Z'],
+        ['this evening', '2025-11-10T12:30:00.000Z'],
+        ['next week', '2025-11-17T03:30:00.000Z']
+    ],
+    weekdays: [
+        ['friday', '2025-11-14T03:30:00.000Z'],
+        ['this friday', '2025-11-14T03:30:00.000Z'],
+        ['on friday at 8:30', '2025-11-14T03:00:00.000Z'],
+        ['next friday evening', '2025-11-14T12:30:00.000Z'],
+        ['tuesday', '2025-11-11T03:30:00.000Z'],
+        ['wed', '2025-11-12T03:30:00.000Z'],
+        ['sat', '2025-11-15T03:30:00.000Z'],
+        ['sunday morning', '2025-11-16T03:30:00.000Z'],
+        // Today is Monday and 9am has passed, so "monday" is next week
+        ['monday', '2025-11-17T03:30:00.000Z'],
+        ['next monday', '2025-11-17T03:30:00.000Z']
+    ],
+    'clock times': [
+        ['at 3', '2025-11-10T09:30:00.000Z'],
+        ['at 3pm', '2025-11-10T09:30:00.000Z'],
+        ['5pm', '2025-11-10T11:30:00.000Z'],
+        ['at 15:45', '2025-11-10T10:15:00.000Z'],
+        ['13:00', '2025-11-10T07:30:00.000Z'],
+        ['at 8', '2025-11-10T14:30:00.000Z'],
+        ['at noon', '2025-11-10T06:30:00.000Z'],
+        ['at midnight', '2025-11-10T18:30:00.000Z']
+    ],
+    dates: [
+        ['on the 5th', '2025-12-05T03:30:00.000Z'],
+        ['on the 10th', '2025-12-10T03:30:00.000Z'],
+        ['the 25th at 6pm', '2025-11-25T12:30:00.000Z'],
+        ['5th of june', '2026-06-05T03:30:00.000Z'],
+        ['june 5 at 9am', '2026-06-05T03:30:00.000Z'],
+        ['dec 25', '2025-12-25T03:30:00.000Z'],
+        // Numeric dates are month first, as the /remind help shows
+        ['12/25 at 9am', '2025-12-25T03:30:00.000Z'],
+        ['5/6', '2026-05-06T03:30:00.000Z'],
+        ['1/1/2026', '2026-01-01T03:30:00.000Z'],
+        ['2026-01-31', '2026-01-31T03:30:00.000Z']
+    ],
+    singlish: [
+        ['heta', '2025-11-11T03:30:00.000Z'],
+        ['heta udeta', '2025-11-11T03:30:00.000Z'],
+        ['udeta 8ta', '2025-11-11T02:30:00.000Z'],
+        ['anidda', '2025-11-12T03:30:00.000Z'],
+        ['ada rata', '2025-11-10T14:30:00.000Z'],
+        ['hawasa 5ta', '2025-11-10T11:30:00.000Z'],
+        ['paya 2kin', '2025-11-10T06:30:00.000Z'],
+        ['labana sikurada', '2025-11-14T03:30:00.000Z']
+    ],
+    sinhala: [
+        ['පැය 2කින්', '2025-11-10T06:30:00.000Z'],
+        ['හෙට උදේ 8ට', '2025-11-11T02:30:00.000Z'],
+        ['අනිද්දා හවස 4ට', '2025-11-12T10:30:00.000Z'],
+        ['ඉරිදා', '2025-11-16T03:30:00.000Z']
+    ],
+    'days that a month does not have': [
+        ['feb 30', null],
+        ['2/30', null],
+        ['2025-02-29', null],
+        ['2/29', '2028-02-29T03:30:00.000Z'],
+        ['on the 31st', '2025-12-31T03:30:00.000Z']
+    ],
+    'invalid or past times': [
+        ['yesterday', null],
+        ['today at 9am', null],
+        ['2024-01-01', null],
+        ['25:00', null],
+        ['at 24', null],
+        ['at 10:75', null],
+        ['tomorrow at 13pm', null],
+        ['today at 0am', null],
+        ['at 18:30pm', null],
+        ['hello there', null]
+    ]
+};
+
+for (const [group, cases] of Object.entries(CASES)) {
+    test(`parseNaturalTime: ${group}`, async (t) => {
+        for (const [phrase, expected] of cases) {
+            await t.test(phrase, () => {
+                const date = parseNaturalTime(phrase, { timezone: TIMEZONE, now: NOW });
+                assert.equal(date ? date.toISOString() : null, expected);
+            });
+        }
+    });
+}
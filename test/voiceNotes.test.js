@@ -0,0 +1,174 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// User data and the provider config are kept relative to the working
+// directory. Speech comes from the offline provider, and ffmpeg is pointed
+// somewhere it can't be found so converting it always fails.
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-notes-'));
+const ORIGINAL_CWD = process.cwd();
+process.chdir(TEMP_DIR);
+delete process.env.AI_PROVIDER;
+delete process.env.STORAGE_DRIVER;
+process.env.FFMPEG_PATH = path.join(TEMP_DIR, 'no-ffmpeg');
+fs.outputJsonSync(path.join(TEMP_DIR, 'config', 'ai_providers.json'), {
+    providers: {
+        listener: { type: 'mock' }
+    },
+    features: {
+        transcription: ['listener:whisper-1'],
+        speech: ['mock:tts-1']
+    }
+});
+
+const { getProvider, getProviderUsageLog } = require('../src/aiProviders');
+after(async () => {
+    // Let the usage log finish writing before removing its directory
+    await getProviderUsageLog();
+    process.chdir(ORIGINAL_CWD);
+    await fs.remove(TEMP_DIR);
+});
+
+const { saveUserData, getUserData } = require('../src/storageUtils');
+const {
+    isVoiceNote,
+    transcribeVoiceMessage,
+    wantsVoiceReplies,
+    getCompanionVoice,
+    setCompanionVoice,
+    createVoiceReplySocket
+} = require('../src/utils/voiceNotes');
+const { handleVoiceCommand } = require('../src/handlers/voiceCommandHandler');
+
+let userCounter = 0;
+
+/**
+ * Save a new user with a companion
+ * @param {Object} [extra] - Extra user data fields
+ * @returns {string} - The user's WhatsApp ID
+ */
+async function createUser(extra = {}) {
+    const userId = `9477300000${++userCounter}@s.whatsapp.net`;
+    await saveUserData(userId, {
+        userName: 'Nimal',
+        companionName: 'Sachi',
+        companionGender: 'female',
+        characterImagePath: 'character_images/sachi.png',
+        ...extra
+    });
+    return userId;
+}
+
+/**
+ * Create a socket that records what it was asked to send
+ * @returns {Object} - The socket, with what was sent in .sent
+ */
+function createSocket() {
+    const sock = { sent: [] };
+    sock.sendMessage = async (userId, content) => {
+        sock.sent.push(content);
+        return { key: { id: `message-${sock.sent.length}` } };
+    };
+    return sock;
+}
+
+/**
+ * Send /voice with arguments
+ * @param {string} userId - The user's WhatsApp ID
+ * @param {Array<string>} args - Command arguments
+ * @returns {Array<Object>} - What was sent back
+ */
+async function sendVoiceCommand(userId, args) {
+    const sock = createSocket();
+    await handleVoiceCommand(sock, { key: { remoteJid: userId } }, args);
+    return sock.sent;
+}
+
+/**
+ * Silence the messages a test expects
+ * @param {Object} t - Test context
+ */
+function muteConsole(t) {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+}
+
+test('wantsVoiceReplies: only for premium users who turned them on', () => {
+    assert.equal(wantsVoiceReplies({ isPremium: true, voiceSettings: { replies: true } }), true);
+    assert.equal(wantsVoiceReplies({ isPremium: false, voiceSettings: { replies: true } }), false);
+    assert.equal(wantsVoiceReplies({ isPremium: true, voiceSettings: { replies: false } }), false);
+    assert.equal(wantsVoiceReplies({ isPremium: true }), false);
+});
+
+test('/voice on: is refused for free users', async () => {
+    const userId = await createUser();
+
+    const [reply] = await sendVoiceCommand(userId, ['on']);
+    assert.match(reply.text, /premium feature/);
+    assert.equal((await getUserData(userId)).voiceSettings, undefined);
+
+    // Turning them off needs no premium
+    assert.match((await sendVoiceCommand(userId, ['off']))[0].text, /^Voice replies are off/);
+});
+
+test('/voice on: turns voice replies on for premium users', async () => {
+    const userId = await createUser({ isPremium: true });
+
+    const [reply] = await sendVoiceCommand(userId, ['ON']);
+    assert.match(reply.text, /^🎤 Voice replies are on!/);
+    assert.equal(wantsVoiceReplies(await getUserData(userId)), true);
+});
+
+test('setCompanionVoice: the voice belongs to the companion it was picked for', () => {
+    const userData = { companionGender: 'male', characterImagePath: 'character_images/first.png' };
+    assert.equal(getCompanionVoice(userData), 'onyx');
+
+    assert.equal(setCompanionVoice(userData, 'Sage'), true);
+    assert.equal(getCompanionVoice(userData), 'sage');
+    assert.equal(setCompanionVoice(userData, 'robot'), false);
+
+    userData.characterImagePath = 'character_images/second.png';
+    userData.companionGender = 'female';
+    assert.equal(getCompanionVoice(userData), 'nova');
+});
+
+test('createVoiceReplySocket: sends the reply as text when speech fails or it is too long', async t => {
+    muteConsole(t);
+    const userId = await createUser({ isPremium: true, voiceSettings: { replies: true } });
+    const sock = createSocket();
+    const voiceSock = createVoiceReplySocket(sock, userId, await getUserData(userId));
+
+    // The speech is made, but ffmpeg can't turn it into a voice note
+    await voiceSock.sendMessage(userId, { text: 'Good morning! ☀️' });
+    assert.deepEqual(sock.sent, [{ text: 'Good morning! ☀️' }]);
+    const [request] = getProvider('mock').requests.filter(entry => entry.capability === 'speech').slice(-1);
+    assert.equal(request.text, 'Good morning!');
+    assert.equal(request.voice, 'nova');
+
+    // Too long to listen to, so speech isn't even tried
+    const speechRequests = getProvider('mock').requests.length;
+    await voiceSock.sendMessage(userId, { text: 'word '.repeat(200) });
+    assert.equal(getProvider('mock').requests.length, speechRequests);
+
+    // Stickers and messages to other chats go through untouched
+    await voiceSock.sendMessage(userId, { sticker: Buffer.from('webp') });
+    await voiceSock.sendMessage('owner@s.whatsapp.net', { text: 'hello' });
+    assert.equal(sock.sent.length, 4);
+});
+
+test('transcribeVoiceMessage: turns down voice notes that are too long or can\'t be heard', async t => {
+    const userId = await createUser();
+    const voiceNote = seconds => ({ key: { remoteJid: userId }, message: { audioMessage: { ptt: true, seconds } } });
+    assert.equal(isVoiceNote(voiceNote(5)), true);
+    assert.equal(isVoiceNote({ message: { audioMessage: { ptt: false } } }), false);
+
+    const sock = createSocket();
+    assert.equal(await transcribeVoiceMessage(sock, voiceNote(600)), null);
+    assert.match(sock.sent[0].text, /a bit long for me/);
+
+    t.mock.method(getProvider('listener'), 'isAvailable', async () => false);
+    assert.equal(await transcribeVoiceMessage(sock, voiceNote(5)), null);
+    assert.match(sock.sent[1].text, /can't listen to voice notes right now/);
+});